@@ -0,0 +1,42 @@
+/**
+ * @category Types
+ * @summary An object that describes the schedule of the cron expression.
+ *
+ * @description
+ * An object that describes the dates matched by the cron expression.
+ * It's returned by `parseCron` and taken by `nextCronOccurrence`, `prevCronOccurrence`
+ * and `eachCronOccurrenceIterator`.
+ *
+ * The empty array matches any value, the same way as `*` does in the cron expression.
+ * If both the days of the month (with `nearestWeekdays`) and the days of the week are given,
+ * the day matches if either of them matches, as in cron. Otherwise all the given properties must match.
+ *
+ * Unlike in the cron expression, the months are counted from 0 (January),
+ * the same way as in `getMonth`.
+ *
+ * @typedef {Object} CronSchedule
+ * @property {Number[]} [seconds=[0]] - the seconds, from 0 to 59
+ * @property {Number[]} [minutes=[]] - the minutes, from 0 to 59
+ * @property {Number[]} [hours=[]] - the hours, from 0 to 23
+ * @property {Number[]} [daysOfMonth=[]] - the days of the month, from 1 to 31;
+ *   -1 is the last day of the month (`L`), -3 is the third last day (`L-2`)
+ * @property {Number[]} [nearestWeekdays=[]] - the days of the month (`W`), from 1 to 31,
+ *   each of which matches the weekday (Monday to Friday) nearest to it in the same month;
+ *   -1 matches the last weekday of the month (`LW`)
+ * @property {Number[]} [months=[]] - the months, from 0 (January) to 11 (December)
+ * @property {Object[]} [daysOfWeek=[]] - the days of the week, the objects with `day` property
+ *   (0 - Sunday) and optional `nth` property, which is the number of the day of the week in the month (`#`)
+ *   or -1 for the last day of the week in the month (`L`), e.g. `{day: 5, nth: -1}` for the last Friday
+ *
+ * @example
+ * // At 9:30 on the 1st and the last day of each month:
+ * var schedule = {
+ *   seconds: [0],
+ *   minutes: [30],
+ *   hours: [9],
+ *   daysOfMonth: [1, -1]
+ * }
+ */
+var CronSchedule = {}
+
+module.exports = CronSchedule
@@ -0,0 +1,36 @@
+/**
+ * @category Types
+ * @summary A lazy iterator over dates.
+ *
+ * @description
+ * A lazy iterator over dates, returned by `eachOfIntervalIterator`
+ * and other `each*OfIntervalIterator` functions.
+ * The dates are created one by one, when they are requested.
+ *
+ * The iterator follows the ES2015 iteration protocols. In the environments
+ * that support `Symbol.iterator`, it can be used in `for...of` loops
+ * and spread into arrays.
+ *
+ * @typedef {Object} DateIterator
+ * @property {Function} next - the function that returns the next date of the iterator.
+ *   The result is an object with `value` property, which contains the date,
+ *   and `done` property, which is true when there are no more dates
+ * @property {Function} return - the function that finishes the iterator early.
+ *   Called by `for...of` loops on `break`
+ *
+ * @example
+ * var iterator = eachDayOfIntervalIterator({
+ *   start: new Date(2014, 9, 6),
+ *   end: new Date(2014, 9, 10)
+ * })
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 06 2014 00:00:00, done: false}
+ *
+ * for (var date of iterator) {
+ *   if (isWeekend(date)) break
+ * }
+ */
+var DateIterator = {}
+
+module.exports = DateIterator
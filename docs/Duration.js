@@ -0,0 +1,23 @@
+/**
+ * @category Types
+ * @summary An object that represents the duration in calendar units.
+ *
+ * @description
+ * An object that represents the duration in calendar units.
+ *
+ * All properties are optional; a missing property is the same as zero.
+ * Unlike the number of milliseconds, the duration keeps the calendar units apart:
+ * a month or a year has no fixed length until it's applied to a date.
+ *
+ * @typedef {Object} Duration
+ * @property {Number} [years] - the number of years
+ * @property {Number} [months] - the number of months
+ * @property {Number} [weeks] - the number of weeks
+ * @property {Number} [days] - the number of days
+ * @property {Number} [hours] - the number of hours
+ * @property {Number} [minutes] - the number of minutes
+ * @property {Number} [seconds] - the number of seconds
+ */
+var Duration = {}
+
+module.exports = Duration
@@ -0,0 +1,29 @@
+/**
+ * @category Types
+ * @summary A holiday calendar object.
+ *
+ * @description
+ * A holiday calendar object.
+ *
+ * Holiday calendars are passed as `options.holidays` to the functions
+ * that take holidays into account: `addBusinessDays`, `differenceInBusinessDays`,
+ * `eachDayOfInterval`, `isBusinessDay`, `isHoliday` and `subBusinessDays`.
+ *
+ * date-fns includes the following holiday calendars:
+ * - `date-fns/holidays/us` - federal holidays of the United States;
+ * - `date-fns/holidays/gb` - bank holidays of the United Kingdom (England and Wales).
+ *
+ * Use `buildHolidayCalendar` to build a custom holiday calendar from fixed-date,
+ * nth-weekday and Easter-relative rules.
+ * See [buildHolidayCalendar]{@link https://date-fns.org/docs/buildHolidayCalendar}
+ * Otherwise, a custom holiday calendar is any object that has `holidays` property.
+ *
+ * @typedef {Object} HolidayCalendar
+ *
+ * @property {Function} holidays - the function that takes a year and returns an array of the holidays
+ *   observed in the year. Each holiday is an object with `name` and `date` properties.
+ *   Required by all functions that accept `options.holidays`
+ */
+var HolidayCalendar = {}
+
+module.exports = HolidayCalendar
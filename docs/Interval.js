@@ -5,11 +5,47 @@
  * @description
  * An object that combines two dates to represent the time interval.
  *
+ * ### Bounds
+ *
+ * Whether the start and the end of the interval belong to it is specified
+ * by `options.bounds` of the function that takes the interval:
+ *
+ * | Bounds | Start    | End      | Example                                   |
+ * |--------|----------|----------|-------------------------------------------|
+ * | '[]'   | included | included | 10:00–11:00 contains both 10:00 and 11:00 |
+ * | '[)'   | included | excluded | 10:00–11:00 contains 10:00, but not 11:00 |
+ * | '(]'   | excluded | included | 10:00–11:00 contains 11:00, but not 10:00 |
+ * | '()'   | excluded | excluded | 10:00–11:00 contains neither of them      |
+ *
+ * The dates have millisecond precision, so the interval that excludes its end
+ * contains the same moments as the closed interval that ends a millisecond earlier.
+ * The zero-length interval contains its only moment if it's closed ('[]'),
+ * and contains nothing otherwise.
+ *
+ * The bounds decide which moments the interval contains, e.g. whether the back-to-back
+ * bookings 10:00–11:00 and 11:00–12:00 overlap (they do only if both are closed).
+ * They don't change the length of the interval, so `intervalToDuration`
+ * and `getOverlappingTimeInIntervals` return the same result for any bounds.
+ * The functions that return the intervals return them with the same bounds.
+ *
+ * The default bounds depend on the function, so that the results are the same as without `options.bounds`:
+ *
+ * - `buildIntervalIndex`, `isWithinInterval`, `eachOfInterval`, `eachOfIntervalIterator`
+ *   and other `each*OfInterval` and `each*OfIntervalIterator` functions include both the start and the end ('[]').
+ *
+ * - `findFreeSlots`, `intersectIntervals`, `invertIntervals`, `mergeIntervals`, `splitInterval` and `subtractIntervals`
+ *   include the start and exclude the end ('[)').
+ *
+ * - `areIntervalsOverlapping`, `getOverlappingDaysInIntervals`, `getOverlappingInterval`
+ *   and `getOverlappingTimeInIntervals` consider that the intervals overlap
+ *   if each of them starts before the other one ends, so the intervals that only touch each other don't overlap.
+ *
  * @typedef {Object} Interval
  * @property {Date|String|Number} start - the start of the interval
  * @property {Date|String|Number} end - the end of the interval
  * @throws {RangeError} The start of an interval cannot be after its end
  * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
  */
 var Interval = {}
 
@@ -0,0 +1,35 @@
+/**
+ * @category Types
+ * @summary An index of time intervals for the fast queries.
+ *
+ * @description
+ * An immutable index of time intervals, returned by `buildIntervalIndex`.
+ * Each query takes O(log n + k) time, where n is the number of the indexed intervals
+ * and k is the number of the intervals in the result.
+ *
+ * The queries return the indexed interval objects themselves, sorted by their starts.
+ * Whether the starts and the ends of the intervals are included in them
+ * is specified by `options.bounds` passed to `buildIntervalIndex`.
+ *
+ * @typedef {Object} IntervalIndex
+ * @property {Function} containing - the function that takes a date
+ *   and returns the array of the intervals that contain it
+ * @property {Function} overlapping - the function that takes an interval
+ *   and returns the array of the intervals that share at least one moment with it
+ * @property {Function} nearest - the function that takes a date and returns the interval
+ *   that contains it or, if there is no such interval, the interval closest to it.
+ *   If the interval that ends before the date and the interval that starts after the date
+ *   are equally close, the former is returned. Returns null if the index is empty
+ *   or the date is `Invalid Date`
+ *
+ * @example
+ * var index = buildIntervalIndex(bookings, {bounds: '[)'})
+ *
+ * dates.filter(function (date) {
+ *   return index.containing(date).length === 0
+ * })
+ * //=> the dates that aren't booked
+ */
+var IntervalIndex = {}
+
+module.exports = IntervalIndex
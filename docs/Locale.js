@@ -10,31 +10,49 @@
  * @typedef {Object} Locale
  *
  * @property {Function} formatDistance - the function that takes a token
- *   passed by `formatDistance` or `formatDistanceStrict` and payload,
+ *   passed by `formatDistance`, `formatDistanceStrict` or `formatDuration` and payload,
  *   and returns localized distance in words.
- *   Required by `formatDistance` and `formatDistanceStrict`
+ *   Required by `formatDistance`, `formatDistanceStrict` and `formatDuration`
  *
  * @property {Function} formatLong - the function that takes a token
  *   passed by `format` and returns the long format corresponding to this token.
- *   Required by `format`, `formatRelative` and `parse`
+ *   Required by `compileFormat`, `compileParse`, `format`, `formatRelative`, `formatToParts` and `parse`
+ *
+ * @property {Function} formatRecurrence - the function that takes a token passed by `formatRecurrence`,
+ *   a count and the options, and returns the localized phrase of the recurrence rule description.
+ *   The options of the phrases with a day of the week contain the day as `day` property (0 - Sunday),
+ *   so the phrase can agree with its grammatical gender. Required by `formatRecurrence`
  *
  * @property {Function} formatRelative - the function that takes a token
  *   passed by `formatRelative` and two dates and returns the localized relative date format.
  *   Required by `formatRelative`
  *
  * @property {Object} localize - the object with functions used to localize various values.
- *   Required by `format` and `formatRelative`
+ *   Required by `compileFormat`, `format`, `formatRecurrence`, `formatRelative` and `formatToParts`
  * @property {Function} localize.ordinalNumber - the function that localizes an ordinal number
  * @property {Function} localize.weekday - the function that localizes a day of the week
  * @property {Function} localize.weekdays - the function that returns an array of localized days of the week
- * @property {Function} localize.month - the function that localizes a month
+ * @property {Function} localize.month - the function that localizes a month.
+ *   With the Unicode tokens, `format` passes the `context` option to it and to `localize.weekday`:
+ *   'formatting' for the names used in a date and 'standalone' for the names used on their own
  * @property {Function} localize.months - the function that returns an array of localized months
  * @property {Function} localize.timeOfDay - the function that takes hour and returns localized time of the day
  * @property {Function} localize.timesOfDay - the function that returns an array of localized times of the day
  *   without any association with hours
+ * @property {Function} [localize.timeZone] - the function that takes a date and returns localized time zone name
+ *   or GMT offset. If it's missing, `format` uses the one of the default locale
+ * @property {Function} [localize.era] - the function that takes the era index (0 - BC, 1 - AD)
+ *   and returns the localized era. If it's missing, `format` uses the one of the default locale
+ * @property {Function} [localize.eras] - the function that returns an array of localized eras
+ * @property {Function} [localize.dayPeriod] - the function that takes hour and returns the localized
+ *   flexible day period (e.g. 'in the morning'). If it's missing, `format` uses `localize.timeOfDay`
+ * @property {Function} [localize.dayPeriods] - the function that returns an array of localized flexible day periods
+ * @property {Function} [localize.quarter] - the function that takes the quarter index (0 - the first quarter)
+ *   and returns the localized quarter (e.g. '1st quarter'). If it's missing, `format` uses 'Q1' and `localize.ordinalNumber`
+ * @property {Function} [localize.quarters] - the function that returns an array of localized quarters
  *
  * @property {Object} match — the object with functions used to match and parse various localized values.
- *   Required by `parse`
+ *   Required by `compileParse` and `parse`
  * @property {Function} match.ordinalNumbers - the function that matches localized ordinal numbers
  * @property {Function} match.ordinalNumber - the function that parses localized ordinal number
  * @property {Function} match.weekdays - the function that matches localized days of the weeks
@@ -43,24 +61,31 @@
  * @property {Function} match.month - the function that parses localized month
  * @property {Function} match.timesOfDay - the function that matches localized times of the day
  * @property {Function} match.timeOfDay - the function that parses localized time of the day
+ * @property {Function} [match.eras] - the function that matches localized eras.
+ *   If it's missing, `parse` uses the one of the default locale
+ * @property {Function} [match.era] - the function that parses localized era (0 - BC, 1 - AD)
  *
- * @property {Object} [formatters] - the object with formatter functions used by `format`
- * @property {RegExp} [formattingTokensRegExp] - a RegExp used to split a format string into the token array by `format`
+ * @property {Object} [formatters] - the object with formatter functions used by `compileFormat`, `format` and `formatToParts`
+ * @property {RegExp} [formattingTokensRegExp] - a RegExp used to split a format string into the token array by `compileFormat`, `format` and `formatToParts`
  *
- * @property {Object} [units] - the object with units used by `parse`
- * @property {Object} [parsers] - the object with parsers used by `parse`
- * @property {RegExp} [parsingTokensRegExp] - a RegExp used to split a format string into the token array by `parse`
+ * @property {Object} [units] - the object with units used by `compileParse` and `parse`
+ * @property {Object} [parsers] - the object with parsers used by `compileParse` and `parse`
+ * @property {RegExp} [parsingTokensRegExp] - a RegExp used to split a format string into the token array by `compileParse` and `parse`
  *
- * @property {Object} [options] - the object with default `weekStartsOn`. See [Options]{@link https://date-fns.org/docs/Options}
+ * @property {Object} [options] - the object with default `weekStartsOn` and `firstWeekContainsDate`.
+ *   See [Options]{@link https://date-fns.org/docs/Options}
  * @property {0|1|2|3|4|5|6} [options.weekStartsOn=0] - the index of the first day of the week (0 - Sunday).
- *   Used by `differenceInCalendarWeeks`, `endOfWeek`, `isSameWeek`,
+ *   Used by `differenceInCalendarWeeks`, `endOfWeek`, `format`, `isSameWeek`,
  *   `lastDayOfWeek`, `parse`, `setDay`, and `startOfWeek`
+ * @property {1|2|3|4|5|6|7} [options.firstWeekContainsDate=1] - the day of January, which is always in
+ *   the first week of the year. Used by `format` with `options.unicodeTokens`
  *
- * @throws {RangeError} `locale` must contain `localize` property. Thrown by `format` and `formatRelative`
- * @throws {RangeError} `locale` must contain `formatLong` property. Thrown by `format`, `formatRelative` and `parse`
+ * @throws {RangeError} `locale` must contain `localize` property. Thrown by `compileFormat`, `format`, `formatRecurrence`, `formatRelative` and `formatToParts`
+ * @throws {RangeError} `locale` must contain `formatLong` property. Thrown by `compileFormat`, `compileParse`, `format`, `formatRecurrence`, `formatRelative`, `formatToParts` and `parse`
+ * @throws {RangeError} `locale` must contain `formatRecurrence` property. Thrown by `formatRecurrence`
  * @throws {RangeError} `locale` must contain `formatRelative` property. Thrown by `formatRelative`
- * @throws {RangeError} `locale` must contain `formatDistance` property. Thrown by `formatDistance` and `formatDistanceStrict`
- * @throws {RangeError} `locale` must contain `match` property. Thrown by `parse`
+ * @throws {RangeError} `locale` must contain `formatDistance` property. Thrown by `formatDistance`, `formatDistanceStrict` and `formatDuration`
+ * @throws {RangeError} `locale` must contain `match` property. Thrown by `compileParse` and `parse`
  */
 var Locale = {}
 
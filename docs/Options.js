@@ -7,43 +7,153 @@
  *
  * @typedef {Object} Options
  * @property {0|1|2|3|4|5|6} [weekStartsOn=0] - the index of the first day of the week (0 - Sunday).
- *   Used by `differenceInCalendarWeeks`, `endOfWeek`, `isSameWeek`,
- *   `lastDayOfWeek`, `parse`, `setDay`, and `startOfWeek`
+ *   Used by `compileFormat`, `compileParse`, `differenceInCalendarWeeks`, `eachOfInterval`,
+ *   `eachOfIntervalIterator`, `eachWeekOfInterval`, `eachWeekOfIntervalIterator`, `endOfWeek`, `format`,
+ *   `formatToParts`, `isSameWeek`, `lastDayOfWeek`,
+ *   `parse`, `setDay`, `splitInterval` and `startOfWeek`
+ * @property {1|2|3|4|5|6|7} [firstWeekContainsDate=1] - the day of January, which is always in
+ *   the first week of the year. Used by `compileFormat`, `format` and `formatToParts` with `unicodeTokens`
+ * @property {Number[]} [weekendDays=[0, 6]] - the indices of the weekend days of the week (0 - Sunday).
+ *   Used by `addBusinessDays`, `differenceInBusinessDays`, `isBusinessDay`, `isWeekend` and `subBusinessDays`
+ * @property {HolidayCalendar} [holidays] - the holiday calendar.
+ *   Used by `addBusinessDays`, `differenceInBusinessDays`, `eachDayOfInterval`,
+ *   `eachDayOfIntervalIterator`, `eachOfInterval`, `eachOfIntervalIterator`,
+ *   `isBusinessDay`, `isHoliday` and `subBusinessDays`.
+ *   See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
  * @property {0|1|2} [additionalDigits=2] - the additional number of digits in the extended year format.
  *   Used by all functions that take String as Date-like argument.
  *   Internally, passed to `toDate` to specify which way to convert extended year formatted String to Date.
  *   See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @property {TimeZone|String} [timeZone] - the time zone object (e.g. `date-fns/timeZone/America/New_York`)
+ *   or the offset from UTC (e.g. '+05:30') to use instead of the local time zone.
+ *   Used by `addBusinessDays`, `addDays`, `addWeeks`, `compileFormat`, `differenceInBusinessDays`,
+ *   `differenceInCalendarDays`, `endOfDay`, `format`, `formatISO`, `formatRFC3339`, `formatToParts`,
+ *   `isBusinessDay`, `isHoliday`, `isSameDay`, `isWeekend`, `parseICalDateTime`, `startOfDay`,
+ *   `subBusinessDays`, `subDays` and `subWeeks`. The other functions ignore it and use the local time zone.
+ *   See [TimeZone]{@link https://date-fns.org/docs/TimeZone}
+ * @property {TimeZone[]|Object} [timeZones] - the time zone objects that TZID parameters refer to,
+ *   e.g. `[newYork, tokyo]` or the whole `date-fns/timeZone` module. Used by `eachOccurrenceIterator`,
+ *   `formatRecurrence` and `parseRRule`
+ * @property {Date|String|Number} [relativeTo] - the date the duration is added to.
+ *   Used by `compareDurations`, `durationToMilliseconds` and `normalizeDuration`.
+ *   The durations with years or months have no fixed length without it
  * @property {Locale} [locale=defaultLocale] - the locale object.
- *   Used by `formatDistance`, `formatDistanceStrict`, `format` and `parse`.
+ *   Used by `compileFormat`, `compileParse`, `eachOfInterval`, `eachOfIntervalIterator`, `eachWeekOfInterval`,
+ *   `eachWeekOfIntervalIterator`,
+ *   `formatDistance`, `formatDistanceStrict`, `formatDuration`, `formatRecurrence`, `formatToParts`, `format`,
+ *   `parse` and `splitInterval`.
  *   See [Locale]{@link https://date-fns.org/docs/Locale}
  * @property {Boolean} [includeSeconds=false] - used by `formatDistance`.
  *   If true, distances less than a minute are more detailed
  * @property {Boolean} [addSuffix=false] - used by `formatDistance` and `formatDistanceStrict`.
  *   If true, the result will indicate if the second date is earlier or later than the first
- * @property {'s'|'m'|'h'|'d'|'M'|'Y'} [unit] - used by `formatDistanceStrict`.
- *   If specified, will force a unit
+ * @property {'s'|'m'|'h'|'d'|'M'|'Y'|'millisecond'|'second'|'minute'|'hour'|'day'|'week'|'month'|'quarter'|'year'} [unit] - the unit.
+ *   Used by `formatDistanceStrict` ('s', 'm', 'h', 'd', 'M' or 'Y'), where it forces a unit of the result,
+ *   by `eachOfInterval` and `eachOfIntervalIterator` ('minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'),
+ *   where it specifies the unit of the dates in the result,
+ *   by `splitInterval` (the same units), where it specifies the unit of the intervals in the result,
+ *   and by `getOverlappingTimeInIntervals` ('millisecond', 'second', 'minute', 'hour', 'day' or 'week'),
+ *   where it specifies the unit of the result
+ * @property {Number} [step=1] - the number of units between the dates in the result.
+ *   Used by `eachDayOfInterval`, `eachHourOfInterval`, `eachMinuteOfInterval`, `eachMonthOfInterval`,
+ *   `eachOfInterval`, `eachQuarterOfInterval`, `eachWeekOfInterval`, `eachYearOfInterval` and their `*Iterator` versions
+ *   by `findFreeSlots`, where it's the number of minutes the free slots are aligned to,
+ *   and by `splitInterval`, where it's the number of units in each interval in the result
+ * @property {Boolean} [reverse=false] - used by `eachCronOccurrenceIterator`, `eachOfInterval`,
+ *   other `each*OfInterval` functions and their `*Iterator` versions.
+ *   If true, the dates are returned from the latest to the earliest
+ * @property {Boolean} [align=true] - used by `splitInterval`.
+ *   If true, the intervals in the result start at the starts of units, otherwise at the start of the given interval
+ * @property {'[]'|'[)'|'(]'|'()'} [bounds] - whether the start and the end of an interval are included in it.
+ *   Used by all functions that take intervals, except `intervalToDuration`.
+ *   The default bounds depend on the function. See [Interval]{@link docs/types/Interval}
+ * @property {Interval} [within] - used by `findFreeSlots`. The interval to find the free slots in.
+ *   See [Interval]{@link docs/types/Interval}
+ * @property {Duration} [minDuration] - used by `findFreeSlots`. The minimal duration of a free slot.
+ *   See [Duration]{@link docs/Duration}
+ * @property {Object} [workingHours] - used by `findFreeSlots`. The start and the end of the working day,
+ *   the object with `start` and `end` properties, e.g. `{start: {hours: 9}, end: {hours: 17, minutes: 30}}`
  * @property {'floor'|'ceil'|'round'} [roundingMethod='floor'] - used by `formatDistanceStrict`.
  *   Specifies, which way to round partial units
+ * @property {String[]|'extended'|'basic'} [format] - used by `formatDuration`.
+ *   The units of the duration to include in the result, in the given order.
+ *   By default, all units from years to seconds.
+ *   Also used by `formatISO`, where it selects the extended format with the separators
+ *   or the basic format without them ('extended' by default)
+ * @property {'complete'|'date'|'time'} [representation='complete'] - used by `formatISO`.
+ *   The parts of the date to include in the result
+ * @property {0|1|2|3} [fractionDigits=0] - used by `formatISO` and `formatRFC3339`.
+ *   The number of the digits of the fraction of a second
+ * @property {Boolean} [unicodeTokens=false] - used by `compileFormat`, `format` and `formatToParts`. If true, the format string consists of
+ *   the tokens of Unicode Technical Standard #35 (e.g. 'yyyy-MM-dd') instead of the default ones
+ * @property {Boolean} [zero=false] - used by `formatDuration`. If true, the units with zero values are included
+ * @property {String} [delimiter=' '] - used by `formatDuration`. The string between the units
  *
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2.
  *   Thrown by **all** functions
  * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6.
- *   Thrown by `differenceInCalendarWeeks`, `endOfWeek`, `isSameWeek`,
- *   `lastDayOfWeek`, `parse`, `setDay`, and `startOfWeek`.
+ *   Thrown by `compileFormat`, `compileParse`, `differenceInCalendarWeeks`, `eachOfInterval`,
+ *   `eachOfIntervalIterator`, `eachWeekOfInterval`, `eachWeekOfIntervalIterator`, `endOfWeek`, `format`,
+ *   `formatToParts`, `isSameWeek`, `lastDayOfWeek`,
+ *   `parse`, `setDay`, `splitInterval` and `startOfWeek`.
+ * @throws {RangeError} `options.firstWeekContainsDate` must be between 1 and 7.
+ *   Thrown by `compileFormat`, `format` and `formatToParts` with `unicodeTokens`.
+ * @throws {RangeError} `options.weekendDays` must contain only numbers between 0 and 6.
+ *   Thrown by `addBusinessDays`, `differenceInBusinessDays`, `isBusinessDay`, `isWeekend` and `subBusinessDays`
+ * @throws {RangeError} `options.weekendDays` cannot contain every day of the week.
+ *   Thrown by `addBusinessDays` and `subBusinessDays`
+ * @throws {RangeError} `options.holidays` must contain `holidays` property.
+ *   Thrown by `addBusinessDays`, `differenceInBusinessDays`, `eachDayOfInterval`,
+ *   `eachDayOfIntervalIterator`, `eachOfInterval`, `eachOfIntervalIterator`,
+ *   `isBusinessDay`, `isHoliday` and `subBusinessDays`
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC.
+ *   Thrown by `addBusinessDays`, `addDays`, `addWeeks`, `compileFormat`, `differenceInBusinessDays`,
+ *   `differenceInCalendarDays`, `endOfDay`, `format`, `formatISO`, `formatRFC3339`, `formatToParts`,
+ *   `isBusinessDay`, `isHoliday`, `isSameDay`, `isWeekend`, `parseICalDateTime`, `startOfDay`,
+ *   `subBusinessDays`, `subDays` and `subWeeks`
+ * @throws {RangeError} TZID must be the name of a time zone in `options.timeZones`.
+ *   Thrown by `eachOccurrenceIterator`, `formatRecurrence` and `parseRRule`
  * @throws {RangeError} `options.roundingMethod` must be 'floor', 'ceil' or 'round'.
  *   Thrown by `formatDistanceStrict`
  * @throws {RangeError} `options.unit` must be 's', 'm', 'h', 'd', 'M' or 'Y'.
  *   Thrown by `formatDistanceStrict`
+ * @throws {RangeError} `options.unit` must be 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'.
+ *   Thrown by `eachOfInterval`, `eachOfIntervalIterator` and `splitInterval`
+ * @throws {RangeError} `options.unit` must be 'millisecond', 'second', 'minute', 'hour', 'day' or 'week'.
+ *   Thrown by `getOverlappingTimeInIntervals`
+ * @throws {RangeError} `options.step` must be a positive integer.
+ *   Thrown by `eachDayOfInterval`, `eachHourOfInterval`, `eachMinuteOfInterval`, `eachMonthOfInterval`,
+ *   `eachOfInterval`, `eachQuarterOfInterval`, `eachWeekOfInterval`, `eachYearOfInterval`, their `*Iterator` versions
+ *   `findFreeSlots` and `splitInterval`
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'.
+ *   Thrown by all functions that take intervals, except `intervalToDuration`
+ * @throws {RangeError} `options.workingHours` must end after they start.
+ *   Thrown by `findFreeSlots`
+ * @throws {RangeError} `options.format` must contain only duration units.
+ *   Thrown by `formatDuration`
+ * @throws {RangeError} `options.format` must be 'extended' or 'basic'.
+ *   Thrown by `formatISO`
+ * @throws {RangeError} `options.representation` must be 'complete', 'date' or 'time'.
+ *   Thrown by `formatISO`
+ * @throws {RangeError} `options.fractionDigits` must be 0, 1, 2 or 3.
+ *   Thrown by `formatISO` and `formatRFC3339`
+ * @throws {RangeError} `options.relativeTo` is required for the duration with years or months.
+ *   Thrown by `compareDurations` and `durationToMilliseconds`
+ * @throws {RangeError} `options.minDuration` cannot contain years or months.
+ *   Thrown by `findFreeSlots`
  * @throws {RangeError} `options.locale` must contain `localize` property.
- *   Thrown by `format` and `formatRelative`
+ *   Thrown by `compileFormat`, `format`, `formatRecurrence`, `formatRelative` and `formatToParts`
  * @throws {RangeError} `options.locale` must contain `formatLong` property.
- *   Thrown by `format`, `formatRelative` and `parse`
+ *   Thrown by `compileFormat`, `compileParse`, `format`, `formatRecurrence`, `formatRelative`,
+ *   `formatToParts` and `parse`
+ * @throws {RangeError} `options.locale` must contain `formatRecurrence` property.
+ *   Thrown by `formatRecurrence`
  * @throws {RangeError} `options.locale` must contain `formatRelative` property.
  *   Thrown by `formatRelative`
  * @throws {RangeError} `options.locale` must contain `formatDistance` property.
- *   Thrown by `formatDistance` and `formatDistanceStrict`
+ *   Thrown by `formatDistance`, `formatDistanceStrict` and `formatDuration`
  * @throws {RangeError} `options.locale` must contain `match` property.
- *   Thrown by `parse`
+ *   Thrown by `compileParse` and `parse`
  *
  * @example
  * // For 15 December 12345 AD, represent the start of the week in Esperanto,
@@ -0,0 +1,46 @@
+/**
+ * @category Types
+ * @summary An object that describes the recurring dates.
+ *
+ * @description
+ * An object that describes the recurring dates, the same way as the iCalendar (RFC 5545)
+ * recurrence rule with DTSTART, EXDATE and RDATE properties does.
+ * It's returned by `parseRRule` and taken by `eachOccurrenceIterator`.
+ *
+ * Unlike in RRULE, the months and the days of the week are counted from 0
+ * (January and Sunday), the same way as in `getMonth` and `getDay`.
+ *
+ * @typedef {Object} RecurrenceRule
+ * @property {Date|String|Number} [start] - the first occurrence (DTSTART). It's required to find the occurrences,
+ *   but `parseRRule` omits it if the string has no DTSTART, and `formatRecurrence` doesn't describe it
+ * @property {'yearly'|'monthly'|'weekly'|'daily'|'hourly'|'minutely'|'secondly'} freq - the frequency (FREQ)
+ * @property {Number} [interval=1] - the number of frequency units between the occurrences (INTERVAL)
+ * @property {Number} [count] - the number of the occurrences (COUNT)
+ * @property {Date|String|Number} [until] - the latest possible occurrence (UNTIL)
+ * @property {Object[]} [byDay] - the days of the week (BYDAY), the objects with `day` property
+ *   (0 - Sunday) and optional `nth` property, e.g. `{day: 5, nth: -1}` for the last Friday.
+ *   `nth` counts the days of the week in the month in the monthly rules and in the yearly rules with `byMonth`,
+ *   and in the year in the other yearly rules
+ * @property {Number[]} [byMonthDay] - the days of the month (BYMONTHDAY); -1 is the last day of the month
+ * @property {Number[]} [byMonth] - the months (BYMONTH), from 0 (January) to 11 (December)
+ * @property {Number[]} [bySetPos] - the positions of the occurrences to keep in each frequency unit (BYSETPOS);
+ *   -1 is the last occurrence
+ * @property {0|1|2|3|4|5|6} [weekStartsOn=1] - the index of the first day of the week (WKST) (0 - Sunday)
+ * @property {Date[]|String[]|Number[]} [exDates] - the dates to exclude (EXDATE)
+ * @property {Date[]|String[]|Number[]} [rDates] - the dates to add (RDATE)
+ * @property {TimeZone|String} [timeZone] - the time zone object (TZID of DTSTART) or the offset from UTC
+ *   in which the occurrences are found. By default, the local time zone
+ *
+ * @example
+ * // Every 2 weeks on Monday and Wednesday, 10 times:
+ * var rule = {
+ *   start: new Date(2014, 0, 6, 9),
+ *   freq: 'weekly',
+ *   interval: 2,
+ *   byDay: [{day: 1}, {day: 3}],
+ *   count: 10
+ * }
+ */
+var RecurrenceRule = {}
+
+module.exports = RecurrenceRule
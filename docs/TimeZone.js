@@ -0,0 +1,36 @@
+/**
+ * @category Types
+ * @summary A time zone object.
+ *
+ * @description
+ * A time zone object.
+ *
+ * Time zones are passed as `options.timeZone` to the functions that can work
+ * in a time zone other than the local one (see [Options]{@link https://date-fns.org/docs/Options})
+ * and as the second argument of `toZonedTime` and `fromZonedTime`.
+ * An offset from UTC (e.g. '+05:30') can be passed instead of a time zone object.
+ *
+ * Every zone and link of the IANA time zone database is a separate module
+ * named after the zone, so only the imported zones get into the bundle:
+ *
+ * ```javascript
+ * import newYork from 'date-fns/timeZone/America/New_York'
+ * import {asiaTokyo} from 'date-fns/timeZone'
+ * ```
+ *
+ * In `date-fns/timeZone`, the names are camel-cased, and the signs of `Etc/GMT` zones
+ * are spelled out (e.g. `americaNewYork` for `America/New_York` and `etcGMTMinus5` for `Etc/GMT-5`).
+ *
+ * @typedef {Object} TimeZone
+ *
+ * @property {String} name - the IANA time zone name (e.g. 'America/New_York').
+ *   Passed to `Intl.DateTimeFormat` to get the localized name of the time zone
+ *   and matched with TZID parameters by `parseRRule`
+ * @property {Function} info - the function that takes a timestamp and returns an object
+ *   with the offset from UTC in milliseconds (`offset`, positive to the east of Greenwich),
+ *   the abbreviation (`abbreviation`) and the daylight saving time flag (`dst`)
+ *   of the time zone at that moment. Required by all functions that accept time zones
+ */
+var TimeZone = {}
+
+module.exports = TimeZone
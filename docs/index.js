@@ -6,7 +6,10 @@ module.exports = {
     'Types',
     'Common Helpers',
     'Interval Helpers',
+    'Duration Helpers',
+    'Recurrence Helpers',
     'Timestamp Helpers',
+    'Time Zone Helpers',
     'Millisecond Helpers',
     'Second Helpers',
     'Minute Helpers',
@@ -92,11 +95,32 @@ module.exports = {
     {
       fullPath: path.join(__dirname, 'Interval.js')
     },
+    {
+      fullPath: path.join(__dirname, 'Duration.js')
+    },
+    {
+      fullPath: path.join(__dirname, 'DateIterator.js')
+    },
+    {
+      fullPath: path.join(__dirname, 'IntervalIndex.js')
+    },
+    {
+      fullPath: path.join(__dirname, 'RecurrenceRule.js')
+    },
+    {
+      fullPath: path.join(__dirname, 'CronSchedule.js')
+    },
     {
       fullPath: path.join(__dirname, 'Options.js')
     },
     {
       fullPath: path.join(__dirname, 'Locale.js')
+    },
+    {
+      fullPath: path.join(__dirname, 'HolidayCalendar.js')
+    },
+    {
+      fullPath: path.join(__dirname, 'TimeZone.js')
     }
   ]
 }
@@ -0,0 +1,18 @@
+const path = require('path')
+const fs = require('fs')
+
+const ignoredFiles = ['index.js', 'test.js', 'index.js.flow']
+
+module.exports = listHolidayCalendars
+
+function listHolidayCalendars () {
+  const calendars = fs.readdirSync(path.join(process.cwd(), 'src', 'holidays'))
+  return calendars
+    .filter((file) => /^[^._]/.test(file) && !ignoredFiles.includes(file))
+    .map((calendar) => ({
+      name: calendar.replace(/-/g, ''),
+      code: calendar,
+      path: `./${calendar}`,
+      fullPath: `./src/holidays/${calendar}/index.js`
+    }))
+}
@@ -0,0 +1,41 @@
+const path = require('path')
+const fs = require('fs')
+
+module.exports = listTimeZones
+
+// Time zones are nested like their IANA names (e.g. `America/Argentina/Buenos_Aires`),
+// so every directory with `index.js` except `_lib` is a time zone
+function listTimeZones () {
+  return findTimeZones(path.join(process.cwd(), 'src', 'timeZone'), '')
+    .sort()
+    .map((timeZone) => ({
+      name: getIdentifier(timeZone),
+      code: timeZone,
+      path: `./${timeZone}`,
+      fullPath: `./src/timeZone/${timeZone}/index.js`
+    }))
+}
+
+// America/New_York -> americaNewYork, Etc/GMT-5 -> etcGMTMinus5
+function getIdentifier (timeZone) {
+  return timeZone
+    .replace(/-(?=\d)/g, '/Minus')
+    .replace(/\+/g, '/Plus')
+    .split(/[/_-]/)
+    .map((word, index) => index === 0
+      ? word.toLowerCase()
+      : word.charAt(0).toUpperCase() + word.slice(1))
+    .join('')
+}
+
+function findTimeZones (dir, prefix) {
+  return fs.readdirSync(dir)
+    .filter((file) => /^[^._]/.test(file) && fs.statSync(path.join(dir, file)).isDirectory())
+    .reduce((timeZones, file) => {
+      const timeZone = prefix + file
+      const nested = findTimeZones(path.join(dir, file), `${timeZone}/`)
+      return fs.existsSync(path.join(dir, file, 'index.js'))
+        ? timeZones.concat(timeZone, nested)
+        : timeZones.concat(nested)
+    }, [])
+}
@@ -38,9 +38,16 @@ const getFlowFPTypeAliases = (arity = 4) => [
   `
 ].slice(0, arity)
 
+// The types that are documented as objects but are native to Flow.
+// Flow's `Iterator` is already iterable, so `DateIterator` works in `for...of` loops;
+// intersecting it with `Iterable` makes Flow unable to pick the `@@iterator` to use
+const nativeTypeAliases = {
+  DateIterator: 'Iterator<Date> & {return: (value?: any) => IteratorResult<Date, any>}'
+}
+
 function getFlowTypeAlias (type) {
   const {title, properties} = type
-  return `type ${title} = ${getParams(properties)}`
+  return `type ${title} = ${nativeTypeAliases[title] || getParams(properties)}`
 }
 
 function generateFlowFnTyping (fn, aliasDeclarations) {
@@ -151,9 +158,71 @@ function generateFlowLocaleIndexTyping (locales, localeAliasDeclaration) {
   fs.writeFileSync(filename, typingFile)
 }
 
-function generateFlowTypings (fns, aliases, locales) {
+function generateFlowHolidayCalendarTyping (holidayCalendar, holidayCalendarAliasDeclaration) {
+  const {fullPath} = holidayCalendar
+  const filename = `${fullPath}.flow`
+
+  const typingFile = formatFlowFile`
+    ${holidayCalendarAliasDeclaration}
+
+    declare module.exports: HolidayCalendar
+  `
+
+  fs.writeFileSync(filename, typingFile)
+}
+
+function generateFlowHolidayCalendarIndexTyping (holidayCalendars, holidayCalendarAliasDeclaration) {
+  const filename = './src/holidays/index.js.flow'
+
+  const typingFile = formatFlowFile`
+    ${holidayCalendarAliasDeclaration}
+
+    declare module.exports: {
+      ${addSeparator(
+        holidayCalendars.map(({name}) => `${name}: HolidayCalendar`),
+        ','
+      )}
+    }
+  `
+
+  fs.writeFileSync(filename, typingFile)
+}
+
+function generateFlowTimeZoneTyping (timeZone, timeZoneAliasDeclaration) {
+  const {fullPath} = timeZone
+  const filename = `${fullPath}.flow`
+
+  const typingFile = formatFlowFile`
+    ${timeZoneAliasDeclaration}
+
+    declare module.exports: TimeZone
+  `
+
+  fs.writeFileSync(filename, typingFile)
+}
+
+function generateFlowTimeZoneIndexTyping (timeZones, timeZoneAliasDeclaration) {
+  const filename = './src/timeZone/index.js.flow'
+
+  const typingFile = formatFlowFile`
+    ${timeZoneAliasDeclaration}
+
+    declare module.exports: {
+      ${addSeparator(
+        timeZones.map(({name}) => `${name}: TimeZone`),
+        ','
+      )}
+    }
+  `
+
+  fs.writeFileSync(filename, typingFile)
+}
+
+function generateFlowTypings (fns, aliases, locales, holidayCalendars, timeZones) {
   const aliasDeclarations = aliases.map(getFlowTypeAlias)
   const localeAliasDeclaration = getFlowTypeAlias(aliases.find((alias) => alias.title === 'Locale'))
+  const holidayCalendarAliasDeclaration = getFlowTypeAlias(aliases.find((alias) => alias.title === 'HolidayCalendar'))
+  const timeZoneAliasDeclaration = getFlowTypeAlias(aliases.find((alias) => alias.title === 'TimeZone'))
 
   fns.forEach((fn, index) => {
     if (fn.isFPFn) {
@@ -169,7 +238,17 @@ function generateFlowTypings (fns, aliases, locales) {
 
   generateFlowFnIndexTyping(fns.filter(({isFPFn}) => !isFPFn), aliasDeclarations)
   generateFlowFPFnIndexTyping(fns.filter(({isFPFn}) => isFPFn), aliasDeclarations)
+  holidayCalendars.forEach((holidayCalendar) => {
+    generateFlowHolidayCalendarTyping(holidayCalendar, holidayCalendarAliasDeclaration)
+  })
+
+  timeZones.forEach((timeZone) => {
+    generateFlowTimeZoneTyping(timeZone, timeZoneAliasDeclaration)
+  })
+
   generateFlowLocaleIndexTyping(locales, localeAliasDeclaration)
+  generateFlowHolidayCalendarIndexTyping(holidayCalendars, holidayCalendarAliasDeclaration)
+  generateFlowTimeZoneIndexTyping(timeZones, timeZoneAliasDeclaration)
 }
 
 module.exports = {
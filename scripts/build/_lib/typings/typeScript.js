@@ -49,11 +49,17 @@ const getTypeScriptFPInterfaces = (arity = 4) => [
   `
 ].slice(0, arity)
 
+// The types that are documented as objects but are native to TypeScript.
+// `DateIterator` has to be `Iterable` to be used in `for...of` loops and spread into arrays
+const nativeTypeAliases = {
+  DateIterator: 'IterableIterator<Date>'
+}
+
 function getTypeScriptTypeAlias (type) {
   const {title, properties} = type
 
   return formatBlock`
-    type ${title} = ${getParams(properties)}
+    type ${title} = ${nativeTypeAliases[title] || getParams(properties)}
   `
 }
 
@@ -190,6 +196,94 @@ function getTypeScriptLocaleModuleDefinition (submodule, localeSuffix, isDefault
   }
 }
 
+function getTypeScriptHolidayCalendarIndexModuleDefinition (submodule, holidayCalendars) {
+  const moduleName = `date-fns${submodule}/holidays`
+
+  const holidayCalendarsDefinitions = holidayCalendars.map(getTypeScriptHolidayCalendarDefinition)
+
+  const definition = formatBlock`
+    declare module '${moduleName}' {
+      ${addSeparator(holidayCalendarsDefinitions, '\n')}
+    }
+  `
+
+  return {
+    name: moduleName,
+    definition
+  }
+}
+
+function getTypeScriptHolidayCalendarDefinition (holidayCalendar) {
+  const {name} = holidayCalendar
+
+  return formatBlock`
+    const ${name}: HolidayCalendar
+    namespace ${name} {}
+  `
+}
+
+function getTypeScriptHolidayCalendarModuleDefinition (submodule, holidayCalendarSuffix, isDefault, holidayCalendar) {
+  const code = holidayCalendar.code
+  const moduleName = `date-fns${submodule}/holidays/${code}${holidayCalendarSuffix}`
+  const {name} = holidayCalendar
+
+  const definition = formatBlock`
+    declare module '${moduleName}' {
+      import {${name}} from 'date-fns${submodule}/holidays'
+      export ${isDefault ? 'default' : '='} ${name}
+    }
+  `
+
+  return {
+    name: moduleName,
+    definition
+  }
+}
+
+function getTypeScriptTimeZoneIndexModuleDefinition (submodule, timeZones) {
+  const moduleName = `date-fns${submodule}/timeZone`
+
+  const timeZonesDefinitions = timeZones.map(getTypeScriptTimeZoneDefinition)
+
+  const definition = formatBlock`
+    declare module '${moduleName}' {
+      ${addSeparator(timeZonesDefinitions, '\n')}
+    }
+  `
+
+  return {
+    name: moduleName,
+    definition
+  }
+}
+
+function getTypeScriptTimeZoneDefinition (timeZone) {
+  const {name} = timeZone
+
+  return formatBlock`
+    const ${name}: TimeZone
+    namespace ${name} {}
+  `
+}
+
+function getTypeScriptTimeZoneModuleDefinition (submodule, timeZoneSuffix, isDefault, timeZone) {
+  const code = timeZone.code
+  const moduleName = `date-fns${submodule}/timeZone/${code}${timeZoneSuffix}`
+  const {name} = timeZone
+
+  const definition = formatBlock`
+    declare module '${moduleName}' {
+      import {${name}} from 'date-fns${submodule}/timeZone'
+      export ${isDefault ? 'default' : '='} ${name}
+    }
+  `
+
+  return {
+    name: moduleName,
+    definition
+  }
+}
+
 function getTypeScriptInterfaceDefinition (fn) {
   const {title, args, content} = fn
   const params = getParams(args, {leftBorder: '(', rightBorder: ')'})
@@ -222,7 +316,23 @@ function generateTypescriptLocaleTyping (locale) {
   fs.writeFileSync(`./src/locale/${locale.code}/index.d.ts`, typingFile)
 }
 
-function generateTypeScriptTypings (fns, aliases, locales) {
+function generateTypescriptHolidayCalendarTyping (holidayCalendar) {
+  const typingFile = formatTypeScriptFile`
+    import {${holidayCalendar.name}} from 'date-fns/holidays'
+    export = ${holidayCalendar.name}
+  `
+  fs.writeFileSync(`./src/holidays/${holidayCalendar.code}/index.d.ts`, typingFile)
+}
+
+function generateTypescriptTimeZoneTyping (timeZone) {
+  const typingFile = formatTypeScriptFile`
+    import {${timeZone.name}} from 'date-fns/timeZone'
+    export = ${timeZone.name}
+  `
+  fs.writeFileSync(`./src/timeZone/${timeZone.code}/index.d.ts`, typingFile)
+}
+
+function generateTypeScriptTypings (fns, aliases, locales, holidayCalendars, timeZones) {
   const nonFPFns = fns.filter(fn => !fn.isFPFn)
   const fpFns = fns.filter(fn => fn.isFPFn)
 
@@ -265,6 +375,30 @@ function generateTypeScriptTypings (fns, aliases, locales) {
     .concat(locales.map(getTypeScriptLocaleModuleDefinition.bind(null, '/esm', '/index.js', true)))
     .map(module => module.definition)
 
+  const holidayCalendarModuleDefinitions = [getTypeScriptHolidayCalendarIndexModuleDefinition('', holidayCalendars)]
+    .concat(holidayCalendars.map(getTypeScriptHolidayCalendarModuleDefinition.bind(null, '', '', false)))
+    .concat(holidayCalendars.map(getTypeScriptHolidayCalendarModuleDefinition.bind(null, '', '/index', false)))
+    .concat(holidayCalendars.map(getTypeScriptHolidayCalendarModuleDefinition.bind(null, '', '/index.js', false)))
+    .map(module => module.definition)
+
+  const esmHolidayCalendarModuleDefinitions = [getTypeScriptHolidayCalendarIndexModuleDefinition('/esm', holidayCalendars)]
+    .concat(holidayCalendars.map(getTypeScriptHolidayCalendarModuleDefinition.bind(null, '/esm', '', true)))
+    .concat(holidayCalendars.map(getTypeScriptHolidayCalendarModuleDefinition.bind(null, '/esm', '/index', true)))
+    .concat(holidayCalendars.map(getTypeScriptHolidayCalendarModuleDefinition.bind(null, '/esm', '/index.js', true)))
+    .map(module => module.definition)
+
+  const timeZoneModuleDefinitions = [getTypeScriptTimeZoneIndexModuleDefinition('', timeZones)]
+    .concat(timeZones.map(getTypeScriptTimeZoneModuleDefinition.bind(null, '', '', false)))
+    .concat(timeZones.map(getTypeScriptTimeZoneModuleDefinition.bind(null, '', '/index', false)))
+    .concat(timeZones.map(getTypeScriptTimeZoneModuleDefinition.bind(null, '', '/index.js', false)))
+    .map(module => module.definition)
+
+  const esmTimeZoneModuleDefinitions = [getTypeScriptTimeZoneIndexModuleDefinition('/esm', timeZones)]
+    .concat(timeZones.map(getTypeScriptTimeZoneModuleDefinition.bind(null, '/esm', '', true)))
+    .concat(timeZones.map(getTypeScriptTimeZoneModuleDefinition.bind(null, '/esm', '/index', true)))
+    .concat(timeZones.map(getTypeScriptTimeZoneModuleDefinition.bind(null, '/esm', '/index.js', true)))
+    .map(module => module.definition)
+
   const globalInterfaceDefinition = formatBlock`
     interface dateFns {
       ${addSeparator(
@@ -307,6 +441,22 @@ function generateTypeScriptTypings (fns, aliases, locales) {
 
     ${addSeparator(esmLocaleModuleDefinitions, '\n')}
 
+    // Regular Holiday Calendars
+
+    ${addSeparator(holidayCalendarModuleDefinitions, '\n')}
+
+    // ECMAScript Module Holiday Calendars
+
+    ${addSeparator(esmHolidayCalendarModuleDefinitions, '\n')}
+
+    // Regular Time Zones
+
+    ${addSeparator(timeZoneModuleDefinitions, '\n')}
+
+    // ECMAScript Module Time Zones
+
+    ${addSeparator(esmTimeZoneModuleDefinitions, '\n')}
+
     // dateFns Global Interface
 
     ${globalInterfaceDefinition}
@@ -325,6 +475,14 @@ function generateTypeScriptTypings (fns, aliases, locales) {
   locales.forEach((locale) => {
     generateTypescriptLocaleTyping(locale)
   })
+
+  holidayCalendars.forEach((holidayCalendar) => {
+    generateTypescriptHolidayCalendarTyping(holidayCalendar)
+  })
+
+  timeZones.forEach((timeZone) => {
+    generateTypescriptTimeZoneTyping(timeZone)
+  })
 }
 
 module.exports = {
@@ -12,19 +12,27 @@ const path = require('path')
 const listFns = require('../_lib/listFns')
 const listFPFns = require('../_lib/listFPFns')
 const listLocales = require('../_lib/listLocales')
+const listHolidayCalendars = require('../_lib/listHolidayCalendars')
+const listTimeZones = require('../_lib/listTimeZones')
 
 const generatedAutomaticallyMessage = "// This file is generated automatically by `scripts/build/indices.js`. Please, don't change it."
 
 const fns = listFns()
 const fpFns = listFPFns()
 const locales = listLocales()
+const holidayCalendars = listHolidayCalendars()
+const timeZones = listTimeZones()
 
 fs.writeFileSync(path.join(process.cwd(), 'src', 'index.js'), generateIndex(fns))
 fs.writeFileSync(path.join(process.cwd(), 'src', 'fp', 'index.js'), generateIndex(fpFns))
 fs.writeFileSync(path.join(process.cwd(), 'src', 'locale', 'index.js'), generateIndex(locales))
+fs.writeFileSync(path.join(process.cwd(), 'src', 'holidays', 'index.js'), generateIndex(holidayCalendars))
+fs.writeFileSync(path.join(process.cwd(), 'src', 'timeZone', 'index.js'), generateIndex(timeZones))
 fs.writeFileSync(path.join(process.cwd(), 'src', 'esm', 'index.js'), generateESMIndex(fns))
 fs.writeFileSync(path.join(process.cwd(), 'src', 'esm', 'fp', 'index.js'), generateESMIndex(fpFns))
 fs.writeFileSync(path.join(process.cwd(), 'src', 'esm', 'locale', 'index.js'), generateESMIndex(locales))
+fs.writeFileSync(path.join(process.cwd(), 'src', 'esm', 'holidays', 'index.js'), generateESMIndex(holidayCalendars))
+fs.writeFileSync(path.join(process.cwd(), 'src', 'esm', 'timeZone', 'index.js'), generateESMIndex(timeZones))
 
 function generateIndex (files) {
   const propertyRequireLines = files
@@ -45,6 +45,8 @@ cp ./src/index.js.flow "$dir/esm/index.js.flow"
 cp ./src/esm/index.js "$dir/esm/index.js"
 cp ./src/esm/fp/index.js "$dir/esm/fp/index.js"
 cp ./src/esm/locale/index.js "$dir/esm/locale/index.js"
+cp ./src/esm/holidays/index.js "$dir/esm/holidays/index.js"
+cp ./src/esm/timeZone/index.js "$dir/esm/timeZone/index.js"
 
 # Copy basic files
 for pattern in CHANGELOG.md \
@@ -75,6 +77,24 @@ do
   cp scripts/build/templates/subSubModulePackage.json "$locale/package.json"
 done
 
+# Copy TypeScript's sub_sub_module_package.json to holiday calendar directories
+for calendar in $dir/holidays/*/
+do
+  calendar=${calendar%*/}
+  cp scripts/build/templates/subSubModulePackage.json "$calendar/package.json"
+done
+
+# Write TypeScript's package.json to time zone directories,
+# which are nested like the IANA time zone names (e.g. timeZone/America/Argentina/Buenos_Aires)
+for zone in $(cd "$dir" && find timeZone esm/timeZone -mindepth 1 -type d -not -path "*/_lib*")
+do
+  if [ -f "$dir/$zone/index.js" ]
+  then
+    up=$(echo "$zone" | sed 's/[^/][^/]*/../g')
+    printf '{\n  "typings": "%s/typings.d.ts",\n  "side-effects": false\n}\n' "$up" > "$dir/$zone/package.json"
+  fi
+done
+
 # Copy TypeScript's sub_sub_module_package.json to es directories
 for esmModule in $dir/esm/*/
 do
@@ -89,6 +109,13 @@ do
   cp scripts/build/templates/subSubSubModulePackage.json "$esmLocale/package.json"
 done
 
+# Copy TypeScript's sub_sub_sub_module_package.json to es holiday calendar directories
+for esmCalendar in $dir/esm/holidays/*/
+do
+  esmCalendar=${esmCalendar%*/}
+  cp scripts/build/templates/subSubSubModulePackage.json "$esmCalendar/package.json"
+done
+
 # Copy TypeScript's sub_sub_sub_module_package.json to fp locale directories
 for esmFPModule in $dir/esm/fp/*/
 do
@@ -0,0 +1,317 @@
+#!/usr/bin/env node
+
+/**
+ * @file
+ * The script generates the time zone modules `src/timeZone/<IANA time zone name>/index.js`
+ * (e.g. `src/timeZone/America/New_York/index.js`) that are passed
+ * to `toZonedTime`, `fromZonedTime` and `options.timeZone`.
+ *
+ * Zone and link names are read from `tzdata.zi` of the IANA time zone database
+ * (`/usr/share/zoneinfo/tzdata.zi` by default or the path passed as the first argument).
+ * Offsets and abbreviations are computed with `Intl.DateTimeFormat`,
+ * so Node.js must be built with full ICU data of the same tz release.
+ *
+ * Every zone and link gets its own module, so only the imported zones are bundled.
+ * Each zone is stored as a list of POSIX TZ strings separated with the UTC timestamps
+ * (in seconds, base 36) of the moments when the next rule takes effect.
+ * Years from 1970 to 2037 are covered; the last rule is used for the later dates.
+ *
+ * It's not a part of the build process. Run it after a new tz release.
+ */
+
+require('babel-register')
+
+const fs = require('fs')
+const path = require('path')
+const tzParseRule = require('../../src/timeZone/_lib/tzParseRule')
+const tzRuleInfo = require('../../src/timeZone/_lib/tzRuleInfo')
+
+const generatedAutomaticallyMessage = "// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it."
+
+const FIRST_YEAR = 1970
+const LAST_YEAR = 2037
+const MILLISECONDS_IN_SECOND = 1000
+const MILLISECONDS_IN_HOUR = 3600000
+const MILLISECONDS_IN_DAY = 86400000
+
+const tzdataPath = process.argv[2] || '/usr/share/zoneinfo/tzdata.zi'
+const tzdata = fs.readFileSync(tzdataPath, 'utf8').split('\n')
+const version = (/^# version (\S+)/.exec(tzdata[0]) || [])[1]
+
+const zoneNames = tzdata
+  .filter(line => /^Z /.test(line))
+  .map(line => line.split(' ')[1])
+  .sort()
+const linkPairs = tzdata
+  .filter(line => /^L /.test(line))
+  .map(line => line.split(' ').slice(1, 3))
+
+const zones = {}
+const links = {}
+
+zoneNames.forEach(name => {
+  let segments
+  try {
+    segments = getSegments(name)
+  } catch (err) {
+    console.warn(`Skipping ${name}: ${err.message}`)
+    return
+  }
+
+  zones[name] = serializeEras(buildEras(segments))
+})
+
+linkPairs.forEach(([target, name]) => {
+  const resolvedTarget = links[target] || target
+  if (zones[resolvedTarget]) {
+    links[name] = resolvedTarget
+  }
+})
+
+Object.keys(zones).concat(Object.keys(links)).forEach(name => {
+  const dir = path.join(process.cwd(), 'src', 'timeZone', name)
+  makeDir(dir)
+  fs.writeFileSync(path.join(dir, 'index.js'), generateModule(name, zones[links[name] || name]))
+})
+
+function makeDir (dir) {
+  if (!fs.existsSync(dir)) {
+    makeDir(path.dirname(dir))
+    fs.mkdirSync(dir)
+  }
+}
+
+function generateModule (name, data) {
+  const libPath = '../'.repeat(name.split('/').length) + '_lib/buildTimeZone/index.js'
+  return [
+    generatedAutomaticallyMessage,
+    '',
+    `import buildTimeZone from '${libPath}'`,
+    '',
+    '/**',
+    ' * @type {TimeZone}',
+    ' * @category Time Zones',
+    ` * @summary ${name} time zone (IANA time zone database ${version}).`,
+    ' */',
+    `var timeZone = buildTimeZone('${name}', '${data}')`,
+    '',
+    'export default timeZone',
+    ''
+  ].join('\n')
+}
+
+// Returns the list of periods with constant offset and abbreviation
+function getSegments (timeZone) {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    timeZoneName: 'short'
+  })
+  const getInfo = timestamp => {
+    const parts = {}
+    formatter.formatToParts(new Date(timestamp)).forEach(part => {
+      parts[part.type] = part.value
+    })
+    const localTime = Date.UTC(
+      parts.year, parts.month - 1, parts.day,
+      parts.hour, parts.minute, parts.second
+    )
+    return {
+      offset: localTime - Math.floor(timestamp / MILLISECONDS_IN_SECOND) * MILLISECONDS_IN_SECOND,
+      abbreviation: parts.timeZoneName
+    }
+  }
+  const isSame = (a, b) => a.offset === b.offset && a.abbreviation === b.abbreviation
+
+  const start = Date.UTC(FIRST_YEAR, 0, 1)
+  const end = Date.UTC(LAST_YEAR + 1, 0, 1)
+  const segments = [Object.assign({from: -Infinity}, getInfo(start))]
+
+  for (let time = start + MILLISECONDS_IN_DAY; time <= end; time += MILLISECONDS_IN_DAY) {
+    const info = getInfo(time)
+    let lastSegment = segments[segments.length - 1]
+
+    // Find every change between the previous and the current day
+    while (!isSame(info, lastSegment)) {
+      let low = Math.max(time - MILLISECONDS_IN_DAY, lastSegment.from)
+      let high = time
+      while (high - low > MILLISECONDS_IN_SECOND) {
+        const middle = low + Math.floor((high - low) / 2 / MILLISECONDS_IN_SECOND) * MILLISECONDS_IN_SECOND
+        if (isSame(getInfo(middle), lastSegment)) {
+          low = middle
+        } else {
+          high = middle
+        }
+      }
+      lastSegment = Object.assign({from: high}, getInfo(high))
+      segments.push(lastSegment)
+    }
+  }
+
+  return segments
+}
+
+function getSegmentAt (segments, timestamp) {
+  let low = 0
+  let high = segments.length - 1
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (segments[middle].from <= timestamp) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return segments[low]
+}
+
+// Splits the covered years into eras with a single POSIX TZ rule each.
+// A year that can't be described by a rule gets a fixed offset era
+// for every period between its transitions.
+function buildEras (segments) {
+  const eras = []
+  const pushEra = (from, rule) => {
+    const lastEra = eras[eras.length - 1]
+    if (!lastEra || lastEra.rule !== rule) {
+      eras.push({from, rule})
+    }
+  }
+
+  for (let year = FIRST_YEAR; year <= LAST_YEAR; year++) {
+    const yearStart = Date.UTC(year, 0, 1)
+    const yearEnd = Date.UTC(year + 1, 0, 1)
+    const lastEra = eras[eras.length - 1]
+
+    if (lastEra && isReproduced(lastEra.rule, segments, yearStart, yearEnd)) {
+      continue
+    }
+
+    const rule = getYearRule(segments, yearStart, yearEnd)
+    if (rule && isReproduced(rule, segments, yearStart, yearEnd)) {
+      pushEra(yearStart, rule)
+      continue
+    }
+
+    pushEra(yearStart, getFixedRule(getSegmentAt(segments, yearStart)))
+    segments
+      .filter(segment => segment.from >= yearStart && segment.from < yearEnd)
+      .forEach(segment => pushEra(segment.from, getFixedRule(segment)))
+  }
+
+  return eras
+}
+
+function serializeEras (eras) {
+  return eras
+    .map((era, index) => index === 0
+      ? era.rule
+      : (era.from / MILLISECONDS_IN_SECOND).toString(36) + '|' + era.rule)
+    .join('|')
+}
+
+function getYearRule (segments, yearStart, yearEnd) {
+  const transitions = segments.filter(segment => segment.from >= yearStart && segment.from < yearEnd)
+  const initial = getSegmentAt(segments, yearStart)
+
+  if (transitions.length === 0) {
+    return getFixedRule(initial)
+  }
+
+  if (
+    transitions.length !== 2 ||
+    transitions[1].offset !== initial.offset ||
+    transitions[1].abbreviation !== initial.abbreviation ||
+    transitions[0].offset === initial.offset
+  ) {
+    return null
+  }
+
+  let std, dst, startTime, endTime
+  if (transitions[0].offset > initial.offset) {
+    std = initial
+    dst = transitions[0]
+    startTime = transitions[0].from
+    endTime = transitions[1].from
+  } else {
+    std = transitions[0]
+    dst = initial
+    startTime = transitions[1].from
+    endTime = transitions[0].from
+  }
+
+  return getFixedRule(std) +
+    formatAbbreviation(dst.abbreviation) +
+    (dst.offset - std.offset === MILLISECONDS_IN_HOUR ? '' : formatOffset(dst.offset)) +
+    ',' + formatTransition(startTime + std.offset) +
+    ',' + formatTransition(endTime + dst.offset)
+}
+
+function getFixedRule (segment) {
+  return formatAbbreviation(segment.abbreviation) + formatOffset(segment.offset)
+}
+
+function formatAbbreviation (abbreviation) {
+  return /^[A-Za-z]{3,}$/.test(abbreviation) ? abbreviation : `<${abbreviation}>`
+}
+
+// POSIX TZ offsets are positive to the west of Greenwich
+function formatOffset (offset) {
+  return (offset > 0 ? '-' : '') + formatTime(Math.abs(offset))
+}
+
+function formatTime (time) {
+  const seconds = Math.round(time / MILLISECONDS_IN_SECOND)
+  const hours = Math.floor(seconds / 3600)
+  const minutes = Math.floor(seconds % 3600 / 60)
+  const restSeconds = seconds % 60
+  return String(hours) +
+    (minutes || restSeconds ? ':' + pad(minutes) : '') +
+    (restSeconds ? ':' + pad(restSeconds) : '')
+}
+
+function pad (number) {
+  return (number < 10 ? '0' : '') + number
+}
+
+// Formats the wall clock time of the transition as `Mm.w.d[/time]`
+function formatTransition (localTime) {
+  const date = new Date(localTime)
+  const dayOfMonth = date.getUTCDate()
+  const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate()
+  const week = dayOfMonth > daysInMonth - 7 ? 5 : Math.ceil(dayOfMonth / 7)
+  const time = localTime - Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), dayOfMonth)
+
+  return `M${date.getUTCMonth() + 1}.${week}.${date.getUTCDay()}` +
+    (time === 2 * MILLISECONDS_IN_HOUR ? '' : '/' + formatTime(time))
+}
+
+// Checks that the rule gives the same offsets and abbreviations
+// as the tz database at every transition and every day of the period
+function isReproduced (ruleString, segments, from, to) {
+  const rule = tzParseRule(ruleString)
+  const matches = timestamp => {
+    const expected = getSegmentAt(segments, timestamp)
+    const actual = tzRuleInfo(rule, timestamp)
+    return actual.offset === expected.offset && actual.abbreviation === expected.abbreviation
+  }
+
+  const transitionsMatch = segments
+    .filter(segment => segment.from >= from && segment.from < to)
+    .every(segment => matches(segment.from) && matches(segment.from - MILLISECONDS_IN_SECOND))
+  if (!transitionsMatch) {
+    return false
+  }
+
+  for (let time = from; time < to; time += MILLISECONDS_IN_DAY / 4) {
+    if (!matches(time)) {
+      return false
+    }
+  }
+  return true
+}
@@ -9,12 +9,16 @@
 
 const path = require('path')
 const listLocales = require('../_lib/listLocales')
+const listHolidayCalendars = require('../_lib/listHolidayCalendars')
+const listTimeZones = require('../_lib/listTimeZones')
 const jsDocs = require(path.resolve(process.cwd(), 'tmp/docs.json'))
 
 const { generateTypeScriptTypings } = require('./_lib/typings/typeScript')
 const { generateFlowTypings } = require('./_lib/typings/flow')
 
 const locales = listLocales()
+const holidayCalendars = listHolidayCalendars()
+const timeZones = listTimeZones()
 
 const fns = Object.keys(jsDocs)
   .map(category => jsDocs[category])
@@ -24,5 +28,5 @@ const fns = Object.keys(jsDocs)
 
 const aliases = jsDocs['Types']
 
-generateTypeScriptTypings(fns, aliases, locales)
-generateFlowTypings(fns, aliases, locales)
+generateTypeScriptTypings(fns, aliases, locales, holidayCalendars, timeZones)
+generateFlowTypings(fns, aliases, locales, holidayCalendars, timeZones)
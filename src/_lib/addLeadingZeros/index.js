@@ -0,0 +1,9 @@
+// Returns the absolute value of the number padded with zeros to the target length.
+// The sign of the number is dropped, so the callers prepend it themselves.
+export default function addLeadingZeros (number, targetLength) {
+  var output = Math.abs(number).toString()
+  while (output.length < targetLength) {
+    output = '0' + output
+  }
+  return output
+}
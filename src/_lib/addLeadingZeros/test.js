@@ -0,0 +1,20 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import addLeadingZeros from '.'
+
+describe('addLeadingZeros', function () {
+  it('pads the number with zeros to the target length', function () {
+    assert(addLeadingZeros(7, 2) === '07')
+    assert(addLeadingZeros(7, 4) === '0007')
+  })
+
+  it('does not truncate the number that is longer than the target length', function () {
+    assert(addLeadingZeros(12345, 4) === '12345')
+  })
+
+  it('drops the sign of the number', function () {
+    assert(addLeadingZeros(-5, 2) === '05')
+  })
+})
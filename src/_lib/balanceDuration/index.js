@@ -0,0 +1,49 @@
+import addYears from '../../addYears/index.js'
+import addMonths from '../../addMonths/index.js'
+import addDays from '../../addDays/index.js'
+import addHours from '../../addHours/index.js'
+import addMinutes from '../../addMinutes/index.js'
+import differenceInYears from '../../differenceInYears/index.js'
+import differenceInMonths from '../../differenceInMonths/index.js'
+import differenceInDays from '../../differenceInDays/index.js'
+import differenceInHours from '../../differenceInHours/index.js'
+import differenceInMinutes from '../../differenceInMinutes/index.js'
+import differenceInMilliseconds from '../../differenceInMilliseconds/index.js'
+
+var MILLISECONDS_IN_SECOND = 1000
+
+// Splits the time between the dates into full years, months, days, hours and minutes,
+// counted from the start date with `differenceIn*` functions, and seconds with the fraction.
+// If the end date is before the start date, all values are negative.
+export default function balanceDuration (startDate, endDate, dirtyOptions) {
+  var years = differenceInYears(endDate, startDate, dirtyOptions)
+  var remainingStartDate = addYears(startDate, years, dirtyOptions)
+
+  var months = differenceInMonths(endDate, remainingStartDate, dirtyOptions)
+  remainingStartDate = addMonths(remainingStartDate, months, dirtyOptions)
+
+  var days = differenceInDays(endDate, remainingStartDate, dirtyOptions)
+  remainingStartDate = addDays(remainingStartDate, days, dirtyOptions)
+
+  var hours = differenceInHours(endDate, remainingStartDate, dirtyOptions)
+  remainingStartDate = addHours(remainingStartDate, hours, dirtyOptions)
+
+  var minutes = differenceInMinutes(endDate, remainingStartDate, dirtyOptions)
+  remainingStartDate = addMinutes(remainingStartDate, minutes, dirtyOptions)
+
+  var seconds = differenceInMilliseconds(endDate, remainingStartDate, dirtyOptions) / MILLISECONDS_IN_SECOND
+
+  return {
+    years: toPositiveZero(years),
+    months: toPositiveZero(months),
+    days: toPositiveZero(days),
+    hours: toPositiveZero(hours),
+    minutes: toPositiveZero(minutes),
+    seconds: toPositiveZero(seconds)
+  }
+}
+
+// `differenceIn*` functions return -0 for the dates in the past; -0 + 0 is 0
+function toPositiveZero (value) {
+  return value + 0
+}
@@ -0,0 +1,34 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import balanceDuration from '.'
+
+describe('balanceDuration', function () {
+  it('splits the time between the dates into units', function () {
+    var result = balanceDuration(
+      new Date(2014, 8 /* Sep */, 10),
+      new Date(2016, 11 /* Dec */, 13, 14, 30, 5, 500)
+    )
+    assert.deepEqual(result, {years: 2, months: 3, days: 3, hours: 14, minutes: 30, seconds: 5.5})
+  })
+
+  it('returns negative values if the end date is before the start date', function () {
+    var result = balanceDuration(
+      new Date(2016, 11 /* Dec */, 13, 14, 30, 5),
+      new Date(2014, 8 /* Sep */, 10)
+    )
+    assert.deepEqual(result, {years: -2, months: -3, days: -3, hours: -14, minutes: -30, seconds: -5})
+  })
+
+  it('does not return negative zeros', function () {
+    var result = balanceDuration(
+      new Date(2014, 8 /* Sep */, 10, 12),
+      new Date(2014, 8 /* Sep */, 10, 11)
+    )
+    assert(1 / result.years === Infinity)
+    assert(1 / result.months === Infinity)
+    assert(1 / result.minutes === Infinity)
+    assert(1 / result.seconds === Infinity)
+  })
+})
@@ -0,0 +1,75 @@
+import toDate from '../../toDate/index.js'
+import getIntervalBounds from '../getIntervalBounds/index.js'
+
+// Returns the lazy iterator over the starts of units within the interval.
+// `startOfUnit` returns the start of the unit for the given date,
+// `addUnits` returns the start of the unit the given number of units after the given start of a unit.
+// The dates for which `isSkipped` returns true are not yielded, but still count as steps.
+// Validates the interval, `options.step` and `options.bounds` the same way as `each*OfInterval` functions do.
+export default function buildIntervalIterator (dirtyInterval, dirtyOptions, startOfUnit, addUnits, isSkipped) {
+  var interval = dirtyInterval || {}
+  var startDate = toDate(interval.start, dirtyOptions)
+  var endDate = toDate(interval.end, dirtyOptions)
+
+  var endTime = endDate.getTime()
+
+  // Throw an exception if start date is after end date or if any date is `Invalid Date`
+  if (!(startDate.getTime() <= endTime)) {
+    throw new RangeError('Invalid interval')
+  }
+
+  var options = dirtyOptions || {}
+  var step = options.step === undefined ? 1 : Number(options.step)
+
+  // Test if step is a positive integer _and_ is not NaN
+  if (!(step >= 1 && step % 1 === 0)) {
+    throw new RangeError('step must be a positive integer')
+  }
+
+  var bounds = getIntervalBounds(options, '[]')
+
+  // Find the first and the last milliseconds within the interval
+  startDate.setTime(startDate.getTime() + bounds.start)
+  endTime += bounds.end - 1
+  endDate.setTime(endTime)
+
+  var reverse = Boolean(options.reverse)
+  var firstTime = startOfUnit(startDate, options).getTime()
+  var currentDate = reverse ? startOfUnit(endDate, options) : startOfUnit(startDate, options)
+  // The interval contains no milliseconds if it's the zero-length interval
+  // that excludes its start or its end
+  var done = startDate.getTime() > endTime
+
+  var iterator = {
+    next: function () {
+      while (!done) {
+        var date = currentDate
+        var time = date.getTime()
+
+        if (reverse ? time < firstTime : time > endTime) {
+          done = true
+        } else {
+          currentDate = addUnits(date, reverse ? -step : step, options)
+          if (!isSkipped || !isSkipped(date, options)) {
+            return {value: date, done: false}
+          }
+        }
+      }
+
+      return {value: undefined, done: true}
+    },
+
+    return: function (value) {
+      done = true
+      return {value: value, done: true}
+    }
+  }
+
+  if (typeof Symbol === 'function' && Symbol.iterator) {
+    iterator[Symbol.iterator] = function () {
+      return iterator
+    }
+  }
+
+  return iterator
+}
@@ -0,0 +1,119 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import buildIntervalIterator from '.'
+import iteratorToArray from '../iteratorToArray'
+
+function startOfUnit (date) {
+  var result = new Date(date.getTime())
+  result.setHours(0, 0, 0, 0)
+  return result
+}
+
+function addUnits (date, amount) {
+  var result = new Date(date.getTime())
+  result.setDate(result.getDate() + amount)
+  return result
+}
+
+function isSkipped (date) {
+  return date.getDay() === 0 || date.getDay() === 6
+}
+
+describe('buildIntervalIterator', function () {
+  it('returns the iterator over the starts of units within the interval', function () {
+    var iterator = buildIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12),
+      end: new Date(2014, 9 /* Oct */, 8, 12)
+    }, {}, startOfUnit, addUnits)
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 7), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 8), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('skips the dates for which `isSkipped` returns true', function () {
+    var result = iteratorToArray(buildIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 3),
+      end: new Date(2014, 9 /* Oct */, 7)
+    }, {}, startOfUnit, addUnits, isSkipped))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 3),
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7)
+    ])
+  })
+
+  it('counts the skipped dates as steps', function () {
+    var result = iteratorToArray(buildIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 3),
+      end: new Date(2014, 9 /* Oct */, 7)
+    }, {step: 2}, startOfUnit, addUnits, isSkipped))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 3),
+      new Date(2014, 9 /* Oct */, 7)
+    ])
+  })
+
+  it('steps back from the unit of the interval end if `options.reverse` is true', function () {
+    var result = iteratorToArray(buildIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12),
+      end: new Date(2014, 9 /* Oct */, 11, 12)
+    }, {step: 2, reverse: true}, startOfUnit, addUnits))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 11),
+      new Date(2014, 9 /* Oct */, 9),
+      new Date(2014, 9 /* Oct */, 7)
+    ])
+  })
+
+  it('excludes the start and the end of the interval according to `options.bounds`', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 8)}
+    assert.deepEqual(iteratorToArray(buildIntervalIterator(interval, {bounds: '[)'}, startOfUnit, addUnits)), [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7)
+    ])
+    assert.deepEqual(iteratorToArray(buildIntervalIterator(interval, {bounds: '[)', reverse: true}, startOfUnit, addUnits)), [
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 6)
+    ])
+  })
+
+  it('returns nothing for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 9 /* Oct */, 6)
+    var interval = {start: date, end: date}
+    assert.deepEqual(iteratorToArray(buildIntervalIterator(interval, {bounds: '[]'}, startOfUnit, addUnits)), [date])
+    assert.deepEqual(iteratorToArray(buildIntervalIterator(interval, {bounds: '()'}, startOfUnit, addUnits)), [])
+    assert.deepEqual(iteratorToArray(buildIntervalIterator(interval, {bounds: '()', reverse: true}, startOfUnit, addUnits)), [])
+  })
+
+  it('returns the value passed to `return` and finishes the iterator', function () {
+    var iterator = buildIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 8)
+    }, {}, startOfUnit, addUnits)
+    iterator.next()
+    assert.deepEqual(iterator.return(42), {value: 42, done: true})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the new dates', function () {
+    var iterator = buildIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 8)
+    }, {}, startOfUnit, addUnits)
+    var first = iterator.next().value
+    first.setFullYear(2000)
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 7), done: false})
+  })
+
+  it('validates the interval, `options.step` and `options.bounds` immediately', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 8), end: new Date(2014, 9 /* Oct */, 6)}
+    assert.throws(buildIntervalIterator.bind(null, interval, {}, startOfUnit, addUnits), RangeError)
+    var validInterval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 8)}
+    assert.throws(buildIntervalIterator.bind(null, validInterval, {step: 0}, startOfUnit, addUnits), RangeError)
+    assert.throws(buildIntervalIterator.bind(null, validInterval, {bounds: '[['}, startOfUnit, addUnits), RangeError)
+  })
+})
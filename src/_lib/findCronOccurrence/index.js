@@ -0,0 +1,195 @@
+var MILLISECONDS_IN_SECOND = 1000
+var MILLISECONDS_IN_DAY = 86400000
+
+// If a schedule has no occurrences in this number of years, it has no occurrences at all:
+// the calendar repeats itself every 400 years
+var MAX_YEARS_WITHOUT_OCCURRENCES = 400
+
+var units = ['month', 'day', 'hour', 'minute', 'second']
+
+// Returns the earliest occurrence of the normalized cron schedule after the date
+// or, if `backward` is true, the latest occurrence before the date. Returns null if there is none.
+//
+// The schedule is matched against the wall clock time, represented as UTC time (which has no DST),
+// and each matching wall clock time is converted to the moment of the local time with `toMoment`.
+// `toMoment` never decreases when the wall clock time increases, so the nearest occurrence
+// is the nearest matching wall clock time whose moment is after (before) the date.
+export default function findCronOccurrence (schedule, date, backward) {
+  var time = date.getTime()
+  var wallTime = toWallTime(date)
+
+  if (backward) {
+    // After the clock is set back, the wall clock time of the date is less
+    // than the wall clock time of the moments before it
+    var shift = date.getTimezoneOffset() - new Date(time - MILLISECONDS_IN_DAY).getTimezoneOffset()
+    wallTime += Math.max(shift, 0) * 60 * MILLISECONDS_IN_SECOND
+  }
+
+  var limitDate = new Date(wallTime)
+  limitDate.setUTCFullYear(limitDate.getUTCFullYear() + (backward ? -1 : 1) * MAX_YEARS_WITHOUT_OCCURRENCES)
+  var limitTime = limitDate.getTime()
+
+  while (true) {
+    wallTime = findMatchingWallTime(schedule, wallTime, limitTime, backward)
+    if (wallTime === null) {
+      return null
+    }
+
+    var occurrenceTime = toMoment(wallTime)
+    if (backward ? occurrenceTime < time : occurrenceTime > time) {
+      return new Date(occurrenceTime)
+    }
+
+    wallTime += backward ? -MILLISECONDS_IN_SECOND : MILLISECONDS_IN_SECOND
+  }
+}
+
+// Returns the nearest wall clock time that matches the schedule, starting from `wallTime`
+// and moving forward or, if `backward` is true, backward. The units that don't match are skipped whole
+function findMatchingWallTime (schedule, wallTime, limitTime, backward) {
+  var date = new Date(wallTime)
+
+  while (backward ? date.getTime() >= limitTime : date.getTime() <= limitTime) {
+    var unit
+    if (!matchesValue(schedule.months, date.getUTCMonth())) {
+      unit = 'month'
+    } else if (!matchesDay(schedule, date)) {
+      unit = 'day'
+    } else if (!matchesValue(schedule.hours, date.getUTCHours())) {
+      unit = 'hour'
+    } else if (!matchesValue(schedule.minutes, date.getUTCMinutes())) {
+      unit = 'minute'
+    } else if (!matchesValue(schedule.seconds, date.getUTCSeconds())) {
+      unit = 'second'
+    } else {
+      return date.getTime()
+    }
+
+    var unitStart = startOfWallUnit(date, unit)
+    if (backward) {
+      date = new Date(unitStart.getTime() - MILLISECONDS_IN_SECOND)
+    } else {
+      date = startOfWallUnit(unitStart, unit, 1)
+    }
+  }
+
+  return null
+}
+
+function matchesValue (values, value) {
+  return values.length === 0 || values.indexOf(value) !== -1
+}
+
+// If both the days of the month and the days of the week are given, either of them must match
+function matchesDay (schedule, date) {
+  var hasMonthDays = schedule.daysOfMonth.length > 0 || schedule.nearestWeekdays.length > 0
+  var hasWeekdays = schedule.daysOfWeek.length > 0
+
+  if (hasMonthDays && hasWeekdays) {
+    return matchesMonthDay(schedule, date) || matchesWeekday(schedule, date)
+  } else if (hasMonthDays) {
+    return matchesMonthDay(schedule, date)
+  } else if (hasWeekdays) {
+    return matchesWeekday(schedule, date)
+  }
+  return true
+}
+
+function matchesMonthDay (schedule, date) {
+  var dayOfMonth = date.getUTCDate()
+  var daysInMonth = getWallDaysInMonth(date)
+
+  return schedule.daysOfMonth.some(function (monthDay) {
+    return (monthDay > 0 ? monthDay : daysInMonth + monthDay + 1) === dayOfMonth
+  }) || schedule.nearestWeekdays.some(function (monthDay) {
+    var nearestDay = monthDay > 0 ? monthDay : daysInMonth
+    if (nearestDay > daysInMonth) {
+      return false
+    }
+
+    // Move Saturday to Friday and Sunday to Monday, unless it's outside of the month
+    var day = (date.getUTCDay() - dayOfMonth + nearestDay + 35) % 7
+    if (day === 6) {
+      nearestDay += nearestDay === 1 ? 2 : -1
+    } else if (day === 0) {
+      nearestDay += nearestDay === daysInMonth ? -2 : 1
+    }
+    return nearestDay === dayOfMonth
+  })
+}
+
+function matchesWeekday (schedule, date) {
+  var dayOfMonth = date.getUTCDate()
+  var daysInMonth = getWallDaysInMonth(date)
+
+  return schedule.daysOfWeek.some(function (weekday) {
+    if (weekday.day !== date.getUTCDay()) {
+      return false
+    } else if (weekday.nth === undefined) {
+      return true
+    } else if (weekday.nth > 0) {
+      return Math.ceil(dayOfMonth / 7) === weekday.nth
+    }
+    return dayOfMonth + 7 > daysInMonth
+  })
+}
+
+function getWallDaysInMonth (date) {
+  var lastDayOfMonth = new Date(0)
+  lastDayOfMonth.setUTCFullYear(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)
+  return lastDayOfMonth.getUTCDate()
+}
+
+// Returns the start of the unit of the wall clock time or, if `amount` is given,
+// the start of the unit `amount` units after it
+function startOfWallUnit (date, unit, amount) {
+  var fields = [date.getUTCMonth(), date.getUTCDate(), date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds()]
+  var unitIndex = units.indexOf(unit)
+  fields[unitIndex] += amount || 0
+  for (var index = unitIndex + 1; index < fields.length; index++) {
+    fields[index] = index === 1 ? 1 : 0
+  }
+
+  var result = new Date(0)
+  result.setUTCFullYear(date.getUTCFullYear(), fields[0], fields[1])
+  result.setUTCHours(fields[2], fields[3], fields[4], 0)
+  return result
+}
+
+// Returns the wall clock time of the date, without milliseconds
+function toWallTime (date) {
+  var wallDate = new Date(0)
+  wallDate.setUTCFullYear(date.getFullYear(), date.getMonth(), date.getDate())
+  wallDate.setUTCHours(date.getHours(), date.getMinutes(), date.getSeconds(), 0)
+  return wallDate.getTime()
+}
+
+// Returns the moment of the wall clock time in the local time zone.
+// If the clock is set back and the wall clock time happens twice, it's the first moment.
+// If the clock is set forward and the wall clock time is skipped, it's the moment of the clock shift
+function toMoment (wallTime) {
+  var wallDate = new Date(wallTime)
+  var date = new Date(0)
+  date.setFullYear(wallDate.getUTCFullYear(), wallDate.getUTCMonth(), wallDate.getUTCDate())
+  date.setHours(wallDate.getUTCHours(), wallDate.getUTCMinutes(), wallDate.getUTCSeconds(), 0)
+
+  // The skipped wall clock time is moved forward by the length of the shift
+  var shift = toWallTime(date) - wallTime
+  if (shift <= 0) {
+    return date.getTime()
+  }
+
+  // Find the first moment with the offset after the shift
+  var offset = date.getTimezoneOffset()
+  var lowTime = date.getTime() - shift
+  var highTime = date.getTime()
+  while (highTime - lowTime > 1) {
+    var middleTime = Math.floor((lowTime + highTime) / 2)
+    if (new Date(middleTime).getTimezoneOffset() === offset) {
+      highTime = middleTime
+    } else {
+      lowTime = middleTime
+    }
+  }
+  return highTime
+}
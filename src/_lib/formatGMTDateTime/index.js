@@ -0,0 +1,32 @@
+import toDate from '../../toDate/index.js'
+import isValid from '../../isValid/index.js'
+import addLeadingZeros from '../addLeadingZeros/index.js'
+
+// The names aren't localized, because the email and the HTTP headers require the English ones
+var DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+var MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Returns the date in UTC in the format shared by RFC 2822 and RFC 7231,
+// e.g. `Wed, 02 Jul 2014 08:30:45`, followed by a space and the given zone designator.
+// Returns 'Invalid Date' for an invalid date.
+// Throws `RangeError` if the year is not between 0 and 9999.
+export default function formatGMTDateTime (dirtyDate, dirtyOptions, zoneDesignator) {
+  var date = toDate(dirtyDate, dirtyOptions)
+
+  if (!isValid(date, dirtyOptions)) {
+    return 'Invalid Date'
+  }
+
+  var year = date.getUTCFullYear()
+  if (year < 0 || year > 9999) {
+    throw new RangeError('year must be between 0 and 9999')
+  }
+
+  return DAY_NAMES[date.getUTCDay()] + ', ' +
+    addLeadingZeros(date.getUTCDate(), 2) + ' ' +
+    MONTH_NAMES[date.getUTCMonth()] + ' ' +
+    addLeadingZeros(year, 4) + ' ' +
+    addLeadingZeros(date.getUTCHours(), 2) + ':' +
+    addLeadingZeros(date.getUTCMinutes(), 2) + ':' +
+    addLeadingZeros(date.getUTCSeconds(), 2) + ' ' + zoneDesignator
+}
@@ -0,0 +1,23 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatGMTDateTime from '.'
+
+describe('formatGMTDateTime', function () {
+  it('formats the date in UTC with the given zone designator', function () {
+    var date = new Date(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45, 123))
+    assert(formatGMTDateTime(date, {}, 'GMT') === 'Wed, 02 Jul 2014 08:30:45 GMT')
+    assert(formatGMTDateTime(date, {}, '+0000') === 'Wed, 02 Jul 2014 08:30:45 +0000')
+  })
+
+  it('returns \'Invalid Date\' if the date is invalid', function () {
+    assert(formatGMTDateTime(new Date(NaN), {}, 'GMT') === 'Invalid Date')
+  })
+
+  it('throws `RangeError` if the year is not between 0 and 9999', function () {
+    var date = new Date(0)
+    date.setUTCFullYear(10000)
+    assert.throws(formatGMTDateTime.bind(null, date, {}, 'GMT'), RangeError)
+  })
+})
@@ -0,0 +1,21 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import getEasterSunday from '.'
+
+describe('getEasterSunday', function () {
+  it('returns the date of Easter Sunday in the given year', function () {
+    assert.deepEqual(getEasterSunday(2014), new Date(2014, 3 /* Apr */, 20))
+    assert.deepEqual(getEasterSunday(2017), new Date(2017, 3 /* Apr */, 16))
+    assert.deepEqual(getEasterSunday(2018), new Date(2018, 3 /* Apr */, 1))
+  })
+
+  it('handles the earliest possible date', function () {
+    assert.deepEqual(getEasterSunday(2285), new Date(2285, 2 /* Mar */, 22))
+  })
+
+  it('handles the latest possible date', function () {
+    assert.deepEqual(getEasterSunday(2038), new Date(2038, 3 /* Apr */, 25))
+  })
+})
@@ -0,0 +1,22 @@
+var boundsOffsets = {
+  '[)': {start: 0, end: 0},
+  '[]': {start: 0, end: 1},
+  '(]': {start: 1, end: 1},
+  '()': {start: 1, end: 0}
+}
+
+// Returns the numbers of milliseconds to add to the start and to the end of an interval
+// with `options.bounds` (or `defaultBounds`) to turn it into the half-open interval,
+// which includes its start and excludes its end. E.g. the closed interval [10:00, 11:00]
+// contains the same milliseconds as the half-open interval [10:00, 11:00:00.001).
+// Throws `RangeError` if `options.bounds` is not '[]', '[)', '(]' or '()'.
+export default function getIntervalBounds (dirtyOptions, defaultBounds) {
+  var options = dirtyOptions || {}
+  var bounds = options.bounds === undefined ? defaultBounds : String(options.bounds)
+
+  if (!boundsOffsets.hasOwnProperty(bounds)) {
+    throw new RangeError("bounds must be '[]', '[)', '(]' or '()'")
+  }
+
+  return boundsOffsets[bounds]
+}
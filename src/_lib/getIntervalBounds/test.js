@@ -0,0 +1,33 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import getIntervalBounds from '.'
+
+describe('getIntervalBounds', function () {
+  it('returns the offsets for the closed interval', function () {
+    assert.deepEqual(getIntervalBounds({bounds: '[]'}, '[)'), {start: 0, end: 1})
+  })
+
+  it('returns the offsets for the half-open interval', function () {
+    assert.deepEqual(getIntervalBounds({bounds: '[)'}, '[]'), {start: 0, end: 0})
+  })
+
+  it('returns the offsets for the interval that excludes its start', function () {
+    assert.deepEqual(getIntervalBounds({bounds: '(]'}, '[]'), {start: 1, end: 1})
+  })
+
+  it('returns the offsets for the open interval', function () {
+    assert.deepEqual(getIntervalBounds({bounds: '()'}, '[]'), {start: 1, end: 0})
+  })
+
+  it('uses the default bounds if `options.bounds` is undefined', function () {
+    assert.deepEqual(getIntervalBounds({}, '[]'), {start: 0, end: 1})
+    assert.deepEqual(getIntervalBounds(undefined, '[)'), {start: 0, end: 0})
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    assert.throws(getIntervalBounds.bind(null, {bounds: '[['}, '[]'), RangeError)
+    assert.throws(getIntervalBounds.bind(null, {bounds: null}, '[]'), RangeError)
+  })
+})
@@ -0,0 +1,33 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import getUTCWeek from '.'
+
+describe('getUTCWeek', function () {
+  it('returns the local week of the given date', function () {
+    var result = getUTCWeek(new Date(Date.UTC(2005, 0 /* Jan */, 2)))
+    assert(result === 2)
+  })
+
+  it('allows to specify `weekStartsOn` and `firstWeekContainsDate` in locale', function () {
+    var result = getUTCWeek(new Date(Date.UTC(2005, 0 /* Jan */, 2)), {
+      locale: {options: {weekStartsOn: 1, firstWeekContainsDate: 4}}
+    })
+    assert(result === 53)
+  })
+
+  it('`options.weekStartsOn` and `options.firstWeekContainsDate` overwrite the locale settings', function () {
+    var result = getUTCWeek(new Date(Date.UTC(2005, 0 /* Jan */, 2)), {
+      weekStartsOn: 1,
+      firstWeekContainsDate: 4,
+      locale: {options: {weekStartsOn: 0, firstWeekContainsDate: 1}}
+    })
+    assert(result === 53)
+  })
+
+  it('returns the first week of the next year at the end of December', function () {
+    var result = getUTCWeek(new Date(Date.UTC(2014, 11 /* Dec */, 28)))
+    assert(result === 1)
+  })
+})
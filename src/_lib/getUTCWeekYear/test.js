@@ -0,0 +1,38 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import getUTCWeekYear from '.'
+
+describe('getUTCWeekYear', function () {
+  it('returns the local week-numbering year of the given date', function () {
+    var result = getUTCWeekYear(new Date(Date.UTC(2004, 11 /* Dec */, 26)))
+    assert(result === 2005)
+  })
+
+  it('allows to specify `weekStartsOn` and `firstWeekContainsDate` in locale', function () {
+    var result = getUTCWeekYear(new Date(Date.UTC(2005, 0 /* Jan */, 2)), {
+      locale: {options: {weekStartsOn: 1, firstWeekContainsDate: 4}}
+    })
+    assert(result === 2004)
+  })
+
+  it('`options.firstWeekContainsDate` overwrites the locale setting', function () {
+    var result = getUTCWeekYear(new Date(Date.UTC(2005, 0 /* Jan */, 2)), {
+      weekStartsOn: 1,
+      firstWeekContainsDate: 4,
+      locale: {options: {firstWeekContainsDate: 1}}
+    })
+    assert(result === 2004)
+  })
+
+  it('accepts a timestamp', function () {
+    var result = getUTCWeekYear(Date.UTC(2014, 11 /* Dec */, 28))
+    assert(result === 2015)
+  })
+
+  it('throws `RangeError` if `options.firstWeekContainsDate` is not convertable to 1, 2, ..., 7 or undefined', function () {
+    var block = getUTCWeekYear.bind(null, new Date(Date.UTC(2005, 0 /* Jan */, 2)), {firstWeekContainsDate: 8})
+    assert.throws(block, RangeError)
+  })
+})
@@ -0,0 +1,10 @@
+// Returns the array of the values yielded by the iterator until it's done.
+export default function iteratorToArray (iterator) {
+  var values = []
+
+  for (var result = iterator.next(); !result.done; result = iterator.next()) {
+    values.push(result.value)
+  }
+
+  return values
+}
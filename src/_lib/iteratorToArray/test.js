@@ -0,0 +1,29 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import iteratorToArray from '.'
+
+describe('iteratorToArray', function () {
+  it('returns the array of the values yielded by the iterator', function () {
+    var values = [1, 2, 3]
+    var index = 0
+    var iterator = {
+      next: function () {
+        return index < values.length
+          ? {value: values[index++], done: false}
+          : {value: undefined, done: true}
+      }
+    }
+    assert.deepEqual(iteratorToArray(iterator), [1, 2, 3])
+  })
+
+  it('returns an empty array if the iterator is done', function () {
+    var iterator = {
+      next: function () {
+        return {value: undefined, done: true}
+      }
+    }
+    assert.deepEqual(iteratorToArray(iterator), [])
+  })
+})
@@ -0,0 +1,46 @@
+import parseCron from '../../parseCron/index.js'
+
+// Validates the cron schedule object (or parses the cron expression) and returns
+// the new schedule object with the numbers converted with `Number` and the defaults applied.
+// The properties that are not set are empty arrays, except `seconds`, which is `[0]`.
+// Throws `RangeError` if any property of the schedule is invalid.
+export default function normalizeCronSchedule (dirtySchedule, dirtyOptions) {
+  var schedule = typeof dirtySchedule === 'string' ? parseCron(dirtySchedule, dirtyOptions) : dirtySchedule || {}
+
+  var daysOfWeek = (schedule.daysOfWeek || []).map(function (dirtyWeekday) {
+    var weekday = dirtyWeekday || {}
+    var day = Number(weekday.day)
+    var nth = weekday.nth === undefined ? undefined : Number(weekday.nth)
+    if (!isInteger(day, 0, 6) || !(nth === undefined || nth === -1 || isInteger(nth, 1, 5))) {
+      throw new RangeError('daysOfWeek must contain objects with day between 0 and 6 and optional nth between 1 and 5 or -1')
+    }
+    return nth === undefined ? {day: day} : {day: day, nth: nth}
+  })
+
+  return {
+    seconds: schedule.seconds === undefined
+      ? [0]
+      : normalizeNumbers(schedule.seconds, 0, 59, 'seconds must contain numbers between 0 and 59'),
+    minutes: normalizeNumbers(schedule.minutes, 0, 59, 'minutes must contain numbers between 0 and 59'),
+    hours: normalizeNumbers(schedule.hours, 0, 23, 'hours must contain numbers between 0 and 23'),
+    daysOfMonth: normalizeNumbers(schedule.daysOfMonth, -31, 31, 'daysOfMonth must contain numbers between -31 and 31 except 0'),
+    nearestWeekdays: normalizeNumbers(schedule.nearestWeekdays, -1, 31, 'nearestWeekdays must contain numbers between 1 and 31 or -1'),
+    months: normalizeNumbers(schedule.months, 0, 11, 'months must contain numbers between 0 and 11'),
+    daysOfWeek: daysOfWeek
+  }
+}
+
+function isInteger (number, min, max) {
+  return number >= min && number <= max && number % 1 === 0
+}
+
+// The days of the month can't be 0, so 0 is valid only if `min` is 0
+function normalizeNumbers (dirtyNumbers, min, max, message) {
+  return (dirtyNumbers || []).map(function (dirtyNumber) {
+    var number = Number(dirtyNumber)
+    if (!isInteger(number, min, max) || (number === 0 && min < 0)) {
+      throw new RangeError(message)
+    }
+    return number
+  })
+}
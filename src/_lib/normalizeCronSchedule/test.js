@@ -0,0 +1,65 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import normalizeCronSchedule from '.'
+
+describe('normalizeCronSchedule', function () {
+  it('applies the defaults', function () {
+    var result = normalizeCronSchedule({minutes: [30]})
+    assert.deepEqual(result, {
+      seconds: [0],
+      minutes: [30],
+      hours: [],
+      daysOfMonth: [],
+      nearestWeekdays: [],
+      months: [],
+      daysOfWeek: []
+    })
+  })
+
+  it('converts the numbers', function () {
+    var result = normalizeCronSchedule({
+      seconds: ['15'],
+      hours: ['9'],
+      daysOfMonth: ['-1'],
+      nearestWeekdays: ['15'],
+      months: ['11'],
+      daysOfWeek: [{day: '5', nth: '-1'}]
+    })
+    assert.deepEqual(result, {
+      seconds: [15],
+      minutes: [],
+      hours: [9],
+      daysOfMonth: [-1],
+      nearestWeekdays: [15],
+      months: [11],
+      daysOfWeek: [{day: 5, nth: -1}]
+    })
+  })
+
+  it('parses the cron expression', function () {
+    var result = normalizeCronSchedule('0 9 * * 1')
+    assert.deepEqual(result.hours, [9])
+    assert.deepEqual(result.daysOfWeek, [{day: 1}])
+  })
+
+  it('throws `RangeError` if the time values are invalid', function () {
+    assert.throws(normalizeCronSchedule.bind(null, {seconds: [60]}), RangeError)
+    assert.throws(normalizeCronSchedule.bind(null, {minutes: [1.5]}), RangeError)
+    assert.throws(normalizeCronSchedule.bind(null, {hours: [-1]}), RangeError)
+  })
+
+  it('throws `RangeError` if the day values are invalid', function () {
+    assert.throws(normalizeCronSchedule.bind(null, {daysOfMonth: [0]}), RangeError)
+    assert.throws(normalizeCronSchedule.bind(null, {daysOfMonth: [32]}), RangeError)
+    assert.throws(normalizeCronSchedule.bind(null, {nearestWeekdays: [-2]}), RangeError)
+    assert.throws(normalizeCronSchedule.bind(null, {months: [12]}), RangeError)
+    assert.throws(normalizeCronSchedule.bind(null, {daysOfWeek: [{day: 7}]}), RangeError)
+    assert.throws(normalizeCronSchedule.bind(null, {daysOfWeek: [{day: 1, nth: -2}]}), RangeError)
+  })
+
+  it('throws `RangeError` if the cron expression is invalid', function () {
+    assert.throws(normalizeCronSchedule.bind(null, '0 9 * *'), RangeError)
+  })
+})
@@ -0,0 +1,61 @@
+import toDate from '../../toDate/index.js'
+import getIntervalBounds from '../getIntervalBounds/index.js'
+
+// Converts the array of intervals (or Set, or array-like object) into the sorted array
+// of non-overlapping half-open intervals with `start` and `end` timestamps.
+// The intervals have `options.bounds` ('[)' by default); use `getIntervalBounds`
+// to convert the result back to the same bounds.
+// The overlapping and the touching intervals are merged, the empty intervals are dropped.
+// Throws `RangeError` if any interval is invalid, the same way as `areIntervalsOverlapping` does.
+export default function normalizeIntervals (dirtyIntervals, dirtyOptions) {
+  var bounds = getIntervalBounds(dirtyOptions, '[)')
+
+  var intervalsArray
+  // `dirtyIntervals` is undefined or null
+  if (dirtyIntervals == null) {
+    intervalsArray = []
+
+  // `dirtyIntervals` is Array, Set or Map, or object with custom `forEach` method
+  } else if (typeof dirtyIntervals.forEach === 'function') {
+    intervalsArray = dirtyIntervals
+
+  // If `dirtyIntervals` is Array-like Object, convert to Array. Otherwise, make it empty Array
+  } else {
+    intervalsArray = Array.prototype.slice.call(dirtyIntervals)
+  }
+
+  var intervals = []
+  intervalsArray.forEach(function (dirtyInterval) {
+    var interval = dirtyInterval || {}
+    var startTime = toDate(interval.start, dirtyOptions).getTime()
+    var endTime = toDate(interval.end, dirtyOptions).getTime()
+
+    // Throw an exception if start date is after end date or if any date is `Invalid Date`
+    if (!(startTime <= endTime)) {
+      throw new RangeError('Invalid interval')
+    }
+
+    startTime += bounds.start
+    endTime += bounds.end
+
+    if (startTime < endTime) {
+      intervals.push({start: startTime, end: endTime})
+    }
+  })
+
+  intervals.sort(function (intervalLeft, intervalRight) {
+    return intervalLeft.start - intervalRight.start
+  })
+
+  var result = []
+  intervals.forEach(function (interval) {
+    var lastInterval = result[result.length - 1]
+    if (lastInterval && interval.start <= lastInterval.end) {
+      lastInterval.end = Math.max(lastInterval.end, interval.end)
+    } else {
+      result.push(interval)
+    }
+  })
+
+  return result
+}
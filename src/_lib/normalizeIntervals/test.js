@@ -0,0 +1,62 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import normalizeIntervals from '.'
+
+describe('normalizeIntervals', function () {
+  it('sorts the intervals and converts the dates into timestamps', function () {
+    var result = normalizeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 20), end: new Date(2014, 0 /* Jan */, 25)},
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 0 /* Jan */, 5)}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 1).getTime(), end: new Date(2014, 0 /* Jan */, 5).getTime()},
+      {start: new Date(2014, 0 /* Jan */, 20).getTime(), end: new Date(2014, 0 /* Jan */, 25).getTime()}
+    ])
+  })
+
+  it('merges the overlapping and the touching intervals', function () {
+    var result = normalizeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 5), end: new Date(2014, 0 /* Jan */, 10)},
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 0 /* Jan */, 7)},
+      {start: new Date(2014, 0 /* Jan */, 2), end: new Date(2014, 0 /* Jan */, 3)},
+      {start: new Date(2014, 0 /* Jan */, 10), end: new Date(2014, 0 /* Jan */, 12)}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 1).getTime(), end: new Date(2014, 0 /* Jan */, 12).getTime()}
+    ])
+  })
+
+  it('drops the zero-length intervals', function () {
+    var result = normalizeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 5), end: new Date(2014, 0 /* Jan */, 5)}
+    ])
+    assert.deepEqual(result, [])
+  })
+
+  it('returns an empty array if the intervals are undefined', function () {
+    assert.deepEqual(normalizeIntervals(undefined), [])
+  })
+
+  it('converts the intervals with `options.bounds` into the half-open intervals', function () {
+    var intervals = [
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 0 /* Jan */, 5)},
+      {start: new Date(2014, 0 /* Jan */, 5), end: new Date(2014, 0 /* Jan */, 5)}
+    ]
+    assert.deepEqual(normalizeIntervals(intervals, {bounds: '[]'}), [
+      {start: new Date(2014, 0 /* Jan */, 1).getTime(), end: new Date(2014, 0 /* Jan */, 5).getTime() + 1}
+    ])
+    assert.deepEqual(normalizeIntervals(intervals, {bounds: '()'}), [
+      {start: new Date(2014, 0 /* Jan */, 1).getTime() + 1, end: new Date(2014, 0 /* Jan */, 5).getTime()}
+    ])
+  })
+
+  it('throws `RangeError` if any interval is invalid', function () {
+    var block = normalizeIntervals.bind(null, [
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 0 /* Jan */, 5)},
+      {start: new Date(2014, 0 /* Jan */, 5), end: new Date(2014, 0 /* Jan */, 1)}
+    ])
+    assert.throws(block, RangeError)
+  })
+})
@@ -0,0 +1,118 @@
+import toDate from '../../toDate/index.js'
+import parseRRule from '../../parseRRule/index.js'
+
+var frequencies = ['yearly', 'monthly', 'weekly', 'daily', 'hourly', 'minutely', 'secondly']
+
+// Validates the recurrence rule object (or parses the RRULE string) and returns
+// the new rule object with the dates converted with `toDate`, the numbers converted with `Number`
+// and the defaults applied. The optional properties that are not set are empty arrays or undefined.
+// Throws `RangeError` if any property of the rule is invalid.
+export default function normalizeRecurrenceRule (dirtyRule, dirtyOptions) {
+  var rule = typeof dirtyRule === 'string' ? parseRRule(dirtyRule, dirtyOptions) : dirtyRule || {}
+
+  var start = toDate(rule.start, dirtyOptions)
+  if (isNaN(start)) {
+    throw new RangeError('start must be a valid date')
+  }
+
+  var freq = String(rule.freq)
+  if (frequencies.indexOf(freq) === -1) {
+    throw new RangeError("freq must be 'yearly', 'monthly', 'weekly', 'daily', 'hourly', 'minutely' or 'secondly'")
+  }
+
+  var interval = rule.interval === undefined ? 1 : Number(rule.interval)
+  // Test if interval is a positive integer _and_ is not NaN
+  if (!(interval >= 1 && interval % 1 === 0)) {
+    throw new RangeError('interval must be a positive integer')
+  }
+
+  var count
+  if (rule.count !== undefined) {
+    count = Number(rule.count)
+    if (!(count >= 1 && count % 1 === 0)) {
+      throw new RangeError('count must be a positive integer')
+    }
+  }
+
+  var until
+  if (rule.until !== undefined) {
+    if (count !== undefined) {
+      throw new RangeError('count and until cannot be both specified')
+    }
+
+    until = toDate(rule.until, dirtyOptions)
+    if (isNaN(until)) {
+      throw new RangeError('until must be a valid date')
+    }
+  }
+
+  var byDay = (rule.byDay || []).map(function (dirtyWeekday) {
+    var weekday = dirtyWeekday || {}
+    var day = Number(weekday.day)
+    var nth = weekday.nth === undefined ? undefined : Number(weekday.nth)
+    if (!isInteger(day, 0, 6) || !(nth === undefined || (isInteger(nth, -53, 53) && nth !== 0))) {
+      throw new RangeError('byDay must contain objects with day between 0 and 6 and optional nth between -53 and 53 except 0')
+    }
+    return nth === undefined ? {day: day} : {day: day, nth: nth}
+  })
+
+  var byMonthDay = normalizeNumbers(rule.byMonthDay, 31, 'byMonthDay must contain numbers between -31 and 31 except 0')
+  var bySetPos = normalizeNumbers(rule.bySetPos, 366, 'bySetPos must contain numbers between -366 and 366 except 0')
+
+  var byMonth = (rule.byMonth || []).map(function (dirtyMonth) {
+    var month = Number(dirtyMonth)
+    if (!(month >= 0 && month <= 11 && month % 1 === 0)) {
+      throw new RangeError('byMonth must contain numbers between 0 and 11')
+    }
+    return month
+  })
+
+  var weekStartsOn = rule.weekStartsOn === undefined ? 1 : Number(rule.weekStartsOn)
+  // Test if weekStartsOn is between 0 and 6 _and_ is not NaN
+  if (!(weekStartsOn >= 0 && weekStartsOn <= 6)) {
+    throw new RangeError('weekStartsOn must be between 0 and 6 inclusively')
+  }
+
+  var exDates = normalizeDates(rule.exDates, dirtyOptions, 'exDates cannot contain `Invalid Date`')
+  var rDates = normalizeDates(rule.rDates, dirtyOptions, 'rDates cannot contain `Invalid Date`')
+
+  return {
+    start: start,
+    freq: freq,
+    interval: interval,
+    count: count,
+    until: until,
+    byDay: byDay,
+    byMonthDay: byMonthDay,
+    byMonth: byMonth,
+    bySetPos: bySetPos,
+    weekStartsOn: weekStartsOn,
+    exDates: exDates,
+    rDates: rDates,
+    timeZone: rule.timeZone
+  }
+}
+
+function isInteger (number, min, max) {
+  return number >= min && number <= max && number % 1 === 0
+}
+
+function normalizeNumbers (dirtyNumbers, max, message) {
+  return (dirtyNumbers || []).map(function (dirtyNumber) {
+    var number = Number(dirtyNumber)
+    if (!isInteger(number, -max, max) || number === 0) {
+      throw new RangeError(message)
+    }
+    return number
+  })
+}
+
+function normalizeDates (dirtyDates, dirtyOptions, message) {
+  return (dirtyDates || []).map(function (dirtyDate) {
+    var date = toDate(dirtyDate, dirtyOptions)
+    if (isNaN(date)) {
+      throw new RangeError(message)
+    }
+    return date
+  })
+}
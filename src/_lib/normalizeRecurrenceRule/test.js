@@ -0,0 +1,68 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import normalizeRecurrenceRule from '.'
+
+describe('normalizeRecurrenceRule', function () {
+  it('applies the defaults', function () {
+    var result = normalizeRecurrenceRule({start: new Date(2014, 0 /* Jan */, 6), freq: 'daily'})
+    assert.deepEqual(result, {
+      start: new Date(2014, 0 /* Jan */, 6),
+      freq: 'daily',
+      interval: 1,
+      count: undefined,
+      until: undefined,
+      byDay: [],
+      byMonthDay: [],
+      byMonth: [],
+      bySetPos: [],
+      weekStartsOn: 1,
+      exDates: [],
+      rDates: [],
+      timeZone: undefined
+    })
+  })
+
+  it('converts the dates and the numbers', function () {
+    var result = normalizeRecurrenceRule({
+      start: new Date(2014, 0 /* Jan */, 6).getTime(),
+      freq: 'monthly',
+      interval: '2',
+      until: new Date(2014, 5 /* Jun */, 6).toISOString(),
+      byDay: [{day: '5', nth: '-1'}],
+      byMonthDay: ['1'],
+      byMonth: ['0'],
+      bySetPos: ['-1'],
+      weekStartsOn: '0',
+      exDates: [new Date(2014, 1 /* Feb */, 28).getTime()]
+    })
+    assert.deepEqual(result.start, new Date(2014, 0 /* Jan */, 6))
+    assert(result.interval === 2)
+    assert.deepEqual(result.until, new Date(2014, 5 /* Jun */, 6))
+    assert.deepEqual(result.byDay, [{day: 5, nth: -1}])
+    assert.deepEqual(result.byMonthDay, [1])
+    assert.deepEqual(result.byMonth, [0])
+    assert.deepEqual(result.bySetPos, [-1])
+    assert(result.weekStartsOn === 0)
+    assert.deepEqual(result.exDates, [new Date(2014, 1 /* Feb */, 28)])
+  })
+
+  it('parses the RRULE string', function () {
+    var result = normalizeRecurrenceRule('DTSTART:20140106T090000\nRRULE:FREQ=WEEKLY;BYDAY=MO')
+    assert.deepEqual(result.start, new Date(2014, 0 /* Jan */, 6, 9))
+    assert(result.freq === 'weekly')
+    assert.deepEqual(result.byDay, [{day: 1}])
+  })
+
+  it('throws `RangeError` if the rule is invalid', function () {
+    var start = new Date(2014, 0 /* Jan */, 6)
+    assert.throws(normalizeRecurrenceRule.bind(null, undefined), RangeError)
+    assert.throws(normalizeRecurrenceRule.bind(null, {freq: 'daily'}), RangeError)
+    assert.throws(normalizeRecurrenceRule.bind(null, {start: start}), RangeError)
+    assert.throws(normalizeRecurrenceRule.bind(null, {start: start, freq: 'daily', interval: 1.5}), RangeError)
+    assert.throws(normalizeRecurrenceRule.bind(null, {start: start, freq: 'daily', byDay: [{day: 1, nth: 0}]}), RangeError)
+    assert.throws(normalizeRecurrenceRule.bind(null, {start: start, freq: 'daily', byDay: [undefined]}), RangeError)
+    assert.throws(normalizeRecurrenceRule.bind(null, {start: start, freq: 'daily', rDates: ['foo']}), RangeError)
+  })
+})
@@ -0,0 +1,28 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import startOfUTCWeekYear from '.'
+
+describe('startOfUTCWeekYear', function () {
+  it('returns the date with the time set to 00:00:00 and the date set to the first day of a week year', function () {
+    var result = startOfUTCWeekYear(new Date(Date.UTC(2005, 6 /* Jul */, 2, 11, 55)))
+    assert.deepEqual(result, new Date(Date.UTC(2004, 11 /* Dec */, 26)))
+  })
+
+  it('allows to specify `weekStartsOn` and `firstWeekContainsDate` in locale', function () {
+    var result = startOfUTCWeekYear(new Date(Date.UTC(2005, 6 /* Jul */, 2, 11, 55)), {
+      locale: {options: {weekStartsOn: 1, firstWeekContainsDate: 4}}
+    })
+    assert.deepEqual(result, new Date(Date.UTC(2005, 0 /* Jan */, 3)))
+  })
+
+  it('`options.weekStartsOn` and `options.firstWeekContainsDate` overwrite the locale settings', function () {
+    var result = startOfUTCWeekYear(new Date(Date.UTC(2005, 6 /* Jul */, 2, 11, 55)), {
+      weekStartsOn: 1,
+      firstWeekContainsDate: 4,
+      locale: {options: {weekStartsOn: 0, firstWeekContainsDate: 1}}
+    })
+    assert.deepEqual(result, new Date(Date.UTC(2005, 0 /* Jan */, 3)))
+  })
+})
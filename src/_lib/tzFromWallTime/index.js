@@ -0,0 +1,31 @@
+import tzInfo from '../tzInfo/index.js'
+
+var MILLISECONDS_IN_DAY = 86400000
+
+// Converts the wall clock time in the given time zone,
+// represented as a timestamp of the same time in UTC, to the timestamp.
+//
+// Like `Date` does with the local time, it resolves the ambiguous time
+// after the clock shift back to the earlier moment and moves the time
+// that was skipped by the clock shift forward by the length of the shift.
+export default function tzFromWallTime (wallTime, timeZone) {
+  var offsetBefore = tzInfo(timeZone, wallTime - MILLISECONDS_IN_DAY).offset
+  var offsetAfter = tzInfo(timeZone, wallTime + MILLISECONDS_IN_DAY).offset
+
+  var timestampBefore = wallTime - offsetBefore
+  if (offsetBefore === offsetAfter) {
+    return timestampBefore
+  }
+
+  var timestampAfter = wallTime - offsetAfter
+  var isBeforeValid = tzInfo(timeZone, timestampBefore).offset === offsetBefore
+  var isAfterValid = tzInfo(timeZone, timestampAfter).offset === offsetAfter
+
+  if (isBeforeValid && isAfterValid) {
+    return Math.min(timestampBefore, timestampAfter)
+  } else if (isAfterValid) {
+    return timestampAfter
+  }
+
+  return timestampBefore
+}
@@ -0,0 +1,44 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import tzFromWallTime from '.'
+import newYork from '../../timeZone/America/New_York'
+import tokyo from '../../timeZone/Asia/Tokyo'
+
+describe('tzFromWallTime', function () {
+  it('returns the timestamp of the wall clock time in the time zone', function () {
+    var result = tzFromWallTime(Date.UTC(2014, 8 /* Sep */, 11, 5), tokyo)
+    assert(result === Date.UTC(2014, 8 /* Sep */, 10, 20))
+  })
+
+  it('takes daylight saving time into account', function () {
+    var result = tzFromWallTime(Date.UTC(2014, 6 /* Jul */, 1, 8), newYork)
+    assert(result === Date.UTC(2014, 6 /* Jul */, 1, 12))
+  })
+
+  it('moves the time skipped by the clock shift forward', function () {
+    // 9 March 2014 02:30 doesn't exist in New York
+    var result = tzFromWallTime(Date.UTC(2014, 2 /* Mar */, 9, 2, 30), newYork)
+    // 03:30 EDT
+    assert(result === Date.UTC(2014, 2 /* Mar */, 9, 7, 30))
+  })
+
+  it('returns the earlier moment for the time repeated by the clock shift back', function () {
+    // 2 November 2014 01:30 occurs twice in New York
+    var result = tzFromWallTime(Date.UTC(2014, 10 /* Nov */, 2, 1, 30), newYork)
+    // 01:30 EDT
+    assert(result === Date.UTC(2014, 10 /* Nov */, 2, 5, 30))
+  })
+
+  it('returns the time right after the clock shift back', function () {
+    var result = tzFromWallTime(Date.UTC(2014, 10 /* Nov */, 2, 2), newYork)
+    // 02:00 EST
+    assert(result === Date.UTC(2014, 10 /* Nov */, 2, 7))
+  })
+
+  it('returns NaN if the wall clock time is NaN', function () {
+    var result = tzFromWallTime(NaN, newYork)
+    assert(isNaN(result))
+  })
+})
@@ -0,0 +1,59 @@
+var MILLISECONDS_IN_HOUR = 3600000
+var MILLISECONDS_IN_MINUTE = 60000
+
+var patterns = {
+  offset: /^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i,
+  utc: /^(?:Z|UTC|GMT)$/i
+}
+
+var fixedCache = {}
+
+// Returns the offset (in milliseconds, positive to the east of Greenwich),
+// the abbreviation and the daylight saving time flag
+// for the given timestamp in the given time zone.
+//
+// The time zone is either a time zone object (e.g. `date-fns/timeZone/America/New_York`)
+// or an offset from UTC (e.g. 'UTC', 'Z', '+05:30' or '-0800').
+// The time zone data is never imported here, so the functions that take `options.timeZone`
+// bundle only the zones that are passed to them.
+export default function tzInfo (timeZone, timestamp) {
+  if (timeZone && typeof timeZone.info === 'function') {
+    return timeZone.info(timestamp)
+  }
+
+  var offset = String(timeZone)
+  if (!fixedCache.hasOwnProperty(offset)) {
+    fixedCache[offset] = parseFixedTimeZone(offset)
+  }
+
+  var fixed = fixedCache[offset]
+  if (!fixed) {
+    throw new RangeError('timeZone must be a time zone object from date-fns/timeZone or an offset from UTC')
+  }
+
+  return fixed
+}
+
+function parseFixedTimeZone (timeZone) {
+  if (patterns.utc.test(timeZone)) {
+    return {offset: 0, abbreviation: 'UTC', dst: false}
+  }
+
+  var token = patterns.offset.exec(timeZone)
+  if (!token) {
+    return null
+  }
+
+  var hours = parseInt(token[2], 10)
+  var minutes = token[3] ? parseInt(token[3], 10) : 0
+  if (hours > 23 || minutes > 59) {
+    return null
+  }
+
+  var offset = (token[1] === '-' ? -1 : 1) * (hours * MILLISECONDS_IN_HOUR + minutes * MILLISECONDS_IN_MINUTE)
+  var abbreviation = offset === 0
+    ? 'GMT'
+    : 'GMT' + token[1] + hours + (minutes ? ':' + (minutes < 10 ? '0' : '') + minutes : '')
+
+  return {offset: offset, abbreviation: abbreviation, dst: false}
+}
@@ -0,0 +1,69 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import tzInfo from '.'
+import moscow from '../../timeZone/Europe/Moscow'
+import newYork from '../../timeZone/America/New_York'
+import sydney from '../../timeZone/Australia/Sydney'
+import usPacific from '../../timeZone/US/Pacific'
+
+describe('tzInfo', function () {
+  it('returns the info for the time zone object', function () {
+    var result = tzInfo(newYork, Date.UTC(2014, 6 /* Jul */, 1))
+    assert.deepEqual(result, {offset: -4 * 3600000, abbreviation: 'EDT', dst: true})
+  })
+
+  it('uses the historical rules', function () {
+    // Before 2007, daylight saving time in the United States started on the first Sunday of April
+    assert(tzInfo(newYork, Date.UTC(2006, 2 /* Mar */, 15)).dst === false)
+    assert(tzInfo(newYork, Date.UTC(2007, 2 /* Mar */, 15)).dst === true)
+  })
+
+  it('supports the changes of the standard time', function () {
+    assert(tzInfo(moscow, Date.UTC(2012, 0 /* Jan */, 1)).offset === 4 * 3600000)
+    assert(tzInfo(moscow, Date.UTC(2015, 0 /* Jan */, 1)).offset === 3 * 3600000)
+  })
+
+  it('supports the southern hemisphere', function () {
+    assert(tzInfo(sydney, Date.UTC(2014, 0 /* Jan */, 1)).offset === 11 * 3600000)
+    assert(tzInfo(sydney, Date.UTC(2014, 6 /* Jul */, 1)).offset === 10 * 3600000)
+  })
+
+  it('supports the links', function () {
+    var result = tzInfo(usPacific, Date.UTC(2014, 0 /* Jan */, 1))
+    assert.deepEqual(result, {offset: -8 * 3600000, abbreviation: 'PST', dst: false})
+  })
+
+  it('calls `info` of a custom time zone object', function () {
+    var timeZone = {
+      name: 'Custom/Zone',
+      info: function (timestamp) {
+        return {offset: timestamp, abbreviation: 'CZ', dst: false}
+      }
+    }
+    assert.deepEqual(tzInfo(timeZone, 3600000), {offset: 3600000, abbreviation: 'CZ', dst: false})
+  })
+
+  it('supports UTC', function () {
+    assert.deepEqual(tzInfo('UTC', 0), {offset: 0, abbreviation: 'UTC', dst: false})
+    assert.deepEqual(tzInfo('Z', 0), {offset: 0, abbreviation: 'UTC', dst: false})
+  })
+
+  it('supports the offsets from UTC', function () {
+    assert.deepEqual(tzInfo('+05:30', 0), {offset: 5.5 * 3600000, abbreviation: 'GMT+5:30', dst: false})
+    assert.deepEqual(tzInfo('-0800', 0), {offset: -8 * 3600000, abbreviation: 'GMT-8', dst: false})
+    assert.deepEqual(tzInfo('+03', 0), {offset: 3 * 3600000, abbreviation: 'GMT+3', dst: false})
+  })
+
+  it('throws `RangeError` if the time zone is unknown', function () {
+    assert.throws(tzInfo.bind(null, 'Mars/Olympus_Mons', 0), RangeError)
+    assert.throws(tzInfo.bind(null, undefined, 0), RangeError)
+    assert.throws(tzInfo.bind(null, 'constructor', 0), RangeError)
+    assert.throws(tzInfo.bind(null, '+25:00', 0), RangeError)
+  })
+
+  it('throws `RangeError` if the IANA time zone name is passed instead of the time zone object', function () {
+    assert.throws(tzInfo.bind(null, 'America/New_York', 0), RangeError)
+  })
+})
@@ -0,0 +1,5 @@
+// Returns the IANA name of the time zone object
+// or the offset from UTC (e.g. '+05:30') as is.
+export default function tzName (timeZone) {
+  return timeZone && typeof timeZone.info === 'function' ? String(timeZone.name) : String(timeZone)
+}
@@ -0,0 +1,7 @@
+import tzInfo from '../tzInfo/index.js'
+
+// Converts the timestamp to the wall clock time in the given time zone,
+// represented as a timestamp of the same time in UTC.
+export default function tzToWallTime (timestamp, timeZone) {
+  return timestamp + tzInfo(timeZone, timestamp).offset
+}
@@ -0,0 +1,19 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import tzToWallTime from '.'
+import newYork from '../../timeZone/America/New_York'
+import tokyo from '../../timeZone/Asia/Tokyo'
+
+describe('tzToWallTime', function () {
+  it('returns the wall clock time in the time zone as a UTC timestamp', function () {
+    var result = tzToWallTime(Date.UTC(2014, 8 /* Sep */, 10, 20), tokyo)
+    assert(result === Date.UTC(2014, 8 /* Sep */, 11, 5))
+  })
+
+  it('takes daylight saving time into account', function () {
+    var result = tzToWallTime(Date.UTC(2014, 6 /* Jul */, 1, 12), newYork)
+    assert(result === Date.UTC(2014, 6 /* Jul */, 1, 8))
+  })
+})
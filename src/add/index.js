@@ -0,0 +1,97 @@
+import toDate from '../toDate/index.js'
+import addYears from '../addYears/index.js'
+import addMonths from '../addMonths/index.js'
+import addDays from '../addDays/index.js'
+import addMilliseconds from '../addMilliseconds/index.js'
+import getDaysInMonth from '../getDaysInMonth/index.js'
+
+var MONTHS_IN_YEAR = 12
+var DAYS_IN_WEEK = 7
+var MILLISECONDS_IN_DAY = 86400000
+var MILLISECONDS_IN_HOUR = 3600000
+var MILLISECONDS_IN_MINUTE = 60000
+var MILLISECONDS_IN_SECOND = 1000
+
+/**
+ * @name add
+ * @category Duration Helpers
+ * @summary Add the specified duration to the given date.
+ *
+ * @description
+ * Add the specified duration to the given date.
+ *
+ * The units are added from the largest to the smallest one:
+ * first the years, then the months, then the weeks and the days as calendar days
+ * of the local time, and then the hours, the minutes and the seconds
+ * as the exact amount of time. So, adding 1 month to 31 January gives
+ * the last day of February, and adding 1 day keeps the local time
+ * across the daylight saving time clock shift, while adding 24 hours doesn't.
+ *
+ * The fractions of the units are carried down to the smaller units:
+ * the fraction of a year is added as months, the fraction of a month is added
+ * as the same fraction of the days of the month where the whole months end,
+ * the fraction of a week is added as days and the fraction of a day is added
+ * as the exact amount of time (e.g. 0.5 days are 12 hours).
+ *
+ * @param {Date|String|Number} date - the date to be changed
+ * @param {Duration} duration - the duration to be added. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Date} the new date with the duration added
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ *
+ * @example
+ * // Add 1 year, 2 months, 10 days, 2 hours and 30 minutes to 1 September 2014:
+ * var result = add(new Date(2014, 8, 1), {years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+ * //=> Wed Nov 11 2015 02:30:00
+ */
+export default function add (dirtyDate, dirtyDuration, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var duration = dirtyDuration || {}
+  var result = toDate(dirtyDate, dirtyOptions)
+
+  var years = toNumber(duration.years)
+  var wholeYears = toInteger(years)
+  if (wholeYears !== 0) {
+    result = addYears(result, wholeYears, dirtyOptions)
+  }
+
+  var months = (years - wholeYears) * MONTHS_IN_YEAR + toNumber(duration.months)
+  var wholeMonths = toInteger(months)
+  if (wholeMonths !== 0) {
+    result = addMonths(result, wholeMonths, dirtyOptions)
+  }
+
+  var days = toNumber(duration.weeks) * DAYS_IN_WEEK + toNumber(duration.days)
+  if (months !== wholeMonths) {
+    days += (months - wholeMonths) * getDaysInMonth(result, dirtyOptions)
+  }
+  var wholeDays = toInteger(days)
+  if (wholeDays !== 0) {
+    result = addDays(result, wholeDays, dirtyOptions)
+  }
+
+  var milliseconds = (days - wholeDays) * MILLISECONDS_IN_DAY +
+    toNumber(duration.hours) * MILLISECONDS_IN_HOUR +
+    toNumber(duration.minutes) * MILLISECONDS_IN_MINUTE +
+    toNumber(duration.seconds) * MILLISECONDS_IN_SECOND
+
+  if (milliseconds !== 0) {
+    result = addMilliseconds(result, milliseconds, dirtyOptions)
+  }
+
+  return result
+}
+
+function toNumber (value) {
+  return value === undefined ? 0 : Number(value)
+}
+
+function toInteger (value) {
+  var number = toNumber(value)
+  return number < 0 ? Math.ceil(number) : Math.floor(number)
+}
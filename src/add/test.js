@@ -0,0 +1,113 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import add from '.'
+import parseISODuration from '../parseISODuration'
+
+describe('add', function () {
+  it('adds the given duration', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1), {
+      years: 1,
+      months: 2,
+      weeks: 1,
+      days: 3,
+      hours: 2,
+      minutes: 30,
+      seconds: 15
+    })
+    assert.deepEqual(result, new Date(2015, 10 /* Nov */, 11, 2, 30, 15))
+  })
+
+  it('accepts a string', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1).toISOString(), {months: 1})
+    assert.deepEqual(result, new Date(2014, 9 /* Oct */, 1))
+  })
+
+  it('accepts a timestamp', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1).getTime(), {months: 1})
+    assert.deepEqual(result, new Date(2014, 9 /* Oct */, 1))
+  })
+
+  it('does not mutate the original date', function () {
+    var date = new Date(2014, 8 /* Sep */, 1)
+    add(date, {years: 1, days: 1, hours: 1})
+    assert.deepEqual(date, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('returns a copy of the date if the duration is empty', function () {
+    var date = new Date(2014, 8 /* Sep */, 1)
+    var result = add(date, {})
+    assert.deepEqual(result, date)
+    assert(result !== date)
+  })
+
+  it('adds the months before the days', function () {
+    var result = add(new Date(2014, 0 /* Jan */, 31), {months: 1, days: 1})
+    assert.deepEqual(result, new Date(2014, 2 /* Mar */, 1))
+  })
+
+  it('adds the years before the months', function () {
+    var result = add(new Date(2015, 1 /* Feb */, 28), {years: 1, months: 1})
+    assert.deepEqual(result, new Date(2016, 2 /* Mar */, 28))
+  })
+
+  it('adds the days in the local time and the hours as the exact amount of time', function () {
+    var date = new Date(2014, 2 /* Mar */, 29, 12)
+    var days = add(date, {days: 1})
+    assert(days.getHours() === 12)
+    var hours = add(date, {hours: 24})
+    assert(hours.getTime() === date.getTime() + 24 * 3600000)
+  })
+
+  it('adds the negative durations', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1), {months: -1, hours: -1})
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 31, 23))
+  })
+
+  it('carries the fractions of the years down to the months', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1), {years: 1.5})
+    assert.deepEqual(result, new Date(2016, 2 /* Mar */, 1))
+  })
+
+  it('carries the fractions of the months down to the days of the month where the whole months end', function () {
+    var result = add(new Date(2015, 0 /* Jan */, 1), {months: 1.5})
+    assert.deepEqual(result, new Date(2015, 1 /* Feb */, 15))
+  })
+
+  it('carries the fractions of the weeks and the days down to the time', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1), {weeks: 0.5, days: -1.25})
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 3, 6))
+  })
+
+  it('adds the fractions of the durations parsed by `parseISODuration`', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1), parseISODuration('P0.5D'))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1, 12))
+  })
+
+  it('adds the fractions of the time units', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1), {hours: 1.5, seconds: 0.25})
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1, 1, 30, 0, 250))
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = add(new Date(NaN), {days: 1})
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('returns `Invalid Date` if the duration contains NaN', function () {
+    var result = add(new Date(2014, 8 /* Sep */, 1), {days: NaN})
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = add.bind(null, new Date(2014, 8 /* Sep */, 1), {days: 1}, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(add.bind(null), TypeError)
+    assert.throws(add.bind(null, 1), TypeError)
+  })
+})
@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import addBusinessDays from '.'
+
+suite('addBusinessDays', function () {
+  benchmark('date-fns', function () {
+    return addBusinessDays(this.date, 7)
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
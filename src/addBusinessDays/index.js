@@ -0,0 +1,98 @@
+import toDate from '../toDate/index.js'
+import addDays from '../addDays/index.js'
+import isBusinessDay from '../isBusinessDay/index.js'
+
+/**
+ * @name addBusinessDays
+ * @category Day Helpers
+ * @summary Add the specified number of business days to the given date.
+ *
+ * @description
+ * Add the specified number of business days (days that are neither weekend days
+ * nor holidays in `options.holidays`) to the given date.
+ * The fractional part of the amount is discarded.
+ * If the amount is NaN or infinite, the result is `Invalid Date`.
+ *
+ * If the given date is not a business day, the counting starts from it,
+ * so adding 1 business day to Saturday returns Monday.
+ *
+ * @param {Date|String|Number} date - the date to be changed
+ * @param {Number} amount - the amount of business days to be added
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Number[]} [options.weekendDays=[0, 6]] - the indices of the weekend days of the week (0 - Sunday)
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {Date} the new date with the business days added
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.weekendDays` must contain only numbers between 0 and 6
+ * @throws {RangeError} `options.weekendDays` cannot contain every day of the week
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // Add 10 business days to 1 September 2014:
+ * var result = addBusinessDays(new Date(2014, 8, 1), 10)
+ * //=> Mon Sep 15 2014 00:00:00 (skipped weekend days)
+ *
+ * @example
+ * // Add 4 business days to 1 September 2014 if the weekend is Friday and Saturday:
+ * var result = addBusinessDays(new Date(2014, 8, 1), 4, {weekendDays: [5, 6]})
+ * //=> Sun Sep 07 2014 00:00:00
+ *
+ * @example
+ * // Add 1 business day to 3 July 2014 in the United States:
+ * import usHolidays from 'date-fns/holidays/us'
+ * var result = addBusinessDays(new Date(2014, 6, 3), 1, {holidays: usHolidays})
+ * //=> Mon Jul 07 2014 00:00:00 (skipped Independence Day and the weekend)
+ */
+export default function addBusinessDays (dirtyDate, dirtyAmount, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var weekendDays = options.weekendDays === undefined ? [0, 6] : options.weekendDays
+
+  if (!hasBusinessDays(weekendDays)) {
+    throw new RangeError('weekendDays cannot contain every day of the week')
+  }
+
+  var date = toDate(dirtyDate, options)
+  var amount = Number(dirtyAmount)
+
+  // The infinite amount of business days can't be counted
+  if (isNaN(date) || !isFinite(amount)) {
+    return new Date(NaN)
+  }
+
+  var sign = amount < 0 ? -1 : 1
+  var remainingDays = Math.floor(Math.abs(amount))
+
+  while (remainingDays > 0) {
+    date = addDays(date, sign, options)
+    if (isBusinessDay(date, options)) {
+      remainingDays--
+    }
+  }
+
+  return date
+}
+
+function hasBusinessDays (weekendDays) {
+  for (var day = 0; day < 7; day++) {
+    var isWeekendDay = false
+    for (var i = 0; i < weekendDays.length; i++) {
+      if (Number(weekendDays[i]) === day) {
+        isWeekendDay = true
+      }
+    }
+
+    if (!isWeekendDay) {
+      return true
+    }
+  }
+
+  return false
+}
@@ -0,0 +1,143 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import addBusinessDays from '.'
+import buildHolidayCalendar from '../buildHolidayCalendar'
+import auckland from '../timeZone/Pacific/Auckland'
+
+describe('addBusinessDays', function () {
+  it('adds the given number of business days', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1), 10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 15))
+  })
+
+  it('handles negative amount', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 15), -10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('starts counting from a weekend day', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 6), 1)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 8))
+  })
+
+  it('returns the same day if the amount is 0', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 6), 0)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 6))
+  })
+
+  it('keeps the time', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 5, 13, 45, 30, 500), 1)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 8, 13, 45, 30, 500))
+  })
+
+  it('discards the fractional part of the amount', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1), 1.9)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 2))
+  })
+
+  it('allows to specify which days are weekend days', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1), 4, {weekendDays: [5, 6]})
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 7))
+  })
+
+  it('allows a weekend with a single day', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1), 6, {weekendDays: [0]})
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 8))
+  })
+
+  it('allows an empty weekend', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1), 6, {weekendDays: []})
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 7))
+  })
+
+  it('skips the holidays in `options.holidays`', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    var result = addBusinessDays(new Date(2014, 6 /* Jul */, 3), 1, {holidays: holidays})
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 7))
+  })
+
+  it('skips the holidays in `options.holidays` when the amount is negative', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    var result = addBusinessDays(new Date(2014, 6 /* Jul */, 7), -1, {holidays: holidays})
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 3))
+  })
+
+  it('counts the days in `options.timeZone`', function () {
+    // Sat 6 September 2014 08:00 in Auckland
+    var result = addBusinessDays(new Date(Date.UTC(2014, 8 /* Sep */, 5, 20)), 1, {timeZone: auckland})
+    // Mon 8 September 2014 08:00 in Auckland
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 7, 20)))
+  })
+
+  it('accepts a string', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1).toISOString(), 10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 15))
+  })
+
+  it('accepts a timestamp', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1).getTime(), 10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 15))
+  })
+
+  it('implicitly converts number arguments', function () {
+    // $ExpectedMistake
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1), '10')
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 15))
+  })
+
+  it('does not mutate the original date', function () {
+    var date = new Date(2014, 8 /* Sep */, 1)
+    addBusinessDays(date, 11)
+    assert.deepEqual(date, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = addBusinessDays(new Date(NaN), 10)
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('returns `Invalid Date` if the given amount is NaN', function () {
+    var result = addBusinessDays(new Date(2014, 8 /* Sep */, 1), NaN)
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('returns `Invalid Date` if the given amount is infinite', function () {
+    var positiveResult = addBusinessDays(new Date(2014, 8 /* Sep */, 1), Infinity)
+    assert(positiveResult instanceof Date && isNaN(positiveResult))
+    var negativeResult = addBusinessDays(new Date(2014, 8 /* Sep */, 1), -Infinity)
+    assert(negativeResult instanceof Date && isNaN(negativeResult))
+  })
+
+  it('throws `RangeError` if `options.weekendDays` contains a number not between 0 and 6', function () {
+    var block = addBusinessDays.bind(null, new Date(2014, 8 /* Sep */, 1), 10, {weekendDays: [6, 7]})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.weekendDays` contains every day of the week', function () {
+    var block = addBusinessDays.bind(null, new Date(2014, 8 /* Sep */, 1), 10, {weekendDays: [0, 1, 2, 3, 4, 5, 6]})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.holidays` does not contain `holidays` property', function () {
+    // $ExpectedMistake
+    var block = addBusinessDays.bind(null, new Date(2014, 8 /* Sep */, 1), 10, {holidays: {}})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = addBusinessDays.bind(null, new Date(2014, 8 /* Sep */, 1), 10, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(addBusinessDays.bind(null), TypeError)
+    assert.throws(addBusinessDays.bind(null, 1), TypeError)
+  })
+})
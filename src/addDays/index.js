@@ -1,4 +1,6 @@
 import toDate from '../toDate/index.js'
+import tzToWallTime from '../_lib/tzToWallTime/index.js'
+import tzFromWallTime from '../_lib/tzFromWallTime/index.js'
 
 /**
  * @name addDays
@@ -12,22 +14,40 @@ import toDate from '../toDate/index.js'
  * @param {Number} amount - the amount of days to be added
  * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
  * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
  * @returns {Date} the new date with the days added
  * @throws {TypeError} 2 arguments required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
  *
  * @example
  * // Add 10 days to 1 September 2014:
  * var result = addDays(new Date(2014, 8, 1), 10)
  * //=> Thu Sep 11 2014 00:00:00
+ *
+ * @example
+ * // Add 1 day to 8 March 2014 12:00:00 in New York,
+ * // keeping the wall clock time across the daylight saving time clock shift:
+ * import newYork from 'date-fns/timeZone/America/New_York'
+ * var result = addDays(new Date(Date.UTC(2014, 2, 8, 17)), 1, {timeZone: newYork})
+ * result.toISOString()
+ * //=> '2014-03-09T16:00:00.000Z'
  */
 export default function addDays (dirtyDate, dirtyAmount, dirtyOptions) {
   if (arguments.length < 2) {
     throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
   }
 
-  var date = toDate(dirtyDate, dirtyOptions)
+  var options = dirtyOptions || {}
+  var date = toDate(dirtyDate, options)
   var amount = Number(dirtyAmount)
+
+  if (options.timeZone !== undefined) {
+    var wallTime = new Date(tzToWallTime(date.getTime(), options.timeZone))
+    wallTime.setUTCDate(wallTime.getUTCDate() + amount)
+    return new Date(tzFromWallTime(wallTime.getTime(), options.timeZone))
+  }
+
   date.setDate(date.getDate() + amount)
   return date
 }
@@ -3,6 +3,8 @@
 
 import assert from 'power-assert'
 import addDays from '.'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
 
 describe('addDays', function () {
   it('adds the given number of days', function () {
@@ -26,6 +28,23 @@ describe('addDays', function () {
     assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11))
   })
 
+  describe('options.timeZone', function () {
+    it('adds the days in the time zone', function () {
+      var result = addDays(new Date(Date.UTC(2014, 8 /* Sep */, 1, 20)), 10, {timeZone: tokyo})
+      assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 11, 20)))
+    })
+
+    it('keeps the wall clock time across the daylight saving time clock shift', function () {
+      var result = addDays(new Date(Date.UTC(2014, 2 /* Mar */, 8, 17)), 1, {timeZone: newYork})
+      assert.deepEqual(result, new Date(Date.UTC(2014, 2 /* Mar */, 9, 16)))
+    })
+
+    it('throws `RangeError` if the time zone is unknown', function () {
+      var block = addDays.bind(null, new Date(2014, 8 /* Sep */, 1), 10, {timeZone: 'Asia/Neo_Tokyo'})
+      assert.throws(block, RangeError)
+    })
+  })
+
   it('does not mutate the original date', function () {
     var date = new Date(2014, 8 /* Sep */, 1)
     addDays(date, 11)
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import addDurations from '.'
+
+suite('addDurations', function () {
+  benchmark('date-fns', function () {
+    return addDurations(this.durationA, this.durationB)
+  })
+}, {
+  setup: function () {
+    this.durationA = {days: 10, hours: 2, minutes: 30}
+    this.durationB = {weeks: 1, hours: 50}
+  }
+})
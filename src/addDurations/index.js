@@ -0,0 +1,48 @@
+var units = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds']
+
+/**
+ * @name addDurations
+ * @category Duration Helpers
+ * @summary Add the two durations.
+ *
+ * @description
+ * Add the two durations unit by unit. The result contains every unit
+ * that is present in either of the durations. The units are not balanced:
+ * use `normalizeDuration` to turn 90 minutes into 1 hour and 30 minutes.
+ *
+ * @param {Duration} durationLeft - the first duration. See [Duration]{@link docs/Duration}
+ * @param {Duration} durationRight - the second duration. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @returns {Duration} the sum of the durations
+ * @throws {TypeError} 2 arguments required
+ *
+ * @example
+ * // Add 1 month and 15 days to 1 year, 2 months and 20 days:
+ * var result = addDurations({years: 1, months: 2, days: 20}, {months: 1, days: 15})
+ * //=> {years: 1, months: 3, days: 35}
+ */
+export default function addDurations (dirtyDurationLeft, dirtyDurationRight, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var durationLeft = dirtyDurationLeft || {}
+  var durationRight = dirtyDurationRight || {}
+
+  var result = {}
+  for (var i = 0; i < units.length; i++) {
+    var unit = units[i]
+    var valueLeft = durationLeft[unit]
+    var valueRight = durationRight[unit]
+
+    if (valueLeft !== undefined || valueRight !== undefined) {
+      result[unit] = toNumber(valueLeft) + toNumber(valueRight)
+    }
+  }
+
+  return result
+}
+
+function toNumber (value) {
+  return value === undefined ? 0 : Number(value)
+}
@@ -0,0 +1,49 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import addDurations from '.'
+
+describe('addDurations', function () {
+  it('adds the durations unit by unit', function () {
+    var result = addDurations(
+      {years: 1, months: 2, weeks: 3, days: 4, hours: 5, minutes: 6, seconds: 7},
+      {years: 7, months: 6, weeks: 5, days: 4, hours: 3, minutes: 2, seconds: 1}
+    )
+    assert.deepEqual(result, {years: 8, months: 8, weeks: 8, days: 8, hours: 8, minutes: 8, seconds: 8})
+  })
+
+  it('includes the units present in either of the durations', function () {
+    var result = addDurations({years: 1, days: 20}, {months: 1, days: 15})
+    assert.deepEqual(result, {years: 1, months: 1, days: 35})
+  })
+
+  it('does not balance the units', function () {
+    var result = addDurations({minutes: 45}, {minutes: 45})
+    assert.deepEqual(result, {minutes: 90})
+  })
+
+  it('adds the negative values and the fractions', function () {
+    var result = addDurations({hours: 1, seconds: 0.5}, {hours: -2, seconds: 1.25})
+    assert.deepEqual(result, {hours: -1, seconds: 1.75})
+  })
+
+  it('does not mutate the original durations', function () {
+    var durationLeft = {days: 1}
+    var durationRight = {days: 2}
+    addDurations(durationLeft, durationRight)
+    assert.deepEqual(durationLeft, {days: 1})
+    assert.deepEqual(durationRight, {days: 2})
+  })
+
+  it('returns NaN for the values that are not numbers', function () {
+    // $ExpectedMistake
+    var result = addDurations({days: 'foo'}, {days: 1})
+    assert(isNaN(result.days))
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(addDurations.bind(null), TypeError)
+    assert.throws(addDurations.bind(null, {days: 1}), TypeError)
+  })
+})
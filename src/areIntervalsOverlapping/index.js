@@ -1,4 +1,5 @@
 import toDate from '../toDate/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
 
 /**
  * @name areIntervalsOverlapping
@@ -8,12 +9,20 @@ import toDate from '../toDate/index.js'
  * @description
  * Is the given time interval overlapping with another time interval?
  *
+ * By default, the intervals that only touch each other, like 10:00–11:00 and 11:00–12:00,
+ * don't overlap. Use `options.bounds` to specify whether the starts and the ends
+ * of the intervals are included in them: e.g. the closed intervals ('[]') that touch each other overlap.
+ *
  * @param {Interval} intervalLeft - the first interval to compare. See [Interval]{@link docs/types/Interval}
  * @param {Interval} intervalRight - the second interval to compare. See [Interval]{@link docs/types/Interval}
  * @param {Options} [options] - the object with options. See [Options]{@link docs/types/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds] - whether the starts and the ends of the intervals
+ *   are included in them. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
  * @returns {Boolean} whether the time intervals are overlapping
  * @throws {TypeError} 2 arguments required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
  * @throws {RangeError} The start of an interval cannot be after its end
  * @throws {RangeError} Date in interval cannot be `Invalid Date`
  *
@@ -32,12 +41,22 @@ import toDate from '../toDate/index.js'
  *   {start: new Date(2014, 0, 21), end: new Date(2014, 0, 22)}
  * )
  * //=> false
+ *
+ * @example
+ * // For touching closed time intervals:
+ * areIntervalsOverlapping(
+ *   {start: new Date(2014, 0, 10), end: new Date(2014, 0, 20)},
+ *   {start: new Date(2014, 0, 20), end: new Date(2014, 0, 24)},
+ *   {bounds: '[]'}
+ * )
+ * //=> true
  */
 export default function areIntervalsOverlapping (dirtyIntervalLeft, dirtyIntervalRight, dirtyOptions) {
   if (arguments.length < 2) {
     throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
   }
 
+  var options = dirtyOptions || {}
   var intervalLeft = dirtyIntervalLeft || {}
   var intervalRight = dirtyIntervalRight || {}
   var leftStartTime = toDate(intervalLeft.start, dirtyOptions).getTime()
@@ -50,5 +69,13 @@ export default function areIntervalsOverlapping (dirtyIntervalLeft, dirtyInterva
     throw new RangeError('Invalid interval')
   }
 
-  return leftStartTime < rightEndTime && rightStartTime < leftEndTime
+  if (options.bounds === undefined) {
+    return leftStartTime < rightEndTime && rightStartTime < leftEndTime
+  }
+
+  var bounds = getIntervalBounds(options)
+
+  // Compare the half-open intervals that contain the same milliseconds
+  return Math.max(leftStartTime, rightStartTime) + bounds.start <
+    Math.min(leftEndTime, rightEndTime) + bounds.end
 }
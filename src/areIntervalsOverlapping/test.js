@@ -122,6 +122,87 @@ describe('areIntervalsOverlapping', function () {
     })
   })
 
+  context('with `bounds` option', function () {
+    var touchingIntervalStart = new Date(2016, 11, 3, 15, 0, 0)
+    var touchingIntervalEnd = new Date(2016, 11, 14, 13, 0, 0)
+
+    it('returns true for touching closed intervals', function () {
+      var isOverlapping = areIntervalsOverlapping(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: touchingIntervalStart, end: touchingIntervalEnd},
+        {bounds: '[]'}
+      )
+      assert(isOverlapping === true)
+    })
+
+    it('returns true for an interval with the same endDateTime as the initial time interval\'s startDateTime', function () {
+      var isOverlapping = areIntervalsOverlapping(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 10, 3, 15, 0, 0), end: new Date(2016, 10, 10, 13, 0, 0)},
+        {bounds: '[]'}
+      )
+      assert(isOverlapping === true)
+    })
+
+    it('returns false for touching intervals that exclude any of the touching boundaries', function () {
+      ['[)', '(]', '()'].forEach(function (bounds) {
+        var isOverlapping = areIntervalsOverlapping(
+          {start: initialIntervalStart, end: initialIntervalEnd},
+          {start: touchingIntervalStart, end: touchingIntervalEnd},
+          {bounds: bounds}
+        )
+        assert(isOverlapping === false)
+      })
+    })
+
+    it('returns true for open intervals that share a millisecond', function () {
+      var isOverlapping = areIntervalsOverlapping(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 11, 3, 14, 59, 59, 998), end: touchingIntervalEnd},
+        {bounds: '()'}
+      )
+      assert(isOverlapping === true)
+    })
+
+    it('returns false for open intervals that share no milliseconds', function () {
+      var isOverlapping = areIntervalsOverlapping(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 11, 3, 14, 59, 59, 999), end: touchingIntervalEnd},
+        {bounds: '()'}
+      )
+      assert(isOverlapping === false)
+    })
+
+    it('returns false for the zero-length interval unless both boundaries are included', function () {
+      var zeroLengthInterval = {start: new Date(2016, 10, 14), end: new Date(2016, 10, 14)}
+      var interval = {start: initialIntervalStart, end: initialIntervalEnd}
+      assert(areIntervalsOverlapping(interval, zeroLengthInterval, {bounds: '[]'}) === true)
+      assert(areIntervalsOverlapping(interval, zeroLengthInterval, {bounds: '[)'}) === false)
+      assert(areIntervalsOverlapping(interval, zeroLengthInterval, {bounds: '(]'}) === false)
+      assert(areIntervalsOverlapping(interval, zeroLengthInterval, {bounds: '()'}) === false)
+    })
+
+    it('returns false for a non overlapping interval', function () {
+      var isOverlapping = areIntervalsOverlapping(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 11, 3, 18, 0, 0), end: touchingIntervalEnd},
+        {bounds: '[]'}
+      )
+      assert(isOverlapping === false)
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      var block = areIntervalsOverlapping.bind(
+        null,
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: touchingIntervalStart, end: touchingIntervalEnd},
+        // $ExpectedMistake
+        {bounds: 'closed'}
+      )
+      assert.throws(block, RangeError)
+    })
+  })
+
   it('accepts strings', function () {
     var initialIntervalStart = new Date(2016, 10, 10, 13, 0, 0).toISOString()
     var initialIntervalEnd = new Date(2016, 11, 3, 15, 0, 0).toISOString()
@@ -0,0 +1,19 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import buildHolidayCalendar from '.'
+
+suite('buildHolidayCalendar', function () {
+  benchmark('date-fns', function () {
+    return buildHolidayCalendar(this.rules).holidays(2014)
+  })
+}, {
+  setup: function () {
+    this.rules = [
+      {name: 'Christmas Day', month: 11, date: 25, observed: 'nextWeekday'},
+      {name: 'Thanksgiving Day', month: 10, day: 4, nth: 4},
+      {name: 'Good Friday', easterOffset: -2}
+    ]
+  }
+})
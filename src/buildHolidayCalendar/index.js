@@ -0,0 +1,168 @@
+import getEasterSunday from '../_lib/getEasterSunday/index.js'
+
+/**
+ * @name buildHolidayCalendar
+ * @category Weekday Helpers
+ * @summary Build a holiday calendar from the list of holiday rules.
+ *
+ * @description
+ * Build a holiday calendar from the list of holiday rules.
+ * The resulting object can be passed as `options.holidays`
+ * to define the holidays that are not in the bundled calendars.
+ * See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ *
+ * Each rule has `name` property and one of these sets of properties:
+ * - `month` and `date` for a holiday on a fixed date,
+ *   e.g. `{month: 11, date: 25}` for 25 December;
+ * - `month`, `day` and `nth` for a holiday on the nth day of the week in a month,
+ *   e.g. `{month: 10, day: 4, nth: 4}` for the 4th Thursday of November.
+ *   A negative `nth` counts from the end of the month, e.g. `-1` is the last one;
+ * - `easterOffset` for a holiday relative to Easter Sunday,
+ *   e.g. `{easterOffset: -2}` for Good Friday.
+ *
+ * Optional `fromYear` and `toYear` properties limit the years when the holiday is observed.
+ *
+ * Optional `observed` property specifies what happens when the holiday falls on Saturday or Sunday:
+ * - `'nearestWeekday'` moves it to the previous Friday or the next Monday respectively;
+ * - `'nextWeekday'` moves it to the next weekday that is not a holiday itself.
+ *
+ * @param {Object[]} rules - the array of holiday rules
+ * @returns {HolidayCalendar} the holiday calendar
+ * @throws {RangeError} holiday rule must have `month` and `date`, `month`, `day` and `nth` or `easterOffset` properties
+ * @throws {RangeError} `observed` must be 'nearestWeekday' or 'nextWeekday'
+ *
+ * @example
+ * // Build a calendar with a fixed-date, an nth-weekday and an Easter-relative holiday:
+ * var calendar = buildHolidayCalendar([
+ *   {name: 'Christmas Day', month: 11, date: 25, observed: 'nextWeekday'},
+ *   {name: 'Thanksgiving Day', month: 10, day: 4, nth: 4},
+ *   {name: 'Good Friday', easterOffset: -2, fromYear: 2000}
+ * ])
+ * calendar.holidays(2014)
+ * //=> [
+ * //   {name: 'Good Friday', date: Fri Apr 18 2014 00:00:00},
+ * //   {name: 'Thanksgiving Day', date: Thu Nov 27 2014 00:00:00},
+ * //   {name: 'Christmas Day', date: Thu Dec 25 2014 00:00:00}
+ * // ]
+ *
+ * @example
+ * // Skip the custom holidays when adding business days:
+ * var result = addBusinessDays(new Date(2014, 10, 26), 1, {holidays: calendar})
+ * //=> Fri Nov 28 2014 00:00:00
+ */
+export default function buildHolidayCalendar (rules) {
+  rules.forEach(validateRule)
+
+  var cache = {}
+
+  return {
+    holidays: function (dirtyYear) {
+      var year = Number(dirtyYear)
+
+      if (isNaN(year)) {
+        return []
+      }
+
+      if (!cache[year]) {
+        // A holiday observed in the given year could fall on the adjacent year,
+        // e.g. 1 January 2022 is observed on 31 December 2021 in the United States
+        cache[year] = getObservedHolidays(rules, year - 1)
+          .concat(getObservedHolidays(rules, year))
+          .concat(getObservedHolidays(rules, year + 1))
+          .filter(function (holiday) {
+            return holiday.date.getFullYear() === year
+          })
+          .sort(function (holidayLeft, holidayRight) {
+            return holidayLeft.date.getTime() - holidayRight.date.getTime()
+          })
+      }
+
+      return cache[year].map(function (holiday) {
+        return {name: holiday.name, date: new Date(holiday.date.getTime())}
+      })
+    }
+  }
+}
+
+function validateRule (rule) {
+  var isFixedDate = rule.month !== undefined && rule.date !== undefined
+  var isNthWeekday = rule.month !== undefined && rule.day !== undefined && rule.nth !== undefined
+  var isEasterRelative = rule.easterOffset !== undefined
+
+  if (!(isFixedDate || isNthWeekday || isEasterRelative)) {
+    throw new RangeError('holiday rule must have month and date, month, day and nth or easterOffset properties')
+  }
+
+  if (rule.observed !== undefined && rule.observed !== 'nearestWeekday' && rule.observed !== 'nextWeekday') {
+    throw new RangeError("observed must be 'nearestWeekday' or 'nextWeekday'")
+  }
+}
+
+function getObservedHolidays (rules, year) {
+  var holidays = rules
+    .filter(function (rule) {
+      return (rule.fromYear === undefined || year >= rule.fromYear) &&
+        (rule.toYear === undefined || year <= rule.toYear)
+    })
+    .map(function (rule) {
+      return {name: rule.name, date: getHolidayDate(rule, year), observed: rule.observed}
+    })
+
+  // Weekdays already taken by holidays can't be used as substitute days
+  var takenDays = {}
+  holidays.forEach(function (holiday) {
+    if (!isSaturdayOrSunday(holiday.date)) {
+      takenDays[holiday.date.getTime()] = true
+    }
+  })
+
+  return holidays.map(function (holiday) {
+    var date = holiday.date
+    var day = date.getDay()
+
+    if (holiday.observed === 'nearestWeekday' && day === 6) {
+      date = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1)
+    } else if (holiday.observed === 'nearestWeekday' && day === 0) {
+      date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+    } else if (holiday.observed === 'nextWeekday' && isSaturdayOrSunday(date)) {
+      while (isSaturdayOrSunday(date) || takenDays[date.getTime()]) {
+        date = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1)
+      }
+      takenDays[date.getTime()] = true
+    }
+
+    return {name: holiday.name, date: date}
+  })
+}
+
+function getHolidayDate (rule, year) {
+  if (rule.easterOffset !== undefined) {
+    var easterSunday = getEasterSunday(year)
+    easterSunday.setDate(easterSunday.getDate() + Number(rule.easterOffset))
+    return easterSunday
+  }
+
+  var month = Number(rule.month)
+
+  if (rule.date !== undefined) {
+    return new Date(year, month, Number(rule.date))
+  }
+
+  var day = Number(rule.day)
+  var nth = Number(rule.nth)
+
+  if (nth > 0) {
+    var firstOfMonth = new Date(year, month, 1)
+    var firstDate = 1 + (7 + day - firstOfMonth.getDay()) % 7
+    return new Date(year, month, firstDate + (nth - 1) * 7)
+  }
+
+  var lastOfMonth = new Date(year, month + 1, 0)
+  var lastDate = lastOfMonth.getDate() - (7 + lastOfMonth.getDay() - day) % 7
+  return new Date(year, month, lastDate + (nth + 1) * 7)
+}
+
+function isSaturdayOrSunday (date) {
+  var day = date.getDay()
+  return day === 0 || day === 6
+}
@@ -0,0 +1,138 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import buildHolidayCalendar from '.'
+
+describe('buildHolidayCalendar', function () {
+  it('builds a calendar with holidays on fixed dates', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Christmas Day', month: 11, date: 25}
+    ])
+    assert.deepEqual(calendar.holidays(2014), [
+      {name: 'Christmas Day', date: new Date(2014, 11 /* Dec */, 25)}
+    ])
+  })
+
+  it('builds a calendar with holidays on the nth day of the week of a month', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Thanksgiving Day', month: 10, day: 4, nth: 4},
+      {name: 'Labor Day', month: 8, day: 1, nth: 1}
+    ])
+    assert.deepEqual(calendar.holidays(2014), [
+      {name: 'Labor Day', date: new Date(2014, 8 /* Sep */, 1)},
+      {name: 'Thanksgiving Day', date: new Date(2014, 10 /* Nov */, 27)}
+    ])
+  })
+
+  it('counts from the end of the month if `nth` is negative', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Memorial Day', month: 4, day: 1, nth: -1},
+      {name: 'Second to last Friday of May', month: 4, day: 5, nth: -2}
+    ])
+    assert.deepEqual(calendar.holidays(2014), [
+      {name: 'Second to last Friday of May', date: new Date(2014, 4 /* May */, 23)},
+      {name: 'Memorial Day', date: new Date(2014, 4 /* May */, 26)}
+    ])
+  })
+
+  it('builds a calendar with holidays relative to Easter Sunday', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Good Friday', easterOffset: -2},
+      {name: 'Easter Monday', easterOffset: 1}
+    ])
+    assert.deepEqual(calendar.holidays(2014), [
+      {name: 'Good Friday', date: new Date(2014, 3 /* Apr */, 18)},
+      {name: 'Easter Monday', date: new Date(2014, 3 /* Apr */, 21)}
+    ])
+  })
+
+  it('respects `fromYear` and `toYear`', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Old holiday', month: 0, date: 2, toYear: 2013},
+      {name: 'New holiday', month: 0, date: 3, fromYear: 2015}
+    ])
+    assert.deepEqual(calendar.holidays(2013), [
+      {name: 'Old holiday', date: new Date(2013, 0 /* Jan */, 2)}
+    ])
+    assert.deepEqual(calendar.holidays(2014), [])
+    assert.deepEqual(calendar.holidays(2015), [
+      {name: 'New holiday', date: new Date(2015, 0 /* Jan */, 3)}
+    ])
+  })
+
+  context('with `observed` set to `nearestWeekday`', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4, observed: 'nearestWeekday'},
+      {name: "New Year's Day", month: 0, date: 1, observed: 'nearestWeekday'}
+    ])
+
+    it('moves holidays that fall on Saturday to Friday', function () {
+      assert.deepEqual(calendar.holidays(2015)[1], {
+        name: 'Independence Day',
+        date: new Date(2015, 6 /* Jul */, 3)
+      })
+    })
+
+    it('moves holidays that fall on Sunday to Monday', function () {
+      assert.deepEqual(calendar.holidays(2010)[1], {
+        name: 'Independence Day',
+        date: new Date(2010, 6 /* Jul */, 5)
+      })
+    })
+
+    it('lists holidays observed in the previous year', function () {
+      assert.deepEqual(calendar.holidays(2010), [
+        {name: "New Year's Day", date: new Date(2010, 0 /* Jan */, 1)},
+        {name: 'Independence Day', date: new Date(2010, 6 /* Jul */, 5)},
+        {name: "New Year's Day", date: new Date(2010, 11 /* Dec */, 31)}
+      ])
+    })
+  })
+
+  context('with `observed` set to `nextWeekday`', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Christmas Day', month: 11, date: 25, observed: 'nextWeekday'},
+      {name: 'Boxing Day', month: 11, date: 26, observed: 'nextWeekday'}
+    ])
+
+    it('moves holidays that fall on a weekend to the next weekday', function () {
+      assert.deepEqual(calendar.holidays(2021), [
+        {name: 'Christmas Day', date: new Date(2021, 11 /* Dec */, 27)},
+        {name: 'Boxing Day', date: new Date(2021, 11 /* Dec */, 28)}
+      ])
+    })
+
+    it('skips the days taken by other holidays', function () {
+      assert.deepEqual(calendar.holidays(2022), [
+        {name: 'Boxing Day', date: new Date(2022, 11 /* Dec */, 26)},
+        {name: 'Christmas Day', date: new Date(2022, 11 /* Dec */, 27)}
+      ])
+    })
+  })
+
+  it('returns an empty array if the year is NaN', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Christmas Day', month: 11, date: 25}
+    ])
+    assert.deepEqual(calendar.holidays(NaN), [])
+  })
+
+  it('returns new dates on every call', function () {
+    var calendar = buildHolidayCalendar([
+      {name: 'Christmas Day', month: 11, date: 25}
+    ])
+    calendar.holidays(2014)[0].date.setDate(1)
+    assert.deepEqual(calendar.holidays(2014)[0].date, new Date(2014, 11 /* Dec */, 25))
+  })
+
+  it('throws `RangeError` if a rule is invalid', function () {
+    var block = buildHolidayCalendar.bind(null, [{name: 'Invalid', month: 11}])
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `observed` is invalid', function () {
+    var block = buildHolidayCalendar.bind(null, [{name: 'Invalid', month: 11, date: 1, observed: 'never'}])
+    assert.throws(block, RangeError)
+  })
+})
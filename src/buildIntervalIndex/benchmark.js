@@ -0,0 +1,21 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import buildIntervalIndex from '.'
+
+suite('buildIntervalIndex', function () {
+  benchmark('date-fns', function () {
+    return this.index.containing(this.date)
+  })
+}, {
+  setup: function () {
+    var now = Date.now()
+    var intervals = []
+    for (var i = 0; i < 10000; i++) {
+      intervals.push({start: new Date(now + i * 1800000), end: new Date(now + i * 1800000 + 3600000)})
+    }
+    this.index = buildIntervalIndex(intervals)
+    this.date = new Date(now + 5000 * 1800000 + 900000)
+  }
+})
@@ -0,0 +1,242 @@
+import toDate from '../toDate/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
+
+/**
+ * @name buildIntervalIndex
+ * @category Interval Helpers
+ * @summary Build the index of the time intervals for the fast queries.
+ *
+ * @description
+ * Build the immutable index of the given time intervals, which finds the intervals
+ * that contain a date, the intervals that overlap an interval and the interval nearest to a date.
+ *
+ * Checking many dates against many intervals with `isWithinInterval` takes the time
+ * proportional to the number of the dates multiplied by the number of the intervals.
+ * The index is built once in O(n log n) time, and then each query takes O(log n + k) time,
+ * where n is the number of the intervals and k is the number of the intervals in the result.
+ *
+ * The queries return the given interval objects themselves, so they can have other properties
+ * (e.g. `id`). The intervals in the results are sorted by their starts; the intervals
+ * with the same start are in the same order as in the given array.
+ * Changing the given array or the intervals after the index is built doesn't change the index.
+ *
+ * By default, both the starts and the ends of the intervals are included in them ('[]'),
+ * like in `isWithinInterval`, so the intervals that touch each other overlap.
+ * Use `options.bounds` to change it. The bounds apply both to the indexed intervals
+ * and to the intervals passed to `overlapping`. The intervals that contain no moments
+ * (the zero-length intervals that exclude their start or end) are never returned.
+ *
+ * The string and number arguments of the queries are converted with `toDate`
+ * using the options passed to `buildIntervalIndex`.
+ *
+ * @param {Interval[]} intervals - the array of the intervals to index. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the starts and the ends of the intervals
+ *   are included in them. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {IntervalIndex} the index of the intervals. See [IntervalIndex]{@link docs/types/IntervalIndex}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Which bookings are active at the given moments?
+ * var index = buildIntervalIndex([
+ *   {id: 1, start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 12)},
+ *   {id: 2, start: new Date(2014, 0, 10, 11), end: new Date(2014, 0, 10, 14)},
+ *   {id: 3, start: new Date(2014, 0, 10, 16), end: new Date(2014, 0, 10, 18)}
+ * ], {bounds: '[)'})
+ *
+ * index.containing(new Date(2014, 0, 10, 11, 30))
+ * //=> [{id: 1, ...}, {id: 2, ...}]
+ *
+ * index.overlapping({start: new Date(2014, 0, 10, 12), end: new Date(2014, 0, 10, 17)})
+ * //=> [{id: 2, ...}, {id: 3, ...}]
+ *
+ * index.nearest(new Date(2014, 0, 10, 15))
+ * //=> {id: 3, start: Fri Jan 10 2014 16:00:00, end: Fri Jan 10 2014 18:00:00}
+ */
+export default function buildIntervalIndex (dirtyIntervals, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var bounds = getIntervalBounds(dirtyOptions, '[]')
+
+  var intervalsArray
+  // `dirtyIntervals` is undefined or null
+  if (dirtyIntervals == null) {
+    intervalsArray = []
+
+  // `dirtyIntervals` is Array, Set or Map, or object with custom `forEach` method
+  } else if (typeof dirtyIntervals.forEach === 'function') {
+    intervalsArray = dirtyIntervals
+
+  // If `dirtyIntervals` is Array-like Object, convert to Array. Otherwise, make it empty Array
+  } else {
+    intervalsArray = Array.prototype.slice.call(dirtyIntervals)
+  }
+
+  // Each entry is the half-open interval [start, end) that contains the same milliseconds
+  // as the given interval, and the given interval itself
+  var entries = []
+  intervalsArray.forEach(function (dirtyInterval) {
+    var interval = dirtyInterval || {}
+    var startTime = toDate(interval.start, dirtyOptions).getTime()
+    var endTime = toDate(interval.end, dirtyOptions).getTime()
+
+    // Throw an exception if start date is after end date or if any date is `Invalid Date`
+    if (!(startTime <= endTime)) {
+      throw new RangeError('Invalid interval')
+    }
+
+    startTime += bounds.start
+    endTime += bounds.end
+
+    if (startTime < endTime) {
+      entries.push({start: startTime, end: endTime, interval: dirtyInterval, order: entries.length})
+    }
+  })
+
+  entries.sort(function (entryLeft, entryRight) {
+    return entryLeft.start - entryRight.start || entryLeft.order - entryRight.order
+  })
+
+  var count = entries.length
+
+  // The sorted entries form the implicit balanced binary search tree:
+  // the root of the subtree of entries[low..high] is entries[middle(low, high)].
+  // `maxEnds[i]` is the largest end in the subtree which root is entries[i].
+  var maxEnds = new Array(count)
+  buildSubtree(entries, maxEnds, 0, count - 1)
+
+  // `latestEndIndices[i]` is the index of the entry that ends last among entries[0..i]
+  var latestEndIndices = new Array(count)
+  for (var i = 0; i < count; i++) {
+    latestEndIndices[i] = i > 0 && entries[latestEndIndices[i - 1]].end >= entries[i].end
+      ? latestEndIndices[i - 1]
+      : i
+  }
+
+  return {
+    containing: function (dirtyDate) {
+      if (arguments.length < 1) {
+        throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+      }
+
+      var time = toDate(dirtyDate, dirtyOptions).getTime()
+      var result = []
+
+      if (!isNaN(time)) {
+        collectOverlapping(entries, maxEnds, 0, count - 1, time, time + 1, result)
+      }
+
+      return result
+    },
+
+    overlapping: function (dirtyInterval) {
+      if (arguments.length < 1) {
+        throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+      }
+
+      var interval = dirtyInterval || {}
+      var startTime = toDate(interval.start, dirtyOptions).getTime()
+      var endTime = toDate(interval.end, dirtyOptions).getTime()
+
+      // Throw an exception if start date is after end date or if any date is `Invalid Date`
+      if (!(startTime <= endTime)) {
+        throw new RangeError('Invalid interval')
+      }
+
+      var result = []
+      collectOverlapping(entries, maxEnds, 0, count - 1, startTime + bounds.start, endTime + bounds.end, result)
+      return result
+    },
+
+    nearest: function (dirtyDate) {
+      if (arguments.length < 1) {
+        throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+      }
+
+      var time = toDate(dirtyDate, dirtyOptions).getTime()
+
+      if (isNaN(time) || count === 0) {
+        return null
+      }
+
+      // Find the last entry that starts at or before the date
+      var low = 0
+      var high = count - 1
+      while (low <= high) {
+        var middle = (low + high) >> 1
+        if (entries[middle].start <= time) {
+          low = middle + 1
+        } else {
+          high = middle - 1
+        }
+      }
+
+      // The nearest entry is either the one that ends last among the entries that start at or before the date,
+      // or the first entry that starts after the date
+      var before = high >= 0 ? entries[latestEndIndices[high]] : null
+      var after = low < count ? entries[low] : null
+
+      if (before === null) {
+        return after.interval
+      }
+
+      // The distance to the last millisecond of the entry, or 0 if the entry contains the date
+      var distanceBefore = Math.max(time - before.end + 1, 0)
+      if (after === null || distanceBefore <= after.start - time) {
+        return before.interval
+      }
+
+      return after.interval
+    }
+  }
+}
+
+function buildSubtree (entries, maxEnds, low, high) {
+  if (low > high) {
+    return -Infinity
+  }
+
+  var middle = (low + high) >> 1
+  maxEnds[middle] = Math.max(
+    entries[middle].end,
+    buildSubtree(entries, maxEnds, low, middle - 1),
+    buildSubtree(entries, maxEnds, middle + 1, high)
+  )
+  return maxEnds[middle]
+}
+
+// Pushes the intervals of the entries in the subtree that overlap [startTime, endTime) into the result,
+// in the order of the entries
+function collectOverlapping (entries, maxEnds, low, high, startTime, endTime, result) {
+  if (low > high || startTime >= endTime) {
+    return
+  }
+
+  var middle = (low + high) >> 1
+
+  // None of the entries in the subtree end after the start
+  if (maxEnds[middle] <= startTime) {
+    return
+  }
+
+  collectOverlapping(entries, maxEnds, low, middle - 1, startTime, endTime, result)
+
+  var entry = entries[middle]
+  // The entry and all entries to the right of it start at or after the end
+  if (entry.start >= endTime) {
+    return
+  }
+
+  if (entry.end > startTime) {
+    result.push(entry.interval)
+  }
+
+  collectOverlapping(entries, maxEnds, middle + 1, high, startTime, endTime, result)
+}
@@ -0,0 +1,324 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import buildIntervalIndex from '.'
+import isWithinInterval from '../isWithinInterval'
+
+describe('buildIntervalIndex', function () {
+  var morning = {id: 1, start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}
+  var noon = {id: 2, start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 14)}
+  var evening = {id: 3, start: new Date(2014, 0 /* Jan */, 10, 16), end: new Date(2014, 0 /* Jan */, 10, 18)}
+  var day = {id: 4, start: new Date(2014, 0 /* Jan */, 10), end: new Date(2014, 0 /* Jan */, 11)}
+
+  describe('containing', function () {
+    it('returns the intervals that contain the date sorted by their starts', function () {
+      var index = buildIntervalIndex([evening, noon, day, morning])
+      var result = index.containing(new Date(2014, 0 /* Jan */, 10, 11, 30))
+      assert.deepEqual(result, [day, morning, noon])
+    })
+
+    it('returns the given interval objects', function () {
+      var index = buildIntervalIndex([morning])
+      var result = index.containing(new Date(2014, 0 /* Jan */, 10, 10))
+      assert(result[0] === morning)
+    })
+
+    it('returns an empty array if no interval contains the date', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 15)), [])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 8)), [])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 19)), [])
+    })
+
+    it('includes the starts and the ends of the intervals by default', function () {
+      var index = buildIntervalIndex([morning, noon])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 9)), [morning])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 12)), [morning, noon])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 14)), [noon])
+    })
+
+    it('keeps the intervals with the same start in the given order', function () {
+      var first = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10)}
+      var second = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}
+      var third = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+      var index = buildIntervalIndex([first, second, third])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 9, 30)), [first, second, third])
+    })
+
+    it('returns the same intervals as `isWithinInterval`', function () {
+      var intervals = []
+      for (var i = 0; i < 50; i++) {
+        var start = (i * 37) % 100
+        intervals.push({start: new Date(2014, 0 /* Jan */, 10, 0, start), end: new Date(2014, 0 /* Jan */, 10, 0, start + (i * 13) % 20)})
+      }
+      var index = buildIntervalIndex(intervals)
+      for (var minutes = 0; minutes < 125; minutes++) {
+        var date = new Date(2014, 0 /* Jan */, 10, 0, minutes)
+        var expected = intervals.filter(function (interval) {
+          return isWithinInterval(date, interval)
+        })
+        var result = index.containing(date)
+        assert(result.length === expected.length)
+        assert(result.every(function (interval) { return expected.indexOf(interval) !== -1 }))
+      }
+    })
+
+    it('accepts a string', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      var result = index.containing(new Date(2014, 0 /* Jan */, 10, 17).toISOString())
+      assert.deepEqual(result, [evening])
+    })
+
+    it('accepts a timestamp', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      var result = index.containing(new Date(2014, 0 /* Jan */, 10, 17).getTime())
+      assert.deepEqual(result, [evening])
+    })
+
+    it('returns an empty array if the date is `Invalid Date`', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      assert.deepEqual(index.containing(new Date(NaN)), [])
+    })
+
+    it('throws TypeError exception if passed less than 1 argument', function () {
+      var index = buildIntervalIndex([morning])
+      assert.throws(index.containing.bind(null), TypeError)
+    })
+  })
+
+  describe('overlapping', function () {
+    it('returns the intervals that overlap the interval sorted by their starts', function () {
+      var index = buildIntervalIndex([evening, noon, day, morning])
+      var result = index.overlapping({
+        start: new Date(2014, 0 /* Jan */, 10, 13),
+        end: new Date(2014, 0 /* Jan */, 10, 17)
+      })
+      assert.deepEqual(result, [day, noon, evening])
+    })
+
+    it('returns an empty array if no interval overlaps the interval', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      var result = index.overlapping({
+        start: new Date(2014, 0 /* Jan */, 10, 14, 30),
+        end: new Date(2014, 0 /* Jan */, 10, 15, 30)
+      })
+      assert.deepEqual(result, [])
+    })
+
+    it('returns the intervals that contain the zero-length interval', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      var date = new Date(2014, 0 /* Jan */, 10, 11, 30)
+      assert.deepEqual(index.overlapping({start: date, end: date}), [morning, noon])
+    })
+
+    it('considers the intervals that touch each other overlapping by default', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      var result = index.overlapping({
+        start: new Date(2014, 0 /* Jan */, 10, 14),
+        end: new Date(2014, 0 /* Jan */, 10, 16)
+      })
+      assert.deepEqual(result, [noon, evening])
+    })
+
+    it('accepts strings and timestamps', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      var result = index.overlapping({
+        start: new Date(2014, 0 /* Jan */, 10, 15).toISOString(),
+        end: new Date(2014, 0 /* Jan */, 10, 17).getTime()
+      })
+      assert.deepEqual(result, [evening])
+    })
+
+    it('throws an exception if the start date is after the end date', function () {
+      var index = buildIntervalIndex([morning])
+      var block = index.overlapping.bind(null, {
+        start: new Date(2014, 0 /* Jan */, 10, 12),
+        end: new Date(2014, 0 /* Jan */, 10, 10)
+      })
+      assert.throws(block, RangeError)
+    })
+
+    it('throws an exception if any date is `Invalid Date`', function () {
+      var index = buildIntervalIndex([morning])
+      var block = index.overlapping.bind(null, {start: new Date(NaN), end: new Date(2014, 0 /* Jan */, 10, 10)})
+      assert.throws(block, RangeError)
+    })
+
+    it('throws an exception if the interval is undefined', function () {
+      var index = buildIntervalIndex([morning])
+      assert.throws(index.overlapping.bind(null, undefined), RangeError)
+    })
+
+    it('throws TypeError exception if passed less than 1 argument', function () {
+      var index = buildIntervalIndex([morning])
+      assert.throws(index.overlapping.bind(null), TypeError)
+    })
+  })
+
+  describe('nearest', function () {
+    it('returns the interval that contains the date', function () {
+      var index = buildIntervalIndex([morning, evening])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 17)) === evening)
+    })
+
+    it('returns the interval that ends last among the intervals that contain the date', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 11, 30)) === noon)
+    })
+
+    it('returns the interval that starts after the date if it is closer', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 15, 30)) === evening)
+    })
+
+    it('returns the interval that ends before the date if it is closer', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 14, 30)) === noon)
+    })
+
+    it('returns the interval that ends before the date if both are equally close', function () {
+      var index = buildIntervalIndex([morning, noon, evening])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 15)) === noon)
+    })
+
+    it('finds the long interval that starts before the other intervals', function () {
+      var long = {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 0 /* Jan */, 20)}
+      var index = buildIntervalIndex([long, morning, evening])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 20)) === long)
+    })
+
+    it('returns the first or the last interval for the date outside of all intervals', function () {
+      var index = buildIntervalIndex([noon, evening, morning])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 1)) === morning)
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 20)) === evening)
+    })
+
+    it('returns null if the index is empty', function () {
+      var index = buildIntervalIndex([])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10)) === null)
+    })
+
+    it('returns null if the date is `Invalid Date`', function () {
+      var index = buildIntervalIndex([morning])
+      assert(index.nearest(new Date(NaN)) === null)
+    })
+
+    it('accepts a string', function () {
+      var index = buildIntervalIndex([morning, evening])
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 20).toISOString()) === evening)
+    })
+
+    it('throws TypeError exception if passed less than 1 argument', function () {
+      var index = buildIntervalIndex([morning])
+      assert.throws(index.nearest.bind(null), TypeError)
+    })
+  })
+
+  context('with `bounds` option', function () {
+    it('excludes the ends of the intervals', function () {
+      var index = buildIntervalIndex([morning, noon], {bounds: '[)'})
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 12)), [noon])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 14)), [])
+    })
+
+    it('excludes the starts of the intervals', function () {
+      var index = buildIntervalIndex([morning, noon], {bounds: '(]'})
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 9)), [])
+      assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 12)), [morning, noon])
+    })
+
+    it('applies the bounds to the interval passed to `overlapping`', function () {
+      var index = buildIntervalIndex([morning, noon, evening], {bounds: '[)'})
+      var result = index.overlapping({
+        start: new Date(2014, 0 /* Jan */, 10, 14),
+        end: new Date(2014, 0 /* Jan */, 10, 16)
+      })
+      assert.deepEqual(result, [])
+    })
+
+    it('measures the distance to the last included moment in `nearest`', function () {
+      var index = buildIntervalIndex([morning, evening], {bounds: '[)'})
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 13, 59, 59, 999)) === morning)
+      assert(index.nearest(new Date(2014, 0 /* Jan */, 10, 14)) === evening)
+      assert(buildIntervalIndex([morning, evening]).nearest(new Date(2014, 0 /* Jan */, 10, 14)) === morning)
+    })
+
+    it('ignores the intervals that contain no moments', function () {
+      var date = new Date(2014, 0 /* Jan */, 10, 15)
+      var empty = {start: date, end: date}
+      var index = buildIntervalIndex([morning, empty], {bounds: '[)'})
+      assert.deepEqual(index.containing(date), [])
+      assert.deepEqual(index.overlapping({start: date, end: date}), [])
+      assert(index.nearest(date) === morning)
+
+      var closedIndex = buildIntervalIndex([morning, empty])
+      assert.deepEqual(closedIndex.containing(date), [empty])
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      // $ExpectedMistake
+      var block = buildIntervalIndex.bind(null, [morning], {bounds: '[['})
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it("doesn't change when the given array changes", function () {
+    var intervals = [morning, noon]
+    var index = buildIntervalIndex(intervals)
+    intervals.push(evening)
+    intervals[0] = day
+    assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 10)), [morning])
+    assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 17)), [])
+  })
+
+  it('accepts a Set and an array-like object', function () {
+    var date = new Date(2014, 0 /* Jan */, 10, 11, 30)
+    if (typeof Set === 'function') {
+      assert.deepEqual(buildIntervalIndex(new Set([noon, morning])).containing(date), [morning, noon])
+    }
+    // $ExpectedMistake
+    assert.deepEqual(buildIntervalIndex({0: noon, 1: morning, length: 2}).containing(date), [morning, noon])
+  })
+
+  it('accepts strings and timestamps in the intervals', function () {
+    var interval = {start: morning.start.toISOString(), end: morning.end.getTime()}
+    var index = buildIntervalIndex([interval])
+    assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 10)), [interval])
+  })
+
+  it('builds an empty index if the intervals are undefined', function () {
+    // $ExpectedMistake
+    var index = buildIntervalIndex(undefined)
+    assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10)), [])
+  })
+
+  it('throws an exception if the start date of any interval is after its end date', function () {
+    var block = buildIntervalIndex.bind(null, [morning, {
+      start: new Date(2014, 0 /* Jan */, 10, 12),
+      end: new Date(2014, 0 /* Jan */, 10, 10)
+    }])
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if any date in the intervals is `Invalid Date`', function () {
+    var block = buildIntervalIndex.bind(null, [{start: new Date(NaN), end: new Date(2014, 0 /* Jan */, 10)}])
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if any interval is undefined', function () {
+    // $ExpectedMistake
+    var block = buildIntervalIndex.bind(null, [morning, undefined])
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = buildIntervalIndex.bind(null, [morning], {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(buildIntervalIndex.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,59 @@
+import durationToMilliseconds from '../durationToMilliseconds/index.js'
+
+/**
+ * @name compareDurations
+ * @category Duration Helpers
+ * @summary Compare the two durations and return -1, 0 or 1.
+ *
+ * @description
+ * Compare the two durations and return 1 if the first duration is longer than the second,
+ * -1 if the first duration is shorter than the second or 0 if durations are equal.
+ *
+ * The durations are compared by the number of milliseconds in them
+ * (see `durationToMilliseconds`). The durations with years or months
+ * are compared after the date in `options.relativeTo`, because their length
+ * depends on the date: 1 month is shorter than 30 days after 1 February,
+ * but longer after 1 March.
+ *
+ * @param {Duration} durationLeft - the first duration to compare. See [Duration]{@link docs/Duration}
+ * @param {Duration} durationRight - the second duration to compare. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {Date|String|Number} [options.relativeTo] - the date the durations are added to
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Number} the result of the comparison
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.relativeTo` is required for the duration with years or months
+ *
+ * @example
+ * // Compare 90 minutes and 1 hour:
+ * var result = compareDurations({minutes: 90}, {hours: 1})
+ * //=> 1
+ *
+ * @example
+ * // Compare 1 month and 30 days after 1 February 2015:
+ * var result = compareDurations({months: 1}, {days: 30}, {relativeTo: new Date(2015, 1, 1)})
+ * //=> -1
+ *
+ * @example
+ * // Sort the array of durations:
+ * var result = [{hours: 2}, {minutes: 30}, {days: 1}].sort(compareDurations)
+ * //=> [{minutes: 30}, {hours: 2}, {days: 1}]
+ */
+export default function compareDurations (dirtyDurationLeft, dirtyDurationRight, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var diff = durationToMilliseconds(dirtyDurationLeft, dirtyOptions) -
+    durationToMilliseconds(dirtyDurationRight, dirtyOptions)
+
+  if (diff < 0) {
+    return -1
+  } else if (diff > 0) {
+    return 1
+  // Return 0 if diff is 0; return NaN if diff is NaN
+  } else {
+    return diff
+  }
+}
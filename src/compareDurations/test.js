@@ -0,0 +1,49 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import compareDurations from '.'
+
+describe('compareDurations', function () {
+  it('returns 1 if the first duration is longer than the second', function () {
+    var result = compareDurations({minutes: 90}, {hours: 1})
+    assert(result === 1)
+  })
+
+  it('returns -1 if the first duration is shorter than the second', function () {
+    var result = compareDurations({hours: 23}, {days: 1})
+    assert(result === -1)
+  })
+
+  it('returns 0 if the durations are equal', function () {
+    var result = compareDurations({weeks: 1}, {days: 6, hours: 24})
+    assert(result === 0)
+  })
+
+  it('compares the durations with months after `options.relativeTo`', function () {
+    var february = compareDurations({months: 1}, {days: 30}, {relativeTo: new Date(2015, 1 /* Feb */, 1)})
+    assert(february === -1)
+    var march = compareDurations({months: 1}, {days: 30}, {relativeTo: new Date(2015, 2 /* Mar */, 1)})
+    assert(march === 1)
+  })
+
+  it('sorts the array of durations', function () {
+    var result = [{hours: 2}, {minutes: 30}, {days: 1}].sort(compareDurations)
+    assert.deepEqual(result, [{minutes: 30}, {hours: 2}, {days: 1}])
+  })
+
+  it('returns NaN if `options.relativeTo` is `Invalid Date`', function () {
+    var result = compareDurations({months: 1}, {days: 30}, {relativeTo: new Date(NaN)})
+    assert(isNaN(result))
+  })
+
+  it('throws `RangeError` if the duration has years or months and `options.relativeTo` is not specified', function () {
+    var block = compareDurations.bind(null, {months: 1}, {days: 30})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(compareDurations.bind(null), TypeError)
+    assert.throws(compareDurations.bind(null, {days: 1}), TypeError)
+  })
+})
@@ -0,0 +1,11 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import compileFormat from '.'
+
+suite('compileFormat', function () {
+  benchmark('date-fns', function () {
+    return compileFormat('dddd, MMMM Do YYYY, h:mm:ss a')
+  })
+})
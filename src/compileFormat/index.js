@@ -0,0 +1,65 @@
+import tokenizeFormat from '../format/_lib/tokenizeFormat/index.js'
+import formatTokens from '../format/_lib/formatTokens/index.js'
+
+/**
+ * @name compileFormat
+ * @category Common Helpers
+ * @summary Compile the format string into the reusable function.
+ *
+ * @description
+ * Return the function that formats the given date like
+ * [format]{@link https://date-fns.org/docs/format} with the given format string and options.
+ *
+ * The format string is split into the tokens only once, when the function is compiled,
+ * so it's faster than calling `format` when the same format is used for many dates.
+ *
+ * The locale and the unescaped latin letters of the format string are checked by `compileFormat`,
+ * the rest of the options are checked by the compiled function on every call, like in `format`.
+ * The compiled function returns 'Invalid Date' if the given date is invalid.
+ *
+ * @param {String} format - the string of tokens. See [format]{@link https://date-fns.org/docs/format}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @param {Boolean} [options.unicodeTokens=false] - if true, the format string consists of Unicode Technical Standard #35 tokens
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn] - the index of the first day of the week for the Unicode tokens (0 - Sunday).
+ *   By default, the one of the locale
+ * @param {1|2|3|4|5|6|7} [options.firstWeekContainsDate] - the day of January, which is always in the first week of the year,
+ *   for the Unicode tokens. By default, the one of the locale
+ * @returns {Function} the function that takes the date and returns the formatted date string
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.locale` must contain `localize` property
+ * @throws {RangeError} `options.locale` must contain `formatLong` property
+ * @throws {RangeError} format string must not contain unescaped latin letters that aren't tokens
+ *
+ * @example
+ * // Format the dates of the list:
+ * var formatDate = compileFormat('MM/DD/YYYY')
+ * var result = [new Date(2014, 1, 11), new Date(2014, 6, 2)].map(formatDate)
+ * //=> ['02/11/2014', '07/02/2014']
+ */
+export default function compileFormat (dirtyFormatStr, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var formatStr = String(dirtyFormatStr)
+  var tokenized = tokenizeFormat(formatStr, dirtyOptions)
+  var tokens = tokenized.tokens
+  var options = tokenized.options
+
+  return function (dirtyDate) {
+    var parts = formatTokens(tokens, dirtyDate, options)
+
+    if (!parts) {
+      return 'Invalid Date'
+    }
+
+    return parts
+      .map(function (part) {
+        return part.value
+      })
+      .join('')
+  }
+}
@@ -0,0 +1,63 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import compileFormat from '.'
+import format from '../format'
+
+describe('compileFormat', function () {
+  var date = new Date(1986, 3 /* Apr */, 4, 10, 32, 0, 900)
+
+  it('returns the function that formats the dates', function () {
+    var formatDate = compileFormat('MM/DD/YYYY')
+    assert(formatDate(date) === '04/04/1986')
+    assert(formatDate(new Date(2014, 6 /* Jul */, 2)) === '07/02/2014')
+  })
+
+  it('returns the same result as `format`', function () {
+    var formatStr = 'dddd, MMMM Do YYYY, h:mm:ss a [at] LT'
+    var formatDate = compileFormat(formatStr)
+    assert(formatDate(date) === format(date, formatStr))
+  })
+
+  it('passes the options to the compiled function', function () {
+    var formatDate = compileFormat("EEEE, d 'of' MMMM", {unicodeTokens: true})
+    assert(formatDate(date) === 'Friday, 4 of April')
+  })
+
+  it('accepts the presets', function () {
+    var formatDate = compileFormat('iCalDateTimeUTC')
+    assert(formatDate(Date.UTC(1986, 3 /* Apr */, 4, 10, 32)) === '19860404T103200Z')
+  })
+
+  it('accepts the strings and the numbers', function () {
+    var formatDate = compileFormat('YYYY-MM-DD')
+    assert(formatDate(date.getTime()) === '1986-04-04')
+    assert(formatDate('1986-04-04T10:32:00') === '1986-04-04')
+  })
+
+  it("returns 'Invalid Date' if the date isn't valid", function () {
+    var formatDate = compileFormat('MMMM')
+    assert(formatDate(new Date(NaN)) === 'Invalid Date')
+  })
+
+  it('throws `RangeError` if the format string contains an unescaped latin letter', function () {
+    var block = compileFormat.bind(null, 'yyyy-MM-ddTHH:mm', {unicodeTokens: true})
+    assert.throws(block, RangeError)
+  })
+
+  it("throws `RangeError` if `options.locale` doesn't contain `localize` property", function () {
+    var customLocale = {
+      formatLong: function () {
+        return '{{time}} {{date}}'
+      }
+    }
+    // $ExpectedMistake
+    var block = compileFormat.bind(null, 'YYYY-MM-DD', {locale: customLocale})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(compileFormat.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,11 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import compileParse from '.'
+
+suite('compileParse', function () {
+  benchmark('date-fns', function () {
+    return compileParse('dddd, MMMM Do YYYY, h:mm:ss a')
+  })
+})
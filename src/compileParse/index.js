@@ -0,0 +1,53 @@
+import tokenizeFormat from '../parse/_lib/tokenizeFormat/index.js'
+import parseTokens from '../parse/_lib/parseTokens/index.js'
+
+/**
+ * @name compileParse
+ * @category Common Helpers
+ * @summary Compile the parse format string into the reusable function.
+ *
+ * @description
+ * Return the function that parses the given date string like
+ * [parse]{@link https://date-fns.org/docs/parse} with the given format string and options.
+ * The compiled function takes the date string and the base date.
+ *
+ * The format string is split into the tokens only once, when the function is compiled,
+ * so it's faster than calling `parse` when the same format is used for many strings.
+ *
+ * If parsing failed, the compiled function returns `Invalid Date`.
+ *
+ * @param {String} formatString - the string of tokens. See [parse]{@link https://date-fns.org/docs/parse}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn=0] - the index of the first day of the week (0 - Sunday)
+ * @returns {Function} the function that takes the date string and the base date and returns the parsed date
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} `options.locale` must contain `match` property
+ * @throws {RangeError} `options.locale` must contain `formatLong` property
+ *
+ * @example
+ * // Parse the dates of the list in the context of 2010 year:
+ * var parseDate = compileParse('D MMMM')
+ * var baseDate = new Date(2010, 0, 1)
+ * var result = ['11 February', '2 July'].map(function (dateString) {
+ *   return parseDate(dateString, baseDate)
+ * })
+ * //=> [Thu Feb 11 2010 00:00:00, Fri Jul 02 2010 00:00:00]
+ */
+export default function compileParse (dirtyFormatString, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var tokens = tokenizeFormat(String(dirtyFormatString), dirtyOptions)
+
+  return function (dirtyDateString, dirtyBaseDate) {
+    if (arguments.length < 2) {
+      throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+    }
+
+    return parseTokens(tokens, dirtyDateString, dirtyBaseDate, dirtyOptions)
+  }
+}
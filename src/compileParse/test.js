@@ -0,0 +1,77 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import compileParse from '.'
+import parse from '../parse'
+
+describe('compileParse', function () {
+  var baseDate = new Date(1986, 3 /* Apr */, 4, 10, 32, 0, 900)
+
+  it('returns the function that parses the date strings', function () {
+    var parseDate = compileParse('MM/DD/YYYY')
+    assert.deepEqual(parseDate('02/11/2014', baseDate), new Date(2014, 1 /* Feb */, 11))
+    assert.deepEqual(parseDate('07/02/2014', baseDate), new Date(2014, 6 /* Jul */, 2))
+  })
+
+  it('returns the same result as `parse`', function () {
+    var dateString = 'Tuesday, January 10th 2017, 11:07:40 am'
+    var formatString = 'dddd, MMMM Do YYYY, h:mm:ss a'
+    var parseDate = compileParse(formatString)
+    assert.deepEqual(parseDate(dateString, baseDate), parse(dateString, formatString, baseDate))
+  })
+
+  it('takes the missing values from the base date', function () {
+    var parseDate = compileParse('D MMMM')
+    assert.deepEqual(parseDate('11 February', new Date(2010, 0 /* Jan */, 1)), new Date(2010, 1 /* Feb */, 11))
+  })
+
+  it('passes the options to the compiled function', function () {
+    var parseDate = compileParse('d', {weekStartsOn: 1})
+    assert.deepEqual(parseDate('0', baseDate), new Date(1986, 3 /* Apr */, 6))
+  })
+
+  it('returns the base date if the format string has no tokens', function () {
+    var parseDate = compileParse('')
+    assert.deepEqual(parseDate('', baseDate), baseDate)
+  })
+
+  it('returns `Invalid Date` if the date string does not match the format string', function () {
+    var parseDate = compileParse('MM/DD/YYYY')
+    var result = parseDate('2014-02-11', baseDate)
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('returns `Invalid Date` if the base date is invalid', function () {
+    var parseDate = compileParse('MM/DD/YYYY')
+    var result = parseDate('02/11/2014', new Date(NaN))
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('throws `RangeError` if `options.weekStartsOn` is not convertable to 0, 1, ..., 6 or undefined', function () {
+    // $ExpectedMistake
+    var block = compileParse.bind(null, 'YYYY', {weekStartsOn: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it("throws `RangeError` if `options.locale` doesn't contain `match` property", function () {
+    var customLocale = {
+      formatLong: function () {
+        return '{{time}} {{date}}'
+      }
+    }
+    // $ExpectedMistake
+    var block = compileParse.bind(null, 'YYYY', {locale: customLocale})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(compileParse.bind(null), TypeError)
+  })
+
+  it('throws TypeError exception if the compiled function is passed less than 2 arguments', function () {
+    var parseDate = compileParse('YYYY')
+    assert.throws(parseDate.bind(null), TypeError)
+    assert.throws(parseDate.bind(null, '2014'), TypeError)
+  })
+})
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import differenceInBusinessDays from '.'
+
+suite('differenceInBusinessDays', function () {
+  benchmark('date-fns', function () {
+    return differenceInBusinessDays(this.dateA, this.dateB)
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 604800000)
+  }
+})
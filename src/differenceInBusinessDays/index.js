@@ -0,0 +1,151 @@
+import toDate from '../toDate/index.js'
+import addDays from '../addDays/index.js'
+import isWeekend from '../isWeekend/index.js'
+import startOfDay from '../startOfDay/index.js'
+import differenceInCalendarDays from '../differenceInCalendarDays/index.js'
+import tzToWallTime from '../_lib/tzToWallTime/index.js'
+import tzFromWallTime from '../_lib/tzFromWallTime/index.js'
+
+/**
+ * @name differenceInBusinessDays
+ * @category Day Helpers
+ * @summary Get the number of business days between the given dates.
+ *
+ * @description
+ * Get the number of business days (days that are neither weekend days
+ * nor holidays in `options.holidays`) between the given dates.
+ * The days are counted from the day after the earlier date to the later date inclusively,
+ * so the result is consistent with `addBusinessDays`. The times are ignored.
+ * The days are taken in the local timezone or in `options.timeZone` if it is specified.
+ *
+ * @param {Date|String|Number} dateLeft - the later date
+ * @param {Date|String|Number} dateRight - the earlier date
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Number[]} [options.weekendDays=[0, 6]] - the indices of the weekend days of the week (0 - Sunday)
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {Number} the number of business days
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.weekendDays` must contain only numbers between 0 and 6
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // How many business days are between
+ * // 10 January 2014 and 18 July 2014?
+ * var result = differenceInBusinessDays(
+ *   new Date(2014, 6, 18),
+ *   new Date(2014, 0, 10)
+ * )
+ * //=> 135
+ */
+export default function differenceInBusinessDays (dirtyDateLeft, dirtyDateRight, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var dateLeft = toDate(dirtyDateLeft, dirtyOptions)
+  var dateRight = toDate(dirtyDateRight, dirtyOptions)
+
+  var calendarDifference = differenceInCalendarDays(dateLeft, dateRight, dirtyOptions)
+
+  if (isNaN(calendarDifference)) {
+    return NaN
+  }
+
+  var sign = calendarDifference < 0 ? -1 : 1
+  var difference = Math.abs(calendarDifference)
+  var currentDate = sign < 0 ? dateLeft : dateRight
+
+  // Any 7 consecutive days contain the same number of days that are not weekend days,
+  // so full weeks are counted at once. Holidays are subtracted afterwards
+  var businessDaysInWeek = 0
+  for (var i = 1; i <= 7; i++) {
+    if (!isWeekend(addDays(currentDate, i, dirtyOptions), dirtyOptions)) {
+      businessDaysInWeek++
+    }
+  }
+
+  var fullWeeks = Math.floor(difference / 7)
+  var result = fullWeeks * businessDaysInWeek
+  var rangeStartTime = startOfDay(currentDate, dirtyOptions).getTime()
+  currentDate = addDays(currentDate, fullWeeks * 7, dirtyOptions)
+
+  for (var j = fullWeeks * 7; j < difference; j++) {
+    currentDate = addDays(currentDate, 1, dirtyOptions)
+    if (!isWeekend(currentDate, dirtyOptions)) {
+      result++
+    }
+  }
+
+  var rangeEndTime = startOfDay(currentDate, dirtyOptions).getTime()
+  result -= countHolidays(rangeStartTime, rangeEndTime, dirtyOptions)
+
+  // exit early to avoid returning -0
+  if (result === 0) return 0
+
+  return sign * result
+}
+
+// Returns the number of holidays that are not weekend days
+// after the start of the range and up to its end inclusively
+function countHolidays (rangeStartTime, rangeEndTime, dirtyOptions) {
+  var options = dirtyOptions || {}
+  var calendar = options.holidays
+
+  if (!calendar) {
+    return 0
+  }
+
+  if (!calendar.holidays) {
+    throw new RangeError('holidays must contain holidays property')
+  }
+
+  var countedDays = {}
+  var count = 0
+  var startYear = getYear(rangeStartTime, options.timeZone)
+  var endYear = getYear(rangeEndTime, options.timeZone)
+
+  for (var year = startYear; year <= endYear; year++) {
+    var holidays = calendar.holidays(year)
+
+    for (var i = 0; i < holidays.length; i++) {
+      var holidayTime = getHolidayStartTime(holidays[i].date, options)
+
+      if (
+        holidayTime > rangeStartTime &&
+        holidayTime <= rangeEndTime &&
+        !countedDays[holidayTime] &&
+        !isWeekend(holidayTime, options)
+      ) {
+        countedDays[holidayTime] = true
+        count++
+      }
+    }
+  }
+
+  return count
+}
+
+function getYear (timestamp, timeZone) {
+  if (timeZone === undefined) {
+    return new Date(timestamp).getFullYear()
+  }
+  return new Date(tzToWallTime(timestamp, timeZone)).getUTCFullYear()
+}
+
+// The holiday dates are the calendar days in the local timezone,
+// so the same calendar day is found in `options.timeZone`
+function getHolidayStartTime (dirtyHolidayDate, options) {
+  var holidayDate = toDate(dirtyHolidayDate, options)
+
+  if (options.timeZone === undefined) {
+    return holidayDate.setHours(0, 0, 0, 0)
+  }
+
+  var wallDate = new Date(0)
+  wallDate.setUTCFullYear(holidayDate.getFullYear(), holidayDate.getMonth(), holidayDate.getDate())
+  return tzFromWallTime(wallDate.getTime(), options.timeZone)
+}
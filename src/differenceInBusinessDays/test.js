@@ -0,0 +1,223 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import differenceInBusinessDays from '.'
+import buildHolidayCalendar from '../buildHolidayCalendar'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('differenceInBusinessDays', function () {
+  it('returns the number of business days between the given dates', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 18),
+      new Date(2014, 0 /* Jan */, 10)
+    )
+    assert(result === 135)
+  })
+
+  it('returns a negative number if the time value of the first date is smaller', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 0 /* Jan */, 10),
+      new Date(2014, 6 /* Jul */, 18)
+    )
+    assert(result === -135)
+  })
+
+  it('ignores the weekend days at the end of the interval', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 20),
+      new Date(2014, 6 /* Jul */, 18)
+    )
+    assert(result === 0)
+  })
+
+  it('counts the business days after a weekend day', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 22),
+      new Date(2014, 6 /* Jul */, 19)
+    )
+    assert(result === 2)
+  })
+
+  it('ignores the time', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 22, 0, 0),
+      new Date(2014, 6 /* Jul */, 21, 23, 59)
+    )
+    assert(result === 1)
+  })
+
+  it('is consistent with addBusinessDays', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 8 /* Sep */, 15),
+      new Date(2014, 8 /* Sep */, 1)
+    )
+    assert(result === 10)
+  })
+
+  it('allows to specify which days are weekend days', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 8 /* Sep */, 7),
+      new Date(2014, 8 /* Sep */, 1),
+      {weekendDays: [5, 6]}
+    )
+    assert(result === 4)
+  })
+
+  it('excludes the holidays in `options.holidays`', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4},
+      {name: 'Weekend holiday', month: 6, date: 5},
+      {name: 'Christmas Day', month: 11, date: 25}
+    ])
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 18),
+      new Date(2014, 0 /* Jan */, 10),
+      {holidays: holidays}
+    )
+    assert(result === 134)
+  })
+
+  it('excludes the holidays across several years', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Christmas Day', month: 11, date: 25}
+    ])
+    var result = differenceInBusinessDays(
+      new Date(2015, 11 /* Dec */, 31),
+      new Date(2013, 11 /* Dec */, 31),
+      {holidays: holidays}
+    )
+    assert(result === 520)
+  })
+
+  it('counts a holiday only once', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4},
+      {name: 'Another holiday', month: 6, date: 4}
+    ])
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 7),
+      new Date(2014, 6 /* Jul */, 3),
+      {holidays: holidays}
+    )
+    assert(result === 1)
+  })
+
+  it('is consistent with addBusinessDays when `options.holidays` is specified', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 3),
+      new Date(2014, 6 /* Jul */, 7),
+      {holidays: holidays}
+    )
+    assert(result === -1)
+  })
+
+  it('counts the days in `options.timeZone`', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    // Fri 4 July 2014 11:00 in Tokyo and Thu 3 July 2014 22:00 in New York
+    var dateLeft = new Date(Date.UTC(2014, 6 /* Jul */, 4, 2))
+    // Thu 3 July 2014 11:00 in Tokyo and Wed 2 July 2014 22:00 in New York
+    var dateRight = new Date(Date.UTC(2014, 6 /* Jul */, 3, 2))
+    var resultInTokyo = differenceInBusinessDays(dateLeft, dateRight, {holidays: holidays, timeZone: tokyo})
+    var resultInNewYork = differenceInBusinessDays(dateLeft, dateRight, {holidays: holidays, timeZone: newYork})
+    assert(resultInTokyo === 0)
+    assert(resultInNewYork === 1)
+  })
+
+  it('accepts strings', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 18).toISOString(),
+      new Date(2014, 0 /* Jan */, 10).toISOString()
+    )
+    assert(result === 135)
+  })
+
+  it('accepts timestamps', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 18).getTime(),
+      new Date(2014, 0 /* Jan */, 10).getTime()
+    )
+    assert(result === 135)
+  })
+
+  it('returns 0 if the dates are the same', function () {
+    var result = differenceInBusinessDays(
+      new Date(2014, 8 /* Sep */, 5, 0, 0),
+      new Date(2014, 8 /* Sep */, 5, 0, 0)
+    )
+    assert(result === 0)
+  })
+
+  it('does not return -0 when the given dates are the same', function () {
+    function isNegativeZero (x) {
+      return x === 0 && (1 / x < 0)
+    }
+
+    var result = differenceInBusinessDays(
+      new Date(2014, 6 /* Jul */, 19),
+      new Date(2014, 6 /* Jul */, 20)
+    )
+
+    var resultIsNegative = isNegativeZero(result)
+    assert(resultIsNegative === false)
+  })
+
+  it('returns NaN if the first date is `Invalid Date`', function () {
+    var result = differenceInBusinessDays(
+      new Date(NaN),
+      new Date(2017, 0 /* Jan */, 1)
+    )
+    assert(isNaN(result))
+  })
+
+  it('returns NaN if the second date is `Invalid Date`', function () {
+    var result = differenceInBusinessDays(
+      new Date(2017, 0 /* Jan */, 1),
+      new Date(NaN)
+    )
+    assert(isNaN(result))
+  })
+
+  it('throws `RangeError` if `options.weekendDays` contains a number not between 0 and 6', function () {
+    var block = differenceInBusinessDays.bind(
+      null,
+      new Date(2014, 6 /* Jul */, 18),
+      new Date(2014, 0 /* Jan */, 10),
+      {weekendDays: [-1]}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.holidays` does not contain `holidays` property', function () {
+    var block = differenceInBusinessDays.bind(
+      null,
+      new Date(2014, 6 /* Jul */, 18),
+      new Date(2014, 0 /* Jan */, 10),
+      // $ExpectedMistake
+      {holidays: {}}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = differenceInBusinessDays.bind(
+      null,
+      new Date(2014, 6 /* Jul */, 18),
+      new Date(2014, 0 /* Jan */, 10),
+      // $ExpectedMistake
+      {additionalDigits: NaN}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(differenceInBusinessDays.bind(null), TypeError)
+    assert.throws(differenceInBusinessDays.bind(null, 1), TypeError)
+  })
+})
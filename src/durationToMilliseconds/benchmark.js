@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import durationToMilliseconds from '.'
+
+suite('durationToMilliseconds', function () {
+  benchmark('date-fns', function () {
+    return durationToMilliseconds(this.duration)
+  })
+}, {
+  setup: function () {
+    this.duration = {days: 10, hours: 2, minutes: 30}
+  }
+})
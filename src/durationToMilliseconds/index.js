@@ -0,0 +1,74 @@
+import add from '../add/index.js'
+import differenceInMilliseconds from '../differenceInMilliseconds/index.js'
+
+var MILLISECONDS_IN_WEEK = 604800000
+var MILLISECONDS_IN_DAY = 86400000
+var MILLISECONDS_IN_HOUR = 3600000
+var MILLISECONDS_IN_MINUTE = 60000
+var MILLISECONDS_IN_SECOND = 1000
+
+/**
+ * @name durationToMilliseconds
+ * @category Duration Helpers
+ * @summary Get the number of milliseconds in the duration.
+ *
+ * @description
+ * Get the number of milliseconds in the duration.
+ *
+ * If `options.relativeTo` is specified, the duration is added to that date with `add`,
+ * and the result is the same as `differenceInMilliseconds` between the dates.
+ * So, a month or a day has as many milliseconds as it really has after the given date.
+ * The fraction of a day is the exact amount of time in both cases (e.g. 0.5 days are 12 hours).
+ *
+ * Otherwise, a week is 7 days and a day is 24 hours. The years and the months
+ * have no fixed length, so the duration with them requires `options.relativeTo`.
+ *
+ * @param {Duration} duration - the duration. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {Date|String|Number} [options.relativeTo] - the date the duration is added to
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Number} the number of milliseconds
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.relativeTo` is required for the duration with years or months
+ *
+ * @example
+ * // How many milliseconds are in 1 day and 2 hours?
+ * var result = durationToMilliseconds({days: 1, hours: 2})
+ * //=> 93600000
+ *
+ * @example
+ * // How many milliseconds are in 1 month after 1 February 2015?
+ * var result = durationToMilliseconds({months: 1}, {relativeTo: new Date(2015, 1, 1)})
+ * //=> 2419200000
+ */
+export default function durationToMilliseconds (dirtyDuration, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var duration = dirtyDuration || {}
+  var options = dirtyOptions || {}
+
+  if (options.relativeTo !== undefined) {
+    return differenceInMilliseconds(
+      add(options.relativeTo, duration, options),
+      options.relativeTo,
+      options
+    )
+  }
+
+  if (toNumber(duration.years) !== 0 || toNumber(duration.months) !== 0) {
+    throw new RangeError('relativeTo is required for the duration with years or months')
+  }
+
+  return toNumber(duration.weeks) * MILLISECONDS_IN_WEEK +
+    toNumber(duration.days) * MILLISECONDS_IN_DAY +
+    toNumber(duration.hours) * MILLISECONDS_IN_HOUR +
+    toNumber(duration.minutes) * MILLISECONDS_IN_MINUTE +
+    toNumber(duration.seconds) * MILLISECONDS_IN_SECOND
+}
+
+function toNumber (value) {
+  return value === undefined ? 0 : Number(value)
+}
@@ -0,0 +1,71 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import durationToMilliseconds from '.'
+import differenceInMilliseconds from '../differenceInMilliseconds'
+
+describe('durationToMilliseconds', function () {
+  it('returns the number of milliseconds in the duration', function () {
+    var result = durationToMilliseconds({weeks: 1, days: 1, hours: 2, minutes: 3, seconds: 4.5})
+    assert(result === 604800000 + 86400000 + 7200000 + 180000 + 4500)
+  })
+
+  it('returns 0 for the empty duration', function () {
+    var result = durationToMilliseconds({})
+    assert(result === 0)
+  })
+
+  it('returns the negative number for the negative duration', function () {
+    var result = durationToMilliseconds({hours: -1, minutes: -30})
+    assert(result === -5400000)
+  })
+
+  describe('options.relativeTo', function () {
+    it('counts the months after the given date', function () {
+      var february = durationToMilliseconds({months: 1}, {relativeTo: new Date(2015, 1 /* Feb */, 1, 12)})
+      assert(february === differenceInMilliseconds(new Date(2015, 2 /* Mar */, 1, 12), new Date(2015, 1 /* Feb */, 1, 12)))
+      var march = durationToMilliseconds({months: 1}, {relativeTo: new Date(2015, 2 /* Mar */, 1, 12)})
+      assert(march === differenceInMilliseconds(new Date(2015, 3 /* Apr */, 1, 12), new Date(2015, 2 /* Mar */, 1, 12)))
+    })
+
+    it('agrees with `differenceInMilliseconds`', function () {
+      var relativeTo = new Date(2014, 0 /* Jan */, 31, 10)
+      var result = durationToMilliseconds({years: 1, months: 1, days: 1, hours: 1}, {relativeTo: relativeTo})
+      var expected = differenceInMilliseconds(new Date(2015, 2 /* Mar */, 1, 11), relativeTo)
+      assert(result === expected)
+    })
+
+    it('counts the fractions of the days like without it', function () {
+      var duration = {days: 0.5, hours: 1.5}
+      var result = durationToMilliseconds(duration, {relativeTo: new Date(2015, 0 /* Jan */, 10)})
+      assert(result === 48600000)
+      assert(result === durationToMilliseconds(duration))
+    })
+
+    it('accepts a string', function () {
+      var result = durationToMilliseconds({days: 1}, {relativeTo: new Date(2015, 1 /* Feb */, 1).toISOString()})
+      assert(result === differenceInMilliseconds(new Date(2015, 1 /* Feb */, 2), new Date(2015, 1 /* Feb */, 1)))
+    })
+
+    it('returns NaN if the date is `Invalid Date`', function () {
+      var result = durationToMilliseconds({days: 1}, {relativeTo: new Date(NaN)})
+      assert(isNaN(result))
+    })
+  })
+
+  it('throws `RangeError` if the duration has years or months and `options.relativeTo` is not specified', function () {
+    assert.throws(durationToMilliseconds.bind(null, {years: 1}), RangeError)
+    assert.throws(durationToMilliseconds.bind(null, {months: 1, days: 1}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = durationToMilliseconds.bind(null, {days: 1}, {relativeTo: '2015-02-01', additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(durationToMilliseconds.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,21 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachCronOccurrenceIterator from '.'
+
+suite('eachCronOccurrenceIterator', function () {
+  benchmark('date-fns', function () {
+    var iterator = eachCronOccurrenceIterator(this.expression, this.date)
+    var result = []
+    for (var step = iterator.next(); result.length < 12; step = iterator.next()) {
+      result.push(step.value)
+    }
+    return result
+  })
+}, {
+  setup: function () {
+    this.expression = '0 10 * * 5L'
+    this.date = new Date()
+  }
+})
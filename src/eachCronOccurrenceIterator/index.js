@@ -0,0 +1,98 @@
+import toDate from '../toDate/index.js'
+import normalizeCronSchedule from '../_lib/normalizeCronSchedule/index.js'
+import findCronOccurrence from '../_lib/findCronOccurrence/index.js'
+
+/**
+ * @name eachCronOccurrenceIterator
+ * @category Recurrence Helpers
+ * @summary Return the lazy iterator over the occurrences of the cron schedule.
+ *
+ * @description
+ * Return the lazy iterator over the dates after the given date that match the cron schedule,
+ * from the earliest to the latest. The schedule is either the cron schedule object
+ * (see [CronSchedule]{@link docs/types/CronSchedule}) or the cron expression accepted by `parseCron`.
+ * The occurrences are found one by one, when they are requested, so the iterator can be used until `break`.
+ *
+ * If `options.reverse` is true, the iterator returns the dates before the given date, from the latest to the earliest.
+ *
+ * The occurrences are the same as of `nextCronOccurrence` and `prevCronOccurrence`.
+ * The schedule is matched against the wall clock time in the local time zone:
+ * the matching times skipped by the DST clock shift happen once at the moment of the shift,
+ * and the matching times repeated by it happen only at their first moment.
+ *
+ * The iterator finishes if the schedule has no occurrences in 400 years (e.g. February 30 never happens).
+ *
+ * @param {CronSchedule|String} schedule - the cron schedule. See [CronSchedule]{@link docs/types/CronSchedule}
+ * @param {Date|String|Number} date - the date after (or, with `options.reverse`, before) which the occurrences are found
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Boolean} [options.reverse=false] - if true, the dates before the given date are returned from the latest to the earliest
+ * @returns {DateIterator} the lazy iterator over the occurrences. See [DateIterator]{@link docs/types/DateIterator}
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} argument must be a cron expression
+ * @throws {RangeError} `seconds`, `minutes`, `hours`, `daysOfMonth`, `nearestWeekdays`, `months`
+ *   and `daysOfWeek` must contain valid values
+ * @throws {RangeError} `date` must be a valid date
+ *
+ * @example
+ * // The next runs of the job that runs at 9:00 on the 15th or on the nearest weekday:
+ * var iterator = eachCronOccurrenceIterator('0 9 15W * *', new Date(2014, 5, 1))
+ *
+ * iterator.next()
+ * //=> {value: Mon Jun 16 2014 09:00:00, done: false}
+ *
+ * iterator.next()
+ * //=> {value: Tue Jul 15 2014 09:00:00, done: false}
+ *
+ * @example
+ * // The runs of the hourly job since the start of the day, from the latest:
+ * var iterator = eachCronOccurrenceIterator('0 * * * *', new Date(), {reverse: true})
+ * for (var date of iterator) {
+ *   if (isBefore(date, startOfToday())) break
+ * }
+ */
+export default function eachCronOccurrenceIterator (dirtySchedule, dirtyDate, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var schedule = normalizeCronSchedule(dirtySchedule, dirtyOptions)
+  var currentDate = toDate(dirtyDate, dirtyOptions)
+  if (isNaN(currentDate)) {
+    throw new RangeError('date must be a valid date')
+  }
+
+  var options = dirtyOptions || {}
+  var reverse = Boolean(options.reverse)
+  var done = false
+
+  var iterator = {
+    next: function () {
+      if (!done) {
+        var date = findCronOccurrence(schedule, currentDate, reverse)
+        if (date === null) {
+          done = true
+        } else {
+          currentDate = date
+          return {value: new Date(date.getTime()), done: false}
+        }
+      }
+
+      return {value: undefined, done: true}
+    },
+
+    return: function (value) {
+      done = true
+      return {value: value, done: true}
+    }
+  }
+
+  if (typeof Symbol === 'function' && Symbol.iterator) {
+    iterator[Symbol.iterator] = function () {
+      return iterator
+    }
+  }
+
+  return iterator
+}
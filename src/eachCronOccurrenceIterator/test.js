@@ -0,0 +1,81 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachCronOccurrenceIterator from '.'
+
+describe('eachCronOccurrenceIterator', function () {
+  function take (iterator, count) {
+    var result = []
+    for (var step = iterator.next(); !step.done && result.length < count; step = iterator.next()) {
+      result.push(step.value)
+    }
+    return result
+  }
+
+  it('returns the iterator over the occurrences after the date', function () {
+    var iterator = eachCronOccurrenceIterator('0 9 15W * *', new Date(2014, 5 /* Jun */, 1))
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 5 /* Jun */, 16, 9), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 6 /* Jul */, 15, 9), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 7 /* Aug */, 15, 9), done: false})
+  })
+
+  it('accepts the cron schedule object', function () {
+    var iterator = eachCronOccurrenceIterator({minutes: [0, 30], hours: [9]}, new Date(2014, 5 /* Jun */, 1))
+    assert.deepEqual(take(iterator, 3), [
+      new Date(2014, 5 /* Jun */, 1, 9),
+      new Date(2014, 5 /* Jun */, 1, 9, 30),
+      new Date(2014, 5 /* Jun */, 2, 9)
+    ])
+  })
+
+  it('returns the occurrences before the date from the latest if `options.reverse` is true', function () {
+    var iterator = eachCronOccurrenceIterator('0 9 * * MON#1', new Date(2014, 5 /* Jun */, 1), {reverse: true})
+    assert.deepEqual(take(iterator, 3), [
+      new Date(2014, 4 /* May */, 5, 9),
+      new Date(2014, 3 /* Apr */, 7, 9),
+      new Date(2014, 2 /* Mar */, 3, 9)
+    ])
+  })
+
+  it('can be used in `for...of` loops and stopped early', function () {
+    var iterator = eachCronOccurrenceIterator('0 0 * * *', new Date(2014, 5 /* Jun */, 1))
+    var result = []
+    for (var date of iterator) {
+      result.push(date)
+      if (result.length === 2) break
+    }
+    assert.deepEqual(result, [new Date(2014, 5 /* Jun */, 2), new Date(2014, 5 /* Jun */, 3)])
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('finishes if the schedule has no occurrences', function () {
+    var iterator = eachCronOccurrenceIterator('0 0 30 2 *', new Date(2014, 0 /* Jan */, 1))
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns one occurrence on each day at the time skipped by the DST transitions', function () {
+    var iterator = eachCronOccurrenceIterator('30 2 * * *', new Date(2014, 0 /* Jan */, 1))
+    take(iterator, 365).forEach(function (date, index) {
+      assert(date.getDate() === new Date(2014, 0 /* Jan */, 1 + index).getDate())
+      // The skipped time happens at the moment of the clock shift
+      var isSkipped = new Date(date.getTime() - 1).getTimezoneOffset() !== date.getTimezoneOffset()
+      assert(isSkipped || (date.getHours() === 2 && date.getMinutes() === 30))
+    })
+  })
+
+  it('throws `RangeError` if the given date is invalid', function () {
+    var block = eachCronOccurrenceIterator.bind(null, '0 9 * * *', new Date(NaN))
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if the cron expression is invalid', function () {
+    var block = eachCronOccurrenceIterator.bind(null, '0 9 * * 1#0', new Date(2014, 5 /* Jun */, 1))
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(eachCronOccurrenceIterator.bind(null), TypeError)
+    assert.throws(eachCronOccurrenceIterator.bind(null, '0 9 * * *'), TypeError)
+  })
+})
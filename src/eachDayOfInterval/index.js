@@ -1,4 +1,5 @@
-import toDate from '../toDate/index.js'
+import iteratorToArray from '../_lib/iteratorToArray/index.js'
+import eachDayOfIntervalIterator from '../eachDayOfIntervalIterator/index.js'
 
 /**
  * @name eachDayOfInterval
@@ -8,14 +9,32 @@ import toDate from '../toDate/index.js'
  * @description
  * Return the array of dates within the specified time interval.
  *
+ * If `options.step` is specified, every `step`-th day is returned.
+ * The days are counted in the calendar, so the result contains only starts of days
+ * even if the interval contains a DST transition.
+ *
+ * If `options.holidays` is specified, the holidays are excluded from the result.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the day that starts at the end of the interval isn't included in the result.
+ *
  * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
  * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
  * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {Number} [options.step=1] - the number of days between the dates in the result
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
  * @returns {Date[]} the array with starts of days from the day of the interval start to the day of the interval end
  * @throws {TypeError} 1 argument required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.step` must be a positive integer
  * @throws {RangeError} The start of an interval cannot be after its end
  * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
  *
  * @example
  * // Each day between 6 October 2014 and 10 October 2014:
@@ -30,32 +49,23 @@ import toDate from '../toDate/index.js'
  * //   Thu Oct 09 2014 00:00:00,
  * //   Fri Oct 10 2014 00:00:00
  * // ]
+ *
+ * @example
+ * // Every 2nd day between 6 October 2014 and 10 October 2014:
+ * var result = eachDayOfInterval({
+ *   start: new Date(2014, 9, 6),
+ *   end: new Date(2014, 9, 10)
+ * }, {step: 2})
+ * //=> [
+ * //   Mon Oct 06 2014 00:00:00,
+ * //   Wed Oct 08 2014 00:00:00,
+ * //   Fri Oct 10 2014 00:00:00
+ * // ]
  */
 export default function eachDayOfInterval (dirtyInterval, dirtyOptions) {
   if (arguments.length < 1) {
     throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
   }
 
-  var interval = dirtyInterval || {}
-  var startDate = toDate(interval.start, dirtyOptions)
-  var endDate = toDate(interval.end, dirtyOptions)
-
-  var endTime = endDate.getTime()
-
-  // Throw an exception if start date is after end date or if any date is `Invalid Date`
-  if (!(startDate.getTime() <= endTime)) {
-    throw new RangeError('Invalid interval')
-  }
-
-  var dates = []
-
-  var currentDate = startDate
-  currentDate.setHours(0, 0, 0, 0)
-
-  while (currentDate.getTime() <= endTime) {
-    dates.push(toDate(currentDate, dirtyOptions))
-    currentDate.setDate(currentDate.getDate() + 1)
-  }
-
-  return dates
+  return iteratorToArray(eachDayOfIntervalIterator(dirtyInterval, dirtyOptions))
 }
@@ -3,6 +3,7 @@
 
 import assert from 'power-assert'
 import eachDayOfInterval from '.'
+import buildHolidayCalendar from '../buildHolidayCalendar'
 
 describe('eachDayOfInterval', function () {
   it('returns an array with starts of days from the day of the start date to the day of the end date', function () {
@@ -89,6 +90,75 @@ describe('eachDayOfInterval', function () {
     ])
   })
 
+  it('excludes the holidays in `options.holidays`', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    var result = eachDayOfInterval({
+      start: new Date(2014, 6 /* Jul */, 3),
+      end: new Date(2014, 6 /* Jul */, 5)
+    }, {holidays: holidays})
+    assert.deepEqual(result, [
+      new Date(2014, 6 /* Jul */, 3),
+      new Date(2014, 6 /* Jul */, 5)
+    ])
+  })
+
+  it('returns every `options.step`-th day', function () {
+    var result = eachDayOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 20)
+    }, {step: 7})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 13),
+      new Date(2014, 9 /* Oct */, 20)
+    ])
+  })
+
+  it('returns the days from the latest to the earliest if `options.reverse` is true', function () {
+    var result = eachDayOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 8, 12)
+    }, {reverse: true})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 8),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 6)
+    ])
+  })
+
+  it('returns starts of days across the DST transitions', function () {
+    var result = eachDayOfInterval({
+      start: new Date(2014, 0 /* Jan */, 1),
+      end: new Date(2014, 11 /* Dec */, 31)
+    }, {step: 2})
+    assert(result.length === 183)
+    result.forEach(function (date) {
+      assert(date.getTime() === new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime())
+    })
+  })
+
+  it('excludes the day that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = eachDayOfInterval(
+      {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 9)},
+      {bounds: '[)'}
+    )
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('returns an empty array for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 9 /* Oct */, 6)
+    assert.deepEqual(eachDayOfInterval({start: date, end: date}, {bounds: '[]'}), [date])
+    assert.deepEqual(eachDayOfInterval({start: date, end: date}, {bounds: '[)'}), [])
+    assert.deepEqual(eachDayOfInterval({start: date, end: date}, {bounds: '(]'}), [])
+    assert.deepEqual(eachDayOfInterval({start: date, end: date}, {bounds: '()'}), [])
+  })
+
   it('throws an exception if the start date is after the end date', function () {
     var block = eachDayOfInterval.bind(
       null,
@@ -131,6 +201,33 @@ describe('eachDayOfInterval', function () {
     assert.throws(block, RangeError)
   })
 
+  it('throws `RangeError` if `options.holidays` does not contain `holidays` property', function () {
+    var block = eachDayOfInterval.bind(
+      null,
+      {start: new Date(2014, 6 /* Jul */, 3), end: new Date(2014, 6 /* Jul */, 5)},
+      // $ExpectedMistake
+      {holidays: {}}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = eachDayOfInterval.bind(
+      null,
+      {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 9)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 12)}
+    assert.throws(eachDayOfInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachDayOfInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachDayOfInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
   it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
     var block = eachDayOfInterval.bind(null, {
       start: new Date(2014, 9 /* Oct */, 6),
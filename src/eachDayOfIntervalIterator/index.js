@@ -0,0 +1,81 @@
+import buildIntervalIterator from '../_lib/buildIntervalIterator/index.js'
+import startOfDay from '../startOfDay/index.js'
+import addDays from '../addDays/index.js'
+import isHoliday from '../isHoliday/index.js'
+
+/**
+ * @name eachDayOfIntervalIterator
+ * @category Interval Helpers
+ * @summary Return the lazy iterator over days within the specified time interval.
+ *
+ * @description
+ * Return the lazy iterator over the starts of days within the specified time interval.
+ * Unlike `eachDayOfInterval`, which returns the array, the iterator creates the dates
+ * one by one, when they are requested, so it can be stopped early without creating the rest of them.
+ *
+ * If `options.step` is specified, every `step`-th day is returned.
+ * If `options.reverse` is true, the iterator starts from the day of the interval end
+ * and goes back to the day of the interval start.
+ *
+ * The days are counted in the calendar, so the iterator returns only starts of days
+ * even if the interval contains a DST transition.
+ *
+ * If `options.holidays` is specified, the holidays are skipped.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the day that starts at the end of the interval isn't returned.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {Number} [options.step=1] - the number of days between the dates returned by the iterator
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @returns {DateIterator} the iterator over starts of days from the day of the interval start to the day of the interval end. See [DateIterator]{@link docs/DateIterator}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ *
+ * @example
+ * // Each day between 6 October 2014 and 10 October 2014:
+ * var iterator = eachDayOfIntervalIterator({
+ *   start: new Date(2014, 9, 6),
+ *   end: new Date(2014, 9, 10)
+ * })
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 06 2014 00:00:00, done: false}
+ *
+ * iterator.next()
+ * //=> {value: Tue Oct 07 2014 00:00:00, done: false}
+ */
+export default function eachDayOfIntervalIterator (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var iterator = buildIntervalIterator(dirtyInterval, dirtyOptions, startOfUnit, addUnits, isHoliday)
+
+  // Validate the holiday calendar before the first date is requested
+  var options = dirtyOptions || {}
+  if (options.holidays && !options.holidays.holidays) {
+    throw new RangeError('holidays must contain holidays property')
+  }
+
+  return iterator
+}
+
+function startOfUnit (date) {
+  return startOfDay(date)
+}
+
+function addUnits (date, amount) {
+  return startOfDay(addDays(date, amount))
+}
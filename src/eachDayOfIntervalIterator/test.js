@@ -0,0 +1,208 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachDayOfIntervalIterator from '.'
+import eachDayOfInterval from '../eachDayOfInterval'
+import buildHolidayCalendar from '../buildHolidayCalendar'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+describe('eachDayOfIntervalIterator', function () {
+  it('returns the iterator over starts of days from the day of the start date to the day of the end date', function () {
+    var iterator = eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 7), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 8), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 9), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the same dates as `eachDayOfInterval`', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 6, 35), end: new Date(2014, 9 /* Oct */, 9, 22, 15)}
+    assert.deepEqual(iteratorToArray(eachDayOfIntervalIterator(interval)), eachDayOfInterval(interval))
+  })
+
+  it('accepts strings', function () {
+    var result = iteratorToArray(eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15).toISOString()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8),
+      new Date(2014, 9 /* Oct */, 9)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = iteratorToArray(eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35).getTime(),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15).getTime()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8),
+      new Date(2014, 9 /* Oct */, 9)
+    ])
+  })
+
+  it('returns every `options.step`-th day', function () {
+    var result = iteratorToArray(eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15)
+    }, {step: 2}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('returns the dates from the latest to the earliest if `options.reverse` is true', function () {
+    var result = iteratorToArray(eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15)
+    }, {reverse: true, step: 3}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 9),
+      new Date(2014, 9 /* Oct */, 6)
+    ])
+  })
+
+  it('excludes the day that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = iteratorToArray(eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 9)
+    }, {bounds: '[)'}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('can be finished early', function () {
+    var iterator = eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6), done: false})
+    assert.deepEqual(iterator.return(), {value: undefined, done: true})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('can be used in `for...of` loops', function () {
+    var result = []
+    var iterator = eachDayOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15)
+    })
+    for (var date of iterator) {
+      if (result.length === 2) break
+      result.push(date)
+    }
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7)
+    ])
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('skips the holidays in `options.holidays`', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    var result = iteratorToArray(eachDayOfIntervalIterator({
+      start: new Date(2014, 6 /* Jul */, 3),
+      end: new Date(2014, 6 /* Jul */, 5)
+    }, {holidays: holidays}))
+    assert.deepEqual(result, [
+      new Date(2014, 6 /* Jul */, 3),
+      new Date(2014, 6 /* Jul */, 5)
+    ])
+  })
+
+  it('returns starts of days across the DST transitions', function () {
+    var interval = {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 11 /* Dec */, 31)}
+    assert.deepEqual(
+      iteratorToArray(eachDayOfIntervalIterator(interval, {reverse: true})),
+      eachDayOfInterval(interval).reverse()
+    )
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachDayOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 9, 22, 15),
+        end: new Date(2014, 9 /* Oct */, 6, 6, 35)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachDayOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 9, 22, 15)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachDayOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachDayOfIntervalIterator.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 6, 35), end: new Date(2014, 9 /* Oct */, 9, 22, 15)}
+    assert.throws(eachDayOfIntervalIterator.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachDayOfIntervalIterator.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachDayOfIntervalIterator.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.holidays` does not contain `holidays` property', function () {
+    var block = eachDayOfIntervalIterator.bind(
+      null,
+      {start: new Date(2014, 6 /* Jul */, 3), end: new Date(2014, 6 /* Jul */, 5)},
+      // $ExpectedMistake
+      {holidays: {}}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachDayOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 9, 22, 15)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachDayOfIntervalIterator.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,54 @@
+import iteratorToArray from '../_lib/iteratorToArray/index.js'
+import eachHourOfIntervalIterator from '../eachHourOfIntervalIterator/index.js'
+
+/**
+ * @name eachHourOfInterval
+ * @category Interval Helpers
+ * @summary Return the array of hours within the specified time interval.
+ *
+ * @description
+ * Return the array of the starts of hours within the specified time interval.
+ *
+ * If `options.step` is specified, every `step`-th hour is returned.
+ * The hours are counted in real time, so the dates in the result are always
+ * `step` hours apart, even if the interval contains a DST transition.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the hour that starts at the end of the interval isn't included in the result.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {Number} [options.step=1] - the number of hours between the dates in the result
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @returns {Date[]} the array with starts of hours from the hour of the interval start to the hour of the interval end
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Each hour between 6 October 2014, 12:00 and 6 October 2014, 15:00
+ * var result = eachHourOfInterval({
+ *   start: new Date(2014, 9, 6, 12),
+ *   end: new Date(2014, 9, 6, 15)
+ * })
+ * //=> [
+ * //   Mon Oct 06 2014 12:00:00,
+ * //   Mon Oct 06 2014 13:00:00,
+ * //   Mon Oct 06 2014 14:00:00,
+ * //   Mon Oct 06 2014 15:00:00
+ * // ]
+ */
+export default function eachHourOfInterval (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  return iteratorToArray(eachHourOfIntervalIterator(dirtyInterval, dirtyOptions))
+}
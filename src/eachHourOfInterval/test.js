@@ -0,0 +1,195 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachHourOfInterval from '.'
+
+describe('eachHourOfInterval', function () {
+  it('returns an array with starts of hours from the hour of the start date to the hour of the end date', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12),
+      end: new Date(2014, 9 /* Oct */, 6, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14),
+      new Date(2014, 9 /* Oct */, 6, 15)
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 6, 15).toISOString()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14),
+      new Date(2014, 9 /* Oct */, 6, 15)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12).getTime(),
+      end: new Date(2014, 9 /* Oct */, 6, 15).getTime()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14),
+      new Date(2014, 9 /* Oct */, 6, 15)
+    ])
+  })
+
+  it('handles the dates that are not starts of hours', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14),
+      new Date(2014, 9 /* Oct */, 6, 15)
+    ])
+  })
+
+  it('returns one hour if the both arguments are on the same hour', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14, 10),
+      end: new Date(2014, 9 /* Oct */, 6, 14, 50)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 14)
+    ])
+  })
+
+  it('returns one hour if the both arguments are the same', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14, 10),
+      end: new Date(2014, 9 /* Oct */, 6, 14, 10)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 14)
+    ])
+  })
+
+  it('returns every `options.step`-th hour', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 0),
+      end: new Date(2014, 9 /* Oct */, 6, 23)
+    }, {step: 6})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 0),
+      new Date(2014, 9 /* Oct */, 6, 6),
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 18)
+    ])
+  })
+
+  it('returns the dates `options.step` hours apart across the DST transitions', function () {
+    var result = eachHourOfInterval({
+      start: new Date(2014, 0 /* Jan */, 1),
+      end: new Date(2014, 11 /* Dec */, 31, 23)
+    }, {step: 5})
+    assert(result.length === 1752)
+    for (var i = 1; i < result.length; i++) {
+      assert(result[i].getTime() - result[i - 1].getTime() === 5 * 3600000)
+    }
+  })
+
+  it('excludes the hour that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = eachHourOfInterval(
+      {start: new Date(2014, 9 /* Oct */, 6, 10), end: new Date(2014, 9 /* Oct */, 6, 13)},
+      {bounds: '[)'}
+    )
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 10),
+      new Date(2014, 9 /* Oct */, 6, 11),
+      new Date(2014, 9 /* Oct */, 6, 12)
+    ])
+  })
+
+  it('returns an empty array for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 9 /* Oct */, 6, 10)
+    assert.deepEqual(eachHourOfInterval({start: date, end: date}, {bounds: '[]'}), [date])
+    assert.deepEqual(eachHourOfInterval({start: date, end: date}, {bounds: '[)'}), [])
+    assert.deepEqual(eachHourOfInterval({start: date, end: date}, {bounds: '(]'}), [])
+    assert.deepEqual(eachHourOfInterval({start: date, end: date}, {bounds: '()'}), [])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachHourOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 15),
+        end: new Date(2014, 9 /* Oct */, 6, 12)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachHourOfInterval.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6, 12)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachHourOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 12),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachHourOfInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = eachHourOfInterval.bind(
+      null,
+      {start: new Date(2014, 9 /* Oct */, 6, 10), end: new Date(2014, 9 /* Oct */, 6, 13)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 6, 15)}
+    assert.throws(eachHourOfInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachHourOfInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachHourOfInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachHourOfInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6, 12),
+      end: new Date(2014, 9 /* Oct */, 6, 15)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachHourOfInterval.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,68 @@
+import buildIntervalIterator from '../_lib/buildIntervalIterator/index.js'
+import startOfHour from '../startOfHour/index.js'
+import addHours from '../addHours/index.js'
+
+/**
+ * @name eachHourOfIntervalIterator
+ * @category Interval Helpers
+ * @summary Return the lazy iterator over hours within the specified time interval.
+ *
+ * @description
+ * Return the lazy iterator over the starts of hours within the specified time interval.
+ * Unlike `eachHourOfInterval`, which returns the array, the iterator creates the dates
+ * one by one, when they are requested, so it can be stopped early without creating the rest of them.
+ *
+ * If `options.step` is specified, every `step`-th hour is returned.
+ * If `options.reverse` is true, the iterator starts from the hour of the interval end
+ * and goes back to the hour of the interval start.
+ *
+ * The hours are counted in real time, so the dates are always `step` hours apart,
+ * even if the interval contains a DST transition.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the hour that starts at the end of the interval isn't returned.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {Number} [options.step=1] - the number of hours between the dates returned by the iterator
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @returns {DateIterator} the iterator over starts of hours from the hour of the interval start to the hour of the interval end. See [DateIterator]{@link docs/DateIterator}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Each hour between 6 October 2014, 12:00 and 6 October 2014, 15:00, starting from the last one
+ * var iterator = eachHourOfIntervalIterator({
+ *   start: new Date(2014, 9, 6, 12),
+ *   end: new Date(2014, 9, 6, 15)
+ * }, {reverse: true})
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 06 2014 15:00:00, done: false}
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 06 2014 14:00:00, done: false}
+ */
+export default function eachHourOfIntervalIterator (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  return buildIntervalIterator(dirtyInterval, dirtyOptions, startOfUnit, addUnits)
+}
+
+function startOfUnit (date) {
+  return startOfHour(date)
+}
+
+function addUnits (date, amount) {
+  return addHours(date, amount)
+}
@@ -0,0 +1,171 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachHourOfIntervalIterator from '.'
+import eachHourOfInterval from '../eachHourOfInterval'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+describe('eachHourOfIntervalIterator', function () {
+  it('returns the iterator over starts of hours from the hour of the start date to the hour of the end date', function () {
+    var iterator = eachHourOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 12), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 13), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 14), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 15), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the same dates as `eachHourOfInterval`', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 35), end: new Date(2014, 9 /* Oct */, 6, 15, 15)}
+    assert.deepEqual(iteratorToArray(eachHourOfIntervalIterator(interval)), eachHourOfInterval(interval))
+  })
+
+  it('accepts strings', function () {
+    var result = iteratorToArray(eachHourOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15).toISOString()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14),
+      new Date(2014, 9 /* Oct */, 6, 15)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = iteratorToArray(eachHourOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35).getTime(),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15).getTime()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14),
+      new Date(2014, 9 /* Oct */, 6, 15)
+    ])
+  })
+
+  it('returns every `options.step`-th hour', function () {
+    var result = iteratorToArray(eachHourOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+    }, {step: 2}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 14)
+    ])
+  })
+
+  it('returns the dates from the latest to the earliest if `options.reverse` is true', function () {
+    var result = iteratorToArray(eachHourOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+    }, {reverse: true, step: 3}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 15),
+      new Date(2014, 9 /* Oct */, 6, 12)
+    ])
+  })
+
+  it('can be finished early', function () {
+    var iterator = eachHourOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 12), done: false})
+    assert.deepEqual(iterator.return(), {value: undefined, done: true})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('can be used in `for...of` loops', function () {
+    var result = []
+    var iterator = eachHourOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+    })
+    for (var date of iterator) {
+      if (result.length === 2) break
+      result.push(date)
+    }
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13)
+    ])
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the dates `options.step` hours apart across the DST transitions', function () {
+    var interval = {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 11 /* Dec */, 31, 23)}
+    assert.deepEqual(
+      iteratorToArray(eachHourOfIntervalIterator(interval, {step: 5})),
+      eachHourOfInterval(interval, {step: 5})
+    )
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachHourOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 15, 15),
+        end: new Date(2014, 9 /* Oct */, 6, 12, 35)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachHourOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachHourOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachHourOfIntervalIterator.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 35), end: new Date(2014, 9 /* Oct */, 6, 15, 15)}
+    assert.throws(eachHourOfIntervalIterator.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachHourOfIntervalIterator.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachHourOfIntervalIterator.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachHourOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6, 12, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 15, 15)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachHourOfIntervalIterator.bind(null), TypeError)
+  })
+})
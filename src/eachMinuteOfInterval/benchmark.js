@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachMinuteOfInterval from '.'
+
+suite('eachMinuteOfInterval', function () {
+  benchmark('date-fns', function () {
+    return eachMinuteOfInterval({start: this.dateA, end: this.dateB}, {step: 15})
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 86400000)
+  }
+})
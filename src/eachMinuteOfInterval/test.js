@@ -0,0 +1,184 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachMinuteOfInterval from '.'
+
+describe('eachMinuteOfInterval', function () {
+  it('returns an array with starts of minutes from the minute of the start date to the minute of the end date', function () {
+    var result = eachMinuteOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 13)
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = eachMinuteOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13).toISOString()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 13)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = eachMinuteOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10).getTime(),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13).getTime()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 13)
+    ])
+  })
+
+  it('handles the dates that are not starts of minutes', function () {
+    var result = eachMinuteOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15, 500)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 13)
+    ])
+  })
+
+  it('returns one minute if the both arguments are the same', function () {
+    var result = eachMinuteOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 10, 35)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10)
+    ])
+  })
+
+  it('returns every `options.step`-th minute', function () {
+    var result = eachMinuteOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 9),
+      end: new Date(2014, 9 /* Oct */, 6, 10, 10)
+    }, {step: 30})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 9),
+      new Date(2014, 9 /* Oct */, 6, 9, 30),
+      new Date(2014, 9 /* Oct */, 6, 10)
+    ])
+  })
+
+  it('returns the dates `options.step` minutes apart across the DST transitions', function () {
+    var result = eachMinuteOfInterval({
+      start: new Date(2014, 0 /* Jan */, 1),
+      end: new Date(2014, 11 /* Dec */, 31, 23, 59)
+    }, {step: 90})
+    assert(result.length === 5840)
+    for (var i = 1; i < result.length; i++) {
+      assert(result[i].getTime() - result[i - 1].getTime() === 90 * 60000)
+    }
+  })
+
+  it('excludes the minute that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = eachMinuteOfInterval(
+      {start: new Date(2014, 9 /* Oct */, 6, 10), end: new Date(2014, 9 /* Oct */, 6, 10, 3)},
+      {bounds: '[)'}
+    )
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 10),
+      new Date(2014, 9 /* Oct */, 6, 10, 1),
+      new Date(2014, 9 /* Oct */, 6, 10, 2)
+    ])
+  })
+
+  it('returns an empty array for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 9 /* Oct */, 6, 10)
+    assert.deepEqual(eachMinuteOfInterval({start: date, end: date}, {bounds: '[]'}), [date])
+    assert.deepEqual(eachMinuteOfInterval({start: date, end: date}, {bounds: '[)'}), [])
+    assert.deepEqual(eachMinuteOfInterval({start: date, end: date}, {bounds: '(]'}), [])
+    assert.deepEqual(eachMinuteOfInterval({start: date, end: date}, {bounds: '()'}), [])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachMinuteOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 12, 13),
+        end: new Date(2014, 9 /* Oct */, 6, 12, 10)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachMinuteOfInterval.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6, 12, 10)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachMinuteOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 12, 10),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachMinuteOfInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = eachMinuteOfInterval.bind(
+      null,
+      {start: new Date(2014, 9 /* Oct */, 6, 10), end: new Date(2014, 9 /* Oct */, 6, 10, 3)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 10), end: new Date(2014, 9 /* Oct */, 6, 12, 13)}
+    assert.throws(eachMinuteOfInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachMinuteOfInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachMinuteOfInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachMinuteOfInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachMinuteOfInterval.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,23 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachMinuteOfIntervalIterator from '.'
+import eachMinuteOfInterval from '../eachMinuteOfInterval'
+
+suite('eachMinuteOfIntervalIterator', function () {
+  benchmark('date-fns', function () {
+    var iterator = eachMinuteOfIntervalIterator({start: this.dateA, end: this.dateB}, {step: 15})
+    return [iterator.next().value, iterator.next().value]
+  })
+
+  benchmark('date-fns (array)', function () {
+    var dates = eachMinuteOfInterval({start: this.dateA, end: this.dateB}, {step: 15})
+    return [dates[0], dates[1]]
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 86400000)
+  }
+})
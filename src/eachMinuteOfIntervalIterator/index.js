@@ -0,0 +1,68 @@
+import buildIntervalIterator from '../_lib/buildIntervalIterator/index.js'
+import startOfMinute from '../startOfMinute/index.js'
+import addMinutes from '../addMinutes/index.js'
+
+/**
+ * @name eachMinuteOfIntervalIterator
+ * @category Interval Helpers
+ * @summary Return the lazy iterator over minutes within the specified time interval.
+ *
+ * @description
+ * Return the lazy iterator over the starts of minutes within the specified time interval.
+ * Unlike `eachMinuteOfInterval`, which returns the array, the iterator creates the dates
+ * one by one, when they are requested, so it can be stopped early without creating the rest of them.
+ *
+ * If `options.step` is specified, every `step`-th minute is returned.
+ * If `options.reverse` is true, the iterator starts from the minute of the interval end
+ * and goes back to the minute of the interval start.
+ *
+ * The minutes are counted in real time, so the dates are always `step` minutes apart,
+ * even if the interval contains a DST transition.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the minute that starts at the end of the interval isn't returned.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {Number} [options.step=1] - the number of minutes between the dates returned by the iterator
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @returns {DateIterator} the iterator over starts of minutes from the minute of the interval start to the minute of the interval end. See [DateIterator]{@link docs/DateIterator}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Each 15 minutes between 6 October 2014, 12:00 and 6 October 2014, 13:00
+ * var iterator = eachMinuteOfIntervalIterator({
+ *   start: new Date(2014, 9, 6, 12),
+ *   end: new Date(2014, 9, 6, 13)
+ * }, {step: 15})
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 06 2014 12:00:00, done: false}
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 06 2014 12:15:00, done: false}
+ */
+export default function eachMinuteOfIntervalIterator (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  return buildIntervalIterator(dirtyInterval, dirtyOptions, startOfUnit, addUnits)
+}
+
+function startOfUnit (date) {
+  return startOfMinute(date)
+}
+
+function addUnits (date, amount) {
+  return addMinutes(date, amount)
+}
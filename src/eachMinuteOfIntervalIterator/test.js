@@ -0,0 +1,163 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachMinuteOfIntervalIterator from '.'
+import eachMinuteOfInterval from '../eachMinuteOfInterval'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+describe('eachMinuteOfIntervalIterator', function () {
+  it('returns the iterator over starts of minutes from the minute of the start date to the minute of the end date', function () {
+    var iterator = eachMinuteOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 12, 10), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 12, 11), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 12, 12), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 12, 13), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the same dates as `eachMinuteOfInterval`', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35), end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)}
+    assert.deepEqual(iteratorToArray(eachMinuteOfIntervalIterator(interval)), eachMinuteOfInterval(interval))
+  })
+
+  it('accepts strings', function () {
+    var result = iteratorToArray(eachMinuteOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15).toISOString()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 13)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = iteratorToArray(eachMinuteOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35).getTime(),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15).getTime()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 13)
+    ])
+  })
+
+  it('returns every `options.step`-th minute', function () {
+    var result = iteratorToArray(eachMinuteOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)
+    }, {step: 2}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 12)
+    ])
+  })
+
+  it('returns the dates from the latest to the earliest if `options.reverse` is true', function () {
+    var result = iteratorToArray(eachMinuteOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)
+    }, {reverse: true, step: 3}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 13),
+      new Date(2014, 9 /* Oct */, 6, 12, 10)
+    ])
+  })
+
+  it('can be finished early', function () {
+    var iterator = eachMinuteOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6, 12, 10), done: false})
+    assert.deepEqual(iterator.return(), {value: undefined, done: true})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('can be used in `for...of` loops', function () {
+    var result = []
+    var iterator = eachMinuteOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)
+    })
+    for (var date of iterator) {
+      if (result.length === 2) break
+      result.push(date)
+    }
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11)
+    ])
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachMinuteOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 12, 13, 15),
+        end: new Date(2014, 9 /* Oct */, 6, 12, 10, 35)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachMinuteOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachMinuteOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachMinuteOfIntervalIterator.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35), end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)}
+    assert.throws(eachMinuteOfIntervalIterator.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachMinuteOfIntervalIterator.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachMinuteOfIntervalIterator.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachMinuteOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6, 12, 10, 35),
+      end: new Date(2014, 9 /* Oct */, 6, 12, 13, 15)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachMinuteOfIntervalIterator.bind(null), TypeError)
+  })
+})
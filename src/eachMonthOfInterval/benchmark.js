@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachMonthOfInterval from '.'
+
+suite('eachMonthOfInterval', function () {
+  benchmark('date-fns', function () {
+    return eachMonthOfInterval({start: this.dateA, end: this.dateB})
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 31536000000)
+  }
+})
@@ -0,0 +1,195 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachMonthOfInterval from '.'
+
+describe('eachMonthOfInterval', function () {
+  it('returns an array with starts of months from the month of the start date to the month of the end date', function () {
+    var result = eachMonthOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2014, 7 /* Aug */, 10)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 4 /* May */, 1),
+      new Date(2014, 5 /* Jun */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 7 /* Aug */, 1)
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = eachMonthOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6).toISOString(),
+      end: new Date(2014, 7 /* Aug */, 10).toISOString()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 4 /* May */, 1),
+      new Date(2014, 5 /* Jun */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 7 /* Aug */, 1)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = eachMonthOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6).getTime(),
+      end: new Date(2014, 7 /* Aug */, 10).getTime()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 4 /* May */, 1),
+      new Date(2014, 5 /* Jun */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 7 /* Aug */, 1)
+    ])
+  })
+
+  it('handles the dates that are not starts of days', function () {
+    var result = eachMonthOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2014, 7 /* Aug */, 10, 22, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 4 /* May */, 1),
+      new Date(2014, 5 /* Jun */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 7 /* Aug */, 1)
+    ])
+  })
+
+  it('returns one month if the both arguments are on the same month', function () {
+    var result = eachMonthOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 9 /* Oct */, 25, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('returns one month if the both arguments are the same', function () {
+    var result = eachMonthOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 9 /* Oct */, 6, 14)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('returns every `options.step`-th month', function () {
+    var result = eachMonthOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2014, 7 /* Aug */, 10)
+    }, {step: 3})
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 4 /* May */, 1),
+      new Date(2014, 7 /* Aug */, 1)
+    ])
+  })
+
+  it('excludes the month that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = eachMonthOfInterval(
+      {start: new Date(2014, 1 /* Feb */, 1), end: new Date(2014, 4 /* May */, 1)},
+      {bounds: '[)'}
+    )
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1)
+    ])
+  })
+
+  it('returns an empty array for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 1 /* Feb */, 1)
+    assert.deepEqual(eachMonthOfInterval({start: date, end: date}, {bounds: '[]'}), [date])
+    assert.deepEqual(eachMonthOfInterval({start: date, end: date}, {bounds: '[)'}), [])
+    assert.deepEqual(eachMonthOfInterval({start: date, end: date}, {bounds: '(]'}), [])
+    assert.deepEqual(eachMonthOfInterval({start: date, end: date}, {bounds: '()'}), [])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachMonthOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 7 /* Aug */, 10),
+        end: new Date(2014, 1 /* Feb */, 6)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachMonthOfInterval.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 7 /* Aug */, 10)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachMonthOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 1 /* Feb */, 6),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachMonthOfInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = eachMonthOfInterval.bind(
+      null,
+      {start: new Date(2014, 1 /* Feb */, 1), end: new Date(2014, 4 /* May */, 1)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 7 /* Aug */, 10)}
+    assert.throws(eachMonthOfInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachMonthOfInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachMonthOfInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachMonthOfInterval.bind(null, {
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2014, 7 /* Aug */, 10)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachMonthOfInterval.bind(null), TypeError)
+  })
+})
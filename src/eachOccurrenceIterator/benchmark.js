@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachOccurrenceIterator from '.'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+suite('eachOccurrenceIterator', function () {
+  benchmark('date-fns', function () {
+    return iteratorToArray(eachOccurrenceIterator(this.rule))
+  })
+}, {
+  setup: function () {
+    this.rule = {start: new Date(), freq: 'monthly', byDay: [{day: 5, nth: -1}], count: 12}
+  }
+})
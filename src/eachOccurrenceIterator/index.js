@@ -0,0 +1,408 @@
+import normalizeRecurrenceRule from '../_lib/normalizeRecurrenceRule/index.js'
+import tzToWallTime from '../_lib/tzToWallTime/index.js'
+import tzFromWallTime from '../_lib/tzFromWallTime/index.js'
+import startOfUTCWeek from '../_lib/startOfUTCWeek/index.js'
+import getUTCDayOfYear from '../_lib/getUTCDayOfYear/index.js'
+
+var MILLISECONDS_IN_DAY = 86400000
+
+var millisecondsInUnit = {
+  hourly: 3600000,
+  minutely: 60000,
+  secondly: 1000
+}
+
+// If a rule has no occurrences in this number of intervals of years, it has no more occurrences:
+// the calendar repeats itself every 400 years
+var MAX_YEARS_WITHOUT_OCCURRENCES = 400
+
+/**
+ * @name eachOccurrenceIterator
+ * @category Recurrence Helpers
+ * @summary Return the lazy iterator over the occurrences of the recurrence rule.
+ *
+ * @description
+ * Return the lazy iterator over the occurrences of the recurrence rule, from the earliest to the latest,
+ * as described in RFC 5545. The rule is either the recurrence rule object
+ * (see [RecurrenceRule]{@link docs/types/RecurrenceRule}) or the string accepted by `parseRRule`.
+ * The occurrences are found one by one, when they are requested,
+ * so the rules without `count` and `until` can be iterated over until `break`.
+ *
+ * The start of the rule is always the first occurrence, even if it doesn't match the rule,
+ * and it's counted in `count`. The other occurrences have the same time of the day as the start.
+ * The dates that don't exist (e.g. February 30) are skipped. If the time is skipped
+ * by the daylight saving time clock shift, it's moved forward by the length of the shift.
+ *
+ * The hourly, minutely and secondly rules count the real time, the other rules count the calendar days.
+ * If the rule has `timeZone`, the occurrences are found in the wall clock time of the time zone.
+ *
+ * The dates in `exDates` are excluded from the result, and the dates in `rDates` are added to it.
+ * `exDates` don't change the number of the occurrences counted in `count`.
+ *
+ * The iterator finishes if the rule has no occurrences in 400 intervals of the rule
+ * counted in years (e.g. February 30 never happens).
+ *
+ * @param {RecurrenceRule|String} rule - the recurrence rule. See [RecurrenceRule]{@link docs/types/RecurrenceRule}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {TimeZone[]|Object} [options.timeZones] - the time zones that TZID parameters of the string rule refer to.
+ *   See [parseRRule]{@link https://date-fns.org/docs/parseRRule}
+ * @returns {DateIterator} the lazy iterator over the occurrences. See [DateIterator]{@link docs/types/DateIterator}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} argument must be an RFC 5545 recurrence rule
+ * @throws {RangeError} BYSECOND, BYMINUTE, BYHOUR, BYYEARDAY and BYWEEKNO rule parts are not supported
+ * @throws {RangeError} TZID must be the name of a time zone in `options.timeZones`
+ * @throws {RangeError} `start` must be a valid date
+ * @throws {RangeError} `freq` must be 'yearly', 'monthly', 'weekly', 'daily', 'hourly', 'minutely' or 'secondly'
+ * @throws {RangeError} `interval` must be a positive integer
+ * @throws {RangeError} `count` must be a positive integer
+ * @throws {RangeError} `until` must be a valid date
+ * @throws {RangeError} `count` and `until` cannot be both specified
+ * @throws {RangeError} `byDay`, `byMonthDay`, `byMonth` and `bySetPos` must contain valid values
+ * @throws {RangeError} `weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} `exDates` and `rDates` cannot contain `Invalid Date`
+ * @throws {RangeError} `timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // The last Friday of each month, 3 times:
+ * var iterator = eachOccurrenceIterator({
+ *   start: new Date(2014, 0, 31, 9),
+ *   freq: 'monthly',
+ *   byDay: [{day: 5, nth: -1}],
+ *   count: 3
+ * })
+ * var result = Array.from(iterator)
+ * //=> [
+ * //   Fri Jan 31 2014 09:00:00,
+ * //   Fri Feb 28 2014 09:00:00,
+ * //   Fri Mar 28 2014 09:00:00
+ * // ]
+ *
+ * @example
+ * // Every other week on Monday and Wednesday, until the first date after March 1:
+ * var iterator = eachOccurrenceIterator('DTSTART:20140106T090000\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE')
+ * for (var date of iterator) {
+ *   if (isAfter(date, new Date(2014, 2, 1))) break
+ * }
+ */
+export default function eachOccurrenceIterator (dirtyRule, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var rule = normalizeRecurrenceRule(dirtyRule, dirtyOptions)
+  var timeZone = rule.timeZone
+
+  // The rule is expanded in the wall clock time of its time zone or of the local time zone,
+  // represented as UTC time (which has no DST), so the result doesn't depend on the local time zone
+  var wallStart = new Date(toWallTime(rule.start, timeZone))
+  var wallTimeOfDay = wallStart.getTime() - startOfWallDay(wallStart).getTime()
+
+  var startTime = rule.start.getTime()
+  var untilTime = rule.until === undefined ? Infinity : rule.until.getTime()
+
+  var excludedTimes = {}
+  rule.exDates.forEach(function (date) {
+    excludedTimes[date.getTime()] = true
+  })
+
+  var rDates = rule.rDates.slice().sort(function (dateLeft, dateRight) {
+    return dateLeft.getTime() - dateRight.getTime()
+  })
+  var rDateIndex = 0
+
+  var ruleCount = 0
+  var ruleDone = false
+  var periodIndex = 0
+  var periodDates = []
+  var lastFoundPeriodStart = wallStart
+  // The next occurrence of the rule; undefined if it's not found yet and null if there are no more occurrences
+  var nextRuleDate
+  var lastTime
+  var done = false
+
+  function findNextRuleDate () {
+    if (ruleDone || (rule.count !== undefined && ruleCount >= rule.count)) {
+      return null
+    }
+
+    var date = ruleCount === 0 ? rule.start : findNextExpandedDate()
+
+    if (date === null || date.getTime() > untilTime) {
+      ruleDone = true
+      return null
+    }
+
+    ruleCount++
+    return date
+  }
+
+  function findNextExpandedDate () {
+    while (true) {
+      while (periodDates.length > 0) {
+        var date = periodDates.shift()
+        if (date.getTime() > startTime) {
+          return date
+        }
+      }
+
+      var period = expandPeriod(periodIndex)
+      periodIndex = period.nextIndex
+
+      var maxPeriodStart = addWallYears(lastFoundPeriodStart, MAX_YEARS_WITHOUT_OCCURRENCES * rule.interval)
+      if (isNaN(period.start) || period.start.getTime() > maxPeriodStart.getTime()) {
+        return null
+      }
+
+      if (period.dates.length > 0) {
+        lastFoundPeriodStart = period.start
+        periodDates = selectBySetPos(period.dates, rule.bySetPos)
+      }
+    }
+  }
+
+  function expandPeriod (index) {
+    if (millisecondsInUnit.hasOwnProperty(rule.freq)) {
+      return expandSubDailyPeriod(index)
+    }
+
+    var periodStart
+    var days
+    switch (rule.freq) {
+      case 'yearly':
+        var year = wallStart.getUTCFullYear() + index * rule.interval
+        periodStart = createWallDate(year, 0, 1)
+        days = filterDays(eachDayOfPeriod(periodStart, createWallDate(year + 1, 0, 1)), function (day) {
+          return matchesImpliedDay(day, rule.byMonth.length === 0)
+        })
+        break
+
+      case 'monthly':
+        var month = wallStart.getUTCMonth() + index * rule.interval
+        periodStart = createWallDate(wallStart.getUTCFullYear(), month, 1)
+        days = filterDays(eachDayOfPeriod(periodStart, createWallDate(wallStart.getUTCFullYear(), month + 1, 1)), function (day) {
+          return matchesImpliedDay(day, false)
+        })
+        break
+
+      case 'weekly':
+        periodStart = addWallDays(startOfUTCWeek(wallStart, {weekStartsOn: rule.weekStartsOn}), index * rule.interval * 7)
+        var weekdays = rule.byDay.length > 0
+          ? rule.byDay.map(function (weekday) { return weekday.day })
+          : [wallStart.getUTCDay()]
+        days = filterDays(weekdays.map(function (weekday) {
+          return addWallDays(periodStart, (weekday - rule.weekStartsOn + 7) % 7)
+        }))
+        break
+
+      case 'daily':
+        periodStart = addWallDays(startOfWallDay(wallStart), index * rule.interval)
+        days = filterDays([periodStart])
+        break
+    }
+
+    var dates = days
+      .sort(function (dayLeft, dayRight) {
+        return dayLeft.getTime() - dayRight.getTime()
+      })
+      .filter(function (day, dayIndex, sortedDays) {
+        return dayIndex === 0 || day.getTime() !== sortedDays[dayIndex - 1].getTime()
+      })
+      .map(function (day) {
+        return toMoment(day.getTime() + wallTimeOfDay, timeZone)
+      })
+
+    return {start: periodStart, dates: dates, nextIndex: index + 1}
+  }
+
+  function expandSubDailyPeriod (index) {
+    var date = new Date(startTime + index * rule.interval * millisecondsInUnit[rule.freq])
+    var wallDate = new Date(toWallTime(date, timeZone))
+
+    if (filterDays([wallDate]).length > 0) {
+      return {start: wallDate, dates: [date], nextIndex: index + 1}
+    }
+
+    // Skip the rest of the day that doesn't match the rule
+    var nextDayTime = toMoment(addWallDays(startOfWallDay(wallDate), 1).getTime(), timeZone).getTime()
+    var nextIndex = Math.ceil((nextDayTime - startTime) / (rule.interval * millisecondsInUnit[rule.freq]))
+    return {start: wallDate, dates: [], nextIndex: Math.max(nextIndex, index + 1)}
+  }
+
+  // Returns the days that match `byMonth`, `byMonthDay` and `byDay` and, if they're given, `isImpliedDay`
+  function filterDays (days, isImpliedDay) {
+    var hasDayRules = rule.byMonthDay.length > 0 || rule.byDay.length > 0
+    // The ordinal days of the week are counted in the month or in the year only in the monthly and the yearly rules
+    var nthScope = rule.freq === 'monthly' || (rule.freq === 'yearly' && rule.byMonth.length > 0)
+      ? 'month'
+      : rule.freq === 'yearly' ? 'year' : null
+
+    return days.filter(function (day) {
+      if (rule.byMonth.length > 0 && rule.byMonth.indexOf(day.getUTCMonth()) === -1) {
+        return false
+      }
+
+      if (rule.byMonthDay.length > 0) {
+        var daysInMonth = getWallDaysInMonth(day)
+        var matchesMonthDay = rule.byMonthDay.some(function (monthDay) {
+          return (monthDay > 0 ? monthDay : daysInMonth + monthDay + 1) === day.getUTCDate()
+        })
+        if (!matchesMonthDay) {
+          return false
+        }
+      }
+
+      if (rule.byDay.length > 0) {
+        var matchesWeekday = rule.byDay.some(function (weekday) {
+          return weekday.day === day.getUTCDay() &&
+            (weekday.nth === undefined || nthScope === null || matchesNth(day, weekday.nth, nthScope))
+        })
+        if (!matchesWeekday) {
+          return false
+        }
+      }
+
+      return hasDayRules || !isImpliedDay || isImpliedDay(day)
+    })
+  }
+
+  // Without the day rules, the monthly and the yearly rules repeat the day of the month of the start,
+  // and the yearly rules without `byMonth` repeat the month of the start
+  function matchesImpliedDay (day, matchMonth) {
+    return day.getUTCDate() === wallStart.getUTCDate() &&
+      (!matchMonth || day.getUTCMonth() === wallStart.getUTCMonth())
+  }
+
+  var iterator = {
+    next: function () {
+      while (!done) {
+        if (nextRuleDate === undefined) {
+          nextRuleDate = findNextRuleDate()
+        }
+
+        var rDate = rDateIndex < rDates.length ? rDates[rDateIndex] : null
+        var date
+
+        if (nextRuleDate === null && rDate === null) {
+          done = true
+        } else {
+          if (rDate !== null && (nextRuleDate === null || rDate.getTime() <= nextRuleDate.getTime())) {
+            date = rDate
+            rDateIndex++
+          } else {
+            date = nextRuleDate
+            nextRuleDate = undefined
+          }
+
+          var time = date.getTime()
+          if (time !== lastTime && !excludedTimes[time]) {
+            lastTime = time
+            return {value: new Date(time), done: false}
+          }
+        }
+      }
+
+      return {value: undefined, done: true}
+    },
+
+    return: function (value) {
+      done = true
+      return {value: value, done: true}
+    }
+  }
+
+  if (typeof Symbol === 'function' && Symbol.iterator) {
+    iterator[Symbol.iterator] = function () {
+      return iterator
+    }
+  }
+
+  return iterator
+}
+
+// Returns the wall clock time of the date in the time zone or, if it's undefined, in the local time zone,
+// represented as UTC time
+function toWallTime (date, timeZone) {
+  if (timeZone !== undefined) {
+    return tzToWallTime(date.getTime(), timeZone)
+  }
+
+  var wallDate = new Date(0)
+  wallDate.setUTCFullYear(date.getFullYear(), date.getMonth(), date.getDate())
+  wallDate.setUTCHours(date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds())
+  return wallDate.getTime()
+}
+
+// Returns the moment of the wall clock time. The time skipped by the DST clock shift
+// is moved forward by the length of the shift both by `Date` and by `tzFromWallTime`
+function toMoment (wallTime, timeZone) {
+  if (timeZone !== undefined) {
+    return new Date(tzFromWallTime(wallTime, timeZone))
+  }
+
+  var wallDate = new Date(wallTime)
+  var date = new Date(0)
+  date.setFullYear(wallDate.getUTCFullYear(), wallDate.getUTCMonth(), wallDate.getUTCDate())
+  date.setHours(wallDate.getUTCHours(), wallDate.getUTCMinutes(), wallDate.getUTCSeconds(), wallDate.getUTCMilliseconds())
+  return date
+}
+
+function createWallDate (year, month, day) {
+  var date = new Date(0)
+  date.setUTCFullYear(year, month, day)
+  return date
+}
+
+function startOfWallDay (date) {
+  return createWallDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+}
+
+function addWallDays (date, amount) {
+  return new Date(date.getTime() + amount * MILLISECONDS_IN_DAY)
+}
+
+function addWallYears (date, amount) {
+  var result = new Date(date.getTime())
+  result.setUTCFullYear(result.getUTCFullYear() + amount)
+  return result
+}
+
+function getWallDaysInMonth (date) {
+  return createWallDate(date.getUTCFullYear(), date.getUTCMonth() + 1, 0).getUTCDate()
+}
+
+function getWallDaysInYear (date) {
+  var year = date.getUTCFullYear()
+  return (createWallDate(year + 1, 0, 1).getTime() - createWallDate(year, 0, 1).getTime()) / MILLISECONDS_IN_DAY
+}
+
+function eachDayOfPeriod (periodStart, nextPeriodStart) {
+  var days = []
+  for (var time = periodStart.getTime(); time < nextPeriodStart.getTime(); time += MILLISECONDS_IN_DAY) {
+    days.push(new Date(time))
+  }
+  return days
+}
+
+// Returns true if the day is the nth (or, if `nth` is negative, the nth from the end)
+// day of its day of the week in the month or in the year
+function matchesNth (day, nth, scope) {
+  var dayIndex = scope === 'month' ? day.getUTCDate() : getUTCDayOfYear(day)
+  var daysInScope = scope === 'month' ? getWallDaysInMonth(day) : getWallDaysInYear(day)
+  var position = nth > 0
+    ? Math.floor((dayIndex - 1) / 7) + 1
+    : -(Math.floor((daysInScope - dayIndex) / 7) + 1)
+  return position === nth
+}
+
+// Returns the dates at the positions of `bySetPos` in the sorted dates of a period
+function selectBySetPos (dates, bySetPos) {
+  if (bySetPos.length === 0) {
+    return dates
+  }
+
+  return dates.filter(function (date, index) {
+    return bySetPos.indexOf(index + 1) !== -1 || bySetPos.indexOf(index - dates.length) !== -1
+  })
+}
@@ -0,0 +1,379 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachOccurrenceIterator from '.'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+describe('eachOccurrenceIterator', function () {
+  function take (iterator, count) {
+    var result = []
+    for (var step = iterator.next(); !step.done && result.length < count; step = iterator.next()) {
+      result.push(step.value)
+    }
+    return result
+  }
+
+  it('returns the iterator over the occurrences of the rule', function () {
+    var iterator = eachOccurrenceIterator({
+      start: new Date(2014, 0 /* Jan */, 6, 9),
+      freq: 'daily',
+      count: 3
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 0 /* Jan */, 6, 9), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 0 /* Jan */, 7, 9), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 0 /* Jan */, 8, 9), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('accepts the RRULE string', function () {
+    var iterator = eachOccurrenceIterator('DTSTART:20140131T090000\nRRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3')
+    assert.deepEqual(iteratorToArray(iterator), [
+      new Date(2014, 0 /* Jan */, 31, 9),
+      new Date(2014, 1 /* Feb */, 28, 9),
+      new Date(2014, 2 /* Mar */, 28, 9)
+    ])
+  })
+
+  it('iterates over the rule without `count` and `until` lazily', function () {
+    var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 1), freq: 'yearly'})
+    assert.deepEqual(take(iterator, 3), [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1)
+    ])
+  })
+
+  context('yearly', function () {
+    it('repeats the month and the day of the start', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 4 /* May */, 15, 10), freq: 'yearly', interval: 2, count: 3})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 4 /* May */, 15, 10),
+        new Date(2016, 4 /* May */, 15, 10),
+        new Date(2018, 4 /* May */, 15, 10)
+      ])
+    })
+
+    it('skips the years without February 29', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2012, 1 /* Feb */, 29), freq: 'yearly', count: 3})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2012, 1 /* Feb */, 29),
+        new Date(2016, 1 /* Feb */, 29),
+        new Date(2020, 1 /* Feb */, 29)
+      ])
+    })
+
+    it('repeats the day of the start in the months of `byMonth`', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 10), freq: 'yearly', byMonth: [0, 6], count: 4})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 10),
+        new Date(2014, 6 /* Jul */, 10),
+        new Date(2015, 0 /* Jan */, 10),
+        new Date(2015, 6 /* Jul */, 10)
+      ])
+    })
+
+    it('counts the ordinal days of the week in the year', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 1), freq: 'yearly', byDay: [{day: 1, nth: 20}], count: 3})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 1),
+        new Date(2014, 4 /* May */, 19),
+        new Date(2015, 4 /* May */, 18)
+      ])
+    })
+
+    it('counts the ordinal days of the week in the month if `byMonth` is given', function () {
+      // Thanksgiving Day in the US
+      var iterator = eachOccurrenceIterator('DTSTART:20141127\nRRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH;COUNT=3')
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 10 /* Nov */, 27),
+        new Date(2015, 10 /* Nov */, 26),
+        new Date(2016, 10 /* Nov */, 24)
+      ])
+    })
+
+    it('finishes if the rule has no occurrences', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 1), freq: 'yearly', byMonth: [1], byMonthDay: [30]})
+      assert.deepEqual(iteratorToArray(iterator), [new Date(2014, 0 /* Jan */, 1)])
+    })
+  })
+
+  context('monthly', function () {
+    it('skips the months without the day of the start', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 31, 9), freq: 'monthly', count: 4})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 31, 9),
+        new Date(2014, 2 /* Mar */, 31, 9),
+        new Date(2014, 4 /* May */, 31, 9),
+        new Date(2014, 6 /* Jul */, 31, 9)
+      ])
+    })
+
+    it('returns the days of `byMonthDay`', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 1), freq: 'monthly', byMonthDay: [15, -1], count: 5})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 1),
+        new Date(2014, 0 /* Jan */, 15),
+        new Date(2014, 0 /* Jan */, 31),
+        new Date(2014, 1 /* Feb */, 15),
+        new Date(2014, 1 /* Feb */, 28)
+      ])
+    })
+
+    it('returns all days of the week of `byDay` without `nth`', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 1 /* Feb */, 1), freq: 'monthly', byDay: [{day: 1}], count: 5})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 1 /* Feb */, 1),
+        new Date(2014, 1 /* Feb */, 3),
+        new Date(2014, 1 /* Feb */, 10),
+        new Date(2014, 1 /* Feb */, 17),
+        new Date(2014, 1 /* Feb */, 24)
+      ])
+    })
+
+    it('limits `byDay` with `byMonthDay`', function () {
+      // Friday the 13th
+      var iterator = eachOccurrenceIterator('DTSTART:20140101\nRRULE:FREQ=MONTHLY;BYDAY=FR;BYMONTHDAY=13;COUNT=3')
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 1),
+        new Date(2014, 5 /* Jun */, 13),
+        new Date(2015, 1 /* Feb */, 13)
+      ])
+    })
+
+    it('selects the occurrences with `bySetPos`', function () {
+      // The last working day of the month
+      var iterator = eachOccurrenceIterator('DTSTART:20140131T090000\nRRULE:FREQ=MONTHLY;BYDAY=MO,TU,WE,TH,FR;BYSETPOS=-1;COUNT=4')
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 31, 9),
+        new Date(2014, 1 /* Feb */, 28, 9),
+        new Date(2014, 2 /* Mar */, 31, 9),
+        new Date(2014, 3 /* Apr */, 30, 9)
+      ])
+    })
+
+    it('limits the months with `byMonth`', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 5), freq: 'monthly', byMonth: [5, 6], count: 3})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 5),
+        new Date(2014, 5 /* Jun */, 5),
+        new Date(2014, 6 /* Jul */, 5)
+      ])
+    })
+  })
+
+  context('weekly', function () {
+    it('repeats the day of the week of the start', function () {
+      var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 8, 9), freq: 'weekly', count: 3})
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 8, 9),
+        new Date(2014, 0 /* Jan */, 15, 9),
+        new Date(2014, 0 /* Jan */, 22, 9)
+      ])
+    })
+
+    it('returns the days of `byDay` every `interval` weeks', function () {
+      var iterator = eachOccurrenceIterator('DTSTART:20140106T090000\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20140203')
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 6, 9),
+        new Date(2014, 0 /* Jan */, 8, 9),
+        new Date(2014, 0 /* Jan */, 20, 9),
+        new Date(2014, 0 /* Jan */, 22, 9),
+        new Date(2014, 1 /* Feb */, 3, 9)
+      ])
+    })
+
+    it('counts the weeks from `weekStartsOn`', function () {
+      // RFC 5545, section 3.3.10
+      var mondayRule = {start: new Date(1997, 7 /* Aug */, 5), freq: 'weekly', interval: 2, count: 4, byDay: [{day: 2}, {day: 0}]}
+      assert.deepEqual(iteratorToArray(eachOccurrenceIterator(mondayRule)), [
+        new Date(1997, 7 /* Aug */, 5),
+        new Date(1997, 7 /* Aug */, 10),
+        new Date(1997, 7 /* Aug */, 19),
+        new Date(1997, 7 /* Aug */, 24)
+      ])
+
+      var sundayRule = {start: new Date(1997, 7 /* Aug */, 5), freq: 'weekly', interval: 2, count: 4, byDay: [{day: 2}, {day: 0}], weekStartsOn: 0}
+      assert.deepEqual(iteratorToArray(eachOccurrenceIterator(sundayRule)), [
+        new Date(1997, 7 /* Aug */, 5),
+        new Date(1997, 7 /* Aug */, 17),
+        new Date(1997, 7 /* Aug */, 19),
+        new Date(1997, 7 /* Aug */, 31)
+      ])
+    })
+  })
+
+  context('daily', function () {
+    it('limits the days with `byDay`, `byMonthDay` and `byMonth`', function () {
+      var iterator = eachOccurrenceIterator({
+        start: new Date(2014, 0 /* Jan */, 1),
+        freq: 'daily',
+        byDay: [{day: 1}],
+        byMonth: [1],
+        count: 5
+      })
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 1),
+        new Date(2014, 1 /* Feb */, 3),
+        new Date(2014, 1 /* Feb */, 10),
+        new Date(2014, 1 /* Feb */, 17),
+        new Date(2014, 1 /* Feb */, 24)
+      ])
+    })
+
+    it('keeps the time of the day across the DST transitions', function () {
+      var result = iteratorToArray(eachOccurrenceIterator({
+        start: new Date(2014, 0 /* Jan */, 1, 12),
+        freq: 'daily',
+        until: new Date(2014, 11 /* Dec */, 31, 12)
+      }))
+      assert(result.length === 365)
+      result.forEach(function (date, index) {
+        assert.deepEqual(date, new Date(2014, 0 /* Jan */, 1 + index, 12))
+      })
+    })
+  })
+
+  context('hourly, minutely and secondly', function () {
+    it('counts the real time', function () {
+      var start = new Date(2014, 0 /* Jan */, 1, 9)
+      var hourly = iteratorToArray(eachOccurrenceIterator({start: start, freq: 'hourly', interval: 5, count: 3}))
+      assert.deepEqual(hourly.map(Number), [0, 5, 10].map(function (hours) { return start.getTime() + hours * 3600000 }))
+      var minutely = iteratorToArray(eachOccurrenceIterator({start: start, freq: 'minutely', interval: 15, count: 3}))
+      assert.deepEqual(minutely.map(Number), [0, 15, 30].map(function (minutes) { return start.getTime() + minutes * 60000 }))
+      var secondly = iteratorToArray(eachOccurrenceIterator({start: start, freq: 'secondly', count: 3}))
+      assert.deepEqual(secondly.map(Number), [0, 1, 2].map(function (seconds) { return start.getTime() + seconds * 1000 }))
+    })
+
+    it('limits the occurrences with the day rules', function () {
+      var iterator = eachOccurrenceIterator({
+        start: new Date(2014, 0 /* Jan */, 1, 20),
+        freq: 'hourly',
+        interval: 2,
+        byMonthDay: [2],
+        count: 4
+      })
+      assert.deepEqual(iteratorToArray(iterator), [
+        new Date(2014, 0 /* Jan */, 1, 20),
+        new Date(2014, 0 /* Jan */, 2, 0),
+        new Date(2014, 0 /* Jan */, 2, 2),
+        new Date(2014, 0 /* Jan */, 2, 4)
+      ])
+    })
+  })
+
+  it('returns the start even if it does not match the rule', function () {
+    var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 7), freq: 'weekly', byDay: [{day: 1}], count: 2})
+    assert.deepEqual(iteratorToArray(iterator), [new Date(2014, 0 /* Jan */, 7), new Date(2014, 0 /* Jan */, 13)])
+  })
+
+  it('includes `until`', function () {
+    var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 6), freq: 'daily', until: new Date(2014, 0 /* Jan */, 8)})
+    assert.deepEqual(iteratorToArray(iterator), [
+      new Date(2014, 0 /* Jan */, 6),
+      new Date(2014, 0 /* Jan */, 7),
+      new Date(2014, 0 /* Jan */, 8)
+    ])
+  })
+
+  it('excludes `exDates` and adds `rDates`', function () {
+    var iterator = eachOccurrenceIterator({
+      start: new Date(2014, 0 /* Jan */, 6, 9),
+      freq: 'daily',
+      count: 4,
+      exDates: [new Date(2014, 0 /* Jan */, 7, 9), new Date(2014, 0 /* Jan */, 20, 9)],
+      rDates: [new Date(2014, 0 /* Jan */, 20, 9), new Date(2014, 0 /* Jan */, 8, 9), new Date(2014, 0 /* Jan */, 1, 12)]
+    })
+    assert.deepEqual(iteratorToArray(iterator), [
+      new Date(2014, 0 /* Jan */, 1, 12),
+      new Date(2014, 0 /* Jan */, 6, 9),
+      new Date(2014, 0 /* Jan */, 8, 9),
+      new Date(2014, 0 /* Jan */, 9, 9)
+    ])
+  })
+
+  it('finds the occurrences in the wall clock time of `timeZone`', function () {
+    var iterator = eachOccurrenceIterator(
+      'DTSTART;TZID=America/New_York:20140307T090000\nRRULE:FREQ=DAILY;COUNT=3',
+      {timeZones: [newYork]}
+    )
+    assert.deepEqual(iteratorToArray(iterator), [
+      new Date(Date.UTC(2014, 2 /* Mar */, 7, 14)),
+      new Date(Date.UTC(2014, 2 /* Mar */, 8, 14)),
+      new Date(Date.UTC(2014, 2 /* Mar */, 9, 13))
+    ])
+  })
+
+  it("doesn't apply the DST transitions of the local time zone to the wall clock time of `timeZone`", function () {
+    // 2:30 AM is skipped in New York on March 9, but not in Tokyo
+    var iterator = eachOccurrenceIterator({
+      start: new Date(Date.UTC(2014, 2 /* Mar */, 7, 17, 30)),
+      timeZone: tokyo,
+      freq: 'daily',
+      count: 3
+    })
+    assert.deepEqual(iteratorToArray(iterator), [
+      new Date(Date.UTC(2014, 2 /* Mar */, 7, 17, 30)),
+      new Date(Date.UTC(2014, 2 /* Mar */, 8, 17, 30)),
+      new Date(Date.UTC(2014, 2 /* Mar */, 9, 17, 30))
+    ])
+  })
+
+  it('finishes when `return` is called', function () {
+    var result = []
+    var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 1), freq: 'monthly'})
+    for (var step = iterator.next(); !step.done; step = iterator.next()) {
+      if (step.value.getMonth() === 3) {
+        iterator.return()
+      } else {
+        result.push(step.value)
+      }
+    }
+    assert(result.length === 3)
+  })
+
+  it('is iterable', function () {
+    var iterator = eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 1), freq: 'daily', count: 2})
+    assert(iterator[Symbol.iterator]() === iterator)
+  })
+
+  it('accepts strings and timestamps', function () {
+    var iterator = eachOccurrenceIterator({
+      start: new Date(2014, 0 /* Jan */, 6).toISOString(),
+      freq: 'daily',
+      until: new Date(2014, 0 /* Jan */, 7).getTime()
+    })
+    assert.deepEqual(iteratorToArray(iterator), [new Date(2014, 0 /* Jan */, 6), new Date(2014, 0 /* Jan */, 7)])
+  })
+
+  it('throws `RangeError` if the rule is invalid', function () {
+    var start = new Date(2014, 0 /* Jan */, 6)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: new Date(NaN), freq: 'daily'}), RangeError)
+    // $ExpectedMistake
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'fortnightly'}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', interval: 0}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', count: -1}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', until: new Date(NaN)}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', count: 1, until: start}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', byDay: [{day: 7}]}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', byMonth: [12]}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', byMonthDay: [0]}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', bySetPos: [400]}), RangeError)
+    // $ExpectedMistake
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', weekStartsOn: 7}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, {start: start, freq: 'daily', exDates: [new Date(NaN)]}), RangeError)
+    assert.throws(eachOccurrenceIterator.bind(null, 'FREQ=DAILY'), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = eachOccurrenceIterator.bind(null, {start: new Date(2014, 0 /* Jan */, 6), freq: 'daily'}, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachOccurrenceIterator.bind(null), TypeError)
+  })
+})
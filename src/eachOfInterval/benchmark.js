@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachOfInterval from '.'
+
+suite('eachOfInterval', function () {
+  benchmark('date-fns', function () {
+    return eachOfInterval({start: this.dateA, end: this.dateB}, {unit: 'minute', step: 30})
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 86400000)
+  }
+})
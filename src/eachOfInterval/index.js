@@ -0,0 +1,99 @@
+import eachMinuteOfInterval from '../eachMinuteOfInterval/index.js'
+import eachHourOfInterval from '../eachHourOfInterval/index.js'
+import eachDayOfInterval from '../eachDayOfInterval/index.js'
+import eachWeekOfInterval from '../eachWeekOfInterval/index.js'
+import eachMonthOfInterval from '../eachMonthOfInterval/index.js'
+import eachQuarterOfInterval from '../eachQuarterOfInterval/index.js'
+import eachYearOfInterval from '../eachYearOfInterval/index.js'
+
+var eachOfIntervalFns = {
+  minute: eachMinuteOfInterval,
+  hour: eachHourOfInterval,
+  day: eachDayOfInterval,
+  week: eachWeekOfInterval,
+  month: eachMonthOfInterval,
+  quarter: eachQuarterOfInterval,
+  year: eachYearOfInterval
+}
+
+/**
+ * @name eachOfInterval
+ * @category Interval Helpers
+ * @summary Return the array of dates within the specified time interval with the given unit and step.
+ *
+ * @description
+ * Return the array of the starts of units within the specified time interval.
+ * The unit is specified in `options.unit`, every `options.step`-th unit is returned.
+ *
+ * The minutes and the hours are counted in real time, so the dates in the result
+ * are always `step` units apart. The days and the larger units are counted in the calendar,
+ * so the result contains only starts of days even if the interval contains a DST transition.
+ * See `eachMinuteOfInterval`, `eachHourOfInterval`, `eachDayOfInterval`, `eachWeekOfInterval`,
+ * `eachMonthOfInterval`, `eachQuarterOfInterval` and `eachYearOfInterval`.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the unit that starts at the end of the interval isn't included in the result.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {'minute'|'hour'|'day'|'week'|'month'|'quarter'|'year'} [options.unit='day'] - the unit of the dates in the result
+ * @param {Number} [options.step=1] - the number of units between the dates in the result
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn=0] - the index of the first day of the week (0 - Sunday)
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar, used with the day unit. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @returns {Date[]} the array with starts of units from the unit of the interval start to the unit of the interval end
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.unit` must be 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ *
+ * @example
+ * // Each 30 minutes between 6 October 2014, 9:00 and 6 October 2014, 11:00
+ * var result = eachOfInterval({
+ *   start: new Date(2014, 9, 6, 9),
+ *   end: new Date(2014, 9, 6, 11)
+ * }, {unit: 'minute', step: 30})
+ * //=> [
+ * //   Mon Oct 06 2014 09:00:00,
+ * //   Mon Oct 06 2014 09:30:00,
+ * //   Mon Oct 06 2014 10:00:00,
+ * //   Mon Oct 06 2014 10:30:00,
+ * //   Mon Oct 06 2014 11:00:00
+ * // ]
+ *
+ * @example
+ * // Every 2nd month between 6 January 2014 and 10 June 2014:
+ * var result = eachOfInterval({
+ *   start: new Date(2014, 0, 6),
+ *   end: new Date(2014, 5, 10)
+ * }, {unit: 'month', step: 2})
+ * //=> [
+ * //   Wed Jan 01 2014 00:00:00,
+ * //   Sat Mar 01 2014 00:00:00,
+ * //   Thu May 01 2014 00:00:00
+ * // ]
+ */
+export default function eachOfInterval (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var unit = options.unit === undefined ? 'day' : String(options.unit)
+
+  if (!eachOfIntervalFns.hasOwnProperty(unit)) {
+    throw new RangeError("unit must be 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'")
+  }
+
+  return eachOfIntervalFns[unit](dirtyInterval, options)
+}
@@ -0,0 +1,231 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachOfInterval from '.'
+import buildHolidayCalendar from '../buildHolidayCalendar'
+
+describe('eachOfInterval', function () {
+  it('returns an array with starts of days by default', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 8, 22, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 8).toISOString()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6).getTime(),
+      end: new Date(2014, 9 /* Oct */, 8).getTime()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('returns every `options.step`-th minute', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 9),
+      end: new Date(2014, 9 /* Oct */, 6, 10)
+    }, {unit: 'minute', step: 15})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 9),
+      new Date(2014, 9 /* Oct */, 6, 9, 15),
+      new Date(2014, 9 /* Oct */, 6, 9, 30),
+      new Date(2014, 9 /* Oct */, 6, 9, 45),
+      new Date(2014, 9 /* Oct */, 6, 10)
+    ])
+  })
+
+  it('returns every `options.step`-th hour', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 9, 30),
+      end: new Date(2014, 9 /* Oct */, 6, 14)
+    }, {unit: 'hour', step: 2})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 9),
+      new Date(2014, 9 /* Oct */, 6, 11),
+      new Date(2014, 9 /* Oct */, 6, 13)
+    ])
+  })
+
+  it('returns every `options.step`-th day', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    }, {unit: 'day', step: 3})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 9),
+      new Date(2014, 9 /* Oct */, 12)
+    ])
+  })
+
+  it('returns every `options.step`-th week', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 27)
+    }, {unit: 'week', step: 2, weekStartsOn: 1})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 20)
+    ])
+  })
+
+  it('returns every `options.step`-th month', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 0 /* Jan */, 6),
+      end: new Date(2014, 5 /* Jun */, 10)
+    }, {unit: 'month', step: 2})
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 4 /* May */, 1)
+    ])
+  })
+
+  it('returns starts of quarters', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2014, 11 /* Dec */, 10)
+    }, {unit: 'quarter'})
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('returns every `options.step`-th year', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2020, 7 /* Aug */, 10)
+    }, {unit: 'year', step: 3})
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2017, 0 /* Jan */, 1),
+      new Date(2020, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('excludes the holidays in `options.holidays` from the days', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    var result = eachOfInterval({
+      start: new Date(2014, 6 /* Jul */, 3),
+      end: new Date(2014, 6 /* Jul */, 5)
+    }, {unit: 'day', holidays: holidays})
+    assert.deepEqual(result, [
+      new Date(2014, 6 /* Jul */, 3),
+      new Date(2014, 6 /* Jul */, 5)
+    ])
+  })
+
+  it('passes `options.bounds` to the function of the unit', function () {
+    var result = eachOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 10),
+      end: new Date(2014, 9 /* Oct */, 6, 13)
+    }, {unit: 'hour', bounds: '[)'})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 10),
+      new Date(2014, 9 /* Oct */, 6, 11),
+      new Date(2014, 9 /* Oct */, 6, 12)
+    ])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(2014, 9 /* Oct */, 6)
+      },
+      {unit: 'hour'}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachOfInterval.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6)
+      },
+      {unit: 'month'}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(NaN)
+      },
+      {unit: 'week'}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachOfInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it("throws `RangeError` if `options.unit` isn't 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'", function () {
+    var block = eachOfInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    // $ExpectedMistake
+    }, {unit: 'fortnight'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var block = eachOfInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    }, {unit: 'minute', step: -15})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachOfInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachOfInterval.bind(null), TypeError)
+  })
+})
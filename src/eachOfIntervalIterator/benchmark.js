@@ -0,0 +1,23 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachOfIntervalIterator from '.'
+import eachOfInterval from '../eachOfInterval'
+
+suite('eachOfIntervalIterator', function () {
+  benchmark('date-fns', function () {
+    var iterator = eachOfIntervalIterator({start: this.dateA, end: this.dateB}, {unit: 'minute', step: 30})
+    return [iterator.next().value, iterator.next().value]
+  })
+
+  benchmark('date-fns (array)', function () {
+    var dates = eachOfInterval({start: this.dateA, end: this.dateB}, {unit: 'minute', step: 30})
+    return [dates[0], dates[1]]
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 86400000)
+  }
+})
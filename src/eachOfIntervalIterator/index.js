@@ -0,0 +1,101 @@
+import eachMinuteOfIntervalIterator from '../eachMinuteOfIntervalIterator/index.js'
+import eachHourOfIntervalIterator from '../eachHourOfIntervalIterator/index.js'
+import eachDayOfIntervalIterator from '../eachDayOfIntervalIterator/index.js'
+import eachWeekOfIntervalIterator from '../eachWeekOfIntervalIterator/index.js'
+import eachMonthOfIntervalIterator from '../eachMonthOfIntervalIterator/index.js'
+import eachQuarterOfIntervalIterator from '../eachQuarterOfIntervalIterator/index.js'
+import eachYearOfIntervalIterator from '../eachYearOfIntervalIterator/index.js'
+
+var eachOfIntervalIteratorFns = {
+  minute: eachMinuteOfIntervalIterator,
+  hour: eachHourOfIntervalIterator,
+  day: eachDayOfIntervalIterator,
+  week: eachWeekOfIntervalIterator,
+  month: eachMonthOfIntervalIterator,
+  quarter: eachQuarterOfIntervalIterator,
+  year: eachYearOfIntervalIterator
+}
+
+/**
+ * @name eachOfIntervalIterator
+ * @category Interval Helpers
+ * @summary Return the lazy iterator over dates within the specified time interval with the given unit and step.
+ *
+ * @description
+ * Return the lazy iterator over the starts of units within the specified time interval.
+ * Unlike `eachOfInterval`, which returns the array, the iterator creates the dates
+ * one by one, when they are requested, so it can be stopped early without creating the rest of them.
+ *
+ * The unit is specified in `options.unit`, every `options.step`-th unit is returned.
+ * If `options.reverse` is true, the iterator starts from the unit of the interval end
+ * and goes back to the unit of the interval start.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the unit that starts at the end of the interval isn't returned.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {'minute'|'hour'|'day'|'week'|'month'|'quarter'|'year'} [options.unit='day'] - the unit of the dates returned by the iterator
+ * @param {Number} [options.step=1] - the number of units between the dates returned by the iterator
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn=0] - the index of the first day of the week (0 - Sunday)
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar, used with the day unit. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @returns {DateIterator} the iterator over starts of units from the unit of the interval start to the unit of the interval end. See [DateIterator]{@link docs/DateIterator}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.unit` must be 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ *
+ * @example
+ * // Find the first 30-minute slot after 9:00 on 6 October 2014 that is not busy:
+ * var iterator = eachOfIntervalIterator({
+ *   start: new Date(2014, 9, 6, 9),
+ *   end: new Date(2014, 9, 6, 18)
+ * }, {unit: 'minute', step: 30})
+ *
+ * var result
+ * for (var date of iterator) {
+ *   if (!isBusy(date)) {
+ *     result = date
+ *     break
+ *   }
+ * }
+ *
+ * @example
+ * // The last 3 months of 2014, from the latest:
+ * var iterator = eachOfIntervalIterator({
+ *   start: new Date(2014, 9, 1),
+ *   end: new Date(2014, 11, 31)
+ * }, {unit: 'month', reverse: true})
+ *
+ * var result = Array.from(iterator)
+ * //=> [
+ * //   Mon Dec 01 2014 00:00:00,
+ * //   Sat Nov 01 2014 00:00:00,
+ * //   Wed Oct 01 2014 00:00:00
+ * // ]
+ */
+export default function eachOfIntervalIterator (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var unit = options.unit === undefined ? 'day' : String(options.unit)
+
+  if (!eachOfIntervalIteratorFns.hasOwnProperty(unit)) {
+    throw new RangeError("unit must be 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'")
+  }
+
+  return eachOfIntervalIteratorFns[unit](dirtyInterval, options)
+}
@@ -0,0 +1,143 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachOfIntervalIterator from '.'
+import eachOfInterval from '../eachOfInterval'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+describe('eachOfIntervalIterator', function () {
+  it('returns the iterator over starts of days by default', function () {
+    var iterator = eachOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 7, 22, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 6), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 7), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the same dates as `eachOfInterval` for every unit', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6, 6, 35), end: new Date(2014, 1 /* Feb */, 8, 12)}
+    var longInterval = {start: new Date(2014, 1 /* Feb */, 6, 6, 35), end: new Date(2018, 11 /* Dec */, 10)}
+    var units = [
+      {unit: 'minute', step: 30, interval: interval},
+      {unit: 'hour', step: 1, interval: interval},
+      {unit: 'day', step: 1, interval: interval},
+      {unit: 'week', step: 2, interval: longInterval},
+      {unit: 'month', step: 5, interval: longInterval},
+      {unit: 'quarter', step: 1, interval: longInterval},
+      {unit: 'year', step: 1, interval: longInterval}
+    ]
+    units.forEach(function (item) {
+      var options = {unit: item.unit, step: item.step}
+      assert.deepEqual(
+        iteratorToArray(eachOfIntervalIterator(item.interval, options)),
+        eachOfInterval(item.interval, options)
+      )
+    })
+  })
+
+  it('returns the dates from the latest to the earliest if `options.reverse` is true', function () {
+    var result = iteratorToArray(eachOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 1),
+      end: new Date(2014, 11 /* Dec */, 31)
+    }, {unit: 'month', reverse: true}))
+    assert.deepEqual(result, [
+      new Date(2014, 11 /* Dec */, 1),
+      new Date(2014, 10 /* Nov */, 1),
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('can be finished early', function () {
+    var result
+    var iterator = eachOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 9),
+      end: new Date(2014, 9 /* Oct */, 6, 18)
+    }, {unit: 'minute', step: 30})
+    for (var date of iterator) {
+      if (date.getHours() === 11) {
+        result = date
+        break
+      }
+    }
+    assert.deepEqual(result, new Date(2014, 9 /* Oct */, 6, 11))
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(2014, 9 /* Oct */, 6)
+      },
+      {unit: 'hour'}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6)
+      },
+      {unit: 'month'}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(NaN)
+      },
+      {unit: 'week'}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachOfIntervalIterator.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it("throws `RangeError` if `options.unit` isn't 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'", function () {
+    var block = eachOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    // $ExpectedMistake
+    }, {unit: 'fortnight'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var block = eachOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    }, {unit: 'minute', step: -15})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachOfIntervalIterator.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachQuarterOfInterval from '.'
+
+suite('eachQuarterOfInterval', function () {
+  benchmark('date-fns', function () {
+    return eachQuarterOfInterval({start: this.dateA, end: this.dateB})
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 94608000000)
+  }
+})
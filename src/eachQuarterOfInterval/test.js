@@ -0,0 +1,186 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachQuarterOfInterval from '.'
+
+describe('eachQuarterOfInterval', function () {
+  it('returns an array with starts of quarters from the quarter of the start date to the quarter of the end date', function () {
+    var result = eachQuarterOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2015, 2 /* Mar */, 10)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 9 /* Oct */, 1),
+      new Date(2015, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = eachQuarterOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6).toISOString(),
+      end: new Date(2015, 2 /* Mar */, 10).toISOString()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 9 /* Oct */, 1),
+      new Date(2015, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = eachQuarterOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6).getTime(),
+      end: new Date(2015, 2 /* Mar */, 10).getTime()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 9 /* Oct */, 1),
+      new Date(2015, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('handles the dates that are not starts of days', function () {
+    var result = eachQuarterOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2015, 2 /* Mar */, 10, 22, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 9 /* Oct */, 1),
+      new Date(2015, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('returns one quarter if the both arguments are on the same quarter', function () {
+    var result = eachQuarterOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 11 /* Dec */, 25, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('returns one quarter if the both arguments are the same', function () {
+    var result = eachQuarterOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 9 /* Oct */, 6, 14)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('returns every `options.step`-th quarter', function () {
+    var result = eachQuarterOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2015, 2 /* Mar */, 10)
+    }, {step: 2})
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2015, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('excludes the quarter that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = eachQuarterOfInterval(
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 6 /* Jul */, 1)},
+      {bounds: '[)'}
+    )
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1)
+    ])
+  })
+
+  it('returns an empty array for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 0 /* Jan */, 1)
+    assert.deepEqual(eachQuarterOfInterval({start: date, end: date}, {bounds: '[]'}), [date])
+    assert.deepEqual(eachQuarterOfInterval({start: date, end: date}, {bounds: '[)'}), [])
+    assert.deepEqual(eachQuarterOfInterval({start: date, end: date}, {bounds: '(]'}), [])
+    assert.deepEqual(eachQuarterOfInterval({start: date, end: date}, {bounds: '()'}), [])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachQuarterOfInterval.bind(
+      null,
+      {
+        start: new Date(2015, 2 /* Mar */, 10),
+        end: new Date(2014, 1 /* Feb */, 6)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachQuarterOfInterval.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2015, 2 /* Mar */, 10)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachQuarterOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 1 /* Feb */, 6),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachQuarterOfInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = eachQuarterOfInterval.bind(
+      null,
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 6 /* Jul */, 1)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2015, 2 /* Mar */, 10)}
+    assert.throws(eachQuarterOfInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachQuarterOfInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachQuarterOfInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachQuarterOfInterval.bind(null, {
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2015, 2 /* Mar */, 10)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachQuarterOfInterval.bind(null), TypeError)
+  })
+})
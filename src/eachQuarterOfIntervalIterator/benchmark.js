@@ -0,0 +1,23 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachQuarterOfIntervalIterator from '.'
+import eachQuarterOfInterval from '../eachQuarterOfInterval'
+
+suite('eachQuarterOfIntervalIterator', function () {
+  benchmark('date-fns', function () {
+    var iterator = eachQuarterOfIntervalIterator({start: this.dateA, end: this.dateB})
+    return [iterator.next().value, iterator.next().value]
+  })
+
+  benchmark('date-fns (array)', function () {
+    var dates = eachQuarterOfInterval({start: this.dateA, end: this.dateB})
+    return [dates[0], dates[1]]
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 3153600000000)
+  }
+})
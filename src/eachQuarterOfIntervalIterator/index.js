@@ -0,0 +1,65 @@
+import buildIntervalIterator from '../_lib/buildIntervalIterator/index.js'
+import startOfQuarter from '../startOfQuarter/index.js'
+import addQuarters from '../addQuarters/index.js'
+
+/**
+ * @name eachQuarterOfIntervalIterator
+ * @category Interval Helpers
+ * @summary Return the lazy iterator over quarters within the specified time interval.
+ *
+ * @description
+ * Return the lazy iterator over the starts of quarters within the specified time interval.
+ * Unlike `eachQuarterOfInterval`, which returns the array, the iterator creates the dates
+ * one by one, when they are requested, so it can be stopped early without creating the rest of them.
+ *
+ * If `options.step` is specified, every `step`-th quarter is returned.
+ * If `options.reverse` is true, the iterator starts from the quarter of the interval end
+ * and goes back to the quarter of the interval start.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the quarter that starts at the end of the interval isn't returned.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {Number} [options.step=1] - the number of quarters between the dates returned by the iterator
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @returns {DateIterator} the iterator over starts of quarters from the quarter of the interval start to the quarter of the interval end. See [DateIterator]{@link docs/DateIterator}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Each quarter within interval 6 February 2014 - 10 August 2015:
+ * var iterator = eachQuarterOfIntervalIterator({
+ *   start: new Date(2014, 1, 6),
+ *   end: new Date(2015, 7, 10)
+ * })
+ *
+ * iterator.next()
+ * //=> {value: Wed Jan 01 2014 00:00:00, done: false}
+ *
+ * iterator.next()
+ * //=> {value: Tue Apr 01 2014 00:00:00, done: false}
+ */
+export default function eachQuarterOfIntervalIterator (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  return buildIntervalIterator(dirtyInterval, dirtyOptions, startOfUnit, addUnits)
+}
+
+function startOfUnit (date) {
+  return startOfQuarter(date)
+}
+
+function addUnits (date, amount) {
+  return startOfQuarter(addQuarters(date, amount))
+}
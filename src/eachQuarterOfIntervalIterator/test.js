@@ -0,0 +1,163 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachQuarterOfIntervalIterator from '.'
+import eachQuarterOfInterval from '../eachQuarterOfInterval'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+describe('eachQuarterOfIntervalIterator', function () {
+  it('returns the iterator over starts of quarters from the quarter of the start date to the quarter of the end date', function () {
+    var iterator = eachQuarterOfIntervalIterator({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 0 /* Jan */, 1), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 3 /* Apr */, 1), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 6 /* Jul */, 1), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 1), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the same dates as `eachQuarterOfInterval`', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6, 6, 35), end: new Date(2014, 11 /* Dec */, 10, 22, 15)}
+    assert.deepEqual(iteratorToArray(eachQuarterOfIntervalIterator(interval)), eachQuarterOfInterval(interval))
+  })
+
+  it('accepts strings', function () {
+    var result = iteratorToArray(eachQuarterOfIntervalIterator({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35).toISOString(),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15).toISOString()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = iteratorToArray(eachQuarterOfIntervalIterator({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35).getTime(),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15).getTime()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 9 /* Oct */, 1)
+    ])
+  })
+
+  it('returns every `options.step`-th quarter', function () {
+    var result = iteratorToArray(eachQuarterOfIntervalIterator({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15)
+    }, {step: 2}))
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 6 /* Jul */, 1)
+    ])
+  })
+
+  it('returns the dates from the latest to the earliest if `options.reverse` is true', function () {
+    var result = iteratorToArray(eachQuarterOfIntervalIterator({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15)
+    }, {reverse: true, step: 3}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 1),
+      new Date(2014, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('can be finished early', function () {
+    var iterator = eachQuarterOfIntervalIterator({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 0 /* Jan */, 1), done: false})
+    assert.deepEqual(iterator.return(), {value: undefined, done: true})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('can be used in `for...of` loops', function () {
+    var result = []
+    var iterator = eachQuarterOfIntervalIterator({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15)
+    })
+    for (var date of iterator) {
+      if (result.length === 2) break
+      result.push(date)
+    }
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1)
+    ])
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachQuarterOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 11 /* Dec */, 10, 22, 15),
+        end: new Date(2014, 1 /* Feb */, 6, 6, 35)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachQuarterOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 11 /* Dec */, 10, 22, 15)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachQuarterOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachQuarterOfIntervalIterator.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6, 6, 35), end: new Date(2014, 11 /* Dec */, 10, 22, 15)}
+    assert.throws(eachQuarterOfIntervalIterator.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachQuarterOfIntervalIterator.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachQuarterOfIntervalIterator.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachQuarterOfIntervalIterator.bind(null, {
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2014, 11 /* Dec */, 10, 22, 15)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachQuarterOfIntervalIterator.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,255 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachWeekOfInterval from '.'
+
+describe('eachWeekOfInterval', function () {
+  it('returns an array with starts of weeks from the week of the start date to the week of the end date', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 10 /* Nov */, 23)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19),
+      new Date(2014, 9 /* Oct */, 26),
+      new Date(2014, 10 /* Nov */, 2),
+      new Date(2014, 10 /* Nov */, 9),
+      new Date(2014, 10 /* Nov */, 16),
+      new Date(2014, 10 /* Nov */, 23)
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 23).toISOString()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6).getTime(),
+      end: new Date(2014, 9 /* Oct */, 23).getTime()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19)
+    ])
+  })
+
+  it('handles the dates that are not starts of days', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 19, 22, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19)
+    ])
+  })
+
+  it('returns starts of days across the DST transitions', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 0 /* Jan */, 1),
+      end: new Date(2014, 11 /* Dec */, 31)
+    })
+    assert(result.length === 53)
+    result.forEach(function (date) {
+      assert(date.getDay() === 0)
+      assert(date.getTime() === new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime())
+    })
+  })
+
+  it('returns one week if the both arguments are on the same week', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 9 /* Oct */, 8, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5)
+    ])
+  })
+
+  it('returns one week if the both arguments are the same', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 9 /* Oct */, 6, 14)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5)
+    ])
+  })
+
+  it('allows to specify which day is the first day of the week', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 5),
+      end: new Date(2014, 9 /* Oct */, 20)
+    }, {weekStartsOn: 1})
+    assert.deepEqual(result, [
+      new Date(2014, 8 /* Sep */, 29),
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 13),
+      new Date(2014, 9 /* Oct */, 20)
+    ])
+  })
+
+  it('allows to specify which day is the first day of the week in locale', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 5),
+      end: new Date(2014, 9 /* Oct */, 20)
+    }, {
+      // $ExpectedMistake
+      locale: {
+        options: {weekStartsOn: 1}
+      }
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 8 /* Sep */, 29),
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 13),
+      new Date(2014, 9 /* Oct */, 20)
+    ])
+  })
+
+  it('`options.weekStartsOn` overwrites the first day of the week specified in locale', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 5),
+      end: new Date(2014, 9 /* Oct */, 20)
+    }, {
+      weekStartsOn: 1,
+      // $ExpectedMistake
+      locale: {
+        options: {weekStartsOn: 0}
+      }
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 8 /* Sep */, 29),
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 13),
+      new Date(2014, 9 /* Oct */, 20)
+    ])
+  })
+
+  it('returns every `options.step`-th week', function () {
+    var result = eachWeekOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 10 /* Nov */, 23)
+    }, {step: 3})
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 26),
+      new Date(2014, 10 /* Nov */, 16)
+    ])
+  })
+
+  it('excludes the week that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = eachWeekOfInterval(
+      {start: new Date(2014, 9 /* Oct */, 5), end: new Date(2014, 9 /* Oct */, 26)},
+      {bounds: '[)'}
+    )
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19)
+    ])
+  })
+
+  it('returns an empty array for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 9 /* Oct */, 5)
+    assert.deepEqual(eachWeekOfInterval({start: date, end: date}, {bounds: '[]'}), [date])
+    assert.deepEqual(eachWeekOfInterval({start: date, end: date}, {bounds: '[)'}), [])
+    assert.deepEqual(eachWeekOfInterval({start: date, end: date}, {bounds: '(]'}), [])
+    assert.deepEqual(eachWeekOfInterval({start: date, end: date}, {bounds: '()'}), [])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachWeekOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(2014, 9 /* Oct */, 6)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachWeekOfInterval.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachWeekOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachWeekOfInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.weekStartsOn` is not convertable to 0, 1, ..., 6 or undefined', function () {
+    var block = eachWeekOfInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    // $ExpectedMistake
+    }, {weekStartsOn: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = eachWeekOfInterval.bind(
+      null,
+      {start: new Date(2014, 9 /* Oct */, 5), end: new Date(2014, 9 /* Oct */, 26)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 12)}
+    assert.throws(eachWeekOfInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachWeekOfInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachWeekOfInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachWeekOfInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachWeekOfInterval.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,23 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachWeekOfIntervalIterator from '.'
+import eachWeekOfInterval from '../eachWeekOfInterval'
+
+suite('eachWeekOfIntervalIterator', function () {
+  benchmark('date-fns', function () {
+    var iterator = eachWeekOfIntervalIterator({start: this.dateA, end: this.dateB})
+    return [iterator.next().value, iterator.next().value]
+  })
+
+  benchmark('date-fns (array)', function () {
+    var dates = eachWeekOfInterval({start: this.dateA, end: this.dateB})
+    return [dates[0], dates[1]]
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 315360000000)
+  }
+})
@@ -0,0 +1,68 @@
+import buildIntervalIterator from '../_lib/buildIntervalIterator/index.js'
+import startOfWeek from '../startOfWeek/index.js'
+import addWeeks from '../addWeeks/index.js'
+
+/**
+ * @name eachWeekOfIntervalIterator
+ * @category Interval Helpers
+ * @summary Return the lazy iterator over weeks within the specified time interval.
+ *
+ * @description
+ * Return the lazy iterator over the starts of weeks within the specified time interval.
+ * Unlike `eachWeekOfInterval`, which returns the array, the iterator creates the dates
+ * one by one, when they are requested, so it can be stopped early without creating the rest of them.
+ *
+ * If `options.step` is specified, every `step`-th week is returned.
+ * If `options.reverse` is true, the iterator starts from the week of the interval end
+ * and goes back to the week of the interval start.
+ *
+ * By default, the interval includes both its start and its end.
+ * Use `options.bounds` to exclude them: e.g. with `bounds: '[)'`
+ * the week that starts at the end of the interval isn't returned.
+ *
+ * @param {Interval} interval - the interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
+ * @param {Number} [options.step=1] - the number of weeks between the dates returned by the iterator
+ * @param {Boolean} [options.reverse=false] - if true, the dates are returned from the latest to the earliest
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn=0] - the index of the first day of the week (0 - Sunday)
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @returns {DateIterator} the iterator over starts of weeks from the week of the interval start to the week of the interval end. See [DateIterator]{@link docs/DateIterator}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Each week within interval 6 October 2014 - 23 November 2014, starting on Monday:
+ * var iterator = eachWeekOfIntervalIterator({
+ *   start: new Date(2014, 9, 6),
+ *   end: new Date(2014, 10, 23)
+ * }, {weekStartsOn: 1})
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 06 2014 00:00:00, done: false}
+ *
+ * iterator.next()
+ * //=> {value: Mon Oct 13 2014 00:00:00, done: false}
+ */
+export default function eachWeekOfIntervalIterator (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  return buildIntervalIterator(dirtyInterval, dirtyOptions, startOfUnit, addUnits)
+}
+
+function startOfUnit (date, options) {
+  return startOfWeek(date, options)
+}
+
+function addUnits (date, amount, options) {
+  return startOfWeek(addWeeks(date, amount), options)
+}
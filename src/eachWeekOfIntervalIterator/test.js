@@ -0,0 +1,185 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachWeekOfIntervalIterator from '.'
+import eachWeekOfInterval from '../eachWeekOfInterval'
+import iteratorToArray from '../_lib/iteratorToArray'
+
+describe('eachWeekOfIntervalIterator', function () {
+  it('returns the iterator over starts of weeks from the week of the start date to the week of the end date', function () {
+    var iterator = eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 5), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 12), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 19), done: false})
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 26), done: false})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('returns the same dates as `eachWeekOfInterval`', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 6, 35), end: new Date(2014, 9 /* Oct */, 30, 22, 15)}
+    assert.deepEqual(iteratorToArray(eachWeekOfIntervalIterator(interval)), eachWeekOfInterval(interval))
+  })
+
+  it('accepts strings', function () {
+    var result = iteratorToArray(eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15).toISOString()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19),
+      new Date(2014, 9 /* Oct */, 26)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = iteratorToArray(eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35).getTime(),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15).getTime()
+    }))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19),
+      new Date(2014, 9 /* Oct */, 26)
+    ])
+  })
+
+  it('returns every `options.step`-th week', function () {
+    var result = iteratorToArray(eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+    }, {step: 2}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 19)
+    ])
+  })
+
+  it('returns the dates from the latest to the earliest if `options.reverse` is true', function () {
+    var result = iteratorToArray(eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+    }, {reverse: true, step: 3}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 26),
+      new Date(2014, 9 /* Oct */, 5)
+    ])
+  })
+
+  it('can be finished early', function () {
+    var iterator = eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+    })
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 9 /* Oct */, 5), done: false})
+    assert.deepEqual(iterator.return(), {value: undefined, done: true})
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('can be used in `for...of` loops', function () {
+    var result = []
+    var iterator = eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+    })
+    for (var date of iterator) {
+      if (result.length === 2) break
+      result.push(date)
+    }
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12)
+    ])
+    assert.deepEqual(iterator.next(), {value: undefined, done: true})
+  })
+
+  it('allows to specify which day is the first day of the week', function () {
+    var result = iteratorToArray(eachWeekOfIntervalIterator({
+      start: new Date(2014, 9 /* Oct */, 5),
+      end: new Date(2014, 9 /* Oct */, 20)
+    }, {weekStartsOn: 1, reverse: true}))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 20),
+      new Date(2014, 9 /* Oct */, 13),
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 8 /* Sep */, 29)
+    ])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachWeekOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 30, 22, 15),
+        end: new Date(2014, 9 /* Oct */, 6, 6, 35)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachWeekOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachWeekOfIntervalIterator.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachWeekOfIntervalIterator.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 6, 35), end: new Date(2014, 9 /* Oct */, 30, 22, 15)}
+    assert.throws(eachWeekOfIntervalIterator.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachWeekOfIntervalIterator.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachWeekOfIntervalIterator.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.weekStartsOn` is not convertable to 0, 1, ..., 6 or undefined', function () {
+    var block = eachWeekOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+    // $ExpectedMistake
+    }, {weekStartsOn: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachWeekOfIntervalIterator.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 30, 22, 15)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachWeekOfIntervalIterator.bind(null), TypeError)
+  })
+})
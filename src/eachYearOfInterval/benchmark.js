@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import eachYearOfInterval from '.'
+
+suite('eachYearOfInterval', function () {
+  benchmark('date-fns', function () {
+    return eachYearOfInterval({start: this.dateA, end: this.dateB})
+  })
+}, {
+  setup: function () {
+    this.dateA = new Date()
+    this.dateB = new Date(this.dateA.getTime() + 315360000000)
+  }
+})
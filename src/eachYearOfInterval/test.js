@@ -0,0 +1,182 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import eachYearOfInterval from '.'
+
+describe('eachYearOfInterval', function () {
+  it('returns an array with starts of years from the year of the start date to the year of the end date', function () {
+    var result = eachYearOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2017, 7 /* Aug */, 10)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1),
+      new Date(2017, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = eachYearOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6).toISOString(),
+      end: new Date(2017, 7 /* Aug */, 10).toISOString()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1),
+      new Date(2017, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = eachYearOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6).getTime(),
+      end: new Date(2017, 7 /* Aug */, 10).getTime()
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1),
+      new Date(2017, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('handles the dates that are not starts of days', function () {
+    var result = eachYearOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6, 6, 35),
+      end: new Date(2017, 7 /* Aug */, 10, 22, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1),
+      new Date(2017, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('returns one year if the both arguments are on the same year', function () {
+    var result = eachYearOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 11 /* Dec */, 25, 15)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('returns one year if the both arguments are the same', function () {
+    var result = eachYearOfInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 14),
+      end: new Date(2014, 9 /* Oct */, 6, 14)
+    })
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('returns every `options.step`-th year', function () {
+    var result = eachYearOfInterval({
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2017, 7 /* Aug */, 10)
+    }, {step: 2})
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('excludes the year that starts at the end of the interval if `options.bounds` excludes the end', function () {
+    var result = eachYearOfInterval(
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2017, 0 /* Jan */, 1)},
+      {bounds: '[)'}
+    )
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('returns an empty array for the zero-length interval that excludes its start or its end', function () {
+    var date = new Date(2014, 0 /* Jan */, 1)
+    assert.deepEqual(eachYearOfInterval({start: date, end: date}, {bounds: '[]'}), [date])
+    assert.deepEqual(eachYearOfInterval({start: date, end: date}, {bounds: '[)'}), [])
+    assert.deepEqual(eachYearOfInterval({start: date, end: date}, {bounds: '(]'}), [])
+    assert.deepEqual(eachYearOfInterval({start: date, end: date}, {bounds: '()'}), [])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = eachYearOfInterval.bind(
+      null,
+      {
+        start: new Date(2017, 7 /* Aug */, 10),
+        end: new Date(2014, 1 /* Feb */, 6)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = eachYearOfInterval.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2017, 7 /* Aug */, 10)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = eachYearOfInterval.bind(
+      null,
+      {
+        start: new Date(2014, 1 /* Feb */, 6),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = eachYearOfInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = eachYearOfInterval.bind(
+      null,
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2017, 0 /* Jan */, 1)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2017, 7 /* Aug */, 10)}
+    assert.throws(eachYearOfInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(eachYearOfInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(eachYearOfInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = eachYearOfInterval.bind(null, {
+      start: new Date(2014, 1 /* Feb */, 6),
+      end: new Date(2017, 7 /* Aug */, 10)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(eachYearOfInterval.bind(null), TypeError)
+  })
+})
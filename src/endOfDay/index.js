@@ -1,4 +1,6 @@
 import toDate from '../toDate/index.js'
+import tzToWallTime from '../_lib/tzToWallTime/index.js'
+import tzFromWallTime from '../_lib/tzFromWallTime/index.js'
 
 /**
  * @name endOfDay
@@ -7,26 +9,43 @@ import toDate from '../toDate/index.js'
  *
  * @description
  * Return the end of a day for the given date.
- * The result will be in the local timezone.
+ * The result will be in the local timezone or in `options.timeZone` if it is specified.
  *
  * @param {Date|String|Number} date - the original date
  * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
  * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
  * @returns {Date} the end of a day
  * @throws {TypeError} 1 argument required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
  *
  * @example
  * // The end of a day for 2 September 2014 11:55:00:
  * var result = endOfDay(new Date(2014, 8, 2, 11, 55, 0))
  * //=> Tue Sep 02 2014 23:59:59.999
+ *
+ * @example
+ * // The end of a day in New York for 2 September 2014 02:00:00 UTC:
+ * import newYork from 'date-fns/timeZone/America/New_York'
+ * var result = endOfDay(new Date(Date.UTC(2014, 8, 2, 2)), {timeZone: newYork})
+ * result.toISOString()
+ * //=> '2014-09-02T03:59:59.999Z'
  */
 export default function endOfDay (dirtyDate, dirtyOptions) {
   if (arguments.length < 1) {
     throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
   }
 
-  var date = toDate(dirtyDate, dirtyOptions)
+  var options = dirtyOptions || {}
+  var date = toDate(dirtyDate, options)
+
+  if (options.timeZone !== undefined) {
+    var wallTime = new Date(tzToWallTime(date.getTime(), options.timeZone))
+    wallTime.setUTCHours(23, 59, 59, 999)
+    return new Date(tzFromWallTime(wallTime.getTime(), options.timeZone))
+  }
+
   date.setHours(23, 59, 59, 999)
   return date
 }
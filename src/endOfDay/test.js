@@ -3,6 +3,7 @@
 
 import assert from 'power-assert'
 import endOfDay from '.'
+import newYork from '../timeZone/America/New_York'
 
 describe('endOfDay', function () {
   it('returns the date with the time setted to 23:59:59.999', function () {
@@ -29,6 +30,18 @@ describe('endOfDay', function () {
     )
   })
 
+  describe('options.timeZone', function () {
+    it('returns the end of a day in the time zone', function () {
+      var result = endOfDay(new Date(Date.UTC(2014, 8 /* Sep */, 2, 2)), {timeZone: newYork})
+      assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 2, 3, 59, 59, 999)))
+    })
+
+    it('throws `RangeError` if the time zone is unknown', function () {
+      var block = endOfDay.bind(null, new Date(2014, 8 /* Sep */, 2), {timeZone: 'Asia/Neo_Tokyo'})
+      assert.throws(block, RangeError)
+    })
+  })
+
   it('does not mutate the original date', function () {
     var date = new Date(2014, 8 /* Sep */, 2, 11, 55, 0)
     endOfDay(date)
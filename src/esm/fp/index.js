@@ -1,7 +1,12 @@
 // This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
 
+export {default as add} from './add/index.js'
+export {default as addBusinessDays} from './addBusinessDays/index.js'
+export {default as addBusinessDaysWithOptions} from './addBusinessDaysWithOptions/index.js'
 export {default as addDays} from './addDays/index.js'
 export {default as addDaysWithOptions} from './addDaysWithOptions/index.js'
+export {default as addDurations} from './addDurations/index.js'
+export {default as addDurationsWithOptions} from './addDurationsWithOptions/index.js'
 export {default as addHours} from './addHours/index.js'
 export {default as addHoursWithOptions} from './addHoursWithOptions/index.js'
 export {default as addISOWeekYears} from './addISOWeekYears/index.js'
@@ -18,10 +23,15 @@ export {default as addSeconds} from './addSeconds/index.js'
 export {default as addSecondsWithOptions} from './addSecondsWithOptions/index.js'
 export {default as addWeeks} from './addWeeks/index.js'
 export {default as addWeeksWithOptions} from './addWeeksWithOptions/index.js'
+export {default as addWithOptions} from './addWithOptions/index.js'
 export {default as addYears} from './addYears/index.js'
 export {default as addYearsWithOptions} from './addYearsWithOptions/index.js'
 export {default as areIntervalsOverlapping} from './areIntervalsOverlapping/index.js'
 export {default as areIntervalsOverlappingWithOptions} from './areIntervalsOverlappingWithOptions/index.js'
+export {default as buildHolidayCalendar} from './buildHolidayCalendar/index.js'
+export {default as buildHolidayCalendarWithOptions} from './buildHolidayCalendarWithOptions/index.js'
+export {default as buildIntervalIndex} from './buildIntervalIndex/index.js'
+export {default as buildIntervalIndexWithOptions} from './buildIntervalIndexWithOptions/index.js'
 export {default as closestIndexTo} from './closestIndexTo/index.js'
 export {default as closestIndexToWithOptions} from './closestIndexToWithOptions/index.js'
 export {default as closestTo} from './closestTo/index.js'
@@ -30,6 +40,14 @@ export {default as compareAsc} from './compareAsc/index.js'
 export {default as compareAscWithOptions} from './compareAscWithOptions/index.js'
 export {default as compareDesc} from './compareDesc/index.js'
 export {default as compareDescWithOptions} from './compareDescWithOptions/index.js'
+export {default as compareDurations} from './compareDurations/index.js'
+export {default as compareDurationsWithOptions} from './compareDurationsWithOptions/index.js'
+export {default as compileFormat} from './compileFormat/index.js'
+export {default as compileFormatWithOptions} from './compileFormatWithOptions/index.js'
+export {default as compileParse} from './compileParse/index.js'
+export {default as compileParseWithOptions} from './compileParseWithOptions/index.js'
+export {default as differenceInBusinessDays} from './differenceInBusinessDays/index.js'
+export {default as differenceInBusinessDaysWithOptions} from './differenceInBusinessDaysWithOptions/index.js'
 export {default as differenceInCalendarDays} from './differenceInCalendarDays/index.js'
 export {default as differenceInCalendarDaysWithOptions} from './differenceInCalendarDaysWithOptions/index.js'
 export {default as differenceInCalendarISOWeekYears} from './differenceInCalendarISOWeekYears/index.js'
@@ -64,8 +82,44 @@ export {default as differenceInWeeks} from './differenceInWeeks/index.js'
 export {default as differenceInWeeksWithOptions} from './differenceInWeeksWithOptions/index.js'
 export {default as differenceInYears} from './differenceInYears/index.js'
 export {default as differenceInYearsWithOptions} from './differenceInYearsWithOptions/index.js'
+export {default as durationToMilliseconds} from './durationToMilliseconds/index.js'
+export {default as durationToMillisecondsWithOptions} from './durationToMillisecondsWithOptions/index.js'
+export {default as eachCronOccurrenceIterator} from './eachCronOccurrenceIterator/index.js'
+export {default as eachCronOccurrenceIteratorWithOptions} from './eachCronOccurrenceIteratorWithOptions/index.js'
 export {default as eachDayOfInterval} from './eachDayOfInterval/index.js'
+export {default as eachDayOfIntervalIterator} from './eachDayOfIntervalIterator/index.js'
+export {default as eachDayOfIntervalIteratorWithOptions} from './eachDayOfIntervalIteratorWithOptions/index.js'
 export {default as eachDayOfIntervalWithOptions} from './eachDayOfIntervalWithOptions/index.js'
+export {default as eachHourOfInterval} from './eachHourOfInterval/index.js'
+export {default as eachHourOfIntervalIterator} from './eachHourOfIntervalIterator/index.js'
+export {default as eachHourOfIntervalIteratorWithOptions} from './eachHourOfIntervalIteratorWithOptions/index.js'
+export {default as eachHourOfIntervalWithOptions} from './eachHourOfIntervalWithOptions/index.js'
+export {default as eachMinuteOfInterval} from './eachMinuteOfInterval/index.js'
+export {default as eachMinuteOfIntervalIterator} from './eachMinuteOfIntervalIterator/index.js'
+export {default as eachMinuteOfIntervalIteratorWithOptions} from './eachMinuteOfIntervalIteratorWithOptions/index.js'
+export {default as eachMinuteOfIntervalWithOptions} from './eachMinuteOfIntervalWithOptions/index.js'
+export {default as eachMonthOfInterval} from './eachMonthOfInterval/index.js'
+export {default as eachMonthOfIntervalIterator} from './eachMonthOfIntervalIterator/index.js'
+export {default as eachMonthOfIntervalIteratorWithOptions} from './eachMonthOfIntervalIteratorWithOptions/index.js'
+export {default as eachMonthOfIntervalWithOptions} from './eachMonthOfIntervalWithOptions/index.js'
+export {default as eachOccurrenceIterator} from './eachOccurrenceIterator/index.js'
+export {default as eachOccurrenceIteratorWithOptions} from './eachOccurrenceIteratorWithOptions/index.js'
+export {default as eachOfInterval} from './eachOfInterval/index.js'
+export {default as eachOfIntervalIterator} from './eachOfIntervalIterator/index.js'
+export {default as eachOfIntervalIteratorWithOptions} from './eachOfIntervalIteratorWithOptions/index.js'
+export {default as eachOfIntervalWithOptions} from './eachOfIntervalWithOptions/index.js'
+export {default as eachQuarterOfInterval} from './eachQuarterOfInterval/index.js'
+export {default as eachQuarterOfIntervalIterator} from './eachQuarterOfIntervalIterator/index.js'
+export {default as eachQuarterOfIntervalIteratorWithOptions} from './eachQuarterOfIntervalIteratorWithOptions/index.js'
+export {default as eachQuarterOfIntervalWithOptions} from './eachQuarterOfIntervalWithOptions/index.js'
+export {default as eachWeekOfInterval} from './eachWeekOfInterval/index.js'
+export {default as eachWeekOfIntervalIterator} from './eachWeekOfIntervalIterator/index.js'
+export {default as eachWeekOfIntervalIteratorWithOptions} from './eachWeekOfIntervalIteratorWithOptions/index.js'
+export {default as eachWeekOfIntervalWithOptions} from './eachWeekOfIntervalWithOptions/index.js'
+export {default as eachYearOfInterval} from './eachYearOfInterval/index.js'
+export {default as eachYearOfIntervalIterator} from './eachYearOfIntervalIterator/index.js'
+export {default as eachYearOfIntervalIteratorWithOptions} from './eachYearOfIntervalIteratorWithOptions/index.js'
+export {default as eachYearOfIntervalWithOptions} from './eachYearOfIntervalWithOptions/index.js'
 export {default as endOfDay} from './endOfDay/index.js'
 export {default as endOfDayWithOptions} from './endOfDayWithOptions/index.js'
 export {default as endOfHour} from './endOfHour/index.js'
@@ -86,14 +140,34 @@ export {default as endOfWeek} from './endOfWeek/index.js'
 export {default as endOfWeekWithOptions} from './endOfWeekWithOptions/index.js'
 export {default as endOfYear} from './endOfYear/index.js'
 export {default as endOfYearWithOptions} from './endOfYearWithOptions/index.js'
+export {default as findFreeSlots} from './findFreeSlots/index.js'
+export {default as findFreeSlotsWithOptions} from './findFreeSlotsWithOptions/index.js'
 export {default as format} from './format/index.js'
 export {default as formatDistance} from './formatDistance/index.js'
 export {default as formatDistanceStrict} from './formatDistanceStrict/index.js'
 export {default as formatDistanceStrictWithOptions} from './formatDistanceStrictWithOptions/index.js'
 export {default as formatDistanceWithOptions} from './formatDistanceWithOptions/index.js'
+export {default as formatDuration} from './formatDuration/index.js'
+export {default as formatDurationWithOptions} from './formatDurationWithOptions/index.js'
+export {default as formatISO} from './formatISO/index.js'
+export {default as formatISODuration} from './formatISODuration/index.js'
+export {default as formatISODurationWithOptions} from './formatISODurationWithOptions/index.js'
+export {default as formatISOWithOptions} from './formatISOWithOptions/index.js'
+export {default as formatRFC2822} from './formatRFC2822/index.js'
+export {default as formatRFC2822WithOptions} from './formatRFC2822WithOptions/index.js'
+export {default as formatRFC3339} from './formatRFC3339/index.js'
+export {default as formatRFC3339WithOptions} from './formatRFC3339WithOptions/index.js'
+export {default as formatRFC7231} from './formatRFC7231/index.js'
+export {default as formatRFC7231WithOptions} from './formatRFC7231WithOptions/index.js'
+export {default as formatRecurrence} from './formatRecurrence/index.js'
+export {default as formatRecurrenceWithOptions} from './formatRecurrenceWithOptions/index.js'
 export {default as formatRelative} from './formatRelative/index.js'
 export {default as formatRelativeWithOptions} from './formatRelativeWithOptions/index.js'
+export {default as formatToParts} from './formatToParts/index.js'
+export {default as formatToPartsWithOptions} from './formatToPartsWithOptions/index.js'
 export {default as formatWithOptions} from './formatWithOptions/index.js'
+export {default as fromZonedTime} from './fromZonedTime/index.js'
+export {default as fromZonedTimeWithOptions} from './fromZonedTimeWithOptions/index.js'
 export {default as getDate} from './getDate/index.js'
 export {default as getDateWithOptions} from './getDateWithOptions/index.js'
 export {default as getDay} from './getDay/index.js'
@@ -122,6 +196,10 @@ export {default as getMonth} from './getMonth/index.js'
 export {default as getMonthWithOptions} from './getMonthWithOptions/index.js'
 export {default as getOverlappingDaysInIntervals} from './getOverlappingDaysInIntervals/index.js'
 export {default as getOverlappingDaysInIntervalsWithOptions} from './getOverlappingDaysInIntervalsWithOptions/index.js'
+export {default as getOverlappingInterval} from './getOverlappingInterval/index.js'
+export {default as getOverlappingIntervalWithOptions} from './getOverlappingIntervalWithOptions/index.js'
+export {default as getOverlappingTimeInIntervals} from './getOverlappingTimeInIntervals/index.js'
+export {default as getOverlappingTimeInIntervalsWithOptions} from './getOverlappingTimeInIntervalsWithOptions/index.js'
 export {default as getQuarter} from './getQuarter/index.js'
 export {default as getQuarterWithOptions} from './getQuarterWithOptions/index.js'
 export {default as getSeconds} from './getSeconds/index.js'
@@ -134,16 +212,26 @@ export {default as getWeeksInMonth} from './getWeeksInMonth/index.js'
 export {default as getWeeksInMonthWithOptions} from './getWeeksInMonthWithOptions/index.js'
 export {default as getYear} from './getYear/index.js'
 export {default as getYearWithOptions} from './getYearWithOptions/index.js'
+export {default as intersectIntervals} from './intersectIntervals/index.js'
+export {default as intersectIntervalsWithOptions} from './intersectIntervalsWithOptions/index.js'
+export {default as intervalToDuration} from './intervalToDuration/index.js'
+export {default as intervalToDurationWithOptions} from './intervalToDurationWithOptions/index.js'
+export {default as invertIntervals} from './invertIntervals/index.js'
+export {default as invertIntervalsWithOptions} from './invertIntervalsWithOptions/index.js'
 export {default as isAfter} from './isAfter/index.js'
 export {default as isAfterWithOptions} from './isAfterWithOptions/index.js'
 export {default as isBefore} from './isBefore/index.js'
 export {default as isBeforeWithOptions} from './isBeforeWithOptions/index.js'
+export {default as isBusinessDay} from './isBusinessDay/index.js'
+export {default as isBusinessDayWithOptions} from './isBusinessDayWithOptions/index.js'
 export {default as isEqual} from './isEqual/index.js'
 export {default as isEqualWithOptions} from './isEqualWithOptions/index.js'
 export {default as isFirstDayOfMonth} from './isFirstDayOfMonth/index.js'
 export {default as isFirstDayOfMonthWithOptions} from './isFirstDayOfMonthWithOptions/index.js'
 export {default as isFriday} from './isFriday/index.js'
 export {default as isFridayWithOptions} from './isFridayWithOptions/index.js'
+export {default as isHoliday} from './isHoliday/index.js'
+export {default as isHolidayWithOptions} from './isHolidayWithOptions/index.js'
 export {default as isLastDayOfMonth} from './isLastDayOfMonth/index.js'
 export {default as isLastDayOfMonthWithOptions} from './isLastDayOfMonthWithOptions/index.js'
 export {default as isLeapYear} from './isLeapYear/index.js'
@@ -200,10 +288,26 @@ export {default as lastDayOfYear} from './lastDayOfYear/index.js'
 export {default as lastDayOfYearWithOptions} from './lastDayOfYearWithOptions/index.js'
 export {default as max} from './max/index.js'
 export {default as maxWithOptions} from './maxWithOptions/index.js'
+export {default as mergeIntervals} from './mergeIntervals/index.js'
+export {default as mergeIntervalsWithOptions} from './mergeIntervalsWithOptions/index.js'
 export {default as min} from './min/index.js'
 export {default as minWithOptions} from './minWithOptions/index.js'
+export {default as nextCronOccurrence} from './nextCronOccurrence/index.js'
+export {default as nextCronOccurrenceWithOptions} from './nextCronOccurrenceWithOptions/index.js'
+export {default as normalizeDuration} from './normalizeDuration/index.js'
+export {default as normalizeDurationWithOptions} from './normalizeDurationWithOptions/index.js'
 export {default as parse} from './parse/index.js'
+export {default as parseCron} from './parseCron/index.js'
+export {default as parseCronWithOptions} from './parseCronWithOptions/index.js'
+export {default as parseICalDateTime} from './parseICalDateTime/index.js'
+export {default as parseICalDateTimeWithOptions} from './parseICalDateTimeWithOptions/index.js'
+export {default as parseISODuration} from './parseISODuration/index.js'
+export {default as parseISODurationWithOptions} from './parseISODurationWithOptions/index.js'
+export {default as parseRRule} from './parseRRule/index.js'
+export {default as parseRRuleWithOptions} from './parseRRuleWithOptions/index.js'
 export {default as parseWithOptions} from './parseWithOptions/index.js'
+export {default as prevCronOccurrence} from './prevCronOccurrence/index.js'
+export {default as prevCronOccurrenceWithOptions} from './prevCronOccurrenceWithOptions/index.js'
 export {default as setDate} from './setDate/index.js'
 export {default as setDateWithOptions} from './setDateWithOptions/index.js'
 export {default as setDay} from './setDay/index.js'
@@ -230,6 +334,8 @@ export {default as setSeconds} from './setSeconds/index.js'
 export {default as setSecondsWithOptions} from './setSecondsWithOptions/index.js'
 export {default as setYear} from './setYear/index.js'
 export {default as setYearWithOptions} from './setYearWithOptions/index.js'
+export {default as splitInterval} from './splitInterval/index.js'
+export {default as splitIntervalWithOptions} from './splitIntervalWithOptions/index.js'
 export {default as startOfDay} from './startOfDay/index.js'
 export {default as startOfDayWithOptions} from './startOfDayWithOptions/index.js'
 export {default as startOfHour} from './startOfHour/index.js'
@@ -250,6 +356,9 @@ export {default as startOfWeek} from './startOfWeek/index.js'
 export {default as startOfWeekWithOptions} from './startOfWeekWithOptions/index.js'
 export {default as startOfYear} from './startOfYear/index.js'
 export {default as startOfYearWithOptions} from './startOfYearWithOptions/index.js'
+export {default as sub} from './sub/index.js'
+export {default as subBusinessDays} from './subBusinessDays/index.js'
+export {default as subBusinessDaysWithOptions} from './subBusinessDaysWithOptions/index.js'
 export {default as subDays} from './subDays/index.js'
 export {default as subDaysWithOptions} from './subDaysWithOptions/index.js'
 export {default as subHours} from './subHours/index.js'
@@ -268,7 +377,12 @@ export {default as subSeconds} from './subSeconds/index.js'
 export {default as subSecondsWithOptions} from './subSecondsWithOptions/index.js'
 export {default as subWeeks} from './subWeeks/index.js'
 export {default as subWeeksWithOptions} from './subWeeksWithOptions/index.js'
+export {default as subWithOptions} from './subWithOptions/index.js'
 export {default as subYears} from './subYears/index.js'
 export {default as subYearsWithOptions} from './subYearsWithOptions/index.js'
+export {default as subtractIntervals} from './subtractIntervals/index.js'
+export {default as subtractIntervalsWithOptions} from './subtractIntervalsWithOptions/index.js'
 export {default as toDate} from './toDate/index.js'
 export {default as toDateWithOptions} from './toDateWithOptions/index.js'
+export {default as toZonedTime} from './toZonedTime/index.js'
+export {default as toZonedTimeWithOptions} from './toZonedTimeWithOptions/index.js'
@@ -0,0 +1,4 @@
+// This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
+
+export {default as gb} from './gb/index.js'
+export {default as us} from './us/index.js'
@@ -1,6 +1,9 @@
 // This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
 
+export {default as add} from './add/index.js'
+export {default as addBusinessDays} from './addBusinessDays/index.js'
 export {default as addDays} from './addDays/index.js'
+export {default as addDurations} from './addDurations/index.js'
 export {default as addHours} from './addHours/index.js'
 export {default as addISOWeekYears} from './addISOWeekYears/index.js'
 export {default as addMilliseconds} from './addMilliseconds/index.js'
@@ -11,10 +14,16 @@ export {default as addSeconds} from './addSeconds/index.js'
 export {default as addWeeks} from './addWeeks/index.js'
 export {default as addYears} from './addYears/index.js'
 export {default as areIntervalsOverlapping} from './areIntervalsOverlapping/index.js'
+export {default as buildHolidayCalendar} from './buildHolidayCalendar/index.js'
+export {default as buildIntervalIndex} from './buildIntervalIndex/index.js'
 export {default as closestIndexTo} from './closestIndexTo/index.js'
 export {default as closestTo} from './closestTo/index.js'
 export {default as compareAsc} from './compareAsc/index.js'
 export {default as compareDesc} from './compareDesc/index.js'
+export {default as compareDurations} from './compareDurations/index.js'
+export {default as compileFormat} from './compileFormat/index.js'
+export {default as compileParse} from './compileParse/index.js'
+export {default as differenceInBusinessDays} from './differenceInBusinessDays/index.js'
 export {default as differenceInCalendarDays} from './differenceInCalendarDays/index.js'
 export {default as differenceInCalendarISOWeekYears} from './differenceInCalendarISOWeekYears/index.js'
 export {default as differenceInCalendarISOWeeks} from './differenceInCalendarISOWeeks/index.js'
@@ -32,7 +41,25 @@ export {default as differenceInQuarters} from './differenceInQuarters/index.js'
 export {default as differenceInSeconds} from './differenceInSeconds/index.js'
 export {default as differenceInWeeks} from './differenceInWeeks/index.js'
 export {default as differenceInYears} from './differenceInYears/index.js'
+export {default as durationToMilliseconds} from './durationToMilliseconds/index.js'
+export {default as eachCronOccurrenceIterator} from './eachCronOccurrenceIterator/index.js'
 export {default as eachDayOfInterval} from './eachDayOfInterval/index.js'
+export {default as eachDayOfIntervalIterator} from './eachDayOfIntervalIterator/index.js'
+export {default as eachHourOfInterval} from './eachHourOfInterval/index.js'
+export {default as eachHourOfIntervalIterator} from './eachHourOfIntervalIterator/index.js'
+export {default as eachMinuteOfInterval} from './eachMinuteOfInterval/index.js'
+export {default as eachMinuteOfIntervalIterator} from './eachMinuteOfIntervalIterator/index.js'
+export {default as eachMonthOfInterval} from './eachMonthOfInterval/index.js'
+export {default as eachMonthOfIntervalIterator} from './eachMonthOfIntervalIterator/index.js'
+export {default as eachOccurrenceIterator} from './eachOccurrenceIterator/index.js'
+export {default as eachOfInterval} from './eachOfInterval/index.js'
+export {default as eachOfIntervalIterator} from './eachOfIntervalIterator/index.js'
+export {default as eachQuarterOfInterval} from './eachQuarterOfInterval/index.js'
+export {default as eachQuarterOfIntervalIterator} from './eachQuarterOfIntervalIterator/index.js'
+export {default as eachWeekOfInterval} from './eachWeekOfInterval/index.js'
+export {default as eachWeekOfIntervalIterator} from './eachWeekOfIntervalIterator/index.js'
+export {default as eachYearOfInterval} from './eachYearOfInterval/index.js'
+export {default as eachYearOfIntervalIterator} from './eachYearOfIntervalIterator/index.js'
 export {default as endOfDay} from './endOfDay/index.js'
 export {default as endOfHour} from './endOfHour/index.js'
 export {default as endOfISOWeek} from './endOfISOWeek/index.js'
@@ -43,10 +70,20 @@ export {default as endOfQuarter} from './endOfQuarter/index.js'
 export {default as endOfSecond} from './endOfSecond/index.js'
 export {default as endOfWeek} from './endOfWeek/index.js'
 export {default as endOfYear} from './endOfYear/index.js'
+export {default as findFreeSlots} from './findFreeSlots/index.js'
 export {default as format} from './format/index.js'
 export {default as formatDistance} from './formatDistance/index.js'
 export {default as formatDistanceStrict} from './formatDistanceStrict/index.js'
+export {default as formatDuration} from './formatDuration/index.js'
+export {default as formatISO} from './formatISO/index.js'
+export {default as formatISODuration} from './formatISODuration/index.js'
+export {default as formatRFC2822} from './formatRFC2822/index.js'
+export {default as formatRFC3339} from './formatRFC3339/index.js'
+export {default as formatRFC7231} from './formatRFC7231/index.js'
+export {default as formatRecurrence} from './formatRecurrence/index.js'
 export {default as formatRelative} from './formatRelative/index.js'
+export {default as formatToParts} from './formatToParts/index.js'
+export {default as fromZonedTime} from './fromZonedTime/index.js'
 export {default as getDate} from './getDate/index.js'
 export {default as getDay} from './getDay/index.js'
 export {default as getDayOfYear} from './getDayOfYear/index.js'
@@ -61,17 +98,24 @@ export {default as getMilliseconds} from './getMilliseconds/index.js'
 export {default as getMinutes} from './getMinutes/index.js'
 export {default as getMonth} from './getMonth/index.js'
 export {default as getOverlappingDaysInIntervals} from './getOverlappingDaysInIntervals/index.js'
+export {default as getOverlappingInterval} from './getOverlappingInterval/index.js'
+export {default as getOverlappingTimeInIntervals} from './getOverlappingTimeInIntervals/index.js'
 export {default as getQuarter} from './getQuarter/index.js'
 export {default as getSeconds} from './getSeconds/index.js'
 export {default as getTime} from './getTime/index.js'
 export {default as getWeekOfMonth} from './getWeekOfMonth/index.js'
 export {default as getWeeksInMonth} from './getWeeksInMonth/index.js'
 export {default as getYear} from './getYear/index.js'
+export {default as intersectIntervals} from './intersectIntervals/index.js'
+export {default as intervalToDuration} from './intervalToDuration/index.js'
+export {default as invertIntervals} from './invertIntervals/index.js'
 export {default as isAfter} from './isAfter/index.js'
 export {default as isBefore} from './isBefore/index.js'
+export {default as isBusinessDay} from './isBusinessDay/index.js'
 export {default as isEqual} from './isEqual/index.js'
 export {default as isFirstDayOfMonth} from './isFirstDayOfMonth/index.js'
 export {default as isFriday} from './isFriday/index.js'
+export {default as isHoliday} from './isHoliday/index.js'
 export {default as isLastDayOfMonth} from './isLastDayOfMonth/index.js'
 export {default as isLeapYear} from './isLeapYear/index.js'
 export {default as isMonday} from './isMonday/index.js'
@@ -100,8 +144,16 @@ export {default as lastDayOfQuarter} from './lastDayOfQuarter/index.js'
 export {default as lastDayOfWeek} from './lastDayOfWeek/index.js'
 export {default as lastDayOfYear} from './lastDayOfYear/index.js'
 export {default as max} from './max/index.js'
+export {default as mergeIntervals} from './mergeIntervals/index.js'
 export {default as min} from './min/index.js'
+export {default as nextCronOccurrence} from './nextCronOccurrence/index.js'
+export {default as normalizeDuration} from './normalizeDuration/index.js'
 export {default as parse} from './parse/index.js'
+export {default as parseCron} from './parseCron/index.js'
+export {default as parseICalDateTime} from './parseICalDateTime/index.js'
+export {default as parseISODuration} from './parseISODuration/index.js'
+export {default as parseRRule} from './parseRRule/index.js'
+export {default as prevCronOccurrence} from './prevCronOccurrence/index.js'
 export {default as setDate} from './setDate/index.js'
 export {default as setDay} from './setDay/index.js'
 export {default as setDayOfYear} from './setDayOfYear/index.js'
@@ -115,6 +167,7 @@ export {default as setMonth} from './setMonth/index.js'
 export {default as setQuarter} from './setQuarter/index.js'
 export {default as setSeconds} from './setSeconds/index.js'
 export {default as setYear} from './setYear/index.js'
+export {default as splitInterval} from './splitInterval/index.js'
 export {default as startOfDay} from './startOfDay/index.js'
 export {default as startOfHour} from './startOfHour/index.js'
 export {default as startOfISOWeek} from './startOfISOWeek/index.js'
@@ -125,6 +178,8 @@ export {default as startOfQuarter} from './startOfQuarter/index.js'
 export {default as startOfSecond} from './startOfSecond/index.js'
 export {default as startOfWeek} from './startOfWeek/index.js'
 export {default as startOfYear} from './startOfYear/index.js'
+export {default as sub} from './sub/index.js'
+export {default as subBusinessDays} from './subBusinessDays/index.js'
 export {default as subDays} from './subDays/index.js'
 export {default as subHours} from './subHours/index.js'
 export {default as subISOWeekYears} from './subISOWeekYears/index.js'
@@ -135,4 +190,6 @@ export {default as subQuarters} from './subQuarters/index.js'
 export {default as subSeconds} from './subSeconds/index.js'
 export {default as subWeeks} from './subWeeks/index.js'
 export {default as subYears} from './subYears/index.js'
+export {default as subtractIntervals} from './subtractIntervals/index.js'
 export {default as toDate} from './toDate/index.js'
+export {default as toZonedTime} from './toZonedTime/index.js'
@@ -0,0 +1,599 @@
+// This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
+
+export {default as africaAbidjan} from './Africa/Abidjan/index.js'
+export {default as africaAccra} from './Africa/Accra/index.js'
+export {default as africaAddisAbaba} from './Africa/Addis_Ababa/index.js'
+export {default as africaAlgiers} from './Africa/Algiers/index.js'
+export {default as africaAsmara} from './Africa/Asmara/index.js'
+export {default as africaAsmera} from './Africa/Asmera/index.js'
+export {default as africaBamako} from './Africa/Bamako/index.js'
+export {default as africaBangui} from './Africa/Bangui/index.js'
+export {default as africaBanjul} from './Africa/Banjul/index.js'
+export {default as africaBissau} from './Africa/Bissau/index.js'
+export {default as africaBlantyre} from './Africa/Blantyre/index.js'
+export {default as africaBrazzaville} from './Africa/Brazzaville/index.js'
+export {default as africaBujumbura} from './Africa/Bujumbura/index.js'
+export {default as africaCairo} from './Africa/Cairo/index.js'
+export {default as africaCasablanca} from './Africa/Casablanca/index.js'
+export {default as africaCeuta} from './Africa/Ceuta/index.js'
+export {default as africaConakry} from './Africa/Conakry/index.js'
+export {default as africaDakar} from './Africa/Dakar/index.js'
+export {default as africaDarEsSalaam} from './Africa/Dar_es_Salaam/index.js'
+export {default as africaDjibouti} from './Africa/Djibouti/index.js'
+export {default as africaDouala} from './Africa/Douala/index.js'
+export {default as africaElAaiun} from './Africa/El_Aaiun/index.js'
+export {default as africaFreetown} from './Africa/Freetown/index.js'
+export {default as africaGaborone} from './Africa/Gaborone/index.js'
+export {default as africaHarare} from './Africa/Harare/index.js'
+export {default as africaJohannesburg} from './Africa/Johannesburg/index.js'
+export {default as africaJuba} from './Africa/Juba/index.js'
+export {default as africaKampala} from './Africa/Kampala/index.js'
+export {default as africaKhartoum} from './Africa/Khartoum/index.js'
+export {default as africaKigali} from './Africa/Kigali/index.js'
+export {default as africaKinshasa} from './Africa/Kinshasa/index.js'
+export {default as africaLagos} from './Africa/Lagos/index.js'
+export {default as africaLibreville} from './Africa/Libreville/index.js'
+export {default as africaLome} from './Africa/Lome/index.js'
+export {default as africaLuanda} from './Africa/Luanda/index.js'
+export {default as africaLubumbashi} from './Africa/Lubumbashi/index.js'
+export {default as africaLusaka} from './Africa/Lusaka/index.js'
+export {default as africaMalabo} from './Africa/Malabo/index.js'
+export {default as africaMaputo} from './Africa/Maputo/index.js'
+export {default as africaMaseru} from './Africa/Maseru/index.js'
+export {default as africaMbabane} from './Africa/Mbabane/index.js'
+export {default as africaMogadishu} from './Africa/Mogadishu/index.js'
+export {default as africaMonrovia} from './Africa/Monrovia/index.js'
+export {default as africaNairobi} from './Africa/Nairobi/index.js'
+export {default as africaNdjamena} from './Africa/Ndjamena/index.js'
+export {default as africaNiamey} from './Africa/Niamey/index.js'
+export {default as africaNouakchott} from './Africa/Nouakchott/index.js'
+export {default as africaOuagadougou} from './Africa/Ouagadougou/index.js'
+export {default as africaPortoNovo} from './Africa/Porto-Novo/index.js'
+export {default as africaSaoTome} from './Africa/Sao_Tome/index.js'
+export {default as africaTimbuktu} from './Africa/Timbuktu/index.js'
+export {default as africaTripoli} from './Africa/Tripoli/index.js'
+export {default as africaTunis} from './Africa/Tunis/index.js'
+export {default as africaWindhoek} from './Africa/Windhoek/index.js'
+export {default as americaAdak} from './America/Adak/index.js'
+export {default as americaAnchorage} from './America/Anchorage/index.js'
+export {default as americaAnguilla} from './America/Anguilla/index.js'
+export {default as americaAntigua} from './America/Antigua/index.js'
+export {default as americaAraguaina} from './America/Araguaina/index.js'
+export {default as americaArgentinaBuenosAires} from './America/Argentina/Buenos_Aires/index.js'
+export {default as americaArgentinaCatamarca} from './America/Argentina/Catamarca/index.js'
+export {default as americaArgentinaComodRivadavia} from './America/Argentina/ComodRivadavia/index.js'
+export {default as americaArgentinaCordoba} from './America/Argentina/Cordoba/index.js'
+export {default as americaArgentinaJujuy} from './America/Argentina/Jujuy/index.js'
+export {default as americaArgentinaLaRioja} from './America/Argentina/La_Rioja/index.js'
+export {default as americaArgentinaMendoza} from './America/Argentina/Mendoza/index.js'
+export {default as americaArgentinaRioGallegos} from './America/Argentina/Rio_Gallegos/index.js'
+export {default as americaArgentinaSalta} from './America/Argentina/Salta/index.js'
+export {default as americaArgentinaSanJuan} from './America/Argentina/San_Juan/index.js'
+export {default as americaArgentinaSanLuis} from './America/Argentina/San_Luis/index.js'
+export {default as americaArgentinaTucuman} from './America/Argentina/Tucuman/index.js'
+export {default as americaArgentinaUshuaia} from './America/Argentina/Ushuaia/index.js'
+export {default as americaAruba} from './America/Aruba/index.js'
+export {default as americaAsuncion} from './America/Asuncion/index.js'
+export {default as americaAtikokan} from './America/Atikokan/index.js'
+export {default as americaAtka} from './America/Atka/index.js'
+export {default as americaBahia} from './America/Bahia/index.js'
+export {default as americaBahiaBanderas} from './America/Bahia_Banderas/index.js'
+export {default as americaBarbados} from './America/Barbados/index.js'
+export {default as americaBelem} from './America/Belem/index.js'
+export {default as americaBelize} from './America/Belize/index.js'
+export {default as americaBlancSablon} from './America/Blanc-Sablon/index.js'
+export {default as americaBoaVista} from './America/Boa_Vista/index.js'
+export {default as americaBogota} from './America/Bogota/index.js'
+export {default as americaBoise} from './America/Boise/index.js'
+export {default as americaBuenosAires} from './America/Buenos_Aires/index.js'
+export {default as americaCambridgeBay} from './America/Cambridge_Bay/index.js'
+export {default as americaCampoGrande} from './America/Campo_Grande/index.js'
+export {default as americaCancun} from './America/Cancun/index.js'
+export {default as americaCaracas} from './America/Caracas/index.js'
+export {default as americaCatamarca} from './America/Catamarca/index.js'
+export {default as americaCayenne} from './America/Cayenne/index.js'
+export {default as americaCayman} from './America/Cayman/index.js'
+export {default as americaChicago} from './America/Chicago/index.js'
+export {default as americaChihuahua} from './America/Chihuahua/index.js'
+export {default as americaCiudadJuarez} from './America/Ciudad_Juarez/index.js'
+export {default as americaCoralHarbour} from './America/Coral_Harbour/index.js'
+export {default as americaCordoba} from './America/Cordoba/index.js'
+export {default as americaCostaRica} from './America/Costa_Rica/index.js'
+export {default as americaCoyhaique} from './America/Coyhaique/index.js'
+export {default as americaCreston} from './America/Creston/index.js'
+export {default as americaCuiaba} from './America/Cuiaba/index.js'
+export {default as americaCuracao} from './America/Curacao/index.js'
+export {default as americaDanmarkshavn} from './America/Danmarkshavn/index.js'
+export {default as americaDawson} from './America/Dawson/index.js'
+export {default as americaDawsonCreek} from './America/Dawson_Creek/index.js'
+export {default as americaDenver} from './America/Denver/index.js'
+export {default as americaDetroit} from './America/Detroit/index.js'
+export {default as americaDominica} from './America/Dominica/index.js'
+export {default as americaEdmonton} from './America/Edmonton/index.js'
+export {default as americaEirunepe} from './America/Eirunepe/index.js'
+export {default as americaElSalvador} from './America/El_Salvador/index.js'
+export {default as americaEnsenada} from './America/Ensenada/index.js'
+export {default as americaFortNelson} from './America/Fort_Nelson/index.js'
+export {default as americaFortWayne} from './America/Fort_Wayne/index.js'
+export {default as americaFortaleza} from './America/Fortaleza/index.js'
+export {default as americaGlaceBay} from './America/Glace_Bay/index.js'
+export {default as americaGodthab} from './America/Godthab/index.js'
+export {default as americaGooseBay} from './America/Goose_Bay/index.js'
+export {default as americaGrandTurk} from './America/Grand_Turk/index.js'
+export {default as americaGrenada} from './America/Grenada/index.js'
+export {default as americaGuadeloupe} from './America/Guadeloupe/index.js'
+export {default as americaGuatemala} from './America/Guatemala/index.js'
+export {default as americaGuayaquil} from './America/Guayaquil/index.js'
+export {default as americaGuyana} from './America/Guyana/index.js'
+export {default as americaHalifax} from './America/Halifax/index.js'
+export {default as americaHavana} from './America/Havana/index.js'
+export {default as americaHermosillo} from './America/Hermosillo/index.js'
+export {default as americaIndianaIndianapolis} from './America/Indiana/Indianapolis/index.js'
+export {default as americaIndianaKnox} from './America/Indiana/Knox/index.js'
+export {default as americaIndianaMarengo} from './America/Indiana/Marengo/index.js'
+export {default as americaIndianaPetersburg} from './America/Indiana/Petersburg/index.js'
+export {default as americaIndianaTellCity} from './America/Indiana/Tell_City/index.js'
+export {default as americaIndianaVevay} from './America/Indiana/Vevay/index.js'
+export {default as americaIndianaVincennes} from './America/Indiana/Vincennes/index.js'
+export {default as americaIndianaWinamac} from './America/Indiana/Winamac/index.js'
+export {default as americaIndianapolis} from './America/Indianapolis/index.js'
+export {default as americaInuvik} from './America/Inuvik/index.js'
+export {default as americaIqaluit} from './America/Iqaluit/index.js'
+export {default as americaJamaica} from './America/Jamaica/index.js'
+export {default as americaJujuy} from './America/Jujuy/index.js'
+export {default as americaJuneau} from './America/Juneau/index.js'
+export {default as americaKentuckyLouisville} from './America/Kentucky/Louisville/index.js'
+export {default as americaKentuckyMonticello} from './America/Kentucky/Monticello/index.js'
+export {default as americaKnoxIN} from './America/Knox_IN/index.js'
+export {default as americaKralendijk} from './America/Kralendijk/index.js'
+export {default as americaLaPaz} from './America/La_Paz/index.js'
+export {default as americaLima} from './America/Lima/index.js'
+export {default as americaLosAngeles} from './America/Los_Angeles/index.js'
+export {default as americaLouisville} from './America/Louisville/index.js'
+export {default as americaLowerPrinces} from './America/Lower_Princes/index.js'
+export {default as americaMaceio} from './America/Maceio/index.js'
+export {default as americaManagua} from './America/Managua/index.js'
+export {default as americaManaus} from './America/Manaus/index.js'
+export {default as americaMarigot} from './America/Marigot/index.js'
+export {default as americaMartinique} from './America/Martinique/index.js'
+export {default as americaMatamoros} from './America/Matamoros/index.js'
+export {default as americaMazatlan} from './America/Mazatlan/index.js'
+export {default as americaMendoza} from './America/Mendoza/index.js'
+export {default as americaMenominee} from './America/Menominee/index.js'
+export {default as americaMerida} from './America/Merida/index.js'
+export {default as americaMetlakatla} from './America/Metlakatla/index.js'
+export {default as americaMexicoCity} from './America/Mexico_City/index.js'
+export {default as americaMiquelon} from './America/Miquelon/index.js'
+export {default as americaMoncton} from './America/Moncton/index.js'
+export {default as americaMonterrey} from './America/Monterrey/index.js'
+export {default as americaMontevideo} from './America/Montevideo/index.js'
+export {default as americaMontreal} from './America/Montreal/index.js'
+export {default as americaMontserrat} from './America/Montserrat/index.js'
+export {default as americaNassau} from './America/Nassau/index.js'
+export {default as americaNewYork} from './America/New_York/index.js'
+export {default as americaNipigon} from './America/Nipigon/index.js'
+export {default as americaNome} from './America/Nome/index.js'
+export {default as americaNoronha} from './America/Noronha/index.js'
+export {default as americaNorthDakotaBeulah} from './America/North_Dakota/Beulah/index.js'
+export {default as americaNorthDakotaCenter} from './America/North_Dakota/Center/index.js'
+export {default as americaNorthDakotaNewSalem} from './America/North_Dakota/New_Salem/index.js'
+export {default as americaNuuk} from './America/Nuuk/index.js'
+export {default as americaOjinaga} from './America/Ojinaga/index.js'
+export {default as americaPanama} from './America/Panama/index.js'
+export {default as americaPangnirtung} from './America/Pangnirtung/index.js'
+export {default as americaParamaribo} from './America/Paramaribo/index.js'
+export {default as americaPhoenix} from './America/Phoenix/index.js'
+export {default as americaPortAuPrince} from './America/Port-au-Prince/index.js'
+export {default as americaPortOfSpain} from './America/Port_of_Spain/index.js'
+export {default as americaPortoAcre} from './America/Porto_Acre/index.js'
+export {default as americaPortoVelho} from './America/Porto_Velho/index.js'
+export {default as americaPuertoRico} from './America/Puerto_Rico/index.js'
+export {default as americaPuntaArenas} from './America/Punta_Arenas/index.js'
+export {default as americaRainyRiver} from './America/Rainy_River/index.js'
+export {default as americaRankinInlet} from './America/Rankin_Inlet/index.js'
+export {default as americaRecife} from './America/Recife/index.js'
+export {default as americaRegina} from './America/Regina/index.js'
+export {default as americaResolute} from './America/Resolute/index.js'
+export {default as americaRioBranco} from './America/Rio_Branco/index.js'
+export {default as americaRosario} from './America/Rosario/index.js'
+export {default as americaSantaIsabel} from './America/Santa_Isabel/index.js'
+export {default as americaSantarem} from './America/Santarem/index.js'
+export {default as americaSantiago} from './America/Santiago/index.js'
+export {default as americaSantoDomingo} from './America/Santo_Domingo/index.js'
+export {default as americaSaoPaulo} from './America/Sao_Paulo/index.js'
+export {default as americaScoresbysund} from './America/Scoresbysund/index.js'
+export {default as americaShiprock} from './America/Shiprock/index.js'
+export {default as americaSitka} from './America/Sitka/index.js'
+export {default as americaStBarthelemy} from './America/St_Barthelemy/index.js'
+export {default as americaStJohns} from './America/St_Johns/index.js'
+export {default as americaStKitts} from './America/St_Kitts/index.js'
+export {default as americaStLucia} from './America/St_Lucia/index.js'
+export {default as americaStThomas} from './America/St_Thomas/index.js'
+export {default as americaStVincent} from './America/St_Vincent/index.js'
+export {default as americaSwiftCurrent} from './America/Swift_Current/index.js'
+export {default as americaTegucigalpa} from './America/Tegucigalpa/index.js'
+export {default as americaThule} from './America/Thule/index.js'
+export {default as americaThunderBay} from './America/Thunder_Bay/index.js'
+export {default as americaTijuana} from './America/Tijuana/index.js'
+export {default as americaToronto} from './America/Toronto/index.js'
+export {default as americaTortola} from './America/Tortola/index.js'
+export {default as americaVancouver} from './America/Vancouver/index.js'
+export {default as americaVirgin} from './America/Virgin/index.js'
+export {default as americaWhitehorse} from './America/Whitehorse/index.js'
+export {default as americaWinnipeg} from './America/Winnipeg/index.js'
+export {default as americaYakutat} from './America/Yakutat/index.js'
+export {default as americaYellowknife} from './America/Yellowknife/index.js'
+export {default as antarcticaCasey} from './Antarctica/Casey/index.js'
+export {default as antarcticaDavis} from './Antarctica/Davis/index.js'
+export {default as antarcticaDumontDUrville} from './Antarctica/DumontDUrville/index.js'
+export {default as antarcticaMacquarie} from './Antarctica/Macquarie/index.js'
+export {default as antarcticaMawson} from './Antarctica/Mawson/index.js'
+export {default as antarcticaMcMurdo} from './Antarctica/McMurdo/index.js'
+export {default as antarcticaPalmer} from './Antarctica/Palmer/index.js'
+export {default as antarcticaRothera} from './Antarctica/Rothera/index.js'
+export {default as antarcticaSouthPole} from './Antarctica/South_Pole/index.js'
+export {default as antarcticaSyowa} from './Antarctica/Syowa/index.js'
+export {default as antarcticaTroll} from './Antarctica/Troll/index.js'
+export {default as antarcticaVostok} from './Antarctica/Vostok/index.js'
+export {default as arcticLongyearbyen} from './Arctic/Longyearbyen/index.js'
+export {default as asiaAden} from './Asia/Aden/index.js'
+export {default as asiaAlmaty} from './Asia/Almaty/index.js'
+export {default as asiaAmman} from './Asia/Amman/index.js'
+export {default as asiaAnadyr} from './Asia/Anadyr/index.js'
+export {default as asiaAqtau} from './Asia/Aqtau/index.js'
+export {default as asiaAqtobe} from './Asia/Aqtobe/index.js'
+export {default as asiaAshgabat} from './Asia/Ashgabat/index.js'
+export {default as asiaAshkhabad} from './Asia/Ashkhabad/index.js'
+export {default as asiaAtyrau} from './Asia/Atyrau/index.js'
+export {default as asiaBaghdad} from './Asia/Baghdad/index.js'
+export {default as asiaBahrain} from './Asia/Bahrain/index.js'
+export {default as asiaBaku} from './Asia/Baku/index.js'
+export {default as asiaBangkok} from './Asia/Bangkok/index.js'
+export {default as asiaBarnaul} from './Asia/Barnaul/index.js'
+export {default as asiaBeirut} from './Asia/Beirut/index.js'
+export {default as asiaBishkek} from './Asia/Bishkek/index.js'
+export {default as asiaBrunei} from './Asia/Brunei/index.js'
+export {default as asiaCalcutta} from './Asia/Calcutta/index.js'
+export {default as asiaChita} from './Asia/Chita/index.js'
+export {default as asiaChoibalsan} from './Asia/Choibalsan/index.js'
+export {default as asiaChongqing} from './Asia/Chongqing/index.js'
+export {default as asiaChungking} from './Asia/Chungking/index.js'
+export {default as asiaColombo} from './Asia/Colombo/index.js'
+export {default as asiaDacca} from './Asia/Dacca/index.js'
+export {default as asiaDamascus} from './Asia/Damascus/index.js'
+export {default as asiaDhaka} from './Asia/Dhaka/index.js'
+export {default as asiaDili} from './Asia/Dili/index.js'
+export {default as asiaDubai} from './Asia/Dubai/index.js'
+export {default as asiaDushanbe} from './Asia/Dushanbe/index.js'
+export {default as asiaFamagusta} from './Asia/Famagusta/index.js'
+export {default as asiaGaza} from './Asia/Gaza/index.js'
+export {default as asiaHarbin} from './Asia/Harbin/index.js'
+export {default as asiaHebron} from './Asia/Hebron/index.js'
+export {default as asiaHoChiMinh} from './Asia/Ho_Chi_Minh/index.js'
+export {default as asiaHongKong} from './Asia/Hong_Kong/index.js'
+export {default as asiaHovd} from './Asia/Hovd/index.js'
+export {default as asiaIrkutsk} from './Asia/Irkutsk/index.js'
+export {default as asiaIstanbul} from './Asia/Istanbul/index.js'
+export {default as asiaJakarta} from './Asia/Jakarta/index.js'
+export {default as asiaJayapura} from './Asia/Jayapura/index.js'
+export {default as asiaJerusalem} from './Asia/Jerusalem/index.js'
+export {default as asiaKabul} from './Asia/Kabul/index.js'
+export {default as asiaKamchatka} from './Asia/Kamchatka/index.js'
+export {default as asiaKarachi} from './Asia/Karachi/index.js'
+export {default as asiaKashgar} from './Asia/Kashgar/index.js'
+export {default as asiaKathmandu} from './Asia/Kathmandu/index.js'
+export {default as asiaKatmandu} from './Asia/Katmandu/index.js'
+export {default as asiaKhandyga} from './Asia/Khandyga/index.js'
+export {default as asiaKolkata} from './Asia/Kolkata/index.js'
+export {default as asiaKrasnoyarsk} from './Asia/Krasnoyarsk/index.js'
+export {default as asiaKualaLumpur} from './Asia/Kuala_Lumpur/index.js'
+export {default as asiaKuching} from './Asia/Kuching/index.js'
+export {default as asiaKuwait} from './Asia/Kuwait/index.js'
+export {default as asiaMacao} from './Asia/Macao/index.js'
+export {default as asiaMacau} from './Asia/Macau/index.js'
+export {default as asiaMagadan} from './Asia/Magadan/index.js'
+export {default as asiaMakassar} from './Asia/Makassar/index.js'
+export {default as asiaManila} from './Asia/Manila/index.js'
+export {default as asiaMuscat} from './Asia/Muscat/index.js'
+export {default as asiaNicosia} from './Asia/Nicosia/index.js'
+export {default as asiaNovokuznetsk} from './Asia/Novokuznetsk/index.js'
+export {default as asiaNovosibirsk} from './Asia/Novosibirsk/index.js'
+export {default as asiaOmsk} from './Asia/Omsk/index.js'
+export {default as asiaOral} from './Asia/Oral/index.js'
+export {default as asiaPhnomPenh} from './Asia/Phnom_Penh/index.js'
+export {default as asiaPontianak} from './Asia/Pontianak/index.js'
+export {default as asiaPyongyang} from './Asia/Pyongyang/index.js'
+export {default as asiaQatar} from './Asia/Qatar/index.js'
+export {default as asiaQostanay} from './Asia/Qostanay/index.js'
+export {default as asiaQyzylorda} from './Asia/Qyzylorda/index.js'
+export {default as asiaRangoon} from './Asia/Rangoon/index.js'
+export {default as asiaRiyadh} from './Asia/Riyadh/index.js'
+export {default as asiaSaigon} from './Asia/Saigon/index.js'
+export {default as asiaSakhalin} from './Asia/Sakhalin/index.js'
+export {default as asiaSamarkand} from './Asia/Samarkand/index.js'
+export {default as asiaSeoul} from './Asia/Seoul/index.js'
+export {default as asiaShanghai} from './Asia/Shanghai/index.js'
+export {default as asiaSingapore} from './Asia/Singapore/index.js'
+export {default as asiaSrednekolymsk} from './Asia/Srednekolymsk/index.js'
+export {default as asiaTaipei} from './Asia/Taipei/index.js'
+export {default as asiaTashkent} from './Asia/Tashkent/index.js'
+export {default as asiaTbilisi} from './Asia/Tbilisi/index.js'
+export {default as asiaTehran} from './Asia/Tehran/index.js'
+export {default as asiaTelAviv} from './Asia/Tel_Aviv/index.js'
+export {default as asiaThimbu} from './Asia/Thimbu/index.js'
+export {default as asiaThimphu} from './Asia/Thimphu/index.js'
+export {default as asiaTokyo} from './Asia/Tokyo/index.js'
+export {default as asiaTomsk} from './Asia/Tomsk/index.js'
+export {default as asiaUjungPandang} from './Asia/Ujung_Pandang/index.js'
+export {default as asiaUlaanbaatar} from './Asia/Ulaanbaatar/index.js'
+export {default as asiaUlanBator} from './Asia/Ulan_Bator/index.js'
+export {default as asiaUrumqi} from './Asia/Urumqi/index.js'
+export {default as asiaUstNera} from './Asia/Ust-Nera/index.js'
+export {default as asiaVientiane} from './Asia/Vientiane/index.js'
+export {default as asiaVladivostok} from './Asia/Vladivostok/index.js'
+export {default as asiaYakutsk} from './Asia/Yakutsk/index.js'
+export {default as asiaYangon} from './Asia/Yangon/index.js'
+export {default as asiaYekaterinburg} from './Asia/Yekaterinburg/index.js'
+export {default as asiaYerevan} from './Asia/Yerevan/index.js'
+export {default as atlanticAzores} from './Atlantic/Azores/index.js'
+export {default as atlanticBermuda} from './Atlantic/Bermuda/index.js'
+export {default as atlanticCanary} from './Atlantic/Canary/index.js'
+export {default as atlanticCapeVerde} from './Atlantic/Cape_Verde/index.js'
+export {default as atlanticFaeroe} from './Atlantic/Faeroe/index.js'
+export {default as atlanticFaroe} from './Atlantic/Faroe/index.js'
+export {default as atlanticJanMayen} from './Atlantic/Jan_Mayen/index.js'
+export {default as atlanticMadeira} from './Atlantic/Madeira/index.js'
+export {default as atlanticReykjavik} from './Atlantic/Reykjavik/index.js'
+export {default as atlanticSouthGeorgia} from './Atlantic/South_Georgia/index.js'
+export {default as atlanticStHelena} from './Atlantic/St_Helena/index.js'
+export {default as atlanticStanley} from './Atlantic/Stanley/index.js'
+export {default as australiaACT} from './Australia/ACT/index.js'
+export {default as australiaAdelaide} from './Australia/Adelaide/index.js'
+export {default as australiaBrisbane} from './Australia/Brisbane/index.js'
+export {default as australiaBrokenHill} from './Australia/Broken_Hill/index.js'
+export {default as australiaCanberra} from './Australia/Canberra/index.js'
+export {default as australiaCurrie} from './Australia/Currie/index.js'
+export {default as australiaDarwin} from './Australia/Darwin/index.js'
+export {default as australiaEucla} from './Australia/Eucla/index.js'
+export {default as australiaHobart} from './Australia/Hobart/index.js'
+export {default as australiaLHI} from './Australia/LHI/index.js'
+export {default as australiaLindeman} from './Australia/Lindeman/index.js'
+export {default as australiaLordHowe} from './Australia/Lord_Howe/index.js'
+export {default as australiaMelbourne} from './Australia/Melbourne/index.js'
+export {default as australiaNSW} from './Australia/NSW/index.js'
+export {default as australiaNorth} from './Australia/North/index.js'
+export {default as australiaPerth} from './Australia/Perth/index.js'
+export {default as australiaQueensland} from './Australia/Queensland/index.js'
+export {default as australiaSouth} from './Australia/South/index.js'
+export {default as australiaSydney} from './Australia/Sydney/index.js'
+export {default as australiaTasmania} from './Australia/Tasmania/index.js'
+export {default as australiaVictoria} from './Australia/Victoria/index.js'
+export {default as australiaWest} from './Australia/West/index.js'
+export {default as australiaYancowinna} from './Australia/Yancowinna/index.js'
+export {default as brazilAcre} from './Brazil/Acre/index.js'
+export {default as brazilDeNoronha} from './Brazil/DeNoronha/index.js'
+export {default as brazilEast} from './Brazil/East/index.js'
+export {default as brazilWest} from './Brazil/West/index.js'
+export {default as cet} from './CET/index.js'
+export {default as cst6cdt} from './CST6CDT/index.js'
+export {default as canadaAtlantic} from './Canada/Atlantic/index.js'
+export {default as canadaCentral} from './Canada/Central/index.js'
+export {default as canadaEastern} from './Canada/Eastern/index.js'
+export {default as canadaMountain} from './Canada/Mountain/index.js'
+export {default as canadaNewfoundland} from './Canada/Newfoundland/index.js'
+export {default as canadaPacific} from './Canada/Pacific/index.js'
+export {default as canadaSaskatchewan} from './Canada/Saskatchewan/index.js'
+export {default as canadaYukon} from './Canada/Yukon/index.js'
+export {default as chileContinental} from './Chile/Continental/index.js'
+export {default as chileEasterIsland} from './Chile/EasterIsland/index.js'
+export {default as cuba} from './Cuba/index.js'
+export {default as eet} from './EET/index.js'
+export {default as est} from './EST/index.js'
+export {default as est5edt} from './EST5EDT/index.js'
+export {default as egypt} from './Egypt/index.js'
+export {default as eire} from './Eire/index.js'
+export {default as etcGMT} from './Etc/GMT/index.js'
+export {default as etcGMTPlus0} from './Etc/GMT+0/index.js'
+export {default as etcGMTPlus1} from './Etc/GMT+1/index.js'
+export {default as etcGMTPlus10} from './Etc/GMT+10/index.js'
+export {default as etcGMTPlus11} from './Etc/GMT+11/index.js'
+export {default as etcGMTPlus12} from './Etc/GMT+12/index.js'
+export {default as etcGMTPlus2} from './Etc/GMT+2/index.js'
+export {default as etcGMTPlus3} from './Etc/GMT+3/index.js'
+export {default as etcGMTPlus4} from './Etc/GMT+4/index.js'
+export {default as etcGMTPlus5} from './Etc/GMT+5/index.js'
+export {default as etcGMTPlus6} from './Etc/GMT+6/index.js'
+export {default as etcGMTPlus7} from './Etc/GMT+7/index.js'
+export {default as etcGMTPlus8} from './Etc/GMT+8/index.js'
+export {default as etcGMTPlus9} from './Etc/GMT+9/index.js'
+export {default as etcGMTMinus0} from './Etc/GMT-0/index.js'
+export {default as etcGMTMinus1} from './Etc/GMT-1/index.js'
+export {default as etcGMTMinus10} from './Etc/GMT-10/index.js'
+export {default as etcGMTMinus11} from './Etc/GMT-11/index.js'
+export {default as etcGMTMinus12} from './Etc/GMT-12/index.js'
+export {default as etcGMTMinus13} from './Etc/GMT-13/index.js'
+export {default as etcGMTMinus14} from './Etc/GMT-14/index.js'
+export {default as etcGMTMinus2} from './Etc/GMT-2/index.js'
+export {default as etcGMTMinus3} from './Etc/GMT-3/index.js'
+export {default as etcGMTMinus4} from './Etc/GMT-4/index.js'
+export {default as etcGMTMinus5} from './Etc/GMT-5/index.js'
+export {default as etcGMTMinus6} from './Etc/GMT-6/index.js'
+export {default as etcGMTMinus7} from './Etc/GMT-7/index.js'
+export {default as etcGMTMinus8} from './Etc/GMT-8/index.js'
+export {default as etcGMTMinus9} from './Etc/GMT-9/index.js'
+export {default as etcGMT0} from './Etc/GMT0/index.js'
+export {default as etcGreenwich} from './Etc/Greenwich/index.js'
+export {default as etcUCT} from './Etc/UCT/index.js'
+export {default as etcUTC} from './Etc/UTC/index.js'
+export {default as etcUniversal} from './Etc/Universal/index.js'
+export {default as etcZulu} from './Etc/Zulu/index.js'
+export {default as europeAmsterdam} from './Europe/Amsterdam/index.js'
+export {default as europeAndorra} from './Europe/Andorra/index.js'
+export {default as europeAstrakhan} from './Europe/Astrakhan/index.js'
+export {default as europeAthens} from './Europe/Athens/index.js'
+export {default as europeBelfast} from './Europe/Belfast/index.js'
+export {default as europeBelgrade} from './Europe/Belgrade/index.js'
+export {default as europeBerlin} from './Europe/Berlin/index.js'
+export {default as europeBratislava} from './Europe/Bratislava/index.js'
+export {default as europeBrussels} from './Europe/Brussels/index.js'
+export {default as europeBucharest} from './Europe/Bucharest/index.js'
+export {default as europeBudapest} from './Europe/Budapest/index.js'
+export {default as europeBusingen} from './Europe/Busingen/index.js'
+export {default as europeChisinau} from './Europe/Chisinau/index.js'
+export {default as europeCopenhagen} from './Europe/Copenhagen/index.js'
+export {default as europeDublin} from './Europe/Dublin/index.js'
+export {default as europeGibraltar} from './Europe/Gibraltar/index.js'
+export {default as europeGuernsey} from './Europe/Guernsey/index.js'
+export {default as europeHelsinki} from './Europe/Helsinki/index.js'
+export {default as europeIsleOfMan} from './Europe/Isle_of_Man/index.js'
+export {default as europeIstanbul} from './Europe/Istanbul/index.js'
+export {default as europeJersey} from './Europe/Jersey/index.js'
+export {default as europeKaliningrad} from './Europe/Kaliningrad/index.js'
+export {default as europeKiev} from './Europe/Kiev/index.js'
+export {default as europeKirov} from './Europe/Kirov/index.js'
+export {default as europeKyiv} from './Europe/Kyiv/index.js'
+export {default as europeLisbon} from './Europe/Lisbon/index.js'
+export {default as europeLjubljana} from './Europe/Ljubljana/index.js'
+export {default as europeLondon} from './Europe/London/index.js'
+export {default as europeLuxembourg} from './Europe/Luxembourg/index.js'
+export {default as europeMadrid} from './Europe/Madrid/index.js'
+export {default as europeMalta} from './Europe/Malta/index.js'
+export {default as europeMariehamn} from './Europe/Mariehamn/index.js'
+export {default as europeMinsk} from './Europe/Minsk/index.js'
+export {default as europeMonaco} from './Europe/Monaco/index.js'
+export {default as europeMoscow} from './Europe/Moscow/index.js'
+export {default as europeNicosia} from './Europe/Nicosia/index.js'
+export {default as europeOslo} from './Europe/Oslo/index.js'
+export {default as europeParis} from './Europe/Paris/index.js'
+export {default as europePodgorica} from './Europe/Podgorica/index.js'
+export {default as europePrague} from './Europe/Prague/index.js'
+export {default as europeRiga} from './Europe/Riga/index.js'
+export {default as europeRome} from './Europe/Rome/index.js'
+export {default as europeSamara} from './Europe/Samara/index.js'
+export {default as europeSanMarino} from './Europe/San_Marino/index.js'
+export {default as europeSarajevo} from './Europe/Sarajevo/index.js'
+export {default as europeSaratov} from './Europe/Saratov/index.js'
+export {default as europeSimferopol} from './Europe/Simferopol/index.js'
+export {default as europeSkopje} from './Europe/Skopje/index.js'
+export {default as europeSofia} from './Europe/Sofia/index.js'
+export {default as europeStockholm} from './Europe/Stockholm/index.js'
+export {default as europeTallinn} from './Europe/Tallinn/index.js'
+export {default as europeTirane} from './Europe/Tirane/index.js'
+export {default as europeTiraspol} from './Europe/Tiraspol/index.js'
+export {default as europeUlyanovsk} from './Europe/Ulyanovsk/index.js'
+export {default as europeUzhgorod} from './Europe/Uzhgorod/index.js'
+export {default as europeVaduz} from './Europe/Vaduz/index.js'
+export {default as europeVatican} from './Europe/Vatican/index.js'
+export {default as europeVienna} from './Europe/Vienna/index.js'
+export {default as europeVilnius} from './Europe/Vilnius/index.js'
+export {default as europeVolgograd} from './Europe/Volgograd/index.js'
+export {default as europeWarsaw} from './Europe/Warsaw/index.js'
+export {default as europeZagreb} from './Europe/Zagreb/index.js'
+export {default as europeZaporozhye} from './Europe/Zaporozhye/index.js'
+export {default as europeZurich} from './Europe/Zurich/index.js'
+export {default as gb} from './GB/index.js'
+export {default as gbEire} from './GB-Eire/index.js'
+export {default as gmt} from './GMT/index.js'
+export {default as gmtPlus0} from './GMT+0/index.js'
+export {default as gmtMinus0} from './GMT-0/index.js'
+export {default as gmt0} from './GMT0/index.js'
+export {default as greenwich} from './Greenwich/index.js'
+export {default as hst} from './HST/index.js'
+export {default as hongkong} from './Hongkong/index.js'
+export {default as iceland} from './Iceland/index.js'
+export {default as indianAntananarivo} from './Indian/Antananarivo/index.js'
+export {default as indianChagos} from './Indian/Chagos/index.js'
+export {default as indianChristmas} from './Indian/Christmas/index.js'
+export {default as indianCocos} from './Indian/Cocos/index.js'
+export {default as indianComoro} from './Indian/Comoro/index.js'
+export {default as indianKerguelen} from './Indian/Kerguelen/index.js'
+export {default as indianMahe} from './Indian/Mahe/index.js'
+export {default as indianMaldives} from './Indian/Maldives/index.js'
+export {default as indianMauritius} from './Indian/Mauritius/index.js'
+export {default as indianMayotte} from './Indian/Mayotte/index.js'
+export {default as indianReunion} from './Indian/Reunion/index.js'
+export {default as iran} from './Iran/index.js'
+export {default as israel} from './Israel/index.js'
+export {default as jamaica} from './Jamaica/index.js'
+export {default as japan} from './Japan/index.js'
+export {default as kwajalein} from './Kwajalein/index.js'
+export {default as libya} from './Libya/index.js'
+export {default as met} from './MET/index.js'
+export {default as mst} from './MST/index.js'
+export {default as mst7mdt} from './MST7MDT/index.js'
+export {default as mexicoBajaNorte} from './Mexico/BajaNorte/index.js'
+export {default as mexicoBajaSur} from './Mexico/BajaSur/index.js'
+export {default as mexicoGeneral} from './Mexico/General/index.js'
+export {default as nz} from './NZ/index.js'
+export {default as nzCHAT} from './NZ-CHAT/index.js'
+export {default as navajo} from './Navajo/index.js'
+export {default as prc} from './PRC/index.js'
+export {default as pst8pdt} from './PST8PDT/index.js'
+export {default as pacificApia} from './Pacific/Apia/index.js'
+export {default as pacificAuckland} from './Pacific/Auckland/index.js'
+export {default as pacificBougainville} from './Pacific/Bougainville/index.js'
+export {default as pacificChatham} from './Pacific/Chatham/index.js'
+export {default as pacificChuuk} from './Pacific/Chuuk/index.js'
+export {default as pacificEaster} from './Pacific/Easter/index.js'
+export {default as pacificEfate} from './Pacific/Efate/index.js'
+export {default as pacificEnderbury} from './Pacific/Enderbury/index.js'
+export {default as pacificFakaofo} from './Pacific/Fakaofo/index.js'
+export {default as pacificFiji} from './Pacific/Fiji/index.js'
+export {default as pacificFunafuti} from './Pacific/Funafuti/index.js'
+export {default as pacificGalapagos} from './Pacific/Galapagos/index.js'
+export {default as pacificGambier} from './Pacific/Gambier/index.js'
+export {default as pacificGuadalcanal} from './Pacific/Guadalcanal/index.js'
+export {default as pacificGuam} from './Pacific/Guam/index.js'
+export {default as pacificHonolulu} from './Pacific/Honolulu/index.js'
+export {default as pacificJohnston} from './Pacific/Johnston/index.js'
+export {default as pacificKanton} from './Pacific/Kanton/index.js'
+export {default as pacificKiritimati} from './Pacific/Kiritimati/index.js'
+export {default as pacificKosrae} from './Pacific/Kosrae/index.js'
+export {default as pacificKwajalein} from './Pacific/Kwajalein/index.js'
+export {default as pacificMajuro} from './Pacific/Majuro/index.js'
+export {default as pacificMarquesas} from './Pacific/Marquesas/index.js'
+export {default as pacificMidway} from './Pacific/Midway/index.js'
+export {default as pacificNauru} from './Pacific/Nauru/index.js'
+export {default as pacificNiue} from './Pacific/Niue/index.js'
+export {default as pacificNorfolk} from './Pacific/Norfolk/index.js'
+export {default as pacificNoumea} from './Pacific/Noumea/index.js'
+export {default as pacificPagoPago} from './Pacific/Pago_Pago/index.js'
+export {default as pacificPalau} from './Pacific/Palau/index.js'
+export {default as pacificPitcairn} from './Pacific/Pitcairn/index.js'
+export {default as pacificPohnpei} from './Pacific/Pohnpei/index.js'
+export {default as pacificPonape} from './Pacific/Ponape/index.js'
+export {default as pacificPortMoresby} from './Pacific/Port_Moresby/index.js'
+export {default as pacificRarotonga} from './Pacific/Rarotonga/index.js'
+export {default as pacificSaipan} from './Pacific/Saipan/index.js'
+export {default as pacificSamoa} from './Pacific/Samoa/index.js'
+export {default as pacificTahiti} from './Pacific/Tahiti/index.js'
+export {default as pacificTarawa} from './Pacific/Tarawa/index.js'
+export {default as pacificTongatapu} from './Pacific/Tongatapu/index.js'
+export {default as pacificTruk} from './Pacific/Truk/index.js'
+export {default as pacificWake} from './Pacific/Wake/index.js'
+export {default as pacificWallis} from './Pacific/Wallis/index.js'
+export {default as pacificYap} from './Pacific/Yap/index.js'
+export {default as poland} from './Poland/index.js'
+export {default as portugal} from './Portugal/index.js'
+export {default as roc} from './ROC/index.js'
+export {default as rok} from './ROK/index.js'
+export {default as singapore} from './Singapore/index.js'
+export {default as turkey} from './Turkey/index.js'
+export {default as uct} from './UCT/index.js'
+export {default as usAlaska} from './US/Alaska/index.js'
+export {default as usAleutian} from './US/Aleutian/index.js'
+export {default as usArizona} from './US/Arizona/index.js'
+export {default as usCentral} from './US/Central/index.js'
+export {default as usEastIndiana} from './US/East-Indiana/index.js'
+export {default as usEastern} from './US/Eastern/index.js'
+export {default as usHawaii} from './US/Hawaii/index.js'
+export {default as usIndianaStarke} from './US/Indiana-Starke/index.js'
+export {default as usMichigan} from './US/Michigan/index.js'
+export {default as usMountain} from './US/Mountain/index.js'
+export {default as usPacific} from './US/Pacific/index.js'
+export {default as usSamoa} from './US/Samoa/index.js'
+export {default as utc} from './UTC/index.js'
+export {default as universal} from './Universal/index.js'
+export {default as wSU} from './W-SU/index.js'
+export {default as wet} from './WET/index.js'
+export {default as zulu} from './Zulu/index.js'
@@ -0,0 +1,25 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import findFreeSlots from '.'
+
+suite('findFreeSlots', function () {
+  benchmark('date-fns', function () {
+    return findFreeSlots(this.busy, {
+      within: this.within,
+      workingHours: {start: {hours: 9}, end: {hours: 17}},
+      minDuration: {minutes: 30},
+      step: 15
+    })
+  })
+}, {
+  setup: function () {
+    var now = Date.now()
+    this.within = {start: new Date(now), end: new Date(now + 30 * 86400000)}
+    this.busy = []
+    for (var i = 0; i < 100; i++) {
+      this.busy.push({start: new Date(now + i * 25000000), end: new Date(now + i * 25000000 + 3600000)})
+    }
+  }
+})
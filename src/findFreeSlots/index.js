@@ -0,0 +1,165 @@
+import toDate from '../toDate/index.js'
+import startOfDay from '../startOfDay/index.js'
+import eachDayOfIntervalIterator from '../eachDayOfIntervalIterator/index.js'
+import intersectIntervals from '../intersectIntervals/index.js'
+import subtractIntervals from '../subtractIntervals/index.js'
+import durationToMilliseconds from '../durationToMilliseconds/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
+
+var MILLISECONDS_IN_MINUTE = 60000
+
+/**
+ * @name findFreeSlots
+ * @category Interval Helpers
+ * @summary Find the free time slots between the busy time intervals.
+ *
+ * @description
+ * Find the time within `options.within` that is not covered by the busy intervals.
+ * The result is the sorted array of non-overlapping intervals.
+ * The busy intervals may overlap each other and go beyond `options.within`.
+ *
+ * If `options.workingHours` is specified, only the working hours of every day
+ * within `options.within` are considered free. The working hours are the object
+ * with `start` and `end` properties, each of them is the time of the day
+ * as the object with `hours`, `minutes` and `seconds` properties.
+ * The working hours are the same local time on every day, even on the days with DST transitions.
+ *
+ * If `options.step` is specified, the free slots start and end only at the multiples
+ * of `step` minutes since the start of the day, e.g. with `step: 15`
+ * the free time from 9:05 to 10:20 is turned into the slot from 9:15 to 10:15.
+ *
+ * If `options.minDuration` is specified, the slots shorter than the duration are not included in the result.
+ *
+ * By default, the intervals include their starts and exclude their ends ('[)').
+ * Use `options.bounds` to change it. The busy intervals, `options.within` and the free slots
+ * have the same bounds, e.g. with the closed intervals ('[]') a free slot ends
+ * a millisecond before the next busy interval starts.
+ *
+ * @param {Interval[]} busy - the busy intervals. See [Interval]{@link docs/types/Interval}
+ * @param {Options} options - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {Interval} options.within - the interval to find the free slots in. See [Interval]{@link docs/types/Interval}
+ * @param {Duration} [options.minDuration] - the minimal duration of a free slot. See [Duration]{@link docs/Duration}
+ * @param {Number} [options.step] - the number of minutes the starts and the ends of the free slots are aligned to
+ * @param {Object} [options.workingHours] - the start and the end of the working day
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[)'] - whether the starts and the ends of the intervals
+ *   are included in them and in the result. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Interval[]} the sorted array of the free slots
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.within` is required
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} `options.minDuration` cannot contain years or months
+ * @throws {RangeError} `options.workingHours` must end after they start
+ *
+ * @example
+ * // Find the free slots of at least 1 hour between 9:00 and 17:00 on 10 and 11 January 2014:
+ * var result = findFreeSlots([
+ *   {start: new Date(2014, 0, 10, 10), end: new Date(2014, 0, 10, 12, 30)},
+ *   {start: new Date(2014, 0, 10, 13), end: new Date(2014, 0, 10, 16, 10)},
+ *   {start: new Date(2014, 0, 11, 8), end: new Date(2014, 0, 11, 15)}
+ * ], {
+ *   within: {start: new Date(2014, 0, 10), end: new Date(2014, 0, 12)},
+ *   workingHours: {start: {hours: 9}, end: {hours: 17}},
+ *   minDuration: {hours: 1}
+ * })
+ * //=> [
+ * //   {start: Fri Jan 10 2014 09:00:00, end: Fri Jan 10 2014 10:00:00},
+ * //   {start: Sat Jan 11 2014 15:00:00, end: Sat Jan 11 2014 17:00:00}
+ * // ]
+ */
+export default function findFreeSlots (dirtyBusy, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var within = options.within || {}
+  var withinStartDate = toDate(within.start, options)
+  var withinEndDate = toDate(within.end, options)
+
+  // Throw an exception if start date is after end date or if any date is `Invalid Date`
+  if (!(withinStartDate.getTime() <= withinEndDate.getTime())) {
+    throw new RangeError('Invalid interval')
+  }
+
+  var bounds = getIntervalBounds(options, '[)')
+
+  var stepTime
+  if (options.step !== undefined) {
+    var step = Number(options.step)
+
+    // Test if step is a positive integer _and_ is not NaN
+    if (!(step >= 1 && step % 1 === 0)) {
+      throw new RangeError('step must be a positive integer')
+    }
+
+    stepTime = step * MILLISECONDS_IN_MINUTE
+  }
+
+  var minDurationTime = options.minDuration === undefined
+    ? 0
+    : durationToMilliseconds(options.minDuration)
+
+  var withinInterval = {start: withinStartDate, end: withinEndDate}
+  var available = [withinInterval]
+
+  if (options.workingHours !== undefined) {
+    var workingHours = options.workingHours || {}
+    var workingHoursStart = workingHours.start || {}
+    var workingHoursEnd = workingHours.end || {}
+
+    if (!(durationToMilliseconds(workingHoursStart) < durationToMilliseconds(workingHoursEnd))) {
+      throw new RangeError('workingHours must end after they start')
+    }
+
+    var workingDays = []
+    var iterator = eachDayOfIntervalIterator(withinInterval)
+    for (var day = iterator.next(); !day.done; day = iterator.next()) {
+      workingDays.push({
+        start: setTimeOfDay(day.value, workingHoursStart),
+        end: setTimeOfDay(day.value, workingHoursEnd)
+      })
+    }
+
+    available = intersectIntervals(workingDays, [withinInterval], options)
+  }
+
+  var result = []
+  subtractIntervals(available, dirtyBusy, options).forEach(function (slot) {
+    // Align and measure the half-open slots that contain the same milliseconds
+    var startTime = slot.start.getTime() + bounds.start
+    var endTime = slot.end.getTime() + bounds.end
+
+    if (stepTime !== undefined) {
+      startTime = roundToStep(startTime, stepTime, Math.ceil)
+      endTime = roundToStep(endTime, stepTime, Math.floor)
+    }
+
+    if (endTime > startTime && endTime - startTime >= minDurationTime) {
+      result.push({start: new Date(startTime - bounds.start), end: new Date(endTime - bounds.end)})
+    }
+  })
+
+  return result
+}
+
+function setTimeOfDay (dirtyDate, timeOfDay) {
+  var date = toDate(dirtyDate)
+  date.setHours(
+    Number(timeOfDay.hours || 0),
+    Number(timeOfDay.minutes || 0),
+    Number(timeOfDay.seconds || 0),
+    0
+  )
+  return date
+}
+
+// Rounds the time to the multiple of the step since the start of its day
+function roundToStep (time, stepTime, roundingFn) {
+  var dayStartTime = startOfDay(time).getTime()
+  return dayStartTime + roundingFn((time - dayStartTime) / stepTime) * stepTime
+}
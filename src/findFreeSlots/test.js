@@ -0,0 +1,215 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import findFreeSlots from '.'
+import getHours from '../getHours'
+import getMinutes from '../getMinutes'
+
+describe('findFreeSlots', function () {
+  var busy = [
+    {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 12, 30)},
+    {start: new Date(2014, 0 /* Jan */, 10, 13), end: new Date(2014, 0 /* Jan */, 10, 16, 10)},
+    {start: new Date(2014, 0 /* Jan */, 10, 15), end: new Date(2014, 0 /* Jan */, 10, 16)},
+    {start: new Date(2014, 0 /* Jan */, 11, 8), end: new Date(2014, 0 /* Jan */, 11, 15, 5)}
+  ]
+
+  it('returns the time within `options.within` that is not busy', function () {
+    var result = findFreeSlots(busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10)},
+      {start: new Date(2014, 0 /* Jan */, 10, 12, 30), end: new Date(2014, 0 /* Jan */, 10, 13)},
+      {start: new Date(2014, 0 /* Jan */, 10, 16, 10), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('returns only the working hours if `options.workingHours` is specified', function () {
+    var result = findFreeSlots(busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 12, 12)},
+      workingHours: {start: {hours: 9}, end: {hours: 17, minutes: 30}}
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 12, 30), end: new Date(2014, 0 /* Jan */, 10, 13)},
+      {start: new Date(2014, 0 /* Jan */, 10, 16, 10), end: new Date(2014, 0 /* Jan */, 10, 17, 30)},
+      {start: new Date(2014, 0 /* Jan */, 11, 15, 5), end: new Date(2014, 0 /* Jan */, 11, 17, 30)},
+      {start: new Date(2014, 0 /* Jan */, 12, 9), end: new Date(2014, 0 /* Jan */, 12, 12)}
+    ])
+  })
+
+  it('excludes the slots shorter than `options.minDuration`', function () {
+    var result = findFreeSlots(busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10), end: new Date(2014, 0 /* Jan */, 12)},
+      workingHours: {start: {hours: 9}, end: {hours: 17}},
+      minDuration: {hours: 1}
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10)},
+      {start: new Date(2014, 0 /* Jan */, 11, 15, 5), end: new Date(2014, 0 /* Jan */, 11, 17)}
+    ])
+  })
+
+  it('aligns the slots to `options.step` minutes', function () {
+    var result = findFreeSlots(busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9, 20), end: new Date(2014, 0 /* Jan */, 11, 17)},
+      workingHours: {start: {hours: 9}, end: {hours: 17}},
+      step: 15,
+      minDuration: {minutes: 30}
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9, 30), end: new Date(2014, 0 /* Jan */, 10, 10)},
+      {start: new Date(2014, 0 /* Jan */, 10, 12, 30), end: new Date(2014, 0 /* Jan */, 10, 13)},
+      {start: new Date(2014, 0 /* Jan */, 10, 16, 15), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      {start: new Date(2014, 0 /* Jan */, 11, 15, 15), end: new Date(2014, 0 /* Jan */, 11, 17)}
+    ])
+  })
+
+  it('drops the slots that are shorter than the step after the alignment', function () {
+    var result = findFreeSlots([
+      {start: new Date(2014, 0 /* Jan */, 10, 9, 10), end: new Date(2014, 0 /* Jan */, 10, 9, 50)}
+    ], {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9, 5), end: new Date(2014, 0 /* Jan */, 10, 10, 25)},
+      step: 15
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 10, 15)}
+    ])
+  })
+
+  it('keeps the working hours in the local time on the days with DST transitions', function () {
+    var result = findFreeSlots([], {
+      within: {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 11 /* Dec */, 31, 23)},
+      workingHours: {start: {hours: 9}, end: {hours: 17}}
+    })
+    assert(result.length === 365)
+    result.forEach(function (slot) {
+      assert(getHours(slot.start) === 9 && getMinutes(slot.start) === 0)
+      assert(getHours(slot.end) === 17 && getMinutes(slot.end) === 0)
+    })
+  })
+
+  it('returns `options.within` if there are no busy intervals', function () {
+    var result = findFreeSlots([], {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('returns the slots with the same bounds as the intervals', function () {
+    var result = findFreeSlots(busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      bounds: '[]'
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 9, 59, 59, 999)},
+      {start: new Date(2014, 0 /* Jan */, 10, 12, 30, 0, 1), end: new Date(2014, 0 /* Jan */, 10, 12, 59, 59, 999)},
+      {start: new Date(2014, 0 /* Jan */, 10, 16, 10, 0, 1), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('aligns and measures the slots with `options.bounds` by the moments they contain', function () {
+    var result = findFreeSlots(busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      bounds: '[]',
+      minDuration: {hours: 1},
+      step: 30
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 9, 59, 59, 999)}
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = findFreeSlots([
+      {start: new Date(2014, 0 /* Jan */, 10, 10).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 12).toISOString()}
+    ], {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 17).toISOString()}
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10)},
+      {start: new Date(2014, 0 /* Jan */, 10, 12), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = findFreeSlots([
+      {start: new Date(2014, 0 /* Jan */, 10, 10).getTime(), end: new Date(2014, 0 /* Jan */, 10, 12).getTime()}
+    ], {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9).getTime(), end: new Date(2014, 0 /* Jan */, 10, 17).getTime()}
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10)},
+      {start: new Date(2014, 0 /* Jan */, 10, 12), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('throws an exception if `options.within` is undefined', function () {
+    assert.throws(findFreeSlots.bind(null, busy, {}), RangeError)
+    assert.throws(findFreeSlots.bind(null, busy), RangeError)
+  })
+
+  it('throws an exception if the start of `options.within` is after its end', function () {
+    var block = findFreeSlots.bind(null, busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 17), end: new Date(2014, 0 /* Jan */, 10, 9)}
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the busy interval is invalid', function () {
+    var block = findFreeSlots.bind(null, [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(NaN)}
+    ], {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var block = findFreeSlots.bind(null, busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      step: 0
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.minDuration` contains months', function () {
+    var block = findFreeSlots.bind(null, busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      minDuration: {months: 1}
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.workingHours` end before they start', function () {
+    var block = findFreeSlots.bind(null, busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      workingHours: {start: {hours: 17}, end: {hours: 9}}
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = findFreeSlots.bind(null, busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      // $ExpectedMistake
+      bounds: '[['
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = findFreeSlots.bind(null, busy, {
+      within: {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      // $ExpectedMistake
+      additionalDigits: NaN
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(findFreeSlots.bind(null), TypeError)
+  })
+})
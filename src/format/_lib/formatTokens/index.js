@@ -0,0 +1,68 @@
+import toDate from '../../../toDate/index.js'
+import isValid from '../../../isValid/index.js'
+import defaultLocale from '../../../locale/en-US/index.js'
+import cloneObject from '../../../_lib/cloneObject/index.js'
+import addUTCMinutes from '../../../_lib/addUTCMinutes/index.js'
+import tzToWallTime from '../../../_lib/tzToWallTime/index.js'
+import formatters from '../formatters/index.js'
+
+var MILLISECONDS_IN_MINUTE = 60000
+
+// Formats the date with the tokens returned by `tokenizeFormat`.
+// Returns the array of parts with the adjacent literals joined, or null if the date is invalid
+export default function formatTokens (tokens, dirtyDate, options) {
+  var originalDate = toDate(dirtyDate, options)
+
+  if (!isValid(originalDate, options)) {
+    return null
+  }
+
+  // Convert the date in system timezone to the same date in UTC+00:00 timezone.
+  // This ensures that when UTC functions will be implemented, locales will be compatible with them.
+  // See an issue about UTC functions: https://github.com/date-fns/date-fns/issues/376
+  var timezoneOffset
+  var utcDate
+  if (options.timeZone === undefined) {
+    timezoneOffset = originalDate.getTimezoneOffset()
+    utcDate = addUTCMinutes(originalDate, -timezoneOffset, options)
+  } else {
+    // The same for the wall clock time in the time zone passed as `options.timeZone`
+    var wallTime = tzToWallTime(originalDate.getTime(), options.timeZone)
+    timezoneOffset = (originalDate.getTime() - wallTime) / MILLISECONDS_IN_MINUTE
+    utcDate = new Date(wallTime)
+  }
+
+  var formatterOptions = cloneObject(options)
+  formatterOptions.locale = options.locale || defaultLocale
+  formatterOptions.formatters = formatters
+
+  // When UTC functions will be implemented, options._originalDate will likely be a part of public API.
+  // Right now, please don't use it in locales. If you have to use an original date,
+  // please restore it from `date`, adding a timezone offset to it.
+  formatterOptions._originalDate = originalDate
+  formatterOptions._timezoneOffset = timezoneOffset
+
+  var parts = []
+  var tokensLength = tokens.length
+  for (var i = 0; i < tokensLength; i++) {
+    var token = tokens[i]
+    var value
+
+    if (token.type === 'literal') {
+      value = token.value
+    } else if (token.unicode) {
+      value = String(token.formatter(utcDate, token.token, formatterOptions))
+    } else {
+      value = String(token.formatter(utcDate, formatterOptions))
+    }
+
+    var lastPart = parts[parts.length - 1]
+    if (token.type === 'literal' && lastPart && lastPart.type === 'literal') {
+      lastPart.value += value
+    } else if (value !== '' || token.type !== 'literal') {
+      parts.push({type: token.type, value: value})
+    }
+  }
+
+  return parts
+}
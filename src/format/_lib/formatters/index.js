@@ -1,6 +1,10 @@
 import getUTCDayOfYear from '../../../_lib/getUTCDayOfYear/index.js'
 import getUTCISOWeek from '../../../_lib/getUTCISOWeek/index.js'
 import getUTCISOWeekYear from '../../../_lib/getUTCISOWeekYear/index.js'
+import tzInfo from '../../../_lib/tzInfo/index.js'
+import tzName from '../../../_lib/tzName/index.js'
+import defaultLocale from '../../../locale/en-US/index.js'
+import addLeadingZeros from '../../../_lib/addLeadingZeros/index.js'
 
 var formatters = {
   // Month: 1, 2, ..., 12
@@ -125,6 +129,38 @@ var formatters = {
     return addLeadingZeros(date.getUTCFullYear(), 4)
   },
 
+  // Year of era: 0001, 0002, ..., 2099
+  'yyyy': function (date) {
+    var year = date.getUTCFullYear()
+    // Year 0 is 1 BC, year -1 is 2 BC, etc.
+    return addLeadingZeros(year > 0 ? year : 1 - year, 4)
+  },
+
+  // Era: BC, AD
+  'N': function (date, options) {
+    return localizeEra(date, options, 'short')
+  },
+
+  // Era: BC, AD
+  'NN': function (date, options) {
+    return localizeEra(date, options, 'short')
+  },
+
+  // Era: BC, AD
+  'NNN': function (date, options) {
+    return localizeEra(date, options, 'short')
+  },
+
+  // Era: Before Christ, Anno Domini
+  'NNNN': function (date, options) {
+    return localizeEra(date, options, 'long')
+  },
+
+  // Era: B, A
+  'NNNNN': function (date, options) {
+    return localizeEra(date, options, 'narrow')
+  },
+
   // ISO week-numbering year: 00, 01, ..., 99
   'GG': function (date) {
     return String(getUTCISOWeekYear(date)).substr(2)
@@ -199,14 +235,38 @@ var formatters = {
 
   // Timezone: -01:00, +00:00, ... +12:00
   'Z': function (date, options) {
-    var originalDate = options._originalDate || date
-    return formatTimezone(originalDate.getTimezoneOffset(), ':')
+    return formatTimezone(getTimezoneOffset(date, options), ':')
   },
 
   // Timezone: -0100, +0000, ... +1200
   'ZZ': function (date, options) {
-    var originalDate = options._originalDate || date
-    return formatTimezone(originalDate.getTimezoneOffset())
+    return formatTimezone(getTimezoneOffset(date, options))
+  },
+
+  // Timezone: -01:00, Z, ... +12:00
+  'ZZZ': function (date, options) {
+    var offset = getTimezoneOffset(date, options)
+    return offset === 0 ? 'Z' : formatTimezone(offset, ':')
+  },
+
+  // Timezone name: EST, GMT+1, ...
+  'z': function (date, options) {
+    return localizeTimezone(date, options, 'short')
+  },
+
+  // Timezone long name: Eastern Standard Time, GMT+01:00, ...
+  'zzzz': function (date, options) {
+    return localizeTimezone(date, options, 'long')
+  },
+
+  // Timezone GMT offset: GMT-1, GMT, ... GMT+12
+  'O': function (date, options) {
+    return localizeTimezone(date, options, 'shortOffset')
+  },
+
+  // Timezone GMT offset: GMT-01:00, GMT, ... GMT+12:00
+  'OOOO': function (date, options) {
+    return localizeTimezone(date, options, 'longOffset')
   },
 
   // Seconds timestamp: 512969520
@@ -237,6 +297,35 @@ var formatters = {
   }
 }
 
+function getTimezoneOffset (date, options) {
+  if (options._timezoneOffset !== undefined) {
+    return options._timezoneOffset
+  }
+  var originalDate = options._originalDate || date
+  return originalDate.getTimezoneOffset()
+}
+
+function localizeEra (date, options, width) {
+  var era = date.getUTCFullYear() > 0 ? 1 : 0
+  var localize = options.locale.localize.era ? options.locale.localize : defaultLocale.localize
+  return localize.era(era, {type: width})
+}
+
+function localizeTimezone (date, options, width) {
+  var originalDate = options._originalDate || date
+  var localize = options.locale.localize.timeZone ? options.locale.localize : defaultLocale.localize
+  var abbreviation = options.timeZone === undefined
+    ? undefined
+    : tzInfo(options.timeZone, originalDate.getTime()).abbreviation
+
+  return localize.timeZone(originalDate, {
+    width: width,
+    timeZone: options.timeZone === undefined ? undefined : tzName(options.timeZone),
+    offset: -getTimezoneOffset(date, options),
+    abbreviation: abbreviation
+  })
+}
+
 function formatTimezone (offset, delimeter) {
   delimeter = delimeter || ''
   var sign = offset > 0 ? '-' : '+'
@@ -246,12 +335,4 @@ function formatTimezone (offset, delimeter) {
   return sign + addLeadingZeros(hours, 2) + delimeter + addLeadingZeros(minutes, 2)
 }
 
-function addLeadingZeros (number, targetLength) {
-  var output = Math.abs(number).toString()
-  while (output.length < targetLength) {
-    output = '0' + output
-  }
-  return output
-}
-
 export default formatters
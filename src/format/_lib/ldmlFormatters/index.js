@@ -0,0 +1,320 @@
+import getUTCDayOfYear from '../../../_lib/getUTCDayOfYear/index.js'
+import getUTCWeek from '../../../_lib/getUTCWeek/index.js'
+import getUTCWeekYear from '../../../_lib/getUTCWeekYear/index.js'
+import tzInfo from '../../../_lib/tzInfo/index.js'
+import tzName from '../../../_lib/tzName/index.js'
+import defaultLocale from '../../../locale/en-US/index.js'
+import addLeadingZeros from '../../../_lib/addLeadingZeros/index.js'
+
+// The formatters of Unicode Technical Standard #35 (LDML) date field symbols.
+// Unlike `format/_lib/formatters`, they are keyed by the pattern letter
+// and take the whole token as the second argument, because the meaning
+// of a symbol depends on the number of the repeated letters.
+// See: http://www.unicode.org/reports/tr35/tr35-dates.html#Date_Field_Symbol_Table
+var ldmlFormatters = {
+  // Era: AD, Anno Domini, A
+  'G': function (date, token, options) {
+    var era = date.getUTCFullYear() > 0 ? 1 : 0
+    var localize = options.locale.localize.era ? options.locale.localize : defaultLocale.localize
+    return localize.era(era, {type: getTextWidth(token)})
+  },
+
+  // Year of era: 1, 01, 001, ..., 2017
+  'y': function (date, token) {
+    var year = date.getUTCFullYear()
+    // Year 0 is 1 BC, year -1 is 2 BC, etc.
+    var yearOfEra = year > 0 ? year : 1 - year
+    return formatYear(yearOfEra, token)
+  },
+
+  // Local week-numbering year: 1, 01, 001, ..., 2017
+  'Y': function (date, token, options) {
+    var weekYear = getUTCWeekYear(date, options)
+    var weekYearOfEra = weekYear > 0 ? weekYear : 1 - weekYear
+    return formatYear(weekYearOfEra, token)
+  },
+
+  // Extended year: -43, 0, 1, ..., 2017
+  'u': function (date, token) {
+    var year = date.getUTCFullYear()
+    return (year < 0 ? '-' : '') + addLeadingZeros(year, token.length)
+  },
+
+  // Quarter: 1, 01, Q1, 1st quarter, 1
+  'Q': function (date, token, options) {
+    return formatQuarter(date, token, options, 'formatting')
+  },
+
+  // Stand-alone quarter: 1, 01, Q1, 1st quarter, 1
+  'q': function (date, token, options) {
+    return formatQuarter(date, token, options, 'standalone')
+  },
+
+  // Month: 1, 01, Jan, January, J
+  'M': function (date, token, options) {
+    return formatMonth(date, token, options, 'formatting')
+  },
+
+  // Stand-alone month: 1, 01, Jan, January, J
+  'L': function (date, token, options) {
+    return formatMonth(date, token, options, 'standalone')
+  },
+
+  // Local week of year: 1, 01, ..., 53
+  'w': function (date, token, options) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(getUTCWeek(date, options), token.length)
+  },
+
+  // Day of month: 1, 01, ..., 31
+  'd': function (date, token) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(date.getUTCDate(), token.length)
+  },
+
+  // Day of year: 1, 01, 001, ..., 366
+  'D': function (date, token) {
+    assertMaxLength(token, 3)
+    return addLeadingZeros(getUTCDayOfYear(date), token.length)
+  },
+
+  // Day of week: Sun, Sunday, S, Su
+  'E': function (date, token, options) {
+    return formatWeekday(date, token, options, 'formatting')
+  },
+
+  // Local day of week: 1, 01, Sun, Sunday, S, Su
+  'e': function (date, token, options) {
+    return formatLocalWeekday(date, token, options, 'formatting')
+  },
+
+  // Stand-alone local day of week: 1, 01, Sun, Sunday, S, Su
+  'c': function (date, token, options) {
+    return formatLocalWeekday(date, token, options, 'standalone')
+  },
+
+  // AM, PM
+  'a': function (date, token, options) {
+    var width = getTextWidth(token)
+    var type = width === 'short' ? 'uppercase' : width
+    return options.locale.localize.timeOfDay(date.getUTCHours(), {type: type})
+  },
+
+  // Flexible day period: at night, in the morning, in the afternoon, in the evening
+  'B': function (date, token, options) {
+    var width = getTextWidth(token)
+    var localize = options.locale.localize
+    // Fall back to AM/PM in the locales that don't have the flexible day periods
+    if (!localize.dayPeriod) {
+      return localize.timeOfDay(date.getUTCHours(), {type: width === 'short' ? 'uppercase' : width})
+    }
+    return localize.dayPeriod(date.getUTCHours(), {type: width})
+  },
+
+  // Hour [1-12]: 1, 01, ..., 12
+  'h': function (date, token) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(date.getUTCHours() % 12 || 12, token.length)
+  },
+
+  // Hour [0-23]: 0, 00, ..., 23
+  'H': function (date, token) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(date.getUTCHours(), token.length)
+  },
+
+  // Hour [0-11]: 0, 00, ..., 11
+  'K': function (date, token) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(date.getUTCHours() % 12, token.length)
+  },
+
+  // Hour [1-24]: 1, 01, ..., 24
+  'k': function (date, token) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(date.getUTCHours() || 24, token.length)
+  },
+
+  // Minute: 0, 00, ..., 59
+  'm': function (date, token) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(date.getUTCMinutes(), token.length)
+  },
+
+  // Second: 0, 00, ..., 59
+  's': function (date, token) {
+    assertMaxLength(token, 2)
+    return addLeadingZeros(date.getUTCSeconds(), token.length)
+  },
+
+  // Fraction of second: 0, 00, 000, 0000, ...
+  'S': function (date, token) {
+    var fraction = addLeadingZeros(date.getUTCMilliseconds(), 3)
+    while (fraction.length < token.length) {
+      fraction += '0'
+    }
+    return fraction.substr(0, token.length)
+  },
+
+  // ISO 8601 time zone with `Z`: Z, -08, -0800, -08:00
+  'X': function (date, token, options) {
+    var offset = getTimezoneOffset(date, options)
+    return offset === 0 ? 'Z' : formatISOTimezone(offset, token)
+  },
+
+  // ISO 8601 time zone: +00, -08, -0800, -08:00
+  'x': function (date, token, options) {
+    return formatISOTimezone(getTimezoneOffset(date, options), token)
+  },
+
+  // Time zone: -0800, GMT-08:00, -08:00
+  'Z': function (date, token, options) {
+    assertMaxLength(token, 5)
+    var offset = getTimezoneOffset(date, options)
+    if (token.length <= 3) {
+      return formatTimezone(offset)
+    } else if (token.length === 4) {
+      return localizeTimezone(date, options, 'longOffset')
+    }
+    return offset === 0 ? 'Z' : formatTimezone(offset, ':')
+  },
+
+  // Localized GMT time zone: GMT-8, GMT-08:00
+  'O': function (date, token, options) {
+    if (token.length === 1) {
+      return localizeTimezone(date, options, 'shortOffset')
+    } else if (token.length === 4) {
+      return localizeTimezone(date, options, 'longOffset')
+    }
+    throw new RangeError('Format string contains an invalid token `' + token + '`')
+  },
+
+  // Time zone name: PST, Pacific Standard Time
+  'z': function (date, token, options) {
+    assertMaxLength(token, 4)
+    return localizeTimezone(date, options, token.length === 4 ? 'long' : 'short')
+  }
+}
+
+function formatYear (year, token) {
+  // Two-digit year is the last two digits of the year
+  if (token.length === 2) {
+    return addLeadingZeros(year % 100, 2)
+  }
+  return addLeadingZeros(year, token.length)
+}
+
+function formatQuarter (date, token, options, context) {
+  assertMaxLength(token, 5)
+  var quarter = Math.ceil((date.getUTCMonth() + 1) / 3)
+  if (token.length <= 2) {
+    return addLeadingZeros(quarter, token.length)
+  }
+  var localize = options.locale.localize
+  var width = getTextWidth(token)
+  if (localize.quarter) {
+    return localize.quarter(quarter - 1, {type: width, context: context})
+  }
+  // Fall back to Q1 and the ordinal number in the locales that don't have the quarter names
+  if (width === 'short') {
+    return 'Q' + quarter
+  } else if (width === 'long') {
+    return localize.ordinalNumber(quarter, {unit: 'quarter'})
+  }
+  return String(quarter)
+}
+
+function formatMonth (date, token, options, context) {
+  var month = date.getUTCMonth()
+  if (token.length <= 2) {
+    return addLeadingZeros(month + 1, token.length)
+  }
+  return options.locale.localize.month(month, {
+    type: getTextWidth(token),
+    context: context
+  })
+}
+
+function formatWeekday (date, token, options, context) {
+  // The locales keep the short weekday names (e.g. Mo) under 'narrow' type
+  // and have no narrow ones (e.g. M), so the latter are the first letters of the former
+  var weekday = options.locale.localize.weekday(date.getUTCDay(), {
+    type: getTextWidth(token, 6),
+    context: context
+  })
+  return token.length === 5 ? weekday.charAt(0) : weekday
+}
+
+function formatLocalWeekday (date, token, options, context) {
+  if (token.length > 2) {
+    return formatWeekday(date, token, options, context)
+  }
+  var locale = options.locale
+  var localeWeekStartsOn = locale.options && locale.options.weekStartsOn
+  var defaultWeekStartsOn = localeWeekStartsOn === undefined ? 0 : Number(localeWeekStartsOn)
+  var weekStartsOn = options.weekStartsOn === undefined ? defaultWeekStartsOn : Number(options.weekStartsOn)
+  var localDay = (date.getUTCDay() - weekStartsOn + 7) % 7 + 1
+  return addLeadingZeros(localDay, token.length)
+}
+
+// Abbreviated (1-3 letters), wide (4 letters) and narrow (5 letters and more, up to `maxLength`)
+function getTextWidth (token, maxLength) {
+  assertMaxLength(token, maxLength || 5)
+  if (token.length <= 3) {
+    return 'short'
+  } else if (token.length === 4) {
+    return 'long'
+  }
+  return 'narrow'
+}
+
+function assertMaxLength (token, maxLength) {
+  if (token.length > maxLength) {
+    throw new RangeError('Format string contains an invalid token `' + token + '`')
+  }
+}
+
+function getTimezoneOffset (date, options) {
+  if (options._timezoneOffset !== undefined) {
+    return options._timezoneOffset
+  }
+  var originalDate = options._originalDate || date
+  return originalDate.getTimezoneOffset()
+}
+
+function localizeTimezone (date, options, width) {
+  var originalDate = options._originalDate || date
+  var localize = options.locale.localize.timeZone ? options.locale.localize : defaultLocale.localize
+  var abbreviation = options.timeZone === undefined
+    ? undefined
+    : tzInfo(options.timeZone, originalDate.getTime()).abbreviation
+
+  return localize.timeZone(originalDate, {
+    width: width,
+    timeZone: options.timeZone === undefined ? undefined : tzName(options.timeZone),
+    offset: -getTimezoneOffset(date, options),
+    abbreviation: abbreviation
+  })
+}
+
+// X and x: the hours with the optional minutes, XX and xx: basic format, XXX and xxx: extended format.
+// The seconds are never in the offsets, so XXXX and XXXXX are the same as XX and XXX
+function formatISOTimezone (offset, token) {
+  assertMaxLength(token, 5)
+  if (token.length === 1 && offset % 60 === 0) {
+    var sign = offset > 0 ? '-' : '+'
+    return sign + addLeadingZeros(Math.abs(offset) / 60, 2)
+  }
+  return formatTimezone(offset, token.length % 2 === 1 && token.length > 1 ? ':' : '')
+}
+
+function formatTimezone (offset, delimeter) {
+  delimeter = delimeter || ''
+  var sign = offset > 0 ? '-' : '+'
+  var absOffset = Math.abs(offset)
+  var hours = Math.floor(absOffset / 60)
+  var minutes = absOffset % 60
+  return sign + addLeadingZeros(hours, 2) + delimeter + addLeadingZeros(minutes, 2)
+}
+
+export default ldmlFormatters
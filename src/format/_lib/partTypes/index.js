@@ -0,0 +1,96 @@
+// The types of the parts returned by `formatToParts`.
+// Where possible, they are the same as the ones of `Intl.DateTimeFormat.prototype.formatToParts`.
+var partTypes = {
+  // The default tokens
+  tokens: {
+    'N': 'era',
+    'NN': 'era',
+    'NNN': 'era',
+    'NNNN': 'era',
+    'NNNNN': 'era',
+    'yyyy': 'year',
+    'YY': 'year',
+    'YYYY': 'year',
+    'GG': 'isoWeekYear',
+    'GGGG': 'isoWeekYear',
+    'Q': 'quarter',
+    'Qo': 'quarter',
+    'M': 'month',
+    'Mo': 'month',
+    'MM': 'month',
+    'MMM': 'month',
+    'MMMM': 'month',
+    'W': 'isoWeek',
+    'Wo': 'isoWeek',
+    'WW': 'isoWeek',
+    'D': 'day',
+    'Do': 'day',
+    'DD': 'day',
+    'DDD': 'dayOfYear',
+    'DDDo': 'dayOfYear',
+    'DDDD': 'dayOfYear',
+    'd': 'weekday',
+    'do': 'weekday',
+    'dd': 'weekday',
+    'ddd': 'weekday',
+    'dddd': 'weekday',
+    'E': 'weekday',
+    'A': 'dayPeriod',
+    'a': 'dayPeriod',
+    'aa': 'dayPeriod',
+    'H': 'hour',
+    'HH': 'hour',
+    'h': 'hour',
+    'hh': 'hour',
+    'm': 'minute',
+    'mm': 'minute',
+    's': 'second',
+    'ss': 'second',
+    'S': 'fractionalSecond',
+    'SS': 'fractionalSecond',
+    'SSS': 'fractionalSecond',
+    'Z': 'timeZoneName',
+    'ZZ': 'timeZoneName',
+    'ZZZ': 'timeZoneName',
+    'z': 'timeZoneName',
+    'zzzz': 'timeZoneName',
+    'O': 'timeZoneName',
+    'OOOO': 'timeZoneName',
+    'X': 'timestamp',
+    'x': 'timestamp'
+  },
+
+  // The Unicode tokens, keyed by the pattern letter
+  unicodeTokens: {
+    'G': 'era',
+    'y': 'year',
+    'u': 'year',
+    'Y': 'weekYear',
+    'Q': 'quarter',
+    'q': 'quarter',
+    'M': 'month',
+    'L': 'month',
+    'w': 'week',
+    'd': 'day',
+    'D': 'dayOfYear',
+    'E': 'weekday',
+    'e': 'weekday',
+    'c': 'weekday',
+    'a': 'dayPeriod',
+    'B': 'dayPeriod',
+    'h': 'hour',
+    'H': 'hour',
+    'K': 'hour',
+    'k': 'hour',
+    'm': 'minute',
+    's': 'second',
+    'S': 'fractionalSecond',
+    'X': 'timeZoneName',
+    'x': 'timeZoneName',
+    'Z': 'timeZoneName',
+    'O': 'timeZoneName',
+    'z': 'timeZoneName'
+  }
+}
+
+export default partTypes
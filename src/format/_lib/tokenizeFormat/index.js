@@ -0,0 +1,153 @@
+import defaultLocale from '../../../locale/en-US/index.js'
+import cloneObject from '../../../_lib/cloneObject/index.js'
+import formatters from '../formatters/index.js'
+import ldmlFormatters from '../ldmlFormatters/index.js'
+import partTypes from '../partTypes/index.js'
+
+var longFormattingTokensRegExp = /(\[[^[]*])|(\\)?(LTS|LT|LLLL|LLL|LL|L|llll|lll|ll|l)/g
+
+// The formats of the standards, which don't depend on the locale.
+// The presets with `timeZone` are always formatted in that time zone
+var presets = {
+  iCalDate: {formatStr: 'YYYYMMDD'},
+  iCalDateTime: {formatStr: 'YYYYMMDD[T]HHmmss'},
+  iCalDateTimeUTC: {formatStr: 'YYYYMMDD[T]HHmmss[Z]', timeZone: 'UTC'}
+}
+
+var defaultFormattingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|ddd|dd|d|aa|a|ZZZ|ZZ|Z|zzzz|z|yyyy|YYYY|YY|X|Wo|WW|W|SSS|SS|S|Qo|Q|OOOO|O|NNNNN|NNNN|NNN|NN|N|Mo|MMMM|MMM|MM|M|HH|H|GGGG|GG|E|Do|DDDo|DDDD|DDD|DD|D|A|.)/g
+
+// The runs of the same latin letter, the quoted strings and the other characters
+var unicodeTokensRegExp = /([A-Za-z])\1*|''|'(''|[^'])+('|$)|[\s\S]/g
+
+// Splits the format string of `format` into the literals and the tokens with their formatters.
+// Returns them with the options, which are changed by the presets
+export default function tokenizeFormat (formatStr, dirtyOptions) {
+  var options = dirtyOptions || {}
+  var unicodeTokens = Boolean(options.unicodeTokens)
+
+  if (presets.hasOwnProperty(formatStr)) {
+    var preset = presets[formatStr]
+    formatStr = preset.formatStr
+    unicodeTokens = false
+    if (preset.timeZone !== undefined) {
+      options = cloneObject(options)
+      options.timeZone = preset.timeZone
+    }
+  }
+
+  var locale = options.locale || defaultLocale
+
+  if (!locale.localize) {
+    throw new RangeError('locale must contain localize property')
+  }
+
+  if (!locale.formatLong) {
+    throw new RangeError('locale must contain formatLong property')
+  }
+
+  var tokens = unicodeTokens
+    ? tokenizeUnicodeTokens(formatStr)
+    : tokenizeDefaultTokens(formatStr, locale)
+
+  return {tokens: tokens, options: options}
+}
+
+function tokenizeDefaultTokens (formatStr, locale) {
+  var localeFormatters = locale.formatters || {}
+  var formattingTokensRegExp = locale.formattingTokensRegExp || defaultFormattingTokensRegExp
+  var formatLong = locale.formatLong
+
+  var expandedFormatStr = formatStr.replace(longFormattingTokensRegExp, function (substring) {
+    if (substring[0] === '[') {
+      return substring
+    }
+
+    if (substring[0] === '\\') {
+      return cleanEscapedString(substring)
+    }
+
+    return formatLong(substring)
+  })
+
+  return splitByRegExp(expandedFormatStr, formattingTokensRegExp).map(function (substring) {
+    var formatter = localeFormatters[substring] || formatters[substring]
+
+    if (formatter) {
+      return {
+        type: partTypes.tokens[substring] || getLocaleTokenType(substring),
+        token: substring,
+        formatter: formatter,
+        unicode: false
+      }
+    } else {
+      return {type: 'literal', value: cleanEscapedString(substring)}
+    }
+  })
+}
+
+function tokenizeUnicodeTokens (formatStr) {
+  return splitByRegExp(formatStr, unicodeTokensRegExp).map(function (substring) {
+    var firstCharacter = substring[0]
+
+    if (firstCharacter === '\'') {
+      return {type: 'literal', value: cleanQuotedString(substring)}
+    }
+
+    var formatter = ldmlFormatters[firstCharacter]
+    if (formatter) {
+      return {
+        type: partTypes.unicodeTokens[firstCharacter],
+        token: substring,
+        formatter: formatter,
+        unicode: true
+      }
+    }
+
+    // All latin letters are reserved for the future use
+    if (/[A-Za-z]/.test(firstCharacter)) {
+      throw new RangeError('Format string contains an unescaped latin alphabet character `' + firstCharacter + '`')
+    }
+
+    return {type: 'literal', value: substring}
+  })
+}
+
+// The locale formatters may combine several tokens (e.g. 'D MMMM'),
+// so they have the type of the first one
+function getLocaleTokenType (token) {
+  var firstToken = token.match(/^[A-Za-z]+/)
+  return (firstToken && partTypes.tokens[firstToken[0]]) || 'unknown'
+}
+
+// Unlike `String.prototype.match`, keeps the substrings that don't match the RegExp
+function splitByRegExp (string, regExp) {
+  var result = []
+  var lastIndex = 0
+  string.replace(regExp, function (substring) {
+    var offset = arguments[arguments.length - 2]
+    if (offset > lastIndex) {
+      result.push(string.slice(lastIndex, offset))
+    }
+    result.push(substring)
+    lastIndex = offset + substring.length
+    return substring
+  })
+  if (lastIndex < string.length) {
+    result.push(string.slice(lastIndex))
+  }
+  return result
+}
+
+function cleanEscapedString (input) {
+  if (input.match(/\[[\s\S]/)) {
+    return input.replace(/^\[|]$/g, '')
+  }
+  return input.replace(/\\/g, '')
+}
+
+function cleanQuotedString (input) {
+  if (input === "''") {
+    return "'"
+  }
+  return input.replace(/^'|'$/g, '').replace(/''/g, "'")
+}
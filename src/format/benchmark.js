@@ -3,6 +3,7 @@
 /* global suite, benchmark */
 
 import format from '.'
+import compileFormat from '../compileFormat'
 import moment from 'moment'
 
 suite('format', function () {
@@ -10,6 +11,10 @@ suite('format', function () {
     return format(this.date, 'dddd, MMMM Do YYYY, h:mm:ss a')
   })
 
+  benchmark('date-fns compiled', function () {
+    return this.formatDate(this.date)
+  })
+
   benchmark('Moment.js', function () {
     return this.moment.format('dddd, MMMM Do YYYY, h:mm:ss a')
   })
@@ -17,5 +22,6 @@ suite('format', function () {
   setup: function () {
     this.date = new Date()
     this.moment = moment()
+    this.formatDate = compileFormat('dddd, MMMM Do YYYY, h:mm:ss a')
   }
 })
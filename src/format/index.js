@@ -1,12 +1,5 @@
-import toDate from '../toDate/index.js'
-import isValid from '../isValid/index.js'
-import defaultLocale from '../locale/en-US/index.js'
-import formatters from './_lib/formatters/index.js'
-import cloneObject from '../_lib/cloneObject/index.js'
-import addUTCMinutes from '../_lib/addUTCMinutes/index.js'
-
-var longFormattingTokensRegExp = /(\[[^[]*])|(\\)?(LTS|LT|LLLL|LLL|LL|L|llll|lll|ll|l)/g
-var defaultFormattingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|ddd|dd|d|aa|a|ZZ|Z|YYYY|YY|X|Wo|WW|W|SSS|SS|S|Qo|Q|Mo|MMMM|MMM|MM|M|HH|H|GGGG|GG|E|Do|DDDo|DDDD|DDD|DD|D|A|.)/g
+import tokenizeFormat from './_lib/tokenizeFormat/index.js'
+import formatTokens from './_lib/formatTokens/index.js'
 
 /**
  * @name format
@@ -43,6 +36,10 @@ var defaultFormattingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|d
  * |                         | WW    | 01, 02, ..., 53                  |
  * | Year                    | YY    | 00, 01, ..., 99                  |
  * |                         | YYYY  | 1900, 1901, ..., 2099            |
+ * | Year of era             | yyyy  | 0044, 0001, 1900, 2017           |
+ * | Era                     | N     | BC, AD                           |
+ * |                         | NNNN  | Before Christ, Anno Domini       |
+ * |                         | NNNNN | B, A                             |
  * | ISO week-numbering year | GG    | 00, 01, ..., 99                  |
  * |                         | GGGG  | 1900, 1901, ..., 2099            |
  * | AM/PM                   | A     | AM, PM                           |
@@ -61,6 +58,11 @@ var defaultFormattingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|d
  * | Millisecond             | SSS   | 000, 001, ..., 999               |
  * | Timezone                | Z     | -01:00, +00:00, ... +12:00       |
  * |                         | ZZ    | -0100, +0000, ..., +1200         |
+ * |                         | ZZZ   | -01:00, Z, ..., +12:00           |
+ * | Timezone name           | z     | EST, GMT+1, ...                  |
+ * |                         | zzzz  | Eastern Standard Time, ...       |
+ * | Timezone GMT offset     | O     | GMT-1, GMT, ..., GMT+12          |
+ * |                         | OOOO  | GMT-01:00, GMT, ..., GMT+12:00   |
  * | Seconds timestamp       | X     | 512969520                        |
  * | Milliseconds timestamp  | x     | 512969520900                     |
  * | Long format             | LT    | 05:30 a.m.                       |
@@ -75,19 +77,113 @@ var defaultFormattingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|d
  * |                         | llll  | Sun, Jul 2 1995 05:30 a.m.       |
  *
  * The characters wrapped in square brackets are escaped.
+ * `NN` and `NNN` are the same as `N`. Use the year of era `yyyy` with the era,
+ * because `YYYY` is the astronomical year (e.g. 0 for 1 BC).
+ * The shorter runs of `y` are not tokens, so 'y' and 'yy' are printed as is.
+ *
+ * If `options.unicodeTokens` is true, the format string consists of the date field symbols
+ * of Unicode Technical Standard #35 (the patterns used by `Intl`, ICU, Java and iOS) instead:
+ * | Unit                            | Token   | Result examples                   |
+ * |---------------------------------|---------|-----------------------------------|
+ * | Era                             | G..GGG  | AD, BC                            |
+ * |                                 | GGGG    | Anno Domini, Before Christ        |
+ * |                                 | GGGGG   | A, B                              |
+ * | Year of era                     | y       | 44, 1, 1900, 2017                 |
+ * |                                 | yy      | 44, 01, 00, 17                    |
+ * |                                 | yyy     | 044, 001, 1900, 2017              |
+ * |                                 | yyyy    | 0044, 0001, 1900, 2017            |
+ * | Local week-numbering year       | Y..YYYY | the same as `y`                   |
+ * | Extended year                   | u..uuuu | -43, 0, 1, 1900, 2017             |
+ * | Quarter                         | Q, q    | 1, 2, 3, 4                        |
+ * |                                 | QQ, qq  | 01, 02, 03, 04                    |
+ * |                                 | QQQ     | Q1, Q2, Q3, Q4                    |
+ * |                                 | QQQQ    | 1st quarter, ..., 4th quarter     |
+ * |                                 | QQQQQ   | 1, 2, 3, 4                        |
+ * | Month                           | M, L    | 1, 2, ..., 12                     |
+ * |                                 | MM, LL  | 01, 02, ..., 12                   |
+ * |                                 | MMM     | Jan, Feb, ..., Dec                |
+ * |                                 | MMMM    | January, February, ..., December  |
+ * |                                 | MMMMM   | J, F, ..., D                      |
+ * | Local week of year              | w, ww   | 1, 01, ..., 53                    |
+ * | Day of month                    | d, dd   | 1, 01, ..., 31                    |
+ * | Day of year                     | D..DDD  | 1, 01, 001, ..., 366              |
+ * | Day of week                     | E..EEE  | Sun, Mon, ..., Sat                |
+ * |                                 | EEEE    | Sunday, Monday, ..., Saturday     |
+ * |                                 | EEEEE   | S, M, ..., S                      |
+ * |                                 | EEEEEE  | Su, Mo, ..., Sa                   |
+ * | Local day of week               | e, c    | 1, 2, ..., 7                      |
+ * |                                 | ee, cc  | 01, 02, ..., 07                   |
+ * |                                 | eee+    | the same as `E`                   |
+ * | AM/PM                           | a..aaa  | AM, PM                            |
+ * |                                 | aaaa    | a.m., p.m.                        |
+ * |                                 | aaaaa   | a, p                              |
+ * | Flexible day period             | B..BBBB | at night, in the morning, ...     |
+ * | Hour [1-12]                     | h, hh   | 1, 01, ..., 12                    |
+ * | Hour [0-23]                     | H, HH   | 0, 00, ..., 23                    |
+ * | Hour [0-11]                     | K, KK   | 0, 00, ..., 11                    |
+ * | Hour [1-24]                     | k, kk   | 1, 01, ..., 24                    |
+ * | Minute                          | m, mm   | 0, 00, ..., 59                    |
+ * | Second                          | s, ss   | 0, 00, ..., 59                    |
+ * | Fraction of second              | S, SS.. | 0, 00, 000, 0000, ...             |
+ * | ISO 8601 time zone with Z       | X       | -08, +0530, Z                     |
+ * |                                 | XX      | -0800, +0530, Z                   |
+ * |                                 | XXX     | -08:00, +05:30, Z                 |
+ * | ISO 8601 time zone              | x..xxx  | the same as `X`, but +00 for UTC  |
+ * | Time zone                       | Z..ZZZ  | -0800, +0530, +0000               |
+ * |                                 | ZZZZ    | GMT-08:00, GMT+05:30, GMT         |
+ * |                                 | ZZZZZ   | -08:00, +05:30, Z                 |
+ * | Localized GMT time zone         | O       | GMT-8, GMT+5:30, GMT              |
+ * |                                 | OOOO    | GMT-08:00, GMT+05:30, GMT         |
+ * | Time zone name                  | z..zzz  | PST, GMT+1, ...                   |
+ * |                                 | zzzz    | Pacific Standard Time, ...        |
+ *
+ * `q`, `L` and `c` are the stand-alone forms of `Q`, `M` and `e`, which the locale may localize differently.
+ * The local week and the local day of week depend on `weekStartsOn` and `firstWeekContainsDate`
+ * of the options or the locale. The text wrapped in single quotes is escaped, and two single quotes
+ * are a single quote both inside and outside of the quoted text. Other latin letters are reserved,
+ * so they throw `RangeError` unless they are quoted.
+ *
+ * Only the locales with `localize.dayPeriod` and `localize.quarter` (currently en-US) have
+ * the flexible day periods and the quarter names. In other locales, `B` is the same as `a`,
+ * `QQQ` is Q1, Q2, Q3, Q4 and `QQQQ` is the ordinal number (e.g. 2. in German).
+ *
+ * If the format string is the name of a preset, the date is formatted in the format of the standard:
+ * | Preset          | Format                        | Result examples  |
+ * |-----------------|-------------------------------|------------------|
+ * | iCalDate        | YYYYMMDD                      | 19980118         |
+ * | iCalDateTime    | YYYYMMDD[T]HHmmss             | 19980118T230000  |
+ * | iCalDateTimeUTC | YYYYMMDD[T]HHmmss[Z], in UTC  | 19980118T230000Z |
+ *
+ * `iCalDate` and `iCalDateTime` are the iCalendar (RFC 5545) DATE value and the floating DATE-TIME value.
+ * With `options.timeZone`, `iCalDateTime` is the DATE-TIME value with TZID parameter of that time zone.
+ * `iCalDateTimeUTC` is the DATE-TIME value in UTC regardless of `options.timeZone`.
+ * The values can be parsed back with `parseICalDateTime`.
  *
  * The result may vary by locale.
  *
+ * If `options.timeZone` is specified, the date is formatted
+ * in the wall clock time of the time zone instead of the local time.
+ *
  * @param {Date|String|Number} date - the original date
  * @param {String} format - the string of tokens
  * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
  * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
  * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @param {Boolean} [options.unicodeTokens=false] - if true, the format string consists of Unicode Technical Standard #35 tokens
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn] - the index of the first day of the week for the Unicode tokens (0 - Sunday).
+ *   By default, the one of the locale
+ * @param {1|2|3|4|5|6|7} [options.firstWeekContainsDate] - the day of January, which is always in the first week of the year,
+ *   for the Unicode tokens. By default, the one of the locale
  * @returns {String} the formatted date string
  * @throws {TypeError} 2 arguments required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
  * @throws {RangeError} `options.locale` must contain `localize` property
  * @throws {RangeError} `options.locale` must contain `formatLong` property
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} `options.firstWeekContainsDate` must be between 1 and 7
+ * @throws {RangeError} format string must not contain unescaped latin letters that aren't tokens
  *
  * @example
  * // Represent 11 February 2014 in middle-endian format:
@@ -106,6 +202,33 @@ var defaultFormattingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|d
  *   {locale: eoLocale}
  * )
  * //=> '2-a de julio 2014'
+ *
+ * @example
+ * // Represent 10 September 2014 20:00:00 UTC in Tokyo:
+ * import tokyo from 'date-fns/timeZone/Asia/Tokyo'
+ * var result = format(
+ *   new Date(Date.UTC(2014, 8, 10, 20)),
+ *   'YYYY-MM-DD HH:mm Z',
+ *   {timeZone: tokyo}
+ * )
+ * //=> '2014-09-11 05:00 +09:00'
+ *
+ * @example
+ * // Represent 44 BC with Unicode tokens:
+ * var result = format(
+ *   new Date(-43, 2, 15),
+ *   "d MMMM y G 'at' h a",
+ *   {unicodeTokens: true}
+ * )
+ * //=> '15 March 44 BC at 12 AM'
+ *
+ * @example
+ * // Represent 18 January 1998 23:00:00 UTC as the iCalendar DATE-TIME value:
+ * var result = format(
+ *   new Date(Date.UTC(1998, 0, 18, 23)),
+ *   'iCalDateTimeUTC'
+ * )
+ * //=> '19980118T230000Z'
  */
 export default function format (dirtyDate, dirtyFormatStr, dirtyOptions) {
   if (arguments.length < 2) {
@@ -113,71 +236,16 @@ export default function format (dirtyDate, dirtyFormatStr, dirtyOptions) {
   }
 
   var formatStr = String(dirtyFormatStr)
-  var options = dirtyOptions || {}
+  var tokenized = tokenizeFormat(formatStr, dirtyOptions)
+  var parts = formatTokens(tokenized.tokens, dirtyDate, tokenized.options)
 
-  var locale = options.locale || defaultLocale
-
-  if (!locale.localize) {
-    throw new RangeError('locale must contain localize property')
-  }
-
-  if (!locale.formatLong) {
-    throw new RangeError('locale must contain formatLong property')
-  }
-
-  var localeFormatters = locale.formatters || {}
-  var formattingTokensRegExp = locale.formattingTokensRegExp || defaultFormattingTokensRegExp
-  var formatLong = locale.formatLong
-
-  var originalDate = toDate(dirtyDate, options)
-
-  if (!isValid(originalDate, options)) {
+  if (!parts) {
     return 'Invalid Date'
   }
 
-  // Convert the date in system timezone to the same date in UTC+00:00 timezone.
-  // This ensures that when UTC functions will be implemented, locales will be compatible with them.
-  // See an issue about UTC functions: https://github.com/date-fns/date-fns/issues/376
-  var timezoneOffset = originalDate.getTimezoneOffset()
-  var utcDate = addUTCMinutes(originalDate, -timezoneOffset, options)
-
-  var formatterOptions = cloneObject(options)
-  formatterOptions.locale = locale
-  formatterOptions.formatters = formatters
-
-  // When UTC functions will be implemented, options._originalDate will likely be a part of public API.
-  // Right now, please don't use it in locales. If you have to use an original date,
-  // please restore it from `date`, adding a timezone offset to it.
-  formatterOptions._originalDate = originalDate
-
-  var result = formatStr
-    .replace(longFormattingTokensRegExp, function (substring) {
-      if (substring[0] === '[') {
-        return substring
-      }
-
-      if (substring[0] === '\\') {
-        return cleanEscapedString(substring)
-      }
-
-      return formatLong(substring)
-    })
-    .replace(formattingTokensRegExp, function (substring) {
-      var formatter = localeFormatters[substring] || formatters[substring]
-
-      if (formatter) {
-        return formatter(utcDate, formatterOptions)
-      } else {
-        return cleanEscapedString(substring)
-      }
+  return parts
+    .map(function (part) {
+      return part.value
     })
-
-  return result
-}
-
-function cleanEscapedString (input) {
-  if (input.match(/\[[\s\S]/)) {
-    return input.replace(/^\[|]$/g, '')
-  }
-  return input.replace(/\\/g, '')
+    .join('')
 }
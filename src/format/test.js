@@ -3,6 +3,11 @@
 
 import assert from 'power-assert'
 import format from '.'
+import parseICalDateTime from '../parseICalDateTime'
+import chicago from '../timeZone/America/Chicago'
+import kolkata from '../timeZone/Asia/Kolkata'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
 
 describe('format', function () {
   var date = new Date(1986, 3 /* Apr */, 4, 10, 32, 0, 900)
@@ -178,6 +183,42 @@ describe('format', function () {
     })
   })
 
+  describe('eras and years of era', function () {
+    var bcDate = new Date(0)
+    bcDate.setFullYear(-43, 2 /* Mar */, 15)
+    bcDate.setHours(12, 0, 0, 0)
+
+    it('all variants', function () {
+      var result = format(date, 'yyyy N NN NNN NNNN NNNNN')
+      assert(result === '1986 AD AD AD Anno Domini A')
+    })
+
+    it('dates before the year 1', function () {
+      var result = format(bcDate, 'yyyy N NNNN NNNNN')
+      assert(result === '0044 BC Before Christ B')
+    })
+
+    it('the year 0 is 1 BC', function () {
+      var yearZero = new Date(0)
+      yearZero.setFullYear(0, 6 /* Jul */, 1)
+      yearZero.setHours(12, 0, 0, 0)
+      var result = format(yearZero, 'yyyy N')
+      assert(result === '0001 BC')
+    })
+
+    it('uses the eras of the default locale if the locale has no `localize.era`', function () {
+      var customLocale = {localize: {}, formatLong: function () {}}
+      // $ExpectedMistake
+      var result = format(bcDate, 'yyyy NNNN', {locale: customLocale})
+      assert(result === '0044 Before Christ')
+    })
+
+    it('prints the shorter runs of `y` as is', function () {
+      var result = format(date, 'y yy yyyyy')
+      assert(result === 'y yy 1986y')
+    })
+  })
+
   describe('ISO week-numbering years', function () {
     it('the first week of the next year', function () {
       var result = format(new Date(2013, 11 /* Dec */, 30), 'GGGG')
@@ -302,6 +343,82 @@ describe('format', function () {
       var result = format(date, 'Z ZZ')
       assert(result === timezone + ' ' + timezoneShort)
     })
+
+    it('ISO 8601 offset', function () {
+      var result = format(date, 'ZZZ')
+      assert(result === (offset === 0 ? 'Z' : timezone))
+    })
+  })
+
+  describe('options.timeZone', function () {
+    it('formats the date in the wall clock time of the time zone', function () {
+      var result = format(
+        new Date(Date.UTC(2014, 8 /* Sep */, 10, 20, 15)),
+        'YYYY-MM-DD HH:mm:ss Z ZZ',
+        {timeZone: tokyo}
+      )
+      assert(result === '2014-09-11 05:15:00 +09:00 +0900')
+    })
+
+    it('takes daylight saving time into account', function () {
+      var winter = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'HH:mm Z', {timeZone: newYork})
+      assert(winter === '07:00 -05:00')
+      var summer = format(new Date(Date.UTC(2014, 6 /* Jul */, 1, 12)), 'HH:mm Z', {timeZone: newYork})
+      assert(summer === '08:00 -04:00')
+    })
+
+    it('accepts the offset from UTC', function () {
+      var result = format(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)), 'HH:mm ZZ', {timeZone: '+05:45'})
+      assert(result === '01:45 +0545')
+    })
+
+    it('does not change the timestamps', function () {
+      var result = format(date, 'X x', {timeZone: tokyo})
+      assert(result === secondsTimestamp + ' ' + timestamp)
+    })
+
+    it('throws `RangeError` if the time zone is unknown', function () {
+      var block = format.bind(null, date, 'YYYY', {timeZone: 'Asia/Neo_Tokyo'})
+      assert.throws(block, RangeError)
+    })
+
+    it('formats the ISO 8601 offset with `Z` for UTC', function () {
+      var utcResult = format(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)), 'HH:mm ZZZ', {timeZone: 'UTC'})
+      assert(utcResult === '20:00 Z')
+      var tokyoResult = format(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)), 'HH:mm ZZZ', {timeZone: tokyo})
+      assert(tokyoResult === '05:00 +09:00')
+    })
+
+    it('formats the time zone names', function () {
+      var winter = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'z|zzzz', {timeZone: newYork})
+      assert(winter === 'EST|Eastern Standard Time')
+      var summer = format(new Date(Date.UTC(2014, 6 /* Jul */, 1, 12)), 'z|zzzz', {timeZone: newYork})
+      assert(summer === 'EDT|Eastern Daylight Time')
+    })
+
+    it('formats the GMT offsets', function () {
+      var newYorkResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {timeZone: newYork})
+      assert(newYorkResult === 'GMT-5|GMT-05:00')
+      var kolkataResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {timeZone: '+05:30'})
+      assert(kolkataResult === 'GMT+5:30|GMT+05:30')
+      var utcResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {timeZone: 'UTC'})
+      assert(utcResult === 'GMT|GMT')
+    })
+
+    it('uses the bundled names if `Intl` is not available', function () {
+      // Flow doesn't know `Intl`, but `global` is untyped
+      var intl = global.Intl
+      var formatToParts = intl.DateTimeFormat.prototype.formatToParts
+      intl.DateTimeFormat.prototype.formatToParts = undefined
+      try {
+        var known = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'z|zzzz', {timeZone: chicago})
+        var unknown = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'z|zzzz', {timeZone: '+05:30'})
+      } finally {
+        intl.DateTimeFormat.prototype.formatToParts = formatToParts
+      }
+      assert(known === 'CST|Central Standard Time')
+      assert(unknown === 'GMT+5:30|GMT+05:30')
+    })
   })
 
   describe('timestamps', function () {
@@ -366,6 +483,240 @@ describe('format', function () {
     })
   })
 
+  describe('presets', function () {
+    it('iCalDate', function () {
+      var result = format(date, 'iCalDate')
+      assert(result === '19860404')
+    })
+
+    it('iCalDateTime', function () {
+      var result = format(date, 'iCalDateTime')
+      assert(result === '19860404T103200')
+    })
+
+    it('iCalDateTime in the time zone', function () {
+      var result = format(new Date(Date.UTC(1998, 0 /* Jan */, 19, 4)), 'iCalDateTime', {timeZone: newYork})
+      assert(result === '19980118T230000')
+    })
+
+    it('iCalDateTimeUTC', function () {
+      var result = format(new Date(Date.UTC(1998, 0 /* Jan */, 18, 23)), 'iCalDateTimeUTC')
+      assert(result === '19980118T230000Z')
+    })
+
+    it('iCalDateTimeUTC ignores `options.timeZone`', function () {
+      var result = format(new Date(Date.UTC(1998, 0 /* Jan */, 18, 23)), 'iCalDateTimeUTC', {timeZone: tokyo})
+      assert(result === '19980118T230000Z')
+    })
+
+    it('does not use the presets inside the format string', function () {
+      var result = format(date, '[iCalDate:] YYYY')
+      assert(result === 'iCalDate: 1986')
+    })
+
+    it('formats the values that are parsed back by `parseICalDateTime`', function () {
+      var dateTime = new Date(1998, 0 /* Jan */, 18, 23, 30, 15)
+      assert.deepEqual(parseICalDateTime(format(dateTime, 'iCalDateTimeUTC')), dateTime)
+      assert.deepEqual(parseICalDateTime(format(dateTime, 'iCalDateTime')), dateTime)
+      assert.deepEqual(parseICalDateTime(format(dateTime, 'iCalDate')), new Date(1998, 0 /* Jan */, 18))
+    })
+  })
+
+  describe('unicodeTokens', function () {
+    var options = {unicodeTokens: true}
+    var bcDate = new Date(0)
+    bcDate.setFullYear(-43, 2 /* Mar */, 15)
+    bcDate.setHours(12, 0, 0, 0)
+
+    it('eras', function () {
+      var result = format(date, 'G GG GGG GGGG GGGGG', options)
+      assert(result === 'AD AD AD Anno Domini A')
+      var bcResult = format(bcDate, 'G GGGG GGGGG', options)
+      assert(bcResult === 'BC Before Christ B')
+    })
+
+    it('years of era', function () {
+      var result = format(date, 'y yy yyy yyyy yyyyy', options)
+      assert(result === '1986 86 1986 1986 01986')
+      var bcResult = format(bcDate, 'y yy yyyy', options)
+      assert(bcResult === '44 44 0044')
+    })
+
+    it('extended years', function () {
+      var result = format(date, 'u uuuuu', options)
+      assert(result === '1986 01986')
+      var bcResult = format(bcDate, 'u uuuu', options)
+      assert(bcResult === '-43 -0043')
+    })
+
+    it('local week-numbering years and weeks', function () {
+      var result = format(new Date(2014, 11 /* Dec */, 28), 'Y YY YYYY w ww', options)
+      assert(result === '2015 15 2015 1 01')
+    })
+
+    it('uses `weekStartsOn` and `firstWeekContainsDate` of the options or the locale', function () {
+      var dateInWeek = new Date(2005, 0 /* Jan */, 2)
+      var result = format(dateInWeek, 'YYYY ww', {
+        unicodeTokens: true,
+        weekStartsOn: 1,
+        firstWeekContainsDate: 4
+      })
+      assert(result === '2004 53')
+      var localeResult = format(dateInWeek, 'YYYY ww', {
+        unicodeTokens: true,
+        // $ExpectedMistake
+        locale: {localize: {}, formatLong: function () {}, options: {weekStartsOn: 1, firstWeekContainsDate: 4}}
+      })
+      assert(localeResult === '2004 53')
+    })
+
+    it('quarters', function () {
+      var result = format(date, 'Q QQ QQQ QQQQ QQQQQ q qq qqq', options)
+      assert(result === '2 02 Q2 2nd quarter 2 2 02 Q2')
+    })
+
+    it('uses Q1 and the ordinal numbers for the quarters if the locale has no `localize.quarter`', function () {
+      var customLocale = {
+        localize: {
+          ordinalNumber: function (number) {
+            return number + '.'
+          }
+        },
+        formatLong: function () {}
+      }
+      // $ExpectedMistake
+      var result = format(date, 'QQQ QQQQ QQQQQ', {unicodeTokens: true, locale: customLocale})
+      assert(result === 'Q2 2. 2')
+    })
+
+    it('months and stand-alone months', function () {
+      var result = format(date, 'M MM MMM MMMM MMMMM', options)
+      assert(result === '4 04 Apr April A')
+      var standaloneResult = format(date, 'L LL LLL LLLL LLLLL', options)
+      assert(standaloneResult === '4 04 Apr April A')
+    })
+
+    it('days of a month and a year', function () {
+      var result = format(date, 'd dd D DD DDD', options)
+      assert(result === '4 04 94 94 094')
+    })
+
+    it('days of a week', function () {
+      var result = format(date, 'E EE EEE EEEE EEEEE EEEEEE', options)
+      assert(result === 'Fri Fri Fri Friday F Fr')
+      var localResult = format(date, 'eeeee eeeeee ccccc cccccc', options)
+      assert(localResult === 'F Fr F Fr')
+    })
+
+    it('local days of a week', function () {
+      var result = format(date, 'e ee eee eeee c cc ccc cccc', options)
+      assert(result === '6 06 Fri Friday 6 06 Fri Friday')
+      var mondayResult = format(date, 'e c', {unicodeTokens: true, weekStartsOn: 1})
+      assert(mondayResult === '5 5')
+    })
+
+    it('AM/PM and flexible day periods', function () {
+      var result = format(date, 'a aa aaa aaaa aaaaa', options)
+      assert(result === 'AM AM AM a.m. a')
+      var dayPeriods = [0, 6, 12, 18, 21].map(function (hours) {
+        return format(new Date(1986, 3 /* Apr */, 4, hours), 'B', options)
+      })
+      assert.deepEqual(dayPeriods, ['at night', 'in the morning', 'in the afternoon', 'in the evening', 'at night'])
+    })
+
+    it('uses `localize.timeOfDay` for the flexible day periods if the locale has no `localize.dayPeriod`', function () {
+      var customLocale = {
+        localize: {
+          timeOfDay: function (hours, options) {
+            return hours + ':' + options.type
+          }
+        },
+        formatLong: function () {}
+      }
+      // $ExpectedMistake
+      var result = format(date, 'B BBBB', {unicodeTokens: true, locale: customLocale})
+      assert(result === '10:uppercase 10:long')
+    })
+
+    it('hours', function () {
+      var midnight = new Date(1986, 3 /* Apr */, 4, 0)
+      var evening = new Date(1986, 3 /* Apr */, 4, 22)
+      assert(format(midnight, 'h hh H HH K KK k kk', options) === '12 12 0 00 0 00 24 24')
+      assert(format(evening, 'h hh H HH K KK k kk', options) === '10 10 22 22 10 10 22 22')
+    })
+
+    it('minutes, seconds and fractions of a second', function () {
+      var result = format(new Date(1986, 3 /* Apr */, 4, 10, 2, 5, 123), 'm mm s ss S SS SSS SSSS', options)
+      assert(result === '2 02 5 05 1 12 123 1230')
+    })
+
+    it('time zones', function () {
+      var result = format(date, 'XXX xx ZZZZZ Z', options)
+      assert(result === (offset === 0 ? 'Z' : timezone) + ' ' + timezoneShort + ' ' +
+        (offset === 0 ? 'Z' : timezone) + ' ' + timezoneShort)
+    })
+
+    it('time zones in `options.timeZone`', function () {
+      var utcDate = new Date(Date.UTC(1986, 3 /* Apr */, 4, 10))
+      var result = format(utcDate, 'HH X XX XXX x ZZZZ O OOOO z zzzz', {unicodeTokens: true, timeZone: newYork})
+      assert(result === '05 -05 -0500 -05:00 -05 GMT-05:00 GMT-5 GMT-05:00 EST Eastern Standard Time')
+      var utcResult = format(utcDate, 'X x ZZZZZ', {unicodeTokens: true, timeZone: 'UTC'})
+      assert(utcResult === 'Z +00 Z')
+      var kolkataResult = format(utcDate, 'X XX', {unicodeTokens: true, timeZone: kolkata})
+      assert(kolkataResult === '+0530 +0530')
+    })
+
+    it('escapes the text between the single quotes', function () {
+      var result = format(date, "'Date:' yyyy-MM-dd'T'HH:mm 'o''clock'", options)
+      assert(result === "Date: 1986-04-04T10:32 o'clock")
+    })
+
+    it('formats two single quotes as a single quote', function () {
+      var result = format(date, "h''mm", options)
+      assert(result === "10'32")
+    })
+
+    it('does not expand the long formats and the presets inside the format string', function () {
+      var result = format(date, 'LL LLL', options)
+      assert(result === '04 Apr')
+    })
+
+    it('uses the presets', function () {
+      var result = format(date, 'iCalDate', options)
+      assert(result === '19860404')
+    })
+
+    it('uses the locale', function () {
+      var customLocale = {
+        localize: {
+          month: function (month, options) {
+            return month + ':' + options.type + ':' + options.context
+          }
+        },
+        formatLong: function () {}
+      }
+      // $ExpectedMistake
+      var result = format(date, 'MMMM LLL', {unicodeTokens: true, locale: customLocale})
+      assert(result === '3:long:formatting 3:short:standalone')
+    })
+
+    it('throws `RangeError` if the format string contains an unescaped latin letter', function () {
+      var block = format.bind(null, date, 'yyyy-MM-ddTHH:mm', options)
+      assert.throws(block, RangeError)
+    })
+
+    it('throws `RangeError` if a token is too long', function () {
+      var block = format.bind(null, date, 'dddd', options)
+      assert.throws(block, RangeError)
+    })
+
+    it('throws `RangeError` if `options.firstWeekContainsDate` is not convertable to 1, 2, ..., 7 or undefined', function () {
+      // $ExpectedMistake
+      var block = format.bind(null, date, 'Y', {unicodeTokens: true, firstWeekContainsDate: 8})
+      assert.throws(block, RangeError)
+    })
+  })
+
   describe('edge cases', function () {
     it("returns String('Invalid Date') if the date isn't valid", function () {
       assert(format(new Date(NaN), 'MMMM D, YYYY') === 'Invalid Date')
@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatDuration from '.'
+
+suite('formatDuration', function () {
+  benchmark('date-fns', function () {
+    return formatDuration(this.duration)
+  })
+}, {
+  setup: function () {
+    this.duration = {years: 2, months: 3, days: 4, hours: 5, minutes: 6, seconds: 7}
+  }
+})
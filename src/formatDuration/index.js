@@ -0,0 +1,99 @@
+import cloneObject from '../_lib/cloneObject/index.js'
+import defaultLocale from '../locale/en-US/index.js'
+
+var defaultFormat = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds']
+
+var unitTokens = {
+  years: 'xYears',
+  months: 'xMonths',
+  weeks: 'xWeeks',
+  days: 'xDays',
+  hours: 'xHours',
+  minutes: 'xMinutes',
+  seconds: 'xSeconds'
+}
+
+/**
+ * @name formatDuration
+ * @category Duration Helpers
+ * @summary Format the duration in words.
+ *
+ * @description
+ * Return the duration in words, e.g. '2 years 3 months 4 days'.
+ *
+ * Unlike `formatDistance`, the numbers are not rounded: every unit of the duration
+ * is formatted with the exact token of the locale (`xYears`, `xMonths`, `xWeeks`,
+ * `xDays`, `xHours`, `xMinutes` and `xSeconds`).
+ *
+ * By default, the units are formatted from years to seconds and the units with zero
+ * or missing values are omitted. `options.format` changes which units are included and in which order,
+ * `options.zero` includes the zero values and `options.delimiter` changes the string between the units.
+ *
+ * @param {Duration} duration - the duration to format. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {String[]} [options.format] - the units to include, in the given order (by default, all units from years to seconds)
+ * @param {Boolean} [options.zero=false] - include the units with zero values
+ * @param {String} [options.delimiter=' '] - the string between the units
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @returns {String} the formatted duration
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.format` must contain only duration units
+ * @throws {RangeError} `options.locale` must contain `formatDistance` property
+ *
+ * @example
+ * // Format the duration of 2 years, 9 months and 3 weeks:
+ * var result = formatDuration({years: 2, months: 9, weeks: 3})
+ * //=> '2 years 9 months 3 weeks'
+ *
+ * @example
+ * // Format only months and days, including zero values:
+ * var result = formatDuration(
+ *   {years: 1, months: 0, days: 5},
+ *   {format: ['months', 'days'], zero: true}
+ * )
+ * //=> '0 months 5 days'
+ *
+ * @example
+ * // Format the duration in Esperanto, separating the units with commas:
+ * import { eoLocale } from 'date-fns/locale/eo'
+ * var result = formatDuration(
+ *   {days: 2, hours: 5},
+ *   {locale: eoLocale, delimiter: ', '}
+ * )
+ * //=> '2 tagoj, 5 horoj'
+ */
+export default function formatDuration (dirtyDuration, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var duration = dirtyDuration || {}
+  var options = dirtyOptions || {}
+  var locale = options.locale || defaultLocale
+
+  if (!locale.formatDistance) {
+    throw new RangeError('locale must contain formatDistance property')
+  }
+
+  var format = options.format === undefined ? defaultFormat : options.format
+  var zero = Boolean(options.zero)
+  var delimiter = options.delimiter === undefined ? ' ' : String(options.delimiter)
+
+  var localizeOptions = cloneObject(options)
+  localizeOptions.addSuffix = false
+
+  var result = []
+  for (var i = 0; i < format.length; i++) {
+    var unit = format[i]
+    if (!unitTokens.hasOwnProperty(unit)) {
+      throw new RangeError('format must contain only years, months, weeks, days, hours, minutes and seconds')
+    }
+
+    var value = duration[unit]
+    if (typeof value === 'number' && (zero || value !== 0)) {
+      result.push(locale.formatDistance(unitTokens[unit], value, localizeOptions))
+    }
+  }
+
+  return result.join(delimiter)
+}
@@ -0,0 +1,101 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatDuration from '.'
+
+describe('formatDuration', function () {
+  it('formats the duration from years to seconds', function () {
+    var result = formatDuration({
+      years: 2,
+      months: 9,
+      weeks: 1,
+      days: 7,
+      hours: 5,
+      minutes: 9,
+      seconds: 30
+    })
+    assert(result === '2 years 9 months 1 week 7 days 5 hours 9 minutes 30 seconds')
+  })
+
+  it('omits the zero and the missing values', function () {
+    var result = formatDuration({years: 1, months: 0, days: 3})
+    assert(result === '1 year 3 days')
+  })
+
+  it('returns an empty string for the empty duration', function () {
+    var result = formatDuration({})
+    assert(result === '')
+  })
+
+  it('formats the duration returned by `intervalToDuration`', function () {
+    var result = formatDuration({years: 2, months: 3, days: 4, hours: 0, minutes: 0, seconds: 0})
+    assert(result === '2 years 3 months 4 days')
+  })
+
+  describe('options.format', function () {
+    it('formats only the given units', function () {
+      var result = formatDuration({years: 2, months: 9, weeks: 3, days: 1}, {format: ['months', 'weeks']})
+      assert(result === '9 months 3 weeks')
+    })
+
+    it('formats the units in the given order', function () {
+      var result = formatDuration({hours: 5, days: 2}, {format: ['hours', 'days']})
+      assert(result === '5 hours 2 days')
+    })
+
+    it('throws `RangeError` if the format contains an unknown unit', function () {
+      var block = formatDuration.bind(null, {years: 1}, {format: ['years', 'decades']})
+      assert.throws(block, RangeError)
+    })
+  })
+
+  describe('options.zero', function () {
+    it('includes the zero values', function () {
+      var result = formatDuration({years: 0, months: 1, days: 0}, {zero: true})
+      assert(result === '0 years 1 month 0 days')
+    })
+
+    it('does not include the missing values', function () {
+      var result = formatDuration({months: 1}, {format: ['years', 'months'], zero: true})
+      assert(result === '1 month')
+    })
+  })
+
+  describe('options.delimiter', function () {
+    it('joins the units with the given string', function () {
+      var result = formatDuration({years: 1, months: 2, days: 3}, {delimiter: ', '})
+      assert(result === '1 year, 2 months, 3 days')
+    })
+  })
+
+  describe('custom locale', function () {
+    it('can be passed to the function', function () {
+      function localizeDistance (token, count, options) {
+        assert(options.addSuffix === false)
+        return count + ':' + token
+      }
+
+      var customLocale = {
+        formatDistance: localizeDistance
+      }
+
+      // $ExpectedMistake
+      var result = formatDuration({weeks: 2, days: 1}, {locale: customLocale})
+      assert(result === '2:xWeeks 1:xDays')
+    })
+
+    context('does not contain `formatDistance` property', function () {
+      it('throws `RangeError`', function () {
+        var customLocale = {}
+        // $ExpectedMistake
+        var block = formatDuration.bind(null, {days: 1}, {locale: customLocale})
+        assert.throws(block, RangeError)
+      })
+    })
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(formatDuration.bind(null), TypeError)
+  })
+})
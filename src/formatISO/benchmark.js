@@ -0,0 +1,21 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatISO from '.'
+import moment from 'moment'
+
+suite('formatISO', function () {
+  benchmark('date-fns', function () {
+    return formatISO(this.date)
+  })
+
+  benchmark('Moment.js', function () {
+    return this.moment.format()
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+    this.moment = moment()
+  }
+})
@@ -0,0 +1,150 @@
+import toDate from '../toDate/index.js'
+import isValid from '../isValid/index.js'
+import tzInfo from '../_lib/tzInfo/index.js'
+import addLeadingZeros from '../_lib/addLeadingZeros/index.js'
+
+var MILLISECONDS_IN_MINUTE = 60000
+
+/**
+ * @name formatISO
+ * @category Common Helpers
+ * @summary Format the date according to ISO 8601.
+ *
+ * @description
+ * Return the ISO 8601 representation of the date in the local time zone
+ * or in `options.timeZone`, with the offset from UTC (e.g. `2014-07-02T10:30:45+02:00`).
+ * The zero offset is formatted as `Z`.
+ *
+ * `options.format` selects the extended format with the separators (`2014-07-02T10:30:45+02:00`)
+ * or the basic format without them (`20140702T103045+0200`).
+ *
+ * `options.representation` selects the complete representation, the date only (`2014-07-02`)
+ * or the time with the offset only (`10:30:45+02:00`).
+ *
+ * `options.fractionDigits` is the number of the digits of the fraction of a second (0 to 3).
+ * The extra digits of the milliseconds are truncated.
+ *
+ * The years before 0 and after 9999 are formatted with the sign and 6 digits (e.g. `-000044`).
+ *
+ * If the date is invalid, the result is 'Invalid Date'.
+ *
+ * @param {Date|String|Number} date - the original date
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {'extended'|'basic'} [options.format='extended'] - the format of the result
+ * @param {'complete'|'date'|'time'} [options.representation='complete'] - the parts of the date in the result
+ * @param {0|1|2|3} [options.fractionDigits=0] - the number of the digits of the fraction of a second
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {String} the ISO 8601 date string
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.format` must be 'extended' or 'basic'
+ * @throws {RangeError} `options.representation` must be 'complete', 'date' or 'time'
+ * @throws {RangeError} `options.fractionDigits` must be 0, 1, 2 or 3
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // Format 2 July 2014, 10:30:45.123 in UTC+02:00:
+ * var result = formatISO(new Date(2014, 6, 2, 10, 30, 45, 123))
+ * //=> '2014-07-02T10:30:45+02:00'
+ *
+ * @example
+ * // Format the date in the basic format with milliseconds:
+ * var result = formatISO(new Date(2014, 6, 2, 10, 30, 45, 123), {format: 'basic', fractionDigits: 3})
+ * //=> '20140702T103045.123+0200'
+ *
+ * @example
+ * // Format only the date:
+ * var result = formatISO(new Date(2014, 6, 2, 10, 30, 45, 123), {representation: 'date'})
+ * //=> '2014-07-02'
+ */
+export default function formatISO (dirtyDate, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+
+  var format = options.format === undefined ? 'extended' : String(options.format)
+  if (format !== 'extended' && format !== 'basic') {
+    throw new RangeError("format must be 'extended' or 'basic'")
+  }
+
+  var representation = options.representation === undefined ? 'complete' : String(options.representation)
+  if (representation !== 'complete' && representation !== 'date' && representation !== 'time') {
+    throw new RangeError("representation must be 'complete', 'date' or 'time'")
+  }
+
+  var fractionDigits = options.fractionDigits === undefined ? 0 : Number(options.fractionDigits)
+  if (fractionDigits !== 0 && fractionDigits !== 1 && fractionDigits !== 2 && fractionDigits !== 3) {
+    throw new RangeError('fractionDigits must be 0, 1, 2 or 3')
+  }
+
+  var date = toDate(dirtyDate, options)
+
+  if (!isValid(date, options)) {
+    return 'Invalid Date'
+  }
+
+  var offset
+  if (options.timeZone === undefined) {
+    offset = -date.getTimezoneOffset()
+  } else {
+    offset = tzInfo(options.timeZone, date.getTime()).offset / MILLISECONDS_IN_MINUTE
+  }
+
+  // The offsets with seconds, like the ones of the local mean time, are rounded to minutes,
+  // so the result still represents the same moment of time
+  offset = Math.round(offset)
+
+  // The wall clock time is represented as the same time in UTC
+  var wallDate = new Date(date.getTime() + offset * MILLISECONDS_IN_MINUTE)
+
+  var dateDelimiter = format === 'extended' ? '-' : ''
+  var timeDelimiter = format === 'extended' ? ':' : ''
+
+  var result = ''
+
+  if (representation !== 'time') {
+    result += formatYear(wallDate.getUTCFullYear()) +
+      dateDelimiter + addLeadingZeros(wallDate.getUTCMonth() + 1, 2) +
+      dateDelimiter + addLeadingZeros(wallDate.getUTCDate(), 2)
+  }
+
+  if (representation !== 'date') {
+    if (representation === 'complete') {
+      result += 'T'
+    }
+
+    result += addLeadingZeros(wallDate.getUTCHours(), 2) +
+      timeDelimiter + addLeadingZeros(wallDate.getUTCMinutes(), 2) +
+      timeDelimiter + addLeadingZeros(wallDate.getUTCSeconds(), 2)
+
+    if (fractionDigits > 0) {
+      var fraction = Math.floor(wallDate.getUTCMilliseconds() / Math.pow(10, 3 - fractionDigits))
+      result += '.' + addLeadingZeros(fraction, fractionDigits)
+    }
+
+    result += formatOffset(offset, timeDelimiter)
+  }
+
+  return result
+}
+
+function formatYear (year) {
+  if (year >= 0 && year <= 9999) {
+    return addLeadingZeros(year, 4)
+  }
+  return (year < 0 ? '-' : '+') + addLeadingZeros(Math.abs(year), 6)
+}
+
+function formatOffset (offset, delimiter) {
+  if (offset === 0) {
+    return 'Z'
+  }
+  var sign = offset > 0 ? '+' : '-'
+  var absOffset = Math.abs(offset)
+  var hours = Math.floor(absOffset / 60)
+  var minutes = absOffset % 60
+  return sign + addLeadingZeros(hours, 2) + delimiter + addLeadingZeros(minutes, 2)
+}
@@ -0,0 +1,116 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatISO from '.'
+import newYork from '../timeZone/America/New_York'
+
+describe('formatISO', function () {
+  var date = new Date(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45, 123))
+
+  it('formats the date in the complete extended format', function () {
+    var result = formatISO(date, {timeZone: '+02:00'})
+    assert(result === '2014-07-02T10:30:45+02:00')
+  })
+
+  it('formats the date in the local time zone by default', function () {
+    var localDate = new Date(2014, 6 /* Jul */, 2, 10, 30, 45, 123)
+    var offset = -localDate.getTimezoneOffset()
+    var absOffset = Math.abs(offset)
+    var expectedOffset = offset === 0 ? 'Z'
+      : (offset > 0 ? '+' : '-') +
+        ('0' + Math.floor(absOffset / 60)).slice(-2) + ':' + ('0' + absOffset % 60).slice(-2)
+    var result = formatISO(localDate)
+    assert(result === '2014-07-02T10:30:45' + expectedOffset)
+  })
+
+  it('formats the zero offset as `Z`', function () {
+    var result = formatISO(date, {timeZone: 'UTC'})
+    assert(result === '2014-07-02T08:30:45Z')
+  })
+
+  it('formats the negative offset', function () {
+    var result = formatISO(date, {timeZone: newYork})
+    assert(result === '2014-07-02T04:30:45-04:00')
+  })
+
+  it('formats the date in the basic format', function () {
+    var result = formatISO(date, {format: 'basic', timeZone: '+05:30'})
+    assert(result === '20140702T140045+0530')
+  })
+
+  it('formats only the date', function () {
+    assert(formatISO(date, {representation: 'date', timeZone: 'UTC'}) === '2014-07-02')
+    assert(formatISO(date, {representation: 'date', format: 'basic', timeZone: 'UTC'}) === '20140702')
+  })
+
+  it('formats only the time with the offset', function () {
+    assert(formatISO(date, {representation: 'time', timeZone: '+02:00'}) === '10:30:45+02:00')
+    assert(formatISO(date, {representation: 'time', format: 'basic', timeZone: '+02:00'}) === '103045+0200')
+  })
+
+  it('formats the fraction of a second with `options.fractionDigits` digits', function () {
+    assert(formatISO(date, {fractionDigits: 1, timeZone: 'UTC'}) === '2014-07-02T08:30:45.1Z')
+    assert(formatISO(date, {fractionDigits: 2, timeZone: 'UTC'}) === '2014-07-02T08:30:45.12Z')
+    assert(formatISO(date, {fractionDigits: 3, timeZone: 'UTC'}) === '2014-07-02T08:30:45.123Z')
+  })
+
+  it('truncates the milliseconds', function () {
+    var result = formatISO(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45, 999), {fractionDigits: 2, timeZone: 'UTC'})
+    assert(result === '2014-07-02T08:30:45.99Z')
+  })
+
+  it('formats the years before 0 and after 9999 with the sign and 6 digits', function () {
+    var bcDate = new Date(0)
+    bcDate.setUTCFullYear(-43, 2 /* Mar */, 15)
+    assert(formatISO(bcDate, {representation: 'date', timeZone: 'UTC'}) === '-000043-03-15')
+    var farDate = new Date(0)
+    farDate.setUTCFullYear(12345, 0 /* Jan */, 1)
+    assert(formatISO(farDate, {representation: 'date', timeZone: 'UTC'}) === '+012345-01-01')
+    var firstDate = new Date(0)
+    firstDate.setUTCFullYear(0, 0 /* Jan */, 1)
+    assert(formatISO(firstDate, {representation: 'date', timeZone: 'UTC'}) === '0000-01-01')
+  })
+
+  it('accepts the strings and the numbers', function () {
+    assert(formatISO(date.getTime(), {timeZone: 'UTC'}) === '2014-07-02T08:30:45Z')
+    assert(formatISO('2014-07-02T08:30:45Z', {timeZone: 'UTC'}) === '2014-07-02T08:30:45Z')
+  })
+
+  it("returns 'Invalid Date' if the date isn't valid", function () {
+    assert(formatISO(new Date(NaN)) === 'Invalid Date')
+  })
+
+  it("throws `RangeError` if `options.format` isn't 'extended' or 'basic'", function () {
+    // $ExpectedMistake
+    var block = formatISO.bind(null, date, {format: 'short'})
+    assert.throws(block, RangeError)
+  })
+
+  it("throws `RangeError` if `options.representation` isn't 'complete', 'date' or 'time'", function () {
+    // $ExpectedMistake
+    var block = formatISO.bind(null, date, {representation: 'year'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.fractionDigits` is not convertable to 0, 1, 2, 3 or undefined', function () {
+    // $ExpectedMistake
+    var block = formatISO.bind(null, date, {fractionDigits: 4})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.timeZone` is invalid', function () {
+    var block = formatISO.bind(null, date, {timeZone: 'Mars/Olympus_Mons'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = formatISO.bind(null, date, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(formatISO.bind(null), TypeError)
+  })
+})
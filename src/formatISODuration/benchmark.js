@@ -0,0 +1,21 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatISODuration from '.'
+import moment from 'moment'
+
+suite('formatISODuration', function () {
+  benchmark('date-fns', function () {
+    return formatISODuration(this.duration)
+  })
+
+  benchmark('Moment.js', function () {
+    return this.momentDuration.toISOString()
+  })
+}, {
+  setup: function () {
+    this.duration = {years: 1, months: 2, days: 10, hours: 2, minutes: 30}
+    this.momentDuration = moment.duration(this.duration)
+  }
+})
@@ -0,0 +1,118 @@
+var DAYS_IN_WEEK = 7
+
+// The fractions are rounded to this number of digits, which is enough for nanoseconds
+var MAX_FRACTION_DIGITS = 9
+
+/**
+ * @name formatISODuration
+ * @category Duration Helpers
+ * @summary Format the duration according to ISO 8601.
+ *
+ * @description
+ * Return the ISO 8601 representation of the duration in the format `PnYnMnDTnHnMnS`
+ * (e.g. `P1Y2M10DT2H30M`). The components with zero or missing values are omitted;
+ * the empty duration is formatted as `PT0S`.
+ *
+ * The duration that has only weeks is formatted as `PnW` (e.g. `P3W`).
+ * Otherwise, the weeks are converted to days, because ISO 8601 doesn't allow
+ * to combine them with the other components.
+ *
+ * The numbers are formatted without the exponent, and their fractions are rounded to 9 digits
+ * (e.g. `{seconds: 0.1 + 0.2}` is formatted as `PT0.3S`), so the result can be parsed by `parseISODuration`.
+ *
+ * The negative duration is formatted with the leading minus sign (e.g. `-P1D`).
+ * The duration cannot mix positive and negative values.
+ *
+ * @param {Duration} duration - the duration to format. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @returns {String} the ISO 8601 duration
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `duration` must contain only finite numbers
+ * @throws {RangeError} `duration` cannot contain both positive and negative values
+ *
+ * @example
+ * // Format 1 year, 2 months, 10 days, 2 hours and 30 minutes:
+ * var result = formatISODuration({years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+ * //=> 'P1Y2M10DT2H30M'
+ *
+ * @example
+ * // Format the negative duration:
+ * var result = formatISODuration({weeks: -3})
+ * //=> '-P3W'
+ */
+export default function formatISODuration (dirtyDuration, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var duration = dirtyDuration || {}
+  var years = toNumber(duration.years)
+  var months = toNumber(duration.months)
+  var weeks = toNumber(duration.weeks)
+  var days = toNumber(duration.days)
+  var hours = toNumber(duration.hours)
+  var minutes = toNumber(duration.minutes)
+  var seconds = toNumber(duration.seconds)
+
+  var values = [years, months, weeks, days, hours, minutes, seconds]
+  var isNegative = false
+  var isPositive = false
+  for (var i = 0; i < values.length; i++) {
+    if (!isFinite(values[i])) {
+      throw new RangeError('duration must contain only finite numbers')
+    }
+    isNegative = isNegative || values[i] < 0
+    isPositive = isPositive || values[i] > 0
+  }
+
+  if (isNegative && isPositive) {
+    throw new RangeError('duration cannot contain both positive and negative values')
+  }
+
+  var sign = isNegative ? '-' : ''
+
+  if (weeks !== 0 && years === 0 && months === 0 && days === 0 &&
+    hours === 0 && minutes === 0 && seconds === 0) {
+    return sign + 'P' + Math.abs(weeks) + 'W'
+  }
+
+  days += weeks * DAYS_IN_WEEK
+
+  var datePart = formatComponent(years, 'Y') +
+    formatComponent(months, 'M') +
+    formatComponent(days, 'D')
+  var timePart = formatComponent(hours, 'H') +
+    formatComponent(minutes, 'M') +
+    formatComponent(seconds, 'S')
+
+  if (!datePart && !timePart) {
+    return 'PT0S'
+  }
+
+  return sign + 'P' + datePart + (timePart ? 'T' + timePart : '')
+}
+
+function toNumber (value) {
+  return value === undefined ? 0 : Number(value)
+}
+
+function formatComponent (value, designator) {
+  return value === 0 ? '' : formatNumber(Math.abs(value)) + designator
+}
+
+function formatNumber (number) {
+  // `toFixed` uses the exponent only for the numbers from 1e21
+  var string = number.toFixed(MAX_FRACTION_DIGITS)
+  if (string.indexOf('e') === -1) {
+    return string.replace(/\.?0+$/, '')
+  }
+
+  var captures = /^(\d)(?:\.(\d+))?e\+(\d+)$/.exec(String(number))
+  var fraction = captures[2] || ''
+  var zeros = Number(captures[3]) - fraction.length
+  var result = captures[1] + fraction
+  for (var i = 0; i < zeros; i++) {
+    result += '0'
+  }
+  return result
+}
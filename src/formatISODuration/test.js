@@ -0,0 +1,100 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatISODuration from '.'
+import parseISODuration from '../parseISODuration'
+
+describe('formatISODuration', function () {
+  it('formats the duration', function () {
+    var result = formatISODuration({years: 1, months: 2, days: 10, hours: 2, minutes: 30, seconds: 5})
+    assert(result === 'P1Y2M10DT2H30M5S')
+  })
+
+  it('omits the zero and the missing components', function () {
+    var result = formatISODuration({years: 0, months: 1, minutes: 1})
+    assert(result === 'P1MT1M')
+  })
+
+  it('omits the time designator if there are no time components', function () {
+    var result = formatISODuration({years: 1, days: 2})
+    assert(result === 'P1Y2D')
+  })
+
+  it('formats the empty duration as zero seconds', function () {
+    assert(formatISODuration({}) === 'PT0S')
+    assert(formatISODuration({days: 0, hours: 0}) === 'PT0S')
+  })
+
+  it('formats the fractions', function () {
+    var result = formatISODuration({minutes: 1, seconds: 30.5})
+    assert(result === 'PT1M30.5S')
+  })
+
+  it('formats the numbers without the exponent', function () {
+    assert(formatISODuration({seconds: 1e-7}) === 'PT0.0000001S')
+    assert(formatISODuration({seconds: 1e21}) === 'PT1000000000000000000000S')
+    assert(formatISODuration({years: 1.5e22}) === 'P15000000000000000000000Y')
+  })
+
+  it('rounds the fractions to 9 digits', function () {
+    assert(formatISODuration({seconds: 0.1 + 0.2}) === 'PT0.3S')
+    assert(formatISODuration({seconds: 1.0000000004}) === 'PT1S')
+  })
+
+  it('returns the duration that can be parsed by `parseISODuration`', function () {
+    var durations = [
+      {seconds: 1e-7},
+      {seconds: 1e21},
+      {hours: 2, seconds: 0.1 + 0.2},
+      {years: -1, months: -2, days: -10.25},
+      {minutes: 1, seconds: 30.5}
+    ]
+    durations.forEach(function (duration) {
+      var result = parseISODuration(formatISODuration(duration))
+      Object.keys(duration).forEach(function (unit) {
+        var actual = result[unit] || 0
+        var expected = duration[unit] || 0
+        assert(Math.abs(actual - expected) <= Math.abs(expected) * 1e-9)
+      })
+    })
+  })
+
+  describe('weeks', function () {
+    it('formats the weeks if there are no other components', function () {
+      var result = formatISODuration({weeks: 3})
+      assert(result === 'P3W')
+    })
+
+    it('converts the weeks to days if there are other components', function () {
+      var result = formatISODuration({months: 1, weeks: 2, days: 1})
+      assert(result === 'P1M15D')
+    })
+  })
+
+  describe('negative durations', function () {
+    it('formats the negative duration with the leading minus sign', function () {
+      var result = formatISODuration({days: -1, hours: -12})
+      assert(result === '-P1DT12H')
+    })
+
+    it('formats the negative weeks', function () {
+      var result = formatISODuration({weeks: -3})
+      assert(result === '-P3W')
+    })
+
+    it('throws `RangeError` if the duration contains both positive and negative values', function () {
+      var block = formatISODuration.bind(null, {days: 1, hours: -1})
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('throws `RangeError` if the duration contains a value that is not a finite number', function () {
+    var block = formatISODuration.bind(null, {days: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(formatISODuration.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatRFC2822 from '.'
+
+suite('formatRFC2822', function () {
+  benchmark('date-fns', function () {
+    return formatRFC2822(this.date)
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
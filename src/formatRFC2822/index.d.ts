@@ -0,0 +1,4 @@
+// This file is generated automatically by `scripts/build/typings.js`. Please, don't change it.
+
+import {formatRFC2822} from 'date-fns'
+export = formatRFC2822
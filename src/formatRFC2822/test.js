@@ -0,0 +1,59 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatRFC2822 from '.'
+import eo from '../locale/eo'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('formatRFC2822', function () {
+  var date = new Date(Date.UTC(2014, 6 /* Jul */, 2, 8, 5, 9, 123))
+
+  it('formats the date according to RFC 2822', function () {
+    var result = formatRFC2822(date)
+    assert(result === 'Wed, 02 Jul 2014 08:05:09 +0000')
+  })
+
+  it('always formats the date in GMT', function () {
+    var localDate = new Date(2014, 6 /* Jul */, 2, 23, 59, 59)
+    var result = formatRFC2822(localDate)
+    assert(result === localDate.toUTCString().replace('GMT', '+0000'))
+  })
+
+  it('ignores the locale and the time zone options', function () {
+    var result = formatRFC2822(date, {locale: eo, timeZone: tokyo})
+    assert(result === 'Wed, 02 Jul 2014 08:05:09 +0000')
+  })
+
+  it('formats the years with 4 digits', function () {
+    var oldDate = new Date(0)
+    oldDate.setUTCFullYear(99, 11 /* Dec */, 31)
+    var result = formatRFC2822(oldDate)
+    assert(result === 'Thu, 31 Dec 0099 00:00:00 +0000')
+  })
+
+  it('accepts the strings and the numbers', function () {
+    assert(formatRFC2822(date.getTime()) === 'Wed, 02 Jul 2014 08:05:09 +0000')
+    assert(formatRFC2822('2014-07-02T08:05:09Z') === 'Wed, 02 Jul 2014 08:05:09 +0000')
+  })
+
+  it("returns 'Invalid Date' if the date isn't valid", function () {
+    assert(formatRFC2822(new Date(NaN)) === 'Invalid Date')
+  })
+
+  it('throws `RangeError` if the year is before 0 or after 9999', function () {
+    var farDate = new Date(0)
+    farDate.setUTCFullYear(12345, 0 /* Jan */, 1)
+    assert.throws(formatRFC2822.bind(null, farDate), RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = formatRFC2822.bind(null, date, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(formatRFC2822.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatRFC3339 from '.'
+
+suite('formatRFC3339', function () {
+  benchmark('date-fns', function () {
+    return formatRFC3339(this.date)
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
@@ -0,0 +1,57 @@
+import formatISO from '../formatISO/index.js'
+import cloneObject from '../_lib/cloneObject/index.js'
+
+/**
+ * @name formatRFC3339
+ * @category Common Helpers
+ * @summary Format the date according to RFC 3339.
+ *
+ * @description
+ * Return the RFC 3339 representation of the date in the local time zone
+ * or in `options.timeZone` (e.g. `2014-07-02T10:30:45+02:00`).
+ * It's the complete extended format of [formatISO]{@link https://date-fns.org/docs/formatISO},
+ * so the zero offset is formatted as `Z`.
+ *
+ * RFC 3339 allows only 4-digit years, so the dates before year 0 or after year 9999 can't be formatted.
+ *
+ * If the date is invalid, the result is 'Invalid Date'.
+ *
+ * @param {Date|String|Number} date - the original date
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {0|1|2|3} [options.fractionDigits=0] - the number of the digits of the fraction of a second
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {String} the RFC 3339 date string
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.fractionDigits` must be 0, 1, 2 or 3
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ * @throws {RangeError} the year must be between 0 and 9999
+ *
+ * @example
+ * // Format 2 July 2014, 10:30:45.123 in UTC+02:00:
+ * var result = formatRFC3339(new Date(2014, 6, 2, 10, 30, 45, 123))
+ * //=> '2014-07-02T10:30:45+02:00'
+ *
+ * @example
+ * // Format the date in UTC with milliseconds:
+ * var result = formatRFC3339(new Date(2014, 6, 2, 10, 30, 45, 123), {fractionDigits: 3, timeZone: 'UTC'})
+ * //=> '2014-07-02T08:30:45.123Z'
+ */
+export default function formatRFC3339 (dirtyDate, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var isoOptions = cloneObject(dirtyOptions)
+  isoOptions.format = 'extended'
+  isoOptions.representation = 'complete'
+
+  var result = formatISO(dirtyDate, isoOptions)
+
+  if (result[0] === '-' || result[0] === '+') {
+    throw new RangeError('year must be between 0 and 9999')
+  }
+
+  return result
+}
@@ -0,0 +1,53 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatRFC3339 from '.'
+import newYork from '../timeZone/America/New_York'
+
+describe('formatRFC3339', function () {
+  var date = new Date(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45, 123))
+
+  it('formats the date according to RFC 3339', function () {
+    var result = formatRFC3339(date, {timeZone: '+02:00'})
+    assert(result === '2014-07-02T10:30:45+02:00')
+  })
+
+  it('formats the zero offset as `Z`', function () {
+    var result = formatRFC3339(date, {timeZone: 'UTC'})
+    assert(result === '2014-07-02T08:30:45Z')
+  })
+
+  it('formats the fraction of a second with `options.fractionDigits` digits', function () {
+    var result = formatRFC3339(date, {fractionDigits: 3, timeZone: newYork})
+    assert(result === '2014-07-02T04:30:45.123-04:00')
+  })
+
+  it('ignores the `format` and the `representation` options of `formatISO`', function () {
+    var result = formatRFC3339(date, {format: 'basic', representation: 'date', timeZone: 'UTC'})
+    assert(result === '2014-07-02T08:30:45Z')
+  })
+
+  it("returns 'Invalid Date' if the date isn't valid", function () {
+    assert(formatRFC3339(new Date(NaN)) === 'Invalid Date')
+  })
+
+  it('throws `RangeError` if the year is before 0 or after 9999', function () {
+    var bcDate = new Date(0)
+    bcDate.setUTCFullYear(-43, 2 /* Mar */, 15)
+    assert.throws(formatRFC3339.bind(null, bcDate, {timeZone: 'UTC'}), RangeError)
+    var farDate = new Date(0)
+    farDate.setUTCFullYear(12345, 0 /* Jan */, 1)
+    assert.throws(formatRFC3339.bind(null, farDate, {timeZone: 'UTC'}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.fractionDigits` is not convertable to 0, 1, 2, 3 or undefined', function () {
+    // $ExpectedMistake
+    var block = formatRFC3339.bind(null, date, {fractionDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(formatRFC3339.bind(null), TypeError)
+  })
+})
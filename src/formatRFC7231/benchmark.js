@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatRFC7231 from '.'
+
+suite('formatRFC7231', function () {
+  benchmark('date-fns', function () {
+    return formatRFC7231(this.date)
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
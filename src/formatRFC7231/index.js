@@ -0,0 +1,37 @@
+import formatGMTDateTime from '../_lib/formatGMTDateTime/index.js'
+
+/**
+ * @name formatRFC7231
+ * @category Common Helpers
+ * @summary Format the date according to RFC 7231.
+ *
+ * @description
+ * Return the RFC 7231 representation of the date used in the HTTP headers,
+ * like `Date`, `Expires` and `Last-Modified` (e.g. `Wed, 02 Jul 2014 08:30:45 GMT`).
+ *
+ * The result depends neither on the local time zone nor on the locale:
+ * the time is always in GMT, and the days of the week and the months have the English names.
+ * The milliseconds are omitted.
+ *
+ * If the date is invalid, the result is 'Invalid Date'.
+ *
+ * @param {Date|String|Number} date - the original date
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {String} the RFC 7231 date string
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} the year must be between 0 and 9999
+ *
+ * @example
+ * // Format 2 July 2014, 10:30:45 in UTC+02:00:
+ * var result = formatRFC7231(new Date(2014, 6, 2, 10, 30, 45))
+ * //=> 'Wed, 02 Jul 2014 08:30:45 GMT'
+ */
+export default function formatRFC7231 (dirtyDate, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  return formatGMTDateTime(dirtyDate, dirtyOptions, 'GMT')
+}
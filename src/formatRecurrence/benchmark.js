@@ -0,0 +1,20 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatRecurrence from '.'
+
+suite('formatRecurrence', function () {
+  benchmark('date-fns', function () {
+    return formatRecurrence(this.rule)
+  })
+}, {
+  setup: function () {
+    this.rule = {
+      freq: 'weekly',
+      interval: 2,
+      byDay: [{day: 1}, {day: 3}],
+      until: new Date(2014, 2, 3)
+    }
+  }
+})
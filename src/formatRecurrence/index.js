@@ -0,0 +1,175 @@
+import cloneObject from '../_lib/cloneObject/index.js'
+import format from '../format/index.js'
+import normalizeRecurrenceRule from '../_lib/normalizeRecurrenceRule/index.js'
+import parseRRule from '../parseRRule/index.js'
+import defaultLocale from '../locale/en-US/index.js'
+
+var frequencyTokens = {
+  yearly: 'everyXYears',
+  monthly: 'everyXMonths',
+  weekly: 'everyXWeeks',
+  daily: 'everyXDays',
+  hourly: 'everyXHours',
+  minutely: 'everyXMinutes',
+  secondly: 'everyXSeconds'
+}
+
+/**
+ * @name formatRecurrence
+ * @category Recurrence Helpers
+ * @summary Describe the recurrence rule in words.
+ *
+ * @description
+ * Return the human-readable description of the recurrence rule,
+ * e.g. 'Every 2 weeks on Monday and Wednesday, until March 3 2014'.
+ * See [RecurrenceRule]{@link docs/types/RecurrenceRule}.
+ *
+ * The names of the days of the week and the months and the ordinal numbers are taken
+ * from `localize` property of the locale, and the rest of the phrases
+ * from its `formatRecurrence` property. The date of UNTIL is formatted with `LL` format
+ * of the locale, in the time zone of the rule.
+ *
+ * The description includes the frequency, the interval, the months, the days of the month,
+ * the days of the week, the positions of the occurrences, COUNT and UNTIL.
+ * The start of the rule, EXDATE and RDATE are not described, so `start` property can be omitted.
+ *
+ * @param {RecurrenceRule|String} rule - the recurrence rule object or the RRULE string.
+ *   See [RecurrenceRule]{@link docs/types/RecurrenceRule} and [parseRRule]{@link https://date-fns.org/docs/parseRRule}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {TimeZone[]|Object} [options.timeZones] - the time zones that TZID parameters of the string rule refer to.
+ *   See [parseRRule]{@link https://date-fns.org/docs/parseRRule}
+ * @returns {String} the description of the rule
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} the rule must be a valid recurrence rule
+ * @throws {RangeError} TZID must be the name of a time zone in `options.timeZones`
+ * @throws {RangeError} `options.locale` must contain `formatRecurrence` property
+ * @throws {RangeError} `options.locale` must contain `localize` property
+ * @throws {RangeError} `options.locale` must contain `formatLong` property
+ *
+ * @example
+ * // Describe the rule of every other Monday and Wednesday:
+ * var result = formatRecurrence({
+ *   freq: 'weekly',
+ *   interval: 2,
+ *   byDay: [{day: 1}, {day: 3}],
+ *   until: new Date(2014, 2, 3)
+ * })
+ * //=> 'Every 2 weeks on Monday and Wednesday, until March 3 2014'
+ *
+ * @example
+ * // Describe the RRULE string:
+ * var result = formatRecurrence('FREQ=MONTHLY;BYDAY=-1FR;COUNT=6')
+ * //=> 'Every month on the last Friday, 6 times'
+ *
+ * @example
+ * // Describe the rule in Esperanto:
+ * import { eoLocale } from 'date-fns/locale/eo'
+ * var result = formatRecurrence('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH', {locale: eoLocale})
+ * //=> 'Ĉiun jaron en novembro je la 4-a ĵaŭdo'
+ */
+export default function formatRecurrence (dirtyRule, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var locale = options.locale || defaultLocale
+
+  if (!locale.formatRecurrence) {
+    throw new RangeError('locale must contain formatRecurrence property')
+  }
+
+  if (!locale.localize) {
+    throw new RangeError('locale must contain localize property')
+  }
+
+  // The start of the rule is not described, so it's not required
+  var dirtyRuleObject = typeof dirtyRule === 'string' ? parseRRule(dirtyRule, options) : cloneObject(dirtyRule)
+  if (dirtyRuleObject.start === undefined) {
+    dirtyRuleObject.start = 0
+  }
+  var rule = normalizeRecurrenceRule(dirtyRuleObject, options)
+
+  var localize = locale.localize
+  var parts = [formatToken(locale, frequencyTokens[rule.freq], rule.interval, {}, options)]
+
+  if (rule.byMonth.length > 0) {
+    var months = rule.byMonth.map(function (month) {
+      return localize.month(month, {type: 'long'})
+    })
+    parts.push(formatToken(locale, 'inMonths', months.length, {list: formatList(locale, months, options)}, options))
+  }
+
+  if (rule.byMonthDay.length > 0) {
+    var monthDays = rule.byMonthDay.map(function (monthDay) {
+      var nth = Math.abs(monthDay)
+      var token = monthDay > 0 ? 'monthDay' : 'lastMonthDay'
+      return formatToken(locale, token, nth, {nth: localize.ordinalNumber(nth, {unit: 'dayOfMonth'})}, options)
+    })
+    parts.push(formatToken(locale, 'onMonthDays', monthDays.length, {list: formatList(locale, monthDays, options)}, options))
+  }
+
+  if (rule.byDay.length > 0) {
+    var weekdays = rule.byDay.map(function (weekday) {
+      // The day of the week is passed to the locale to choose the grammatical gender
+      var weekdayOptions = cloneObject(options)
+      weekdayOptions.day = weekday.day
+
+      var values = {weekday: localize.weekday(weekday.day, {type: 'long'})}
+      if (weekday.nth === undefined) {
+        return formatToken(locale, 'weekday', 1, values, weekdayOptions)
+      }
+
+      var nth = Math.abs(weekday.nth)
+      var token = weekday.nth > 0 ? 'nthWeekday' : 'lastWeekday'
+      values.nth = localize.ordinalNumber(nth)
+      return formatToken(locale, token, nth, values, weekdayOptions)
+    })
+    parts.push(formatToken(locale, 'onWeekdays', weekdays.length, {list: formatList(locale, weekdays, options)}, options))
+  }
+
+  var clauses = [parts.join(locale.formatRecurrence('partSeparator', 1, options))]
+
+  if (rule.bySetPos.length > 0) {
+    var setPositions = rule.bySetPos.map(function (setPosition) {
+      var nth = Math.abs(setPosition)
+      var token = setPosition > 0 ? 'setPosition' : 'lastSetPosition'
+      return formatToken(locale, token, nth, {nth: localize.ordinalNumber(nth)}, options)
+    })
+    clauses.push(formatToken(locale, 'setPositions', setPositions.length, {list: formatList(locale, setPositions, options)}, options))
+  }
+
+  if (rule.count !== undefined) {
+    clauses.push(formatToken(locale, 'xTimes', rule.count, {}, options))
+  } else if (rule.until !== undefined) {
+    var until = format(rule.until, 'LL', {locale: locale, timeZone: rule.timeZone})
+    clauses.push(formatToken(locale, 'until', 1, {date: until}, options))
+  }
+
+  return clauses.join(locale.formatRecurrence('clauseSeparator', 1, options))
+}
+
+// Takes the phrase of the locale and replaces the placeholders (e.g. `{{list}}`) with the values
+function formatToken (locale, token, count, values, options) {
+  var result = locale.formatRecurrence(token, count, options)
+  for (var name in values) {
+    if (values.hasOwnProperty(name)) {
+      result = result.replace('{{' + name + '}}', values[name])
+    }
+  }
+  return result
+}
+
+// Joins the values with the list separators of the locale, e.g. 'Monday, Wednesday and Friday'
+function formatList (locale, values, options) {
+  var lastValue = values[values.length - 1]
+  if (values.length === 1) {
+    return lastValue
+  }
+
+  return values.slice(0, -1).join(locale.formatRecurrence('listSeparator', 1, options)) +
+    locale.formatRecurrence('lastListSeparator', 1, options) +
+    lastValue
+}
@@ -0,0 +1,155 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatRecurrence from '.'
+import deLocale from '../locale/de'
+import jaLocale from '../locale/ja'
+import ruLocale from '../locale/ru'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('formatRecurrence', function () {
+  it('describes the frequency and the days of the week', function () {
+    var result = formatRecurrence({
+      start: new Date(2014, 0 /* Jan */, 6, 9),
+      freq: 'weekly',
+      interval: 2,
+      byDay: [{day: 1}, {day: 3}]
+    })
+    assert(result === 'Every 2 weeks on Monday and Wednesday')
+  })
+
+  it('describes all frequencies', function () {
+    assert(formatRecurrence({freq: 'yearly'}) === 'Every year')
+    assert(formatRecurrence({freq: 'monthly', interval: 3}) === 'Every 3 months')
+    assert(formatRecurrence({freq: 'weekly'}) === 'Every week')
+    assert(formatRecurrence({freq: 'daily', interval: 10}) === 'Every 10 days')
+    assert(formatRecurrence({freq: 'hourly'}) === 'Every hour')
+    assert(formatRecurrence({freq: 'minutely', interval: 15}) === 'Every 15 minutes')
+    assert(formatRecurrence({freq: 'secondly', interval: 30}) === 'Every 30 seconds')
+  })
+
+  it('describes UNTIL', function () {
+    var result = formatRecurrence({freq: 'daily', until: new Date(2014, 2 /* Mar */, 3)})
+    assert(result === 'Every day, until March 3 2014')
+  })
+
+  it('describes UNTIL in the time zone of the rule', function () {
+    var result = formatRecurrence({
+      freq: 'daily',
+      until: new Date(Date.UTC(2014, 2 /* Mar */, 3, 23)),
+      timeZone: tokyo
+    })
+    assert(result === 'Every day, until March 4 2014')
+  })
+
+  it('describes COUNT', function () {
+    assert(formatRecurrence({freq: 'daily', count: 1}) === 'Every day, once')
+    assert(formatRecurrence({freq: 'daily', count: 5}) === 'Every day, 5 times')
+  })
+
+  it('describes the ordinal days of the week', function () {
+    var result = formatRecurrence({
+      freq: 'monthly',
+      byDay: [{day: 1, nth: 1}, {day: 5, nth: -1}, {day: 0, nth: -2}]
+    })
+    assert(result === 'Every month on the 1st Monday, the last Friday and the 2nd to last Sunday')
+  })
+
+  it('describes the months', function () {
+    var result = formatRecurrence({freq: 'yearly', byMonth: [10], byDay: [{day: 4, nth: 4}]})
+    assert(result === 'Every year in November on the 4th Thursday')
+  })
+
+  it('describes the days of the month', function () {
+    var result = formatRecurrence({freq: 'monthly', byMonthDay: [1, 15, -1, -3]})
+    assert(result === 'Every month on the 1st, the 15th, the last day and the 3rd to last day')
+  })
+
+  it('describes the positions of the occurrences', function () {
+    var result = formatRecurrence({
+      freq: 'monthly',
+      byDay: [{day: 1}, {day: 2}, {day: 3}, {day: 4}, {day: 5}],
+      bySetPos: [-1]
+    })
+    assert(result === 'Every month on Monday, Tuesday, Wednesday, Thursday and Friday, only the last occurrence')
+  })
+
+  it('describes several positions of the occurrences', function () {
+    var result = formatRecurrence({freq: 'monthly', byDay: [{day: 6}, {day: 0}], bySetPos: [1, -2]})
+    assert(result === 'Every month on Saturday and Sunday, only the 1st and the 2nd to last occurrences')
+  })
+
+  it('describes the RRULE string', function () {
+    var result = formatRecurrence('FREQ=MONTHLY;BYDAY=-1FR;COUNT=6')
+    assert(result === 'Every month on the last Friday, 6 times')
+  })
+
+  it('describes the RRULE string with DTSTART', function () {
+    var result = formatRecurrence('DTSTART:20140106T090000\nRRULE:FREQ=WEEKLY;BYDAY=MO,WE;UNTIL=20140303')
+    assert(result === 'Every week on Monday and Wednesday, until March 3 2014')
+  })
+
+  it('does not require the start of the rule', function () {
+    var result = formatRecurrence({freq: 'daily', interval: 2})
+    assert(result === 'Every 2 days')
+  })
+
+  it('accepts a string as UNTIL', function () {
+    var result = formatRecurrence({freq: 'daily', until: new Date(2014, 2 /* Mar */, 3).toISOString()})
+    assert(result === 'Every day, until March 3 2014')
+  })
+
+  describe('options.locale', function () {
+    it('uses the names and the ordinal numbers of the locale', function () {
+      var result = formatRecurrence('FREQ=YEARLY;BYMONTH=11;BYDAY=4TH;COUNT=3', {locale: deLocale})
+      assert(result === 'Jedes Jahr im November am 4. Donnerstag, 3 Mal')
+    })
+
+    it('uses the separators of the locale', function () {
+      var result = formatRecurrence('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE,FR', {locale: jaLocale})
+      assert(result === '2週間ごとの月曜日、水曜日と金曜日')
+    })
+
+    it('passes the day of the week to the locale', function () {
+      var result = formatRecurrence('FREQ=MONTHLY;BYDAY=-1TH,-1FR', {locale: ruLocale})
+      assert(result === 'Каждый месяц, последний четверг и последняя пятница')
+    })
+
+    it('throws `RangeError` if `options.locale` does not contain `formatRecurrence` property', function () {
+      // $ExpectedMistake
+      var customLocale = {localize: {}}
+      // $ExpectedMistake
+      var block = formatRecurrence.bind(null, {freq: 'daily'}, {locale: customLocale})
+      assert.throws(block, RangeError)
+    })
+
+    it('throws `RangeError` if `options.locale` does not contain `localize` property', function () {
+      var customLocale = {formatRecurrence: function () {}}
+      // $ExpectedMistake
+      var block = formatRecurrence.bind(null, {freq: 'daily'}, {locale: customLocale})
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('throws `RangeError` if the rule is invalid', function () {
+    // $ExpectedMistake
+    assert.throws(formatRecurrence.bind(null, {freq: 'fortnightly'}), RangeError)
+    assert.throws(formatRecurrence.bind(null, {freq: 'daily', interval: 0}), RangeError)
+    assert.throws(formatRecurrence.bind(null, {freq: 'daily', count: 2, until: new Date()}), RangeError)
+    assert.throws(formatRecurrence.bind(null, {freq: 'weekly', byDay: [{day: 7}]}), RangeError)
+  })
+
+  it('throws `RangeError` if the start of the rule is invalid', function () {
+    var block = formatRecurrence.bind(null, {start: new Date(NaN), freq: 'daily'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if the RRULE string is invalid', function () {
+    assert.throws(formatRecurrence.bind(null, 'FREQ=FORTNIGHTLY'), RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(formatRecurrence.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import formatToParts from '.'
+
+suite('formatToParts', function () {
+  benchmark('date-fns', function () {
+    return formatToParts(this.date, 'dddd, MMMM Do YYYY, h:mm:ss a')
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
@@ -0,0 +1,93 @@
+import tokenizeFormat from '../format/_lib/tokenizeFormat/index.js'
+import formatTokens from '../format/_lib/formatTokens/index.js'
+
+/**
+ * @name formatToParts
+ * @category Common Helpers
+ * @summary Format the date into the array of parts.
+ *
+ * @description
+ * Return the date formatted like in [format]{@link https://date-fns.org/docs/format},
+ * split into the parts, so each one can be styled separately.
+ * Each part is an object with `type` and `value` properties.
+ * The values of the parts joined together are the result of `format`.
+ *
+ * The types of the parts are the same as the ones of `Intl.DateTimeFormat.prototype.formatToParts`,
+ * where possible:
+ * | Type             | Tokens                              | Unicode tokens      |
+ * |------------------|-------------------------------------|---------------------|
+ * | era              | N, NN, NNN, NNNN, NNNNN             | G                   |
+ * | year             | y, YY, YYYY                         | y, u                |
+ * | weekYear         |                                     | Y                   |
+ * | isoWeekYear      | GG, GGGG                            |                     |
+ * | quarter          | Q, Qo                               | Q, q                |
+ * | month            | M, Mo, MM, MMM, MMMM                | M, L                |
+ * | week             |                                     | w                   |
+ * | isoWeek          | W, Wo, WW                           |                     |
+ * | day              | D, Do, DD                           | d                   |
+ * | dayOfYear        | DDD, DDDo, DDDD                     | D                   |
+ * | weekday          | d, do, dd, ddd, dddd, E             | E, e, c             |
+ * | dayPeriod        | A, a, aa                            | a, B                |
+ * | hour             | H, HH, h, hh                        | h, H, K, k          |
+ * | minute           | m, mm                               | m                   |
+ * | second           | s, ss                               | s                   |
+ * | fractionalSecond | S, SS, SSS                          | S                   |
+ * | timeZoneName     | Z, ZZ, ZZZ, z, zzzz, O, OOOO        | X, x, Z, O, z       |
+ * | timestamp        | X, x                                |                     |
+ * | literal          | [escaped text] and other characters | 'escaped text' etc. |
+ *
+ * The adjacent literals are joined into one part.
+ * The formatters of the locale that format several units at once (e.g. 'D MMMM')
+ * have the type of the first unit, or 'unknown' if it's not a token.
+ *
+ * If the date is invalid, the result is the only literal part 'Invalid Date'.
+ *
+ * @param {Date|String|Number} date - the original date
+ * @param {String} format - the string of tokens. See [format]{@link https://date-fns.org/docs/format}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @param {Boolean} [options.unicodeTokens=false] - if true, the format string consists of Unicode Technical Standard #35 tokens
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn] - the index of the first day of the week for the Unicode tokens (0 - Sunday).
+ *   By default, the one of the locale
+ * @param {1|2|3|4|5|6|7} [options.firstWeekContainsDate] - the day of January, which is always in the first week of the year,
+ *   for the Unicode tokens. By default, the one of the locale
+ * @returns {Object[]} the array of the parts with `type` and `value` properties
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.locale` must contain `localize` property
+ * @throws {RangeError} `options.locale` must contain `formatLong` property
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} `options.firstWeekContainsDate` must be between 1 and 7
+ * @throws {RangeError} format string must not contain unescaped latin letters that aren't tokens
+ *
+ * @example
+ * // Split 2 July 2014 into parts:
+ * var result = formatToParts(new Date(2014, 6, 2), 'dddd, MMMM Do [of] YYYY')
+ * //=> [
+ * //   {type: 'weekday', value: 'Wednesday'},
+ * //   {type: 'literal', value: ', '},
+ * //   {type: 'month', value: 'July'},
+ * //   {type: 'literal', value: ' '},
+ * //   {type: 'day', value: '2nd'},
+ * //   {type: 'literal', value: ' of '},
+ * //   {type: 'year', value: '2014'}
+ * // ]
+ */
+export default function formatToParts (dirtyDate, dirtyFormatStr, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var formatStr = String(dirtyFormatStr)
+  var tokenized = tokenizeFormat(formatStr, dirtyOptions)
+  var parts = formatTokens(tokenized.tokens, dirtyDate, tokenized.options)
+
+  if (!parts) {
+    return [{type: 'literal', value: 'Invalid Date'}]
+  }
+
+  return parts
+}
@@ -0,0 +1,207 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import formatToParts from '.'
+import format from '../format'
+import ru from '../locale/ru'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('formatToParts', function () {
+  var date = new Date(1986, 3 /* Apr */, 4, 10, 32, 5, 900)
+
+  function joinParts (parts) {
+    return parts
+      .map(function (part) {
+        return part.value
+      })
+      .join('')
+  }
+
+  it('splits the formatted date into the typed parts', function () {
+    var result = formatToParts(date, 'dddd, MMMM Do YYYY, h:mm:ss.SSS a')
+    assert.deepEqual(result, [
+      {type: 'weekday', value: 'Friday'},
+      {type: 'literal', value: ', '},
+      {type: 'month', value: 'April'},
+      {type: 'literal', value: ' '},
+      {type: 'day', value: '4th'},
+      {type: 'literal', value: ' '},
+      {type: 'year', value: '1986'},
+      {type: 'literal', value: ', '},
+      {type: 'hour', value: '10'},
+      {type: 'literal', value: ':'},
+      {type: 'minute', value: '32'},
+      {type: 'literal', value: ':'},
+      {type: 'second', value: '05'},
+      {type: 'literal', value: '.'},
+      {type: 'fractionalSecond', value: '900'},
+      {type: 'literal', value: ' '},
+      {type: 'dayPeriod', value: 'am'}
+    ])
+  })
+
+  it('returns the values as strings', function () {
+    var result = formatToParts(date, 'D M')
+    assert.deepEqual(result, [
+      {type: 'day', value: '4'},
+      {type: 'literal', value: ' '},
+      {type: 'month', value: '4'}
+    ])
+  })
+
+  it('joins the escaped characters with the adjacent literals', function () {
+    var result = formatToParts(date, 'D [of the month] \\M\\M: MM')
+    assert.deepEqual(result, [
+      {type: 'day', value: '4'},
+      {type: 'literal', value: ' of the month MM: '},
+      {type: 'month', value: '04'}
+    ])
+  })
+
+  it('returns the types of the rest of the tokens', function () {
+    var result = formatToParts(date, 'NNN Q W GGGG DDD E ZZ X')
+      .filter(function (part) {
+        return part.type !== 'literal'
+      })
+      .map(function (part) {
+        return part.type
+      })
+    assert.deepEqual(result, [
+      'era', 'quarter', 'isoWeek', 'isoWeekYear', 'dayOfYear', 'weekday', 'timeZoneName', 'timestamp'
+    ])
+  })
+
+  it('splits the long formats', function () {
+    var result = formatToParts(date, 'LT')
+    assert.deepEqual(result, [
+      {type: 'hour', value: '10'},
+      {type: 'literal', value: ':'},
+      {type: 'minute', value: '32'},
+      {type: 'literal', value: ' '},
+      {type: 'dayPeriod', value: 'a.m.'}
+    ])
+  })
+
+  it('uses the formatters of the locale', function () {
+    var result = formatToParts(date, 'D MMMM YYYY', {locale: ru})
+    assert.deepEqual(result, [
+      {type: 'day', value: '4 апреля'},
+      {type: 'literal', value: ' '},
+      {type: 'year', value: '1986'}
+    ])
+  })
+
+  it('returns `unknown` type for the locale formatters that are not tokens', function () {
+    var customLocale = {
+      localize: {},
+      formatLong: function () {},
+      formatters: {
+        '!': function () {
+          return 'bang'
+        }
+      },
+      formattingTokensRegExp: /(\[[^[]*])|(\\)?(!|YYYY|.)/g
+    }
+    // $ExpectedMistake
+    var result = formatToParts(date, 'YYYY!', {locale: customLocale})
+    assert.deepEqual(result, [
+      {type: 'year', value: '1986'},
+      {type: 'unknown', value: 'bang'}
+    ])
+  })
+
+  it('supports the Unicode tokens', function () {
+    var result = formatToParts(date, "EEEE, d MMMM y G 'at' h B", {unicodeTokens: true})
+    assert.deepEqual(result, [
+      {type: 'weekday', value: 'Friday'},
+      {type: 'literal', value: ', '},
+      {type: 'day', value: '4'},
+      {type: 'literal', value: ' '},
+      {type: 'month', value: 'April'},
+      {type: 'literal', value: ' '},
+      {type: 'year', value: '1986'},
+      {type: 'literal', value: ' '},
+      {type: 'era', value: 'AD'},
+      {type: 'literal', value: ' at '},
+      {type: 'hour', value: '10'},
+      {type: 'literal', value: ' '},
+      {type: 'dayPeriod', value: 'in the morning'}
+    ])
+  })
+
+  it('supports the presets', function () {
+    var result = formatToParts(new Date(Date.UTC(1998, 0 /* Jan */, 18, 23)), 'iCalDateTimeUTC')
+    assert.deepEqual(result, [
+      {type: 'year', value: '1998'},
+      {type: 'month', value: '01'},
+      {type: 'day', value: '18'},
+      {type: 'literal', value: 'T'},
+      {type: 'hour', value: '23'},
+      {type: 'minute', value: '00'},
+      {type: 'second', value: '00'},
+      {type: 'literal', value: 'Z'}
+    ])
+  })
+
+  it('formats in `options.timeZone`', function () {
+    var result = formatToParts(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)), 'HH z', {timeZone: tokyo})
+    assert.deepEqual(result, [
+      {type: 'hour', value: '05'},
+      {type: 'literal', value: ' '},
+      {type: 'timeZoneName', value: 'GMT+9'}
+    ])
+  })
+
+  it('returns the parts that are joined into the result of `format`', function () {
+    var formatStrings = [
+      'dddd, MMMM Do YYYY, h:mm:ss a',
+      'LLLL',
+      '[YYYY] \\D YYYY-MM-DDTHH:mm:ss.SSSZ',
+      'Wo GG E X x',
+      'line 1\nline 2'
+    ]
+    formatStrings.forEach(function (formatStr) {
+      assert(joinParts(formatToParts(date, formatStr)) === format(date, formatStr))
+      assert(joinParts(formatToParts(date, formatStr, {locale: ru})) === format(date, formatStr, {locale: ru}))
+    })
+  })
+
+  it('accepts a string', function () {
+    var result = formatToParts(new Date(2014, 3 /* Apr */, 4).toISOString(), 'YYYY')
+    assert.deepEqual(result, [{type: 'year', value: '2014'}])
+  })
+
+  it('accepts a timestamp', function () {
+    var result = formatToParts(new Date(2014, 3 /* Apr */, 4).getTime(), 'YYYY')
+    assert.deepEqual(result, [{type: 'year', value: '2014'}])
+  })
+
+  it('returns the literal `Invalid Date` if the date is invalid', function () {
+    var result = formatToParts(new Date(NaN), 'YYYY')
+    assert.deepEqual(result, [{type: 'literal', value: 'Invalid Date'}])
+  })
+
+  it("throws `RangeError` if `options.locale` doesn't have `localize` property", function () {
+    var customLocale = {formatLong: function () {}}
+    // $ExpectedMistake
+    var block = formatToParts.bind(null, date, 'YYYY', {locale: customLocale})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if the format string contains an unescaped latin letter', function () {
+    var block = formatToParts.bind(null, date, 'yyyy T', {unicodeTokens: true})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = formatToParts.bind(null, date, 'YYYY', {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(formatToParts.bind(null), TypeError)
+    assert.throws(formatToParts.bind(null, date), TypeError)
+  })
+})
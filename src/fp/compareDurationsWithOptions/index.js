@@ -0,0 +1,8 @@
+// This file is generated automatically by `scripts/build/fp.js`. Please, don't change it.
+
+import fn from '../../compareDurations/index.js'
+import convertToFP from '../_lib/convertToFP/index.js'
+
+var compareDurationsWithOptions = convertToFP(fn, 3)
+
+export default compareDurationsWithOptions
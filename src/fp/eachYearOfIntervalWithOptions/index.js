@@ -0,0 +1,8 @@
+// This file is generated automatically by `scripts/build/fp.js`. Please, don't change it.
+
+import fn from '../../eachYearOfInterval/index.js'
+import convertToFP from '../_lib/convertToFP/index.js'
+
+var eachYearOfIntervalWithOptions = convertToFP(fn, 2)
+
+export default eachYearOfIntervalWithOptions
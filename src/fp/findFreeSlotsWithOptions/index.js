@@ -0,0 +1,8 @@
+// This file is generated automatically by `scripts/build/fp.js`. Please, don't change it.
+
+import fn from '../../findFreeSlots/index.js'
+import convertToFP from '../_lib/convertToFP/index.js'
+
+var findFreeSlotsWithOptions = convertToFP(fn, 2)
+
+export default findFreeSlotsWithOptions
@@ -0,0 +1,8 @@
+// This file is generated automatically by `scripts/build/fp.js`. Please, don't change it.
+
+import fn from '../../formatRFC2822/index.js'
+import convertToFP from '../_lib/convertToFP/index.js'
+
+var formatRFC2822WithOptions = convertToFP(fn, 2)
+
+export default formatRFC2822WithOptions
@@ -1,8 +1,13 @@
 // This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
 
 module.exports = {
+  add: require('./add/index.js'),
+  addBusinessDays: require('./addBusinessDays/index.js'),
+  addBusinessDaysWithOptions: require('./addBusinessDaysWithOptions/index.js'),
   addDays: require('./addDays/index.js'),
   addDaysWithOptions: require('./addDaysWithOptions/index.js'),
+  addDurations: require('./addDurations/index.js'),
+  addDurationsWithOptions: require('./addDurationsWithOptions/index.js'),
   addHours: require('./addHours/index.js'),
   addHoursWithOptions: require('./addHoursWithOptions/index.js'),
   addISOWeekYears: require('./addISOWeekYears/index.js'),
@@ -19,10 +24,15 @@ module.exports = {
   addSecondsWithOptions: require('./addSecondsWithOptions/index.js'),
   addWeeks: require('./addWeeks/index.js'),
   addWeeksWithOptions: require('./addWeeksWithOptions/index.js'),
+  addWithOptions: require('./addWithOptions/index.js'),
   addYears: require('./addYears/index.js'),
   addYearsWithOptions: require('./addYearsWithOptions/index.js'),
   areIntervalsOverlapping: require('./areIntervalsOverlapping/index.js'),
   areIntervalsOverlappingWithOptions: require('./areIntervalsOverlappingWithOptions/index.js'),
+  buildHolidayCalendar: require('./buildHolidayCalendar/index.js'),
+  buildHolidayCalendarWithOptions: require('./buildHolidayCalendarWithOptions/index.js'),
+  buildIntervalIndex: require('./buildIntervalIndex/index.js'),
+  buildIntervalIndexWithOptions: require('./buildIntervalIndexWithOptions/index.js'),
   closestIndexTo: require('./closestIndexTo/index.js'),
   closestIndexToWithOptions: require('./closestIndexToWithOptions/index.js'),
   closestTo: require('./closestTo/index.js'),
@@ -31,6 +41,14 @@ module.exports = {
   compareAscWithOptions: require('./compareAscWithOptions/index.js'),
   compareDesc: require('./compareDesc/index.js'),
   compareDescWithOptions: require('./compareDescWithOptions/index.js'),
+  compareDurations: require('./compareDurations/index.js'),
+  compareDurationsWithOptions: require('./compareDurationsWithOptions/index.js'),
+  compileFormat: require('./compileFormat/index.js'),
+  compileFormatWithOptions: require('./compileFormatWithOptions/index.js'),
+  compileParse: require('./compileParse/index.js'),
+  compileParseWithOptions: require('./compileParseWithOptions/index.js'),
+  differenceInBusinessDays: require('./differenceInBusinessDays/index.js'),
+  differenceInBusinessDaysWithOptions: require('./differenceInBusinessDaysWithOptions/index.js'),
   differenceInCalendarDays: require('./differenceInCalendarDays/index.js'),
   differenceInCalendarDaysWithOptions: require('./differenceInCalendarDaysWithOptions/index.js'),
   differenceInCalendarISOWeekYears: require('./differenceInCalendarISOWeekYears/index.js'),
@@ -65,8 +83,44 @@ module.exports = {
   differenceInWeeksWithOptions: require('./differenceInWeeksWithOptions/index.js'),
   differenceInYears: require('./differenceInYears/index.js'),
   differenceInYearsWithOptions: require('./differenceInYearsWithOptions/index.js'),
+  durationToMilliseconds: require('./durationToMilliseconds/index.js'),
+  durationToMillisecondsWithOptions: require('./durationToMillisecondsWithOptions/index.js'),
+  eachCronOccurrenceIterator: require('./eachCronOccurrenceIterator/index.js'),
+  eachCronOccurrenceIteratorWithOptions: require('./eachCronOccurrenceIteratorWithOptions/index.js'),
   eachDayOfInterval: require('./eachDayOfInterval/index.js'),
+  eachDayOfIntervalIterator: require('./eachDayOfIntervalIterator/index.js'),
+  eachDayOfIntervalIteratorWithOptions: require('./eachDayOfIntervalIteratorWithOptions/index.js'),
   eachDayOfIntervalWithOptions: require('./eachDayOfIntervalWithOptions/index.js'),
+  eachHourOfInterval: require('./eachHourOfInterval/index.js'),
+  eachHourOfIntervalIterator: require('./eachHourOfIntervalIterator/index.js'),
+  eachHourOfIntervalIteratorWithOptions: require('./eachHourOfIntervalIteratorWithOptions/index.js'),
+  eachHourOfIntervalWithOptions: require('./eachHourOfIntervalWithOptions/index.js'),
+  eachMinuteOfInterval: require('./eachMinuteOfInterval/index.js'),
+  eachMinuteOfIntervalIterator: require('./eachMinuteOfIntervalIterator/index.js'),
+  eachMinuteOfIntervalIteratorWithOptions: require('./eachMinuteOfIntervalIteratorWithOptions/index.js'),
+  eachMinuteOfIntervalWithOptions: require('./eachMinuteOfIntervalWithOptions/index.js'),
+  eachMonthOfInterval: require('./eachMonthOfInterval/index.js'),
+  eachMonthOfIntervalIterator: require('./eachMonthOfIntervalIterator/index.js'),
+  eachMonthOfIntervalIteratorWithOptions: require('./eachMonthOfIntervalIteratorWithOptions/index.js'),
+  eachMonthOfIntervalWithOptions: require('./eachMonthOfIntervalWithOptions/index.js'),
+  eachOccurrenceIterator: require('./eachOccurrenceIterator/index.js'),
+  eachOccurrenceIteratorWithOptions: require('./eachOccurrenceIteratorWithOptions/index.js'),
+  eachOfInterval: require('./eachOfInterval/index.js'),
+  eachOfIntervalIterator: require('./eachOfIntervalIterator/index.js'),
+  eachOfIntervalIteratorWithOptions: require('./eachOfIntervalIteratorWithOptions/index.js'),
+  eachOfIntervalWithOptions: require('./eachOfIntervalWithOptions/index.js'),
+  eachQuarterOfInterval: require('./eachQuarterOfInterval/index.js'),
+  eachQuarterOfIntervalIterator: require('./eachQuarterOfIntervalIterator/index.js'),
+  eachQuarterOfIntervalIteratorWithOptions: require('./eachQuarterOfIntervalIteratorWithOptions/index.js'),
+  eachQuarterOfIntervalWithOptions: require('./eachQuarterOfIntervalWithOptions/index.js'),
+  eachWeekOfInterval: require('./eachWeekOfInterval/index.js'),
+  eachWeekOfIntervalIterator: require('./eachWeekOfIntervalIterator/index.js'),
+  eachWeekOfIntervalIteratorWithOptions: require('./eachWeekOfIntervalIteratorWithOptions/index.js'),
+  eachWeekOfIntervalWithOptions: require('./eachWeekOfIntervalWithOptions/index.js'),
+  eachYearOfInterval: require('./eachYearOfInterval/index.js'),
+  eachYearOfIntervalIterator: require('./eachYearOfIntervalIterator/index.js'),
+  eachYearOfIntervalIteratorWithOptions: require('./eachYearOfIntervalIteratorWithOptions/index.js'),
+  eachYearOfIntervalWithOptions: require('./eachYearOfIntervalWithOptions/index.js'),
   endOfDay: require('./endOfDay/index.js'),
   endOfDayWithOptions: require('./endOfDayWithOptions/index.js'),
   endOfHour: require('./endOfHour/index.js'),
@@ -87,14 +141,34 @@ module.exports = {
   endOfWeekWithOptions: require('./endOfWeekWithOptions/index.js'),
   endOfYear: require('./endOfYear/index.js'),
   endOfYearWithOptions: require('./endOfYearWithOptions/index.js'),
+  findFreeSlots: require('./findFreeSlots/index.js'),
+  findFreeSlotsWithOptions: require('./findFreeSlotsWithOptions/index.js'),
   format: require('./format/index.js'),
   formatDistance: require('./formatDistance/index.js'),
   formatDistanceStrict: require('./formatDistanceStrict/index.js'),
   formatDistanceStrictWithOptions: require('./formatDistanceStrictWithOptions/index.js'),
   formatDistanceWithOptions: require('./formatDistanceWithOptions/index.js'),
+  formatDuration: require('./formatDuration/index.js'),
+  formatDurationWithOptions: require('./formatDurationWithOptions/index.js'),
+  formatISO: require('./formatISO/index.js'),
+  formatISODuration: require('./formatISODuration/index.js'),
+  formatISODurationWithOptions: require('./formatISODurationWithOptions/index.js'),
+  formatISOWithOptions: require('./formatISOWithOptions/index.js'),
+  formatRFC2822: require('./formatRFC2822/index.js'),
+  formatRFC2822WithOptions: require('./formatRFC2822WithOptions/index.js'),
+  formatRFC3339: require('./formatRFC3339/index.js'),
+  formatRFC3339WithOptions: require('./formatRFC3339WithOptions/index.js'),
+  formatRFC7231: require('./formatRFC7231/index.js'),
+  formatRFC7231WithOptions: require('./formatRFC7231WithOptions/index.js'),
+  formatRecurrence: require('./formatRecurrence/index.js'),
+  formatRecurrenceWithOptions: require('./formatRecurrenceWithOptions/index.js'),
   formatRelative: require('./formatRelative/index.js'),
   formatRelativeWithOptions: require('./formatRelativeWithOptions/index.js'),
+  formatToParts: require('./formatToParts/index.js'),
+  formatToPartsWithOptions: require('./formatToPartsWithOptions/index.js'),
   formatWithOptions: require('./formatWithOptions/index.js'),
+  fromZonedTime: require('./fromZonedTime/index.js'),
+  fromZonedTimeWithOptions: require('./fromZonedTimeWithOptions/index.js'),
   getDate: require('./getDate/index.js'),
   getDateWithOptions: require('./getDateWithOptions/index.js'),
   getDay: require('./getDay/index.js'),
@@ -123,6 +197,10 @@ module.exports = {
   getMonthWithOptions: require('./getMonthWithOptions/index.js'),
   getOverlappingDaysInIntervals: require('./getOverlappingDaysInIntervals/index.js'),
   getOverlappingDaysInIntervalsWithOptions: require('./getOverlappingDaysInIntervalsWithOptions/index.js'),
+  getOverlappingInterval: require('./getOverlappingInterval/index.js'),
+  getOverlappingIntervalWithOptions: require('./getOverlappingIntervalWithOptions/index.js'),
+  getOverlappingTimeInIntervals: require('./getOverlappingTimeInIntervals/index.js'),
+  getOverlappingTimeInIntervalsWithOptions: require('./getOverlappingTimeInIntervalsWithOptions/index.js'),
   getQuarter: require('./getQuarter/index.js'),
   getQuarterWithOptions: require('./getQuarterWithOptions/index.js'),
   getSeconds: require('./getSeconds/index.js'),
@@ -135,16 +213,26 @@ module.exports = {
   getWeeksInMonthWithOptions: require('./getWeeksInMonthWithOptions/index.js'),
   getYear: require('./getYear/index.js'),
   getYearWithOptions: require('./getYearWithOptions/index.js'),
+  intersectIntervals: require('./intersectIntervals/index.js'),
+  intersectIntervalsWithOptions: require('./intersectIntervalsWithOptions/index.js'),
+  intervalToDuration: require('./intervalToDuration/index.js'),
+  intervalToDurationWithOptions: require('./intervalToDurationWithOptions/index.js'),
+  invertIntervals: require('./invertIntervals/index.js'),
+  invertIntervalsWithOptions: require('./invertIntervalsWithOptions/index.js'),
   isAfter: require('./isAfter/index.js'),
   isAfterWithOptions: require('./isAfterWithOptions/index.js'),
   isBefore: require('./isBefore/index.js'),
   isBeforeWithOptions: require('./isBeforeWithOptions/index.js'),
+  isBusinessDay: require('./isBusinessDay/index.js'),
+  isBusinessDayWithOptions: require('./isBusinessDayWithOptions/index.js'),
   isEqual: require('./isEqual/index.js'),
   isEqualWithOptions: require('./isEqualWithOptions/index.js'),
   isFirstDayOfMonth: require('./isFirstDayOfMonth/index.js'),
   isFirstDayOfMonthWithOptions: require('./isFirstDayOfMonthWithOptions/index.js'),
   isFriday: require('./isFriday/index.js'),
   isFridayWithOptions: require('./isFridayWithOptions/index.js'),
+  isHoliday: require('./isHoliday/index.js'),
+  isHolidayWithOptions: require('./isHolidayWithOptions/index.js'),
   isLastDayOfMonth: require('./isLastDayOfMonth/index.js'),
   isLastDayOfMonthWithOptions: require('./isLastDayOfMonthWithOptions/index.js'),
   isLeapYear: require('./isLeapYear/index.js'),
@@ -201,10 +289,26 @@ module.exports = {
   lastDayOfYearWithOptions: require('./lastDayOfYearWithOptions/index.js'),
   max: require('./max/index.js'),
   maxWithOptions: require('./maxWithOptions/index.js'),
+  mergeIntervals: require('./mergeIntervals/index.js'),
+  mergeIntervalsWithOptions: require('./mergeIntervalsWithOptions/index.js'),
   min: require('./min/index.js'),
   minWithOptions: require('./minWithOptions/index.js'),
+  nextCronOccurrence: require('./nextCronOccurrence/index.js'),
+  nextCronOccurrenceWithOptions: require('./nextCronOccurrenceWithOptions/index.js'),
+  normalizeDuration: require('./normalizeDuration/index.js'),
+  normalizeDurationWithOptions: require('./normalizeDurationWithOptions/index.js'),
   parse: require('./parse/index.js'),
+  parseCron: require('./parseCron/index.js'),
+  parseCronWithOptions: require('./parseCronWithOptions/index.js'),
+  parseICalDateTime: require('./parseICalDateTime/index.js'),
+  parseICalDateTimeWithOptions: require('./parseICalDateTimeWithOptions/index.js'),
+  parseISODuration: require('./parseISODuration/index.js'),
+  parseISODurationWithOptions: require('./parseISODurationWithOptions/index.js'),
+  parseRRule: require('./parseRRule/index.js'),
+  parseRRuleWithOptions: require('./parseRRuleWithOptions/index.js'),
   parseWithOptions: require('./parseWithOptions/index.js'),
+  prevCronOccurrence: require('./prevCronOccurrence/index.js'),
+  prevCronOccurrenceWithOptions: require('./prevCronOccurrenceWithOptions/index.js'),
   setDate: require('./setDate/index.js'),
   setDateWithOptions: require('./setDateWithOptions/index.js'),
   setDay: require('./setDay/index.js'),
@@ -231,6 +335,8 @@ module.exports = {
   setSecondsWithOptions: require('./setSecondsWithOptions/index.js'),
   setYear: require('./setYear/index.js'),
   setYearWithOptions: require('./setYearWithOptions/index.js'),
+  splitInterval: require('./splitInterval/index.js'),
+  splitIntervalWithOptions: require('./splitIntervalWithOptions/index.js'),
   startOfDay: require('./startOfDay/index.js'),
   startOfDayWithOptions: require('./startOfDayWithOptions/index.js'),
   startOfHour: require('./startOfHour/index.js'),
@@ -251,6 +357,9 @@ module.exports = {
   startOfWeekWithOptions: require('./startOfWeekWithOptions/index.js'),
   startOfYear: require('./startOfYear/index.js'),
   startOfYearWithOptions: require('./startOfYearWithOptions/index.js'),
+  sub: require('./sub/index.js'),
+  subBusinessDays: require('./subBusinessDays/index.js'),
+  subBusinessDaysWithOptions: require('./subBusinessDaysWithOptions/index.js'),
   subDays: require('./subDays/index.js'),
   subDaysWithOptions: require('./subDaysWithOptions/index.js'),
   subHours: require('./subHours/index.js'),
@@ -269,8 +378,13 @@ module.exports = {
   subSecondsWithOptions: require('./subSecondsWithOptions/index.js'),
   subWeeks: require('./subWeeks/index.js'),
   subWeeksWithOptions: require('./subWeeksWithOptions/index.js'),
+  subWithOptions: require('./subWithOptions/index.js'),
   subYears: require('./subYears/index.js'),
   subYearsWithOptions: require('./subYearsWithOptions/index.js'),
+  subtractIntervals: require('./subtractIntervals/index.js'),
+  subtractIntervalsWithOptions: require('./subtractIntervalsWithOptions/index.js'),
   toDate: require('./toDate/index.js'),
-  toDateWithOptions: require('./toDateWithOptions/index.js')
+  toDateWithOptions: require('./toDateWithOptions/index.js'),
+  toZonedTime: require('./toZonedTime/index.js'),
+  toZonedTimeWithOptions: require('./toZonedTimeWithOptions/index.js')
 }
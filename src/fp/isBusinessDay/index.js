@@ -0,0 +1,8 @@
+// This file is generated automatically by `scripts/build/fp.js`. Please, don't change it.
+
+import fn from '../../isBusinessDay/index.js'
+import convertToFP from '../_lib/convertToFP/index.js'
+
+var isBusinessDay = convertToFP(fn, 1)
+
+export default isBusinessDay
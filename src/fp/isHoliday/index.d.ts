@@ -0,0 +1,4 @@
+// This file is generated automatically by `scripts/build/typings.js`. Please, don't change it.
+
+import {isHoliday} from 'date-fns/fp'
+export = isHoliday
@@ -0,0 +1,8 @@
+// This file is generated automatically by `scripts/build/fp.js`. Please, don't change it.
+
+import fn from '../../parseISODuration/index.js'
+import convertToFP from '../_lib/convertToFP/index.js'
+
+var parseISODuration = convertToFP(fn, 1)
+
+export default parseISODuration
@@ -0,0 +1,8 @@
+// This file is generated automatically by `scripts/build/fp.js`. Please, don't change it.
+
+import fn from '../../splitInterval/index.js'
+import convertToFP from '../_lib/convertToFP/index.js'
+
+var splitIntervalWithOptions = convertToFP(fn, 2)
+
+export default splitIntervalWithOptions
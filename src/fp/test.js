@@ -3,8 +3,32 @@
 
 import assert from 'power-assert'
 import fp from '.'
+import usHolidays from '../holidays/us'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+import iteratorToArray from '../_lib/iteratorToArray'
 
 describe('FP functions', function () {
+  it('add', function () {
+    var result = fp.add({months: 1, days: 10})(new Date(2014, 8 /* Sep */, 1))
+    assert.deepEqual(result, new Date(2014, 9 /* Oct */, 11))
+  })
+
+  it('addWithOptions', function () {
+    var result = fp.addWithOptions({})({months: 1, days: 10})(new Date(2014, 8 /* Sep */, 1))
+    assert.deepEqual(result, new Date(2014, 9 /* Oct */, 11))
+  })
+
+  it('addBusinessDays', function () {
+    var result = fp.addBusinessDays(10)(new Date(2014, 8 /* Sep */, 1))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 15))
+  })
+
+  it('addBusinessDaysWithOptions', function () {
+    var result = fp.addBusinessDaysWithOptions({weekendDays: [5, 6]})(4)(new Date(2014, 8 /* Sep */, 1))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 7))
+  })
+
   it('addDays', function () {
     var result = fp.addDays(10)(new Date(2014, 8 /* Sep */, 1))
     assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11))
@@ -15,6 +39,16 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11))
   })
 
+  it('addDurations', function () {
+    var result = fp.addDurations({months: 1, days: 15})({years: 1, months: 2, days: 20})
+    assert.deepEqual(result, {years: 1, months: 3, days: 35})
+  })
+
+  it('addDurationsWithOptions', function () {
+    var result = fp.addDurationsWithOptions({})({months: 1, days: 15})({years: 1, months: 2, days: 20})
+    assert.deepEqual(result, {years: 1, months: 3, days: 35})
+  })
+
   it('addHours', function () {
     var result = fp.addHours(2)(new Date(2014, 6 /* Jul */, 10, 23, 0))
     assert.deepEqual(result, new Date(2014, 6 /* Jul */, 11, 1, 0))
@@ -121,6 +155,20 @@ describe('FP functions', function () {
     assert(result === true)
   })
 
+  it('buildIntervalIndex', function () {
+    var morning = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    var noon = {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 14)}
+    var index = fp.buildIntervalIndex([morning, noon])
+    assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 12)), [morning, noon])
+  })
+
+  it('buildIntervalIndexWithOptions', function () {
+    var morning = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    var noon = {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 14)}
+    var index = fp.buildIntervalIndexWithOptions({bounds: '[)'})([morning, noon])
+    assert.deepEqual(index.containing(new Date(2014, 0 /* Jan */, 10, 12)), [noon])
+  })
+
   it('closestIndexTo', function () {
     var date = new Date(2014, 6 /* Jul */, 2)
     var result = fp.closestIndexTo([
@@ -177,6 +225,54 @@ describe('FP functions', function () {
     assert(result === 1)
   })
 
+  it('compareDurations', function () {
+    var result = fp.compareDurations({hours: 1})({minutes: 90})
+    assert(result === 1)
+  })
+
+  it('compareDurationsWithOptions', function () {
+    var result = fp.compareDurationsWithOptions({relativeTo: new Date(2015, 1 /* Feb */, 1)})({days: 30})({months: 1})
+    assert(result === -1)
+  })
+
+  it('compileFormat', function () {
+    var result = fp.compileFormat('MM/DD/YYYY')(new Date(2014, 1 /* Feb */, 11))
+    assert(result === '02/11/2014')
+  })
+
+  it('compileFormatWithOptions', function () {
+    var result = fp.compileFormatWithOptions({unicodeTokens: true})('MM/dd/yyyy')(new Date(2014, 1 /* Feb */, 11))
+    assert(result === '02/11/2014')
+  })
+
+  it('compileParse', function () {
+    var result = fp.compileParse('MM/DD/YYYY')('02/11/2014', new Date(2010, 0 /* Jan */, 1))
+    assert.deepEqual(result, new Date(2014, 1 /* Feb */, 11))
+  })
+
+  it('compileParseWithOptions', function () {
+    var result = fp.compileParseWithOptions({weekStartsOn: 1})('d')('0', new Date(1986, 3 /* Apr */, 4))
+    assert.deepEqual(result, new Date(1986, 3 /* Apr */, 6))
+  })
+
+  it('differenceInBusinessDays', function () {
+    var result = fp.differenceInBusinessDays(
+      new Date(2014, 0 /* Jan */, 10)
+    )(
+      new Date(2014, 6 /* Jul */, 18)
+    )
+    assert(result === 135)
+  })
+
+  it('differenceInBusinessDaysWithOptions', function () {
+    var result = fp.differenceInBusinessDaysWithOptions({weekendDays: [5, 6]})(
+      new Date(2014, 8 /* Sep */, 1)
+    )(
+      new Date(2014, 8 /* Sep */, 7)
+    )
+    assert(result === 4)
+  })
+
   it('differenceInCalendarDays', function () {
     var result = fp.differenceInCalendarDays(
       new Date(2011, 6 /* Jul */, 2, 6, 0)
@@ -483,6 +579,26 @@ describe('FP functions', function () {
     assert(result === 1)
   })
 
+  it('durationToMilliseconds', function () {
+    var result = fp.durationToMilliseconds({days: 1, hours: 2})
+    assert(result === 93600000)
+  })
+
+  it('durationToMillisecondsWithOptions', function () {
+    var result = fp.durationToMillisecondsWithOptions({relativeTo: new Date(2015, 1 /* Feb */, 1, 12)})({months: 1})
+    assert(result === new Date(2015, 2 /* Mar */, 1, 12).getTime() - new Date(2015, 1 /* Feb */, 1, 12).getTime())
+  })
+
+  it('eachCronOccurrenceIterator', function () {
+    var iterator = fp.eachCronOccurrenceIterator(new Date(2014, 5 /* Jun */, 1))('0 9 * * MON#1')
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 5 /* Jun */, 2, 9), done: false})
+  })
+
+  it('eachCronOccurrenceIteratorWithOptions', function () {
+    var iterator = fp.eachCronOccurrenceIteratorWithOptions({reverse: true})(new Date(2014, 5 /* Jun */, 1))('0 9 * * MON#1')
+    assert.deepEqual(iterator.next(), {value: new Date(2014, 4 /* May */, 5, 9), done: false})
+  })
+
   it('eachDayOfInterval', function () {
     var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 12)}
     var result = fp.eachDayOfInterval(interval)
@@ -511,6 +627,315 @@ describe('FP functions', function () {
     ])
   })
 
+  it('eachDayOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 8)}
+    var result = iteratorToArray(fp.eachDayOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('eachDayOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 8)}
+    var result = iteratorToArray(fp.eachDayOfIntervalIteratorWithOptions({reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 8),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 6)
+    ])
+  })
+
+  it('eachHourOfInterval', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 6, 14)}
+    var result = fp.eachHourOfInterval(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14)
+    ])
+  })
+
+  it('eachHourOfIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 6, 14)}
+    var result = fp.eachHourOfIntervalWithOptions({step: 2})(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 14)
+    ])
+  })
+
+  it('eachHourOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 6, 14)}
+    var result = iteratorToArray(fp.eachHourOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 14)
+    ])
+  })
+
+  it('eachHourOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 6, 14)}
+    var result = iteratorToArray(fp.eachHourOfIntervalIteratorWithOptions({reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 14),
+      new Date(2014, 9 /* Oct */, 6, 13),
+      new Date(2014, 9 /* Oct */, 6, 12)
+    ])
+  })
+
+  it('eachMinuteOfInterval', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 10), end: new Date(2014, 9 /* Oct */, 6, 12, 12)}
+    var result = fp.eachMinuteOfInterval(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12)
+    ])
+  })
+
+  it('eachMinuteOfIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 6, 13)}
+    var result = fp.eachMinuteOfIntervalWithOptions({step: 30})(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 30),
+      new Date(2014, 9 /* Oct */, 6, 13)
+    ])
+  })
+
+  it('eachMinuteOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 10), end: new Date(2014, 9 /* Oct */, 6, 12, 12)}
+    var result = iteratorToArray(fp.eachMinuteOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 10),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 12)
+    ])
+  })
+
+  it('eachMinuteOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12, 10), end: new Date(2014, 9 /* Oct */, 6, 12, 12)}
+    var result = iteratorToArray(fp.eachMinuteOfIntervalIteratorWithOptions({reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 12, 12),
+      new Date(2014, 9 /* Oct */, 6, 12, 11),
+      new Date(2014, 9 /* Oct */, 6, 12, 10)
+    ])
+  })
+
+  it('eachMonthOfInterval', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 3 /* Apr */, 10)}
+    var result = fp.eachMonthOfInterval(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1)
+    ])
+  })
+
+  it('eachMonthOfIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 3 /* Apr */, 10)}
+    var result = fp.eachMonthOfIntervalWithOptions({})(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1)
+    ])
+  })
+
+  it('eachMonthOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 3 /* Apr */, 10)}
+    var result = iteratorToArray(fp.eachMonthOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 1 /* Feb */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 3 /* Apr */, 1)
+    ])
+  })
+
+  it('eachMonthOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 3 /* Apr */, 10)}
+    var result = iteratorToArray(fp.eachMonthOfIntervalIteratorWithOptions({reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 2 /* Mar */, 1),
+      new Date(2014, 1 /* Feb */, 1)
+    ])
+  })
+
+  it('eachOfInterval', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 8)}
+    var result = fp.eachOfInterval(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('eachOfIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 9), end: new Date(2014, 9 /* Oct */, 6, 10)}
+    var result = fp.eachOfIntervalWithOptions({unit: 'minute', step: 30})(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6, 9),
+      new Date(2014, 9 /* Oct */, 6, 9, 30),
+      new Date(2014, 9 /* Oct */, 6, 10)
+    ])
+  })
+
+  it('eachOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 8)}
+    var result = iteratorToArray(fp.eachOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 8)
+    ])
+  })
+
+  it('eachOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 8)}
+    var result = iteratorToArray(fp.eachOfIntervalIteratorWithOptions({unit: 'day', reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 8),
+      new Date(2014, 9 /* Oct */, 7),
+      new Date(2014, 9 /* Oct */, 6)
+    ])
+  })
+
+  it('eachOccurrenceIterator', function () {
+    var iterator = fp.eachOccurrenceIterator({start: new Date(2014, 0 /* Jan */, 31), freq: 'monthly', count: 2})
+    assert.deepEqual(iteratorToArray(iterator), [new Date(2014, 0 /* Jan */, 31), new Date(2014, 2 /* Mar */, 31)])
+  })
+
+  it('eachOccurrenceIteratorWithOptions', function () {
+    var iterator = fp.eachOccurrenceIteratorWithOptions({})('DTSTART:20140106\nRRULE:FREQ=WEEKLY;COUNT=2')
+    assert.deepEqual(iteratorToArray(iterator), [new Date(2014, 0 /* Jan */, 6), new Date(2014, 0 /* Jan */, 13)])
+  })
+
+  it('eachQuarterOfInterval', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 7 /* Aug */, 10)}
+    var result = fp.eachQuarterOfInterval(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1)
+    ])
+  })
+
+  it('eachQuarterOfIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 7 /* Aug */, 10)}
+    var result = fp.eachQuarterOfIntervalWithOptions({})(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1)
+    ])
+  })
+
+  it('eachQuarterOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 7 /* Aug */, 10)}
+    var result = iteratorToArray(fp.eachQuarterOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 6 /* Jul */, 1)
+    ])
+  })
+
+  it('eachQuarterOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2014, 7 /* Aug */, 10)}
+    var result = iteratorToArray(fp.eachQuarterOfIntervalIteratorWithOptions({reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 6 /* Jul */, 1),
+      new Date(2014, 3 /* Apr */, 1),
+      new Date(2014, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('eachWeekOfInterval', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 20)}
+    var result = fp.eachWeekOfInterval(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19)
+    ])
+  })
+
+  it('eachWeekOfIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 20)}
+    var result = fp.eachWeekOfIntervalWithOptions({weekStartsOn: 1})(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 6),
+      new Date(2014, 9 /* Oct */, 13),
+      new Date(2014, 9 /* Oct */, 20)
+    ])
+  })
+
+  it('eachWeekOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 20)}
+    var result = iteratorToArray(fp.eachWeekOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 5),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 19)
+    ])
+  })
+
+  it('eachWeekOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 20)}
+    var result = iteratorToArray(fp.eachWeekOfIntervalIteratorWithOptions({reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 9 /* Oct */, 19),
+      new Date(2014, 9 /* Oct */, 12),
+      new Date(2014, 9 /* Oct */, 5)
+    ])
+  })
+
+  it('eachYearOfInterval', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2016, 7 /* Aug */, 10)}
+    var result = fp.eachYearOfInterval(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('eachYearOfIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2016, 7 /* Aug */, 10)}
+    var result = fp.eachYearOfIntervalWithOptions({})(interval)
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('eachYearOfIntervalIterator', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2016, 7 /* Aug */, 10)}
+    var result = iteratorToArray(fp.eachYearOfIntervalIterator(interval))
+    assert.deepEqual(result, [
+      new Date(2014, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2016, 0 /* Jan */, 1)
+    ])
+  })
+
+  it('eachYearOfIntervalIteratorWithOptions', function () {
+    var interval = {start: new Date(2014, 1 /* Feb */, 6), end: new Date(2016, 7 /* Aug */, 10)}
+    var result = iteratorToArray(fp.eachYearOfIntervalIteratorWithOptions({reverse: true})(interval))
+    assert.deepEqual(result, [
+      new Date(2016, 0 /* Jan */, 1),
+      new Date(2015, 0 /* Jan */, 1),
+      new Date(2014, 0 /* Jan */, 1)
+    ])
+  })
+
   it('endOfDay', function () {
     var date = new Date(2014, 8 /* Sep */, 2, 11, 55, 0)
     var result = fp.endOfDay(date)
@@ -629,6 +1054,22 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(2014, 11 /* Dec */, 31, 23, 59, 59, 999))
   })
 
+  it('findFreeSlots', function () {
+    var busy = [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+    var block = fp.findFreeSlots.bind(null, busy)
+    assert.throws(block, RangeError)
+  })
+
+  it('findFreeSlotsWithOptions', function () {
+    var busy = [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+    var within = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    var result = fp.findFreeSlotsWithOptions({within: within})(busy)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10)},
+      {start: new Date(2014, 0 /* Jan */, 10, 12), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
   it('format', function () {
     var date = new Date(2014, 3, 4).toISOString()
     var result = fp.format('YYYY-MM-DD')(date)
@@ -677,6 +1118,76 @@ describe('FP functions', function () {
     assert(result === 'in 1 hour')
   })
 
+  it('formatDuration', function () {
+    var result = fp.formatDuration({years: 2, months: 3, days: 4})
+    assert(result === '2 years 3 months 4 days')
+  })
+
+  it('formatDurationWithOptions', function () {
+    var result = fp.formatDurationWithOptions({delimiter: ', '})({years: 2, months: 3, days: 4})
+    assert(result === '2 years, 3 months, 4 days')
+  })
+
+  it('formatISO', function () {
+    var result = fp.formatISO(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(/^2014-07-0[12]T\d\d:\d\d:45(Z|[+-]\d\d:\d\d)$/.test(result))
+  })
+
+  it('formatISOWithOptions', function () {
+    var result = fp.formatISOWithOptions({format: 'basic', timeZone: 'UTC'})(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(result === '20140702T083045Z')
+  })
+
+  it('formatISODuration', function () {
+    var result = fp.formatISODuration({years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+    assert(result === 'P1Y2M10DT2H30M')
+  })
+
+  it('formatISODurationWithOptions', function () {
+    var result = fp.formatISODurationWithOptions({})({weeks: 3})
+    assert(result === 'P3W')
+  })
+
+  it('formatRFC2822', function () {
+    var result = fp.formatRFC2822(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(result === 'Wed, 02 Jul 2014 08:30:45 +0000')
+  })
+
+  it('formatRFC2822WithOptions', function () {
+    var result = fp.formatRFC2822WithOptions({})(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(result === 'Wed, 02 Jul 2014 08:30:45 +0000')
+  })
+
+  it('formatRFC3339', function () {
+    var result = fp.formatRFC3339(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(/^2014-07-0[12]T\d\d:\d\d:45(Z|[+-]\d\d:\d\d)$/.test(result))
+  })
+
+  it('formatRFC3339WithOptions', function () {
+    var result = fp.formatRFC3339WithOptions({fractionDigits: 3, timeZone: 'UTC'})(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(result === '2014-07-02T08:30:45.000Z')
+  })
+
+  it('formatRFC7231', function () {
+    var result = fp.formatRFC7231(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(result === 'Wed, 02 Jul 2014 08:30:45 GMT')
+  })
+
+  it('formatRFC7231WithOptions', function () {
+    var result = fp.formatRFC7231WithOptions({})(Date.UTC(2014, 6 /* Jul */, 2, 8, 30, 45))
+    assert(result === 'Wed, 02 Jul 2014 08:30:45 GMT')
+  })
+
+  it('formatRecurrence', function () {
+    var result = fp.formatRecurrence('FREQ=MONTHLY;BYDAY=-1FR;COUNT=6')
+    assert(result === 'Every month on the last Friday, 6 times')
+  })
+
+  it('formatRecurrenceWithOptions', function () {
+    var result = fp.formatRecurrenceWithOptions({})({freq: 'weekly', interval: 2, byDay: [{day: 1}]})
+    assert(result === 'Every 2 weeks on Monday')
+  })
+
   it('formatRelative', function () {
     var result = fp.formatRelative(new Date(1986, 3 /* Apr */, 4, 10, 32))(new Date(1986, 2 /* Mar */, 28, 16, 50))
     assert(result === '03/28/1986')
@@ -687,6 +1198,26 @@ describe('FP functions', function () {
     assert(result === '03/28/1986')
   })
 
+  it('formatToParts', function () {
+    var result = fp.formatToParts('D MMM')(new Date(2014, 3 /* Apr */, 4))
+    assert.deepEqual(result, [{type: 'day', value: '4'}, {type: 'literal', value: ' '}, {type: 'month', value: 'Apr'}])
+  })
+
+  it('formatToPartsWithOptions', function () {
+    var result = fp.formatToPartsWithOptions({unicodeTokens: true})('d MMM')(new Date(2014, 3 /* Apr */, 4))
+    assert.deepEqual(result, [{type: 'day', value: '4'}, {type: 'literal', value: ' '}, {type: 'month', value: 'Apr'}])
+  })
+
+  it('fromZonedTime', function () {
+    var result = fp.fromZonedTime(tokyo)(new Date(2014, 8 /* Sep */, 11, 5))
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+  })
+
+  it('fromZonedTimeWithOptions', function () {
+    var result = fp.fromZonedTimeWithOptions({})(tokyo)(new Date(2014, 8 /* Sep */, 11, 5))
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+  })
+
   it('getDate', function () {
     var result = fp.getDate(new Date(2012, 1 /* Feb */, 29))
     assert(result === 29)
@@ -831,6 +1362,34 @@ describe('FP functions', function () {
     assert(numOverlappingDays === 24)
   })
 
+  it('getOverlappingInterval', function () {
+    var leftInterval = {start: new Date(2016, 10, 10, 13, 0, 0), end: new Date(2016, 11, 3, 15, 0, 0)}
+    var rightInterval = {start: new Date(2016, 10, 5), end: new Date(2016, 10, 15)}
+    var result = fp.getOverlappingInterval(rightInterval)(leftInterval)
+    assert.deepEqual(result, {start: new Date(2016, 10, 10, 13, 0, 0), end: new Date(2016, 10, 15)})
+  })
+
+  it('getOverlappingIntervalWithOptions', function () {
+    var leftInterval = {start: new Date(2016, 10, 10, 13, 0, 0), end: new Date(2016, 11, 3, 15, 0, 0)}
+    var rightInterval = {start: new Date(2016, 11, 3, 15, 0, 0), end: new Date(2016, 11, 15)}
+    var result = fp.getOverlappingIntervalWithOptions({bounds: '[]'})(rightInterval)(leftInterval)
+    assert.deepEqual(result, {start: new Date(2016, 11, 3, 15, 0, 0), end: new Date(2016, 11, 3, 15, 0, 0)})
+  })
+
+  it('getOverlappingTimeInIntervals', function () {
+    var leftInterval = {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 18, 30)}
+    var rightInterval = {start: new Date(2014, 0, 10, 17), end: new Date(2014, 0, 11, 9)}
+    var result = fp.getOverlappingTimeInIntervals(rightInterval)(leftInterval)
+    assert(result === 5400000)
+  })
+
+  it('getOverlappingTimeInIntervalsWithOptions', function () {
+    var leftInterval = {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 18, 30)}
+    var rightInterval = {start: new Date(2014, 0, 10, 17), end: new Date(2014, 0, 11, 9)}
+    var result = fp.getOverlappingTimeInIntervalsWithOptions({unit: 'hour'})(rightInterval)(leftInterval)
+    assert(result === 1.5)
+  })
+
   it('getQuarter', function () {
     var result = fp.getQuarter(new Date(2014, 6 /* Jul */, 2))
     assert(result === 3)
@@ -893,6 +1452,56 @@ describe('FP functions', function () {
     assert(result === 2014)
   })
 
+  it('intersectIntervals', function () {
+    var intervalsLeft = [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+    var intervalsRight = [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var result = fp.intersectIntervals(intervalsRight)(intervalsLeft)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ])
+  })
+
+  it('intersectIntervalsWithOptions', function () {
+    var intervalsLeft = [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+    var intervalsRight = [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var result = fp.intersectIntervalsWithOptions({})(intervalsRight)(intervalsLeft)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ])
+  })
+
+  it('intervalToDuration', function () {
+    var interval = {start: new Date(2014, 8 /* Sep */, 10), end: new Date(2016, 11 /* Dec */, 13, 14, 30, 5)}
+    var result = fp.intervalToDuration(interval)
+    assert.deepEqual(result, {years: 2, months: 3, days: 3, hours: 14, minutes: 30, seconds: 5})
+  })
+
+  it('intervalToDurationWithOptions', function () {
+    var interval = {start: '2014-09-10T00:00:00', end: '2016-12-13T14:30:05'}
+    var result = fp.intervalToDurationWithOptions({additionalDigits: 0})(interval)
+    assert.deepEqual(result, {years: 2, months: 3, days: 3, hours: 14, minutes: 30, seconds: 5})
+  })
+
+  it('invertIntervals', function () {
+    var intervals = [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var within = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    var result = fp.invertIntervals(within)(intervals)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)},
+      {start: new Date(2014, 0 /* Jan */, 10, 15), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('invertIntervalsWithOptions', function () {
+    var intervals = [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var within = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    var result = fp.invertIntervalsWithOptions({})(within)(intervals)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)},
+      {start: new Date(2014, 0 /* Jan */, 10, 15), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
   it('isAfter', function () {
     var result = fp.isAfter(new Date(1987, 1 /* Feb */, 11))(new Date(1989, 6 /* Jul */, 10))
     assert(result === true)
@@ -913,6 +1522,16 @@ describe('FP functions', function () {
     assert(result === true)
   })
 
+  it('isBusinessDay', function () {
+    var result = fp.isBusinessDay(new Date(2014, 6 /* Jul */, 4))
+    assert(result === true)
+  })
+
+  it('isBusinessDayWithOptions', function () {
+    var result = fp.isBusinessDayWithOptions({holidays: usHolidays})(new Date(2014, 6 /* Jul */, 4))
+    assert(result === false)
+  })
+
   it('isEqual', function () {
     var result = fp.isEqual(new Date(1987, 1 /* Feb */, 11))(new Date(1987, 1 /* Feb */, 11))
     assert(result === true)
@@ -943,6 +1562,16 @@ describe('FP functions', function () {
     assert(result === true)
   })
 
+  it('isHoliday', function () {
+    var result = fp.isHoliday(new Date(2014, 6 /* Jul */, 4))
+    assert(result === false)
+  })
+
+  it('isHolidayWithOptions', function () {
+    var result = fp.isHolidayWithOptions({holidays: usHolidays})(new Date(2014, 6 /* Jul */, 4))
+    assert(result === true)
+  })
+
   it('isLastDayOfMonth', function () {
     var result = fp.isLastDayOfMonth(new Date(2014, 9 /* Oct */, 31))
     assert(result === true)
@@ -1235,6 +1864,22 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(1989, 6 /* Jul */, 10))
   })
 
+  it('mergeIntervals', function () {
+    var intervals = [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}, {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var result = fp.mergeIntervals(intervals)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 15)}
+    ])
+  })
+
+  it('mergeIntervalsWithOptions', function () {
+    var intervals = [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}, {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var result = fp.mergeIntervalsWithOptions({})(intervals)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 15)}
+    ])
+  })
+
   it('min', function () {
     var result = fp.min([new Date(1989, 6 /* Jul */, 10), new Date(1987, 1 /* Feb */, 11)])
     assert.deepEqual(result, new Date(1987, 1 /* Feb */, 11))
@@ -1245,6 +1890,26 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(1987, 1 /* Feb */, 11))
   })
 
+  it('nextCronOccurrence', function () {
+    var result = fp.nextCronOccurrence(new Date(2014, 6 /* Jul */, 10, 12))('0 9 * * *')
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 11, 9))
+  })
+
+  it('nextCronOccurrenceWithOptions', function () {
+    var result = fp.nextCronOccurrenceWithOptions({})(new Date(2014, 6 /* Jul */, 10, 12))({minutes: [0], hours: [9]})
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 11, 9))
+  })
+
+  it('normalizeDuration', function () {
+    var result = fp.normalizeDuration({months: 14, minutes: 90})
+    assert.deepEqual(result, {years: 1, months: 2, days: 0, hours: 1, minutes: 30, seconds: 0})
+  })
+
+  it('normalizeDurationWithOptions', function () {
+    var result = fp.normalizeDurationWithOptions({relativeTo: new Date(2015, 0 /* Jan */, 1)})({days: 45})
+    assert.deepEqual(result, {years: 0, months: 1, days: 14, hours: 0, minutes: 0, seconds: 0})
+  })
+
   it('parse', function () {
     var baseDate = new Date(1986, 3 /* Apr */, 4, 10, 32, 0, 900)
     var result = fp.parse(baseDate)('YYYYMMDDTHHmmss')('20161105T040404')
@@ -1257,6 +1922,64 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(2016, 10 /* Nov */, 5, 4, 4, 4, 0))
   })
 
+  it('parseCron', function () {
+    var result = fp.parseCron('30 9 * * 5L')
+    assert.deepEqual(result, {
+      seconds: [0],
+      minutes: [30],
+      hours: [9],
+      daysOfMonth: [],
+      nearestWeekdays: [],
+      months: [],
+      daysOfWeek: [{day: 5, nth: -1}]
+    })
+  })
+
+  it('parseCronWithOptions', function () {
+    var result = fp.parseCronWithOptions({})('0 0 9 L * ?')
+    assert.deepEqual(result.daysOfMonth, [-1])
+  })
+
+  it('parseICalDateTime', function () {
+    var result = fp.parseICalDateTime('19980118T230000Z')
+    assert.deepEqual(result, new Date(Date.UTC(1998, 0 /* Jan */, 18, 23)))
+  })
+
+  it('parseICalDateTimeWithOptions', function () {
+    var result = fp.parseICalDateTimeWithOptions({timeZone: newYork})('19980118T230000')
+    assert.deepEqual(result, new Date(Date.UTC(1998, 0 /* Jan */, 19, 4)))
+  })
+
+  it('parseISODuration', function () {
+    var result = fp.parseISODuration('P1Y2M10DT2H30M')
+    assert.deepEqual(result, {years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+  })
+
+  it('parseISODurationWithOptions', function () {
+    var result = fp.parseISODurationWithOptions({})('-P3W')
+    assert.deepEqual(result, {weeks: -3})
+  })
+
+  it('parseRRule', function () {
+    var result = fp.parseRRule('FREQ=MONTHLY;BYDAY=-1FR')
+    assert.deepEqual(result, {freq: 'monthly', byDay: [{day: 5, nth: -1}]})
+  })
+
+  it('parseRRuleWithOptions', function () {
+    var result = fp.parseRRuleWithOptions({})('FREQ=YEARLY;BYMONTH=12')
+    assert.deepEqual(result, {freq: 'yearly', byMonth: [11]})
+  })
+
+  it('prevCronOccurrence', function () {
+    var result = fp.prevCronOccurrence(new Date(2014, 6 /* Jul */, 10, 12))('0 9 * * *')
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 10, 9))
+  })
+
+  it('prevCronOccurrenceWithOptions', function () {
+    var result = fp.prevCronOccurrenceWithOptions({})(new Date(2014, 6 /* Jul */, 10, 12))({minutes: [0], hours: [9]})
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 10, 9))
+  })
+
   it('setDate', function () {
     var result = fp.setDate(30)(new Date(2014, 8 /* Sep */, 1))
     assert.deepEqual(result, new Date(2014, 8 /* Sep */, 30))
@@ -1387,6 +2110,24 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(2013, 8 /* Sep */, 1))
   })
 
+  it('splitInterval', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 7, 12)}
+    var result = fp.splitInterval(interval)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 7)},
+      {start: new Date(2014, 9 /* Oct */, 7), end: new Date(2014, 9 /* Oct */, 7, 12)}
+    ])
+  })
+
+  it('splitIntervalWithOptions', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 11), end: new Date(2014, 9 /* Oct */, 6, 14)}
+    var result = fp.splitIntervalWithOptions({unit: 'hour', step: 2})(interval)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6, 11), end: new Date(2014, 9 /* Oct */, 6, 13)},
+      {start: new Date(2014, 9 /* Oct */, 6, 13), end: new Date(2014, 9 /* Oct */, 6, 14)}
+    ])
+  })
+
   it('startOfDay', function () {
     var date = new Date(2014, 8 /* Sep */, 2, 11, 55, 0)
     var result = fp.startOfDay(date)
@@ -1505,6 +2246,26 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(2014, 0 /* Jan */, 1, 0, 0, 0, 0))
   })
 
+  it('sub', function () {
+    var result = fp.sub({months: 1, days: 10})(new Date(2014, 9 /* Oct */, 11))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('subWithOptions', function () {
+    var result = fp.subWithOptions({})({months: 1, days: 10})(new Date(2014, 9 /* Oct */, 11))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('subBusinessDays', function () {
+    var result = fp.subBusinessDays(10)(new Date(2014, 8 /* Sep */, 15))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('subBusinessDaysWithOptions', function () {
+    var result = fp.subBusinessDaysWithOptions({weekendDays: [5, 6]})(4)(new Date(2014, 8 /* Sep */, 7))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
   it('subDays', function () {
     var result = fp.subDays(10)(new Date(2014, 8 /* Sep */, 1))
     assert.deepEqual(result, new Date(2014, 7 /* Aug */, 22))
@@ -1585,6 +2346,24 @@ describe('FP functions', function () {
     assert.deepEqual(result, new Date(2014, 6 /* Jul */, 10, 12, 44, 30))
   })
 
+  it('subtractIntervals', function () {
+    var intervalsLeft = [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+    var intervalsRight = [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var result = fp.subtractIntervals(intervalsRight)(intervalsLeft)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  it('subtractIntervalsWithOptions', function () {
+    var intervalsLeft = [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+    var intervalsRight = [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    var result = fp.subtractIntervalsWithOptions({})(intervalsRight)(intervalsLeft)
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
   it('subWeeks', function () {
     var result = fp.subWeeks(4)(new Date(2014, 8 /* Sep */, 1))
     assert.deepEqual(result, new Date(2014, 7 /* Aug */, 4))
@@ -1614,4 +2393,14 @@ describe('FP functions', function () {
     var result = fp.toDateWithOptions({additionalDigits: 0})('+12340702')
     assert.deepEqual(result, new Date(1234, 6 /* Jul */, 2))
   })
+
+  it('toZonedTime', function () {
+    var result = fp.toZonedTime(tokyo)(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11, 5))
+  })
+
+  it('toZonedTimeWithOptions', function () {
+    var result = fp.toZonedTimeWithOptions({})(tokyo)(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11, 5))
+  })
 })
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import fromZonedTime from '.'
+import newYork from '../timeZone/America/New_York'
+
+suite('fromZonedTime', function () {
+  benchmark('date-fns', function () {
+    return fromZonedTime(this.date, newYork)
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
@@ -0,0 +1,57 @@
+import toDate from '../toDate/index.js'
+import tzFromWallTime from '../_lib/tzFromWallTime/index.js'
+
+/**
+ * @name fromZonedTime
+ * @category Time Zone Helpers
+ * @summary Get the date from the wall clock time of the given time zone.
+ *
+ * @description
+ * Return the moment in time when the wall clock in the given time zone
+ * shows the local time of the given date.
+ *
+ * If the time is skipped by the daylight saving time clock shift, it's moved forward
+ * by the length of the shift. If the time occurs twice because of the clock shift back,
+ * the earlier moment is returned. It's the same what `Date` does with the local time.
+ *
+ * The time zone is either a time zone object imported from `date-fns/timeZone`
+ * (e.g. `date-fns/timeZone/America/New_York`) or an offset from UTC (e.g. `'UTC'`, `'+05:30'` or `'-0800'`).
+ * Each time zone is a separate module, so only the imported zones are bundled.
+ * Their rules are generated from the IANA time zone database and cover the years since 1970.
+ *
+ * The inverse function is `toZonedTime`.
+ *
+ * @param {Date|String|Number} date - the date with the wall clock time of the time zone
+ * @param {TimeZone|String} timeZone - the time zone object or the offset from UTC. See [TimeZone]{@link https://date-fns.org/docs/TimeZone}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Date} the moment in time
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // When is 11 September 2014 05:00:00 in Tokyo?
+ * import tokyo from 'date-fns/timeZone/Asia/Tokyo'
+ * var result = fromZonedTime(new Date(2014, 8, 11, 5), tokyo)
+ * result.toISOString()
+ * //=> '2014-09-10T20:00:00.000Z'
+ */
+export default function fromZonedTime (dirtyDate, dirtyTimeZone, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var date = toDate(dirtyDate, dirtyOptions)
+
+  var wallTime = new Date(0)
+  wallTime.setUTCFullYear(date.getFullYear(), date.getMonth(), date.getDate())
+  wallTime.setUTCHours(
+    date.getHours(),
+    date.getMinutes(),
+    date.getSeconds(),
+    date.getMilliseconds()
+  )
+
+  return new Date(tzFromWallTime(wallTime.getTime(), dirtyTimeZone))
+}
@@ -0,0 +1,82 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import fromZonedTime from '.'
+import toZonedTime from '../toZonedTime'
+import adelaide from '../timeZone/Australia/Adelaide'
+import newYork from '../timeZone/America/New_York'
+import paris from '../timeZone/Europe/Paris'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('fromZonedTime', function () {
+  it('returns the moment of the wall clock time of the time zone', function () {
+    var result = fromZonedTime(new Date(2014, 8 /* Sep */, 11, 5), tokyo)
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+  })
+
+  it('takes daylight saving time into account', function () {
+    var summer = fromZonedTime(new Date(2014, 6 /* Jul */, 1, 8), newYork)
+    assert.deepEqual(summer, new Date(Date.UTC(2014, 6 /* Jul */, 1, 12)))
+    var winter = fromZonedTime(new Date(2014, 0 /* Jan */, 1, 7), newYork)
+    assert.deepEqual(winter, new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)))
+  })
+
+  it('moves the time skipped by the clock shift forward', function () {
+    var result = fromZonedTime(new Date(2014, 2 /* Mar */, 30, 2, 30), paris)
+    assert.deepEqual(result, new Date(Date.UTC(2014, 2 /* Mar */, 30, 1, 30)))
+  })
+
+  it('returns the earlier moment for the time repeated by the clock shift back', function () {
+    var result = fromZonedTime(new Date(2014, 9 /* Oct */, 26, 2, 30), paris)
+    assert.deepEqual(result, new Date(Date.UTC(2014, 9 /* Oct */, 26, 0, 30)))
+  })
+
+  it('is the inverse of toZonedTime', function () {
+    var date = new Date(Date.UTC(2014, 8 /* Sep */, 10, 20, 15, 30, 500))
+    var result = fromZonedTime(toZonedTime(date, adelaide), adelaide)
+    assert.deepEqual(result, date)
+  })
+
+  it('accepts the offset from UTC', function () {
+    var result = fromZonedTime(new Date(2014, 8 /* Sep */, 10, 16, 30), '-0330')
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+  })
+
+  it('accepts a string', function () {
+    var result = fromZonedTime(new Date(2014, 8 /* Sep */, 11, 5).toISOString(), tokyo)
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+  })
+
+  it('accepts a timestamp', function () {
+    var result = fromZonedTime(new Date(2014, 8 /* Sep */, 11, 5).getTime(), tokyo)
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+  })
+
+  it('does not mutate the original date', function () {
+    var date = new Date(2014, 8 /* Sep */, 11, 5)
+    fromZonedTime(date, tokyo)
+    assert.deepEqual(date, new Date(2014, 8 /* Sep */, 11, 5))
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = fromZonedTime(new Date(NaN), tokyo)
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('throws `RangeError` if the time zone is unknown', function () {
+    var block = fromZonedTime.bind(null, new Date(2014, 8 /* Sep */, 10), 'Asia/Neo_Tokyo')
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = fromZonedTime.bind(null, new Date(2014, 8 /* Sep */, 10), tokyo, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(fromZonedTime.bind(null), TypeError)
+    assert.throws(fromZonedTime.bind(null, 1), TypeError)
+  })
+})
@@ -1,4 +1,4 @@
-import toDate from '../toDate/index.js'
+import getOverlappingInterval from '../getOverlappingInterval/index.js'
 
 var MILLISECONDS_IN_DAY = 24 * 60 * 60 * 1000
 
@@ -10,13 +10,19 @@ var MILLISECONDS_IN_DAY = 24 * 60 * 60 * 1000
  * @description
  * Get the number of days that overlap in two time intervals
  *
+ * By default, the intervals that only touch each other don't overlap.
+ * Use `options.bounds` to specify whether the starts and the ends of the intervals are included in them.
+ *
  * @param {Interval} intervalLeft - the first interval to compare. See [Interval]{@link docs/Interval}
  * @param {Interval} intervalRight - the second interval to compare. See [Interval]{@link docs/Interval}
  * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds] - whether the starts and the ends of the intervals
+ *   are included in them. See [Interval]{@link docs/Interval}
  * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
  * @returns {Number} the number of days that overlap in two time intervals
  * @throws {TypeError} 2 arguments required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
  * @throws {RangeError} The start of an interval cannot be after its end
  * @throws {RangeError} Date in interval cannot be `Invalid Date`
  *
@@ -41,33 +47,13 @@ export default function getOverlappingDaysInIntervals (dirtyIntervalLeft, dirtyI
     throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
   }
 
-  var intervalLeft = dirtyIntervalLeft || {}
-  var intervalRight = dirtyIntervalRight || {}
-  var leftStartTime = toDate(intervalLeft.start, dirtyOptions).getTime()
-  var leftEndTime = toDate(intervalLeft.end, dirtyOptions).getTime()
-  var rightStartTime = toDate(intervalRight.start, dirtyOptions).getTime()
-  var rightEndTime = toDate(intervalRight.end, dirtyOptions).getTime()
-
-  // Throw an exception if start date is after end date or if any date is `Invalid Date`
-  if (!(leftStartTime <= leftEndTime && rightStartTime <= rightEndTime)) {
-    throw new RangeError('Invalid interval')
-  }
-
-  var isOverlapping = leftStartTime < rightEndTime && rightStartTime < leftEndTime
+  var overlappingInterval = getOverlappingInterval(dirtyIntervalLeft, dirtyIntervalRight, dirtyOptions)
 
-  if (!isOverlapping) {
+  if (overlappingInterval === null) {
     return 0
   }
 
-  var overlapStartDate = rightStartTime < leftStartTime
-    ? leftStartTime
-    : rightStartTime
-
-  var overlapEndDate = rightEndTime > leftEndTime
-    ? leftEndTime
-    : rightEndTime
-
-  var differenceInMs = overlapEndDate - overlapStartDate
+  var differenceInMs = overlappingInterval.end.getTime() - overlappingInterval.start.getTime()
 
   return Math.ceil(differenceInMs / MILLISECONDS_IN_DAY)
 }
@@ -237,6 +237,28 @@ describe('getOverlappingDaysInIntervals', function () {
     })
   })
 
+  it('returns 0 for touching intervals with any `bounds` option', function () {
+    ['[]', '[)', '(]', '()'].forEach(function (bounds) {
+      var numOverlappingDays = getOverlappingDaysInIntervals(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: initialIntervalEnd, end: new Date(2016, 11, 14)},
+        {bounds: bounds}
+      )
+      assert(numOverlappingDays === 0)
+    })
+  })
+
+  it('throws `RangeError` if `options.bounds` is invalid', function () {
+    var block = getOverlappingDaysInIntervals.bind(
+      null,
+      {start: initialIntervalStart, end: initialIntervalEnd},
+      {start: new Date(2016, 10, 5), end: new Date(2016, 10, 15)},
+      // $ExpectedMistake
+      {bounds: '[['}
+    )
+    assert.throws(block, RangeError)
+  })
+
   it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
     var earlierIntervalStart = new Date(2016, 9, 25)
     var earlierIntervalEnd = new Date(2016, 10, 9)
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import getOverlappingInterval from '.'
+
+suite('getOverlappingInterval', function () {
+  benchmark('date-fns', function () {
+    return getOverlappingInterval(this.intervalLeft, this.intervalRight)
+  })
+}, {
+  setup: function () {
+    this.intervalLeft = {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 17, 30)}
+    this.intervalRight = {start: new Date(2014, 0, 10, 16, 45), end: new Date(2014, 0, 11, 1)}
+  }
+})
@@ -0,0 +1,86 @@
+import toDate from '../toDate/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
+
+/**
+ * @name getOverlappingInterval
+ * @category Interval Helpers
+ * @summary Get the time interval that is shared by two time intervals.
+ *
+ * @description
+ * Get the time interval that is shared by two time intervals,
+ * or null if the time intervals don't overlap.
+ *
+ * Unlike `getOverlappingDaysInIntervals`, the result isn't rounded:
+ * it starts at the latest of the starts and ends at the earliest of the ends.
+ *
+ * By default, the intervals that only touch each other, like 10:00–11:00 and 11:00–12:00,
+ * don't overlap, the same as in `areIntervalsOverlapping`. Use `options.bounds` to specify
+ * whether the starts and the ends of the intervals are included in them: e.g. the result
+ * for the touching closed intervals ('[]') is the zero-length interval at the moment they share.
+ * The result has the same bounds as the given intervals.
+ *
+ * @param {Interval} intervalLeft - the first interval. See [Interval]{@link docs/types/Interval}
+ * @param {Interval} intervalRight - the second interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds] - whether the starts and the ends of the intervals
+ *   are included in them. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Interval|null} the shared interval or null if the intervals don't overlap
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // For overlapping time intervals:
+ * var result = getOverlappingInterval(
+ *   {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 17, 30)},
+ *   {start: new Date(2014, 0, 10, 16, 45), end: new Date(2014, 0, 11, 1)}
+ * )
+ * //=> {start: Fri Jan 10 2014 16:45:00, end: Fri Jan 10 2014 17:30:00}
+ *
+ * @example
+ * // For non-overlapping time intervals:
+ * var result = getOverlappingInterval(
+ *   {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 17)},
+ *   {start: new Date(2014, 0, 10, 17), end: new Date(2014, 0, 11, 1)}
+ * )
+ * //=> null
+ */
+export default function getOverlappingInterval (dirtyIntervalLeft, dirtyIntervalRight, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var intervalLeft = dirtyIntervalLeft || {}
+  var intervalRight = dirtyIntervalRight || {}
+  var leftStartTime = toDate(intervalLeft.start, options).getTime()
+  var leftEndTime = toDate(intervalLeft.end, options).getTime()
+  var rightStartTime = toDate(intervalRight.start, options).getTime()
+  var rightEndTime = toDate(intervalRight.end, options).getTime()
+
+  // Throw an exception if start date is after end date or if any date is `Invalid Date`
+  if (!(leftStartTime <= leftEndTime && rightStartTime <= rightEndTime)) {
+    throw new RangeError('Invalid interval')
+  }
+
+  var startTime = Math.max(leftStartTime, rightStartTime)
+  var endTime = Math.min(leftEndTime, rightEndTime)
+  var isOverlapping
+
+  if (options.bounds === undefined) {
+    isOverlapping = leftStartTime < rightEndTime && rightStartTime < leftEndTime
+  } else {
+    var bounds = getIntervalBounds(options)
+    // Compare the half-open intervals that contain the same milliseconds
+    isOverlapping = startTime + bounds.start < endTime + bounds.end
+  }
+
+  if (!isOverlapping) {
+    return null
+  }
+
+  return {start: new Date(startTime), end: new Date(endTime)}
+}
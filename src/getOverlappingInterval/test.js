@@ -0,0 +1,247 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import getOverlappingInterval from '.'
+
+describe('getOverlappingInterval', function () {
+  var initialIntervalStart = new Date(2016, 10 /* Nov */, 10, 13, 0, 0)
+  var initialIntervalEnd = new Date(2016, 11 /* Dec */, 3, 15, 0, 0)
+
+  it('returns the overlapping part of the intervals', function () {
+    var result = getOverlappingInterval(
+      {start: initialIntervalStart, end: initialIntervalEnd},
+      {start: new Date(2016, 10 /* Nov */, 5), end: new Date(2016, 10 /* Nov */, 14, 9, 30, 15, 500)}
+    )
+    assert.deepEqual(result, {
+      start: new Date(2016, 10 /* Nov */, 10, 13, 0, 0),
+      end: new Date(2016, 10 /* Nov */, 14, 9, 30, 15, 500)
+    })
+  })
+
+  it('returns the included interval', function () {
+    var result = getOverlappingInterval(
+      {start: initialIntervalStart, end: initialIntervalEnd},
+      {start: new Date(2016, 10 /* Nov */, 20), end: new Date(2016, 10 /* Nov */, 21)}
+    )
+    assert.deepEqual(result, {
+      start: new Date(2016, 10 /* Nov */, 20),
+      end: new Date(2016, 10 /* Nov */, 21)
+    })
+  })
+
+  it('returns the same result when the intervals are swapped', function () {
+    var result = getOverlappingInterval(
+      {start: new Date(2016, 11 /* Dec */, 1), end: new Date(2016, 11 /* Dec */, 14)},
+      {start: initialIntervalStart, end: initialIntervalEnd}
+    )
+    assert.deepEqual(result, {
+      start: new Date(2016, 11 /* Dec */, 1),
+      end: new Date(2016, 11 /* Dec */, 3, 15, 0, 0)
+    })
+  })
+
+  it('returns new dates', function () {
+    var result = getOverlappingInterval(
+      {start: initialIntervalStart, end: initialIntervalEnd},
+      {start: initialIntervalStart, end: initialIntervalEnd}
+    )
+    assert.deepEqual(result, {start: initialIntervalStart, end: initialIntervalEnd})
+    // $ExpectedMistake
+    assert(result.start !== initialIntervalStart)
+    // $ExpectedMistake
+    assert(result.end !== initialIntervalEnd)
+  })
+
+  it('returns null for non-overlapping intervals', function () {
+    var result = getOverlappingInterval(
+      {start: initialIntervalStart, end: initialIntervalEnd},
+      {start: new Date(2016, 11 /* Dec */, 4), end: new Date(2016, 11 /* Dec */, 9)}
+    )
+    assert(result === null)
+  })
+
+  it('returns null for touching intervals', function () {
+    var result = getOverlappingInterval(
+      {start: initialIntervalStart, end: initialIntervalEnd},
+      {start: initialIntervalEnd, end: new Date(2016, 11 /* Dec */, 9)}
+    )
+    assert(result === null)
+  })
+
+  context('with `bounds` option', function () {
+    it('returns the zero-length interval for touching closed intervals', function () {
+      var result = getOverlappingInterval(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 10 /* Nov */, 3), end: initialIntervalStart},
+        {bounds: '[]'}
+      )
+      assert.deepEqual(result, {start: initialIntervalStart, end: initialIntervalStart})
+    })
+
+    it('returns null for touching intervals that exclude any of the touching boundaries', function () {
+      ['[)', '(]', '()'].forEach(function (bounds) {
+        var result = getOverlappingInterval(
+          {start: initialIntervalStart, end: initialIntervalEnd},
+          {start: new Date(2016, 10 /* Nov */, 3), end: initialIntervalStart},
+          {bounds: bounds}
+        )
+        assert(result === null)
+      })
+    })
+
+    it('returns the overlapping part of the intervals', function () {
+      var result = getOverlappingInterval(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 11 /* Dec */, 1), end: new Date(2016, 11 /* Dec */, 14)},
+        {bounds: '()'}
+      )
+      assert.deepEqual(result, {
+        start: new Date(2016, 11 /* Dec */, 1),
+        end: new Date(2016, 11 /* Dec */, 3, 15, 0, 0)
+      })
+    })
+
+    it('returns null for the zero-length interval unless both boundaries are included', function () {
+      var zeroLengthInterval = {start: new Date(2016, 10 /* Nov */, 20), end: new Date(2016, 10 /* Nov */, 20)}
+      var interval = {start: initialIntervalStart, end: initialIntervalEnd}
+      assert.deepEqual(getOverlappingInterval(interval, zeroLengthInterval, {bounds: '[]'}), zeroLengthInterval)
+      assert(getOverlappingInterval(interval, zeroLengthInterval, {bounds: '[)'}) === null)
+    })
+
+    it('returns null for non-overlapping intervals', function () {
+      var result = getOverlappingInterval(
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 11 /* Dec */, 4), end: new Date(2016, 11 /* Dec */, 9)},
+        {bounds: '[]'}
+      )
+      assert(result === null)
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      var block = getOverlappingInterval.bind(
+        null,
+        {start: initialIntervalStart, end: initialIntervalEnd},
+        {start: new Date(2016, 11 /* Dec */, 4), end: new Date(2016, 11 /* Dec */, 9)},
+        // $ExpectedMistake
+        {bounds: '[['}
+      )
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('accepts strings', function () {
+    var result = getOverlappingInterval(
+      {start: initialIntervalStart.toISOString(), end: initialIntervalEnd.toISOString()},
+      {start: new Date(2016, 10 /* Nov */, 5).toISOString(), end: new Date(2016, 10 /* Nov */, 14).toISOString()}
+    )
+    assert.deepEqual(result, {
+      start: new Date(2016, 10 /* Nov */, 10, 13, 0, 0),
+      end: new Date(2016, 10 /* Nov */, 14)
+    })
+  })
+
+  it('accepts timestamps', function () {
+    var result = getOverlappingInterval(
+      {start: initialIntervalStart.getTime(), end: initialIntervalEnd.getTime()},
+      {start: new Date(2016, 10 /* Nov */, 5).getTime(), end: new Date(2016, 10 /* Nov */, 14).getTime()}
+    )
+    assert.deepEqual(result, {
+      start: new Date(2016, 10 /* Nov */, 10, 13, 0, 0),
+      end: new Date(2016, 10 /* Nov */, 14)
+    })
+  })
+
+  it('throws an exception if the start date of the initial time interval is after the end date', function () {
+    var block = getOverlappingInterval.bind(
+      null,
+      {start: new Date(2016, 10 /* Nov */, 7), end: new Date(2016, 10 /* Nov */, 3)},
+      {start: new Date(2016, 10 /* Nov */, 5), end: new Date(2016, 10 /* Nov */, 15)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date of the compared time interval is after the end date', function () {
+    var block = getOverlappingInterval.bind(
+      null,
+      {start: new Date(2016, 10 /* Nov */, 3), end: new Date(2016, 10 /* Nov */, 7)},
+      {start: new Date(2016, 10 /* Nov */, 15), end: new Date(2016, 10 /* Nov */, 5)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the initial interval is undefined', function () {
+    var block = getOverlappingInterval.bind(
+      null,
+      // $ExpectedMistake
+      undefined,
+      {start: new Date(2016, 10 /* Nov */, 5), end: new Date(2016, 10 /* Nov */, 15)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the compared interval is undefined', function () {
+    var block = getOverlappingInterval.bind(
+      null,
+      {start: new Date(2016, 10 /* Nov */, 3), end: new Date(2016, 10 /* Nov */, 7)},
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  context('one of the dates is `Invalid Date`', function () {
+    it('throws an exception if the start date of the initial time interval is `Invalid Date`', function () {
+      var block = getOverlappingInterval.bind(
+        null,
+        {start: new Date(NaN), end: new Date(2016, 10 /* Nov */, 3)},
+        {start: new Date(2016, 10 /* Nov */, 5), end: new Date(2016, 10 /* Nov */, 15)}
+      )
+      assert.throws(block, RangeError)
+    })
+
+    it('throws an exception if the end date of the initial time interval is `Invalid Date`', function () {
+      var block = getOverlappingInterval.bind(
+        null,
+        {start: new Date(2016, 10 /* Nov */, 3), end: new Date(NaN)},
+        {start: new Date(2016, 10 /* Nov */, 5), end: new Date(2016, 10 /* Nov */, 15)}
+      )
+      assert.throws(block, RangeError)
+    })
+
+    it('throws an exception if the start date of the compared time interval is `Invalid Date`', function () {
+      var block = getOverlappingInterval.bind(
+        null,
+        {start: new Date(2016, 10 /* Nov */, 3), end: new Date(2016, 10 /* Nov */, 7)},
+        {start: new Date(NaN), end: new Date(2016, 10 /* Nov */, 5)}
+      )
+      assert.throws(block, RangeError)
+    })
+
+    it('throws an exception if the end date of the compared time interval is `Invalid Date`', function () {
+      var block = getOverlappingInterval.bind(
+        null,
+        {start: new Date(2016, 10 /* Nov */, 3), end: new Date(2016, 10 /* Nov */, 7)},
+        {start: new Date(2016, 10 /* Nov */, 5), end: new Date(NaN)}
+      )
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = getOverlappingInterval.bind(
+      null,
+      {start: initialIntervalStart, end: initialIntervalEnd},
+      {start: new Date(2016, 10 /* Nov */, 5), end: new Date(2016, 10 /* Nov */, 15)},
+      // $ExpectedMistake
+      {additionalDigits: NaN}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(getOverlappingInterval.bind(null), TypeError)
+    // $ExpectedMistake
+    assert.throws(getOverlappingInterval.bind(null, 1), TypeError)
+  })
+})
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import getOverlappingTimeInIntervals from '.'
+
+suite('getOverlappingTimeInIntervals', function () {
+  benchmark('date-fns', function () {
+    return getOverlappingTimeInIntervals(this.intervalLeft, this.intervalRight, {unit: 'hour'})
+  })
+}, {
+  setup: function () {
+    this.intervalLeft = {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 18, 30)}
+    this.intervalRight = {start: new Date(2014, 0, 10, 17), end: new Date(2014, 0, 11, 9)}
+  }
+})
@@ -0,0 +1,82 @@
+import getOverlappingInterval from '../getOverlappingInterval/index.js'
+
+var millisecondsInUnit = {
+  millisecond: 1,
+  second: 1000,
+  minute: 60000,
+  hour: 3600000,
+  day: 86400000,
+  week: 604800000
+}
+
+/**
+ * @name getOverlappingTimeInIntervals
+ * @category Interval Helpers
+ * @summary Get the exact amount of time that overlaps in two time intervals.
+ *
+ * @description
+ * Get the length of the interval shared by two time intervals (see `getOverlappingInterval`)
+ * in the given unit, or 0 if the time intervals don't overlap.
+ *
+ * Unlike `getOverlappingDaysInIntervals`, the result isn't rounded,
+ * so it may be fractional: 1 hour and 30 minutes of overlap are 1.5 hours.
+ * The unit is 'millisecond', 'second', 'minute', 'hour', 'day' or 'week';
+ * a day is 24 hours and a week is 7 days.
+ *
+ * The bounds of the intervals (see `options.bounds`) don't change their lengths,
+ * so the result for the intervals that only touch each other is always 0.
+ *
+ * @param {Interval} intervalLeft - the first interval. See [Interval]{@link docs/types/Interval}
+ * @param {Interval} intervalRight - the second interval. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'millisecond'|'second'|'minute'|'hour'|'day'|'week'} [options.unit='millisecond'] - the unit of the result
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds] - whether the starts and the ends of the intervals
+ *   are included in them. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Number} the amount of the overlapping time in the given unit
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.unit` must be 'millisecond', 'second', 'minute', 'hour', 'day' or 'week'
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // How many hours of the shift are after 17:00?
+ * var result = getOverlappingTimeInIntervals(
+ *   {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 18, 30)},
+ *   {start: new Date(2014, 0, 10, 17), end: new Date(2014, 0, 11, 9)},
+ *   {unit: 'hour'}
+ * )
+ * //=> 1.5
+ *
+ * @example
+ * // For non-overlapping time intervals:
+ * var result = getOverlappingTimeInIntervals(
+ *   {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 17)},
+ *   {start: new Date(2014, 0, 10, 17), end: new Date(2014, 0, 11, 9)}
+ * )
+ * //=> 0
+ */
+export default function getOverlappingTimeInIntervals (dirtyIntervalLeft, dirtyIntervalRight, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var unit = options.unit === undefined ? 'millisecond' : String(options.unit)
+
+  if (!millisecondsInUnit.hasOwnProperty(unit)) {
+    throw new RangeError("unit must be 'millisecond', 'second', 'minute', 'hour', 'day' or 'week'")
+  }
+
+  var overlappingInterval = getOverlappingInterval(dirtyIntervalLeft, dirtyIntervalRight, options)
+
+  if (overlappingInterval === null) {
+    return 0
+  }
+
+  var differenceInMs = overlappingInterval.end.getTime() - overlappingInterval.start.getTime()
+
+  return differenceInMs / millisecondsInUnit[unit]
+}
@@ -0,0 +1,136 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import getOverlappingTimeInIntervals from '.'
+
+describe('getOverlappingTimeInIntervals', function () {
+  var shift = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 18, 30)}
+  var evening = {start: new Date(2014, 0 /* Jan */, 10, 17), end: new Date(2014, 0 /* Jan */, 11, 9)}
+
+  it('returns the number of milliseconds by default', function () {
+    var result = getOverlappingTimeInIntervals(shift, evening)
+    assert(result === 5400000)
+  })
+
+  it('returns the same result when the intervals are swapped', function () {
+    var result = getOverlappingTimeInIntervals(evening, shift)
+    assert(result === 5400000)
+  })
+
+  it('returns the fractional number of units', function () {
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'millisecond'}) === 5400000)
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'second'}) === 5400)
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'minute'}) === 90)
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'hour'}) === 1.5)
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'day'}) === 1.5 / 24)
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'week'}) === 1.5 / 168)
+  })
+
+  it('keeps the milliseconds', function () {
+    var result = getOverlappingTimeInIntervals(
+      {start: new Date(2014, 0 /* Jan */, 10, 9, 0, 0, 250), end: new Date(2014, 0 /* Jan */, 10, 9, 0, 1, 0)},
+      {start: new Date(2014, 0 /* Jan */, 10), end: new Date(2014, 0 /* Jan */, 11)},
+      {unit: 'second'}
+    )
+    assert(result === 0.75)
+  })
+
+  it('returns the length of the included interval', function () {
+    var result = getOverlappingTimeInIntervals(
+      {start: new Date(2014, 0 /* Jan */, 1), end: new Date(2014, 0 /* Jan */, 31)},
+      {start: new Date(2014, 0 /* Jan */, 10), end: new Date(2014, 0 /* Jan */, 17)},
+      {unit: 'week'}
+    )
+    assert(result === 1)
+  })
+
+  it('returns 0 for non-overlapping intervals', function () {
+    var result = getOverlappingTimeInIntervals(
+      shift,
+      {start: new Date(2014, 0 /* Jan */, 11, 9), end: new Date(2014, 0 /* Jan */, 11, 17)},
+      {unit: 'hour'}
+    )
+    assert(result === 0)
+  })
+
+  it('returns 0 for touching intervals', function () {
+    var interval = {start: new Date(2014, 0 /* Jan */, 10, 18, 30), end: new Date(2014, 0 /* Jan */, 11)}
+    assert(getOverlappingTimeInIntervals(shift, interval, {unit: 'hour'}) === 0)
+    assert(getOverlappingTimeInIntervals(shift, interval, {unit: 'hour', bounds: '[]'}) === 0)
+  })
+
+  it('doesn\'t change the length of the intervals with `bounds` option', function () {
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'minute', bounds: '[]'}) === 90)
+    assert(getOverlappingTimeInIntervals(shift, evening, {unit: 'minute', bounds: '()'}) === 90)
+  })
+
+  it('accepts strings', function () {
+    var result = getOverlappingTimeInIntervals(
+      {start: shift.start.toISOString(), end: shift.end.toISOString()},
+      {start: evening.start.toISOString(), end: evening.end.toISOString()},
+      {unit: 'minute'}
+    )
+    assert(result === 90)
+  })
+
+  it('accepts timestamps', function () {
+    var result = getOverlappingTimeInIntervals(
+      {start: shift.start.getTime(), end: shift.end.getTime()},
+      {start: evening.start.getTime(), end: evening.end.getTime()},
+      {unit: 'minute'}
+    )
+    assert(result === 90)
+  })
+
+  it('throws `RangeError` if `options.unit` is invalid', function () {
+    var block = getOverlappingTimeInIntervals.bind(null, shift, evening, {unit: 'month'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date of the initial time interval is after the end date', function () {
+    var block = getOverlappingTimeInIntervals.bind(
+      null,
+      {start: new Date(2014, 0 /* Jan */, 7), end: new Date(2014, 0 /* Jan */, 3)},
+      evening
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date of the compared time interval is after the end date', function () {
+    var block = getOverlappingTimeInIntervals.bind(
+      null,
+      shift,
+      {start: new Date(2014, 0 /* Jan */, 15), end: new Date(2014, 0 /* Jan */, 5)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if any of the intervals is undefined', function () {
+    // $ExpectedMistake
+    assert.throws(getOverlappingTimeInIntervals.bind(null, undefined, evening), RangeError)
+    // $ExpectedMistake
+    assert.throws(getOverlappingTimeInIntervals.bind(null, shift, undefined), RangeError)
+  })
+
+  it('throws an exception if any of the dates is `Invalid Date`', function () {
+    var block = getOverlappingTimeInIntervals.bind(
+      null,
+      shift,
+      {start: new Date(NaN), end: new Date(2014, 0 /* Jan */, 15)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = getOverlappingTimeInIntervals.bind(null, shift, evening, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(getOverlappingTimeInIntervals.bind(null), TypeError)
+    // $ExpectedMistake
+    assert.throws(getOverlappingTimeInIntervals.bind(null, 1), TypeError)
+  })
+})
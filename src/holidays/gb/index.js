@@ -0,0 +1,25 @@
+import buildHolidayCalendar from '../../buildHolidayCalendar/index.js'
+
+/**
+ * @type {HolidayCalendar}
+ * @category Holiday Calendars
+ * @summary Bank holidays of the United Kingdom (England and Wales).
+ * @country United Kingdom
+ * @iso-3166-1 GB
+ *
+ * Holidays that fall on a weekend are substituted with the next weekday
+ * that is not a bank holiday itself. One-off bank holidays
+ * (e.g. royal weddings and jubilees) are not included.
+ */
+var calendar = buildHolidayCalendar([
+  {name: "New Year's Day", month: 0, date: 1, observed: 'nextWeekday', fromYear: 1974},
+  {name: 'Good Friday', easterOffset: -2},
+  {name: 'Easter Monday', easterOffset: 1},
+  {name: 'Early May bank holiday', month: 4, day: 1, nth: 1, fromYear: 1978},
+  {name: 'Spring bank holiday', month: 4, day: 1, nth: -1},
+  {name: 'Summer bank holiday', month: 7, day: 1, nth: -1},
+  {name: 'Christmas Day', month: 11, date: 25, observed: 'nextWeekday'},
+  {name: 'Boxing Day', month: 11, date: 26, observed: 'nextWeekday'}
+])
+
+export default calendar
@@ -0,0 +1,43 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import calendar from '.'
+
+import addBusinessDays from '../../addBusinessDays'
+import isHoliday from '../../isHoliday'
+
+describe('gb holiday calendar', function () {
+  it('lists the bank holidays of the given year', function () {
+    var result = calendar.holidays(2014)
+    assert.deepEqual(result, [
+      {name: "New Year's Day", date: new Date(2014, 0 /* Jan */, 1)},
+      {name: 'Good Friday', date: new Date(2014, 3 /* Apr */, 18)},
+      {name: 'Easter Monday', date: new Date(2014, 3 /* Apr */, 21)},
+      {name: 'Early May bank holiday', date: new Date(2014, 4 /* May */, 5)},
+      {name: 'Spring bank holiday', date: new Date(2014, 4 /* May */, 26)},
+      {name: 'Summer bank holiday', date: new Date(2014, 7 /* Aug */, 25)},
+      {name: 'Christmas Day', date: new Date(2014, 11 /* Dec */, 25)},
+      {name: 'Boxing Day', date: new Date(2014, 11 /* Dec */, 26)}
+    ])
+  })
+
+  it('substitutes holidays that fall on a weekend with the next free weekday', function () {
+    var result = calendar.holidays(2022)
+    assert.deepEqual(result.slice(-2), [
+      {name: 'Boxing Day', date: new Date(2022, 11 /* Dec */, 26)},
+      {name: 'Christmas Day', date: new Date(2022, 11 /* Dec */, 27)}
+    ])
+  })
+
+  it('substitutes New Year\'s Day that falls on a weekend', function () {
+    assert(isHoliday(new Date(2022, 0 /* Jan */, 3), {holidays: calendar}) === true)
+  })
+
+  context('with `addBusinessDays`', function () {
+    it('skips the holidays', function () {
+      var result = addBusinessDays(new Date(2014, 3 /* Apr */, 17), 1, {holidays: calendar})
+      assert.deepEqual(result, new Date(2014, 3 /* Apr */, 22))
+    })
+  })
+})
@@ -0,0 +1,6 @@
+// This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
+
+module.exports = {
+  gb: require('./gb/index.js'),
+  us: require('./us/index.js')
+}
@@ -0,0 +1,28 @@
+import buildHolidayCalendar from '../../buildHolidayCalendar/index.js'
+
+/**
+ * @type {HolidayCalendar}
+ * @category Holiday Calendars
+ * @summary Federal holidays of the United States.
+ * @country United States
+ * @iso-3166-1 US
+ *
+ * Holidays that fall on Saturday are observed on the previous Friday,
+ * holidays that fall on Sunday are observed on the next Monday.
+ * Inauguration Day is not included.
+ */
+var calendar = buildHolidayCalendar([
+  {name: "New Year's Day", month: 0, date: 1, observed: 'nearestWeekday'},
+  {name: 'Birthday of Martin Luther King, Jr.', month: 0, day: 1, nth: 3, fromYear: 1986},
+  {name: "Washington's Birthday", month: 1, day: 1, nth: 3},
+  {name: 'Memorial Day', month: 4, day: 1, nth: -1},
+  {name: 'Juneteenth National Independence Day', month: 5, date: 19, observed: 'nearestWeekday', fromYear: 2021},
+  {name: 'Independence Day', month: 6, date: 4, observed: 'nearestWeekday'},
+  {name: 'Labor Day', month: 8, day: 1, nth: 1},
+  {name: 'Columbus Day', month: 9, day: 1, nth: 2},
+  {name: 'Veterans Day', month: 10, date: 11, observed: 'nearestWeekday'},
+  {name: 'Thanksgiving Day', month: 10, day: 4, nth: 4},
+  {name: 'Christmas Day', month: 11, date: 25, observed: 'nearestWeekday'}
+])
+
+export default calendar
@@ -0,0 +1,44 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import calendar from '.'
+
+import addBusinessDays from '../../addBusinessDays'
+import isHoliday from '../../isHoliday'
+
+describe('us holiday calendar', function () {
+  it('lists the federal holidays of the given year', function () {
+    var result = calendar.holidays(2014)
+    assert.deepEqual(result, [
+      {name: "New Year's Day", date: new Date(2014, 0 /* Jan */, 1)},
+      {name: 'Birthday of Martin Luther King, Jr.', date: new Date(2014, 0 /* Jan */, 20)},
+      {name: "Washington's Birthday", date: new Date(2014, 1 /* Feb */, 17)},
+      {name: 'Memorial Day', date: new Date(2014, 4 /* May */, 26)},
+      {name: 'Independence Day', date: new Date(2014, 6 /* Jul */, 4)},
+      {name: 'Labor Day', date: new Date(2014, 8 /* Sep */, 1)},
+      {name: 'Columbus Day', date: new Date(2014, 9 /* Oct */, 13)},
+      {name: 'Veterans Day', date: new Date(2014, 10 /* Nov */, 11)},
+      {name: 'Thanksgiving Day', date: new Date(2014, 10 /* Nov */, 27)},
+      {name: 'Christmas Day', date: new Date(2014, 11 /* Dec */, 25)}
+    ])
+  })
+
+  it('includes Juneteenth since 2021', function () {
+    assert(isHoliday(new Date(2020, 5 /* Jun */, 19), {holidays: calendar}) === false)
+    assert(isHoliday(new Date(2023, 5 /* Jun */, 19), {holidays: calendar}) === true)
+  })
+
+  it('observes holidays that fall on a weekend on the nearest weekday', function () {
+    assert(isHoliday(new Date(2021, 11 /* Dec */, 24), {holidays: calendar}) === true)
+    assert(isHoliday(new Date(2021, 11 /* Dec */, 31), {holidays: calendar}) === true)
+    assert(isHoliday(new Date(2023, 0 /* Jan */, 2), {holidays: calendar}) === true)
+  })
+
+  context('with `addBusinessDays`', function () {
+    it('skips the holidays', function () {
+      var result = addBusinessDays(new Date(2014, 10 /* Nov */, 26), 1, {holidays: calendar})
+      assert.deepEqual(result, new Date(2014, 10 /* Nov */, 28))
+    })
+  })
+})
@@ -1,7 +1,10 @@
 // This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
 
 module.exports = {
+  add: require('./add/index.js'),
+  addBusinessDays: require('./addBusinessDays/index.js'),
   addDays: require('./addDays/index.js'),
+  addDurations: require('./addDurations/index.js'),
   addHours: require('./addHours/index.js'),
   addISOWeekYears: require('./addISOWeekYears/index.js'),
   addMilliseconds: require('./addMilliseconds/index.js'),
@@ -12,10 +15,16 @@ module.exports = {
   addWeeks: require('./addWeeks/index.js'),
   addYears: require('./addYears/index.js'),
   areIntervalsOverlapping: require('./areIntervalsOverlapping/index.js'),
+  buildHolidayCalendar: require('./buildHolidayCalendar/index.js'),
+  buildIntervalIndex: require('./buildIntervalIndex/index.js'),
   closestIndexTo: require('./closestIndexTo/index.js'),
   closestTo: require('./closestTo/index.js'),
   compareAsc: require('./compareAsc/index.js'),
   compareDesc: require('./compareDesc/index.js'),
+  compareDurations: require('./compareDurations/index.js'),
+  compileFormat: require('./compileFormat/index.js'),
+  compileParse: require('./compileParse/index.js'),
+  differenceInBusinessDays: require('./differenceInBusinessDays/index.js'),
   differenceInCalendarDays: require('./differenceInCalendarDays/index.js'),
   differenceInCalendarISOWeekYears: require('./differenceInCalendarISOWeekYears/index.js'),
   differenceInCalendarISOWeeks: require('./differenceInCalendarISOWeeks/index.js'),
@@ -33,7 +42,25 @@ module.exports = {
   differenceInSeconds: require('./differenceInSeconds/index.js'),
   differenceInWeeks: require('./differenceInWeeks/index.js'),
   differenceInYears: require('./differenceInYears/index.js'),
+  durationToMilliseconds: require('./durationToMilliseconds/index.js'),
+  eachCronOccurrenceIterator: require('./eachCronOccurrenceIterator/index.js'),
   eachDayOfInterval: require('./eachDayOfInterval/index.js'),
+  eachDayOfIntervalIterator: require('./eachDayOfIntervalIterator/index.js'),
+  eachHourOfInterval: require('./eachHourOfInterval/index.js'),
+  eachHourOfIntervalIterator: require('./eachHourOfIntervalIterator/index.js'),
+  eachMinuteOfInterval: require('./eachMinuteOfInterval/index.js'),
+  eachMinuteOfIntervalIterator: require('./eachMinuteOfIntervalIterator/index.js'),
+  eachMonthOfInterval: require('./eachMonthOfInterval/index.js'),
+  eachMonthOfIntervalIterator: require('./eachMonthOfIntervalIterator/index.js'),
+  eachOccurrenceIterator: require('./eachOccurrenceIterator/index.js'),
+  eachOfInterval: require('./eachOfInterval/index.js'),
+  eachOfIntervalIterator: require('./eachOfIntervalIterator/index.js'),
+  eachQuarterOfInterval: require('./eachQuarterOfInterval/index.js'),
+  eachQuarterOfIntervalIterator: require('./eachQuarterOfIntervalIterator/index.js'),
+  eachWeekOfInterval: require('./eachWeekOfInterval/index.js'),
+  eachWeekOfIntervalIterator: require('./eachWeekOfIntervalIterator/index.js'),
+  eachYearOfInterval: require('./eachYearOfInterval/index.js'),
+  eachYearOfIntervalIterator: require('./eachYearOfIntervalIterator/index.js'),
   endOfDay: require('./endOfDay/index.js'),
   endOfHour: require('./endOfHour/index.js'),
   endOfISOWeek: require('./endOfISOWeek/index.js'),
@@ -44,10 +71,20 @@ module.exports = {
   endOfSecond: require('./endOfSecond/index.js'),
   endOfWeek: require('./endOfWeek/index.js'),
   endOfYear: require('./endOfYear/index.js'),
+  findFreeSlots: require('./findFreeSlots/index.js'),
   format: require('./format/index.js'),
   formatDistance: require('./formatDistance/index.js'),
   formatDistanceStrict: require('./formatDistanceStrict/index.js'),
+  formatDuration: require('./formatDuration/index.js'),
+  formatISO: require('./formatISO/index.js'),
+  formatISODuration: require('./formatISODuration/index.js'),
+  formatRFC2822: require('./formatRFC2822/index.js'),
+  formatRFC3339: require('./formatRFC3339/index.js'),
+  formatRFC7231: require('./formatRFC7231/index.js'),
+  formatRecurrence: require('./formatRecurrence/index.js'),
   formatRelative: require('./formatRelative/index.js'),
+  formatToParts: require('./formatToParts/index.js'),
+  fromZonedTime: require('./fromZonedTime/index.js'),
   getDate: require('./getDate/index.js'),
   getDay: require('./getDay/index.js'),
   getDayOfYear: require('./getDayOfYear/index.js'),
@@ -62,17 +99,24 @@ module.exports = {
   getMinutes: require('./getMinutes/index.js'),
   getMonth: require('./getMonth/index.js'),
   getOverlappingDaysInIntervals: require('./getOverlappingDaysInIntervals/index.js'),
+  getOverlappingInterval: require('./getOverlappingInterval/index.js'),
+  getOverlappingTimeInIntervals: require('./getOverlappingTimeInIntervals/index.js'),
   getQuarter: require('./getQuarter/index.js'),
   getSeconds: require('./getSeconds/index.js'),
   getTime: require('./getTime/index.js'),
   getWeekOfMonth: require('./getWeekOfMonth/index.js'),
   getWeeksInMonth: require('./getWeeksInMonth/index.js'),
   getYear: require('./getYear/index.js'),
+  intersectIntervals: require('./intersectIntervals/index.js'),
+  intervalToDuration: require('./intervalToDuration/index.js'),
+  invertIntervals: require('./invertIntervals/index.js'),
   isAfter: require('./isAfter/index.js'),
   isBefore: require('./isBefore/index.js'),
+  isBusinessDay: require('./isBusinessDay/index.js'),
   isEqual: require('./isEqual/index.js'),
   isFirstDayOfMonth: require('./isFirstDayOfMonth/index.js'),
   isFriday: require('./isFriday/index.js'),
+  isHoliday: require('./isHoliday/index.js'),
   isLastDayOfMonth: require('./isLastDayOfMonth/index.js'),
   isLeapYear: require('./isLeapYear/index.js'),
   isMonday: require('./isMonday/index.js'),
@@ -101,8 +145,16 @@ module.exports = {
   lastDayOfWeek: require('./lastDayOfWeek/index.js'),
   lastDayOfYear: require('./lastDayOfYear/index.js'),
   max: require('./max/index.js'),
+  mergeIntervals: require('./mergeIntervals/index.js'),
   min: require('./min/index.js'),
+  nextCronOccurrence: require('./nextCronOccurrence/index.js'),
+  normalizeDuration: require('./normalizeDuration/index.js'),
   parse: require('./parse/index.js'),
+  parseCron: require('./parseCron/index.js'),
+  parseICalDateTime: require('./parseICalDateTime/index.js'),
+  parseISODuration: require('./parseISODuration/index.js'),
+  parseRRule: require('./parseRRule/index.js'),
+  prevCronOccurrence: require('./prevCronOccurrence/index.js'),
   setDate: require('./setDate/index.js'),
   setDay: require('./setDay/index.js'),
   setDayOfYear: require('./setDayOfYear/index.js'),
@@ -116,6 +168,7 @@ module.exports = {
   setQuarter: require('./setQuarter/index.js'),
   setSeconds: require('./setSeconds/index.js'),
   setYear: require('./setYear/index.js'),
+  splitInterval: require('./splitInterval/index.js'),
   startOfDay: require('./startOfDay/index.js'),
   startOfHour: require('./startOfHour/index.js'),
   startOfISOWeek: require('./startOfISOWeek/index.js'),
@@ -126,6 +179,8 @@ module.exports = {
   startOfSecond: require('./startOfSecond/index.js'),
   startOfWeek: require('./startOfWeek/index.js'),
   startOfYear: require('./startOfYear/index.js'),
+  sub: require('./sub/index.js'),
+  subBusinessDays: require('./subBusinessDays/index.js'),
   subDays: require('./subDays/index.js'),
   subHours: require('./subHours/index.js'),
   subISOWeekYears: require('./subISOWeekYears/index.js'),
@@ -136,5 +191,7 @@ module.exports = {
   subSeconds: require('./subSeconds/index.js'),
   subWeeks: require('./subWeeks/index.js'),
   subYears: require('./subYears/index.js'),
-  toDate: require('./toDate/index.js')
+  subtractIntervals: require('./subtractIntervals/index.js'),
+  toDate: require('./toDate/index.js'),
+  toZonedTime: require('./toZonedTime/index.js')
 }
@@ -0,0 +1,83 @@
+import normalizeIntervals from '../_lib/normalizeIntervals/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
+
+/**
+ * @name intersectIntervals
+ * @category Interval Helpers
+ * @summary Return the intersection of the given arrays of time intervals.
+ *
+ * @description
+ * Return the time that is covered both by the first array of intervals and by the second one,
+ * as the sorted array of non-overlapping intervals.
+ *
+ * As in `areIntervalsOverlapping`, the intervals that only touch each other,
+ * like 10:00–11:00 and 11:00–12:00, don't intersect.
+ * The zero-length intervals contain no time, so they are not included in the result.
+ *
+ * By default, the intervals include their starts and exclude their ends ('[)').
+ * Use `options.bounds` to change it: e.g. the closed intervals ('[]') that touch each other
+ * intersect in the zero-length interval at the moment they share.
+ * The result has the same bounds as the given intervals.
+ *
+ * @param {Interval[]} intervalsLeft - the first array of intervals. See [Interval]{@link docs/types/Interval}
+ * @param {Interval[]} intervalsRight - the second array of intervals. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[)'] - whether the starts and the ends of the intervals
+ *   are included in them and in the result. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Interval[]} the sorted array of non-overlapping intervals
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // When are both people available?
+ * var result = intersectIntervals(
+ *   [
+ *     {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 12)},
+ *     {start: new Date(2014, 0, 10, 13), end: new Date(2014, 0, 10, 17)}
+ *   ],
+ *   [
+ *     {start: new Date(2014, 0, 10, 11), end: new Date(2014, 0, 10, 15)}
+ *   ]
+ * )
+ * //=> [
+ * //   {start: Fri Jan 10 2014 11:00:00, end: Fri Jan 10 2014 12:00:00},
+ * //   {start: Fri Jan 10 2014 13:00:00, end: Fri Jan 10 2014 15:00:00}
+ * // ]
+ */
+export default function intersectIntervals (dirtyIntervalsLeft, dirtyIntervalsRight, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var bounds = getIntervalBounds(dirtyOptions, '[)')
+  var intervalsLeft = normalizeIntervals(dirtyIntervalsLeft, dirtyOptions)
+  var intervalsRight = normalizeIntervals(dirtyIntervalsRight, dirtyOptions)
+
+  var result = []
+  var leftIndex = 0
+  var rightIndex = 0
+
+  while (leftIndex < intervalsLeft.length && rightIndex < intervalsRight.length) {
+    var intervalLeft = intervalsLeft[leftIndex]
+    var intervalRight = intervalsRight[rightIndex]
+    var startTime = Math.max(intervalLeft.start, intervalRight.start)
+    var endTime = Math.min(intervalLeft.end, intervalRight.end)
+
+    if (startTime < endTime) {
+      result.push({start: new Date(startTime - bounds.start), end: new Date(endTime - bounds.end)})
+    }
+
+    // Move on from the interval that ends first; the other one may intersect the next intervals
+    if (intervalLeft.end < intervalRight.end) {
+      leftIndex++
+    } else {
+      rightIndex++
+    }
+  }
+
+  return result
+}
@@ -0,0 +1,153 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import intersectIntervals from '.'
+
+describe('intersectIntervals', function () {
+  it('returns the time covered by both arrays of intervals', function () {
+    var result = intersectIntervals(
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)},
+        {start: new Date(2014, 0 /* Jan */, 10, 13), end: new Date(2014, 0 /* Jan */, 10, 17)}
+      ],
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)},
+        {start: new Date(2014, 0 /* Jan */, 10, 16), end: new Date(2014, 0 /* Jan */, 10, 20)}
+      ]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)},
+      {start: new Date(2014, 0 /* Jan */, 10, 13), end: new Date(2014, 0 /* Jan */, 10, 15)},
+      {start: new Date(2014, 0 /* Jan */, 10, 16), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('merges the overlapping intervals in the arguments before intersecting', function () {
+    var result = intersectIntervals(
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 12), end: new Date(2014, 0 /* Jan */, 10, 16)},
+        {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 13)}
+      ],
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 20)}
+      ]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 16)}
+    ])
+  })
+
+  it('returns an empty array if the intervals only touch each other', function () {
+    var result = intersectIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+    )
+    assert.deepEqual(result, [])
+  })
+
+  context('with `bounds` option', function () {
+    var intervalsLeft = [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}]
+    var intervalsRight = [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}]
+
+    it('returns the zero-length interval for the touching closed intervals', function () {
+      var result = intersectIntervals(intervalsLeft, intervalsRight, {bounds: '[]'})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 11)}
+      ])
+    })
+
+    it('returns an empty array for the touching intervals that exclude any of the touching boundaries', function () {
+      ['[)', '(]', '()'].forEach(function (bounds) {
+        var result = intersectIntervals(intervalsLeft, intervalsRight, {bounds: bounds})
+        assert.deepEqual(result, [])
+      })
+    })
+
+    it('returns the intersection with the same bounds', function () {
+      var result = intersectIntervals(
+        [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}],
+        [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}],
+        {bounds: '()'}
+      )
+      assert.deepEqual(result, [
+        {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}
+      ])
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      // $ExpectedMistake
+      var block = intersectIntervals.bind(null, intervalsLeft, intervalsRight, {bounds: '[['})
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('returns an empty array if any array is empty', function () {
+    var intervals = [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}]
+    assert.deepEqual(intersectIntervals(intervals, []), [])
+    assert.deepEqual(intersectIntervals([], intervals), [])
+  })
+
+  it('accepts strings', function () {
+    var result = intersectIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 9).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 12).toISOString()}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 15).toISOString()}]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = intersectIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 9).getTime(), end: new Date(2014, 0 /* Jan */, 10, 12).getTime()}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11).getTime(), end: new Date(2014, 0 /* Jan */, 10, 15).getTime()}]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = intersectIntervals.bind(
+      null,
+      [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 15), end: new Date(2014, 0 /* Jan */, 10, 11)}]
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = intersectIntervals.bind(
+      null,
+      [{start: new Date(NaN), end: new Date(2014, 0 /* Jan */, 10, 12)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = intersectIntervals.bind(
+      null,
+      [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(NaN)}]
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = intersectIntervals.bind(
+      null,
+      [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}],
+      // $ExpectedMistake
+      {additionalDigits: NaN}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(intersectIntervals.bind(null), TypeError)
+    assert.throws(intersectIntervals.bind(null, []), TypeError)
+  })
+})
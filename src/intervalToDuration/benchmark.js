@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import intervalToDuration from '.'
+
+suite('intervalToDuration', function () {
+  benchmark('date-fns', function () {
+    return intervalToDuration(this.interval)
+  })
+}, {
+  setup: function () {
+    var start = new Date()
+    this.interval = {start: start, end: new Date(start.getTime() + 40000000000)}
+  }
+})
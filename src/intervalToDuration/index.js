@@ -0,0 +1,55 @@
+import toDate from '../toDate/index.js'
+import balanceDuration from '../_lib/balanceDuration/index.js'
+
+/**
+ * @name intervalToDuration
+ * @category Duration Helpers
+ * @summary Convert the time interval to the duration.
+ *
+ * @description
+ * Convert the time interval to the duration in calendar units.
+ *
+ * The interval is decomposed from the largest unit to the smallest one:
+ * the number of full years is taken first, then the number of full months
+ * in the rest of the interval, and so on down to seconds.
+ * The years and the months are counted the same way as in `differenceInYears`
+ * and `differenceInMonths`, so they're calendar-correct. The weeks are not used;
+ * the days are counted as calendar days of the local time.
+ * The milliseconds are discarded.
+ *
+ * @param {Interval} interval - the interval to convert. See [Interval]{@link docs/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Duration} the duration with `years`, `months`, `days`, `hours`, `minutes` and `seconds` properties.
+ *   See [Duration]{@link docs/Duration}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Get the duration between 10 September 2014 and 13 December 2016 14:30:05:
+ * var result = intervalToDuration({
+ *   start: new Date(2014, 8, 10),
+ *   end: new Date(2016, 11, 13, 14, 30, 5)
+ * })
+ * //=> {years: 2, months: 3, days: 3, hours: 14, minutes: 30, seconds: 5}
+ */
+export default function intervalToDuration (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var interval = dirtyInterval || {}
+  var startDate = toDate(interval.start, dirtyOptions)
+  var endDate = toDate(interval.end, dirtyOptions)
+
+  // Throw an exception if start date is after end date or if any date is `Invalid Date`
+  if (!(startDate.getTime() <= endDate.getTime())) {
+    throw new RangeError('Invalid interval')
+  }
+
+  var duration = balanceDuration(startDate, endDate, dirtyOptions)
+  duration.seconds = Math.floor(duration.seconds)
+  return duration
+}
@@ -0,0 +1,131 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import intervalToDuration from '.'
+
+describe('intervalToDuration', function () {
+  it('returns the duration between the start and the end of the interval', function () {
+    var result = intervalToDuration({
+      start: new Date(2014, 8 /* Sep */, 10),
+      end: new Date(2016, 11 /* Dec */, 13, 14, 30, 5)
+    })
+    assert.deepEqual(result, {
+      years: 2,
+      months: 3,
+      days: 3,
+      hours: 14,
+      minutes: 30,
+      seconds: 5
+    })
+  })
+
+  it('accepts strings', function () {
+    var result = intervalToDuration({
+      start: new Date(2014, 8 /* Sep */, 10).toISOString(),
+      end: new Date(2014, 8 /* Sep */, 11, 1).toISOString()
+    })
+    assert.deepEqual(result, {years: 0, months: 0, days: 1, hours: 1, minutes: 0, seconds: 0})
+  })
+
+  it('accepts timestamps', function () {
+    var result = intervalToDuration({
+      start: new Date(2014, 8 /* Sep */, 10).getTime(),
+      end: new Date(2014, 8 /* Sep */, 11, 1).getTime()
+    })
+    assert.deepEqual(result, {years: 0, months: 0, days: 1, hours: 1, minutes: 0, seconds: 0})
+  })
+
+  it('returns zero duration if the start and the end are the same', function () {
+    var date = new Date(2014, 8 /* Sep */, 10, 12)
+    var result = intervalToDuration({start: date, end: date})
+    assert.deepEqual(result, {years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 0})
+  })
+
+  it('counts the months in the calendar', function () {
+    var result = intervalToDuration({
+      start: new Date(2014, 0 /* Jan */, 31),
+      end: new Date(2014, 2 /* Mar */, 1)
+    })
+    assert.deepEqual(result, {years: 0, months: 1, days: 1, hours: 0, minutes: 0, seconds: 0})
+  })
+
+  it('does not count the incomplete years and months', function () {
+    var result = intervalToDuration({
+      start: new Date(2012, 1 /* Feb */, 29),
+      end: new Date(2013, 1 /* Feb */, 28)
+    })
+    assert.deepEqual(result, {years: 0, months: 11, days: 30, hours: 0, minutes: 0, seconds: 0})
+  })
+
+  it('does not count the incomplete days', function () {
+    var result = intervalToDuration({
+      start: new Date(2014, 8 /* Sep */, 10, 18),
+      end: new Date(2014, 8 /* Sep */, 12, 6, 15)
+    })
+    assert.deepEqual(result, {years: 0, months: 0, days: 1, hours: 12, minutes: 15, seconds: 0})
+  })
+
+  it('discards the milliseconds', function () {
+    var result = intervalToDuration({
+      start: new Date(2014, 8 /* Sep */, 10, 12, 0, 0, 500),
+      end: new Date(2014, 8 /* Sep */, 10, 12, 0, 2, 400)
+    })
+    assert.deepEqual(result, {years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 1})
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = intervalToDuration.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(2014, 9 /* Oct */, 6)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = intervalToDuration.bind(
+      null,
+      {
+        start: new Date(NaN),
+        end: new Date(2014, 9 /* Oct */, 6)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = intervalToDuration.bind(
+      null,
+      {
+        start: new Date(2014, 9 /* Oct */, 12),
+        end: new Date(NaN)
+      }
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = intervalToDuration.bind(
+      null,
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = intervalToDuration.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 12)
+    // $ExpectedMistake
+    }, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(intervalToDuration.bind(null), TypeError)
+  })
+})
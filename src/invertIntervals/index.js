@@ -0,0 +1,49 @@
+import subtractIntervals from '../subtractIntervals/index.js'
+
+/**
+ * @name invertIntervals
+ * @category Interval Helpers
+ * @summary Return the gaps between the given time intervals within the specified interval.
+ *
+ * @description
+ * Return the time within the specified interval that is not covered by the given intervals,
+ * as the sorted array of non-overlapping intervals.
+ * The given intervals may overlap each other and go beyond the specified interval.
+ *
+ * By default, the intervals include their starts and exclude their ends ('[)').
+ * Use `options.bounds` to change it. The result has the same bounds as the given intervals.
+ *
+ * @param {Interval[]} intervals - the intervals to invert. See [Interval]{@link docs/types/Interval}
+ * @param {Interval} within - the interval to find the gaps in. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[)'] - whether the starts and the ends of the intervals
+ *   are included in them and in the result. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Interval[]} the sorted array of non-overlapping intervals
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Find the free time between 9:00 and 17:00:
+ * var result = invertIntervals(
+ *   [
+ *     {start: new Date(2014, 0, 10, 8), end: new Date(2014, 0, 10, 10)},
+ *     {start: new Date(2014, 0, 10, 12), end: new Date(2014, 0, 10, 13)}
+ *   ],
+ *   {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 17)}
+ * )
+ * //=> [
+ * //   {start: Fri Jan 10 2014 10:00:00, end: Fri Jan 10 2014 12:00:00},
+ * //   {start: Fri Jan 10 2014 13:00:00, end: Fri Jan 10 2014 17:00:00}
+ * // ]
+ */
+export default function invertIntervals (dirtyIntervals, dirtyWithin, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  return subtractIntervals([dirtyWithin], dirtyIntervals, dirtyOptions)
+}
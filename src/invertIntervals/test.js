@@ -0,0 +1,127 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import invertIntervals from '.'
+
+describe('invertIntervals', function () {
+  it('returns the gaps between the intervals within the specified interval', function () {
+    var result = invertIntervals(
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 12), end: new Date(2014, 0 /* Jan */, 10, 13)},
+        {start: new Date(2014, 0 /* Jan */, 10, 8), end: new Date(2014, 0 /* Jan */, 10, 10)},
+        {start: new Date(2014, 0 /* Jan */, 10, 12, 30), end: new Date(2014, 0 /* Jan */, 10, 14)}
+      ],
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 12)},
+      {start: new Date(2014, 0 /* Jan */, 10, 14), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('returns the specified interval if there are no intervals', function () {
+    var result = invertIntervals(
+      [],
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('returns an empty array if the intervals cover the specified interval', function () {
+    var result = invertIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10), end: new Date(2014, 0 /* Jan */, 11)}],
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    )
+    assert.deepEqual(result, [])
+  })
+
+  it('returns the gaps with the same bounds as the intervals', function () {
+    var result = invertIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}],
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)},
+      {bounds: '[]'}
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 9, 59, 59, 999)},
+      {start: new Date(2014, 0 /* Jan */, 10, 11, 0, 0, 1), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ])
+  })
+
+  it('accepts strings', function () {
+    var result = invertIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 12).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 13).toISOString()}],
+      {start: new Date(2014, 0 /* Jan */, 10, 9).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 17).toISOString()}
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)},
+      {start: new Date(2014, 0 /* Jan */, 10, 13), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = invertIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 12).getTime(), end: new Date(2014, 0 /* Jan */, 10, 13).getTime()}],
+      {start: new Date(2014, 0 /* Jan */, 10, 9).getTime(), end: new Date(2014, 0 /* Jan */, 10, 17).getTime()}
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)},
+      {start: new Date(2014, 0 /* Jan */, 10, 13), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    ])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = invertIntervals.bind(
+      null,
+      [],
+      {start: new Date(2014, 0 /* Jan */, 10, 17), end: new Date(2014, 0 /* Jan */, 10, 9)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = invertIntervals.bind(
+      null,
+      [{start: new Date(NaN), end: new Date(2014, 0 /* Jan */, 10, 13)}],
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = invertIntervals.bind(
+      null,
+      [],
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(NaN)}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = invertIntervals.bind(
+      null,
+      [],
+      // $ExpectedMistake
+      undefined
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = invertIntervals.bind(
+      null,
+      [],
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      // $ExpectedMistake
+      {additionalDigits: NaN}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(invertIntervals.bind(null), TypeError)
+    assert.throws(invertIntervals.bind(null, []), TypeError)
+  })
+})
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import isBusinessDay from '.'
+import usHolidays from '../holidays/us'
+
+suite('isBusinessDay', function () {
+  benchmark('date-fns', function () {
+    return isBusinessDay(this.date, {holidays: usHolidays})
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
@@ -0,0 +1,41 @@
+import isWeekend from '../isWeekend/index.js'
+import isHoliday from '../isHoliday/index.js'
+import isValid from '../isValid/index.js'
+
+/**
+ * @name isBusinessDay
+ * @category Weekday Helpers
+ * @summary Is the given date a business day?
+ *
+ * @description
+ * Is the given date a business day, i.e. it is neither a weekend day
+ * nor a holiday in the holiday calendar passed as `options.holidays`?
+ *
+ * @param {Date|String|Number} date - the date to check
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Number[]} [options.weekendDays=[0, 6]] - the indices of the weekend days of the week (0 - Sunday)
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {Boolean} the date is a business day
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.weekendDays` must contain only numbers between 0 and 6
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // Is 25 December 2014 a business day in the United Kingdom?
+ * import gbHolidays from 'date-fns/holidays/gb'
+ * var result = isBusinessDay(new Date(2014, 11, 25), {holidays: gbHolidays})
+ * //=> false
+ */
+export default function isBusinessDay (dirtyDate, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var weekend = isWeekend(dirtyDate, dirtyOptions)
+  var holiday = isHoliday(dirtyDate, dirtyOptions)
+  return isValid(dirtyDate, dirtyOptions) && !weekend && !holiday
+}
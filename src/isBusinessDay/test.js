@@ -0,0 +1,77 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import isBusinessDay from '.'
+import buildHolidayCalendar from '../buildHolidayCalendar'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('isBusinessDay', function () {
+  var holidays = buildHolidayCalendar([
+    {name: 'Independence Day', month: 6, date: 4}
+  ])
+
+  it('returns true if the given date is a business day', function () {
+    var result = isBusinessDay(new Date(2014, 6 /* Jul */, 3), {holidays: holidays})
+    assert(result === true)
+  })
+
+  it('returns false if the given date is a weekend day', function () {
+    var result = isBusinessDay(new Date(2014, 6 /* Jul */, 5), {holidays: holidays})
+    assert(result === false)
+  })
+
+  it('returns false if the given date is a holiday', function () {
+    var result = isBusinessDay(new Date(2014, 6 /* Jul */, 4), {holidays: holidays})
+    assert(result === false)
+  })
+
+  it('allows to specify which days are weekend days', function () {
+    var result = isBusinessDay(new Date(2014, 6 /* Jul */, 6), {weekendDays: [5, 6]})
+    assert(result === true)
+  })
+
+  it('takes the calendar day in `options.timeZone`', function () {
+    // Fri 4 July 2014 05:00 in Tokyo and Thu 3 July 2014 16:00 in New York
+    var date = new Date(Date.UTC(2014, 6 /* Jul */, 3, 20))
+    assert(isBusinessDay(date, {holidays: holidays, timeZone: tokyo}) === false)
+    assert(isBusinessDay(date, {holidays: holidays, timeZone: newYork}) === true)
+  })
+
+  it('accepts a string', function () {
+    var result = isBusinessDay(new Date(2014, 6 /* Jul */, 3).toString())
+    assert(result === true)
+  })
+
+  it('accepts a timestamp', function () {
+    var result = isBusinessDay(new Date(2014, 6 /* Jul */, 3).getTime())
+    assert(result === true)
+  })
+
+  it('returns false if the given date is `Invalid Date`', function () {
+    var result = isBusinessDay(new Date(NaN))
+    assert(result === false)
+  })
+
+  it('throws `RangeError` if `options.weekendDays` contains a number not between 0 and 6', function () {
+    var block = isBusinessDay.bind(null, new Date(2014, 6 /* Jul */, 3), {weekendDays: [7]})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.holidays` does not contain `holidays` property', function () {
+    // $ExpectedMistake
+    var block = isBusinessDay.bind(null, new Date(2014, 6 /* Jul */, 3), {holidays: {}})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = isBusinessDay.bind(null, new Date(2014, 6 /* Jul */, 3), {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(isBusinessDay.bind(null), TypeError)
+  })
+})
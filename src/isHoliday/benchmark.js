@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import isHoliday from '.'
+import usHolidays from '../holidays/us'
+
+suite('isHoliday', function () {
+  benchmark('date-fns', function () {
+    return isHoliday(this.date, {holidays: usHolidays})
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
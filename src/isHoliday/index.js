@@ -0,0 +1,93 @@
+import toDate from '../toDate/index.js'
+import tzToWallTime from '../_lib/tzToWallTime/index.js'
+
+/**
+ * @name isHoliday
+ * @category Weekday Helpers
+ * @summary Is the given date a holiday?
+ *
+ * @description
+ * Is the given date a holiday in the holiday calendar passed as `options.holidays`?
+ * If the holiday calendar is not specified, the function returns false.
+ *
+ * The calendar day of the given date is taken in the local timezone
+ * or in `options.timeZone` if it is specified.
+ *
+ * @param {Date|String|Number} date - the date to check
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {Boolean} the date is a holiday
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // Is 4 July 2014 a federal holiday in the United States?
+ * import usHolidays from 'date-fns/holidays/us'
+ * var result = isHoliday(new Date(2014, 6, 4), {holidays: usHolidays})
+ * //=> true
+ *
+ * @example
+ * // Is 4 July 2014 02:00:00 UTC a federal holiday in New York?
+ * import newYork from 'date-fns/timeZone/America/New_York'
+ * import usHolidays from 'date-fns/holidays/us'
+ * var result = isHoliday(new Date(Date.UTC(2014, 6, 4, 2)), {
+ *   holidays: usHolidays,
+ *   timeZone: newYork
+ * })
+ * //=> false
+ */
+export default function isHoliday (dirtyDate, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var calendar = options.holidays
+
+  if (!calendar) {
+    return false
+  }
+
+  if (!calendar.holidays) {
+    throw new RangeError('holidays must contain holidays property')
+  }
+
+  var date = toDate(dirtyDate, options)
+
+  if (isNaN(date)) {
+    return false
+  }
+
+  var year, month, dayOfMonth
+  if (options.timeZone === undefined) {
+    year = date.getFullYear()
+    month = date.getMonth()
+    dayOfMonth = date.getDate()
+  } else {
+    var wallDate = new Date(tzToWallTime(date.getTime(), options.timeZone))
+    year = wallDate.getUTCFullYear()
+    month = wallDate.getUTCMonth()
+    dayOfMonth = wallDate.getUTCDate()
+  }
+
+  var holidays = calendar.holidays(year)
+
+  // The holiday dates are the calendar days in the local timezone,
+  // so they are compared with the calendar day of the given date
+  for (var i = 0; i < holidays.length; i++) {
+    var holidayDate = toDate(holidays[i].date, options)
+    if (
+      holidayDate.getFullYear() === year &&
+      holidayDate.getMonth() === month &&
+      holidayDate.getDate() === dayOfMonth
+    ) {
+      return true
+    }
+  }
+
+  return false
+}
@@ -0,0 +1,92 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import isHoliday from '.'
+import buildHolidayCalendar from '../buildHolidayCalendar'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('isHoliday', function () {
+  var holidays = buildHolidayCalendar([
+    {name: 'Independence Day', month: 6, date: 4, observed: 'nearestWeekday'}
+  ])
+
+  it('returns true if the given date is a holiday', function () {
+    var result = isHoliday(new Date(2014, 6 /* Jul */, 4), {holidays: holidays})
+    assert(result === true)
+  })
+
+  it('returns false if the given date is not a holiday', function () {
+    var result = isHoliday(new Date(2014, 6 /* Jul */, 5), {holidays: holidays})
+    assert(result === false)
+  })
+
+  it('ignores the time', function () {
+    var result = isHoliday(new Date(2014, 6 /* Jul */, 4, 23, 59, 59, 999), {holidays: holidays})
+    assert(result === true)
+  })
+
+  it('checks the observed date of the holiday', function () {
+    var result = isHoliday(new Date(2015, 6 /* Jul */, 3), {holidays: holidays})
+    assert(result === true)
+  })
+
+  it('takes the calendar day in `options.timeZone`', function () {
+    // Fri 4 July 2014 11:00 in Tokyo and Thu 3 July 2014 22:00 in New York
+    var date = new Date(Date.UTC(2014, 6 /* Jul */, 4, 2))
+    assert(isHoliday(date, {holidays: holidays, timeZone: tokyo}) === true)
+    assert(isHoliday(date, {holidays: holidays, timeZone: newYork}) === false)
+  })
+
+  it('returns false if `options.holidays` is not specified', function () {
+    var result = isHoliday(new Date(2014, 6 /* Jul */, 4))
+    assert(result === false)
+  })
+
+  it('accepts a custom holiday calendar', function () {
+    var customHolidays = {
+      holidays: function (year) {
+        return [{name: 'Custom holiday', date: new Date(year, 1 /* Feb */, 3)}]
+      }
+    }
+    var result = isHoliday(new Date(2014, 1 /* Feb */, 3), {holidays: customHolidays})
+    assert(result === true)
+  })
+
+  it('accepts a string', function () {
+    var result = isHoliday(new Date(2014, 6 /* Jul */, 4).toString(), {holidays: holidays})
+    assert(result === true)
+  })
+
+  it('accepts a timestamp', function () {
+    var result = isHoliday(new Date(2014, 6 /* Jul */, 4).getTime(), {holidays: holidays})
+    assert(result === true)
+  })
+
+  it('returns false if the given date is `Invalid Date`', function () {
+    var result = isHoliday(new Date(NaN), {holidays: holidays})
+    assert(result === false)
+  })
+
+  it('throws `RangeError` if `options.holidays` does not contain `holidays` property', function () {
+    // $ExpectedMistake
+    var block = isHoliday.bind(null, new Date(2014, 6 /* Jul */, 4), {holidays: {}})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.timeZone` is not a valid time zone', function () {
+    var block = isHoliday.bind(null, new Date(2014, 6 /* Jul */, 4), {holidays: holidays, timeZone: 'Mars/Olympus_Mons'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = isHoliday.bind(null, new Date(2014, 6 /* Jul */, 4), {holidays: holidays, additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(isHoliday.bind(null), TypeError)
+  })
+})
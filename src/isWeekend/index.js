@@ -1,4 +1,5 @@
 import toDate from '../toDate/index.js'
+import tzToWallTime from '../_lib/tzToWallTime/index.js'
 
 /**
  * @name isWeekend
@@ -8,24 +9,66 @@ import toDate from '../toDate/index.js'
  * @description
  * Does the given date fall on a weekend?
  *
+ * By default, Saturday and Sunday are considered weekend days.
+ * Use `options.weekendDays` to specify a different weekend,
+ * e.g. `[5, 6]` for Friday and Saturday.
+ *
+ * The day of the week is taken in the local timezone or in `options.timeZone` if it is specified.
+ *
  * @param {Date|String|Number} date - the date to check
  * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
  * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Number[]} [options.weekendDays=[0, 6]] - the indices of the weekend days of the week (0 - Sunday)
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
  * @returns {Boolean} the date falls on a weekend
  * @throws {TypeError} 1 argument required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.weekendDays` must contain only numbers between 0 and 6
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
  *
  * @example
  * // Does 5 October 2014 fall on a weekend?
  * var result = isWeekend(new Date(2014, 9, 5))
  * //=> true
+ *
+ * @example
+ * // Does 5 October 2014 fall on a weekend if the weekend is Friday and Saturday?
+ * var result = isWeekend(new Date(2014, 9, 5), {weekendDays: [5, 6]})
+ * //=> false
+ *
+ * @example
+ * // Does 3 October 2014 20:00:00 UTC fall on a weekend in Auckland?
+ * import auckland from 'date-fns/timeZone/Pacific/Auckland'
+ * var result = isWeekend(new Date(Date.UTC(2014, 9, 3, 20)), {timeZone: auckland})
+ * //=> true
  */
 export default function isWeekend (dirtyDate, dirtyOptions) {
   if (arguments.length < 1) {
     throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
   }
 
-  var date = toDate(dirtyDate, dirtyOptions)
-  var day = date.getDay()
-  return day === 0 || day === 6
+  var options = dirtyOptions || {}
+  var weekendDays = options.weekendDays === undefined ? [0, 6] : options.weekendDays
+
+  for (var i = 0; i < weekendDays.length; i++) {
+    var weekendDay = Number(weekendDays[i])
+
+    // Test if weekendDay is between 0 and 6 _and_ is not NaN
+    if (!(weekendDay >= 0 && weekendDay <= 6)) {
+      throw new RangeError('weekendDays must contain only numbers between 0 and 6 inclusively')
+    }
+  }
+
+  var date = toDate(dirtyDate, options)
+  var day = options.timeZone === undefined
+    ? date.getDay()
+    : new Date(tzToWallTime(date.getTime(), options.timeZone)).getUTCDay()
+
+  for (var j = 0; j < weekendDays.length; j++) {
+    if (day === Number(weekendDays[j])) {
+      return true
+    }
+  }
+
+  return false
 }
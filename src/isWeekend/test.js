@@ -3,6 +3,8 @@
 
 import assert from 'power-assert'
 import isWeekend from '.'
+import auckland from '../timeZone/Pacific/Auckland'
+import newYork from '../timeZone/America/New_York'
 
 describe('isWeekend', function () {
   it('returns true if the given date is in a weekend', function () {
@@ -15,6 +17,29 @@ describe('isWeekend', function () {
     assert(result === false)
   })
 
+  it('allows to specify which days are weekend days', function () {
+    var result = isWeekend(new Date(2014, 9 /* Oct */, 3), {weekendDays: [5, 6]})
+    assert(result === true)
+  })
+
+  it('returns false for the default weekend days if they are not in `options.weekendDays`', function () {
+    var result = isWeekend(new Date(2014, 9 /* Oct */, 5), {weekendDays: [5, 6]})
+    assert(result === false)
+  })
+
+  it('implicitly converts `options.weekendDays` elements to numbers', function () {
+    // $ExpectedMistake
+    var result = isWeekend(new Date(2014, 9 /* Oct */, 3), {weekendDays: ['5', '6']})
+    assert(result === true)
+  })
+
+  it('takes the day of the week in `options.timeZone`', function () {
+    // Sat 4 October 2014 09:00 in Auckland and Fri 3 October 2014 16:00 in New York
+    var date = new Date(Date.UTC(2014, 9 /* Oct */, 3, 20))
+    assert(isWeekend(date, {timeZone: auckland}) === true)
+    assert(isWeekend(date, {timeZone: newYork}) === false)
+  })
+
   it('accepts a string', function () {
     var result = isWeekend(new Date(2014, 9 /* Oct */, 5).toString())
     assert(result === true)
@@ -30,6 +55,21 @@ describe('isWeekend', function () {
     assert(result === false)
   })
 
+  it('throws `RangeError` if `options.weekendDays` contains a number not between 0 and 6', function () {
+    var block = isWeekend.bind(null, new Date(2014, 9 /* Oct */, 5), {weekendDays: [0, 7]})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.weekendDays` contains NaN', function () {
+    var block = isWeekend.bind(null, new Date(2014, 9 /* Oct */, 5), {weekendDays: [NaN]})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.timeZone` is not a valid time zone', function () {
+    var block = isWeekend.bind(null, new Date(2014, 9 /* Oct */, 5), {timeZone: 'Mars/Olympus_Mons'})
+    assert.throws(block, RangeError)
+  })
+
   it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
     // $ExpectedMistake
     var block = isWeekend.bind(null, new Date(2014, 9 /* Oct */, 5), {additionalDigits: NaN})
@@ -1,4 +1,5 @@
 import toDate from '../toDate/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
 
 /**
  * @name isWithinInterval
@@ -8,13 +9,19 @@ import toDate from '../toDate/index.js'
  * @description
  * Is the given date within the interval?
  *
+ * By default, both the start and the end of the interval are included in it.
+ * Use `options.bounds` to exclude them.
+ *
  * @param {Date|String|Number} date - the date to check
- * @param {Interval} interval - the interval to check
+ * @param {Interval} interval - the interval to check. See [Interval]{@link docs/types/Interval}
  * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[]'] - whether the start and the end of the interval
+ *   are included in it. See [Interval]{@link docs/types/Interval}
  * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
  * @returns {Boolean} the date is within the interval
  * @throws {TypeError} 2 arguments required
  * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
  * @throws {RangeError} The start of an interval cannot be after its end
  * @throws {RangeError} Date in interval cannot be `Invalid Date`
  *
@@ -33,6 +40,15 @@ import toDate from '../toDate/index.js'
  *   {start: new Date(2014, 0, 1), end: new Date(2014, 0, 7)}
  * )
  * //=> false
+ *
+ * @example
+ * // For the end of the interval that excludes its end:
+ * isWithinInterval(
+ *   new Date(2014, 0, 7),
+ *   {start: new Date(2014, 0, 1), end: new Date(2014, 0, 7)},
+ *   {bounds: '[)'}
+ * )
+ * //=> false
  */
 export default function isWithinInterval (dirtyDate, dirtyInterval, dirtyOptions) {
   if (arguments.length < 2) {
@@ -49,5 +65,7 @@ export default function isWithinInterval (dirtyDate, dirtyInterval, dirtyOptions
     throw new RangeError('Invalid interval')
   }
 
-  return time >= startTime && time <= endTime
+  var bounds = getIntervalBounds(dirtyOptions, '[]')
+
+  return time >= startTime + bounds.start && time < endTime + bounds.end
 }
@@ -45,6 +45,48 @@ describe('isWithinInterval', function () {
     assert(result === false)
   })
 
+  describe('with `bounds` option', function () {
+    var interval = {start: new Date(2014, 8 /* Sep */, 1), end: new Date(2014, 11 /* Dec */, 31)}
+
+    it('includes both boundaries for the closed interval', function () {
+      assert(isWithinInterval(interval.start, interval, {bounds: '[]'}) === true)
+      assert(isWithinInterval(interval.end, interval, {bounds: '[]'}) === true)
+    })
+
+    it('excludes the right boundary for the half-open interval', function () {
+      assert(isWithinInterval(interval.start, interval, {bounds: '[)'}) === true)
+      assert(isWithinInterval(interval.end, interval, {bounds: '[)'}) === false)
+      assert(isWithinInterval(new Date(2014, 11 /* Dec */, 30, 23, 59, 59, 999), interval, {bounds: '[)'}) === true)
+    })
+
+    it('excludes the left boundary for the left-open interval', function () {
+      assert(isWithinInterval(interval.start, interval, {bounds: '(]'}) === false)
+      assert(isWithinInterval(new Date(2014, 8 /* Sep */, 1, 0, 0, 0, 1), interval, {bounds: '(]'}) === true)
+      assert(isWithinInterval(interval.end, interval, {bounds: '(]'}) === true)
+    })
+
+    it('excludes both boundaries for the open interval', function () {
+      assert(isWithinInterval(interval.start, interval, {bounds: '()'}) === false)
+      assert(isWithinInterval(interval.end, interval, {bounds: '()'}) === false)
+      assert(isWithinInterval(new Date(2014, 9 /* Oct */, 31), interval, {bounds: '()'}) === true)
+    })
+
+    it('returns false for the zero-length interval that excludes any of its boundaries', function () {
+      var date = new Date(2014, 11 /* Dec */, 31)
+      var zeroLengthInterval = {start: date, end: date}
+      assert(isWithinInterval(date, zeroLengthInterval, {bounds: '[]'}) === true)
+      assert(isWithinInterval(date, zeroLengthInterval, {bounds: '[)'}) === false)
+      assert(isWithinInterval(date, zeroLengthInterval, {bounds: '(]'}) === false)
+      assert(isWithinInterval(date, zeroLengthInterval, {bounds: '()'}) === false)
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      // $ExpectedMistake
+      var block = isWithinInterval.bind(null, interval.start, interval, {bounds: ']['})
+      assert.throws(block, RangeError)
+    })
+  })
+
   it('accepts a string', function () {
     var result = isWithinInterval(
       new Date(2014, 9 /* Oct */, 31).toISOString(),
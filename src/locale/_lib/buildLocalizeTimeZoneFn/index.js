@@ -0,0 +1,129 @@
+import addLeadingZeros from '../../../_lib/addLeadingZeros/index.js'
+
+/**
+ * @name buildLocalizeTimeZoneFn
+ * @category Locale Helpers
+ * @summary Build `localize.timeZone` property for the locale.
+ *
+ * @description
+ * Build `localize.timeZone` property for the locale used by `format` function.
+ *
+ * The resulting function takes the date and the options object with these properties:
+ * - `offset` - the offset of the time zone from UTC in minutes (positive to the east of Greenwich);
+ * - `timeZone` - the IANA name of the time zone object passed to `format` as `options.timeZone`
+ *   or the offset from UTC passed instead of it (the local time zone if it's undefined);
+ * - `abbreviation` - the abbreviation of the time zone from the time zone object;
+ * - `width` - `'short'` or `'long'` for the time zone name (e.g. 'EST' or 'Eastern Standard Time'),
+ *   `'shortOffset'` or `'longOffset'` for the localized GMT offset (e.g. 'GMT-5' or 'GMT-05:00').
+ *
+ * The time zone names are taken from `Intl.DateTimeFormat` when it's available.
+ * Otherwise, `values.names` is used as a fallback: it maps the abbreviations to the long names.
+ * If the name is unknown, the localized GMT offset is returned instead.
+ *
+ * `values.gmtFormat` is the GMT offset pattern with `{0}` placeholder for the offset,
+ * `values.gmtZeroFormat` is used for the zero offset
+ * and `values.hourFormat` contains the patterns for positive and negative offsets separated with `;`
+ * (see [CLDR time zone formats]{@link http://www.unicode.org/reports/tr35/tr35-dates.html#Time_Zone_Format_Terminology}).
+ *
+ * @param {String} intlLocale - the BCP 47 language tag of the locale passed to `Intl.DateTimeFormat`
+ * @param {Object} values - the object with `gmtFormat`, `gmtZeroFormat`, `hourFormat` and optional `names` properties
+ * @returns {Function} the resulting function
+ *
+ * @example
+ * var timeZoneValues = {
+ *   gmtFormat: 'GMT{0}',
+ *   gmtZeroFormat: 'GMT',
+ *   hourFormat: '+HH:mm;-HH:mm',
+ *   names: {
+ *     EST: 'Eastern Standard Time',
+ *     EDT: 'Eastern Daylight Time'
+ *   }
+ * }
+ * locale.localize.timeZone = buildLocalizeTimeZoneFn('en-US', timeZoneValues)
+ * locale.localize.timeZone(new Date(2014, 0, 1), {offset: 330, width: 'shortOffset'}) //=> 'GMT+5:30'
+ * locale.localize.timeZone(new Date(2014, 0, 1), {offset: -300, width: 'longOffset'}) //=> 'GMT-05:00'
+ */
+export default function buildLocalizeTimeZoneFn (intlLocale, values) {
+  var intlFormatters = {}
+
+  return function (dirtyDate, dirtyOptions) {
+    var options = dirtyOptions || {}
+    var width = options.width ? String(options.width) : 'short'
+
+    if (width === 'short' || width === 'long') {
+      var name = getIntlName(intlFormatters, intlLocale, dirtyDate, options.timeZone, width) ||
+        getBundledName(values.names, options.abbreviation, width)
+
+      if (name) {
+        return name
+      }
+
+      width = width + 'Offset'
+    }
+
+    return formatOffset(Number(options.offset), width === 'longOffset', values)
+  }
+}
+
+function getIntlName (intlFormatters, intlLocale, date, timeZone, width) {
+  if (typeof Intl !== 'object' || typeof Intl.DateTimeFormat !== 'function') {
+    return null
+  }
+
+  var key = width + ':' + (timeZone === undefined ? '' : timeZone)
+  if (!intlFormatters.hasOwnProperty(key)) {
+    try {
+      intlFormatters[key] = new Intl.DateTimeFormat(intlLocale, {timeZone: timeZone, timeZoneName: width})
+    } catch (err) {
+      // The time zone isn't supported by `Intl`
+      intlFormatters[key] = null
+    }
+  }
+
+  var formatter = intlFormatters[key]
+  if (!formatter || typeof formatter.formatToParts !== 'function') {
+    return null
+  }
+
+  var parts = formatter.formatToParts(date)
+  for (var i = 0; i < parts.length; i++) {
+    if (parts[i].type === 'timeZoneName') {
+      return parts[i].value
+    }
+  }
+  return null
+}
+
+function getBundledName (names, abbreviation, width) {
+  if (!names || abbreviation === undefined || !names.hasOwnProperty(abbreviation)) {
+    return null
+  }
+
+  return width === 'long' ? names[abbreviation] : abbreviation
+}
+
+function formatOffset (offset, isLong, values) {
+  if (offset === 0) {
+    return values.gmtZeroFormat
+  }
+
+  var hourFormats = values.hourFormat.split(';')
+  var hourFormat = offset > 0 ? hourFormats[0] : hourFormats[1]
+  var absOffset = Math.round(Math.abs(offset))
+  var hours = Math.floor(absOffset / 60)
+  var minutes = absOffset % 60
+
+  var formattedOffset
+  if (isLong) {
+    formattedOffset = hourFormat
+      .replace('HH', addLeadingZeros(hours, 2))
+      .replace('mm', addLeadingZeros(minutes, 2))
+  } else {
+    // The short format omits the leading zero and the zero minutes: GMT-5, GMT+5:30
+    formattedOffset = hourFormat
+      .replace('HH', String(hours))
+      .replace(minutes ? 'mm' : /.mm/, minutes ? addLeadingZeros(minutes, 2) : '')
+  }
+
+  return values.gmtFormat.replace('{0}', formattedOffset)
+}
@@ -1,9 +1,11 @@
 var commonTokenKeys = [
   'x', 'ss', 's', 'mm', 'm', 'hh', 'h', 'do', 'dddd',
-  'ddd', 'dd', 'd', 'aa', 'a', 'ZZ', 'Z', 'YYYY', 'YY',
-  'X', 'Wo', 'WW', 'W', 'SSS', 'SS', 'S', 'Qo', 'Q', 'Mo',
-  'MMMM', 'MMM', 'MM', 'M', 'HH', 'H', 'GGGG', 'GG', 'E',
-  'Do', 'DDDo', 'DDDD', 'DDD', 'DD', 'D', 'A'
+  'ddd', 'dd', 'd', 'aa', 'a', 'ZZZ', 'ZZ', 'Z', 'zzzz',
+  'z', 'yyyy', 'YYYY', 'YY', 'X', 'Wo', 'WW', 'W', 'SSS', 'SS',
+  'S', 'Qo', 'Q', 'OOOO', 'O',
+  'NNNNN', 'NNNN', 'NNN', 'NN', 'N', 'Mo', 'MMMM', 'MMM', 'MM',
+  'M', 'HH', 'H', 'GGGG', 'GG', 'E', 'Do', 'DDDo', 'DDDD',
+  'DDD', 'DD', 'D', 'A'
 ]
 
 /**
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} أيام'
   },
 
+  xWeeks: {
+    one: 'أسبوع واحد',
+    other: '{{count}} أسابيع'
+  },
+
   aboutXMonths: {
     one: 'شهر واحد تقريباً',
     other: '{{count}} أشهر تقريباً'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'كل سنة',
+    other: 'كل {{count}} سنوات'
+  },
+
+  everyXMonths: {
+    one: 'كل شهر',
+    other: 'كل {{count}} أشهر'
+  },
+
+  everyXWeeks: {
+    one: 'كل أسبوع',
+    other: 'كل {{count}} أسابيع'
+  },
+
+  everyXDays: {
+    one: 'كل يوم',
+    other: 'كل {{count}} أيام'
+  },
+
+  everyXHours: {
+    one: 'كل ساعة',
+    other: 'كل {{count}} ساعات'
+  },
+
+  everyXMinutes: {
+    one: 'كل دقيقة',
+    other: 'كل {{count}} دقائق'
+  },
+
+  everyXSeconds: {
+    one: 'كل ثانية',
+    other: 'كل {{count}} ثوان'
+  },
+
+  inMonths: 'في {{list}}',
+  onMonthDays: 'في {{list}}',
+  onWeekdays: 'يوم {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{weekday}} رقم {{nth}}',
+
+  lastWeekday: {
+    one: '{{weekday}} الأخير',
+    other: '{{weekday}} رقم {{nth}} من النهاية'
+  },
+
+  monthDay: 'اليوم {{nth}}',
+
+  lastMonthDay: {
+    one: 'اليوم الأخير',
+    other: 'اليوم {{nth}} من النهاية'
+  },
+
+  setPositions: '{{list}} فقط',
+  setPosition: 'المرة رقم {{nth}}',
+
+  lastSetPosition: {
+    one: 'المرة الأخيرة',
+    other: 'المرة رقم {{nth}} من النهاية'
+  },
+
+  xTimes: {
+    one: 'مرة واحدة',
+    other: '{{count}} مرات'
+  },
+
+  until: 'حتى {{date}}',
+  listSeparator: '، ',
+  lastListSeparator: ' و ',
+  partSeparator: ' ',
+  clauseSeparator: '، '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
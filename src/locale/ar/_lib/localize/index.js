@@ -1,5 +1,6 @@
 import buildLocalizeFn from '../../../_lib/buildLocalizeFn/index.js'
 import buildLocalizeArrayFn from '../../../_lib/buildLocalizeArrayFn/index.js'
+import buildLocalizeTimeZoneFn from '../../../_lib/buildLocalizeTimeZoneFn/index.js'
 
 var weekdayValues = {
   narrow: ['ح', 'ن', 'ث', 'ر', 'خ', 'ج', 'س'],
@@ -22,6 +23,18 @@ function ordinalNumber (dirtyNumber) {
   return String(dirtyNumber)
 }
 
+var timeZoneValues = {
+  gmtFormat: 'غرينتش{0}',
+  gmtZeroFormat: 'غرينتش',
+  hourFormat: '+HH:mm;-HH:mm'
+}
+
+var eraValues = {
+  narrow: ['ق', 'م'],
+  short: ['ق.م', 'م'],
+  long: ['قبل الميلاد', 'ميلادي']
+}
+
 var localize = {
   ordinalNumber: ordinalNumber,
   weekday: buildLocalizeFn(weekdayValues, 'long'),
@@ -31,7 +44,10 @@ var localize = {
   timeOfDay: buildLocalizeFn(timeOfDayValues, 'long', function (hours) {
     return (hours / 12) >= 1 ? 1 : 0
   }),
-  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long')
+  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long'),
+  era: buildLocalizeFn(eraValues, 'short'),
+  eras: buildLocalizeArrayFn(eraValues, 'short'),
+  timeZone: buildLocalizeTimeZoneFn('ar', timeZoneValues)
 }
 
 export default localize
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} дни'
   },
 
+  xWeeks: {
+    one: '1 седмица',
+    other: '{{count}} седмици'
+  },
+
   aboutXMonths: {
     one: 'около месец',
     other: 'около {{count}} месеца'
@@ -0,0 +1,123 @@
+var weekdayGenders = ['feminine', 'masculine', 'masculine', 'feminine', 'masculine', 'masculine', 'feminine']
+
+// The ordinal numbers of `localize` are masculine
+function feminineOrdinalNumber (number) {
+  var rem10 = number % 10
+  var rem100 = number % 100
+  if (rem100 > 10 && rem100 < 20) {
+    return number + '-та'
+  }
+
+  switch (rem10) {
+    case 1: return number + '-ва'
+    case 2: return number + '-ра'
+    case 7:
+    case 8: return number + '-ма'
+    default: return number + '-та'
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Всяка година',
+    other: 'На всеки {{count}} години'
+  },
+
+  everyXMonths: {
+    one: 'Всеки месец',
+    other: 'На всеки {{count}} месеца'
+  },
+
+  everyXWeeks: {
+    one: 'Всяка седмица',
+    other: 'На всеки {{count}} седмици'
+  },
+
+  everyXDays: {
+    one: 'Всеки ден',
+    other: 'На всеки {{count}} дни'
+  },
+
+  everyXHours: {
+    one: 'Всеки час',
+    other: 'На всеки {{count}} часа'
+  },
+
+  everyXMinutes: {
+    one: 'Всяка минута',
+    other: 'На всеки {{count}} минути'
+  },
+
+  everyXSeconds: {
+    one: 'Всяка секунда',
+    other: 'На всеки {{count}} секунди'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} число',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+
+  nthWeekday: {
+    masculine: '{{nth}} {{weekday}}',
+    feminine: '{{feminineNth}} {{weekday}}'
+  },
+
+  lastWeekday: {
+    masculine: {
+      one: 'последният {{weekday}}',
+      other: '{{nth}} от края {{weekday}}'
+    },
+    feminine: {
+      one: 'последната {{weekday}}',
+      other: '{{feminineNth}} от края {{weekday}}'
+    }
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'последното',
+    other: '{{nth}} от края'
+  },
+
+  setPositions: 'само {{list}}',
+  setPosition: 'повторение № {{count}}',
+
+  lastSetPosition: {
+    one: 'последното повторение',
+    other: 'повторение № {{count}} от края'
+  },
+
+  xTimes: {
+    one: 'веднъж',
+    other: '{{count}} пъти'
+  },
+
+  until: 'до {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' и ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result
+  if (typeof scheme === 'string') {
+    result = scheme
+  } else if (count === 1) {
+    result = scheme.one
+  } else {
+    result = scheme.other
+  }
+
+  return result
+    .replace('{{count}}', count)
+    .replace('{{feminineNth}}', feminineOrdinalNumber(count))
+}
@@ -1,5 +1,6 @@
 import buildLocalizeFn from '../../../_lib/buildLocalizeFn/index.js'
 import buildLocalizeArrayFn from '../../../_lib/buildLocalizeArrayFn/index.js'
+import buildLocalizeTimeZoneFn from '../../../_lib/buildLocalizeTimeZoneFn/index.js'
 
 var weekdayValues = {
   narrow: ['нд', 'пн', 'вт', 'ср', 'чт', 'пт', 'сб'],
@@ -31,6 +32,18 @@ function ordinalNumber (dirtyNumber) {
   return number + '-и'
 }
 
+var timeZoneValues = {
+  gmtFormat: 'Гринуич{0}',
+  gmtZeroFormat: 'Гринуич',
+  hourFormat: '+HH:mm;-HH:mm'
+}
+
+var eraValues = {
+  narrow: ['пр.Хр.', 'сл.Хр.'],
+  short: ['пр.Хр.', 'сл.Хр.'],
+  long: ['преди Христа', 'след Христа']
+}
+
 var localize = {
   ordinalNumber: ordinalNumber,
   weekday: buildLocalizeFn(weekdayValues, 'long'),
@@ -48,7 +61,10 @@ var localize = {
       return 0
     }
   }),
-  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long')
+  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long'),
+  era: buildLocalizeFn(eraValues, 'short'),
+  eras: buildLocalizeArrayFn(eraValues, 'short'),
+  timeZone: buildLocalizeTimeZoneFn('bg', timeZoneValues)
 }
 
 export default localize
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} dies'
   },
 
+  xWeeks: {
+    one: '1 setmana',
+    other: '{{count}} setmanes'
+  },
+
   aboutXMonths: {
     one: 'aproximadament un mes',
     other: 'aproximadament {{count}} mesos'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Cada any',
+    other: 'Cada {{count}} anys'
+  },
+
+  everyXMonths: {
+    one: 'Cada mes',
+    other: 'Cada {{count}} mesos'
+  },
+
+  everyXWeeks: {
+    one: 'Cada setmana',
+    other: 'Cada {{count}} setmanes'
+  },
+
+  everyXDays: {
+    one: 'Cada dia',
+    other: 'Cada {{count}} dies'
+  },
+
+  everyXHours: {
+    one: 'Cada hora',
+    other: 'Cada {{count}} hores'
+  },
+
+  everyXMinutes: {
+    one: 'Cada minut',
+    other: 'Cada {{count}} minuts'
+  },
+
+  everyXSeconds: {
+    one: 'Cada segon',
+    other: 'Cada {{count}} segons'
+  },
+
+  inMonths: 'el mes de {{list}}',
+  onMonthDays: '{{list}}',
+  onWeekdays: '{{list}}',
+  weekday: 'el {{weekday}}',
+  nthWeekday: 'el {{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: "l'últim {{weekday}}",
+    other: 'el {{nth}} {{weekday}} des del final'
+  },
+
+  monthDay: 'el dia {{nth}}',
+
+  lastMonthDay: {
+    one: "l'últim dia",
+    other: 'el {{nth}} dia des del final'
+  },
+
+  setPositions: 'només {{list}}',
+  setPosition: 'el {{nth}} cop',
+
+  lastSetPosition: {
+    one: "l'últim cop",
+    other: 'el {{nth}} cop des del final'
+  },
+
+  xTimes: {
+    one: 'una vegada',
+    other: '{{count}} vegades'
+  },
+
+  until: 'fins a {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' i ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
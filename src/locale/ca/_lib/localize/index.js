@@ -1,5 +1,6 @@
 import buildLocalizeFn from '../../../_lib/buildLocalizeFn/index.js'
 import buildLocalizeArrayFn from '../../../_lib/buildLocalizeArrayFn/index.js'
+import buildLocalizeTimeZoneFn from '../../../_lib/buildLocalizeTimeZoneFn/index.js'
 
 var weekdayValues = {
   narrow: ['dg', 'dl', 'dt', 'dc', 'dj', 'dv', 'ds'],
@@ -35,6 +36,18 @@ function ordinalNumber (dirtyNumber) {
   }
 }
 
+var timeZoneValues = {
+  gmtFormat: 'GMT{0}',
+  gmtZeroFormat: 'GMT',
+  hourFormat: '+HH:mm;-HH:mm'
+}
+
+var eraValues = {
+  narrow: ['aC', 'dC'],
+  short: ['aC', 'dC'],
+  long: ['abans de Crist', 'després de Crist']
+}
+
 var localize = {
   ordinalNumber: ordinalNumber,
   weekday: buildLocalizeFn(weekdayValues, 'long'),
@@ -44,7 +57,10 @@ var localize = {
   timeOfDay: buildLocalizeFn(timeOfDayValues, 'long', function (hours) {
     return (hours / 12) >= 1 ? 1 : 0
   }),
-  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long')
+  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long'),
+  era: buildLocalizeFn(eraValues, 'short'),
+  eras: buildLocalizeArrayFn(eraValues, 'short'),
+  timeZone: buildLocalizeTimeZoneFn('ca', timeZoneValues)
 }
 
 export default localize
@@ -33,6 +33,16 @@ var parseTimeOfDayPatterns = {
   any: [/^a/i, /^p/i]
 }
 
+var matchErasPatterns = {
+  narrow: /^(a\.?\s?c\.?|d\.?\s?c\.?)/i,
+  short: /^(a\.?\s?c\.?|d\.?\s?c\.?)/i,
+  long: /^(abans de crist|després de crist)/i
+}
+
+var parseEraPatterns = {
+  any: [/^a/i, /^d/i]
+}
+
 var match = {
   ordinalNumbers: buildMatchPatternFn(matchOrdinalNumbersPattern),
   ordinalNumber: parseDecimal,
@@ -41,7 +51,9 @@ var match = {
   months: buildMatchFn(matchMonthsPatterns, 'long'),
   month: buildParseFn(parseMonthPatterns, 'any'),
   timesOfDay: buildMatchFn(matchTimesOfDayPatterns, 'long'),
-  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any')
+  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any'),
+  eras: buildMatchFn(matchErasPatterns, 'short'),
+  era: buildParseFn(parseEraPatterns, 'any')
 }
 
 export default match
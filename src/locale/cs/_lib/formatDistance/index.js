@@ -138,6 +138,24 @@ var formatDistanceLocale = {
     }
   },
 
+  xWeeks: {
+    one: {
+      regular: 'týden',
+      past: 'týdnem',
+      future: 'týden'
+    },
+    twoFour: {
+      regular: '{{count}} týdny',
+      past: '{{count}} týdny',
+      future: '{{count}} týdny'
+    },
+    other: {
+      regular: '{{count}} týdnů',
+      past: '{{count}} týdny',
+      future: '{{count}} týdnů'
+    }
+  },
+
   xMonths: {
     one: {
       regular: 'měsíc',
@@ -0,0 +1,98 @@
+function declension (scheme, count) {
+  if (scheme.one !== undefined && count === 1) {
+    return scheme.one
+  } else if (scheme.other !== undefined) {
+    return scheme.other
+  } else if (count >= 2 && count <= 4) {
+    return scheme.few
+  } else {
+    return scheme.many
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Každý rok',
+    few: 'Každé {{count}} roky',
+    many: 'Každých {{count}} let'
+  },
+
+  everyXMonths: {
+    one: 'Každý měsíc',
+    few: 'Každé {{count}} měsíce',
+    many: 'Každých {{count}} měsíců'
+  },
+
+  everyXWeeks: {
+    one: 'Každý týden',
+    few: 'Každé {{count}} týdny',
+    many: 'Každých {{count}} týdnů'
+  },
+
+  everyXDays: {
+    one: 'Každý den',
+    few: 'Každé {{count}} dny',
+    many: 'Každých {{count}} dní'
+  },
+
+  everyXHours: {
+    one: 'Každou hodinu',
+    few: 'Každé {{count}} hodiny',
+    many: 'Každých {{count}} hodin'
+  },
+
+  everyXMinutes: {
+    one: 'Každou minutu',
+    few: 'Každé {{count}} minuty',
+    many: 'Každých {{count}} minut'
+  },
+
+  everyXSeconds: {
+    one: 'Každou sekundu',
+    few: 'Každé {{count}} sekundy',
+    many: 'Každých {{count}} sekund'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} den v měsíci',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'poslední {{weekday}}',
+    other: '{{nth}} {{weekday}} od konce'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'poslední',
+    other: '{{nth}} od konce'
+  },
+
+  setPositions: 'pouze {{list}}',
+  setPosition: '{{nth}} výskyt',
+
+  lastSetPosition: {
+    one: 'poslední výskyt',
+    other: '{{nth}} výskyt od konce'
+  },
+
+  xTimes: {
+    one: 'jednou',
+    other: '{{count}}krát'
+  },
+
+  until: 'do {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' a ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  var result = typeof scheme === 'string' ? scheme : declension(scheme, count)
+  return result.replace('{{count}}', count)
+}
@@ -1,5 +1,6 @@
 import buildLocalizeFn from '../../../_lib/buildLocalizeFn/index.js'
 import buildLocalizeArrayFn from '../../../_lib/buildLocalizeArrayFn/index.js'
+import buildLocalizeTimeZoneFn from '../../../_lib/buildLocalizeTimeZoneFn/index.js'
 
 var weekdayValues = {
   narrow: ['ne', 'po', 'út', 'st', 'čt', 'pá', 'so'],
@@ -23,6 +24,18 @@ function ordinalNumber (dirtyNumber) {
   return number + '.'
 }
 
+var timeZoneValues = {
+  gmtFormat: 'GMT{0}',
+  gmtZeroFormat: 'GMT',
+  hourFormat: '+HH:mm;-HH:mm'
+}
+
+var eraValues = {
+  narrow: ['př.n.l.', 'n.l.'],
+  short: ['př. n. l.', 'n. l.'],
+  long: ['před naším letopočtem', 'našeho letopočtu']
+}
+
 var localize = {
   ordinalNumber: ordinalNumber,
   weekday: buildLocalizeFn(weekdayValues, 'long'),
@@ -32,7 +45,10 @@ var localize = {
   timeOfDay: buildLocalizeFn(timeOfDayValues, 'long', function (hours) {
     return (hours / 12) >= 1 ? 1 : 0
   }),
-  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long')
+  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long'),
+  era: buildLocalizeFn(eraValues, 'short'),
+  eras: buildLocalizeArrayFn(eraValues, 'short'),
+  timeZone: buildLocalizeTimeZoneFn('cs', timeZoneValues)
 }
 
 export default localize
@@ -33,6 +33,16 @@ var parseTimeOfDayPatterns = {
   any: [/^a/i, /^p/i]
 }
 
+var matchErasPatterns = {
+  narrow: /^(př\.?\s?n\.?\s?l\.?|n\.?\s?l\.?)/i,
+  short: /^(př\.?\s?n\.?\s?l\.?|n\.?\s?l\.?)/i,
+  long: /^(před naším letopočtem|našeho letopočtu)/i
+}
+
+var parseEraPatterns = {
+  any: [/^p/i, /^n/i]
+}
+
 var match = {
   ordinalNumbers: buildMatchPatternFn(matchOrdinalNumbersPattern),
   ordinalNumber: parseDecimal,
@@ -41,7 +51,9 @@ var match = {
   months: buildMatchFn(matchMonthsPatterns, 'long'),
   month: buildParseFn(parseMonthPatterns, 'any'),
   timesOfDay: buildMatchFn(matchTimesOfDayPatterns, 'long'),
-  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any')
+  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any'),
+  eras: buildMatchFn(matchErasPatterns, 'short'),
+  era: buildParseFn(parseEraPatterns, 'any')
 }
 
 export default match
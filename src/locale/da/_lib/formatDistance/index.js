@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} dage'
   },
 
+  xWeeks: {
+    one: '1 uge',
+    other: '{{count}} uger'
+  },
+
   aboutXMonths: {
     one: 'cirka 1 måned',
     other: 'cirka {{count}} måneder'
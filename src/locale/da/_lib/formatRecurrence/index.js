@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Hvert år',
+    other: 'Hvert {{count}}. år'
+  },
+
+  everyXMonths: {
+    one: 'Hver måned',
+    other: 'Hver {{count}}. måned'
+  },
+
+  everyXWeeks: {
+    one: 'Hver uge',
+    other: 'Hver {{count}}. uge'
+  },
+
+  everyXDays: {
+    one: 'Hver dag',
+    other: 'Hver {{count}}. dag'
+  },
+
+  everyXHours: {
+    one: 'Hver time',
+    other: 'Hver {{count}}. time'
+  },
+
+  everyXMinutes: {
+    one: 'Hvert minut',
+    other: 'Hvert {{count}}. minut'
+  },
+
+  everyXSeconds: {
+    one: 'Hvert sekund',
+    other: 'Hvert {{count}}. sekund'
+  },
+
+  inMonths: 'i {{list}}',
+  onMonthDays: 'den {{list}}',
+  onWeekdays: '{{list}}',
+  weekday: 'om {{weekday}}en',
+  nthWeekday: 'den {{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'den sidste {{weekday}}',
+    other: 'den {{nth}} sidste {{weekday}}'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'sidste dag',
+    other: '{{nth}} sidste dag'
+  },
+
+  setPositions: 'kun {{list}} forekomst',
+  setPosition: 'den {{nth}}',
+
+  lastSetPosition: {
+    one: 'den sidste',
+    other: 'den {{nth}} sidste'
+  },
+
+  xTimes: {
+    one: 'én gang',
+    other: '{{count}} gange'
+  },
+
+  until: 'indtil {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' og ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -33,6 +33,16 @@ var parseTimeOfDayPatterns = {
   any: [/^a/i, /^p/i]
 }
 
+var matchErasPatterns = {
+  narrow: /^(f\.?\s?kr\.?|e\.?\s?kr\.?)/i,
+  short: /^(f\.?\s?kr\.?|e\.?\s?kr\.?)/i,
+  long: /^(før kristus|efter kristus)/i
+}
+
+var parseEraPatterns = {
+  any: [/^f/i, /^e/i]
+}
+
 var match = {
   ordinalNumbers: buildMatchPatternFn(matchOrdinalNumbersPattern),
   ordinalNumber: parseDecimal,
@@ -41,7 +51,9 @@ var match = {
   months: buildMatchFn(matchMonthsPatterns, 'long'),
   month: buildParseFn(parseMonthPatterns, 'any'),
   timesOfDay: buildMatchFn(matchTimesOfDayPatterns, 'long'),
-  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any')
+  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any'),
+  eras: buildMatchFn(matchErasPatterns, 'short'),
+  era: buildParseFn(parseEraPatterns, 'any')
 }
 
 export default match
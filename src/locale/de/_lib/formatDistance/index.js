@@ -82,6 +82,17 @@ var formatDistanceLocale = {
 
   },
 
+  xWeeks: {
+    standalone: {
+      one: 'eine Woche',
+      other: '{{count}} Wochen'
+    },
+    withPreposition: {
+      one: 'einer Woche',
+      other: '{{count}} Wochen'
+    }
+  },
+
   aboutXMonths: {
     standalone: {
       one: 'etwa ein Monat',
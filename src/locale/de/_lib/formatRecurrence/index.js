@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Jedes Jahr',
+    other: 'Alle {{count}} Jahre'
+  },
+
+  everyXMonths: {
+    one: 'Jeden Monat',
+    other: 'Alle {{count}} Monate'
+  },
+
+  everyXWeeks: {
+    one: 'Jede Woche',
+    other: 'Alle {{count}} Wochen'
+  },
+
+  everyXDays: {
+    one: 'Jeden Tag',
+    other: 'Alle {{count}} Tage'
+  },
+
+  everyXHours: {
+    one: 'Jede Stunde',
+    other: 'Alle {{count}} Stunden'
+  },
+
+  everyXMinutes: {
+    one: 'Jede Minute',
+    other: 'Alle {{count}} Minuten'
+  },
+
+  everyXSeconds: {
+    one: 'Jede Sekunde',
+    other: 'Alle {{count}} Sekunden'
+  },
+
+  inMonths: 'im {{list}}',
+  onMonthDays: 'am {{list}}',
+  onWeekdays: 'am {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'letzten {{weekday}}',
+    other: '{{nth}} {{weekday}} vom Ende'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'letzten Tag',
+    other: '{{nth}} Tag vom Ende'
+  },
+
+  setPositions: 'nur {{list}}',
+  setPosition: 'das {{nth}} Vorkommen',
+
+  lastSetPosition: {
+    one: 'das letzte Vorkommen',
+    other: 'das {{nth}} Vorkommen vom Ende'
+  },
+
+  xTimes: {
+    one: 'einmal',
+    other: '{{count}} Mal'
+  },
+
+  until: 'bis {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' und ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
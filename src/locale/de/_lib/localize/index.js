@@ -1,5 +1,6 @@
 import buildLocalizeFn from '../../../_lib/buildLocalizeFn/index.js'
 import buildLocalizeArrayFn from '../../../_lib/buildLocalizeArrayFn/index.js'
+import buildLocalizeTimeZoneFn from '../../../_lib/buildLocalizeTimeZoneFn/index.js'
 
 // Note: in German, the names of days of the week and months are capitalized.
 // If you are making a new locale based on this one, check if the same is true for the language you're working on.
@@ -27,6 +28,18 @@ function ordinalNumber (dirtyNumber) {
   return number + '.'
 }
 
+var timeZoneValues = {
+  gmtFormat: 'GMT{0}',
+  gmtZeroFormat: 'GMT',
+  hourFormat: '+HH:mm;-HH:mm'
+}
+
+var eraValues = {
+  narrow: ['v. Chr.', 'n. Chr.'],
+  short: ['v. Chr.', 'n. Chr.'],
+  long: ['vor Christus', 'nach Christus']
+}
+
 var localize = {
   ordinalNumber: ordinalNumber,
   weekday: buildLocalizeFn(weekdayValues, 'long'),
@@ -36,7 +49,10 @@ var localize = {
   timeOfDay: buildLocalizeFn(timeOfDayValues, 'long', function (hours) {
     return (hours / 12) >= 1 ? 1 : 0
   }),
-  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long')
+  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long'),
+  era: buildLocalizeFn(eraValues, 'short'),
+  eras: buildLocalizeArrayFn(eraValues, 'short'),
+  timeZone: buildLocalizeTimeZoneFn('de', timeZoneValues)
 }
 
 export default localize
@@ -9,6 +9,8 @@ import endOfWeek from '../../endOfWeek'
 import format from '../../format'
 import formatDistance from '../../formatDistance'
 import formatDistanceStrict from '../../formatDistanceStrict'
+import formatDuration from '../../formatDuration'
+import formatRecurrence from '../../formatRecurrence'
 import formatRelative from '../../formatRelative'
 import isSameWeek from '../../isSameWeek'
 import lastDayOfWeek from '../../lastDayOfWeek'
@@ -205,6 +207,28 @@ describe('de locale', function () {
     })
   })
 
+  context('with `formatDuration`', function () {
+    it('works as expected', function () {
+      var result = formatDuration({years: 1, weeks: 2, days: 5}, {locale: locale})
+      assert(result === 'ein Jahr 2 Wochen 5 Tage')
+    })
+  })
+
+  context('with `formatRecurrence`', function () {
+    it('describes the days of the week', function () {
+      var result = formatRecurrence(
+        {freq: 'weekly', interval: 2, byDay: [{day: 1}, {day: 3}], until: new Date(2014, 2 /* Mar */, 3)},
+        {locale: locale}
+      )
+      assert(result === 'Alle 2 Wochen am Montag und Mittwoch, bis 3. März 2014')
+    })
+
+    it('describes the days of the month and the positions', function () {
+      var result = formatRecurrence('FREQ=MONTHLY;BYMONTHDAY=1,-1;BYSETPOS=-2;COUNT=6', {locale: locale})
+      assert(result === 'Jeden Monat am 1. und letzten Tag, nur das 2. Vorkommen vom Ende, 6 Mal')
+    })
+  })
+
   context('with `formatRelative`', function () {
     var baseDate = new Date(1986, 3 /* Apr */, 4, 10, 32, 0, 900)
 
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} ημέρες'
   },
 
+  xWeeks: {
+    one: '1 εβδομάδα',
+    other: '{{count}} εβδομάδες'
+  },
+
   aboutXMonths: {
     one: 'περίπου 1 μήνας',
     other: 'περίπου {{count}} μήνες'
@@ -0,0 +1,109 @@
+var weekdayGenders = ['feminine', 'feminine', 'feminine', 'feminine', 'feminine', 'feminine', 'neuter']
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Κάθε χρόνο',
+    other: 'Κάθε {{count}} χρόνια'
+  },
+
+  everyXMonths: {
+    one: 'Κάθε μήνα',
+    other: 'Κάθε {{count}} μήνες'
+  },
+
+  everyXWeeks: {
+    one: 'Κάθε εβδομάδα',
+    other: 'Κάθε {{count}} εβδομάδες'
+  },
+
+  everyXDays: {
+    one: 'Κάθε μέρα',
+    other: 'Κάθε {{count}} μέρες'
+  },
+
+  everyXHours: {
+    one: 'Κάθε ώρα',
+    other: 'Κάθε {{count}} ώρες'
+  },
+
+  everyXMinutes: {
+    one: 'Κάθε λεπτό',
+    other: 'Κάθε {{count}} λεπτά'
+  },
+
+  everyXSeconds: {
+    one: 'Κάθε δευτερόλεπτο',
+    other: 'Κάθε {{count}} δευτερόλεπτα'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} ημέρα του μήνα',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+
+  nthWeekday: {
+    masculine: '{{count}}ος {{weekday}}',
+    feminine: '{{count}}η {{weekday}}',
+    neuter: '{{count}}ο {{weekday}}'
+  },
+
+  lastWeekday: {
+    masculine: {
+      one: 'τελευταίος {{weekday}}',
+      other: '{{count}}ος από το τέλος {{weekday}}'
+    },
+    feminine: {
+      one: 'τελευταία {{weekday}}',
+      other: '{{count}}η από το τέλος {{weekday}}'
+    },
+    neuter: {
+      one: 'τελευταίο {{weekday}}',
+      other: '{{count}}ο από το τέλος {{weekday}}'
+    }
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'τελευταία',
+    other: '{{nth}} από το τέλος'
+  },
+
+  setPositions: 'μόνο {{list}}',
+  setPosition: '{{count}}η επανάληψη',
+
+  lastSetPosition: {
+    one: 'τελευταία επανάληψη',
+    other: '{{count}}η επανάληψη από το τέλος'
+  },
+
+  xTimes: {
+    one: 'μία φορά',
+    other: '{{count}} φορές'
+  },
+
+  until: 'έως {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' και ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result
+  if (typeof scheme === 'string') {
+    result = scheme
+  } else if (count === 1) {
+    result = scheme.one
+  } else {
+    result = scheme.other
+  }
+
+  return result.replace('{{count}}', count)
+}
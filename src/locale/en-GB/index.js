@@ -1,5 +1,6 @@
 import formatDistance from '../en-US/_lib/formatDistance/index.js'
 import formatLong from './_lib/formatLong/index.js'
+import formatRecurrence from '../en-US/_lib/formatRecurrence/index.js'
 import formatRelative from '../en-US/_lib/formatRelative/index.js'
 import localize from '../en-US/_lib/localize/index.js'
 import match from '../en-US/_lib/match/index.js'
@@ -15,6 +16,7 @@ import match from '../en-US/_lib/match/index.js'
 var locale = {
   formatDistance: formatDistance,
   formatLong: formatLong,
+  formatRecurrence: formatRecurrence,
   formatRelative: formatRelative,
   localize: localize,
   match: match,
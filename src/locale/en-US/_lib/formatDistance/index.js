@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} days'
   },
 
+  xWeeks: {
+    one: '1 week',
+    other: '{{count}} weeks'
+  },
+
   aboutXMonths: {
     one: 'about 1 month',
     other: 'about {{count}} months'
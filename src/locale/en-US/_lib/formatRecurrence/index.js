@@ -0,0 +1,90 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Every year',
+    other: 'Every {{count}} years'
+  },
+
+  everyXMonths: {
+    one: 'Every month',
+    other: 'Every {{count}} months'
+  },
+
+  everyXWeeks: {
+    one: 'Every week',
+    other: 'Every {{count}} weeks'
+  },
+
+  everyXDays: {
+    one: 'Every day',
+    other: 'Every {{count}} days'
+  },
+
+  everyXHours: {
+    one: 'Every hour',
+    other: 'Every {{count}} hours'
+  },
+
+  everyXMinutes: {
+    one: 'Every minute',
+    other: 'Every {{count}} minutes'
+  },
+
+  everyXSeconds: {
+    one: 'Every second',
+    other: 'Every {{count}} seconds'
+  },
+
+  inMonths: 'in {{list}}',
+  onMonthDays: 'on {{list}}',
+  onWeekdays: 'on {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: 'the {{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'the last {{weekday}}',
+    other: 'the {{nth}} to last {{weekday}}'
+  },
+
+  monthDay: 'the {{nth}}',
+
+  lastMonthDay: {
+    one: 'the last day',
+    other: 'the {{nth}} to last day'
+  },
+
+  setPositions: {
+    one: 'only {{list}} occurrence',
+    other: 'only {{list}} occurrences'
+  },
+
+  setPosition: 'the {{nth}}',
+
+  lastSetPosition: {
+    one: 'the last',
+    other: 'the {{nth}} to last'
+  },
+
+  xTimes: {
+    one: 'once',
+    other: '{{count}} times'
+  },
+
+  until: 'until {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' and ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
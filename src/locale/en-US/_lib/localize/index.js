@@ -1,5 +1,6 @@
 import buildLocalizeFn from '../../../_lib/buildLocalizeFn/index.js'
 import buildLocalizeArrayFn from '../../../_lib/buildLocalizeArrayFn/index.js'
+import buildLocalizeTimeZoneFn from '../../../_lib/buildLocalizeTimeZoneFn/index.js'
 
 // Note: in English, the names of days of the week and months are capitalized.
 // If you are making a new locale based on this one, check if the same is true for the language you're working on.
@@ -12,6 +13,7 @@ var weekdayValues = {
 }
 
 var monthValues = {
+  narrow: ['J', 'F', 'M', 'A', 'M', 'J', 'J', 'A', 'S', 'O', 'N', 'D'],
   short: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
   long: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
 }
@@ -44,9 +46,32 @@ var monthValues = {
 var timeOfDayValues = {
   uppercase: ['AM', 'PM'],
   lowercase: ['am', 'pm'],
+  narrow: ['a', 'p'],
   long: ['a.m.', 'p.m.']
 }
 
+// `dayPeriod` is the flexible day period (`B` token of Unicode patterns, see `format`).
+// The locales without it use `timeOfDay` instead.
+var dayPeriodValues = {
+  long: ['at night', 'in the morning', 'in the afternoon', 'in the evening']
+}
+
+// `quarter` takes 0 for the first quarter, 1 for the second one, etc.
+// It's used by `QQQ`, `QQQQ` and `QQQQQ` Unicode tokens (see `format`).
+// The locales without it use `Q1` and the ordinal number instead.
+var quarterValues = {
+  narrow: ['1', '2', '3', '4'],
+  short: ['Q1', 'Q2', 'Q3', 'Q4'],
+  long: ['1st quarter', '2nd quarter', '3rd quarter', '4th quarter']
+}
+
+// `era` takes 0 for the dates before the year 1 and 1 for the rest.
+var eraValues = {
+  narrow: ['B', 'A'],
+  short: ['BC', 'AD'],
+  long: ['Before Christ', 'Anno Domini']
+}
+
 function ordinalNumber (dirtyNumber, dirtyOptions) {
   var number = Number(dirtyNumber)
 
@@ -74,6 +99,33 @@ function ordinalNumber (dirtyNumber, dirtyOptions) {
   return number + 'th'
 }
 
+// `names` are used when `Intl` is not available.
+// The keys are the abbreviations from the time zone data bundled with date-fns.
+var timeZoneValues = {
+  gmtFormat: 'GMT{0}',
+  gmtZeroFormat: 'GMT',
+  hourFormat: '+HH:mm;-HH:mm',
+  names: {
+    UTC: 'Coordinated Universal Time',
+    GMT: 'Greenwich Mean Time',
+    EST: 'Eastern Standard Time',
+    EDT: 'Eastern Daylight Time',
+    CST: 'Central Standard Time',
+    CDT: 'Central Daylight Time',
+    MST: 'Mountain Standard Time',
+    MDT: 'Mountain Daylight Time',
+    PST: 'Pacific Standard Time',
+    PDT: 'Pacific Daylight Time',
+    AST: 'Atlantic Standard Time',
+    ADT: 'Atlantic Daylight Time',
+    AKST: 'Alaska Standard Time',
+    AKDT: 'Alaska Daylight Time',
+    HST: 'Hawaii-Aleutian Standard Time',
+    HAST: 'Hawaii-Aleutian Standard Time',
+    HADT: 'Hawaii-Aleutian Daylight Time'
+  }
+}
+
 var localize = {
   ordinalNumber: ordinalNumber,
   weekday: buildLocalizeFn(weekdayValues, 'long'),
@@ -83,7 +135,24 @@ var localize = {
   timeOfDay: buildLocalizeFn(timeOfDayValues, 'long', function (hours) {
     return (hours / 12) >= 1 ? 1 : 0
   }),
-  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long')
+  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long'),
+  dayPeriod: buildLocalizeFn(dayPeriodValues, 'long', function (hours) {
+    if (hours >= 21 || hours < 6) {
+      return 0
+    } else if (hours < 12) {
+      return 1
+    } else if (hours < 18) {
+      return 2
+    } else {
+      return 3
+    }
+  }),
+  dayPeriods: buildLocalizeArrayFn(dayPeriodValues, 'long'),
+  quarter: buildLocalizeFn(quarterValues, 'long'),
+  quarters: buildLocalizeArrayFn(quarterValues, 'long'),
+  era: buildLocalizeFn(eraValues, 'short'),
+  eras: buildLocalizeArrayFn(eraValues, 'short'),
+  timeZone: buildLocalizeTimeZoneFn('en-US', timeZoneValues)
 }
 
 export default localize
@@ -9,12 +9,15 @@ import endOfWeek from '../../endOfWeek'
 import format from '../../format'
 import formatDistance from '../../formatDistance'
 import formatDistanceStrict from '../../formatDistanceStrict'
+import formatDuration from '../../formatDuration'
+import formatRecurrence from '../../formatRecurrence'
 import formatRelative from '../../formatRelative'
 import isSameWeek from '../../isSameWeek'
 import lastDayOfWeek from '../../lastDayOfWeek'
 import parse from '../../parse'
 import setDay from '../../setDay'
 import startOfWeek from '../../startOfWeek'
+import newYork from '../../timeZone/America/New_York'
 
 describe('en-US locale', function () {
   context('with `differenceInCalendarWeeks`', function () {
@@ -56,6 +59,13 @@ describe('en-US locale', function () {
       })
     })
 
+    describe('eras', function () {
+      it('N, NNNN, NNNNN', function () {
+        var result = format(date, 'yyyy N NNNN NNNNN', {locale: locale})
+        assert(result === '1986 AD Anno Domini A')
+      })
+    })
+
     describe('quarters', function () {
       it('Qo', function () {
         var result = format(date, 'Qo [quarter]', {locale: locale})
@@ -159,6 +169,15 @@ describe('en-US locale', function () {
         assert(result === 'Friday, April 4 1986 10:32 a.m.')
       })
     })
+
+    describe('time zones', function () {
+      it('GMT offsets', function () {
+        var newYorkResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {locale: locale, timeZone: newYork})
+        assert(newYorkResult === 'GMT-5|GMT-05:00')
+        var kolkataResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {locale: locale, timeZone: '+05:30'})
+        assert(kolkataResult === 'GMT+5:30|GMT+05:30')
+      })
+    })
   })
 
   context('with `formatDistance`', function () {
@@ -223,6 +242,28 @@ describe('en-US locale', function () {
     })
   })
 
+  context('with `formatDuration`', function () {
+    it('works as expected', function () {
+      var result = formatDuration({years: 1, weeks: 2, days: 5}, {locale: locale})
+      assert(result === '1 year 2 weeks 5 days')
+    })
+  })
+
+  context('with `formatRecurrence`', function () {
+    it('describes the days of the week', function () {
+      var result = formatRecurrence(
+        {freq: 'weekly', interval: 2, byDay: [{day: 1}, {day: 3}], until: new Date(2014, 2 /* Mar */, 3)},
+        {locale: locale}
+      )
+      assert(result === 'Every 2 weeks on Monday and Wednesday, until March 3 2014')
+    })
+
+    it('describes the days of the month and the positions', function () {
+      var result = formatRecurrence('FREQ=MONTHLY;BYMONTHDAY=1,-1;BYSETPOS=-2;COUNT=6', {locale: locale})
+      assert(result === 'Every month on the 1st and the last day, only the 2nd to last occurrence, 6 times')
+    })
+  })
+
   context('with `formatRelative`', function () {
     var baseDate = new Date(1986, 3 /* Apr */, 4, 10, 32, 0, 900)
 
@@ -284,6 +325,13 @@ describe('en-US locale', function () {
       assert.deepEqual(result, new Date(1986, 2 /* Mar */, 30))
     })
 
+    describe('eras', function () {
+      it('NNNN', function () {
+        var result = parse('44 Before Christ', 'yyyy NNNN', baseDate, {locale: locale})
+        assert(result.getFullYear() === -43)
+      })
+    })
+
     describe('quarters', function () {
       it('Qo', function () {
         var result = parse('2000 2nd', 'YYYY Qo', baseDate, {locale: locale})
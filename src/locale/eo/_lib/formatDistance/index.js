@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} tagoj'
   },
 
+  xWeeks: {
+    one: '1 semajno',
+    other: '{{count}} semajnoj'
+  },
+
   aboutXMonths: {
     one: 'proksimume 1 monato',
     other: 'proksimume {{count}} monatoj'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Ĉiun jaron',
+    other: 'Ĉiujn {{count}} jarojn'
+  },
+
+  everyXMonths: {
+    one: 'Ĉiun monaton',
+    other: 'Ĉiujn {{count}} monatojn'
+  },
+
+  everyXWeeks: {
+    one: 'Ĉiun semajnon',
+    other: 'Ĉiujn {{count}} semajnojn'
+  },
+
+  everyXDays: {
+    one: 'Ĉiun tagon',
+    other: 'Ĉiujn {{count}} tagojn'
+  },
+
+  everyXHours: {
+    one: 'Ĉiun horon',
+    other: 'Ĉiujn {{count}} horojn'
+  },
+
+  everyXMinutes: {
+    one: 'Ĉiun minuton',
+    other: 'Ĉiujn {{count}} minutojn'
+  },
+
+  everyXSeconds: {
+    one: 'Ĉiun sekundon',
+    other: 'Ĉiujn {{count}} sekundojn'
+  },
+
+  inMonths: 'en {{list}}',
+  onMonthDays: 'je {{list}}',
+  onWeekdays: 'je {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: 'la {{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'la lasta {{weekday}}',
+    other: 'la {{nth}} {{weekday}} de la fino'
+  },
+
+  monthDay: 'la {{nth}}',
+
+  lastMonthDay: {
+    one: 'la lasta tago',
+    other: 'la {{nth}} tago de la fino'
+  },
+
+  setPositions: 'nur {{list}}',
+  setPosition: 'la {{nth}} okazo',
+
+  lastSetPosition: {
+    one: 'la lasta okazo',
+    other: 'la {{nth}} okazo de la fino'
+  },
+
+  xTimes: {
+    one: 'unufoje',
+    other: '{{count}} fojojn'
+  },
+
+  until: 'ĝis {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' kaj ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -15,6 +15,7 @@ import lastDayOfWeek from '../../lastDayOfWeek'
 import parse from '../../parse'
 import setDay from '../../setDay'
 import startOfWeek from '../../startOfWeek'
+import newYork from '../../timeZone/America/New_York'
 
 describe('eo locale', function () {
   context('with `differenceInCalendarWeeks`', function () {
@@ -159,6 +160,15 @@ describe('eo locale', function () {
         assert(result === 'vendredo, la 4-a de aprilo 1986, 10:32')
       })
     })
+
+    describe('time zones', function () {
+      it('GMT offsets', function () {
+        var newYorkResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {locale: locale, timeZone: newYork})
+        assert(newYorkResult === 'UTC-5|UTC-05:00')
+        var kolkataResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {locale: locale, timeZone: '+05:30'})
+        assert(kolkataResult === 'UTC+5:30|UTC+05:30')
+      })
+    })
   })
 
   context('with `formatDistance`', function () {
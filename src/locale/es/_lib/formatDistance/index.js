@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} días'
   },
 
+  xWeeks: {
+    one: '1 semana',
+    other: '{{count}} semanas'
+  },
+
   aboutXMonths: {
     one: 'alrededor de 1 mes',
     other: 'alrededor de {{count}} meses'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Cada año',
+    other: 'Cada {{count}} años'
+  },
+
+  everyXMonths: {
+    one: 'Cada mes',
+    other: 'Cada {{count}} meses'
+  },
+
+  everyXWeeks: {
+    one: 'Cada semana',
+    other: 'Cada {{count}} semanas'
+  },
+
+  everyXDays: {
+    one: 'Cada día',
+    other: 'Cada {{count}} días'
+  },
+
+  everyXHours: {
+    one: 'Cada hora',
+    other: 'Cada {{count}} horas'
+  },
+
+  everyXMinutes: {
+    one: 'Cada minuto',
+    other: 'Cada {{count}} minutos'
+  },
+
+  everyXSeconds: {
+    one: 'Cada segundo',
+    other: 'Cada {{count}} segundos'
+  },
+
+  inMonths: 'en {{list}}',
+  onMonthDays: '{{list}}',
+  onWeekdays: '{{list}}',
+  weekday: 'el {{weekday}}',
+  nthWeekday: 'el {{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'el último {{weekday}}',
+    other: 'el {{nth}} {{weekday}} desde el final'
+  },
+
+  monthDay: 'el día {{nth}}',
+
+  lastMonthDay: {
+    one: 'el último día',
+    other: 'el {{nth}} día desde el final'
+  },
+
+  setPositions: 'solo {{list}}',
+  setPosition: 'el {{nth}} evento',
+
+  lastSetPosition: {
+    one: 'el último evento',
+    other: 'el {{nth}} evento desde el final'
+  },
+
+  xTimes: {
+    one: 'una vez',
+    other: '{{count}} veces'
+  },
+
+  until: 'hasta el {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' y ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -14,6 +14,10 @@ function futureDays (text) {
   return text.replace(/päivää?/, 'päivän')
 }
 
+function futureWeeks (text) {
+  return text.replace(/(viikko|viikkoa)/, 'viikon')
+}
+
 function futureMonths (text) {
   return text.replace(/(kuukausi|kuukautta)/, 'kuukauden')
 }
@@ -73,6 +77,12 @@ var formatDistanceLocale = {
     futureTense: futureDays
   },
 
+  xWeeks: {
+    one: 'viikko',
+    other: '{{count}} viikkoa',
+    futureTense: futureWeeks
+  },
+
   aboutXMonths: {
     one: 'noin kuukausi',
     other: 'noin {{count}} kuukautta',
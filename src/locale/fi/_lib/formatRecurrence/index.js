@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Joka vuosi',
+    other: '{{count}} vuoden välein'
+  },
+
+  everyXMonths: {
+    one: 'Joka kuukausi',
+    other: '{{count}} kuukauden välein'
+  },
+
+  everyXWeeks: {
+    one: 'Joka viikko',
+    other: '{{count}} viikon välein'
+  },
+
+  everyXDays: {
+    one: 'Joka päivä',
+    other: '{{count}} päivän välein'
+  },
+
+  everyXHours: {
+    one: 'Joka tunti',
+    other: '{{count}} tunnin välein'
+  },
+
+  everyXMinutes: {
+    one: 'Joka minuutti',
+    other: '{{count}} minuutin välein'
+  },
+
+  everyXSeconds: {
+    one: 'Joka sekunti',
+    other: '{{count}} sekunnin välein'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} päivä',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'viimeinen {{weekday}}',
+    other: '{{nth}} viimeinen {{weekday}}'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'viimeinen',
+    other: '{{nth}} viimeinen'
+  },
+
+  setPositions: 'vain {{list}} kerta',
+  setPosition: '{{nth}}',
+
+  lastSetPosition: {
+    one: 'viimeinen',
+    other: '{{nth}} viimeinen'
+  },
+
+  xTimes: {
+    one: 'kerran',
+    other: '{{count}} kertaa'
+  },
+
+  until: '{{date}} asti',
+  listSeparator: ', ',
+  lastListSeparator: ' ja ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
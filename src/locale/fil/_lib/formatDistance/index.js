@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} araw'
   },
 
+  xWeeks: {
+    one: '1 linggo',
+    other: '{{count}} linggo'
+  },
+
   aboutXMonths: {
     one: 'mga 1 buwan',
     other: 'mga {{count}} buwan'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Bawat taon',
+    other: 'Bawat {{count}} taon'
+  },
+
+  everyXMonths: {
+    one: 'Bawat buwan',
+    other: 'Bawat {{count}} buwan'
+  },
+
+  everyXWeeks: {
+    one: 'Bawat linggo',
+    other: 'Bawat {{count}} linggo'
+  },
+
+  everyXDays: {
+    one: 'Araw-araw',
+    other: 'Bawat {{count}} araw'
+  },
+
+  everyXHours: {
+    one: 'Bawat oras',
+    other: 'Bawat {{count}} oras'
+  },
+
+  everyXMinutes: {
+    one: 'Bawat minuto',
+    other: 'Bawat {{count}} minuto'
+  },
+
+  everyXSeconds: {
+    one: 'Bawat segundo',
+    other: 'Bawat {{count}} segundo'
+  },
+
+  inMonths: 'sa {{list}}',
+  onMonthDays: 'sa {{list}}',
+  onWeekdays: 'tuwing {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}} na {{weekday}}',
+
+  lastWeekday: {
+    one: 'huling {{weekday}}',
+    other: '{{nth}} na {{weekday}} mula sa dulo'
+  },
+
+  monthDay: '{{nth}} na araw',
+
+  lastMonthDay: {
+    one: 'huling araw',
+    other: '{{nth}} na araw mula sa dulo'
+  },
+
+  setPositions: '{{list}} lamang',
+  setPosition: '{{nth}} na pagkakataon',
+
+  lastSetPosition: {
+    one: 'huling pagkakataon',
+    other: '{{nth}} na pagkakataon mula sa dulo'
+  },
+
+  xTimes: {
+    one: 'isang beses',
+    other: '{{count}} beses'
+  },
+
+  until: 'hanggang {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' at ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} jours'
   },
 
+  xWeeks: {
+    one: '1 semaine',
+    other: '{{count}} semaines'
+  },
+
   aboutXMonths: {
     one: 'environ 1 mois',
     other: 'environ {{count}} mois'
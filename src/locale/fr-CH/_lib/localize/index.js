@@ -1,5 +1,6 @@
 import buildLocalizeFn from '../../../_lib/buildLocalizeFn/index.js'
 import buildLocalizeArrayFn from '../../../_lib/buildLocalizeArrayFn/index.js'
+import buildLocalizeTimeZoneFn from '../../../_lib/buildLocalizeTimeZoneFn/index.js'
 
 var weekdayValues = {
   narrow: ['di', 'lu', 'ma', 'me', 'je', 've', 'sa'],
@@ -66,6 +67,18 @@ function ordinalNumber (dirtyNumber, dirtyOptions) {
   return masculineOrdinalNumber(number)
 }
 
+var timeZoneValues = {
+  gmtFormat: 'UTC{0}',
+  gmtZeroFormat: 'UTC',
+  hourFormat: '+HH:mm;\u2212HH:mm'
+}
+
+var eraValues = {
+  narrow: ['av. J.-C.', 'ap. J.-C.'],
+  short: ['av. J.-C.', 'ap. J.-C.'],
+  long: ['avant Jésus-Christ', 'après Jésus-Christ']
+}
+
 var localize = {
   ordinalNumber: ordinalNumber,
   weekday: buildLocalizeFn(weekdayValues, 'long'),
@@ -73,7 +86,10 @@ var localize = {
   month: buildLocalizeFn(monthValues, 'long'),
   months: buildLocalizeArrayFn(monthValues, 'long'),
   timeOfDay: timeOfDay,
-  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long')
+  timesOfDay: buildLocalizeArrayFn(timeOfDayValues, 'long'),
+  era: buildLocalizeFn(eraValues, 'short'),
+  eras: buildLocalizeArrayFn(eraValues, 'short'),
+  timeZone: buildLocalizeTimeZoneFn('fr-CH', timeZoneValues)
 }
 
 export default localize
@@ -1,5 +1,6 @@
 import formatDistance from './_lib/formatDistance/index.js'
 import formatLong from './_lib/formatLong/index.js'
+import formatRecurrence from '../fr/_lib/formatRecurrence/index.js'
 import formatRelative from './_lib/formatRelative/index.js'
 import localize from './_lib/localize/index.js'
 import match from './_lib/match/index.js'
@@ -18,6 +19,7 @@ import buildTokensRegExp from '../_lib/buildTokensRegExp/index.js'
 var locale = {
   formatDistance: formatDistance,
   formatLong: formatLong,
+  formatRecurrence: formatRecurrence,
   formatRelative: formatRelative,
   localize: localize,
   match: match,
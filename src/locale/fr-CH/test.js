@@ -15,6 +15,7 @@ import lastDayOfWeek from '../../lastDayOfWeek'
 import parse from '../../parse'
 import setDay from '../../setDay'
 import startOfWeek from '../../startOfWeek'
+import newYork from '../../timeZone/America/New_York'
 
 describe('fr-CH locale', function () {
   context('with `differenceInCalendarWeeks`', function () {
@@ -141,6 +142,15 @@ describe('fr-CH locale', function () {
         assert(result === 'vendredi, 4 avril 1986 10:32')
       })
     })
+
+    describe('time zones', function () {
+      it('GMT offsets', function () {
+        var newYorkResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {locale: locale, timeZone: newYork})
+        assert(newYorkResult === 'UTC\u22125|UTC\u221205:00')
+        var kolkataResult = format(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), 'O|OOOO', {locale: locale, timeZone: '+05:30'})
+        assert(kolkataResult === 'UTC+5:30|UTC+05:30')
+      })
+    })
   })
 
   context('with `formatDistance`', function () {
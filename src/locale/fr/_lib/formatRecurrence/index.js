@@ -0,0 +1,90 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Chaque année',
+    other: 'Tous les {{count}} ans'
+  },
+
+  everyXMonths: {
+    one: 'Chaque mois',
+    other: 'Tous les {{count}} mois'
+  },
+
+  everyXWeeks: {
+    one: 'Chaque semaine',
+    other: 'Toutes les {{count}} semaines'
+  },
+
+  everyXDays: {
+    one: 'Chaque jour',
+    other: 'Tous les {{count}} jours'
+  },
+
+  everyXHours: {
+    one: 'Chaque heure',
+    other: 'Toutes les {{count}} heures'
+  },
+
+  everyXMinutes: {
+    one: 'Chaque minute',
+    other: 'Toutes les {{count}} minutes'
+  },
+
+  everyXSeconds: {
+    one: 'Chaque seconde',
+    other: 'Toutes les {{count}} secondes'
+  },
+
+  inMonths: 'en {{list}}',
+  onMonthDays: '{{list}}',
+  onWeekdays: '{{list}}',
+  weekday: 'le {{weekday}}',
+  nthWeekday: 'le {{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'le dernier {{weekday}}',
+    other: 'le {{nth}} {{weekday}} en partant de la fin'
+  },
+
+  monthDay: 'le {{nth}}',
+
+  lastMonthDay: {
+    one: 'le dernier jour',
+    other: 'le {{nth}} jour en partant de la fin'
+  },
+
+  setPositions: 'seulement {{list}}',
+
+  setPosition: {
+    one: 'la première occurrence',
+    other: 'la {{nth}} occurrence'
+  },
+
+  lastSetPosition: {
+    one: 'la dernière occurrence',
+    other: 'la {{nth}} occurrence en partant de la fin'
+  },
+
+  xTimes: {
+    one: 'une fois',
+    other: '{{count}} fois'
+  },
+
+  until: 'jusqu’au {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' et ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -71,6 +71,16 @@ var formatDistanceLocale = {
     other: '{{count}} dana'
   },
 
+  xWeeks: {
+    one: {
+      standalone: '1 tjedan',
+      withPrepositionAgo: '1 tjedan',
+      withPrepositionIn: '1 tjedan'
+    },
+    dual: '{{count}} tjedna',
+    other: '{{count}} tjedana'
+  },
+
   aboutXMonths: {
     one: {
       standalone: 'oko 1 mjesec',
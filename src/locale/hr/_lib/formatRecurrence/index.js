@@ -0,0 +1,119 @@
+var weekdayGenders = ['feminine', 'masculine', 'masculine', 'feminine', 'masculine', 'masculine', 'feminine']
+
+function declension (scheme, count) {
+  if (scheme.one !== undefined && count === 1) {
+    return scheme.one
+  } else if (scheme.other !== undefined) {
+    return scheme.other
+  }
+
+  var rem10 = count % 10
+  var rem100 = count % 100
+
+  // 2, 3, 4, 22, 23, 24, 32 ...
+  if ((rem10 >= 2 && rem10 <= 4) && (rem100 < 10 || rem100 > 20)) {
+    return scheme.few
+
+  // 5, 6, 7, 8, 9, 10, 11, 21, ...
+  } else {
+    return scheme.many
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Svake godine',
+    few: 'Svake {{count}} godine',
+    many: 'Svakih {{count}} godina'
+  },
+
+  everyXMonths: {
+    one: 'Svaki mjesec',
+    few: 'Svaka {{count}} mjeseca',
+    many: 'Svakih {{count}} mjeseci'
+  },
+
+  everyXWeeks: {
+    one: 'Svaki tjedan',
+    few: 'Svaka {{count}} tjedna',
+    many: 'Svakih {{count}} tjedana'
+  },
+
+  everyXDays: {
+    one: 'Svaki dan',
+    few: 'Svaka {{count}} dana',
+    many: 'Svakih {{count}} dana'
+  },
+
+  everyXHours: {
+    one: 'Svaki sat',
+    few: 'Svaka {{count}} sata',
+    many: 'Svakih {{count}} sati'
+  },
+
+  everyXMinutes: {
+    one: 'Svake minute',
+    few: 'Svake {{count}} minute',
+    many: 'Svakih {{count}} minuta'
+  },
+
+  everyXSeconds: {
+    one: 'Svake sekunde',
+    few: 'Svake {{count}} sekunde',
+    many: 'Svakih {{count}} sekundi'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} dan u mjesecu',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}} {{weekday}}',
+
+  lastWeekday: {
+    masculine: {
+      one: 'zadnji {{weekday}}',
+      other: '{{nth}} {{weekday}} od kraja'
+    },
+    feminine: {
+      one: 'zadnja {{weekday}}',
+      other: '{{nth}} {{weekday}} od kraja'
+    }
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'zadnji',
+    other: '{{nth}} od kraja'
+  },
+
+  setPositions: 'samo {{list}}',
+  setPosition: '{{nth}} ponavljanje',
+
+  lastSetPosition: {
+    one: 'zadnje ponavljanje',
+    other: '{{nth}} ponavljanje od kraja'
+  },
+
+  xTimes: {
+    one: 'jednom',
+    other: '{{count}} puta'
+  },
+
+  until: 'do {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' i ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result = typeof scheme === 'string' ? scheme : declension(scheme, count)
+  return result.replace('{{count}}', count)
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} hari'
   },
 
+  xWeeks: {
+    one: '1 minggu',
+    other: '{{count}} minggu'
+  },
+
   aboutXMonths: {
     one: 'sekitar 1 bulan',
     other: 'sekitar {{count}} bulan'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Setiap tahun',
+    other: 'Setiap {{count}} tahun'
+  },
+
+  everyXMonths: {
+    one: 'Setiap bulan',
+    other: 'Setiap {{count}} bulan'
+  },
+
+  everyXWeeks: {
+    one: 'Setiap minggu',
+    other: 'Setiap {{count}} minggu'
+  },
+
+  everyXDays: {
+    one: 'Setiap hari',
+    other: 'Setiap {{count}} hari'
+  },
+
+  everyXHours: {
+    one: 'Setiap jam',
+    other: 'Setiap {{count}} jam'
+  },
+
+  everyXMinutes: {
+    one: 'Setiap menit',
+    other: 'Setiap {{count}} menit'
+  },
+
+  everyXSeconds: {
+    one: 'Setiap detik',
+    other: 'Setiap {{count}} detik'
+  },
+
+  inMonths: 'pada bulan {{list}}',
+  onMonthDays: 'pada {{list}}',
+  onWeekdays: 'pada hari {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{weekday}} {{nth}}',
+
+  lastWeekday: {
+    one: '{{weekday}} terakhir',
+    other: '{{weekday}} {{nth}} dari akhir'
+  },
+
+  monthDay: 'hari {{nth}}',
+
+  lastMonthDay: {
+    one: 'hari terakhir',
+    other: 'hari {{nth}} dari akhir'
+  },
+
+  setPositions: 'hanya {{list}}',
+  setPosition: 'kejadian {{nth}}',
+
+  lastSetPosition: {
+    one: 'kejadian terakhir',
+    other: 'kejadian {{nth}} dari akhir'
+  },
+
+  xTimes: {
+    one: 'sekali',
+    other: '{{count}} kali'
+  },
+
+  until: 'sampai {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' dan ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} dagar'
   },
 
+  xWeeks: {
+    one: '1 vika',
+    other: '{{count}} vikur'
+  },
+
   aboutXMonths: {
     one: 'u.þ.b. 1 mánuður',
     other: 'u.þ.b. {{count}} mánuðir'
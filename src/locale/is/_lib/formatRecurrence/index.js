@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Á hverju ári',
+    other: 'Á {{count}} ára fresti'
+  },
+
+  everyXMonths: {
+    one: 'Í hverjum mánuði',
+    other: 'Á {{count}} mánaða fresti'
+  },
+
+  everyXWeeks: {
+    one: 'Í hverri viku',
+    other: 'Á {{count}} vikna fresti'
+  },
+
+  everyXDays: {
+    one: 'Á hverjum degi',
+    other: 'Á {{count}} daga fresti'
+  },
+
+  everyXHours: {
+    one: 'Á hverri klukkustund',
+    other: 'Á {{count}} klukkustunda fresti'
+  },
+
+  everyXMinutes: {
+    one: 'Á hverri mínútu',
+    other: 'Á {{count}} mínútna fresti'
+  },
+
+  everyXSeconds: {
+    one: 'Á hverri sekúndu',
+    other: 'Á {{count}} sekúndna fresti'
+  },
+
+  inMonths: 'í {{list}}',
+  onMonthDays: 'þann {{list}}',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}}. {{weekday}}',
+
+  lastWeekday: {
+    one: 'síðasta {{weekday}}',
+    other: '{{nth}}. síðasta {{weekday}}'
+  },
+
+  monthDay: '{{nth}}.',
+
+  lastMonthDay: {
+    one: 'síðasta dag',
+    other: '{{nth}}. síðasta dag'
+  },
+
+  setPositions: 'aðeins {{list}}',
+  setPosition: '{{nth}}. skiptið',
+
+  lastSetPosition: {
+    one: 'síðasta skiptið',
+    other: '{{nth}}. síðasta skiptið'
+  },
+
+  xTimes: {
+    one: 'einu sinni',
+    other: '{{count}} sinnum'
+  },
+
+  until: 'til {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' og ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
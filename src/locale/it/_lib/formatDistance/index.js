@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} giorni'
   },
 
+  xWeeks: {
+    one: 'una settimana',
+    other: '{{count}} settimane'
+  },
+
   aboutXMonths: {
     one: 'circa un mese',
     other: 'circa {{count}} mesi'
@@ -0,0 +1,108 @@
+var weekdayGenders = ['feminine', 'masculine', 'masculine', 'masculine', 'masculine', 'masculine', 'masculine']
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Ogni anno',
+    other: 'Ogni {{count}} anni'
+  },
+
+  everyXMonths: {
+    one: 'Ogni mese',
+    other: 'Ogni {{count}} mesi'
+  },
+
+  everyXWeeks: {
+    one: 'Ogni settimana',
+    other: 'Ogni {{count}} settimane'
+  },
+
+  everyXDays: {
+    one: 'Ogni giorno',
+    other: 'Ogni {{count}} giorni'
+  },
+
+  everyXHours: {
+    one: 'Ogni ora',
+    other: 'Ogni {{count}} ore'
+  },
+
+  everyXMinutes: {
+    one: 'Ogni minuto',
+    other: 'Ogni {{count}} minuti'
+  },
+
+  everyXSeconds: {
+    one: 'Ogni secondo',
+    other: 'Ogni {{count}} secondi'
+  },
+
+  inMonths: 'a {{list}}',
+  onMonthDays: '{{list}}',
+  onWeekdays: '{{list}}',
+
+  weekday: {
+    masculine: 'il {{weekday}}',
+    feminine: 'la {{weekday}}'
+  },
+
+  nthWeekday: {
+    masculine: 'il {{nth}} {{weekday}}',
+    feminine: 'la {{count}}ª {{weekday}}'
+  },
+
+  lastWeekday: {
+    masculine: {
+      one: 'l\'ultimo {{weekday}}',
+      other: 'il {{nth}} {{weekday}} dalla fine'
+    },
+    feminine: {
+      one: 'l\'ultima {{weekday}}',
+      other: 'la {{count}}ª {{weekday}} dalla fine'
+    }
+  },
+
+  monthDay: 'il {{nth}}',
+
+  lastMonthDay: {
+    one: 'l\'ultimo giorno',
+    other: 'il {{nth}} giorno dalla fine'
+  },
+
+  setPositions: 'solo {{list}}',
+  setPosition: 'la {{count}}ª occorrenza',
+
+  lastSetPosition: {
+    one: 'l\'ultima occorrenza',
+    other: 'la {{count}}ª occorrenza dalla fine'
+  },
+
+  xTimes: {
+    one: 'una volta',
+    other: '{{count}} volte'
+  },
+
+  until: 'fino a {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' e ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result
+  if (typeof scheme === 'string') {
+    result = scheme
+  } else if (count === 1) {
+    result = scheme.one
+  } else {
+    result = scheme.other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}}日'
   },
 
+  xWeeks: {
+    one: '1週間',
+    other: '{{count}}週間'
+  },
+
   aboutXMonths: {
     one: '1ヶ月ぐらい',
     other: '{{count}}ヶ月ぐらい'
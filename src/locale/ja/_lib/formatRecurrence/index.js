@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: '毎年',
+    other: '{{count}}年ごと'
+  },
+
+  everyXMonths: {
+    one: '毎月',
+    other: '{{count}}か月ごと'
+  },
+
+  everyXWeeks: {
+    one: '毎週',
+    other: '{{count}}週間ごと'
+  },
+
+  everyXDays: {
+    one: '毎日',
+    other: '{{count}}日ごと'
+  },
+
+  everyXHours: {
+    one: '毎時',
+    other: '{{count}}時間ごと'
+  },
+
+  everyXMinutes: {
+    one: '毎分',
+    other: '{{count}}分ごと'
+  },
+
+  everyXSeconds: {
+    one: '毎秒',
+    other: '{{count}}秒ごと'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: 'の{{list}}',
+  onWeekdays: 'の{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '第{{count}}{{weekday}}',
+
+  lastWeekday: {
+    one: '最終{{weekday}}',
+    other: '最後から{{count}}番目の{{weekday}}'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: '末日',
+    other: '最後から{{count}}番目の日'
+  },
+
+  setPositions: 'そのうち{{list}}のみ',
+  setPosition: '{{count}}番目',
+
+  lastSetPosition: {
+    one: '最後',
+    other: '最後から{{count}}番目'
+  },
+
+  xTimes: {
+    one: '1回',
+    other: '{{count}}回'
+  },
+
+  until: '{{date}}まで',
+  listSeparator: '、',
+  lastListSeparator: 'と',
+  partSeparator: '',
+  clauseSeparator: '、'
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
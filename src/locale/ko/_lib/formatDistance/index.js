@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}}일'
   },
 
+  xWeeks: {
+    one: '1주',
+    other: '{{count}}주'
+  },
+
   aboutXMonths: {
     one: '약 1개월',
     other: '약 {{count}}개월'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: '매년',
+    other: '{{count}}년마다'
+  },
+
+  everyXMonths: {
+    one: '매월',
+    other: '{{count}}개월마다'
+  },
+
+  everyXWeeks: {
+    one: '매주',
+    other: '{{count}}주마다'
+  },
+
+  everyXDays: {
+    one: '매일',
+    other: '{{count}}일마다'
+  },
+
+  everyXHours: {
+    one: '매시간',
+    other: '{{count}}시간마다'
+  },
+
+  everyXMinutes: {
+    one: '매분',
+    other: '{{count}}분마다'
+  },
+
+  everyXSeconds: {
+    one: '매초',
+    other: '{{count}}초마다'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}}',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{count}}번째 {{weekday}}',
+
+  lastWeekday: {
+    one: '마지막 {{weekday}}',
+    other: '끝에서 {{count}}번째 {{weekday}}'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: '마지막 날',
+    other: '끝에서 {{count}}번째 날'
+  },
+
+  setPositions: '그중 {{list}}만',
+  setPosition: '{{count}}번째',
+
+  lastSetPosition: {
+    one: '마지막',
+    other: '끝에서 {{count}}번째'
+  },
+
+  xTimes: {
+    one: '1회',
+    other: '{{count}}회'
+  },
+
+  until: '{{date}}까지',
+  listSeparator: ', ',
+  lastListSeparator: ' 및 ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
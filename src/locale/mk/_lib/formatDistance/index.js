@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} дена'
   },
 
+  xWeeks: {
+    one: '1 недела',
+    other: '{{count}} недели'
+  },
+
   aboutXMonths: {
     one: 'околу 1 месец',
     other: 'околу {{count}} месеци'
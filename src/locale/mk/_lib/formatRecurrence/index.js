@@ -0,0 +1,123 @@
+var weekdayGenders = ['feminine', 'masculine', 'masculine', 'feminine', 'masculine', 'masculine', 'feminine']
+
+// The ordinal numbers of `localize` are masculine
+function feminineOrdinalNumber (number) {
+  var rem10 = number % 10
+  var rem100 = number % 100
+  if (rem100 > 10 && rem100 < 20) {
+    return number + '-та'
+  }
+
+  switch (rem10) {
+    case 1: return number + '-ва'
+    case 2: return number + '-ра'
+    case 7:
+    case 8: return number + '-ма'
+    default: return number + '-та'
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Секоја година',
+    other: 'На секои {{count}} години'
+  },
+
+  everyXMonths: {
+    one: 'Секој месец',
+    other: 'На секои {{count}} месеци'
+  },
+
+  everyXWeeks: {
+    one: 'Секоја недела',
+    other: 'На секои {{count}} недели'
+  },
+
+  everyXDays: {
+    one: 'Секој ден',
+    other: 'На секои {{count}} дена'
+  },
+
+  everyXHours: {
+    one: 'Секој час',
+    other: 'На секои {{count}} часа'
+  },
+
+  everyXMinutes: {
+    one: 'Секоја минута',
+    other: 'На секои {{count}} минути'
+  },
+
+  everyXSeconds: {
+    one: 'Секоја секунда',
+    other: 'На секои {{count}} секунди'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} ден во месецот',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+
+  nthWeekday: {
+    masculine: '{{nth}} {{weekday}}',
+    feminine: '{{feminineNth}} {{weekday}}'
+  },
+
+  lastWeekday: {
+    masculine: {
+      one: 'последниот {{weekday}}',
+      other: '{{nth}} од крајот {{weekday}}'
+    },
+    feminine: {
+      one: 'последната {{weekday}}',
+      other: '{{feminineNth}} од крајот {{weekday}}'
+    }
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'последниот',
+    other: '{{nth}} од крајот'
+  },
+
+  setPositions: 'само {{list}}',
+  setPosition: 'повторување бр. {{count}}',
+
+  lastSetPosition: {
+    one: 'последното повторување',
+    other: 'повторување бр. {{count}} од крајот'
+  },
+
+  xTimes: {
+    one: 'еднаш',
+    other: '{{count}} пати'
+  },
+
+  until: 'до {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' и ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result
+  if (typeof scheme === 'string') {
+    result = scheme
+  } else if (count === 1) {
+    result = scheme.one
+  } else {
+    result = scheme.other
+  }
+
+  return result
+    .replace('{{count}}', count)
+    .replace('{{feminineNth}}', feminineOrdinalNumber(count))
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} dager'
   },
 
+  xWeeks: {
+    one: 'en uke',
+    other: '{{count}} uker'
+  },
+
   aboutXMonths: {
     one: 'rundt en måned',
     other: 'rundt {{count}} måneder'
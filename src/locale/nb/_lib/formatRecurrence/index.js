@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Hvert år',
+    other: 'Hvert {{count}}. år'
+  },
+
+  everyXMonths: {
+    one: 'Hver måned',
+    other: 'Hver {{count}}. måned'
+  },
+
+  everyXWeeks: {
+    one: 'Hver uke',
+    other: 'Hver {{count}}. uke'
+  },
+
+  everyXDays: {
+    one: 'Hver dag',
+    other: 'Hver {{count}}. dag'
+  },
+
+  everyXHours: {
+    one: 'Hver time',
+    other: 'Hver {{count}}. time'
+  },
+
+  everyXMinutes: {
+    one: 'Hvert minutt',
+    other: 'Hvert {{count}}. minutt'
+  },
+
+  everyXSeconds: {
+    one: 'Hvert sekund',
+    other: 'Hvert {{count}}. sekund'
+  },
+
+  inMonths: 'i {{list}}',
+  onMonthDays: 'den {{list}}',
+  onWeekdays: 'på {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: 'den {{nth}} {{weekday}}en',
+
+  lastWeekday: {
+    one: 'den siste {{weekday}}en',
+    other: 'den {{nth}} siste {{weekday}}en'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'siste dag',
+    other: '{{nth}} siste dag'
+  },
+
+  setPositions: 'bare {{list}} forekomst',
+  setPosition: 'den {{nth}}',
+
+  lastSetPosition: {
+    one: 'den siste',
+    other: 'den {{nth}} siste'
+  },
+
+  xTimes: {
+    one: 'én gang',
+    other: '{{count}} ganger'
+  },
+
+  until: 'til {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' og ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
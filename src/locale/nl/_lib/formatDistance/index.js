@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} dagen'
   },
 
+  xWeeks: {
+    one: '1 week',
+    other: '{{count}} weken'
+  },
+
   aboutXMonths: {
     one: 'ongeveer 1 maand',
     other: 'ongeveer {{count}} maanden'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Elk jaar',
+    other: 'Elke {{count}} jaar'
+  },
+
+  everyXMonths: {
+    one: 'Elke maand',
+    other: 'Elke {{count}} maanden'
+  },
+
+  everyXWeeks: {
+    one: 'Elke week',
+    other: 'Elke {{count}} weken'
+  },
+
+  everyXDays: {
+    one: 'Elke dag',
+    other: 'Elke {{count}} dagen'
+  },
+
+  everyXHours: {
+    one: 'Elk uur',
+    other: 'Elke {{count}} uur'
+  },
+
+  everyXMinutes: {
+    one: 'Elke minuut',
+    other: 'Elke {{count}} minuten'
+  },
+
+  everyXSeconds: {
+    one: 'Elke seconde',
+    other: 'Elke {{count}} seconden'
+  },
+
+  inMonths: 'in {{list}}',
+  onMonthDays: 'op {{list}}',
+  onWeekdays: 'op {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: 'de {{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'de laatste {{weekday}}',
+    other: 'de {{nth}} {{weekday}} vanaf het einde'
+  },
+
+  monthDay: 'de {{nth}}',
+
+  lastMonthDay: {
+    one: 'de laatste dag',
+    other: 'de {{nth}} dag vanaf het einde'
+  },
+
+  setPositions: 'alleen {{list}}',
+  setPosition: 'de {{nth}} keer',
+
+  lastSetPosition: {
+    one: 'de laatste keer',
+    other: 'de {{nth}} keer vanaf het einde'
+  },
+
+  xTimes: {
+    one: 'één keer',
+    other: '{{count}} keer'
+  },
+
+  until: 'tot en met {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' en ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -104,6 +104,16 @@ var formatDistanceLocale = {
     other: '{{count}} dni'
   },
 
+  xWeeks: {
+    one: {
+      regular: 'tydzień',
+      past: 'tydzień',
+      future: '1 tydzień'
+    },
+    twoFour: '{{count}} tygodnie',
+    other: '{{count}} tygodni'
+  },
+
   aboutXMonths: {
     one: 'około miesiąc',
     twoFour: 'około {{count}} miesiące',
@@ -0,0 +1,119 @@
+var weekdayGenders = ['feminine', 'masculine', 'masculine', 'feminine', 'masculine', 'masculine', 'feminine']
+
+function declension (scheme, count) {
+  if (scheme.one !== undefined && count === 1) {
+    return scheme.one
+  } else if (scheme.other !== undefined) {
+    return scheme.other
+  }
+
+  var rem10 = count % 10
+  var rem100 = count % 100
+
+  // 2, 3, 4, 22, 23, 24, 32 ...
+  if ((rem10 >= 2 && rem10 <= 4) && (rem100 < 10 || rem100 > 20)) {
+    return scheme.few
+
+  // 5, 6, 7, 8, 9, 10, 11, 21, ...
+  } else {
+    return scheme.many
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Co roku',
+    few: 'Co {{count}} lata',
+    many: 'Co {{count}} lat'
+  },
+
+  everyXMonths: {
+    one: 'Co miesiąc',
+    few: 'Co {{count}} miesiące',
+    many: 'Co {{count}} miesięcy'
+  },
+
+  everyXWeeks: {
+    one: 'Co tydzień',
+    few: 'Co {{count}} tygodnie',
+    many: 'Co {{count}} tygodni'
+  },
+
+  everyXDays: {
+    one: 'Codziennie',
+    few: 'Co {{count}} dni',
+    many: 'Co {{count}} dni'
+  },
+
+  everyXHours: {
+    one: 'Co godzinę',
+    few: 'Co {{count}} godziny',
+    many: 'Co {{count}} godzin'
+  },
+
+  everyXMinutes: {
+    one: 'Co minutę',
+    few: 'Co {{count}} minuty',
+    many: 'Co {{count}} minut'
+  },
+
+  everyXSeconds: {
+    one: 'Co sekundę',
+    few: 'Co {{count}} sekundy',
+    many: 'Co {{count}} sekund'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} dzień miesiąca',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}}. {{weekday}}',
+
+  lastWeekday: {
+    masculine: {
+      one: 'ostatni {{weekday}}',
+      other: '{{nth}}. od końca {{weekday}}'
+    },
+    feminine: {
+      one: 'ostatnia {{weekday}}',
+      other: '{{nth}}. od końca {{weekday}}'
+    }
+  },
+
+  monthDay: '{{nth}}.',
+
+  lastMonthDay: {
+    one: 'ostatni',
+    other: '{{nth}}. od końca'
+  },
+
+  setPositions: 'tylko {{list}}',
+  setPosition: '{{nth}}. wystąpienie',
+
+  lastSetPosition: {
+    one: 'ostatnie wystąpienie',
+    other: '{{nth}}. od końca wystąpienie'
+  },
+
+  xTimes: {
+    one: 'raz',
+    other: '{{count}} razy'
+  },
+
+  until: 'do {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' i ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result = typeof scheme === 'string' ? scheme : declension(scheme, count)
+  return result.replace('{{count}}', count)
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} dias'
   },
 
+  xWeeks: {
+    one: '1 semana',
+    other: '{{count}} semanas'
+  },
+
   aboutXMonths: {
     one: 'aproximadamente 1 mês',
     other: 'aproximadamente {{count}} meses'
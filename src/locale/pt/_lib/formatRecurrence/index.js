@@ -0,0 +1,108 @@
+var weekdayGenders = ['masculine', 'feminine', 'feminine', 'feminine', 'feminine', 'feminine', 'masculine']
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Todo ano',
+    other: 'A cada {{count}} anos'
+  },
+
+  everyXMonths: {
+    one: 'Todo mês',
+    other: 'A cada {{count}} meses'
+  },
+
+  everyXWeeks: {
+    one: 'Toda semana',
+    other: 'A cada {{count}} semanas'
+  },
+
+  everyXDays: {
+    one: 'Todo dia',
+    other: 'A cada {{count}} dias'
+  },
+
+  everyXHours: {
+    one: 'Toda hora',
+    other: 'A cada {{count}} horas'
+  },
+
+  everyXMinutes: {
+    one: 'Todo minuto',
+    other: 'A cada {{count}} minutos'
+  },
+
+  everyXSeconds: {
+    one: 'Todo segundo',
+    other: 'A cada {{count}} segundos'
+  },
+
+  inMonths: 'em {{list}}',
+  onMonthDays: '{{list}}',
+  onWeekdays: '{{list}}',
+
+  weekday: {
+    masculine: 'no {{weekday}}',
+    feminine: 'na {{weekday}}'
+  },
+
+  nthWeekday: {
+    masculine: 'no {{count}}º {{weekday}}',
+    feminine: 'na {{count}}ª {{weekday}}'
+  },
+
+  lastWeekday: {
+    masculine: {
+      one: 'no último {{weekday}}',
+      other: 'no {{count}}º {{weekday}} a partir do fim'
+    },
+    feminine: {
+      one: 'na última {{weekday}}',
+      other: 'na {{count}}ª {{weekday}} a partir do fim'
+    }
+  },
+
+  monthDay: 'no dia {{nth}}',
+
+  lastMonthDay: {
+    one: 'no último dia',
+    other: 'no {{count}}º dia a partir do fim'
+  },
+
+  setPositions: 'apenas {{list}}',
+  setPosition: 'a {{count}}ª ocorrência',
+
+  lastSetPosition: {
+    one: 'a última ocorrência',
+    other: 'a {{count}}ª ocorrência a partir do fim'
+  },
+
+  xTimes: {
+    one: 'uma vez',
+    other: '{{count}} vezes'
+  },
+
+  until: 'até {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' e ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result
+  if (typeof scheme === 'string') {
+    result = scheme
+  } else if (count === 1) {
+    result = scheme.one
+  } else {
+    result = scheme.other
+  }
+
+  return result.replace('{{count}}', count)
+}
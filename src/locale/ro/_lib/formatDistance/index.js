@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} zile'
   },
 
+  xWeeks: {
+    one: '1 săptămână',
+    other: '{{count}} săptămâni'
+  },
+
   aboutXMonths: {
     one: 'circa 1 lună',
     other: 'circa {{count}} luni'
@@ -0,0 +1,94 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'În fiecare an',
+    other: 'La fiecare {{count}} ani'
+  },
+
+  everyXMonths: {
+    one: 'În fiecare lună',
+    other: 'La fiecare {{count}} luni'
+  },
+
+  everyXWeeks: {
+    one: 'În fiecare săptămână',
+    other: 'La fiecare {{count}} săptămâni'
+  },
+
+  everyXDays: {
+    one: 'În fiecare zi',
+    other: 'La fiecare {{count}} zile'
+  },
+
+  everyXHours: {
+    one: 'În fiecare oră',
+    other: 'La fiecare {{count}} ore'
+  },
+
+  everyXMinutes: {
+    one: 'În fiecare minut',
+    other: 'La fiecare {{count}} minute'
+  },
+
+  everyXSeconds: {
+    one: 'În fiecare secundă',
+    other: 'La fiecare {{count}} secunde'
+  },
+
+  inMonths: 'în {{list}}',
+  onMonthDays: 'pe {{list}}',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+
+  nthWeekday: {
+    one: 'prima {{weekday}}',
+    other: 'a {{count}}-a {{weekday}}'
+  },
+
+  lastWeekday: {
+    one: 'ultima {{weekday}}',
+    other: 'a {{count}}-a {{weekday}} de la sfârșit'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'ultima zi',
+    other: 'a {{count}}-a zi de la sfârșit'
+  },
+
+  setPositions: 'doar {{list}}',
+
+  setPosition: {
+    one: 'prima apariție',
+    other: 'a {{count}}-a apariție'
+  },
+
+  lastSetPosition: {
+    one: 'ultima apariție',
+    other: 'a {{count}}-a apariție de la sfârșit'
+  },
+
+  xTimes: {
+    one: 'o dată',
+    other: 'de {{count}} ori'
+  },
+
+  until: 'până la {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' și ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -151,6 +151,24 @@ var formatDistanceLocale = {
     }
   }),
 
+  xWeeks: buildLocalizeTokenFn({
+    regular: {
+      singularNominative: '{{count}} неделя',
+      singularGenitive: '{{count}} недели',
+      pluralGenitive: '{{count}} недель'
+    },
+    past: {
+      singularNominative: '{{count}} неделю назад',
+      singularGenitive: '{{count}} недели назад',
+      pluralGenitive: '{{count}} недель назад'
+    },
+    future: {
+      singularNominative: 'через {{count}} неделю',
+      singularGenitive: 'через {{count}} недели',
+      pluralGenitive: 'через {{count}} недель'
+    }
+  }),
+
   aboutXMonths: buildLocalizeTokenFn({
     regular: {
       singularNominative: 'около {{count}} месяца',
@@ -0,0 +1,146 @@
+var weekdayGenders = ['neuter', 'masculine', 'masculine', 'feminine', 'masculine', 'feminine', 'feminine']
+
+function declension (scheme, count) {
+  if (scheme.one !== undefined && count === 1) {
+    return scheme.one
+  } else if (scheme.other !== undefined) {
+    return scheme.other
+  }
+
+  var rem10 = count % 10
+  var rem100 = count % 100
+
+  // 1, 21, 31, ...
+  if (rem10 === 1 && rem100 !== 11) {
+    return scheme.singular
+
+  // 2, 3, 4, 22, 23, 24, 32 ...
+  } else if ((rem10 >= 2 && rem10 <= 4) && (rem100 < 10 || rem100 > 20)) {
+    return scheme.few
+
+  // 5, 6, 7, 8, 9, 10, 11, ...
+  } else {
+    return scheme.many
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Каждый год',
+    singular: 'Каждый {{count}} год',
+    few: 'Каждые {{count}} года',
+    many: 'Каждые {{count}} лет'
+  },
+
+  everyXMonths: {
+    one: 'Каждый месяц',
+    singular: 'Каждый {{count}} месяц',
+    few: 'Каждые {{count}} месяца',
+    many: 'Каждые {{count}} месяцев'
+  },
+
+  everyXWeeks: {
+    one: 'Каждую неделю',
+    singular: 'Каждую {{count}} неделю',
+    few: 'Каждые {{count}} недели',
+    many: 'Каждые {{count}} недель'
+  },
+
+  everyXDays: {
+    one: 'Каждый день',
+    singular: 'Каждый {{count}} день',
+    few: 'Каждые {{count}} дня',
+    many: 'Каждые {{count}} дней'
+  },
+
+  everyXHours: {
+    one: 'Каждый час',
+    singular: 'Каждый {{count}} час',
+    few: 'Каждые {{count}} часа',
+    many: 'Каждые {{count}} часов'
+  },
+
+  everyXMinutes: {
+    one: 'Каждую минуту',
+    singular: 'Каждую {{count}} минуту',
+    few: 'Каждые {{count}} минуты',
+    many: 'Каждые {{count}} минут'
+  },
+
+  everyXSeconds: {
+    one: 'Каждую секунду',
+    singular: 'Каждую {{count}} секунду',
+    few: 'Каждые {{count}} секунды',
+    many: 'Каждые {{count}} секунд'
+  },
+
+  inMonths: '{{list}}',
+
+  onMonthDays: {
+    one: '{{list}} число',
+    other: '{{list}} числа'
+  },
+
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+
+  nthWeekday: {
+    masculine: '{{count}}-й {{weekday}}',
+    feminine: '{{count}}-я {{weekday}}',
+    neuter: '{{count}}-е {{weekday}}'
+  },
+
+  lastWeekday: {
+    masculine: {
+      one: 'последний {{weekday}}',
+      other: '{{count}}-й с конца {{weekday}}'
+    },
+    feminine: {
+      one: 'последняя {{weekday}}',
+      other: '{{count}}-я с конца {{weekday}}'
+    },
+    neuter: {
+      one: 'последнее {{weekday}}',
+      other: '{{count}}-е с конца {{weekday}}'
+    }
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'последнее',
+    other: '{{nth}} с конца'
+  },
+
+  setPositions: 'только {{list}}',
+  setPosition: '{{count}}-е повторение',
+
+  lastSetPosition: {
+    one: 'последнее повторение',
+    other: '{{count}}-е с конца повторение'
+  },
+
+  xTimes: {
+    one: 'один раз',
+    singular: '{{count}} раз',
+    few: '{{count}} раза',
+    many: '{{count}} раз'
+  },
+
+  until: 'до {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' и ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result = typeof scheme === 'string' ? scheme : declension(scheme, count)
+  return result.replace('{{count}}', count)
+}
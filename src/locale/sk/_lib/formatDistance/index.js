@@ -138,6 +138,24 @@ var formatDistanceLocale = {
     }
   },
 
+  xWeeks: {
+    one: {
+      regular: 'týždeň',
+      past: 'týždňom',
+      future: 'týždeň'
+    },
+    twoFour: {
+      regular: '{{count}} týždne',
+      past: '{{count}} týždňami',
+      future: '{{count}} týždne'
+    },
+    other: {
+      regular: '{{count}} týždňov',
+      past: '{{count}} týždňami',
+      future: '{{count}} týždňov'
+    }
+  },
+
   xMonths: {
     one: {
       regular: 'mesiac',
@@ -0,0 +1,111 @@
+var weekdayGenders = ['feminine', 'masculine', 'masculine', 'feminine', 'masculine', 'masculine', 'feminine']
+
+function declension (scheme, count) {
+  if (scheme.one !== undefined && count === 1) {
+    return scheme.one
+  } else if (scheme.other !== undefined) {
+    return scheme.other
+  } else if (count >= 2 && count <= 4) {
+    return scheme.few
+  } else {
+    return scheme.many
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Každý rok',
+    few: 'Každé {{count}} roky',
+    many: 'Každých {{count}} rokov'
+  },
+
+  everyXMonths: {
+    one: 'Každý mesiac',
+    few: 'Každé {{count}} mesiace',
+    many: 'Každých {{count}} mesiacov'
+  },
+
+  everyXWeeks: {
+    one: 'Každý týždeň',
+    few: 'Každé {{count}} týždne',
+    many: 'Každých {{count}} týždňov'
+  },
+
+  everyXDays: {
+    one: 'Každý deň',
+    few: 'Každé {{count}} dni',
+    many: 'Každých {{count}} dní'
+  },
+
+  everyXHours: {
+    one: 'Každú hodinu',
+    few: 'Každé {{count}} hodiny',
+    many: 'Každých {{count}} hodín'
+  },
+
+  everyXMinutes: {
+    one: 'Každú minútu',
+    few: 'Každé {{count}} minúty',
+    many: 'Každých {{count}} minút'
+  },
+
+  everyXSeconds: {
+    one: 'Každú sekundu',
+    few: 'Každé {{count}} sekundy',
+    many: 'Každých {{count}} sekúnd'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '{{list}} deň v mesiaci',
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}} {{weekday}}',
+
+  lastWeekday: {
+    masculine: {
+      one: 'posledný {{weekday}}',
+      other: '{{nth}} {{weekday}} od konca'
+    },
+    feminine: {
+      one: 'posledná {{weekday}}',
+      other: '{{nth}} {{weekday}} od konca'
+    }
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'posledný',
+    other: '{{nth}} od konca'
+  },
+
+  setPositions: 'iba {{list}}',
+  setPosition: '{{nth}} výskyt',
+
+  lastSetPosition: {
+    one: 'posledný výskyt',
+    other: '{{nth}} výskyt od konca'
+  },
+
+  xTimes: {
+    one: 'raz',
+    other: '{{count}}-krát'
+  },
+
+  until: 'do {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' a ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result = typeof scheme === 'string' ? scheme : declension(scheme, count)
+  return result.replace('{{count}}', count)
+}
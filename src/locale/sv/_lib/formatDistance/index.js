@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     plural: '{{count}} dagar'
   },
 
+  xWeeks: {
+    singular: 'en vecka',
+    plural: '{{count}} veckor'
+  },
+
   aboutXMonths: {
     singular: 'ungefär en månad',
     plural: 'ungefär {{count}} månader'
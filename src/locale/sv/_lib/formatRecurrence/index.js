@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Varje år',
+    other: 'Med {{count}} års mellanrum'
+  },
+
+  everyXMonths: {
+    one: 'Varje månad',
+    other: 'Med {{count}} månaders mellanrum'
+  },
+
+  everyXWeeks: {
+    one: 'Varje vecka',
+    other: 'Med {{count}} veckors mellanrum'
+  },
+
+  everyXDays: {
+    one: 'Varje dag',
+    other: 'Med {{count}} dagars mellanrum'
+  },
+
+  everyXHours: {
+    one: 'Varje timme',
+    other: 'Med {{count}} timmars mellanrum'
+  },
+
+  everyXMinutes: {
+    one: 'Varje minut',
+    other: 'Med {{count}} minuters mellanrum'
+  },
+
+  everyXSeconds: {
+    one: 'Varje sekund',
+    other: 'Med {{count}} sekunders mellanrum'
+  },
+
+  inMonths: 'i {{list}}',
+  onMonthDays: 'den {{list}}',
+  onWeekdays: 'på {{list}}',
+  weekday: '{{weekday}}ar',
+  nthWeekday: 'den {{nth}} {{weekday}}en',
+
+  lastWeekday: {
+    one: 'den sista {{weekday}}en',
+    other: 'den {{nth}} sista {{weekday}}en'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'sista dagen',
+    other: '{{nth}} sista dagen'
+  },
+
+  setPositions: 'endast {{list}} förekomsten',
+  setPosition: 'den {{nth}}',
+
+  lastSetPosition: {
+    one: 'den sista',
+    other: 'den {{nth}} sista'
+  },
+
+  xTimes: {
+    one: 'en gång',
+    other: '{{count}} gånger'
+  },
+
+  until: 'till och med {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' och ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
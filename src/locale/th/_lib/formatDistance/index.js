@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} วัน'
   },
 
+  xWeeks: {
+    one: '1 สัปดาห์',
+    other: '{{count}} สัปดาห์'
+  },
+
   aboutXMonths: {
     one: 'ประมาณ 1 เดือน',
     other: 'ประมาณ {{count}} เดือน'
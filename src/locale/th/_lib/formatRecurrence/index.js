@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'ทุกปี',
+    other: 'ทุก {{count}} ปี'
+  },
+
+  everyXMonths: {
+    one: 'ทุกเดือน',
+    other: 'ทุก {{count}} เดือน'
+  },
+
+  everyXWeeks: {
+    one: 'ทุกสัปดาห์',
+    other: 'ทุก {{count}} สัปดาห์'
+  },
+
+  everyXDays: {
+    one: 'ทุกวัน',
+    other: 'ทุก {{count}} วัน'
+  },
+
+  everyXHours: {
+    one: 'ทุกชั่วโมง',
+    other: 'ทุก {{count}} ชั่วโมง'
+  },
+
+  everyXMinutes: {
+    one: 'ทุกนาที',
+    other: 'ทุก {{count}} นาที'
+  },
+
+  everyXSeconds: {
+    one: 'ทุกวินาที',
+    other: 'ทุก {{count}} วินาที'
+  },
+
+  inMonths: 'ในเดือน{{list}}',
+  onMonthDays: 'ใน{{list}}',
+  onWeekdays: 'ใน{{list}}',
+  weekday: 'วัน{{weekday}}',
+  nthWeekday: 'วัน{{weekday}}ที่ {{nth}}',
+
+  lastWeekday: {
+    one: 'วัน{{weekday}}สุดท้าย',
+    other: 'วัน{{weekday}}ที่ {{nth}} นับจากท้าย'
+  },
+
+  monthDay: 'วันที่ {{nth}}',
+
+  lastMonthDay: {
+    one: 'วันสุดท้าย',
+    other: 'วันที่ {{nth}} นับจากท้าย'
+  },
+
+  setPositions: 'เฉพาะ{{list}}',
+  setPosition: 'ครั้งที่ {{nth}}',
+
+  lastSetPosition: {
+    one: 'ครั้งสุดท้าย',
+    other: 'ครั้งที่ {{nth}} นับจากท้าย'
+  },
+
+  xTimes: {
+    one: 'รวม 1 ครั้ง',
+    other: 'รวม {{count}} ครั้ง'
+  },
+
+  until: 'จนถึง {{date}}',
+  listSeparator: ' ',
+  lastListSeparator: ' และ',
+  partSeparator: ' ',
+  clauseSeparator: ' '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} gün'
   },
 
+  xWeeks: {
+    one: '1 hafta',
+    other: '{{count}} hafta'
+  },
+
   aboutXMonths: {
     one: 'yaklaşık 1 ay',
     other: 'yaklaşık {{count}} ay'
@@ -0,0 +1,98 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Her yıl',
+    other: '{{count}} yılda bir'
+  },
+
+  everyXMonths: {
+    one: 'Her ay',
+    other: '{{count}} ayda bir'
+  },
+
+  everyXWeeks: {
+    one: 'Her hafta',
+    other: '{{count}} haftada bir'
+  },
+
+  everyXDays: {
+    one: 'Her gün',
+    other: '{{count}} günde bir'
+  },
+
+  everyXHours: {
+    one: 'Her saat',
+    other: '{{count}} saatte bir'
+  },
+
+  everyXMinutes: {
+    one: 'Her dakika',
+    other: '{{count}} dakikada bir'
+  },
+
+  everyXSeconds: {
+    one: 'Her saniye',
+    other: '{{count}} saniyede bir'
+  },
+
+  inMonths: {
+    one: '{{list}} ayında',
+    other: '{{list}} aylarında'
+  },
+
+  onMonthDays: {
+    one: 'ayın {{list}} gününde',
+    other: 'ayın {{list}} günlerinde'
+  },
+
+  onWeekdays: {
+    one: '{{list}} günü',
+    other: '{{list}} günleri'
+  },
+
+  weekday: '{{weekday}}',
+  nthWeekday: '{{nth}} {{weekday}}',
+
+  lastWeekday: {
+    one: 'son {{weekday}}',
+    other: 'sondan {{nth}} {{weekday}}'
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'son',
+    other: 'sondan {{nth}}'
+  },
+
+  setPositions: 'yalnızca {{list}} tekrar',
+  setPosition: '{{nth}}',
+
+  lastSetPosition: {
+    one: 'son',
+    other: 'sondan {{nth}}'
+  },
+
+  xTimes: {
+    one: '1 kez',
+    other: '{{count}} kez'
+  },
+
+  until: '{{date}} tarihine kadar',
+  listSeparator: ', ',
+  lastListSeparator: ' ve ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -151,6 +151,14 @@ var formatDistanceLocale = {
     }
   }),
 
+  xWeeks: buildLocalizeTokenFn({
+    regular: {
+      singularNominative: '{{count}} тиждень',
+      singularGenitive: '{{count}} тижні',
+      pluralGenitive: '{{count}} тижнів'
+    }
+  }),
+
   aboutXMonths: buildLocalizeTokenFn({
     regular: {
       singularNominative: 'близько {{count}} місяця',
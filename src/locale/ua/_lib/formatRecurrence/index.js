@@ -0,0 +1,141 @@
+var weekdayGenders = ['feminine', 'masculine', 'masculine', 'feminine', 'masculine', 'feminine', 'feminine']
+
+function declension (scheme, count) {
+  if (scheme.one !== undefined && count === 1) {
+    return scheme.one
+  } else if (scheme.other !== undefined) {
+    return scheme.other
+  }
+
+  var rem10 = count % 10
+  var rem100 = count % 100
+
+  // 1, 21, 31, ...
+  if (rem10 === 1 && rem100 !== 11) {
+    return scheme.singular
+
+  // 2, 3, 4, 22, 23, 24, 32 ...
+  } else if ((rem10 >= 2 && rem10 <= 4) && (rem100 < 10 || rem100 > 20)) {
+    return scheme.few
+
+  // 5, 6, 7, 8, 9, 10, 11, ...
+  } else {
+    return scheme.many
+  }
+}
+
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Щороку',
+    singular: 'Кожен {{count}} рік',
+    few: 'Кожні {{count}} роки',
+    many: 'Кожні {{count}} років'
+  },
+
+  everyXMonths: {
+    one: 'Щомісяця',
+    singular: 'Кожен {{count}} місяць',
+    few: 'Кожні {{count}} місяці',
+    many: 'Кожні {{count}} місяців'
+  },
+
+  everyXWeeks: {
+    one: 'Щотижня',
+    singular: 'Кожен {{count}} тиждень',
+    few: 'Кожні {{count}} тижні',
+    many: 'Кожні {{count}} тижнів'
+  },
+
+  everyXDays: {
+    one: 'Щодня',
+    singular: 'Кожен {{count}} день',
+    few: 'Кожні {{count}} дні',
+    many: 'Кожні {{count}} днів'
+  },
+
+  everyXHours: {
+    one: 'Щогодини',
+    singular: 'Кожну {{count}} годину',
+    few: 'Кожні {{count}} години',
+    many: 'Кожні {{count}} годин'
+  },
+
+  everyXMinutes: {
+    one: 'Щохвилини',
+    singular: 'Кожну {{count}} хвилину',
+    few: 'Кожні {{count}} хвилини',
+    many: 'Кожні {{count}} хвилин'
+  },
+
+  everyXSeconds: {
+    one: 'Щосекунди',
+    singular: 'Кожну {{count}} секунду',
+    few: 'Кожні {{count}} секунди',
+    many: 'Кожні {{count}} секунд'
+  },
+
+  inMonths: '{{list}}',
+
+  onMonthDays: {
+    one: '{{list}} число',
+    other: '{{list}} числа'
+  },
+
+  onWeekdays: '{{list}}',
+  weekday: '{{weekday}}',
+
+  nthWeekday: {
+    masculine: '{{count}}-й {{weekday}}',
+    feminine: '{{count}}-а {{weekday}}'
+  },
+
+  lastWeekday: {
+    masculine: {
+      one: 'останній {{weekday}}',
+      other: '{{count}}-й з кінця {{weekday}}'
+    },
+    feminine: {
+      one: 'остання {{weekday}}',
+      other: '{{count}}-а з кінця {{weekday}}'
+    }
+  },
+
+  monthDay: '{{nth}}',
+
+  lastMonthDay: {
+    one: 'останнє',
+    other: '{{nth}} з кінця'
+  },
+
+  setPositions: 'лише {{list}}',
+  setPosition: '{{count}}-е повторення',
+
+  lastSetPosition: {
+    one: 'останнє повторення',
+    other: '{{count}}-е з кінця повторення'
+  },
+
+  xTimes: {
+    one: 'один раз',
+    singular: '{{count}} раз',
+    few: '{{count}} рази',
+    many: '{{count}} разів'
+  },
+
+  until: 'до {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' і ',
+  partSeparator: ', ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var scheme = formatRecurrenceLocale[token]
+  // The phrases with the days of the week depend on the grammatical gender of the day
+  if (scheme.masculine !== undefined) {
+    scheme = scheme[weekdayGenders[options.day]]
+  }
+
+  var result = typeof scheme === 'string' ? scheme : declension(scheme, count)
+  return result.replace('{{count}}', count)
+}
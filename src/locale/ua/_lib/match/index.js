@@ -32,6 +32,16 @@ var parseTimeOfDayPatterns = {
   any: [/^(н|р)/i, /^(д|в)/i]
 }
 
+var matchErasPatterns = {
+  narrow: /^(до\s?н\.?\s?е\.?|н\.?\s?е\.?)/i,
+  short: /^(до\s?н\.?\s?е\.?|н\.?\s?е\.?)/i,
+  long: /^(до нашої ери|нашої ери)/i
+}
+
+var parseEraPatterns = {
+  any: [/^д/i, /^н/i]
+}
+
 var match = {
   ordinalNumbers: buildMatchPatternFn(matchOrdinalNumbersPattern),
   ordinalNumber: parseDecimal,
@@ -40,7 +50,9 @@ var match = {
   months: buildMatchFn(matchMonthsPatterns, 'long'),
   month: buildParseFn(parseMonthPatterns, 'any'),
   timesOfDay: buildMatchFn(matchTimesOfDayPatterns, 'long'),
-  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any')
+  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'any'),
+  eras: buildMatchFn(matchErasPatterns, 'short'),
+  era: buildParseFn(parseEraPatterns, 'any')
 }
 
 export default match
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} ngày'
   },
 
+  xWeeks: {
+    one: '1 tuần',
+    other: '{{count}} tuần'
+  },
+
   aboutXMonths: {
     one: 'khoảng 1 tháng',
     other: 'khoảng {{count}} tháng'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: 'Hằng năm',
+    other: 'Mỗi {{count}} năm'
+  },
+
+  everyXMonths: {
+    one: 'Hằng tháng',
+    other: 'Mỗi {{count}} tháng'
+  },
+
+  everyXWeeks: {
+    one: 'Hằng tuần',
+    other: 'Mỗi {{count}} tuần'
+  },
+
+  everyXDays: {
+    one: 'Hằng ngày',
+    other: 'Mỗi {{count}} ngày'
+  },
+
+  everyXHours: {
+    one: 'Hằng giờ',
+    other: 'Mỗi {{count}} giờ'
+  },
+
+  everyXMinutes: {
+    one: 'Mỗi phút',
+    other: 'Mỗi {{count}} phút'
+  },
+
+  everyXSeconds: {
+    one: 'Mỗi giây',
+    other: 'Mỗi {{count}} giây'
+  },
+
+  inMonths: 'vào {{list}}',
+  onMonthDays: 'vào {{list}}',
+  onWeekdays: 'vào {{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '{{weekday}} thứ {{nth}}',
+
+  lastWeekday: {
+    one: '{{weekday}} cuối cùng',
+    other: '{{weekday}} thứ {{nth}} tính từ cuối'
+  },
+
+  monthDay: 'ngày {{nth}}',
+
+  lastMonthDay: {
+    one: 'ngày cuối cùng',
+    other: 'ngày thứ {{nth}} tính từ cuối'
+  },
+
+  setPositions: 'chỉ {{list}}',
+  setPosition: 'lần thứ {{nth}}',
+
+  lastSetPosition: {
+    one: 'lần cuối cùng',
+    other: 'lần thứ {{nth}} tính từ cuối'
+  },
+
+  xTimes: {
+    one: '1 lần',
+    other: '{{count}} lần'
+  },
+
+  until: 'cho đến {{date}}',
+  listSeparator: ', ',
+  lastListSeparator: ' và ',
+  partSeparator: ' ',
+  clauseSeparator: ', '
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -52,6 +52,16 @@ var parseTimeOfDayPatterns = {
   long: [/^sa/i, /^ch/i]
 }
 
+var matchErasPatterns = {
+  narrow: /^(tr\.?\s?cn|sau\s?cn)/i,
+  short: /^(trước\s?cn|sau\s?cn)/i,
+  long: /^(trước thiên chúa|sau công nguyên)/i
+}
+
+var parseEraPatterns = {
+  any: [/^t/i, /^s/i]
+}
+
 var match = {
   ordinalNumbers: buildMatchPatternFn(matchOrdinalNumbersPattern),
   ordinalNumber: parseDecimal,
@@ -60,7 +70,9 @@ var match = {
   months: buildMatchFn(matchMonthsPatterns, 'short'), // Vietnamese prefer month as number
   month: buildParseFn(parseMonthPatterns, 'short'),
   timesOfDay: buildMatchFn(matchTimesOfDayPatterns, 'short'), // Vietnamese prefer am/pm
-  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'short')
+  timeOfDay: buildParseFn(parseTimeOfDayPatterns, 'short'),
+  eras: buildMatchFn(matchErasPatterns, 'short'),
+  era: buildParseFn(parseEraPatterns, 'any')
 }
 
 export default match
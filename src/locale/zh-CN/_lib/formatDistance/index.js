@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} 天'
   },
 
+  xWeeks: {
+    one: '1 周',
+    other: '{{count}} 周'
+  },
+
   aboutXMonths: {
     one: '大约 1 个月',
     other: '大约 {{count}} 个月'
@@ -0,0 +1,86 @@
+var formatRecurrenceLocale = {
+  everyXYears: {
+    one: '每年',
+    other: '每{{count}}年'
+  },
+
+  everyXMonths: {
+    one: '每月',
+    other: '每{{count}}个月'
+  },
+
+  everyXWeeks: {
+    one: '每周',
+    other: '每{{count}}周'
+  },
+
+  everyXDays: {
+    one: '每天',
+    other: '每{{count}}天'
+  },
+
+  everyXHours: {
+    one: '每小时',
+    other: '每{{count}}小时'
+  },
+
+  everyXMinutes: {
+    one: '每分钟',
+    other: '每{{count}}分钟'
+  },
+
+  everyXSeconds: {
+    one: '每秒',
+    other: '每{{count}}秒'
+  },
+
+  inMonths: '{{list}}',
+  onMonthDays: '的{{list}}',
+  onWeekdays: '的{{list}}',
+  weekday: '{{weekday}}',
+  nthWeekday: '第{{nth}}个{{weekday}}',
+
+  lastWeekday: {
+    one: '最后一个{{weekday}}',
+    other: '倒数第{{nth}}个{{weekday}}'
+  },
+
+  monthDay: '{{nth}}日',
+
+  lastMonthDay: {
+    one: '最后一天',
+    other: '倒数第{{nth}}天'
+  },
+
+  setPositions: '仅限{{list}}',
+  setPosition: '第{{nth}}次',
+
+  lastSetPosition: {
+    one: '最后一次',
+    other: '倒数第{{nth}}次'
+  },
+
+  xTimes: {
+    one: '共1次',
+    other: '共{{count}}次'
+  },
+
+  until: '直到{{date}}',
+  listSeparator: '、',
+  lastListSeparator: '和',
+  partSeparator: '',
+  clauseSeparator: '，'
+}
+
+export default function formatRecurrence (token, count, options) {
+  var result
+  if (typeof formatRecurrenceLocale[token] === 'string') {
+    result = formatRecurrenceLocale[token]
+  } else if (count === 1) {
+    result = formatRecurrenceLocale[token].one
+  } else {
+    result = formatRecurrenceLocale[token].other
+  }
+
+  return result.replace('{{count}}', count)
+}
@@ -36,6 +36,11 @@ var formatDistanceLocale = {
     other: '{{count}} 天'
   },
 
+  xWeeks: {
+    one: '1 週',
+    other: '{{count}} 週'
+  },
+
   aboutXMonths: {
     one: '大約 1 個月',
     other: '大約 {{count}} 個月'
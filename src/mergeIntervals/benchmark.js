@@ -0,0 +1,21 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import mergeIntervals from '.'
+
+suite('mergeIntervals', function () {
+  benchmark('date-fns', function () {
+    return mergeIntervals(this.intervalsA.concat(this.intervalsB))
+  })
+}, {
+  setup: function () {
+    var now = Date.now()
+    this.intervalsA = []
+    this.intervalsB = []
+    for (var i = 0; i < 100; i++) {
+      this.intervalsA.push({start: new Date(now + i * 7200000), end: new Date(now + i * 7200000 + 3600000)})
+      this.intervalsB.push({start: new Date(now + i * 7200000 + 1800000), end: new Date(now + i * 7200000 + 5400000)})
+    }
+  }
+})
@@ -0,0 +1,54 @@
+import normalizeIntervals from '../_lib/normalizeIntervals/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
+
+/**
+ * @name mergeIntervals
+ * @category Interval Helpers
+ * @summary Return the union of the given time intervals.
+ *
+ * @description
+ * Return the union of the given time intervals as the sorted array of non-overlapping intervals.
+ * The overlapping and the touching intervals are merged into one,
+ * so 10:00–11:00 and 11:00–12:00 become 10:00–12:00.
+ * The zero-length intervals contain no time, so they are not included in the result.
+ *
+ * By default, the intervals include their starts and exclude their ends ('[)').
+ * Use `options.bounds` to change it: e.g. the open intervals ('()') that touch each other
+ * aren't merged, because the moment they share belongs to neither of them.
+ * The result has the same bounds as the given intervals.
+ *
+ * @param {Interval[]} intervals - the intervals to merge. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[)'] - whether the starts and the ends of the intervals
+ *   are included in them and in the result. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Interval[]} the sorted array of non-overlapping intervals
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Merge the busy time of two people:
+ * var result = mergeIntervals([
+ *   {start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 11)},
+ *   {start: new Date(2014, 0, 10, 14), end: new Date(2014, 0, 10, 15)},
+ *   {start: new Date(2014, 0, 10, 10), end: new Date(2014, 0, 10, 12)}
+ * ])
+ * //=> [
+ * //   {start: Fri Jan 10 2014 09:00:00, end: Fri Jan 10 2014 12:00:00},
+ * //   {start: Fri Jan 10 2014 14:00:00, end: Fri Jan 10 2014 15:00:00}
+ * // ]
+ */
+export default function mergeIntervals (dirtyIntervals, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var bounds = getIntervalBounds(dirtyOptions, '[)')
+
+  return normalizeIntervals(dirtyIntervals, dirtyOptions).map(function (interval) {
+    return {start: new Date(interval.start - bounds.start), end: new Date(interval.end - bounds.end)}
+  })
+}
@@ -0,0 +1,168 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import mergeIntervals from '.'
+
+describe('mergeIntervals', function () {
+  it('merges the overlapping intervals', function () {
+    var result = mergeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)},
+      {start: new Date(2014, 0 /* Jan */, 10, 14), end: new Date(2014, 0 /* Jan */, 10, 15)},
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)},
+      {start: new Date(2014, 0 /* Jan */, 10, 14), end: new Date(2014, 0 /* Jan */, 10, 15)}
+    ])
+  })
+
+  it('merges the touching intervals', function () {
+    var result = mergeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)},
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ])
+  })
+
+  it('merges the intervals contained in other intervals', function () {
+    var result = mergeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)},
+      {start: new Date(2014, 0 /* Jan */, 10, 12), end: new Date(2014, 0 /* Jan */, 10, 18)}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 18)}
+    ])
+  })
+
+  it('drops the zero-length intervals', function () {
+    var result = mergeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 9)},
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  context('with `bounds` option', function () {
+    var intervals = [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)},
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 12)}
+    ]
+
+    it('merges the touching intervals that include the moment they share', function () {
+      ['[]', '[)', '(]'].forEach(function (bounds) {
+        var result = mergeIntervals(intervals, {bounds: bounds})
+        assert.deepEqual(result, [
+          {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 12)}
+        ])
+      })
+    })
+
+    it('doesn\'t merge the touching open intervals', function () {
+      var result = mergeIntervals(intervals, {bounds: '()'})
+      assert.deepEqual(result, intervals)
+    })
+
+    it('keeps the zero-length closed intervals', function () {
+      var result = mergeIntervals([
+        {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 10)}
+      ], {bounds: '[]'})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 10)}
+      ])
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      // $ExpectedMistake
+      assert.throws(mergeIntervals.bind(null, intervals, {bounds: '[['}), RangeError)
+    })
+  })
+
+  it('accepts strings', function () {
+    var result = mergeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 10, 9).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 11).toISOString()}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = mergeIntervals([
+      {start: new Date(2014, 0 /* Jan */, 10, 9).getTime(), end: new Date(2014, 0 /* Jan */, 10, 11).getTime()}
+    ])
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  it('accepts a Set', function () {
+    // $ExpectedMistake
+    var result = mergeIntervals(new Set([
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ]))
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  it('does not mutate the original intervals', function () {
+    var interval = {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    var result = mergeIntervals([interval])
+    assert(result[0].start !== interval.start && result[0].end !== interval.end)
+    assert.deepEqual(interval, {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)})
+  })
+
+  it('returns an empty array if the array is empty or undefined', function () {
+    assert.deepEqual(mergeIntervals([]), [])
+    // $ExpectedMistake
+    assert.deepEqual(mergeIntervals(undefined), [])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = mergeIntervals.bind(null, [
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 9)}
+    ])
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = mergeIntervals.bind(null, [
+      {start: new Date(NaN), end: new Date(2014, 0 /* Jan */, 10, 9)}
+    ])
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = mergeIntervals.bind(null, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(NaN)}
+    ])
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    var block = mergeIntervals.bind(
+      null,
+      // $ExpectedMistake
+      [undefined]
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = mergeIntervals.bind(null, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    // $ExpectedMistake
+    ], {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(mergeIntervals.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import nextCronOccurrence from '.'
+
+suite('nextCronOccurrence', function () {
+  benchmark('date-fns', function () {
+    return nextCronOccurrence(this.expression, this.date)
+  })
+}, {
+  setup: function () {
+    this.expression = '0/15 9-17 * * MON-FRI'
+    this.date = new Date()
+  }
+})
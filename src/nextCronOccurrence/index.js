@@ -0,0 +1,55 @@
+import toDate from '../toDate/index.js'
+import normalizeCronSchedule from '../_lib/normalizeCronSchedule/index.js'
+import findCronOccurrence from '../_lib/findCronOccurrence/index.js'
+
+/**
+ * @name nextCronOccurrence
+ * @category Recurrence Helpers
+ * @summary Return the next occurrence of the cron schedule.
+ *
+ * @description
+ * Return the earliest date after the given date that matches the cron schedule.
+ * The schedule is either the cron schedule object (see [CronSchedule]{@link docs/types/CronSchedule})
+ * or the cron expression accepted by `parseCron`.
+ *
+ * The schedule is matched against the wall clock time in the local time zone:
+ * - if the clock is set forward and the matching time is skipped (e.g. 02:30 on the day when 02:00 becomes 03:00),
+ *   the occurrence is the moment of the clock shift (03:00). The times skipped by the same shift
+ *   are the single occurrence
+ * - if the clock is set back and the matching time happens twice (e.g. 02:30 on the day when 03:00 becomes 02:00),
+ *   the occurrence is its first moment, so each wall clock time is matched only once
+ *
+ * @param {CronSchedule|String} schedule - the cron schedule. See [CronSchedule]{@link docs/types/CronSchedule}
+ * @param {Date|String|Number} date - the date after which the occurrence is found
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Date|null} the next occurrence or null if the schedule has no occurrences in the next 400 years
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} argument must be a cron expression
+ * @throws {RangeError} `seconds`, `minutes`, `hours`, `daysOfMonth`, `nearestWeekdays`, `months`
+ *   and `daysOfWeek` must contain valid values
+ *
+ * @example
+ * // When does the job that runs every 15 minutes from 9 to 17 on weekdays run after Friday 11 July 2014 17:50?
+ * var result = nextCronOccurrence('0/15 9-17 * * MON-FRI', new Date(2014, 6, 11, 17, 50))
+ * //=> Mon Jul 14 2014 09:00:00
+ *
+ * @example
+ * // When is the next last Friday of the month at 10:00?
+ * var result = nextCronOccurrence({minutes: [0], hours: [10], daysOfWeek: [{day: 5, nth: -1}]}, new Date(2014, 6, 26))
+ * //=> Fri Aug 29 2014 10:00:00
+ */
+export default function nextCronOccurrence (dirtySchedule, dirtyDate, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var schedule = normalizeCronSchedule(dirtySchedule, dirtyOptions)
+  var date = toDate(dirtyDate, dirtyOptions)
+  if (isNaN(date)) {
+    return new Date(NaN)
+  }
+
+  return findCronOccurrence(schedule, date, false)
+}
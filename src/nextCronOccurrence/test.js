@@ -0,0 +1,164 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import nextCronOccurrence from '.'
+
+describe('nextCronOccurrence', function () {
+  it('returns the next occurrence of the cron expression', function () {
+    var result = nextCronOccurrence('0/15 9-17 * * MON-FRI', new Date(2014, 6 /* Jul */, 11, 17, 50))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 14, 9))
+  })
+
+  it('accepts the cron schedule object', function () {
+    var result = nextCronOccurrence(
+      {minutes: [0], hours: [10], daysOfWeek: [{day: 5, nth: -1}]},
+      new Date(2014, 6 /* Jul */, 26)
+    )
+    assert.deepEqual(result, new Date(2014, 7 /* Aug */, 29, 10))
+  })
+
+  it('returns the occurrence strictly after the date', function () {
+    var result = nextCronOccurrence('0 9 * * *', new Date(2014, 6 /* Jul */, 10, 9))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 11, 9))
+  })
+
+  it('ignores the milliseconds of the date', function () {
+    var result = nextCronOccurrence('* * * * * *', new Date(2014, 6 /* Jul */, 10, 9, 0, 0, 500))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 10, 9, 0, 1))
+  })
+
+  it('matches the seconds', function () {
+    var result = nextCronOccurrence('15,45 30 9 * * *', new Date(2014, 6 /* Jul */, 10, 9, 30, 20))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 10, 9, 30, 45))
+  })
+
+  it('matches the months', function () {
+    var result = nextCronOccurrence('0 0 1 JAN,JUL *', new Date(2014, 6 /* Jul */, 10))
+    assert.deepEqual(result, new Date(2015, 0 /* Jan */, 1))
+  })
+
+  it('matches either the day of month or the day of week if both are given', function () {
+    var result = nextCronOccurrence('0 9 13 * FRI', new Date(2014, 5 /* Jun */, 1))
+    assert.deepEqual(result, new Date(2014, 5 /* Jun */, 6, 9))
+  })
+
+  it('matches only the day of month if the day of week is `*` or `?`', function () {
+    var result = nextCronOccurrence('0 9 13 * ?', new Date(2014, 5 /* Jun */, 1))
+    assert.deepEqual(result, new Date(2014, 5 /* Jun */, 13, 9))
+  })
+
+  it('matches the last days of the month', function () {
+    assert.deepEqual(
+      nextCronOccurrence('0 9 L * *', new Date(2014, 1 /* Feb */, 1)),
+      new Date(2014, 1 /* Feb */, 28, 9)
+    )
+    assert.deepEqual(
+      nextCronOccurrence('0 9 L-2 * *', new Date(2014, 5 /* Jun */, 1)),
+      new Date(2014, 5 /* Jun */, 28, 9)
+    )
+  })
+
+  it('matches the nearest weekday in the same month', function () {
+    // 15 June 2014 is Sunday
+    assert.deepEqual(
+      nextCronOccurrence('0 9 15W * *', new Date(2014, 5 /* Jun */, 1)),
+      new Date(2014, 5 /* Jun */, 16, 9)
+    )
+    // 1 March 2014 is Saturday, and 28 February is in the other month
+    assert.deepEqual(
+      nextCronOccurrence('0 9 1W * *', new Date(2014, 1 /* Feb */, 27)),
+      new Date(2014, 2 /* Mar */, 3, 9)
+    )
+    // 30 November 2014 is Sunday, and 1 December is in the other month
+    assert.deepEqual(
+      nextCronOccurrence('0 9 30W * *', new Date(2014, 10 /* Nov */, 1)),
+      new Date(2014, 10 /* Nov */, 28, 9)
+    )
+  })
+
+  it('matches the last weekday of the month', function () {
+    // 31 August 2014 is Sunday
+    var result = nextCronOccurrence('0 9 LW * *', new Date(2014, 7 /* Aug */, 1))
+    assert.deepEqual(result, new Date(2014, 7 /* Aug */, 29, 9))
+  })
+
+  it('skips the months without the day of `W`', function () {
+    var result = nextCronOccurrence('0 9 31W * *', new Date(2014, 3 /* Apr */, 1))
+    assert.deepEqual(result, new Date(2014, 4 /* May */, 30, 9))
+  })
+
+  it('matches the nth and the last day of the week in the month', function () {
+    assert.deepEqual(
+      nextCronOccurrence('0 9 * * MON#2', new Date(2014, 5 /* Jun */, 1)),
+      new Date(2014, 5 /* Jun */, 9, 9)
+    )
+    assert.deepEqual(
+      nextCronOccurrence('0 9 * * 5L', new Date(2014, 5 /* Jun */, 1)),
+      new Date(2014, 5 /* Jun */, 27, 9)
+    )
+  })
+
+  it('finds the rare occurrences', function () {
+    var result = nextCronOccurrence('0 0 29 2 *', new Date(2014, 0 /* Jan */, 1))
+    assert.deepEqual(result, new Date(2016, 1 /* Feb */, 29))
+  })
+
+  it('returns null if the schedule has no occurrences', function () {
+    var result = nextCronOccurrence('0 0 30 2 *', new Date(2014, 0 /* Jan */, 1))
+    assert(result === null)
+  })
+
+  it('matches each wall clock time once across the DST transitions', function () {
+    var date = new Date(2014, 0 /* Jan */, 1)
+    for (var index = 0; index < 365 * 8; index++) {
+      var result = nextCronOccurrence('0/30 0-3 * * *', date)
+      if (result === null) {
+        throw new Error('The schedule has no occurrence after ' + date.toString())
+      }
+      assert(result.getTime() > date.getTime())
+      // The skipped wall clock times happen at the moment of the clock shift,
+      // and the repeated ones happen only at their first moment
+      var wallDate = new Date(result.getFullYear(), result.getMonth(), result.getDate(), result.getHours(), result.getMinutes())
+      assert.deepEqual(result, wallDate)
+      date = result
+    }
+  })
+
+  it('accepts the strings and the numbers', function () {
+    var result = nextCronOccurrence('0 9 * * *', new Date(2014, 6 /* Jul */, 10, 12).getTime())
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 11, 9))
+  })
+
+  it('does not mutate the original date', function () {
+    var date = new Date(2014, 6 /* Jul */, 10)
+    nextCronOccurrence('0 9 * * *', date)
+    assert.deepEqual(date, new Date(2014, 6 /* Jul */, 10))
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = nextCronOccurrence('0 9 * * *', new Date(NaN))
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('throws `RangeError` if the cron expression is invalid', function () {
+    var block = nextCronOccurrence.bind(null, '0 9 * * MON-', new Date(2014, 6 /* Jul */, 10))
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if the cron schedule is invalid', function () {
+    var block = nextCronOccurrence.bind(null, {hours: [24]}, new Date(2014, 6 /* Jul */, 10))
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = nextCronOccurrence.bind(null, '0 9 * * *', new Date(2014, 6 /* Jul */, 10), {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(nextCronOccurrence.bind(null), TypeError)
+    assert.throws(nextCronOccurrence.bind(null, '0 9 * * *'), TypeError)
+  })
+})
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import normalizeDuration from '.'
+
+suite('normalizeDuration', function () {
+  benchmark('date-fns', function () {
+    return normalizeDuration(this.duration, {relativeTo: this.date})
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+    this.duration = {days: 10, hours: 2, minutes: 30}
+  }
+})
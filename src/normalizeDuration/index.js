@@ -0,0 +1,90 @@
+import toDate from '../toDate/index.js'
+import add from '../add/index.js'
+import balanceDuration from '../_lib/balanceDuration/index.js'
+
+var DAYS_IN_WEEK = 7
+var MONTHS_IN_YEAR = 12
+var SECONDS_IN_HOUR = 3600
+var SECONDS_IN_MINUTE = 60
+
+/**
+ * @name normalizeDuration
+ * @category Duration Helpers
+ * @summary Balance the units of the duration.
+ *
+ * @description
+ * Return the duration where every unit is carried over to the larger units,
+ * e.g. 90 minutes are turned into 1 hour and 30 minutes.
+ * The result has `years`, `months`, `days`, `hours`, `minutes` and `seconds` properties;
+ * the weeks are turned into days.
+ *
+ * If `options.relativeTo` is specified, the duration is added to that date with `add`,
+ * and the time between the dates is split into units the same way as `intervalToDuration` does,
+ * so the result agrees with `differenceInYears`, `differenceInMonths`, `differenceInDays` and so on.
+ * All units of the result have the same sign; the fractions of seconds are kept.
+ *
+ * Otherwise, only the units with the fixed ratio are balanced: seconds and minutes
+ * are carried over up to hours, and months are carried over to years.
+ * The hours aren't carried over to days, and the days aren't carried over to months,
+ * so these groups of units may have different signs.
+ *
+ * @param {Duration} duration - the duration to normalize. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {Date|String|Number} [options.relativeTo] - the date the duration is added to
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Duration} the normalized duration. See [Duration]{@link docs/Duration}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ *
+ * @example
+ * // Normalize 90 minutes and 14 months:
+ * var result = normalizeDuration({months: 14, minutes: 90})
+ * //=> {years: 1, months: 2, days: 0, hours: 1, minutes: 30, seconds: 0}
+ *
+ * @example
+ * // Normalize 45 days after 1 January 2015:
+ * var result = normalizeDuration({days: 45}, {relativeTo: new Date(2015, 0, 1)})
+ * //=> {years: 0, months: 1, days: 14, hours: 0, minutes: 0, seconds: 0}
+ */
+export default function normalizeDuration (dirtyDuration, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var duration = dirtyDuration || {}
+  var options = dirtyOptions || {}
+
+  if (options.relativeTo !== undefined) {
+    var startDate = toDate(options.relativeTo, options)
+    var endDate = add(startDate, duration, options)
+    return balanceDuration(startDate, endDate, options)
+  }
+
+  var totalMonths = toNumber(duration.years) * MONTHS_IN_YEAR + toNumber(duration.months)
+  var totalDays = toNumber(duration.weeks) * DAYS_IN_WEEK + toNumber(duration.days)
+  var totalSeconds = toNumber(duration.hours) * SECONDS_IN_HOUR +
+    toNumber(duration.minutes) * SECONDS_IN_MINUTE +
+    toNumber(duration.seconds)
+
+  var years = toInteger(totalMonths / MONTHS_IN_YEAR)
+  var hours = toInteger(totalSeconds / SECONDS_IN_HOUR)
+  var minutes = toInteger((totalSeconds - hours * SECONDS_IN_HOUR) / SECONDS_IN_MINUTE)
+
+  return {
+    years: years,
+    months: totalMonths - years * MONTHS_IN_YEAR,
+    days: totalDays,
+    hours: hours,
+    minutes: minutes,
+    seconds: totalSeconds - hours * SECONDS_IN_HOUR - minutes * SECONDS_IN_MINUTE
+  }
+}
+
+function toNumber (value) {
+  return value === undefined ? 0 : Number(value)
+}
+
+// Rounds towards zero; -0 + 0 is 0
+function toInteger (number) {
+  return (number < 0 ? Math.ceil(number) : Math.floor(number)) + 0
+}
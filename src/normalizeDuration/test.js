@@ -0,0 +1,87 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import normalizeDuration from '.'
+import differenceInMonths from '../differenceInMonths'
+import differenceInDays from '../differenceInDays'
+import addMonths from '../addMonths'
+
+describe('normalizeDuration', function () {
+  it('balances the time units', function () {
+    var result = normalizeDuration({minutes: 90, seconds: 75})
+    assert.deepEqual(result, {years: 0, months: 0, days: 0, hours: 1, minutes: 31, seconds: 15})
+  })
+
+  it('balances the months', function () {
+    var result = normalizeDuration({years: 1, months: 14})
+    assert.deepEqual(result, {years: 2, months: 2, days: 0, hours: 0, minutes: 0, seconds: 0})
+  })
+
+  it('turns the weeks into days', function () {
+    var result = normalizeDuration({weeks: 2, days: 3})
+    assert.deepEqual(result, {years: 0, months: 0, days: 17, hours: 0, minutes: 0, seconds: 0})
+  })
+
+  it('does not carry the hours over to days', function () {
+    var result = normalizeDuration({hours: 36})
+    assert.deepEqual(result, {years: 0, months: 0, days: 0, hours: 36, minutes: 0, seconds: 0})
+  })
+
+  it('balances the values of the different signs', function () {
+    var result = normalizeDuration({hours: 1, minutes: -90})
+    assert.deepEqual(result, {years: 0, months: 0, days: 0, hours: 0, minutes: -30, seconds: 0})
+  })
+
+  it('keeps the fractions of seconds', function () {
+    var result = normalizeDuration({minutes: 1.5, seconds: 0.25})
+    assert.deepEqual(result, {years: 0, months: 0, days: 0, hours: 0, minutes: 1, seconds: 30.25})
+  })
+
+  describe('options.relativeTo', function () {
+    it('balances all units after the given date', function () {
+      var result = normalizeDuration({days: 45, hours: 25}, {relativeTo: new Date(2015, 0 /* Jan */, 1)})
+      assert.deepEqual(result, {years: 0, months: 1, days: 15, hours: 1, minutes: 0, seconds: 0})
+    })
+
+    it('agrees with `differenceIn*` functions', function () {
+      var relativeTo = new Date(2015, 0 /* Jan */, 31)
+      var result = normalizeDuration({days: 60}, {relativeTo: relativeTo})
+      var end = new Date(2015, 3 /* Apr */, 1)
+      var months = differenceInMonths(end, relativeTo)
+      assert(result.months === months)
+      assert(result.days === differenceInDays(end, addMonths(relativeTo, months)))
+    })
+
+    it('balances the negative duration backwards from the given date', function () {
+      var result = normalizeDuration({days: -45}, {relativeTo: new Date(2015, 2 /* Mar */, 1)})
+      assert.deepEqual(result, {years: 0, months: -1, days: -17, hours: 0, minutes: 0, seconds: 0})
+    })
+
+    it('keeps the fractions of seconds', function () {
+      var result = normalizeDuration({minutes: 1.5, seconds: 0.25}, {relativeTo: new Date(2015, 0 /* Jan */, 1)})
+      assert.deepEqual(result, {years: 0, months: 0, days: 0, hours: 0, minutes: 1, seconds: 30.25})
+    })
+
+    it('returns NaN values if the date is `Invalid Date`', function () {
+      var result = normalizeDuration({days: 1}, {relativeTo: new Date(NaN)})
+      assert(isNaN(result.years) && isNaN(result.days) && isNaN(result.seconds))
+    })
+  })
+
+  it('does not mutate the original duration', function () {
+    var duration = {minutes: 90}
+    normalizeDuration(duration)
+    assert.deepEqual(duration, {minutes: 90})
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = normalizeDuration.bind(null, {days: 1}, {relativeTo: '2015-02-01', additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(normalizeDuration.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,124 @@
+import toDate from '../../../toDate/index.js'
+import defaultLocale from '../../../locale/en-US/index.js'
+import cloneObject from '../../../_lib/cloneObject/index.js'
+
+var TIMEZONE_UNIT_PRIORITY = 110
+
+// Parses the date string with the tokens returned by `tokenizeFormat`
+export default function parseTokens (tokens, dirtyDateString, dirtyBaseDate, dirtyOptions) {
+  var dateString = String(dirtyDateString)
+  var options = dirtyOptions || {}
+
+  if (tokens.length === 0) {
+    if (dateString === '') {
+      return toDate(dirtyBaseDate, options)
+    } else {
+      return new Date(NaN)
+    }
+  }
+
+  var subFnOptions = cloneObject(options)
+  subFnOptions.locale = options.locale || defaultLocale
+
+  // If timezone isn't specified, it will be set to the system timezone
+  var setters = [{
+    priority: TIMEZONE_UNIT_PRIORITY,
+    set: dateToSystemTimezone,
+    index: 0
+  }]
+
+  var i
+  var tokensLength = tokens.length
+  for (i = 0; i < tokensLength; i++) {
+    var token = tokens[i]
+    var parser = token.parser
+    if (parser) {
+      var matchResult
+
+      if (parser.match instanceof RegExp) {
+        matchResult = parser.match.exec(dateString)
+      } else {
+        matchResult = parser.match(dateString, subFnOptions)
+      }
+
+      if (!matchResult) {
+        return new Date(NaN)
+      }
+
+      var unit = token.unit
+
+      setters.push({
+        priority: unit.priority,
+        set: unit.set,
+        value: parser.parse(matchResult, subFnOptions),
+        index: setters.length
+      })
+
+      var substring = matchResult[0]
+      dateString = dateString.slice(substring.length)
+    } else {
+      var head = token.literal
+      if (dateString.indexOf(head) === 0) {
+        dateString = dateString.slice(head.length)
+      } else {
+        return new Date(NaN)
+      }
+    }
+  }
+
+  var uniquePrioritySetters = setters
+    .map(function (setter) {
+      return setter.priority
+    })
+    .sort(function (a, b) {
+      return a - b
+    })
+    .filter(function (priority, index, array) {
+      return array.indexOf(priority) === index
+    })
+    .map(function (priority) {
+      return setters
+        .filter(function (setter) {
+          return setter.priority === priority
+        })
+        .reverse()
+    })
+    .map(function (setterArray) {
+      return setterArray[0]
+    })
+
+  var date = toDate(dirtyBaseDate, options)
+
+  if (isNaN(date)) {
+    return new Date(NaN)
+  }
+
+  // Convert the date in system timezone to the same date in UTC+00:00 timezone.
+  // This ensures that when UTC functions will be implemented, locales will be compatible with them.
+  // See an issue about UTC functions: https://github.com/date-fns/date-fns/issues/37
+  // The local fields are copied instead of subtracting the offset, because the offsets
+  // of the local mean time (e.g. of all BC dates) have seconds, while `getTimezoneOffset` is rounded to minutes
+  var utcDate = new Date(0)
+  utcDate.setUTCFullYear(date.getFullYear(), date.getMonth(), date.getDate())
+  utcDate.setUTCHours(date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds())
+
+  var dateValues = {date: utcDate}
+
+  var settersLength = uniquePrioritySetters.length
+  for (i = 0; i < settersLength; i++) {
+    var setter = uniquePrioritySetters[i]
+    dateValues = setter.set(dateValues, setter.value, subFnOptions)
+  }
+
+  return dateValues.date
+}
+
+// Convert date in timezone "UTC+00:00" to the same date in the system timezone
+function dateToSystemTimezone (dateValues) {
+  var date = dateValues.date
+  var localDate = new Date(0)
+  localDate.setFullYear(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  localDate.setHours(date.getUTCHours(), date.getUTCMinutes(), date.getUTCSeconds(), date.getUTCMilliseconds())
+  dateValues.date = localDate
+  return dateValues
+}
@@ -1,3 +1,5 @@
+import defaultLocale from '../../../locale/en-US/index.js'
+
 var patterns = {
   'M': /^(1[0-2]|0?\d)/, // 0 to 12
   'D': /^(3[0-1]|[0-2]?\d)/, // 0 to 31
@@ -19,6 +21,11 @@ function parseDecimal (matchResult) {
   return parseInt(matchResult[1], 10)
 }
 
+// The custom locales may have no eras, so the ones of the default locale are used
+function getEraMatch (options) {
+  return options.locale.match.eras ? options.locale.match : defaultLocale.match
+}
+
 var parsers = {
   // Year: 00, 01, ..., 99
   'YY': {
@@ -36,6 +43,75 @@ var parsers = {
     parse: parseDecimal
   },
 
+  // Year of era: 0001, 0002, ..., 2099
+  'yyyy': {
+    unit: 'yearOfEra',
+    match: patterns.YYYY,
+    parse: parseDecimal
+  },
+
+  // Era: BC, AD
+  'N': {
+    unit: 'era',
+    match: function (string, options) {
+      return getEraMatch(options).eras(string, {type: 'short'})
+    },
+    parse: function (matchResult, options) {
+      return getEraMatch(options).era(matchResult, {type: 'short'})
+    }
+  },
+
+  // Era: BC, AD
+  'NN': {
+    unit: 'era',
+    match: function (string, options) {
+      return getEraMatch(options).eras(string, {type: 'short'})
+    },
+    parse: function (matchResult, options) {
+      return getEraMatch(options).era(matchResult, {type: 'short'})
+    }
+  },
+
+  // Era: BC, AD
+  'NNN': {
+    unit: 'era',
+    match: function (string, options) {
+      return getEraMatch(options).eras(string, {type: 'short'})
+    },
+    parse: function (matchResult, options) {
+      return getEraMatch(options).era(matchResult, {type: 'short'})
+    }
+  },
+
+  // Era: Before Christ, Anno Domini
+  'NNNN': {
+    unit: 'era',
+    match: function (string, options) {
+      return getEraMatch(options).eras(string, {type: 'long'}) ||
+        getEraMatch(options).eras(string, {type: 'short'})
+    },
+    parse: function (matchResult, options) {
+      var parseResult = getEraMatch(options).era(matchResult, {type: 'long'})
+
+      if (parseResult == null) {
+        parseResult = getEraMatch(options).era(matchResult, {type: 'short'})
+      }
+
+      return parseResult
+    }
+  },
+
+  // Era: B, A
+  'NNNNN': {
+    unit: 'era',
+    match: function (string, options) {
+      return getEraMatch(options).eras(string, {type: 'narrow'})
+    },
+    parse: function (matchResult, options) {
+      return getEraMatch(options).era(matchResult, {type: 'narrow'})
+    }
+  },
+
   // ISO week-numbering year: 00, 01, ..., 99
   'GG': {
     unit: 'isoWeekYear',
@@ -0,0 +1,69 @@
+import defaultLocale from '../../../locale/en-US/index.js'
+import parsers from '../parsers/index.js'
+import units from '../units/index.js'
+
+var longFormattingTokensRegExp = /(\[[^[]*])|(\\)?(LTS|LT|LLLL|LLL|LL|L|llll|lll|ll|l)/g
+var defaultParsingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|ddd|dd|d|aa|a|ZZ|Z|yyyy|YYYY|YY|X|Wo|WW|W|SSS|SS|S|Qo|Q|NNNNN|NNNN|NNN|NN|N|Mo|MMMM|MMM|MM|M|HH|H|GGGG|GG|E|Do|DDDo|DDDD|DDD|DD|D|A|.)/g
+
+// Splits the format string of `parse` into the literals and the tokens with their parsers and units
+export default function tokenizeFormat (formatString, dirtyOptions) {
+  var options = dirtyOptions || {}
+
+  var weekStartsOn = options.weekStartsOn === undefined ? 0 : Number(options.weekStartsOn)
+
+  // Test if weekStartsOn is between 0 and 6 _and_ is not NaN
+  if (!(weekStartsOn >= 0 && weekStartsOn <= 6)) {
+    throw new RangeError('weekStartsOn must be between 0 and 6 inclusively')
+  }
+
+  var locale = options.locale || defaultLocale
+  var localeParsers = locale.parsers || {}
+  var localeUnits = locale.units || {}
+
+  if (!locale.match) {
+    throw new RangeError('locale must contain match property')
+  }
+
+  if (!locale.formatLong) {
+    throw new RangeError('locale must contain formatLong property')
+  }
+
+  var expandedFormatString = formatString
+    .replace(longFormattingTokensRegExp, function (substring) {
+      if (substring[0] === '[') {
+        return substring
+      }
+
+      if (substring[0] === '\\') {
+        return cleanEscapedString(substring)
+      }
+
+      return locale.formatLong(substring)
+    })
+
+  if (expandedFormatString === '') {
+    return []
+  }
+
+  var tokens = expandedFormatString.match(locale.parsingTokensRegExp || defaultParsingTokensRegExp)
+
+  return tokens.map(function (token) {
+    var parser = localeParsers[token] || parsers[token]
+    if (parser) {
+      return {
+        parser: parser,
+        unit: localeUnits[parser.unit] || units[parser.unit]
+      }
+    } else {
+      var head = token.match(/^\[.*]$/) ? token.replace(/^\[|]$/g, '') : token
+      return {literal: head}
+    }
+  })
+}
+
+function cleanEscapedString (input) {
+  if (input.match(/\[[\s\S]/)) {
+    return input.replace(/^\[|]$/g, '')
+  }
+  return input.replace(/\\/g, '')
+}
@@ -24,6 +24,14 @@ function setTimeOfDay (hours, timeOfDay) {
 }
 
 var units = {
+  era: {
+    priority: 5,
+    set: function (dateValues, value) {
+      dateValues.era = value
+      return dateValues
+    }
+  },
+
   twoDigitYear: {
     priority: 10,
     set: function (dateValues, value) {
@@ -44,6 +52,23 @@ var units = {
     }
   },
 
+  yearOfEra: {
+    priority: 10,
+    set: function (dateValues, value) {
+      // Each era starts with the year 1
+      if (value === 0) {
+        dateValues.date = new Date(NaN)
+        return dateValues
+      }
+
+      // Year 1 BC is year 0, year 2 BC is year -1, etc.
+      var year = dateValues.era === 0 ? 1 - value : value
+      dateValues.date.setUTCFullYear(year, 0, 1)
+      dateValues.date.setUTCHours(0, 0, 0, 0)
+      return dateValues
+    }
+  },
+
   isoWeekYear: {
     priority: 10,
     set: function (dateValues, value, options) {
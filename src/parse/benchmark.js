@@ -3,6 +3,7 @@
 /* global suite, benchmark */
 
 import parse from '.'
+import compileParse from '../compileParse'
 import moment from 'moment'
 
 suite('parse', function () {
@@ -10,11 +11,16 @@ suite('parse', function () {
     return parse('Tuesday, January 10th 2017, 11:07:40 am', 'dddd, MMMM Do YYYY, h:mm:ss a', this.date)
   })
 
+  benchmark('date-fns compiled', function () {
+    return this.parseDate('Tuesday, January 10th 2017, 11:07:40 am', this.date)
+  })
+
   benchmark('Moment.js', function () {
     return moment('Tuesday, January 10th 2017, 11:07:40 am', 'dddd, MMMM Do YYYY, h:mm:ss a')
   })
 }, {
   setup: function () {
     this.date = new Date()
+    this.parseDate = compileParse('dddd, MMMM Do YYYY, h:mm:ss a')
   }
 })
@@ -1,15 +1,5 @@
-import toDate from '../toDate/index.js'
-import subMinutes from '../subMinutes/index.js'
-import defaultLocale from '../locale/en-US/index.js'
-import parsers from './_lib/parsers/index.js'
-import units from './_lib/units/index.js'
-import cloneObject from '../_lib/cloneObject/index.js'
-
-var TIMEZONE_UNIT_PRIORITY = 110
-var MILLISECONDS_IN_MINUTE = 60000
-
-var longFormattingTokensRegExp = /(\[[^[]*])|(\\)?(LTS|LT|LLLL|LLL|LL|L|llll|lll|ll|l)/g
-var defaultParsingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|ddd|dd|d|aa|a|ZZ|Z|YYYY|YY|X|Wo|WW|W|SSS|SS|S|Qo|Q|Mo|MMMM|MMM|MM|M|HH|H|GGGG|GG|E|Do|DDDo|DDDD|DDD|DD|D|A|.)/g
+import tokenizeFormat from './_lib/tokenizeFormat/index.js'
+import parseTokens from './_lib/parseTokens/index.js'
 
 /**
  * @name parse
@@ -22,8 +12,12 @@ var defaultParsingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|ddd|
  * Accepted format tokens:
  * | Unit                    | Priority | Token | Input examples                   |
  * |-------------------------|----------|-------|----------------------------------|
+ * | Era                     | 5        | N     | BC, AD                           |
+ * |                         |          | NNNN  | Before Christ, Anno Domini       |
+ * |                         |          | NNNNN | B, A                             |
  * | Year                    | 10       | YY    | 00, 01, ..., 99                  |
  * |                         |          | YYYY  | 1900, 1901, ..., 2099            |
+ * | Year of era             | 10       | yyyy  | 44, 1, 1900, 2017                |
  * | ISO week-numbering year | 10       | GG    | 00, 01, ..., 99                  |
  * |                         |          | GGGG  | 1900, 1901, ..., 2099            |
  * | Quarter                 | 20       | Q     | 1, 2, 3, 4                       |
@@ -67,6 +61,10 @@ var defaultParsingTokensRegExp = /(\[[^[]*])|(\\)?(x|ss|s|mm|m|hh|h|do|dddd|ddd|
  * | Seconds timestamp       | 120      | X     | 512969520                        |
  * | Milliseconds timestamp  | 120      | x     | 512969520900                     |
  *
+ * `NN` and `NNN` are the same as `N`. The era is applied to the year of era `yyyy`,
+ * so '44 BC' parsed with 'yyyy N' is the year -43. There's no year 0 of an era,
+ * so '0 BC' is `Invalid Date`.
+ *
  * Values will be assigned to the date in the ascending order of its unit's priority.
  * Units of an equal priority overwrite each other in the order of appearance.
  *
@@ -143,163 +141,6 @@ export default function parse (dirtyDateString, dirtyFormatString, dirtyBaseDate
     throw new TypeError('3 arguments required, but only ' + arguments.length + ' present')
   }
 
-  var dateString = String(dirtyDateString)
-  var options = dirtyOptions || {}
-
-  var weekStartsOn = options.weekStartsOn === undefined ? 0 : Number(options.weekStartsOn)
-
-  // Test if weekStartsOn is between 0 and 6 _and_ is not NaN
-  if (!(weekStartsOn >= 0 && weekStartsOn <= 6)) {
-    throw new RangeError('weekStartsOn must be between 0 and 6 inclusively')
-  }
-
-  var locale = options.locale || defaultLocale
-  var localeParsers = locale.parsers || {}
-  var localeUnits = locale.units || {}
-
-  if (!locale.match) {
-    throw new RangeError('locale must contain match property')
-  }
-
-  if (!locale.formatLong) {
-    throw new RangeError('locale must contain formatLong property')
-  }
-
-  var formatString = String(dirtyFormatString)
-    .replace(longFormattingTokensRegExp, function (substring) {
-      if (substring[0] === '[') {
-        return substring
-      }
-
-      if (substring[0] === '\\') {
-        return cleanEscapedString(substring)
-      }
-
-      return locale.formatLong(substring)
-    })
-
-  if (formatString === '') {
-    if (dateString === '') {
-      return toDate(dirtyBaseDate, options)
-    } else {
-      return new Date(NaN)
-    }
-  }
-
-  var subFnOptions = cloneObject(options)
-  subFnOptions.locale = locale
-
-  var tokens = formatString.match(locale.parsingTokensRegExp || defaultParsingTokensRegExp)
-  var tokensLength = tokens.length
-
-  // If timezone isn't specified, it will be set to the system timezone
-  var setters = [{
-    priority: TIMEZONE_UNIT_PRIORITY,
-    set: dateToSystemTimezone,
-    index: 0
-  }]
-
-  var i
-  for (i = 0; i < tokensLength; i++) {
-    var token = tokens[i]
-    var parser = localeParsers[token] || parsers[token]
-    if (parser) {
-      var matchResult
-
-      if (parser.match instanceof RegExp) {
-        matchResult = parser.match.exec(dateString)
-      } else {
-        matchResult = parser.match(dateString, subFnOptions)
-      }
-
-      if (!matchResult) {
-        return new Date(NaN)
-      }
-
-      var unitName = parser.unit
-      var unit = localeUnits[unitName] || units[unitName]
-
-      setters.push({
-        priority: unit.priority,
-        set: unit.set,
-        value: parser.parse(matchResult, subFnOptions),
-        index: setters.length
-      })
-
-      var substring = matchResult[0]
-      dateString = dateString.slice(substring.length)
-    } else {
-      var head = tokens[i].match(/^\[.*]$/) ? tokens[i].replace(/^\[|]$/g, '') : tokens[i]
-      if (dateString.indexOf(head) === 0) {
-        dateString = dateString.slice(head.length)
-      } else {
-        return new Date(NaN)
-      }
-    }
-  }
-
-  var uniquePrioritySetters = setters
-    .map(function (setter) {
-      return setter.priority
-    })
-    .sort(function (a, b) {
-      return a - b
-    })
-    .filter(function (priority, index, array) {
-      return array.indexOf(priority) === index
-    })
-    .map(function (priority) {
-      return setters
-        .filter(function (setter) {
-          return setter.priority === priority
-        })
-        .reverse()
-    })
-    .map(function (setterArray) {
-      return setterArray[0]
-    })
-
-  var date = toDate(dirtyBaseDate, options)
-
-  if (isNaN(date)) {
-    return new Date(NaN)
-  }
-
-  // Convert the date in system timezone to the same date in UTC+00:00 timezone.
-  // This ensures that when UTC functions will be implemented, locales will be compatible with them.
-  // See an issue about UTC functions: https://github.com/date-fns/date-fns/issues/37
-  var utcDate = subMinutes(date, date.getTimezoneOffset())
-
-  var dateValues = {date: utcDate}
-
-  var settersLength = uniquePrioritySetters.length
-  for (i = 0; i < settersLength; i++) {
-    var setter = uniquePrioritySetters[i]
-    dateValues = setter.set(dateValues, setter.value, subFnOptions)
-  }
-
-  return dateValues.date
-}
-
-function dateToSystemTimezone (dateValues) {
-  var date = dateValues.date
-  var time = date.getTime()
-
-  // Get the system timezone offset at (moment of time - offset)
-  var offset = date.getTimezoneOffset()
-
-  // Get the system timezone offset at the exact moment of time
-  offset = new Date(time + offset * MILLISECONDS_IN_MINUTE).getTimezoneOffset()
-
-  // Convert date in timezone "UTC+00:00" to the system timezone
-  dateValues.date = new Date(time + offset * MILLISECONDS_IN_MINUTE)
-
-  return dateValues
-}
-
-function cleanEscapedString (input) {
-  if (input.match(/\[[\s\S]/)) {
-    return input.replace(/^\[|]$/g, '')
-  }
-  return input.replace(/\\/g, '')
+  var tokens = tokenizeFormat(String(dirtyFormatString), dirtyOptions)
+  return parseTokens(tokens, dirtyDateString, dirtyBaseDate, dirtyOptions)
 }
@@ -31,6 +31,69 @@ describe('parse', function () {
     })
   })
 
+  describe('eras and years of era', function () {
+    // The year 44 BC is the year -43.
+    // The local mean time offsets of BC dates have seconds, so the result is compared with the local midnight
+    function startOfYear (year) {
+      var date = new Date(0)
+      date.setFullYear(year, 0 /* Jan */, 1)
+      date.setHours(0, 0, 0, 0)
+      return date
+    }
+
+    it('yyyy', function () {
+      var result = parse('2014', 'yyyy', baseDate)
+      assert.deepEqual(result, new Date(2014, 0 /* Jan */, 1))
+    })
+
+    it('N', function () {
+      var result = parse('44 BC', 'yyyy N', baseDate)
+      assert.deepEqual(result, startOfYear(-43))
+    })
+
+    it('NN', function () {
+      var result = parse('44 B.C.', 'yyyy NN', baseDate)
+      assert.deepEqual(result, startOfYear(-43))
+    })
+
+    it('NNN', function () {
+      var result = parse('2014 AD', 'yyyy NNN', baseDate)
+      assert.deepEqual(result, new Date(2014, 0 /* Jan */, 1))
+    })
+
+    it('NNNN', function () {
+      var result = parse('Before Christ 44', 'NNNN yyyy', baseDate)
+      assert.deepEqual(result, startOfYear(-43))
+    })
+
+    it('NNNNN', function () {
+      var result = parse('44 B', 'yyyy NNNNN', baseDate)
+      assert.deepEqual(result, startOfYear(-43))
+    })
+
+    it('the year 1 BC is the year 0', function () {
+      var result = parse('1 BC', 'yyyy N', baseDate)
+      assert.deepEqual(result, startOfYear(0))
+    })
+
+    it('returns `Invalid Date` for the year 0 of an era', function () {
+      var result = parse('0 BC', 'yyyy N', baseDate)
+      assert(isNaN(result))
+    })
+
+    it('does not change the year parsed with `YYYY`', function () {
+      var result = parse('2014 BC', 'YYYY N', baseDate)
+      assert.deepEqual(result, new Date(2014, 0 /* Jan */, 1))
+    })
+
+    it('uses the eras of the default locale if the locale has no `match.eras`', function () {
+      var customLocale = {match: {}, formatLong: function () {}}
+      // $ExpectedMistake
+      var result = parse('44 BC', 'yyyy N', baseDate, {locale: customLocale})
+      assert.deepEqual(result, startOfYear(-43))
+    })
+  })
+
   describe('ISO week-numbering years', function () {
     it('GG', function () {
       var result = parse('50', 'GG', baseDate)
@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import parseCron from '.'
+
+suite('parseCron', function () {
+  benchmark('date-fns', function () {
+    return parseCron(this.expression)
+  })
+}, {
+  setup: function () {
+    this.expression = '0 0/15 9-17 ? JAN-JUN MON-FRI,SAT#1'
+  }
+})
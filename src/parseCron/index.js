@@ -0,0 +1,197 @@
+var monthNames = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC']
+
+var weekdayNames = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT']
+
+var INVALID_EXPRESSION_MESSAGE = 'argument must be a cron expression'
+
+/**
+ * @name parseCron
+ * @category Recurrence Helpers
+ * @summary Parse the cron expression.
+ *
+ * @description
+ * Parse the cron expression into the cron schedule object.
+ * See [CronSchedule]{@link docs/types/CronSchedule}.
+ *
+ * The expression has five fields (minute, hour, day of month, month and day of week)
+ * or six fields, the first of which is the second. The five-field expressions run at the second 0.
+ *
+ * Each field is `*`, a value or a comma-separated list of values and ranges (e.g. `1-5`).
+ * The ranges and `*` can have the step after `/` (e.g. `1-5/2` for 1, 3 and 5); the value with the step
+ * (e.g. `0/15`) is the range from the value to the maximum of the field.
+ * The months and the days of the week can be given by their English names (e.g. `JAN` and `MON`).
+ * The days of the week are from 0 (Sunday) to 7 (also Sunday).
+ *
+ * The day of month and the day of week fields also support:
+ * - `?` - the same as `*`
+ * - `L` in the day of month - the last day of the month; `L-2` is the third last day of the month
+ * - `W` in the day of month - the weekday (Monday to Friday) nearest to the day in the same month
+ *   (e.g. `15W`); `LW` is the last weekday of the month
+ * - `L` in the day of week - the last day of the week in the month (e.g. `5L` is the last Friday)
+ * - `#` in the day of week - the nth day of the week in the month (e.g. `1#2` is the second Monday)
+ *
+ * Unlike in the cron expression, the months are counted from 0 (January),
+ * the same way as in `getMonth`.
+ *
+ * @param {String} expression - the cron expression
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @returns {CronSchedule} the cron schedule object. See [CronSchedule]{@link docs/types/CronSchedule}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} argument must be a cron expression
+ *
+ * @example
+ * // Parse the schedule of every 15 minutes from 9 to 17 on weekdays:
+ * var result = parseCron('0/15 9-17 * * MON-FRI')
+ * //=> {
+ * //   seconds: [0],
+ * //   minutes: [0, 15, 30, 45],
+ * //   hours: [9, 10, 11, 12, 13, 14, 15, 16, 17],
+ * //   daysOfMonth: [],
+ * //   nearestWeekdays: [],
+ * //   months: [],
+ * //   daysOfWeek: [{day: 1}, {day: 2}, {day: 3}, {day: 4}, {day: 5}]
+ * // }
+ *
+ * @example
+ * // Parse the schedule of 10:00:30 on the last Friday of each month:
+ * var result = parseCron('30 0 10 ? * 5L')
+ * //=> {
+ * //   seconds: [30],
+ * //   minutes: [0],
+ * //   hours: [10],
+ * //   daysOfMonth: [],
+ * //   nearestWeekdays: [],
+ * //   months: [],
+ * //   daysOfWeek: [{day: 5, nth: -1}]
+ * // }
+ */
+export default function parseCron (dirtyExpression, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var fields = String(dirtyExpression).trim().toUpperCase().split(/\s+/)
+  if (fields.length === 5) {
+    fields.unshift('0')
+  } else if (fields.length !== 6) {
+    throw new RangeError(INVALID_EXPRESSION_MESSAGE)
+  }
+
+  var daysOfMonth = []
+  var nearestWeekdays = []
+  parseDayField(fields[3], function (item) {
+    var captures
+    if (item === 'L') {
+      pushUnique(daysOfMonth, -1)
+    } else if ((captures = /^L-(\d+)$/.exec(item))) {
+      pushUnique(daysOfMonth, -parseValue(captures[1], 1, 30) - 1)
+    } else if (item === 'LW') {
+      pushUnique(nearestWeekdays, -1)
+    } else if ((captures = /^(\d+)W$/.exec(item))) {
+      pushUnique(nearestWeekdays, parseValue(captures[1], 1, 31))
+    } else {
+      parseItem(item, 1, 31).forEach(function (monthDay) {
+        pushUnique(daysOfMonth, monthDay)
+      })
+    }
+  })
+
+  var daysOfWeek = []
+  var pushWeekday = function (weekday) {
+    var isDuplicate = daysOfWeek.some(function (existingWeekday) {
+      return existingWeekday.day === weekday.day && existingWeekday.nth === weekday.nth
+    })
+    if (!isDuplicate) {
+      daysOfWeek.push(weekday)
+    }
+  }
+  parseDayField(fields[5], function (item) {
+    var captures
+    if ((captures = /^(\w+)L$/.exec(item))) {
+      pushWeekday({day: parseValue(captures[1], 0, 7, weekdayNames) % 7, nth: -1})
+    } else if ((captures = /^(\w+)#(\d+)$/.exec(item))) {
+      pushWeekday({day: parseValue(captures[1], 0, 7, weekdayNames) % 7, nth: parseValue(captures[2], 1, 5)})
+    } else {
+      parseItem(item, 0, 7, weekdayNames).forEach(function (weekday) {
+        pushWeekday({day: weekday % 7})
+      })
+    }
+  })
+
+  return {
+    seconds: parseField(fields[0], 0, 59),
+    minutes: parseField(fields[1], 0, 59),
+    hours: parseField(fields[2], 0, 23),
+    daysOfMonth: daysOfMonth,
+    nearestWeekdays: nearestWeekdays,
+    months: parseField(fields[4], 1, 12, monthNames).map(function (month) {
+      return month - 1
+    }),
+    daysOfWeek: daysOfWeek
+  }
+}
+
+// Returns the values of the field; `*` is the empty array, which means any value
+function parseField (field, min, max, names) {
+  var values = []
+  if (field !== '*') {
+    field.split(',').forEach(function (item) {
+      parseItem(item, min, max, names).forEach(function (value) {
+        pushUnique(values, value)
+      })
+    })
+  }
+  return values
+}
+
+// Calls `parseDayItem` for each item of the day of month or the day of week field, unless it's `*` or `?`
+function parseDayField (field, parseDayItem) {
+  if (field !== '*' && field !== '?') {
+    field.split(',').forEach(parseDayItem)
+  }
+}
+
+// Parses the value, the range or `*`, with the optional step, into the array of values
+function parseItem (item, min, max, names) {
+  var captures = /^(\*|\w+)(?:-(\w+))?(?:\/(\d+))?$/.exec(item)
+  if (!captures || (captures[1] === '*' && captures[2] !== undefined)) {
+    throw new RangeError(INVALID_EXPRESSION_MESSAGE)
+  }
+
+  var start = captures[1] === '*' ? min : parseValue(captures[1], min, max, names)
+  var end
+  if (captures[2] !== undefined) {
+    end = parseValue(captures[2], min, max, names)
+  } else if (captures[1] === '*' || captures[3] !== undefined) {
+    end = max
+  } else {
+    end = start
+  }
+  var step = captures[3] === undefined ? 1 : parseValue(captures[3], 1, max - min + 1)
+
+  if (start > end) {
+    throw new RangeError(INVALID_EXPRESSION_MESSAGE)
+  }
+
+  var values = []
+  for (var value = start; value <= end; value += step) {
+    values.push(value)
+  }
+  return values
+}
+
+// Parses the number between `min` and `max` or, if `names` are given, the name of the value
+function parseValue (value, min, max, names) {
+  var nameIndex = names ? names.indexOf(value) : -1
+  var number = nameIndex === -1 ? Number(value) : nameIndex + min
+  if (!(nameIndex !== -1 || /^\d+$/.test(value)) || number < min || number > max) {
+    throw new RangeError(INVALID_EXPRESSION_MESSAGE)
+  }
+  return number
+}
+
+function pushUnique (values, value) {
+  if (values.indexOf(value) === -1) {
+    values.push(value)
+  }
+}
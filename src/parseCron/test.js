@@ -0,0 +1,120 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import parseCron from '.'
+
+describe('parseCron', function () {
+  it('parses the five-field expression', function () {
+    var result = parseCron('30 9 1 6 1')
+    assert.deepEqual(result, {
+      seconds: [0],
+      minutes: [30],
+      hours: [9],
+      daysOfMonth: [1],
+      nearestWeekdays: [],
+      months: [5],
+      daysOfWeek: [{day: 1}]
+    })
+  })
+
+  it('parses the six-field expression with the seconds first', function () {
+    var result = parseCron('15 30 9 * * *')
+    assert.deepEqual(result, {
+      seconds: [15],
+      minutes: [30],
+      hours: [9],
+      daysOfMonth: [],
+      nearestWeekdays: [],
+      months: [],
+      daysOfWeek: []
+    })
+  })
+
+  it('parses the lists, the ranges and the steps', function () {
+    var result = parseCron('0,30 9-11,14 */10 1-12/3 *')
+    assert.deepEqual(result.minutes, [0, 30])
+    assert.deepEqual(result.hours, [9, 10, 11, 14])
+    assert.deepEqual(result.daysOfMonth, [1, 11, 21, 31])
+    assert.deepEqual(result.months, [0, 3, 6, 9])
+  })
+
+  it('parses the value with the step as the range to the maximum of the field', function () {
+    var result = parseCron('5/20 * * * *')
+    assert.deepEqual(result.minutes, [5, 25, 45])
+  })
+
+  it('removes the duplicate values', function () {
+    var result = parseCron('0,0-10/5,10 * * * 0,7')
+    assert.deepEqual(result.minutes, [0, 5, 10])
+    assert.deepEqual(result.daysOfWeek, [{day: 0}])
+  })
+
+  it('parses the names of the months and the days of the week', function () {
+    var result = parseCron('0 9 * jan,Jun-AUG MON-FRI,SUN')
+    assert.deepEqual(result.months, [0, 5, 6, 7])
+    assert.deepEqual(result.daysOfWeek, [{day: 1}, {day: 2}, {day: 3}, {day: 4}, {day: 5}, {day: 0}])
+  })
+
+  it('parses `?` as `*` in the day fields', function () {
+    var result = parseCron('0 9 ? * ?')
+    assert.deepEqual(result.daysOfMonth, [])
+    assert.deepEqual(result.daysOfWeek, [])
+  })
+
+  it('parses `L` in the day of month', function () {
+    var result = parseCron('0 9 1,L,L-2 * *')
+    assert.deepEqual(result.daysOfMonth, [1, -1, -3])
+  })
+
+  it('parses `W` in the day of month', function () {
+    var result = parseCron('0 9 15W,LW * *')
+    assert.deepEqual(result.daysOfMonth, [])
+    assert.deepEqual(result.nearestWeekdays, [15, -1])
+  })
+
+  it('parses `L` and `#` in the day of week', function () {
+    var result = parseCron('0 9 * * 5L,MON#2,7#1')
+    assert.deepEqual(result.daysOfWeek, [{day: 5, nth: -1}, {day: 1, nth: 2}, {day: 0, nth: 1}])
+  })
+
+  it('ignores the extra whitespace', function () {
+    var result = parseCron('  0  9\t* *  1 ')
+    assert.deepEqual(result.hours, [9])
+    assert.deepEqual(result.daysOfWeek, [{day: 1}])
+  })
+
+  it('throws `RangeError` if the number of fields is not 5 or 6', function () {
+    assert.throws(parseCron.bind(null, '0 9 * *'), RangeError)
+    assert.throws(parseCron.bind(null, '0 0 9 * * * 2014'), RangeError)
+  })
+
+  it('throws `RangeError` if a value is out of range', function () {
+    assert.throws(parseCron.bind(null, '60 * * * *'), RangeError)
+    assert.throws(parseCron.bind(null, '* 24 * * *'), RangeError)
+    assert.throws(parseCron.bind(null, '* * 0 * *'), RangeError)
+    assert.throws(parseCron.bind(null, '* * * 13 *'), RangeError)
+    assert.throws(parseCron.bind(null, '* * * * 8'), RangeError)
+    assert.throws(parseCron.bind(null, '* * * * 1#6'), RangeError)
+  })
+
+  it('throws `RangeError` if a range or a step is invalid', function () {
+    assert.throws(parseCron.bind(null, '30-10 * * * *'), RangeError)
+    assert.throws(parseCron.bind(null, '*/0 * * * *'), RangeError)
+    assert.throws(parseCron.bind(null, '*-10 * * * *'), RangeError)
+    assert.throws(parseCron.bind(null, '1,,2 * * * *'), RangeError)
+  })
+
+  it('throws `RangeError` if a name or a special character is misplaced', function () {
+    assert.throws(parseCron.bind(null, '* * * MON *'), RangeError)
+    assert.throws(parseCron.bind(null, '* * * * JAN'), RangeError)
+    assert.throws(parseCron.bind(null, '* * ? * * *'), RangeError)
+    assert.throws(parseCron.bind(null, 'L * * * *'), RangeError)
+    assert.throws(parseCron.bind(null, '* * 1-5W * *'), RangeError)
+    assert.throws(parseCron.bind(null, '* * * * L'), RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(parseCron.bind(null), TypeError)
+  })
+})
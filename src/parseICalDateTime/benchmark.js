@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import parseICalDateTime from '.'
+
+suite('parseICalDateTime', function () {
+  benchmark('date-fns', function () {
+    return parseICalDateTime(this.value)
+  })
+}, {
+  setup: function () {
+    this.value = '19980118T230000Z'
+  }
+})
@@ -0,0 +1,106 @@
+import tzFromWallTime from '../_lib/tzFromWallTime/index.js'
+
+var patterns = {
+  date: /^(\d{4})(\d{2})(\d{2})$/,
+  dateTime: /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})(Z?)$/
+}
+
+/**
+ * @name parseICalDateTime
+ * @category Common Helpers
+ * @summary Parse the iCalendar DATE or DATE-TIME value.
+ *
+ * @description
+ * Parse the iCalendar (RFC 5545) DATE or DATE-TIME value:
+ * - the DATE value (e.g. '19980118') is the local midnight
+ * - the DATE-TIME value in UTC (e.g. '19980118T230000Z') is that moment
+ * - the DATE-TIME value with TZID parameter (e.g. '19980118T230000' of `DTSTART;TZID=America/New_York:19980118T230000`)
+ *   is the wall clock time in `options.timeZone`
+ * - the floating DATE-TIME value (e.g. '19980118T230000') is the local time
+ *
+ * The DATE values and the DATE-TIME values in UTC ignore `options.timeZone`.
+ * To format the dates as these values, use `iCalDate`, `iCalDateTime` and `iCalDateTimeUTC` presets of `format`.
+ *
+ * If the value can't be parsed, `Invalid Date` is returned.
+ *
+ * @param {String} value - the DATE or DATE-TIME value
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {TimeZone|String} [options.timeZone] - the time zone of TZID parameter. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {Date} the parsed date
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // Parse the DATE-TIME value in UTC:
+ * var result = parseICalDateTime('19980118T230000Z')
+ * result.toISOString()
+ * //=> '1998-01-18T23:00:00.000Z'
+ *
+ * @example
+ * // Parse the value of `DTSTART;TZID=America/New_York:19980118T230000`:
+ * import newYork from 'date-fns/timeZone/America/New_York'
+ * var result = parseICalDateTime('19980118T230000', {timeZone: newYork})
+ * result.toISOString()
+ * //=> '1998-01-19T04:00:00.000Z'
+ *
+ * @example
+ * // Parse the DATE value:
+ * var result = parseICalDateTime('19980118')
+ * //=> Sun Jan 18 1998 00:00:00
+ */
+export default function parseICalDateTime (dirtyValue, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var string = String(dirtyValue)
+  var captures = patterns.dateTime.exec(string) || patterns.date.exec(string)
+
+  if (!captures) {
+    return new Date(NaN)
+  }
+
+  var year = Number(captures[1])
+  var month = Number(captures[2]) - 1
+  var day = Number(captures[3])
+  var hours = Number(captures[4] || 0)
+  var minutes = Number(captures[5] || 0)
+  var seconds = Number(captures[6] || 0)
+
+  if (!validateDateTime(year, month, day, hours, minutes, seconds)) {
+    return new Date(NaN)
+  }
+
+  // The wall clock time is represented as the same time in UTC.
+  // `Date.UTC` isn't used, because it treats the years 0 to 99 as 1900 to 1999
+  var wallDate = new Date(0)
+  wallDate.setUTCFullYear(year, month, day)
+  wallDate.setUTCHours(hours, minutes, seconds, 0)
+
+  if (captures[7]) {
+    return wallDate
+  }
+
+  // DATE values are not bound to a time zone
+  if (options.timeZone !== undefined && captures[4] !== undefined) {
+    return new Date(tzFromWallTime(wallDate.getTime(), options.timeZone))
+  }
+
+  // The floating time is the local time
+  var date = new Date(0)
+  date.setFullYear(year, month, day)
+  date.setHours(hours, minutes, seconds, 0)
+  return date
+}
+
+function validateDateTime (year, month, day, hours, minutes, seconds) {
+  var lastDayOfMonth = new Date(0)
+  lastDayOfMonth.setUTCFullYear(year, month + 1, 0)
+
+  return month >= 0 && month <= 11 &&
+    day >= 1 && day <= lastDayOfMonth.getUTCDate() &&
+    hours <= 23 && minutes <= 59 &&
+    // The leap second is allowed by RFC 5545
+    seconds <= 60
+}
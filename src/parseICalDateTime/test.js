@@ -0,0 +1,68 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import parseICalDateTime from '.'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('parseICalDateTime', function () {
+  it('parses the DATE value as the local midnight', function () {
+    assert.deepEqual(parseICalDateTime('19980118'), new Date(1998, 0 /* Jan */, 18))
+  })
+
+  it('parses the DATE-TIME value in UTC', function () {
+    assert.deepEqual(parseICalDateTime('19980118T230000Z'), new Date(Date.UTC(1998, 0 /* Jan */, 18, 23)))
+  })
+
+  it('parses the floating DATE-TIME value in the local time', function () {
+    assert.deepEqual(parseICalDateTime('19980118T230000'), new Date(1998, 0 /* Jan */, 18, 23))
+  })
+
+  it('parses the DATE-TIME value in the given time zone', function () {
+    var result = parseICalDateTime('19980118T230000', {timeZone: newYork})
+    assert.deepEqual(result, new Date(Date.UTC(1998, 0 /* Jan */, 19, 4)))
+  })
+
+  it("doesn't apply the DST transitions of the local time zone to the time in the given time zone", function () {
+    // 2:30 AM is skipped in New York on March 9, but not in Tokyo
+    var result = parseICalDateTime('20140309T023000', {timeZone: tokyo})
+    assert.deepEqual(result, new Date(Date.UTC(2014, 2 /* Mar */, 8, 17, 30)))
+  })
+
+  it('ignores the time zone for the DATE and the UTC values', function () {
+    var options = {timeZone: tokyo}
+    assert.deepEqual(parseICalDateTime('19980118', options), new Date(1998, 0 /* Jan */, 18))
+    assert.deepEqual(parseICalDateTime('19980118T230000Z', options), new Date(Date.UTC(1998, 0 /* Jan */, 18, 23)))
+  })
+
+  it('parses the years before 100 AD', function () {
+    var expected = new Date(0)
+    expected.setFullYear(50, 0 /* Jan */, 18)
+    expected.setHours(0, 0, 0, 0)
+    assert.deepEqual(parseICalDateTime('00500118'), expected)
+  })
+
+  it('returns `Invalid Date` if the value is invalid', function () {
+    assert(isNaN(parseICalDateTime('1998-01-18')))
+    assert(isNaN(parseICalDateTime('19980230')))
+    assert(isNaN(parseICalDateTime('19980118T240000')))
+    assert(isNaN(parseICalDateTime('19980118T2300')))
+    // $ExpectedMistake
+    assert(isNaN(parseICalDateTime(undefined)))
+  })
+
+  it('parses the leap second', function () {
+    var result = parseICalDateTime('19981231T235960Z')
+    assert.deepEqual(result, new Date(Date.UTC(1999, 0 /* Jan */, 1)))
+  })
+
+  it('throws `RangeError` if the time zone is unknown', function () {
+    var block = parseICalDateTime.bind(null, '19980118T230000', {timeZone: 'Asia/Neo_Tokyo'})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(parseICalDateTime.bind(null), TypeError)
+  })
+})
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import parseISODuration from '.'
+import moment from 'moment'
+
+suite('parseISODuration', function () {
+  benchmark('date-fns', function () {
+    return parseISODuration('P1Y2M10DT2H30M')
+  })
+
+  benchmark('Moment.js', function () {
+    return moment.duration('P1Y2M10DT2H30M')
+  })
+})
@@ -0,0 +1,81 @@
+var NUMBER = '(\\d+(?:[.,]\\d+)?)'
+
+var durationPattern = new RegExp(
+  '^([+-])?P(?!$)' +
+  '(?:' + NUMBER + 'Y)?' +
+  '(?:' + NUMBER + 'M)?' +
+  '(?:' + NUMBER + 'W)?' +
+  '(?:' + NUMBER + 'D)?' +
+  '(?:T(?=\\d)' +
+    '(?:' + NUMBER + 'H)?' +
+    '(?:' + NUMBER + 'M)?' +
+    '(?:' + NUMBER + 'S)?' +
+  ')?$'
+)
+
+var units = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds']
+
+/**
+ * @name parseISODuration
+ * @category Duration Helpers
+ * @summary Parse the ISO 8601 duration.
+ *
+ * @description
+ * Parse the ISO 8601 duration string in the format `PnYnMnWnDTnHnMnS`
+ * (e.g. `P1Y2M10DT2H30M` or `P3W`) and return the duration object.
+ *
+ * Only the components present in the string are included in the result.
+ * The last component may have a fraction separated with `.` or `,` (e.g. `PT1.5S` or `P0,5D`).
+ * The duration with the leading minus sign (e.g. `-P1D`) is negative:
+ * all its components are negated.
+ *
+ * The weeks can be combined with the other components (e.g. `P1W2D`),
+ * as allowed by the extended format of ISO 8601-2.
+ *
+ * @param {String} argument - the ISO 8601 duration
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @returns {Duration} the parsed duration. See [Duration]{@link docs/Duration}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `argument` must be an ISO 8601 duration
+ *
+ * @example
+ * // Parse 1 year, 2 months, 10 days, 2 hours and 30 minutes:
+ * var result = parseISODuration('P1Y2M10DT2H30M')
+ * //=> {years: 1, months: 2, days: 10, hours: 2, minutes: 30}
+ *
+ * @example
+ * // Parse the negative duration with the fraction of a second:
+ * var result = parseISODuration('-PT1M30.5S')
+ * //=> {minutes: -1, seconds: -30.5}
+ */
+export default function parseISODuration (dirtyArgument, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var captures = durationPattern.exec(String(dirtyArgument))
+  if (!captures) {
+    throw new RangeError('argument must be an ISO 8601 duration')
+  }
+
+  var sign = captures[1] === '-' ? -1 : 1
+  var result = {}
+  var hasFraction = false
+
+  for (var i = 0; i < units.length; i++) {
+    var value = captures[i + 2]
+    if (value === undefined) {
+      continue
+    }
+
+    // Only the last component can have a fraction
+    if (hasFraction) {
+      throw new RangeError('argument must be an ISO 8601 duration')
+    }
+    hasFraction = /[.,]/.test(value)
+
+    result[units[i]] = sign * parseFloat(value.replace(',', '.')) || 0
+  }
+
+  return result
+}
@@ -0,0 +1,106 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import parseISODuration from '.'
+
+describe('parseISODuration', function () {
+  it('parses the duration with all components', function () {
+    var result = parseISODuration('P1Y2M3W4DT5H6M7S')
+    assert.deepEqual(result, {
+      years: 1,
+      months: 2,
+      weeks: 3,
+      days: 4,
+      hours: 5,
+      minutes: 6,
+      seconds: 7
+    })
+  })
+
+  it('includes only the present components', function () {
+    var result = parseISODuration('P1Y2M10DT2H30M')
+    assert.deepEqual(result, {years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+  })
+
+  it('parses the weeks', function () {
+    var result = parseISODuration('P3W')
+    assert.deepEqual(result, {weeks: 3})
+  })
+
+  it('parses the time components only', function () {
+    var result = parseISODuration('PT36H')
+    assert.deepEqual(result, {hours: 36})
+  })
+
+  it('distinguishes the months and the minutes', function () {
+    var result = parseISODuration('P1MT1M')
+    assert.deepEqual(result, {months: 1, minutes: 1})
+  })
+
+  it('parses the zero components', function () {
+    var result = parseISODuration('P0D')
+    assert.deepEqual(result, {days: 0})
+  })
+
+  describe('fractions', function () {
+    it('parses the fraction of the last component', function () {
+      var result = parseISODuration('PT1M30.5S')
+      assert.deepEqual(result, {minutes: 1, seconds: 30.5})
+    })
+
+    it('accepts the comma as the decimal separator', function () {
+      var result = parseISODuration('P0,5D')
+      assert.deepEqual(result, {days: 0.5})
+    })
+
+    it('throws `RangeError` if the fraction is not in the last component', function () {
+      var block = parseISODuration.bind(null, 'PT1.5H30M')
+      assert.throws(block, RangeError)
+    })
+  })
+
+  describe('negative durations', function () {
+    it('negates all components', function () {
+      var result = parseISODuration('-P1DT12H')
+      assert.deepEqual(result, {days: -1, hours: -12})
+    })
+
+    it('does not return negative zeros', function () {
+      var seconds = parseISODuration('-PT0S').seconds
+      assert(seconds === 0 && 1 / seconds === Infinity)
+    })
+
+    it('accepts the plus sign', function () {
+      var result = parseISODuration('+P1D')
+      assert.deepEqual(result, {days: 1})
+    })
+  })
+
+  describe('invalid durations', function () {
+    it('throws `RangeError` if the duration has no components', function () {
+      assert.throws(parseISODuration.bind(null, 'P'), RangeError)
+      assert.throws(parseISODuration.bind(null, 'PT'), RangeError)
+      assert.throws(parseISODuration.bind(null, 'P1DT'), RangeError)
+    })
+
+    it('throws `RangeError` if the components are in the wrong order', function () {
+      var block = parseISODuration.bind(null, 'P1D2Y')
+      assert.throws(block, RangeError)
+    })
+
+    it('throws `RangeError` if the time components are not preceded by `T`', function () {
+      var block = parseISODuration.bind(null, 'P1H')
+      assert.throws(block, RangeError)
+    })
+
+    it('throws `RangeError` if the string is not a duration', function () {
+      var block = parseISODuration.bind(null, '2014-09-01')
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(parseISODuration.bind(null), TypeError)
+  })
+})
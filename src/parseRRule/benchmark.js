@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import parseRRule from '.'
+
+suite('parseRRule', function () {
+  benchmark('date-fns', function () {
+    return parseRRule(this.rrule)
+  })
+}, {
+  setup: function () {
+    this.rrule = 'DTSTART:20140106T090000\nRRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10\nEXDATE:20140108T090000'
+  }
+})
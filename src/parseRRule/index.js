@@ -0,0 +1,304 @@
+import endOfDay from '../endOfDay/index.js'
+import parseICalDateTime from '../parseICalDateTime/index.js'
+
+var frequencies = {
+  YEARLY: 'yearly',
+  MONTHLY: 'monthly',
+  WEEKLY: 'weekly',
+  DAILY: 'daily',
+  HOURLY: 'hourly',
+  MINUTELY: 'minutely',
+  SECONDLY: 'secondly'
+}
+
+var weekdays = {SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6}
+
+var unsupportedRuleParts = ['BYSECOND', 'BYMINUTE', 'BYHOUR', 'BYYEARDAY', 'BYWEEKNO']
+
+var INVALID_RULE_MESSAGE = 'argument must be an RFC 5545 recurrence rule'
+
+/**
+ * @name parseRRule
+ * @category Recurrence Helpers
+ * @summary Parse the RFC 5545 recurrence rule.
+ *
+ * @description
+ * Parse the iCalendar (RFC 5545) recurrence rule into the recurrence rule object.
+ * See [RecurrenceRule]{@link docs/types/RecurrenceRule}.
+ *
+ * The argument is either the value of RRULE property (e.g. 'FREQ=WEEKLY;BYDAY=MO,WE')
+ * or the lines of DTSTART, RRULE, EXDATE and RDATE properties:
+ *
+ * ```
+ * DTSTART;TZID=America/New_York:20140106T090000
+ * RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6
+ * EXDATE;TZID=America/New_York:20140328T090000
+ * ```
+ *
+ * The supported rule parts are FREQ, INTERVAL, COUNT, UNTIL, BYDAY, BYMONTHDAY, BYMONTH, BYSETPOS and WKST.
+ * The dates are DATE (e.g. '20140106') or DATE-TIME values, which are either in UTC (e.g. '20140106T140000Z'),
+ * in the time zone given by TZID parameter or in the local time zone.
+ * TZID parameters are looked up by name in `options.timeZones`, which is an array of time zone objects
+ * or an object with them (e.g. the whole `date-fns/timeZone` module).
+ * If DTSTART has TZID parameter, the result has `timeZone` property, and the rule is expanded in that time zone.
+ * The DATE value of UNTIL includes the whole day.
+ *
+ * Unlike in RRULE, the months and the days of the week are counted from 0
+ * (January and Sunday), the same way as in `getMonth` and `getDay`.
+ *
+ * @param {String} rrule - the RRULE value or the iCalendar properties
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {TimeZone[]|Object} [options.timeZones] - the time zones that TZID parameters refer to
+ * @returns {RecurrenceRule} the recurrence rule object. See [RecurrenceRule]{@link docs/types/RecurrenceRule}
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} argument must be an RFC 5545 recurrence rule
+ * @throws {RangeError} BYSECOND, BYMINUTE, BYHOUR, BYYEARDAY and BYWEEKNO rule parts are not supported
+ * @throws {RangeError} TZID must be the name of a time zone in `options.timeZones`
+ *
+ * @example
+ * // Parse the rule of the last Friday of each month:
+ * var result = parseRRule('DTSTART:20140131T090000\nRRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6')
+ * //=> {
+ * //   start: Fri Jan 31 2014 09:00:00,
+ * //   freq: 'monthly',
+ * //   byDay: [{day: 5, nth: -1}],
+ * //   count: 6
+ * // }
+ *
+ * @example
+ * // Parse the rule in the time zone of New York:
+ * import newYork from 'date-fns/timeZone/America/New_York'
+ * var result = parseRRule(
+ *   'DTSTART;TZID=America/New_York:20140106T090000\nRRULE:FREQ=DAILY;COUNT=3',
+ *   {timeZones: [newYork]}
+ * )
+ * //=> {
+ * //   start: Mon Jan 06 2014 14:00:00 UTC,
+ * //   freq: 'daily',
+ * //   count: 3,
+ * //   timeZone: newYork
+ * // }
+ */
+export default function parseRRule (dirtyRRule, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+
+  // Unfold the long lines, which RFC 5545 splits with a line break followed by a space
+  var lines = String(dirtyRRule).replace(/\r?\n[ \t]/g, '').split(/\r?\n/)
+
+  var properties = []
+  lines.forEach(function (line) {
+    if (line.trim() !== '') {
+      properties.push(parseProperty(line.trim()))
+    }
+  })
+
+  var result = {}
+
+  var startProperties = findProperties(properties, 'DTSTART')
+  if (startProperties.length > 1) {
+    throw new RangeError(INVALID_RULE_MESSAGE)
+  } else if (startProperties.length === 1) {
+    var startProperty = startProperties[0]
+    var startTimeZone = findTimeZone(startProperty.params.TZID, options.timeZones)
+    result.start = parseDateValue(startProperty.value, startTimeZone)
+    if (startTimeZone !== undefined) {
+      result.timeZone = startTimeZone
+    }
+  }
+
+  var ruleProperties = findProperties(properties, 'RRULE')
+  if (ruleProperties.length !== 1) {
+    throw new RangeError(INVALID_RULE_MESSAGE)
+  }
+  parseRuleParts(ruleProperties[0].value, result)
+
+  properties.forEach(function (property) {
+    var key
+    if (property.name === 'EXDATE') {
+      key = 'exDates'
+    } else if (property.name === 'RDATE') {
+      key = 'rDates'
+    } else if (property.name === 'DTSTART' || property.name === 'RRULE') {
+      return
+    } else {
+      throw new RangeError(INVALID_RULE_MESSAGE)
+    }
+
+    var timeZone = property.params.TZID === undefined
+      ? result.timeZone
+      : findTimeZone(property.params.TZID, options.timeZones)
+    result[key] = (result[key] || []).concat(property.value.split(',').map(function (value) {
+      return parseDateValue(value, timeZone)
+    }))
+  })
+
+  return result
+}
+
+// Parses the content line (e.g. 'DTSTART;TZID=America/New_York:20140106T090000')
+// into the name, the parameters and the value. The line without the name is the value of RRULE
+function parseProperty (line) {
+  var colonIndex = line.indexOf(':')
+  if (colonIndex === -1) {
+    return {name: 'RRULE', params: {}, value: line}
+  }
+
+  var nameAndParams = line.slice(0, colonIndex).split(';')
+  var params = {}
+  nameAndParams.slice(1).forEach(function (param) {
+    var equalsIndex = param.indexOf('=')
+    if (equalsIndex === -1) {
+      throw new RangeError(INVALID_RULE_MESSAGE)
+    }
+    params[param.slice(0, equalsIndex).toUpperCase()] = param.slice(equalsIndex + 1).replace(/^"(.*)"$/, '$1')
+  })
+
+  if (params.VALUE !== undefined && ['DATE', 'DATE-TIME'].indexOf(params.VALUE.toUpperCase()) === -1) {
+    throw new RangeError(INVALID_RULE_MESSAGE)
+  }
+
+  return {
+    name: nameAndParams[0].toUpperCase(),
+    params: params,
+    value: line.slice(colonIndex + 1)
+  }
+}
+
+function findProperties (properties, name) {
+  return properties.filter(function (property) {
+    return property.name === name
+  })
+}
+
+// Finds the time zone object with the name of TZID parameter (case-insensitive)
+function findTimeZone (tzid, timeZones) {
+  if (tzid === undefined) {
+    return undefined
+  }
+
+  var list = Array.isArray(timeZones)
+    ? timeZones
+    : Object.keys(timeZones || {}).map(function (key) {
+      return timeZones[key]
+    })
+
+  var name = tzid.toLowerCase()
+  for (var i = 0; i < list.length; i++) {
+    if (list[i] && String(list[i].name).toLowerCase() === name) {
+      return list[i]
+    }
+  }
+
+  throw new RangeError('TZID must be the name of a time zone in `options.timeZones`')
+}
+
+function parseDateValue (value, timeZone) {
+  var date = parseICalDateTime(value.trim().toUpperCase(), {timeZone: timeZone})
+  if (isNaN(date)) {
+    throw new RangeError(INVALID_RULE_MESSAGE)
+  }
+  return date
+}
+
+function parseRuleParts (value, result) {
+  var parsedNames = {}
+
+  value.toUpperCase().split(';').forEach(function (part) {
+    var equalsIndex = part.indexOf('=')
+    var name = part.slice(0, equalsIndex)
+    var partValue = part.slice(equalsIndex + 1)
+
+    if (unsupportedRuleParts.indexOf(name) !== -1) {
+      throw new RangeError(name + ' rule part is not supported')
+    }
+
+    if (equalsIndex === -1 || parsedNames[name]) {
+      throw new RangeError(INVALID_RULE_MESSAGE)
+    }
+    parsedNames[name] = true
+
+    switch (name) {
+      case 'FREQ':
+        if (!frequencies.hasOwnProperty(partValue)) {
+          throw new RangeError(INVALID_RULE_MESSAGE)
+        }
+        result.freq = frequencies[partValue]
+        break
+
+      case 'INTERVAL':
+        result.interval = parseInteger(partValue, 1, Infinity)
+        break
+
+      case 'COUNT':
+        result.count = parseInteger(partValue, 1, Infinity)
+        break
+
+      case 'UNTIL':
+        var until = parseDateValue(partValue, result.timeZone)
+        result.until = partValue.length === 8 ? endOfDay(until) : until
+        break
+
+      case 'BYDAY':
+        result.byDay = partValue.split(',').map(function (weekdayValue) {
+          var captures = /^([+-]?\d{1,2})?([A-Z]{2})$/.exec(weekdayValue)
+          if (!captures || !weekdays.hasOwnProperty(captures[2])) {
+            throw new RangeError(INVALID_RULE_MESSAGE)
+          }
+
+          var weekday = {day: weekdays[captures[2]]}
+          if (captures[1] !== undefined) {
+            weekday.nth = parseInteger(captures[1], -53, 53)
+          }
+          return weekday
+        })
+        break
+
+      case 'BYMONTHDAY':
+        result.byMonthDay = parseIntegers(partValue, -31, 31)
+        break
+
+      case 'BYMONTH':
+        result.byMonth = parseIntegers(partValue, 1, 12).map(function (month) {
+          return month - 1
+        })
+        break
+
+      case 'BYSETPOS':
+        result.bySetPos = parseIntegers(partValue, -366, 366)
+        break
+
+      case 'WKST':
+        if (!weekdays.hasOwnProperty(partValue)) {
+          throw new RangeError(INVALID_RULE_MESSAGE)
+        }
+        result.weekStartsOn = weekdays[partValue]
+        break
+
+      default:
+        throw new RangeError(INVALID_RULE_MESSAGE)
+    }
+  })
+
+  if (result.freq === undefined || (result.count !== undefined && result.until !== undefined)) {
+    throw new RangeError(INVALID_RULE_MESSAGE)
+  }
+}
+
+// Parses the integer between `min` and `max` except 0
+function parseInteger (value, min, max) {
+  var number = Number(value)
+  if (!/^[+-]?\d+$/.test(value) || number === 0 || number < min || number > max) {
+    throw new RangeError(INVALID_RULE_MESSAGE)
+  }
+  return number
+}
+
+function parseIntegers (value, min, max) {
+  return value.split(',').map(function (numberValue) {
+    return parseInteger(numberValue, min, max)
+  })
+}
@@ -0,0 +1,211 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import parseRRule from '.'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('parseRRule', function () {
+  it('parses the value of RRULE', function () {
+    var result = parseRRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;COUNT=10')
+    assert.deepEqual(result, {
+      freq: 'weekly',
+      interval: 2,
+      byDay: [{day: 1}, {day: 3}],
+      count: 10
+    })
+  })
+
+  it('parses DTSTART and RRULE properties', function () {
+    var result = parseRRule('DTSTART:20140131T090000\nRRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=6')
+    assert.deepEqual(result, {
+      start: new Date(2014, 0 /* Jan */, 31, 9),
+      freq: 'monthly',
+      byDay: [{day: 5, nth: -1}],
+      count: 6
+    })
+  })
+
+  it('parses all frequencies', function () {
+    assert(parseRRule('FREQ=YEARLY').freq === 'yearly')
+    assert(parseRRule('FREQ=MONTHLY').freq === 'monthly')
+    assert(parseRRule('FREQ=WEEKLY').freq === 'weekly')
+    assert(parseRRule('FREQ=DAILY').freq === 'daily')
+    assert(parseRRule('FREQ=HOURLY').freq === 'hourly')
+    assert(parseRRule('FREQ=MINUTELY').freq === 'minutely')
+    assert(parseRRule('FREQ=SECONDLY').freq === 'secondly')
+  })
+
+  it('parses the ordinal days of the week', function () {
+    var result = parseRRule('FREQ=YEARLY;BYDAY=1SU,+2MO,-1FR,20TH,SA')
+    assert.deepEqual(result.byDay, [
+      {day: 0, nth: 1},
+      {day: 1, nth: 2},
+      {day: 5, nth: -1},
+      {day: 4, nth: 20},
+      {day: 6}
+    ])
+  })
+
+  it('parses BYMONTHDAY, BYSETPOS and WKST', function () {
+    var result = parseRRule('FREQ=MONTHLY;BYMONTHDAY=1,15,-1;BYSETPOS=-1;WKST=SU')
+    assert.deepEqual(result, {
+      freq: 'monthly',
+      byMonthDay: [1, 15, -1],
+      bySetPos: [-1],
+      weekStartsOn: 0
+    })
+  })
+
+  it('counts the months from 0', function () {
+    var result = parseRRule('FREQ=YEARLY;BYMONTH=1,6,12')
+    assert.deepEqual(result.byMonth, [0, 5, 11])
+  })
+
+  it('parses UNTIL in UTC', function () {
+    var result = parseRRule('FREQ=DAILY;UNTIL=20140303T120000Z')
+    assert.deepEqual(result.until, new Date(Date.UTC(2014, 2 /* Mar */, 3, 12)))
+  })
+
+  it('parses UNTIL in the local time', function () {
+    var result = parseRRule('FREQ=DAILY;UNTIL=20140303T120000')
+    assert.deepEqual(result.until, new Date(2014, 2 /* Mar */, 3, 12))
+  })
+
+  it('includes the whole day in UNTIL with the DATE value', function () {
+    var result = parseRRule('FREQ=DAILY;UNTIL=20140303')
+    assert.deepEqual(result.until, new Date(2014, 2 /* Mar */, 3, 23, 59, 59, 999))
+  })
+
+  it('parses DTSTART with the DATE value', function () {
+    var result = parseRRule('DTSTART;VALUE=DATE:20140106\nRRULE:FREQ=DAILY')
+    assert.deepEqual(result.start, new Date(2014, 0 /* Jan */, 6))
+  })
+
+  it('parses DTSTART in UTC', function () {
+    var result = parseRRule('DTSTART:20140106T090000Z\nRRULE:FREQ=DAILY')
+    assert.deepEqual(result.start, new Date(Date.UTC(2014, 0 /* Jan */, 6, 9)))
+  })
+
+  it('parses TZID of DTSTART and uses it for the other dates', function () {
+    var result = parseRRule([
+      'DTSTART;TZID=America/New_York:20140106T090000',
+      'RRULE:FREQ=DAILY;UNTIL=20140110T090000',
+      'EXDATE:20140107T090000'
+    ].join('\r\n'), {timeZones: [newYork]})
+    assert.deepEqual(result, {
+      start: new Date(Date.UTC(2014, 0 /* Jan */, 6, 14)),
+      timeZone: newYork,
+      freq: 'daily',
+      until: new Date(Date.UTC(2014, 0 /* Jan */, 10, 14)),
+      exDates: [new Date(Date.UTC(2014, 0 /* Jan */, 7, 14))]
+    })
+  })
+
+  it('finds TZID in the object with the time zones', function () {
+    var result = parseRRule('DTSTART;TZID=asia/tokyo:20140106T090000\nRRULE:FREQ=DAILY', {
+      timeZones: {newYork: newYork, tokyo: tokyo}
+    })
+    assert(result.timeZone === tokyo)
+    assert.deepEqual(result.start, new Date(Date.UTC(2014, 0 /* Jan */, 6, 0)))
+  })
+
+  it('throws `RangeError` if TZID is not in `options.timeZones`', function () {
+    var rrule = 'DTSTART;TZID=America/New_York:20140106T090000\nRRULE:FREQ=DAILY'
+    assert.throws(parseRRule.bind(null, rrule), RangeError)
+    assert.throws(parseRRule.bind(null, rrule, {timeZones: [tokyo]}), RangeError)
+  })
+
+  it('parses EXDATE and RDATE properties', function () {
+    var result = parseRRule([
+      'DTSTART:20140106T090000',
+      'RRULE:FREQ=DAILY;COUNT=5',
+      'EXDATE:20140107T090000,20140108T090000',
+      'RDATE;TZID=Asia/Tokyo:20140111T090000',
+      'EXDATE:20140109T090000Z'
+    ].join('\n'), {timeZones: [tokyo]})
+    assert.deepEqual(result.exDates, [
+      new Date(2014, 0 /* Jan */, 7, 9),
+      new Date(2014, 0 /* Jan */, 8, 9),
+      new Date(Date.UTC(2014, 0 /* Jan */, 9, 9))
+    ])
+    assert.deepEqual(result.rDates, [new Date(Date.UTC(2014, 0 /* Jan */, 11, 0))])
+  })
+
+  it('ignores the case of the names and the values', function () {
+    var result = parseRRule('dtstart:20140106t090000z\nrrule:freq=weekly;byday=mo')
+    assert.deepEqual(result, {
+      start: new Date(Date.UTC(2014, 0 /* Jan */, 6, 9)),
+      freq: 'weekly',
+      byDay: [{day: 1}]
+    })
+  })
+
+  it('unfolds the long lines', function () {
+    var result = parseRRule('RRULE:FREQ=WEEKLY;BY\r\n DAY=MO,WE')
+    assert.deepEqual(result.byDay, [{day: 1}, {day: 3}])
+  })
+
+  it('ignores the empty lines', function () {
+    var result = parseRRule('\nDTSTART:20140106T090000\n\nRRULE:FREQ=DAILY\n')
+    assert(result.freq === 'daily')
+  })
+
+  it('throws `RangeError` if FREQ is missing or invalid', function () {
+    assert.throws(parseRRule.bind(null, 'INTERVAL=2'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=FORTNIGHTLY'), RangeError)
+  })
+
+  it('throws `RangeError` if RRULE is missing or repeated', function () {
+    assert.throws(parseRRule.bind(null, 'DTSTART:20140106T090000'), RangeError)
+    assert.throws(parseRRule.bind(null, 'RRULE:FREQ=DAILY\nRRULE:FREQ=WEEKLY'), RangeError)
+  })
+
+  it('throws `RangeError` if a rule part is repeated or unknown', function () {
+    assert.throws(parseRRule.bind(null, 'FREQ=DAILY;FREQ=WEEKLY'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=DAILY;FOO=BAR'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=DAILY;COUNT'), RangeError)
+  })
+
+  it('throws `RangeError` if a rule part is not supported', function () {
+    assert.throws(parseRRule.bind(null, 'FREQ=DAILY;BYHOUR=9'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=YEARLY;BYWEEKNO=20'), RangeError)
+  })
+
+  it('throws `RangeError` if a number is invalid', function () {
+    assert.throws(parseRRule.bind(null, 'FREQ=DAILY;INTERVAL=0'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=DAILY;COUNT=1.5'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=MONTHLY;BYMONTHDAY=32'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=MONTHLY;BYMONTHDAY=0'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=YEARLY;BYMONTH=13'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=MONTHLY;BYSETPOS=367'), RangeError)
+  })
+
+  it('throws `RangeError` if a day of the week is invalid', function () {
+    assert.throws(parseRRule.bind(null, 'FREQ=WEEKLY;BYDAY=XX'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=MONTHLY;BYDAY=0MO'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=MONTHLY;BYDAY=54MO'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=WEEKLY;WKST=MONDAY'), RangeError)
+  })
+
+  it('throws `RangeError` if both COUNT and UNTIL are given', function () {
+    var block = parseRRule.bind(null, 'FREQ=DAILY;COUNT=5;UNTIL=20140303')
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if a date is invalid', function () {
+    assert.throws(parseRRule.bind(null, 'DTSTART:2014-01-06\nRRULE:FREQ=DAILY'), RangeError)
+    assert.throws(parseRRule.bind(null, 'DTSTART:20140230\nRRULE:FREQ=DAILY'), RangeError)
+    assert.throws(parseRRule.bind(null, 'FREQ=DAILY;UNTIL=20140303T250000'), RangeError)
+  })
+
+  it('throws `RangeError` if a property is not supported', function () {
+    assert.throws(parseRRule.bind(null, 'RRULE:FREQ=DAILY\nSUMMARY:Meeting'), RangeError)
+    assert.throws(parseRRule.bind(null, 'RRULE:FREQ=DAILY\nRDATE;VALUE=PERIOD:20140106T090000Z/PT1H'), RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(parseRRule.bind(null), TypeError)
+  })
+})
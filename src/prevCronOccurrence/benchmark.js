@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import prevCronOccurrence from '.'
+
+suite('prevCronOccurrence', function () {
+  benchmark('date-fns', function () {
+    return prevCronOccurrence(this.expression, this.date)
+  })
+}, {
+  setup: function () {
+    this.expression = '0/15 9-17 * * MON-FRI'
+    this.date = new Date()
+  }
+})
@@ -0,0 +1,47 @@
+import toDate from '../toDate/index.js'
+import normalizeCronSchedule from '../_lib/normalizeCronSchedule/index.js'
+import findCronOccurrence from '../_lib/findCronOccurrence/index.js'
+
+/**
+ * @name prevCronOccurrence
+ * @category Recurrence Helpers
+ * @summary Return the previous occurrence of the cron schedule.
+ *
+ * @description
+ * Return the latest date before the given date that matches the cron schedule.
+ * The schedule is either the cron schedule object (see [CronSchedule]{@link docs/types/CronSchedule})
+ * or the cron expression accepted by `parseCron`.
+ *
+ * The schedule is matched against the wall clock time in the local time zone,
+ * and the occurrences around the DST clock shifts are the same as of `nextCronOccurrence`:
+ * the skipped matching times happen at the moment of the shift, and the repeated ones happen at their first moment.
+ *
+ * @param {CronSchedule|String} schedule - the cron schedule. See [CronSchedule]{@link docs/types/CronSchedule}
+ * @param {Date|String|Number} date - the date before which the occurrence is found
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Date|null} the previous occurrence or null if the schedule has no occurrences in the previous 400 years
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} argument must be a cron expression
+ * @throws {RangeError} `seconds`, `minutes`, `hours`, `daysOfMonth`, `nearestWeekdays`, `months`
+ *   and `daysOfWeek` must contain valid values
+ *
+ * @example
+ * // When did the job that runs at 2:00 on the 1st of each month run last before 10 July 2014?
+ * var result = prevCronOccurrence('0 2 1 * *', new Date(2014, 6, 10))
+ * //=> Tue Jul 01 2014 02:00:00
+ */
+export default function prevCronOccurrence (dirtySchedule, dirtyDate, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var schedule = normalizeCronSchedule(dirtySchedule, dirtyOptions)
+  var date = toDate(dirtyDate, dirtyOptions)
+  if (isNaN(date)) {
+    return new Date(NaN)
+  }
+
+  return findCronOccurrence(schedule, date, true)
+}
@@ -0,0 +1,91 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import prevCronOccurrence from '.'
+import nextCronOccurrence from '../nextCronOccurrence'
+
+describe('prevCronOccurrence', function () {
+  it('returns the previous occurrence of the cron expression', function () {
+    var result = prevCronOccurrence('0 2 1 * *', new Date(2014, 6 /* Jul */, 10))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 1, 2))
+  })
+
+  it('accepts the cron schedule object', function () {
+    var result = prevCronOccurrence(
+      {minutes: [0], hours: [10], daysOfWeek: [{day: 5, nth: -1}]},
+      new Date(2014, 6 /* Jul */, 10)
+    )
+    assert.deepEqual(result, new Date(2014, 5 /* Jun */, 27, 10))
+  })
+
+  it('returns the occurrence strictly before the date', function () {
+    var result = prevCronOccurrence('0 9 * * *', new Date(2014, 6 /* Jul */, 10, 9))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 9, 9))
+  })
+
+  it('returns the occurrence in the same second if the date has milliseconds', function () {
+    var result = prevCronOccurrence('* * * * * *', new Date(2014, 6 /* Jul */, 10, 9, 0, 0, 500))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 10, 9))
+  })
+
+  it('matches the seconds, the minutes and the hours from the end', function () {
+    var result = prevCronOccurrence('15,45 0/20 9-17 * * *', new Date(2014, 6 /* Jul */, 10, 8))
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 9, 17, 40, 45))
+  })
+
+  it('matches the days of the month from the end of the month', function () {
+    var result = prevCronOccurrence('0 9 L,LW * *', new Date(2014, 8 /* Sep */, 1))
+    assert.deepEqual(result, new Date(2014, 7 /* Aug */, 31, 9))
+  })
+
+  it('finds the rare occurrences', function () {
+    var result = prevCronOccurrence('0 0 29 2 *', new Date(2014, 0 /* Jan */, 1))
+    assert.deepEqual(result, new Date(2012, 1 /* Feb */, 29))
+  })
+
+  it('returns null if the schedule has no occurrences', function () {
+    var result = prevCronOccurrence('0 0 31 4,6,9,11 *', new Date(2014, 0 /* Jan */, 1))
+    assert(result === null)
+  })
+
+  it('returns the same occurrences as `nextCronOccurrence` across the DST transitions', function () {
+    var schedule = '15 0/20 0-3 * * *'
+    var start = new Date(2014, 0 /* Jan */, 1)
+    var end = new Date(2015, 0 /* Jan */, 1)
+    var date
+
+    var nextResults = []
+    for (date = nextCronOccurrence(schedule, start); date !== null && date < end; date = nextCronOccurrence(schedule, date)) {
+      nextResults.push(date)
+    }
+
+    var prevResults = []
+    for (date = prevCronOccurrence(schedule, end); date !== null && date > start; date = prevCronOccurrence(schedule, date)) {
+      prevResults.unshift(date)
+    }
+
+    assert.deepEqual(prevResults, nextResults)
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = prevCronOccurrence('0 9 * * *', new Date(NaN))
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('throws `RangeError` if the cron expression is invalid', function () {
+    var block = prevCronOccurrence.bind(null, '0 9 32 * *', new Date(2014, 6 /* Jul */, 10))
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = prevCronOccurrence.bind(null, '0 9 * * *', new Date(2014, 6 /* Jul */, 10), {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(prevCronOccurrence.bind(null), TypeError)
+    assert.throws(prevCronOccurrence.bind(null, '0 9 * * *'), TypeError)
+  })
+})
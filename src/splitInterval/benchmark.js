@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import splitInterval from '.'
+
+suite('splitInterval', function () {
+  benchmark('date-fns', function () {
+    return splitInterval(this.interval, {unit: 'hour'})
+  })
+}, {
+  setup: function () {
+    this.interval = {start: new Date(2014, 0, 1, 6, 30), end: new Date(2014, 0, 31, 18, 15)}
+  }
+})
@@ -0,0 +1,142 @@
+import toDate from '../toDate/index.js'
+import startOfMinute from '../startOfMinute/index.js'
+import startOfHour from '../startOfHour/index.js'
+import startOfDay from '../startOfDay/index.js'
+import startOfWeek from '../startOfWeek/index.js'
+import startOfMonth from '../startOfMonth/index.js'
+import startOfQuarter from '../startOfQuarter/index.js'
+import startOfYear from '../startOfYear/index.js'
+import addMinutes from '../addMinutes/index.js'
+import addHours from '../addHours/index.js'
+import addDays from '../addDays/index.js'
+import addWeeks from '../addWeeks/index.js'
+import addMonths from '../addMonths/index.js'
+import addQuarters from '../addQuarters/index.js'
+import addYears from '../addYears/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
+
+var units = {
+  minute: {startOfUnit: startOfMinute, addUnits: addMinutes},
+  hour: {startOfUnit: startOfHour, addUnits: addHours},
+  day: {startOfUnit: startOfDay, addUnits: addDays},
+  week: {startOfUnit: startOfWeek, addUnits: addWeeks},
+  month: {startOfUnit: startOfMonth, addUnits: addMonths},
+  quarter: {startOfUnit: startOfQuarter, addUnits: addQuarters},
+  year: {startOfUnit: startOfYear, addUnits: addYears}
+}
+
+/**
+ * @name splitInterval
+ * @category Interval Helpers
+ * @summary Split the time interval into the consecutive intervals of the given unit and step.
+ *
+ * @description
+ * Split the time interval into the consecutive intervals that are `options.step` units long.
+ * Each of them starts where the previous one ends, and together they cover the given interval.
+ *
+ * If `options.align` is true (the default), the intervals start at the starts of units,
+ * e.g. the calendar weeks start at `startOfWeek` and the calendar months start on the 1st.
+ * The first and the last intervals are clipped to the given interval, so they may be shorter.
+ * If `options.align` is false, the first interval starts at the start of the given interval,
+ * and only the last interval may be shorter.
+ *
+ * The minutes and the hours are counted in real time, so the intervals are always
+ * `step` units long. The days and the larger units are counted in the calendar,
+ * so a day interval is 23 or 25 hours long on the days with DST transitions.
+ *
+ * By default, the intervals include their starts and exclude their ends ('[)').
+ * Use `options.bounds` to change it. The result has the same bounds as the given interval,
+ * e.g. with the closed intervals ('[]') each interval in the result ends
+ * a millisecond before the next one starts, so they don't overlap.
+ *
+ * @param {Interval} interval - the interval to split. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'minute'|'hour'|'day'|'week'|'month'|'quarter'|'year'} [options.unit='day'] - the unit of the intervals in the result
+ * @param {Number} [options.step=1] - the number of units in each interval
+ * @param {Boolean} [options.align=true] - if true, the intervals start at the starts of units
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[)'] - whether the start and the end of the interval
+ *   are included in it and in the intervals in the result. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2|3|4|5|6} [options.weekStartsOn=0] - the index of the first day of the week (0 - Sunday)
+ * @param {Locale} [options.locale=defaultLocale] - the locale object. See [Locale]{@link https://date-fns.org/docs/Locale}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Interval[]} the array of the consecutive intervals
+ * @throws {TypeError} 1 argument required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.unit` must be 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'
+ * @throws {RangeError} `options.step` must be a positive integer
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} `options.weekStartsOn` must be between 0 and 6
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Split 10 days into the calendar weeks:
+ * var result = splitInterval(
+ *   {start: new Date(2014, 9, 1, 12), end: new Date(2014, 9, 11, 12)},
+ *   {unit: 'week'}
+ * )
+ * //=> [
+ * //   {start: Wed Oct 01 2014 12:00:00, end: Sun Oct 05 2014 00:00:00},
+ * //   {start: Sun Oct 05 2014 00:00:00, end: Sat Oct 11 2014 12:00:00}
+ * // ]
+ *
+ * @example
+ * // Cut 5 hours into 2-hour chunks:
+ * var result = splitInterval(
+ *   {start: new Date(2014, 9, 1, 9, 30), end: new Date(2014, 9, 1, 14, 30)},
+ *   {unit: 'hour', step: 2, align: false}
+ * )
+ * //=> [
+ * //   {start: Wed Oct 01 2014 09:30:00, end: Wed Oct 01 2014 11:30:00},
+ * //   {start: Wed Oct 01 2014 11:30:00, end: Wed Oct 01 2014 13:30:00},
+ * //   {start: Wed Oct 01 2014 13:30:00, end: Wed Oct 01 2014 14:30:00}
+ * // ]
+ */
+export default function splitInterval (dirtyInterval, dirtyOptions) {
+  if (arguments.length < 1) {
+    throw new TypeError('1 argument required, but only ' + arguments.length + ' present')
+  }
+
+  var options = dirtyOptions || {}
+  var interval = dirtyInterval || {}
+  var startTime = toDate(interval.start, options).getTime()
+  var endTime = toDate(interval.end, options).getTime()
+
+  // Throw an exception if start date is after end date or if any date is `Invalid Date`
+  if (!(startTime <= endTime)) {
+    throw new RangeError('Invalid interval')
+  }
+
+  var unitName = options.unit === undefined ? 'day' : String(options.unit)
+  if (!units.hasOwnProperty(unitName)) {
+    throw new RangeError("unit must be 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'")
+  }
+  var unit = units[unitName]
+
+  var step = options.step === undefined ? 1 : Number(options.step)
+
+  // Test if step is a positive integer _and_ is not NaN
+  if (!(step >= 1 && step % 1 === 0)) {
+    throw new RangeError('step must be a positive integer')
+  }
+
+  var bounds = getIntervalBounds(options, '[)')
+
+  // Split the half-open interval that contains the same milliseconds
+  startTime += bounds.start
+  endTime += bounds.end
+
+  var align = options.align === undefined ? true : Boolean(options.align)
+  var origin = align ? unit.startOfUnit(startTime, options) : new Date(startTime)
+
+  var result = []
+  var chunkStartTime = startTime
+  for (var index = 1; chunkStartTime < endTime; index++) {
+    // Count every end from the origin, so the month ends don't drift after the short months
+    var chunkEndTime = Math.min(unit.addUnits(origin, index * step, options).getTime(), endTime)
+    result.push({start: new Date(chunkStartTime - bounds.start), end: new Date(chunkEndTime - bounds.end)})
+    chunkStartTime = chunkEndTime
+  }
+
+  return result
+}
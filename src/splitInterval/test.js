@@ -0,0 +1,268 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import splitInterval from '.'
+import differenceInMilliseconds from '../differenceInMilliseconds'
+
+describe('splitInterval', function () {
+  it('splits the interval into the days by default', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 6, 35),
+      end: new Date(2014, 9 /* Oct */, 8, 22, 15)
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6, 6, 35), end: new Date(2014, 9 /* Oct */, 7)},
+      {start: new Date(2014, 9 /* Oct */, 7), end: new Date(2014, 9 /* Oct */, 8)},
+      {start: new Date(2014, 9 /* Oct */, 8), end: new Date(2014, 9 /* Oct */, 8, 22, 15)}
+    ])
+  })
+
+  it('splits the interval into the calendar weeks', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 1, 12),
+      end: new Date(2014, 9 /* Oct */, 11, 12)
+    }, {unit: 'week'})
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 1, 12), end: new Date(2014, 9 /* Oct */, 5)},
+      {start: new Date(2014, 9 /* Oct */, 5), end: new Date(2014, 9 /* Oct */, 11, 12)}
+    ])
+  })
+
+  it('allows to specify which day is the first day of the week', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 1, 12),
+      end: new Date(2014, 9 /* Oct */, 11, 12)
+    }, {unit: 'week', weekStartsOn: 1})
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 1, 12), end: new Date(2014, 9 /* Oct */, 6)},
+      {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 11, 12)}
+    ])
+  })
+
+  it('splits the interval into the minutes', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 10, 0, 30),
+      end: new Date(2014, 9 /* Oct */, 6, 10, 2)
+    }, {unit: 'minute'})
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6, 10, 0, 30), end: new Date(2014, 9 /* Oct */, 6, 10, 1)},
+      {start: new Date(2014, 9 /* Oct */, 6, 10, 1), end: new Date(2014, 9 /* Oct */, 6, 10, 2)}
+    ])
+  })
+
+  it('splits the interval into every `options.step` calendar months', function () {
+    var result = splitInterval({
+      start: new Date(2014, 0 /* Jan */, 15),
+      end: new Date(2014, 4 /* May */, 15)
+    }, {unit: 'month', step: 2})
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 15), end: new Date(2014, 2 /* Mar */, 1)},
+      {start: new Date(2014, 2 /* Mar */, 1), end: new Date(2014, 4 /* May */, 1)},
+      {start: new Date(2014, 4 /* May */, 1), end: new Date(2014, 4 /* May */, 15)}
+    ])
+  })
+
+  it('splits the interval into the quarters and the years', function () {
+    var interval = {start: new Date(2014, 10 /* Nov */, 1), end: new Date(2015, 4 /* May */, 1)}
+    assert.deepEqual(splitInterval(interval, {unit: 'quarter'}), [
+      {start: new Date(2014, 10 /* Nov */, 1), end: new Date(2015, 0 /* Jan */, 1)},
+      {start: new Date(2015, 0 /* Jan */, 1), end: new Date(2015, 3 /* Apr */, 1)},
+      {start: new Date(2015, 3 /* Apr */, 1), end: new Date(2015, 4 /* May */, 1)}
+    ])
+    assert.deepEqual(splitInterval(interval, {unit: 'year'}), [
+      {start: new Date(2014, 10 /* Nov */, 1), end: new Date(2015, 0 /* Jan */, 1)},
+      {start: new Date(2015, 0 /* Jan */, 1), end: new Date(2015, 4 /* May */, 1)}
+    ])
+  })
+
+  it('doesn\'t include the empty interval if the interval ends at the start of a unit', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 6),
+      end: new Date(2014, 9 /* Oct */, 8)
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 7)},
+      {start: new Date(2014, 9 /* Oct */, 7), end: new Date(2014, 9 /* Oct */, 8)}
+    ])
+  })
+
+  it('returns the interval itself if it is shorter than a unit', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 10),
+      end: new Date(2014, 9 /* Oct */, 6, 12)
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6, 10), end: new Date(2014, 9 /* Oct */, 6, 12)}
+    ])
+  })
+
+  context('with `align: false` option', function () {
+    it('cuts the interval into the chunks from its start', function () {
+      var result = splitInterval({
+        start: new Date(2014, 9 /* Oct */, 1, 9, 30),
+        end: new Date(2014, 9 /* Oct */, 1, 14, 30)
+      }, {unit: 'hour', step: 2, align: false})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 9 /* Oct */, 1, 9, 30), end: new Date(2014, 9 /* Oct */, 1, 11, 30)},
+        {start: new Date(2014, 9 /* Oct */, 1, 11, 30), end: new Date(2014, 9 /* Oct */, 1, 13, 30)},
+        {start: new Date(2014, 9 /* Oct */, 1, 13, 30), end: new Date(2014, 9 /* Oct */, 1, 14, 30)}
+      ])
+    })
+
+    it('counts the months from the start of the interval', function () {
+      var result = splitInterval({
+        start: new Date(2014, 0 /* Jan */, 31),
+        end: new Date(2014, 3 /* Apr */, 15)
+      }, {unit: 'month', align: false})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 0 /* Jan */, 31), end: new Date(2014, 1 /* Feb */, 28)},
+        {start: new Date(2014, 1 /* Feb */, 28), end: new Date(2014, 2 /* Mar */, 31)},
+        {start: new Date(2014, 2 /* Mar */, 31), end: new Date(2014, 3 /* Apr */, 15)}
+      ])
+    })
+  })
+
+  it('splits into the calendar days across the DST transitions', function () {
+    var result = splitInterval({
+      start: new Date(2014, 0 /* Jan */, 1),
+      end: new Date(2015, 0 /* Jan */, 1)
+    })
+    assert(result.length === 365)
+    result.forEach(function (interval, index) {
+      assert.deepEqual(interval, {
+        start: new Date(2014, 0 /* Jan */, 1 + index),
+        end: new Date(2014, 0 /* Jan */, 2 + index)
+      })
+    })
+  })
+
+  it('splits into the hours of the same length across the DST transitions', function () {
+    var result = splitInterval({
+      start: new Date(2014, 0 /* Jan */, 1),
+      end: new Date(2015, 0 /* Jan */, 1)
+    }, {unit: 'hour', step: 6})
+    result.forEach(function (interval) {
+      var length = differenceInMilliseconds(interval.end, interval.start)
+      assert(length <= 6 * 3600000)
+    })
+    assert(differenceInMilliseconds(result[1].start, result[0].start) === 6 * 3600000)
+  })
+
+  context('with `bounds` option', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 8)}
+
+    it('returns the closed intervals that don\'t overlap', function () {
+      var result = splitInterval(interval, {bounds: '[]'})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 6, 23, 59, 59, 999)},
+        {start: new Date(2014, 9 /* Oct */, 7), end: new Date(2014, 9 /* Oct */, 7, 23, 59, 59, 999)},
+        {start: new Date(2014, 9 /* Oct */, 8), end: new Date(2014, 9 /* Oct */, 8)}
+      ])
+    })
+
+    it('returns the open intervals', function () {
+      var result = splitInterval(interval, {bounds: '()'})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 7)},
+        {start: new Date(2014, 9 /* Oct */, 6, 23, 59, 59, 999), end: new Date(2014, 9 /* Oct */, 8)}
+      ])
+    })
+
+    it('returns an empty array for the zero-length interval unless it is closed', function () {
+      var date = new Date(2014, 9 /* Oct */, 6, 12)
+      assert.deepEqual(splitInterval({start: date, end: date}), [])
+      assert.deepEqual(splitInterval({start: date, end: date}, {bounds: '()'}), [])
+      assert.deepEqual(splitInterval({start: date, end: date}, {bounds: '[]'}), [{start: date, end: date}])
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      // $ExpectedMistake
+      var block = splitInterval.bind(null, interval, {bounds: '[['})
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('accepts strings', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12).toISOString(),
+      end: new Date(2014, 9 /* Oct */, 7, 12).toISOString()
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 7)},
+      {start: new Date(2014, 9 /* Oct */, 7), end: new Date(2014, 9 /* Oct */, 7, 12)}
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = splitInterval({
+      start: new Date(2014, 9 /* Oct */, 6, 12).getTime(),
+      end: new Date(2014, 9 /* Oct */, 7, 12).getTime()
+    })
+    assert.deepEqual(result, [
+      {start: new Date(2014, 9 /* Oct */, 6, 12), end: new Date(2014, 9 /* Oct */, 7)},
+      {start: new Date(2014, 9 /* Oct */, 7), end: new Date(2014, 9 /* Oct */, 7, 12)}
+    ])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = splitInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 12),
+      end: new Date(2014, 9 /* Oct */, 6)
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = splitInterval.bind(null, {
+      start: new Date(NaN),
+      end: new Date(2014, 9 /* Oct */, 6)
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = splitInterval.bind(null, {
+      start: new Date(2014, 9 /* Oct */, 12),
+      end: new Date(NaN)
+    })
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the interval is undefined', function () {
+    // $ExpectedMistake
+    var block = splitInterval.bind(null, undefined)
+    assert.throws(block, RangeError)
+  })
+
+  it("throws `RangeError` if `options.unit` isn't 'minute', 'hour', 'day', 'week', 'month', 'quarter' or 'year'", function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 12)}
+    assert.throws(splitInterval.bind(null, interval, {unit: 'second'}), RangeError)
+    assert.throws(splitInterval.bind(null, interval, {unit: 'd'}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.step` is not a positive integer', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 12)}
+    assert.throws(splitInterval.bind(null, interval, {step: 0}), RangeError)
+    assert.throws(splitInterval.bind(null, interval, {step: 1.5}), RangeError)
+    assert.throws(splitInterval.bind(null, interval, {step: NaN}), RangeError)
+  })
+
+  it('throws `RangeError` if `options.weekStartsOn` is not convertable to 0, 1, ..., 6 or undefined', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 12)}
+    // $ExpectedMistake
+    var block = splitInterval.bind(null, interval, {unit: 'week', weekStartsOn: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var interval = {start: new Date(2014, 9 /* Oct */, 6), end: new Date(2014, 9 /* Oct */, 12)}
+    // $ExpectedMistake
+    var block = splitInterval.bind(null, interval, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 1 argument', function () {
+    assert.throws(splitInterval.bind(null), TypeError)
+  })
+})
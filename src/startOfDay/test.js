@@ -3,6 +3,8 @@
 
 import assert from 'power-assert'
 import startOfDay from '.'
+import newYork from '../timeZone/America/New_York'
+import saoPaulo from '../timeZone/America/Sao_Paulo'
 
 describe('startOfDay', function () {
   it('returns the date with the time setted to 00:00:00', function () {
@@ -29,6 +31,24 @@ describe('startOfDay', function () {
     )
   })
 
+  describe('options.timeZone', function () {
+    it('returns the start of a day in the time zone', function () {
+      var result = startOfDay(new Date(Date.UTC(2014, 8 /* Sep */, 2, 2)), {timeZone: newYork})
+      assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 1, 4)))
+    })
+
+    it('returns the first moment of a day that starts with the clock shift', function () {
+      // In 2014, daylight saving time in São Paulo started at 00:00 on 19 October
+      var result = startOfDay(new Date(Date.UTC(2014, 9 /* Oct */, 19, 12)), {timeZone: saoPaulo})
+      assert.deepEqual(result, new Date(Date.UTC(2014, 9 /* Oct */, 19, 3)))
+    })
+
+    it('throws `RangeError` if the time zone is unknown', function () {
+      var block = startOfDay.bind(null, new Date(2014, 8 /* Sep */, 2), {timeZone: 'Asia/Neo_Tokyo'})
+      assert.throws(block, RangeError)
+    })
+  })
+
   it('does not mutate the original date', function () {
     var date = new Date(2014, 8 /* Sep */, 2, 11, 55, 0)
     startOfDay(date)
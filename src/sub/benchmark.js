@@ -0,0 +1,21 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import sub from '.'
+import moment from 'moment'
+
+suite('sub', function () {
+  benchmark('date-fns', function () {
+    return sub(this.date, {years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+  })
+
+  benchmark('Moment.js', function () {
+    return this.moment.subtract({years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+    this.moment = moment()
+  }
+})
@@ -0,0 +1,44 @@
+import add from '../add/index.js'
+
+var units = ['years', 'months', 'weeks', 'days', 'hours', 'minutes', 'seconds']
+
+/**
+ * @name sub
+ * @category Duration Helpers
+ * @summary Subtract the specified duration from the given date.
+ *
+ * @description
+ * Subtract the specified duration from the given date.
+ *
+ * The units are subtracted in the same order as they're added by `add`:
+ * from the largest to the smallest one.
+ *
+ * @param {Date|String|Number} date - the date to be changed
+ * @param {Duration} duration - the duration to be subtracted. See [Duration]{@link docs/Duration}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Date} the new date with the duration subtracted
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ *
+ * @example
+ * // Subtract 1 year, 2 months, 10 days, 2 hours and 30 minutes from 11 November 2015 02:30:00:
+ * var result = sub(new Date(2015, 10, 11, 2, 30), {years: 1, months: 2, days: 10, hours: 2, minutes: 30})
+ * //=> Mon Sep 01 2014 00:00:00
+ */
+export default function sub (dirtyDate, dirtyDuration, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var duration = dirtyDuration || {}
+  var negatedDuration = {}
+  for (var i = 0; i < units.length; i++) {
+    var unit = units[i]
+    if (duration[unit] !== undefined) {
+      negatedDuration[unit] = -Number(duration[unit])
+    }
+  }
+
+  return add(dirtyDate, negatedDuration, dirtyOptions)
+}
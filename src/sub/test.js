@@ -0,0 +1,62 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import sub from '.'
+
+describe('sub', function () {
+  it('subtracts the given duration', function () {
+    var result = sub(new Date(2015, 10 /* Nov */, 11, 2, 30, 15), {
+      years: 1,
+      months: 2,
+      weeks: 1,
+      days: 3,
+      hours: 2,
+      minutes: 30,
+      seconds: 15
+    })
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('accepts a string', function () {
+    var result = sub(new Date(2014, 8 /* Sep */, 1).toISOString(), {months: 1})
+    assert.deepEqual(result, new Date(2014, 7 /* Aug */, 1))
+  })
+
+  it('accepts a timestamp', function () {
+    var result = sub(new Date(2014, 8 /* Sep */, 1).getTime(), {months: 1})
+    assert.deepEqual(result, new Date(2014, 7 /* Aug */, 1))
+  })
+
+  it('does not mutate the original date', function () {
+    var date = new Date(2014, 8 /* Sep */, 1)
+    sub(date, {years: 1, days: 1, hours: 1})
+    assert.deepEqual(date, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('subtracts the months before the days', function () {
+    var result = sub(new Date(2014, 2 /* Mar */, 31), {months: 1, days: 1})
+    assert.deepEqual(result, new Date(2014, 1 /* Feb */, 27))
+  })
+
+  it('subtracts the negative durations', function () {
+    var result = sub(new Date(2014, 8 /* Sep */, 1), {days: -1})
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 2))
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = sub(new Date(NaN), {days: 1})
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = sub.bind(null, new Date(2014, 8 /* Sep */, 1), {days: 1}, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(sub.bind(null), TypeError)
+    assert.throws(sub.bind(null, 1), TypeError)
+  })
+})
@@ -0,0 +1,15 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import subBusinessDays from '.'
+
+suite('subBusinessDays', function () {
+  benchmark('date-fns', function () {
+    return subBusinessDays(this.date, 7)
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
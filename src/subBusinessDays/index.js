@@ -0,0 +1,41 @@
+import addBusinessDays from '../addBusinessDays/index.js'
+
+/**
+ * @name subBusinessDays
+ * @category Day Helpers
+ * @summary Subtract the specified number of business days from the given date.
+ *
+ * @description
+ * Subtract the specified number of business days (days that are neither weekend days
+ * nor holidays in `options.holidays`) from the given date.
+ * The fractional part of the amount is discarded.
+ * If the amount is NaN or infinite, the result is `Invalid Date`.
+ *
+ * @param {Date|String|Number} date - the date to be changed
+ * @param {Number} amount - the amount of business days to be subtracted
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @param {Number[]} [options.weekendDays=[0, 6]] - the indices of the weekend days of the week (0 - Sunday)
+ * @param {HolidayCalendar} [options.holidays] - the holiday calendar. See [HolidayCalendar]{@link https://date-fns.org/docs/HolidayCalendar}
+ * @param {TimeZone|String} [options.timeZone] - the time zone to use instead of the local one. See [toZonedTime]{@link https://date-fns.org/docs/toZonedTime}
+ * @returns {Date} the new date with the business days subtracted
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.weekendDays` must contain only numbers between 0 and 6
+ * @throws {RangeError} `options.weekendDays` cannot contain every day of the week
+ * @throws {RangeError} `options.holidays` must contain `holidays` property
+ * @throws {RangeError} `options.timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // Subtract 10 business days from 15 September 2014:
+ * var result = subBusinessDays(new Date(2014, 8, 15), 10)
+ * //=> Mon Sep 01 2014 00:00:00 (skipped weekend days)
+ */
+export default function subBusinessDays (dirtyDate, dirtyAmount, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var amount = Number(dirtyAmount)
+  return addBusinessDays(dirtyDate, -amount, dirtyOptions)
+}
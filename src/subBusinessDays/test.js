@@ -0,0 +1,99 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import subBusinessDays from '.'
+import buildHolidayCalendar from '../buildHolidayCalendar'
+import auckland from '../timeZone/Pacific/Auckland'
+
+describe('subBusinessDays', function () {
+  it('subtracts the given number of business days', function () {
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 15), 10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('handles negative amount', function () {
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 1), -10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 15))
+  })
+
+  it('starts counting from a weekend day', function () {
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 7), 1)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 5))
+  })
+
+  it('allows to specify which days are weekend days', function () {
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 7), 4, {weekendDays: [5, 6]})
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('skips the holidays in `options.holidays`', function () {
+    var holidays = buildHolidayCalendar([
+      {name: 'Independence Day', month: 6, date: 4}
+    ])
+    var result = subBusinessDays(new Date(2014, 6 /* Jul */, 7), 1, {holidays: holidays})
+    assert.deepEqual(result, new Date(2014, 6 /* Jul */, 3))
+  })
+
+  it('counts the days in `options.timeZone`', function () {
+    // Sat 6 September 2014 08:00 in Auckland
+    var result = subBusinessDays(new Date(Date.UTC(2014, 8 /* Sep */, 5, 20)), 1, {timeZone: auckland})
+    // Fri 5 September 2014 08:00 in Auckland
+    assert.deepEqual(result, new Date(Date.UTC(2014, 8 /* Sep */, 4, 20)))
+  })
+
+  it('accepts a string', function () {
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 15).toISOString(), 10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('accepts a timestamp', function () {
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 15).getTime(), 10)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('implicitly converts number arguments', function () {
+    // $ExpectedMistake
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 15), '10')
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 1))
+  })
+
+  it('does not mutate the original date', function () {
+    var date = new Date(2014, 8 /* Sep */, 15)
+    subBusinessDays(date, 11)
+    assert.deepEqual(date, new Date(2014, 8 /* Sep */, 15))
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = subBusinessDays(new Date(NaN), 10)
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('returns `Invalid Date` if the given amount is NaN', function () {
+    var result = subBusinessDays(new Date(2014, 8 /* Sep */, 15), NaN)
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('returns `Invalid Date` if the given amount is infinite', function () {
+    var positiveResult = subBusinessDays(new Date(2014, 8 /* Sep */, 15), Infinity)
+    assert(positiveResult instanceof Date && isNaN(positiveResult))
+    var negativeResult = subBusinessDays(new Date(2014, 8 /* Sep */, 15), -Infinity)
+    assert(negativeResult instanceof Date && isNaN(negativeResult))
+  })
+
+  it('throws `RangeError` if `options.weekendDays` contains every day of the week', function () {
+    var block = subBusinessDays.bind(null, new Date(2014, 8 /* Sep */, 15), 10, {weekendDays: [0, 1, 2, 3, 4, 5, 6]})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = subBusinessDays.bind(null, new Date(2014, 8 /* Sep */, 15), 10, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(subBusinessDays.bind(null), TypeError)
+    assert.throws(subBusinessDays.bind(null, 1), TypeError)
+  })
+})
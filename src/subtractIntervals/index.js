@@ -0,0 +1,87 @@
+import normalizeIntervals from '../_lib/normalizeIntervals/index.js'
+import getIntervalBounds from '../_lib/getIntervalBounds/index.js'
+
+/**
+ * @name subtractIntervals
+ * @category Interval Helpers
+ * @summary Return the difference of the given arrays of time intervals.
+ *
+ * @description
+ * Return the time that is covered by the first array of intervals, but not by the second one,
+ * as the sorted array of non-overlapping intervals.
+ *
+ * The zero-length intervals contain no time, so they are not included in the result
+ * and subtracting them doesn't change anything.
+ *
+ * By default, the intervals include their starts and exclude their ends ('[)').
+ * Use `options.bounds` to change it. The result has the same bounds as the given intervals,
+ * e.g. with the closed intervals ('[]') the result ends a millisecond before
+ * the start of the subtracted interval, because that start is excluded from the result.
+ *
+ * @param {Interval[]} intervalsLeft - the intervals to subtract from. See [Interval]{@link docs/types/Interval}
+ * @param {Interval[]} intervalsRight - the intervals to subtract. See [Interval]{@link docs/types/Interval}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {'[]'|'[)'|'(]'|'()'} [options.bounds='[)'] - whether the starts and the ends of the intervals
+ *   are included in them and in the result. See [Interval]{@link docs/types/Interval}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Interval[]} the sorted array of non-overlapping intervals
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `options.bounds` must be '[]', '[)', '(]' or '()'
+ * @throws {RangeError} The start of an interval cannot be after its end
+ * @throws {RangeError} Date in interval cannot be `Invalid Date`
+ *
+ * @example
+ * // Subtract the meetings from the working hours:
+ * var result = subtractIntervals(
+ *   [{start: new Date(2014, 0, 10, 9), end: new Date(2014, 0, 10, 17)}],
+ *   [
+ *     {start: new Date(2014, 0, 10, 10), end: new Date(2014, 0, 10, 11)},
+ *     {start: new Date(2014, 0, 10, 16), end: new Date(2014, 0, 10, 18)}
+ *   ]
+ * )
+ * //=> [
+ * //   {start: Fri Jan 10 2014 09:00:00, end: Fri Jan 10 2014 10:00:00},
+ * //   {start: Fri Jan 10 2014 11:00:00, end: Fri Jan 10 2014 16:00:00}
+ * // ]
+ */
+export default function subtractIntervals (dirtyIntervalsLeft, dirtyIntervalsRight, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var bounds = getIntervalBounds(dirtyOptions, '[)')
+  var intervalsLeft = normalizeIntervals(dirtyIntervalsLeft, dirtyOptions)
+  var intervalsRight = normalizeIntervals(dirtyIntervalsRight, dirtyOptions)
+
+  var result = []
+  var rightIndex = 0
+
+  intervalsLeft.forEach(function (intervalLeft) {
+    var startTime = intervalLeft.start
+
+    // Skip the subtracted intervals that end before the current interval;
+    // they also end before all next intervals
+    while (rightIndex < intervalsRight.length && intervalsRight[rightIndex].end <= startTime) {
+      rightIndex++
+    }
+
+    for (
+      var index = rightIndex;
+      index < intervalsRight.length && intervalsRight[index].start < intervalLeft.end;
+      index++
+    ) {
+      var intervalRight = intervalsRight[index]
+      if (startTime < intervalRight.start) {
+        result.push({start: new Date(startTime - bounds.start), end: new Date(intervalRight.start - bounds.end)})
+      }
+      startTime = Math.max(startTime, intervalRight.end)
+    }
+
+    if (startTime < intervalLeft.end) {
+      result.push({start: new Date(startTime - bounds.start), end: new Date(intervalLeft.end - bounds.end)})
+    }
+  })
+
+  return result
+}
@@ -0,0 +1,168 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import subtractIntervals from '.'
+
+describe('subtractIntervals', function () {
+  it('returns the time covered by the first array of intervals, but not by the second one', function () {
+    var result = subtractIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}],
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)},
+        {start: new Date(2014, 0 /* Jan */, 10, 16), end: new Date(2014, 0 /* Jan */, 10, 18)}
+      ]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10)},
+      {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 16)}
+    ])
+  })
+
+  it('subtracts the interval from several intervals', function () {
+    var result = subtractIntervals(
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)},
+        {start: new Date(2014, 0 /* Jan */, 10, 13), end: new Date(2014, 0 /* Jan */, 10, 17)},
+        {start: new Date(2014, 0 /* Jan */, 10, 18), end: new Date(2014, 0 /* Jan */, 10, 19)}
+      ],
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 8), end: new Date(2014, 0 /* Jan */, 10, 9)},
+        {start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 14)}
+      ]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)},
+      {start: new Date(2014, 0 /* Jan */, 10, 14), end: new Date(2014, 0 /* Jan */, 10, 17)},
+      {start: new Date(2014, 0 /* Jan */, 10, 18), end: new Date(2014, 0 /* Jan */, 10, 19)}
+    ])
+  })
+
+  it('returns an empty array if the first intervals are covered completely', function () {
+    var result = subtractIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}],
+      [
+        {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10, 30)},
+        {start: new Date(2014, 0 /* Jan */, 10, 10, 30), end: new Date(2014, 0 /* Jan */, 10, 12)}
+      ]
+    )
+    assert.deepEqual(result, [])
+  })
+
+  it('ignores the zero-length intervals', function () {
+    var result = subtractIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 10, 30), end: new Date(2014, 0 /* Jan */, 10, 10, 30)}]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  context('with `bounds` option', function () {
+    var intervalsLeft = [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 17)}]
+    var intervalsRight = [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 11)}]
+
+    it('excludes the bounds of the subtracted closed intervals from the result', function () {
+      var result = subtractIntervals(intervalsLeft, intervalsRight, {bounds: '[]'})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 9, 59, 59, 999)},
+        {start: new Date(2014, 0 /* Jan */, 10, 11, 0, 0, 1), end: new Date(2014, 0 /* Jan */, 10, 17)}
+      ])
+    })
+
+    it('keeps the bounds of the subtracted open intervals in the result', function () {
+      var result = subtractIntervals(intervalsLeft, intervalsRight, {bounds: '()'})
+      assert.deepEqual(result, [
+        {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 10, 0, 0, 1)},
+        {start: new Date(2014, 0 /* Jan */, 10, 10, 59, 59, 999), end: new Date(2014, 0 /* Jan */, 10, 17)}
+      ])
+    })
+
+    it('subtracts the zero-length closed intervals', function () {
+      var result = subtractIntervals(
+        intervalsLeft,
+        [{start: new Date(2014, 0 /* Jan */, 10, 10), end: new Date(2014, 0 /* Jan */, 10, 10)}],
+        {bounds: '[]'}
+      )
+      assert.deepEqual(result, [
+        {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 9, 59, 59, 999)},
+        {start: new Date(2014, 0 /* Jan */, 10, 10, 0, 0, 1), end: new Date(2014, 0 /* Jan */, 10, 17)}
+      ])
+    })
+
+    it('returns the same result for the half-open intervals as by default', function () {
+      var result = subtractIntervals(intervalsLeft, intervalsRight, {bounds: '[)'})
+      assert.deepEqual(result, subtractIntervals(intervalsLeft, intervalsRight))
+    })
+
+    it('throws `RangeError` if `options.bounds` is invalid', function () {
+      // $ExpectedMistake
+      var block = subtractIntervals.bind(null, intervalsLeft, intervalsRight, {bounds: '[['})
+      assert.throws(block, RangeError)
+    })
+  })
+
+  it('accepts strings', function () {
+    var result = subtractIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 9).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 12).toISOString()}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11).toISOString(), end: new Date(2014, 0 /* Jan */, 10, 15).toISOString()}]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  it('accepts timestamps', function () {
+    var result = subtractIntervals(
+      [{start: new Date(2014, 0 /* Jan */, 10, 9).getTime(), end: new Date(2014, 0 /* Jan */, 10, 12).getTime()}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11).getTime(), end: new Date(2014, 0 /* Jan */, 10, 15).getTime()}]
+    )
+    assert.deepEqual(result, [
+      {start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 11)}
+    ])
+  })
+
+  it('throws an exception if the start date is after the end date', function () {
+    var block = subtractIntervals.bind(
+      null,
+      [{start: new Date(2014, 0 /* Jan */, 10, 12), end: new Date(2014, 0 /* Jan */, 10, 9)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the start date is `Invalid Date`', function () {
+    var block = subtractIntervals.bind(
+      null,
+      [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}],
+      [{start: new Date(NaN), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws an exception if the end date is `Invalid Date`', function () {
+    var block = subtractIntervals.bind(
+      null,
+      [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(NaN)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}]
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    var block = subtractIntervals.bind(
+      null,
+      [{start: new Date(2014, 0 /* Jan */, 10, 9), end: new Date(2014, 0 /* Jan */, 10, 12)}],
+      [{start: new Date(2014, 0 /* Jan */, 10, 11), end: new Date(2014, 0 /* Jan */, 10, 15)}],
+      // $ExpectedMistake
+      {additionalDigits: NaN}
+    )
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(subtractIntervals.bind(null), TypeError)
+    assert.throws(subtractIntervals.bind(null, []), TypeError)
+  })
+})
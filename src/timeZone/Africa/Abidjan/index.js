@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Abidjan time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Abidjan', 'GMT0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Algiers time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Algiers', 'GMT0|irxc0|GMT0<GMT+1>,M4.5.0/23,M9.5.1/0|11juo0|GMT0|3tyo00|<GMT+1>-1|46b400|<GMT+1>-1<GMT+2>,M3.4.5/1,M9.4.5/3|4p31c0|<GMT+1>-1|54et80|GMT0|57uyo0|GMT0<GMT+1>,M4.5.5/0,M10.5.5|5qoqo0|GMT0|5wuyo0|<GMT+1>-1')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Ceuta time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Ceuta', 'GMT0|235k00|GMT0<GMT+1>,M6.5.1/0,M9.1.0/0|2lxhc0|GMT0|34peo0|GMT0<GMT+1>,M5.1.6/0,M8.1.0/0|3nj6o0|GMT0<GMT+1>,M5.1.0/0,M9.5.3/0|46b400|GMT0<GMT+1>,M6.1.4/0,M8.1.5/0|4p31c0|GMT0|7eveo0|<GMT+1>-1|8cm800|<GMT+1>-1<GMT+2>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+1>-1<GMT+2>,M3.5.0,M10.5.0/3')
+
+export default timeZone
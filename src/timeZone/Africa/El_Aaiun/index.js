@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/El_Aaiun time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/El_Aaiun', '<GMT-1>1|3a22s0|GMT0|3axhc0|<GMT+1>-1|3fnrw0|GMT0|3nj6o0|GMT0<GMT+1>,M5.1.0/0,M9.5.3/0|46b400|GMT0<GMT+1>,M6.1.4/0,M8.1.5/0|4p31c0|GMT0|jtxuo0|GMT0<GMT+1>,M6.1.0/0,M9.1.1/0|kcrmo0|GMT0<GMT+1>,M6.1.1/0,M8.3.5/0|kvjk00|GMT0<GMT+1>,M5.1.0/0,M8.2.0/0|lebhc0|GMT0<GMT+1>,M4.1.0/0,M7.5.0/0|lx3eo0|GMT0|m37xk0|<GMT+1>-1|m7fs80|GMT0|m916w0|<GMT+1>-1|mb5480|GMT0|mly080|<GMT+1>-1|mpjmw0|GMT0|mralk0|<GMT+1>-1|mvb1k0|GMT0|n38880|<GMT+1>-1|n7uw80|GMT0|n9npk0|<GMT+1>-1|ne1480|GMT0|nlyaw0|<GMT+1>-1|npww80|GMT0|nrppk0|<GMT+1>-1|nwr6w0|GMT0|o4odk0|<GMT+1>-1|o8a080|GMT0|oa2tk0|<GMT+1>-1|ofu880|GMT0|oneg80|<GMT+1>-1|oqa5k0|GMT0|osfxk0|<GMT+1>-1|oykaw0|GMT0|p64iw0|<GMT+1>-1|p8n9k0|GMT0|pag2w0|<GMT+1>-1|pkmlc0|GMT0<GMT+1>,M6.2.0,M5.1.0/3|q3eio0|GMT0<GMT+1>,M5.5.0,M4.3.0/3|qm8ao0|GMT0<GMT+1>,M5.3.0,M4.2.0/3|r50800|GMT0<GMT+1>,M5.2.0,M3.5.0/3|rns5c0|GMT0<GMT+1>,M4.4.0,M3.3.0/3|s6k2o0|GMT0<GMT+1>,M4.2.0,M3.2.0/3|spduo0|GMT0<GMT+1>,M4.1.0,M2.5.0/3|t85s00|GMT0<GMT+1>,M3.4.0,M2.3.0/3|tqxpc0|GMT0<GMT+1>,M3.2.0,M2.1.0/3|u9pmo0|GMT0<GMT+1>,M3.1.0,M1.4.0/3|usjeo0|<GMT+1>-1|ut7mw0|GMT0|uv0g80|<GMT+1>-1|vb7s80|GMT0|vbbc00|GMT0<GMT+1>,M2.2.0,M12.4.0/3|vu39c0|GMT0<GMT+1>,M1.5.0,M12.2.0/3|wcv6o0|GMT0<GMT+1>,M1.3.0,M11.5.0/3|wvoyo0|GMT0|ww3xk0|<GMT+1>-1|xcb9k0|GMT0|xe42w0|<GMT+1>-1|xegw00|GMT0<GMT+1>,M12.3.0,M11.1.0/3|xx8tc0|GMT0<GMT+1>,M12.2.0,M10.5.0/3|yg0qo0|GMT0<GMT+1>,M11.4.0,M10.3.0/3|yyuio0|GMT0<GMT+1>,M11.3.0,M10.1.0/3')
+
+export default timeZone
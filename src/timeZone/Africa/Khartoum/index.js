@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Khartoum time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Khartoum', '<GMT+2>-2<GMT+3>,M5.1.5/0,M10.3.4/0|irxc0|<GMT+2>-2<GMT+3>,M4.5.5/0,M10.3.5/0|11juo0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.0/0|1kdmo0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.1/0|235k00|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.2/0|2lxhc0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.3/0|34peo0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.5/0|3nj6o0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.6/0|46b400|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.0/0|4p31c0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.1/0|57uyo0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.3/0|5qoqo0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.4/0|69go00|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.5/0|6s8lc0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.6/0|7b0io0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.1/0|7tuao0|<GMT+2>-2<GMT+3>,M4.5.0/0,M10.3.2/0|8cm800|<GMT+2>-2|fodfs0|<GMT+3>-3|oyph00|<GMT+2>-2')
+
+export default timeZone
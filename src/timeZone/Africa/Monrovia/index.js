@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Monrovia time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Monrovia', '<GMT-0:44:30>0:44:30|11v0q6|GMT0')
+
+export default timeZone
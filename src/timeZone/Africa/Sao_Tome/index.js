@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Sao_Tome time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Sao_Tome', 'GMT0|p1uqs0|<GMT+1>-1|pkmo40|GMT0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Tunis time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Tunis', '<GMT+1>-1|3nj6o0|<GMT+1>-1<GMT+2>,M4.5.6/0,M9.5.6/1|46b400|<GMT+1>-1<GMT+2>,M5.1.1/0,M10.1.0/1|4p31c0|<GMT+1>-1|9e62o0|<GMT+1>-1<GMT+2>,M6.1.3/0,M9.5.0/1|9wzuo0|<GMT+1>-1<GMT+2>,M3.5.0/0,M9.5.0/1|afrs00|<GMT+1>-1<GMT+2>,M5.1.2/0,M9.5.0/1|ayjpc0|<GMT+1>-1|i9m2o0|<GMT+1>-1<GMT+2>,M5.1.0/0,M9.5.5|ise000|<GMT+1>-1<GMT+2>,M3.5.0,M10.5.0/3|kcrmo0|<GMT+1>-1')
+
+export default timeZone
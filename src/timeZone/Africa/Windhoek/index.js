@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Africa/Windhoek time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Africa/Windhoek', '<GMT+2>-2|cixc00|<GMT+1>-1<GMT+2>,M9.1.0,M3.3.1/0|d1p9c0|<GMT+1>-1<GMT+2>,M9.1.0,M4.1.0|p1uo00|<GMT+2>-2')
+
+export default timeZone
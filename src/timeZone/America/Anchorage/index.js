@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Anchorage time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Anchorage', '<GMT-10>10<GMT-9>,M4.5.0,M10.5.0|235k00|<GMT-10>10<GMT-9>,M1.1.0,M10.5.0|2lxhc0|<GMT-10>10<GMT-9>,M2.5.0,M10.5.0|34peo0|<GMT-10>10<GMT-9>,M4.5.0,M10.5.0|6s8lc0|<GMT-10>10|6y2s00|<GMT-9>9|79dyc0|AKST9|7b0io0|AKST9AKDT,M4.5.0,M10.5.0|8ve5c0|AKST9AKDT,M4.1.0,M10.5.0|jb5xc0|AKST9AKDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Argentina/Catamarca time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Argentina/Catamarca', '<GMT-3>3|235k00|<GMT-3>3<GMT-2>,M1.4.3/0,M5.1.3/0|2lxhc0|<GMT-3>3|9veoc0|<GMT-2>2|9wzuo0|<GMT-3>3<GMT-2>,M10.3.0/0,M3.1.0/0|ayjpc0|<GMT-4>4<GMT-2>2,M10.3.0/0,M3.1.0/0|bhbmo0|<GMT-3>3<GMT-2>,M10.3.0/0,M3.1.0/0|c05eo0|<GMT-2>2|c3hxk0|<GMT-3>3|hqsao0|<GMT-4>4<GMT-3>,M6.3.0/0,M6.1.2/0|i9m2o0|<GMT-3>3|jtudo0|<GMT-2>2|jxsw80|<GMT-3>3')
+
+export default timeZone
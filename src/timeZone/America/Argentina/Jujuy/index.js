@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Argentina/Jujuy time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Argentina/Jujuy', '<GMT-3>3|235k00|<GMT-3>3<GMT-2>,M1.4.3/0,M5.1.3/0|2lxhc0|<GMT-3>3|9veoc0|<GMT-2>2|9wzuo0|<GMT-3>3<GMT-2>,M10.3.0/0,M3.1.0/0|afrs00|<GMT-2>2|aiyqw0|<GMT-4>4|av7n40|<GMT-3>3|b2eto0|<GMT-4>4|bcuts0|<GMT-2>2|bhbmo0|<GMT-3>3<GMT-2>,M10.3.0/0,M3.1.0/0|c05eo0|<GMT-2>2|c3hxk0|<GMT-3>3|jtudo0|<GMT-2>2|jxsw80|<GMT-3>3')
+
+export default timeZone
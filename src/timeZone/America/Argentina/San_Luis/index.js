@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Argentina/San_Luis time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Argentina/San_Luis', '<GMT-3>3|235k00|<GMT-3>3<GMT-2>,M1.4.3/0,M5.1.3/0|2lxhc0|<GMT-3>3|9veoc0|<GMT-2>2|9wzuo0|<GMT-3>3<GMT-2>,M10.3.0/0,M3.1.0/0|afrs00|<GMT-2>2|ajh9k0|<GMT-4>4|aujkg0|<GMT-3>3|ayjpc0|<GMT-4>4<GMT-3>,M6.1.6/0,M3.1.5/0|bhbmo0|<GMT-3>3|hqsao0|<GMT-4>4<GMT-3>,M7.5.0/0,M5.5.1/0|i9m2o0|<GMT-3>3|jtudo0|<GMT-2>2|juz1k0|<GMT-3>3|jxg0c0|<GMT-4>4|k8lxs0|<GMT-3>3|kcrmo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|kvjk00|<GMT-3>3')
+
+export default timeZone
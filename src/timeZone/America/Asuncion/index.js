@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Asuncion time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Asuncion', '<GMT-4>4|1fnkg0|<GMT-3>3|27sgc0|<GMT-4>4|2zzcg0|<GMT-3>3|34peo0|<GMT-4>4<GMT-3>,M10.1.5/0,M3.1.1/0|3nj6o0|<GMT-4>4<GMT-3>,M10.1.6/0,M3.1.2/0|46b400|<GMT-4>4<GMT-3>,M10.1.0/0,M3.1.3/0|4p31c0|<GMT-4>4<GMT-3>,M10.1.1/0,M4.1.0/0|57uyo0|<GMT-4>4<GMT-3>,M10.1.3/0,M4.1.2/0|5qoqo0|<GMT-4>4<GMT-3>,M10.1.4/0,M4.1.3/0|69go00|<GMT-4>4<GMT-3>,M10.1.5/0,M4.1.4/0|6s8lc0|<GMT-4>4<GMT-3>,M10.1.6/0,M4.1.5/0|7b0io0|<GMT-4>4<GMT-3>,M10.1.1/0,M4.1.0/0|7tuao0|<GMT-4>4<GMT-3>,M10.1.2/0,M4.1.1/0|8cm800|<GMT-4>4<GMT-3>,M10.1.3/0,M4.1.2/0|8ve5c0|<GMT-4>4<GMT-3>,M10.1.4/0,M4.1.3/0|9e62o0|<GMT-4>4<GMT-3>,M10.1.6/0,M4.1.5/0|9wzuo0|<GMT-4>4<GMT-3>,M10.4.0/0,M4.1.6/0|afrs00|<GMT-4>4<GMT-3>,M10.1.1/0,M4.1.0/0|ayjpc0|<GMT-4>4<GMT-3>,M10.1.0/0,M4.1.1/0|bhbmo0|<GMT-4>4<GMT-3>,M10.1.1/0,M3.1.0/0|c05eo0|<GMT-4>4<GMT-3>,M10.1.5/0,M3.5.3/0|cixc00|<GMT-4>4<GMT-3>,M10.1.6/0,M2.5.0/0|d1p9c0|<GMT-4>4<GMT-3>,M10.1.0/0,M2.5.0/0|dkh6o0|<GMT-4>4<GMT-3>,M10.1.0/0,M3.1.5/0|e3ayo0|<GMT-4>4<GMT-3>,M10.1.0/0,M2.5.0/0|em2w00|<GMT-4>4<GMT-3>,M10.1.0/0,M3.1.0/0|gp8g00|<GMT-4>4<GMT-3>,M9.1.0/0,M4.1.0/0|hqsao0|<GMT-4>4<GMT-3>,M10.3.0/0,M4.1.0/0|i9m2o0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|kvjk00|<GMT-4>4<GMT-3>,M10.1.0/0,M4.2.0/0|mfx6o0|<GMT-4>4<GMT-3>,M10.1.0/0,M3.4.0/0|spduo0|<GMT-3>3')
+
+export default timeZone
@@ -0,0 +1,4 @@
+// This file is generated automatically by `scripts/build/typings.js`. Please, don't change it.
+
+import {americaAtka} from 'date-fns/timeZone'
+export = americaAtka
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Bahia_Banderas time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Bahia_Banderas', 'MST7|dkh6o0|MST7MDT,M4.1.0,M10.5.0|g6gio0|MST7MDT,M5.1.0,M9.5.0|gp8g00|MST7MDT,M4.1.0,M10.5.0|kvjk00|MST7|l0ch00|CDT5|lb57g0|CST6|lebhc0|CST6CDT,M4.1.0,M10.5.0|rns5c0|CST6')
+
+export default timeZone
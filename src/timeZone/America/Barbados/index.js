@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Barbados time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Barbados', 'AST4|3nj6o0|AST4ADT,M6.2.0,M10.1.0|46b400|AST4ADT,M4.3.0,M10.1.0|4p31c0|AST4ADT,M4.3.0,M9.5.0|57uyo0|AST4ADT,M4.3.0,M9.5.4|5qoqo0|AST4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Belem time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Belem', '<GMT-3>3|89jcc0|<GMT-2>2|8cm800|<GMT-3>3<GMT-2>,M10.5.6/0,M3.3.6/0|8ve5c0|<GMT-3>3<GMT-2>,M10.5.0/0,M2.2.6/0|9e62o0|<GMT-2>2|9g2qw0|<GMT-3>3')
+
+export default timeZone
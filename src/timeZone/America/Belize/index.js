@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Belize time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Belize', 'CST6|21s0o0|CDT5|2565w0|CST6|6rj4o0|CDT5|6uer80|CST6')
+
+export default timeZone
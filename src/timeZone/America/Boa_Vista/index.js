@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Boa_Vista time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Boa_Vista', '<GMT-4>4|89jf40|<GMT-3>3|8cm800|<GMT-4>4<GMT-3>,M10.5.6/0,M3.3.6/0|8ve5c0|<GMT-4>4<GMT-3>,M10.5.0/0,M2.2.6/0|9e62o0|<GMT-3>3|9g2to0|<GMT-4>4|fj0ds0|<GMT-3>3|fqkj00|<GMT-4>4|g23f40|<GMT-3>3|g2gb00|<GMT-4>4')
+
+export default timeZone
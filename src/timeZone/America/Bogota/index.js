@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Bogota time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Bogota', '<GMT-5>5|bnnsk0|<GMT-4>4|c228g0|<GMT-5>5')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Boise time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Boise', 'MST7MDT,M4.5.0,M10.5.0|235k00|MST7MDT,M2.1.0,M10.5.0|2lxhc0|MST7MDT,M2.5.0,M10.5.0|34peo0|MST7MDT,M4.5.0,M10.5.0|8ve5c0|MST7MDT,M4.1.0,M10.5.0|jb5xc0|MST7MDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Cambridge_Bay time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Cambridge_Bay', 'MST7|11juo0|MST7MDT,M4.5.0,M10.5.0|8ve5c0|MST7MDT,M4.1.0,M10.5.0|f4utc0|MST7|f9nqc0|MDT6|fkgjk0|CST6|fsdq80|CDT5|g36jg0|EST5|g3jck0|CST6|gb3vo0|MDT6|glwow0|MST7|gp8g00|MST7MDT,M4.1.0,M10.5.0|jb5xc0|MST7MDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Cancun time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Cancun', 'CST6|696680|EST5|6sej80|CST6|dkh6o0|CST6CDT,M4.1.0,M10.5.0|e3ayo0|CST6|e87i80|CDT5|eincs0|EST5|eqxi40|EDT4|ex1so0|CDT5|f1dfg0|CST6|f4utc0|CST6CDT,M4.1.0,M10.5.0|g6gio0|CST6CDT,M5.1.0,M9.5.0|gp8g00|CST6CDT,M4.1.0,M10.5.0|nhh1c0|CST6|nj3280|EST5')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Caracas time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Caracas', '<GMT-4>4|jsrss0|<GMT-4:30>4:30|o6hks0|<GMT-4>4')
+
+export default timeZone
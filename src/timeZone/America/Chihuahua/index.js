@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Chihuahua time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Chihuahua', 'CST6|dkh6o0|CST6CDT,M4.1.0,M10.5.0|em2w00|CST6|eqxno0|<GMT-6>6|f1di80|<GMT-7>7|f4utc0|<GMT-7>7<GMT-6>,M4.1.0,M10.5.0|g6gio0|<GMT-7>7<GMT-6>,M5.1.0,M9.5.0|gp8g00|<GMT-7>7<GMT-6>,M4.1.0,M10.5.0|r50800|<GMT-7>7|r9rac0|<GMT-6>6|rkk3k0|CST6')
+
+export default timeZone
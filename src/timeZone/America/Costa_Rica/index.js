@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Costa_Rica time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Costa_Rica', 'CST6|4p31c0|CST6CDT,M2.5.0/0,M6.1.0/0|5qoqo0|CST6|ayjpc0|CST6CDT,M1.3.6/0,M7.1.1/0|bhbmo0|CST6CDT,M1.3.6/0,M3.3.0/0|c05eo0|CST6')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Danmarkshavn time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Danmarkshavn', '<GMT-3>3|57uyo0|<GMT-3>3<GMT-2>,M4.1.0,M9.5.6/23|5qoqo0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.5.6/23|7b0io0|<GMT-3>3<GMT-2>,M3.4.6/22,M9.5.6/23|7tuao0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.5.6/23|9wzuo0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.4.6/23|afrs00|<GMT-3>3<GMT-2>,M3.4.6/22,M9.5.6/23|ayjpc0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.5.6/23|d1p9c0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.4.6/23|dkh6o0|<GMT-3>3|dkhf00|GMT0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Dawson_Creek time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Dawson_Creek', 'PST8PDT,M4.5.0,M10.5.0|11juo0|PST8|17qug0|PDT7|1e0p00|MST7')
+
+export default timeZone
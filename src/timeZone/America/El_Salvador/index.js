@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/El_Salvador time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/El_Salvador', 'CST6|8ve5c0|CST6CDT,M5.1.0/0,M9.5.0/0|9wzuo0|CST6')
+
+export default timeZone
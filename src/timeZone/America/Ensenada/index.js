@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Ensenada time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Ensenada', 'PST8|34peo0|PST8PDT,M4.5.0,M10.5.0|8ve5c0|PST8PDT,M4.1.0,M10.5.0|kvjk00|PST8PDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Fortaleza time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Fortaleza', '<GMT-3>3|89jcc0|<GMT-2>2|8cm800|<GMT-3>3<GMT-2>,M10.5.6/0,M3.3.6/0|8ve5c0|<GMT-3>3<GMT-2>,M10.5.0/0,M2.2.6/0|9e62o0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.1.0/0|9wzuo0|<GMT-3>3<GMT-2>,M10.3.0/0,M1.5.0/0|afrs00|<GMT-2>2|ahvuw0|<GMT-3>3|fj0b00|<GMT-2>2|fqkg80|<GMT-3>3|g23cc0|<GMT-2>2|g2t6w0|<GMT-3>3|gl6do0|<GMT-2>2|grnmw0|<GMT-3>3')
+
+export default timeZone
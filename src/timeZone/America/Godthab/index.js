@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Godthab time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Godthab', '<GMT-3>3|57uyo0|<GMT-3>3<GMT-2>,M4.1.0,M9.5.6/23|5qoqo0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.5.6/23|7b0io0|<GMT-3>3<GMT-2>,M3.4.6/22,M9.5.6/23|7tuao0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.5.6/23|9wzuo0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.4.6/23|afrs00|<GMT-3>3<GMT-2>,M3.4.6/22,M9.5.6/23|ayjpc0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.5.6/23|d1p9c0|<GMT-3>3<GMT-2>,M3.5.6/22,M9.4.6/23|dkh6o0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|em2w00|<GMT-3>3<GMT-2>,M3.5.6/22,M10.4.6/23|f4utc0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|g6gio0|<GMT-3>3<GMT-2>,M3.4.6/22,M10.5.6/23|gp8g00|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|jb5xc0|<GMT-3>3<GMT-2>,M3.4.6/22,M10.5.6/23|jtxuo0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|kcrmo0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.4.6/23|kvjk00|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|lx3eo0|<GMT-3>3<GMT-2>,M3.4.6/22,M10.5.6/23|mfx6o0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|nhh1c0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.4.6/23|o08yo0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|p1uo00|<GMT-3>3<GMT-2>,M3.4.6/22,M10.5.6/23|pkmlc0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|q3eio0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.4.6/23|qm8ao0|<GMT-3>3<GMT-2>,M3.5.6/22,M10.5.6/23|rns5c0|<GMT-3>3|rs3s40|<GMT-2>2|s6k2o0|<GMT-2>2<GMT-1>,M3.5.6/23,M10.5.0/0|usjeo0|<GMT-2>2<GMT-1>,M3.4.6/23,M10.5.0/0|vbbc00|<GMT-2>2<GMT-1>,M3.5.6/23,M10.5.0/0|xx8tc0|<GMT-2>2<GMT-1>,M3.4.6/23,M10.5.0/0|yg0qo0|<GMT-2>2<GMT-1>,M3.5.6/23,M10.5.0/0')
+
+export default timeZone
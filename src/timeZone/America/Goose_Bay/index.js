@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Goose_Bay time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Goose_Bay', 'AST4ADT,M4.5.0,M10.5.0|8ve5c0|AST4ADT,M4.1.0/0:01,M10.5.0/0:01|9e62o0|AST4<GMT-2>2,M4.1.0/0:01,M10.5.0/0:01|9wzuo0|AST4ADT,M4.1.0/0:01,M10.5.0/0:01|jb5xc0|AST4ADT,M3.2.0/0:01,M11.1.0/0:01|lebhc0|AST4ADT,M3.2.0/0:01,M11.1.0|lx3eo0|AST4ADT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Guatemala time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Guatemala', 'CST6|219i00|CDT5|25xxw0|CST6|6s8lc0|CST6CDT,M5.3.6/0,M9.4.4/0|7b0io0|CST6|ayjpc0|CST6CDT,M3.4.6/0,M9.1.6/0|bhbmo0|CST6|ise000|CST6CDT,M4.5.0/0,M10.1.0/0|jb5xc0|CST6')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Guayaquil time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Guayaquil', '<GMT-5>5|byetw0|<GMT-4>4|c1yj40|<GMT-5>5')
+
+export default timeZone
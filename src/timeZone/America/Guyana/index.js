@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Guyana time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Guyana', '<GMT-3:45>3:45|2wud30|<GMT-3>3|bluwg0|<GMT-4>4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Havana time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Havana', '<GMT-5>5<GMT-4>,M4.5.0/0,M10.5.0/0|11juo0|<GMT-5>5<GMT-4>,M4.5.0/0,M10.2.0/0|1kdmo0|<GMT-5>5<GMT-4>,M4.5.0/0,M10.2.1/0|235k00|<GMT-5>5<GMT-4>,M4.5.0/0,M10.2.2/0|2lxhc0|<GMT-5>5<GMT-4>,M4.5.0/0,M10.5.0/0|46b400|<GMT-5>5<GMT-4>,M5.1.0/0,M10.2.0/0|4p31c0|<GMT-5>5<GMT-4>,M3.3.0/0,M10.2.0/0|5qoqo0|<GMT-5>5<GMT-4>,M5.2.0/0,M10.2.0/0|7b0io0|<GMT-5>5<GMT-4>,M5.1.0/0,M10.2.0/0|8cm800|<GMT-5>5<GMT-4>,M3.3.0/0,M10.2.0/0|afrs00|<GMT-5>5<GMT-4>,M4.1.0/0,M10.2.0/0|ayjpc0|<GMT-5>5<GMT-4>,M4.1.0/0,M10.2.0/1|dkh6o0|<GMT-5>5<GMT-4>,M4.1.0/0,M10.1.0/1|e3ayo0|<GMT-5>5<GMT-4>,M4.1.0/0,M10.2.0/1|em2w00|<GMT-5>5<GMT-4>,M3.5.0/0,M10.5.0/1|fnmqo0|<GMT-5>5<GMT-4>,M4.1.0/0,M10.5.0/1|hqsao0|<GMT-5>5|hv9sk0|<GMT-4>4|j7vsk0|<GMT-5>5|jb5xc0|<GMT-5>5<GMT-4>,M3.2.0/0,M10.5.0/1|jtxuo0|<GMT-5>5<GMT-4>,M3.3.0/0,M10.5.0/1|kcrmo0|<GMT-5>5<GMT-4>,M3.2.0/0,M10.5.0/1|lebhc0|<GMT-5>5<GMT-4>,M3.3.0/0,M11.2.0/1|lx3eo0|<GMT-5>5<GMT-4>,M4.1.0/0,M11.1.0/1|mfx6o0|<GMT-5>5<GMT-4>,M3.2.0/0,M11.1.0/1')
+
+export default timeZone
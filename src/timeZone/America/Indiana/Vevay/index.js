@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Indiana/Vevay time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Indiana/Vevay', 'EST5EDT,M4.5.0,M10.5.0|1kdmo0|EST5|ise000|EST5EDT,M4.1.0,M10.5.0|jb5xc0|EST5EDT,M3.2.0,M11.1.0')
+
+export default timeZone
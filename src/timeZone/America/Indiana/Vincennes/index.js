@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Indiana/Vincennes time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Indiana/Vincennes', 'EST5EDT,M4.5.0,M10.5.0|irxc0|EST5|ix3240|CDT5|j7vy40|CST6|jeqbk0|CDT5|jqyzg0|EST5|jtxuo0|EST5EDT,M3.2.0,M11.1.0')
+
+export default timeZone
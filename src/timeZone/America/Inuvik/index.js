@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Inuvik time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Inuvik', 'PST8|11juo0|PST8PDT,M4.5.0,M10.5.0|4p31c0|PST8|4v6bs0|MDT6|54j7k0|MST7|57uyo0|MST7MDT,M4.5.0,M10.5.0|8ve5c0|MST7MDT,M4.1.0,M10.5.0|jb5xc0|MST7MDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Iqaluit time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Iqaluit', 'EST5|11juo0|EST5EDT,M4.5.0,M10.5.0|8ve5c0|EST5EDT,M4.1.0,M10.5.0|f4utc0|EST5|f9nks0|EDT4|fkge00|CST6|fsdq80|CDT5|g36jg0|EST5|g6gio0|EST5EDT,M4.1.0,M10.5.0|jb5xc0|EST5EDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Lima time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Lima', '<GMT-5>5|8cm800|<GMT-5>5<GMT-4>,M1.1.3/0,M4.1.2/0|8ve5c0|<GMT-5>5<GMT-4>,M1.1.4/0,M4.1.3/0|9e62o0|<GMT-5>5|afrs00|<GMT-5>5<GMT-4>,M1.1.1/0,M4.1.0/0|ayjpc0|<GMT-5>5|cixc00|<GMT-5>5<GMT-4>,M1.1.6/0,M4.1.5/0|d1p9c0|<GMT-5>5')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Managua time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Managua', 'CST6|1qkbc0|EST5|2ob1w0|CST6|4p31c0|CST6CDT,M3.3.0/0,M6.5.1/0|57uyo0|CST6CDT,M3.3.0/0,M6.4.1/0|5qoqo0|CST6|bhbmo0|CST6EST,M1.1.3/4,M9.5.4/0|c05eo0|CST6|c05vc0|EST5|e3bck0|CST6|i9m2o0|CST6CDT,M4.2.0/0,M10.1.0/0|ise000|CST6CDT,M4.5.0,M10.1.0/1|jb5xc0|CST6')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Martinique time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Martinique', 'AST4|57uyo0|AST4ADT,M4.1.0/0,M9.5.0/0|5qoqo0|AST4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Metlakatla time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Metlakatla', 'PST8PDT,M4.5.0,M10.5.0|235k00|PST8PDT,M1.1.0,M10.5.0|2lxhc0|PST8PDT,M2.5.0,M10.5.0|34peo0|PST8PDT,M4.5.0,M10.5.0|7b0io0|PST8|nx4rs0|AKST9|o08yo0|AKST9AKDT,M3.2.0,M11.1.0|p1uo00|AKST9|p5fak0|AKDT8|phnyg0|PST8|plmjs0|AKST9|po5d80|AKDT8|q0e140|AKST9|q3eio0|AKST9AKDT,M3.2.0,M11.1.0')
+
+export default timeZone
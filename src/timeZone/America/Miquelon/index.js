@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Miquelon time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Miquelon', 'AST4|5e3cg0|<GMT-3>3|8ve5c0|<GMT-3>3<GMT-2>,M4.1.0,M10.5.0|jb5xc0|<GMT-3>3<GMT-2>,M3.2.0,M11.1.0')
+
+export default timeZone
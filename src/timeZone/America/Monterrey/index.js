@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Monterrey time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Monterrey', 'CST6|9e62o0|CST6CDT,M4.1.0,M10.5.0|9wzuo0|CST6|dkh6o0|CST6CDT,M4.1.0,M10.5.0|g6gio0|CST6CDT,M5.1.0,M9.5.0|gp8g00|CST6CDT,M4.1.0,M10.5.0|rns5c0|CST6')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Montevideo time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Montevideo', '<GMT-3>3<GMT-2>,M4.5.6/0,M6.2.0/0|irxc0|<GMT-3>3|11juo0|<GMT-3>3<GMT-2>,M4.4.0/0,M7.3.0/0|1kdmo0|<GMT-3>3|23s0c0|<GMT-1:30>1:30|26nli0|<GMT-2:30>2:30|2fnqy0|<GMT-3>3|2lf700|<GMT-2>2|2qglk0|<GMT-3>3|3mvcc0|<GMT-2>2|3nj6o0|<GMT-3>3<GMT-2>,M12.1.0/0,M3.1.0/0|46b400|<GMT-3>3<GMT-2>,M12.3.0/0,M3.1.0/0|4p31c0|<GMT-3>3<GMT-2>,M4.5.0/0,M3.1.0/0|57uyo0|<GMT-2>2|5bq080|<GMT-3>3|9d8z00|<GMT-2>2|9e62o0|<GMT-3>3<GMT-2>,M12.2.0/0,M2.5.0/0|9wzuo0|<GMT-3>3<GMT-2>,M10.5.0/0,M3.1.0/0|afrs00|<GMT-3>3<GMT-2>,M10.3.0/0,M2.5.0/0|ayjpc0|<GMT-3>3<GMT-2>,M10.5.0/0,M3.1.0/0|bhbmo0|<GMT-3>3<GMT-2>,M10.3.0/0,M3.1.0/0|c05eo0|<GMT-2>2|c34yw0|<GMT-3>3|i49po0|<GMT-2>2|i9m2o0|<GMT-3>3<GMT-2>,M10.2.0,M3.5.0|ise000|<GMT-3>3<GMT-2>,M10.1.0,M3.2.0|nhh1c0|<GMT-2>2|nkvkg0|<GMT-3>3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/North_Dakota/New_Salem time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/North_Dakota/New_Salem', 'MST7MDT,M4.5.0,M10.5.0|235k00|MST7MDT,M1.1.0,M10.5.0|2lxhc0|MST7MDT,M2.5.0,M10.5.0|34peo0|MST7MDT,M4.5.0,M10.5.0|8ve5c0|MST7MDT,M4.1.0,M10.5.0|h80dc0|MST7|hcwzo0|MDT6|hncu80|CST6|hqsao0|CST6CDT,M4.1.0,M10.5.0|jb5xc0|CST6CDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Ojinaga time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Ojinaga', 'CST6|dkh6o0|CST6CDT,M4.1.0,M10.5.0|em2w00|CST6|eqxno0|MDT6|f1di80|MST7|f4utc0|MST7MDT,M4.1.0,M10.5.0|g6gio0|MST7MDT,M5.1.0,M9.5.0|gp8g00|MST7MDT,M4.1.0,M10.5.0|kvjk00|MST7MDT,M3.2.0,M11.1.0|r50800|MST7|r8oec0|MDT6|rkk3k0|CST6|rns5c0|CST6CDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Paramaribo time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Paramaribo', '<GMT-3:30>3:30|7p4720|<GMT-3>3')
+
+export default timeZone
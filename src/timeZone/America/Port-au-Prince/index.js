@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Port-au-Prince time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Port-au-Prince', 'EST5|6s8lc0|EST5EDT,M5.2.0/0,M10.5.0/0|7b0io0|EST5EDT,M4.5.0/0,M10.5.0/0|9e62o0|EST5EDT,M4.1.0/1,M10.5.0|em2w00|EST5|i9m2o0|EST5EDT,M4.1.0/0,M10.5.0/0|jb5xc0|EST5|lx3eo0|EST5EDT,M3.2.0,M11.1.0|o08yo0|EST5|oj2qo0|EST5EDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Rainy_River time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Rainy_River', 'CST6CDT,M4.5.0,M10.5.0/3|8ve5c0|CST6CDT,M4.1.0,M10.5.0/3|ise000|CST6CDT,M4.1.0,M10.5.0|jb5xc0|CST6CDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Rankin_Inlet time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Rankin_Inlet', 'CST6|11juo0|CST6CDT,M4.5.0,M10.5.0|8ve5c0|CST6CDT,M4.1.0,M10.5.0|fnmqo0|CST6|fsdq80|CDT5|g36jg0|EST5|gb3sw0|CDT5|glwm40|CST6|gp8g00|CST6CDT,M4.1.0,M10.5.0|jb5xc0|CST6CDT,M3.2.0,M11.1.0')
+
+export default timeZone
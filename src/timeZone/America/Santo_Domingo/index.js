@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Santo_Domingo time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Santo_Domingo', '<GMT-5>5<GMT-4:30>4:30,M10.5.0/0,M2.3.6/0|irxc0|<GMT-5>5<GMT-4:30>4:30,M10.5.0/0,M1.3.3/0|11juo0|<GMT-5>5<GMT-4:30>4:30,M10.5.0/0,M1.3.5/0|1kdmo0|<GMT-5>5<GMT-4:30>4:30,M10.5.0/0,M1.3.0/0|235k00|<GMT-4:30>4:30|246xu0|<GMT-5>5|2ijn80|AST4|fnmqo0|EST5AST,M12.1.0/1,M10.5.0|g6gio0|AST4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Scoresbysund time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Scoresbysund', '<GMT-2>2|57uyo0|<GMT-2>2<GMT-1>,M4.1.0,M9.5.0/3|5qoqo0|<GMT-2>2|5v6080|GMT0|64iys0|<GMT-1>1|69go00|<GMT-1>1GMT,M3.5.0/0,M9.5.0/1|dkh6o0|<GMT-1>1GMT,M3.5.0/0,M10.5.0/1|s6k2o0|<GMT-1>1|slzpg0|<GMT-2>2|spduo0|<GMT-2>2<GMT-1>,M3.5.6/23,M10.5.0/0|usjeo0|<GMT-2>2<GMT-1>,M3.4.6/23,M10.5.0/0|vbbc00|<GMT-2>2<GMT-1>,M3.5.6/23,M10.5.0/0|xx8tc0|<GMT-2>2<GMT-1>,M3.4.6/23,M10.5.0/0|yg0qo0|<GMT-2>2<GMT-1>,M3.5.6/23,M10.5.0/0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Sitka time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Sitka', 'PST8PDT,M4.5.0,M10.5.0|235k00|PST8PDT,M1.1.0,M10.5.0|2lxhc0|PST8PDT,M2.5.0,M10.5.0|34peo0|PST8PDT,M4.5.0,M10.5.0|6s8lc0|PST8|6y2mg0|PDT7|77sjo0|<GMT-9>9|79dyc0|AKST9|7b0io0|AKST9AKDT,M4.5.0,M10.5.0|8ve5c0|AKST9AKDT,M4.1.0,M10.5.0|jb5xc0|AKST9AKDT,M3.2.0,M11.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Swift_Current time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Swift_Current', 'MST7|17qro0|CST6')
+
+export default timeZone
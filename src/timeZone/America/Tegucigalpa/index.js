@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Tegucigalpa time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Tegucigalpa', 'CST6|8ve5c0|CST6CDT,M5.1.0/0,M9.5.0/0|9wzuo0|CST6|ise000|CST6CDT,M5.1.0/0,M8.1.1/0|jb5xc0|CST6')
+
+export default timeZone
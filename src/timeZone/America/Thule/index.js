@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Thule time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Thule', 'AST4|ayjpc0|AST4ADT,M3.5.0,M9.5.0|c05eo0|AST4ADT,M4.1.0,M10.5.0|jb5xc0|AST4ADT,M3.2.0,M11.1.0')
+
+export default timeZone
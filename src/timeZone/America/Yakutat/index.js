@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary America/Yakutat time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('America/Yakutat', '<GMT-9>9<GMT-8>,M4.5.0,M10.5.0|235k00|<GMT-9>9<GMT-8>,M1.1.0,M10.5.0|2lxhc0|<GMT-9>9<GMT-8>,M2.5.0,M10.5.0|34peo0|<GMT-9>9<GMT-8>,M4.5.0,M10.5.0|6s8lc0|<GMT-9>9|6y2p80|<GMT-8>8|77smg0|<GMT-9>9|79dyc0|AKST9|7b0io0|AKST9AKDT,M4.5.0,M10.5.0|8ve5c0|AKST9AKDT,M4.1.0,M10.5.0|jb5xc0|AKST9AKDT,M3.2.0,M11.1.0')
+
+export default timeZone
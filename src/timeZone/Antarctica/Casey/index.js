@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Antarctica/Casey time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Antarctica/Casey', '<GMT+8>-8|kro7c0|<GMT+11>-11|kyrj00|<GMT+8>-8|ltqko0|<GMT+11>-11|lzr5w0|<GMT+8>-8|ofen40|<GMT+11>-11|p1uo00|<GMT+8>-8<GMT+11>-11,M10.1.0/4,M3.2.0/4|pkmlc0|<GMT+8>-8<GMT+11>-11,M10.1.5/3,M3.3.0/3|q3eio0|<GMT+8>-8<GMT+11>-11,M10.1.0/0:01,M3.2.0/3|qm8ao0|<GMT+8>-8<GMT+11>-11,M10.1.0/0:01,M3.2.0/0|rns5c0|<GMT+11>-11|rr7ls0|<GMT+8>-8')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Antarctica/Davis time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Antarctica/Davis', '<GMT+7>-7|kroa40|<GMT+5>-5|kz30w0|<GMT+7>-7|ltqng0|<GMT+5>-5|lzre80|<GMT+7>-7')
+
+export default timeZone
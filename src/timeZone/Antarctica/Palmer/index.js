@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Antarctica/Palmer time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Antarctica/Palmer', '<GMT-3>3|235k00|<GMT-3>3<GMT-2>,M1.4.3/0,M5.1.3/0|2lxhc0|<GMT-3>3|69go00|<GMT-4>4<GMT-3>,M10.2.0/0,M5.1.6/0|6s8lc0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|8ve5c0|<GMT-4>4<GMT-3>,M10.2.0/0,M4.2.0/0|9e62o0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|9wzuo0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|afrs00|<GMT-4>4<GMT-3>,M9.3.0/0,M3.2.0/0|ayjpc0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|bhbmo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.3.0/0|c05eo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|d1p9c0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|dkh6o0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|e3ayo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.5.0/0|em2w00|<GMT-4>4<GMT-3>,M9.5.0/0,M3.3.0/0|f4utc0|<GMT-4>4<GMT-3>,M10.2.0/0,M4.1.0/0|fnmqo0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|g6gio0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|ise000|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|jb5xc0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|jtxuo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.5.0/0|kcrmo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.3.0/0|kvjk00|<GMT-4>4<GMT-3>,M10.2.0/0,M4.1.0/0|lebhc0|<GMT-4>4<GMT-3>,M8.3.0/0,M5.2.0/0|lx3eo0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.5.0/0|mfx6o0|<GMT-4>4<GMT-3>,M9.2.0/0,M4.5.0/0|myp400|<GMT-4>4<GMT-3>,M9.1.0/0,M4.5.0/0|nhh1c0|<GMT-3>3|o08yo0|<GMT-4>4<GMT-3>,M8.2.0/0,M5.3.0/0|oj2qo0|<GMT-3>3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Antarctica/Troll time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Antarctica/Troll', 'GMT0|i9m2o0|GMT0<GMT+2>-2,M3.5.0/1,M10.5.0/3')
+
+export default timeZone
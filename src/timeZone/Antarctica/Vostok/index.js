@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Antarctica/Vostok time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Antarctica/Vostok', '<GMT+7>-7|cixc00|GMT0<GMT+7>-7,M11.1.2/0,M2.1.2/0|d1p9c0|<GMT+7>-7|s5trg0|<GMT+5>-5')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Almaty time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Almaty', '<GMT+6>-6|5qoqo0|<GMT+6>-6<GMT+7>,M4.1.3/0,M10.1.4/0|69go00|<GMT+6>-6<GMT+7>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+6>-6<GMT+7>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+6>-6<GMT+7>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+6>-6<GMT+7>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+6>-6|bchbo0|<GMT+5>-5|bi8qc0|<GMT+6>-6|blua80|<GMT+7>-7|bv7bk0|<GMT+6>-6|c05eo0|<GMT+6>-6<GMT+7>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+6>-6<GMT+7>,M3.5.0,M10.5.0/3|i9m2o0|<GMT+6>-6|s9mq00|<GMT+5>-5')
+
+export default timeZone
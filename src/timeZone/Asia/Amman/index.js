@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Amman time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Amman', '<GMT+2>-2|1kdmo0|<GMT+2>-2<GMT+3>,M6.1.3/0,M10.1.1/0|235k00|<GMT+2>-2<GMT+3>,M5.1.3/0,M10.1.2/0|2lxhc0|<GMT+2>-2<GMT+3>,M5.1.4/0,M10.1.3/0|34peo0|<GMT+2>-2<GMT+3>,M5.1.6/0,M11.1.1/0|3nj6o0|<GMT+2>-2<GMT+3>,M5.1.0/0,M10.1.6/0|46b400|<GMT+2>-2<GMT+3>,M4.5.0/0,M9.5.6/0|4p31c0|<GMT+2>-2|7tuao0|<GMT+2>-2<GMT+3>,M4.1.1/0,M10.1.2/0|8cm800|<GMT+2>-2<GMT+3>,M4.1.5/0,M10.1.5/0|9wzuo0|<GMT+2>-2<GMT+3>,M5.2.1/0,M10.1.5/0|afrs00|<GMT+2>-2<GMT+3>,M4.5.5/0,M10.1.5/0|ayjpc0|<GMT+2>-2<GMT+3>,M4.3.3/0,M9.5.5/0|bhbmo0|<GMT+2>-2<GMT+3>,M4.2.5/0,M10.1.5/0|c05eo0|<GMT+2>-2<GMT+3>,M4.1.5/0,M10.1.5/0|cixc00|<GMT+2>-2<GMT+3>,M4.1.5/0,M9.3.5/0|d1p9c0|<GMT+2>-2<GMT+3>,M4.1.5/0,M9.3.5/1|f4utc0|<GMT+2>-2<GMT+3>,M7.1.4/0,M9.5.5/1|fnmqo0|<GMT+2>-2<GMT+3>,M3.5.4/0,M9.5.5/1|gp8g00|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.5.5/1|h80dc0|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.4.5/1|hqsao0|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.3.5/1|i9m2o0|<GMT+2>-2<GMT+3>,M4.1.5/0,M9.5.5/1|ise000|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.5.5/1|lebhc0|<GMT+2>-2<GMT+3>,M4.1.5/0,M10.5.5/1|lx3eo0|<GMT+2>-2|m1o2g0|<GMT+3>-3|my2no0|<GMT+2>-2|myp400|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.5.5/1|o08yo0|<GMT+2>-2<GMT+3>,M4.1.5/0,M10.5.5/1|oj2qo0|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.5.5/1|r50800|<GMT+2>-2|r7tx40|<GMT+3>-3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Atyrau time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Atyrau', '<GMT+5>-5|64pws0|<GMT+6>-6|6nhrc0|<GMT+5>-5|6s8lc0|<GMT+5>-5<GMT+6>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+5>-5<GMT+6>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+5>-5|bcheg0|<GMT+4>-4|bi8t40|<GMT+5>-5|blud00|<GMT+6>-6|bv7ec0|<GMT+5>-5|c05eo0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+5>-5<GMT+6>,M3.5.0,M10.5.0/3|f4utc0|<GMT+5>-5|fkfrs0|<GMT+4>-4|fnmqo0|<GMT+4>-4<GMT+5>,M3.5.0,M10.5.0/3|hqsao0|<GMT+4>-4|hv9940|<GMT+5>-5')
+
+export default timeZone
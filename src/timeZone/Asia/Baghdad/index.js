@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Baghdad time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Baghdad', '<GMT+3>-3|69go00|<GMT+3>-3<GMT+4>,M5.1.6/0,M10.1.5/0|6s8lc0|<GMT+3>-3<GMT+4>,M3.5.4/0,M10.1.6/0|7b0io0|<GMT+3>-3<GMT+4>,M4.1.0/0,M10.1.1/0|7tuao0|<GMT+3>-3<GMT+4>,M4.1.1/0,M9.5.0|8cm800|<GMT+3>-3<GMT+4>,M3.5.0/1,M9.5.0|ayjpc0|<GMT+3>-3<GMT+4>,M4.1.1/3,M10.1.2/4|bhbmo0|<GMT+3>-3<GMT+4>,M4.1.3/3,M10.1.4/4|c05eo0|<GMT+3>-3<GMT+4>,M4.1.4/3,M10.1.5/4|cixc00|<GMT+3>-3<GMT+4>,M4.1.5/3,M10.1.6/4|d1p9c0|<GMT+3>-3<GMT+4>,M4.1.6/3,M10.1.0/4|dkh6o0|<GMT+3>-3<GMT+4>,M4.1.1/3,M10.1.2/4|e3ayo0|<GMT+3>-3<GMT+4>,M4.1.2/3,M10.1.3/4|em2w00|<GMT+3>-3<GMT+4>,M4.1.3/3,M10.1.4/4|f4utc0|<GMT+3>-3<GMT+4>,M4.1.4/3,M10.1.5/4|fnmqo0|<GMT+3>-3<GMT+4>,M4.1.6/3,M10.1.0/4|g6gio0|<GMT+3>-3<GMT+4>,M4.1.0/3,M10.1.1/4|gp8g00|<GMT+3>-3<GMT+4>,M4.1.1/3,M10.1.2/4|h80dc0|<GMT+3>-3<GMT+4>,M4.1.2/3,M10.1.3/4|hqsao0|<GMT+3>-3<GMT+4>,M4.1.4/3,M10.1.5/4|i9m2o0|<GMT+3>-3<GMT+4>,M4.1.5/3,M10.1.6/4|ise000|<GMT+3>-3<GMT+4>,M4.1.6/3,M10.1.0/4|jb5xc0|<GMT+3>-3<GMT+4>,M4.1.0/3,M10.1.1/4|jtxuo0|<GMT+3>-3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Baku time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Baku', '<GMT+4>-4|5qoqo0|<GMT+4>-4<GMT+5>,M4.1.3/0,M10.1.4/0|69go00|<GMT+4>-4<GMT+5>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+4>-4<GMT+5>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+4>-4<GMT+5>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+4>-4<GMT+5>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+4>-4|bchh80|<GMT+3>-3|bluik0|<GMT+4>-4|dkh6o0|<GMT+4>-4<GMT+5>,M3.5.0/5,M10.5.0/6|e3ayo0|<GMT+4>-4<GMT+5>,M3.5.0/4,M10.5.0/5|o08yo0|<GMT+4>-4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Beirut time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Beirut', '<GMT+2>-2|11juo0|<GMT+2>-2<GMT+3>,M6.4.4/0,M10.1.0/0|1kdmo0|<GMT+2>-2<GMT+3>,M5.1.2/0,M10.1.1/0|235k00|<GMT+2>-2<GMT+3>,M5.1.3/0,M10.1.2/0|2lxhc0|<GMT+2>-2<GMT+3>,M5.1.4/0,M10.1.3/0|34peo0|<GMT+2>-2<GMT+3>,M5.1.6/0,M10.1.5/0|3nj6o0|<GMT+2>-2<GMT+3>,M5.1.0/0,M10.1.6/0|46b400|<GMT+2>-2<GMT+3>,M4.5.0/0,M9.5.6/0|4p31c0|<GMT+2>-2|7b0io0|<GMT+2>-2<GMT+3>,M5.1.2/0,M10.3.2/0|7tuao0|<GMT+2>-2<GMT+3>,M5.1.3/0,M10.3.3/0|8cm800|<GMT+2>-2<GMT+3>,M5.1.4/0,M10.3.4/0|8ve5c0|<GMT+2>-2<GMT+3>,M5.1.5/0,M10.3.5/0|9e62o0|<GMT+2>-2<GMT+3>,M6.1.3/0,M10.3.0/0|9wzuo0|<GMT+2>-2<GMT+3>,M5.2.3/0,M10.3.1/0|afrs00|<GMT+2>-2<GMT+3>,M5.1.2/0,M10.3.2/0|ayjpc0|<GMT+2>-2<GMT+3>,M5.1.3/0,M10.3.3/0|bhbmo0|<GMT+2>-2<GMT+3>,M5.1.5/0,M10.1.0/0|c05eo0|<GMT+2>-2<GMT+3>,M3.5.0/0,M9.5.0/0|f4utc0|<GMT+2>-2<GMT+3>,M3.5.0/0,M10.5.0/0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Bishkek time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Bishkek', '<GMT+6>-6|5qoqo0|<GMT+6>-6<GMT+7>,M4.1.3/0,M10.1.4/0|69go00|<GMT+6>-6<GMT+7>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+6>-6<GMT+7>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+6>-6<GMT+7>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+6>-6<GMT+7>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+6>-6|bazjk0|<GMT+5>-5|bhbmo0|<GMT+5>-5<GMT+6>,M4.2.0/0,M9.5.0/0|dkh6o0|<GMT+5>-5<GMT+6>,M4.1.0/0,M9.5.0/0|e3ayo0|<GMT+5>-5<GMT+6>,M3.5.0/2:30,M10.5.0/2:30|i9m2o0|<GMT+5>-5|idzae0|<GMT+6>-6')
+
+export default timeZone
@@ -0,0 +1,4 @@
+// This file is generated automatically by `scripts/build/typings.js`. Please, don't change it.
+
+import {asiaChongqing} from 'date-fns/timeZone'
+export = asiaChongqing
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Colombo time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Colombo', '<GMT+5:30>-5:30|drxa20|<GMT+6:30>-6:30|dzufc0|<GMT+6>-6|ixq620|<GMT+5:30>-5:30')
+
+export default timeZone
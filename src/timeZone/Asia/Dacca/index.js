@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Dacca time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Dacca', '<GMT+6>-6|klhwk0|<GMT+7>-7|kvj0k0|<GMT+6>-6')
+
+export default timeZone
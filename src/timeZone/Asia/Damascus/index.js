@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Damascus time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Damascus', '<GMT+2>-2<GMT+3>,M5.1.5,M10.1.4|irxc0|<GMT+2>-2<GMT+3>,M5.1.6,M10.1.5|11juo0|<GMT+2>-2<GMT+3>,M5.1.1,M10.1.0|1kdmo0|<GMT+2>-2<GMT+3>,M5.1.2,M10.1.1|235k00|<GMT+2>-2<GMT+3>,M5.1.3,M10.1.2|2lxhc0|<GMT+2>-2<GMT+3>,M5.1.4,M10.1.3|34peo0|<GMT+2>-2<GMT+3>,M5.1.6,M10.1.5|3nj6o0|<GMT+2>-2<GMT+3>,M5.1.0,M9.1.4|46b400|<GMT+2>-2<GMT+3>,M5.1.1,M9.1.5|4p31c0|<GMT+2>-2|6s8lc0|<GMT+2>-2<GMT+3>,M4.2.6,M10.1.6|7b0io0|<GMT+2>-2<GMT+3>,M4.2.1,M10.1.1|7tuao0|<GMT+2>-2|8cm800|<GMT+2>-2<GMT+3>,M2.3.0,M10.2.4|8ve5c0|<GMT+2>-2<GMT+3>,M3.1.0,M10.5.6|9e62o0|<GMT+2>-2<GMT+3>,M3.3.2,M10.5.1|9wzuo0|<GMT+2>-2<GMT+3>,M3.5.5,M10.1.0|afrs00|<GMT+2>-2<GMT+3>,M4.1.0,M9.5.0|ayjpc0|<GMT+2>-2<GMT+3>,M4.1.1/0,M10.1.2/0|bhbmo0|<GMT+2>-2<GMT+3>,M4.2.3/0,M10.1.4/0|c05eo0|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.5.6/0|cixc00|<GMT+2>-2<GMT+3>,M4.1.5/0,M10.1.6/0|d1p9c0|<GMT+2>-2<GMT+3>,M4.1.6/0,M10.1.0/0|dkh6o0|<GMT+2>-2<GMT+3>,M4.1.1/0,M10.1.2/0|e3ayo0|<GMT+2>-2<GMT+3>,M3.5.1/0,M10.1.3/0|em2w00|<GMT+2>-2<GMT+3>,M3.5.1/0,M10.1.4/0|f4utc0|<GMT+2>-2<GMT+3>,M4.1.4/0,M10.1.5/0|fnmqo0|<GMT+2>-2<GMT+3>,M4.1.6/0,M10.1.0/0|g6gio0|<GMT+2>-2<GMT+3>,M4.1.0/0,M10.1.1/0|gp8g00|<GMT+2>-2<GMT+3>,M4.1.1/0,M10.1.2/0|h80dc0|<GMT+2>-2<GMT+3>,M4.1.2/0,M10.1.3/0|hqsao0|<GMT+2>-2<GMT+3>,M4.1.4/0,M10.1.5/0|i9m2o0|<GMT+2>-2<GMT+3>,M4.1.5/0,M10.1.6/0|ise000|<GMT+2>-2<GMT+3>,M4.1.6/0,M9.4.5/0|jb5xc0|<GMT+2>-2<GMT+3>,M3.5.5/0,M11.1.5/0|jtxuo0|<GMT+2>-2<GMT+3>,M4.1.5/0,M11.1.6/0|kcrmo0|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.5.5/0|kvjk00|<GMT+2>-2<GMT+3>,M4.1.5/0,M10.5.5/0|lx3eo0|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.5.5/0|r50800|<GMT+2>-2|r99rs0|<GMT+3>-3')
+
+export default timeZone
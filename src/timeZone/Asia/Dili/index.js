@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Dili time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Dili', '<GMT+9>-9|3b0ho0|<GMT+8>-8|g0zls0|<GMT+9>-9')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Harbin time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Harbin', '<GMT+8>-8|8cm800|<GMT+8>-8<GMT+9>,M5.1.0,M9.2.0|8ve5c0|<GMT+8>-8<GMT+9>,M4.2.0,M9.2.0|9e62o0|<GMT+8>-8<GMT+9>,M4.3.0,M9.2.0|9wzuo0|<GMT+8>-8<GMT+9>,M4.3.0,M9.3.0|ayjpc0|<GMT+8>-8<GMT+9>,M4.2.0,M9.3.0|bhbmo0|<GMT+8>-8')
+
+export default timeZone
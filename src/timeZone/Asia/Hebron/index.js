@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Hebron time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Hebron', '<GMT+2>-2|235k00|<GMT+2>-2<GMT+3>,M7.1.0/0,M10.2.0/0|2lxhc0|<GMT+2>-2<GMT+3>,M4.3.0/0,M8.5.0/0|34peo0|<GMT+2>-2|57uyo0|<GMT+2>-2<GMT+3>,M8.1.0/0,M9.2.0/1|5qoqo0|<GMT+2>-2|7b0io0|<GMT+2>-2<GMT+3>,M5.1.0/0,M8.5.0/1|7tuao0|<GMT+2>-2<GMT+3>,M4.2.0/0,M9.1.0/0|8cm800|<GMT+2>-2<GMT+3>,M5.3.0/0,M9.1.0/0|8ve5c0|<GMT+2>-2<GMT+3>,M4.3.3/0,M9.2.0/0|9e62o0|<GMT+2>-2<GMT+3>,M4.2.0/0,M9.1.0/0|9wzuo0|<GMT+2>-2<GMT+3>,M4.5.0/0,M9.1.0/0|afrs00|<GMT+2>-2<GMT+3>,M3.5.0/0,M8.5.0/0|ayjpc0|<GMT+2>-2<GMT+3>,M3.4.0/0,M9.1.0/0|bhbmo0|<GMT+2>-2<GMT+3>,M3.5.0/0,M9.1.0/0|c05eo0|<GMT+2>-2<GMT+3>,M4.1.5/0,M9.1.0/0|cixc00|<GMT+2>-2<GMT+3>,M4.1.5/0,M8.5.0/0|d1p9c0|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.1.0/0|dkh6o0|<GMT+2>-2<GMT+3>,M4.1.5/0,M9.3.5/1|f4utc0|<GMT+2>-2<GMT+3>,M4.3.5/0,M10.3.5/0|hqsao0|<GMT+2>-2<GMT+3>,M4.3.5/0,M10.1.5/1|i9m2o0|<GMT+2>-2<GMT+3>,M4.3.5/0,M10.1.2|ise000|<GMT+2>-2<GMT+3>,M4.1.6/0,M9.4.5/0|jb5xc0|<GMT+2>-2<GMT+3>,M4.1.0/0,M9.2.4|jtxuo0|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.1.1/0|kcrmo0|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.1.5/1|kvjk00|<GMT+2>-2<GMT+3>,M3.5.5/0,M8.2.3/0|lebhc0|<GMT+2>-2|lixzto|<GMT+3>-3|lp7uc0|<GMT+2>-2|lqpmg0|<GMT+3>-3|lsayc0|<GMT+2>-2|lx3eo0|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.3.5/1|mfx6o0|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.5.5/0|myp400|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.4.5/0|nhh1c0|<GMT+2>-2<GMT+3>,M3.5.6/0,M10.4.5/1|o08yo0|<GMT+2>-2<GMT+3>,M3.5.6/1,M10.5.6/1|p1uo00|<GMT+2>-2<GMT+3>,M3.4.6/1,M10.5.6/1|pkmlc0|<GMT+2>-2<GMT+3>,M3.5.5/0,M10.5.6/0|q3eio0|<GMT+2>-2<GMT+3>,M3.5.6/0,M10.4.6/1|qm8ao0|<GMT+2>-2<GMT+3>,M3.5.6/0,M10.5.5/1|r50800|<GMT+2>-2<GMT+3>,M3.5.0/0,M10.5.6|rns5c0|<GMT+2>-2<GMT+3>,M4.5.6,M10.5.6|s6k2o0|<GMT+2>-2<GMT+3>,M4.3.6,M10.5.6|spduo0|<GMT+2>-2<GMT+3>,M4.2.6,M10.5.6|t85s00|<GMT+2>-2<GMT+3>,M3.5.6,M10.4.6|tqxpc0|<GMT+2>-2<GMT+3>,M3.5.6,M10.5.6|usjeo0|<GMT+2>-2<GMT+3>,M3.4.6,M10.5.6|vbbc00|<GMT+2>-2<GMT+3>,M3.5.6,M10.5.6|xx8tc0|<GMT+2>-2<GMT+3>,M3.4.6,M10.5.6|yg0qo0|<GMT+2>-2<GMT+3>,M3.5.6,M10.3.6|yyuio0|<GMT+2>-2<GMT+3>,M3.5.6,M10.2.6')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Hong_Kong time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Hong_Kong', '<GMT+8>-8<GMT+9>,M4.3.0/3:30,M10.3.0/3:30|11juo0|<GMT+8>-8<GMT+9>,M4.3.0/3:30,M10.4.0/3:30|1kdmo0|<GMT+8>-8|1q2u60|<GMT+9>-9|1zfsq0|<GMT+8>-8|231i60|<GMT+9>-9|2i5ve0|<GMT+8>-8|2lxhc0|<GMT+8>-8<GMT+9>,M4.3.0/3:30,M10.3.0/3:30|3nj6o0|<GMT+8>-8|4p31c0|<GMT+8>-8<GMT+9>,M5.2.0/3:30,M10.3.0/3:30|57uyo0|<GMT+8>-8')
+
+export default timeZone
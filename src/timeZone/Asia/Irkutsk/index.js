@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Irkutsk time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Irkutsk', '<GMT+8>-8|5qoqo0|<GMT+8>-8<GMT+9>,M4.1.3/0,M10.1.4/0|69go00|<GMT+8>-8<GMT+9>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+8>-8<GMT+9>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+8>-8<GMT+9>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+8>-8<GMT+9>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+8>-8|bch640|<GMT+7>-7|bi8ks0|<GMT+8>-8|blu4o0|<GMT+9>-9|bv7600|<GMT+8>-8|c05eo0|<GMT+8>-8<GMT+9>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+8>-8<GMT+9>,M3.5.0,M10.5.0/3|lebhc0|<GMT+8>-8|liofc0|<GMT+9>-9|ne0f80|<GMT+8>-8')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Istanbul time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Istanbul', '<GMT+2>-2|1kdmo0|<GMT+2>-2<GMT+3>,M6.1.0/1,M11.1.0|235k00|<GMT+2>-2<GMT+3>,M3.5.0,M11.1.0|2lxhc0|<GMT+2>-2<GMT+3>,M3.4.6,M11.1.0|34peo0|<GMT+2>-2<GMT+3>,M3.3.0,M10.5.0|3nj6o0|<GMT+2>-2<GMT+3>,M4.1.0,M10.3.0|46b400|<GMT+2>-2|4azmo0|<GMT+3>-3|6s8lc0|<GMT+3>-3<GMT+4>,M7.5.0,M10.1.0|7b0io0|<GMT+3>-3|7qp980|<GMT+2>-2|7tuao0|<GMT+2>-2<GMT+3>,M4.3.6/1,M9.5.6|8cm800|<GMT+2>-2<GMT+3>,M3.5.0/1,M9.5.0|cixc00|<GMT+2>-2<GMT+3>,M3.3.0/1,M9.5.0|d1p9c0|<GMT+2>-2<GMT+3>,M3.5.0/1,M9.5.0|dkh6o0|<GMT+2>-2<GMT+3>,M3.5.0/1,M10.5.0|jb5xc0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4|lebhc0|<GMT+2>-2<GMT+3>,M3.5.1/3,M10.5.0/4|lx3eo0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4|myp400|<GMT+2>-2<GMT+3>,M3.5.1/3,M10.5.0/4|nhh1c0|<GMT+2>-2<GMT+3>,M3.5.0/3,M11.2.0/4|o08yo0|<GMT+2>-2|o4oas0|<GMT+3>-3')
+
+export default timeZone
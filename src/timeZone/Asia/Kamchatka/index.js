@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Kamchatka time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Kamchatka', '<GMT+12>-12|5qoqo0|<GMT+12>-12<GMT+13>,M4.1.3/0,M10.1.4/0|69go00|<GMT+12>-12<GMT+13>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+12>-12<GMT+13>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+12>-12<GMT+13>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+12>-12<GMT+13>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+12>-12|bcgv00|<GMT+11>-11|bi89o0|<GMT+12>-12|blttk0|<GMT+13>-13|bv6uw0|<GMT+12>-12|c05eo0|<GMT+12>-12<GMT+13>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+12>-12<GMT+13>,M3.5.0,M10.5.0/3|kvjk00|<GMT+12>-12|lb3z00|<GMT+11>-11|lio700|<GMT+12>-12')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Karachi time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Karachi', '<GMT+5>-5|gp8g00|<GMT+5>-5<GMT+6>,M4.1.0/0,M10.1.0/0|h80dc0|<GMT+5>-5|jtxuo0|<GMT+5>-5<GMT+6>,M6.1.0/0,M11.1.6/0|kcrmo0|<GMT+5>-5<GMT+6>,M4.3.3/0,M11.1.0/0|kvjk00|<GMT+5>-5')
+
+export default timeZone
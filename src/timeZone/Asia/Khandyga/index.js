@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Khandyga time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Khandyga', '<GMT+9>-9|5qoqo0|<GMT+9>-9<GMT+10>,M4.1.3/0,M10.1.4/0|69go00|<GMT+9>-9<GMT+10>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+9>-9<GMT+10>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+9>-9<GMT+10>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+9>-9<GMT+10>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+9>-9|bch3c0|<GMT+8>-8|bi8i00|<GMT+9>-9|blu1w0|<GMT+10>-10|bv7380|<GMT+9>-9|c05eo0|<GMT+9>-9<GMT+10>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+9>-9<GMT+10>,M3.5.0,M10.5.0/3|h80dc0|<GMT+9>-9|hcisk0|<GMT+10>-10|hnbok0|<GMT+9>-9|hqrlo0|<GMT+10>-10|hqsao0|<GMT+10>-10<GMT+11>,M3.5.0,M10.5.0/3|lebhc0|<GMT+10>-10<GMT+11>,M3.5.0,M9.2.2/0|lx3eo0|<GMT+10>-10|ne0cg0|<GMT+9>-9')
+
+export default timeZone
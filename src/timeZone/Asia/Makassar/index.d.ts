@@ -0,0 +1,4 @@
+// This file is generated automatically by `scripts/build/typings.js`. Please, don't change it.
+
+import {asiaMakassar} from 'date-fns/timeZone'
+export = asiaMakassar
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Manila time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Manila', '<GMT+8>-8|3nj6o0|<GMT+8>-8<GMT+9>,M3.5.1/0,M9.4.4/0|46b400|<GMT+8>-8|afrs00|<GMT+8>-8<GMT+9>,M5.3.1/0,M7.5.0/0|ayjpc0|<GMT+8>-8')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Novosibirsk time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Novosibirsk', '<GMT+7>-7|5qoqo0|<GMT+7>-7<GMT+8>,M4.1.3/0,M10.1.4/0|69go00|<GMT+7>-7<GMT+8>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+7>-7<GMT+8>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+7>-7<GMT+8>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+7>-7<GMT+8>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+7>-7|bch8w0|<GMT+6>-6|bi8nk0|<GMT+7>-7|blu7g0|<GMT+8>-8|bv78s0|<GMT+7>-7|c4ka40|<GMT+8>-8|c7fr40|<GMT+7>-7|cdxe80|<GMT+6>-6|cixc00|<GMT+6>-6<GMT+7>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+6>-6<GMT+7>,M3.5.0,M10.5.0/3|lebhc0|<GMT+6>-6|liokw0|<GMT+7>-7|ne0ks0|<GMT+6>-6|oasa80|<GMT+7>-7')
+
+export default timeZone
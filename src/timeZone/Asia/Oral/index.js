@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Oral time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Oral', '<GMT+5>-5|5vb0s0|<GMT+6>-6|6nhrc0|<GMT+5>-5|6s8lc0|<GMT+5>-5<GMT+6>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+5>-5<GMT+6>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|9wzuo0|<GMT+5>-5|aaoag0|<GMT+4>-4|afrs00|<GMT+4>-4<GMT+5>,M3.5.0,M9.5.0/3|bhbmo0|<GMT+4>-4<GMT+5>,M1.3.0,M9.5.0/3|c05eo0|<GMT+4>-4<GMT+5>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+4>-4<GMT+5>,M3.5.0,M10.5.0/3|hqsao0|<GMT+4>-4|hv9940|<GMT+5>-5')
+
+export default timeZone
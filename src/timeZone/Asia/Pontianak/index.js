@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Pontianak time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Pontianak', '<GMT+8>-8|9e5gg0|<GMT+7>-7')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Pyongyang time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Pyongyang', '<GMT+9>-9|nt2v00|<GMT+8:30>-8:30|p87lo0|<GMT+9>-9')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Qostanay time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Qostanay', '<GMT+5>-5|5vb0s0|<GMT+6>-6|6nhrc0|<GMT+5>-5|6s8lc0|<GMT+5>-5<GMT+6>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+5>-5<GMT+6>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+5>-5|bcheg0|<GMT+4>-4|bi8t40|<GMT+5>-5|blud00|<GMT+6>-6|bv7ec0|<GMT+5>-5|c05eo0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+5>-5<GMT+6>,M3.5.0,M10.5.0/3|hqsao0|<GMT+5>-5|hv96c0|<GMT+6>-6|s9mq00|<GMT+5>-5')
+
+export default timeZone
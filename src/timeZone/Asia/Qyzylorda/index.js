@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Qyzylorda time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Qyzylorda', '<GMT+5>-5|5vb0s0|<GMT+6>-6|6nhrc0|<GMT+5>-5|6s8lc0|<GMT+5>-5<GMT+6>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+5>-5<GMT+6>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+5>-5|bhbmo0|<GMT+5>-5<GMT+6>,M1.3.0,M9.5.0/3|c05eo0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+5>-5<GMT+6>,M3.5.0,M10.5.0/3|hqsao0|<GMT+5>-5|hv96c0|<GMT+6>-6|pk1rc0|<GMT+5>-5')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Srednekolymsk time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Srednekolymsk', '<GMT+11>-11|5qoqo0|<GMT+11>-11<GMT+12>,M4.1.3/0,M10.1.4/0|69go00|<GMT+11>-11<GMT+12>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+11>-11<GMT+12>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+11>-11<GMT+12>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+11>-11<GMT+12>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+11>-11|bcgxs0|<GMT+10>-10|bi8cg0|<GMT+11>-11|bltwc0|<GMT+12>-12|bv6xo0|<GMT+11>-11|c05eo0|<GMT+11>-11<GMT+12>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+11>-11<GMT+12>,M3.5.0,M10.5.0/3|lebhc0|<GMT+11>-11|lio700|<GMT+12>-12|ne06w0|<GMT+11>-11')
+
+export default timeZone
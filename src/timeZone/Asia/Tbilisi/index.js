@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Tbilisi time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Tbilisi', '<GMT+4>-4|5qoqo0|<GMT+4>-4<GMT+5>,M4.1.3/0,M10.1.4/0|69go00|<GMT+4>-4<GMT+5>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+4>-4<GMT+5>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+4>-4<GMT+5>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+4>-4<GMT+5>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+4>-4|bchh80|<GMT+3>-3|bhbmo0|<GMT+3>-3<GMT+4>,M3.5.0/0,M9.5.0/0|cixc00|<GMT+3>-3|cnaic0|<GMT+4>-4|d1p9c0|<GMT+4>-4<GMT+5>,M3.5.0/0,M9.5.0/0|dkh6o0|<GMT+4>-4|dp3jk0|<GMT+5>-5|eimfg0|<GMT+4>-4|em2w00|<GMT+4>-4<GMT+5>,M3.5.0/0,M10.5.0/0|hqsao0|<GMT+4>-4|hv93k0|<GMT+5>-5|hzxjg0|<GMT+4>-4|i6f6k0|<GMT+3>-3|idzek0|<GMT+4>-4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Tehran time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Tehran', '<GMT+3:30>-3:30|3rmzi0|<GMT+4:30>-4:30|42lfi0|<GMT+4>-4|4aki80|<GMT+5>-5|4hesw0|<GMT+4>-4|4mga80|<GMT+3:30>-3:30|4p31c0|<GMT+3:30>-3:30<GMT+4:30>,M5.5.0/0,M9.3.3/0|57uyo0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.5/0,M9.4.2/0|5qoqo0|<GMT+3:30>-3:30|ayjpc0|<GMT+3:30>-3:30<GMT+4:30>,M5.1.5/0,M9.4.0/0|bhbmo0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.0/0,M9.4.2/0|c05eo0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.1/0,M9.4.3/0|cixc00|<GMT+3:30>-3:30<GMT+4:30>,M3.4.2/0,M9.4.4/0|d1p9c0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.3/0,M9.4.5/0|dkh6o0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.4/0,M9.3.6/0|e3ayo0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.6/0,M9.4.1/0|em2w00|<GMT+3:30>-3:30<GMT+4:30>,M3.4.0/0,M9.4.2/0|f4utc0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.1/0,M9.4.3/0|fnmqo0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.2/0,M9.3.4/0|g6gio0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.4/0,M9.4.6/0|gp8g00|<GMT+3:30>-3:30<GMT+4:30>,M3.4.5/0,M9.4.0/0|h80dc0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.6/0,M9.4.1/0|hqsao0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.0/0,M9.3.2/0|i9m2o0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.2/0,M9.4.4/0|ise000|<GMT+3:30>-3:30|jtxuo0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.5/0,M9.3.0/0|kcrmo0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.0/0,M9.4.2/0|kvjk00|<GMT+3:30>-3:30<GMT+4:30>,M3.4.1/0,M9.4.3/0|lebhc0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.2/0,M9.4.4/0|lx3eo0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.3/0,M9.3.5/0|mfx6o0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.5/0,M9.4.0/0|myp400|<GMT+3:30>-3:30<GMT+4:30>,M3.4.6/0,M9.4.1/0|nhh1c0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.0/0,M9.4.2/0|o08yo0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.1/0,M9.3.3/0|oj2qo0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.3/0,M9.4.5/0|p1uo00|<GMT+3:30>-3:30<GMT+4:30>,M3.4.4/0,M9.4.6/0|pkmlc0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.5/0,M9.4.0/0|q3eio0|<GMT+3:30>-3:30<GMT+4:30>,M3.3.6/0,M9.3.1/0|qm8ao0|<GMT+3:30>-3:30<GMT+4:30>,M3.4.1/0,M9.4.3/0|r50800|<GMT+3:30>-3:30<GMT+4:30>,M3.4.2/0,M9.4.4/0|rns5c0|<GMT+3:30>-3:30')
+
+export default timeZone
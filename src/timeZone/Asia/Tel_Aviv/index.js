@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Tel_Aviv time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Tel_Aviv', '<GMT+2>-2|235k00|<GMT+2>-2<GMT+3>,M7.1.0/0,M10.2.0/0|2lxhc0|<GMT+2>-2<GMT+3>,M4.3.0/0,M8.5.0/0|34peo0|<GMT+2>-2|57uyo0|<GMT+2>-2<GMT+3>,M8.1.0/0,M9.2.0/1|5qoqo0|<GMT+2>-2|7b0io0|<GMT+2>-2<GMT+3>,M5.1.0/0,M8.5.0/1|7tuao0|<GMT+2>-2<GMT+3>,M4.2.0/0,M9.1.0/0|8cm800|<GMT+2>-2<GMT+3>,M5.3.0/0,M9.1.0/0|8ve5c0|<GMT+2>-2<GMT+3>,M4.3.3/0,M9.2.0/0|9e62o0|<GMT+2>-2<GMT+3>,M4.2.0/0,M9.1.0/0|9wzuo0|<GMT+2>-2<GMT+3>,M4.5.0/0,M9.1.0/0|afrs00|<GMT+2>-2<GMT+3>,M3.5.0/0,M8.5.0/0|ayjpc0|<GMT+2>-2<GMT+3>,M3.4.0/0,M9.1.0/0|bhbmo0|<GMT+2>-2<GMT+3>,M3.5.0/0,M9.1.0/0|c05eo0|<GMT+2>-2<GMT+3>,M4.1.5/0,M9.1.0/0|cixc00|<GMT+2>-2<GMT+3>,M4.1.5/0,M8.5.0/0|d1p9c0|<GMT+2>-2<GMT+3>,M3.5.5/0,M9.1.0/0|dkh6o0|<GMT+2>-2<GMT+3>,M3.3.5/0,M9.3.1/0|e3ayo0|<GMT+2>-2<GMT+3>,M3.3.5/0,M9.2.0/0|em2w00|<GMT+2>-2<GMT+3>,M3.3.5/0,M9.1.0/0|f4utc0|<GMT+2>-2<GMT+3>,M4.1.5,M9.1.5|fnmqo0|<GMT+2>-2<GMT+3>,M4.2.5,M10.1.5/1|g6gio0|<GMT+2>-2<GMT+3>,M4.2.1/1,M9.5.1/1|gp8g00|<GMT+2>-2<GMT+3>,M3.5.5/1,M10.1.1/1|h80dc0|<GMT+2>-2<GMT+3>,M3.5.5/1,M10.1.5/1|hqsao0|<GMT+2>-2<GMT+3>,M4.1.3/1,M9.4.3/1|i9m2o0|<GMT+2>-2<GMT+3>,M4.1.5,M10.2.0|ise000|<GMT+2>-2<GMT+3>,M3.5.5,M10.1.0|jb5xc0|<GMT+2>-2<GMT+3>,M3.5.5,M9.3.0|jtxuo0|<GMT+2>-2<GMT+3>,M3.5.5,M10.1.0|kcrmo0|<GMT+2>-2<GMT+3>,M3.5.5,M9.5.0|kvjk00|<GMT+2>-2<GMT+3>,M3.5.5,M9.2.0|lebhc0|<GMT+2>-2<GMT+3>,M4.1.5,M10.1.0|lx3eo0|<GMT+2>-2<GMT+3>,M3.5.5,M9.4.0|mfx6o0|<GMT+2>-2<GMT+3>,M3.5.5,M10.5.0|oj2qo0|<GMT+2>-2<GMT+3>,M3.4.5,M10.5.0|pkmlc0|<GMT+2>-2<GMT+3>,M3.5.5,M10.5.0|rns5c0|<GMT+2>-2<GMT+3>,M3.4.5,M10.5.0|s6k2o0|<GMT+2>-2<GMT+3>,M3.5.5,M10.5.0|u9pmo0|<GMT+2>-2<GMT+3>,M3.4.5,M10.5.0|vbbc00|<GMT+2>-2<GMT+3>,M3.5.5,M10.5.0|xegw00|<GMT+2>-2<GMT+3>,M3.4.5,M10.5.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Ulaanbaatar time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Ulaanbaatar', '<GMT+7>-7|46akk0|<GMT+8>-8|6s8lc0|<GMT+8>-8<GMT+9>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+8>-8<GMT+9>,M4.1.0/0,M9.5.0/0|7tuao0|<GMT+8>-8<GMT+9>,M3.5.0/0,M9.5.0/0|f4utc0|<GMT+8>-8|g6gio0|<GMT+8>-8<GMT+9>,M4.5.6,M9.5.6|gp8g00|<GMT+8>-8<GMT+9>,M3.5.6,M9.5.6|jb5xc0|<GMT+8>-8|nhh1c0|<GMT+8>-8<GMT+9>,M3.5.6,M9.5.6/0|oj2qo0|<GMT+8>-8')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Ust-Nera time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Ust-Nera', '<GMT+9>-9|5vapo0|<GMT+12>-12|64pdc0|<GMT+11>-11|69go00|<GMT+11>-11<GMT+12>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+11>-11<GMT+12>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+11>-11<GMT+12>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+11>-11<GMT+12>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+11>-11|bcgxs0|<GMT+10>-10|bi8cg0|<GMT+11>-11|bltwc0|<GMT+12>-12|bv6xo0|<GMT+11>-11|c05eo0|<GMT+11>-11<GMT+12>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+11>-11<GMT+12>,M3.5.0,M10.5.0/3|lebhc0|<GMT+11>-11<GMT+12>,M3.5.0,M9.2.2/0|lx3eo0|<GMT+11>-11|ne09o0|<GMT+10>-10')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Vladivostok time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Vladivostok', '<GMT+10>-10|5qoqo0|<GMT+10>-10<GMT+11>,M4.1.3/0,M10.1.4/0|69go00|<GMT+10>-10<GMT+11>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+10>-10<GMT+11>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+10>-10<GMT+11>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+10>-10<GMT+11>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+10>-10|bch0k0|<GMT+9>-9|bi8f80|<GMT+10>-10|bltz40|<GMT+11>-11|bv70g0|<GMT+10>-10|c05eo0|<GMT+10>-10<GMT+11>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+10>-10<GMT+11>,M3.5.0,M10.5.0/3|lebhc0|<GMT+10>-10|lio9s0|<GMT+11>-11|ne09o0|<GMT+10>-10')
+
+export default timeZone
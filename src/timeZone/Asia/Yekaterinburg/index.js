@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Asia/Yekaterinburg time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Asia/Yekaterinburg', '<GMT+5>-5|5qoqo0|<GMT+5>-5<GMT+6>,M4.1.3/0,M10.1.4/0|69go00|<GMT+5>-5<GMT+6>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+5>-5<GMT+6>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+5>-5<GMT+6>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+5>-5|bcheg0|<GMT+4>-4|bi8t40|<GMT+5>-5|blud00|<GMT+6>-6|bv7ec0|<GMT+5>-5|c05eo0|<GMT+5>-5<GMT+6>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+5>-5<GMT+6>,M3.5.0,M10.5.0/3|lebhc0|<GMT+5>-5|liono0|<GMT+6>-6|ne0nk0|<GMT+5>-5')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Atlantic/Azores time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Atlantic/Azores', '<GMT-1>1|69go00|<GMT-1>1GMT,M3.5.0/0,M9.5.0/1|bhbmo0|<GMT-1>1|bluo40|GMT0|bv7pg0|<GMT-1>1|bzwaw0|GMT0|c4kqs0|<GMT+1>-1|c8qqs0|GMT0|cdxs40|<GMT-1>1|cixc00|<GMT-1>1GMT,M3.5.0/0,M9.5.0/1|dkh6o0|<GMT-1>1GMT,M3.5.0/0,M10.5.0/1')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Atlantic/Canary time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Atlantic/Canary', 'GMT0|57uyo0|GMT0<GMT+1>,M4.1.0/0,M9.5.0|5qoqo0|GMT0<GMT+1>,M3.5.0/1,M9.5.0|dkh6o0|GMT0<GMT+1>,M3.5.0/1,M10.5.0')
+
+export default timeZone
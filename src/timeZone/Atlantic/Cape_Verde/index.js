@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Atlantic/Cape_Verde time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Atlantic/Cape_Verde', '<GMT-2>2|32t740|<GMT-1>1')
+
+export default timeZone
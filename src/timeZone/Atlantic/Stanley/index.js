@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Atlantic/Stanley time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Atlantic/Stanley', '<GMT-4>4|6yf4g0|<GMT-3>3|75z9o0|<GMT-2>2|7b0io0|<GMT-3>3<GMT-2>,M9.3.0/0,M4.5.0/0|7tuao0|<GMT-2>2|7zv480|<GMT-3>3|8cm800|<GMT-4>4<GMT-3>,M9.2.0/0,M4.3.0/0|afrs00|<GMT-4>4<GMT-3>,M9.2.0/0,M4.4.0/0|ayjpc0|<GMT-4>4<GMT-3>,M9.3.0/0,M4.3.0/0|bhbmo0|<GMT-4>4<GMT-3>,M9.2.0/0,M4.3.0/0|dkh6o0|<GMT-4>4<GMT-3>,M9.3.0/0,M4.3.0/0|e3ayo0|<GMT-4>4<GMT-3>,M9.2.0/0,M4.3.0/0|g6gio0|<GMT-4>4<GMT-3>,M9.1.0,M4.3.0|lebhc0|<GMT-3>3')
+
+export default timeZone
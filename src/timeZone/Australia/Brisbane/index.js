@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Australia/Brisbane time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Australia/Brisbane', '<GMT+10>-10|ycf40|<GMT+11>-11|14gsg0|<GMT+10>-10|acgn40|<GMT+11>-11|afrs00|<GMT+10>-10<GMT+11>,M10.5.0,M3.1.0/3|bhbmo0|<GMT+11>-11|bke4g0|<GMT+10>-10')
+
+export default timeZone
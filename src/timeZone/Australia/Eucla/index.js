@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Australia/Eucla time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Australia/Eucla', '<GMT+8:45>-8:45|2iiql0|<GMT+9:45>-9:45|2p02l0|<GMT+8:45>-8:45|77rbx0|<GMT+9:45>-9:45|7e8nx0|<GMT+8:45>-8:45|bezrx0|<GMT+9:45>-9:45|bke7x0|<GMT+8:45>-8:45|j9np90|<GMT+9:45>-9:45|jb5xc0|<GMT+8:45>-8:45<GMT+9:45>,M10.5.0,M3.5.0/3|kcrmo0|<GMT+9:45>-9:45|kh87x0|<GMT+8:45>-8:45')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Australia/LHI time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Australia/LHI', '<GMT+10>-10|5tp880|<GMT+10:30>-10:30|65y320|<GMT+11:30>-11:30|69go00|<GMT+10:30>-10:30<GMT+11:30>,M10.5.0,M3.1.0|7tuao0|<GMT+11:30>-11:30|7wyiy0|<GMT+10:30>-10:30|897ce0|<GMT+11>-11|8cm800|<GMT+10:30>-10:30<GMT+11>-11,M10.3.0,M3.3.0|8ve5c0|<GMT+10:30>-10:30<GMT+11>-11,M10.5.0,M3.3.0|afrs00|<GMT+10:30>-10:30<GMT+11>-11,M10.5.0,M3.1.0|dkh6o0|<GMT+10:30>-10:30<GMT+11>-11,M10.5.0,M3.5.0|fnmqo0|<GMT+10:30>-10:30<GMT+11>-11,M8.5.0,M3.5.0|g6gio0|<GMT+10:30>-10:30<GMT+11>-11,M10.5.0,M3.5.0|ise000|<GMT+10:30>-10:30<GMT+11>-11,M10.5.0,M4.1.0|jb5xc0|<GMT+10:30>-10:30<GMT+11>-11,M10.5.0,M3.5.0|jtxuo0|<GMT+10:30>-10:30<GMT+11>-11,M10.1.0,M4.1.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Australia/Perth time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Australia/Perth', '<GMT+8>-8|2iiso0|<GMT+9>-9|2p04o0|<GMT+8>-8|77re00|<GMT+9>-9|7e8q00|<GMT+8>-8|bezu00|<GMT+9>-9|bkea00|<GMT+8>-8|j9nrc0|<GMT+9>-9|jb5xc0|<GMT+8>-8<GMT+9>,M10.5.0,M3.5.0/3|kcrmo0|<GMT+9>-9|kh8a00|<GMT+8>-8')
+
+export default timeZone
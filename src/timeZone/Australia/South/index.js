@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Australia/South time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Australia/South', '<GMT+9:30>-9:30|ycgi0|<GMT+10:30>-10:30|11juo0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M2.5.0/3|1kdmo0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.1.0/3|8cm800|<GMT+9:30>-9:30<GMT+10:30>,M10.3.0,M3.3.0/3|8ve5c0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.3.0/3|ayjpc0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.1.0/3|bhbmo0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.4.0/3|c05eo0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.1.0/3|cixc00|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.3.0/3|d1p9c0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.5.0/3|ise000|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M4.1.0/3|jb5xc0|<GMT+9:30>-9:30<GMT+10:30>,M10.5.0,M3.5.0/3|jtxuo0|<GMT+9:30>-9:30<GMT+10:30>,M10.1.0,M4.1.0/3')
+
+export default timeZone
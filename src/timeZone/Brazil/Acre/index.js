@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Brazil/Acre time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Brazil/Acre', '<GMT-5>5|89jhw0|<GMT-4>4|8cm800|<GMT-5>5<GMT-4>,M10.5.6/0,M3.3.6/0|8ve5c0|<GMT-5>5<GMT-4>,M10.5.0/0,M2.2.6/0|9e62o0|<GMT-4>4|9g2wg0|<GMT-5>5|k2yb80|<GMT-4>4|mw14g0|<GMT-5>5')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Brazil/DeNoronha time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Brazil/DeNoronha', '<GMT-2>2|89j9k0|<GMT-1>1|8cm800|<GMT-2>2<GMT-1>,M10.5.6/0,M3.3.6/0|8ve5c0|<GMT-2>2<GMT-1>,M10.5.0/0,M2.2.6/0|9e62o0|<GMT-2>2<GMT-1>,M10.3.0/0,M2.1.0/0|9wzuo0|<GMT-2>2<GMT-1>,M10.3.0/0,M1.5.0/0|afrs00|<GMT-1>1|ahvs40|<GMT-2>2|fj0880|<GMT-1>1|fqkdg0|<GMT-2>2|g239k0|<GMT-1>1|g2g5g0|<GMT-2>2|gl6aw0|<GMT-1>1|grnk40|<GMT-2>2')
+
+export default timeZone
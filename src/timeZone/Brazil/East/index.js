@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Brazil/East time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Brazil/East', '<GMT-3>3|89jcc0|<GMT-2>2|8cm800|<GMT-3>3<GMT-2>,M10.5.6/0,M3.3.6/0|8ve5c0|<GMT-3>3<GMT-2>,M10.5.0/0,M2.2.6/0|9e62o0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.1.0/0|9wzuo0|<GMT-3>3<GMT-2>,M10.3.0/0,M1.5.0/0|afrs00|<GMT-3>3<GMT-2>,M10.3.0/0,M2.2.0/0|ayjpc0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.3.0/0|bhbmo0|<GMT-3>3<GMT-2>,M10.5.0/0,M2.2.0/0|c05eo0|<GMT-3>3<GMT-2>,M10.3.0/0,M1.5.0/0|cixc00|<GMT-3>3<GMT-2>,M10.3.0/0,M2.3.0/0|dkh6o0|<GMT-3>3<GMT-2>,M10.1.0/0,M2.2.0/0|e3ayo0|<GMT-3>3<GMT-2>,M10.1.1/0,M2.3.0/0|em2w00|<GMT-3>3<GMT-2>,M10.2.0/0,M3.1.0/0|f4utc0|<GMT-3>3<GMT-2>,M10.1.0/0,M2.3.0/0|fnmqo0|<GMT-3>3<GMT-2>,M10.2.0/0,M2.5.0/0|g6gio0|<GMT-3>3<GMT-2>,M10.2.0/0,M2.3.0/0|gp8g00|<GMT-3>3<GMT-2>,M11.1.0/0,M2.3.0/0|h80dc0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.3.0/0|hqsao0|<GMT-3>3<GMT-2>,M11.1.2/0,M2.3.0/0|i9m2o0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.3.0/0|ise000|<GMT-3>3<GMT-2>,M11.1.0/0,M2.3.0/0|jb5xc0|<GMT-3>3<GMT-2>,M10.2.0/0,M2.5.0/0|jtxuo0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.3.0/0|lx3eo0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.5.0/0|mfx6o0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.3.0/0|nhh1c0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.5.0/0|o08yo0|<GMT-3>3<GMT-2>,M10.3.0/0,M2.3.0/0|p1uo00|<GMT-3>3<GMT-2>,M11.1.0/0,M2.3.0/0|pkmlc0|<GMT-2>2|pn1s80|<GMT-3>3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Canada/Atlantic time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Canada/Atlantic', 'AST4ADT,M4.5.0,M10.5.0|8ve5c0|AST4ADT,M4.1.0,M10.5.0|jb5xc0|AST4ADT,M3.2.0,M11.1.0')
+
+export default timeZone
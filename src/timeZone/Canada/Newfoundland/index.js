@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Canada/Newfoundland time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Canada/Newfoundland', '<GMT-3:30>3:30<GMT-2:30>,M4.5.0,M10.5.0|8ve5c0|<GMT-3:30>3:30<GMT-2:30>,M4.1.0/0:01,M10.5.0/0:01|9e62o0|<GMT-3:30>3:30<GMT-1:30>1:30,M4.1.0/0:01,M10.5.0/0:01|9wzuo0|<GMT-3:30>3:30<GMT-2:30>,M4.1.0/0:01,M10.5.0/0:01|jb5xc0|<GMT-3:30>3:30<GMT-2:30>,M3.2.0/0:01,M11.1.0/0:01|lebhc0|<GMT-3:30>3:30<GMT-2:30>,M3.2.0/0:01,M11.1.0|lx3eo0|<GMT-3:30>3:30<GMT-2:30>,M3.2.0,M11.1.0')
+
+export default timeZone
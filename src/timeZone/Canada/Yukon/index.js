@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Canada/Yukon time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Canada/Yukon', 'PST8|57uyo0|PST8PDT,M4.5.0,M10.5.0|8ve5c0|PST8PDT,M4.1.0,M10.5.0|jb5xc0|PST8PDT,M3.2.0,M11.1.0|q3eio0|PST8|q6vd40|PDT7|qj3vg0|<GMT-7>7')
+
+export default timeZone
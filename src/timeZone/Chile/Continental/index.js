@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Chile/Continental time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Chile/Continental', '<GMT-4>4<GMT-3>,M10.2.0/0,M3.5.0/0|irxc0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|11juo0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|1kdmo0|<GMT-4>4<GMT-3>,M9.5.0/0,M3.2.0/0|235k00|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|46b400|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|4p31c0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|5qoqo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.3.0/0|69go00|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|8ve5c0|<GMT-4>4<GMT-3>,M10.2.0/0,M4.2.0/0|9e62o0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|9wzuo0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|afrs00|<GMT-4>4<GMT-3>,M9.3.0/0,M3.2.0/0|ayjpc0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|bhbmo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.3.0/0|c05eo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|d1p9c0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|dkh6o0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|e3ayo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.5.0/0|em2w00|<GMT-4>4<GMT-3>,M9.5.0/0,M3.3.0/0|f4utc0|<GMT-4>4<GMT-3>,M10.2.0/0,M4.1.0/0|fnmqo0|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|g6gio0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|ise000|<GMT-4>4<GMT-3>,M10.3.0/0,M3.2.0/0|jb5xc0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.2.0/0|jtxuo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.5.0/0|kcrmo0|<GMT-4>4<GMT-3>,M10.2.0/0,M3.3.0/0|kvjk00|<GMT-4>4<GMT-3>,M10.2.0/0,M4.1.0/0|lebhc0|<GMT-4>4<GMT-3>,M8.3.0/0,M5.2.0/0|lx3eo0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.5.0/0|mfx6o0|<GMT-4>4<GMT-3>,M9.2.0/0,M4.5.0/0|myp400|<GMT-4>4<GMT-3>,M9.1.0/0,M4.5.0/0|nhh1c0|<GMT-3>3|o08yo0|<GMT-4>4<GMT-3>,M8.2.0/0,M5.3.0/0|oj2qo0|<GMT-4>4<GMT-3>,M8.2.0/0,M5.2.0/0|pkmlc0|<GMT-4>4<GMT-3>,M9.2.0/0,M4.1.0/0|q3eio0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.1.0/0|r50800|<GMT-4>4<GMT-3>,M9.2.0/0,M4.1.0/0|rns5c0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.1.0/0|s6k2o0|<GMT-4>4<GMT-3>,M9.2.0/0,M4.1.0/0|spduo0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.1.0/0|usjeo0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.2.0/0|vbbc00|<GMT-4>4<GMT-3>,M9.2.0/0,M4.1.0/0|vu39c0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.1.0/0|xx8tc0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.2.0/0|yg0qo0|<GMT-4>4<GMT-3>,M9.1.0/0,M4.1.0/0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Chile/EasterIsland time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Chile/EasterIsland', '<GMT-7>7<GMT-6>,M10.2.6/21,M3.5.6/21|irxc0|<GMT-7>7<GMT-6>,M10.2.6/21,M3.2.6/21|1kdmo0|<GMT-7>7<GMT-6>,M9.5.6/21,M3.2.6/21|235k00|<GMT-7>7<GMT-6>,M10.2.6/21,M3.2.6/21|69go00|<GMT-6>6|6nz740|<GMT-5>5|6s8lc0|<GMT-6>6<GMT-5>,M10.2.6/22,M3.2.6/22|8ve5c0|<GMT-6>6<GMT-5>,M10.2.6/22,M4.2.6/22|9e62o0|<GMT-6>6<GMT-5>,M10.2.6/22,M3.2.6/22|afrs00|<GMT-6>6<GMT-5>,M9.3.6/22,M3.2.6/22|ayjpc0|<GMT-6>6<GMT-5>,M10.2.6/22,M3.2.6/22|e3ayo0|<GMT-6>6<GMT-5>,M10.2.6/22,M3.5.6/22|em2w00|<GMT-6>6<GMT-5>,M9.5.6/22,M3.2.6/22|f4utc0|<GMT-6>6<GMT-5>,M10.2.6/22,M4.1.6/22|fnmqo0|<GMT-6>6<GMT-5>,M10.2.6/22,M3.2.6/22|jtxuo0|<GMT-6>6<GMT-5>,M10.2.6/22,M3.5.6/22|kcrmo0|<GMT-6>6<GMT-5>,M10.2.6/22,M3.2.6/22|kvjk00|<GMT-6>6<GMT-5>,M10.2.6/22,M4.1.6/22|lebhc0|<GMT-6>6<GMT-5>,M8.3.6/22,M5.1.6/22|lx3eo0|<GMT-6>6<GMT-5>,M9.1.6/22,M4.5.6/22|nhh1c0|<GMT-5>5|o08yo0|<GMT-6>6<GMT-5>,M8.2.6/22,M5.2.6/22|pkmlc0|<GMT-6>6<GMT-5>,M9.1.6/22,M4.1.6/22|r50800|<GMT-6>6<GMT-5>,M9.2.6/22,M4.1.6/22|rns5c0|<GMT-6>6<GMT-5>,M9.1.6/22,M4.1.6/22')
+
+export default timeZone
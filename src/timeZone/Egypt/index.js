@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Egypt time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Egypt', '<GMT+2>-2<GMT+3>,M5.1.5/1,M10.1.4/3|irxc0|<GMT+2>-2<GMT+3>,M5.1.6/1,M10.1.5/3|11juo0|<GMT+2>-2<GMT+3>,M5.1.1/1,M10.1.0/3|1kdmo0|<GMT+2>-2<GMT+3>,M5.1.2/1,M10.1.1/3|235k00|<GMT+2>-2<GMT+3>,M5.1.3/1,M10.1.2/3|2lxhc0|<GMT+2>-2<GMT+3>,M5.1.4/1,M10.1.3/3|34peo0|<GMT+2>-2<GMT+3>,M5.1.6/1,M10.1.5/3|3nj6o0|<GMT+2>-2<GMT+3>,M5.1.0/1,M10.1.6/3|46b400|<GMT+2>-2<GMT+3>,M5.1.1/1,M10.1.0/3|4p31c0|<GMT+2>-2<GMT+3>,M5.1.2/1,M10.1.1/3|57uyo0|<GMT+2>-2<GMT+3>,M5.1.4/1,M10.1.3/3|5qoqo0|<GMT+2>-2<GMT+3>,M5.1.5/1,M10.1.4/3|69go00|<GMT+2>-2<GMT+3>,M7.5.0/1,M10.1.5/3|6s8lc0|<GMT+2>-2<GMT+3>,M7.2.2/1,M10.1.6/3|7b0io0|<GMT+2>-2<GMT+3>,M5.1.2/1,M10.1.1/3|7tuao0|<GMT+2>-2<GMT+3>,M5.1.3/1,M10.1.2/3|8cm800|<GMT+2>-2<GMT+3>,M5.1.4/1,M10.1.3/3|8ve5c0|<GMT+2>-2<GMT+3>,M5.1.5/1,M10.1.4/3|9e62o0|<GMT+2>-2<GMT+3>,M5.1.0/1,M10.1.6/3|9wzuo0|<GMT+2>-2<GMT+3>,M5.1.6/1,M10.1.0/3|afrs00|<GMT+2>-2<GMT+3>,M5.1.2/1,M10.1.1/3|ayjpc0|<GMT+2>-2<GMT+3>,M5.1.3/1,M10.1.2/3|bhbmo0|<GMT+2>-2<GMT+3>,M5.1.5/1,M10.1.4/3|c05eo0|<GMT+2>-2<GMT+3>,M5.1.6/1,M10.1.5/3|cixc00|<GMT+2>-2<GMT+3>,M5.1.0/1,M10.1.6/3|d1p9c0|<GMT+2>-2<GMT+3>,M4.5.5/0,M9.5.5/0|f4utc0|<GMT+2>-2<GMT+3>,M4.5.5/0,M10.1.5/0|fnmqo0|<GMT+2>-2<GMT+3>,M4.5.5/0,M9.5.5/0|hqsao0|<GMT+2>-2<GMT+3>,M4.5.5/0,M10.1.5/0|i9m2o0|<GMT+2>-2<GMT+3>,M4.5.5/0,M9.5.5/0|ise000|<GMT+2>-2<GMT+3>,M4.5.5/0,M9.4.5/0|jb5xc0|<GMT+2>-2<GMT+3>,M4.5.5/0,M9.1.5/0|jtxuo0|<GMT+2>-2<GMT+3>,M4.5.5/0,M8.5.5/0|kcrmo0|<GMT+2>-2<GMT+3>,M4.5.5/0,M8.3.5/0|kvjk00|<GMT+2>-2|l1nrs0|<GMT+3>-3|l6yfo0|<GMT+2>-2|l8i2g0|<GMT+3>-3|l9kvo0|<GMT+2>-2|n5myg0|<GMT+3>-3|n7sno0|<GMT+2>-2|n9ljs0|<GMT+3>-3|nch6c0|<GMT+2>-2|rns5c0|<GMT+2>-2<GMT+3>,M4.5.5/0,M10.5.5/0|s6k2o0|<GMT+2>-2<GMT+3>,M4.5.5/0,M11.1.5/0|spduo0|<GMT+2>-2<GMT+3>,M4.5.5/0,M10.5.5/0|vbbc00|<GMT+2>-2<GMT+3>,M4.5.5/0,M11.1.5/0|vu39c0|<GMT+2>-2<GMT+3>,M4.5.5/0,M10.5.5/0')
+
+export default timeZone
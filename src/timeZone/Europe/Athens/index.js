@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Athens time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Athens', '<GMT+2>-2|2lxhc0|<GMT+2>-2<GMT+3>,M4.2.6/0,M11.5.3/1|34peo0|<GMT+2>-2<GMT+3>,M4.2.0,M10.2.0/3|3nj6o0|<GMT+2>-2<GMT+3>,M4.1.0,M9.5.1/3|46b400|<GMT+2>-2<GMT+3>,M4.1.0,M9.5.0/4|4p31c0|<GMT+2>-2<GMT+3>,M4.1.0/9,M9.5.6|57uyo0|<GMT+2>-2<GMT+3>,M4.1.2/0,M9.5.0/0|5qoqo0|<GMT+2>-2<GMT+3>,M3.5.0/3,M9.5.0/4|dkh6o0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Belfast time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Belfast', '<GMT+1>-1|yd6w0|GMT0|11juo0|GMT0<GMT+1>,M3.3.0,M10.5.0/3|34peo0|GMT0<GMT+1>,M3.3.0,M10.4.0/3|46b400|GMT0<GMT+1>,M3.3.0,M10.5.0/3|5qoqo0|GMT0<GMT+1>,M3.5.0/1,M10.5.0|69go00|GMT0<GMT+1>,M3.5.0/1,M10.4.0|9wzuo0|GMT0<GMT+1>,M3.5.0/1,M10.5.0|c05eo0|GMT0<GMT+1>,M3.5.0/1,M10.4.0|f4utc0|GMT0<GMT+1>,M3.5.0/1,M10.5.0')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Bucharest time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Bucharest', '<GMT+2>-2|4p31c0|<GMT+2>-2<GMT+3>,M5.5.0/0,M9.5.0/0|57uyo0|<GMT+2>-2<GMT+3>,M4.1.6/23,M9.5.0/1|5qoqo0|<GMT+2>-2<GMT+3>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+2>-2<GMT+3>,M3.5.0/0,M9.5.0/1|cixc00|<GMT+2>-2<GMT+3>,M3.5.0/0,M9.5.0/0|dkh6o0|<GMT+2>-2<GMT+3>,M3.5.0/0,M10.5.0/0|e3ayo0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Budapest time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Budapest', '<GMT+1>-1|57uyo0|<GMT+1>-1<GMT+2>,M4.1.0/0,M9.5.0/1|5qoqo0|<GMT+1>-1<GMT+2>,M3.5.0/0,M9.5.0/1|7b0io0|<GMT+1>-1<GMT+2>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+1>-1<GMT+2>,M3.5.0,M10.5.0/3')
+
+export default timeZone
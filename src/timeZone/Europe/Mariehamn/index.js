@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Mariehamn time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Mariehamn', '<GMT+2>-2|5qoqo0|<GMT+2>-2<GMT+3>,M3.5.0,M9.5.0/3|6s8lc0|<GMT+2>-2<GMT+3>,M3.5.0/3,M9.5.0/4|dkh6o0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4')
+
+export default timeZone
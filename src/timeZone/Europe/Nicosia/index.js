@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Nicosia time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Nicosia', '<GMT+2>-2|2lxhc0|<GMT+2>-2<GMT+3>,M4.2.0/0,M10.2.0/0|34peo0|<GMT+2>-2<GMT+3>,M5.3.6/0,M10.2.1/0|3nj6o0|<GMT+2>-2<GMT+3>,M4.1.0/0,M9.5.0/0|46b400|<GMT+2>-2<GMT+3>,M4.1.0/0,M10.1.1/0|4p31c0|<GMT+2>-2<GMT+3>,M4.1.0/0,M9.5.0/0|5qoqo0|<GMT+2>-2<GMT+3>,M3.5.0/0,M9.5.0/0|em2w00|<GMT+2>-2<GMT+3>,M3.5.0/0,M10.5.0/4|f4utc0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4')
+
+export default timeZone
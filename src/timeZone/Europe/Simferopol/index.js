@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Simferopol time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Simferopol', '<GMT+3>-3|5qoqo0|<GMT+3>-3<GMT+4>,M4.1.3/0,M10.1.4/0|69go00|<GMT+3>-3<GMT+4>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+3>-3<GMT+4>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+3>-3<GMT+4>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+3>-3<GMT+4>,M3.5.0,M9.5.0/3|afrs00|<GMT+3>-3|ap2vw0|<GMT+2>-2|bhbmo0|<GMT+2>-2<GMT+3>,M3.5.0,M9.5.0/3|cixc00|<GMT+2>-2|cnaqo0|<GMT+3>-3|cp3bo0|<GMT+4>-4|cwnp80|<GMT+3>-3|d1p9c0|<GMT+3>-3<GMT+4>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+3>-3<GMT+4>,M3.5.0/0,M10.5.0/4|e3ayo0|<GMT+3>-3|eimw40|<GMT+2>-2|em2w00|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4|myp400|<GMT+2>-2|n382o0|<GMT+4>-4|ne0t40|<GMT+3>-3')
+
+export default timeZone
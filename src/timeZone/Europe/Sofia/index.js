@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Sofia time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Sofia', '<GMT+2>-2|4p31c0|<GMT+2>-2<GMT+3>,M3.5.6/23,M10.1.1/1|57uyo0|<GMT+2>-2<GMT+3>,M4.1.6/23,M9.5.1/1|5qoqo0|<GMT+2>-2<GMT+3>,M4.1.6/23,M9.5.0|69go00|<GMT+2>-2<GMT+3>,M4.1.6/23,M9.5.0/3|6s8lc0|<GMT+2>-2<GMT+3>,M3.5.0,M9.5.0/3|ayjpc0|<GMT+2>-2<GMT+3>,M3.5.0/0,M9.5.0/0|dkh6o0|<GMT+2>-2<GMT+3>,M3.5.0/0,M10.5.0/0|e3ayo0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4')
+
+export default timeZone
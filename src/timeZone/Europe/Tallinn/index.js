@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Tallinn time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Tallinn', '<GMT+3>-3|5qoqo0|<GMT+3>-3<GMT+4>,M4.1.3/0,M10.1.4/0|69go00|<GMT+3>-3<GMT+4>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+3>-3<GMT+4>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+3>-3<GMT+4>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+3>-3<GMT+4>,M3.5.0,M9.5.0/3|9wzuo0|<GMT+3>-3|aaog00|<GMT+2>-2|afrs00|<GMT+2>-2<GMT+3>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+2>-2<GMT+3>,M3.5.0,M10.5.0/3|em2w00|<GMT+2>-2<GMT+3>,M3.5.0,M10.5.0/4|f4utc0|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4|fnmqo0|<GMT+2>-2|gp8g00|<GMT+2>-2<GMT+3>,M3.5.0/3,M10.5.0/4')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Tirane time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Tirane', '<GMT+1>-1|235k00|<GMT+1>-1<GMT+2>,M5.1.6/0,M10.1.3/0|2lxhc0|<GMT+1>-1<GMT+2>,M5.1.4/0,M10.1.4/0|34peo0|<GMT+1>-1<GMT+2>,M5.1.0/0,M10.1.0/0|3nj6o0|<GMT+1>-1<GMT+2>,M5.2.0/0,M10.1.0/0|46b400|<GMT+1>-1<GMT+2>,M5.1.6/0,M10.1.0/0|4p31c0|<GMT+1>-1<GMT+2>,M5.1.6/0,M9.5.0/0|57uyo0|<GMT+1>-1<GMT+2>,M5.1.6/0,M10.1.6/0|5qoqo0|<GMT+1>-1<GMT+2>,M4.5.0/0,M9.5.0/0|69go00|<GMT+1>-1<GMT+2>,M5.1.0/0,M10.1.0/0|6s8lc0|<GMT+1>-1<GMT+2>,M4.3.1/0,M10.1.6/0|7b0io0|<GMT+1>-1<GMT+2>,M4.1.0/0,M9.5.0/3|7tuao0|<GMT+1>-1<GMT+2>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+1>-1<GMT+2>,M3.5.0,M10.5.0/3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Europe/Vatican time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Europe/Vatican', '<GMT+1>-1<GMT+2>,M5.5.0/0,M9.5.0/1|irxc0|<GMT+1>-1<GMT+2>,M5.4.0/0,M9.5.0/1|11juo0|<GMT+1>-1<GMT+2>,M5.5.0/0,M10.1.0/1|1kdmo0|<GMT+1>-1<GMT+2>,M6.1.0/0,M9.5.0/1|235k00|<GMT+1>-1<GMT+2>,M5.5.0/0,M9.5.0/1|2lxhc0|<GMT+1>-1<GMT+2>,M6.1.0/0,M9.5.0/1|34peo0|<GMT+1>-1<GMT+2>,M5.5.0/0,M9.5.0/1|3nj6o0|<GMT+1>-1<GMT+2>,M5.4.0/0,M9.5.0/1|46b400|<GMT+1>-1<GMT+2>,M5.5.0/0,M10.1.0/1|4p31c0|<GMT+1>-1<GMT+2>,M5.5.0/0,M9.5.0/1|57uyo0|<GMT+1>-1<GMT+2>,M4.1.0,M9.5.0/3|5qoqo0|<GMT+1>-1<GMT+2>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+1>-1<GMT+2>,M3.5.0,M10.5.0/3')
+
+export default timeZone
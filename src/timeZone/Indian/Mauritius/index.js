@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Indian/Mauritius time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Indian/Mauritius', '<GMT+4>-4|6nykw0|<GMT+5>-5|6wai40|<GMT+4>-4|k9beg0|<GMT+5>-5|kh8ic0|<GMT+4>-4')
+
+export default timeZone
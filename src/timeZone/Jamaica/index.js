@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Jamaica time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Jamaica', 'EST5|235k00|EST5EDT,M1.1.0,M10.5.0|2lxhc0|EST5EDT,M2.5.0,M10.5.0|34peo0|EST5EDT,M4.5.0,M10.5.0|7b0io0|EST5')
+
+export default timeZone
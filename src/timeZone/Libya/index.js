@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Libya time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Libya', '<GMT+2>-2|69gig0|<GMT+1>-1|69go00|<GMT+1>-1<GMT+2>,M4.1.4/0,M10.1.5/0|6s8lc0|<GMT+1>-1<GMT+2>,M4.1.5/0,M10.1.6/0|7b0io0|<GMT+1>-1<GMT+2>,M4.1.0/0,M10.1.1/0|7tuao0|<GMT+1>-1<GMT+2>,M4.1.6/0,M10.1.2/0|8cm800|<GMT+1>-1<GMT+2>,M4.1.5/0,M10.1.5/0|8ve5c0|<GMT+1>-1<GMT+2>,M4.1.3/0,M10.1.4/0|9e62o0|<GMT+1>-1<GMT+2>,M4.1.5/0,M10.1.6/0|9wzuo0|<GMT+1>-1<GMT+2>,M4.1.6/0,M10.1.0/0|afrs00|<GMT+1>-1|am3h80|<GMT+2>-2|dyil40|<GMT+1>-1|e833w0|<GMT+2>-2|md8w00|<GMT+1>-1|mkeao0|<GMT+2>-2')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Mexico/BajaSur time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Mexico/BajaSur', '<GMT-7>7|dkh6o0|<GMT-7>7<GMT-6>,M4.1.0,M10.5.0|g6gio0|<GMT-7>7<GMT-6>,M5.1.0,M9.5.0|gp8g00|<GMT-7>7<GMT-6>,M4.1.0,M10.5.0|rns5c0|<GMT-7>7')
+
+export default timeZone
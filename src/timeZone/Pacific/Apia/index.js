@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Apia time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Apia', '<GMT-11>11|l9cp80|<GMT-10>10|lj12w0|<GMT-11>11|ls15k0|<GMT-10>10|lx0h40|<GMT+14>-14|lx3eo0|<GMT+13>-13<GMT+14>,M9.5.0/3,M4.1.0/4|qm8ao0|<GMT+14>-14|qqzqw0|<GMT+13>-13')
+
+export default timeZone
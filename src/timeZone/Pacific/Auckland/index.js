@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Auckland time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Auckland', '<GMT+12>-12|2ivg80|<GMT+13>-13|2lxhc0|<GMT+12>-12<GMT+13>,M10.5.0,M2.5.0/3|34peo0|<GMT+12>-12<GMT+13>,M10.5.0,M3.1.0/3|9wzuo0|<GMT+12>-12<GMT+13>,M10.2.0,M3.1.0/3|afrs00|<GMT+12>-12<GMT+13>,M10.1.0,M3.3.0/3|jb5xc0|<GMT+12>-12<GMT+13>,M9.5.0,M3.3.0/3|jtxuo0|<GMT+12>-12<GMT+13>,M9.5.0,M4.1.0/3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Chatham time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Chatham', '<GMT+12:45>-12:45|2ivg80|<GMT+13:45>-13:45|2lxhc0|<GMT+12:45>-12:45<GMT+13:45>,M10.5.0/2:45,M2.5.0/3:45|34peo0|<GMT+12:45>-12:45<GMT+13:45>,M10.5.0/2:45,M3.1.0/3:45|9wzuo0|<GMT+12:45>-12:45<GMT+13:45>,M10.2.0/2:45,M3.1.0/3:45|afrs00|<GMT+12:45>-12:45<GMT+13:45>,M10.1.0/2:45,M3.3.0/3:45|jb5xc0|<GMT+12:45>-12:45<GMT+13:45>,M9.5.0/2:45,M3.3.0/3:45|jtxuo0|<GMT+12:45>-12:45<GMT+13:45>,M9.5.0/2:45,M4.1.0/3:45')
+
+export default timeZone
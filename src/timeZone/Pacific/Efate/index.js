@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Efate time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Efate', '<GMT+11>-11|22nyo0|<GMT+12>-12|27pg00|<GMT+11>-11|75y6s0|<GMT+12>-12|7b0io0|<GMT+11>-11<GMT+12>,M9.4.0/0,M3.5.0/0|7tuao0|<GMT+11>-11<GMT+12>,M9.5.0/0,M3.4.0/0|8ve5c0|<GMT+11>-11<GMT+12>,M9.5.0/0,M3.5.0/0|afrs00|<GMT+11>-11<GMT+12>,M9.4.0/0,M3.5.0/0|ayjpc0|<GMT+11>-11<GMT+12>,M9.5.0/0,M3.4.0/0|bhbmo0|<GMT+11>-11<GMT+12>,M10.5.0/0,M1.5.0/0|c05eo0|<GMT+12>-12|c1b2o0|<GMT+11>-11')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Enderbury time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Enderbury', '<GMT-12>12|535io0|<GMT-11>11|d1o980|<GMT+13>-13')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Fakaofo time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Fakaofo', '<GMT-11>11|lx0jw0|<GMT+13>-13')
+
+export default timeZone
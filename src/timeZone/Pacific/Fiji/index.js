@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Fiji time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Fiji', '<GMT+12>-12|f1p2w0|<GMT+13>-13|f4utc0|<GMT+12>-12<GMT+13>,M11.1.0,M2.5.0/3|fnmqo0|<GMT+13>-13|fqjiw0|<GMT+12>-12|ktto80|<GMT+13>-13|kvjk00|<GMT+12>-12<GMT+13>,M10.4.0,M3.5.0/3|lebhc0|<GMT+12>-12<GMT+13>,M10.4.0,M3.1.0/3|lx3eo0|<GMT+12>-12<GMT+13>,M10.3.0,M1.4.0/3|mfx6o0|<GMT+12>-12<GMT+13>,M10.5.0,M1.3.0/3|myp400|<GMT+12>-12<GMT+13>,M11.1.0,M1.3.0|nhh1c0|<GMT+12>-12<GMT+13>,M11.1.0,M1.3.0/3|p1uo00|<GMT+12>-12<GMT+13>,M11.1.0,M1.2.0/3|pkmlc0|<GMT+12>-12<GMT+13>,M11.2.0,M1.2.0/3|q3eio0|<GMT+12>-12<GMT+13>,M12.3.0,M1.2.0/3|qm8ao0|<GMT+13>-13|qn15k0|<GMT+12>-12')
+
+export default timeZone
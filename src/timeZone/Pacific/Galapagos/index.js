@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Galapagos time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Galapagos', '<GMT-5>5|8cmlw0|<GMT-6>6|byewo0|<GMT-5>5|c1ylw0|<GMT-6>6')
+
+export default timeZone
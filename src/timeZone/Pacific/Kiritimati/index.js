@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Kiritimati time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Kiritimati', '<GMT-10:40>10:40|535eyo|<GMT-10>10|d1o6g0|<GMT+14>-14')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Nauru time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Nauru', '<GMT+11:30>-11:30|4r4dm0|<GMT+12>-12')
+
+export default timeZone
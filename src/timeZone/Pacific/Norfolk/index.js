@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Norfolk time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Norfolk', '<GMT+11:30>-11:30|2iiiy0|<GMT+12:30>-12:30|2ozuy0|<GMT+11:30>-11:30|nvney0|<GMT+11>-11|pywpo0|<GMT+12>-12|q3eio0|<GMT+11>-11<GMT+12>,M10.1.0,M4.1.0/3')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Noumea time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Noumea', '<GMT+11>-11|44ues0|<GMT+12>-12|46b400|<GMT+11>-11<GMT+12>,M12.1.0/0,M2.5.1/0|4p31c0|<GMT+12>-12|4rzo00|<GMT+11>-11|e1ov00|<GMT+12>-12|e6ddo0|<GMT+11>-11')
+
+export default timeZone
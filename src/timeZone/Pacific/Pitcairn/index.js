@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Pitcairn time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Pitcairn', '<GMT-8:30>8:30|es2cy0|<GMT-8>8')
+
+export default timeZone
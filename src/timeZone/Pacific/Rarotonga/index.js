@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Rarotonga time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Rarotonga', '<GMT-10:30>10:30|4mj960|<GMT-9:30>9:30|4p31c0|<GMT-10>10<GMT-9:30>9:30,M10.5.0/0,M3.1.0/0|ayjpc0|<GMT-9:30>9:30|b1pee0|<GMT-10>10')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Saipan time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Saipan', '<GMT+10>-10<GMT+11>,M4.5.0,M9.1.0|11juo0|<GMT+10>-10|22bb40|<GMT+11>-11|25wv00|<GMT+10>-10|34peo0|<GMT+10>-10<GMT+11>,M5.5.3,M8.4.0/2:01|3nj6o0|<GMT+10>-10<GMT+11>,M4.5.0,M8.5.0|46b400|<GMT+10>-10')
+
+export default timeZone
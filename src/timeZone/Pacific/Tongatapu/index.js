@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Pacific/Tongatapu time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Pacific/Tongatapu', '<GMT+13>-13|fj6ms0|<GMT+14>-14|fnmqo0|<GMT+13>-13<GMT+14>,M11.1.0,M3.3.0/3|g6gio0|<GMT+13>-13<GMT+14>,M11.1.0,M1.5.0|gp8g00|<GMT+14>-14|gqjo00|<GMT+13>-13|og66s0|<GMT+14>-14|ojrtg0|<GMT+13>-13')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary ROC time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('ROC', '<GMT+8>-8|235k00|<GMT+8>-8<GMT+9>,M4.1.1/0,M10.1.2/0|2lxhc0|<GMT+8>-8<GMT+9>,M4.1.2/0,M10.1.3/0|34peo0|<GMT+8>-8|4p31c0|<GMT+8>-8<GMT+9>,M7.1.0/0,M10.1.1/0|57uyo0|<GMT+8>-8')
+
+export default timeZone
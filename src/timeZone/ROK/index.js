@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary ROK time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('ROK', '<GMT+9>-9|8ve5c0|<GMT+9>-9<GMT+10>,M5.2.0,M10.2.0/3|9wzuo0|<GMT+9>-9')
+
+export default timeZone
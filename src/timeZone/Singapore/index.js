@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary Singapore time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('Singapore', '<GMT+7:30>-7:30|69g1s0|<GMT+8>-8')
+
+export default timeZone
@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary US/Aleutian time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('US/Aleutian', '<GMT-11>11<GMT-10>,M4.5.0,M10.5.0|235k00|<GMT-11>11<GMT-10>,M1.1.0,M10.5.0|2lxhc0|<GMT-11>11<GMT-10>,M2.5.0,M10.5.0|34peo0|<GMT-11>11<GMT-10>,M4.5.0,M10.5.0|6s8lc0|<GMT-11>11|6y2us0|<GMT-10>10|79e140|HAST10|7b0io0|HAST10HADT,M4.5.0,M10.5.0|8ve5c0|HAST10HADT,M4.1.0,M10.5.0|jb5xc0|HAST10HADT,M3.2.0,M11.1.0')
+
+export default timeZone
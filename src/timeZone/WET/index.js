@@ -0,0 +1,12 @@
+// This file is generated automatically by `scripts/build/timeZones.js`. Please, don't change it.
+
+import buildTimeZone from '../_lib/buildTimeZone/index.js'
+
+/**
+ * @type {TimeZone}
+ * @category Time Zones
+ * @summary WET time zone (IANA time zone database 2025b).
+ */
+var timeZone = buildTimeZone('WET', '<GMT+1>-1|3ijk00|GMT0|3nj6o0|GMT0<GMT+1>,M3.5.0/0,M9.5.0/1|46b400|GMT0<GMT+1>,M4.1.0/1,M10.1.0|4p31c0|GMT0<GMT+1>,M4.1.0/1,M9.5.0|5qoqo0|GMT0<GMT+1>,M3.5.0/0,M9.5.0/1|8cm800|GMT0<GMT+1>,M3.5.0/1,M9.5.0|bhbmo0|GMT0|bluo40|<GMT+1>-1|c05eo0|<GMT+1>-1<GMT+2>,M3.5.0,M9.5.0/3|dkh6o0|<GMT+1>-1|dzwtg0|GMT0|e3ayo0|GMT0<GMT+1>,M3.5.0/1,M10.5.0')
+
+export default timeZone
@@ -0,0 +1,53 @@
+import tzParseRule from '../tzParseRule/index.js'
+import tzRuleInfo from '../tzRuleInfo/index.js'
+
+/**
+ * @name buildTimeZone
+ * @category Time Zone Helpers
+ * @summary Build the time zone object.
+ *
+ * @description
+ * Build the time zone object used as `options.timeZone` from the name of the time zone
+ * and its rules generated by `scripts/build/timeZones.js`.
+ *
+ * The rules are POSIX TZ strings (e.g. 'EST5EDT,M3.2.0,M11.1.0') separated with the UTC timestamps
+ * (in seconds, base 36) of the moments when the next rule takes effect.
+ * They are parsed on the first call of `info`.
+ *
+ * @param {String} name - the IANA time zone name
+ * @param {String} data - the rules of the time zone
+ * @returns {TimeZone} the time zone object
+ *
+ * @example
+ * var timeZone = buildTimeZone('Asia/Tokyo', 'JST-9')
+ * timeZone.info(Date.UTC(2014, 0, 1)) //=> {offset: 32400000, abbreviation: 'JST', dst: false}
+ */
+export default function buildTimeZone (name, data) {
+  var rules
+  var untils
+
+  return {
+    name: name,
+
+    info: function (timestamp) {
+      if (!rules) {
+        var eras = data.split('|')
+        rules = []
+        untils = []
+        for (var i = 0; i < eras.length; i += 2) {
+          rules.push(tzParseRule(eras[i]))
+          if (i + 1 < eras.length) {
+            untils.push(parseInt(eras[i + 1], 36) * 1000)
+          }
+        }
+      }
+
+      var index = 0
+      while (index < untils.length && timestamp >= untils[index]) {
+        index++
+      }
+
+      return tzRuleInfo(rules[index], timestamp)
+    }
+  }
+}
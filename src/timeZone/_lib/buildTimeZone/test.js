@@ -0,0 +1,32 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import buildTimeZone from '.'
+
+describe('buildTimeZone', function () {
+  it('returns the time zone object with the given name', function () {
+    var result = buildTimeZone('Asia/Tokyo', 'JST-9')
+    assert(result.name === 'Asia/Tokyo')
+  })
+
+  it('returns the info for the timestamp', function () {
+    var timeZone = buildTimeZone('America/New_York', 'EST5EDT,M3.2.0,M11.1.0')
+    assert.deepEqual(
+      timeZone.info(Date.UTC(2014, 6 /* Jul */, 1)),
+      {offset: -4 * 3600000, abbreviation: 'EDT', dst: true}
+    )
+    assert.deepEqual(
+      timeZone.info(Date.UTC(2014, 0 /* Jan */, 1)),
+      {offset: -5 * 3600000, abbreviation: 'EST', dst: false}
+    )
+  })
+
+  it('uses the rule that is in effect at the timestamp', function () {
+    // Moscow switched from UTC+4 to UTC+3 on 26 October 2014 at 02:00 local time
+    var until = (Date.UTC(2014, 9 /* Oct */, 25, 22) / 1000).toString(36)
+    var timeZone = buildTimeZone('Europe/Moscow', 'MSK-4|' + until + '|MSK-3')
+    assert(timeZone.info(Date.UTC(2014, 9 /* Oct */, 25, 21, 59)).offset === 4 * 3600000)
+    assert(timeZone.info(Date.UTC(2014, 9 /* Oct */, 25, 22)).offset === 3 * 3600000)
+  })
+})
@@ -0,0 +1,75 @@
+var MILLISECONDS_IN_HOUR = 3600000
+var MILLISECONDS_IN_MINUTE = 60000
+var MILLISECONDS_IN_SECOND = 1000
+
+var patterns = {
+  rule: /^([A-Za-z]{3,}|<[A-Za-z0-9:+-]+>)([+-]?\d{1,2}(?::\d{2}){0,2})(?:([A-Za-z]{3,}|<[A-Za-z0-9:+-]+>)([+-]?\d{1,2}(?::\d{2}){0,2})?,(M[^,]+),(M[^,]+))?$/,
+  transition: /^M(\d{1,2})\.([1-5])\.([0-6])(?:\/([+-]?\d{1,3}(?::\d{2}){0,2}))?$/,
+  time: /^([+-])?(\d{1,3})(?::(\d{2}))?(?::(\d{2}))?$/
+}
+
+// Parses the POSIX TZ string with `Mm.w.d[/time]` transition rules
+// (e.g. 'EST5EDT,M3.2.0,M11.1.0') that is used in the time zone modules.
+// Offsets in the result are in milliseconds and positive to the east of Greenwich,
+// i.e. they have the opposite sign to the offsets in the POSIX TZ string.
+export default function tzParseRule (ruleString) {
+  var token = patterns.rule.exec(ruleString)
+
+  if (!token) {
+    throw new RangeError('Invalid time zone rule: ' + ruleString)
+  }
+
+  var stdOffset = parseOffset(token[2])
+  var rule = {
+    stdAbbreviation: parseAbbreviation(token[1]),
+    stdOffset: stdOffset
+  }
+
+  if (token[3]) {
+    rule.dstAbbreviation = parseAbbreviation(token[3])
+    rule.dstOffset = token[4] ? parseOffset(token[4]) : stdOffset + MILLISECONDS_IN_HOUR
+    rule.start = parseTransition(token[5], ruleString)
+    rule.end = parseTransition(token[6], ruleString)
+  }
+
+  return rule
+}
+
+function parseAbbreviation (abbreviation) {
+  return abbreviation.replace(/^<|>$/g, '')
+}
+
+function parseTransition (transitionString, ruleString) {
+  var token = patterns.transition.exec(transitionString)
+  var month = token && parseInt(token[1], 10)
+
+  if (!token || month < 1 || month > 12) {
+    throw new RangeError('Invalid time zone rule: ' + ruleString)
+  }
+
+  return {
+    month: month - 1,
+    week: parseInt(token[2], 10),
+    day: parseInt(token[3], 10),
+    time: token[4] ? parseTime(token[4]) : 2 * MILLISECONDS_IN_HOUR
+  }
+}
+
+// POSIX TZ offsets are positive to the west of Greenwich
+function parseOffset (offsetString) {
+  return -parseTime(offsetString) || 0
+}
+
+function parseTime (timeString) {
+  var token = patterns.time.exec(timeString)
+  var sign = token[1] === '-' ? -1 : 1
+  var hours = parseInt(token[2], 10)
+  var minutes = token[3] ? parseInt(token[3], 10) : 0
+  var seconds = token[4] ? parseInt(token[4], 10) : 0
+
+  return sign * (
+    hours * MILLISECONDS_IN_HOUR +
+    minutes * MILLISECONDS_IN_MINUTE +
+    seconds * MILLISECONDS_IN_SECOND
+  )
+}
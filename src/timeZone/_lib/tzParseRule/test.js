@@ -0,0 +1,55 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import tzParseRule from '.'
+
+describe('tzParseRule', function () {
+  it('parses the rule without daylight saving time', function () {
+    var result = tzParseRule('JST-9')
+    assert.deepEqual(result, {
+      stdAbbreviation: 'JST',
+      stdOffset: 9 * 3600000
+    })
+  })
+
+  it('parses the rule with daylight saving time', function () {
+    var result = tzParseRule('EST5EDT,M3.2.0,M11.1.0')
+    assert.deepEqual(result, {
+      stdAbbreviation: 'EST',
+      stdOffset: -5 * 3600000,
+      dstAbbreviation: 'EDT',
+      dstOffset: -4 * 3600000,
+      start: {month: 2, week: 2, day: 0, time: 2 * 3600000},
+      end: {month: 10, week: 1, day: 0, time: 2 * 3600000}
+    })
+  })
+
+  it('parses the explicit daylight saving time offset and transition times', function () {
+    var result = tzParseRule('<GMT+10:30>-10:30<GMT+11>-11,M10.1.0,M4.1.0/3:15')
+    assert.deepEqual(result, {
+      stdAbbreviation: 'GMT+10:30',
+      stdOffset: 10.5 * 3600000,
+      dstAbbreviation: 'GMT+11',
+      dstOffset: 11 * 3600000,
+      start: {month: 9, week: 1, day: 0, time: 2 * 3600000},
+      end: {month: 3, week: 1, day: 0, time: 3.25 * 3600000}
+    })
+  })
+
+  it('parses the offset with seconds', function () {
+    var result = tzParseRule('<GMT-0:44:30>0:44:30')
+    assert(result.stdOffset === -2670000)
+  })
+
+  it('returns positive zero for the zero offset', function () {
+    var result = tzParseRule('GMT0')
+    assert(1 / result.stdOffset === Infinity)
+  })
+
+  it('throws `RangeError` if the rule is invalid', function () {
+    assert.throws(tzParseRule.bind(null, 'EST'), RangeError)
+    assert.throws(tzParseRule.bind(null, 'EST5EDT,M13.1.0,M11.1.0'), RangeError)
+    assert.throws(tzParseRule.bind(null, 'EST5EDT,J60,J300'), RangeError)
+  })
+})
@@ -0,0 +1,38 @@
+// Returns the offset (in milliseconds, positive to the east of Greenwich),
+// the abbreviation and the daylight saving time flag
+// for the given timestamp in the time zone rule parsed by `tzParseRule`.
+export default function tzRuleInfo (rule, timestamp) {
+  if (!rule.start) {
+    return {offset: rule.stdOffset, abbreviation: rule.stdAbbreviation, dst: false}
+  }
+
+  var year = new Date(timestamp + rule.stdOffset).getUTCFullYear()
+  var start = getTransitionTime(rule.start, year) - rule.stdOffset
+  var end = getTransitionTime(rule.end, year) - rule.dstOffset
+
+  var dst = start < end
+    ? timestamp >= start && timestamp < end
+    : timestamp >= start || timestamp < end
+
+  return dst
+    ? {offset: rule.dstOffset, abbreviation: rule.dstAbbreviation, dst: true}
+    : {offset: rule.stdOffset, abbreviation: rule.stdAbbreviation, dst: false}
+}
+
+// Returns the wall clock time of the transition in the given year
+// as a timestamp of the same time in UTC
+function getTransitionTime (transition, year) {
+  var date = new Date(0)
+  date.setUTCFullYear(year, transition.month, 1)
+  var firstDay = date.getUTCDay()
+  var dayOfMonth = 1 + (transition.day - firstDay + 7) % 7 + (transition.week - 1) * 7
+
+  date.setUTCFullYear(year, transition.month + 1, 0)
+  var daysInMonth = date.getUTCDate()
+  while (dayOfMonth > daysInMonth) {
+    dayOfMonth -= 7
+  }
+
+  date.setUTCFullYear(year, transition.month, dayOfMonth)
+  return date.getTime() + transition.time
+}
@@ -0,0 +1,54 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import tzRuleInfo from '.'
+import tzParseRule from '../tzParseRule'
+
+describe('tzRuleInfo', function () {
+  var newYork = tzParseRule('EST5EDT,M3.2.0,M11.1.0')
+  var sydney = tzParseRule('AEST-10AEDT,M10.1.0,M4.1.0/3')
+
+  it('returns the standard time info if the rule has no daylight saving time', function () {
+    var result = tzRuleInfo(tzParseRule('JST-9'), Date.UTC(2014, 6 /* Jul */, 1))
+    assert.deepEqual(result, {offset: 9 * 3600000, abbreviation: 'JST', dst: false})
+  })
+
+  it('returns the daylight saving time info', function () {
+    var result = tzRuleInfo(newYork, Date.UTC(2014, 6 /* Jul */, 1))
+    assert.deepEqual(result, {offset: -4 * 3600000, abbreviation: 'EDT', dst: true})
+  })
+
+  it('returns the standard time info', function () {
+    var result = tzRuleInfo(newYork, Date.UTC(2014, 0 /* Jan */, 1))
+    assert.deepEqual(result, {offset: -5 * 3600000, abbreviation: 'EST', dst: false})
+  })
+
+  it('switches to the daylight saving time at the wall clock time of the transition', function () {
+    // 9 March 2014 02:00 EST
+    var transition = Date.UTC(2014, 2 /* Mar */, 9, 7)
+    assert(tzRuleInfo(newYork, transition - 1).dst === false)
+    assert(tzRuleInfo(newYork, transition).dst === true)
+  })
+
+  it('switches to the standard time at the wall clock time of the transition', function () {
+    // 2 November 2014 02:00 EDT
+    var transition = Date.UTC(2014, 10 /* Nov */, 2, 6)
+    assert(tzRuleInfo(newYork, transition - 1).dst === true)
+    assert(tzRuleInfo(newYork, transition).dst === false)
+  })
+
+  it('supports the last week of the month', function () {
+    var rule = tzParseRule('CET-1CEST,M3.5.0,M10.5.0/3')
+    // 30 March 2014 02:00 CET
+    var transition = Date.UTC(2014, 2 /* Mar */, 30, 1)
+    assert(tzRuleInfo(rule, transition - 1).dst === false)
+    assert(tzRuleInfo(rule, transition).dst === true)
+  })
+
+  it('supports the southern hemisphere', function () {
+    assert(tzRuleInfo(sydney, Date.UTC(2014, 0 /* Jan */, 1)).dst === true)
+    assert(tzRuleInfo(sydney, Date.UTC(2014, 6 /* Jul */, 1)).dst === false)
+    assert(tzRuleInfo(sydney, Date.UTC(2014, 11 /* Dec */, 31)).dst === true)
+  })
+})
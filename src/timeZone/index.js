@@ -0,0 +1,601 @@
+// This file is generated automatically by `scripts/build/indices.js`. Please, don't change it.
+
+module.exports = {
+  africaAbidjan: require('./Africa/Abidjan/index.js'),
+  africaAccra: require('./Africa/Accra/index.js'),
+  africaAddisAbaba: require('./Africa/Addis_Ababa/index.js'),
+  africaAlgiers: require('./Africa/Algiers/index.js'),
+  africaAsmara: require('./Africa/Asmara/index.js'),
+  africaAsmera: require('./Africa/Asmera/index.js'),
+  africaBamako: require('./Africa/Bamako/index.js'),
+  africaBangui: require('./Africa/Bangui/index.js'),
+  africaBanjul: require('./Africa/Banjul/index.js'),
+  africaBissau: require('./Africa/Bissau/index.js'),
+  africaBlantyre: require('./Africa/Blantyre/index.js'),
+  africaBrazzaville: require('./Africa/Brazzaville/index.js'),
+  africaBujumbura: require('./Africa/Bujumbura/index.js'),
+  africaCairo: require('./Africa/Cairo/index.js'),
+  africaCasablanca: require('./Africa/Casablanca/index.js'),
+  africaCeuta: require('./Africa/Ceuta/index.js'),
+  africaConakry: require('./Africa/Conakry/index.js'),
+  africaDakar: require('./Africa/Dakar/index.js'),
+  africaDarEsSalaam: require('./Africa/Dar_es_Salaam/index.js'),
+  africaDjibouti: require('./Africa/Djibouti/index.js'),
+  africaDouala: require('./Africa/Douala/index.js'),
+  africaElAaiun: require('./Africa/El_Aaiun/index.js'),
+  africaFreetown: require('./Africa/Freetown/index.js'),
+  africaGaborone: require('./Africa/Gaborone/index.js'),
+  africaHarare: require('./Africa/Harare/index.js'),
+  africaJohannesburg: require('./Africa/Johannesburg/index.js'),
+  africaJuba: require('./Africa/Juba/index.js'),
+  africaKampala: require('./Africa/Kampala/index.js'),
+  africaKhartoum: require('./Africa/Khartoum/index.js'),
+  africaKigali: require('./Africa/Kigali/index.js'),
+  africaKinshasa: require('./Africa/Kinshasa/index.js'),
+  africaLagos: require('./Africa/Lagos/index.js'),
+  africaLibreville: require('./Africa/Libreville/index.js'),
+  africaLome: require('./Africa/Lome/index.js'),
+  africaLuanda: require('./Africa/Luanda/index.js'),
+  africaLubumbashi: require('./Africa/Lubumbashi/index.js'),
+  africaLusaka: require('./Africa/Lusaka/index.js'),
+  africaMalabo: require('./Africa/Malabo/index.js'),
+  africaMaputo: require('./Africa/Maputo/index.js'),
+  africaMaseru: require('./Africa/Maseru/index.js'),
+  africaMbabane: require('./Africa/Mbabane/index.js'),
+  africaMogadishu: require('./Africa/Mogadishu/index.js'),
+  africaMonrovia: require('./Africa/Monrovia/index.js'),
+  africaNairobi: require('./Africa/Nairobi/index.js'),
+  africaNdjamena: require('./Africa/Ndjamena/index.js'),
+  africaNiamey: require('./Africa/Niamey/index.js'),
+  africaNouakchott: require('./Africa/Nouakchott/index.js'),
+  africaOuagadougou: require('./Africa/Ouagadougou/index.js'),
+  africaPortoNovo: require('./Africa/Porto-Novo/index.js'),
+  africaSaoTome: require('./Africa/Sao_Tome/index.js'),
+  africaTimbuktu: require('./Africa/Timbuktu/index.js'),
+  africaTripoli: require('./Africa/Tripoli/index.js'),
+  africaTunis: require('./Africa/Tunis/index.js'),
+  africaWindhoek: require('./Africa/Windhoek/index.js'),
+  americaAdak: require('./America/Adak/index.js'),
+  americaAnchorage: require('./America/Anchorage/index.js'),
+  americaAnguilla: require('./America/Anguilla/index.js'),
+  americaAntigua: require('./America/Antigua/index.js'),
+  americaAraguaina: require('./America/Araguaina/index.js'),
+  americaArgentinaBuenosAires: require('./America/Argentina/Buenos_Aires/index.js'),
+  americaArgentinaCatamarca: require('./America/Argentina/Catamarca/index.js'),
+  americaArgentinaComodRivadavia: require('./America/Argentina/ComodRivadavia/index.js'),
+  americaArgentinaCordoba: require('./America/Argentina/Cordoba/index.js'),
+  americaArgentinaJujuy: require('./America/Argentina/Jujuy/index.js'),
+  americaArgentinaLaRioja: require('./America/Argentina/La_Rioja/index.js'),
+  americaArgentinaMendoza: require('./America/Argentina/Mendoza/index.js'),
+  americaArgentinaRioGallegos: require('./America/Argentina/Rio_Gallegos/index.js'),
+  americaArgentinaSalta: require('./America/Argentina/Salta/index.js'),
+  americaArgentinaSanJuan: require('./America/Argentina/San_Juan/index.js'),
+  americaArgentinaSanLuis: require('./America/Argentina/San_Luis/index.js'),
+  americaArgentinaTucuman: require('./America/Argentina/Tucuman/index.js'),
+  americaArgentinaUshuaia: require('./America/Argentina/Ushuaia/index.js'),
+  americaAruba: require('./America/Aruba/index.js'),
+  americaAsuncion: require('./America/Asuncion/index.js'),
+  americaAtikokan: require('./America/Atikokan/index.js'),
+  americaAtka: require('./America/Atka/index.js'),
+  americaBahia: require('./America/Bahia/index.js'),
+  americaBahiaBanderas: require('./America/Bahia_Banderas/index.js'),
+  americaBarbados: require('./America/Barbados/index.js'),
+  americaBelem: require('./America/Belem/index.js'),
+  americaBelize: require('./America/Belize/index.js'),
+  americaBlancSablon: require('./America/Blanc-Sablon/index.js'),
+  americaBoaVista: require('./America/Boa_Vista/index.js'),
+  americaBogota: require('./America/Bogota/index.js'),
+  americaBoise: require('./America/Boise/index.js'),
+  americaBuenosAires: require('./America/Buenos_Aires/index.js'),
+  americaCambridgeBay: require('./America/Cambridge_Bay/index.js'),
+  americaCampoGrande: require('./America/Campo_Grande/index.js'),
+  americaCancun: require('./America/Cancun/index.js'),
+  americaCaracas: require('./America/Caracas/index.js'),
+  americaCatamarca: require('./America/Catamarca/index.js'),
+  americaCayenne: require('./America/Cayenne/index.js'),
+  americaCayman: require('./America/Cayman/index.js'),
+  americaChicago: require('./America/Chicago/index.js'),
+  americaChihuahua: require('./America/Chihuahua/index.js'),
+  americaCiudadJuarez: require('./America/Ciudad_Juarez/index.js'),
+  americaCoralHarbour: require('./America/Coral_Harbour/index.js'),
+  americaCordoba: require('./America/Cordoba/index.js'),
+  americaCostaRica: require('./America/Costa_Rica/index.js'),
+  americaCoyhaique: require('./America/Coyhaique/index.js'),
+  americaCreston: require('./America/Creston/index.js'),
+  americaCuiaba: require('./America/Cuiaba/index.js'),
+  americaCuracao: require('./America/Curacao/index.js'),
+  americaDanmarkshavn: require('./America/Danmarkshavn/index.js'),
+  americaDawson: require('./America/Dawson/index.js'),
+  americaDawsonCreek: require('./America/Dawson_Creek/index.js'),
+  americaDenver: require('./America/Denver/index.js'),
+  americaDetroit: require('./America/Detroit/index.js'),
+  americaDominica: require('./America/Dominica/index.js'),
+  americaEdmonton: require('./America/Edmonton/index.js'),
+  americaEirunepe: require('./America/Eirunepe/index.js'),
+  americaElSalvador: require('./America/El_Salvador/index.js'),
+  americaEnsenada: require('./America/Ensenada/index.js'),
+  americaFortNelson: require('./America/Fort_Nelson/index.js'),
+  americaFortWayne: require('./America/Fort_Wayne/index.js'),
+  americaFortaleza: require('./America/Fortaleza/index.js'),
+  americaGlaceBay: require('./America/Glace_Bay/index.js'),
+  americaGodthab: require('./America/Godthab/index.js'),
+  americaGooseBay: require('./America/Goose_Bay/index.js'),
+  americaGrandTurk: require('./America/Grand_Turk/index.js'),
+  americaGrenada: require('./America/Grenada/index.js'),
+  americaGuadeloupe: require('./America/Guadeloupe/index.js'),
+  americaGuatemala: require('./America/Guatemala/index.js'),
+  americaGuayaquil: require('./America/Guayaquil/index.js'),
+  americaGuyana: require('./America/Guyana/index.js'),
+  americaHalifax: require('./America/Halifax/index.js'),
+  americaHavana: require('./America/Havana/index.js'),
+  americaHermosillo: require('./America/Hermosillo/index.js'),
+  americaIndianaIndianapolis: require('./America/Indiana/Indianapolis/index.js'),
+  americaIndianaKnox: require('./America/Indiana/Knox/index.js'),
+  americaIndianaMarengo: require('./America/Indiana/Marengo/index.js'),
+  americaIndianaPetersburg: require('./America/Indiana/Petersburg/index.js'),
+  americaIndianaTellCity: require('./America/Indiana/Tell_City/index.js'),
+  americaIndianaVevay: require('./America/Indiana/Vevay/index.js'),
+  americaIndianaVincennes: require('./America/Indiana/Vincennes/index.js'),
+  americaIndianaWinamac: require('./America/Indiana/Winamac/index.js'),
+  americaIndianapolis: require('./America/Indianapolis/index.js'),
+  americaInuvik: require('./America/Inuvik/index.js'),
+  americaIqaluit: require('./America/Iqaluit/index.js'),
+  americaJamaica: require('./America/Jamaica/index.js'),
+  americaJujuy: require('./America/Jujuy/index.js'),
+  americaJuneau: require('./America/Juneau/index.js'),
+  americaKentuckyLouisville: require('./America/Kentucky/Louisville/index.js'),
+  americaKentuckyMonticello: require('./America/Kentucky/Monticello/index.js'),
+  americaKnoxIN: require('./America/Knox_IN/index.js'),
+  americaKralendijk: require('./America/Kralendijk/index.js'),
+  americaLaPaz: require('./America/La_Paz/index.js'),
+  americaLima: require('./America/Lima/index.js'),
+  americaLosAngeles: require('./America/Los_Angeles/index.js'),
+  americaLouisville: require('./America/Louisville/index.js'),
+  americaLowerPrinces: require('./America/Lower_Princes/index.js'),
+  americaMaceio: require('./America/Maceio/index.js'),
+  americaManagua: require('./America/Managua/index.js'),
+  americaManaus: require('./America/Manaus/index.js'),
+  americaMarigot: require('./America/Marigot/index.js'),
+  americaMartinique: require('./America/Martinique/index.js'),
+  americaMatamoros: require('./America/Matamoros/index.js'),
+  americaMazatlan: require('./America/Mazatlan/index.js'),
+  americaMendoza: require('./America/Mendoza/index.js'),
+  americaMenominee: require('./America/Menominee/index.js'),
+  americaMerida: require('./America/Merida/index.js'),
+  americaMetlakatla: require('./America/Metlakatla/index.js'),
+  americaMexicoCity: require('./America/Mexico_City/index.js'),
+  americaMiquelon: require('./America/Miquelon/index.js'),
+  americaMoncton: require('./America/Moncton/index.js'),
+  americaMonterrey: require('./America/Monterrey/index.js'),
+  americaMontevideo: require('./America/Montevideo/index.js'),
+  americaMontreal: require('./America/Montreal/index.js'),
+  americaMontserrat: require('./America/Montserrat/index.js'),
+  americaNassau: require('./America/Nassau/index.js'),
+  americaNewYork: require('./America/New_York/index.js'),
+  americaNipigon: require('./America/Nipigon/index.js'),
+  americaNome: require('./America/Nome/index.js'),
+  americaNoronha: require('./America/Noronha/index.js'),
+  americaNorthDakotaBeulah: require('./America/North_Dakota/Beulah/index.js'),
+  americaNorthDakotaCenter: require('./America/North_Dakota/Center/index.js'),
+  americaNorthDakotaNewSalem: require('./America/North_Dakota/New_Salem/index.js'),
+  americaNuuk: require('./America/Nuuk/index.js'),
+  americaOjinaga: require('./America/Ojinaga/index.js'),
+  americaPanama: require('./America/Panama/index.js'),
+  americaPangnirtung: require('./America/Pangnirtung/index.js'),
+  americaParamaribo: require('./America/Paramaribo/index.js'),
+  americaPhoenix: require('./America/Phoenix/index.js'),
+  americaPortAuPrince: require('./America/Port-au-Prince/index.js'),
+  americaPortOfSpain: require('./America/Port_of_Spain/index.js'),
+  americaPortoAcre: require('./America/Porto_Acre/index.js'),
+  americaPortoVelho: require('./America/Porto_Velho/index.js'),
+  americaPuertoRico: require('./America/Puerto_Rico/index.js'),
+  americaPuntaArenas: require('./America/Punta_Arenas/index.js'),
+  americaRainyRiver: require('./America/Rainy_River/index.js'),
+  americaRankinInlet: require('./America/Rankin_Inlet/index.js'),
+  americaRecife: require('./America/Recife/index.js'),
+  americaRegina: require('./America/Regina/index.js'),
+  americaResolute: require('./America/Resolute/index.js'),
+  americaRioBranco: require('./America/Rio_Branco/index.js'),
+  americaRosario: require('./America/Rosario/index.js'),
+  americaSantaIsabel: require('./America/Santa_Isabel/index.js'),
+  americaSantarem: require('./America/Santarem/index.js'),
+  americaSantiago: require('./America/Santiago/index.js'),
+  americaSantoDomingo: require('./America/Santo_Domingo/index.js'),
+  americaSaoPaulo: require('./America/Sao_Paulo/index.js'),
+  americaScoresbysund: require('./America/Scoresbysund/index.js'),
+  americaShiprock: require('./America/Shiprock/index.js'),
+  americaSitka: require('./America/Sitka/index.js'),
+  americaStBarthelemy: require('./America/St_Barthelemy/index.js'),
+  americaStJohns: require('./America/St_Johns/index.js'),
+  americaStKitts: require('./America/St_Kitts/index.js'),
+  americaStLucia: require('./America/St_Lucia/index.js'),
+  americaStThomas: require('./America/St_Thomas/index.js'),
+  americaStVincent: require('./America/St_Vincent/index.js'),
+  americaSwiftCurrent: require('./America/Swift_Current/index.js'),
+  americaTegucigalpa: require('./America/Tegucigalpa/index.js'),
+  americaThule: require('./America/Thule/index.js'),
+  americaThunderBay: require('./America/Thunder_Bay/index.js'),
+  americaTijuana: require('./America/Tijuana/index.js'),
+  americaToronto: require('./America/Toronto/index.js'),
+  americaTortola: require('./America/Tortola/index.js'),
+  americaVancouver: require('./America/Vancouver/index.js'),
+  americaVirgin: require('./America/Virgin/index.js'),
+  americaWhitehorse: require('./America/Whitehorse/index.js'),
+  americaWinnipeg: require('./America/Winnipeg/index.js'),
+  americaYakutat: require('./America/Yakutat/index.js'),
+  americaYellowknife: require('./America/Yellowknife/index.js'),
+  antarcticaCasey: require('./Antarctica/Casey/index.js'),
+  antarcticaDavis: require('./Antarctica/Davis/index.js'),
+  antarcticaDumontDUrville: require('./Antarctica/DumontDUrville/index.js'),
+  antarcticaMacquarie: require('./Antarctica/Macquarie/index.js'),
+  antarcticaMawson: require('./Antarctica/Mawson/index.js'),
+  antarcticaMcMurdo: require('./Antarctica/McMurdo/index.js'),
+  antarcticaPalmer: require('./Antarctica/Palmer/index.js'),
+  antarcticaRothera: require('./Antarctica/Rothera/index.js'),
+  antarcticaSouthPole: require('./Antarctica/South_Pole/index.js'),
+  antarcticaSyowa: require('./Antarctica/Syowa/index.js'),
+  antarcticaTroll: require('./Antarctica/Troll/index.js'),
+  antarcticaVostok: require('./Antarctica/Vostok/index.js'),
+  arcticLongyearbyen: require('./Arctic/Longyearbyen/index.js'),
+  asiaAden: require('./Asia/Aden/index.js'),
+  asiaAlmaty: require('./Asia/Almaty/index.js'),
+  asiaAmman: require('./Asia/Amman/index.js'),
+  asiaAnadyr: require('./Asia/Anadyr/index.js'),
+  asiaAqtau: require('./Asia/Aqtau/index.js'),
+  asiaAqtobe: require('./Asia/Aqtobe/index.js'),
+  asiaAshgabat: require('./Asia/Ashgabat/index.js'),
+  asiaAshkhabad: require('./Asia/Ashkhabad/index.js'),
+  asiaAtyrau: require('./Asia/Atyrau/index.js'),
+  asiaBaghdad: require('./Asia/Baghdad/index.js'),
+  asiaBahrain: require('./Asia/Bahrain/index.js'),
+  asiaBaku: require('./Asia/Baku/index.js'),
+  asiaBangkok: require('./Asia/Bangkok/index.js'),
+  asiaBarnaul: require('./Asia/Barnaul/index.js'),
+  asiaBeirut: require('./Asia/Beirut/index.js'),
+  asiaBishkek: require('./Asia/Bishkek/index.js'),
+  asiaBrunei: require('./Asia/Brunei/index.js'),
+  asiaCalcutta: require('./Asia/Calcutta/index.js'),
+  asiaChita: require('./Asia/Chita/index.js'),
+  asiaChoibalsan: require('./Asia/Choibalsan/index.js'),
+  asiaChongqing: require('./Asia/Chongqing/index.js'),
+  asiaChungking: require('./Asia/Chungking/index.js'),
+  asiaColombo: require('./Asia/Colombo/index.js'),
+  asiaDacca: require('./Asia/Dacca/index.js'),
+  asiaDamascus: require('./Asia/Damascus/index.js'),
+  asiaDhaka: require('./Asia/Dhaka/index.js'),
+  asiaDili: require('./Asia/Dili/index.js'),
+  asiaDubai: require('./Asia/Dubai/index.js'),
+  asiaDushanbe: require('./Asia/Dushanbe/index.js'),
+  asiaFamagusta: require('./Asia/Famagusta/index.js'),
+  asiaGaza: require('./Asia/Gaza/index.js'),
+  asiaHarbin: require('./Asia/Harbin/index.js'),
+  asiaHebron: require('./Asia/Hebron/index.js'),
+  asiaHoChiMinh: require('./Asia/Ho_Chi_Minh/index.js'),
+  asiaHongKong: require('./Asia/Hong_Kong/index.js'),
+  asiaHovd: require('./Asia/Hovd/index.js'),
+  asiaIrkutsk: require('./Asia/Irkutsk/index.js'),
+  asiaIstanbul: require('./Asia/Istanbul/index.js'),
+  asiaJakarta: require('./Asia/Jakarta/index.js'),
+  asiaJayapura: require('./Asia/Jayapura/index.js'),
+  asiaJerusalem: require('./Asia/Jerusalem/index.js'),
+  asiaKabul: require('./Asia/Kabul/index.js'),
+  asiaKamchatka: require('./Asia/Kamchatka/index.js'),
+  asiaKarachi: require('./Asia/Karachi/index.js'),
+  asiaKashgar: require('./Asia/Kashgar/index.js'),
+  asiaKathmandu: require('./Asia/Kathmandu/index.js'),
+  asiaKatmandu: require('./Asia/Katmandu/index.js'),
+  asiaKhandyga: require('./Asia/Khandyga/index.js'),
+  asiaKolkata: require('./Asia/Kolkata/index.js'),
+  asiaKrasnoyarsk: require('./Asia/Krasnoyarsk/index.js'),
+  asiaKualaLumpur: require('./Asia/Kuala_Lumpur/index.js'),
+  asiaKuching: require('./Asia/Kuching/index.js'),
+  asiaKuwait: require('./Asia/Kuwait/index.js'),
+  asiaMacao: require('./Asia/Macao/index.js'),
+  asiaMacau: require('./Asia/Macau/index.js'),
+  asiaMagadan: require('./Asia/Magadan/index.js'),
+  asiaMakassar: require('./Asia/Makassar/index.js'),
+  asiaManila: require('./Asia/Manila/index.js'),
+  asiaMuscat: require('./Asia/Muscat/index.js'),
+  asiaNicosia: require('./Asia/Nicosia/index.js'),
+  asiaNovokuznetsk: require('./Asia/Novokuznetsk/index.js'),
+  asiaNovosibirsk: require('./Asia/Novosibirsk/index.js'),
+  asiaOmsk: require('./Asia/Omsk/index.js'),
+  asiaOral: require('./Asia/Oral/index.js'),
+  asiaPhnomPenh: require('./Asia/Phnom_Penh/index.js'),
+  asiaPontianak: require('./Asia/Pontianak/index.js'),
+  asiaPyongyang: require('./Asia/Pyongyang/index.js'),
+  asiaQatar: require('./Asia/Qatar/index.js'),
+  asiaQostanay: require('./Asia/Qostanay/index.js'),
+  asiaQyzylorda: require('./Asia/Qyzylorda/index.js'),
+  asiaRangoon: require('./Asia/Rangoon/index.js'),
+  asiaRiyadh: require('./Asia/Riyadh/index.js'),
+  asiaSaigon: require('./Asia/Saigon/index.js'),
+  asiaSakhalin: require('./Asia/Sakhalin/index.js'),
+  asiaSamarkand: require('./Asia/Samarkand/index.js'),
+  asiaSeoul: require('./Asia/Seoul/index.js'),
+  asiaShanghai: require('./Asia/Shanghai/index.js'),
+  asiaSingapore: require('./Asia/Singapore/index.js'),
+  asiaSrednekolymsk: require('./Asia/Srednekolymsk/index.js'),
+  asiaTaipei: require('./Asia/Taipei/index.js'),
+  asiaTashkent: require('./Asia/Tashkent/index.js'),
+  asiaTbilisi: require('./Asia/Tbilisi/index.js'),
+  asiaTehran: require('./Asia/Tehran/index.js'),
+  asiaTelAviv: require('./Asia/Tel_Aviv/index.js'),
+  asiaThimbu: require('./Asia/Thimbu/index.js'),
+  asiaThimphu: require('./Asia/Thimphu/index.js'),
+  asiaTokyo: require('./Asia/Tokyo/index.js'),
+  asiaTomsk: require('./Asia/Tomsk/index.js'),
+  asiaUjungPandang: require('./Asia/Ujung_Pandang/index.js'),
+  asiaUlaanbaatar: require('./Asia/Ulaanbaatar/index.js'),
+  asiaUlanBator: require('./Asia/Ulan_Bator/index.js'),
+  asiaUrumqi: require('./Asia/Urumqi/index.js'),
+  asiaUstNera: require('./Asia/Ust-Nera/index.js'),
+  asiaVientiane: require('./Asia/Vientiane/index.js'),
+  asiaVladivostok: require('./Asia/Vladivostok/index.js'),
+  asiaYakutsk: require('./Asia/Yakutsk/index.js'),
+  asiaYangon: require('./Asia/Yangon/index.js'),
+  asiaYekaterinburg: require('./Asia/Yekaterinburg/index.js'),
+  asiaYerevan: require('./Asia/Yerevan/index.js'),
+  atlanticAzores: require('./Atlantic/Azores/index.js'),
+  atlanticBermuda: require('./Atlantic/Bermuda/index.js'),
+  atlanticCanary: require('./Atlantic/Canary/index.js'),
+  atlanticCapeVerde: require('./Atlantic/Cape_Verde/index.js'),
+  atlanticFaeroe: require('./Atlantic/Faeroe/index.js'),
+  atlanticFaroe: require('./Atlantic/Faroe/index.js'),
+  atlanticJanMayen: require('./Atlantic/Jan_Mayen/index.js'),
+  atlanticMadeira: require('./Atlantic/Madeira/index.js'),
+  atlanticReykjavik: require('./Atlantic/Reykjavik/index.js'),
+  atlanticSouthGeorgia: require('./Atlantic/South_Georgia/index.js'),
+  atlanticStHelena: require('./Atlantic/St_Helena/index.js'),
+  atlanticStanley: require('./Atlantic/Stanley/index.js'),
+  australiaACT: require('./Australia/ACT/index.js'),
+  australiaAdelaide: require('./Australia/Adelaide/index.js'),
+  australiaBrisbane: require('./Australia/Brisbane/index.js'),
+  australiaBrokenHill: require('./Australia/Broken_Hill/index.js'),
+  australiaCanberra: require('./Australia/Canberra/index.js'),
+  australiaCurrie: require('./Australia/Currie/index.js'),
+  australiaDarwin: require('./Australia/Darwin/index.js'),
+  australiaEucla: require('./Australia/Eucla/index.js'),
+  australiaHobart: require('./Australia/Hobart/index.js'),
+  australiaLHI: require('./Australia/LHI/index.js'),
+  australiaLindeman: require('./Australia/Lindeman/index.js'),
+  australiaLordHowe: require('./Australia/Lord_Howe/index.js'),
+  australiaMelbourne: require('./Australia/Melbourne/index.js'),
+  australiaNSW: require('./Australia/NSW/index.js'),
+  australiaNorth: require('./Australia/North/index.js'),
+  australiaPerth: require('./Australia/Perth/index.js'),
+  australiaQueensland: require('./Australia/Queensland/index.js'),
+  australiaSouth: require('./Australia/South/index.js'),
+  australiaSydney: require('./Australia/Sydney/index.js'),
+  australiaTasmania: require('./Australia/Tasmania/index.js'),
+  australiaVictoria: require('./Australia/Victoria/index.js'),
+  australiaWest: require('./Australia/West/index.js'),
+  australiaYancowinna: require('./Australia/Yancowinna/index.js'),
+  brazilAcre: require('./Brazil/Acre/index.js'),
+  brazilDeNoronha: require('./Brazil/DeNoronha/index.js'),
+  brazilEast: require('./Brazil/East/index.js'),
+  brazilWest: require('./Brazil/West/index.js'),
+  cet: require('./CET/index.js'),
+  cst6cdt: require('./CST6CDT/index.js'),
+  canadaAtlantic: require('./Canada/Atlantic/index.js'),
+  canadaCentral: require('./Canada/Central/index.js'),
+  canadaEastern: require('./Canada/Eastern/index.js'),
+  canadaMountain: require('./Canada/Mountain/index.js'),
+  canadaNewfoundland: require('./Canada/Newfoundland/index.js'),
+  canadaPacific: require('./Canada/Pacific/index.js'),
+  canadaSaskatchewan: require('./Canada/Saskatchewan/index.js'),
+  canadaYukon: require('./Canada/Yukon/index.js'),
+  chileContinental: require('./Chile/Continental/index.js'),
+  chileEasterIsland: require('./Chile/EasterIsland/index.js'),
+  cuba: require('./Cuba/index.js'),
+  eet: require('./EET/index.js'),
+  est: require('./EST/index.js'),
+  est5edt: require('./EST5EDT/index.js'),
+  egypt: require('./Egypt/index.js'),
+  eire: require('./Eire/index.js'),
+  etcGMT: require('./Etc/GMT/index.js'),
+  etcGMTPlus0: require('./Etc/GMT+0/index.js'),
+  etcGMTPlus1: require('./Etc/GMT+1/index.js'),
+  etcGMTPlus10: require('./Etc/GMT+10/index.js'),
+  etcGMTPlus11: require('./Etc/GMT+11/index.js'),
+  etcGMTPlus12: require('./Etc/GMT+12/index.js'),
+  etcGMTPlus2: require('./Etc/GMT+2/index.js'),
+  etcGMTPlus3: require('./Etc/GMT+3/index.js'),
+  etcGMTPlus4: require('./Etc/GMT+4/index.js'),
+  etcGMTPlus5: require('./Etc/GMT+5/index.js'),
+  etcGMTPlus6: require('./Etc/GMT+6/index.js'),
+  etcGMTPlus7: require('./Etc/GMT+7/index.js'),
+  etcGMTPlus8: require('./Etc/GMT+8/index.js'),
+  etcGMTPlus9: require('./Etc/GMT+9/index.js'),
+  etcGMTMinus0: require('./Etc/GMT-0/index.js'),
+  etcGMTMinus1: require('./Etc/GMT-1/index.js'),
+  etcGMTMinus10: require('./Etc/GMT-10/index.js'),
+  etcGMTMinus11: require('./Etc/GMT-11/index.js'),
+  etcGMTMinus12: require('./Etc/GMT-12/index.js'),
+  etcGMTMinus13: require('./Etc/GMT-13/index.js'),
+  etcGMTMinus14: require('./Etc/GMT-14/index.js'),
+  etcGMTMinus2: require('./Etc/GMT-2/index.js'),
+  etcGMTMinus3: require('./Etc/GMT-3/index.js'),
+  etcGMTMinus4: require('./Etc/GMT-4/index.js'),
+  etcGMTMinus5: require('./Etc/GMT-5/index.js'),
+  etcGMTMinus6: require('./Etc/GMT-6/index.js'),
+  etcGMTMinus7: require('./Etc/GMT-7/index.js'),
+  etcGMTMinus8: require('./Etc/GMT-8/index.js'),
+  etcGMTMinus9: require('./Etc/GMT-9/index.js'),
+  etcGMT0: require('./Etc/GMT0/index.js'),
+  etcGreenwich: require('./Etc/Greenwich/index.js'),
+  etcUCT: require('./Etc/UCT/index.js'),
+  etcUTC: require('./Etc/UTC/index.js'),
+  etcUniversal: require('./Etc/Universal/index.js'),
+  etcZulu: require('./Etc/Zulu/index.js'),
+  europeAmsterdam: require('./Europe/Amsterdam/index.js'),
+  europeAndorra: require('./Europe/Andorra/index.js'),
+  europeAstrakhan: require('./Europe/Astrakhan/index.js'),
+  europeAthens: require('./Europe/Athens/index.js'),
+  europeBelfast: require('./Europe/Belfast/index.js'),
+  europeBelgrade: require('./Europe/Belgrade/index.js'),
+  europeBerlin: require('./Europe/Berlin/index.js'),
+  europeBratislava: require('./Europe/Bratislava/index.js'),
+  europeBrussels: require('./Europe/Brussels/index.js'),
+  europeBucharest: require('./Europe/Bucharest/index.js'),
+  europeBudapest: require('./Europe/Budapest/index.js'),
+  europeBusingen: require('./Europe/Busingen/index.js'),
+  europeChisinau: require('./Europe/Chisinau/index.js'),
+  europeCopenhagen: require('./Europe/Copenhagen/index.js'),
+  europeDublin: require('./Europe/Dublin/index.js'),
+  europeGibraltar: require('./Europe/Gibraltar/index.js'),
+  europeGuernsey: require('./Europe/Guernsey/index.js'),
+  europeHelsinki: require('./Europe/Helsinki/index.js'),
+  europeIsleOfMan: require('./Europe/Isle_of_Man/index.js'),
+  europeIstanbul: require('./Europe/Istanbul/index.js'),
+  europeJersey: require('./Europe/Jersey/index.js'),
+  europeKaliningrad: require('./Europe/Kaliningrad/index.js'),
+  europeKiev: require('./Europe/Kiev/index.js'),
+  europeKirov: require('./Europe/Kirov/index.js'),
+  europeKyiv: require('./Europe/Kyiv/index.js'),
+  europeLisbon: require('./Europe/Lisbon/index.js'),
+  europeLjubljana: require('./Europe/Ljubljana/index.js'),
+  europeLondon: require('./Europe/London/index.js'),
+  europeLuxembourg: require('./Europe/Luxembourg/index.js'),
+  europeMadrid: require('./Europe/Madrid/index.js'),
+  europeMalta: require('./Europe/Malta/index.js'),
+  europeMariehamn: require('./Europe/Mariehamn/index.js'),
+  europeMinsk: require('./Europe/Minsk/index.js'),
+  europeMonaco: require('./Europe/Monaco/index.js'),
+  europeMoscow: require('./Europe/Moscow/index.js'),
+  europeNicosia: require('./Europe/Nicosia/index.js'),
+  europeOslo: require('./Europe/Oslo/index.js'),
+  europeParis: require('./Europe/Paris/index.js'),
+  europePodgorica: require('./Europe/Podgorica/index.js'),
+  europePrague: require('./Europe/Prague/index.js'),
+  europeRiga: require('./Europe/Riga/index.js'),
+  europeRome: require('./Europe/Rome/index.js'),
+  europeSamara: require('./Europe/Samara/index.js'),
+  europeSanMarino: require('./Europe/San_Marino/index.js'),
+  europeSarajevo: require('./Europe/Sarajevo/index.js'),
+  europeSaratov: require('./Europe/Saratov/index.js'),
+  europeSimferopol: require('./Europe/Simferopol/index.js'),
+  europeSkopje: require('./Europe/Skopje/index.js'),
+  europeSofia: require('./Europe/Sofia/index.js'),
+  europeStockholm: require('./Europe/Stockholm/index.js'),
+  europeTallinn: require('./Europe/Tallinn/index.js'),
+  europeTirane: require('./Europe/Tirane/index.js'),
+  europeTiraspol: require('./Europe/Tiraspol/index.js'),
+  europeUlyanovsk: require('./Europe/Ulyanovsk/index.js'),
+  europeUzhgorod: require('./Europe/Uzhgorod/index.js'),
+  europeVaduz: require('./Europe/Vaduz/index.js'),
+  europeVatican: require('./Europe/Vatican/index.js'),
+  europeVienna: require('./Europe/Vienna/index.js'),
+  europeVilnius: require('./Europe/Vilnius/index.js'),
+  europeVolgograd: require('./Europe/Volgograd/index.js'),
+  europeWarsaw: require('./Europe/Warsaw/index.js'),
+  europeZagreb: require('./Europe/Zagreb/index.js'),
+  europeZaporozhye: require('./Europe/Zaporozhye/index.js'),
+  europeZurich: require('./Europe/Zurich/index.js'),
+  gb: require('./GB/index.js'),
+  gbEire: require('./GB-Eire/index.js'),
+  gmt: require('./GMT/index.js'),
+  gmtPlus0: require('./GMT+0/index.js'),
+  gmtMinus0: require('./GMT-0/index.js'),
+  gmt0: require('./GMT0/index.js'),
+  greenwich: require('./Greenwich/index.js'),
+  hst: require('./HST/index.js'),
+  hongkong: require('./Hongkong/index.js'),
+  iceland: require('./Iceland/index.js'),
+  indianAntananarivo: require('./Indian/Antananarivo/index.js'),
+  indianChagos: require('./Indian/Chagos/index.js'),
+  indianChristmas: require('./Indian/Christmas/index.js'),
+  indianCocos: require('./Indian/Cocos/index.js'),
+  indianComoro: require('./Indian/Comoro/index.js'),
+  indianKerguelen: require('./Indian/Kerguelen/index.js'),
+  indianMahe: require('./Indian/Mahe/index.js'),
+  indianMaldives: require('./Indian/Maldives/index.js'),
+  indianMauritius: require('./Indian/Mauritius/index.js'),
+  indianMayotte: require('./Indian/Mayotte/index.js'),
+  indianReunion: require('./Indian/Reunion/index.js'),
+  iran: require('./Iran/index.js'),
+  israel: require('./Israel/index.js'),
+  jamaica: require('./Jamaica/index.js'),
+  japan: require('./Japan/index.js'),
+  kwajalein: require('./Kwajalein/index.js'),
+  libya: require('./Libya/index.js'),
+  met: require('./MET/index.js'),
+  mst: require('./MST/index.js'),
+  mst7mdt: require('./MST7MDT/index.js'),
+  mexicoBajaNorte: require('./Mexico/BajaNorte/index.js'),
+  mexicoBajaSur: require('./Mexico/BajaSur/index.js'),
+  mexicoGeneral: require('./Mexico/General/index.js'),
+  nz: require('./NZ/index.js'),
+  nzCHAT: require('./NZ-CHAT/index.js'),
+  navajo: require('./Navajo/index.js'),
+  prc: require('./PRC/index.js'),
+  pst8pdt: require('./PST8PDT/index.js'),
+  pacificApia: require('./Pacific/Apia/index.js'),
+  pacificAuckland: require('./Pacific/Auckland/index.js'),
+  pacificBougainville: require('./Pacific/Bougainville/index.js'),
+  pacificChatham: require('./Pacific/Chatham/index.js'),
+  pacificChuuk: require('./Pacific/Chuuk/index.js'),
+  pacificEaster: require('./Pacific/Easter/index.js'),
+  pacificEfate: require('./Pacific/Efate/index.js'),
+  pacificEnderbury: require('./Pacific/Enderbury/index.js'),
+  pacificFakaofo: require('./Pacific/Fakaofo/index.js'),
+  pacificFiji: require('./Pacific/Fiji/index.js'),
+  pacificFunafuti: require('./Pacific/Funafuti/index.js'),
+  pacificGalapagos: require('./Pacific/Galapagos/index.js'),
+  pacificGambier: require('./Pacific/Gambier/index.js'),
+  pacificGuadalcanal: require('./Pacific/Guadalcanal/index.js'),
+  pacificGuam: require('./Pacific/Guam/index.js'),
+  pacificHonolulu: require('./Pacific/Honolulu/index.js'),
+  pacificJohnston: require('./Pacific/Johnston/index.js'),
+  pacificKanton: require('./Pacific/Kanton/index.js'),
+  pacificKiritimati: require('./Pacific/Kiritimati/index.js'),
+  pacificKosrae: require('./Pacific/Kosrae/index.js'),
+  pacificKwajalein: require('./Pacific/Kwajalein/index.js'),
+  pacificMajuro: require('./Pacific/Majuro/index.js'),
+  pacificMarquesas: require('./Pacific/Marquesas/index.js'),
+  pacificMidway: require('./Pacific/Midway/index.js'),
+  pacificNauru: require('./Pacific/Nauru/index.js'),
+  pacificNiue: require('./Pacific/Niue/index.js'),
+  pacificNorfolk: require('./Pacific/Norfolk/index.js'),
+  pacificNoumea: require('./Pacific/Noumea/index.js'),
+  pacificPagoPago: require('./Pacific/Pago_Pago/index.js'),
+  pacificPalau: require('./Pacific/Palau/index.js'),
+  pacificPitcairn: require('./Pacific/Pitcairn/index.js'),
+  pacificPohnpei: require('./Pacific/Pohnpei/index.js'),
+  pacificPonape: require('./Pacific/Ponape/index.js'),
+  pacificPortMoresby: require('./Pacific/Port_Moresby/index.js'),
+  pacificRarotonga: require('./Pacific/Rarotonga/index.js'),
+  pacificSaipan: require('./Pacific/Saipan/index.js'),
+  pacificSamoa: require('./Pacific/Samoa/index.js'),
+  pacificTahiti: require('./Pacific/Tahiti/index.js'),
+  pacificTarawa: require('./Pacific/Tarawa/index.js'),
+  pacificTongatapu: require('./Pacific/Tongatapu/index.js'),
+  pacificTruk: require('./Pacific/Truk/index.js'),
+  pacificWake: require('./Pacific/Wake/index.js'),
+  pacificWallis: require('./Pacific/Wallis/index.js'),
+  pacificYap: require('./Pacific/Yap/index.js'),
+  poland: require('./Poland/index.js'),
+  portugal: require('./Portugal/index.js'),
+  roc: require('./ROC/index.js'),
+  rok: require('./ROK/index.js'),
+  singapore: require('./Singapore/index.js'),
+  turkey: require('./Turkey/index.js'),
+  uct: require('./UCT/index.js'),
+  usAlaska: require('./US/Alaska/index.js'),
+  usAleutian: require('./US/Aleutian/index.js'),
+  usArizona: require('./US/Arizona/index.js'),
+  usCentral: require('./US/Central/index.js'),
+  usEastIndiana: require('./US/East-Indiana/index.js'),
+  usEastern: require('./US/Eastern/index.js'),
+  usHawaii: require('./US/Hawaii/index.js'),
+  usIndianaStarke: require('./US/Indiana-Starke/index.js'),
+  usMichigan: require('./US/Michigan/index.js'),
+  usMountain: require('./US/Mountain/index.js'),
+  usPacific: require('./US/Pacific/index.js'),
+  usSamoa: require('./US/Samoa/index.js'),
+  utc: require('./UTC/index.js'),
+  universal: require('./Universal/index.js'),
+  wSU: require('./W-SU/index.js'),
+  wet: require('./WET/index.js'),
+  zulu: require('./Zulu/index.js')
+}
@@ -0,0 +1,16 @@
+// @flow
+/* eslint-env mocha */
+/* global suite, benchmark */
+
+import toZonedTime from '.'
+import newYork from '../timeZone/America/New_York'
+
+suite('toZonedTime', function () {
+  benchmark('date-fns', function () {
+    return toZonedTime(this.date, newYork)
+  })
+}, {
+  setup: function () {
+    this.date = new Date()
+  }
+})
@@ -0,0 +1,53 @@
+import toDate from '../toDate/index.js'
+import tzToWallTime from '../_lib/tzToWallTime/index.js'
+
+/**
+ * @name toZonedTime
+ * @category Time Zone Helpers
+ * @summary Get the date with the wall clock time of the given time zone.
+ *
+ * @description
+ * Return the date which local time equals the wall clock time in the given time zone
+ * at the moment of the given date. The result is meant to be used with functions
+ * that work with the local time (e.g. `getHours` or `format`), not as a moment in time.
+ *
+ * The time zone is either a time zone object imported from `date-fns/timeZone`
+ * (e.g. `date-fns/timeZone/America/New_York`) or an offset from UTC (e.g. `'UTC'`, `'+05:30'` or `'-0800'`).
+ * Each time zone is a separate module, so only the imported zones are bundled.
+ * Their rules are generated from the IANA time zone database and cover the years since 1970.
+ *
+ * The inverse function is `fromZonedTime`.
+ *
+ * @param {Date|String|Number} date - the original date
+ * @param {TimeZone|String} timeZone - the time zone object or the offset from UTC. See [TimeZone]{@link https://date-fns.org/docs/TimeZone}
+ * @param {Options} [options] - the object with options. See [Options]{@link https://date-fns.org/docs/Options}
+ * @param {0|1|2} [options.additionalDigits=2] - passed to `toDate`. See [toDate]{@link https://date-fns.org/docs/toDate}
+ * @returns {Date} the date with the wall clock time of the time zone
+ * @throws {TypeError} 2 arguments required
+ * @throws {RangeError} `options.additionalDigits` must be 0, 1 or 2
+ * @throws {RangeError} `timeZone` must be a time zone object from `date-fns/timeZone` or an offset from UTC
+ *
+ * @example
+ * // What time is it in Tokyo at 10 September 2014 20:00:00 UTC?
+ * import tokyo from 'date-fns/timeZone/Asia/Tokyo'
+ * var result = toZonedTime(new Date(Date.UTC(2014, 8, 10, 20)), tokyo)
+ * //=> Thu Sep 11 2014 05:00:00
+ */
+export default function toZonedTime (dirtyDate, dirtyTimeZone, dirtyOptions) {
+  if (arguments.length < 2) {
+    throw new TypeError('2 arguments required, but only ' + arguments.length + ' present')
+  }
+
+  var date = toDate(dirtyDate, dirtyOptions)
+  var wallTime = new Date(tzToWallTime(date.getTime(), dirtyTimeZone))
+
+  var result = new Date(0)
+  result.setFullYear(wallTime.getUTCFullYear(), wallTime.getUTCMonth(), wallTime.getUTCDate())
+  result.setHours(
+    wallTime.getUTCHours(),
+    wallTime.getUTCMinutes(),
+    wallTime.getUTCSeconds(),
+    wallTime.getUTCMilliseconds()
+  )
+  return result
+}
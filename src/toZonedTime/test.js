@@ -0,0 +1,68 @@
+// @flow
+/* eslint-env mocha */
+
+import assert from 'power-assert'
+import toZonedTime from '.'
+import newYork from '../timeZone/America/New_York'
+import tokyo from '../timeZone/Asia/Tokyo'
+
+describe('toZonedTime', function () {
+  it('returns the date with the wall clock time of the time zone', function () {
+    var result = toZonedTime(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)), tokyo)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11, 5))
+  })
+
+  it('takes daylight saving time into account', function () {
+    var summer = toZonedTime(new Date(Date.UTC(2014, 6 /* Jul */, 1, 12)), newYork)
+    assert.deepEqual(summer, new Date(2014, 6 /* Jul */, 1, 8))
+    var winter = toZonedTime(new Date(Date.UTC(2014, 0 /* Jan */, 1, 12)), newYork)
+    assert.deepEqual(winter, new Date(2014, 0 /* Jan */, 1, 7))
+  })
+
+  it('accepts the offset from UTC', function () {
+    var result = toZonedTime(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)), '-03:30')
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 10, 16, 30))
+  })
+
+  it('keeps the milliseconds', function () {
+    var result = toZonedTime(new Date(Date.UTC(2014, 8 /* Sep */, 10, 20, 15, 30, 500)), 'UTC')
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 10, 20, 15, 30, 500))
+  })
+
+  it('accepts a string', function () {
+    var result = toZonedTime('2014-09-10T20:00:00Z', tokyo)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11, 5))
+  })
+
+  it('accepts a timestamp', function () {
+    var result = toZonedTime(Date.UTC(2014, 8 /* Sep */, 10, 20), tokyo)
+    assert.deepEqual(result, new Date(2014, 8 /* Sep */, 11, 5))
+  })
+
+  it('does not mutate the original date', function () {
+    var date = new Date(Date.UTC(2014, 8 /* Sep */, 10, 20))
+    toZonedTime(date, tokyo)
+    assert.deepEqual(date, new Date(Date.UTC(2014, 8 /* Sep */, 10, 20)))
+  })
+
+  it('returns `Invalid Date` if the given date is invalid', function () {
+    var result = toZonedTime(new Date(NaN), tokyo)
+    assert(result instanceof Date && isNaN(result))
+  })
+
+  it('throws `RangeError` if the time zone is unknown', function () {
+    var block = toZonedTime.bind(null, new Date(2014, 8 /* Sep */, 10), 'Asia/Neo_Tokyo')
+    assert.throws(block, RangeError)
+  })
+
+  it('throws `RangeError` if `options.additionalDigits` is not convertable to 0, 1, 2 or undefined', function () {
+    // $ExpectedMistake
+    var block = toZonedTime.bind(null, new Date(2014, 8 /* Sep */, 10), tokyo, {additionalDigits: NaN})
+    assert.throws(block, RangeError)
+  })
+
+  it('throws TypeError exception if passed less than 2 arguments', function () {
+    assert.throws(toZonedTime.bind(null), TypeError)
+    assert.throws(toZonedTime.bind(null, 1), TypeError)
+  })
+})
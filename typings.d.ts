@@ -31,19 +31,83 @@ type Interval = {
   end: Date | string | number
 }
 
+type Duration = {
+  years?: number,
+  months?: number,
+  weeks?: number,
+  days?: number,
+  hours?: number,
+  minutes?: number,
+  seconds?: number
+}
+
+type DateIterator = IterableIterator<Date>
+
+type IntervalIndex = {
+  containing: Function,
+  overlapping: Function,
+  nearest: Function
+}
+
+type RecurrenceRule = {
+  start?: Date | string | number,
+  freq: 'yearly' | 'monthly' | 'weekly' | 'daily' | 'hourly' | 'minutely' | 'secondly',
+  interval?: number,
+  count?: number,
+  until?: Date | string | number,
+  byDay?: Object[],
+  byMonthDay?: number[],
+  byMonth?: number[],
+  bySetPos?: number[],
+  weekStartsOn?: 0 | 1 | 2 | 3 | 4 | 5 | 6,
+  exDates?: (Date | string | number)[],
+  rDates?: (Date | string | number)[],
+  timeZone?: TimeZone | string
+}
+
+type CronSchedule = {
+  seconds?: number[],
+  minutes?: number[],
+  hours?: number[],
+  daysOfMonth?: number[],
+  nearestWeekdays?: number[],
+  months?: number[],
+  daysOfWeek?: Object[]
+}
+
 type Options = {
   weekStartsOn?: 0 | 1 | 2 | 3 | 4 | 5 | 6,
+  firstWeekContainsDate?: 1 | 2 | 3 | 4 | 5 | 6 | 7,
+  weekendDays?: number[],
+  holidays?: HolidayCalendar,
   additionalDigits?: 0 | 1 | 2,
+  timeZone?: TimeZone | string,
+  timeZones?: TimeZone[] | Object,
+  relativeTo?: Date | string | number,
   locale?: Locale,
   includeSeconds?: boolean,
   addSuffix?: boolean,
-  unit?: 's' | 'm' | 'h' | 'd' | 'M' | 'Y',
-  roundingMethod?: 'floor' | 'ceil' | 'round'
+  unit?: 's' | 'm' | 'h' | 'd' | 'M' | 'Y' | 'millisecond' | 'second' | 'minute' | 'hour' | 'day' | 'week' | 'month' | 'quarter' | 'year',
+  step?: number,
+  reverse?: boolean,
+  align?: boolean,
+  bounds?: '[]' | '[)' | '(]' | '()',
+  within?: Interval,
+  minDuration?: Duration,
+  workingHours?: Object,
+  roundingMethod?: 'floor' | 'ceil' | 'round',
+  format?: string[] | 'extended' | 'basic',
+  representation?: 'complete' | 'date' | 'time',
+  fractionDigits?: 0 | 1 | 2 | 3,
+  unicodeTokens?: boolean,
+  zero?: boolean,
+  delimiter?: string
 }
 
 type Locale = {
   formatDistance: Function,
   formatLong: Function,
+  formatRecurrence: Function,
   formatRelative: Function,
   localize: {
     ordinalNumber: Function,
@@ -52,7 +116,14 @@ type Locale = {
     month: Function,
     months: Function,
     timeOfDay: Function,
-    timesOfDay: Function
+    timesOfDay: Function,
+    timeZone?: Function,
+    era?: Function,
+    eras?: Function,
+    dayPeriod?: Function,
+    dayPeriods?: Function,
+    quarter?: Function,
+    quarters?: Function
   },
   match: {
     ordinalNumbers: Function,
@@ -62,7 +133,9 @@ type Locale = {
     months: Function,
     month: Function,
     timesOfDay: Function,
-    timeOfDay: Function
+    timeOfDay: Function,
+    eras?: Function,
+    era?: Function
   },
   formatters?: Object,
   formattingTokensRegExp?: RegExp,
@@ -70,13 +143,37 @@ type Locale = {
   parsers?: Object,
   parsingTokensRegExp?: RegExp,
   options?: {
-    weekStartsOn?: 0 | 1 | 2 | 3 | 4 | 5 | 6
+    weekStartsOn?: 0 | 1 | 2 | 3 | 4 | 5 | 6,
+    firstWeekContainsDate?: 1 | 2 | 3 | 4 | 5 | 6 | 7
   }
 }
 
+type HolidayCalendar = {
+  holidays: Function
+}
+
+type TimeZone = {
+  name: string,
+  info: Function
+}
+
 // Regular Functions
 
 declare module 'date-fns' {
+  function add (
+    date: Date | string | number,
+    duration: Duration,
+    options?: Options
+  ): Date
+  namespace add {}
+
+  function addBusinessDays (
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+  namespace addBusinessDays {}
+
   function addDays (
     date: Date | string | number,
     amount: number,
@@ -84,6 +181,13 @@ declare module 'date-fns' {
   ): Date
   namespace addDays {}
 
+  function addDurations (
+    durationLeft: Duration,
+    durationRight: Duration,
+    options?: Options
+  ): Duration
+  namespace addDurations {}
+
   function addHours (
     date: Date | string | number,
     amount: number,
@@ -154,6 +258,17 @@ declare module 'date-fns' {
   ): boolean
   namespace areIntervalsOverlapping {}
 
+  function buildHolidayCalendar (
+    rules: Object[]
+  ): HolidayCalendar
+  namespace buildHolidayCalendar {}
+
+  function buildIntervalIndex (
+    intervals: Interval[],
+    options?: Options
+  ): IntervalIndex
+  namespace buildIntervalIndex {}
+
   function closestIndexTo (
     dateToCompare: Date | string | number,
     datesArray: (Date | string | number)[],
@@ -182,6 +297,32 @@ declare module 'date-fns' {
   ): number
   namespace compareDesc {}
 
+  function compareDurations (
+    durationLeft: Duration,
+    durationRight: Duration,
+    options?: Options
+  ): number
+  namespace compareDurations {}
+
+  function compileFormat (
+    format: string,
+    options?: Options
+  ): Function
+  namespace compileFormat {}
+
+  function compileParse (
+    formatString: string,
+    options?: Options
+  ): Function
+  namespace compileParse {}
+
+  function differenceInBusinessDays (
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+  namespace differenceInBusinessDays {}
+
   function differenceInCalendarDays (
     dateLeft: Date | string | number,
     dateRight: Date | string | number,
@@ -301,12 +442,121 @@ declare module 'date-fns' {
   ): number
   namespace differenceInYears {}
 
+  function durationToMilliseconds (
+    duration: Duration,
+    options?: Options
+  ): number
+  namespace durationToMilliseconds {}
+
+  function eachCronOccurrenceIterator (
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): DateIterator
+  namespace eachCronOccurrenceIterator {}
+
   function eachDayOfInterval (
     interval: Interval,
     options?: Options
   ): Date[]
   namespace eachDayOfInterval {}
 
+  function eachDayOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachDayOfIntervalIterator {}
+
+  function eachHourOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachHourOfInterval {}
+
+  function eachHourOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachHourOfIntervalIterator {}
+
+  function eachMinuteOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachMinuteOfInterval {}
+
+  function eachMinuteOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachMinuteOfIntervalIterator {}
+
+  function eachMonthOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachMonthOfInterval {}
+
+  function eachMonthOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachMonthOfIntervalIterator {}
+
+  function eachOccurrenceIterator (
+    rule: RecurrenceRule | string,
+    options?: Options
+  ): DateIterator
+  namespace eachOccurrenceIterator {}
+
+  function eachOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachOfInterval {}
+
+  function eachOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachOfIntervalIterator {}
+
+  function eachQuarterOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachQuarterOfInterval {}
+
+  function eachQuarterOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachQuarterOfIntervalIterator {}
+
+  function eachWeekOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachWeekOfInterval {}
+
+  function eachWeekOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachWeekOfIntervalIterator {}
+
+  function eachYearOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachYearOfInterval {}
+
+  function eachYearOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachYearOfIntervalIterator {}
+
   function endOfDay (
     date: Date | string | number,
     options?: Options
@@ -367,6 +617,12 @@ declare module 'date-fns' {
   ): Date
   namespace endOfYear {}
 
+  function findFreeSlots (
+    busy: Interval[],
+    options: Options
+  ): Interval[]
+  namespace findFreeSlots {}
+
   function format (
     date: Date | string | number,
     format: string,
@@ -388,6 +644,30 @@ declare module 'date-fns' {
   ): string
   namespace formatDistanceStrict {}
 
+  function formatDuration (
+    duration: Duration,
+    options?: Options
+  ): string
+  namespace formatDuration {}
+
+  function formatISO (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatISO {}
+
+  function formatISODuration (
+    duration: Duration,
+    options?: Options
+  ): string
+  namespace formatISODuration {}
+
+  function formatRecurrence (
+    rule: RecurrenceRule | string,
+    options?: Options
+  ): string
+  namespace formatRecurrence {}
+
   function formatRelative (
     date: Date | string | number,
     baseDate: Date | string | number,
@@ -395,6 +675,38 @@ declare module 'date-fns' {
   ): string
   namespace formatRelative {}
 
+  function formatRFC2822 (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatRFC2822 {}
+
+  function formatRFC3339 (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatRFC3339 {}
+
+  function formatRFC7231 (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatRFC7231 {}
+
+  function formatToParts (
+    date: Date | string | number,
+    format: string,
+    options?: Options
+  ): Object[]
+  namespace formatToParts {}
+
+  function fromZonedTime (
+    date: Date | string | number,
+    timeZone: TimeZone | string,
+    options?: Options
+  ): Date
+  namespace fromZonedTime {}
+
   function getDate (
     date: Date | string | number,
     options?: Options
@@ -480,6 +792,20 @@ declare module 'date-fns' {
   ): number
   namespace getOverlappingDaysInIntervals {}
 
+  function getOverlappingInterval (
+    intervalLeft: Interval,
+    intervalRight: Interval,
+    options?: Options
+  ): Interval | null
+  namespace getOverlappingInterval {}
+
+  function getOverlappingTimeInIntervals (
+    intervalLeft: Interval,
+    intervalRight: Interval,
+    options?: Options
+  ): number
+  namespace getOverlappingTimeInIntervals {}
+
   function getQuarter (
     date: Date | string | number,
     options?: Options
@@ -516,6 +842,26 @@ declare module 'date-fns' {
   ): number
   namespace getYear {}
 
+  function intersectIntervals (
+    intervalsLeft: Interval[],
+    intervalsRight: Interval[],
+    options?: Options
+  ): Interval[]
+  namespace intersectIntervals {}
+
+  function intervalToDuration (
+    interval: Interval,
+    options?: Options
+  ): Duration
+  namespace intervalToDuration {}
+
+  function invertIntervals (
+    intervals: Interval[],
+    within: Interval,
+    options?: Options
+  ): Interval[]
+  namespace invertIntervals {}
+
   function isAfter (
     date: Date | string | number,
     dateToCompare: Date | string | number,
@@ -530,6 +876,12 @@ declare module 'date-fns' {
   ): boolean
   namespace isBefore {}
 
+  function isBusinessDay (
+    date: Date | string | number,
+    options?: Options
+  ): boolean
+  namespace isBusinessDay {}
+
   function isEqual (
     dateLeft: Date | string | number,
     dateRight: Date | string | number,
@@ -549,6 +901,12 @@ declare module 'date-fns' {
   ): boolean
   namespace isFriday {}
 
+  function isHoliday (
+    date: Date | string | number,
+    options?: Options
+  ): boolean
+  namespace isHoliday {}
+
   function isLastDayOfMonth (
     date: Date | string | number,
     options?: Options
@@ -728,12 +1086,31 @@ declare module 'date-fns' {
   ): Date
   namespace max {}
 
+  function mergeIntervals (
+    intervals: Interval[],
+    options?: Options
+  ): Interval[]
+  namespace mergeIntervals {}
+
   function min (
     datesArray: (Date | string | number)[],
     options?: Options
   ): Date
   namespace min {}
 
+  function nextCronOccurrence (
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): Date | null
+  namespace nextCronOccurrence {}
+
+  function normalizeDuration (
+    duration: Duration,
+    options?: Options
+  ): Duration
+  namespace normalizeDuration {}
+
   function parse (
     dateString: string,
     formatString: string,
@@ -742,6 +1119,37 @@ declare module 'date-fns' {
   ): Date
   namespace parse {}
 
+  function parseCron (
+    expression: string,
+    options?: Options
+  ): CronSchedule
+  namespace parseCron {}
+
+  function parseICalDateTime (
+    value: string,
+    options?: Options
+  ): Date
+  namespace parseICalDateTime {}
+
+  function parseISODuration (
+    argument: string,
+    options?: Options
+  ): Duration
+  namespace parseISODuration {}
+
+  function parseRRule (
+    rrule: string,
+    options?: Options
+  ): RecurrenceRule
+  namespace parseRRule {}
+
+  function prevCronOccurrence (
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): Date | null
+  namespace prevCronOccurrence {}
+
   function setDate (
     date: Date | string | number,
     dayOfMonth: number,
@@ -833,6 +1241,12 @@ declare module 'date-fns' {
   ): Date
   namespace setYear {}
 
+  function splitInterval (
+    interval: Interval,
+    options?: Options
+  ): Interval[]
+  namespace splitInterval {}
+
   function startOfDay (
     date: Date | string | number,
     options?: Options
@@ -893,6 +1307,20 @@ declare module 'date-fns' {
   ): Date
   namespace startOfYear {}
 
+  function sub (
+    date: Date | string | number,
+    duration: Duration,
+    options?: Options
+  ): Date
+  namespace sub {}
+
+  function subBusinessDays (
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+  namespace subBusinessDays {}
+
   function subDays (
     date: Date | string | number,
     amount: number,
@@ -949,6 +1377,13 @@ declare module 'date-fns' {
   ): Date
   namespace subSeconds {}
 
+  function subtractIntervals (
+    intervalsLeft: Interval[],
+    intervalsRight: Interval[],
+    options?: Options
+  ): Interval[]
+  namespace subtractIntervals {}
+
   function subWeeks (
     date: Date | string | number,
     amount: number,
@@ -968,6 +1403,23 @@ declare module 'date-fns' {
     options?: Options
   ): Date
   namespace toDate {}
+
+  function toZonedTime (
+    date: Date | string | number,
+    timeZone: TimeZone | string,
+    options?: Options
+  ): Date
+  namespace toZonedTime {}
+}
+
+declare module 'date-fns/add' {
+  import {add} from 'date-fns'
+  export = add
+}
+
+declare module 'date-fns/addBusinessDays' {
+  import {addBusinessDays} from 'date-fns'
+  export = addBusinessDays
 }
 
 declare module 'date-fns/addDays' {
@@ -975,6 +1427,11 @@ declare module 'date-fns/addDays' {
   export = addDays
 }
 
+declare module 'date-fns/addDurations' {
+  import {addDurations} from 'date-fns'
+  export = addDurations
+}
+
 declare module 'date-fns/addHours' {
   import {addHours} from 'date-fns'
   export = addHours
@@ -1025,6 +1482,16 @@ declare module 'date-fns/areIntervalsOverlapping' {
   export = areIntervalsOverlapping
 }
 
+declare module 'date-fns/buildHolidayCalendar' {
+  import {buildHolidayCalendar} from 'date-fns'
+  export = buildHolidayCalendar
+}
+
+declare module 'date-fns/buildIntervalIndex' {
+  import {buildIntervalIndex} from 'date-fns'
+  export = buildIntervalIndex
+}
+
 declare module 'date-fns/closestIndexTo' {
   import {closestIndexTo} from 'date-fns'
   export = closestIndexTo
@@ -1045,6 +1512,26 @@ declare module 'date-fns/compareDesc' {
   export = compareDesc
 }
 
+declare module 'date-fns/compareDurations' {
+  import {compareDurations} from 'date-fns'
+  export = compareDurations
+}
+
+declare module 'date-fns/compileFormat' {
+  import {compileFormat} from 'date-fns'
+  export = compileFormat
+}
+
+declare module 'date-fns/compileParse' {
+  import {compileParse} from 'date-fns'
+  export = compileParse
+}
+
+declare module 'date-fns/differenceInBusinessDays' {
+  import {differenceInBusinessDays} from 'date-fns'
+  export = differenceInBusinessDays
+}
+
 declare module 'date-fns/differenceInCalendarDays' {
   import {differenceInCalendarDays} from 'date-fns'
   export = differenceInCalendarDays
@@ -1130,11 +1617,101 @@ declare module 'date-fns/differenceInYears' {
   export = differenceInYears
 }
 
+declare module 'date-fns/durationToMilliseconds' {
+  import {durationToMilliseconds} from 'date-fns'
+  export = durationToMilliseconds
+}
+
+declare module 'date-fns/eachCronOccurrenceIterator' {
+  import {eachCronOccurrenceIterator} from 'date-fns'
+  export = eachCronOccurrenceIterator
+}
+
 declare module 'date-fns/eachDayOfInterval' {
   import {eachDayOfInterval} from 'date-fns'
   export = eachDayOfInterval
 }
 
+declare module 'date-fns/eachDayOfIntervalIterator' {
+  import {eachDayOfIntervalIterator} from 'date-fns'
+  export = eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/eachHourOfInterval' {
+  import {eachHourOfInterval} from 'date-fns'
+  export = eachHourOfInterval
+}
+
+declare module 'date-fns/eachHourOfIntervalIterator' {
+  import {eachHourOfIntervalIterator} from 'date-fns'
+  export = eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/eachMinuteOfInterval' {
+  import {eachMinuteOfInterval} from 'date-fns'
+  export = eachMinuteOfInterval
+}
+
+declare module 'date-fns/eachMinuteOfIntervalIterator' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns'
+  export = eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/eachMonthOfInterval' {
+  import {eachMonthOfInterval} from 'date-fns'
+  export = eachMonthOfInterval
+}
+
+declare module 'date-fns/eachMonthOfIntervalIterator' {
+  import {eachMonthOfIntervalIterator} from 'date-fns'
+  export = eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/eachOccurrenceIterator' {
+  import {eachOccurrenceIterator} from 'date-fns'
+  export = eachOccurrenceIterator
+}
+
+declare module 'date-fns/eachOfInterval' {
+  import {eachOfInterval} from 'date-fns'
+  export = eachOfInterval
+}
+
+declare module 'date-fns/eachOfIntervalIterator' {
+  import {eachOfIntervalIterator} from 'date-fns'
+  export = eachOfIntervalIterator
+}
+
+declare module 'date-fns/eachQuarterOfInterval' {
+  import {eachQuarterOfInterval} from 'date-fns'
+  export = eachQuarterOfInterval
+}
+
+declare module 'date-fns/eachQuarterOfIntervalIterator' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns'
+  export = eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/eachWeekOfInterval' {
+  import {eachWeekOfInterval} from 'date-fns'
+  export = eachWeekOfInterval
+}
+
+declare module 'date-fns/eachWeekOfIntervalIterator' {
+  import {eachWeekOfIntervalIterator} from 'date-fns'
+  export = eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/eachYearOfInterval' {
+  import {eachYearOfInterval} from 'date-fns'
+  export = eachYearOfInterval
+}
+
+declare module 'date-fns/eachYearOfIntervalIterator' {
+  import {eachYearOfIntervalIterator} from 'date-fns'
+  export = eachYearOfIntervalIterator
+}
+
 declare module 'date-fns/endOfDay' {
   import {endOfDay} from 'date-fns'
   export = endOfDay
@@ -1185,6 +1762,11 @@ declare module 'date-fns/endOfYear' {
   export = endOfYear
 }
 
+declare module 'date-fns/findFreeSlots' {
+  import {findFreeSlots} from 'date-fns'
+  export = findFreeSlots
+}
+
 declare module 'date-fns/format' {
   import {format} from 'date-fns'
   export = format
@@ -1200,14 +1782,59 @@ declare module 'date-fns/formatDistanceStrict' {
   export = formatDistanceStrict
 }
 
-declare module 'date-fns/formatRelative' {
-  import {formatRelative} from 'date-fns'
-  export = formatRelative
+declare module 'date-fns/formatDuration' {
+  import {formatDuration} from 'date-fns'
+  export = formatDuration
 }
 
-declare module 'date-fns/getDate' {
-  import {getDate} from 'date-fns'
-  export = getDate
+declare module 'date-fns/formatISO' {
+  import {formatISO} from 'date-fns'
+  export = formatISO
+}
+
+declare module 'date-fns/formatISODuration' {
+  import {formatISODuration} from 'date-fns'
+  export = formatISODuration
+}
+
+declare module 'date-fns/formatRecurrence' {
+  import {formatRecurrence} from 'date-fns'
+  export = formatRecurrence
+}
+
+declare module 'date-fns/formatRelative' {
+  import {formatRelative} from 'date-fns'
+  export = formatRelative
+}
+
+declare module 'date-fns/formatRFC2822' {
+  import {formatRFC2822} from 'date-fns'
+  export = formatRFC2822
+}
+
+declare module 'date-fns/formatRFC3339' {
+  import {formatRFC3339} from 'date-fns'
+  export = formatRFC3339
+}
+
+declare module 'date-fns/formatRFC7231' {
+  import {formatRFC7231} from 'date-fns'
+  export = formatRFC7231
+}
+
+declare module 'date-fns/formatToParts' {
+  import {formatToParts} from 'date-fns'
+  export = formatToParts
+}
+
+declare module 'date-fns/fromZonedTime' {
+  import {fromZonedTime} from 'date-fns'
+  export = fromZonedTime
+}
+
+declare module 'date-fns/getDate' {
+  import {getDate} from 'date-fns'
+  export = getDate
 }
 
 declare module 'date-fns/getDay' {
@@ -1275,6 +1902,16 @@ declare module 'date-fns/getOverlappingDaysInIntervals' {
   export = getOverlappingDaysInIntervals
 }
 
+declare module 'date-fns/getOverlappingInterval' {
+  import {getOverlappingInterval} from 'date-fns'
+  export = getOverlappingInterval
+}
+
+declare module 'date-fns/getOverlappingTimeInIntervals' {
+  import {getOverlappingTimeInIntervals} from 'date-fns'
+  export = getOverlappingTimeInIntervals
+}
+
 declare module 'date-fns/getQuarter' {
   import {getQuarter} from 'date-fns'
   export = getQuarter
@@ -1305,6 +1942,21 @@ declare module 'date-fns/getYear' {
   export = getYear
 }
 
+declare module 'date-fns/intersectIntervals' {
+  import {intersectIntervals} from 'date-fns'
+  export = intersectIntervals
+}
+
+declare module 'date-fns/intervalToDuration' {
+  import {intervalToDuration} from 'date-fns'
+  export = intervalToDuration
+}
+
+declare module 'date-fns/invertIntervals' {
+  import {invertIntervals} from 'date-fns'
+  export = invertIntervals
+}
+
 declare module 'date-fns/isAfter' {
   import {isAfter} from 'date-fns'
   export = isAfter
@@ -1315,6 +1967,11 @@ declare module 'date-fns/isBefore' {
   export = isBefore
 }
 
+declare module 'date-fns/isBusinessDay' {
+  import {isBusinessDay} from 'date-fns'
+  export = isBusinessDay
+}
+
 declare module 'date-fns/isEqual' {
   import {isEqual} from 'date-fns'
   export = isEqual
@@ -1330,6 +1987,11 @@ declare module 'date-fns/isFriday' {
   export = isFriday
 }
 
+declare module 'date-fns/isHoliday' {
+  import {isHoliday} from 'date-fns'
+  export = isHoliday
+}
+
 declare module 'date-fns/isLastDayOfMonth' {
   import {isLastDayOfMonth} from 'date-fns'
   export = isLastDayOfMonth
@@ -1470,16 +2132,56 @@ declare module 'date-fns/max' {
   export = max
 }
 
+declare module 'date-fns/mergeIntervals' {
+  import {mergeIntervals} from 'date-fns'
+  export = mergeIntervals
+}
+
 declare module 'date-fns/min' {
   import {min} from 'date-fns'
   export = min
 }
 
+declare module 'date-fns/nextCronOccurrence' {
+  import {nextCronOccurrence} from 'date-fns'
+  export = nextCronOccurrence
+}
+
+declare module 'date-fns/normalizeDuration' {
+  import {normalizeDuration} from 'date-fns'
+  export = normalizeDuration
+}
+
 declare module 'date-fns/parse' {
   import {parse} from 'date-fns'
   export = parse
 }
 
+declare module 'date-fns/parseCron' {
+  import {parseCron} from 'date-fns'
+  export = parseCron
+}
+
+declare module 'date-fns/parseICalDateTime' {
+  import {parseICalDateTime} from 'date-fns'
+  export = parseICalDateTime
+}
+
+declare module 'date-fns/parseISODuration' {
+  import {parseISODuration} from 'date-fns'
+  export = parseISODuration
+}
+
+declare module 'date-fns/parseRRule' {
+  import {parseRRule} from 'date-fns'
+  export = parseRRule
+}
+
+declare module 'date-fns/prevCronOccurrence' {
+  import {prevCronOccurrence} from 'date-fns'
+  export = prevCronOccurrence
+}
+
 declare module 'date-fns/setDate' {
   import {setDate} from 'date-fns'
   export = setDate
@@ -1545,6 +2247,11 @@ declare module 'date-fns/setYear' {
   export = setYear
 }
 
+declare module 'date-fns/splitInterval' {
+  import {splitInterval} from 'date-fns'
+  export = splitInterval
+}
+
 declare module 'date-fns/startOfDay' {
   import {startOfDay} from 'date-fns'
   export = startOfDay
@@ -1595,6 +2302,16 @@ declare module 'date-fns/startOfYear' {
   export = startOfYear
 }
 
+declare module 'date-fns/sub' {
+  import {sub} from 'date-fns'
+  export = sub
+}
+
+declare module 'date-fns/subBusinessDays' {
+  import {subBusinessDays} from 'date-fns'
+  export = subBusinessDays
+}
+
 declare module 'date-fns/subDays' {
   import {subDays} from 'date-fns'
   export = subDays
@@ -1635,6 +2352,11 @@ declare module 'date-fns/subSeconds' {
   export = subSeconds
 }
 
+declare module 'date-fns/subtractIntervals' {
+  import {subtractIntervals} from 'date-fns'
+  export = subtractIntervals
+}
+
 declare module 'date-fns/subWeeks' {
   import {subWeeks} from 'date-fns'
   export = subWeeks
@@ -1650,11 +2372,31 @@ declare module 'date-fns/toDate' {
   export = toDate
 }
 
+declare module 'date-fns/toZonedTime' {
+  import {toZonedTime} from 'date-fns'
+  export = toZonedTime
+}
+
+declare module 'date-fns/add/index' {
+  import {add} from 'date-fns'
+  export = add
+}
+
+declare module 'date-fns/addBusinessDays/index' {
+  import {addBusinessDays} from 'date-fns'
+  export = addBusinessDays
+}
+
 declare module 'date-fns/addDays/index' {
   import {addDays} from 'date-fns'
   export = addDays
 }
 
+declare module 'date-fns/addDurations/index' {
+  import {addDurations} from 'date-fns'
+  export = addDurations
+}
+
 declare module 'date-fns/addHours/index' {
   import {addHours} from 'date-fns'
   export = addHours
@@ -1705,6 +2447,16 @@ declare module 'date-fns/areIntervalsOverlapping/index' {
   export = areIntervalsOverlapping
 }
 
+declare module 'date-fns/buildHolidayCalendar/index' {
+  import {buildHolidayCalendar} from 'date-fns'
+  export = buildHolidayCalendar
+}
+
+declare module 'date-fns/buildIntervalIndex/index' {
+  import {buildIntervalIndex} from 'date-fns'
+  export = buildIntervalIndex
+}
+
 declare module 'date-fns/closestIndexTo/index' {
   import {closestIndexTo} from 'date-fns'
   export = closestIndexTo
@@ -1725,6 +2477,26 @@ declare module 'date-fns/compareDesc/index' {
   export = compareDesc
 }
 
+declare module 'date-fns/compareDurations/index' {
+  import {compareDurations} from 'date-fns'
+  export = compareDurations
+}
+
+declare module 'date-fns/compileFormat/index' {
+  import {compileFormat} from 'date-fns'
+  export = compileFormat
+}
+
+declare module 'date-fns/compileParse/index' {
+  import {compileParse} from 'date-fns'
+  export = compileParse
+}
+
+declare module 'date-fns/differenceInBusinessDays/index' {
+  import {differenceInBusinessDays} from 'date-fns'
+  export = differenceInBusinessDays
+}
+
 declare module 'date-fns/differenceInCalendarDays/index' {
   import {differenceInCalendarDays} from 'date-fns'
   export = differenceInCalendarDays
@@ -1810,11 +2582,101 @@ declare module 'date-fns/differenceInYears/index' {
   export = differenceInYears
 }
 
+declare module 'date-fns/durationToMilliseconds/index' {
+  import {durationToMilliseconds} from 'date-fns'
+  export = durationToMilliseconds
+}
+
+declare module 'date-fns/eachCronOccurrenceIterator/index' {
+  import {eachCronOccurrenceIterator} from 'date-fns'
+  export = eachCronOccurrenceIterator
+}
+
 declare module 'date-fns/eachDayOfInterval/index' {
   import {eachDayOfInterval} from 'date-fns'
   export = eachDayOfInterval
 }
 
+declare module 'date-fns/eachDayOfIntervalIterator/index' {
+  import {eachDayOfIntervalIterator} from 'date-fns'
+  export = eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/eachHourOfInterval/index' {
+  import {eachHourOfInterval} from 'date-fns'
+  export = eachHourOfInterval
+}
+
+declare module 'date-fns/eachHourOfIntervalIterator/index' {
+  import {eachHourOfIntervalIterator} from 'date-fns'
+  export = eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/eachMinuteOfInterval/index' {
+  import {eachMinuteOfInterval} from 'date-fns'
+  export = eachMinuteOfInterval
+}
+
+declare module 'date-fns/eachMinuteOfIntervalIterator/index' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns'
+  export = eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/eachMonthOfInterval/index' {
+  import {eachMonthOfInterval} from 'date-fns'
+  export = eachMonthOfInterval
+}
+
+declare module 'date-fns/eachMonthOfIntervalIterator/index' {
+  import {eachMonthOfIntervalIterator} from 'date-fns'
+  export = eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/eachOccurrenceIterator/index' {
+  import {eachOccurrenceIterator} from 'date-fns'
+  export = eachOccurrenceIterator
+}
+
+declare module 'date-fns/eachOfInterval/index' {
+  import {eachOfInterval} from 'date-fns'
+  export = eachOfInterval
+}
+
+declare module 'date-fns/eachOfIntervalIterator/index' {
+  import {eachOfIntervalIterator} from 'date-fns'
+  export = eachOfIntervalIterator
+}
+
+declare module 'date-fns/eachQuarterOfInterval/index' {
+  import {eachQuarterOfInterval} from 'date-fns'
+  export = eachQuarterOfInterval
+}
+
+declare module 'date-fns/eachQuarterOfIntervalIterator/index' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns'
+  export = eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/eachWeekOfInterval/index' {
+  import {eachWeekOfInterval} from 'date-fns'
+  export = eachWeekOfInterval
+}
+
+declare module 'date-fns/eachWeekOfIntervalIterator/index' {
+  import {eachWeekOfIntervalIterator} from 'date-fns'
+  export = eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/eachYearOfInterval/index' {
+  import {eachYearOfInterval} from 'date-fns'
+  export = eachYearOfInterval
+}
+
+declare module 'date-fns/eachYearOfIntervalIterator/index' {
+  import {eachYearOfIntervalIterator} from 'date-fns'
+  export = eachYearOfIntervalIterator
+}
+
 declare module 'date-fns/endOfDay/index' {
   import {endOfDay} from 'date-fns'
   export = endOfDay
@@ -1865,6 +2727,11 @@ declare module 'date-fns/endOfYear/index' {
   export = endOfYear
 }
 
+declare module 'date-fns/findFreeSlots/index' {
+  import {findFreeSlots} from 'date-fns'
+  export = findFreeSlots
+}
+
 declare module 'date-fns/format/index' {
   import {format} from 'date-fns'
   export = format
@@ -1880,11 +2747,56 @@ declare module 'date-fns/formatDistanceStrict/index' {
   export = formatDistanceStrict
 }
 
+declare module 'date-fns/formatDuration/index' {
+  import {formatDuration} from 'date-fns'
+  export = formatDuration
+}
+
+declare module 'date-fns/formatISO/index' {
+  import {formatISO} from 'date-fns'
+  export = formatISO
+}
+
+declare module 'date-fns/formatISODuration/index' {
+  import {formatISODuration} from 'date-fns'
+  export = formatISODuration
+}
+
+declare module 'date-fns/formatRecurrence/index' {
+  import {formatRecurrence} from 'date-fns'
+  export = formatRecurrence
+}
+
 declare module 'date-fns/formatRelative/index' {
   import {formatRelative} from 'date-fns'
   export = formatRelative
 }
 
+declare module 'date-fns/formatRFC2822/index' {
+  import {formatRFC2822} from 'date-fns'
+  export = formatRFC2822
+}
+
+declare module 'date-fns/formatRFC3339/index' {
+  import {formatRFC3339} from 'date-fns'
+  export = formatRFC3339
+}
+
+declare module 'date-fns/formatRFC7231/index' {
+  import {formatRFC7231} from 'date-fns'
+  export = formatRFC7231
+}
+
+declare module 'date-fns/formatToParts/index' {
+  import {formatToParts} from 'date-fns'
+  export = formatToParts
+}
+
+declare module 'date-fns/fromZonedTime/index' {
+  import {fromZonedTime} from 'date-fns'
+  export = fromZonedTime
+}
+
 declare module 'date-fns/getDate/index' {
   import {getDate} from 'date-fns'
   export = getDate
@@ -1955,6 +2867,16 @@ declare module 'date-fns/getOverlappingDaysInIntervals/index' {
   export = getOverlappingDaysInIntervals
 }
 
+declare module 'date-fns/getOverlappingInterval/index' {
+  import {getOverlappingInterval} from 'date-fns'
+  export = getOverlappingInterval
+}
+
+declare module 'date-fns/getOverlappingTimeInIntervals/index' {
+  import {getOverlappingTimeInIntervals} from 'date-fns'
+  export = getOverlappingTimeInIntervals
+}
+
 declare module 'date-fns/getQuarter/index' {
   import {getQuarter} from 'date-fns'
   export = getQuarter
@@ -1985,6 +2907,21 @@ declare module 'date-fns/getYear/index' {
   export = getYear
 }
 
+declare module 'date-fns/intersectIntervals/index' {
+  import {intersectIntervals} from 'date-fns'
+  export = intersectIntervals
+}
+
+declare module 'date-fns/intervalToDuration/index' {
+  import {intervalToDuration} from 'date-fns'
+  export = intervalToDuration
+}
+
+declare module 'date-fns/invertIntervals/index' {
+  import {invertIntervals} from 'date-fns'
+  export = invertIntervals
+}
+
 declare module 'date-fns/isAfter/index' {
   import {isAfter} from 'date-fns'
   export = isAfter
@@ -1995,6 +2932,11 @@ declare module 'date-fns/isBefore/index' {
   export = isBefore
 }
 
+declare module 'date-fns/isBusinessDay/index' {
+  import {isBusinessDay} from 'date-fns'
+  export = isBusinessDay
+}
+
 declare module 'date-fns/isEqual/index' {
   import {isEqual} from 'date-fns'
   export = isEqual
@@ -2010,6 +2952,11 @@ declare module 'date-fns/isFriday/index' {
   export = isFriday
 }
 
+declare module 'date-fns/isHoliday/index' {
+  import {isHoliday} from 'date-fns'
+  export = isHoliday
+}
+
 declare module 'date-fns/isLastDayOfMonth/index' {
   import {isLastDayOfMonth} from 'date-fns'
   export = isLastDayOfMonth
@@ -2150,16 +3097,56 @@ declare module 'date-fns/max/index' {
   export = max
 }
 
+declare module 'date-fns/mergeIntervals/index' {
+  import {mergeIntervals} from 'date-fns'
+  export = mergeIntervals
+}
+
 declare module 'date-fns/min/index' {
   import {min} from 'date-fns'
   export = min
 }
 
+declare module 'date-fns/nextCronOccurrence/index' {
+  import {nextCronOccurrence} from 'date-fns'
+  export = nextCronOccurrence
+}
+
+declare module 'date-fns/normalizeDuration/index' {
+  import {normalizeDuration} from 'date-fns'
+  export = normalizeDuration
+}
+
 declare module 'date-fns/parse/index' {
   import {parse} from 'date-fns'
   export = parse
 }
 
+declare module 'date-fns/parseCron/index' {
+  import {parseCron} from 'date-fns'
+  export = parseCron
+}
+
+declare module 'date-fns/parseICalDateTime/index' {
+  import {parseICalDateTime} from 'date-fns'
+  export = parseICalDateTime
+}
+
+declare module 'date-fns/parseISODuration/index' {
+  import {parseISODuration} from 'date-fns'
+  export = parseISODuration
+}
+
+declare module 'date-fns/parseRRule/index' {
+  import {parseRRule} from 'date-fns'
+  export = parseRRule
+}
+
+declare module 'date-fns/prevCronOccurrence/index' {
+  import {prevCronOccurrence} from 'date-fns'
+  export = prevCronOccurrence
+}
+
 declare module 'date-fns/setDate/index' {
   import {setDate} from 'date-fns'
   export = setDate
@@ -2225,6 +3212,11 @@ declare module 'date-fns/setYear/index' {
   export = setYear
 }
 
+declare module 'date-fns/splitInterval/index' {
+  import {splitInterval} from 'date-fns'
+  export = splitInterval
+}
+
 declare module 'date-fns/startOfDay/index' {
   import {startOfDay} from 'date-fns'
   export = startOfDay
@@ -2275,6 +3267,16 @@ declare module 'date-fns/startOfYear/index' {
   export = startOfYear
 }
 
+declare module 'date-fns/sub/index' {
+  import {sub} from 'date-fns'
+  export = sub
+}
+
+declare module 'date-fns/subBusinessDays/index' {
+  import {subBusinessDays} from 'date-fns'
+  export = subBusinessDays
+}
+
 declare module 'date-fns/subDays/index' {
   import {subDays} from 'date-fns'
   export = subDays
@@ -2315,6 +3317,11 @@ declare module 'date-fns/subSeconds/index' {
   export = subSeconds
 }
 
+declare module 'date-fns/subtractIntervals/index' {
+  import {subtractIntervals} from 'date-fns'
+  export = subtractIntervals
+}
+
 declare module 'date-fns/subWeeks/index' {
   import {subWeeks} from 'date-fns'
   export = subWeeks
@@ -2330,11 +3337,31 @@ declare module 'date-fns/toDate/index' {
   export = toDate
 }
 
+declare module 'date-fns/toZonedTime/index' {
+  import {toZonedTime} from 'date-fns'
+  export = toZonedTime
+}
+
+declare module 'date-fns/add/index.js' {
+  import {add} from 'date-fns'
+  export = add
+}
+
+declare module 'date-fns/addBusinessDays/index.js' {
+  import {addBusinessDays} from 'date-fns'
+  export = addBusinessDays
+}
+
 declare module 'date-fns/addDays/index.js' {
   import {addDays} from 'date-fns'
   export = addDays
 }
 
+declare module 'date-fns/addDurations/index.js' {
+  import {addDurations} from 'date-fns'
+  export = addDurations
+}
+
 declare module 'date-fns/addHours/index.js' {
   import {addHours} from 'date-fns'
   export = addHours
@@ -2385,6 +3412,16 @@ declare module 'date-fns/areIntervalsOverlapping/index.js' {
   export = areIntervalsOverlapping
 }
 
+declare module 'date-fns/buildHolidayCalendar/index.js' {
+  import {buildHolidayCalendar} from 'date-fns'
+  export = buildHolidayCalendar
+}
+
+declare module 'date-fns/buildIntervalIndex/index.js' {
+  import {buildIntervalIndex} from 'date-fns'
+  export = buildIntervalIndex
+}
+
 declare module 'date-fns/closestIndexTo/index.js' {
   import {closestIndexTo} from 'date-fns'
   export = closestIndexTo
@@ -2405,6 +3442,26 @@ declare module 'date-fns/compareDesc/index.js' {
   export = compareDesc
 }
 
+declare module 'date-fns/compareDurations/index.js' {
+  import {compareDurations} from 'date-fns'
+  export = compareDurations
+}
+
+declare module 'date-fns/compileFormat/index.js' {
+  import {compileFormat} from 'date-fns'
+  export = compileFormat
+}
+
+declare module 'date-fns/compileParse/index.js' {
+  import {compileParse} from 'date-fns'
+  export = compileParse
+}
+
+declare module 'date-fns/differenceInBusinessDays/index.js' {
+  import {differenceInBusinessDays} from 'date-fns'
+  export = differenceInBusinessDays
+}
+
 declare module 'date-fns/differenceInCalendarDays/index.js' {
   import {differenceInCalendarDays} from 'date-fns'
   export = differenceInCalendarDays
@@ -2490,11 +3547,101 @@ declare module 'date-fns/differenceInYears/index.js' {
   export = differenceInYears
 }
 
+declare module 'date-fns/durationToMilliseconds/index.js' {
+  import {durationToMilliseconds} from 'date-fns'
+  export = durationToMilliseconds
+}
+
+declare module 'date-fns/eachCronOccurrenceIterator/index.js' {
+  import {eachCronOccurrenceIterator} from 'date-fns'
+  export = eachCronOccurrenceIterator
+}
+
 declare module 'date-fns/eachDayOfInterval/index.js' {
   import {eachDayOfInterval} from 'date-fns'
   export = eachDayOfInterval
 }
 
+declare module 'date-fns/eachDayOfIntervalIterator/index.js' {
+  import {eachDayOfIntervalIterator} from 'date-fns'
+  export = eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/eachHourOfInterval/index.js' {
+  import {eachHourOfInterval} from 'date-fns'
+  export = eachHourOfInterval
+}
+
+declare module 'date-fns/eachHourOfIntervalIterator/index.js' {
+  import {eachHourOfIntervalIterator} from 'date-fns'
+  export = eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/eachMinuteOfInterval/index.js' {
+  import {eachMinuteOfInterval} from 'date-fns'
+  export = eachMinuteOfInterval
+}
+
+declare module 'date-fns/eachMinuteOfIntervalIterator/index.js' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns'
+  export = eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/eachMonthOfInterval/index.js' {
+  import {eachMonthOfInterval} from 'date-fns'
+  export = eachMonthOfInterval
+}
+
+declare module 'date-fns/eachMonthOfIntervalIterator/index.js' {
+  import {eachMonthOfIntervalIterator} from 'date-fns'
+  export = eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/eachOccurrenceIterator/index.js' {
+  import {eachOccurrenceIterator} from 'date-fns'
+  export = eachOccurrenceIterator
+}
+
+declare module 'date-fns/eachOfInterval/index.js' {
+  import {eachOfInterval} from 'date-fns'
+  export = eachOfInterval
+}
+
+declare module 'date-fns/eachOfIntervalIterator/index.js' {
+  import {eachOfIntervalIterator} from 'date-fns'
+  export = eachOfIntervalIterator
+}
+
+declare module 'date-fns/eachQuarterOfInterval/index.js' {
+  import {eachQuarterOfInterval} from 'date-fns'
+  export = eachQuarterOfInterval
+}
+
+declare module 'date-fns/eachQuarterOfIntervalIterator/index.js' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns'
+  export = eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/eachWeekOfInterval/index.js' {
+  import {eachWeekOfInterval} from 'date-fns'
+  export = eachWeekOfInterval
+}
+
+declare module 'date-fns/eachWeekOfIntervalIterator/index.js' {
+  import {eachWeekOfIntervalIterator} from 'date-fns'
+  export = eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/eachYearOfInterval/index.js' {
+  import {eachYearOfInterval} from 'date-fns'
+  export = eachYearOfInterval
+}
+
+declare module 'date-fns/eachYearOfIntervalIterator/index.js' {
+  import {eachYearOfIntervalIterator} from 'date-fns'
+  export = eachYearOfIntervalIterator
+}
+
 declare module 'date-fns/endOfDay/index.js' {
   import {endOfDay} from 'date-fns'
   export = endOfDay
@@ -2545,6 +3692,11 @@ declare module 'date-fns/endOfYear/index.js' {
   export = endOfYear
 }
 
+declare module 'date-fns/findFreeSlots/index.js' {
+  import {findFreeSlots} from 'date-fns'
+  export = findFreeSlots
+}
+
 declare module 'date-fns/format/index.js' {
   import {format} from 'date-fns'
   export = format
@@ -2560,11 +3712,56 @@ declare module 'date-fns/formatDistanceStrict/index.js' {
   export = formatDistanceStrict
 }
 
+declare module 'date-fns/formatDuration/index.js' {
+  import {formatDuration} from 'date-fns'
+  export = formatDuration
+}
+
+declare module 'date-fns/formatISO/index.js' {
+  import {formatISO} from 'date-fns'
+  export = formatISO
+}
+
+declare module 'date-fns/formatISODuration/index.js' {
+  import {formatISODuration} from 'date-fns'
+  export = formatISODuration
+}
+
+declare module 'date-fns/formatRecurrence/index.js' {
+  import {formatRecurrence} from 'date-fns'
+  export = formatRecurrence
+}
+
 declare module 'date-fns/formatRelative/index.js' {
   import {formatRelative} from 'date-fns'
   export = formatRelative
 }
 
+declare module 'date-fns/formatRFC2822/index.js' {
+  import {formatRFC2822} from 'date-fns'
+  export = formatRFC2822
+}
+
+declare module 'date-fns/formatRFC3339/index.js' {
+  import {formatRFC3339} from 'date-fns'
+  export = formatRFC3339
+}
+
+declare module 'date-fns/formatRFC7231/index.js' {
+  import {formatRFC7231} from 'date-fns'
+  export = formatRFC7231
+}
+
+declare module 'date-fns/formatToParts/index.js' {
+  import {formatToParts} from 'date-fns'
+  export = formatToParts
+}
+
+declare module 'date-fns/fromZonedTime/index.js' {
+  import {fromZonedTime} from 'date-fns'
+  export = fromZonedTime
+}
+
 declare module 'date-fns/getDate/index.js' {
   import {getDate} from 'date-fns'
   export = getDate
@@ -2635,6 +3832,16 @@ declare module 'date-fns/getOverlappingDaysInIntervals/index.js' {
   export = getOverlappingDaysInIntervals
 }
 
+declare module 'date-fns/getOverlappingInterval/index.js' {
+  import {getOverlappingInterval} from 'date-fns'
+  export = getOverlappingInterval
+}
+
+declare module 'date-fns/getOverlappingTimeInIntervals/index.js' {
+  import {getOverlappingTimeInIntervals} from 'date-fns'
+  export = getOverlappingTimeInIntervals
+}
+
 declare module 'date-fns/getQuarter/index.js' {
   import {getQuarter} from 'date-fns'
   export = getQuarter
@@ -2665,6 +3872,21 @@ declare module 'date-fns/getYear/index.js' {
   export = getYear
 }
 
+declare module 'date-fns/intersectIntervals/index.js' {
+  import {intersectIntervals} from 'date-fns'
+  export = intersectIntervals
+}
+
+declare module 'date-fns/intervalToDuration/index.js' {
+  import {intervalToDuration} from 'date-fns'
+  export = intervalToDuration
+}
+
+declare module 'date-fns/invertIntervals/index.js' {
+  import {invertIntervals} from 'date-fns'
+  export = invertIntervals
+}
+
 declare module 'date-fns/isAfter/index.js' {
   import {isAfter} from 'date-fns'
   export = isAfter
@@ -2675,6 +3897,11 @@ declare module 'date-fns/isBefore/index.js' {
   export = isBefore
 }
 
+declare module 'date-fns/isBusinessDay/index.js' {
+  import {isBusinessDay} from 'date-fns'
+  export = isBusinessDay
+}
+
 declare module 'date-fns/isEqual/index.js' {
   import {isEqual} from 'date-fns'
   export = isEqual
@@ -2690,6 +3917,11 @@ declare module 'date-fns/isFriday/index.js' {
   export = isFriday
 }
 
+declare module 'date-fns/isHoliday/index.js' {
+  import {isHoliday} from 'date-fns'
+  export = isHoliday
+}
+
 declare module 'date-fns/isLastDayOfMonth/index.js' {
   import {isLastDayOfMonth} from 'date-fns'
   export = isLastDayOfMonth
@@ -2830,16 +4062,56 @@ declare module 'date-fns/max/index.js' {
   export = max
 }
 
+declare module 'date-fns/mergeIntervals/index.js' {
+  import {mergeIntervals} from 'date-fns'
+  export = mergeIntervals
+}
+
 declare module 'date-fns/min/index.js' {
   import {min} from 'date-fns'
   export = min
 }
 
+declare module 'date-fns/nextCronOccurrence/index.js' {
+  import {nextCronOccurrence} from 'date-fns'
+  export = nextCronOccurrence
+}
+
+declare module 'date-fns/normalizeDuration/index.js' {
+  import {normalizeDuration} from 'date-fns'
+  export = normalizeDuration
+}
+
 declare module 'date-fns/parse/index.js' {
   import {parse} from 'date-fns'
   export = parse
 }
 
+declare module 'date-fns/parseCron/index.js' {
+  import {parseCron} from 'date-fns'
+  export = parseCron
+}
+
+declare module 'date-fns/parseICalDateTime/index.js' {
+  import {parseICalDateTime} from 'date-fns'
+  export = parseICalDateTime
+}
+
+declare module 'date-fns/parseISODuration/index.js' {
+  import {parseISODuration} from 'date-fns'
+  export = parseISODuration
+}
+
+declare module 'date-fns/parseRRule/index.js' {
+  import {parseRRule} from 'date-fns'
+  export = parseRRule
+}
+
+declare module 'date-fns/prevCronOccurrence/index.js' {
+  import {prevCronOccurrence} from 'date-fns'
+  export = prevCronOccurrence
+}
+
 declare module 'date-fns/setDate/index.js' {
   import {setDate} from 'date-fns'
   export = setDate
@@ -2905,6 +4177,11 @@ declare module 'date-fns/setYear/index.js' {
   export = setYear
 }
 
+declare module 'date-fns/splitInterval/index.js' {
+  import {splitInterval} from 'date-fns'
+  export = splitInterval
+}
+
 declare module 'date-fns/startOfDay/index.js' {
   import {startOfDay} from 'date-fns'
   export = startOfDay
@@ -2955,6 +4232,16 @@ declare module 'date-fns/startOfYear/index.js' {
   export = startOfYear
 }
 
+declare module 'date-fns/sub/index.js' {
+  import {sub} from 'date-fns'
+  export = sub
+}
+
+declare module 'date-fns/subBusinessDays/index.js' {
+  import {subBusinessDays} from 'date-fns'
+  export = subBusinessDays
+}
+
 declare module 'date-fns/subDays/index.js' {
   import {subDays} from 'date-fns'
   export = subDays
@@ -2995,6 +4282,11 @@ declare module 'date-fns/subSeconds/index.js' {
   export = subSeconds
 }
 
+declare module 'date-fns/subtractIntervals/index.js' {
+  import {subtractIntervals} from 'date-fns'
+  export = subtractIntervals
+}
+
 declare module 'date-fns/subWeeks/index.js' {
   import {subWeeks} from 'date-fns'
   export = subWeeks
@@ -3010,15 +4302,35 @@ declare module 'date-fns/toDate/index.js' {
   export = toDate
 }
 
+declare module 'date-fns/toZonedTime/index.js' {
+  import {toZonedTime} from 'date-fns'
+  export = toZonedTime
+}
+
 // FP Functions
 
 declare module 'date-fns/fp' {
+  const add: CurriedFn2<Duration, Date | string | number, Date>
+  namespace add {}
+
+  const addBusinessDays: CurriedFn2<number, Date | string | number, Date>
+  namespace addBusinessDays {}
+
+  const addBusinessDaysWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
+  namespace addBusinessDaysWithOptions {}
+
   const addDays: CurriedFn2<number, Date | string | number, Date>
   namespace addDays {}
 
   const addDaysWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace addDaysWithOptions {}
 
+  const addDurations: CurriedFn2<Duration, Duration, Duration>
+  namespace addDurations {}
+
+  const addDurationsWithOptions: CurriedFn3<Options, Duration, Duration, Duration>
+  namespace addDurationsWithOptions {}
+
   const addHours: CurriedFn2<number, Date | string | number, Date>
   namespace addHours {}
 
@@ -3067,6 +4379,9 @@ declare module 'date-fns/fp' {
   const addWeeksWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace addWeeksWithOptions {}
 
+  const addWithOptions: CurriedFn3<Options, Duration, Date | string | number, Date>
+  namespace addWithOptions {}
+
   const addYears: CurriedFn2<number, Date | string | number, Date>
   namespace addYears {}
 
@@ -3079,6 +4394,18 @@ declare module 'date-fns/fp' {
   const areIntervalsOverlappingWithOptions: CurriedFn3<Options, Interval, Interval, boolean>
   namespace areIntervalsOverlappingWithOptions {}
 
+  const buildHolidayCalendar: CurriedFn1<Object[], HolidayCalendar>
+  namespace buildHolidayCalendar {}
+
+  const buildHolidayCalendarWithOptions: CurriedFn1<Object[], HolidayCalendar>
+  namespace buildHolidayCalendarWithOptions {}
+
+  const buildIntervalIndex: CurriedFn1<Interval[], IntervalIndex>
+  namespace buildIntervalIndex {}
+
+  const buildIntervalIndexWithOptions: CurriedFn2<Options, Interval[], IntervalIndex>
+  namespace buildIntervalIndexWithOptions {}
+
   const closestIndexTo: CurriedFn2<(Date | string | number)[], Date | string | number, number>
   namespace closestIndexTo {}
 
@@ -3103,6 +4430,30 @@ declare module 'date-fns/fp' {
   const compareDescWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, number>
   namespace compareDescWithOptions {}
 
+  const compareDurations: CurriedFn2<Duration, Duration, number>
+  namespace compareDurations {}
+
+  const compareDurationsWithOptions: CurriedFn3<Options, Duration, Duration, number>
+  namespace compareDurationsWithOptions {}
+
+  const compileFormat: CurriedFn1<string, Function>
+  namespace compileFormat {}
+
+  const compileFormatWithOptions: CurriedFn2<Options, string, Function>
+  namespace compileFormatWithOptions {}
+
+  const compileParse: CurriedFn1<string, Function>
+  namespace compileParse {}
+
+  const compileParseWithOptions: CurriedFn2<Options, string, Function>
+  namespace compileParseWithOptions {}
+
+  const differenceInBusinessDays: CurriedFn2<Date | string | number, Date | string | number, number>
+  namespace differenceInBusinessDays {}
+
+  const differenceInBusinessDaysWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, number>
+  namespace differenceInBusinessDaysWithOptions {}
+
   const differenceInCalendarDays: CurriedFn2<Date | string | number, Date | string | number, number>
   namespace differenceInCalendarDays {}
 
@@ -3205,12 +4556,120 @@ declare module 'date-fns/fp' {
   const differenceInYearsWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, number>
   namespace differenceInYearsWithOptions {}
 
+  const durationToMilliseconds: CurriedFn1<Duration, number>
+  namespace durationToMilliseconds {}
+
+  const durationToMillisecondsWithOptions: CurriedFn2<Options, Duration, number>
+  namespace durationToMillisecondsWithOptions {}
+
+  const eachCronOccurrenceIterator: CurriedFn2<Date | string | number, CronSchedule | string, DateIterator>
+  namespace eachCronOccurrenceIterator {}
+
+  const eachCronOccurrenceIteratorWithOptions: CurriedFn3<Options, Date | string | number, CronSchedule | string, DateIterator>
+  namespace eachCronOccurrenceIteratorWithOptions {}
+
   const eachDayOfInterval: CurriedFn1<Interval, Date[]>
   namespace eachDayOfInterval {}
 
+  const eachDayOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachDayOfIntervalIterator {}
+
+  const eachDayOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachDayOfIntervalIteratorWithOptions {}
+
   const eachDayOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
   namespace eachDayOfIntervalWithOptions {}
 
+  const eachHourOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachHourOfInterval {}
+
+  const eachHourOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachHourOfIntervalIterator {}
+
+  const eachHourOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachHourOfIntervalIteratorWithOptions {}
+
+  const eachHourOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachHourOfIntervalWithOptions {}
+
+  const eachMinuteOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachMinuteOfInterval {}
+
+  const eachMinuteOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachMinuteOfIntervalIterator {}
+
+  const eachMinuteOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachMinuteOfIntervalIteratorWithOptions {}
+
+  const eachMinuteOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachMinuteOfIntervalWithOptions {}
+
+  const eachMonthOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachMonthOfInterval {}
+
+  const eachMonthOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachMonthOfIntervalIterator {}
+
+  const eachMonthOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachMonthOfIntervalIteratorWithOptions {}
+
+  const eachMonthOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachMonthOfIntervalWithOptions {}
+
+  const eachOccurrenceIterator: CurriedFn1<RecurrenceRule | string, DateIterator>
+  namespace eachOccurrenceIterator {}
+
+  const eachOccurrenceIteratorWithOptions: CurriedFn2<Options, RecurrenceRule | string, DateIterator>
+  namespace eachOccurrenceIteratorWithOptions {}
+
+  const eachOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachOfInterval {}
+
+  const eachOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachOfIntervalIterator {}
+
+  const eachOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachOfIntervalIteratorWithOptions {}
+
+  const eachOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachOfIntervalWithOptions {}
+
+  const eachQuarterOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachQuarterOfInterval {}
+
+  const eachQuarterOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachQuarterOfIntervalIterator {}
+
+  const eachQuarterOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachQuarterOfIntervalIteratorWithOptions {}
+
+  const eachQuarterOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachQuarterOfIntervalWithOptions {}
+
+  const eachWeekOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachWeekOfInterval {}
+
+  const eachWeekOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachWeekOfIntervalIterator {}
+
+  const eachWeekOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachWeekOfIntervalIteratorWithOptions {}
+
+  const eachWeekOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachWeekOfIntervalWithOptions {}
+
+  const eachYearOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachYearOfInterval {}
+
+  const eachYearOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachYearOfIntervalIterator {}
+
+  const eachYearOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachYearOfIntervalIteratorWithOptions {}
+
+  const eachYearOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachYearOfIntervalWithOptions {}
+
   const endOfDay: CurriedFn1<Date | string | number, Date>
   namespace endOfDay {}
 
@@ -3271,6 +4730,12 @@ declare module 'date-fns/fp' {
   const endOfYearWithOptions: CurriedFn2<Options, Date | string | number, Date>
   namespace endOfYearWithOptions {}
 
+  const findFreeSlots: CurriedFn1<Interval[], Interval[]>
+  namespace findFreeSlots {}
+
+  const findFreeSlotsWithOptions: CurriedFn2<Options, Interval[], Interval[]>
+  namespace findFreeSlotsWithOptions {}
+
   const format: CurriedFn2<string, Date | string | number, string>
   namespace format {}
 
@@ -3286,15 +4751,69 @@ declare module 'date-fns/fp' {
   const formatDistanceWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, string>
   namespace formatDistanceWithOptions {}
 
+  const formatDuration: CurriedFn1<Duration, string>
+  namespace formatDuration {}
+
+  const formatDurationWithOptions: CurriedFn2<Options, Duration, string>
+  namespace formatDurationWithOptions {}
+
+  const formatISO: CurriedFn1<Date | string | number, string>
+  namespace formatISO {}
+
+  const formatISODuration: CurriedFn1<Duration, string>
+  namespace formatISODuration {}
+
+  const formatISODurationWithOptions: CurriedFn2<Options, Duration, string>
+  namespace formatISODurationWithOptions {}
+
+  const formatISOWithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatISOWithOptions {}
+
+  const formatRecurrence: CurriedFn1<RecurrenceRule | string, string>
+  namespace formatRecurrence {}
+
+  const formatRecurrenceWithOptions: CurriedFn2<Options, RecurrenceRule | string, string>
+  namespace formatRecurrenceWithOptions {}
+
   const formatRelative: CurriedFn2<Date | string | number, Date | string | number, string>
   namespace formatRelative {}
 
   const formatRelativeWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, string>
   namespace formatRelativeWithOptions {}
 
+  const formatRFC2822: CurriedFn1<Date | string | number, string>
+  namespace formatRFC2822 {}
+
+  const formatRFC2822WithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatRFC2822WithOptions {}
+
+  const formatRFC3339: CurriedFn1<Date | string | number, string>
+  namespace formatRFC3339 {}
+
+  const formatRFC3339WithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatRFC3339WithOptions {}
+
+  const formatRFC7231: CurriedFn1<Date | string | number, string>
+  namespace formatRFC7231 {}
+
+  const formatRFC7231WithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatRFC7231WithOptions {}
+
+  const formatToParts: CurriedFn2<string, Date | string | number, Object[]>
+  namespace formatToParts {}
+
+  const formatToPartsWithOptions: CurriedFn3<Options, string, Date | string | number, Object[]>
+  namespace formatToPartsWithOptions {}
+
   const formatWithOptions: CurriedFn3<Options, string, Date | string | number, string>
   namespace formatWithOptions {}
 
+  const fromZonedTime: CurriedFn2<TimeZone | string, Date | string | number, Date>
+  namespace fromZonedTime {}
+
+  const fromZonedTimeWithOptions: CurriedFn3<Options, TimeZone | string, Date | string | number, Date>
+  namespace fromZonedTimeWithOptions {}
+
   const getDate: CurriedFn1<Date | string | number, number>
   namespace getDate {}
 
@@ -3379,6 +4898,18 @@ declare module 'date-fns/fp' {
   const getOverlappingDaysInIntervalsWithOptions: CurriedFn3<Options, Interval, Interval, number>
   namespace getOverlappingDaysInIntervalsWithOptions {}
 
+  const getOverlappingInterval: CurriedFn2<Interval, Interval, Interval | null>
+  namespace getOverlappingInterval {}
+
+  const getOverlappingIntervalWithOptions: CurriedFn3<Options, Interval, Interval, Interval | null>
+  namespace getOverlappingIntervalWithOptions {}
+
+  const getOverlappingTimeInIntervals: CurriedFn2<Interval, Interval, number>
+  namespace getOverlappingTimeInIntervals {}
+
+  const getOverlappingTimeInIntervalsWithOptions: CurriedFn3<Options, Interval, Interval, number>
+  namespace getOverlappingTimeInIntervalsWithOptions {}
+
   const getQuarter: CurriedFn1<Date | string | number, number>
   namespace getQuarter {}
 
@@ -3415,6 +4946,24 @@ declare module 'date-fns/fp' {
   const getYearWithOptions: CurriedFn2<Options, Date | string | number, number>
   namespace getYearWithOptions {}
 
+  const intersectIntervals: CurriedFn2<Interval[], Interval[], Interval[]>
+  namespace intersectIntervals {}
+
+  const intersectIntervalsWithOptions: CurriedFn3<Options, Interval[], Interval[], Interval[]>
+  namespace intersectIntervalsWithOptions {}
+
+  const intervalToDuration: CurriedFn1<Interval, Duration>
+  namespace intervalToDuration {}
+
+  const intervalToDurationWithOptions: CurriedFn2<Options, Interval, Duration>
+  namespace intervalToDurationWithOptions {}
+
+  const invertIntervals: CurriedFn2<Interval, Interval[], Interval[]>
+  namespace invertIntervals {}
+
+  const invertIntervalsWithOptions: CurriedFn3<Options, Interval, Interval[], Interval[]>
+  namespace invertIntervalsWithOptions {}
+
   const isAfter: CurriedFn2<Date | string | number, Date | string | number, boolean>
   namespace isAfter {}
 
@@ -3427,6 +4976,12 @@ declare module 'date-fns/fp' {
   const isBeforeWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, boolean>
   namespace isBeforeWithOptions {}
 
+  const isBusinessDay: CurriedFn1<Date | string | number, boolean>
+  namespace isBusinessDay {}
+
+  const isBusinessDayWithOptions: CurriedFn2<Options, Date | string | number, boolean>
+  namespace isBusinessDayWithOptions {}
+
   const isEqual: CurriedFn2<Date | string | number, Date | string | number, boolean>
   namespace isEqual {}
 
@@ -3445,6 +5000,12 @@ declare module 'date-fns/fp' {
   const isFridayWithOptions: CurriedFn2<Options, Date | string | number, boolean>
   namespace isFridayWithOptions {}
 
+  const isHoliday: CurriedFn1<Date | string | number, boolean>
+  namespace isHoliday {}
+
+  const isHolidayWithOptions: CurriedFn2<Options, Date | string | number, boolean>
+  namespace isHolidayWithOptions {}
+
   const isLastDayOfMonth: CurriedFn1<Date | string | number, boolean>
   namespace isLastDayOfMonth {}
 
@@ -3613,18 +5174,66 @@ declare module 'date-fns/fp' {
   const maxWithOptions: CurriedFn2<Options, (Date | string | number)[], Date>
   namespace maxWithOptions {}
 
+  const mergeIntervals: CurriedFn1<Interval[], Interval[]>
+  namespace mergeIntervals {}
+
+  const mergeIntervalsWithOptions: CurriedFn2<Options, Interval[], Interval[]>
+  namespace mergeIntervalsWithOptions {}
+
   const min: CurriedFn1<(Date | string | number)[], Date>
   namespace min {}
 
   const minWithOptions: CurriedFn2<Options, (Date | string | number)[], Date>
   namespace minWithOptions {}
 
+  const nextCronOccurrence: CurriedFn2<Date | string | number, CronSchedule | string, Date | null>
+  namespace nextCronOccurrence {}
+
+  const nextCronOccurrenceWithOptions: CurriedFn3<Options, Date | string | number, CronSchedule | string, Date | null>
+  namespace nextCronOccurrenceWithOptions {}
+
+  const normalizeDuration: CurriedFn1<Duration, Duration>
+  namespace normalizeDuration {}
+
+  const normalizeDurationWithOptions: CurriedFn2<Options, Duration, Duration>
+  namespace normalizeDurationWithOptions {}
+
   const parse: CurriedFn3<Date | string | number, string, string, Date>
   namespace parse {}
 
+  const parseCron: CurriedFn1<string, CronSchedule>
+  namespace parseCron {}
+
+  const parseCronWithOptions: CurriedFn2<Options, string, CronSchedule>
+  namespace parseCronWithOptions {}
+
+  const parseICalDateTime: CurriedFn1<string, Date>
+  namespace parseICalDateTime {}
+
+  const parseICalDateTimeWithOptions: CurriedFn2<Options, string, Date>
+  namespace parseICalDateTimeWithOptions {}
+
+  const parseISODuration: CurriedFn1<string, Duration>
+  namespace parseISODuration {}
+
+  const parseISODurationWithOptions: CurriedFn2<Options, string, Duration>
+  namespace parseISODurationWithOptions {}
+
+  const parseRRule: CurriedFn1<string, RecurrenceRule>
+  namespace parseRRule {}
+
+  const parseRRuleWithOptions: CurriedFn2<Options, string, RecurrenceRule>
+  namespace parseRRuleWithOptions {}
+
   const parseWithOptions: CurriedFn4<Options, Date | string | number, string, string, Date>
   namespace parseWithOptions {}
 
+  const prevCronOccurrence: CurriedFn2<Date | string | number, CronSchedule | string, Date | null>
+  namespace prevCronOccurrence {}
+
+  const prevCronOccurrenceWithOptions: CurriedFn3<Options, Date | string | number, CronSchedule | string, Date | null>
+  namespace prevCronOccurrenceWithOptions {}
+
   const setDate: CurriedFn2<number, Date | string | number, Date>
   namespace setDate {}
 
@@ -3703,6 +5312,12 @@ declare module 'date-fns/fp' {
   const setYearWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace setYearWithOptions {}
 
+  const splitInterval: CurriedFn1<Interval, Interval[]>
+  namespace splitInterval {}
+
+  const splitIntervalWithOptions: CurriedFn2<Options, Interval, Interval[]>
+  namespace splitIntervalWithOptions {}
+
   const startOfDay: CurriedFn1<Date | string | number, Date>
   namespace startOfDay {}
 
@@ -3763,6 +5378,15 @@ declare module 'date-fns/fp' {
   const startOfYearWithOptions: CurriedFn2<Options, Date | string | number, Date>
   namespace startOfYearWithOptions {}
 
+  const sub: CurriedFn2<Duration, Date | string | number, Date>
+  namespace sub {}
+
+  const subBusinessDays: CurriedFn2<number, Date | string | number, Date>
+  namespace subBusinessDays {}
+
+  const subBusinessDaysWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
+  namespace subBusinessDaysWithOptions {}
+
   const subDays: CurriedFn2<number, Date | string | number, Date>
   namespace subDays {}
 
@@ -3811,12 +5435,21 @@ declare module 'date-fns/fp' {
   const subSecondsWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace subSecondsWithOptions {}
 
+  const subtractIntervals: CurriedFn2<Interval[], Interval[], Interval[]>
+  namespace subtractIntervals {}
+
+  const subtractIntervalsWithOptions: CurriedFn3<Options, Interval[], Interval[], Interval[]>
+  namespace subtractIntervalsWithOptions {}
+
   const subWeeks: CurriedFn2<number, Date | string | number, Date>
   namespace subWeeks {}
 
   const subWeeksWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace subWeeksWithOptions {}
 
+  const subWithOptions: CurriedFn3<Options, Duration, Date | string | number, Date>
+  namespace subWithOptions {}
+
   const subYears: CurriedFn2<number, Date | string | number, Date>
   namespace subYears {}
 
@@ -3828,6 +5461,27 @@ declare module 'date-fns/fp' {
 
   const toDateWithOptions: CurriedFn2<Options, any, Date>
   namespace toDateWithOptions {}
+
+  const toZonedTime: CurriedFn2<TimeZone | string, Date | string | number, Date>
+  namespace toZonedTime {}
+
+  const toZonedTimeWithOptions: CurriedFn3<Options, TimeZone | string, Date | string | number, Date>
+  namespace toZonedTimeWithOptions {}
+}
+
+declare module 'date-fns/fp/add' {
+  import {add} from 'date-fns/fp'
+  export = add
+}
+
+declare module 'date-fns/fp/addBusinessDays' {
+  import {addBusinessDays} from 'date-fns/fp'
+  export = addBusinessDays
+}
+
+declare module 'date-fns/fp/addBusinessDaysWithOptions' {
+  import {addBusinessDaysWithOptions} from 'date-fns/fp'
+  export = addBusinessDaysWithOptions
 }
 
 declare module 'date-fns/fp/addDays' {
@@ -3840,6 +5494,16 @@ declare module 'date-fns/fp/addDaysWithOptions' {
   export = addDaysWithOptions
 }
 
+declare module 'date-fns/fp/addDurations' {
+  import {addDurations} from 'date-fns/fp'
+  export = addDurations
+}
+
+declare module 'date-fns/fp/addDurationsWithOptions' {
+  import {addDurationsWithOptions} from 'date-fns/fp'
+  export = addDurationsWithOptions
+}
+
 declare module 'date-fns/fp/addHours' {
   import {addHours} from 'date-fns/fp'
   export = addHours
@@ -3920,6 +5584,11 @@ declare module 'date-fns/fp/addWeeksWithOptions' {
   export = addWeeksWithOptions
 }
 
+declare module 'date-fns/fp/addWithOptions' {
+  import {addWithOptions} from 'date-fns/fp'
+  export = addWithOptions
+}
+
 declare module 'date-fns/fp/addYears' {
   import {addYears} from 'date-fns/fp'
   export = addYears
@@ -3940,6 +5609,26 @@ declare module 'date-fns/fp/areIntervalsOverlappingWithOptions' {
   export = areIntervalsOverlappingWithOptions
 }
 
+declare module 'date-fns/fp/buildHolidayCalendar' {
+  import {buildHolidayCalendar} from 'date-fns/fp'
+  export = buildHolidayCalendar
+}
+
+declare module 'date-fns/fp/buildHolidayCalendarWithOptions' {
+  import {buildHolidayCalendarWithOptions} from 'date-fns/fp'
+  export = buildHolidayCalendarWithOptions
+}
+
+declare module 'date-fns/fp/buildIntervalIndex' {
+  import {buildIntervalIndex} from 'date-fns/fp'
+  export = buildIntervalIndex
+}
+
+declare module 'date-fns/fp/buildIntervalIndexWithOptions' {
+  import {buildIntervalIndexWithOptions} from 'date-fns/fp'
+  export = buildIntervalIndexWithOptions
+}
+
 declare module 'date-fns/fp/closestIndexTo' {
   import {closestIndexTo} from 'date-fns/fp'
   export = closestIndexTo
@@ -3980,6 +5669,46 @@ declare module 'date-fns/fp/compareDescWithOptions' {
   export = compareDescWithOptions
 }
 
+declare module 'date-fns/fp/compareDurations' {
+  import {compareDurations} from 'date-fns/fp'
+  export = compareDurations
+}
+
+declare module 'date-fns/fp/compareDurationsWithOptions' {
+  import {compareDurationsWithOptions} from 'date-fns/fp'
+  export = compareDurationsWithOptions
+}
+
+declare module 'date-fns/fp/compileFormat' {
+  import {compileFormat} from 'date-fns/fp'
+  export = compileFormat
+}
+
+declare module 'date-fns/fp/compileFormatWithOptions' {
+  import {compileFormatWithOptions} from 'date-fns/fp'
+  export = compileFormatWithOptions
+}
+
+declare module 'date-fns/fp/compileParse' {
+  import {compileParse} from 'date-fns/fp'
+  export = compileParse
+}
+
+declare module 'date-fns/fp/compileParseWithOptions' {
+  import {compileParseWithOptions} from 'date-fns/fp'
+  export = compileParseWithOptions
+}
+
+declare module 'date-fns/fp/differenceInBusinessDays' {
+  import {differenceInBusinessDays} from 'date-fns/fp'
+  export = differenceInBusinessDays
+}
+
+declare module 'date-fns/fp/differenceInBusinessDaysWithOptions' {
+  import {differenceInBusinessDaysWithOptions} from 'date-fns/fp'
+  export = differenceInBusinessDaysWithOptions
+}
+
 declare module 'date-fns/fp/differenceInCalendarDays' {
   import {differenceInCalendarDays} from 'date-fns/fp'
   export = differenceInCalendarDays
@@ -4150,116 +5879,306 @@ declare module 'date-fns/fp/differenceInYearsWithOptions' {
   export = differenceInYearsWithOptions
 }
 
+declare module 'date-fns/fp/durationToMilliseconds' {
+  import {durationToMilliseconds} from 'date-fns/fp'
+  export = durationToMilliseconds
+}
+
+declare module 'date-fns/fp/durationToMillisecondsWithOptions' {
+  import {durationToMillisecondsWithOptions} from 'date-fns/fp'
+  export = durationToMillisecondsWithOptions
+}
+
+declare module 'date-fns/fp/eachCronOccurrenceIterator' {
+  import {eachCronOccurrenceIterator} from 'date-fns/fp'
+  export = eachCronOccurrenceIterator
+}
+
+declare module 'date-fns/fp/eachCronOccurrenceIteratorWithOptions' {
+  import {eachCronOccurrenceIteratorWithOptions} from 'date-fns/fp'
+  export = eachCronOccurrenceIteratorWithOptions
+}
+
 declare module 'date-fns/fp/eachDayOfInterval' {
   import {eachDayOfInterval} from 'date-fns/fp'
   export = eachDayOfInterval
 }
 
+declare module 'date-fns/fp/eachDayOfIntervalIterator' {
+  import {eachDayOfIntervalIterator} from 'date-fns/fp'
+  export = eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachDayOfIntervalIteratorWithOptions' {
+  import {eachDayOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachDayOfIntervalIteratorWithOptions
+}
+
 declare module 'date-fns/fp/eachDayOfIntervalWithOptions' {
   import {eachDayOfIntervalWithOptions} from 'date-fns/fp'
   export = eachDayOfIntervalWithOptions
 }
 
-declare module 'date-fns/fp/endOfDay' {
-  import {endOfDay} from 'date-fns/fp'
-  export = endOfDay
+declare module 'date-fns/fp/eachHourOfInterval' {
+  import {eachHourOfInterval} from 'date-fns/fp'
+  export = eachHourOfInterval
 }
 
-declare module 'date-fns/fp/endOfDayWithOptions' {
-  import {endOfDayWithOptions} from 'date-fns/fp'
-  export = endOfDayWithOptions
+declare module 'date-fns/fp/eachHourOfIntervalIterator' {
+  import {eachHourOfIntervalIterator} from 'date-fns/fp'
+  export = eachHourOfIntervalIterator
 }
 
-declare module 'date-fns/fp/endOfHour' {
-  import {endOfHour} from 'date-fns/fp'
-  export = endOfHour
+declare module 'date-fns/fp/eachHourOfIntervalIteratorWithOptions' {
+  import {eachHourOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachHourOfIntervalIteratorWithOptions
 }
 
-declare module 'date-fns/fp/endOfHourWithOptions' {
-  import {endOfHourWithOptions} from 'date-fns/fp'
-  export = endOfHourWithOptions
+declare module 'date-fns/fp/eachHourOfIntervalWithOptions' {
+  import {eachHourOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachHourOfIntervalWithOptions
 }
 
-declare module 'date-fns/fp/endOfISOWeek' {
-  import {endOfISOWeek} from 'date-fns/fp'
-  export = endOfISOWeek
+declare module 'date-fns/fp/eachMinuteOfInterval' {
+  import {eachMinuteOfInterval} from 'date-fns/fp'
+  export = eachMinuteOfInterval
 }
 
-declare module 'date-fns/fp/endOfISOWeekWithOptions' {
-  import {endOfISOWeekWithOptions} from 'date-fns/fp'
-  export = endOfISOWeekWithOptions
+declare module 'date-fns/fp/eachMinuteOfIntervalIterator' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/fp'
+  export = eachMinuteOfIntervalIterator
 }
 
-declare module 'date-fns/fp/endOfISOWeekYear' {
-  import {endOfISOWeekYear} from 'date-fns/fp'
-  export = endOfISOWeekYear
+declare module 'date-fns/fp/eachMinuteOfIntervalIteratorWithOptions' {
+  import {eachMinuteOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachMinuteOfIntervalIteratorWithOptions
 }
 
-declare module 'date-fns/fp/endOfISOWeekYearWithOptions' {
-  import {endOfISOWeekYearWithOptions} from 'date-fns/fp'
-  export = endOfISOWeekYearWithOptions
+declare module 'date-fns/fp/eachMinuteOfIntervalWithOptions' {
+  import {eachMinuteOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachMinuteOfIntervalWithOptions
 }
 
-declare module 'date-fns/fp/endOfMinute' {
-  import {endOfMinute} from 'date-fns/fp'
-  export = endOfMinute
+declare module 'date-fns/fp/eachMonthOfInterval' {
+  import {eachMonthOfInterval} from 'date-fns/fp'
+  export = eachMonthOfInterval
 }
 
-declare module 'date-fns/fp/endOfMinuteWithOptions' {
-  import {endOfMinuteWithOptions} from 'date-fns/fp'
-  export = endOfMinuteWithOptions
+declare module 'date-fns/fp/eachMonthOfIntervalIterator' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/fp'
+  export = eachMonthOfIntervalIterator
 }
 
-declare module 'date-fns/fp/endOfMonth' {
-  import {endOfMonth} from 'date-fns/fp'
-  export = endOfMonth
+declare module 'date-fns/fp/eachMonthOfIntervalIteratorWithOptions' {
+  import {eachMonthOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachMonthOfIntervalIteratorWithOptions
 }
 
-declare module 'date-fns/fp/endOfMonthWithOptions' {
-  import {endOfMonthWithOptions} from 'date-fns/fp'
-  export = endOfMonthWithOptions
+declare module 'date-fns/fp/eachMonthOfIntervalWithOptions' {
+  import {eachMonthOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachMonthOfIntervalWithOptions
 }
 
-declare module 'date-fns/fp/endOfQuarter' {
-  import {endOfQuarter} from 'date-fns/fp'
-  export = endOfQuarter
+declare module 'date-fns/fp/eachOccurrenceIterator' {
+  import {eachOccurrenceIterator} from 'date-fns/fp'
+  export = eachOccurrenceIterator
 }
 
-declare module 'date-fns/fp/endOfQuarterWithOptions' {
-  import {endOfQuarterWithOptions} from 'date-fns/fp'
-  export = endOfQuarterWithOptions
+declare module 'date-fns/fp/eachOccurrenceIteratorWithOptions' {
+  import {eachOccurrenceIteratorWithOptions} from 'date-fns/fp'
+  export = eachOccurrenceIteratorWithOptions
 }
 
-declare module 'date-fns/fp/endOfSecond' {
-  import {endOfSecond} from 'date-fns/fp'
-  export = endOfSecond
+declare module 'date-fns/fp/eachOfInterval' {
+  import {eachOfInterval} from 'date-fns/fp'
+  export = eachOfInterval
 }
 
-declare module 'date-fns/fp/endOfSecondWithOptions' {
-  import {endOfSecondWithOptions} from 'date-fns/fp'
-  export = endOfSecondWithOptions
+declare module 'date-fns/fp/eachOfIntervalIterator' {
+  import {eachOfIntervalIterator} from 'date-fns/fp'
+  export = eachOfIntervalIterator
 }
 
-declare module 'date-fns/fp/endOfWeek' {
-  import {endOfWeek} from 'date-fns/fp'
-  export = endOfWeek
+declare module 'date-fns/fp/eachOfIntervalIteratorWithOptions' {
+  import {eachOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachOfIntervalIteratorWithOptions
 }
 
-declare module 'date-fns/fp/endOfWeekWithOptions' {
-  import {endOfWeekWithOptions} from 'date-fns/fp'
-  export = endOfWeekWithOptions
+declare module 'date-fns/fp/eachOfIntervalWithOptions' {
+  import {eachOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachOfIntervalWithOptions
 }
 
-declare module 'date-fns/fp/endOfYear' {
-  import {endOfYear} from 'date-fns/fp'
-  export = endOfYear
+declare module 'date-fns/fp/eachQuarterOfInterval' {
+  import {eachQuarterOfInterval} from 'date-fns/fp'
+  export = eachQuarterOfInterval
 }
 
-declare module 'date-fns/fp/endOfYearWithOptions' {
+declare module 'date-fns/fp/eachQuarterOfIntervalIterator' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/fp'
+  export = eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalIteratorWithOptions' {
+  import {eachQuarterOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachQuarterOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalWithOptions' {
+  import {eachQuarterOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachQuarterOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachWeekOfInterval' {
+  import {eachWeekOfInterval} from 'date-fns/fp'
+  export = eachWeekOfInterval
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalIterator' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/fp'
+  export = eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalIteratorWithOptions' {
+  import {eachWeekOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachWeekOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalWithOptions' {
+  import {eachWeekOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachWeekOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachYearOfInterval' {
+  import {eachYearOfInterval} from 'date-fns/fp'
+  export = eachYearOfInterval
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalIterator' {
+  import {eachYearOfIntervalIterator} from 'date-fns/fp'
+  export = eachYearOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalIteratorWithOptions' {
+  import {eachYearOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachYearOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalWithOptions' {
+  import {eachYearOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachYearOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/endOfDay' {
+  import {endOfDay} from 'date-fns/fp'
+  export = endOfDay
+}
+
+declare module 'date-fns/fp/endOfDayWithOptions' {
+  import {endOfDayWithOptions} from 'date-fns/fp'
+  export = endOfDayWithOptions
+}
+
+declare module 'date-fns/fp/endOfHour' {
+  import {endOfHour} from 'date-fns/fp'
+  export = endOfHour
+}
+
+declare module 'date-fns/fp/endOfHourWithOptions' {
+  import {endOfHourWithOptions} from 'date-fns/fp'
+  export = endOfHourWithOptions
+}
+
+declare module 'date-fns/fp/endOfISOWeek' {
+  import {endOfISOWeek} from 'date-fns/fp'
+  export = endOfISOWeek
+}
+
+declare module 'date-fns/fp/endOfISOWeekWithOptions' {
+  import {endOfISOWeekWithOptions} from 'date-fns/fp'
+  export = endOfISOWeekWithOptions
+}
+
+declare module 'date-fns/fp/endOfISOWeekYear' {
+  import {endOfISOWeekYear} from 'date-fns/fp'
+  export = endOfISOWeekYear
+}
+
+declare module 'date-fns/fp/endOfISOWeekYearWithOptions' {
+  import {endOfISOWeekYearWithOptions} from 'date-fns/fp'
+  export = endOfISOWeekYearWithOptions
+}
+
+declare module 'date-fns/fp/endOfMinute' {
+  import {endOfMinute} from 'date-fns/fp'
+  export = endOfMinute
+}
+
+declare module 'date-fns/fp/endOfMinuteWithOptions' {
+  import {endOfMinuteWithOptions} from 'date-fns/fp'
+  export = endOfMinuteWithOptions
+}
+
+declare module 'date-fns/fp/endOfMonth' {
+  import {endOfMonth} from 'date-fns/fp'
+  export = endOfMonth
+}
+
+declare module 'date-fns/fp/endOfMonthWithOptions' {
+  import {endOfMonthWithOptions} from 'date-fns/fp'
+  export = endOfMonthWithOptions
+}
+
+declare module 'date-fns/fp/endOfQuarter' {
+  import {endOfQuarter} from 'date-fns/fp'
+  export = endOfQuarter
+}
+
+declare module 'date-fns/fp/endOfQuarterWithOptions' {
+  import {endOfQuarterWithOptions} from 'date-fns/fp'
+  export = endOfQuarterWithOptions
+}
+
+declare module 'date-fns/fp/endOfSecond' {
+  import {endOfSecond} from 'date-fns/fp'
+  export = endOfSecond
+}
+
+declare module 'date-fns/fp/endOfSecondWithOptions' {
+  import {endOfSecondWithOptions} from 'date-fns/fp'
+  export = endOfSecondWithOptions
+}
+
+declare module 'date-fns/fp/endOfWeek' {
+  import {endOfWeek} from 'date-fns/fp'
+  export = endOfWeek
+}
+
+declare module 'date-fns/fp/endOfWeekWithOptions' {
+  import {endOfWeekWithOptions} from 'date-fns/fp'
+  export = endOfWeekWithOptions
+}
+
+declare module 'date-fns/fp/endOfYear' {
+  import {endOfYear} from 'date-fns/fp'
+  export = endOfYear
+}
+
+declare module 'date-fns/fp/endOfYearWithOptions' {
   import {endOfYearWithOptions} from 'date-fns/fp'
   export = endOfYearWithOptions
 }
 
+declare module 'date-fns/fp/findFreeSlots' {
+  import {findFreeSlots} from 'date-fns/fp'
+  export = findFreeSlots
+}
+
+declare module 'date-fns/fp/findFreeSlotsWithOptions' {
+  import {findFreeSlotsWithOptions} from 'date-fns/fp'
+  export = findFreeSlotsWithOptions
+}
+
 declare module 'date-fns/fp/format' {
   import {format} from 'date-fns/fp'
   export = format
@@ -4285,6 +6204,46 @@ declare module 'date-fns/fp/formatDistanceWithOptions' {
   export = formatDistanceWithOptions
 }
 
+declare module 'date-fns/fp/formatDuration' {
+  import {formatDuration} from 'date-fns/fp'
+  export = formatDuration
+}
+
+declare module 'date-fns/fp/formatDurationWithOptions' {
+  import {formatDurationWithOptions} from 'date-fns/fp'
+  export = formatDurationWithOptions
+}
+
+declare module 'date-fns/fp/formatISO' {
+  import {formatISO} from 'date-fns/fp'
+  export = formatISO
+}
+
+declare module 'date-fns/fp/formatISODuration' {
+  import {formatISODuration} from 'date-fns/fp'
+  export = formatISODuration
+}
+
+declare module 'date-fns/fp/formatISODurationWithOptions' {
+  import {formatISODurationWithOptions} from 'date-fns/fp'
+  export = formatISODurationWithOptions
+}
+
+declare module 'date-fns/fp/formatISOWithOptions' {
+  import {formatISOWithOptions} from 'date-fns/fp'
+  export = formatISOWithOptions
+}
+
+declare module 'date-fns/fp/formatRecurrence' {
+  import {formatRecurrence} from 'date-fns/fp'
+  export = formatRecurrence
+}
+
+declare module 'date-fns/fp/formatRecurrenceWithOptions' {
+  import {formatRecurrenceWithOptions} from 'date-fns/fp'
+  export = formatRecurrenceWithOptions
+}
+
 declare module 'date-fns/fp/formatRelative' {
   import {formatRelative} from 'date-fns/fp'
   export = formatRelative
@@ -4295,11 +6254,61 @@ declare module 'date-fns/fp/formatRelativeWithOptions' {
   export = formatRelativeWithOptions
 }
 
+declare module 'date-fns/fp/formatRFC2822' {
+  import {formatRFC2822} from 'date-fns/fp'
+  export = formatRFC2822
+}
+
+declare module 'date-fns/fp/formatRFC2822WithOptions' {
+  import {formatRFC2822WithOptions} from 'date-fns/fp'
+  export = formatRFC2822WithOptions
+}
+
+declare module 'date-fns/fp/formatRFC3339' {
+  import {formatRFC3339} from 'date-fns/fp'
+  export = formatRFC3339
+}
+
+declare module 'date-fns/fp/formatRFC3339WithOptions' {
+  import {formatRFC3339WithOptions} from 'date-fns/fp'
+  export = formatRFC3339WithOptions
+}
+
+declare module 'date-fns/fp/formatRFC7231' {
+  import {formatRFC7231} from 'date-fns/fp'
+  export = formatRFC7231
+}
+
+declare module 'date-fns/fp/formatRFC7231WithOptions' {
+  import {formatRFC7231WithOptions} from 'date-fns/fp'
+  export = formatRFC7231WithOptions
+}
+
+declare module 'date-fns/fp/formatToParts' {
+  import {formatToParts} from 'date-fns/fp'
+  export = formatToParts
+}
+
+declare module 'date-fns/fp/formatToPartsWithOptions' {
+  import {formatToPartsWithOptions} from 'date-fns/fp'
+  export = formatToPartsWithOptions
+}
+
 declare module 'date-fns/fp/formatWithOptions' {
   import {formatWithOptions} from 'date-fns/fp'
   export = formatWithOptions
 }
 
+declare module 'date-fns/fp/fromZonedTime' {
+  import {fromZonedTime} from 'date-fns/fp'
+  export = fromZonedTime
+}
+
+declare module 'date-fns/fp/fromZonedTimeWithOptions' {
+  import {fromZonedTimeWithOptions} from 'date-fns/fp'
+  export = fromZonedTimeWithOptions
+}
+
 declare module 'date-fns/fp/getDate' {
   import {getDate} from 'date-fns/fp'
   export = getDate
@@ -4440,6 +6449,26 @@ declare module 'date-fns/fp/getOverlappingDaysInIntervalsWithOptions' {
   export = getOverlappingDaysInIntervalsWithOptions
 }
 
+declare module 'date-fns/fp/getOverlappingInterval' {
+  import {getOverlappingInterval} from 'date-fns/fp'
+  export = getOverlappingInterval
+}
+
+declare module 'date-fns/fp/getOverlappingIntervalWithOptions' {
+  import {getOverlappingIntervalWithOptions} from 'date-fns/fp'
+  export = getOverlappingIntervalWithOptions
+}
+
+declare module 'date-fns/fp/getOverlappingTimeInIntervals' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/fp'
+  export = getOverlappingTimeInIntervals
+}
+
+declare module 'date-fns/fp/getOverlappingTimeInIntervalsWithOptions' {
+  import {getOverlappingTimeInIntervalsWithOptions} from 'date-fns/fp'
+  export = getOverlappingTimeInIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/getQuarter' {
   import {getQuarter} from 'date-fns/fp'
   export = getQuarter
@@ -4500,6 +6529,36 @@ declare module 'date-fns/fp/getYearWithOptions' {
   export = getYearWithOptions
 }
 
+declare module 'date-fns/fp/intersectIntervals' {
+  import {intersectIntervals} from 'date-fns/fp'
+  export = intersectIntervals
+}
+
+declare module 'date-fns/fp/intersectIntervalsWithOptions' {
+  import {intersectIntervalsWithOptions} from 'date-fns/fp'
+  export = intersectIntervalsWithOptions
+}
+
+declare module 'date-fns/fp/intervalToDuration' {
+  import {intervalToDuration} from 'date-fns/fp'
+  export = intervalToDuration
+}
+
+declare module 'date-fns/fp/intervalToDurationWithOptions' {
+  import {intervalToDurationWithOptions} from 'date-fns/fp'
+  export = intervalToDurationWithOptions
+}
+
+declare module 'date-fns/fp/invertIntervals' {
+  import {invertIntervals} from 'date-fns/fp'
+  export = invertIntervals
+}
+
+declare module 'date-fns/fp/invertIntervalsWithOptions' {
+  import {invertIntervalsWithOptions} from 'date-fns/fp'
+  export = invertIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/isAfter' {
   import {isAfter} from 'date-fns/fp'
   export = isAfter
@@ -4520,6 +6579,16 @@ declare module 'date-fns/fp/isBeforeWithOptions' {
   export = isBeforeWithOptions
 }
 
+declare module 'date-fns/fp/isBusinessDay' {
+  import {isBusinessDay} from 'date-fns/fp'
+  export = isBusinessDay
+}
+
+declare module 'date-fns/fp/isBusinessDayWithOptions' {
+  import {isBusinessDayWithOptions} from 'date-fns/fp'
+  export = isBusinessDayWithOptions
+}
+
 declare module 'date-fns/fp/isEqual' {
   import {isEqual} from 'date-fns/fp'
   export = isEqual
@@ -4550,6 +6619,16 @@ declare module 'date-fns/fp/isFridayWithOptions' {
   export = isFridayWithOptions
 }
 
+declare module 'date-fns/fp/isHoliday' {
+  import {isHoliday} from 'date-fns/fp'
+  export = isHoliday
+}
+
+declare module 'date-fns/fp/isHolidayWithOptions' {
+  import {isHolidayWithOptions} from 'date-fns/fp'
+  export = isHolidayWithOptions
+}
+
 declare module 'date-fns/fp/isLastDayOfMonth' {
   import {isLastDayOfMonth} from 'date-fns/fp'
   export = isLastDayOfMonth
@@ -4830,6 +6909,16 @@ declare module 'date-fns/fp/maxWithOptions' {
   export = maxWithOptions
 }
 
+declare module 'date-fns/fp/mergeIntervals' {
+  import {mergeIntervals} from 'date-fns/fp'
+  export = mergeIntervals
+}
+
+declare module 'date-fns/fp/mergeIntervalsWithOptions' {
+  import {mergeIntervalsWithOptions} from 'date-fns/fp'
+  export = mergeIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/min' {
   import {min} from 'date-fns/fp'
   export = min
@@ -4840,16 +6929,86 @@ declare module 'date-fns/fp/minWithOptions' {
   export = minWithOptions
 }
 
+declare module 'date-fns/fp/nextCronOccurrence' {
+  import {nextCronOccurrence} from 'date-fns/fp'
+  export = nextCronOccurrence
+}
+
+declare module 'date-fns/fp/nextCronOccurrenceWithOptions' {
+  import {nextCronOccurrenceWithOptions} from 'date-fns/fp'
+  export = nextCronOccurrenceWithOptions
+}
+
+declare module 'date-fns/fp/normalizeDuration' {
+  import {normalizeDuration} from 'date-fns/fp'
+  export = normalizeDuration
+}
+
+declare module 'date-fns/fp/normalizeDurationWithOptions' {
+  import {normalizeDurationWithOptions} from 'date-fns/fp'
+  export = normalizeDurationWithOptions
+}
+
 declare module 'date-fns/fp/parse' {
   import {parse} from 'date-fns/fp'
   export = parse
 }
 
+declare module 'date-fns/fp/parseCron' {
+  import {parseCron} from 'date-fns/fp'
+  export = parseCron
+}
+
+declare module 'date-fns/fp/parseCronWithOptions' {
+  import {parseCronWithOptions} from 'date-fns/fp'
+  export = parseCronWithOptions
+}
+
+declare module 'date-fns/fp/parseICalDateTime' {
+  import {parseICalDateTime} from 'date-fns/fp'
+  export = parseICalDateTime
+}
+
+declare module 'date-fns/fp/parseICalDateTimeWithOptions' {
+  import {parseICalDateTimeWithOptions} from 'date-fns/fp'
+  export = parseICalDateTimeWithOptions
+}
+
+declare module 'date-fns/fp/parseISODuration' {
+  import {parseISODuration} from 'date-fns/fp'
+  export = parseISODuration
+}
+
+declare module 'date-fns/fp/parseISODurationWithOptions' {
+  import {parseISODurationWithOptions} from 'date-fns/fp'
+  export = parseISODurationWithOptions
+}
+
+declare module 'date-fns/fp/parseRRule' {
+  import {parseRRule} from 'date-fns/fp'
+  export = parseRRule
+}
+
+declare module 'date-fns/fp/parseRRuleWithOptions' {
+  import {parseRRuleWithOptions} from 'date-fns/fp'
+  export = parseRRuleWithOptions
+}
+
 declare module 'date-fns/fp/parseWithOptions' {
   import {parseWithOptions} from 'date-fns/fp'
   export = parseWithOptions
 }
 
+declare module 'date-fns/fp/prevCronOccurrence' {
+  import {prevCronOccurrence} from 'date-fns/fp'
+  export = prevCronOccurrence
+}
+
+declare module 'date-fns/fp/prevCronOccurrenceWithOptions' {
+  import {prevCronOccurrenceWithOptions} from 'date-fns/fp'
+  export = prevCronOccurrenceWithOptions
+}
+
 declare module 'date-fns/fp/setDate' {
   import {setDate} from 'date-fns/fp'
   export = setDate
@@ -4980,6 +7139,16 @@ declare module 'date-fns/fp/setYearWithOptions' {
   export = setYearWithOptions
 }
 
+declare module 'date-fns/fp/splitInterval' {
+  import {splitInterval} from 'date-fns/fp'
+  export = splitInterval
+}
+
+declare module 'date-fns/fp/splitIntervalWithOptions' {
+  import {splitIntervalWithOptions} from 'date-fns/fp'
+  export = splitIntervalWithOptions
+}
+
 declare module 'date-fns/fp/startOfDay' {
   import {startOfDay} from 'date-fns/fp'
   export = startOfDay
@@ -5080,6 +7249,21 @@ declare module 'date-fns/fp/startOfYearWithOptions' {
   export = startOfYearWithOptions
 }
 
+declare module 'date-fns/fp/sub' {
+  import {sub} from 'date-fns/fp'
+  export = sub
+}
+
+declare module 'date-fns/fp/subBusinessDays' {
+  import {subBusinessDays} from 'date-fns/fp'
+  export = subBusinessDays
+}
+
+declare module 'date-fns/fp/subBusinessDaysWithOptions' {
+  import {subBusinessDaysWithOptions} from 'date-fns/fp'
+  export = subBusinessDaysWithOptions
+}
+
 declare module 'date-fns/fp/subDays' {
   import {subDays} from 'date-fns/fp'
   export = subDays
@@ -5160,6 +7344,16 @@ declare module 'date-fns/fp/subSecondsWithOptions' {
   export = subSecondsWithOptions
 }
 
+declare module 'date-fns/fp/subtractIntervals' {
+  import {subtractIntervals} from 'date-fns/fp'
+  export = subtractIntervals
+}
+
+declare module 'date-fns/fp/subtractIntervalsWithOptions' {
+  import {subtractIntervalsWithOptions} from 'date-fns/fp'
+  export = subtractIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/subWeeks' {
   import {subWeeks} from 'date-fns/fp'
   export = subWeeks
@@ -5170,6 +7364,11 @@ declare module 'date-fns/fp/subWeeksWithOptions' {
   export = subWeeksWithOptions
 }
 
+declare module 'date-fns/fp/subWithOptions' {
+  import {subWithOptions} from 'date-fns/fp'
+  export = subWithOptions
+}
+
 declare module 'date-fns/fp/subYears' {
   import {subYears} from 'date-fns/fp'
   export = subYears
@@ -5190,6 +7389,31 @@ declare module 'date-fns/fp/toDateWithOptions' {
   export = toDateWithOptions
 }
 
+declare module 'date-fns/fp/toZonedTime' {
+  import {toZonedTime} from 'date-fns/fp'
+  export = toZonedTime
+}
+
+declare module 'date-fns/fp/toZonedTimeWithOptions' {
+  import {toZonedTimeWithOptions} from 'date-fns/fp'
+  export = toZonedTimeWithOptions
+}
+
+declare module 'date-fns/fp/add/index' {
+  import {add} from 'date-fns/fp'
+  export = add
+}
+
+declare module 'date-fns/fp/addBusinessDays/index' {
+  import {addBusinessDays} from 'date-fns/fp'
+  export = addBusinessDays
+}
+
+declare module 'date-fns/fp/addBusinessDaysWithOptions/index' {
+  import {addBusinessDaysWithOptions} from 'date-fns/fp'
+  export = addBusinessDaysWithOptions
+}
+
 declare module 'date-fns/fp/addDays/index' {
   import {addDays} from 'date-fns/fp'
   export = addDays
@@ -5200,6 +7424,16 @@ declare module 'date-fns/fp/addDaysWithOptions/index' {
   export = addDaysWithOptions
 }
 
+declare module 'date-fns/fp/addDurations/index' {
+  import {addDurations} from 'date-fns/fp'
+  export = addDurations
+}
+
+declare module 'date-fns/fp/addDurationsWithOptions/index' {
+  import {addDurationsWithOptions} from 'date-fns/fp'
+  export = addDurationsWithOptions
+}
+
 declare module 'date-fns/fp/addHours/index' {
   import {addHours} from 'date-fns/fp'
   export = addHours
@@ -5280,6 +7514,11 @@ declare module 'date-fns/fp/addWeeksWithOptions/index' {
   export = addWeeksWithOptions
 }
 
+declare module 'date-fns/fp/addWithOptions/index' {
+  import {addWithOptions} from 'date-fns/fp'
+  export = addWithOptions
+}
+
 declare module 'date-fns/fp/addYears/index' {
   import {addYears} from 'date-fns/fp'
   export = addYears
@@ -5300,14 +7539,34 @@ declare module 'date-fns/fp/areIntervalsOverlappingWithOptions/index' {
   export = areIntervalsOverlappingWithOptions
 }
 
-declare module 'date-fns/fp/closestIndexTo/index' {
-  import {closestIndexTo} from 'date-fns/fp'
-  export = closestIndexTo
+declare module 'date-fns/fp/buildHolidayCalendar/index' {
+  import {buildHolidayCalendar} from 'date-fns/fp'
+  export = buildHolidayCalendar
 }
 
-declare module 'date-fns/fp/closestIndexToWithOptions/index' {
-  import {closestIndexToWithOptions} from 'date-fns/fp'
-  export = closestIndexToWithOptions
+declare module 'date-fns/fp/buildHolidayCalendarWithOptions/index' {
+  import {buildHolidayCalendarWithOptions} from 'date-fns/fp'
+  export = buildHolidayCalendarWithOptions
+}
+
+declare module 'date-fns/fp/buildIntervalIndex/index' {
+  import {buildIntervalIndex} from 'date-fns/fp'
+  export = buildIntervalIndex
+}
+
+declare module 'date-fns/fp/buildIntervalIndexWithOptions/index' {
+  import {buildIntervalIndexWithOptions} from 'date-fns/fp'
+  export = buildIntervalIndexWithOptions
+}
+
+declare module 'date-fns/fp/closestIndexTo/index' {
+  import {closestIndexTo} from 'date-fns/fp'
+  export = closestIndexTo
+}
+
+declare module 'date-fns/fp/closestIndexToWithOptions/index' {
+  import {closestIndexToWithOptions} from 'date-fns/fp'
+  export = closestIndexToWithOptions
 }
 
 declare module 'date-fns/fp/closestTo/index' {
@@ -5340,6 +7599,46 @@ declare module 'date-fns/fp/compareDescWithOptions/index' {
   export = compareDescWithOptions
 }
 
+declare module 'date-fns/fp/compareDurations/index' {
+  import {compareDurations} from 'date-fns/fp'
+  export = compareDurations
+}
+
+declare module 'date-fns/fp/compareDurationsWithOptions/index' {
+  import {compareDurationsWithOptions} from 'date-fns/fp'
+  export = compareDurationsWithOptions
+}
+
+declare module 'date-fns/fp/compileFormat/index' {
+  import {compileFormat} from 'date-fns/fp'
+  export = compileFormat
+}
+
+declare module 'date-fns/fp/compileFormatWithOptions/index' {
+  import {compileFormatWithOptions} from 'date-fns/fp'
+  export = compileFormatWithOptions
+}
+
+declare module 'date-fns/fp/compileParse/index' {
+  import {compileParse} from 'date-fns/fp'
+  export = compileParse
+}
+
+declare module 'date-fns/fp/compileParseWithOptions/index' {
+  import {compileParseWithOptions} from 'date-fns/fp'
+  export = compileParseWithOptions
+}
+
+declare module 'date-fns/fp/differenceInBusinessDays/index' {
+  import {differenceInBusinessDays} from 'date-fns/fp'
+  export = differenceInBusinessDays
+}
+
+declare module 'date-fns/fp/differenceInBusinessDaysWithOptions/index' {
+  import {differenceInBusinessDaysWithOptions} from 'date-fns/fp'
+  export = differenceInBusinessDaysWithOptions
+}
+
 declare module 'date-fns/fp/differenceInCalendarDays/index' {
   import {differenceInCalendarDays} from 'date-fns/fp'
   export = differenceInCalendarDays
@@ -5510,16 +7809,196 @@ declare module 'date-fns/fp/differenceInYearsWithOptions/index' {
   export = differenceInYearsWithOptions
 }
 
+declare module 'date-fns/fp/durationToMilliseconds/index' {
+  import {durationToMilliseconds} from 'date-fns/fp'
+  export = durationToMilliseconds
+}
+
+declare module 'date-fns/fp/durationToMillisecondsWithOptions/index' {
+  import {durationToMillisecondsWithOptions} from 'date-fns/fp'
+  export = durationToMillisecondsWithOptions
+}
+
+declare module 'date-fns/fp/eachCronOccurrenceIterator/index' {
+  import {eachCronOccurrenceIterator} from 'date-fns/fp'
+  export = eachCronOccurrenceIterator
+}
+
+declare module 'date-fns/fp/eachCronOccurrenceIteratorWithOptions/index' {
+  import {eachCronOccurrenceIteratorWithOptions} from 'date-fns/fp'
+  export = eachCronOccurrenceIteratorWithOptions
+}
+
 declare module 'date-fns/fp/eachDayOfInterval/index' {
   import {eachDayOfInterval} from 'date-fns/fp'
   export = eachDayOfInterval
 }
 
+declare module 'date-fns/fp/eachDayOfIntervalIterator/index' {
+  import {eachDayOfIntervalIterator} from 'date-fns/fp'
+  export = eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachDayOfIntervalIteratorWithOptions/index' {
+  import {eachDayOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachDayOfIntervalIteratorWithOptions
+}
+
 declare module 'date-fns/fp/eachDayOfIntervalWithOptions/index' {
   import {eachDayOfIntervalWithOptions} from 'date-fns/fp'
   export = eachDayOfIntervalWithOptions
 }
 
+declare module 'date-fns/fp/eachHourOfInterval/index' {
+  import {eachHourOfInterval} from 'date-fns/fp'
+  export = eachHourOfInterval
+}
+
+declare module 'date-fns/fp/eachHourOfIntervalIterator/index' {
+  import {eachHourOfIntervalIterator} from 'date-fns/fp'
+  export = eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachHourOfIntervalIteratorWithOptions/index' {
+  import {eachHourOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachHourOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachHourOfIntervalWithOptions/index' {
+  import {eachHourOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachHourOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachMinuteOfInterval/index' {
+  import {eachMinuteOfInterval} from 'date-fns/fp'
+  export = eachMinuteOfInterval
+}
+
+declare module 'date-fns/fp/eachMinuteOfIntervalIterator/index' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/fp'
+  export = eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachMinuteOfIntervalIteratorWithOptions/index' {
+  import {eachMinuteOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachMinuteOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachMinuteOfIntervalWithOptions/index' {
+  import {eachMinuteOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachMinuteOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachMonthOfInterval/index' {
+  import {eachMonthOfInterval} from 'date-fns/fp'
+  export = eachMonthOfInterval
+}
+
+declare module 'date-fns/fp/eachMonthOfIntervalIterator/index' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/fp'
+  export = eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachMonthOfIntervalIteratorWithOptions/index' {
+  import {eachMonthOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachMonthOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachMonthOfIntervalWithOptions/index' {
+  import {eachMonthOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachMonthOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachOccurrenceIterator/index' {
+  import {eachOccurrenceIterator} from 'date-fns/fp'
+  export = eachOccurrenceIterator
+}
+
+declare module 'date-fns/fp/eachOccurrenceIteratorWithOptions/index' {
+  import {eachOccurrenceIteratorWithOptions} from 'date-fns/fp'
+  export = eachOccurrenceIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachOfInterval/index' {
+  import {eachOfInterval} from 'date-fns/fp'
+  export = eachOfInterval
+}
+
+declare module 'date-fns/fp/eachOfIntervalIterator/index' {
+  import {eachOfIntervalIterator} from 'date-fns/fp'
+  export = eachOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachOfIntervalIteratorWithOptions/index' {
+  import {eachOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachOfIntervalWithOptions/index' {
+  import {eachOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachQuarterOfInterval/index' {
+  import {eachQuarterOfInterval} from 'date-fns/fp'
+  export = eachQuarterOfInterval
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalIterator/index' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/fp'
+  export = eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalIteratorWithOptions/index' {
+  import {eachQuarterOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachQuarterOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalWithOptions/index' {
+  import {eachQuarterOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachQuarterOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachWeekOfInterval/index' {
+  import {eachWeekOfInterval} from 'date-fns/fp'
+  export = eachWeekOfInterval
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalIterator/index' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/fp'
+  export = eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalIteratorWithOptions/index' {
+  import {eachWeekOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachWeekOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalWithOptions/index' {
+  import {eachWeekOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachWeekOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachYearOfInterval/index' {
+  import {eachYearOfInterval} from 'date-fns/fp'
+  export = eachYearOfInterval
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalIterator/index' {
+  import {eachYearOfIntervalIterator} from 'date-fns/fp'
+  export = eachYearOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalIteratorWithOptions/index' {
+  import {eachYearOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachYearOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalWithOptions/index' {
+  import {eachYearOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachYearOfIntervalWithOptions
+}
+
 declare module 'date-fns/fp/endOfDay/index' {
   import {endOfDay} from 'date-fns/fp'
   export = endOfDay
@@ -5620,6 +8099,16 @@ declare module 'date-fns/fp/endOfYearWithOptions/index' {
   export = endOfYearWithOptions
 }
 
+declare module 'date-fns/fp/findFreeSlots/index' {
+  import {findFreeSlots} from 'date-fns/fp'
+  export = findFreeSlots
+}
+
+declare module 'date-fns/fp/findFreeSlotsWithOptions/index' {
+  import {findFreeSlotsWithOptions} from 'date-fns/fp'
+  export = findFreeSlotsWithOptions
+}
+
 declare module 'date-fns/fp/format/index' {
   import {format} from 'date-fns/fp'
   export = format
@@ -5645,6 +8134,46 @@ declare module 'date-fns/fp/formatDistanceWithOptions/index' {
   export = formatDistanceWithOptions
 }
 
+declare module 'date-fns/fp/formatDuration/index' {
+  import {formatDuration} from 'date-fns/fp'
+  export = formatDuration
+}
+
+declare module 'date-fns/fp/formatDurationWithOptions/index' {
+  import {formatDurationWithOptions} from 'date-fns/fp'
+  export = formatDurationWithOptions
+}
+
+declare module 'date-fns/fp/formatISO/index' {
+  import {formatISO} from 'date-fns/fp'
+  export = formatISO
+}
+
+declare module 'date-fns/fp/formatISODuration/index' {
+  import {formatISODuration} from 'date-fns/fp'
+  export = formatISODuration
+}
+
+declare module 'date-fns/fp/formatISODurationWithOptions/index' {
+  import {formatISODurationWithOptions} from 'date-fns/fp'
+  export = formatISODurationWithOptions
+}
+
+declare module 'date-fns/fp/formatISOWithOptions/index' {
+  import {formatISOWithOptions} from 'date-fns/fp'
+  export = formatISOWithOptions
+}
+
+declare module 'date-fns/fp/formatRecurrence/index' {
+  import {formatRecurrence} from 'date-fns/fp'
+  export = formatRecurrence
+}
+
+declare module 'date-fns/fp/formatRecurrenceWithOptions/index' {
+  import {formatRecurrenceWithOptions} from 'date-fns/fp'
+  export = formatRecurrenceWithOptions
+}
+
 declare module 'date-fns/fp/formatRelative/index' {
   import {formatRelative} from 'date-fns/fp'
   export = formatRelative
@@ -5655,11 +8184,61 @@ declare module 'date-fns/fp/formatRelativeWithOptions/index' {
   export = formatRelativeWithOptions
 }
 
+declare module 'date-fns/fp/formatRFC2822/index' {
+  import {formatRFC2822} from 'date-fns/fp'
+  export = formatRFC2822
+}
+
+declare module 'date-fns/fp/formatRFC2822WithOptions/index' {
+  import {formatRFC2822WithOptions} from 'date-fns/fp'
+  export = formatRFC2822WithOptions
+}
+
+declare module 'date-fns/fp/formatRFC3339/index' {
+  import {formatRFC3339} from 'date-fns/fp'
+  export = formatRFC3339
+}
+
+declare module 'date-fns/fp/formatRFC3339WithOptions/index' {
+  import {formatRFC3339WithOptions} from 'date-fns/fp'
+  export = formatRFC3339WithOptions
+}
+
+declare module 'date-fns/fp/formatRFC7231/index' {
+  import {formatRFC7231} from 'date-fns/fp'
+  export = formatRFC7231
+}
+
+declare module 'date-fns/fp/formatRFC7231WithOptions/index' {
+  import {formatRFC7231WithOptions} from 'date-fns/fp'
+  export = formatRFC7231WithOptions
+}
+
+declare module 'date-fns/fp/formatToParts/index' {
+  import {formatToParts} from 'date-fns/fp'
+  export = formatToParts
+}
+
+declare module 'date-fns/fp/formatToPartsWithOptions/index' {
+  import {formatToPartsWithOptions} from 'date-fns/fp'
+  export = formatToPartsWithOptions
+}
+
 declare module 'date-fns/fp/formatWithOptions/index' {
   import {formatWithOptions} from 'date-fns/fp'
   export = formatWithOptions
 }
 
+declare module 'date-fns/fp/fromZonedTime/index' {
+  import {fromZonedTime} from 'date-fns/fp'
+  export = fromZonedTime
+}
+
+declare module 'date-fns/fp/fromZonedTimeWithOptions/index' {
+  import {fromZonedTimeWithOptions} from 'date-fns/fp'
+  export = fromZonedTimeWithOptions
+}
+
 declare module 'date-fns/fp/getDate/index' {
   import {getDate} from 'date-fns/fp'
   export = getDate
@@ -5800,6 +8379,26 @@ declare module 'date-fns/fp/getOverlappingDaysInIntervalsWithOptions/index' {
   export = getOverlappingDaysInIntervalsWithOptions
 }
 
+declare module 'date-fns/fp/getOverlappingInterval/index' {
+  import {getOverlappingInterval} from 'date-fns/fp'
+  export = getOverlappingInterval
+}
+
+declare module 'date-fns/fp/getOverlappingIntervalWithOptions/index' {
+  import {getOverlappingIntervalWithOptions} from 'date-fns/fp'
+  export = getOverlappingIntervalWithOptions
+}
+
+declare module 'date-fns/fp/getOverlappingTimeInIntervals/index' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/fp'
+  export = getOverlappingTimeInIntervals
+}
+
+declare module 'date-fns/fp/getOverlappingTimeInIntervalsWithOptions/index' {
+  import {getOverlappingTimeInIntervalsWithOptions} from 'date-fns/fp'
+  export = getOverlappingTimeInIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/getQuarter/index' {
   import {getQuarter} from 'date-fns/fp'
   export = getQuarter
@@ -5860,6 +8459,36 @@ declare module 'date-fns/fp/getYearWithOptions/index' {
   export = getYearWithOptions
 }
 
+declare module 'date-fns/fp/intersectIntervals/index' {
+  import {intersectIntervals} from 'date-fns/fp'
+  export = intersectIntervals
+}
+
+declare module 'date-fns/fp/intersectIntervalsWithOptions/index' {
+  import {intersectIntervalsWithOptions} from 'date-fns/fp'
+  export = intersectIntervalsWithOptions
+}
+
+declare module 'date-fns/fp/intervalToDuration/index' {
+  import {intervalToDuration} from 'date-fns/fp'
+  export = intervalToDuration
+}
+
+declare module 'date-fns/fp/intervalToDurationWithOptions/index' {
+  import {intervalToDurationWithOptions} from 'date-fns/fp'
+  export = intervalToDurationWithOptions
+}
+
+declare module 'date-fns/fp/invertIntervals/index' {
+  import {invertIntervals} from 'date-fns/fp'
+  export = invertIntervals
+}
+
+declare module 'date-fns/fp/invertIntervalsWithOptions/index' {
+  import {invertIntervalsWithOptions} from 'date-fns/fp'
+  export = invertIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/isAfter/index' {
   import {isAfter} from 'date-fns/fp'
   export = isAfter
@@ -5880,6 +8509,16 @@ declare module 'date-fns/fp/isBeforeWithOptions/index' {
   export = isBeforeWithOptions
 }
 
+declare module 'date-fns/fp/isBusinessDay/index' {
+  import {isBusinessDay} from 'date-fns/fp'
+  export = isBusinessDay
+}
+
+declare module 'date-fns/fp/isBusinessDayWithOptions/index' {
+  import {isBusinessDayWithOptions} from 'date-fns/fp'
+  export = isBusinessDayWithOptions
+}
+
 declare module 'date-fns/fp/isEqual/index' {
   import {isEqual} from 'date-fns/fp'
   export = isEqual
@@ -5910,6 +8549,16 @@ declare module 'date-fns/fp/isFridayWithOptions/index' {
   export = isFridayWithOptions
 }
 
+declare module 'date-fns/fp/isHoliday/index' {
+  import {isHoliday} from 'date-fns/fp'
+  export = isHoliday
+}
+
+declare module 'date-fns/fp/isHolidayWithOptions/index' {
+  import {isHolidayWithOptions} from 'date-fns/fp'
+  export = isHolidayWithOptions
+}
+
 declare module 'date-fns/fp/isLastDayOfMonth/index' {
   import {isLastDayOfMonth} from 'date-fns/fp'
   export = isLastDayOfMonth
@@ -6190,6 +8839,16 @@ declare module 'date-fns/fp/maxWithOptions/index' {
   export = maxWithOptions
 }
 
+declare module 'date-fns/fp/mergeIntervals/index' {
+  import {mergeIntervals} from 'date-fns/fp'
+  export = mergeIntervals
+}
+
+declare module 'date-fns/fp/mergeIntervalsWithOptions/index' {
+  import {mergeIntervalsWithOptions} from 'date-fns/fp'
+  export = mergeIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/min/index' {
   import {min} from 'date-fns/fp'
   export = min
@@ -6200,16 +8859,86 @@ declare module 'date-fns/fp/minWithOptions/index' {
   export = minWithOptions
 }
 
+declare module 'date-fns/fp/nextCronOccurrence/index' {
+  import {nextCronOccurrence} from 'date-fns/fp'
+  export = nextCronOccurrence
+}
+
+declare module 'date-fns/fp/nextCronOccurrenceWithOptions/index' {
+  import {nextCronOccurrenceWithOptions} from 'date-fns/fp'
+  export = nextCronOccurrenceWithOptions
+}
+
+declare module 'date-fns/fp/normalizeDuration/index' {
+  import {normalizeDuration} from 'date-fns/fp'
+  export = normalizeDuration
+}
+
+declare module 'date-fns/fp/normalizeDurationWithOptions/index' {
+  import {normalizeDurationWithOptions} from 'date-fns/fp'
+  export = normalizeDurationWithOptions
+}
+
 declare module 'date-fns/fp/parse/index' {
   import {parse} from 'date-fns/fp'
   export = parse
 }
 
+declare module 'date-fns/fp/parseCron/index' {
+  import {parseCron} from 'date-fns/fp'
+  export = parseCron
+}
+
+declare module 'date-fns/fp/parseCronWithOptions/index' {
+  import {parseCronWithOptions} from 'date-fns/fp'
+  export = parseCronWithOptions
+}
+
+declare module 'date-fns/fp/parseICalDateTime/index' {
+  import {parseICalDateTime} from 'date-fns/fp'
+  export = parseICalDateTime
+}
+
+declare module 'date-fns/fp/parseICalDateTimeWithOptions/index' {
+  import {parseICalDateTimeWithOptions} from 'date-fns/fp'
+  export = parseICalDateTimeWithOptions
+}
+
+declare module 'date-fns/fp/parseISODuration/index' {
+  import {parseISODuration} from 'date-fns/fp'
+  export = parseISODuration
+}
+
+declare module 'date-fns/fp/parseISODurationWithOptions/index' {
+  import {parseISODurationWithOptions} from 'date-fns/fp'
+  export = parseISODurationWithOptions
+}
+
+declare module 'date-fns/fp/parseRRule/index' {
+  import {parseRRule} from 'date-fns/fp'
+  export = parseRRule
+}
+
+declare module 'date-fns/fp/parseRRuleWithOptions/index' {
+  import {parseRRuleWithOptions} from 'date-fns/fp'
+  export = parseRRuleWithOptions
+}
+
 declare module 'date-fns/fp/parseWithOptions/index' {
   import {parseWithOptions} from 'date-fns/fp'
   export = parseWithOptions
 }
 
+declare module 'date-fns/fp/prevCronOccurrence/index' {
+  import {prevCronOccurrence} from 'date-fns/fp'
+  export = prevCronOccurrence
+}
+
+declare module 'date-fns/fp/prevCronOccurrenceWithOptions/index' {
+  import {prevCronOccurrenceWithOptions} from 'date-fns/fp'
+  export = prevCronOccurrenceWithOptions
+}
+
 declare module 'date-fns/fp/setDate/index' {
   import {setDate} from 'date-fns/fp'
   export = setDate
@@ -6340,6 +9069,16 @@ declare module 'date-fns/fp/setYearWithOptions/index' {
   export = setYearWithOptions
 }
 
+declare module 'date-fns/fp/splitInterval/index' {
+  import {splitInterval} from 'date-fns/fp'
+  export = splitInterval
+}
+
+declare module 'date-fns/fp/splitIntervalWithOptions/index' {
+  import {splitIntervalWithOptions} from 'date-fns/fp'
+  export = splitIntervalWithOptions
+}
+
 declare module 'date-fns/fp/startOfDay/index' {
   import {startOfDay} from 'date-fns/fp'
   export = startOfDay
@@ -6440,6 +9179,21 @@ declare module 'date-fns/fp/startOfYearWithOptions/index' {
   export = startOfYearWithOptions
 }
 
+declare module 'date-fns/fp/sub/index' {
+  import {sub} from 'date-fns/fp'
+  export = sub
+}
+
+declare module 'date-fns/fp/subBusinessDays/index' {
+  import {subBusinessDays} from 'date-fns/fp'
+  export = subBusinessDays
+}
+
+declare module 'date-fns/fp/subBusinessDaysWithOptions/index' {
+  import {subBusinessDaysWithOptions} from 'date-fns/fp'
+  export = subBusinessDaysWithOptions
+}
+
 declare module 'date-fns/fp/subDays/index' {
   import {subDays} from 'date-fns/fp'
   export = subDays
@@ -6520,6 +9274,16 @@ declare module 'date-fns/fp/subSecondsWithOptions/index' {
   export = subSecondsWithOptions
 }
 
+declare module 'date-fns/fp/subtractIntervals/index' {
+  import {subtractIntervals} from 'date-fns/fp'
+  export = subtractIntervals
+}
+
+declare module 'date-fns/fp/subtractIntervalsWithOptions/index' {
+  import {subtractIntervalsWithOptions} from 'date-fns/fp'
+  export = subtractIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/subWeeks/index' {
   import {subWeeks} from 'date-fns/fp'
   export = subWeeks
@@ -6530,6 +9294,11 @@ declare module 'date-fns/fp/subWeeksWithOptions/index' {
   export = subWeeksWithOptions
 }
 
+declare module 'date-fns/fp/subWithOptions/index' {
+  import {subWithOptions} from 'date-fns/fp'
+  export = subWithOptions
+}
+
 declare module 'date-fns/fp/subYears/index' {
   import {subYears} from 'date-fns/fp'
   export = subYears
@@ -6550,6 +9319,31 @@ declare module 'date-fns/fp/toDateWithOptions/index' {
   export = toDateWithOptions
 }
 
+declare module 'date-fns/fp/toZonedTime/index' {
+  import {toZonedTime} from 'date-fns/fp'
+  export = toZonedTime
+}
+
+declare module 'date-fns/fp/toZonedTimeWithOptions/index' {
+  import {toZonedTimeWithOptions} from 'date-fns/fp'
+  export = toZonedTimeWithOptions
+}
+
+declare module 'date-fns/fp/add/index.js' {
+  import {add} from 'date-fns/fp'
+  export = add
+}
+
+declare module 'date-fns/fp/addBusinessDays/index.js' {
+  import {addBusinessDays} from 'date-fns/fp'
+  export = addBusinessDays
+}
+
+declare module 'date-fns/fp/addBusinessDaysWithOptions/index.js' {
+  import {addBusinessDaysWithOptions} from 'date-fns/fp'
+  export = addBusinessDaysWithOptions
+}
+
 declare module 'date-fns/fp/addDays/index.js' {
   import {addDays} from 'date-fns/fp'
   export = addDays
@@ -6560,6 +9354,16 @@ declare module 'date-fns/fp/addDaysWithOptions/index.js' {
   export = addDaysWithOptions
 }
 
+declare module 'date-fns/fp/addDurations/index.js' {
+  import {addDurations} from 'date-fns/fp'
+  export = addDurations
+}
+
+declare module 'date-fns/fp/addDurationsWithOptions/index.js' {
+  import {addDurationsWithOptions} from 'date-fns/fp'
+  export = addDurationsWithOptions
+}
+
 declare module 'date-fns/fp/addHours/index.js' {
   import {addHours} from 'date-fns/fp'
   export = addHours
@@ -6640,6 +9444,11 @@ declare module 'date-fns/fp/addWeeksWithOptions/index.js' {
   export = addWeeksWithOptions
 }
 
+declare module 'date-fns/fp/addWithOptions/index.js' {
+  import {addWithOptions} from 'date-fns/fp'
+  export = addWithOptions
+}
+
 declare module 'date-fns/fp/addYears/index.js' {
   import {addYears} from 'date-fns/fp'
   export = addYears
@@ -6660,6 +9469,26 @@ declare module 'date-fns/fp/areIntervalsOverlappingWithOptions/index.js' {
   export = areIntervalsOverlappingWithOptions
 }
 
+declare module 'date-fns/fp/buildHolidayCalendar/index.js' {
+  import {buildHolidayCalendar} from 'date-fns/fp'
+  export = buildHolidayCalendar
+}
+
+declare module 'date-fns/fp/buildHolidayCalendarWithOptions/index.js' {
+  import {buildHolidayCalendarWithOptions} from 'date-fns/fp'
+  export = buildHolidayCalendarWithOptions
+}
+
+declare module 'date-fns/fp/buildIntervalIndex/index.js' {
+  import {buildIntervalIndex} from 'date-fns/fp'
+  export = buildIntervalIndex
+}
+
+declare module 'date-fns/fp/buildIntervalIndexWithOptions/index.js' {
+  import {buildIntervalIndexWithOptions} from 'date-fns/fp'
+  export = buildIntervalIndexWithOptions
+}
+
 declare module 'date-fns/fp/closestIndexTo/index.js' {
   import {closestIndexTo} from 'date-fns/fp'
   export = closestIndexTo
@@ -6700,28 +9529,68 @@ declare module 'date-fns/fp/compareDescWithOptions/index.js' {
   export = compareDescWithOptions
 }
 
-declare module 'date-fns/fp/differenceInCalendarDays/index.js' {
-  import {differenceInCalendarDays} from 'date-fns/fp'
-  export = differenceInCalendarDays
+declare module 'date-fns/fp/compareDurations/index.js' {
+  import {compareDurations} from 'date-fns/fp'
+  export = compareDurations
 }
 
-declare module 'date-fns/fp/differenceInCalendarDaysWithOptions/index.js' {
-  import {differenceInCalendarDaysWithOptions} from 'date-fns/fp'
-  export = differenceInCalendarDaysWithOptions
+declare module 'date-fns/fp/compareDurationsWithOptions/index.js' {
+  import {compareDurationsWithOptions} from 'date-fns/fp'
+  export = compareDurationsWithOptions
 }
 
-declare module 'date-fns/fp/differenceInCalendarISOWeeks/index.js' {
-  import {differenceInCalendarISOWeeks} from 'date-fns/fp'
-  export = differenceInCalendarISOWeeks
+declare module 'date-fns/fp/compileFormat/index.js' {
+  import {compileFormat} from 'date-fns/fp'
+  export = compileFormat
 }
 
-declare module 'date-fns/fp/differenceInCalendarISOWeeksWithOptions/index.js' {
-  import {differenceInCalendarISOWeeksWithOptions} from 'date-fns/fp'
-  export = differenceInCalendarISOWeeksWithOptions
+declare module 'date-fns/fp/compileFormatWithOptions/index.js' {
+  import {compileFormatWithOptions} from 'date-fns/fp'
+  export = compileFormatWithOptions
 }
 
-declare module 'date-fns/fp/differenceInCalendarISOWeekYears/index.js' {
-  import {differenceInCalendarISOWeekYears} from 'date-fns/fp'
+declare module 'date-fns/fp/compileParse/index.js' {
+  import {compileParse} from 'date-fns/fp'
+  export = compileParse
+}
+
+declare module 'date-fns/fp/compileParseWithOptions/index.js' {
+  import {compileParseWithOptions} from 'date-fns/fp'
+  export = compileParseWithOptions
+}
+
+declare module 'date-fns/fp/differenceInBusinessDays/index.js' {
+  import {differenceInBusinessDays} from 'date-fns/fp'
+  export = differenceInBusinessDays
+}
+
+declare module 'date-fns/fp/differenceInBusinessDaysWithOptions/index.js' {
+  import {differenceInBusinessDaysWithOptions} from 'date-fns/fp'
+  export = differenceInBusinessDaysWithOptions
+}
+
+declare module 'date-fns/fp/differenceInCalendarDays/index.js' {
+  import {differenceInCalendarDays} from 'date-fns/fp'
+  export = differenceInCalendarDays
+}
+
+declare module 'date-fns/fp/differenceInCalendarDaysWithOptions/index.js' {
+  import {differenceInCalendarDaysWithOptions} from 'date-fns/fp'
+  export = differenceInCalendarDaysWithOptions
+}
+
+declare module 'date-fns/fp/differenceInCalendarISOWeeks/index.js' {
+  import {differenceInCalendarISOWeeks} from 'date-fns/fp'
+  export = differenceInCalendarISOWeeks
+}
+
+declare module 'date-fns/fp/differenceInCalendarISOWeeksWithOptions/index.js' {
+  import {differenceInCalendarISOWeeksWithOptions} from 'date-fns/fp'
+  export = differenceInCalendarISOWeeksWithOptions
+}
+
+declare module 'date-fns/fp/differenceInCalendarISOWeekYears/index.js' {
+  import {differenceInCalendarISOWeekYears} from 'date-fns/fp'
   export = differenceInCalendarISOWeekYears
 }
 
@@ -6870,16 +9739,196 @@ declare module 'date-fns/fp/differenceInYearsWithOptions/index.js' {
   export = differenceInYearsWithOptions
 }
 
+declare module 'date-fns/fp/durationToMilliseconds/index.js' {
+  import {durationToMilliseconds} from 'date-fns/fp'
+  export = durationToMilliseconds
+}
+
+declare module 'date-fns/fp/durationToMillisecondsWithOptions/index.js' {
+  import {durationToMillisecondsWithOptions} from 'date-fns/fp'
+  export = durationToMillisecondsWithOptions
+}
+
+declare module 'date-fns/fp/eachCronOccurrenceIterator/index.js' {
+  import {eachCronOccurrenceIterator} from 'date-fns/fp'
+  export = eachCronOccurrenceIterator
+}
+
+declare module 'date-fns/fp/eachCronOccurrenceIteratorWithOptions/index.js' {
+  import {eachCronOccurrenceIteratorWithOptions} from 'date-fns/fp'
+  export = eachCronOccurrenceIteratorWithOptions
+}
+
 declare module 'date-fns/fp/eachDayOfInterval/index.js' {
   import {eachDayOfInterval} from 'date-fns/fp'
   export = eachDayOfInterval
 }
 
+declare module 'date-fns/fp/eachDayOfIntervalIterator/index.js' {
+  import {eachDayOfIntervalIterator} from 'date-fns/fp'
+  export = eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachDayOfIntervalIteratorWithOptions/index.js' {
+  import {eachDayOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachDayOfIntervalIteratorWithOptions
+}
+
 declare module 'date-fns/fp/eachDayOfIntervalWithOptions/index.js' {
   import {eachDayOfIntervalWithOptions} from 'date-fns/fp'
   export = eachDayOfIntervalWithOptions
 }
 
+declare module 'date-fns/fp/eachHourOfInterval/index.js' {
+  import {eachHourOfInterval} from 'date-fns/fp'
+  export = eachHourOfInterval
+}
+
+declare module 'date-fns/fp/eachHourOfIntervalIterator/index.js' {
+  import {eachHourOfIntervalIterator} from 'date-fns/fp'
+  export = eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachHourOfIntervalIteratorWithOptions/index.js' {
+  import {eachHourOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachHourOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachHourOfIntervalWithOptions/index.js' {
+  import {eachHourOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachHourOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachMinuteOfInterval/index.js' {
+  import {eachMinuteOfInterval} from 'date-fns/fp'
+  export = eachMinuteOfInterval
+}
+
+declare module 'date-fns/fp/eachMinuteOfIntervalIterator/index.js' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/fp'
+  export = eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachMinuteOfIntervalIteratorWithOptions/index.js' {
+  import {eachMinuteOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachMinuteOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachMinuteOfIntervalWithOptions/index.js' {
+  import {eachMinuteOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachMinuteOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachMonthOfInterval/index.js' {
+  import {eachMonthOfInterval} from 'date-fns/fp'
+  export = eachMonthOfInterval
+}
+
+declare module 'date-fns/fp/eachMonthOfIntervalIterator/index.js' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/fp'
+  export = eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachMonthOfIntervalIteratorWithOptions/index.js' {
+  import {eachMonthOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachMonthOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachMonthOfIntervalWithOptions/index.js' {
+  import {eachMonthOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachMonthOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachOccurrenceIterator/index.js' {
+  import {eachOccurrenceIterator} from 'date-fns/fp'
+  export = eachOccurrenceIterator
+}
+
+declare module 'date-fns/fp/eachOccurrenceIteratorWithOptions/index.js' {
+  import {eachOccurrenceIteratorWithOptions} from 'date-fns/fp'
+  export = eachOccurrenceIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachOfInterval/index.js' {
+  import {eachOfInterval} from 'date-fns/fp'
+  export = eachOfInterval
+}
+
+declare module 'date-fns/fp/eachOfIntervalIterator/index.js' {
+  import {eachOfIntervalIterator} from 'date-fns/fp'
+  export = eachOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachOfIntervalIteratorWithOptions/index.js' {
+  import {eachOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachOfIntervalWithOptions/index.js' {
+  import {eachOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachQuarterOfInterval/index.js' {
+  import {eachQuarterOfInterval} from 'date-fns/fp'
+  export = eachQuarterOfInterval
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalIterator/index.js' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/fp'
+  export = eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalIteratorWithOptions/index.js' {
+  import {eachQuarterOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachQuarterOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachQuarterOfIntervalWithOptions/index.js' {
+  import {eachQuarterOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachQuarterOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachWeekOfInterval/index.js' {
+  import {eachWeekOfInterval} from 'date-fns/fp'
+  export = eachWeekOfInterval
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalIterator/index.js' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/fp'
+  export = eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalIteratorWithOptions/index.js' {
+  import {eachWeekOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachWeekOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachWeekOfIntervalWithOptions/index.js' {
+  import {eachWeekOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachWeekOfIntervalWithOptions
+}
+
+declare module 'date-fns/fp/eachYearOfInterval/index.js' {
+  import {eachYearOfInterval} from 'date-fns/fp'
+  export = eachYearOfInterval
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalIterator/index.js' {
+  import {eachYearOfIntervalIterator} from 'date-fns/fp'
+  export = eachYearOfIntervalIterator
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalIteratorWithOptions/index.js' {
+  import {eachYearOfIntervalIteratorWithOptions} from 'date-fns/fp'
+  export = eachYearOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/fp/eachYearOfIntervalWithOptions/index.js' {
+  import {eachYearOfIntervalWithOptions} from 'date-fns/fp'
+  export = eachYearOfIntervalWithOptions
+}
+
 declare module 'date-fns/fp/endOfDay/index.js' {
   import {endOfDay} from 'date-fns/fp'
   export = endOfDay
@@ -6980,6 +10029,16 @@ declare module 'date-fns/fp/endOfYearWithOptions/index.js' {
   export = endOfYearWithOptions
 }
 
+declare module 'date-fns/fp/findFreeSlots/index.js' {
+  import {findFreeSlots} from 'date-fns/fp'
+  export = findFreeSlots
+}
+
+declare module 'date-fns/fp/findFreeSlotsWithOptions/index.js' {
+  import {findFreeSlotsWithOptions} from 'date-fns/fp'
+  export = findFreeSlotsWithOptions
+}
+
 declare module 'date-fns/fp/format/index.js' {
   import {format} from 'date-fns/fp'
   export = format
@@ -7005,6 +10064,46 @@ declare module 'date-fns/fp/formatDistanceWithOptions/index.js' {
   export = formatDistanceWithOptions
 }
 
+declare module 'date-fns/fp/formatDuration/index.js' {
+  import {formatDuration} from 'date-fns/fp'
+  export = formatDuration
+}
+
+declare module 'date-fns/fp/formatDurationWithOptions/index.js' {
+  import {formatDurationWithOptions} from 'date-fns/fp'
+  export = formatDurationWithOptions
+}
+
+declare module 'date-fns/fp/formatISO/index.js' {
+  import {formatISO} from 'date-fns/fp'
+  export = formatISO
+}
+
+declare module 'date-fns/fp/formatISODuration/index.js' {
+  import {formatISODuration} from 'date-fns/fp'
+  export = formatISODuration
+}
+
+declare module 'date-fns/fp/formatISODurationWithOptions/index.js' {
+  import {formatISODurationWithOptions} from 'date-fns/fp'
+  export = formatISODurationWithOptions
+}
+
+declare module 'date-fns/fp/formatISOWithOptions/index.js' {
+  import {formatISOWithOptions} from 'date-fns/fp'
+  export = formatISOWithOptions
+}
+
+declare module 'date-fns/fp/formatRecurrence/index.js' {
+  import {formatRecurrence} from 'date-fns/fp'
+  export = formatRecurrence
+}
+
+declare module 'date-fns/fp/formatRecurrenceWithOptions/index.js' {
+  import {formatRecurrenceWithOptions} from 'date-fns/fp'
+  export = formatRecurrenceWithOptions
+}
+
 declare module 'date-fns/fp/formatRelative/index.js' {
   import {formatRelative} from 'date-fns/fp'
   export = formatRelative
@@ -7015,11 +10114,61 @@ declare module 'date-fns/fp/formatRelativeWithOptions/index.js' {
   export = formatRelativeWithOptions
 }
 
+declare module 'date-fns/fp/formatRFC2822/index.js' {
+  import {formatRFC2822} from 'date-fns/fp'
+  export = formatRFC2822
+}
+
+declare module 'date-fns/fp/formatRFC2822WithOptions/index.js' {
+  import {formatRFC2822WithOptions} from 'date-fns/fp'
+  export = formatRFC2822WithOptions
+}
+
+declare module 'date-fns/fp/formatRFC3339/index.js' {
+  import {formatRFC3339} from 'date-fns/fp'
+  export = formatRFC3339
+}
+
+declare module 'date-fns/fp/formatRFC3339WithOptions/index.js' {
+  import {formatRFC3339WithOptions} from 'date-fns/fp'
+  export = formatRFC3339WithOptions
+}
+
+declare module 'date-fns/fp/formatRFC7231/index.js' {
+  import {formatRFC7231} from 'date-fns/fp'
+  export = formatRFC7231
+}
+
+declare module 'date-fns/fp/formatRFC7231WithOptions/index.js' {
+  import {formatRFC7231WithOptions} from 'date-fns/fp'
+  export = formatRFC7231WithOptions
+}
+
+declare module 'date-fns/fp/formatToParts/index.js' {
+  import {formatToParts} from 'date-fns/fp'
+  export = formatToParts
+}
+
+declare module 'date-fns/fp/formatToPartsWithOptions/index.js' {
+  import {formatToPartsWithOptions} from 'date-fns/fp'
+  export = formatToPartsWithOptions
+}
+
 declare module 'date-fns/fp/formatWithOptions/index.js' {
   import {formatWithOptions} from 'date-fns/fp'
   export = formatWithOptions
 }
 
+declare module 'date-fns/fp/fromZonedTime/index.js' {
+  import {fromZonedTime} from 'date-fns/fp'
+  export = fromZonedTime
+}
+
+declare module 'date-fns/fp/fromZonedTimeWithOptions/index.js' {
+  import {fromZonedTimeWithOptions} from 'date-fns/fp'
+  export = fromZonedTimeWithOptions
+}
+
 declare module 'date-fns/fp/getDate/index.js' {
   import {getDate} from 'date-fns/fp'
   export = getDate
@@ -7160,6 +10309,26 @@ declare module 'date-fns/fp/getOverlappingDaysInIntervalsWithOptions/index.js' {
   export = getOverlappingDaysInIntervalsWithOptions
 }
 
+declare module 'date-fns/fp/getOverlappingInterval/index.js' {
+  import {getOverlappingInterval} from 'date-fns/fp'
+  export = getOverlappingInterval
+}
+
+declare module 'date-fns/fp/getOverlappingIntervalWithOptions/index.js' {
+  import {getOverlappingIntervalWithOptions} from 'date-fns/fp'
+  export = getOverlappingIntervalWithOptions
+}
+
+declare module 'date-fns/fp/getOverlappingTimeInIntervals/index.js' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/fp'
+  export = getOverlappingTimeInIntervals
+}
+
+declare module 'date-fns/fp/getOverlappingTimeInIntervalsWithOptions/index.js' {
+  import {getOverlappingTimeInIntervalsWithOptions} from 'date-fns/fp'
+  export = getOverlappingTimeInIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/getQuarter/index.js' {
   import {getQuarter} from 'date-fns/fp'
   export = getQuarter
@@ -7220,6 +10389,36 @@ declare module 'date-fns/fp/getYearWithOptions/index.js' {
   export = getYearWithOptions
 }
 
+declare module 'date-fns/fp/intersectIntervals/index.js' {
+  import {intersectIntervals} from 'date-fns/fp'
+  export = intersectIntervals
+}
+
+declare module 'date-fns/fp/intersectIntervalsWithOptions/index.js' {
+  import {intersectIntervalsWithOptions} from 'date-fns/fp'
+  export = intersectIntervalsWithOptions
+}
+
+declare module 'date-fns/fp/intervalToDuration/index.js' {
+  import {intervalToDuration} from 'date-fns/fp'
+  export = intervalToDuration
+}
+
+declare module 'date-fns/fp/intervalToDurationWithOptions/index.js' {
+  import {intervalToDurationWithOptions} from 'date-fns/fp'
+  export = intervalToDurationWithOptions
+}
+
+declare module 'date-fns/fp/invertIntervals/index.js' {
+  import {invertIntervals} from 'date-fns/fp'
+  export = invertIntervals
+}
+
+declare module 'date-fns/fp/invertIntervalsWithOptions/index.js' {
+  import {invertIntervalsWithOptions} from 'date-fns/fp'
+  export = invertIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/isAfter/index.js' {
   import {isAfter} from 'date-fns/fp'
   export = isAfter
@@ -7240,6 +10439,16 @@ declare module 'date-fns/fp/isBeforeWithOptions/index.js' {
   export = isBeforeWithOptions
 }
 
+declare module 'date-fns/fp/isBusinessDay/index.js' {
+  import {isBusinessDay} from 'date-fns/fp'
+  export = isBusinessDay
+}
+
+declare module 'date-fns/fp/isBusinessDayWithOptions/index.js' {
+  import {isBusinessDayWithOptions} from 'date-fns/fp'
+  export = isBusinessDayWithOptions
+}
+
 declare module 'date-fns/fp/isEqual/index.js' {
   import {isEqual} from 'date-fns/fp'
   export = isEqual
@@ -7270,6 +10479,16 @@ declare module 'date-fns/fp/isFridayWithOptions/index.js' {
   export = isFridayWithOptions
 }
 
+declare module 'date-fns/fp/isHoliday/index.js' {
+  import {isHoliday} from 'date-fns/fp'
+  export = isHoliday
+}
+
+declare module 'date-fns/fp/isHolidayWithOptions/index.js' {
+  import {isHolidayWithOptions} from 'date-fns/fp'
+  export = isHolidayWithOptions
+}
+
 declare module 'date-fns/fp/isLastDayOfMonth/index.js' {
   import {isLastDayOfMonth} from 'date-fns/fp'
   export = isLastDayOfMonth
@@ -7550,6 +10769,16 @@ declare module 'date-fns/fp/maxWithOptions/index.js' {
   export = maxWithOptions
 }
 
+declare module 'date-fns/fp/mergeIntervals/index.js' {
+  import {mergeIntervals} from 'date-fns/fp'
+  export = mergeIntervals
+}
+
+declare module 'date-fns/fp/mergeIntervalsWithOptions/index.js' {
+  import {mergeIntervalsWithOptions} from 'date-fns/fp'
+  export = mergeIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/min/index.js' {
   import {min} from 'date-fns/fp'
   export = min
@@ -7560,16 +10789,86 @@ declare module 'date-fns/fp/minWithOptions/index.js' {
   export = minWithOptions
 }
 
+declare module 'date-fns/fp/nextCronOccurrence/index.js' {
+  import {nextCronOccurrence} from 'date-fns/fp'
+  export = nextCronOccurrence
+}
+
+declare module 'date-fns/fp/nextCronOccurrenceWithOptions/index.js' {
+  import {nextCronOccurrenceWithOptions} from 'date-fns/fp'
+  export = nextCronOccurrenceWithOptions
+}
+
+declare module 'date-fns/fp/normalizeDuration/index.js' {
+  import {normalizeDuration} from 'date-fns/fp'
+  export = normalizeDuration
+}
+
+declare module 'date-fns/fp/normalizeDurationWithOptions/index.js' {
+  import {normalizeDurationWithOptions} from 'date-fns/fp'
+  export = normalizeDurationWithOptions
+}
+
 declare module 'date-fns/fp/parse/index.js' {
   import {parse} from 'date-fns/fp'
   export = parse
 }
 
+declare module 'date-fns/fp/parseCron/index.js' {
+  import {parseCron} from 'date-fns/fp'
+  export = parseCron
+}
+
+declare module 'date-fns/fp/parseCronWithOptions/index.js' {
+  import {parseCronWithOptions} from 'date-fns/fp'
+  export = parseCronWithOptions
+}
+
+declare module 'date-fns/fp/parseICalDateTime/index.js' {
+  import {parseICalDateTime} from 'date-fns/fp'
+  export = parseICalDateTime
+}
+
+declare module 'date-fns/fp/parseICalDateTimeWithOptions/index.js' {
+  import {parseICalDateTimeWithOptions} from 'date-fns/fp'
+  export = parseICalDateTimeWithOptions
+}
+
+declare module 'date-fns/fp/parseISODuration/index.js' {
+  import {parseISODuration} from 'date-fns/fp'
+  export = parseISODuration
+}
+
+declare module 'date-fns/fp/parseISODurationWithOptions/index.js' {
+  import {parseISODurationWithOptions} from 'date-fns/fp'
+  export = parseISODurationWithOptions
+}
+
+declare module 'date-fns/fp/parseRRule/index.js' {
+  import {parseRRule} from 'date-fns/fp'
+  export = parseRRule
+}
+
+declare module 'date-fns/fp/parseRRuleWithOptions/index.js' {
+  import {parseRRuleWithOptions} from 'date-fns/fp'
+  export = parseRRuleWithOptions
+}
+
 declare module 'date-fns/fp/parseWithOptions/index.js' {
   import {parseWithOptions} from 'date-fns/fp'
   export = parseWithOptions
 }
 
+declare module 'date-fns/fp/prevCronOccurrence/index.js' {
+  import {prevCronOccurrence} from 'date-fns/fp'
+  export = prevCronOccurrence
+}
+
+declare module 'date-fns/fp/prevCronOccurrenceWithOptions/index.js' {
+  import {prevCronOccurrenceWithOptions} from 'date-fns/fp'
+  export = prevCronOccurrenceWithOptions
+}
+
 declare module 'date-fns/fp/setDate/index.js' {
   import {setDate} from 'date-fns/fp'
   export = setDate
@@ -7700,6 +10999,16 @@ declare module 'date-fns/fp/setYearWithOptions/index.js' {
   export = setYearWithOptions
 }
 
+declare module 'date-fns/fp/splitInterval/index.js' {
+  import {splitInterval} from 'date-fns/fp'
+  export = splitInterval
+}
+
+declare module 'date-fns/fp/splitIntervalWithOptions/index.js' {
+  import {splitIntervalWithOptions} from 'date-fns/fp'
+  export = splitIntervalWithOptions
+}
+
 declare module 'date-fns/fp/startOfDay/index.js' {
   import {startOfDay} from 'date-fns/fp'
   export = startOfDay
@@ -7800,6 +11109,21 @@ declare module 'date-fns/fp/startOfYearWithOptions/index.js' {
   export = startOfYearWithOptions
 }
 
+declare module 'date-fns/fp/sub/index.js' {
+  import {sub} from 'date-fns/fp'
+  export = sub
+}
+
+declare module 'date-fns/fp/subBusinessDays/index.js' {
+  import {subBusinessDays} from 'date-fns/fp'
+  export = subBusinessDays
+}
+
+declare module 'date-fns/fp/subBusinessDaysWithOptions/index.js' {
+  import {subBusinessDaysWithOptions} from 'date-fns/fp'
+  export = subBusinessDaysWithOptions
+}
+
 declare module 'date-fns/fp/subDays/index.js' {
   import {subDays} from 'date-fns/fp'
   export = subDays
@@ -7880,6 +11204,16 @@ declare module 'date-fns/fp/subSecondsWithOptions/index.js' {
   export = subSecondsWithOptions
 }
 
+declare module 'date-fns/fp/subtractIntervals/index.js' {
+  import {subtractIntervals} from 'date-fns/fp'
+  export = subtractIntervals
+}
+
+declare module 'date-fns/fp/subtractIntervalsWithOptions/index.js' {
+  import {subtractIntervalsWithOptions} from 'date-fns/fp'
+  export = subtractIntervalsWithOptions
+}
+
 declare module 'date-fns/fp/subWeeks/index.js' {
   import {subWeeks} from 'date-fns/fp'
   export = subWeeks
@@ -7890,6 +11224,11 @@ declare module 'date-fns/fp/subWeeksWithOptions/index.js' {
   export = subWeeksWithOptions
 }
 
+declare module 'date-fns/fp/subWithOptions/index.js' {
+  import {subWithOptions} from 'date-fns/fp'
+  export = subWithOptions
+}
+
 declare module 'date-fns/fp/subYears/index.js' {
   import {subYears} from 'date-fns/fp'
   export = subYears
@@ -7910,9 +11249,33 @@ declare module 'date-fns/fp/toDateWithOptions/index.js' {
   export = toDateWithOptions
 }
 
+declare module 'date-fns/fp/toZonedTime/index.js' {
+  import {toZonedTime} from 'date-fns/fp'
+  export = toZonedTime
+}
+
+declare module 'date-fns/fp/toZonedTimeWithOptions/index.js' {
+  import {toZonedTimeWithOptions} from 'date-fns/fp'
+  export = toZonedTimeWithOptions
+}
+
 // ECMAScript Module Functions
 
 declare module 'date-fns/esm' {
+  function add (
+    date: Date | string | number,
+    duration: Duration,
+    options?: Options
+  ): Date
+  namespace add {}
+
+  function addBusinessDays (
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+  namespace addBusinessDays {}
+
   function addDays (
     date: Date | string | number,
     amount: number,
@@ -7920,6 +11283,13 @@ declare module 'date-fns/esm' {
   ): Date
   namespace addDays {}
 
+  function addDurations (
+    durationLeft: Duration,
+    durationRight: Duration,
+    options?: Options
+  ): Duration
+  namespace addDurations {}
+
   function addHours (
     date: Date | string | number,
     amount: number,
@@ -7990,6 +11360,17 @@ declare module 'date-fns/esm' {
   ): boolean
   namespace areIntervalsOverlapping {}
 
+  function buildHolidayCalendar (
+    rules: Object[]
+  ): HolidayCalendar
+  namespace buildHolidayCalendar {}
+
+  function buildIntervalIndex (
+    intervals: Interval[],
+    options?: Options
+  ): IntervalIndex
+  namespace buildIntervalIndex {}
+
   function closestIndexTo (
     dateToCompare: Date | string | number,
     datesArray: (Date | string | number)[],
@@ -8018,6 +11399,32 @@ declare module 'date-fns/esm' {
   ): number
   namespace compareDesc {}
 
+  function compareDurations (
+    durationLeft: Duration,
+    durationRight: Duration,
+    options?: Options
+  ): number
+  namespace compareDurations {}
+
+  function compileFormat (
+    format: string,
+    options?: Options
+  ): Function
+  namespace compileFormat {}
+
+  function compileParse (
+    formatString: string,
+    options?: Options
+  ): Function
+  namespace compileParse {}
+
+  function differenceInBusinessDays (
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+  namespace differenceInBusinessDays {}
+
   function differenceInCalendarDays (
     dateLeft: Date | string | number,
     dateRight: Date | string | number,
@@ -8137,12 +11544,121 @@ declare module 'date-fns/esm' {
   ): number
   namespace differenceInYears {}
 
+  function durationToMilliseconds (
+    duration: Duration,
+    options?: Options
+  ): number
+  namespace durationToMilliseconds {}
+
+  function eachCronOccurrenceIterator (
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): DateIterator
+  namespace eachCronOccurrenceIterator {}
+
   function eachDayOfInterval (
     interval: Interval,
     options?: Options
   ): Date[]
   namespace eachDayOfInterval {}
 
+  function eachDayOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachDayOfIntervalIterator {}
+
+  function eachHourOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachHourOfInterval {}
+
+  function eachHourOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachHourOfIntervalIterator {}
+
+  function eachMinuteOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachMinuteOfInterval {}
+
+  function eachMinuteOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachMinuteOfIntervalIterator {}
+
+  function eachMonthOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachMonthOfInterval {}
+
+  function eachMonthOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachMonthOfIntervalIterator {}
+
+  function eachOccurrenceIterator (
+    rule: RecurrenceRule | string,
+    options?: Options
+  ): DateIterator
+  namespace eachOccurrenceIterator {}
+
+  function eachOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachOfInterval {}
+
+  function eachOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachOfIntervalIterator {}
+
+  function eachQuarterOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachQuarterOfInterval {}
+
+  function eachQuarterOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachQuarterOfIntervalIterator {}
+
+  function eachWeekOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachWeekOfInterval {}
+
+  function eachWeekOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachWeekOfIntervalIterator {}
+
+  function eachYearOfInterval (
+    interval: Interval,
+    options?: Options
+  ): Date[]
+  namespace eachYearOfInterval {}
+
+  function eachYearOfIntervalIterator (
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+  namespace eachYearOfIntervalIterator {}
+
   function endOfDay (
     date: Date | string | number,
     options?: Options
@@ -8203,6 +11719,12 @@ declare module 'date-fns/esm' {
   ): Date
   namespace endOfYear {}
 
+  function findFreeSlots (
+    busy: Interval[],
+    options: Options
+  ): Interval[]
+  namespace findFreeSlots {}
+
   function format (
     date: Date | string | number,
     format: string,
@@ -8224,6 +11746,30 @@ declare module 'date-fns/esm' {
   ): string
   namespace formatDistanceStrict {}
 
+  function formatDuration (
+    duration: Duration,
+    options?: Options
+  ): string
+  namespace formatDuration {}
+
+  function formatISO (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatISO {}
+
+  function formatISODuration (
+    duration: Duration,
+    options?: Options
+  ): string
+  namespace formatISODuration {}
+
+  function formatRecurrence (
+    rule: RecurrenceRule | string,
+    options?: Options
+  ): string
+  namespace formatRecurrence {}
+
   function formatRelative (
     date: Date | string | number,
     baseDate: Date | string | number,
@@ -8231,6 +11777,38 @@ declare module 'date-fns/esm' {
   ): string
   namespace formatRelative {}
 
+  function formatRFC2822 (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatRFC2822 {}
+
+  function formatRFC3339 (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatRFC3339 {}
+
+  function formatRFC7231 (
+    date: Date | string | number,
+    options?: Options
+  ): string
+  namespace formatRFC7231 {}
+
+  function formatToParts (
+    date: Date | string | number,
+    format: string,
+    options?: Options
+  ): Object[]
+  namespace formatToParts {}
+
+  function fromZonedTime (
+    date: Date | string | number,
+    timeZone: TimeZone | string,
+    options?: Options
+  ): Date
+  namespace fromZonedTime {}
+
   function getDate (
     date: Date | string | number,
     options?: Options
@@ -8316,6 +11894,20 @@ declare module 'date-fns/esm' {
   ): number
   namespace getOverlappingDaysInIntervals {}
 
+  function getOverlappingInterval (
+    intervalLeft: Interval,
+    intervalRight: Interval,
+    options?: Options
+  ): Interval | null
+  namespace getOverlappingInterval {}
+
+  function getOverlappingTimeInIntervals (
+    intervalLeft: Interval,
+    intervalRight: Interval,
+    options?: Options
+  ): number
+  namespace getOverlappingTimeInIntervals {}
+
   function getQuarter (
     date: Date | string | number,
     options?: Options
@@ -8352,6 +11944,26 @@ declare module 'date-fns/esm' {
   ): number
   namespace getYear {}
 
+  function intersectIntervals (
+    intervalsLeft: Interval[],
+    intervalsRight: Interval[],
+    options?: Options
+  ): Interval[]
+  namespace intersectIntervals {}
+
+  function intervalToDuration (
+    interval: Interval,
+    options?: Options
+  ): Duration
+  namespace intervalToDuration {}
+
+  function invertIntervals (
+    intervals: Interval[],
+    within: Interval,
+    options?: Options
+  ): Interval[]
+  namespace invertIntervals {}
+
   function isAfter (
     date: Date | string | number,
     dateToCompare: Date | string | number,
@@ -8366,6 +11978,12 @@ declare module 'date-fns/esm' {
   ): boolean
   namespace isBefore {}
 
+  function isBusinessDay (
+    date: Date | string | number,
+    options?: Options
+  ): boolean
+  namespace isBusinessDay {}
+
   function isEqual (
     dateLeft: Date | string | number,
     dateRight: Date | string | number,
@@ -8385,6 +12003,12 @@ declare module 'date-fns/esm' {
   ): boolean
   namespace isFriday {}
 
+  function isHoliday (
+    date: Date | string | number,
+    options?: Options
+  ): boolean
+  namespace isHoliday {}
+
   function isLastDayOfMonth (
     date: Date | string | number,
     options?: Options
@@ -8564,12 +12188,31 @@ declare module 'date-fns/esm' {
   ): Date
   namespace max {}
 
+  function mergeIntervals (
+    intervals: Interval[],
+    options?: Options
+  ): Interval[]
+  namespace mergeIntervals {}
+
   function min (
     datesArray: (Date | string | number)[],
     options?: Options
   ): Date
   namespace min {}
 
+  function nextCronOccurrence (
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): Date | null
+  namespace nextCronOccurrence {}
+
+  function normalizeDuration (
+    duration: Duration,
+    options?: Options
+  ): Duration
+  namespace normalizeDuration {}
+
   function parse (
     dateString: string,
     formatString: string,
@@ -8578,6 +12221,37 @@ declare module 'date-fns/esm' {
   ): Date
   namespace parse {}
 
+  function parseCron (
+    expression: string,
+    options?: Options
+  ): CronSchedule
+  namespace parseCron {}
+
+  function parseICalDateTime (
+    value: string,
+    options?: Options
+  ): Date
+  namespace parseICalDateTime {}
+
+  function parseISODuration (
+    argument: string,
+    options?: Options
+  ): Duration
+  namespace parseISODuration {}
+
+  function parseRRule (
+    rrule: string,
+    options?: Options
+  ): RecurrenceRule
+  namespace parseRRule {}
+
+  function prevCronOccurrence (
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): Date | null
+  namespace prevCronOccurrence {}
+
   function setDate (
     date: Date | string | number,
     dayOfMonth: number,
@@ -8669,6 +12343,12 @@ declare module 'date-fns/esm' {
   ): Date
   namespace setYear {}
 
+  function splitInterval (
+    interval: Interval,
+    options?: Options
+  ): Interval[]
+  namespace splitInterval {}
+
   function startOfDay (
     date: Date | string | number,
     options?: Options
@@ -8729,6 +12409,20 @@ declare module 'date-fns/esm' {
   ): Date
   namespace startOfYear {}
 
+  function sub (
+    date: Date | string | number,
+    duration: Duration,
+    options?: Options
+  ): Date
+  namespace sub {}
+
+  function subBusinessDays (
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+  namespace subBusinessDays {}
+
   function subDays (
     date: Date | string | number,
     amount: number,
@@ -8785,6 +12479,13 @@ declare module 'date-fns/esm' {
   ): Date
   namespace subSeconds {}
 
+  function subtractIntervals (
+    intervalsLeft: Interval[],
+    intervalsRight: Interval[],
+    options?: Options
+  ): Interval[]
+  namespace subtractIntervals {}
+
   function subWeeks (
     date: Date | string | number,
     amount: number,
@@ -8804,6 +12505,23 @@ declare module 'date-fns/esm' {
     options?: Options
   ): Date
   namespace toDate {}
+
+  function toZonedTime (
+    date: Date | string | number,
+    timeZone: TimeZone | string,
+    options?: Options
+  ): Date
+  namespace toZonedTime {}
+}
+
+declare module 'date-fns/esm/add' {
+  import {add} from 'date-fns/esm'
+  export default add
+}
+
+declare module 'date-fns/esm/addBusinessDays' {
+  import {addBusinessDays} from 'date-fns/esm'
+  export default addBusinessDays
 }
 
 declare module 'date-fns/esm/addDays' {
@@ -8811,6 +12529,11 @@ declare module 'date-fns/esm/addDays' {
   export default addDays
 }
 
+declare module 'date-fns/esm/addDurations' {
+  import {addDurations} from 'date-fns/esm'
+  export default addDurations
+}
+
 declare module 'date-fns/esm/addHours' {
   import {addHours} from 'date-fns/esm'
   export default addHours
@@ -8861,6 +12584,16 @@ declare module 'date-fns/esm/areIntervalsOverlapping' {
   export default areIntervalsOverlapping
 }
 
+declare module 'date-fns/esm/buildHolidayCalendar' {
+  import {buildHolidayCalendar} from 'date-fns/esm'
+  export default buildHolidayCalendar
+}
+
+declare module 'date-fns/esm/buildIntervalIndex' {
+  import {buildIntervalIndex} from 'date-fns/esm'
+  export default buildIntervalIndex
+}
+
 declare module 'date-fns/esm/closestIndexTo' {
   import {closestIndexTo} from 'date-fns/esm'
   export default closestIndexTo
@@ -8881,6 +12614,26 @@ declare module 'date-fns/esm/compareDesc' {
   export default compareDesc
 }
 
+declare module 'date-fns/esm/compareDurations' {
+  import {compareDurations} from 'date-fns/esm'
+  export default compareDurations
+}
+
+declare module 'date-fns/esm/compileFormat' {
+  import {compileFormat} from 'date-fns/esm'
+  export default compileFormat
+}
+
+declare module 'date-fns/esm/compileParse' {
+  import {compileParse} from 'date-fns/esm'
+  export default compileParse
+}
+
+declare module 'date-fns/esm/differenceInBusinessDays' {
+  import {differenceInBusinessDays} from 'date-fns/esm'
+  export default differenceInBusinessDays
+}
+
 declare module 'date-fns/esm/differenceInCalendarDays' {
   import {differenceInCalendarDays} from 'date-fns/esm'
   export default differenceInCalendarDays
@@ -8966,11 +12719,101 @@ declare module 'date-fns/esm/differenceInYears' {
   export default differenceInYears
 }
 
+declare module 'date-fns/esm/durationToMilliseconds' {
+  import {durationToMilliseconds} from 'date-fns/esm'
+  export default durationToMilliseconds
+}
+
+declare module 'date-fns/esm/eachCronOccurrenceIterator' {
+  import {eachCronOccurrenceIterator} from 'date-fns/esm'
+  export default eachCronOccurrenceIterator
+}
+
 declare module 'date-fns/esm/eachDayOfInterval' {
   import {eachDayOfInterval} from 'date-fns/esm'
   export default eachDayOfInterval
 }
 
+declare module 'date-fns/esm/eachDayOfIntervalIterator' {
+  import {eachDayOfIntervalIterator} from 'date-fns/esm'
+  export default eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachHourOfInterval' {
+  import {eachHourOfInterval} from 'date-fns/esm'
+  export default eachHourOfInterval
+}
+
+declare module 'date-fns/esm/eachHourOfIntervalIterator' {
+  import {eachHourOfIntervalIterator} from 'date-fns/esm'
+  export default eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachMinuteOfInterval' {
+  import {eachMinuteOfInterval} from 'date-fns/esm'
+  export default eachMinuteOfInterval
+}
+
+declare module 'date-fns/esm/eachMinuteOfIntervalIterator' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/esm'
+  export default eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachMonthOfInterval' {
+  import {eachMonthOfInterval} from 'date-fns/esm'
+  export default eachMonthOfInterval
+}
+
+declare module 'date-fns/esm/eachMonthOfIntervalIterator' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/esm'
+  export default eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachOccurrenceIterator' {
+  import {eachOccurrenceIterator} from 'date-fns/esm'
+  export default eachOccurrenceIterator
+}
+
+declare module 'date-fns/esm/eachOfInterval' {
+  import {eachOfInterval} from 'date-fns/esm'
+  export default eachOfInterval
+}
+
+declare module 'date-fns/esm/eachOfIntervalIterator' {
+  import {eachOfIntervalIterator} from 'date-fns/esm'
+  export default eachOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachQuarterOfInterval' {
+  import {eachQuarterOfInterval} from 'date-fns/esm'
+  export default eachQuarterOfInterval
+}
+
+declare module 'date-fns/esm/eachQuarterOfIntervalIterator' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/esm'
+  export default eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachWeekOfInterval' {
+  import {eachWeekOfInterval} from 'date-fns/esm'
+  export default eachWeekOfInterval
+}
+
+declare module 'date-fns/esm/eachWeekOfIntervalIterator' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/esm'
+  export default eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachYearOfInterval' {
+  import {eachYearOfInterval} from 'date-fns/esm'
+  export default eachYearOfInterval
+}
+
+declare module 'date-fns/esm/eachYearOfIntervalIterator' {
+  import {eachYearOfIntervalIterator} from 'date-fns/esm'
+  export default eachYearOfIntervalIterator
+}
+
 declare module 'date-fns/esm/endOfDay' {
   import {endOfDay} from 'date-fns/esm'
   export default endOfDay
@@ -9021,6 +12864,11 @@ declare module 'date-fns/esm/endOfYear' {
   export default endOfYear
 }
 
+declare module 'date-fns/esm/findFreeSlots' {
+  import {findFreeSlots} from 'date-fns/esm'
+  export default findFreeSlots
+}
+
 declare module 'date-fns/esm/format' {
   import {format} from 'date-fns/esm'
   export default format
@@ -9036,11 +12884,56 @@ declare module 'date-fns/esm/formatDistanceStrict' {
   export default formatDistanceStrict
 }
 
+declare module 'date-fns/esm/formatDuration' {
+  import {formatDuration} from 'date-fns/esm'
+  export default formatDuration
+}
+
+declare module 'date-fns/esm/formatISO' {
+  import {formatISO} from 'date-fns/esm'
+  export default formatISO
+}
+
+declare module 'date-fns/esm/formatISODuration' {
+  import {formatISODuration} from 'date-fns/esm'
+  export default formatISODuration
+}
+
+declare module 'date-fns/esm/formatRecurrence' {
+  import {formatRecurrence} from 'date-fns/esm'
+  export default formatRecurrence
+}
+
 declare module 'date-fns/esm/formatRelative' {
   import {formatRelative} from 'date-fns/esm'
   export default formatRelative
 }
 
+declare module 'date-fns/esm/formatRFC2822' {
+  import {formatRFC2822} from 'date-fns/esm'
+  export default formatRFC2822
+}
+
+declare module 'date-fns/esm/formatRFC3339' {
+  import {formatRFC3339} from 'date-fns/esm'
+  export default formatRFC3339
+}
+
+declare module 'date-fns/esm/formatRFC7231' {
+  import {formatRFC7231} from 'date-fns/esm'
+  export default formatRFC7231
+}
+
+declare module 'date-fns/esm/formatToParts' {
+  import {formatToParts} from 'date-fns/esm'
+  export default formatToParts
+}
+
+declare module 'date-fns/esm/fromZonedTime' {
+  import {fromZonedTime} from 'date-fns/esm'
+  export default fromZonedTime
+}
+
 declare module 'date-fns/esm/getDate' {
   import {getDate} from 'date-fns/esm'
   export default getDate
@@ -9111,6 +13004,16 @@ declare module 'date-fns/esm/getOverlappingDaysInIntervals' {
   export default getOverlappingDaysInIntervals
 }
 
+declare module 'date-fns/esm/getOverlappingInterval' {
+  import {getOverlappingInterval} from 'date-fns/esm'
+  export default getOverlappingInterval
+}
+
+declare module 'date-fns/esm/getOverlappingTimeInIntervals' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/esm'
+  export default getOverlappingTimeInIntervals
+}
+
 declare module 'date-fns/esm/getQuarter' {
   import {getQuarter} from 'date-fns/esm'
   export default getQuarter
@@ -9141,6 +13044,21 @@ declare module 'date-fns/esm/getYear' {
   export default getYear
 }
 
+declare module 'date-fns/esm/intersectIntervals' {
+  import {intersectIntervals} from 'date-fns/esm'
+  export default intersectIntervals
+}
+
+declare module 'date-fns/esm/intervalToDuration' {
+  import {intervalToDuration} from 'date-fns/esm'
+  export default intervalToDuration
+}
+
+declare module 'date-fns/esm/invertIntervals' {
+  import {invertIntervals} from 'date-fns/esm'
+  export default invertIntervals
+}
+
 declare module 'date-fns/esm/isAfter' {
   import {isAfter} from 'date-fns/esm'
   export default isAfter
@@ -9151,6 +13069,11 @@ declare module 'date-fns/esm/isBefore' {
   export default isBefore
 }
 
+declare module 'date-fns/esm/isBusinessDay' {
+  import {isBusinessDay} from 'date-fns/esm'
+  export default isBusinessDay
+}
+
 declare module 'date-fns/esm/isEqual' {
   import {isEqual} from 'date-fns/esm'
   export default isEqual
@@ -9166,6 +13089,11 @@ declare module 'date-fns/esm/isFriday' {
   export default isFriday
 }
 
+declare module 'date-fns/esm/isHoliday' {
+  import {isHoliday} from 'date-fns/esm'
+  export default isHoliday
+}
+
 declare module 'date-fns/esm/isLastDayOfMonth' {
   import {isLastDayOfMonth} from 'date-fns/esm'
   export default isLastDayOfMonth
@@ -9306,16 +13234,56 @@ declare module 'date-fns/esm/max' {
   export default max
 }
 
+declare module 'date-fns/esm/mergeIntervals' {
+  import {mergeIntervals} from 'date-fns/esm'
+  export default mergeIntervals
+}
+
 declare module 'date-fns/esm/min' {
   import {min} from 'date-fns/esm'
   export default min
 }
 
+declare module 'date-fns/esm/nextCronOccurrence' {
+  import {nextCronOccurrence} from 'date-fns/esm'
+  export default nextCronOccurrence
+}
+
+declare module 'date-fns/esm/normalizeDuration' {
+  import {normalizeDuration} from 'date-fns/esm'
+  export default normalizeDuration
+}
+
 declare module 'date-fns/esm/parse' {
   import {parse} from 'date-fns/esm'
   export default parse
 }
 
+declare module 'date-fns/esm/parseCron' {
+  import {parseCron} from 'date-fns/esm'
+  export default parseCron
+}
+
+declare module 'date-fns/esm/parseICalDateTime' {
+  import {parseICalDateTime} from 'date-fns/esm'
+  export default parseICalDateTime
+}
+
+declare module 'date-fns/esm/parseISODuration' {
+  import {parseISODuration} from 'date-fns/esm'
+  export default parseISODuration
+}
+
+declare module 'date-fns/esm/parseRRule' {
+  import {parseRRule} from 'date-fns/esm'
+  export default parseRRule
+}
+
+declare module 'date-fns/esm/prevCronOccurrence' {
+  import {prevCronOccurrence} from 'date-fns/esm'
+  export default prevCronOccurrence
+}
+
 declare module 'date-fns/esm/setDate' {
   import {setDate} from 'date-fns/esm'
   export default setDate
@@ -9381,6 +13349,11 @@ declare module 'date-fns/esm/setYear' {
   export default setYear
 }
 
+declare module 'date-fns/esm/splitInterval' {
+  import {splitInterval} from 'date-fns/esm'
+  export default splitInterval
+}
+
 declare module 'date-fns/esm/startOfDay' {
   import {startOfDay} from 'date-fns/esm'
   export default startOfDay
@@ -9431,7 +13404,17 @@ declare module 'date-fns/esm/startOfYear' {
   export default startOfYear
 }
 
-declare module 'date-fns/esm/subDays' {
+declare module 'date-fns/esm/sub' {
+  import {sub} from 'date-fns/esm'
+  export default sub
+}
+
+declare module 'date-fns/esm/subBusinessDays' {
+  import {subBusinessDays} from 'date-fns/esm'
+  export default subBusinessDays
+}
+
+declare module 'date-fns/esm/subDays' {
   import {subDays} from 'date-fns/esm'
   export default subDays
 }
@@ -9471,6 +13454,11 @@ declare module 'date-fns/esm/subSeconds' {
   export default subSeconds
 }
 
+declare module 'date-fns/esm/subtractIntervals' {
+  import {subtractIntervals} from 'date-fns/esm'
+  export default subtractIntervals
+}
+
 declare module 'date-fns/esm/subWeeks' {
   import {subWeeks} from 'date-fns/esm'
   export default subWeeks
@@ -9486,11 +13474,31 @@ declare module 'date-fns/esm/toDate' {
   export default toDate
 }
 
+declare module 'date-fns/esm/toZonedTime' {
+  import {toZonedTime} from 'date-fns/esm'
+  export default toZonedTime
+}
+
+declare module 'date-fns/esm/add/index' {
+  import {add} from 'date-fns/esm'
+  export default add
+}
+
+declare module 'date-fns/esm/addBusinessDays/index' {
+  import {addBusinessDays} from 'date-fns/esm'
+  export default addBusinessDays
+}
+
 declare module 'date-fns/esm/addDays/index' {
   import {addDays} from 'date-fns/esm'
   export default addDays
 }
 
+declare module 'date-fns/esm/addDurations/index' {
+  import {addDurations} from 'date-fns/esm'
+  export default addDurations
+}
+
 declare module 'date-fns/esm/addHours/index' {
   import {addHours} from 'date-fns/esm'
   export default addHours
@@ -9541,6 +13549,16 @@ declare module 'date-fns/esm/areIntervalsOverlapping/index' {
   export default areIntervalsOverlapping
 }
 
+declare module 'date-fns/esm/buildHolidayCalendar/index' {
+  import {buildHolidayCalendar} from 'date-fns/esm'
+  export default buildHolidayCalendar
+}
+
+declare module 'date-fns/esm/buildIntervalIndex/index' {
+  import {buildIntervalIndex} from 'date-fns/esm'
+  export default buildIntervalIndex
+}
+
 declare module 'date-fns/esm/closestIndexTo/index' {
   import {closestIndexTo} from 'date-fns/esm'
   export default closestIndexTo
@@ -9561,6 +13579,26 @@ declare module 'date-fns/esm/compareDesc/index' {
   export default compareDesc
 }
 
+declare module 'date-fns/esm/compareDurations/index' {
+  import {compareDurations} from 'date-fns/esm'
+  export default compareDurations
+}
+
+declare module 'date-fns/esm/compileFormat/index' {
+  import {compileFormat} from 'date-fns/esm'
+  export default compileFormat
+}
+
+declare module 'date-fns/esm/compileParse/index' {
+  import {compileParse} from 'date-fns/esm'
+  export default compileParse
+}
+
+declare module 'date-fns/esm/differenceInBusinessDays/index' {
+  import {differenceInBusinessDays} from 'date-fns/esm'
+  export default differenceInBusinessDays
+}
+
 declare module 'date-fns/esm/differenceInCalendarDays/index' {
   import {differenceInCalendarDays} from 'date-fns/esm'
   export default differenceInCalendarDays
@@ -9646,11 +13684,101 @@ declare module 'date-fns/esm/differenceInYears/index' {
   export default differenceInYears
 }
 
+declare module 'date-fns/esm/durationToMilliseconds/index' {
+  import {durationToMilliseconds} from 'date-fns/esm'
+  export default durationToMilliseconds
+}
+
+declare module 'date-fns/esm/eachCronOccurrenceIterator/index' {
+  import {eachCronOccurrenceIterator} from 'date-fns/esm'
+  export default eachCronOccurrenceIterator
+}
+
 declare module 'date-fns/esm/eachDayOfInterval/index' {
   import {eachDayOfInterval} from 'date-fns/esm'
   export default eachDayOfInterval
 }
 
+declare module 'date-fns/esm/eachDayOfIntervalIterator/index' {
+  import {eachDayOfIntervalIterator} from 'date-fns/esm'
+  export default eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachHourOfInterval/index' {
+  import {eachHourOfInterval} from 'date-fns/esm'
+  export default eachHourOfInterval
+}
+
+declare module 'date-fns/esm/eachHourOfIntervalIterator/index' {
+  import {eachHourOfIntervalIterator} from 'date-fns/esm'
+  export default eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachMinuteOfInterval/index' {
+  import {eachMinuteOfInterval} from 'date-fns/esm'
+  export default eachMinuteOfInterval
+}
+
+declare module 'date-fns/esm/eachMinuteOfIntervalIterator/index' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/esm'
+  export default eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachMonthOfInterval/index' {
+  import {eachMonthOfInterval} from 'date-fns/esm'
+  export default eachMonthOfInterval
+}
+
+declare module 'date-fns/esm/eachMonthOfIntervalIterator/index' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/esm'
+  export default eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachOccurrenceIterator/index' {
+  import {eachOccurrenceIterator} from 'date-fns/esm'
+  export default eachOccurrenceIterator
+}
+
+declare module 'date-fns/esm/eachOfInterval/index' {
+  import {eachOfInterval} from 'date-fns/esm'
+  export default eachOfInterval
+}
+
+declare module 'date-fns/esm/eachOfIntervalIterator/index' {
+  import {eachOfIntervalIterator} from 'date-fns/esm'
+  export default eachOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachQuarterOfInterval/index' {
+  import {eachQuarterOfInterval} from 'date-fns/esm'
+  export default eachQuarterOfInterval
+}
+
+declare module 'date-fns/esm/eachQuarterOfIntervalIterator/index' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/esm'
+  export default eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachWeekOfInterval/index' {
+  import {eachWeekOfInterval} from 'date-fns/esm'
+  export default eachWeekOfInterval
+}
+
+declare module 'date-fns/esm/eachWeekOfIntervalIterator/index' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/esm'
+  export default eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachYearOfInterval/index' {
+  import {eachYearOfInterval} from 'date-fns/esm'
+  export default eachYearOfInterval
+}
+
+declare module 'date-fns/esm/eachYearOfIntervalIterator/index' {
+  import {eachYearOfIntervalIterator} from 'date-fns/esm'
+  export default eachYearOfIntervalIterator
+}
+
 declare module 'date-fns/esm/endOfDay/index' {
   import {endOfDay} from 'date-fns/esm'
   export default endOfDay
@@ -9701,6 +13829,11 @@ declare module 'date-fns/esm/endOfYear/index' {
   export default endOfYear
 }
 
+declare module 'date-fns/esm/findFreeSlots/index' {
+  import {findFreeSlots} from 'date-fns/esm'
+  export default findFreeSlots
+}
+
 declare module 'date-fns/esm/format/index' {
   import {format} from 'date-fns/esm'
   export default format
@@ -9716,11 +13849,56 @@ declare module 'date-fns/esm/formatDistanceStrict/index' {
   export default formatDistanceStrict
 }
 
+declare module 'date-fns/esm/formatDuration/index' {
+  import {formatDuration} from 'date-fns/esm'
+  export default formatDuration
+}
+
+declare module 'date-fns/esm/formatISO/index' {
+  import {formatISO} from 'date-fns/esm'
+  export default formatISO
+}
+
+declare module 'date-fns/esm/formatISODuration/index' {
+  import {formatISODuration} from 'date-fns/esm'
+  export default formatISODuration
+}
+
+declare module 'date-fns/esm/formatRecurrence/index' {
+  import {formatRecurrence} from 'date-fns/esm'
+  export default formatRecurrence
+}
+
 declare module 'date-fns/esm/formatRelative/index' {
   import {formatRelative} from 'date-fns/esm'
   export default formatRelative
 }
 
+declare module 'date-fns/esm/formatRFC2822/index' {
+  import {formatRFC2822} from 'date-fns/esm'
+  export default formatRFC2822
+}
+
+declare module 'date-fns/esm/formatRFC3339/index' {
+  import {formatRFC3339} from 'date-fns/esm'
+  export default formatRFC3339
+}
+
+declare module 'date-fns/esm/formatRFC7231/index' {
+  import {formatRFC7231} from 'date-fns/esm'
+  export default formatRFC7231
+}
+
+declare module 'date-fns/esm/formatToParts/index' {
+  import {formatToParts} from 'date-fns/esm'
+  export default formatToParts
+}
+
+declare module 'date-fns/esm/fromZonedTime/index' {
+  import {fromZonedTime} from 'date-fns/esm'
+  export default fromZonedTime
+}
+
 declare module 'date-fns/esm/getDate/index' {
   import {getDate} from 'date-fns/esm'
   export default getDate
@@ -9791,6 +13969,16 @@ declare module 'date-fns/esm/getOverlappingDaysInIntervals/index' {
   export default getOverlappingDaysInIntervals
 }
 
+declare module 'date-fns/esm/getOverlappingInterval/index' {
+  import {getOverlappingInterval} from 'date-fns/esm'
+  export default getOverlappingInterval
+}
+
+declare module 'date-fns/esm/getOverlappingTimeInIntervals/index' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/esm'
+  export default getOverlappingTimeInIntervals
+}
+
 declare module 'date-fns/esm/getQuarter/index' {
   import {getQuarter} from 'date-fns/esm'
   export default getQuarter
@@ -9821,6 +14009,21 @@ declare module 'date-fns/esm/getYear/index' {
   export default getYear
 }
 
+declare module 'date-fns/esm/intersectIntervals/index' {
+  import {intersectIntervals} from 'date-fns/esm'
+  export default intersectIntervals
+}
+
+declare module 'date-fns/esm/intervalToDuration/index' {
+  import {intervalToDuration} from 'date-fns/esm'
+  export default intervalToDuration
+}
+
+declare module 'date-fns/esm/invertIntervals/index' {
+  import {invertIntervals} from 'date-fns/esm'
+  export default invertIntervals
+}
+
 declare module 'date-fns/esm/isAfter/index' {
   import {isAfter} from 'date-fns/esm'
   export default isAfter
@@ -9831,6 +14034,11 @@ declare module 'date-fns/esm/isBefore/index' {
   export default isBefore
 }
 
+declare module 'date-fns/esm/isBusinessDay/index' {
+  import {isBusinessDay} from 'date-fns/esm'
+  export default isBusinessDay
+}
+
 declare module 'date-fns/esm/isEqual/index' {
   import {isEqual} from 'date-fns/esm'
   export default isEqual
@@ -9846,6 +14054,11 @@ declare module 'date-fns/esm/isFriday/index' {
   export default isFriday
 }
 
+declare module 'date-fns/esm/isHoliday/index' {
+  import {isHoliday} from 'date-fns/esm'
+  export default isHoliday
+}
+
 declare module 'date-fns/esm/isLastDayOfMonth/index' {
   import {isLastDayOfMonth} from 'date-fns/esm'
   export default isLastDayOfMonth
@@ -9986,16 +14199,56 @@ declare module 'date-fns/esm/max/index' {
   export default max
 }
 
+declare module 'date-fns/esm/mergeIntervals/index' {
+  import {mergeIntervals} from 'date-fns/esm'
+  export default mergeIntervals
+}
+
 declare module 'date-fns/esm/min/index' {
   import {min} from 'date-fns/esm'
   export default min
 }
 
+declare module 'date-fns/esm/nextCronOccurrence/index' {
+  import {nextCronOccurrence} from 'date-fns/esm'
+  export default nextCronOccurrence
+}
+
+declare module 'date-fns/esm/normalizeDuration/index' {
+  import {normalizeDuration} from 'date-fns/esm'
+  export default normalizeDuration
+}
+
 declare module 'date-fns/esm/parse/index' {
   import {parse} from 'date-fns/esm'
   export default parse
 }
 
+declare module 'date-fns/esm/parseCron/index' {
+  import {parseCron} from 'date-fns/esm'
+  export default parseCron
+}
+
+declare module 'date-fns/esm/parseICalDateTime/index' {
+  import {parseICalDateTime} from 'date-fns/esm'
+  export default parseICalDateTime
+}
+
+declare module 'date-fns/esm/parseISODuration/index' {
+  import {parseISODuration} from 'date-fns/esm'
+  export default parseISODuration
+}
+
+declare module 'date-fns/esm/parseRRule/index' {
+  import {parseRRule} from 'date-fns/esm'
+  export default parseRRule
+}
+
+declare module 'date-fns/esm/prevCronOccurrence/index' {
+  import {prevCronOccurrence} from 'date-fns/esm'
+  export default prevCronOccurrence
+}
+
 declare module 'date-fns/esm/setDate/index' {
   import {setDate} from 'date-fns/esm'
   export default setDate
@@ -10061,6 +14314,11 @@ declare module 'date-fns/esm/setYear/index' {
   export default setYear
 }
 
+declare module 'date-fns/esm/splitInterval/index' {
+  import {splitInterval} from 'date-fns/esm'
+  export default splitInterval
+}
+
 declare module 'date-fns/esm/startOfDay/index' {
   import {startOfDay} from 'date-fns/esm'
   export default startOfDay
@@ -10111,6 +14369,16 @@ declare module 'date-fns/esm/startOfYear/index' {
   export default startOfYear
 }
 
+declare module 'date-fns/esm/sub/index' {
+  import {sub} from 'date-fns/esm'
+  export default sub
+}
+
+declare module 'date-fns/esm/subBusinessDays/index' {
+  import {subBusinessDays} from 'date-fns/esm'
+  export default subBusinessDays
+}
+
 declare module 'date-fns/esm/subDays/index' {
   import {subDays} from 'date-fns/esm'
   export default subDays
@@ -10151,6 +14419,11 @@ declare module 'date-fns/esm/subSeconds/index' {
   export default subSeconds
 }
 
+declare module 'date-fns/esm/subtractIntervals/index' {
+  import {subtractIntervals} from 'date-fns/esm'
+  export default subtractIntervals
+}
+
 declare module 'date-fns/esm/subWeeks/index' {
   import {subWeeks} from 'date-fns/esm'
   export default subWeeks
@@ -10166,11 +14439,31 @@ declare module 'date-fns/esm/toDate/index' {
   export default toDate
 }
 
+declare module 'date-fns/esm/toZonedTime/index' {
+  import {toZonedTime} from 'date-fns/esm'
+  export default toZonedTime
+}
+
+declare module 'date-fns/esm/add/index.js' {
+  import {add} from 'date-fns/esm'
+  export default add
+}
+
+declare module 'date-fns/esm/addBusinessDays/index.js' {
+  import {addBusinessDays} from 'date-fns/esm'
+  export default addBusinessDays
+}
+
 declare module 'date-fns/esm/addDays/index.js' {
   import {addDays} from 'date-fns/esm'
   export default addDays
 }
 
+declare module 'date-fns/esm/addDurations/index.js' {
+  import {addDurations} from 'date-fns/esm'
+  export default addDurations
+}
+
 declare module 'date-fns/esm/addHours/index.js' {
   import {addHours} from 'date-fns/esm'
   export default addHours
@@ -10221,6 +14514,16 @@ declare module 'date-fns/esm/areIntervalsOverlapping/index.js' {
   export default areIntervalsOverlapping
 }
 
+declare module 'date-fns/esm/buildHolidayCalendar/index.js' {
+  import {buildHolidayCalendar} from 'date-fns/esm'
+  export default buildHolidayCalendar
+}
+
+declare module 'date-fns/esm/buildIntervalIndex/index.js' {
+  import {buildIntervalIndex} from 'date-fns/esm'
+  export default buildIntervalIndex
+}
+
 declare module 'date-fns/esm/closestIndexTo/index.js' {
   import {closestIndexTo} from 'date-fns/esm'
   export default closestIndexTo
@@ -10241,6 +14544,26 @@ declare module 'date-fns/esm/compareDesc/index.js' {
   export default compareDesc
 }
 
+declare module 'date-fns/esm/compareDurations/index.js' {
+  import {compareDurations} from 'date-fns/esm'
+  export default compareDurations
+}
+
+declare module 'date-fns/esm/compileFormat/index.js' {
+  import {compileFormat} from 'date-fns/esm'
+  export default compileFormat
+}
+
+declare module 'date-fns/esm/compileParse/index.js' {
+  import {compileParse} from 'date-fns/esm'
+  export default compileParse
+}
+
+declare module 'date-fns/esm/differenceInBusinessDays/index.js' {
+  import {differenceInBusinessDays} from 'date-fns/esm'
+  export default differenceInBusinessDays
+}
+
 declare module 'date-fns/esm/differenceInCalendarDays/index.js' {
   import {differenceInCalendarDays} from 'date-fns/esm'
   export default differenceInCalendarDays
@@ -10326,11 +14649,101 @@ declare module 'date-fns/esm/differenceInYears/index.js' {
   export default differenceInYears
 }
 
+declare module 'date-fns/esm/durationToMilliseconds/index.js' {
+  import {durationToMilliseconds} from 'date-fns/esm'
+  export default durationToMilliseconds
+}
+
+declare module 'date-fns/esm/eachCronOccurrenceIterator/index.js' {
+  import {eachCronOccurrenceIterator} from 'date-fns/esm'
+  export default eachCronOccurrenceIterator
+}
+
 declare module 'date-fns/esm/eachDayOfInterval/index.js' {
   import {eachDayOfInterval} from 'date-fns/esm'
   export default eachDayOfInterval
 }
 
+declare module 'date-fns/esm/eachDayOfIntervalIterator/index.js' {
+  import {eachDayOfIntervalIterator} from 'date-fns/esm'
+  export default eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachHourOfInterval/index.js' {
+  import {eachHourOfInterval} from 'date-fns/esm'
+  export default eachHourOfInterval
+}
+
+declare module 'date-fns/esm/eachHourOfIntervalIterator/index.js' {
+  import {eachHourOfIntervalIterator} from 'date-fns/esm'
+  export default eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachMinuteOfInterval/index.js' {
+  import {eachMinuteOfInterval} from 'date-fns/esm'
+  export default eachMinuteOfInterval
+}
+
+declare module 'date-fns/esm/eachMinuteOfIntervalIterator/index.js' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/esm'
+  export default eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachMonthOfInterval/index.js' {
+  import {eachMonthOfInterval} from 'date-fns/esm'
+  export default eachMonthOfInterval
+}
+
+declare module 'date-fns/esm/eachMonthOfIntervalIterator/index.js' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/esm'
+  export default eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachOccurrenceIterator/index.js' {
+  import {eachOccurrenceIterator} from 'date-fns/esm'
+  export default eachOccurrenceIterator
+}
+
+declare module 'date-fns/esm/eachOfInterval/index.js' {
+  import {eachOfInterval} from 'date-fns/esm'
+  export default eachOfInterval
+}
+
+declare module 'date-fns/esm/eachOfIntervalIterator/index.js' {
+  import {eachOfIntervalIterator} from 'date-fns/esm'
+  export default eachOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachQuarterOfInterval/index.js' {
+  import {eachQuarterOfInterval} from 'date-fns/esm'
+  export default eachQuarterOfInterval
+}
+
+declare module 'date-fns/esm/eachQuarterOfIntervalIterator/index.js' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/esm'
+  export default eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachWeekOfInterval/index.js' {
+  import {eachWeekOfInterval} from 'date-fns/esm'
+  export default eachWeekOfInterval
+}
+
+declare module 'date-fns/esm/eachWeekOfIntervalIterator/index.js' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/esm'
+  export default eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/esm/eachYearOfInterval/index.js' {
+  import {eachYearOfInterval} from 'date-fns/esm'
+  export default eachYearOfInterval
+}
+
+declare module 'date-fns/esm/eachYearOfIntervalIterator/index.js' {
+  import {eachYearOfIntervalIterator} from 'date-fns/esm'
+  export default eachYearOfIntervalIterator
+}
+
 declare module 'date-fns/esm/endOfDay/index.js' {
   import {endOfDay} from 'date-fns/esm'
   export default endOfDay
@@ -10381,6 +14794,11 @@ declare module 'date-fns/esm/endOfYear/index.js' {
   export default endOfYear
 }
 
+declare module 'date-fns/esm/findFreeSlots/index.js' {
+  import {findFreeSlots} from 'date-fns/esm'
+  export default findFreeSlots
+}
+
 declare module 'date-fns/esm/format/index.js' {
   import {format} from 'date-fns/esm'
   export default format
@@ -10396,11 +14814,56 @@ declare module 'date-fns/esm/formatDistanceStrict/index.js' {
   export default formatDistanceStrict
 }
 
+declare module 'date-fns/esm/formatDuration/index.js' {
+  import {formatDuration} from 'date-fns/esm'
+  export default formatDuration
+}
+
+declare module 'date-fns/esm/formatISO/index.js' {
+  import {formatISO} from 'date-fns/esm'
+  export default formatISO
+}
+
+declare module 'date-fns/esm/formatISODuration/index.js' {
+  import {formatISODuration} from 'date-fns/esm'
+  export default formatISODuration
+}
+
+declare module 'date-fns/esm/formatRecurrence/index.js' {
+  import {formatRecurrence} from 'date-fns/esm'
+  export default formatRecurrence
+}
+
 declare module 'date-fns/esm/formatRelative/index.js' {
   import {formatRelative} from 'date-fns/esm'
   export default formatRelative
 }
 
+declare module 'date-fns/esm/formatRFC2822/index.js' {
+  import {formatRFC2822} from 'date-fns/esm'
+  export default formatRFC2822
+}
+
+declare module 'date-fns/esm/formatRFC3339/index.js' {
+  import {formatRFC3339} from 'date-fns/esm'
+  export default formatRFC3339
+}
+
+declare module 'date-fns/esm/formatRFC7231/index.js' {
+  import {formatRFC7231} from 'date-fns/esm'
+  export default formatRFC7231
+}
+
+declare module 'date-fns/esm/formatToParts/index.js' {
+  import {formatToParts} from 'date-fns/esm'
+  export default formatToParts
+}
+
+declare module 'date-fns/esm/fromZonedTime/index.js' {
+  import {fromZonedTime} from 'date-fns/esm'
+  export default fromZonedTime
+}
+
 declare module 'date-fns/esm/getDate/index.js' {
   import {getDate} from 'date-fns/esm'
   export default getDate
@@ -10471,6 +14934,16 @@ declare module 'date-fns/esm/getOverlappingDaysInIntervals/index.js' {
   export default getOverlappingDaysInIntervals
 }
 
+declare module 'date-fns/esm/getOverlappingInterval/index.js' {
+  import {getOverlappingInterval} from 'date-fns/esm'
+  export default getOverlappingInterval
+}
+
+declare module 'date-fns/esm/getOverlappingTimeInIntervals/index.js' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/esm'
+  export default getOverlappingTimeInIntervals
+}
+
 declare module 'date-fns/esm/getQuarter/index.js' {
   import {getQuarter} from 'date-fns/esm'
   export default getQuarter
@@ -10501,6 +14974,21 @@ declare module 'date-fns/esm/getYear/index.js' {
   export default getYear
 }
 
+declare module 'date-fns/esm/intersectIntervals/index.js' {
+  import {intersectIntervals} from 'date-fns/esm'
+  export default intersectIntervals
+}
+
+declare module 'date-fns/esm/intervalToDuration/index.js' {
+  import {intervalToDuration} from 'date-fns/esm'
+  export default intervalToDuration
+}
+
+declare module 'date-fns/esm/invertIntervals/index.js' {
+  import {invertIntervals} from 'date-fns/esm'
+  export default invertIntervals
+}
+
 declare module 'date-fns/esm/isAfter/index.js' {
   import {isAfter} from 'date-fns/esm'
   export default isAfter
@@ -10511,6 +14999,11 @@ declare module 'date-fns/esm/isBefore/index.js' {
   export default isBefore
 }
 
+declare module 'date-fns/esm/isBusinessDay/index.js' {
+  import {isBusinessDay} from 'date-fns/esm'
+  export default isBusinessDay
+}
+
 declare module 'date-fns/esm/isEqual/index.js' {
   import {isEqual} from 'date-fns/esm'
   export default isEqual
@@ -10526,6 +15019,11 @@ declare module 'date-fns/esm/isFriday/index.js' {
   export default isFriday
 }
 
+declare module 'date-fns/esm/isHoliday/index.js' {
+  import {isHoliday} from 'date-fns/esm'
+  export default isHoliday
+}
+
 declare module 'date-fns/esm/isLastDayOfMonth/index.js' {
   import {isLastDayOfMonth} from 'date-fns/esm'
   export default isLastDayOfMonth
@@ -10666,16 +15164,56 @@ declare module 'date-fns/esm/max/index.js' {
   export default max
 }
 
+declare module 'date-fns/esm/mergeIntervals/index.js' {
+  import {mergeIntervals} from 'date-fns/esm'
+  export default mergeIntervals
+}
+
 declare module 'date-fns/esm/min/index.js' {
   import {min} from 'date-fns/esm'
   export default min
 }
 
+declare module 'date-fns/esm/nextCronOccurrence/index.js' {
+  import {nextCronOccurrence} from 'date-fns/esm'
+  export default nextCronOccurrence
+}
+
+declare module 'date-fns/esm/normalizeDuration/index.js' {
+  import {normalizeDuration} from 'date-fns/esm'
+  export default normalizeDuration
+}
+
 declare module 'date-fns/esm/parse/index.js' {
   import {parse} from 'date-fns/esm'
   export default parse
 }
 
+declare module 'date-fns/esm/parseCron/index.js' {
+  import {parseCron} from 'date-fns/esm'
+  export default parseCron
+}
+
+declare module 'date-fns/esm/parseICalDateTime/index.js' {
+  import {parseICalDateTime} from 'date-fns/esm'
+  export default parseICalDateTime
+}
+
+declare module 'date-fns/esm/parseISODuration/index.js' {
+  import {parseISODuration} from 'date-fns/esm'
+  export default parseISODuration
+}
+
+declare module 'date-fns/esm/parseRRule/index.js' {
+  import {parseRRule} from 'date-fns/esm'
+  export default parseRRule
+}
+
+declare module 'date-fns/esm/prevCronOccurrence/index.js' {
+  import {prevCronOccurrence} from 'date-fns/esm'
+  export default prevCronOccurrence
+}
+
 declare module 'date-fns/esm/setDate/index.js' {
   import {setDate} from 'date-fns/esm'
   export default setDate
@@ -10741,6 +15279,11 @@ declare module 'date-fns/esm/setYear/index.js' {
   export default setYear
 }
 
+declare module 'date-fns/esm/splitInterval/index.js' {
+  import {splitInterval} from 'date-fns/esm'
+  export default splitInterval
+}
+
 declare module 'date-fns/esm/startOfDay/index.js' {
   import {startOfDay} from 'date-fns/esm'
   export default startOfDay
@@ -10791,6 +15334,16 @@ declare module 'date-fns/esm/startOfYear/index.js' {
   export default startOfYear
 }
 
+declare module 'date-fns/esm/sub/index.js' {
+  import {sub} from 'date-fns/esm'
+  export default sub
+}
+
+declare module 'date-fns/esm/subBusinessDays/index.js' {
+  import {subBusinessDays} from 'date-fns/esm'
+  export default subBusinessDays
+}
+
 declare module 'date-fns/esm/subDays/index.js' {
   import {subDays} from 'date-fns/esm'
   export default subDays
@@ -10831,6 +15384,11 @@ declare module 'date-fns/esm/subSeconds/index.js' {
   export default subSeconds
 }
 
+declare module 'date-fns/esm/subtractIntervals/index.js' {
+  import {subtractIntervals} from 'date-fns/esm'
+  export default subtractIntervals
+}
+
 declare module 'date-fns/esm/subWeeks/index.js' {
   import {subWeeks} from 'date-fns/esm'
   export default subWeeks
@@ -10846,15 +15404,35 @@ declare module 'date-fns/esm/toDate/index.js' {
   export default toDate
 }
 
+declare module 'date-fns/esm/toZonedTime/index.js' {
+  import {toZonedTime} from 'date-fns/esm'
+  export default toZonedTime
+}
+
 // ECMAScript Module FP Functions
 
 declare module 'date-fns/esm/fp' {
+  const add: CurriedFn2<Duration, Date | string | number, Date>
+  namespace add {}
+
+  const addBusinessDays: CurriedFn2<number, Date | string | number, Date>
+  namespace addBusinessDays {}
+
+  const addBusinessDaysWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
+  namespace addBusinessDaysWithOptions {}
+
   const addDays: CurriedFn2<number, Date | string | number, Date>
   namespace addDays {}
 
   const addDaysWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace addDaysWithOptions {}
 
+  const addDurations: CurriedFn2<Duration, Duration, Duration>
+  namespace addDurations {}
+
+  const addDurationsWithOptions: CurriedFn3<Options, Duration, Duration, Duration>
+  namespace addDurationsWithOptions {}
+
   const addHours: CurriedFn2<number, Date | string | number, Date>
   namespace addHours {}
 
@@ -10903,6 +15481,9 @@ declare module 'date-fns/esm/fp' {
   const addWeeksWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace addWeeksWithOptions {}
 
+  const addWithOptions: CurriedFn3<Options, Duration, Date | string | number, Date>
+  namespace addWithOptions {}
+
   const addYears: CurriedFn2<number, Date | string | number, Date>
   namespace addYears {}
 
@@ -10915,6 +15496,18 @@ declare module 'date-fns/esm/fp' {
   const areIntervalsOverlappingWithOptions: CurriedFn3<Options, Interval, Interval, boolean>
   namespace areIntervalsOverlappingWithOptions {}
 
+  const buildHolidayCalendar: CurriedFn1<Object[], HolidayCalendar>
+  namespace buildHolidayCalendar {}
+
+  const buildHolidayCalendarWithOptions: CurriedFn1<Object[], HolidayCalendar>
+  namespace buildHolidayCalendarWithOptions {}
+
+  const buildIntervalIndex: CurriedFn1<Interval[], IntervalIndex>
+  namespace buildIntervalIndex {}
+
+  const buildIntervalIndexWithOptions: CurriedFn2<Options, Interval[], IntervalIndex>
+  namespace buildIntervalIndexWithOptions {}
+
   const closestIndexTo: CurriedFn2<(Date | string | number)[], Date | string | number, number>
   namespace closestIndexTo {}
 
@@ -10939,6 +15532,30 @@ declare module 'date-fns/esm/fp' {
   const compareDescWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, number>
   namespace compareDescWithOptions {}
 
+  const compareDurations: CurriedFn2<Duration, Duration, number>
+  namespace compareDurations {}
+
+  const compareDurationsWithOptions: CurriedFn3<Options, Duration, Duration, number>
+  namespace compareDurationsWithOptions {}
+
+  const compileFormat: CurriedFn1<string, Function>
+  namespace compileFormat {}
+
+  const compileFormatWithOptions: CurriedFn2<Options, string, Function>
+  namespace compileFormatWithOptions {}
+
+  const compileParse: CurriedFn1<string, Function>
+  namespace compileParse {}
+
+  const compileParseWithOptions: CurriedFn2<Options, string, Function>
+  namespace compileParseWithOptions {}
+
+  const differenceInBusinessDays: CurriedFn2<Date | string | number, Date | string | number, number>
+  namespace differenceInBusinessDays {}
+
+  const differenceInBusinessDaysWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, number>
+  namespace differenceInBusinessDaysWithOptions {}
+
   const differenceInCalendarDays: CurriedFn2<Date | string | number, Date | string | number, number>
   namespace differenceInCalendarDays {}
 
@@ -11041,12 +15658,120 @@ declare module 'date-fns/esm/fp' {
   const differenceInYearsWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, number>
   namespace differenceInYearsWithOptions {}
 
-  const eachDayOfInterval: CurriedFn1<Interval, Date[]>
+  const durationToMilliseconds: CurriedFn1<Duration, number>
+  namespace durationToMilliseconds {}
+
+  const durationToMillisecondsWithOptions: CurriedFn2<Options, Duration, number>
+  namespace durationToMillisecondsWithOptions {}
+
+  const eachCronOccurrenceIterator: CurriedFn2<Date | string | number, CronSchedule | string, DateIterator>
+  namespace eachCronOccurrenceIterator {}
+
+  const eachCronOccurrenceIteratorWithOptions: CurriedFn3<Options, Date | string | number, CronSchedule | string, DateIterator>
+  namespace eachCronOccurrenceIteratorWithOptions {}
+
+  const eachDayOfInterval: CurriedFn1<Interval, Date[]>
   namespace eachDayOfInterval {}
 
+  const eachDayOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachDayOfIntervalIterator {}
+
+  const eachDayOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachDayOfIntervalIteratorWithOptions {}
+
   const eachDayOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
   namespace eachDayOfIntervalWithOptions {}
 
+  const eachHourOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachHourOfInterval {}
+
+  const eachHourOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachHourOfIntervalIterator {}
+
+  const eachHourOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachHourOfIntervalIteratorWithOptions {}
+
+  const eachHourOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachHourOfIntervalWithOptions {}
+
+  const eachMinuteOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachMinuteOfInterval {}
+
+  const eachMinuteOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachMinuteOfIntervalIterator {}
+
+  const eachMinuteOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachMinuteOfIntervalIteratorWithOptions {}
+
+  const eachMinuteOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachMinuteOfIntervalWithOptions {}
+
+  const eachMonthOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachMonthOfInterval {}
+
+  const eachMonthOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachMonthOfIntervalIterator {}
+
+  const eachMonthOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachMonthOfIntervalIteratorWithOptions {}
+
+  const eachMonthOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachMonthOfIntervalWithOptions {}
+
+  const eachOccurrenceIterator: CurriedFn1<RecurrenceRule | string, DateIterator>
+  namespace eachOccurrenceIterator {}
+
+  const eachOccurrenceIteratorWithOptions: CurriedFn2<Options, RecurrenceRule | string, DateIterator>
+  namespace eachOccurrenceIteratorWithOptions {}
+
+  const eachOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachOfInterval {}
+
+  const eachOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachOfIntervalIterator {}
+
+  const eachOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachOfIntervalIteratorWithOptions {}
+
+  const eachOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachOfIntervalWithOptions {}
+
+  const eachQuarterOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachQuarterOfInterval {}
+
+  const eachQuarterOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachQuarterOfIntervalIterator {}
+
+  const eachQuarterOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachQuarterOfIntervalIteratorWithOptions {}
+
+  const eachQuarterOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachQuarterOfIntervalWithOptions {}
+
+  const eachWeekOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachWeekOfInterval {}
+
+  const eachWeekOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachWeekOfIntervalIterator {}
+
+  const eachWeekOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachWeekOfIntervalIteratorWithOptions {}
+
+  const eachWeekOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachWeekOfIntervalWithOptions {}
+
+  const eachYearOfInterval: CurriedFn1<Interval, Date[]>
+  namespace eachYearOfInterval {}
+
+  const eachYearOfIntervalIterator: CurriedFn1<Interval, DateIterator>
+  namespace eachYearOfIntervalIterator {}
+
+  const eachYearOfIntervalIteratorWithOptions: CurriedFn2<Options, Interval, DateIterator>
+  namespace eachYearOfIntervalIteratorWithOptions {}
+
+  const eachYearOfIntervalWithOptions: CurriedFn2<Options, Interval, Date[]>
+  namespace eachYearOfIntervalWithOptions {}
+
   const endOfDay: CurriedFn1<Date | string | number, Date>
   namespace endOfDay {}
 
@@ -11107,6 +15832,12 @@ declare module 'date-fns/esm/fp' {
   const endOfYearWithOptions: CurriedFn2<Options, Date | string | number, Date>
   namespace endOfYearWithOptions {}
 
+  const findFreeSlots: CurriedFn1<Interval[], Interval[]>
+  namespace findFreeSlots {}
+
+  const findFreeSlotsWithOptions: CurriedFn2<Options, Interval[], Interval[]>
+  namespace findFreeSlotsWithOptions {}
+
   const format: CurriedFn2<string, Date | string | number, string>
   namespace format {}
 
@@ -11122,15 +15853,69 @@ declare module 'date-fns/esm/fp' {
   const formatDistanceWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, string>
   namespace formatDistanceWithOptions {}
 
+  const formatDuration: CurriedFn1<Duration, string>
+  namespace formatDuration {}
+
+  const formatDurationWithOptions: CurriedFn2<Options, Duration, string>
+  namespace formatDurationWithOptions {}
+
+  const formatISO: CurriedFn1<Date | string | number, string>
+  namespace formatISO {}
+
+  const formatISODuration: CurriedFn1<Duration, string>
+  namespace formatISODuration {}
+
+  const formatISODurationWithOptions: CurriedFn2<Options, Duration, string>
+  namespace formatISODurationWithOptions {}
+
+  const formatISOWithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatISOWithOptions {}
+
+  const formatRecurrence: CurriedFn1<RecurrenceRule | string, string>
+  namespace formatRecurrence {}
+
+  const formatRecurrenceWithOptions: CurriedFn2<Options, RecurrenceRule | string, string>
+  namespace formatRecurrenceWithOptions {}
+
   const formatRelative: CurriedFn2<Date | string | number, Date | string | number, string>
   namespace formatRelative {}
 
   const formatRelativeWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, string>
   namespace formatRelativeWithOptions {}
 
+  const formatRFC2822: CurriedFn1<Date | string | number, string>
+  namespace formatRFC2822 {}
+
+  const formatRFC2822WithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatRFC2822WithOptions {}
+
+  const formatRFC3339: CurriedFn1<Date | string | number, string>
+  namespace formatRFC3339 {}
+
+  const formatRFC3339WithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatRFC3339WithOptions {}
+
+  const formatRFC7231: CurriedFn1<Date | string | number, string>
+  namespace formatRFC7231 {}
+
+  const formatRFC7231WithOptions: CurriedFn2<Options, Date | string | number, string>
+  namespace formatRFC7231WithOptions {}
+
+  const formatToParts: CurriedFn2<string, Date | string | number, Object[]>
+  namespace formatToParts {}
+
+  const formatToPartsWithOptions: CurriedFn3<Options, string, Date | string | number, Object[]>
+  namespace formatToPartsWithOptions {}
+
   const formatWithOptions: CurriedFn3<Options, string, Date | string | number, string>
   namespace formatWithOptions {}
 
+  const fromZonedTime: CurriedFn2<TimeZone | string, Date | string | number, Date>
+  namespace fromZonedTime {}
+
+  const fromZonedTimeWithOptions: CurriedFn3<Options, TimeZone | string, Date | string | number, Date>
+  namespace fromZonedTimeWithOptions {}
+
   const getDate: CurriedFn1<Date | string | number, number>
   namespace getDate {}
 
@@ -11215,6 +16000,18 @@ declare module 'date-fns/esm/fp' {
   const getOverlappingDaysInIntervalsWithOptions: CurriedFn3<Options, Interval, Interval, number>
   namespace getOverlappingDaysInIntervalsWithOptions {}
 
+  const getOverlappingInterval: CurriedFn2<Interval, Interval, Interval | null>
+  namespace getOverlappingInterval {}
+
+  const getOverlappingIntervalWithOptions: CurriedFn3<Options, Interval, Interval, Interval | null>
+  namespace getOverlappingIntervalWithOptions {}
+
+  const getOverlappingTimeInIntervals: CurriedFn2<Interval, Interval, number>
+  namespace getOverlappingTimeInIntervals {}
+
+  const getOverlappingTimeInIntervalsWithOptions: CurriedFn3<Options, Interval, Interval, number>
+  namespace getOverlappingTimeInIntervalsWithOptions {}
+
   const getQuarter: CurriedFn1<Date | string | number, number>
   namespace getQuarter {}
 
@@ -11251,6 +16048,24 @@ declare module 'date-fns/esm/fp' {
   const getYearWithOptions: CurriedFn2<Options, Date | string | number, number>
   namespace getYearWithOptions {}
 
+  const intersectIntervals: CurriedFn2<Interval[], Interval[], Interval[]>
+  namespace intersectIntervals {}
+
+  const intersectIntervalsWithOptions: CurriedFn3<Options, Interval[], Interval[], Interval[]>
+  namespace intersectIntervalsWithOptions {}
+
+  const intervalToDuration: CurriedFn1<Interval, Duration>
+  namespace intervalToDuration {}
+
+  const intervalToDurationWithOptions: CurriedFn2<Options, Interval, Duration>
+  namespace intervalToDurationWithOptions {}
+
+  const invertIntervals: CurriedFn2<Interval, Interval[], Interval[]>
+  namespace invertIntervals {}
+
+  const invertIntervalsWithOptions: CurriedFn3<Options, Interval, Interval[], Interval[]>
+  namespace invertIntervalsWithOptions {}
+
   const isAfter: CurriedFn2<Date | string | number, Date | string | number, boolean>
   namespace isAfter {}
 
@@ -11263,6 +16078,12 @@ declare module 'date-fns/esm/fp' {
   const isBeforeWithOptions: CurriedFn3<Options, Date | string | number, Date | string | number, boolean>
   namespace isBeforeWithOptions {}
 
+  const isBusinessDay: CurriedFn1<Date | string | number, boolean>
+  namespace isBusinessDay {}
+
+  const isBusinessDayWithOptions: CurriedFn2<Options, Date | string | number, boolean>
+  namespace isBusinessDayWithOptions {}
+
   const isEqual: CurriedFn2<Date | string | number, Date | string | number, boolean>
   namespace isEqual {}
 
@@ -11281,6 +16102,12 @@ declare module 'date-fns/esm/fp' {
   const isFridayWithOptions: CurriedFn2<Options, Date | string | number, boolean>
   namespace isFridayWithOptions {}
 
+  const isHoliday: CurriedFn1<Date | string | number, boolean>
+  namespace isHoliday {}
+
+  const isHolidayWithOptions: CurriedFn2<Options, Date | string | number, boolean>
+  namespace isHolidayWithOptions {}
+
   const isLastDayOfMonth: CurriedFn1<Date | string | number, boolean>
   namespace isLastDayOfMonth {}
 
@@ -11449,18 +16276,66 @@ declare module 'date-fns/esm/fp' {
   const maxWithOptions: CurriedFn2<Options, (Date | string | number)[], Date>
   namespace maxWithOptions {}
 
+  const mergeIntervals: CurriedFn1<Interval[], Interval[]>
+  namespace mergeIntervals {}
+
+  const mergeIntervalsWithOptions: CurriedFn2<Options, Interval[], Interval[]>
+  namespace mergeIntervalsWithOptions {}
+
   const min: CurriedFn1<(Date | string | number)[], Date>
   namespace min {}
 
   const minWithOptions: CurriedFn2<Options, (Date | string | number)[], Date>
   namespace minWithOptions {}
 
+  const nextCronOccurrence: CurriedFn2<Date | string | number, CronSchedule | string, Date | null>
+  namespace nextCronOccurrence {}
+
+  const nextCronOccurrenceWithOptions: CurriedFn3<Options, Date | string | number, CronSchedule | string, Date | null>
+  namespace nextCronOccurrenceWithOptions {}
+
+  const normalizeDuration: CurriedFn1<Duration, Duration>
+  namespace normalizeDuration {}
+
+  const normalizeDurationWithOptions: CurriedFn2<Options, Duration, Duration>
+  namespace normalizeDurationWithOptions {}
+
   const parse: CurriedFn3<Date | string | number, string, string, Date>
   namespace parse {}
 
+  const parseCron: CurriedFn1<string, CronSchedule>
+  namespace parseCron {}
+
+  const parseCronWithOptions: CurriedFn2<Options, string, CronSchedule>
+  namespace parseCronWithOptions {}
+
+  const parseICalDateTime: CurriedFn1<string, Date>
+  namespace parseICalDateTime {}
+
+  const parseICalDateTimeWithOptions: CurriedFn2<Options, string, Date>
+  namespace parseICalDateTimeWithOptions {}
+
+  const parseISODuration: CurriedFn1<string, Duration>
+  namespace parseISODuration {}
+
+  const parseISODurationWithOptions: CurriedFn2<Options, string, Duration>
+  namespace parseISODurationWithOptions {}
+
+  const parseRRule: CurriedFn1<string, RecurrenceRule>
+  namespace parseRRule {}
+
+  const parseRRuleWithOptions: CurriedFn2<Options, string, RecurrenceRule>
+  namespace parseRRuleWithOptions {}
+
   const parseWithOptions: CurriedFn4<Options, Date | string | number, string, string, Date>
   namespace parseWithOptions {}
 
+  const prevCronOccurrence: CurriedFn2<Date | string | number, CronSchedule | string, Date | null>
+  namespace prevCronOccurrence {}
+
+  const prevCronOccurrenceWithOptions: CurriedFn3<Options, Date | string | number, CronSchedule | string, Date | null>
+  namespace prevCronOccurrenceWithOptions {}
+
   const setDate: CurriedFn2<number, Date | string | number, Date>
   namespace setDate {}
 
@@ -11539,6 +16414,12 @@ declare module 'date-fns/esm/fp' {
   const setYearWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace setYearWithOptions {}
 
+  const splitInterval: CurriedFn1<Interval, Interval[]>
+  namespace splitInterval {}
+
+  const splitIntervalWithOptions: CurriedFn2<Options, Interval, Interval[]>
+  namespace splitIntervalWithOptions {}
+
   const startOfDay: CurriedFn1<Date | string | number, Date>
   namespace startOfDay {}
 
@@ -11599,6 +16480,15 @@ declare module 'date-fns/esm/fp' {
   const startOfYearWithOptions: CurriedFn2<Options, Date | string | number, Date>
   namespace startOfYearWithOptions {}
 
+  const sub: CurriedFn2<Duration, Date | string | number, Date>
+  namespace sub {}
+
+  const subBusinessDays: CurriedFn2<number, Date | string | number, Date>
+  namespace subBusinessDays {}
+
+  const subBusinessDaysWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
+  namespace subBusinessDaysWithOptions {}
+
   const subDays: CurriedFn2<number, Date | string | number, Date>
   namespace subDays {}
 
@@ -11647,12 +16537,21 @@ declare module 'date-fns/esm/fp' {
   const subSecondsWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace subSecondsWithOptions {}
 
+  const subtractIntervals: CurriedFn2<Interval[], Interval[], Interval[]>
+  namespace subtractIntervals {}
+
+  const subtractIntervalsWithOptions: CurriedFn3<Options, Interval[], Interval[], Interval[]>
+  namespace subtractIntervalsWithOptions {}
+
   const subWeeks: CurriedFn2<number, Date | string | number, Date>
   namespace subWeeks {}
 
   const subWeeksWithOptions: CurriedFn3<Options, number, Date | string | number, Date>
   namespace subWeeksWithOptions {}
 
+  const subWithOptions: CurriedFn3<Options, Duration, Date | string | number, Date>
+  namespace subWithOptions {}
+
   const subYears: CurriedFn2<number, Date | string | number, Date>
   namespace subYears {}
 
@@ -11664,6 +16563,27 @@ declare module 'date-fns/esm/fp' {
 
   const toDateWithOptions: CurriedFn2<Options, any, Date>
   namespace toDateWithOptions {}
+
+  const toZonedTime: CurriedFn2<TimeZone | string, Date | string | number, Date>
+  namespace toZonedTime {}
+
+  const toZonedTimeWithOptions: CurriedFn3<Options, TimeZone | string, Date | string | number, Date>
+  namespace toZonedTimeWithOptions {}
+}
+
+declare module 'date-fns/esm/fp/add' {
+  import {add} from 'date-fns/esm/fp'
+  export default add
+}
+
+declare module 'date-fns/esm/fp/addBusinessDays' {
+  import {addBusinessDays} from 'date-fns/esm/fp'
+  export default addBusinessDays
+}
+
+declare module 'date-fns/esm/fp/addBusinessDaysWithOptions' {
+  import {addBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default addBusinessDaysWithOptions
 }
 
 declare module 'date-fns/esm/fp/addDays' {
@@ -11676,6 +16596,16 @@ declare module 'date-fns/esm/fp/addDaysWithOptions' {
   export default addDaysWithOptions
 }
 
+declare module 'date-fns/esm/fp/addDurations' {
+  import {addDurations} from 'date-fns/esm/fp'
+  export default addDurations
+}
+
+declare module 'date-fns/esm/fp/addDurationsWithOptions' {
+  import {addDurationsWithOptions} from 'date-fns/esm/fp'
+  export default addDurationsWithOptions
+}
+
 declare module 'date-fns/esm/fp/addHours' {
   import {addHours} from 'date-fns/esm/fp'
   export default addHours
@@ -11756,6 +16686,11 @@ declare module 'date-fns/esm/fp/addWeeksWithOptions' {
   export default addWeeksWithOptions
 }
 
+declare module 'date-fns/esm/fp/addWithOptions' {
+  import {addWithOptions} from 'date-fns/esm/fp'
+  export default addWithOptions
+}
+
 declare module 'date-fns/esm/fp/addYears' {
   import {addYears} from 'date-fns/esm/fp'
   export default addYears
@@ -11776,6 +16711,26 @@ declare module 'date-fns/esm/fp/areIntervalsOverlappingWithOptions' {
   export default areIntervalsOverlappingWithOptions
 }
 
+declare module 'date-fns/esm/fp/buildHolidayCalendar' {
+  import {buildHolidayCalendar} from 'date-fns/esm/fp'
+  export default buildHolidayCalendar
+}
+
+declare module 'date-fns/esm/fp/buildHolidayCalendarWithOptions' {
+  import {buildHolidayCalendarWithOptions} from 'date-fns/esm/fp'
+  export default buildHolidayCalendarWithOptions
+}
+
+declare module 'date-fns/esm/fp/buildIntervalIndex' {
+  import {buildIntervalIndex} from 'date-fns/esm/fp'
+  export default buildIntervalIndex
+}
+
+declare module 'date-fns/esm/fp/buildIntervalIndexWithOptions' {
+  import {buildIntervalIndexWithOptions} from 'date-fns/esm/fp'
+  export default buildIntervalIndexWithOptions
+}
+
 declare module 'date-fns/esm/fp/closestIndexTo' {
   import {closestIndexTo} from 'date-fns/esm/fp'
   export default closestIndexTo
@@ -11816,6 +16771,46 @@ declare module 'date-fns/esm/fp/compareDescWithOptions' {
   export default compareDescWithOptions
 }
 
+declare module 'date-fns/esm/fp/compareDurations' {
+  import {compareDurations} from 'date-fns/esm/fp'
+  export default compareDurations
+}
+
+declare module 'date-fns/esm/fp/compareDurationsWithOptions' {
+  import {compareDurationsWithOptions} from 'date-fns/esm/fp'
+  export default compareDurationsWithOptions
+}
+
+declare module 'date-fns/esm/fp/compileFormat' {
+  import {compileFormat} from 'date-fns/esm/fp'
+  export default compileFormat
+}
+
+declare module 'date-fns/esm/fp/compileFormatWithOptions' {
+  import {compileFormatWithOptions} from 'date-fns/esm/fp'
+  export default compileFormatWithOptions
+}
+
+declare module 'date-fns/esm/fp/compileParse' {
+  import {compileParse} from 'date-fns/esm/fp'
+  export default compileParse
+}
+
+declare module 'date-fns/esm/fp/compileParseWithOptions' {
+  import {compileParseWithOptions} from 'date-fns/esm/fp'
+  export default compileParseWithOptions
+}
+
+declare module 'date-fns/esm/fp/differenceInBusinessDays' {
+  import {differenceInBusinessDays} from 'date-fns/esm/fp'
+  export default differenceInBusinessDays
+}
+
+declare module 'date-fns/esm/fp/differenceInBusinessDaysWithOptions' {
+  import {differenceInBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default differenceInBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/differenceInCalendarDays' {
   import {differenceInCalendarDays} from 'date-fns/esm/fp'
   export default differenceInCalendarDays
@@ -11986,16 +16981,196 @@ declare module 'date-fns/esm/fp/differenceInYearsWithOptions' {
   export default differenceInYearsWithOptions
 }
 
+declare module 'date-fns/esm/fp/durationToMilliseconds' {
+  import {durationToMilliseconds} from 'date-fns/esm/fp'
+  export default durationToMilliseconds
+}
+
+declare module 'date-fns/esm/fp/durationToMillisecondsWithOptions' {
+  import {durationToMillisecondsWithOptions} from 'date-fns/esm/fp'
+  export default durationToMillisecondsWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachCronOccurrenceIterator' {
+  import {eachCronOccurrenceIterator} from 'date-fns/esm/fp'
+  export default eachCronOccurrenceIterator
+}
+
+declare module 'date-fns/esm/fp/eachCronOccurrenceIteratorWithOptions' {
+  import {eachCronOccurrenceIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachCronOccurrenceIteratorWithOptions
+}
+
 declare module 'date-fns/esm/fp/eachDayOfInterval' {
   import {eachDayOfInterval} from 'date-fns/esm/fp'
   export default eachDayOfInterval
 }
 
+declare module 'date-fns/esm/fp/eachDayOfIntervalIterator' {
+  import {eachDayOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachDayOfIntervalIteratorWithOptions' {
+  import {eachDayOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachDayOfIntervalIteratorWithOptions
+}
+
 declare module 'date-fns/esm/fp/eachDayOfIntervalWithOptions' {
   import {eachDayOfIntervalWithOptions} from 'date-fns/esm/fp'
   export default eachDayOfIntervalWithOptions
 }
 
+declare module 'date-fns/esm/fp/eachHourOfInterval' {
+  import {eachHourOfInterval} from 'date-fns/esm/fp'
+  export default eachHourOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalIterator' {
+  import {eachHourOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalIteratorWithOptions' {
+  import {eachHourOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalWithOptions' {
+  import {eachHourOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfInterval' {
+  import {eachMinuteOfInterval} from 'date-fns/esm/fp'
+  export default eachMinuteOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalIterator' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalIteratorWithOptions' {
+  import {eachMinuteOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalWithOptions' {
+  import {eachMinuteOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfInterval' {
+  import {eachMonthOfInterval} from 'date-fns/esm/fp'
+  export default eachMonthOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalIterator' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalIteratorWithOptions' {
+  import {eachMonthOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalWithOptions' {
+  import {eachMonthOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOccurrenceIterator' {
+  import {eachOccurrenceIterator} from 'date-fns/esm/fp'
+  export default eachOccurrenceIterator
+}
+
+declare module 'date-fns/esm/fp/eachOccurrenceIteratorWithOptions' {
+  import {eachOccurrenceIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachOccurrenceIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOfInterval' {
+  import {eachOfInterval} from 'date-fns/esm/fp'
+  export default eachOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalIterator' {
+  import {eachOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalIteratorWithOptions' {
+  import {eachOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalWithOptions' {
+  import {eachOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfInterval' {
+  import {eachQuarterOfInterval} from 'date-fns/esm/fp'
+  export default eachQuarterOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalIterator' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalIteratorWithOptions' {
+  import {eachQuarterOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalWithOptions' {
+  import {eachQuarterOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfInterval' {
+  import {eachWeekOfInterval} from 'date-fns/esm/fp'
+  export default eachWeekOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalIterator' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalIteratorWithOptions' {
+  import {eachWeekOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalWithOptions' {
+  import {eachWeekOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachYearOfInterval' {
+  import {eachYearOfInterval} from 'date-fns/esm/fp'
+  export default eachYearOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalIterator' {
+  import {eachYearOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalIteratorWithOptions' {
+  import {eachYearOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalWithOptions' {
+  import {eachYearOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalWithOptions
+}
+
 declare module 'date-fns/esm/fp/endOfDay' {
   import {endOfDay} from 'date-fns/esm/fp'
   export default endOfDay
@@ -12096,6 +17271,16 @@ declare module 'date-fns/esm/fp/endOfYearWithOptions' {
   export default endOfYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/findFreeSlots' {
+  import {findFreeSlots} from 'date-fns/esm/fp'
+  export default findFreeSlots
+}
+
+declare module 'date-fns/esm/fp/findFreeSlotsWithOptions' {
+  import {findFreeSlotsWithOptions} from 'date-fns/esm/fp'
+  export default findFreeSlotsWithOptions
+}
+
 declare module 'date-fns/esm/fp/format' {
   import {format} from 'date-fns/esm/fp'
   export default format
@@ -12121,6 +17306,46 @@ declare module 'date-fns/esm/fp/formatDistanceWithOptions' {
   export default formatDistanceWithOptions
 }
 
+declare module 'date-fns/esm/fp/formatDuration' {
+  import {formatDuration} from 'date-fns/esm/fp'
+  export default formatDuration
+}
+
+declare module 'date-fns/esm/fp/formatDurationWithOptions' {
+  import {formatDurationWithOptions} from 'date-fns/esm/fp'
+  export default formatDurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatISO' {
+  import {formatISO} from 'date-fns/esm/fp'
+  export default formatISO
+}
+
+declare module 'date-fns/esm/fp/formatISODuration' {
+  import {formatISODuration} from 'date-fns/esm/fp'
+  export default formatISODuration
+}
+
+declare module 'date-fns/esm/fp/formatISODurationWithOptions' {
+  import {formatISODurationWithOptions} from 'date-fns/esm/fp'
+  export default formatISODurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatISOWithOptions' {
+  import {formatISOWithOptions} from 'date-fns/esm/fp'
+  export default formatISOWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRecurrence' {
+  import {formatRecurrence} from 'date-fns/esm/fp'
+  export default formatRecurrence
+}
+
+declare module 'date-fns/esm/fp/formatRecurrenceWithOptions' {
+  import {formatRecurrenceWithOptions} from 'date-fns/esm/fp'
+  export default formatRecurrenceWithOptions
+}
+
 declare module 'date-fns/esm/fp/formatRelative' {
   import {formatRelative} from 'date-fns/esm/fp'
   export default formatRelative
@@ -12131,11 +17356,61 @@ declare module 'date-fns/esm/fp/formatRelativeWithOptions' {
   export default formatRelativeWithOptions
 }
 
+declare module 'date-fns/esm/fp/formatRFC2822' {
+  import {formatRFC2822} from 'date-fns/esm/fp'
+  export default formatRFC2822
+}
+
+declare module 'date-fns/esm/fp/formatRFC2822WithOptions' {
+  import {formatRFC2822WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC2822WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRFC3339' {
+  import {formatRFC3339} from 'date-fns/esm/fp'
+  export default formatRFC3339
+}
+
+declare module 'date-fns/esm/fp/formatRFC3339WithOptions' {
+  import {formatRFC3339WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC3339WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRFC7231' {
+  import {formatRFC7231} from 'date-fns/esm/fp'
+  export default formatRFC7231
+}
+
+declare module 'date-fns/esm/fp/formatRFC7231WithOptions' {
+  import {formatRFC7231WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC7231WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatToParts' {
+  import {formatToParts} from 'date-fns/esm/fp'
+  export default formatToParts
+}
+
+declare module 'date-fns/esm/fp/formatToPartsWithOptions' {
+  import {formatToPartsWithOptions} from 'date-fns/esm/fp'
+  export default formatToPartsWithOptions
+}
+
 declare module 'date-fns/esm/fp/formatWithOptions' {
   import {formatWithOptions} from 'date-fns/esm/fp'
   export default formatWithOptions
 }
 
+declare module 'date-fns/esm/fp/fromZonedTime' {
+  import {fromZonedTime} from 'date-fns/esm/fp'
+  export default fromZonedTime
+}
+
+declare module 'date-fns/esm/fp/fromZonedTimeWithOptions' {
+  import {fromZonedTimeWithOptions} from 'date-fns/esm/fp'
+  export default fromZonedTimeWithOptions
+}
+
 declare module 'date-fns/esm/fp/getDate' {
   import {getDate} from 'date-fns/esm/fp'
   export default getDate
@@ -12276,6 +17551,26 @@ declare module 'date-fns/esm/fp/getOverlappingDaysInIntervalsWithOptions' {
   export default getOverlappingDaysInIntervalsWithOptions
 }
 
+declare module 'date-fns/esm/fp/getOverlappingInterval' {
+  import {getOverlappingInterval} from 'date-fns/esm/fp'
+  export default getOverlappingInterval
+}
+
+declare module 'date-fns/esm/fp/getOverlappingIntervalWithOptions' {
+  import {getOverlappingIntervalWithOptions} from 'date-fns/esm/fp'
+  export default getOverlappingIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/getOverlappingTimeInIntervals' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/esm/fp'
+  export default getOverlappingTimeInIntervals
+}
+
+declare module 'date-fns/esm/fp/getOverlappingTimeInIntervalsWithOptions' {
+  import {getOverlappingTimeInIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default getOverlappingTimeInIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/getQuarter' {
   import {getQuarter} from 'date-fns/esm/fp'
   export default getQuarter
@@ -12336,9 +17631,39 @@ declare module 'date-fns/esm/fp/getYearWithOptions' {
   export default getYearWithOptions
 }
 
-declare module 'date-fns/esm/fp/isAfter' {
-  import {isAfter} from 'date-fns/esm/fp'
-  export default isAfter
+declare module 'date-fns/esm/fp/intersectIntervals' {
+  import {intersectIntervals} from 'date-fns/esm/fp'
+  export default intersectIntervals
+}
+
+declare module 'date-fns/esm/fp/intersectIntervalsWithOptions' {
+  import {intersectIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default intersectIntervalsWithOptions
+}
+
+declare module 'date-fns/esm/fp/intervalToDuration' {
+  import {intervalToDuration} from 'date-fns/esm/fp'
+  export default intervalToDuration
+}
+
+declare module 'date-fns/esm/fp/intervalToDurationWithOptions' {
+  import {intervalToDurationWithOptions} from 'date-fns/esm/fp'
+  export default intervalToDurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/invertIntervals' {
+  import {invertIntervals} from 'date-fns/esm/fp'
+  export default invertIntervals
+}
+
+declare module 'date-fns/esm/fp/invertIntervalsWithOptions' {
+  import {invertIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default invertIntervalsWithOptions
+}
+
+declare module 'date-fns/esm/fp/isAfter' {
+  import {isAfter} from 'date-fns/esm/fp'
+  export default isAfter
 }
 
 declare module 'date-fns/esm/fp/isAfterWithOptions' {
@@ -12356,6 +17681,16 @@ declare module 'date-fns/esm/fp/isBeforeWithOptions' {
   export default isBeforeWithOptions
 }
 
+declare module 'date-fns/esm/fp/isBusinessDay' {
+  import {isBusinessDay} from 'date-fns/esm/fp'
+  export default isBusinessDay
+}
+
+declare module 'date-fns/esm/fp/isBusinessDayWithOptions' {
+  import {isBusinessDayWithOptions} from 'date-fns/esm/fp'
+  export default isBusinessDayWithOptions
+}
+
 declare module 'date-fns/esm/fp/isEqual' {
   import {isEqual} from 'date-fns/esm/fp'
   export default isEqual
@@ -12386,6 +17721,16 @@ declare module 'date-fns/esm/fp/isFridayWithOptions' {
   export default isFridayWithOptions
 }
 
+declare module 'date-fns/esm/fp/isHoliday' {
+  import {isHoliday} from 'date-fns/esm/fp'
+  export default isHoliday
+}
+
+declare module 'date-fns/esm/fp/isHolidayWithOptions' {
+  import {isHolidayWithOptions} from 'date-fns/esm/fp'
+  export default isHolidayWithOptions
+}
+
 declare module 'date-fns/esm/fp/isLastDayOfMonth' {
   import {isLastDayOfMonth} from 'date-fns/esm/fp'
   export default isLastDayOfMonth
@@ -12666,6 +18011,16 @@ declare module 'date-fns/esm/fp/maxWithOptions' {
   export default maxWithOptions
 }
 
+declare module 'date-fns/esm/fp/mergeIntervals' {
+  import {mergeIntervals} from 'date-fns/esm/fp'
+  export default mergeIntervals
+}
+
+declare module 'date-fns/esm/fp/mergeIntervalsWithOptions' {
+  import {mergeIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default mergeIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/min' {
   import {min} from 'date-fns/esm/fp'
   export default min
@@ -12676,16 +18031,86 @@ declare module 'date-fns/esm/fp/minWithOptions' {
   export default minWithOptions
 }
 
+declare module 'date-fns/esm/fp/nextCronOccurrence' {
+  import {nextCronOccurrence} from 'date-fns/esm/fp'
+  export default nextCronOccurrence
+}
+
+declare module 'date-fns/esm/fp/nextCronOccurrenceWithOptions' {
+  import {nextCronOccurrenceWithOptions} from 'date-fns/esm/fp'
+  export default nextCronOccurrenceWithOptions
+}
+
+declare module 'date-fns/esm/fp/normalizeDuration' {
+  import {normalizeDuration} from 'date-fns/esm/fp'
+  export default normalizeDuration
+}
+
+declare module 'date-fns/esm/fp/normalizeDurationWithOptions' {
+  import {normalizeDurationWithOptions} from 'date-fns/esm/fp'
+  export default normalizeDurationWithOptions
+}
+
 declare module 'date-fns/esm/fp/parse' {
   import {parse} from 'date-fns/esm/fp'
   export default parse
 }
 
+declare module 'date-fns/esm/fp/parseCron' {
+  import {parseCron} from 'date-fns/esm/fp'
+  export default parseCron
+}
+
+declare module 'date-fns/esm/fp/parseCronWithOptions' {
+  import {parseCronWithOptions} from 'date-fns/esm/fp'
+  export default parseCronWithOptions
+}
+
+declare module 'date-fns/esm/fp/parseICalDateTime' {
+  import {parseICalDateTime} from 'date-fns/esm/fp'
+  export default parseICalDateTime
+}
+
+declare module 'date-fns/esm/fp/parseICalDateTimeWithOptions' {
+  import {parseICalDateTimeWithOptions} from 'date-fns/esm/fp'
+  export default parseICalDateTimeWithOptions
+}
+
+declare module 'date-fns/esm/fp/parseISODuration' {
+  import {parseISODuration} from 'date-fns/esm/fp'
+  export default parseISODuration
+}
+
+declare module 'date-fns/esm/fp/parseISODurationWithOptions' {
+  import {parseISODurationWithOptions} from 'date-fns/esm/fp'
+  export default parseISODurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/parseRRule' {
+  import {parseRRule} from 'date-fns/esm/fp'
+  export default parseRRule
+}
+
+declare module 'date-fns/esm/fp/parseRRuleWithOptions' {
+  import {parseRRuleWithOptions} from 'date-fns/esm/fp'
+  export default parseRRuleWithOptions
+}
+
 declare module 'date-fns/esm/fp/parseWithOptions' {
   import {parseWithOptions} from 'date-fns/esm/fp'
   export default parseWithOptions
 }
 
+declare module 'date-fns/esm/fp/prevCronOccurrence' {
+  import {prevCronOccurrence} from 'date-fns/esm/fp'
+  export default prevCronOccurrence
+}
+
+declare module 'date-fns/esm/fp/prevCronOccurrenceWithOptions' {
+  import {prevCronOccurrenceWithOptions} from 'date-fns/esm/fp'
+  export default prevCronOccurrenceWithOptions
+}
+
 declare module 'date-fns/esm/fp/setDate' {
   import {setDate} from 'date-fns/esm/fp'
   export default setDate
@@ -12816,6 +18241,16 @@ declare module 'date-fns/esm/fp/setYearWithOptions' {
   export default setYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/splitInterval' {
+  import {splitInterval} from 'date-fns/esm/fp'
+  export default splitInterval
+}
+
+declare module 'date-fns/esm/fp/splitIntervalWithOptions' {
+  import {splitIntervalWithOptions} from 'date-fns/esm/fp'
+  export default splitIntervalWithOptions
+}
+
 declare module 'date-fns/esm/fp/startOfDay' {
   import {startOfDay} from 'date-fns/esm/fp'
   export default startOfDay
@@ -12916,6 +18351,21 @@ declare module 'date-fns/esm/fp/startOfYearWithOptions' {
   export default startOfYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/sub' {
+  import {sub} from 'date-fns/esm/fp'
+  export default sub
+}
+
+declare module 'date-fns/esm/fp/subBusinessDays' {
+  import {subBusinessDays} from 'date-fns/esm/fp'
+  export default subBusinessDays
+}
+
+declare module 'date-fns/esm/fp/subBusinessDaysWithOptions' {
+  import {subBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default subBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/subDays' {
   import {subDays} from 'date-fns/esm/fp'
   export default subDays
@@ -12996,6 +18446,16 @@ declare module 'date-fns/esm/fp/subSecondsWithOptions' {
   export default subSecondsWithOptions
 }
 
+declare module 'date-fns/esm/fp/subtractIntervals' {
+  import {subtractIntervals} from 'date-fns/esm/fp'
+  export default subtractIntervals
+}
+
+declare module 'date-fns/esm/fp/subtractIntervalsWithOptions' {
+  import {subtractIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default subtractIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/subWeeks' {
   import {subWeeks} from 'date-fns/esm/fp'
   export default subWeeks
@@ -13006,6 +18466,11 @@ declare module 'date-fns/esm/fp/subWeeksWithOptions' {
   export default subWeeksWithOptions
 }
 
+declare module 'date-fns/esm/fp/subWithOptions' {
+  import {subWithOptions} from 'date-fns/esm/fp'
+  export default subWithOptions
+}
+
 declare module 'date-fns/esm/fp/subYears' {
   import {subYears} from 'date-fns/esm/fp'
   export default subYears
@@ -13026,6 +18491,31 @@ declare module 'date-fns/esm/fp/toDateWithOptions' {
   export default toDateWithOptions
 }
 
+declare module 'date-fns/esm/fp/toZonedTime' {
+  import {toZonedTime} from 'date-fns/esm/fp'
+  export default toZonedTime
+}
+
+declare module 'date-fns/esm/fp/toZonedTimeWithOptions' {
+  import {toZonedTimeWithOptions} from 'date-fns/esm/fp'
+  export default toZonedTimeWithOptions
+}
+
+declare module 'date-fns/esm/fp/add/index' {
+  import {add} from 'date-fns/esm/fp'
+  export default add
+}
+
+declare module 'date-fns/esm/fp/addBusinessDays/index' {
+  import {addBusinessDays} from 'date-fns/esm/fp'
+  export default addBusinessDays
+}
+
+declare module 'date-fns/esm/fp/addBusinessDaysWithOptions/index' {
+  import {addBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default addBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/addDays/index' {
   import {addDays} from 'date-fns/esm/fp'
   export default addDays
@@ -13036,6 +18526,16 @@ declare module 'date-fns/esm/fp/addDaysWithOptions/index' {
   export default addDaysWithOptions
 }
 
+declare module 'date-fns/esm/fp/addDurations/index' {
+  import {addDurations} from 'date-fns/esm/fp'
+  export default addDurations
+}
+
+declare module 'date-fns/esm/fp/addDurationsWithOptions/index' {
+  import {addDurationsWithOptions} from 'date-fns/esm/fp'
+  export default addDurationsWithOptions
+}
+
 declare module 'date-fns/esm/fp/addHours/index' {
   import {addHours} from 'date-fns/esm/fp'
   export default addHours
@@ -13116,6 +18616,11 @@ declare module 'date-fns/esm/fp/addWeeksWithOptions/index' {
   export default addWeeksWithOptions
 }
 
+declare module 'date-fns/esm/fp/addWithOptions/index' {
+  import {addWithOptions} from 'date-fns/esm/fp'
+  export default addWithOptions
+}
+
 declare module 'date-fns/esm/fp/addYears/index' {
   import {addYears} from 'date-fns/esm/fp'
   export default addYears
@@ -13136,6 +18641,26 @@ declare module 'date-fns/esm/fp/areIntervalsOverlappingWithOptions/index' {
   export default areIntervalsOverlappingWithOptions
 }
 
+declare module 'date-fns/esm/fp/buildHolidayCalendar/index' {
+  import {buildHolidayCalendar} from 'date-fns/esm/fp'
+  export default buildHolidayCalendar
+}
+
+declare module 'date-fns/esm/fp/buildHolidayCalendarWithOptions/index' {
+  import {buildHolidayCalendarWithOptions} from 'date-fns/esm/fp'
+  export default buildHolidayCalendarWithOptions
+}
+
+declare module 'date-fns/esm/fp/buildIntervalIndex/index' {
+  import {buildIntervalIndex} from 'date-fns/esm/fp'
+  export default buildIntervalIndex
+}
+
+declare module 'date-fns/esm/fp/buildIntervalIndexWithOptions/index' {
+  import {buildIntervalIndexWithOptions} from 'date-fns/esm/fp'
+  export default buildIntervalIndexWithOptions
+}
+
 declare module 'date-fns/esm/fp/closestIndexTo/index' {
   import {closestIndexTo} from 'date-fns/esm/fp'
   export default closestIndexTo
@@ -13176,6 +18701,46 @@ declare module 'date-fns/esm/fp/compareDescWithOptions/index' {
   export default compareDescWithOptions
 }
 
+declare module 'date-fns/esm/fp/compareDurations/index' {
+  import {compareDurations} from 'date-fns/esm/fp'
+  export default compareDurations
+}
+
+declare module 'date-fns/esm/fp/compareDurationsWithOptions/index' {
+  import {compareDurationsWithOptions} from 'date-fns/esm/fp'
+  export default compareDurationsWithOptions
+}
+
+declare module 'date-fns/esm/fp/compileFormat/index' {
+  import {compileFormat} from 'date-fns/esm/fp'
+  export default compileFormat
+}
+
+declare module 'date-fns/esm/fp/compileFormatWithOptions/index' {
+  import {compileFormatWithOptions} from 'date-fns/esm/fp'
+  export default compileFormatWithOptions
+}
+
+declare module 'date-fns/esm/fp/compileParse/index' {
+  import {compileParse} from 'date-fns/esm/fp'
+  export default compileParse
+}
+
+declare module 'date-fns/esm/fp/compileParseWithOptions/index' {
+  import {compileParseWithOptions} from 'date-fns/esm/fp'
+  export default compileParseWithOptions
+}
+
+declare module 'date-fns/esm/fp/differenceInBusinessDays/index' {
+  import {differenceInBusinessDays} from 'date-fns/esm/fp'
+  export default differenceInBusinessDays
+}
+
+declare module 'date-fns/esm/fp/differenceInBusinessDaysWithOptions/index' {
+  import {differenceInBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default differenceInBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/differenceInCalendarDays/index' {
   import {differenceInCalendarDays} from 'date-fns/esm/fp'
   export default differenceInCalendarDays
@@ -13346,16 +18911,196 @@ declare module 'date-fns/esm/fp/differenceInYearsWithOptions/index' {
   export default differenceInYearsWithOptions
 }
 
+declare module 'date-fns/esm/fp/durationToMilliseconds/index' {
+  import {durationToMilliseconds} from 'date-fns/esm/fp'
+  export default durationToMilliseconds
+}
+
+declare module 'date-fns/esm/fp/durationToMillisecondsWithOptions/index' {
+  import {durationToMillisecondsWithOptions} from 'date-fns/esm/fp'
+  export default durationToMillisecondsWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachCronOccurrenceIterator/index' {
+  import {eachCronOccurrenceIterator} from 'date-fns/esm/fp'
+  export default eachCronOccurrenceIterator
+}
+
+declare module 'date-fns/esm/fp/eachCronOccurrenceIteratorWithOptions/index' {
+  import {eachCronOccurrenceIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachCronOccurrenceIteratorWithOptions
+}
+
 declare module 'date-fns/esm/fp/eachDayOfInterval/index' {
   import {eachDayOfInterval} from 'date-fns/esm/fp'
   export default eachDayOfInterval
 }
 
+declare module 'date-fns/esm/fp/eachDayOfIntervalIterator/index' {
+  import {eachDayOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachDayOfIntervalIteratorWithOptions/index' {
+  import {eachDayOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachDayOfIntervalIteratorWithOptions
+}
+
 declare module 'date-fns/esm/fp/eachDayOfIntervalWithOptions/index' {
   import {eachDayOfIntervalWithOptions} from 'date-fns/esm/fp'
   export default eachDayOfIntervalWithOptions
 }
 
+declare module 'date-fns/esm/fp/eachHourOfInterval/index' {
+  import {eachHourOfInterval} from 'date-fns/esm/fp'
+  export default eachHourOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalIterator/index' {
+  import {eachHourOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalIteratorWithOptions/index' {
+  import {eachHourOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalWithOptions/index' {
+  import {eachHourOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfInterval/index' {
+  import {eachMinuteOfInterval} from 'date-fns/esm/fp'
+  export default eachMinuteOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalIterator/index' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalIteratorWithOptions/index' {
+  import {eachMinuteOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalWithOptions/index' {
+  import {eachMinuteOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfInterval/index' {
+  import {eachMonthOfInterval} from 'date-fns/esm/fp'
+  export default eachMonthOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalIterator/index' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalIteratorWithOptions/index' {
+  import {eachMonthOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalWithOptions/index' {
+  import {eachMonthOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOccurrenceIterator/index' {
+  import {eachOccurrenceIterator} from 'date-fns/esm/fp'
+  export default eachOccurrenceIterator
+}
+
+declare module 'date-fns/esm/fp/eachOccurrenceIteratorWithOptions/index' {
+  import {eachOccurrenceIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachOccurrenceIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOfInterval/index' {
+  import {eachOfInterval} from 'date-fns/esm/fp'
+  export default eachOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalIterator/index' {
+  import {eachOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalIteratorWithOptions/index' {
+  import {eachOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalWithOptions/index' {
+  import {eachOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfInterval/index' {
+  import {eachQuarterOfInterval} from 'date-fns/esm/fp'
+  export default eachQuarterOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalIterator/index' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalIteratorWithOptions/index' {
+  import {eachQuarterOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalWithOptions/index' {
+  import {eachQuarterOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfInterval/index' {
+  import {eachWeekOfInterval} from 'date-fns/esm/fp'
+  export default eachWeekOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalIterator/index' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalIteratorWithOptions/index' {
+  import {eachWeekOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalWithOptions/index' {
+  import {eachWeekOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachYearOfInterval/index' {
+  import {eachYearOfInterval} from 'date-fns/esm/fp'
+  export default eachYearOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalIterator/index' {
+  import {eachYearOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalIteratorWithOptions/index' {
+  import {eachYearOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalWithOptions/index' {
+  import {eachYearOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalWithOptions
+}
+
 declare module 'date-fns/esm/fp/endOfDay/index' {
   import {endOfDay} from 'date-fns/esm/fp'
   export default endOfDay
@@ -13456,6 +19201,16 @@ declare module 'date-fns/esm/fp/endOfYearWithOptions/index' {
   export default endOfYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/findFreeSlots/index' {
+  import {findFreeSlots} from 'date-fns/esm/fp'
+  export default findFreeSlots
+}
+
+declare module 'date-fns/esm/fp/findFreeSlotsWithOptions/index' {
+  import {findFreeSlotsWithOptions} from 'date-fns/esm/fp'
+  export default findFreeSlotsWithOptions
+}
+
 declare module 'date-fns/esm/fp/format/index' {
   import {format} from 'date-fns/esm/fp'
   export default format
@@ -13481,6 +19236,46 @@ declare module 'date-fns/esm/fp/formatDistanceWithOptions/index' {
   export default formatDistanceWithOptions
 }
 
+declare module 'date-fns/esm/fp/formatDuration/index' {
+  import {formatDuration} from 'date-fns/esm/fp'
+  export default formatDuration
+}
+
+declare module 'date-fns/esm/fp/formatDurationWithOptions/index' {
+  import {formatDurationWithOptions} from 'date-fns/esm/fp'
+  export default formatDurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatISO/index' {
+  import {formatISO} from 'date-fns/esm/fp'
+  export default formatISO
+}
+
+declare module 'date-fns/esm/fp/formatISODuration/index' {
+  import {formatISODuration} from 'date-fns/esm/fp'
+  export default formatISODuration
+}
+
+declare module 'date-fns/esm/fp/formatISODurationWithOptions/index' {
+  import {formatISODurationWithOptions} from 'date-fns/esm/fp'
+  export default formatISODurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatISOWithOptions/index' {
+  import {formatISOWithOptions} from 'date-fns/esm/fp'
+  export default formatISOWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRecurrence/index' {
+  import {formatRecurrence} from 'date-fns/esm/fp'
+  export default formatRecurrence
+}
+
+declare module 'date-fns/esm/fp/formatRecurrenceWithOptions/index' {
+  import {formatRecurrenceWithOptions} from 'date-fns/esm/fp'
+  export default formatRecurrenceWithOptions
+}
+
 declare module 'date-fns/esm/fp/formatRelative/index' {
   import {formatRelative} from 'date-fns/esm/fp'
   export default formatRelative
@@ -13491,11 +19286,61 @@ declare module 'date-fns/esm/fp/formatRelativeWithOptions/index' {
   export default formatRelativeWithOptions
 }
 
+declare module 'date-fns/esm/fp/formatRFC2822/index' {
+  import {formatRFC2822} from 'date-fns/esm/fp'
+  export default formatRFC2822
+}
+
+declare module 'date-fns/esm/fp/formatRFC2822WithOptions/index' {
+  import {formatRFC2822WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC2822WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRFC3339/index' {
+  import {formatRFC3339} from 'date-fns/esm/fp'
+  export default formatRFC3339
+}
+
+declare module 'date-fns/esm/fp/formatRFC3339WithOptions/index' {
+  import {formatRFC3339WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC3339WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRFC7231/index' {
+  import {formatRFC7231} from 'date-fns/esm/fp'
+  export default formatRFC7231
+}
+
+declare module 'date-fns/esm/fp/formatRFC7231WithOptions/index' {
+  import {formatRFC7231WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC7231WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatToParts/index' {
+  import {formatToParts} from 'date-fns/esm/fp'
+  export default formatToParts
+}
+
+declare module 'date-fns/esm/fp/formatToPartsWithOptions/index' {
+  import {formatToPartsWithOptions} from 'date-fns/esm/fp'
+  export default formatToPartsWithOptions
+}
+
 declare module 'date-fns/esm/fp/formatWithOptions/index' {
   import {formatWithOptions} from 'date-fns/esm/fp'
   export default formatWithOptions
 }
 
+declare module 'date-fns/esm/fp/fromZonedTime/index' {
+  import {fromZonedTime} from 'date-fns/esm/fp'
+  export default fromZonedTime
+}
+
+declare module 'date-fns/esm/fp/fromZonedTimeWithOptions/index' {
+  import {fromZonedTimeWithOptions} from 'date-fns/esm/fp'
+  export default fromZonedTimeWithOptions
+}
+
 declare module 'date-fns/esm/fp/getDate/index' {
   import {getDate} from 'date-fns/esm/fp'
   export default getDate
@@ -13636,6 +19481,26 @@ declare module 'date-fns/esm/fp/getOverlappingDaysInIntervalsWithOptions/index'
   export default getOverlappingDaysInIntervalsWithOptions
 }
 
+declare module 'date-fns/esm/fp/getOverlappingInterval/index' {
+  import {getOverlappingInterval} from 'date-fns/esm/fp'
+  export default getOverlappingInterval
+}
+
+declare module 'date-fns/esm/fp/getOverlappingIntervalWithOptions/index' {
+  import {getOverlappingIntervalWithOptions} from 'date-fns/esm/fp'
+  export default getOverlappingIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/getOverlappingTimeInIntervals/index' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/esm/fp'
+  export default getOverlappingTimeInIntervals
+}
+
+declare module 'date-fns/esm/fp/getOverlappingTimeInIntervalsWithOptions/index' {
+  import {getOverlappingTimeInIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default getOverlappingTimeInIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/getQuarter/index' {
   import {getQuarter} from 'date-fns/esm/fp'
   export default getQuarter
@@ -13696,6 +19561,36 @@ declare module 'date-fns/esm/fp/getYearWithOptions/index' {
   export default getYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/intersectIntervals/index' {
+  import {intersectIntervals} from 'date-fns/esm/fp'
+  export default intersectIntervals
+}
+
+declare module 'date-fns/esm/fp/intersectIntervalsWithOptions/index' {
+  import {intersectIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default intersectIntervalsWithOptions
+}
+
+declare module 'date-fns/esm/fp/intervalToDuration/index' {
+  import {intervalToDuration} from 'date-fns/esm/fp'
+  export default intervalToDuration
+}
+
+declare module 'date-fns/esm/fp/intervalToDurationWithOptions/index' {
+  import {intervalToDurationWithOptions} from 'date-fns/esm/fp'
+  export default intervalToDurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/invertIntervals/index' {
+  import {invertIntervals} from 'date-fns/esm/fp'
+  export default invertIntervals
+}
+
+declare module 'date-fns/esm/fp/invertIntervalsWithOptions/index' {
+  import {invertIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default invertIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/isAfter/index' {
   import {isAfter} from 'date-fns/esm/fp'
   export default isAfter
@@ -13716,6 +19611,16 @@ declare module 'date-fns/esm/fp/isBeforeWithOptions/index' {
   export default isBeforeWithOptions
 }
 
+declare module 'date-fns/esm/fp/isBusinessDay/index' {
+  import {isBusinessDay} from 'date-fns/esm/fp'
+  export default isBusinessDay
+}
+
+declare module 'date-fns/esm/fp/isBusinessDayWithOptions/index' {
+  import {isBusinessDayWithOptions} from 'date-fns/esm/fp'
+  export default isBusinessDayWithOptions
+}
+
 declare module 'date-fns/esm/fp/isEqual/index' {
   import {isEqual} from 'date-fns/esm/fp'
   export default isEqual
@@ -13746,6 +19651,16 @@ declare module 'date-fns/esm/fp/isFridayWithOptions/index' {
   export default isFridayWithOptions
 }
 
+declare module 'date-fns/esm/fp/isHoliday/index' {
+  import {isHoliday} from 'date-fns/esm/fp'
+  export default isHoliday
+}
+
+declare module 'date-fns/esm/fp/isHolidayWithOptions/index' {
+  import {isHolidayWithOptions} from 'date-fns/esm/fp'
+  export default isHolidayWithOptions
+}
+
 declare module 'date-fns/esm/fp/isLastDayOfMonth/index' {
   import {isLastDayOfMonth} from 'date-fns/esm/fp'
   export default isLastDayOfMonth
@@ -14026,6 +19941,16 @@ declare module 'date-fns/esm/fp/maxWithOptions/index' {
   export default maxWithOptions
 }
 
+declare module 'date-fns/esm/fp/mergeIntervals/index' {
+  import {mergeIntervals} from 'date-fns/esm/fp'
+  export default mergeIntervals
+}
+
+declare module 'date-fns/esm/fp/mergeIntervalsWithOptions/index' {
+  import {mergeIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default mergeIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/min/index' {
   import {min} from 'date-fns/esm/fp'
   export default min
@@ -14036,16 +19961,86 @@ declare module 'date-fns/esm/fp/minWithOptions/index' {
   export default minWithOptions
 }
 
-declare module 'date-fns/esm/fp/parse/index' {
+declare module 'date-fns/esm/fp/nextCronOccurrence/index' {
+  import {nextCronOccurrence} from 'date-fns/esm/fp'
+  export default nextCronOccurrence
+}
+
+declare module 'date-fns/esm/fp/nextCronOccurrenceWithOptions/index' {
+  import {nextCronOccurrenceWithOptions} from 'date-fns/esm/fp'
+  export default nextCronOccurrenceWithOptions
+}
+
+declare module 'date-fns/esm/fp/normalizeDuration/index' {
+  import {normalizeDuration} from 'date-fns/esm/fp'
+  export default normalizeDuration
+}
+
+declare module 'date-fns/esm/fp/normalizeDurationWithOptions/index' {
+  import {normalizeDurationWithOptions} from 'date-fns/esm/fp'
+  export default normalizeDurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/parse/index' {
   import {parse} from 'date-fns/esm/fp'
   export default parse
 }
 
+declare module 'date-fns/esm/fp/parseCron/index' {
+  import {parseCron} from 'date-fns/esm/fp'
+  export default parseCron
+}
+
+declare module 'date-fns/esm/fp/parseCronWithOptions/index' {
+  import {parseCronWithOptions} from 'date-fns/esm/fp'
+  export default parseCronWithOptions
+}
+
+declare module 'date-fns/esm/fp/parseICalDateTime/index' {
+  import {parseICalDateTime} from 'date-fns/esm/fp'
+  export default parseICalDateTime
+}
+
+declare module 'date-fns/esm/fp/parseICalDateTimeWithOptions/index' {
+  import {parseICalDateTimeWithOptions} from 'date-fns/esm/fp'
+  export default parseICalDateTimeWithOptions
+}
+
+declare module 'date-fns/esm/fp/parseISODuration/index' {
+  import {parseISODuration} from 'date-fns/esm/fp'
+  export default parseISODuration
+}
+
+declare module 'date-fns/esm/fp/parseISODurationWithOptions/index' {
+  import {parseISODurationWithOptions} from 'date-fns/esm/fp'
+  export default parseISODurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/parseRRule/index' {
+  import {parseRRule} from 'date-fns/esm/fp'
+  export default parseRRule
+}
+
+declare module 'date-fns/esm/fp/parseRRuleWithOptions/index' {
+  import {parseRRuleWithOptions} from 'date-fns/esm/fp'
+  export default parseRRuleWithOptions
+}
+
 declare module 'date-fns/esm/fp/parseWithOptions/index' {
   import {parseWithOptions} from 'date-fns/esm/fp'
   export default parseWithOptions
 }
 
+declare module 'date-fns/esm/fp/prevCronOccurrence/index' {
+  import {prevCronOccurrence} from 'date-fns/esm/fp'
+  export default prevCronOccurrence
+}
+
+declare module 'date-fns/esm/fp/prevCronOccurrenceWithOptions/index' {
+  import {prevCronOccurrenceWithOptions} from 'date-fns/esm/fp'
+  export default prevCronOccurrenceWithOptions
+}
+
 declare module 'date-fns/esm/fp/setDate/index' {
   import {setDate} from 'date-fns/esm/fp'
   export default setDate
@@ -14176,6 +20171,16 @@ declare module 'date-fns/esm/fp/setYearWithOptions/index' {
   export default setYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/splitInterval/index' {
+  import {splitInterval} from 'date-fns/esm/fp'
+  export default splitInterval
+}
+
+declare module 'date-fns/esm/fp/splitIntervalWithOptions/index' {
+  import {splitIntervalWithOptions} from 'date-fns/esm/fp'
+  export default splitIntervalWithOptions
+}
+
 declare module 'date-fns/esm/fp/startOfDay/index' {
   import {startOfDay} from 'date-fns/esm/fp'
   export default startOfDay
@@ -14276,6 +20281,21 @@ declare module 'date-fns/esm/fp/startOfYearWithOptions/index' {
   export default startOfYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/sub/index' {
+  import {sub} from 'date-fns/esm/fp'
+  export default sub
+}
+
+declare module 'date-fns/esm/fp/subBusinessDays/index' {
+  import {subBusinessDays} from 'date-fns/esm/fp'
+  export default subBusinessDays
+}
+
+declare module 'date-fns/esm/fp/subBusinessDaysWithOptions/index' {
+  import {subBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default subBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/subDays/index' {
   import {subDays} from 'date-fns/esm/fp'
   export default subDays
@@ -14356,6 +20376,16 @@ declare module 'date-fns/esm/fp/subSecondsWithOptions/index' {
   export default subSecondsWithOptions
 }
 
+declare module 'date-fns/esm/fp/subtractIntervals/index' {
+  import {subtractIntervals} from 'date-fns/esm/fp'
+  export default subtractIntervals
+}
+
+declare module 'date-fns/esm/fp/subtractIntervalsWithOptions/index' {
+  import {subtractIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default subtractIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/subWeeks/index' {
   import {subWeeks} from 'date-fns/esm/fp'
   export default subWeeks
@@ -14366,6 +20396,11 @@ declare module 'date-fns/esm/fp/subWeeksWithOptions/index' {
   export default subWeeksWithOptions
 }
 
+declare module 'date-fns/esm/fp/subWithOptions/index' {
+  import {subWithOptions} from 'date-fns/esm/fp'
+  export default subWithOptions
+}
+
 declare module 'date-fns/esm/fp/subYears/index' {
   import {subYears} from 'date-fns/esm/fp'
   export default subYears
@@ -14386,6 +20421,31 @@ declare module 'date-fns/esm/fp/toDateWithOptions/index' {
   export default toDateWithOptions
 }
 
+declare module 'date-fns/esm/fp/toZonedTime/index' {
+  import {toZonedTime} from 'date-fns/esm/fp'
+  export default toZonedTime
+}
+
+declare module 'date-fns/esm/fp/toZonedTimeWithOptions/index' {
+  import {toZonedTimeWithOptions} from 'date-fns/esm/fp'
+  export default toZonedTimeWithOptions
+}
+
+declare module 'date-fns/esm/fp/add/index.js' {
+  import {add} from 'date-fns/esm/fp'
+  export default add
+}
+
+declare module 'date-fns/esm/fp/addBusinessDays/index.js' {
+  import {addBusinessDays} from 'date-fns/esm/fp'
+  export default addBusinessDays
+}
+
+declare module 'date-fns/esm/fp/addBusinessDaysWithOptions/index.js' {
+  import {addBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default addBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/addDays/index.js' {
   import {addDays} from 'date-fns/esm/fp'
   export default addDays
@@ -14396,6 +20456,16 @@ declare module 'date-fns/esm/fp/addDaysWithOptions/index.js' {
   export default addDaysWithOptions
 }
 
+declare module 'date-fns/esm/fp/addDurations/index.js' {
+  import {addDurations} from 'date-fns/esm/fp'
+  export default addDurations
+}
+
+declare module 'date-fns/esm/fp/addDurationsWithOptions/index.js' {
+  import {addDurationsWithOptions} from 'date-fns/esm/fp'
+  export default addDurationsWithOptions
+}
+
 declare module 'date-fns/esm/fp/addHours/index.js' {
   import {addHours} from 'date-fns/esm/fp'
   export default addHours
@@ -14476,6 +20546,11 @@ declare module 'date-fns/esm/fp/addWeeksWithOptions/index.js' {
   export default addWeeksWithOptions
 }
 
+declare module 'date-fns/esm/fp/addWithOptions/index.js' {
+  import {addWithOptions} from 'date-fns/esm/fp'
+  export default addWithOptions
+}
+
 declare module 'date-fns/esm/fp/addYears/index.js' {
   import {addYears} from 'date-fns/esm/fp'
   export default addYears
@@ -14496,6 +20571,26 @@ declare module 'date-fns/esm/fp/areIntervalsOverlappingWithOptions/index.js' {
   export default areIntervalsOverlappingWithOptions
 }
 
+declare module 'date-fns/esm/fp/buildHolidayCalendar/index.js' {
+  import {buildHolidayCalendar} from 'date-fns/esm/fp'
+  export default buildHolidayCalendar
+}
+
+declare module 'date-fns/esm/fp/buildHolidayCalendarWithOptions/index.js' {
+  import {buildHolidayCalendarWithOptions} from 'date-fns/esm/fp'
+  export default buildHolidayCalendarWithOptions
+}
+
+declare module 'date-fns/esm/fp/buildIntervalIndex/index.js' {
+  import {buildIntervalIndex} from 'date-fns/esm/fp'
+  export default buildIntervalIndex
+}
+
+declare module 'date-fns/esm/fp/buildIntervalIndexWithOptions/index.js' {
+  import {buildIntervalIndexWithOptions} from 'date-fns/esm/fp'
+  export default buildIntervalIndexWithOptions
+}
+
 declare module 'date-fns/esm/fp/closestIndexTo/index.js' {
   import {closestIndexTo} from 'date-fns/esm/fp'
   export default closestIndexTo
@@ -14536,6 +20631,46 @@ declare module 'date-fns/esm/fp/compareDescWithOptions/index.js' {
   export default compareDescWithOptions
 }
 
+declare module 'date-fns/esm/fp/compareDurations/index.js' {
+  import {compareDurations} from 'date-fns/esm/fp'
+  export default compareDurations
+}
+
+declare module 'date-fns/esm/fp/compareDurationsWithOptions/index.js' {
+  import {compareDurationsWithOptions} from 'date-fns/esm/fp'
+  export default compareDurationsWithOptions
+}
+
+declare module 'date-fns/esm/fp/compileFormat/index.js' {
+  import {compileFormat} from 'date-fns/esm/fp'
+  export default compileFormat
+}
+
+declare module 'date-fns/esm/fp/compileFormatWithOptions/index.js' {
+  import {compileFormatWithOptions} from 'date-fns/esm/fp'
+  export default compileFormatWithOptions
+}
+
+declare module 'date-fns/esm/fp/compileParse/index.js' {
+  import {compileParse} from 'date-fns/esm/fp'
+  export default compileParse
+}
+
+declare module 'date-fns/esm/fp/compileParseWithOptions/index.js' {
+  import {compileParseWithOptions} from 'date-fns/esm/fp'
+  export default compileParseWithOptions
+}
+
+declare module 'date-fns/esm/fp/differenceInBusinessDays/index.js' {
+  import {differenceInBusinessDays} from 'date-fns/esm/fp'
+  export default differenceInBusinessDays
+}
+
+declare module 'date-fns/esm/fp/differenceInBusinessDaysWithOptions/index.js' {
+  import {differenceInBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default differenceInBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/differenceInCalendarDays/index.js' {
   import {differenceInCalendarDays} from 'date-fns/esm/fp'
   export default differenceInCalendarDays
@@ -14706,16 +20841,196 @@ declare module 'date-fns/esm/fp/differenceInYearsWithOptions/index.js' {
   export default differenceInYearsWithOptions
 }
 
+declare module 'date-fns/esm/fp/durationToMilliseconds/index.js' {
+  import {durationToMilliseconds} from 'date-fns/esm/fp'
+  export default durationToMilliseconds
+}
+
+declare module 'date-fns/esm/fp/durationToMillisecondsWithOptions/index.js' {
+  import {durationToMillisecondsWithOptions} from 'date-fns/esm/fp'
+  export default durationToMillisecondsWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachCronOccurrenceIterator/index.js' {
+  import {eachCronOccurrenceIterator} from 'date-fns/esm/fp'
+  export default eachCronOccurrenceIterator
+}
+
+declare module 'date-fns/esm/fp/eachCronOccurrenceIteratorWithOptions/index.js' {
+  import {eachCronOccurrenceIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachCronOccurrenceIteratorWithOptions
+}
+
 declare module 'date-fns/esm/fp/eachDayOfInterval/index.js' {
   import {eachDayOfInterval} from 'date-fns/esm/fp'
   export default eachDayOfInterval
 }
 
+declare module 'date-fns/esm/fp/eachDayOfIntervalIterator/index.js' {
+  import {eachDayOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachDayOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachDayOfIntervalIteratorWithOptions/index.js' {
+  import {eachDayOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachDayOfIntervalIteratorWithOptions
+}
+
 declare module 'date-fns/esm/fp/eachDayOfIntervalWithOptions/index.js' {
   import {eachDayOfIntervalWithOptions} from 'date-fns/esm/fp'
   export default eachDayOfIntervalWithOptions
 }
 
+declare module 'date-fns/esm/fp/eachHourOfInterval/index.js' {
+  import {eachHourOfInterval} from 'date-fns/esm/fp'
+  export default eachHourOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalIterator/index.js' {
+  import {eachHourOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalIteratorWithOptions/index.js' {
+  import {eachHourOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachHourOfIntervalWithOptions/index.js' {
+  import {eachHourOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachHourOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfInterval/index.js' {
+  import {eachMinuteOfInterval} from 'date-fns/esm/fp'
+  export default eachMinuteOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalIterator/index.js' {
+  import {eachMinuteOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalIteratorWithOptions/index.js' {
+  import {eachMinuteOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMinuteOfIntervalWithOptions/index.js' {
+  import {eachMinuteOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachMinuteOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfInterval/index.js' {
+  import {eachMonthOfInterval} from 'date-fns/esm/fp'
+  export default eachMonthOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalIterator/index.js' {
+  import {eachMonthOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalIteratorWithOptions/index.js' {
+  import {eachMonthOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachMonthOfIntervalWithOptions/index.js' {
+  import {eachMonthOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachMonthOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOccurrenceIterator/index.js' {
+  import {eachOccurrenceIterator} from 'date-fns/esm/fp'
+  export default eachOccurrenceIterator
+}
+
+declare module 'date-fns/esm/fp/eachOccurrenceIteratorWithOptions/index.js' {
+  import {eachOccurrenceIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachOccurrenceIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOfInterval/index.js' {
+  import {eachOfInterval} from 'date-fns/esm/fp'
+  export default eachOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalIterator/index.js' {
+  import {eachOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalIteratorWithOptions/index.js' {
+  import {eachOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachOfIntervalWithOptions/index.js' {
+  import {eachOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfInterval/index.js' {
+  import {eachQuarterOfInterval} from 'date-fns/esm/fp'
+  export default eachQuarterOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalIterator/index.js' {
+  import {eachQuarterOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalIteratorWithOptions/index.js' {
+  import {eachQuarterOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachQuarterOfIntervalWithOptions/index.js' {
+  import {eachQuarterOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachQuarterOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfInterval/index.js' {
+  import {eachWeekOfInterval} from 'date-fns/esm/fp'
+  export default eachWeekOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalIterator/index.js' {
+  import {eachWeekOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalIteratorWithOptions/index.js' {
+  import {eachWeekOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachWeekOfIntervalWithOptions/index.js' {
+  import {eachWeekOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachWeekOfIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachYearOfInterval/index.js' {
+  import {eachYearOfInterval} from 'date-fns/esm/fp'
+  export default eachYearOfInterval
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalIterator/index.js' {
+  import {eachYearOfIntervalIterator} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalIterator
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalIteratorWithOptions/index.js' {
+  import {eachYearOfIntervalIteratorWithOptions} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalIteratorWithOptions
+}
+
+declare module 'date-fns/esm/fp/eachYearOfIntervalWithOptions/index.js' {
+  import {eachYearOfIntervalWithOptions} from 'date-fns/esm/fp'
+  export default eachYearOfIntervalWithOptions
+}
+
 declare module 'date-fns/esm/fp/endOfDay/index.js' {
   import {endOfDay} from 'date-fns/esm/fp'
   export default endOfDay
@@ -14816,6 +21131,16 @@ declare module 'date-fns/esm/fp/endOfYearWithOptions/index.js' {
   export default endOfYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/findFreeSlots/index.js' {
+  import {findFreeSlots} from 'date-fns/esm/fp'
+  export default findFreeSlots
+}
+
+declare module 'date-fns/esm/fp/findFreeSlotsWithOptions/index.js' {
+  import {findFreeSlotsWithOptions} from 'date-fns/esm/fp'
+  export default findFreeSlotsWithOptions
+}
+
 declare module 'date-fns/esm/fp/format/index.js' {
   import {format} from 'date-fns/esm/fp'
   export default format
@@ -14841,6 +21166,46 @@ declare module 'date-fns/esm/fp/formatDistanceWithOptions/index.js' {
   export default formatDistanceWithOptions
 }
 
+declare module 'date-fns/esm/fp/formatDuration/index.js' {
+  import {formatDuration} from 'date-fns/esm/fp'
+  export default formatDuration
+}
+
+declare module 'date-fns/esm/fp/formatDurationWithOptions/index.js' {
+  import {formatDurationWithOptions} from 'date-fns/esm/fp'
+  export default formatDurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatISO/index.js' {
+  import {formatISO} from 'date-fns/esm/fp'
+  export default formatISO
+}
+
+declare module 'date-fns/esm/fp/formatISODuration/index.js' {
+  import {formatISODuration} from 'date-fns/esm/fp'
+  export default formatISODuration
+}
+
+declare module 'date-fns/esm/fp/formatISODurationWithOptions/index.js' {
+  import {formatISODurationWithOptions} from 'date-fns/esm/fp'
+  export default formatISODurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatISOWithOptions/index.js' {
+  import {formatISOWithOptions} from 'date-fns/esm/fp'
+  export default formatISOWithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRecurrence/index.js' {
+  import {formatRecurrence} from 'date-fns/esm/fp'
+  export default formatRecurrence
+}
+
+declare module 'date-fns/esm/fp/formatRecurrenceWithOptions/index.js' {
+  import {formatRecurrenceWithOptions} from 'date-fns/esm/fp'
+  export default formatRecurrenceWithOptions
+}
+
 declare module 'date-fns/esm/fp/formatRelative/index.js' {
   import {formatRelative} from 'date-fns/esm/fp'
   export default formatRelative
@@ -14851,11 +21216,61 @@ declare module 'date-fns/esm/fp/formatRelativeWithOptions/index.js' {
   export default formatRelativeWithOptions
 }
 
+declare module 'date-fns/esm/fp/formatRFC2822/index.js' {
+  import {formatRFC2822} from 'date-fns/esm/fp'
+  export default formatRFC2822
+}
+
+declare module 'date-fns/esm/fp/formatRFC2822WithOptions/index.js' {
+  import {formatRFC2822WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC2822WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRFC3339/index.js' {
+  import {formatRFC3339} from 'date-fns/esm/fp'
+  export default formatRFC3339
+}
+
+declare module 'date-fns/esm/fp/formatRFC3339WithOptions/index.js' {
+  import {formatRFC3339WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC3339WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatRFC7231/index.js' {
+  import {formatRFC7231} from 'date-fns/esm/fp'
+  export default formatRFC7231
+}
+
+declare module 'date-fns/esm/fp/formatRFC7231WithOptions/index.js' {
+  import {formatRFC7231WithOptions} from 'date-fns/esm/fp'
+  export default formatRFC7231WithOptions
+}
+
+declare module 'date-fns/esm/fp/formatToParts/index.js' {
+  import {formatToParts} from 'date-fns/esm/fp'
+  export default formatToParts
+}
+
+declare module 'date-fns/esm/fp/formatToPartsWithOptions/index.js' {
+  import {formatToPartsWithOptions} from 'date-fns/esm/fp'
+  export default formatToPartsWithOptions
+}
+
 declare module 'date-fns/esm/fp/formatWithOptions/index.js' {
   import {formatWithOptions} from 'date-fns/esm/fp'
   export default formatWithOptions
 }
 
+declare module 'date-fns/esm/fp/fromZonedTime/index.js' {
+  import {fromZonedTime} from 'date-fns/esm/fp'
+  export default fromZonedTime
+}
+
+declare module 'date-fns/esm/fp/fromZonedTimeWithOptions/index.js' {
+  import {fromZonedTimeWithOptions} from 'date-fns/esm/fp'
+  export default fromZonedTimeWithOptions
+}
+
 declare module 'date-fns/esm/fp/getDate/index.js' {
   import {getDate} from 'date-fns/esm/fp'
   export default getDate
@@ -14996,6 +21411,26 @@ declare module 'date-fns/esm/fp/getOverlappingDaysInIntervalsWithOptions/index.j
   export default getOverlappingDaysInIntervalsWithOptions
 }
 
+declare module 'date-fns/esm/fp/getOverlappingInterval/index.js' {
+  import {getOverlappingInterval} from 'date-fns/esm/fp'
+  export default getOverlappingInterval
+}
+
+declare module 'date-fns/esm/fp/getOverlappingIntervalWithOptions/index.js' {
+  import {getOverlappingIntervalWithOptions} from 'date-fns/esm/fp'
+  export default getOverlappingIntervalWithOptions
+}
+
+declare module 'date-fns/esm/fp/getOverlappingTimeInIntervals/index.js' {
+  import {getOverlappingTimeInIntervals} from 'date-fns/esm/fp'
+  export default getOverlappingTimeInIntervals
+}
+
+declare module 'date-fns/esm/fp/getOverlappingTimeInIntervalsWithOptions/index.js' {
+  import {getOverlappingTimeInIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default getOverlappingTimeInIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/getQuarter/index.js' {
   import {getQuarter} from 'date-fns/esm/fp'
   export default getQuarter
@@ -15056,6 +21491,36 @@ declare module 'date-fns/esm/fp/getYearWithOptions/index.js' {
   export default getYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/intersectIntervals/index.js' {
+  import {intersectIntervals} from 'date-fns/esm/fp'
+  export default intersectIntervals
+}
+
+declare module 'date-fns/esm/fp/intersectIntervalsWithOptions/index.js' {
+  import {intersectIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default intersectIntervalsWithOptions
+}
+
+declare module 'date-fns/esm/fp/intervalToDuration/index.js' {
+  import {intervalToDuration} from 'date-fns/esm/fp'
+  export default intervalToDuration
+}
+
+declare module 'date-fns/esm/fp/intervalToDurationWithOptions/index.js' {
+  import {intervalToDurationWithOptions} from 'date-fns/esm/fp'
+  export default intervalToDurationWithOptions
+}
+
+declare module 'date-fns/esm/fp/invertIntervals/index.js' {
+  import {invertIntervals} from 'date-fns/esm/fp'
+  export default invertIntervals
+}
+
+declare module 'date-fns/esm/fp/invertIntervalsWithOptions/index.js' {
+  import {invertIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default invertIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/isAfter/index.js' {
   import {isAfter} from 'date-fns/esm/fp'
   export default isAfter
@@ -15076,6 +21541,16 @@ declare module 'date-fns/esm/fp/isBeforeWithOptions/index.js' {
   export default isBeforeWithOptions
 }
 
+declare module 'date-fns/esm/fp/isBusinessDay/index.js' {
+  import {isBusinessDay} from 'date-fns/esm/fp'
+  export default isBusinessDay
+}
+
+declare module 'date-fns/esm/fp/isBusinessDayWithOptions/index.js' {
+  import {isBusinessDayWithOptions} from 'date-fns/esm/fp'
+  export default isBusinessDayWithOptions
+}
+
 declare module 'date-fns/esm/fp/isEqual/index.js' {
   import {isEqual} from 'date-fns/esm/fp'
   export default isEqual
@@ -15106,6 +21581,16 @@ declare module 'date-fns/esm/fp/isFridayWithOptions/index.js' {
   export default isFridayWithOptions
 }
 
+declare module 'date-fns/esm/fp/isHoliday/index.js' {
+  import {isHoliday} from 'date-fns/esm/fp'
+  export default isHoliday
+}
+
+declare module 'date-fns/esm/fp/isHolidayWithOptions/index.js' {
+  import {isHolidayWithOptions} from 'date-fns/esm/fp'
+  export default isHolidayWithOptions
+}
+
 declare module 'date-fns/esm/fp/isLastDayOfMonth/index.js' {
   import {isLastDayOfMonth} from 'date-fns/esm/fp'
   export default isLastDayOfMonth
@@ -15386,6 +21871,16 @@ declare module 'date-fns/esm/fp/maxWithOptions/index.js' {
   export default maxWithOptions
 }
 
+declare module 'date-fns/esm/fp/mergeIntervals/index.js' {
+  import {mergeIntervals} from 'date-fns/esm/fp'
+  export default mergeIntervals
+}
+
+declare module 'date-fns/esm/fp/mergeIntervalsWithOptions/index.js' {
+  import {mergeIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default mergeIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/min/index.js' {
   import {min} from 'date-fns/esm/fp'
   export default min
@@ -15396,42 +21891,112 @@ declare module 'date-fns/esm/fp/minWithOptions/index.js' {
   export default minWithOptions
 }
 
+declare module 'date-fns/esm/fp/nextCronOccurrence/index.js' {
+  import {nextCronOccurrence} from 'date-fns/esm/fp'
+  export default nextCronOccurrence
+}
+
+declare module 'date-fns/esm/fp/nextCronOccurrenceWithOptions/index.js' {
+  import {nextCronOccurrenceWithOptions} from 'date-fns/esm/fp'
+  export default nextCronOccurrenceWithOptions
+}
+
+declare module 'date-fns/esm/fp/normalizeDuration/index.js' {
+  import {normalizeDuration} from 'date-fns/esm/fp'
+  export default normalizeDuration
+}
+
+declare module 'date-fns/esm/fp/normalizeDurationWithOptions/index.js' {
+  import {normalizeDurationWithOptions} from 'date-fns/esm/fp'
+  export default normalizeDurationWithOptions
+}
+
 declare module 'date-fns/esm/fp/parse/index.js' {
   import {parse} from 'date-fns/esm/fp'
   export default parse
 }
 
-declare module 'date-fns/esm/fp/parseWithOptions/index.js' {
-  import {parseWithOptions} from 'date-fns/esm/fp'
-  export default parseWithOptions
+declare module 'date-fns/esm/fp/parseCron/index.js' {
+  import {parseCron} from 'date-fns/esm/fp'
+  export default parseCron
 }
 
-declare module 'date-fns/esm/fp/setDate/index.js' {
-  import {setDate} from 'date-fns/esm/fp'
-  export default setDate
+declare module 'date-fns/esm/fp/parseCronWithOptions/index.js' {
+  import {parseCronWithOptions} from 'date-fns/esm/fp'
+  export default parseCronWithOptions
 }
 
-declare module 'date-fns/esm/fp/setDateWithOptions/index.js' {
-  import {setDateWithOptions} from 'date-fns/esm/fp'
-  export default setDateWithOptions
+declare module 'date-fns/esm/fp/parseICalDateTime/index.js' {
+  import {parseICalDateTime} from 'date-fns/esm/fp'
+  export default parseICalDateTime
 }
 
-declare module 'date-fns/esm/fp/setDay/index.js' {
-  import {setDay} from 'date-fns/esm/fp'
-  export default setDay
+declare module 'date-fns/esm/fp/parseICalDateTimeWithOptions/index.js' {
+  import {parseICalDateTimeWithOptions} from 'date-fns/esm/fp'
+  export default parseICalDateTimeWithOptions
 }
 
-declare module 'date-fns/esm/fp/setDayOfYear/index.js' {
-  import {setDayOfYear} from 'date-fns/esm/fp'
-  export default setDayOfYear
+declare module 'date-fns/esm/fp/parseISODuration/index.js' {
+  import {parseISODuration} from 'date-fns/esm/fp'
+  export default parseISODuration
 }
 
-declare module 'date-fns/esm/fp/setDayOfYearWithOptions/index.js' {
-  import {setDayOfYearWithOptions} from 'date-fns/esm/fp'
-  export default setDayOfYearWithOptions
+declare module 'date-fns/esm/fp/parseISODurationWithOptions/index.js' {
+  import {parseISODurationWithOptions} from 'date-fns/esm/fp'
+  export default parseISODurationWithOptions
 }
 
-declare module 'date-fns/esm/fp/setDayWithOptions/index.js' {
+declare module 'date-fns/esm/fp/parseRRule/index.js' {
+  import {parseRRule} from 'date-fns/esm/fp'
+  export default parseRRule
+}
+
+declare module 'date-fns/esm/fp/parseRRuleWithOptions/index.js' {
+  import {parseRRuleWithOptions} from 'date-fns/esm/fp'
+  export default parseRRuleWithOptions
+}
+
+declare module 'date-fns/esm/fp/parseWithOptions/index.js' {
+  import {parseWithOptions} from 'date-fns/esm/fp'
+  export default parseWithOptions
+}
+
+declare module 'date-fns/esm/fp/prevCronOccurrence/index.js' {
+  import {prevCronOccurrence} from 'date-fns/esm/fp'
+  export default prevCronOccurrence
+}
+
+declare module 'date-fns/esm/fp/prevCronOccurrenceWithOptions/index.js' {
+  import {prevCronOccurrenceWithOptions} from 'date-fns/esm/fp'
+  export default prevCronOccurrenceWithOptions
+}
+
+declare module 'date-fns/esm/fp/setDate/index.js' {
+  import {setDate} from 'date-fns/esm/fp'
+  export default setDate
+}
+
+declare module 'date-fns/esm/fp/setDateWithOptions/index.js' {
+  import {setDateWithOptions} from 'date-fns/esm/fp'
+  export default setDateWithOptions
+}
+
+declare module 'date-fns/esm/fp/setDay/index.js' {
+  import {setDay} from 'date-fns/esm/fp'
+  export default setDay
+}
+
+declare module 'date-fns/esm/fp/setDayOfYear/index.js' {
+  import {setDayOfYear} from 'date-fns/esm/fp'
+  export default setDayOfYear
+}
+
+declare module 'date-fns/esm/fp/setDayOfYearWithOptions/index.js' {
+  import {setDayOfYearWithOptions} from 'date-fns/esm/fp'
+  export default setDayOfYearWithOptions
+}
+
+declare module 'date-fns/esm/fp/setDayWithOptions/index.js' {
   import {setDayWithOptions} from 'date-fns/esm/fp'
   export default setDayWithOptions
 }
@@ -15536,6 +22101,16 @@ declare module 'date-fns/esm/fp/setYearWithOptions/index.js' {
   export default setYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/splitInterval/index.js' {
+  import {splitInterval} from 'date-fns/esm/fp'
+  export default splitInterval
+}
+
+declare module 'date-fns/esm/fp/splitIntervalWithOptions/index.js' {
+  import {splitIntervalWithOptions} from 'date-fns/esm/fp'
+  export default splitIntervalWithOptions
+}
+
 declare module 'date-fns/esm/fp/startOfDay/index.js' {
   import {startOfDay} from 'date-fns/esm/fp'
   export default startOfDay
@@ -15636,6 +22211,21 @@ declare module 'date-fns/esm/fp/startOfYearWithOptions/index.js' {
   export default startOfYearWithOptions
 }
 
+declare module 'date-fns/esm/fp/sub/index.js' {
+  import {sub} from 'date-fns/esm/fp'
+  export default sub
+}
+
+declare module 'date-fns/esm/fp/subBusinessDays/index.js' {
+  import {subBusinessDays} from 'date-fns/esm/fp'
+  export default subBusinessDays
+}
+
+declare module 'date-fns/esm/fp/subBusinessDaysWithOptions/index.js' {
+  import {subBusinessDaysWithOptions} from 'date-fns/esm/fp'
+  export default subBusinessDaysWithOptions
+}
+
 declare module 'date-fns/esm/fp/subDays/index.js' {
   import {subDays} from 'date-fns/esm/fp'
   export default subDays
@@ -15716,6 +22306,16 @@ declare module 'date-fns/esm/fp/subSecondsWithOptions/index.js' {
   export default subSecondsWithOptions
 }
 
+declare module 'date-fns/esm/fp/subtractIntervals/index.js' {
+  import {subtractIntervals} from 'date-fns/esm/fp'
+  export default subtractIntervals
+}
+
+declare module 'date-fns/esm/fp/subtractIntervalsWithOptions/index.js' {
+  import {subtractIntervalsWithOptions} from 'date-fns/esm/fp'
+  export default subtractIntervalsWithOptions
+}
+
 declare module 'date-fns/esm/fp/subWeeks/index.js' {
   import {subWeeks} from 'date-fns/esm/fp'
   export default subWeeks
@@ -15726,6 +22326,11 @@ declare module 'date-fns/esm/fp/subWeeksWithOptions/index.js' {
   export default subWeeksWithOptions
 }
 
+declare module 'date-fns/esm/fp/subWithOptions/index.js' {
+  import {subWithOptions} from 'date-fns/esm/fp'
+  export default subWithOptions
+}
+
 declare module 'date-fns/esm/fp/subYears/index.js' {
   import {subYears} from 'date-fns/esm/fp'
   export default subYears
@@ -15746,6 +22351,16 @@ declare module 'date-fns/esm/fp/toDateWithOptions/index.js' {
   export default toDateWithOptions
 }
 
+declare module 'date-fns/esm/fp/toZonedTime/index.js' {
+  import {toZonedTime} from 'date-fns/esm/fp'
+  export default toZonedTime
+}
+
+declare module 'date-fns/esm/fp/toZonedTimeWithOptions/index.js' {
+  import {toZonedTimeWithOptions} from 'date-fns/esm/fp'
+  export default toZonedTimeWithOptions
+}
+
 // Regular Locales
 
 declare module 'date-fns/locale' {
@@ -17050,227 +23665,21947 @@ declare module 'date-fns/esm/locale/zh-TW/index.js' {
   export default zhTW
 }
 
-// dateFns Global Interface
+// Regular Holiday Calendars
 
-interface dateFns {
-  addDays(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/holidays' {
+  const gb: HolidayCalendar
+  namespace gb {}
 
-  addHours(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+  const us: HolidayCalendar
+  namespace us {}
+}
 
-  addISOWeekYears(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/holidays/gb' {
+  import {gb} from 'date-fns/holidays'
+  export = gb
+}
 
-  addMilliseconds(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/holidays/us' {
+  import {us} from 'date-fns/holidays'
+  export = us
+}
 
-  addMinutes(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/holidays/gb/index' {
+  import {gb} from 'date-fns/holidays'
+  export = gb
+}
 
-  addMonths(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/holidays/us/index' {
+  import {us} from 'date-fns/holidays'
+  export = us
+}
 
-  addQuarters(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/holidays/gb/index.js' {
+  import {gb} from 'date-fns/holidays'
+  export = gb
+}
 
-  addSeconds(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/holidays/us/index.js' {
+  import {us} from 'date-fns/holidays'
+  export = us
+}
 
-  addWeeks(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+// ECMAScript Module Holiday Calendars
 
-  addYears(
-    date: Date | string | number,
-    amount: number,
-    options?: Options
-  ): Date
+declare module 'date-fns/esm/holidays' {
+  const gb: HolidayCalendar
+  namespace gb {}
 
-  areIntervalsOverlapping(
-    intervalLeft: Interval,
-    intervalRight: Interval,
-    options?: Options
-  ): boolean
+  const us: HolidayCalendar
+  namespace us {}
+}
 
-  closestIndexTo(
-    dateToCompare: Date | string | number,
-    datesArray: (Date | string | number)[],
-    options?: Options
-  ): number
+declare module 'date-fns/esm/holidays/gb' {
+  import {gb} from 'date-fns/esm/holidays'
+  export default gb
+}
 
-  closestTo(
-    dateToCompare: Date | string | number,
-    datesArray: (Date | string | number)[],
-    options?: Options
-  ): Date
+declare module 'date-fns/esm/holidays/us' {
+  import {us} from 'date-fns/esm/holidays'
+  export default us
+}
 
-  compareAsc(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+declare module 'date-fns/esm/holidays/gb/index' {
+  import {gb} from 'date-fns/esm/holidays'
+  export default gb
+}
 
-  compareDesc(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+declare module 'date-fns/esm/holidays/us/index' {
+  import {us} from 'date-fns/esm/holidays'
+  export default us
+}
 
-  differenceInCalendarDays(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+declare module 'date-fns/esm/holidays/gb/index.js' {
+  import {gb} from 'date-fns/esm/holidays'
+  export default gb
+}
 
-  differenceInCalendarISOWeeks(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+declare module 'date-fns/esm/holidays/us/index.js' {
+  import {us} from 'date-fns/esm/holidays'
+  export default us
+}
 
-  differenceInCalendarISOWeekYears(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+// Regular Time Zones
 
-  differenceInCalendarMonths(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+declare module 'date-fns/timeZone' {
+  const africaAbidjan: TimeZone
+  namespace africaAbidjan {}
 
-  differenceInCalendarQuarters(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaAccra: TimeZone
+  namespace africaAccra {}
 
-  differenceInCalendarWeeks(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaAddisAbaba: TimeZone
+  namespace africaAddisAbaba {}
 
-  differenceInCalendarYears(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaAlgiers: TimeZone
+  namespace africaAlgiers {}
 
-  differenceInDays(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaAsmara: TimeZone
+  namespace africaAsmara {}
 
-  differenceInHours(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaAsmera: TimeZone
+  namespace africaAsmera {}
 
-  differenceInISOWeekYears(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaBamako: TimeZone
+  namespace africaBamako {}
 
-  differenceInMilliseconds(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaBangui: TimeZone
+  namespace africaBangui {}
 
-  differenceInMinutes(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaBanjul: TimeZone
+  namespace africaBanjul {}
 
-  differenceInMonths(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaBissau: TimeZone
+  namespace africaBissau {}
 
-  differenceInQuarters(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaBlantyre: TimeZone
+  namespace africaBlantyre {}
 
-  differenceInSeconds(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaBrazzaville: TimeZone
+  namespace africaBrazzaville {}
 
-  differenceInWeeks(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaBujumbura: TimeZone
+  namespace africaBujumbura {}
 
-  differenceInYears(
-    dateLeft: Date | string | number,
-    dateRight: Date | string | number,
-    options?: Options
-  ): number
+  const africaCairo: TimeZone
+  namespace africaCairo {}
 
-  eachDayOfInterval(
-    interval: Interval,
-    options?: Options
-  ): Date[]
+  const africaCasablanca: TimeZone
+  namespace africaCasablanca {}
 
-  endOfDay(
-    date: Date | string | number,
-    options?: Options
-  ): Date
+  const africaCeuta: TimeZone
+  namespace africaCeuta {}
 
-  endOfHour(
-    date: Date | string | number,
-    options?: Options
-  ): Date
+  const africaConakry: TimeZone
+  namespace africaConakry {}
 
-  endOfISOWeek(
-    date: Date | string | number,
-    options?: Options
-  ): Date
+  const africaDakar: TimeZone
+  namespace africaDakar {}
 
-  endOfISOWeekYear(
-    date: Date | string | number,
-    options?: Options
-  ): Date
+  const africaDarEsSalaam: TimeZone
+  namespace africaDarEsSalaam {}
 
-  endOfMinute(
+  const africaDjibouti: TimeZone
+  namespace africaDjibouti {}
+
+  const africaDouala: TimeZone
+  namespace africaDouala {}
+
+  const africaElAaiun: TimeZone
+  namespace africaElAaiun {}
+
+  const africaFreetown: TimeZone
+  namespace africaFreetown {}
+
+  const africaGaborone: TimeZone
+  namespace africaGaborone {}
+
+  const africaHarare: TimeZone
+  namespace africaHarare {}
+
+  const africaJohannesburg: TimeZone
+  namespace africaJohannesburg {}
+
+  const africaJuba: TimeZone
+  namespace africaJuba {}
+
+  const africaKampala: TimeZone
+  namespace africaKampala {}
+
+  const africaKhartoum: TimeZone
+  namespace africaKhartoum {}
+
+  const africaKigali: TimeZone
+  namespace africaKigali {}
+
+  const africaKinshasa: TimeZone
+  namespace africaKinshasa {}
+
+  const africaLagos: TimeZone
+  namespace africaLagos {}
+
+  const africaLibreville: TimeZone
+  namespace africaLibreville {}
+
+  const africaLome: TimeZone
+  namespace africaLome {}
+
+  const africaLuanda: TimeZone
+  namespace africaLuanda {}
+
+  const africaLubumbashi: TimeZone
+  namespace africaLubumbashi {}
+
+  const africaLusaka: TimeZone
+  namespace africaLusaka {}
+
+  const africaMalabo: TimeZone
+  namespace africaMalabo {}
+
+  const africaMaputo: TimeZone
+  namespace africaMaputo {}
+
+  const africaMaseru: TimeZone
+  namespace africaMaseru {}
+
+  const africaMbabane: TimeZone
+  namespace africaMbabane {}
+
+  const africaMogadishu: TimeZone
+  namespace africaMogadishu {}
+
+  const africaMonrovia: TimeZone
+  namespace africaMonrovia {}
+
+  const africaNairobi: TimeZone
+  namespace africaNairobi {}
+
+  const africaNdjamena: TimeZone
+  namespace africaNdjamena {}
+
+  const africaNiamey: TimeZone
+  namespace africaNiamey {}
+
+  const africaNouakchott: TimeZone
+  namespace africaNouakchott {}
+
+  const africaOuagadougou: TimeZone
+  namespace africaOuagadougou {}
+
+  const africaPortoNovo: TimeZone
+  namespace africaPortoNovo {}
+
+  const africaSaoTome: TimeZone
+  namespace africaSaoTome {}
+
+  const africaTimbuktu: TimeZone
+  namespace africaTimbuktu {}
+
+  const africaTripoli: TimeZone
+  namespace africaTripoli {}
+
+  const africaTunis: TimeZone
+  namespace africaTunis {}
+
+  const africaWindhoek: TimeZone
+  namespace africaWindhoek {}
+
+  const americaAdak: TimeZone
+  namespace americaAdak {}
+
+  const americaAnchorage: TimeZone
+  namespace americaAnchorage {}
+
+  const americaAnguilla: TimeZone
+  namespace americaAnguilla {}
+
+  const americaAntigua: TimeZone
+  namespace americaAntigua {}
+
+  const americaAraguaina: TimeZone
+  namespace americaAraguaina {}
+
+  const americaArgentinaBuenosAires: TimeZone
+  namespace americaArgentinaBuenosAires {}
+
+  const americaArgentinaCatamarca: TimeZone
+  namespace americaArgentinaCatamarca {}
+
+  const americaArgentinaComodRivadavia: TimeZone
+  namespace americaArgentinaComodRivadavia {}
+
+  const americaArgentinaCordoba: TimeZone
+  namespace americaArgentinaCordoba {}
+
+  const americaArgentinaJujuy: TimeZone
+  namespace americaArgentinaJujuy {}
+
+  const americaArgentinaLaRioja: TimeZone
+  namespace americaArgentinaLaRioja {}
+
+  const americaArgentinaMendoza: TimeZone
+  namespace americaArgentinaMendoza {}
+
+  const americaArgentinaRioGallegos: TimeZone
+  namespace americaArgentinaRioGallegos {}
+
+  const americaArgentinaSalta: TimeZone
+  namespace americaArgentinaSalta {}
+
+  const americaArgentinaSanJuan: TimeZone
+  namespace americaArgentinaSanJuan {}
+
+  const americaArgentinaSanLuis: TimeZone
+  namespace americaArgentinaSanLuis {}
+
+  const americaArgentinaTucuman: TimeZone
+  namespace americaArgentinaTucuman {}
+
+  const americaArgentinaUshuaia: TimeZone
+  namespace americaArgentinaUshuaia {}
+
+  const americaAruba: TimeZone
+  namespace americaAruba {}
+
+  const americaAsuncion: TimeZone
+  namespace americaAsuncion {}
+
+  const americaAtikokan: TimeZone
+  namespace americaAtikokan {}
+
+  const americaAtka: TimeZone
+  namespace americaAtka {}
+
+  const americaBahia: TimeZone
+  namespace americaBahia {}
+
+  const americaBahiaBanderas: TimeZone
+  namespace americaBahiaBanderas {}
+
+  const americaBarbados: TimeZone
+  namespace americaBarbados {}
+
+  const americaBelem: TimeZone
+  namespace americaBelem {}
+
+  const americaBelize: TimeZone
+  namespace americaBelize {}
+
+  const americaBlancSablon: TimeZone
+  namespace americaBlancSablon {}
+
+  const americaBoaVista: TimeZone
+  namespace americaBoaVista {}
+
+  const americaBogota: TimeZone
+  namespace americaBogota {}
+
+  const americaBoise: TimeZone
+  namespace americaBoise {}
+
+  const americaBuenosAires: TimeZone
+  namespace americaBuenosAires {}
+
+  const americaCambridgeBay: TimeZone
+  namespace americaCambridgeBay {}
+
+  const americaCampoGrande: TimeZone
+  namespace americaCampoGrande {}
+
+  const americaCancun: TimeZone
+  namespace americaCancun {}
+
+  const americaCaracas: TimeZone
+  namespace americaCaracas {}
+
+  const americaCatamarca: TimeZone
+  namespace americaCatamarca {}
+
+  const americaCayenne: TimeZone
+  namespace americaCayenne {}
+
+  const americaCayman: TimeZone
+  namespace americaCayman {}
+
+  const americaChicago: TimeZone
+  namespace americaChicago {}
+
+  const americaChihuahua: TimeZone
+  namespace americaChihuahua {}
+
+  const americaCiudadJuarez: TimeZone
+  namespace americaCiudadJuarez {}
+
+  const americaCoralHarbour: TimeZone
+  namespace americaCoralHarbour {}
+
+  const americaCordoba: TimeZone
+  namespace americaCordoba {}
+
+  const americaCostaRica: TimeZone
+  namespace americaCostaRica {}
+
+  const americaCoyhaique: TimeZone
+  namespace americaCoyhaique {}
+
+  const americaCreston: TimeZone
+  namespace americaCreston {}
+
+  const americaCuiaba: TimeZone
+  namespace americaCuiaba {}
+
+  const americaCuracao: TimeZone
+  namespace americaCuracao {}
+
+  const americaDanmarkshavn: TimeZone
+  namespace americaDanmarkshavn {}
+
+  const americaDawson: TimeZone
+  namespace americaDawson {}
+
+  const americaDawsonCreek: TimeZone
+  namespace americaDawsonCreek {}
+
+  const americaDenver: TimeZone
+  namespace americaDenver {}
+
+  const americaDetroit: TimeZone
+  namespace americaDetroit {}
+
+  const americaDominica: TimeZone
+  namespace americaDominica {}
+
+  const americaEdmonton: TimeZone
+  namespace americaEdmonton {}
+
+  const americaEirunepe: TimeZone
+  namespace americaEirunepe {}
+
+  const americaElSalvador: TimeZone
+  namespace americaElSalvador {}
+
+  const americaEnsenada: TimeZone
+  namespace americaEnsenada {}
+
+  const americaFortNelson: TimeZone
+  namespace americaFortNelson {}
+
+  const americaFortWayne: TimeZone
+  namespace americaFortWayne {}
+
+  const americaFortaleza: TimeZone
+  namespace americaFortaleza {}
+
+  const americaGlaceBay: TimeZone
+  namespace americaGlaceBay {}
+
+  const americaGodthab: TimeZone
+  namespace americaGodthab {}
+
+  const americaGooseBay: TimeZone
+  namespace americaGooseBay {}
+
+  const americaGrandTurk: TimeZone
+  namespace americaGrandTurk {}
+
+  const americaGrenada: TimeZone
+  namespace americaGrenada {}
+
+  const americaGuadeloupe: TimeZone
+  namespace americaGuadeloupe {}
+
+  const americaGuatemala: TimeZone
+  namespace americaGuatemala {}
+
+  const americaGuayaquil: TimeZone
+  namespace americaGuayaquil {}
+
+  const americaGuyana: TimeZone
+  namespace americaGuyana {}
+
+  const americaHalifax: TimeZone
+  namespace americaHalifax {}
+
+  const americaHavana: TimeZone
+  namespace americaHavana {}
+
+  const americaHermosillo: TimeZone
+  namespace americaHermosillo {}
+
+  const americaIndianaIndianapolis: TimeZone
+  namespace americaIndianaIndianapolis {}
+
+  const americaIndianaKnox: TimeZone
+  namespace americaIndianaKnox {}
+
+  const americaIndianaMarengo: TimeZone
+  namespace americaIndianaMarengo {}
+
+  const americaIndianaPetersburg: TimeZone
+  namespace americaIndianaPetersburg {}
+
+  const americaIndianaTellCity: TimeZone
+  namespace americaIndianaTellCity {}
+
+  const americaIndianaVevay: TimeZone
+  namespace americaIndianaVevay {}
+
+  const americaIndianaVincennes: TimeZone
+  namespace americaIndianaVincennes {}
+
+  const americaIndianaWinamac: TimeZone
+  namespace americaIndianaWinamac {}
+
+  const americaIndianapolis: TimeZone
+  namespace americaIndianapolis {}
+
+  const americaInuvik: TimeZone
+  namespace americaInuvik {}
+
+  const americaIqaluit: TimeZone
+  namespace americaIqaluit {}
+
+  const americaJamaica: TimeZone
+  namespace americaJamaica {}
+
+  const americaJujuy: TimeZone
+  namespace americaJujuy {}
+
+  const americaJuneau: TimeZone
+  namespace americaJuneau {}
+
+  const americaKentuckyLouisville: TimeZone
+  namespace americaKentuckyLouisville {}
+
+  const americaKentuckyMonticello: TimeZone
+  namespace americaKentuckyMonticello {}
+
+  const americaKnoxIN: TimeZone
+  namespace americaKnoxIN {}
+
+  const americaKralendijk: TimeZone
+  namespace americaKralendijk {}
+
+  const americaLaPaz: TimeZone
+  namespace americaLaPaz {}
+
+  const americaLima: TimeZone
+  namespace americaLima {}
+
+  const americaLosAngeles: TimeZone
+  namespace americaLosAngeles {}
+
+  const americaLouisville: TimeZone
+  namespace americaLouisville {}
+
+  const americaLowerPrinces: TimeZone
+  namespace americaLowerPrinces {}
+
+  const americaMaceio: TimeZone
+  namespace americaMaceio {}
+
+  const americaManagua: TimeZone
+  namespace americaManagua {}
+
+  const americaManaus: TimeZone
+  namespace americaManaus {}
+
+  const americaMarigot: TimeZone
+  namespace americaMarigot {}
+
+  const americaMartinique: TimeZone
+  namespace americaMartinique {}
+
+  const americaMatamoros: TimeZone
+  namespace americaMatamoros {}
+
+  const americaMazatlan: TimeZone
+  namespace americaMazatlan {}
+
+  const americaMendoza: TimeZone
+  namespace americaMendoza {}
+
+  const americaMenominee: TimeZone
+  namespace americaMenominee {}
+
+  const americaMerida: TimeZone
+  namespace americaMerida {}
+
+  const americaMetlakatla: TimeZone
+  namespace americaMetlakatla {}
+
+  const americaMexicoCity: TimeZone
+  namespace americaMexicoCity {}
+
+  const americaMiquelon: TimeZone
+  namespace americaMiquelon {}
+
+  const americaMoncton: TimeZone
+  namespace americaMoncton {}
+
+  const americaMonterrey: TimeZone
+  namespace americaMonterrey {}
+
+  const americaMontevideo: TimeZone
+  namespace americaMontevideo {}
+
+  const americaMontreal: TimeZone
+  namespace americaMontreal {}
+
+  const americaMontserrat: TimeZone
+  namespace americaMontserrat {}
+
+  const americaNassau: TimeZone
+  namespace americaNassau {}
+
+  const americaNewYork: TimeZone
+  namespace americaNewYork {}
+
+  const americaNipigon: TimeZone
+  namespace americaNipigon {}
+
+  const americaNome: TimeZone
+  namespace americaNome {}
+
+  const americaNoronha: TimeZone
+  namespace americaNoronha {}
+
+  const americaNorthDakotaBeulah: TimeZone
+  namespace americaNorthDakotaBeulah {}
+
+  const americaNorthDakotaCenter: TimeZone
+  namespace americaNorthDakotaCenter {}
+
+  const americaNorthDakotaNewSalem: TimeZone
+  namespace americaNorthDakotaNewSalem {}
+
+  const americaNuuk: TimeZone
+  namespace americaNuuk {}
+
+  const americaOjinaga: TimeZone
+  namespace americaOjinaga {}
+
+  const americaPanama: TimeZone
+  namespace americaPanama {}
+
+  const americaPangnirtung: TimeZone
+  namespace americaPangnirtung {}
+
+  const americaParamaribo: TimeZone
+  namespace americaParamaribo {}
+
+  const americaPhoenix: TimeZone
+  namespace americaPhoenix {}
+
+  const americaPortAuPrince: TimeZone
+  namespace americaPortAuPrince {}
+
+  const americaPortOfSpain: TimeZone
+  namespace americaPortOfSpain {}
+
+  const americaPortoAcre: TimeZone
+  namespace americaPortoAcre {}
+
+  const americaPortoVelho: TimeZone
+  namespace americaPortoVelho {}
+
+  const americaPuertoRico: TimeZone
+  namespace americaPuertoRico {}
+
+  const americaPuntaArenas: TimeZone
+  namespace americaPuntaArenas {}
+
+  const americaRainyRiver: TimeZone
+  namespace americaRainyRiver {}
+
+  const americaRankinInlet: TimeZone
+  namespace americaRankinInlet {}
+
+  const americaRecife: TimeZone
+  namespace americaRecife {}
+
+  const americaRegina: TimeZone
+  namespace americaRegina {}
+
+  const americaResolute: TimeZone
+  namespace americaResolute {}
+
+  const americaRioBranco: TimeZone
+  namespace americaRioBranco {}
+
+  const americaRosario: TimeZone
+  namespace americaRosario {}
+
+  const americaSantaIsabel: TimeZone
+  namespace americaSantaIsabel {}
+
+  const americaSantarem: TimeZone
+  namespace americaSantarem {}
+
+  const americaSantiago: TimeZone
+  namespace americaSantiago {}
+
+  const americaSantoDomingo: TimeZone
+  namespace americaSantoDomingo {}
+
+  const americaSaoPaulo: TimeZone
+  namespace americaSaoPaulo {}
+
+  const americaScoresbysund: TimeZone
+  namespace americaScoresbysund {}
+
+  const americaShiprock: TimeZone
+  namespace americaShiprock {}
+
+  const americaSitka: TimeZone
+  namespace americaSitka {}
+
+  const americaStBarthelemy: TimeZone
+  namespace americaStBarthelemy {}
+
+  const americaStJohns: TimeZone
+  namespace americaStJohns {}
+
+  const americaStKitts: TimeZone
+  namespace americaStKitts {}
+
+  const americaStLucia: TimeZone
+  namespace americaStLucia {}
+
+  const americaStThomas: TimeZone
+  namespace americaStThomas {}
+
+  const americaStVincent: TimeZone
+  namespace americaStVincent {}
+
+  const americaSwiftCurrent: TimeZone
+  namespace americaSwiftCurrent {}
+
+  const americaTegucigalpa: TimeZone
+  namespace americaTegucigalpa {}
+
+  const americaThule: TimeZone
+  namespace americaThule {}
+
+  const americaThunderBay: TimeZone
+  namespace americaThunderBay {}
+
+  const americaTijuana: TimeZone
+  namespace americaTijuana {}
+
+  const americaToronto: TimeZone
+  namespace americaToronto {}
+
+  const americaTortola: TimeZone
+  namespace americaTortola {}
+
+  const americaVancouver: TimeZone
+  namespace americaVancouver {}
+
+  const americaVirgin: TimeZone
+  namespace americaVirgin {}
+
+  const americaWhitehorse: TimeZone
+  namespace americaWhitehorse {}
+
+  const americaWinnipeg: TimeZone
+  namespace americaWinnipeg {}
+
+  const americaYakutat: TimeZone
+  namespace americaYakutat {}
+
+  const americaYellowknife: TimeZone
+  namespace americaYellowknife {}
+
+  const antarcticaCasey: TimeZone
+  namespace antarcticaCasey {}
+
+  const antarcticaDavis: TimeZone
+  namespace antarcticaDavis {}
+
+  const antarcticaDumontDUrville: TimeZone
+  namespace antarcticaDumontDUrville {}
+
+  const antarcticaMacquarie: TimeZone
+  namespace antarcticaMacquarie {}
+
+  const antarcticaMawson: TimeZone
+  namespace antarcticaMawson {}
+
+  const antarcticaMcMurdo: TimeZone
+  namespace antarcticaMcMurdo {}
+
+  const antarcticaPalmer: TimeZone
+  namespace antarcticaPalmer {}
+
+  const antarcticaRothera: TimeZone
+  namespace antarcticaRothera {}
+
+  const antarcticaSouthPole: TimeZone
+  namespace antarcticaSouthPole {}
+
+  const antarcticaSyowa: TimeZone
+  namespace antarcticaSyowa {}
+
+  const antarcticaTroll: TimeZone
+  namespace antarcticaTroll {}
+
+  const antarcticaVostok: TimeZone
+  namespace antarcticaVostok {}
+
+  const arcticLongyearbyen: TimeZone
+  namespace arcticLongyearbyen {}
+
+  const asiaAden: TimeZone
+  namespace asiaAden {}
+
+  const asiaAlmaty: TimeZone
+  namespace asiaAlmaty {}
+
+  const asiaAmman: TimeZone
+  namespace asiaAmman {}
+
+  const asiaAnadyr: TimeZone
+  namespace asiaAnadyr {}
+
+  const asiaAqtau: TimeZone
+  namespace asiaAqtau {}
+
+  const asiaAqtobe: TimeZone
+  namespace asiaAqtobe {}
+
+  const asiaAshgabat: TimeZone
+  namespace asiaAshgabat {}
+
+  const asiaAshkhabad: TimeZone
+  namespace asiaAshkhabad {}
+
+  const asiaAtyrau: TimeZone
+  namespace asiaAtyrau {}
+
+  const asiaBaghdad: TimeZone
+  namespace asiaBaghdad {}
+
+  const asiaBahrain: TimeZone
+  namespace asiaBahrain {}
+
+  const asiaBaku: TimeZone
+  namespace asiaBaku {}
+
+  const asiaBangkok: TimeZone
+  namespace asiaBangkok {}
+
+  const asiaBarnaul: TimeZone
+  namespace asiaBarnaul {}
+
+  const asiaBeirut: TimeZone
+  namespace asiaBeirut {}
+
+  const asiaBishkek: TimeZone
+  namespace asiaBishkek {}
+
+  const asiaBrunei: TimeZone
+  namespace asiaBrunei {}
+
+  const asiaCalcutta: TimeZone
+  namespace asiaCalcutta {}
+
+  const asiaChita: TimeZone
+  namespace asiaChita {}
+
+  const asiaChoibalsan: TimeZone
+  namespace asiaChoibalsan {}
+
+  const asiaChongqing: TimeZone
+  namespace asiaChongqing {}
+
+  const asiaChungking: TimeZone
+  namespace asiaChungking {}
+
+  const asiaColombo: TimeZone
+  namespace asiaColombo {}
+
+  const asiaDacca: TimeZone
+  namespace asiaDacca {}
+
+  const asiaDamascus: TimeZone
+  namespace asiaDamascus {}
+
+  const asiaDhaka: TimeZone
+  namespace asiaDhaka {}
+
+  const asiaDili: TimeZone
+  namespace asiaDili {}
+
+  const asiaDubai: TimeZone
+  namespace asiaDubai {}
+
+  const asiaDushanbe: TimeZone
+  namespace asiaDushanbe {}
+
+  const asiaFamagusta: TimeZone
+  namespace asiaFamagusta {}
+
+  const asiaGaza: TimeZone
+  namespace asiaGaza {}
+
+  const asiaHarbin: TimeZone
+  namespace asiaHarbin {}
+
+  const asiaHebron: TimeZone
+  namespace asiaHebron {}
+
+  const asiaHoChiMinh: TimeZone
+  namespace asiaHoChiMinh {}
+
+  const asiaHongKong: TimeZone
+  namespace asiaHongKong {}
+
+  const asiaHovd: TimeZone
+  namespace asiaHovd {}
+
+  const asiaIrkutsk: TimeZone
+  namespace asiaIrkutsk {}
+
+  const asiaIstanbul: TimeZone
+  namespace asiaIstanbul {}
+
+  const asiaJakarta: TimeZone
+  namespace asiaJakarta {}
+
+  const asiaJayapura: TimeZone
+  namespace asiaJayapura {}
+
+  const asiaJerusalem: TimeZone
+  namespace asiaJerusalem {}
+
+  const asiaKabul: TimeZone
+  namespace asiaKabul {}
+
+  const asiaKamchatka: TimeZone
+  namespace asiaKamchatka {}
+
+  const asiaKarachi: TimeZone
+  namespace asiaKarachi {}
+
+  const asiaKashgar: TimeZone
+  namespace asiaKashgar {}
+
+  const asiaKathmandu: TimeZone
+  namespace asiaKathmandu {}
+
+  const asiaKatmandu: TimeZone
+  namespace asiaKatmandu {}
+
+  const asiaKhandyga: TimeZone
+  namespace asiaKhandyga {}
+
+  const asiaKolkata: TimeZone
+  namespace asiaKolkata {}
+
+  const asiaKrasnoyarsk: TimeZone
+  namespace asiaKrasnoyarsk {}
+
+  const asiaKualaLumpur: TimeZone
+  namespace asiaKualaLumpur {}
+
+  const asiaKuching: TimeZone
+  namespace asiaKuching {}
+
+  const asiaKuwait: TimeZone
+  namespace asiaKuwait {}
+
+  const asiaMacao: TimeZone
+  namespace asiaMacao {}
+
+  const asiaMacau: TimeZone
+  namespace asiaMacau {}
+
+  const asiaMagadan: TimeZone
+  namespace asiaMagadan {}
+
+  const asiaMakassar: TimeZone
+  namespace asiaMakassar {}
+
+  const asiaManila: TimeZone
+  namespace asiaManila {}
+
+  const asiaMuscat: TimeZone
+  namespace asiaMuscat {}
+
+  const asiaNicosia: TimeZone
+  namespace asiaNicosia {}
+
+  const asiaNovokuznetsk: TimeZone
+  namespace asiaNovokuznetsk {}
+
+  const asiaNovosibirsk: TimeZone
+  namespace asiaNovosibirsk {}
+
+  const asiaOmsk: TimeZone
+  namespace asiaOmsk {}
+
+  const asiaOral: TimeZone
+  namespace asiaOral {}
+
+  const asiaPhnomPenh: TimeZone
+  namespace asiaPhnomPenh {}
+
+  const asiaPontianak: TimeZone
+  namespace asiaPontianak {}
+
+  const asiaPyongyang: TimeZone
+  namespace asiaPyongyang {}
+
+  const asiaQatar: TimeZone
+  namespace asiaQatar {}
+
+  const asiaQostanay: TimeZone
+  namespace asiaQostanay {}
+
+  const asiaQyzylorda: TimeZone
+  namespace asiaQyzylorda {}
+
+  const asiaRangoon: TimeZone
+  namespace asiaRangoon {}
+
+  const asiaRiyadh: TimeZone
+  namespace asiaRiyadh {}
+
+  const asiaSaigon: TimeZone
+  namespace asiaSaigon {}
+
+  const asiaSakhalin: TimeZone
+  namespace asiaSakhalin {}
+
+  const asiaSamarkand: TimeZone
+  namespace asiaSamarkand {}
+
+  const asiaSeoul: TimeZone
+  namespace asiaSeoul {}
+
+  const asiaShanghai: TimeZone
+  namespace asiaShanghai {}
+
+  const asiaSingapore: TimeZone
+  namespace asiaSingapore {}
+
+  const asiaSrednekolymsk: TimeZone
+  namespace asiaSrednekolymsk {}
+
+  const asiaTaipei: TimeZone
+  namespace asiaTaipei {}
+
+  const asiaTashkent: TimeZone
+  namespace asiaTashkent {}
+
+  const asiaTbilisi: TimeZone
+  namespace asiaTbilisi {}
+
+  const asiaTehran: TimeZone
+  namespace asiaTehran {}
+
+  const asiaTelAviv: TimeZone
+  namespace asiaTelAviv {}
+
+  const asiaThimbu: TimeZone
+  namespace asiaThimbu {}
+
+  const asiaThimphu: TimeZone
+  namespace asiaThimphu {}
+
+  const asiaTokyo: TimeZone
+  namespace asiaTokyo {}
+
+  const asiaTomsk: TimeZone
+  namespace asiaTomsk {}
+
+  const asiaUjungPandang: TimeZone
+  namespace asiaUjungPandang {}
+
+  const asiaUlaanbaatar: TimeZone
+  namespace asiaUlaanbaatar {}
+
+  const asiaUlanBator: TimeZone
+  namespace asiaUlanBator {}
+
+  const asiaUrumqi: TimeZone
+  namespace asiaUrumqi {}
+
+  const asiaUstNera: TimeZone
+  namespace asiaUstNera {}
+
+  const asiaVientiane: TimeZone
+  namespace asiaVientiane {}
+
+  const asiaVladivostok: TimeZone
+  namespace asiaVladivostok {}
+
+  const asiaYakutsk: TimeZone
+  namespace asiaYakutsk {}
+
+  const asiaYangon: TimeZone
+  namespace asiaYangon {}
+
+  const asiaYekaterinburg: TimeZone
+  namespace asiaYekaterinburg {}
+
+  const asiaYerevan: TimeZone
+  namespace asiaYerevan {}
+
+  const atlanticAzores: TimeZone
+  namespace atlanticAzores {}
+
+  const atlanticBermuda: TimeZone
+  namespace atlanticBermuda {}
+
+  const atlanticCanary: TimeZone
+  namespace atlanticCanary {}
+
+  const atlanticCapeVerde: TimeZone
+  namespace atlanticCapeVerde {}
+
+  const atlanticFaeroe: TimeZone
+  namespace atlanticFaeroe {}
+
+  const atlanticFaroe: TimeZone
+  namespace atlanticFaroe {}
+
+  const atlanticJanMayen: TimeZone
+  namespace atlanticJanMayen {}
+
+  const atlanticMadeira: TimeZone
+  namespace atlanticMadeira {}
+
+  const atlanticReykjavik: TimeZone
+  namespace atlanticReykjavik {}
+
+  const atlanticSouthGeorgia: TimeZone
+  namespace atlanticSouthGeorgia {}
+
+  const atlanticStHelena: TimeZone
+  namespace atlanticStHelena {}
+
+  const atlanticStanley: TimeZone
+  namespace atlanticStanley {}
+
+  const australiaACT: TimeZone
+  namespace australiaACT {}
+
+  const australiaAdelaide: TimeZone
+  namespace australiaAdelaide {}
+
+  const australiaBrisbane: TimeZone
+  namespace australiaBrisbane {}
+
+  const australiaBrokenHill: TimeZone
+  namespace australiaBrokenHill {}
+
+  const australiaCanberra: TimeZone
+  namespace australiaCanberra {}
+
+  const australiaCurrie: TimeZone
+  namespace australiaCurrie {}
+
+  const australiaDarwin: TimeZone
+  namespace australiaDarwin {}
+
+  const australiaEucla: TimeZone
+  namespace australiaEucla {}
+
+  const australiaHobart: TimeZone
+  namespace australiaHobart {}
+
+  const australiaLHI: TimeZone
+  namespace australiaLHI {}
+
+  const australiaLindeman: TimeZone
+  namespace australiaLindeman {}
+
+  const australiaLordHowe: TimeZone
+  namespace australiaLordHowe {}
+
+  const australiaMelbourne: TimeZone
+  namespace australiaMelbourne {}
+
+  const australiaNSW: TimeZone
+  namespace australiaNSW {}
+
+  const australiaNorth: TimeZone
+  namespace australiaNorth {}
+
+  const australiaPerth: TimeZone
+  namespace australiaPerth {}
+
+  const australiaQueensland: TimeZone
+  namespace australiaQueensland {}
+
+  const australiaSouth: TimeZone
+  namespace australiaSouth {}
+
+  const australiaSydney: TimeZone
+  namespace australiaSydney {}
+
+  const australiaTasmania: TimeZone
+  namespace australiaTasmania {}
+
+  const australiaVictoria: TimeZone
+  namespace australiaVictoria {}
+
+  const australiaWest: TimeZone
+  namespace australiaWest {}
+
+  const australiaYancowinna: TimeZone
+  namespace australiaYancowinna {}
+
+  const brazilAcre: TimeZone
+  namespace brazilAcre {}
+
+  const brazilDeNoronha: TimeZone
+  namespace brazilDeNoronha {}
+
+  const brazilEast: TimeZone
+  namespace brazilEast {}
+
+  const brazilWest: TimeZone
+  namespace brazilWest {}
+
+  const cet: TimeZone
+  namespace cet {}
+
+  const cst6cdt: TimeZone
+  namespace cst6cdt {}
+
+  const canadaAtlantic: TimeZone
+  namespace canadaAtlantic {}
+
+  const canadaCentral: TimeZone
+  namespace canadaCentral {}
+
+  const canadaEastern: TimeZone
+  namespace canadaEastern {}
+
+  const canadaMountain: TimeZone
+  namespace canadaMountain {}
+
+  const canadaNewfoundland: TimeZone
+  namespace canadaNewfoundland {}
+
+  const canadaPacific: TimeZone
+  namespace canadaPacific {}
+
+  const canadaSaskatchewan: TimeZone
+  namespace canadaSaskatchewan {}
+
+  const canadaYukon: TimeZone
+  namespace canadaYukon {}
+
+  const chileContinental: TimeZone
+  namespace chileContinental {}
+
+  const chileEasterIsland: TimeZone
+  namespace chileEasterIsland {}
+
+  const cuba: TimeZone
+  namespace cuba {}
+
+  const eet: TimeZone
+  namespace eet {}
+
+  const est: TimeZone
+  namespace est {}
+
+  const est5edt: TimeZone
+  namespace est5edt {}
+
+  const egypt: TimeZone
+  namespace egypt {}
+
+  const eire: TimeZone
+  namespace eire {}
+
+  const etcGMT: TimeZone
+  namespace etcGMT {}
+
+  const etcGMTPlus0: TimeZone
+  namespace etcGMTPlus0 {}
+
+  const etcGMTPlus1: TimeZone
+  namespace etcGMTPlus1 {}
+
+  const etcGMTPlus10: TimeZone
+  namespace etcGMTPlus10 {}
+
+  const etcGMTPlus11: TimeZone
+  namespace etcGMTPlus11 {}
+
+  const etcGMTPlus12: TimeZone
+  namespace etcGMTPlus12 {}
+
+  const etcGMTPlus2: TimeZone
+  namespace etcGMTPlus2 {}
+
+  const etcGMTPlus3: TimeZone
+  namespace etcGMTPlus3 {}
+
+  const etcGMTPlus4: TimeZone
+  namespace etcGMTPlus4 {}
+
+  const etcGMTPlus5: TimeZone
+  namespace etcGMTPlus5 {}
+
+  const etcGMTPlus6: TimeZone
+  namespace etcGMTPlus6 {}
+
+  const etcGMTPlus7: TimeZone
+  namespace etcGMTPlus7 {}
+
+  const etcGMTPlus8: TimeZone
+  namespace etcGMTPlus8 {}
+
+  const etcGMTPlus9: TimeZone
+  namespace etcGMTPlus9 {}
+
+  const etcGMTMinus0: TimeZone
+  namespace etcGMTMinus0 {}
+
+  const etcGMTMinus1: TimeZone
+  namespace etcGMTMinus1 {}
+
+  const etcGMTMinus10: TimeZone
+  namespace etcGMTMinus10 {}
+
+  const etcGMTMinus11: TimeZone
+  namespace etcGMTMinus11 {}
+
+  const etcGMTMinus12: TimeZone
+  namespace etcGMTMinus12 {}
+
+  const etcGMTMinus13: TimeZone
+  namespace etcGMTMinus13 {}
+
+  const etcGMTMinus14: TimeZone
+  namespace etcGMTMinus14 {}
+
+  const etcGMTMinus2: TimeZone
+  namespace etcGMTMinus2 {}
+
+  const etcGMTMinus3: TimeZone
+  namespace etcGMTMinus3 {}
+
+  const etcGMTMinus4: TimeZone
+  namespace etcGMTMinus4 {}
+
+  const etcGMTMinus5: TimeZone
+  namespace etcGMTMinus5 {}
+
+  const etcGMTMinus6: TimeZone
+  namespace etcGMTMinus6 {}
+
+  const etcGMTMinus7: TimeZone
+  namespace etcGMTMinus7 {}
+
+  const etcGMTMinus8: TimeZone
+  namespace etcGMTMinus8 {}
+
+  const etcGMTMinus9: TimeZone
+  namespace etcGMTMinus9 {}
+
+  const etcGMT0: TimeZone
+  namespace etcGMT0 {}
+
+  const etcGreenwich: TimeZone
+  namespace etcGreenwich {}
+
+  const etcUCT: TimeZone
+  namespace etcUCT {}
+
+  const etcUTC: TimeZone
+  namespace etcUTC {}
+
+  const etcUniversal: TimeZone
+  namespace etcUniversal {}
+
+  const etcZulu: TimeZone
+  namespace etcZulu {}
+
+  const europeAmsterdam: TimeZone
+  namespace europeAmsterdam {}
+
+  const europeAndorra: TimeZone
+  namespace europeAndorra {}
+
+  const europeAstrakhan: TimeZone
+  namespace europeAstrakhan {}
+
+  const europeAthens: TimeZone
+  namespace europeAthens {}
+
+  const europeBelfast: TimeZone
+  namespace europeBelfast {}
+
+  const europeBelgrade: TimeZone
+  namespace europeBelgrade {}
+
+  const europeBerlin: TimeZone
+  namespace europeBerlin {}
+
+  const europeBratislava: TimeZone
+  namespace europeBratislava {}
+
+  const europeBrussels: TimeZone
+  namespace europeBrussels {}
+
+  const europeBucharest: TimeZone
+  namespace europeBucharest {}
+
+  const europeBudapest: TimeZone
+  namespace europeBudapest {}
+
+  const europeBusingen: TimeZone
+  namespace europeBusingen {}
+
+  const europeChisinau: TimeZone
+  namespace europeChisinau {}
+
+  const europeCopenhagen: TimeZone
+  namespace europeCopenhagen {}
+
+  const europeDublin: TimeZone
+  namespace europeDublin {}
+
+  const europeGibraltar: TimeZone
+  namespace europeGibraltar {}
+
+  const europeGuernsey: TimeZone
+  namespace europeGuernsey {}
+
+  const europeHelsinki: TimeZone
+  namespace europeHelsinki {}
+
+  const europeIsleOfMan: TimeZone
+  namespace europeIsleOfMan {}
+
+  const europeIstanbul: TimeZone
+  namespace europeIstanbul {}
+
+  const europeJersey: TimeZone
+  namespace europeJersey {}
+
+  const europeKaliningrad: TimeZone
+  namespace europeKaliningrad {}
+
+  const europeKiev: TimeZone
+  namespace europeKiev {}
+
+  const europeKirov: TimeZone
+  namespace europeKirov {}
+
+  const europeKyiv: TimeZone
+  namespace europeKyiv {}
+
+  const europeLisbon: TimeZone
+  namespace europeLisbon {}
+
+  const europeLjubljana: TimeZone
+  namespace europeLjubljana {}
+
+  const europeLondon: TimeZone
+  namespace europeLondon {}
+
+  const europeLuxembourg: TimeZone
+  namespace europeLuxembourg {}
+
+  const europeMadrid: TimeZone
+  namespace europeMadrid {}
+
+  const europeMalta: TimeZone
+  namespace europeMalta {}
+
+  const europeMariehamn: TimeZone
+  namespace europeMariehamn {}
+
+  const europeMinsk: TimeZone
+  namespace europeMinsk {}
+
+  const europeMonaco: TimeZone
+  namespace europeMonaco {}
+
+  const europeMoscow: TimeZone
+  namespace europeMoscow {}
+
+  const europeNicosia: TimeZone
+  namespace europeNicosia {}
+
+  const europeOslo: TimeZone
+  namespace europeOslo {}
+
+  const europeParis: TimeZone
+  namespace europeParis {}
+
+  const europePodgorica: TimeZone
+  namespace europePodgorica {}
+
+  const europePrague: TimeZone
+  namespace europePrague {}
+
+  const europeRiga: TimeZone
+  namespace europeRiga {}
+
+  const europeRome: TimeZone
+  namespace europeRome {}
+
+  const europeSamara: TimeZone
+  namespace europeSamara {}
+
+  const europeSanMarino: TimeZone
+  namespace europeSanMarino {}
+
+  const europeSarajevo: TimeZone
+  namespace europeSarajevo {}
+
+  const europeSaratov: TimeZone
+  namespace europeSaratov {}
+
+  const europeSimferopol: TimeZone
+  namespace europeSimferopol {}
+
+  const europeSkopje: TimeZone
+  namespace europeSkopje {}
+
+  const europeSofia: TimeZone
+  namespace europeSofia {}
+
+  const europeStockholm: TimeZone
+  namespace europeStockholm {}
+
+  const europeTallinn: TimeZone
+  namespace europeTallinn {}
+
+  const europeTirane: TimeZone
+  namespace europeTirane {}
+
+  const europeTiraspol: TimeZone
+  namespace europeTiraspol {}
+
+  const europeUlyanovsk: TimeZone
+  namespace europeUlyanovsk {}
+
+  const europeUzhgorod: TimeZone
+  namespace europeUzhgorod {}
+
+  const europeVaduz: TimeZone
+  namespace europeVaduz {}
+
+  const europeVatican: TimeZone
+  namespace europeVatican {}
+
+  const europeVienna: TimeZone
+  namespace europeVienna {}
+
+  const europeVilnius: TimeZone
+  namespace europeVilnius {}
+
+  const europeVolgograd: TimeZone
+  namespace europeVolgograd {}
+
+  const europeWarsaw: TimeZone
+  namespace europeWarsaw {}
+
+  const europeZagreb: TimeZone
+  namespace europeZagreb {}
+
+  const europeZaporozhye: TimeZone
+  namespace europeZaporozhye {}
+
+  const europeZurich: TimeZone
+  namespace europeZurich {}
+
+  const gb: TimeZone
+  namespace gb {}
+
+  const gbEire: TimeZone
+  namespace gbEire {}
+
+  const gmt: TimeZone
+  namespace gmt {}
+
+  const gmtPlus0: TimeZone
+  namespace gmtPlus0 {}
+
+  const gmtMinus0: TimeZone
+  namespace gmtMinus0 {}
+
+  const gmt0: TimeZone
+  namespace gmt0 {}
+
+  const greenwich: TimeZone
+  namespace greenwich {}
+
+  const hst: TimeZone
+  namespace hst {}
+
+  const hongkong: TimeZone
+  namespace hongkong {}
+
+  const iceland: TimeZone
+  namespace iceland {}
+
+  const indianAntananarivo: TimeZone
+  namespace indianAntananarivo {}
+
+  const indianChagos: TimeZone
+  namespace indianChagos {}
+
+  const indianChristmas: TimeZone
+  namespace indianChristmas {}
+
+  const indianCocos: TimeZone
+  namespace indianCocos {}
+
+  const indianComoro: TimeZone
+  namespace indianComoro {}
+
+  const indianKerguelen: TimeZone
+  namespace indianKerguelen {}
+
+  const indianMahe: TimeZone
+  namespace indianMahe {}
+
+  const indianMaldives: TimeZone
+  namespace indianMaldives {}
+
+  const indianMauritius: TimeZone
+  namespace indianMauritius {}
+
+  const indianMayotte: TimeZone
+  namespace indianMayotte {}
+
+  const indianReunion: TimeZone
+  namespace indianReunion {}
+
+  const iran: TimeZone
+  namespace iran {}
+
+  const israel: TimeZone
+  namespace israel {}
+
+  const jamaica: TimeZone
+  namespace jamaica {}
+
+  const japan: TimeZone
+  namespace japan {}
+
+  const kwajalein: TimeZone
+  namespace kwajalein {}
+
+  const libya: TimeZone
+  namespace libya {}
+
+  const met: TimeZone
+  namespace met {}
+
+  const mst: TimeZone
+  namespace mst {}
+
+  const mst7mdt: TimeZone
+  namespace mst7mdt {}
+
+  const mexicoBajaNorte: TimeZone
+  namespace mexicoBajaNorte {}
+
+  const mexicoBajaSur: TimeZone
+  namespace mexicoBajaSur {}
+
+  const mexicoGeneral: TimeZone
+  namespace mexicoGeneral {}
+
+  const nz: TimeZone
+  namespace nz {}
+
+  const nzCHAT: TimeZone
+  namespace nzCHAT {}
+
+  const navajo: TimeZone
+  namespace navajo {}
+
+  const prc: TimeZone
+  namespace prc {}
+
+  const pst8pdt: TimeZone
+  namespace pst8pdt {}
+
+  const pacificApia: TimeZone
+  namespace pacificApia {}
+
+  const pacificAuckland: TimeZone
+  namespace pacificAuckland {}
+
+  const pacificBougainville: TimeZone
+  namespace pacificBougainville {}
+
+  const pacificChatham: TimeZone
+  namespace pacificChatham {}
+
+  const pacificChuuk: TimeZone
+  namespace pacificChuuk {}
+
+  const pacificEaster: TimeZone
+  namespace pacificEaster {}
+
+  const pacificEfate: TimeZone
+  namespace pacificEfate {}
+
+  const pacificEnderbury: TimeZone
+  namespace pacificEnderbury {}
+
+  const pacificFakaofo: TimeZone
+  namespace pacificFakaofo {}
+
+  const pacificFiji: TimeZone
+  namespace pacificFiji {}
+
+  const pacificFunafuti: TimeZone
+  namespace pacificFunafuti {}
+
+  const pacificGalapagos: TimeZone
+  namespace pacificGalapagos {}
+
+  const pacificGambier: TimeZone
+  namespace pacificGambier {}
+
+  const pacificGuadalcanal: TimeZone
+  namespace pacificGuadalcanal {}
+
+  const pacificGuam: TimeZone
+  namespace pacificGuam {}
+
+  const pacificHonolulu: TimeZone
+  namespace pacificHonolulu {}
+
+  const pacificJohnston: TimeZone
+  namespace pacificJohnston {}
+
+  const pacificKanton: TimeZone
+  namespace pacificKanton {}
+
+  const pacificKiritimati: TimeZone
+  namespace pacificKiritimati {}
+
+  const pacificKosrae: TimeZone
+  namespace pacificKosrae {}
+
+  const pacificKwajalein: TimeZone
+  namespace pacificKwajalein {}
+
+  const pacificMajuro: TimeZone
+  namespace pacificMajuro {}
+
+  const pacificMarquesas: TimeZone
+  namespace pacificMarquesas {}
+
+  const pacificMidway: TimeZone
+  namespace pacificMidway {}
+
+  const pacificNauru: TimeZone
+  namespace pacificNauru {}
+
+  const pacificNiue: TimeZone
+  namespace pacificNiue {}
+
+  const pacificNorfolk: TimeZone
+  namespace pacificNorfolk {}
+
+  const pacificNoumea: TimeZone
+  namespace pacificNoumea {}
+
+  const pacificPagoPago: TimeZone
+  namespace pacificPagoPago {}
+
+  const pacificPalau: TimeZone
+  namespace pacificPalau {}
+
+  const pacificPitcairn: TimeZone
+  namespace pacificPitcairn {}
+
+  const pacificPohnpei: TimeZone
+  namespace pacificPohnpei {}
+
+  const pacificPonape: TimeZone
+  namespace pacificPonape {}
+
+  const pacificPortMoresby: TimeZone
+  namespace pacificPortMoresby {}
+
+  const pacificRarotonga: TimeZone
+  namespace pacificRarotonga {}
+
+  const pacificSaipan: TimeZone
+  namespace pacificSaipan {}
+
+  const pacificSamoa: TimeZone
+  namespace pacificSamoa {}
+
+  const pacificTahiti: TimeZone
+  namespace pacificTahiti {}
+
+  const pacificTarawa: TimeZone
+  namespace pacificTarawa {}
+
+  const pacificTongatapu: TimeZone
+  namespace pacificTongatapu {}
+
+  const pacificTruk: TimeZone
+  namespace pacificTruk {}
+
+  const pacificWake: TimeZone
+  namespace pacificWake {}
+
+  const pacificWallis: TimeZone
+  namespace pacificWallis {}
+
+  const pacificYap: TimeZone
+  namespace pacificYap {}
+
+  const poland: TimeZone
+  namespace poland {}
+
+  const portugal: TimeZone
+  namespace portugal {}
+
+  const roc: TimeZone
+  namespace roc {}
+
+  const rok: TimeZone
+  namespace rok {}
+
+  const singapore: TimeZone
+  namespace singapore {}
+
+  const turkey: TimeZone
+  namespace turkey {}
+
+  const uct: TimeZone
+  namespace uct {}
+
+  const usAlaska: TimeZone
+  namespace usAlaska {}
+
+  const usAleutian: TimeZone
+  namespace usAleutian {}
+
+  const usArizona: TimeZone
+  namespace usArizona {}
+
+  const usCentral: TimeZone
+  namespace usCentral {}
+
+  const usEastIndiana: TimeZone
+  namespace usEastIndiana {}
+
+  const usEastern: TimeZone
+  namespace usEastern {}
+
+  const usHawaii: TimeZone
+  namespace usHawaii {}
+
+  const usIndianaStarke: TimeZone
+  namespace usIndianaStarke {}
+
+  const usMichigan: TimeZone
+  namespace usMichigan {}
+
+  const usMountain: TimeZone
+  namespace usMountain {}
+
+  const usPacific: TimeZone
+  namespace usPacific {}
+
+  const usSamoa: TimeZone
+  namespace usSamoa {}
+
+  const utc: TimeZone
+  namespace utc {}
+
+  const universal: TimeZone
+  namespace universal {}
+
+  const wSU: TimeZone
+  namespace wSU {}
+
+  const wet: TimeZone
+  namespace wet {}
+
+  const zulu: TimeZone
+  namespace zulu {}
+}
+
+declare module 'date-fns/timeZone/Africa/Abidjan' {
+  import {africaAbidjan} from 'date-fns/timeZone'
+  export = africaAbidjan
+}
+
+declare module 'date-fns/timeZone/Africa/Accra' {
+  import {africaAccra} from 'date-fns/timeZone'
+  export = africaAccra
+}
+
+declare module 'date-fns/timeZone/Africa/Addis_Ababa' {
+  import {africaAddisAbaba} from 'date-fns/timeZone'
+  export = africaAddisAbaba
+}
+
+declare module 'date-fns/timeZone/Africa/Algiers' {
+  import {africaAlgiers} from 'date-fns/timeZone'
+  export = africaAlgiers
+}
+
+declare module 'date-fns/timeZone/Africa/Asmara' {
+  import {africaAsmara} from 'date-fns/timeZone'
+  export = africaAsmara
+}
+
+declare module 'date-fns/timeZone/Africa/Asmera' {
+  import {africaAsmera} from 'date-fns/timeZone'
+  export = africaAsmera
+}
+
+declare module 'date-fns/timeZone/Africa/Bamako' {
+  import {africaBamako} from 'date-fns/timeZone'
+  export = africaBamako
+}
+
+declare module 'date-fns/timeZone/Africa/Bangui' {
+  import {africaBangui} from 'date-fns/timeZone'
+  export = africaBangui
+}
+
+declare module 'date-fns/timeZone/Africa/Banjul' {
+  import {africaBanjul} from 'date-fns/timeZone'
+  export = africaBanjul
+}
+
+declare module 'date-fns/timeZone/Africa/Bissau' {
+  import {africaBissau} from 'date-fns/timeZone'
+  export = africaBissau
+}
+
+declare module 'date-fns/timeZone/Africa/Blantyre' {
+  import {africaBlantyre} from 'date-fns/timeZone'
+  export = africaBlantyre
+}
+
+declare module 'date-fns/timeZone/Africa/Brazzaville' {
+  import {africaBrazzaville} from 'date-fns/timeZone'
+  export = africaBrazzaville
+}
+
+declare module 'date-fns/timeZone/Africa/Bujumbura' {
+  import {africaBujumbura} from 'date-fns/timeZone'
+  export = africaBujumbura
+}
+
+declare module 'date-fns/timeZone/Africa/Cairo' {
+  import {africaCairo} from 'date-fns/timeZone'
+  export = africaCairo
+}
+
+declare module 'date-fns/timeZone/Africa/Casablanca' {
+  import {africaCasablanca} from 'date-fns/timeZone'
+  export = africaCasablanca
+}
+
+declare module 'date-fns/timeZone/Africa/Ceuta' {
+  import {africaCeuta} from 'date-fns/timeZone'
+  export = africaCeuta
+}
+
+declare module 'date-fns/timeZone/Africa/Conakry' {
+  import {africaConakry} from 'date-fns/timeZone'
+  export = africaConakry
+}
+
+declare module 'date-fns/timeZone/Africa/Dakar' {
+  import {africaDakar} from 'date-fns/timeZone'
+  export = africaDakar
+}
+
+declare module 'date-fns/timeZone/Africa/Dar_es_Salaam' {
+  import {africaDarEsSalaam} from 'date-fns/timeZone'
+  export = africaDarEsSalaam
+}
+
+declare module 'date-fns/timeZone/Africa/Djibouti' {
+  import {africaDjibouti} from 'date-fns/timeZone'
+  export = africaDjibouti
+}
+
+declare module 'date-fns/timeZone/Africa/Douala' {
+  import {africaDouala} from 'date-fns/timeZone'
+  export = africaDouala
+}
+
+declare module 'date-fns/timeZone/Africa/El_Aaiun' {
+  import {africaElAaiun} from 'date-fns/timeZone'
+  export = africaElAaiun
+}
+
+declare module 'date-fns/timeZone/Africa/Freetown' {
+  import {africaFreetown} from 'date-fns/timeZone'
+  export = africaFreetown
+}
+
+declare module 'date-fns/timeZone/Africa/Gaborone' {
+  import {africaGaborone} from 'date-fns/timeZone'
+  export = africaGaborone
+}
+
+declare module 'date-fns/timeZone/Africa/Harare' {
+  import {africaHarare} from 'date-fns/timeZone'
+  export = africaHarare
+}
+
+declare module 'date-fns/timeZone/Africa/Johannesburg' {
+  import {africaJohannesburg} from 'date-fns/timeZone'
+  export = africaJohannesburg
+}
+
+declare module 'date-fns/timeZone/Africa/Juba' {
+  import {africaJuba} from 'date-fns/timeZone'
+  export = africaJuba
+}
+
+declare module 'date-fns/timeZone/Africa/Kampala' {
+  import {africaKampala} from 'date-fns/timeZone'
+  export = africaKampala
+}
+
+declare module 'date-fns/timeZone/Africa/Khartoum' {
+  import {africaKhartoum} from 'date-fns/timeZone'
+  export = africaKhartoum
+}
+
+declare module 'date-fns/timeZone/Africa/Kigali' {
+  import {africaKigali} from 'date-fns/timeZone'
+  export = africaKigali
+}
+
+declare module 'date-fns/timeZone/Africa/Kinshasa' {
+  import {africaKinshasa} from 'date-fns/timeZone'
+  export = africaKinshasa
+}
+
+declare module 'date-fns/timeZone/Africa/Lagos' {
+  import {africaLagos} from 'date-fns/timeZone'
+  export = africaLagos
+}
+
+declare module 'date-fns/timeZone/Africa/Libreville' {
+  import {africaLibreville} from 'date-fns/timeZone'
+  export = africaLibreville
+}
+
+declare module 'date-fns/timeZone/Africa/Lome' {
+  import {africaLome} from 'date-fns/timeZone'
+  export = africaLome
+}
+
+declare module 'date-fns/timeZone/Africa/Luanda' {
+  import {africaLuanda} from 'date-fns/timeZone'
+  export = africaLuanda
+}
+
+declare module 'date-fns/timeZone/Africa/Lubumbashi' {
+  import {africaLubumbashi} from 'date-fns/timeZone'
+  export = africaLubumbashi
+}
+
+declare module 'date-fns/timeZone/Africa/Lusaka' {
+  import {africaLusaka} from 'date-fns/timeZone'
+  export = africaLusaka
+}
+
+declare module 'date-fns/timeZone/Africa/Malabo' {
+  import {africaMalabo} from 'date-fns/timeZone'
+  export = africaMalabo
+}
+
+declare module 'date-fns/timeZone/Africa/Maputo' {
+  import {africaMaputo} from 'date-fns/timeZone'
+  export = africaMaputo
+}
+
+declare module 'date-fns/timeZone/Africa/Maseru' {
+  import {africaMaseru} from 'date-fns/timeZone'
+  export = africaMaseru
+}
+
+declare module 'date-fns/timeZone/Africa/Mbabane' {
+  import {africaMbabane} from 'date-fns/timeZone'
+  export = africaMbabane
+}
+
+declare module 'date-fns/timeZone/Africa/Mogadishu' {
+  import {africaMogadishu} from 'date-fns/timeZone'
+  export = africaMogadishu
+}
+
+declare module 'date-fns/timeZone/Africa/Monrovia' {
+  import {africaMonrovia} from 'date-fns/timeZone'
+  export = africaMonrovia
+}
+
+declare module 'date-fns/timeZone/Africa/Nairobi' {
+  import {africaNairobi} from 'date-fns/timeZone'
+  export = africaNairobi
+}
+
+declare module 'date-fns/timeZone/Africa/Ndjamena' {
+  import {africaNdjamena} from 'date-fns/timeZone'
+  export = africaNdjamena
+}
+
+declare module 'date-fns/timeZone/Africa/Niamey' {
+  import {africaNiamey} from 'date-fns/timeZone'
+  export = africaNiamey
+}
+
+declare module 'date-fns/timeZone/Africa/Nouakchott' {
+  import {africaNouakchott} from 'date-fns/timeZone'
+  export = africaNouakchott
+}
+
+declare module 'date-fns/timeZone/Africa/Ouagadougou' {
+  import {africaOuagadougou} from 'date-fns/timeZone'
+  export = africaOuagadougou
+}
+
+declare module 'date-fns/timeZone/Africa/Porto-Novo' {
+  import {africaPortoNovo} from 'date-fns/timeZone'
+  export = africaPortoNovo
+}
+
+declare module 'date-fns/timeZone/Africa/Sao_Tome' {
+  import {africaSaoTome} from 'date-fns/timeZone'
+  export = africaSaoTome
+}
+
+declare module 'date-fns/timeZone/Africa/Timbuktu' {
+  import {africaTimbuktu} from 'date-fns/timeZone'
+  export = africaTimbuktu
+}
+
+declare module 'date-fns/timeZone/Africa/Tripoli' {
+  import {africaTripoli} from 'date-fns/timeZone'
+  export = africaTripoli
+}
+
+declare module 'date-fns/timeZone/Africa/Tunis' {
+  import {africaTunis} from 'date-fns/timeZone'
+  export = africaTunis
+}
+
+declare module 'date-fns/timeZone/Africa/Windhoek' {
+  import {africaWindhoek} from 'date-fns/timeZone'
+  export = africaWindhoek
+}
+
+declare module 'date-fns/timeZone/America/Adak' {
+  import {americaAdak} from 'date-fns/timeZone'
+  export = americaAdak
+}
+
+declare module 'date-fns/timeZone/America/Anchorage' {
+  import {americaAnchorage} from 'date-fns/timeZone'
+  export = americaAnchorage
+}
+
+declare module 'date-fns/timeZone/America/Anguilla' {
+  import {americaAnguilla} from 'date-fns/timeZone'
+  export = americaAnguilla
+}
+
+declare module 'date-fns/timeZone/America/Antigua' {
+  import {americaAntigua} from 'date-fns/timeZone'
+  export = americaAntigua
+}
+
+declare module 'date-fns/timeZone/America/Araguaina' {
+  import {americaAraguaina} from 'date-fns/timeZone'
+  export = americaAraguaina
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Buenos_Aires' {
+  import {americaArgentinaBuenosAires} from 'date-fns/timeZone'
+  export = americaArgentinaBuenosAires
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Catamarca' {
+  import {americaArgentinaCatamarca} from 'date-fns/timeZone'
+  export = americaArgentinaCatamarca
+}
+
+declare module 'date-fns/timeZone/America/Argentina/ComodRivadavia' {
+  import {americaArgentinaComodRivadavia} from 'date-fns/timeZone'
+  export = americaArgentinaComodRivadavia
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Cordoba' {
+  import {americaArgentinaCordoba} from 'date-fns/timeZone'
+  export = americaArgentinaCordoba
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Jujuy' {
+  import {americaArgentinaJujuy} from 'date-fns/timeZone'
+  export = americaArgentinaJujuy
+}
+
+declare module 'date-fns/timeZone/America/Argentina/La_Rioja' {
+  import {americaArgentinaLaRioja} from 'date-fns/timeZone'
+  export = americaArgentinaLaRioja
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Mendoza' {
+  import {americaArgentinaMendoza} from 'date-fns/timeZone'
+  export = americaArgentinaMendoza
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Rio_Gallegos' {
+  import {americaArgentinaRioGallegos} from 'date-fns/timeZone'
+  export = americaArgentinaRioGallegos
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Salta' {
+  import {americaArgentinaSalta} from 'date-fns/timeZone'
+  export = americaArgentinaSalta
+}
+
+declare module 'date-fns/timeZone/America/Argentina/San_Juan' {
+  import {americaArgentinaSanJuan} from 'date-fns/timeZone'
+  export = americaArgentinaSanJuan
+}
+
+declare module 'date-fns/timeZone/America/Argentina/San_Luis' {
+  import {americaArgentinaSanLuis} from 'date-fns/timeZone'
+  export = americaArgentinaSanLuis
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Tucuman' {
+  import {americaArgentinaTucuman} from 'date-fns/timeZone'
+  export = americaArgentinaTucuman
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Ushuaia' {
+  import {americaArgentinaUshuaia} from 'date-fns/timeZone'
+  export = americaArgentinaUshuaia
+}
+
+declare module 'date-fns/timeZone/America/Aruba' {
+  import {americaAruba} from 'date-fns/timeZone'
+  export = americaAruba
+}
+
+declare module 'date-fns/timeZone/America/Asuncion' {
+  import {americaAsuncion} from 'date-fns/timeZone'
+  export = americaAsuncion
+}
+
+declare module 'date-fns/timeZone/America/Atikokan' {
+  import {americaAtikokan} from 'date-fns/timeZone'
+  export = americaAtikokan
+}
+
+declare module 'date-fns/timeZone/America/Atka' {
+  import {americaAtka} from 'date-fns/timeZone'
+  export = americaAtka
+}
+
+declare module 'date-fns/timeZone/America/Bahia' {
+  import {americaBahia} from 'date-fns/timeZone'
+  export = americaBahia
+}
+
+declare module 'date-fns/timeZone/America/Bahia_Banderas' {
+  import {americaBahiaBanderas} from 'date-fns/timeZone'
+  export = americaBahiaBanderas
+}
+
+declare module 'date-fns/timeZone/America/Barbados' {
+  import {americaBarbados} from 'date-fns/timeZone'
+  export = americaBarbados
+}
+
+declare module 'date-fns/timeZone/America/Belem' {
+  import {americaBelem} from 'date-fns/timeZone'
+  export = americaBelem
+}
+
+declare module 'date-fns/timeZone/America/Belize' {
+  import {americaBelize} from 'date-fns/timeZone'
+  export = americaBelize
+}
+
+declare module 'date-fns/timeZone/America/Blanc-Sablon' {
+  import {americaBlancSablon} from 'date-fns/timeZone'
+  export = americaBlancSablon
+}
+
+declare module 'date-fns/timeZone/America/Boa_Vista' {
+  import {americaBoaVista} from 'date-fns/timeZone'
+  export = americaBoaVista
+}
+
+declare module 'date-fns/timeZone/America/Bogota' {
+  import {americaBogota} from 'date-fns/timeZone'
+  export = americaBogota
+}
+
+declare module 'date-fns/timeZone/America/Boise' {
+  import {americaBoise} from 'date-fns/timeZone'
+  export = americaBoise
+}
+
+declare module 'date-fns/timeZone/America/Buenos_Aires' {
+  import {americaBuenosAires} from 'date-fns/timeZone'
+  export = americaBuenosAires
+}
+
+declare module 'date-fns/timeZone/America/Cambridge_Bay' {
+  import {americaCambridgeBay} from 'date-fns/timeZone'
+  export = americaCambridgeBay
+}
+
+declare module 'date-fns/timeZone/America/Campo_Grande' {
+  import {americaCampoGrande} from 'date-fns/timeZone'
+  export = americaCampoGrande
+}
+
+declare module 'date-fns/timeZone/America/Cancun' {
+  import {americaCancun} from 'date-fns/timeZone'
+  export = americaCancun
+}
+
+declare module 'date-fns/timeZone/America/Caracas' {
+  import {americaCaracas} from 'date-fns/timeZone'
+  export = americaCaracas
+}
+
+declare module 'date-fns/timeZone/America/Catamarca' {
+  import {americaCatamarca} from 'date-fns/timeZone'
+  export = americaCatamarca
+}
+
+declare module 'date-fns/timeZone/America/Cayenne' {
+  import {americaCayenne} from 'date-fns/timeZone'
+  export = americaCayenne
+}
+
+declare module 'date-fns/timeZone/America/Cayman' {
+  import {americaCayman} from 'date-fns/timeZone'
+  export = americaCayman
+}
+
+declare module 'date-fns/timeZone/America/Chicago' {
+  import {americaChicago} from 'date-fns/timeZone'
+  export = americaChicago
+}
+
+declare module 'date-fns/timeZone/America/Chihuahua' {
+  import {americaChihuahua} from 'date-fns/timeZone'
+  export = americaChihuahua
+}
+
+declare module 'date-fns/timeZone/America/Ciudad_Juarez' {
+  import {americaCiudadJuarez} from 'date-fns/timeZone'
+  export = americaCiudadJuarez
+}
+
+declare module 'date-fns/timeZone/America/Coral_Harbour' {
+  import {americaCoralHarbour} from 'date-fns/timeZone'
+  export = americaCoralHarbour
+}
+
+declare module 'date-fns/timeZone/America/Cordoba' {
+  import {americaCordoba} from 'date-fns/timeZone'
+  export = americaCordoba
+}
+
+declare module 'date-fns/timeZone/America/Costa_Rica' {
+  import {americaCostaRica} from 'date-fns/timeZone'
+  export = americaCostaRica
+}
+
+declare module 'date-fns/timeZone/America/Coyhaique' {
+  import {americaCoyhaique} from 'date-fns/timeZone'
+  export = americaCoyhaique
+}
+
+declare module 'date-fns/timeZone/America/Creston' {
+  import {americaCreston} from 'date-fns/timeZone'
+  export = americaCreston
+}
+
+declare module 'date-fns/timeZone/America/Cuiaba' {
+  import {americaCuiaba} from 'date-fns/timeZone'
+  export = americaCuiaba
+}
+
+declare module 'date-fns/timeZone/America/Curacao' {
+  import {americaCuracao} from 'date-fns/timeZone'
+  export = americaCuracao
+}
+
+declare module 'date-fns/timeZone/America/Danmarkshavn' {
+  import {americaDanmarkshavn} from 'date-fns/timeZone'
+  export = americaDanmarkshavn
+}
+
+declare module 'date-fns/timeZone/America/Dawson' {
+  import {americaDawson} from 'date-fns/timeZone'
+  export = americaDawson
+}
+
+declare module 'date-fns/timeZone/America/Dawson_Creek' {
+  import {americaDawsonCreek} from 'date-fns/timeZone'
+  export = americaDawsonCreek
+}
+
+declare module 'date-fns/timeZone/America/Denver' {
+  import {americaDenver} from 'date-fns/timeZone'
+  export = americaDenver
+}
+
+declare module 'date-fns/timeZone/America/Detroit' {
+  import {americaDetroit} from 'date-fns/timeZone'
+  export = americaDetroit
+}
+
+declare module 'date-fns/timeZone/America/Dominica' {
+  import {americaDominica} from 'date-fns/timeZone'
+  export = americaDominica
+}
+
+declare module 'date-fns/timeZone/America/Edmonton' {
+  import {americaEdmonton} from 'date-fns/timeZone'
+  export = americaEdmonton
+}
+
+declare module 'date-fns/timeZone/America/Eirunepe' {
+  import {americaEirunepe} from 'date-fns/timeZone'
+  export = americaEirunepe
+}
+
+declare module 'date-fns/timeZone/America/El_Salvador' {
+  import {americaElSalvador} from 'date-fns/timeZone'
+  export = americaElSalvador
+}
+
+declare module 'date-fns/timeZone/America/Ensenada' {
+  import {americaEnsenada} from 'date-fns/timeZone'
+  export = americaEnsenada
+}
+
+declare module 'date-fns/timeZone/America/Fort_Nelson' {
+  import {americaFortNelson} from 'date-fns/timeZone'
+  export = americaFortNelson
+}
+
+declare module 'date-fns/timeZone/America/Fort_Wayne' {
+  import {americaFortWayne} from 'date-fns/timeZone'
+  export = americaFortWayne
+}
+
+declare module 'date-fns/timeZone/America/Fortaleza' {
+  import {americaFortaleza} from 'date-fns/timeZone'
+  export = americaFortaleza
+}
+
+declare module 'date-fns/timeZone/America/Glace_Bay' {
+  import {americaGlaceBay} from 'date-fns/timeZone'
+  export = americaGlaceBay
+}
+
+declare module 'date-fns/timeZone/America/Godthab' {
+  import {americaGodthab} from 'date-fns/timeZone'
+  export = americaGodthab
+}
+
+declare module 'date-fns/timeZone/America/Goose_Bay' {
+  import {americaGooseBay} from 'date-fns/timeZone'
+  export = americaGooseBay
+}
+
+declare module 'date-fns/timeZone/America/Grand_Turk' {
+  import {americaGrandTurk} from 'date-fns/timeZone'
+  export = americaGrandTurk
+}
+
+declare module 'date-fns/timeZone/America/Grenada' {
+  import {americaGrenada} from 'date-fns/timeZone'
+  export = americaGrenada
+}
+
+declare module 'date-fns/timeZone/America/Guadeloupe' {
+  import {americaGuadeloupe} from 'date-fns/timeZone'
+  export = americaGuadeloupe
+}
+
+declare module 'date-fns/timeZone/America/Guatemala' {
+  import {americaGuatemala} from 'date-fns/timeZone'
+  export = americaGuatemala
+}
+
+declare module 'date-fns/timeZone/America/Guayaquil' {
+  import {americaGuayaquil} from 'date-fns/timeZone'
+  export = americaGuayaquil
+}
+
+declare module 'date-fns/timeZone/America/Guyana' {
+  import {americaGuyana} from 'date-fns/timeZone'
+  export = americaGuyana
+}
+
+declare module 'date-fns/timeZone/America/Halifax' {
+  import {americaHalifax} from 'date-fns/timeZone'
+  export = americaHalifax
+}
+
+declare module 'date-fns/timeZone/America/Havana' {
+  import {americaHavana} from 'date-fns/timeZone'
+  export = americaHavana
+}
+
+declare module 'date-fns/timeZone/America/Hermosillo' {
+  import {americaHermosillo} from 'date-fns/timeZone'
+  export = americaHermosillo
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Indianapolis' {
+  import {americaIndianaIndianapolis} from 'date-fns/timeZone'
+  export = americaIndianaIndianapolis
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Knox' {
+  import {americaIndianaKnox} from 'date-fns/timeZone'
+  export = americaIndianaKnox
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Marengo' {
+  import {americaIndianaMarengo} from 'date-fns/timeZone'
+  export = americaIndianaMarengo
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Petersburg' {
+  import {americaIndianaPetersburg} from 'date-fns/timeZone'
+  export = americaIndianaPetersburg
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Tell_City' {
+  import {americaIndianaTellCity} from 'date-fns/timeZone'
+  export = americaIndianaTellCity
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Vevay' {
+  import {americaIndianaVevay} from 'date-fns/timeZone'
+  export = americaIndianaVevay
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Vincennes' {
+  import {americaIndianaVincennes} from 'date-fns/timeZone'
+  export = americaIndianaVincennes
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Winamac' {
+  import {americaIndianaWinamac} from 'date-fns/timeZone'
+  export = americaIndianaWinamac
+}
+
+declare module 'date-fns/timeZone/America/Indianapolis' {
+  import {americaIndianapolis} from 'date-fns/timeZone'
+  export = americaIndianapolis
+}
+
+declare module 'date-fns/timeZone/America/Inuvik' {
+  import {americaInuvik} from 'date-fns/timeZone'
+  export = americaInuvik
+}
+
+declare module 'date-fns/timeZone/America/Iqaluit' {
+  import {americaIqaluit} from 'date-fns/timeZone'
+  export = americaIqaluit
+}
+
+declare module 'date-fns/timeZone/America/Jamaica' {
+  import {americaJamaica} from 'date-fns/timeZone'
+  export = americaJamaica
+}
+
+declare module 'date-fns/timeZone/America/Jujuy' {
+  import {americaJujuy} from 'date-fns/timeZone'
+  export = americaJujuy
+}
+
+declare module 'date-fns/timeZone/America/Juneau' {
+  import {americaJuneau} from 'date-fns/timeZone'
+  export = americaJuneau
+}
+
+declare module 'date-fns/timeZone/America/Kentucky/Louisville' {
+  import {americaKentuckyLouisville} from 'date-fns/timeZone'
+  export = americaKentuckyLouisville
+}
+
+declare module 'date-fns/timeZone/America/Kentucky/Monticello' {
+  import {americaKentuckyMonticello} from 'date-fns/timeZone'
+  export = americaKentuckyMonticello
+}
+
+declare module 'date-fns/timeZone/America/Knox_IN' {
+  import {americaKnoxIN} from 'date-fns/timeZone'
+  export = americaKnoxIN
+}
+
+declare module 'date-fns/timeZone/America/Kralendijk' {
+  import {americaKralendijk} from 'date-fns/timeZone'
+  export = americaKralendijk
+}
+
+declare module 'date-fns/timeZone/America/La_Paz' {
+  import {americaLaPaz} from 'date-fns/timeZone'
+  export = americaLaPaz
+}
+
+declare module 'date-fns/timeZone/America/Lima' {
+  import {americaLima} from 'date-fns/timeZone'
+  export = americaLima
+}
+
+declare module 'date-fns/timeZone/America/Los_Angeles' {
+  import {americaLosAngeles} from 'date-fns/timeZone'
+  export = americaLosAngeles
+}
+
+declare module 'date-fns/timeZone/America/Louisville' {
+  import {americaLouisville} from 'date-fns/timeZone'
+  export = americaLouisville
+}
+
+declare module 'date-fns/timeZone/America/Lower_Princes' {
+  import {americaLowerPrinces} from 'date-fns/timeZone'
+  export = americaLowerPrinces
+}
+
+declare module 'date-fns/timeZone/America/Maceio' {
+  import {americaMaceio} from 'date-fns/timeZone'
+  export = americaMaceio
+}
+
+declare module 'date-fns/timeZone/America/Managua' {
+  import {americaManagua} from 'date-fns/timeZone'
+  export = americaManagua
+}
+
+declare module 'date-fns/timeZone/America/Manaus' {
+  import {americaManaus} from 'date-fns/timeZone'
+  export = americaManaus
+}
+
+declare module 'date-fns/timeZone/America/Marigot' {
+  import {americaMarigot} from 'date-fns/timeZone'
+  export = americaMarigot
+}
+
+declare module 'date-fns/timeZone/America/Martinique' {
+  import {americaMartinique} from 'date-fns/timeZone'
+  export = americaMartinique
+}
+
+declare module 'date-fns/timeZone/America/Matamoros' {
+  import {americaMatamoros} from 'date-fns/timeZone'
+  export = americaMatamoros
+}
+
+declare module 'date-fns/timeZone/America/Mazatlan' {
+  import {americaMazatlan} from 'date-fns/timeZone'
+  export = americaMazatlan
+}
+
+declare module 'date-fns/timeZone/America/Mendoza' {
+  import {americaMendoza} from 'date-fns/timeZone'
+  export = americaMendoza
+}
+
+declare module 'date-fns/timeZone/America/Menominee' {
+  import {americaMenominee} from 'date-fns/timeZone'
+  export = americaMenominee
+}
+
+declare module 'date-fns/timeZone/America/Merida' {
+  import {americaMerida} from 'date-fns/timeZone'
+  export = americaMerida
+}
+
+declare module 'date-fns/timeZone/America/Metlakatla' {
+  import {americaMetlakatla} from 'date-fns/timeZone'
+  export = americaMetlakatla
+}
+
+declare module 'date-fns/timeZone/America/Mexico_City' {
+  import {americaMexicoCity} from 'date-fns/timeZone'
+  export = americaMexicoCity
+}
+
+declare module 'date-fns/timeZone/America/Miquelon' {
+  import {americaMiquelon} from 'date-fns/timeZone'
+  export = americaMiquelon
+}
+
+declare module 'date-fns/timeZone/America/Moncton' {
+  import {americaMoncton} from 'date-fns/timeZone'
+  export = americaMoncton
+}
+
+declare module 'date-fns/timeZone/America/Monterrey' {
+  import {americaMonterrey} from 'date-fns/timeZone'
+  export = americaMonterrey
+}
+
+declare module 'date-fns/timeZone/America/Montevideo' {
+  import {americaMontevideo} from 'date-fns/timeZone'
+  export = americaMontevideo
+}
+
+declare module 'date-fns/timeZone/America/Montreal' {
+  import {americaMontreal} from 'date-fns/timeZone'
+  export = americaMontreal
+}
+
+declare module 'date-fns/timeZone/America/Montserrat' {
+  import {americaMontserrat} from 'date-fns/timeZone'
+  export = americaMontserrat
+}
+
+declare module 'date-fns/timeZone/America/Nassau' {
+  import {americaNassau} from 'date-fns/timeZone'
+  export = americaNassau
+}
+
+declare module 'date-fns/timeZone/America/New_York' {
+  import {americaNewYork} from 'date-fns/timeZone'
+  export = americaNewYork
+}
+
+declare module 'date-fns/timeZone/America/Nipigon' {
+  import {americaNipigon} from 'date-fns/timeZone'
+  export = americaNipigon
+}
+
+declare module 'date-fns/timeZone/America/Nome' {
+  import {americaNome} from 'date-fns/timeZone'
+  export = americaNome
+}
+
+declare module 'date-fns/timeZone/America/Noronha' {
+  import {americaNoronha} from 'date-fns/timeZone'
+  export = americaNoronha
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/Beulah' {
+  import {americaNorthDakotaBeulah} from 'date-fns/timeZone'
+  export = americaNorthDakotaBeulah
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/Center' {
+  import {americaNorthDakotaCenter} from 'date-fns/timeZone'
+  export = americaNorthDakotaCenter
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/New_Salem' {
+  import {americaNorthDakotaNewSalem} from 'date-fns/timeZone'
+  export = americaNorthDakotaNewSalem
+}
+
+declare module 'date-fns/timeZone/America/Nuuk' {
+  import {americaNuuk} from 'date-fns/timeZone'
+  export = americaNuuk
+}
+
+declare module 'date-fns/timeZone/America/Ojinaga' {
+  import {americaOjinaga} from 'date-fns/timeZone'
+  export = americaOjinaga
+}
+
+declare module 'date-fns/timeZone/America/Panama' {
+  import {americaPanama} from 'date-fns/timeZone'
+  export = americaPanama
+}
+
+declare module 'date-fns/timeZone/America/Pangnirtung' {
+  import {americaPangnirtung} from 'date-fns/timeZone'
+  export = americaPangnirtung
+}
+
+declare module 'date-fns/timeZone/America/Paramaribo' {
+  import {americaParamaribo} from 'date-fns/timeZone'
+  export = americaParamaribo
+}
+
+declare module 'date-fns/timeZone/America/Phoenix' {
+  import {americaPhoenix} from 'date-fns/timeZone'
+  export = americaPhoenix
+}
+
+declare module 'date-fns/timeZone/America/Port-au-Prince' {
+  import {americaPortAuPrince} from 'date-fns/timeZone'
+  export = americaPortAuPrince
+}
+
+declare module 'date-fns/timeZone/America/Port_of_Spain' {
+  import {americaPortOfSpain} from 'date-fns/timeZone'
+  export = americaPortOfSpain
+}
+
+declare module 'date-fns/timeZone/America/Porto_Acre' {
+  import {americaPortoAcre} from 'date-fns/timeZone'
+  export = americaPortoAcre
+}
+
+declare module 'date-fns/timeZone/America/Porto_Velho' {
+  import {americaPortoVelho} from 'date-fns/timeZone'
+  export = americaPortoVelho
+}
+
+declare module 'date-fns/timeZone/America/Puerto_Rico' {
+  import {americaPuertoRico} from 'date-fns/timeZone'
+  export = americaPuertoRico
+}
+
+declare module 'date-fns/timeZone/America/Punta_Arenas' {
+  import {americaPuntaArenas} from 'date-fns/timeZone'
+  export = americaPuntaArenas
+}
+
+declare module 'date-fns/timeZone/America/Rainy_River' {
+  import {americaRainyRiver} from 'date-fns/timeZone'
+  export = americaRainyRiver
+}
+
+declare module 'date-fns/timeZone/America/Rankin_Inlet' {
+  import {americaRankinInlet} from 'date-fns/timeZone'
+  export = americaRankinInlet
+}
+
+declare module 'date-fns/timeZone/America/Recife' {
+  import {americaRecife} from 'date-fns/timeZone'
+  export = americaRecife
+}
+
+declare module 'date-fns/timeZone/America/Regina' {
+  import {americaRegina} from 'date-fns/timeZone'
+  export = americaRegina
+}
+
+declare module 'date-fns/timeZone/America/Resolute' {
+  import {americaResolute} from 'date-fns/timeZone'
+  export = americaResolute
+}
+
+declare module 'date-fns/timeZone/America/Rio_Branco' {
+  import {americaRioBranco} from 'date-fns/timeZone'
+  export = americaRioBranco
+}
+
+declare module 'date-fns/timeZone/America/Rosario' {
+  import {americaRosario} from 'date-fns/timeZone'
+  export = americaRosario
+}
+
+declare module 'date-fns/timeZone/America/Santa_Isabel' {
+  import {americaSantaIsabel} from 'date-fns/timeZone'
+  export = americaSantaIsabel
+}
+
+declare module 'date-fns/timeZone/America/Santarem' {
+  import {americaSantarem} from 'date-fns/timeZone'
+  export = americaSantarem
+}
+
+declare module 'date-fns/timeZone/America/Santiago' {
+  import {americaSantiago} from 'date-fns/timeZone'
+  export = americaSantiago
+}
+
+declare module 'date-fns/timeZone/America/Santo_Domingo' {
+  import {americaSantoDomingo} from 'date-fns/timeZone'
+  export = americaSantoDomingo
+}
+
+declare module 'date-fns/timeZone/America/Sao_Paulo' {
+  import {americaSaoPaulo} from 'date-fns/timeZone'
+  export = americaSaoPaulo
+}
+
+declare module 'date-fns/timeZone/America/Scoresbysund' {
+  import {americaScoresbysund} from 'date-fns/timeZone'
+  export = americaScoresbysund
+}
+
+declare module 'date-fns/timeZone/America/Shiprock' {
+  import {americaShiprock} from 'date-fns/timeZone'
+  export = americaShiprock
+}
+
+declare module 'date-fns/timeZone/America/Sitka' {
+  import {americaSitka} from 'date-fns/timeZone'
+  export = americaSitka
+}
+
+declare module 'date-fns/timeZone/America/St_Barthelemy' {
+  import {americaStBarthelemy} from 'date-fns/timeZone'
+  export = americaStBarthelemy
+}
+
+declare module 'date-fns/timeZone/America/St_Johns' {
+  import {americaStJohns} from 'date-fns/timeZone'
+  export = americaStJohns
+}
+
+declare module 'date-fns/timeZone/America/St_Kitts' {
+  import {americaStKitts} from 'date-fns/timeZone'
+  export = americaStKitts
+}
+
+declare module 'date-fns/timeZone/America/St_Lucia' {
+  import {americaStLucia} from 'date-fns/timeZone'
+  export = americaStLucia
+}
+
+declare module 'date-fns/timeZone/America/St_Thomas' {
+  import {americaStThomas} from 'date-fns/timeZone'
+  export = americaStThomas
+}
+
+declare module 'date-fns/timeZone/America/St_Vincent' {
+  import {americaStVincent} from 'date-fns/timeZone'
+  export = americaStVincent
+}
+
+declare module 'date-fns/timeZone/America/Swift_Current' {
+  import {americaSwiftCurrent} from 'date-fns/timeZone'
+  export = americaSwiftCurrent
+}
+
+declare module 'date-fns/timeZone/America/Tegucigalpa' {
+  import {americaTegucigalpa} from 'date-fns/timeZone'
+  export = americaTegucigalpa
+}
+
+declare module 'date-fns/timeZone/America/Thule' {
+  import {americaThule} from 'date-fns/timeZone'
+  export = americaThule
+}
+
+declare module 'date-fns/timeZone/America/Thunder_Bay' {
+  import {americaThunderBay} from 'date-fns/timeZone'
+  export = americaThunderBay
+}
+
+declare module 'date-fns/timeZone/America/Tijuana' {
+  import {americaTijuana} from 'date-fns/timeZone'
+  export = americaTijuana
+}
+
+declare module 'date-fns/timeZone/America/Toronto' {
+  import {americaToronto} from 'date-fns/timeZone'
+  export = americaToronto
+}
+
+declare module 'date-fns/timeZone/America/Tortola' {
+  import {americaTortola} from 'date-fns/timeZone'
+  export = americaTortola
+}
+
+declare module 'date-fns/timeZone/America/Vancouver' {
+  import {americaVancouver} from 'date-fns/timeZone'
+  export = americaVancouver
+}
+
+declare module 'date-fns/timeZone/America/Virgin' {
+  import {americaVirgin} from 'date-fns/timeZone'
+  export = americaVirgin
+}
+
+declare module 'date-fns/timeZone/America/Whitehorse' {
+  import {americaWhitehorse} from 'date-fns/timeZone'
+  export = americaWhitehorse
+}
+
+declare module 'date-fns/timeZone/America/Winnipeg' {
+  import {americaWinnipeg} from 'date-fns/timeZone'
+  export = americaWinnipeg
+}
+
+declare module 'date-fns/timeZone/America/Yakutat' {
+  import {americaYakutat} from 'date-fns/timeZone'
+  export = americaYakutat
+}
+
+declare module 'date-fns/timeZone/America/Yellowknife' {
+  import {americaYellowknife} from 'date-fns/timeZone'
+  export = americaYellowknife
+}
+
+declare module 'date-fns/timeZone/Antarctica/Casey' {
+  import {antarcticaCasey} from 'date-fns/timeZone'
+  export = antarcticaCasey
+}
+
+declare module 'date-fns/timeZone/Antarctica/Davis' {
+  import {antarcticaDavis} from 'date-fns/timeZone'
+  export = antarcticaDavis
+}
+
+declare module 'date-fns/timeZone/Antarctica/DumontDUrville' {
+  import {antarcticaDumontDUrville} from 'date-fns/timeZone'
+  export = antarcticaDumontDUrville
+}
+
+declare module 'date-fns/timeZone/Antarctica/Macquarie' {
+  import {antarcticaMacquarie} from 'date-fns/timeZone'
+  export = antarcticaMacquarie
+}
+
+declare module 'date-fns/timeZone/Antarctica/Mawson' {
+  import {antarcticaMawson} from 'date-fns/timeZone'
+  export = antarcticaMawson
+}
+
+declare module 'date-fns/timeZone/Antarctica/McMurdo' {
+  import {antarcticaMcMurdo} from 'date-fns/timeZone'
+  export = antarcticaMcMurdo
+}
+
+declare module 'date-fns/timeZone/Antarctica/Palmer' {
+  import {antarcticaPalmer} from 'date-fns/timeZone'
+  export = antarcticaPalmer
+}
+
+declare module 'date-fns/timeZone/Antarctica/Rothera' {
+  import {antarcticaRothera} from 'date-fns/timeZone'
+  export = antarcticaRothera
+}
+
+declare module 'date-fns/timeZone/Antarctica/South_Pole' {
+  import {antarcticaSouthPole} from 'date-fns/timeZone'
+  export = antarcticaSouthPole
+}
+
+declare module 'date-fns/timeZone/Antarctica/Syowa' {
+  import {antarcticaSyowa} from 'date-fns/timeZone'
+  export = antarcticaSyowa
+}
+
+declare module 'date-fns/timeZone/Antarctica/Troll' {
+  import {antarcticaTroll} from 'date-fns/timeZone'
+  export = antarcticaTroll
+}
+
+declare module 'date-fns/timeZone/Antarctica/Vostok' {
+  import {antarcticaVostok} from 'date-fns/timeZone'
+  export = antarcticaVostok
+}
+
+declare module 'date-fns/timeZone/Arctic/Longyearbyen' {
+  import {arcticLongyearbyen} from 'date-fns/timeZone'
+  export = arcticLongyearbyen
+}
+
+declare module 'date-fns/timeZone/Asia/Aden' {
+  import {asiaAden} from 'date-fns/timeZone'
+  export = asiaAden
+}
+
+declare module 'date-fns/timeZone/Asia/Almaty' {
+  import {asiaAlmaty} from 'date-fns/timeZone'
+  export = asiaAlmaty
+}
+
+declare module 'date-fns/timeZone/Asia/Amman' {
+  import {asiaAmman} from 'date-fns/timeZone'
+  export = asiaAmman
+}
+
+declare module 'date-fns/timeZone/Asia/Anadyr' {
+  import {asiaAnadyr} from 'date-fns/timeZone'
+  export = asiaAnadyr
+}
+
+declare module 'date-fns/timeZone/Asia/Aqtau' {
+  import {asiaAqtau} from 'date-fns/timeZone'
+  export = asiaAqtau
+}
+
+declare module 'date-fns/timeZone/Asia/Aqtobe' {
+  import {asiaAqtobe} from 'date-fns/timeZone'
+  export = asiaAqtobe
+}
+
+declare module 'date-fns/timeZone/Asia/Ashgabat' {
+  import {asiaAshgabat} from 'date-fns/timeZone'
+  export = asiaAshgabat
+}
+
+declare module 'date-fns/timeZone/Asia/Ashkhabad' {
+  import {asiaAshkhabad} from 'date-fns/timeZone'
+  export = asiaAshkhabad
+}
+
+declare module 'date-fns/timeZone/Asia/Atyrau' {
+  import {asiaAtyrau} from 'date-fns/timeZone'
+  export = asiaAtyrau
+}
+
+declare module 'date-fns/timeZone/Asia/Baghdad' {
+  import {asiaBaghdad} from 'date-fns/timeZone'
+  export = asiaBaghdad
+}
+
+declare module 'date-fns/timeZone/Asia/Bahrain' {
+  import {asiaBahrain} from 'date-fns/timeZone'
+  export = asiaBahrain
+}
+
+declare module 'date-fns/timeZone/Asia/Baku' {
+  import {asiaBaku} from 'date-fns/timeZone'
+  export = asiaBaku
+}
+
+declare module 'date-fns/timeZone/Asia/Bangkok' {
+  import {asiaBangkok} from 'date-fns/timeZone'
+  export = asiaBangkok
+}
+
+declare module 'date-fns/timeZone/Asia/Barnaul' {
+  import {asiaBarnaul} from 'date-fns/timeZone'
+  export = asiaBarnaul
+}
+
+declare module 'date-fns/timeZone/Asia/Beirut' {
+  import {asiaBeirut} from 'date-fns/timeZone'
+  export = asiaBeirut
+}
+
+declare module 'date-fns/timeZone/Asia/Bishkek' {
+  import {asiaBishkek} from 'date-fns/timeZone'
+  export = asiaBishkek
+}
+
+declare module 'date-fns/timeZone/Asia/Brunei' {
+  import {asiaBrunei} from 'date-fns/timeZone'
+  export = asiaBrunei
+}
+
+declare module 'date-fns/timeZone/Asia/Calcutta' {
+  import {asiaCalcutta} from 'date-fns/timeZone'
+  export = asiaCalcutta
+}
+
+declare module 'date-fns/timeZone/Asia/Chita' {
+  import {asiaChita} from 'date-fns/timeZone'
+  export = asiaChita
+}
+
+declare module 'date-fns/timeZone/Asia/Choibalsan' {
+  import {asiaChoibalsan} from 'date-fns/timeZone'
+  export = asiaChoibalsan
+}
+
+declare module 'date-fns/timeZone/Asia/Chongqing' {
+  import {asiaChongqing} from 'date-fns/timeZone'
+  export = asiaChongqing
+}
+
+declare module 'date-fns/timeZone/Asia/Chungking' {
+  import {asiaChungking} from 'date-fns/timeZone'
+  export = asiaChungking
+}
+
+declare module 'date-fns/timeZone/Asia/Colombo' {
+  import {asiaColombo} from 'date-fns/timeZone'
+  export = asiaColombo
+}
+
+declare module 'date-fns/timeZone/Asia/Dacca' {
+  import {asiaDacca} from 'date-fns/timeZone'
+  export = asiaDacca
+}
+
+declare module 'date-fns/timeZone/Asia/Damascus' {
+  import {asiaDamascus} from 'date-fns/timeZone'
+  export = asiaDamascus
+}
+
+declare module 'date-fns/timeZone/Asia/Dhaka' {
+  import {asiaDhaka} from 'date-fns/timeZone'
+  export = asiaDhaka
+}
+
+declare module 'date-fns/timeZone/Asia/Dili' {
+  import {asiaDili} from 'date-fns/timeZone'
+  export = asiaDili
+}
+
+declare module 'date-fns/timeZone/Asia/Dubai' {
+  import {asiaDubai} from 'date-fns/timeZone'
+  export = asiaDubai
+}
+
+declare module 'date-fns/timeZone/Asia/Dushanbe' {
+  import {asiaDushanbe} from 'date-fns/timeZone'
+  export = asiaDushanbe
+}
+
+declare module 'date-fns/timeZone/Asia/Famagusta' {
+  import {asiaFamagusta} from 'date-fns/timeZone'
+  export = asiaFamagusta
+}
+
+declare module 'date-fns/timeZone/Asia/Gaza' {
+  import {asiaGaza} from 'date-fns/timeZone'
+  export = asiaGaza
+}
+
+declare module 'date-fns/timeZone/Asia/Harbin' {
+  import {asiaHarbin} from 'date-fns/timeZone'
+  export = asiaHarbin
+}
+
+declare module 'date-fns/timeZone/Asia/Hebron' {
+  import {asiaHebron} from 'date-fns/timeZone'
+  export = asiaHebron
+}
+
+declare module 'date-fns/timeZone/Asia/Ho_Chi_Minh' {
+  import {asiaHoChiMinh} from 'date-fns/timeZone'
+  export = asiaHoChiMinh
+}
+
+declare module 'date-fns/timeZone/Asia/Hong_Kong' {
+  import {asiaHongKong} from 'date-fns/timeZone'
+  export = asiaHongKong
+}
+
+declare module 'date-fns/timeZone/Asia/Hovd' {
+  import {asiaHovd} from 'date-fns/timeZone'
+  export = asiaHovd
+}
+
+declare module 'date-fns/timeZone/Asia/Irkutsk' {
+  import {asiaIrkutsk} from 'date-fns/timeZone'
+  export = asiaIrkutsk
+}
+
+declare module 'date-fns/timeZone/Asia/Istanbul' {
+  import {asiaIstanbul} from 'date-fns/timeZone'
+  export = asiaIstanbul
+}
+
+declare module 'date-fns/timeZone/Asia/Jakarta' {
+  import {asiaJakarta} from 'date-fns/timeZone'
+  export = asiaJakarta
+}
+
+declare module 'date-fns/timeZone/Asia/Jayapura' {
+  import {asiaJayapura} from 'date-fns/timeZone'
+  export = asiaJayapura
+}
+
+declare module 'date-fns/timeZone/Asia/Jerusalem' {
+  import {asiaJerusalem} from 'date-fns/timeZone'
+  export = asiaJerusalem
+}
+
+declare module 'date-fns/timeZone/Asia/Kabul' {
+  import {asiaKabul} from 'date-fns/timeZone'
+  export = asiaKabul
+}
+
+declare module 'date-fns/timeZone/Asia/Kamchatka' {
+  import {asiaKamchatka} from 'date-fns/timeZone'
+  export = asiaKamchatka
+}
+
+declare module 'date-fns/timeZone/Asia/Karachi' {
+  import {asiaKarachi} from 'date-fns/timeZone'
+  export = asiaKarachi
+}
+
+declare module 'date-fns/timeZone/Asia/Kashgar' {
+  import {asiaKashgar} from 'date-fns/timeZone'
+  export = asiaKashgar
+}
+
+declare module 'date-fns/timeZone/Asia/Kathmandu' {
+  import {asiaKathmandu} from 'date-fns/timeZone'
+  export = asiaKathmandu
+}
+
+declare module 'date-fns/timeZone/Asia/Katmandu' {
+  import {asiaKatmandu} from 'date-fns/timeZone'
+  export = asiaKatmandu
+}
+
+declare module 'date-fns/timeZone/Asia/Khandyga' {
+  import {asiaKhandyga} from 'date-fns/timeZone'
+  export = asiaKhandyga
+}
+
+declare module 'date-fns/timeZone/Asia/Kolkata' {
+  import {asiaKolkata} from 'date-fns/timeZone'
+  export = asiaKolkata
+}
+
+declare module 'date-fns/timeZone/Asia/Krasnoyarsk' {
+  import {asiaKrasnoyarsk} from 'date-fns/timeZone'
+  export = asiaKrasnoyarsk
+}
+
+declare module 'date-fns/timeZone/Asia/Kuala_Lumpur' {
+  import {asiaKualaLumpur} from 'date-fns/timeZone'
+  export = asiaKualaLumpur
+}
+
+declare module 'date-fns/timeZone/Asia/Kuching' {
+  import {asiaKuching} from 'date-fns/timeZone'
+  export = asiaKuching
+}
+
+declare module 'date-fns/timeZone/Asia/Kuwait' {
+  import {asiaKuwait} from 'date-fns/timeZone'
+  export = asiaKuwait
+}
+
+declare module 'date-fns/timeZone/Asia/Macao' {
+  import {asiaMacao} from 'date-fns/timeZone'
+  export = asiaMacao
+}
+
+declare module 'date-fns/timeZone/Asia/Macau' {
+  import {asiaMacau} from 'date-fns/timeZone'
+  export = asiaMacau
+}
+
+declare module 'date-fns/timeZone/Asia/Magadan' {
+  import {asiaMagadan} from 'date-fns/timeZone'
+  export = asiaMagadan
+}
+
+declare module 'date-fns/timeZone/Asia/Makassar' {
+  import {asiaMakassar} from 'date-fns/timeZone'
+  export = asiaMakassar
+}
+
+declare module 'date-fns/timeZone/Asia/Manila' {
+  import {asiaManila} from 'date-fns/timeZone'
+  export = asiaManila
+}
+
+declare module 'date-fns/timeZone/Asia/Muscat' {
+  import {asiaMuscat} from 'date-fns/timeZone'
+  export = asiaMuscat
+}
+
+declare module 'date-fns/timeZone/Asia/Nicosia' {
+  import {asiaNicosia} from 'date-fns/timeZone'
+  export = asiaNicosia
+}
+
+declare module 'date-fns/timeZone/Asia/Novokuznetsk' {
+  import {asiaNovokuznetsk} from 'date-fns/timeZone'
+  export = asiaNovokuznetsk
+}
+
+declare module 'date-fns/timeZone/Asia/Novosibirsk' {
+  import {asiaNovosibirsk} from 'date-fns/timeZone'
+  export = asiaNovosibirsk
+}
+
+declare module 'date-fns/timeZone/Asia/Omsk' {
+  import {asiaOmsk} from 'date-fns/timeZone'
+  export = asiaOmsk
+}
+
+declare module 'date-fns/timeZone/Asia/Oral' {
+  import {asiaOral} from 'date-fns/timeZone'
+  export = asiaOral
+}
+
+declare module 'date-fns/timeZone/Asia/Phnom_Penh' {
+  import {asiaPhnomPenh} from 'date-fns/timeZone'
+  export = asiaPhnomPenh
+}
+
+declare module 'date-fns/timeZone/Asia/Pontianak' {
+  import {asiaPontianak} from 'date-fns/timeZone'
+  export = asiaPontianak
+}
+
+declare module 'date-fns/timeZone/Asia/Pyongyang' {
+  import {asiaPyongyang} from 'date-fns/timeZone'
+  export = asiaPyongyang
+}
+
+declare module 'date-fns/timeZone/Asia/Qatar' {
+  import {asiaQatar} from 'date-fns/timeZone'
+  export = asiaQatar
+}
+
+declare module 'date-fns/timeZone/Asia/Qostanay' {
+  import {asiaQostanay} from 'date-fns/timeZone'
+  export = asiaQostanay
+}
+
+declare module 'date-fns/timeZone/Asia/Qyzylorda' {
+  import {asiaQyzylorda} from 'date-fns/timeZone'
+  export = asiaQyzylorda
+}
+
+declare module 'date-fns/timeZone/Asia/Rangoon' {
+  import {asiaRangoon} from 'date-fns/timeZone'
+  export = asiaRangoon
+}
+
+declare module 'date-fns/timeZone/Asia/Riyadh' {
+  import {asiaRiyadh} from 'date-fns/timeZone'
+  export = asiaRiyadh
+}
+
+declare module 'date-fns/timeZone/Asia/Saigon' {
+  import {asiaSaigon} from 'date-fns/timeZone'
+  export = asiaSaigon
+}
+
+declare module 'date-fns/timeZone/Asia/Sakhalin' {
+  import {asiaSakhalin} from 'date-fns/timeZone'
+  export = asiaSakhalin
+}
+
+declare module 'date-fns/timeZone/Asia/Samarkand' {
+  import {asiaSamarkand} from 'date-fns/timeZone'
+  export = asiaSamarkand
+}
+
+declare module 'date-fns/timeZone/Asia/Seoul' {
+  import {asiaSeoul} from 'date-fns/timeZone'
+  export = asiaSeoul
+}
+
+declare module 'date-fns/timeZone/Asia/Shanghai' {
+  import {asiaShanghai} from 'date-fns/timeZone'
+  export = asiaShanghai
+}
+
+declare module 'date-fns/timeZone/Asia/Singapore' {
+  import {asiaSingapore} from 'date-fns/timeZone'
+  export = asiaSingapore
+}
+
+declare module 'date-fns/timeZone/Asia/Srednekolymsk' {
+  import {asiaSrednekolymsk} from 'date-fns/timeZone'
+  export = asiaSrednekolymsk
+}
+
+declare module 'date-fns/timeZone/Asia/Taipei' {
+  import {asiaTaipei} from 'date-fns/timeZone'
+  export = asiaTaipei
+}
+
+declare module 'date-fns/timeZone/Asia/Tashkent' {
+  import {asiaTashkent} from 'date-fns/timeZone'
+  export = asiaTashkent
+}
+
+declare module 'date-fns/timeZone/Asia/Tbilisi' {
+  import {asiaTbilisi} from 'date-fns/timeZone'
+  export = asiaTbilisi
+}
+
+declare module 'date-fns/timeZone/Asia/Tehran' {
+  import {asiaTehran} from 'date-fns/timeZone'
+  export = asiaTehran
+}
+
+declare module 'date-fns/timeZone/Asia/Tel_Aviv' {
+  import {asiaTelAviv} from 'date-fns/timeZone'
+  export = asiaTelAviv
+}
+
+declare module 'date-fns/timeZone/Asia/Thimbu' {
+  import {asiaThimbu} from 'date-fns/timeZone'
+  export = asiaThimbu
+}
+
+declare module 'date-fns/timeZone/Asia/Thimphu' {
+  import {asiaThimphu} from 'date-fns/timeZone'
+  export = asiaThimphu
+}
+
+declare module 'date-fns/timeZone/Asia/Tokyo' {
+  import {asiaTokyo} from 'date-fns/timeZone'
+  export = asiaTokyo
+}
+
+declare module 'date-fns/timeZone/Asia/Tomsk' {
+  import {asiaTomsk} from 'date-fns/timeZone'
+  export = asiaTomsk
+}
+
+declare module 'date-fns/timeZone/Asia/Ujung_Pandang' {
+  import {asiaUjungPandang} from 'date-fns/timeZone'
+  export = asiaUjungPandang
+}
+
+declare module 'date-fns/timeZone/Asia/Ulaanbaatar' {
+  import {asiaUlaanbaatar} from 'date-fns/timeZone'
+  export = asiaUlaanbaatar
+}
+
+declare module 'date-fns/timeZone/Asia/Ulan_Bator' {
+  import {asiaUlanBator} from 'date-fns/timeZone'
+  export = asiaUlanBator
+}
+
+declare module 'date-fns/timeZone/Asia/Urumqi' {
+  import {asiaUrumqi} from 'date-fns/timeZone'
+  export = asiaUrumqi
+}
+
+declare module 'date-fns/timeZone/Asia/Ust-Nera' {
+  import {asiaUstNera} from 'date-fns/timeZone'
+  export = asiaUstNera
+}
+
+declare module 'date-fns/timeZone/Asia/Vientiane' {
+  import {asiaVientiane} from 'date-fns/timeZone'
+  export = asiaVientiane
+}
+
+declare module 'date-fns/timeZone/Asia/Vladivostok' {
+  import {asiaVladivostok} from 'date-fns/timeZone'
+  export = asiaVladivostok
+}
+
+declare module 'date-fns/timeZone/Asia/Yakutsk' {
+  import {asiaYakutsk} from 'date-fns/timeZone'
+  export = asiaYakutsk
+}
+
+declare module 'date-fns/timeZone/Asia/Yangon' {
+  import {asiaYangon} from 'date-fns/timeZone'
+  export = asiaYangon
+}
+
+declare module 'date-fns/timeZone/Asia/Yekaterinburg' {
+  import {asiaYekaterinburg} from 'date-fns/timeZone'
+  export = asiaYekaterinburg
+}
+
+declare module 'date-fns/timeZone/Asia/Yerevan' {
+  import {asiaYerevan} from 'date-fns/timeZone'
+  export = asiaYerevan
+}
+
+declare module 'date-fns/timeZone/Atlantic/Azores' {
+  import {atlanticAzores} from 'date-fns/timeZone'
+  export = atlanticAzores
+}
+
+declare module 'date-fns/timeZone/Atlantic/Bermuda' {
+  import {atlanticBermuda} from 'date-fns/timeZone'
+  export = atlanticBermuda
+}
+
+declare module 'date-fns/timeZone/Atlantic/Canary' {
+  import {atlanticCanary} from 'date-fns/timeZone'
+  export = atlanticCanary
+}
+
+declare module 'date-fns/timeZone/Atlantic/Cape_Verde' {
+  import {atlanticCapeVerde} from 'date-fns/timeZone'
+  export = atlanticCapeVerde
+}
+
+declare module 'date-fns/timeZone/Atlantic/Faeroe' {
+  import {atlanticFaeroe} from 'date-fns/timeZone'
+  export = atlanticFaeroe
+}
+
+declare module 'date-fns/timeZone/Atlantic/Faroe' {
+  import {atlanticFaroe} from 'date-fns/timeZone'
+  export = atlanticFaroe
+}
+
+declare module 'date-fns/timeZone/Atlantic/Jan_Mayen' {
+  import {atlanticJanMayen} from 'date-fns/timeZone'
+  export = atlanticJanMayen
+}
+
+declare module 'date-fns/timeZone/Atlantic/Madeira' {
+  import {atlanticMadeira} from 'date-fns/timeZone'
+  export = atlanticMadeira
+}
+
+declare module 'date-fns/timeZone/Atlantic/Reykjavik' {
+  import {atlanticReykjavik} from 'date-fns/timeZone'
+  export = atlanticReykjavik
+}
+
+declare module 'date-fns/timeZone/Atlantic/South_Georgia' {
+  import {atlanticSouthGeorgia} from 'date-fns/timeZone'
+  export = atlanticSouthGeorgia
+}
+
+declare module 'date-fns/timeZone/Atlantic/St_Helena' {
+  import {atlanticStHelena} from 'date-fns/timeZone'
+  export = atlanticStHelena
+}
+
+declare module 'date-fns/timeZone/Atlantic/Stanley' {
+  import {atlanticStanley} from 'date-fns/timeZone'
+  export = atlanticStanley
+}
+
+declare module 'date-fns/timeZone/Australia/ACT' {
+  import {australiaACT} from 'date-fns/timeZone'
+  export = australiaACT
+}
+
+declare module 'date-fns/timeZone/Australia/Adelaide' {
+  import {australiaAdelaide} from 'date-fns/timeZone'
+  export = australiaAdelaide
+}
+
+declare module 'date-fns/timeZone/Australia/Brisbane' {
+  import {australiaBrisbane} from 'date-fns/timeZone'
+  export = australiaBrisbane
+}
+
+declare module 'date-fns/timeZone/Australia/Broken_Hill' {
+  import {australiaBrokenHill} from 'date-fns/timeZone'
+  export = australiaBrokenHill
+}
+
+declare module 'date-fns/timeZone/Australia/Canberra' {
+  import {australiaCanberra} from 'date-fns/timeZone'
+  export = australiaCanberra
+}
+
+declare module 'date-fns/timeZone/Australia/Currie' {
+  import {australiaCurrie} from 'date-fns/timeZone'
+  export = australiaCurrie
+}
+
+declare module 'date-fns/timeZone/Australia/Darwin' {
+  import {australiaDarwin} from 'date-fns/timeZone'
+  export = australiaDarwin
+}
+
+declare module 'date-fns/timeZone/Australia/Eucla' {
+  import {australiaEucla} from 'date-fns/timeZone'
+  export = australiaEucla
+}
+
+declare module 'date-fns/timeZone/Australia/Hobart' {
+  import {australiaHobart} from 'date-fns/timeZone'
+  export = australiaHobart
+}
+
+declare module 'date-fns/timeZone/Australia/LHI' {
+  import {australiaLHI} from 'date-fns/timeZone'
+  export = australiaLHI
+}
+
+declare module 'date-fns/timeZone/Australia/Lindeman' {
+  import {australiaLindeman} from 'date-fns/timeZone'
+  export = australiaLindeman
+}
+
+declare module 'date-fns/timeZone/Australia/Lord_Howe' {
+  import {australiaLordHowe} from 'date-fns/timeZone'
+  export = australiaLordHowe
+}
+
+declare module 'date-fns/timeZone/Australia/Melbourne' {
+  import {australiaMelbourne} from 'date-fns/timeZone'
+  export = australiaMelbourne
+}
+
+declare module 'date-fns/timeZone/Australia/NSW' {
+  import {australiaNSW} from 'date-fns/timeZone'
+  export = australiaNSW
+}
+
+declare module 'date-fns/timeZone/Australia/North' {
+  import {australiaNorth} from 'date-fns/timeZone'
+  export = australiaNorth
+}
+
+declare module 'date-fns/timeZone/Australia/Perth' {
+  import {australiaPerth} from 'date-fns/timeZone'
+  export = australiaPerth
+}
+
+declare module 'date-fns/timeZone/Australia/Queensland' {
+  import {australiaQueensland} from 'date-fns/timeZone'
+  export = australiaQueensland
+}
+
+declare module 'date-fns/timeZone/Australia/South' {
+  import {australiaSouth} from 'date-fns/timeZone'
+  export = australiaSouth
+}
+
+declare module 'date-fns/timeZone/Australia/Sydney' {
+  import {australiaSydney} from 'date-fns/timeZone'
+  export = australiaSydney
+}
+
+declare module 'date-fns/timeZone/Australia/Tasmania' {
+  import {australiaTasmania} from 'date-fns/timeZone'
+  export = australiaTasmania
+}
+
+declare module 'date-fns/timeZone/Australia/Victoria' {
+  import {australiaVictoria} from 'date-fns/timeZone'
+  export = australiaVictoria
+}
+
+declare module 'date-fns/timeZone/Australia/West' {
+  import {australiaWest} from 'date-fns/timeZone'
+  export = australiaWest
+}
+
+declare module 'date-fns/timeZone/Australia/Yancowinna' {
+  import {australiaYancowinna} from 'date-fns/timeZone'
+  export = australiaYancowinna
+}
+
+declare module 'date-fns/timeZone/Brazil/Acre' {
+  import {brazilAcre} from 'date-fns/timeZone'
+  export = brazilAcre
+}
+
+declare module 'date-fns/timeZone/Brazil/DeNoronha' {
+  import {brazilDeNoronha} from 'date-fns/timeZone'
+  export = brazilDeNoronha
+}
+
+declare module 'date-fns/timeZone/Brazil/East' {
+  import {brazilEast} from 'date-fns/timeZone'
+  export = brazilEast
+}
+
+declare module 'date-fns/timeZone/Brazil/West' {
+  import {brazilWest} from 'date-fns/timeZone'
+  export = brazilWest
+}
+
+declare module 'date-fns/timeZone/CET' {
+  import {cet} from 'date-fns/timeZone'
+  export = cet
+}
+
+declare module 'date-fns/timeZone/CST6CDT' {
+  import {cst6cdt} from 'date-fns/timeZone'
+  export = cst6cdt
+}
+
+declare module 'date-fns/timeZone/Canada/Atlantic' {
+  import {canadaAtlantic} from 'date-fns/timeZone'
+  export = canadaAtlantic
+}
+
+declare module 'date-fns/timeZone/Canada/Central' {
+  import {canadaCentral} from 'date-fns/timeZone'
+  export = canadaCentral
+}
+
+declare module 'date-fns/timeZone/Canada/Eastern' {
+  import {canadaEastern} from 'date-fns/timeZone'
+  export = canadaEastern
+}
+
+declare module 'date-fns/timeZone/Canada/Mountain' {
+  import {canadaMountain} from 'date-fns/timeZone'
+  export = canadaMountain
+}
+
+declare module 'date-fns/timeZone/Canada/Newfoundland' {
+  import {canadaNewfoundland} from 'date-fns/timeZone'
+  export = canadaNewfoundland
+}
+
+declare module 'date-fns/timeZone/Canada/Pacific' {
+  import {canadaPacific} from 'date-fns/timeZone'
+  export = canadaPacific
+}
+
+declare module 'date-fns/timeZone/Canada/Saskatchewan' {
+  import {canadaSaskatchewan} from 'date-fns/timeZone'
+  export = canadaSaskatchewan
+}
+
+declare module 'date-fns/timeZone/Canada/Yukon' {
+  import {canadaYukon} from 'date-fns/timeZone'
+  export = canadaYukon
+}
+
+declare module 'date-fns/timeZone/Chile/Continental' {
+  import {chileContinental} from 'date-fns/timeZone'
+  export = chileContinental
+}
+
+declare module 'date-fns/timeZone/Chile/EasterIsland' {
+  import {chileEasterIsland} from 'date-fns/timeZone'
+  export = chileEasterIsland
+}
+
+declare module 'date-fns/timeZone/Cuba' {
+  import {cuba} from 'date-fns/timeZone'
+  export = cuba
+}
+
+declare module 'date-fns/timeZone/EET' {
+  import {eet} from 'date-fns/timeZone'
+  export = eet
+}
+
+declare module 'date-fns/timeZone/EST' {
+  import {est} from 'date-fns/timeZone'
+  export = est
+}
+
+declare module 'date-fns/timeZone/EST5EDT' {
+  import {est5edt} from 'date-fns/timeZone'
+  export = est5edt
+}
+
+declare module 'date-fns/timeZone/Egypt' {
+  import {egypt} from 'date-fns/timeZone'
+  export = egypt
+}
+
+declare module 'date-fns/timeZone/Eire' {
+  import {eire} from 'date-fns/timeZone'
+  export = eire
+}
+
+declare module 'date-fns/timeZone/Etc/GMT' {
+  import {etcGMT} from 'date-fns/timeZone'
+  export = etcGMT
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+0' {
+  import {etcGMTPlus0} from 'date-fns/timeZone'
+  export = etcGMTPlus0
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+1' {
+  import {etcGMTPlus1} from 'date-fns/timeZone'
+  export = etcGMTPlus1
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+10' {
+  import {etcGMTPlus10} from 'date-fns/timeZone'
+  export = etcGMTPlus10
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+11' {
+  import {etcGMTPlus11} from 'date-fns/timeZone'
+  export = etcGMTPlus11
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+12' {
+  import {etcGMTPlus12} from 'date-fns/timeZone'
+  export = etcGMTPlus12
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+2' {
+  import {etcGMTPlus2} from 'date-fns/timeZone'
+  export = etcGMTPlus2
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+3' {
+  import {etcGMTPlus3} from 'date-fns/timeZone'
+  export = etcGMTPlus3
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+4' {
+  import {etcGMTPlus4} from 'date-fns/timeZone'
+  export = etcGMTPlus4
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+5' {
+  import {etcGMTPlus5} from 'date-fns/timeZone'
+  export = etcGMTPlus5
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+6' {
+  import {etcGMTPlus6} from 'date-fns/timeZone'
+  export = etcGMTPlus6
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+7' {
+  import {etcGMTPlus7} from 'date-fns/timeZone'
+  export = etcGMTPlus7
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+8' {
+  import {etcGMTPlus8} from 'date-fns/timeZone'
+  export = etcGMTPlus8
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+9' {
+  import {etcGMTPlus9} from 'date-fns/timeZone'
+  export = etcGMTPlus9
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-0' {
+  import {etcGMTMinus0} from 'date-fns/timeZone'
+  export = etcGMTMinus0
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-1' {
+  import {etcGMTMinus1} from 'date-fns/timeZone'
+  export = etcGMTMinus1
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-10' {
+  import {etcGMTMinus10} from 'date-fns/timeZone'
+  export = etcGMTMinus10
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-11' {
+  import {etcGMTMinus11} from 'date-fns/timeZone'
+  export = etcGMTMinus11
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-12' {
+  import {etcGMTMinus12} from 'date-fns/timeZone'
+  export = etcGMTMinus12
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-13' {
+  import {etcGMTMinus13} from 'date-fns/timeZone'
+  export = etcGMTMinus13
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-14' {
+  import {etcGMTMinus14} from 'date-fns/timeZone'
+  export = etcGMTMinus14
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-2' {
+  import {etcGMTMinus2} from 'date-fns/timeZone'
+  export = etcGMTMinus2
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-3' {
+  import {etcGMTMinus3} from 'date-fns/timeZone'
+  export = etcGMTMinus3
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-4' {
+  import {etcGMTMinus4} from 'date-fns/timeZone'
+  export = etcGMTMinus4
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-5' {
+  import {etcGMTMinus5} from 'date-fns/timeZone'
+  export = etcGMTMinus5
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-6' {
+  import {etcGMTMinus6} from 'date-fns/timeZone'
+  export = etcGMTMinus6
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-7' {
+  import {etcGMTMinus7} from 'date-fns/timeZone'
+  export = etcGMTMinus7
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-8' {
+  import {etcGMTMinus8} from 'date-fns/timeZone'
+  export = etcGMTMinus8
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-9' {
+  import {etcGMTMinus9} from 'date-fns/timeZone'
+  export = etcGMTMinus9
+}
+
+declare module 'date-fns/timeZone/Etc/GMT0' {
+  import {etcGMT0} from 'date-fns/timeZone'
+  export = etcGMT0
+}
+
+declare module 'date-fns/timeZone/Etc/Greenwich' {
+  import {etcGreenwich} from 'date-fns/timeZone'
+  export = etcGreenwich
+}
+
+declare module 'date-fns/timeZone/Etc/UCT' {
+  import {etcUCT} from 'date-fns/timeZone'
+  export = etcUCT
+}
+
+declare module 'date-fns/timeZone/Etc/UTC' {
+  import {etcUTC} from 'date-fns/timeZone'
+  export = etcUTC
+}
+
+declare module 'date-fns/timeZone/Etc/Universal' {
+  import {etcUniversal} from 'date-fns/timeZone'
+  export = etcUniversal
+}
+
+declare module 'date-fns/timeZone/Etc/Zulu' {
+  import {etcZulu} from 'date-fns/timeZone'
+  export = etcZulu
+}
+
+declare module 'date-fns/timeZone/Europe/Amsterdam' {
+  import {europeAmsterdam} from 'date-fns/timeZone'
+  export = europeAmsterdam
+}
+
+declare module 'date-fns/timeZone/Europe/Andorra' {
+  import {europeAndorra} from 'date-fns/timeZone'
+  export = europeAndorra
+}
+
+declare module 'date-fns/timeZone/Europe/Astrakhan' {
+  import {europeAstrakhan} from 'date-fns/timeZone'
+  export = europeAstrakhan
+}
+
+declare module 'date-fns/timeZone/Europe/Athens' {
+  import {europeAthens} from 'date-fns/timeZone'
+  export = europeAthens
+}
+
+declare module 'date-fns/timeZone/Europe/Belfast' {
+  import {europeBelfast} from 'date-fns/timeZone'
+  export = europeBelfast
+}
+
+declare module 'date-fns/timeZone/Europe/Belgrade' {
+  import {europeBelgrade} from 'date-fns/timeZone'
+  export = europeBelgrade
+}
+
+declare module 'date-fns/timeZone/Europe/Berlin' {
+  import {europeBerlin} from 'date-fns/timeZone'
+  export = europeBerlin
+}
+
+declare module 'date-fns/timeZone/Europe/Bratislava' {
+  import {europeBratislava} from 'date-fns/timeZone'
+  export = europeBratislava
+}
+
+declare module 'date-fns/timeZone/Europe/Brussels' {
+  import {europeBrussels} from 'date-fns/timeZone'
+  export = europeBrussels
+}
+
+declare module 'date-fns/timeZone/Europe/Bucharest' {
+  import {europeBucharest} from 'date-fns/timeZone'
+  export = europeBucharest
+}
+
+declare module 'date-fns/timeZone/Europe/Budapest' {
+  import {europeBudapest} from 'date-fns/timeZone'
+  export = europeBudapest
+}
+
+declare module 'date-fns/timeZone/Europe/Busingen' {
+  import {europeBusingen} from 'date-fns/timeZone'
+  export = europeBusingen
+}
+
+declare module 'date-fns/timeZone/Europe/Chisinau' {
+  import {europeChisinau} from 'date-fns/timeZone'
+  export = europeChisinau
+}
+
+declare module 'date-fns/timeZone/Europe/Copenhagen' {
+  import {europeCopenhagen} from 'date-fns/timeZone'
+  export = europeCopenhagen
+}
+
+declare module 'date-fns/timeZone/Europe/Dublin' {
+  import {europeDublin} from 'date-fns/timeZone'
+  export = europeDublin
+}
+
+declare module 'date-fns/timeZone/Europe/Gibraltar' {
+  import {europeGibraltar} from 'date-fns/timeZone'
+  export = europeGibraltar
+}
+
+declare module 'date-fns/timeZone/Europe/Guernsey' {
+  import {europeGuernsey} from 'date-fns/timeZone'
+  export = europeGuernsey
+}
+
+declare module 'date-fns/timeZone/Europe/Helsinki' {
+  import {europeHelsinki} from 'date-fns/timeZone'
+  export = europeHelsinki
+}
+
+declare module 'date-fns/timeZone/Europe/Isle_of_Man' {
+  import {europeIsleOfMan} from 'date-fns/timeZone'
+  export = europeIsleOfMan
+}
+
+declare module 'date-fns/timeZone/Europe/Istanbul' {
+  import {europeIstanbul} from 'date-fns/timeZone'
+  export = europeIstanbul
+}
+
+declare module 'date-fns/timeZone/Europe/Jersey' {
+  import {europeJersey} from 'date-fns/timeZone'
+  export = europeJersey
+}
+
+declare module 'date-fns/timeZone/Europe/Kaliningrad' {
+  import {europeKaliningrad} from 'date-fns/timeZone'
+  export = europeKaliningrad
+}
+
+declare module 'date-fns/timeZone/Europe/Kiev' {
+  import {europeKiev} from 'date-fns/timeZone'
+  export = europeKiev
+}
+
+declare module 'date-fns/timeZone/Europe/Kirov' {
+  import {europeKirov} from 'date-fns/timeZone'
+  export = europeKirov
+}
+
+declare module 'date-fns/timeZone/Europe/Kyiv' {
+  import {europeKyiv} from 'date-fns/timeZone'
+  export = europeKyiv
+}
+
+declare module 'date-fns/timeZone/Europe/Lisbon' {
+  import {europeLisbon} from 'date-fns/timeZone'
+  export = europeLisbon
+}
+
+declare module 'date-fns/timeZone/Europe/Ljubljana' {
+  import {europeLjubljana} from 'date-fns/timeZone'
+  export = europeLjubljana
+}
+
+declare module 'date-fns/timeZone/Europe/London' {
+  import {europeLondon} from 'date-fns/timeZone'
+  export = europeLondon
+}
+
+declare module 'date-fns/timeZone/Europe/Luxembourg' {
+  import {europeLuxembourg} from 'date-fns/timeZone'
+  export = europeLuxembourg
+}
+
+declare module 'date-fns/timeZone/Europe/Madrid' {
+  import {europeMadrid} from 'date-fns/timeZone'
+  export = europeMadrid
+}
+
+declare module 'date-fns/timeZone/Europe/Malta' {
+  import {europeMalta} from 'date-fns/timeZone'
+  export = europeMalta
+}
+
+declare module 'date-fns/timeZone/Europe/Mariehamn' {
+  import {europeMariehamn} from 'date-fns/timeZone'
+  export = europeMariehamn
+}
+
+declare module 'date-fns/timeZone/Europe/Minsk' {
+  import {europeMinsk} from 'date-fns/timeZone'
+  export = europeMinsk
+}
+
+declare module 'date-fns/timeZone/Europe/Monaco' {
+  import {europeMonaco} from 'date-fns/timeZone'
+  export = europeMonaco
+}
+
+declare module 'date-fns/timeZone/Europe/Moscow' {
+  import {europeMoscow} from 'date-fns/timeZone'
+  export = europeMoscow
+}
+
+declare module 'date-fns/timeZone/Europe/Nicosia' {
+  import {europeNicosia} from 'date-fns/timeZone'
+  export = europeNicosia
+}
+
+declare module 'date-fns/timeZone/Europe/Oslo' {
+  import {europeOslo} from 'date-fns/timeZone'
+  export = europeOslo
+}
+
+declare module 'date-fns/timeZone/Europe/Paris' {
+  import {europeParis} from 'date-fns/timeZone'
+  export = europeParis
+}
+
+declare module 'date-fns/timeZone/Europe/Podgorica' {
+  import {europePodgorica} from 'date-fns/timeZone'
+  export = europePodgorica
+}
+
+declare module 'date-fns/timeZone/Europe/Prague' {
+  import {europePrague} from 'date-fns/timeZone'
+  export = europePrague
+}
+
+declare module 'date-fns/timeZone/Europe/Riga' {
+  import {europeRiga} from 'date-fns/timeZone'
+  export = europeRiga
+}
+
+declare module 'date-fns/timeZone/Europe/Rome' {
+  import {europeRome} from 'date-fns/timeZone'
+  export = europeRome
+}
+
+declare module 'date-fns/timeZone/Europe/Samara' {
+  import {europeSamara} from 'date-fns/timeZone'
+  export = europeSamara
+}
+
+declare module 'date-fns/timeZone/Europe/San_Marino' {
+  import {europeSanMarino} from 'date-fns/timeZone'
+  export = europeSanMarino
+}
+
+declare module 'date-fns/timeZone/Europe/Sarajevo' {
+  import {europeSarajevo} from 'date-fns/timeZone'
+  export = europeSarajevo
+}
+
+declare module 'date-fns/timeZone/Europe/Saratov' {
+  import {europeSaratov} from 'date-fns/timeZone'
+  export = europeSaratov
+}
+
+declare module 'date-fns/timeZone/Europe/Simferopol' {
+  import {europeSimferopol} from 'date-fns/timeZone'
+  export = europeSimferopol
+}
+
+declare module 'date-fns/timeZone/Europe/Skopje' {
+  import {europeSkopje} from 'date-fns/timeZone'
+  export = europeSkopje
+}
+
+declare module 'date-fns/timeZone/Europe/Sofia' {
+  import {europeSofia} from 'date-fns/timeZone'
+  export = europeSofia
+}
+
+declare module 'date-fns/timeZone/Europe/Stockholm' {
+  import {europeStockholm} from 'date-fns/timeZone'
+  export = europeStockholm
+}
+
+declare module 'date-fns/timeZone/Europe/Tallinn' {
+  import {europeTallinn} from 'date-fns/timeZone'
+  export = europeTallinn
+}
+
+declare module 'date-fns/timeZone/Europe/Tirane' {
+  import {europeTirane} from 'date-fns/timeZone'
+  export = europeTirane
+}
+
+declare module 'date-fns/timeZone/Europe/Tiraspol' {
+  import {europeTiraspol} from 'date-fns/timeZone'
+  export = europeTiraspol
+}
+
+declare module 'date-fns/timeZone/Europe/Ulyanovsk' {
+  import {europeUlyanovsk} from 'date-fns/timeZone'
+  export = europeUlyanovsk
+}
+
+declare module 'date-fns/timeZone/Europe/Uzhgorod' {
+  import {europeUzhgorod} from 'date-fns/timeZone'
+  export = europeUzhgorod
+}
+
+declare module 'date-fns/timeZone/Europe/Vaduz' {
+  import {europeVaduz} from 'date-fns/timeZone'
+  export = europeVaduz
+}
+
+declare module 'date-fns/timeZone/Europe/Vatican' {
+  import {europeVatican} from 'date-fns/timeZone'
+  export = europeVatican
+}
+
+declare module 'date-fns/timeZone/Europe/Vienna' {
+  import {europeVienna} from 'date-fns/timeZone'
+  export = europeVienna
+}
+
+declare module 'date-fns/timeZone/Europe/Vilnius' {
+  import {europeVilnius} from 'date-fns/timeZone'
+  export = europeVilnius
+}
+
+declare module 'date-fns/timeZone/Europe/Volgograd' {
+  import {europeVolgograd} from 'date-fns/timeZone'
+  export = europeVolgograd
+}
+
+declare module 'date-fns/timeZone/Europe/Warsaw' {
+  import {europeWarsaw} from 'date-fns/timeZone'
+  export = europeWarsaw
+}
+
+declare module 'date-fns/timeZone/Europe/Zagreb' {
+  import {europeZagreb} from 'date-fns/timeZone'
+  export = europeZagreb
+}
+
+declare module 'date-fns/timeZone/Europe/Zaporozhye' {
+  import {europeZaporozhye} from 'date-fns/timeZone'
+  export = europeZaporozhye
+}
+
+declare module 'date-fns/timeZone/Europe/Zurich' {
+  import {europeZurich} from 'date-fns/timeZone'
+  export = europeZurich
+}
+
+declare module 'date-fns/timeZone/GB' {
+  import {gb} from 'date-fns/timeZone'
+  export = gb
+}
+
+declare module 'date-fns/timeZone/GB-Eire' {
+  import {gbEire} from 'date-fns/timeZone'
+  export = gbEire
+}
+
+declare module 'date-fns/timeZone/GMT' {
+  import {gmt} from 'date-fns/timeZone'
+  export = gmt
+}
+
+declare module 'date-fns/timeZone/GMT+0' {
+  import {gmtPlus0} from 'date-fns/timeZone'
+  export = gmtPlus0
+}
+
+declare module 'date-fns/timeZone/GMT-0' {
+  import {gmtMinus0} from 'date-fns/timeZone'
+  export = gmtMinus0
+}
+
+declare module 'date-fns/timeZone/GMT0' {
+  import {gmt0} from 'date-fns/timeZone'
+  export = gmt0
+}
+
+declare module 'date-fns/timeZone/Greenwich' {
+  import {greenwich} from 'date-fns/timeZone'
+  export = greenwich
+}
+
+declare module 'date-fns/timeZone/HST' {
+  import {hst} from 'date-fns/timeZone'
+  export = hst
+}
+
+declare module 'date-fns/timeZone/Hongkong' {
+  import {hongkong} from 'date-fns/timeZone'
+  export = hongkong
+}
+
+declare module 'date-fns/timeZone/Iceland' {
+  import {iceland} from 'date-fns/timeZone'
+  export = iceland
+}
+
+declare module 'date-fns/timeZone/Indian/Antananarivo' {
+  import {indianAntananarivo} from 'date-fns/timeZone'
+  export = indianAntananarivo
+}
+
+declare module 'date-fns/timeZone/Indian/Chagos' {
+  import {indianChagos} from 'date-fns/timeZone'
+  export = indianChagos
+}
+
+declare module 'date-fns/timeZone/Indian/Christmas' {
+  import {indianChristmas} from 'date-fns/timeZone'
+  export = indianChristmas
+}
+
+declare module 'date-fns/timeZone/Indian/Cocos' {
+  import {indianCocos} from 'date-fns/timeZone'
+  export = indianCocos
+}
+
+declare module 'date-fns/timeZone/Indian/Comoro' {
+  import {indianComoro} from 'date-fns/timeZone'
+  export = indianComoro
+}
+
+declare module 'date-fns/timeZone/Indian/Kerguelen' {
+  import {indianKerguelen} from 'date-fns/timeZone'
+  export = indianKerguelen
+}
+
+declare module 'date-fns/timeZone/Indian/Mahe' {
+  import {indianMahe} from 'date-fns/timeZone'
+  export = indianMahe
+}
+
+declare module 'date-fns/timeZone/Indian/Maldives' {
+  import {indianMaldives} from 'date-fns/timeZone'
+  export = indianMaldives
+}
+
+declare module 'date-fns/timeZone/Indian/Mauritius' {
+  import {indianMauritius} from 'date-fns/timeZone'
+  export = indianMauritius
+}
+
+declare module 'date-fns/timeZone/Indian/Mayotte' {
+  import {indianMayotte} from 'date-fns/timeZone'
+  export = indianMayotte
+}
+
+declare module 'date-fns/timeZone/Indian/Reunion' {
+  import {indianReunion} from 'date-fns/timeZone'
+  export = indianReunion
+}
+
+declare module 'date-fns/timeZone/Iran' {
+  import {iran} from 'date-fns/timeZone'
+  export = iran
+}
+
+declare module 'date-fns/timeZone/Israel' {
+  import {israel} from 'date-fns/timeZone'
+  export = israel
+}
+
+declare module 'date-fns/timeZone/Jamaica' {
+  import {jamaica} from 'date-fns/timeZone'
+  export = jamaica
+}
+
+declare module 'date-fns/timeZone/Japan' {
+  import {japan} from 'date-fns/timeZone'
+  export = japan
+}
+
+declare module 'date-fns/timeZone/Kwajalein' {
+  import {kwajalein} from 'date-fns/timeZone'
+  export = kwajalein
+}
+
+declare module 'date-fns/timeZone/Libya' {
+  import {libya} from 'date-fns/timeZone'
+  export = libya
+}
+
+declare module 'date-fns/timeZone/MET' {
+  import {met} from 'date-fns/timeZone'
+  export = met
+}
+
+declare module 'date-fns/timeZone/MST' {
+  import {mst} from 'date-fns/timeZone'
+  export = mst
+}
+
+declare module 'date-fns/timeZone/MST7MDT' {
+  import {mst7mdt} from 'date-fns/timeZone'
+  export = mst7mdt
+}
+
+declare module 'date-fns/timeZone/Mexico/BajaNorte' {
+  import {mexicoBajaNorte} from 'date-fns/timeZone'
+  export = mexicoBajaNorte
+}
+
+declare module 'date-fns/timeZone/Mexico/BajaSur' {
+  import {mexicoBajaSur} from 'date-fns/timeZone'
+  export = mexicoBajaSur
+}
+
+declare module 'date-fns/timeZone/Mexico/General' {
+  import {mexicoGeneral} from 'date-fns/timeZone'
+  export = mexicoGeneral
+}
+
+declare module 'date-fns/timeZone/NZ' {
+  import {nz} from 'date-fns/timeZone'
+  export = nz
+}
+
+declare module 'date-fns/timeZone/NZ-CHAT' {
+  import {nzCHAT} from 'date-fns/timeZone'
+  export = nzCHAT
+}
+
+declare module 'date-fns/timeZone/Navajo' {
+  import {navajo} from 'date-fns/timeZone'
+  export = navajo
+}
+
+declare module 'date-fns/timeZone/PRC' {
+  import {prc} from 'date-fns/timeZone'
+  export = prc
+}
+
+declare module 'date-fns/timeZone/PST8PDT' {
+  import {pst8pdt} from 'date-fns/timeZone'
+  export = pst8pdt
+}
+
+declare module 'date-fns/timeZone/Pacific/Apia' {
+  import {pacificApia} from 'date-fns/timeZone'
+  export = pacificApia
+}
+
+declare module 'date-fns/timeZone/Pacific/Auckland' {
+  import {pacificAuckland} from 'date-fns/timeZone'
+  export = pacificAuckland
+}
+
+declare module 'date-fns/timeZone/Pacific/Bougainville' {
+  import {pacificBougainville} from 'date-fns/timeZone'
+  export = pacificBougainville
+}
+
+declare module 'date-fns/timeZone/Pacific/Chatham' {
+  import {pacificChatham} from 'date-fns/timeZone'
+  export = pacificChatham
+}
+
+declare module 'date-fns/timeZone/Pacific/Chuuk' {
+  import {pacificChuuk} from 'date-fns/timeZone'
+  export = pacificChuuk
+}
+
+declare module 'date-fns/timeZone/Pacific/Easter' {
+  import {pacificEaster} from 'date-fns/timeZone'
+  export = pacificEaster
+}
+
+declare module 'date-fns/timeZone/Pacific/Efate' {
+  import {pacificEfate} from 'date-fns/timeZone'
+  export = pacificEfate
+}
+
+declare module 'date-fns/timeZone/Pacific/Enderbury' {
+  import {pacificEnderbury} from 'date-fns/timeZone'
+  export = pacificEnderbury
+}
+
+declare module 'date-fns/timeZone/Pacific/Fakaofo' {
+  import {pacificFakaofo} from 'date-fns/timeZone'
+  export = pacificFakaofo
+}
+
+declare module 'date-fns/timeZone/Pacific/Fiji' {
+  import {pacificFiji} from 'date-fns/timeZone'
+  export = pacificFiji
+}
+
+declare module 'date-fns/timeZone/Pacific/Funafuti' {
+  import {pacificFunafuti} from 'date-fns/timeZone'
+  export = pacificFunafuti
+}
+
+declare module 'date-fns/timeZone/Pacific/Galapagos' {
+  import {pacificGalapagos} from 'date-fns/timeZone'
+  export = pacificGalapagos
+}
+
+declare module 'date-fns/timeZone/Pacific/Gambier' {
+  import {pacificGambier} from 'date-fns/timeZone'
+  export = pacificGambier
+}
+
+declare module 'date-fns/timeZone/Pacific/Guadalcanal' {
+  import {pacificGuadalcanal} from 'date-fns/timeZone'
+  export = pacificGuadalcanal
+}
+
+declare module 'date-fns/timeZone/Pacific/Guam' {
+  import {pacificGuam} from 'date-fns/timeZone'
+  export = pacificGuam
+}
+
+declare module 'date-fns/timeZone/Pacific/Honolulu' {
+  import {pacificHonolulu} from 'date-fns/timeZone'
+  export = pacificHonolulu
+}
+
+declare module 'date-fns/timeZone/Pacific/Johnston' {
+  import {pacificJohnston} from 'date-fns/timeZone'
+  export = pacificJohnston
+}
+
+declare module 'date-fns/timeZone/Pacific/Kanton' {
+  import {pacificKanton} from 'date-fns/timeZone'
+  export = pacificKanton
+}
+
+declare module 'date-fns/timeZone/Pacific/Kiritimati' {
+  import {pacificKiritimati} from 'date-fns/timeZone'
+  export = pacificKiritimati
+}
+
+declare module 'date-fns/timeZone/Pacific/Kosrae' {
+  import {pacificKosrae} from 'date-fns/timeZone'
+  export = pacificKosrae
+}
+
+declare module 'date-fns/timeZone/Pacific/Kwajalein' {
+  import {pacificKwajalein} from 'date-fns/timeZone'
+  export = pacificKwajalein
+}
+
+declare module 'date-fns/timeZone/Pacific/Majuro' {
+  import {pacificMajuro} from 'date-fns/timeZone'
+  export = pacificMajuro
+}
+
+declare module 'date-fns/timeZone/Pacific/Marquesas' {
+  import {pacificMarquesas} from 'date-fns/timeZone'
+  export = pacificMarquesas
+}
+
+declare module 'date-fns/timeZone/Pacific/Midway' {
+  import {pacificMidway} from 'date-fns/timeZone'
+  export = pacificMidway
+}
+
+declare module 'date-fns/timeZone/Pacific/Nauru' {
+  import {pacificNauru} from 'date-fns/timeZone'
+  export = pacificNauru
+}
+
+declare module 'date-fns/timeZone/Pacific/Niue' {
+  import {pacificNiue} from 'date-fns/timeZone'
+  export = pacificNiue
+}
+
+declare module 'date-fns/timeZone/Pacific/Norfolk' {
+  import {pacificNorfolk} from 'date-fns/timeZone'
+  export = pacificNorfolk
+}
+
+declare module 'date-fns/timeZone/Pacific/Noumea' {
+  import {pacificNoumea} from 'date-fns/timeZone'
+  export = pacificNoumea
+}
+
+declare module 'date-fns/timeZone/Pacific/Pago_Pago' {
+  import {pacificPagoPago} from 'date-fns/timeZone'
+  export = pacificPagoPago
+}
+
+declare module 'date-fns/timeZone/Pacific/Palau' {
+  import {pacificPalau} from 'date-fns/timeZone'
+  export = pacificPalau
+}
+
+declare module 'date-fns/timeZone/Pacific/Pitcairn' {
+  import {pacificPitcairn} from 'date-fns/timeZone'
+  export = pacificPitcairn
+}
+
+declare module 'date-fns/timeZone/Pacific/Pohnpei' {
+  import {pacificPohnpei} from 'date-fns/timeZone'
+  export = pacificPohnpei
+}
+
+declare module 'date-fns/timeZone/Pacific/Ponape' {
+  import {pacificPonape} from 'date-fns/timeZone'
+  export = pacificPonape
+}
+
+declare module 'date-fns/timeZone/Pacific/Port_Moresby' {
+  import {pacificPortMoresby} from 'date-fns/timeZone'
+  export = pacificPortMoresby
+}
+
+declare module 'date-fns/timeZone/Pacific/Rarotonga' {
+  import {pacificRarotonga} from 'date-fns/timeZone'
+  export = pacificRarotonga
+}
+
+declare module 'date-fns/timeZone/Pacific/Saipan' {
+  import {pacificSaipan} from 'date-fns/timeZone'
+  export = pacificSaipan
+}
+
+declare module 'date-fns/timeZone/Pacific/Samoa' {
+  import {pacificSamoa} from 'date-fns/timeZone'
+  export = pacificSamoa
+}
+
+declare module 'date-fns/timeZone/Pacific/Tahiti' {
+  import {pacificTahiti} from 'date-fns/timeZone'
+  export = pacificTahiti
+}
+
+declare module 'date-fns/timeZone/Pacific/Tarawa' {
+  import {pacificTarawa} from 'date-fns/timeZone'
+  export = pacificTarawa
+}
+
+declare module 'date-fns/timeZone/Pacific/Tongatapu' {
+  import {pacificTongatapu} from 'date-fns/timeZone'
+  export = pacificTongatapu
+}
+
+declare module 'date-fns/timeZone/Pacific/Truk' {
+  import {pacificTruk} from 'date-fns/timeZone'
+  export = pacificTruk
+}
+
+declare module 'date-fns/timeZone/Pacific/Wake' {
+  import {pacificWake} from 'date-fns/timeZone'
+  export = pacificWake
+}
+
+declare module 'date-fns/timeZone/Pacific/Wallis' {
+  import {pacificWallis} from 'date-fns/timeZone'
+  export = pacificWallis
+}
+
+declare module 'date-fns/timeZone/Pacific/Yap' {
+  import {pacificYap} from 'date-fns/timeZone'
+  export = pacificYap
+}
+
+declare module 'date-fns/timeZone/Poland' {
+  import {poland} from 'date-fns/timeZone'
+  export = poland
+}
+
+declare module 'date-fns/timeZone/Portugal' {
+  import {portugal} from 'date-fns/timeZone'
+  export = portugal
+}
+
+declare module 'date-fns/timeZone/ROC' {
+  import {roc} from 'date-fns/timeZone'
+  export = roc
+}
+
+declare module 'date-fns/timeZone/ROK' {
+  import {rok} from 'date-fns/timeZone'
+  export = rok
+}
+
+declare module 'date-fns/timeZone/Singapore' {
+  import {singapore} from 'date-fns/timeZone'
+  export = singapore
+}
+
+declare module 'date-fns/timeZone/Turkey' {
+  import {turkey} from 'date-fns/timeZone'
+  export = turkey
+}
+
+declare module 'date-fns/timeZone/UCT' {
+  import {uct} from 'date-fns/timeZone'
+  export = uct
+}
+
+declare module 'date-fns/timeZone/US/Alaska' {
+  import {usAlaska} from 'date-fns/timeZone'
+  export = usAlaska
+}
+
+declare module 'date-fns/timeZone/US/Aleutian' {
+  import {usAleutian} from 'date-fns/timeZone'
+  export = usAleutian
+}
+
+declare module 'date-fns/timeZone/US/Arizona' {
+  import {usArizona} from 'date-fns/timeZone'
+  export = usArizona
+}
+
+declare module 'date-fns/timeZone/US/Central' {
+  import {usCentral} from 'date-fns/timeZone'
+  export = usCentral
+}
+
+declare module 'date-fns/timeZone/US/East-Indiana' {
+  import {usEastIndiana} from 'date-fns/timeZone'
+  export = usEastIndiana
+}
+
+declare module 'date-fns/timeZone/US/Eastern' {
+  import {usEastern} from 'date-fns/timeZone'
+  export = usEastern
+}
+
+declare module 'date-fns/timeZone/US/Hawaii' {
+  import {usHawaii} from 'date-fns/timeZone'
+  export = usHawaii
+}
+
+declare module 'date-fns/timeZone/US/Indiana-Starke' {
+  import {usIndianaStarke} from 'date-fns/timeZone'
+  export = usIndianaStarke
+}
+
+declare module 'date-fns/timeZone/US/Michigan' {
+  import {usMichigan} from 'date-fns/timeZone'
+  export = usMichigan
+}
+
+declare module 'date-fns/timeZone/US/Mountain' {
+  import {usMountain} from 'date-fns/timeZone'
+  export = usMountain
+}
+
+declare module 'date-fns/timeZone/US/Pacific' {
+  import {usPacific} from 'date-fns/timeZone'
+  export = usPacific
+}
+
+declare module 'date-fns/timeZone/US/Samoa' {
+  import {usSamoa} from 'date-fns/timeZone'
+  export = usSamoa
+}
+
+declare module 'date-fns/timeZone/UTC' {
+  import {utc} from 'date-fns/timeZone'
+  export = utc
+}
+
+declare module 'date-fns/timeZone/Universal' {
+  import {universal} from 'date-fns/timeZone'
+  export = universal
+}
+
+declare module 'date-fns/timeZone/W-SU' {
+  import {wSU} from 'date-fns/timeZone'
+  export = wSU
+}
+
+declare module 'date-fns/timeZone/WET' {
+  import {wet} from 'date-fns/timeZone'
+  export = wet
+}
+
+declare module 'date-fns/timeZone/Zulu' {
+  import {zulu} from 'date-fns/timeZone'
+  export = zulu
+}
+
+declare module 'date-fns/timeZone/Africa/Abidjan/index' {
+  import {africaAbidjan} from 'date-fns/timeZone'
+  export = africaAbidjan
+}
+
+declare module 'date-fns/timeZone/Africa/Accra/index' {
+  import {africaAccra} from 'date-fns/timeZone'
+  export = africaAccra
+}
+
+declare module 'date-fns/timeZone/Africa/Addis_Ababa/index' {
+  import {africaAddisAbaba} from 'date-fns/timeZone'
+  export = africaAddisAbaba
+}
+
+declare module 'date-fns/timeZone/Africa/Algiers/index' {
+  import {africaAlgiers} from 'date-fns/timeZone'
+  export = africaAlgiers
+}
+
+declare module 'date-fns/timeZone/Africa/Asmara/index' {
+  import {africaAsmara} from 'date-fns/timeZone'
+  export = africaAsmara
+}
+
+declare module 'date-fns/timeZone/Africa/Asmera/index' {
+  import {africaAsmera} from 'date-fns/timeZone'
+  export = africaAsmera
+}
+
+declare module 'date-fns/timeZone/Africa/Bamako/index' {
+  import {africaBamako} from 'date-fns/timeZone'
+  export = africaBamako
+}
+
+declare module 'date-fns/timeZone/Africa/Bangui/index' {
+  import {africaBangui} from 'date-fns/timeZone'
+  export = africaBangui
+}
+
+declare module 'date-fns/timeZone/Africa/Banjul/index' {
+  import {africaBanjul} from 'date-fns/timeZone'
+  export = africaBanjul
+}
+
+declare module 'date-fns/timeZone/Africa/Bissau/index' {
+  import {africaBissau} from 'date-fns/timeZone'
+  export = africaBissau
+}
+
+declare module 'date-fns/timeZone/Africa/Blantyre/index' {
+  import {africaBlantyre} from 'date-fns/timeZone'
+  export = africaBlantyre
+}
+
+declare module 'date-fns/timeZone/Africa/Brazzaville/index' {
+  import {africaBrazzaville} from 'date-fns/timeZone'
+  export = africaBrazzaville
+}
+
+declare module 'date-fns/timeZone/Africa/Bujumbura/index' {
+  import {africaBujumbura} from 'date-fns/timeZone'
+  export = africaBujumbura
+}
+
+declare module 'date-fns/timeZone/Africa/Cairo/index' {
+  import {africaCairo} from 'date-fns/timeZone'
+  export = africaCairo
+}
+
+declare module 'date-fns/timeZone/Africa/Casablanca/index' {
+  import {africaCasablanca} from 'date-fns/timeZone'
+  export = africaCasablanca
+}
+
+declare module 'date-fns/timeZone/Africa/Ceuta/index' {
+  import {africaCeuta} from 'date-fns/timeZone'
+  export = africaCeuta
+}
+
+declare module 'date-fns/timeZone/Africa/Conakry/index' {
+  import {africaConakry} from 'date-fns/timeZone'
+  export = africaConakry
+}
+
+declare module 'date-fns/timeZone/Africa/Dakar/index' {
+  import {africaDakar} from 'date-fns/timeZone'
+  export = africaDakar
+}
+
+declare module 'date-fns/timeZone/Africa/Dar_es_Salaam/index' {
+  import {africaDarEsSalaam} from 'date-fns/timeZone'
+  export = africaDarEsSalaam
+}
+
+declare module 'date-fns/timeZone/Africa/Djibouti/index' {
+  import {africaDjibouti} from 'date-fns/timeZone'
+  export = africaDjibouti
+}
+
+declare module 'date-fns/timeZone/Africa/Douala/index' {
+  import {africaDouala} from 'date-fns/timeZone'
+  export = africaDouala
+}
+
+declare module 'date-fns/timeZone/Africa/El_Aaiun/index' {
+  import {africaElAaiun} from 'date-fns/timeZone'
+  export = africaElAaiun
+}
+
+declare module 'date-fns/timeZone/Africa/Freetown/index' {
+  import {africaFreetown} from 'date-fns/timeZone'
+  export = africaFreetown
+}
+
+declare module 'date-fns/timeZone/Africa/Gaborone/index' {
+  import {africaGaborone} from 'date-fns/timeZone'
+  export = africaGaborone
+}
+
+declare module 'date-fns/timeZone/Africa/Harare/index' {
+  import {africaHarare} from 'date-fns/timeZone'
+  export = africaHarare
+}
+
+declare module 'date-fns/timeZone/Africa/Johannesburg/index' {
+  import {africaJohannesburg} from 'date-fns/timeZone'
+  export = africaJohannesburg
+}
+
+declare module 'date-fns/timeZone/Africa/Juba/index' {
+  import {africaJuba} from 'date-fns/timeZone'
+  export = africaJuba
+}
+
+declare module 'date-fns/timeZone/Africa/Kampala/index' {
+  import {africaKampala} from 'date-fns/timeZone'
+  export = africaKampala
+}
+
+declare module 'date-fns/timeZone/Africa/Khartoum/index' {
+  import {africaKhartoum} from 'date-fns/timeZone'
+  export = africaKhartoum
+}
+
+declare module 'date-fns/timeZone/Africa/Kigali/index' {
+  import {africaKigali} from 'date-fns/timeZone'
+  export = africaKigali
+}
+
+declare module 'date-fns/timeZone/Africa/Kinshasa/index' {
+  import {africaKinshasa} from 'date-fns/timeZone'
+  export = africaKinshasa
+}
+
+declare module 'date-fns/timeZone/Africa/Lagos/index' {
+  import {africaLagos} from 'date-fns/timeZone'
+  export = africaLagos
+}
+
+declare module 'date-fns/timeZone/Africa/Libreville/index' {
+  import {africaLibreville} from 'date-fns/timeZone'
+  export = africaLibreville
+}
+
+declare module 'date-fns/timeZone/Africa/Lome/index' {
+  import {africaLome} from 'date-fns/timeZone'
+  export = africaLome
+}
+
+declare module 'date-fns/timeZone/Africa/Luanda/index' {
+  import {africaLuanda} from 'date-fns/timeZone'
+  export = africaLuanda
+}
+
+declare module 'date-fns/timeZone/Africa/Lubumbashi/index' {
+  import {africaLubumbashi} from 'date-fns/timeZone'
+  export = africaLubumbashi
+}
+
+declare module 'date-fns/timeZone/Africa/Lusaka/index' {
+  import {africaLusaka} from 'date-fns/timeZone'
+  export = africaLusaka
+}
+
+declare module 'date-fns/timeZone/Africa/Malabo/index' {
+  import {africaMalabo} from 'date-fns/timeZone'
+  export = africaMalabo
+}
+
+declare module 'date-fns/timeZone/Africa/Maputo/index' {
+  import {africaMaputo} from 'date-fns/timeZone'
+  export = africaMaputo
+}
+
+declare module 'date-fns/timeZone/Africa/Maseru/index' {
+  import {africaMaseru} from 'date-fns/timeZone'
+  export = africaMaseru
+}
+
+declare module 'date-fns/timeZone/Africa/Mbabane/index' {
+  import {africaMbabane} from 'date-fns/timeZone'
+  export = africaMbabane
+}
+
+declare module 'date-fns/timeZone/Africa/Mogadishu/index' {
+  import {africaMogadishu} from 'date-fns/timeZone'
+  export = africaMogadishu
+}
+
+declare module 'date-fns/timeZone/Africa/Monrovia/index' {
+  import {africaMonrovia} from 'date-fns/timeZone'
+  export = africaMonrovia
+}
+
+declare module 'date-fns/timeZone/Africa/Nairobi/index' {
+  import {africaNairobi} from 'date-fns/timeZone'
+  export = africaNairobi
+}
+
+declare module 'date-fns/timeZone/Africa/Ndjamena/index' {
+  import {africaNdjamena} from 'date-fns/timeZone'
+  export = africaNdjamena
+}
+
+declare module 'date-fns/timeZone/Africa/Niamey/index' {
+  import {africaNiamey} from 'date-fns/timeZone'
+  export = africaNiamey
+}
+
+declare module 'date-fns/timeZone/Africa/Nouakchott/index' {
+  import {africaNouakchott} from 'date-fns/timeZone'
+  export = africaNouakchott
+}
+
+declare module 'date-fns/timeZone/Africa/Ouagadougou/index' {
+  import {africaOuagadougou} from 'date-fns/timeZone'
+  export = africaOuagadougou
+}
+
+declare module 'date-fns/timeZone/Africa/Porto-Novo/index' {
+  import {africaPortoNovo} from 'date-fns/timeZone'
+  export = africaPortoNovo
+}
+
+declare module 'date-fns/timeZone/Africa/Sao_Tome/index' {
+  import {africaSaoTome} from 'date-fns/timeZone'
+  export = africaSaoTome
+}
+
+declare module 'date-fns/timeZone/Africa/Timbuktu/index' {
+  import {africaTimbuktu} from 'date-fns/timeZone'
+  export = africaTimbuktu
+}
+
+declare module 'date-fns/timeZone/Africa/Tripoli/index' {
+  import {africaTripoli} from 'date-fns/timeZone'
+  export = africaTripoli
+}
+
+declare module 'date-fns/timeZone/Africa/Tunis/index' {
+  import {africaTunis} from 'date-fns/timeZone'
+  export = africaTunis
+}
+
+declare module 'date-fns/timeZone/Africa/Windhoek/index' {
+  import {africaWindhoek} from 'date-fns/timeZone'
+  export = africaWindhoek
+}
+
+declare module 'date-fns/timeZone/America/Adak/index' {
+  import {americaAdak} from 'date-fns/timeZone'
+  export = americaAdak
+}
+
+declare module 'date-fns/timeZone/America/Anchorage/index' {
+  import {americaAnchorage} from 'date-fns/timeZone'
+  export = americaAnchorage
+}
+
+declare module 'date-fns/timeZone/America/Anguilla/index' {
+  import {americaAnguilla} from 'date-fns/timeZone'
+  export = americaAnguilla
+}
+
+declare module 'date-fns/timeZone/America/Antigua/index' {
+  import {americaAntigua} from 'date-fns/timeZone'
+  export = americaAntigua
+}
+
+declare module 'date-fns/timeZone/America/Araguaina/index' {
+  import {americaAraguaina} from 'date-fns/timeZone'
+  export = americaAraguaina
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Buenos_Aires/index' {
+  import {americaArgentinaBuenosAires} from 'date-fns/timeZone'
+  export = americaArgentinaBuenosAires
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Catamarca/index' {
+  import {americaArgentinaCatamarca} from 'date-fns/timeZone'
+  export = americaArgentinaCatamarca
+}
+
+declare module 'date-fns/timeZone/America/Argentina/ComodRivadavia/index' {
+  import {americaArgentinaComodRivadavia} from 'date-fns/timeZone'
+  export = americaArgentinaComodRivadavia
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Cordoba/index' {
+  import {americaArgentinaCordoba} from 'date-fns/timeZone'
+  export = americaArgentinaCordoba
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Jujuy/index' {
+  import {americaArgentinaJujuy} from 'date-fns/timeZone'
+  export = americaArgentinaJujuy
+}
+
+declare module 'date-fns/timeZone/America/Argentina/La_Rioja/index' {
+  import {americaArgentinaLaRioja} from 'date-fns/timeZone'
+  export = americaArgentinaLaRioja
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Mendoza/index' {
+  import {americaArgentinaMendoza} from 'date-fns/timeZone'
+  export = americaArgentinaMendoza
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Rio_Gallegos/index' {
+  import {americaArgentinaRioGallegos} from 'date-fns/timeZone'
+  export = americaArgentinaRioGallegos
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Salta/index' {
+  import {americaArgentinaSalta} from 'date-fns/timeZone'
+  export = americaArgentinaSalta
+}
+
+declare module 'date-fns/timeZone/America/Argentina/San_Juan/index' {
+  import {americaArgentinaSanJuan} from 'date-fns/timeZone'
+  export = americaArgentinaSanJuan
+}
+
+declare module 'date-fns/timeZone/America/Argentina/San_Luis/index' {
+  import {americaArgentinaSanLuis} from 'date-fns/timeZone'
+  export = americaArgentinaSanLuis
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Tucuman/index' {
+  import {americaArgentinaTucuman} from 'date-fns/timeZone'
+  export = americaArgentinaTucuman
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Ushuaia/index' {
+  import {americaArgentinaUshuaia} from 'date-fns/timeZone'
+  export = americaArgentinaUshuaia
+}
+
+declare module 'date-fns/timeZone/America/Aruba/index' {
+  import {americaAruba} from 'date-fns/timeZone'
+  export = americaAruba
+}
+
+declare module 'date-fns/timeZone/America/Asuncion/index' {
+  import {americaAsuncion} from 'date-fns/timeZone'
+  export = americaAsuncion
+}
+
+declare module 'date-fns/timeZone/America/Atikokan/index' {
+  import {americaAtikokan} from 'date-fns/timeZone'
+  export = americaAtikokan
+}
+
+declare module 'date-fns/timeZone/America/Atka/index' {
+  import {americaAtka} from 'date-fns/timeZone'
+  export = americaAtka
+}
+
+declare module 'date-fns/timeZone/America/Bahia/index' {
+  import {americaBahia} from 'date-fns/timeZone'
+  export = americaBahia
+}
+
+declare module 'date-fns/timeZone/America/Bahia_Banderas/index' {
+  import {americaBahiaBanderas} from 'date-fns/timeZone'
+  export = americaBahiaBanderas
+}
+
+declare module 'date-fns/timeZone/America/Barbados/index' {
+  import {americaBarbados} from 'date-fns/timeZone'
+  export = americaBarbados
+}
+
+declare module 'date-fns/timeZone/America/Belem/index' {
+  import {americaBelem} from 'date-fns/timeZone'
+  export = americaBelem
+}
+
+declare module 'date-fns/timeZone/America/Belize/index' {
+  import {americaBelize} from 'date-fns/timeZone'
+  export = americaBelize
+}
+
+declare module 'date-fns/timeZone/America/Blanc-Sablon/index' {
+  import {americaBlancSablon} from 'date-fns/timeZone'
+  export = americaBlancSablon
+}
+
+declare module 'date-fns/timeZone/America/Boa_Vista/index' {
+  import {americaBoaVista} from 'date-fns/timeZone'
+  export = americaBoaVista
+}
+
+declare module 'date-fns/timeZone/America/Bogota/index' {
+  import {americaBogota} from 'date-fns/timeZone'
+  export = americaBogota
+}
+
+declare module 'date-fns/timeZone/America/Boise/index' {
+  import {americaBoise} from 'date-fns/timeZone'
+  export = americaBoise
+}
+
+declare module 'date-fns/timeZone/America/Buenos_Aires/index' {
+  import {americaBuenosAires} from 'date-fns/timeZone'
+  export = americaBuenosAires
+}
+
+declare module 'date-fns/timeZone/America/Cambridge_Bay/index' {
+  import {americaCambridgeBay} from 'date-fns/timeZone'
+  export = americaCambridgeBay
+}
+
+declare module 'date-fns/timeZone/America/Campo_Grande/index' {
+  import {americaCampoGrande} from 'date-fns/timeZone'
+  export = americaCampoGrande
+}
+
+declare module 'date-fns/timeZone/America/Cancun/index' {
+  import {americaCancun} from 'date-fns/timeZone'
+  export = americaCancun
+}
+
+declare module 'date-fns/timeZone/America/Caracas/index' {
+  import {americaCaracas} from 'date-fns/timeZone'
+  export = americaCaracas
+}
+
+declare module 'date-fns/timeZone/America/Catamarca/index' {
+  import {americaCatamarca} from 'date-fns/timeZone'
+  export = americaCatamarca
+}
+
+declare module 'date-fns/timeZone/America/Cayenne/index' {
+  import {americaCayenne} from 'date-fns/timeZone'
+  export = americaCayenne
+}
+
+declare module 'date-fns/timeZone/America/Cayman/index' {
+  import {americaCayman} from 'date-fns/timeZone'
+  export = americaCayman
+}
+
+declare module 'date-fns/timeZone/America/Chicago/index' {
+  import {americaChicago} from 'date-fns/timeZone'
+  export = americaChicago
+}
+
+declare module 'date-fns/timeZone/America/Chihuahua/index' {
+  import {americaChihuahua} from 'date-fns/timeZone'
+  export = americaChihuahua
+}
+
+declare module 'date-fns/timeZone/America/Ciudad_Juarez/index' {
+  import {americaCiudadJuarez} from 'date-fns/timeZone'
+  export = americaCiudadJuarez
+}
+
+declare module 'date-fns/timeZone/America/Coral_Harbour/index' {
+  import {americaCoralHarbour} from 'date-fns/timeZone'
+  export = americaCoralHarbour
+}
+
+declare module 'date-fns/timeZone/America/Cordoba/index' {
+  import {americaCordoba} from 'date-fns/timeZone'
+  export = americaCordoba
+}
+
+declare module 'date-fns/timeZone/America/Costa_Rica/index' {
+  import {americaCostaRica} from 'date-fns/timeZone'
+  export = americaCostaRica
+}
+
+declare module 'date-fns/timeZone/America/Coyhaique/index' {
+  import {americaCoyhaique} from 'date-fns/timeZone'
+  export = americaCoyhaique
+}
+
+declare module 'date-fns/timeZone/America/Creston/index' {
+  import {americaCreston} from 'date-fns/timeZone'
+  export = americaCreston
+}
+
+declare module 'date-fns/timeZone/America/Cuiaba/index' {
+  import {americaCuiaba} from 'date-fns/timeZone'
+  export = americaCuiaba
+}
+
+declare module 'date-fns/timeZone/America/Curacao/index' {
+  import {americaCuracao} from 'date-fns/timeZone'
+  export = americaCuracao
+}
+
+declare module 'date-fns/timeZone/America/Danmarkshavn/index' {
+  import {americaDanmarkshavn} from 'date-fns/timeZone'
+  export = americaDanmarkshavn
+}
+
+declare module 'date-fns/timeZone/America/Dawson/index' {
+  import {americaDawson} from 'date-fns/timeZone'
+  export = americaDawson
+}
+
+declare module 'date-fns/timeZone/America/Dawson_Creek/index' {
+  import {americaDawsonCreek} from 'date-fns/timeZone'
+  export = americaDawsonCreek
+}
+
+declare module 'date-fns/timeZone/America/Denver/index' {
+  import {americaDenver} from 'date-fns/timeZone'
+  export = americaDenver
+}
+
+declare module 'date-fns/timeZone/America/Detroit/index' {
+  import {americaDetroit} from 'date-fns/timeZone'
+  export = americaDetroit
+}
+
+declare module 'date-fns/timeZone/America/Dominica/index' {
+  import {americaDominica} from 'date-fns/timeZone'
+  export = americaDominica
+}
+
+declare module 'date-fns/timeZone/America/Edmonton/index' {
+  import {americaEdmonton} from 'date-fns/timeZone'
+  export = americaEdmonton
+}
+
+declare module 'date-fns/timeZone/America/Eirunepe/index' {
+  import {americaEirunepe} from 'date-fns/timeZone'
+  export = americaEirunepe
+}
+
+declare module 'date-fns/timeZone/America/El_Salvador/index' {
+  import {americaElSalvador} from 'date-fns/timeZone'
+  export = americaElSalvador
+}
+
+declare module 'date-fns/timeZone/America/Ensenada/index' {
+  import {americaEnsenada} from 'date-fns/timeZone'
+  export = americaEnsenada
+}
+
+declare module 'date-fns/timeZone/America/Fort_Nelson/index' {
+  import {americaFortNelson} from 'date-fns/timeZone'
+  export = americaFortNelson
+}
+
+declare module 'date-fns/timeZone/America/Fort_Wayne/index' {
+  import {americaFortWayne} from 'date-fns/timeZone'
+  export = americaFortWayne
+}
+
+declare module 'date-fns/timeZone/America/Fortaleza/index' {
+  import {americaFortaleza} from 'date-fns/timeZone'
+  export = americaFortaleza
+}
+
+declare module 'date-fns/timeZone/America/Glace_Bay/index' {
+  import {americaGlaceBay} from 'date-fns/timeZone'
+  export = americaGlaceBay
+}
+
+declare module 'date-fns/timeZone/America/Godthab/index' {
+  import {americaGodthab} from 'date-fns/timeZone'
+  export = americaGodthab
+}
+
+declare module 'date-fns/timeZone/America/Goose_Bay/index' {
+  import {americaGooseBay} from 'date-fns/timeZone'
+  export = americaGooseBay
+}
+
+declare module 'date-fns/timeZone/America/Grand_Turk/index' {
+  import {americaGrandTurk} from 'date-fns/timeZone'
+  export = americaGrandTurk
+}
+
+declare module 'date-fns/timeZone/America/Grenada/index' {
+  import {americaGrenada} from 'date-fns/timeZone'
+  export = americaGrenada
+}
+
+declare module 'date-fns/timeZone/America/Guadeloupe/index' {
+  import {americaGuadeloupe} from 'date-fns/timeZone'
+  export = americaGuadeloupe
+}
+
+declare module 'date-fns/timeZone/America/Guatemala/index' {
+  import {americaGuatemala} from 'date-fns/timeZone'
+  export = americaGuatemala
+}
+
+declare module 'date-fns/timeZone/America/Guayaquil/index' {
+  import {americaGuayaquil} from 'date-fns/timeZone'
+  export = americaGuayaquil
+}
+
+declare module 'date-fns/timeZone/America/Guyana/index' {
+  import {americaGuyana} from 'date-fns/timeZone'
+  export = americaGuyana
+}
+
+declare module 'date-fns/timeZone/America/Halifax/index' {
+  import {americaHalifax} from 'date-fns/timeZone'
+  export = americaHalifax
+}
+
+declare module 'date-fns/timeZone/America/Havana/index' {
+  import {americaHavana} from 'date-fns/timeZone'
+  export = americaHavana
+}
+
+declare module 'date-fns/timeZone/America/Hermosillo/index' {
+  import {americaHermosillo} from 'date-fns/timeZone'
+  export = americaHermosillo
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Indianapolis/index' {
+  import {americaIndianaIndianapolis} from 'date-fns/timeZone'
+  export = americaIndianaIndianapolis
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Knox/index' {
+  import {americaIndianaKnox} from 'date-fns/timeZone'
+  export = americaIndianaKnox
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Marengo/index' {
+  import {americaIndianaMarengo} from 'date-fns/timeZone'
+  export = americaIndianaMarengo
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Petersburg/index' {
+  import {americaIndianaPetersburg} from 'date-fns/timeZone'
+  export = americaIndianaPetersburg
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Tell_City/index' {
+  import {americaIndianaTellCity} from 'date-fns/timeZone'
+  export = americaIndianaTellCity
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Vevay/index' {
+  import {americaIndianaVevay} from 'date-fns/timeZone'
+  export = americaIndianaVevay
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Vincennes/index' {
+  import {americaIndianaVincennes} from 'date-fns/timeZone'
+  export = americaIndianaVincennes
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Winamac/index' {
+  import {americaIndianaWinamac} from 'date-fns/timeZone'
+  export = americaIndianaWinamac
+}
+
+declare module 'date-fns/timeZone/America/Indianapolis/index' {
+  import {americaIndianapolis} from 'date-fns/timeZone'
+  export = americaIndianapolis
+}
+
+declare module 'date-fns/timeZone/America/Inuvik/index' {
+  import {americaInuvik} from 'date-fns/timeZone'
+  export = americaInuvik
+}
+
+declare module 'date-fns/timeZone/America/Iqaluit/index' {
+  import {americaIqaluit} from 'date-fns/timeZone'
+  export = americaIqaluit
+}
+
+declare module 'date-fns/timeZone/America/Jamaica/index' {
+  import {americaJamaica} from 'date-fns/timeZone'
+  export = americaJamaica
+}
+
+declare module 'date-fns/timeZone/America/Jujuy/index' {
+  import {americaJujuy} from 'date-fns/timeZone'
+  export = americaJujuy
+}
+
+declare module 'date-fns/timeZone/America/Juneau/index' {
+  import {americaJuneau} from 'date-fns/timeZone'
+  export = americaJuneau
+}
+
+declare module 'date-fns/timeZone/America/Kentucky/Louisville/index' {
+  import {americaKentuckyLouisville} from 'date-fns/timeZone'
+  export = americaKentuckyLouisville
+}
+
+declare module 'date-fns/timeZone/America/Kentucky/Monticello/index' {
+  import {americaKentuckyMonticello} from 'date-fns/timeZone'
+  export = americaKentuckyMonticello
+}
+
+declare module 'date-fns/timeZone/America/Knox_IN/index' {
+  import {americaKnoxIN} from 'date-fns/timeZone'
+  export = americaKnoxIN
+}
+
+declare module 'date-fns/timeZone/America/Kralendijk/index' {
+  import {americaKralendijk} from 'date-fns/timeZone'
+  export = americaKralendijk
+}
+
+declare module 'date-fns/timeZone/America/La_Paz/index' {
+  import {americaLaPaz} from 'date-fns/timeZone'
+  export = americaLaPaz
+}
+
+declare module 'date-fns/timeZone/America/Lima/index' {
+  import {americaLima} from 'date-fns/timeZone'
+  export = americaLima
+}
+
+declare module 'date-fns/timeZone/America/Los_Angeles/index' {
+  import {americaLosAngeles} from 'date-fns/timeZone'
+  export = americaLosAngeles
+}
+
+declare module 'date-fns/timeZone/America/Louisville/index' {
+  import {americaLouisville} from 'date-fns/timeZone'
+  export = americaLouisville
+}
+
+declare module 'date-fns/timeZone/America/Lower_Princes/index' {
+  import {americaLowerPrinces} from 'date-fns/timeZone'
+  export = americaLowerPrinces
+}
+
+declare module 'date-fns/timeZone/America/Maceio/index' {
+  import {americaMaceio} from 'date-fns/timeZone'
+  export = americaMaceio
+}
+
+declare module 'date-fns/timeZone/America/Managua/index' {
+  import {americaManagua} from 'date-fns/timeZone'
+  export = americaManagua
+}
+
+declare module 'date-fns/timeZone/America/Manaus/index' {
+  import {americaManaus} from 'date-fns/timeZone'
+  export = americaManaus
+}
+
+declare module 'date-fns/timeZone/America/Marigot/index' {
+  import {americaMarigot} from 'date-fns/timeZone'
+  export = americaMarigot
+}
+
+declare module 'date-fns/timeZone/America/Martinique/index' {
+  import {americaMartinique} from 'date-fns/timeZone'
+  export = americaMartinique
+}
+
+declare module 'date-fns/timeZone/America/Matamoros/index' {
+  import {americaMatamoros} from 'date-fns/timeZone'
+  export = americaMatamoros
+}
+
+declare module 'date-fns/timeZone/America/Mazatlan/index' {
+  import {americaMazatlan} from 'date-fns/timeZone'
+  export = americaMazatlan
+}
+
+declare module 'date-fns/timeZone/America/Mendoza/index' {
+  import {americaMendoza} from 'date-fns/timeZone'
+  export = americaMendoza
+}
+
+declare module 'date-fns/timeZone/America/Menominee/index' {
+  import {americaMenominee} from 'date-fns/timeZone'
+  export = americaMenominee
+}
+
+declare module 'date-fns/timeZone/America/Merida/index' {
+  import {americaMerida} from 'date-fns/timeZone'
+  export = americaMerida
+}
+
+declare module 'date-fns/timeZone/America/Metlakatla/index' {
+  import {americaMetlakatla} from 'date-fns/timeZone'
+  export = americaMetlakatla
+}
+
+declare module 'date-fns/timeZone/America/Mexico_City/index' {
+  import {americaMexicoCity} from 'date-fns/timeZone'
+  export = americaMexicoCity
+}
+
+declare module 'date-fns/timeZone/America/Miquelon/index' {
+  import {americaMiquelon} from 'date-fns/timeZone'
+  export = americaMiquelon
+}
+
+declare module 'date-fns/timeZone/America/Moncton/index' {
+  import {americaMoncton} from 'date-fns/timeZone'
+  export = americaMoncton
+}
+
+declare module 'date-fns/timeZone/America/Monterrey/index' {
+  import {americaMonterrey} from 'date-fns/timeZone'
+  export = americaMonterrey
+}
+
+declare module 'date-fns/timeZone/America/Montevideo/index' {
+  import {americaMontevideo} from 'date-fns/timeZone'
+  export = americaMontevideo
+}
+
+declare module 'date-fns/timeZone/America/Montreal/index' {
+  import {americaMontreal} from 'date-fns/timeZone'
+  export = americaMontreal
+}
+
+declare module 'date-fns/timeZone/America/Montserrat/index' {
+  import {americaMontserrat} from 'date-fns/timeZone'
+  export = americaMontserrat
+}
+
+declare module 'date-fns/timeZone/America/Nassau/index' {
+  import {americaNassau} from 'date-fns/timeZone'
+  export = americaNassau
+}
+
+declare module 'date-fns/timeZone/America/New_York/index' {
+  import {americaNewYork} from 'date-fns/timeZone'
+  export = americaNewYork
+}
+
+declare module 'date-fns/timeZone/America/Nipigon/index' {
+  import {americaNipigon} from 'date-fns/timeZone'
+  export = americaNipigon
+}
+
+declare module 'date-fns/timeZone/America/Nome/index' {
+  import {americaNome} from 'date-fns/timeZone'
+  export = americaNome
+}
+
+declare module 'date-fns/timeZone/America/Noronha/index' {
+  import {americaNoronha} from 'date-fns/timeZone'
+  export = americaNoronha
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/Beulah/index' {
+  import {americaNorthDakotaBeulah} from 'date-fns/timeZone'
+  export = americaNorthDakotaBeulah
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/Center/index' {
+  import {americaNorthDakotaCenter} from 'date-fns/timeZone'
+  export = americaNorthDakotaCenter
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/New_Salem/index' {
+  import {americaNorthDakotaNewSalem} from 'date-fns/timeZone'
+  export = americaNorthDakotaNewSalem
+}
+
+declare module 'date-fns/timeZone/America/Nuuk/index' {
+  import {americaNuuk} from 'date-fns/timeZone'
+  export = americaNuuk
+}
+
+declare module 'date-fns/timeZone/America/Ojinaga/index' {
+  import {americaOjinaga} from 'date-fns/timeZone'
+  export = americaOjinaga
+}
+
+declare module 'date-fns/timeZone/America/Panama/index' {
+  import {americaPanama} from 'date-fns/timeZone'
+  export = americaPanama
+}
+
+declare module 'date-fns/timeZone/America/Pangnirtung/index' {
+  import {americaPangnirtung} from 'date-fns/timeZone'
+  export = americaPangnirtung
+}
+
+declare module 'date-fns/timeZone/America/Paramaribo/index' {
+  import {americaParamaribo} from 'date-fns/timeZone'
+  export = americaParamaribo
+}
+
+declare module 'date-fns/timeZone/America/Phoenix/index' {
+  import {americaPhoenix} from 'date-fns/timeZone'
+  export = americaPhoenix
+}
+
+declare module 'date-fns/timeZone/America/Port-au-Prince/index' {
+  import {americaPortAuPrince} from 'date-fns/timeZone'
+  export = americaPortAuPrince
+}
+
+declare module 'date-fns/timeZone/America/Port_of_Spain/index' {
+  import {americaPortOfSpain} from 'date-fns/timeZone'
+  export = americaPortOfSpain
+}
+
+declare module 'date-fns/timeZone/America/Porto_Acre/index' {
+  import {americaPortoAcre} from 'date-fns/timeZone'
+  export = americaPortoAcre
+}
+
+declare module 'date-fns/timeZone/America/Porto_Velho/index' {
+  import {americaPortoVelho} from 'date-fns/timeZone'
+  export = americaPortoVelho
+}
+
+declare module 'date-fns/timeZone/America/Puerto_Rico/index' {
+  import {americaPuertoRico} from 'date-fns/timeZone'
+  export = americaPuertoRico
+}
+
+declare module 'date-fns/timeZone/America/Punta_Arenas/index' {
+  import {americaPuntaArenas} from 'date-fns/timeZone'
+  export = americaPuntaArenas
+}
+
+declare module 'date-fns/timeZone/America/Rainy_River/index' {
+  import {americaRainyRiver} from 'date-fns/timeZone'
+  export = americaRainyRiver
+}
+
+declare module 'date-fns/timeZone/America/Rankin_Inlet/index' {
+  import {americaRankinInlet} from 'date-fns/timeZone'
+  export = americaRankinInlet
+}
+
+declare module 'date-fns/timeZone/America/Recife/index' {
+  import {americaRecife} from 'date-fns/timeZone'
+  export = americaRecife
+}
+
+declare module 'date-fns/timeZone/America/Regina/index' {
+  import {americaRegina} from 'date-fns/timeZone'
+  export = americaRegina
+}
+
+declare module 'date-fns/timeZone/America/Resolute/index' {
+  import {americaResolute} from 'date-fns/timeZone'
+  export = americaResolute
+}
+
+declare module 'date-fns/timeZone/America/Rio_Branco/index' {
+  import {americaRioBranco} from 'date-fns/timeZone'
+  export = americaRioBranco
+}
+
+declare module 'date-fns/timeZone/America/Rosario/index' {
+  import {americaRosario} from 'date-fns/timeZone'
+  export = americaRosario
+}
+
+declare module 'date-fns/timeZone/America/Santa_Isabel/index' {
+  import {americaSantaIsabel} from 'date-fns/timeZone'
+  export = americaSantaIsabel
+}
+
+declare module 'date-fns/timeZone/America/Santarem/index' {
+  import {americaSantarem} from 'date-fns/timeZone'
+  export = americaSantarem
+}
+
+declare module 'date-fns/timeZone/America/Santiago/index' {
+  import {americaSantiago} from 'date-fns/timeZone'
+  export = americaSantiago
+}
+
+declare module 'date-fns/timeZone/America/Santo_Domingo/index' {
+  import {americaSantoDomingo} from 'date-fns/timeZone'
+  export = americaSantoDomingo
+}
+
+declare module 'date-fns/timeZone/America/Sao_Paulo/index' {
+  import {americaSaoPaulo} from 'date-fns/timeZone'
+  export = americaSaoPaulo
+}
+
+declare module 'date-fns/timeZone/America/Scoresbysund/index' {
+  import {americaScoresbysund} from 'date-fns/timeZone'
+  export = americaScoresbysund
+}
+
+declare module 'date-fns/timeZone/America/Shiprock/index' {
+  import {americaShiprock} from 'date-fns/timeZone'
+  export = americaShiprock
+}
+
+declare module 'date-fns/timeZone/America/Sitka/index' {
+  import {americaSitka} from 'date-fns/timeZone'
+  export = americaSitka
+}
+
+declare module 'date-fns/timeZone/America/St_Barthelemy/index' {
+  import {americaStBarthelemy} from 'date-fns/timeZone'
+  export = americaStBarthelemy
+}
+
+declare module 'date-fns/timeZone/America/St_Johns/index' {
+  import {americaStJohns} from 'date-fns/timeZone'
+  export = americaStJohns
+}
+
+declare module 'date-fns/timeZone/America/St_Kitts/index' {
+  import {americaStKitts} from 'date-fns/timeZone'
+  export = americaStKitts
+}
+
+declare module 'date-fns/timeZone/America/St_Lucia/index' {
+  import {americaStLucia} from 'date-fns/timeZone'
+  export = americaStLucia
+}
+
+declare module 'date-fns/timeZone/America/St_Thomas/index' {
+  import {americaStThomas} from 'date-fns/timeZone'
+  export = americaStThomas
+}
+
+declare module 'date-fns/timeZone/America/St_Vincent/index' {
+  import {americaStVincent} from 'date-fns/timeZone'
+  export = americaStVincent
+}
+
+declare module 'date-fns/timeZone/America/Swift_Current/index' {
+  import {americaSwiftCurrent} from 'date-fns/timeZone'
+  export = americaSwiftCurrent
+}
+
+declare module 'date-fns/timeZone/America/Tegucigalpa/index' {
+  import {americaTegucigalpa} from 'date-fns/timeZone'
+  export = americaTegucigalpa
+}
+
+declare module 'date-fns/timeZone/America/Thule/index' {
+  import {americaThule} from 'date-fns/timeZone'
+  export = americaThule
+}
+
+declare module 'date-fns/timeZone/America/Thunder_Bay/index' {
+  import {americaThunderBay} from 'date-fns/timeZone'
+  export = americaThunderBay
+}
+
+declare module 'date-fns/timeZone/America/Tijuana/index' {
+  import {americaTijuana} from 'date-fns/timeZone'
+  export = americaTijuana
+}
+
+declare module 'date-fns/timeZone/America/Toronto/index' {
+  import {americaToronto} from 'date-fns/timeZone'
+  export = americaToronto
+}
+
+declare module 'date-fns/timeZone/America/Tortola/index' {
+  import {americaTortola} from 'date-fns/timeZone'
+  export = americaTortola
+}
+
+declare module 'date-fns/timeZone/America/Vancouver/index' {
+  import {americaVancouver} from 'date-fns/timeZone'
+  export = americaVancouver
+}
+
+declare module 'date-fns/timeZone/America/Virgin/index' {
+  import {americaVirgin} from 'date-fns/timeZone'
+  export = americaVirgin
+}
+
+declare module 'date-fns/timeZone/America/Whitehorse/index' {
+  import {americaWhitehorse} from 'date-fns/timeZone'
+  export = americaWhitehorse
+}
+
+declare module 'date-fns/timeZone/America/Winnipeg/index' {
+  import {americaWinnipeg} from 'date-fns/timeZone'
+  export = americaWinnipeg
+}
+
+declare module 'date-fns/timeZone/America/Yakutat/index' {
+  import {americaYakutat} from 'date-fns/timeZone'
+  export = americaYakutat
+}
+
+declare module 'date-fns/timeZone/America/Yellowknife/index' {
+  import {americaYellowknife} from 'date-fns/timeZone'
+  export = americaYellowknife
+}
+
+declare module 'date-fns/timeZone/Antarctica/Casey/index' {
+  import {antarcticaCasey} from 'date-fns/timeZone'
+  export = antarcticaCasey
+}
+
+declare module 'date-fns/timeZone/Antarctica/Davis/index' {
+  import {antarcticaDavis} from 'date-fns/timeZone'
+  export = antarcticaDavis
+}
+
+declare module 'date-fns/timeZone/Antarctica/DumontDUrville/index' {
+  import {antarcticaDumontDUrville} from 'date-fns/timeZone'
+  export = antarcticaDumontDUrville
+}
+
+declare module 'date-fns/timeZone/Antarctica/Macquarie/index' {
+  import {antarcticaMacquarie} from 'date-fns/timeZone'
+  export = antarcticaMacquarie
+}
+
+declare module 'date-fns/timeZone/Antarctica/Mawson/index' {
+  import {antarcticaMawson} from 'date-fns/timeZone'
+  export = antarcticaMawson
+}
+
+declare module 'date-fns/timeZone/Antarctica/McMurdo/index' {
+  import {antarcticaMcMurdo} from 'date-fns/timeZone'
+  export = antarcticaMcMurdo
+}
+
+declare module 'date-fns/timeZone/Antarctica/Palmer/index' {
+  import {antarcticaPalmer} from 'date-fns/timeZone'
+  export = antarcticaPalmer
+}
+
+declare module 'date-fns/timeZone/Antarctica/Rothera/index' {
+  import {antarcticaRothera} from 'date-fns/timeZone'
+  export = antarcticaRothera
+}
+
+declare module 'date-fns/timeZone/Antarctica/South_Pole/index' {
+  import {antarcticaSouthPole} from 'date-fns/timeZone'
+  export = antarcticaSouthPole
+}
+
+declare module 'date-fns/timeZone/Antarctica/Syowa/index' {
+  import {antarcticaSyowa} from 'date-fns/timeZone'
+  export = antarcticaSyowa
+}
+
+declare module 'date-fns/timeZone/Antarctica/Troll/index' {
+  import {antarcticaTroll} from 'date-fns/timeZone'
+  export = antarcticaTroll
+}
+
+declare module 'date-fns/timeZone/Antarctica/Vostok/index' {
+  import {antarcticaVostok} from 'date-fns/timeZone'
+  export = antarcticaVostok
+}
+
+declare module 'date-fns/timeZone/Arctic/Longyearbyen/index' {
+  import {arcticLongyearbyen} from 'date-fns/timeZone'
+  export = arcticLongyearbyen
+}
+
+declare module 'date-fns/timeZone/Asia/Aden/index' {
+  import {asiaAden} from 'date-fns/timeZone'
+  export = asiaAden
+}
+
+declare module 'date-fns/timeZone/Asia/Almaty/index' {
+  import {asiaAlmaty} from 'date-fns/timeZone'
+  export = asiaAlmaty
+}
+
+declare module 'date-fns/timeZone/Asia/Amman/index' {
+  import {asiaAmman} from 'date-fns/timeZone'
+  export = asiaAmman
+}
+
+declare module 'date-fns/timeZone/Asia/Anadyr/index' {
+  import {asiaAnadyr} from 'date-fns/timeZone'
+  export = asiaAnadyr
+}
+
+declare module 'date-fns/timeZone/Asia/Aqtau/index' {
+  import {asiaAqtau} from 'date-fns/timeZone'
+  export = asiaAqtau
+}
+
+declare module 'date-fns/timeZone/Asia/Aqtobe/index' {
+  import {asiaAqtobe} from 'date-fns/timeZone'
+  export = asiaAqtobe
+}
+
+declare module 'date-fns/timeZone/Asia/Ashgabat/index' {
+  import {asiaAshgabat} from 'date-fns/timeZone'
+  export = asiaAshgabat
+}
+
+declare module 'date-fns/timeZone/Asia/Ashkhabad/index' {
+  import {asiaAshkhabad} from 'date-fns/timeZone'
+  export = asiaAshkhabad
+}
+
+declare module 'date-fns/timeZone/Asia/Atyrau/index' {
+  import {asiaAtyrau} from 'date-fns/timeZone'
+  export = asiaAtyrau
+}
+
+declare module 'date-fns/timeZone/Asia/Baghdad/index' {
+  import {asiaBaghdad} from 'date-fns/timeZone'
+  export = asiaBaghdad
+}
+
+declare module 'date-fns/timeZone/Asia/Bahrain/index' {
+  import {asiaBahrain} from 'date-fns/timeZone'
+  export = asiaBahrain
+}
+
+declare module 'date-fns/timeZone/Asia/Baku/index' {
+  import {asiaBaku} from 'date-fns/timeZone'
+  export = asiaBaku
+}
+
+declare module 'date-fns/timeZone/Asia/Bangkok/index' {
+  import {asiaBangkok} from 'date-fns/timeZone'
+  export = asiaBangkok
+}
+
+declare module 'date-fns/timeZone/Asia/Barnaul/index' {
+  import {asiaBarnaul} from 'date-fns/timeZone'
+  export = asiaBarnaul
+}
+
+declare module 'date-fns/timeZone/Asia/Beirut/index' {
+  import {asiaBeirut} from 'date-fns/timeZone'
+  export = asiaBeirut
+}
+
+declare module 'date-fns/timeZone/Asia/Bishkek/index' {
+  import {asiaBishkek} from 'date-fns/timeZone'
+  export = asiaBishkek
+}
+
+declare module 'date-fns/timeZone/Asia/Brunei/index' {
+  import {asiaBrunei} from 'date-fns/timeZone'
+  export = asiaBrunei
+}
+
+declare module 'date-fns/timeZone/Asia/Calcutta/index' {
+  import {asiaCalcutta} from 'date-fns/timeZone'
+  export = asiaCalcutta
+}
+
+declare module 'date-fns/timeZone/Asia/Chita/index' {
+  import {asiaChita} from 'date-fns/timeZone'
+  export = asiaChita
+}
+
+declare module 'date-fns/timeZone/Asia/Choibalsan/index' {
+  import {asiaChoibalsan} from 'date-fns/timeZone'
+  export = asiaChoibalsan
+}
+
+declare module 'date-fns/timeZone/Asia/Chongqing/index' {
+  import {asiaChongqing} from 'date-fns/timeZone'
+  export = asiaChongqing
+}
+
+declare module 'date-fns/timeZone/Asia/Chungking/index' {
+  import {asiaChungking} from 'date-fns/timeZone'
+  export = asiaChungking
+}
+
+declare module 'date-fns/timeZone/Asia/Colombo/index' {
+  import {asiaColombo} from 'date-fns/timeZone'
+  export = asiaColombo
+}
+
+declare module 'date-fns/timeZone/Asia/Dacca/index' {
+  import {asiaDacca} from 'date-fns/timeZone'
+  export = asiaDacca
+}
+
+declare module 'date-fns/timeZone/Asia/Damascus/index' {
+  import {asiaDamascus} from 'date-fns/timeZone'
+  export = asiaDamascus
+}
+
+declare module 'date-fns/timeZone/Asia/Dhaka/index' {
+  import {asiaDhaka} from 'date-fns/timeZone'
+  export = asiaDhaka
+}
+
+declare module 'date-fns/timeZone/Asia/Dili/index' {
+  import {asiaDili} from 'date-fns/timeZone'
+  export = asiaDili
+}
+
+declare module 'date-fns/timeZone/Asia/Dubai/index' {
+  import {asiaDubai} from 'date-fns/timeZone'
+  export = asiaDubai
+}
+
+declare module 'date-fns/timeZone/Asia/Dushanbe/index' {
+  import {asiaDushanbe} from 'date-fns/timeZone'
+  export = asiaDushanbe
+}
+
+declare module 'date-fns/timeZone/Asia/Famagusta/index' {
+  import {asiaFamagusta} from 'date-fns/timeZone'
+  export = asiaFamagusta
+}
+
+declare module 'date-fns/timeZone/Asia/Gaza/index' {
+  import {asiaGaza} from 'date-fns/timeZone'
+  export = asiaGaza
+}
+
+declare module 'date-fns/timeZone/Asia/Harbin/index' {
+  import {asiaHarbin} from 'date-fns/timeZone'
+  export = asiaHarbin
+}
+
+declare module 'date-fns/timeZone/Asia/Hebron/index' {
+  import {asiaHebron} from 'date-fns/timeZone'
+  export = asiaHebron
+}
+
+declare module 'date-fns/timeZone/Asia/Ho_Chi_Minh/index' {
+  import {asiaHoChiMinh} from 'date-fns/timeZone'
+  export = asiaHoChiMinh
+}
+
+declare module 'date-fns/timeZone/Asia/Hong_Kong/index' {
+  import {asiaHongKong} from 'date-fns/timeZone'
+  export = asiaHongKong
+}
+
+declare module 'date-fns/timeZone/Asia/Hovd/index' {
+  import {asiaHovd} from 'date-fns/timeZone'
+  export = asiaHovd
+}
+
+declare module 'date-fns/timeZone/Asia/Irkutsk/index' {
+  import {asiaIrkutsk} from 'date-fns/timeZone'
+  export = asiaIrkutsk
+}
+
+declare module 'date-fns/timeZone/Asia/Istanbul/index' {
+  import {asiaIstanbul} from 'date-fns/timeZone'
+  export = asiaIstanbul
+}
+
+declare module 'date-fns/timeZone/Asia/Jakarta/index' {
+  import {asiaJakarta} from 'date-fns/timeZone'
+  export = asiaJakarta
+}
+
+declare module 'date-fns/timeZone/Asia/Jayapura/index' {
+  import {asiaJayapura} from 'date-fns/timeZone'
+  export = asiaJayapura
+}
+
+declare module 'date-fns/timeZone/Asia/Jerusalem/index' {
+  import {asiaJerusalem} from 'date-fns/timeZone'
+  export = asiaJerusalem
+}
+
+declare module 'date-fns/timeZone/Asia/Kabul/index' {
+  import {asiaKabul} from 'date-fns/timeZone'
+  export = asiaKabul
+}
+
+declare module 'date-fns/timeZone/Asia/Kamchatka/index' {
+  import {asiaKamchatka} from 'date-fns/timeZone'
+  export = asiaKamchatka
+}
+
+declare module 'date-fns/timeZone/Asia/Karachi/index' {
+  import {asiaKarachi} from 'date-fns/timeZone'
+  export = asiaKarachi
+}
+
+declare module 'date-fns/timeZone/Asia/Kashgar/index' {
+  import {asiaKashgar} from 'date-fns/timeZone'
+  export = asiaKashgar
+}
+
+declare module 'date-fns/timeZone/Asia/Kathmandu/index' {
+  import {asiaKathmandu} from 'date-fns/timeZone'
+  export = asiaKathmandu
+}
+
+declare module 'date-fns/timeZone/Asia/Katmandu/index' {
+  import {asiaKatmandu} from 'date-fns/timeZone'
+  export = asiaKatmandu
+}
+
+declare module 'date-fns/timeZone/Asia/Khandyga/index' {
+  import {asiaKhandyga} from 'date-fns/timeZone'
+  export = asiaKhandyga
+}
+
+declare module 'date-fns/timeZone/Asia/Kolkata/index' {
+  import {asiaKolkata} from 'date-fns/timeZone'
+  export = asiaKolkata
+}
+
+declare module 'date-fns/timeZone/Asia/Krasnoyarsk/index' {
+  import {asiaKrasnoyarsk} from 'date-fns/timeZone'
+  export = asiaKrasnoyarsk
+}
+
+declare module 'date-fns/timeZone/Asia/Kuala_Lumpur/index' {
+  import {asiaKualaLumpur} from 'date-fns/timeZone'
+  export = asiaKualaLumpur
+}
+
+declare module 'date-fns/timeZone/Asia/Kuching/index' {
+  import {asiaKuching} from 'date-fns/timeZone'
+  export = asiaKuching
+}
+
+declare module 'date-fns/timeZone/Asia/Kuwait/index' {
+  import {asiaKuwait} from 'date-fns/timeZone'
+  export = asiaKuwait
+}
+
+declare module 'date-fns/timeZone/Asia/Macao/index' {
+  import {asiaMacao} from 'date-fns/timeZone'
+  export = asiaMacao
+}
+
+declare module 'date-fns/timeZone/Asia/Macau/index' {
+  import {asiaMacau} from 'date-fns/timeZone'
+  export = asiaMacau
+}
+
+declare module 'date-fns/timeZone/Asia/Magadan/index' {
+  import {asiaMagadan} from 'date-fns/timeZone'
+  export = asiaMagadan
+}
+
+declare module 'date-fns/timeZone/Asia/Makassar/index' {
+  import {asiaMakassar} from 'date-fns/timeZone'
+  export = asiaMakassar
+}
+
+declare module 'date-fns/timeZone/Asia/Manila/index' {
+  import {asiaManila} from 'date-fns/timeZone'
+  export = asiaManila
+}
+
+declare module 'date-fns/timeZone/Asia/Muscat/index' {
+  import {asiaMuscat} from 'date-fns/timeZone'
+  export = asiaMuscat
+}
+
+declare module 'date-fns/timeZone/Asia/Nicosia/index' {
+  import {asiaNicosia} from 'date-fns/timeZone'
+  export = asiaNicosia
+}
+
+declare module 'date-fns/timeZone/Asia/Novokuznetsk/index' {
+  import {asiaNovokuznetsk} from 'date-fns/timeZone'
+  export = asiaNovokuznetsk
+}
+
+declare module 'date-fns/timeZone/Asia/Novosibirsk/index' {
+  import {asiaNovosibirsk} from 'date-fns/timeZone'
+  export = asiaNovosibirsk
+}
+
+declare module 'date-fns/timeZone/Asia/Omsk/index' {
+  import {asiaOmsk} from 'date-fns/timeZone'
+  export = asiaOmsk
+}
+
+declare module 'date-fns/timeZone/Asia/Oral/index' {
+  import {asiaOral} from 'date-fns/timeZone'
+  export = asiaOral
+}
+
+declare module 'date-fns/timeZone/Asia/Phnom_Penh/index' {
+  import {asiaPhnomPenh} from 'date-fns/timeZone'
+  export = asiaPhnomPenh
+}
+
+declare module 'date-fns/timeZone/Asia/Pontianak/index' {
+  import {asiaPontianak} from 'date-fns/timeZone'
+  export = asiaPontianak
+}
+
+declare module 'date-fns/timeZone/Asia/Pyongyang/index' {
+  import {asiaPyongyang} from 'date-fns/timeZone'
+  export = asiaPyongyang
+}
+
+declare module 'date-fns/timeZone/Asia/Qatar/index' {
+  import {asiaQatar} from 'date-fns/timeZone'
+  export = asiaQatar
+}
+
+declare module 'date-fns/timeZone/Asia/Qostanay/index' {
+  import {asiaQostanay} from 'date-fns/timeZone'
+  export = asiaQostanay
+}
+
+declare module 'date-fns/timeZone/Asia/Qyzylorda/index' {
+  import {asiaQyzylorda} from 'date-fns/timeZone'
+  export = asiaQyzylorda
+}
+
+declare module 'date-fns/timeZone/Asia/Rangoon/index' {
+  import {asiaRangoon} from 'date-fns/timeZone'
+  export = asiaRangoon
+}
+
+declare module 'date-fns/timeZone/Asia/Riyadh/index' {
+  import {asiaRiyadh} from 'date-fns/timeZone'
+  export = asiaRiyadh
+}
+
+declare module 'date-fns/timeZone/Asia/Saigon/index' {
+  import {asiaSaigon} from 'date-fns/timeZone'
+  export = asiaSaigon
+}
+
+declare module 'date-fns/timeZone/Asia/Sakhalin/index' {
+  import {asiaSakhalin} from 'date-fns/timeZone'
+  export = asiaSakhalin
+}
+
+declare module 'date-fns/timeZone/Asia/Samarkand/index' {
+  import {asiaSamarkand} from 'date-fns/timeZone'
+  export = asiaSamarkand
+}
+
+declare module 'date-fns/timeZone/Asia/Seoul/index' {
+  import {asiaSeoul} from 'date-fns/timeZone'
+  export = asiaSeoul
+}
+
+declare module 'date-fns/timeZone/Asia/Shanghai/index' {
+  import {asiaShanghai} from 'date-fns/timeZone'
+  export = asiaShanghai
+}
+
+declare module 'date-fns/timeZone/Asia/Singapore/index' {
+  import {asiaSingapore} from 'date-fns/timeZone'
+  export = asiaSingapore
+}
+
+declare module 'date-fns/timeZone/Asia/Srednekolymsk/index' {
+  import {asiaSrednekolymsk} from 'date-fns/timeZone'
+  export = asiaSrednekolymsk
+}
+
+declare module 'date-fns/timeZone/Asia/Taipei/index' {
+  import {asiaTaipei} from 'date-fns/timeZone'
+  export = asiaTaipei
+}
+
+declare module 'date-fns/timeZone/Asia/Tashkent/index' {
+  import {asiaTashkent} from 'date-fns/timeZone'
+  export = asiaTashkent
+}
+
+declare module 'date-fns/timeZone/Asia/Tbilisi/index' {
+  import {asiaTbilisi} from 'date-fns/timeZone'
+  export = asiaTbilisi
+}
+
+declare module 'date-fns/timeZone/Asia/Tehran/index' {
+  import {asiaTehran} from 'date-fns/timeZone'
+  export = asiaTehran
+}
+
+declare module 'date-fns/timeZone/Asia/Tel_Aviv/index' {
+  import {asiaTelAviv} from 'date-fns/timeZone'
+  export = asiaTelAviv
+}
+
+declare module 'date-fns/timeZone/Asia/Thimbu/index' {
+  import {asiaThimbu} from 'date-fns/timeZone'
+  export = asiaThimbu
+}
+
+declare module 'date-fns/timeZone/Asia/Thimphu/index' {
+  import {asiaThimphu} from 'date-fns/timeZone'
+  export = asiaThimphu
+}
+
+declare module 'date-fns/timeZone/Asia/Tokyo/index' {
+  import {asiaTokyo} from 'date-fns/timeZone'
+  export = asiaTokyo
+}
+
+declare module 'date-fns/timeZone/Asia/Tomsk/index' {
+  import {asiaTomsk} from 'date-fns/timeZone'
+  export = asiaTomsk
+}
+
+declare module 'date-fns/timeZone/Asia/Ujung_Pandang/index' {
+  import {asiaUjungPandang} from 'date-fns/timeZone'
+  export = asiaUjungPandang
+}
+
+declare module 'date-fns/timeZone/Asia/Ulaanbaatar/index' {
+  import {asiaUlaanbaatar} from 'date-fns/timeZone'
+  export = asiaUlaanbaatar
+}
+
+declare module 'date-fns/timeZone/Asia/Ulan_Bator/index' {
+  import {asiaUlanBator} from 'date-fns/timeZone'
+  export = asiaUlanBator
+}
+
+declare module 'date-fns/timeZone/Asia/Urumqi/index' {
+  import {asiaUrumqi} from 'date-fns/timeZone'
+  export = asiaUrumqi
+}
+
+declare module 'date-fns/timeZone/Asia/Ust-Nera/index' {
+  import {asiaUstNera} from 'date-fns/timeZone'
+  export = asiaUstNera
+}
+
+declare module 'date-fns/timeZone/Asia/Vientiane/index' {
+  import {asiaVientiane} from 'date-fns/timeZone'
+  export = asiaVientiane
+}
+
+declare module 'date-fns/timeZone/Asia/Vladivostok/index' {
+  import {asiaVladivostok} from 'date-fns/timeZone'
+  export = asiaVladivostok
+}
+
+declare module 'date-fns/timeZone/Asia/Yakutsk/index' {
+  import {asiaYakutsk} from 'date-fns/timeZone'
+  export = asiaYakutsk
+}
+
+declare module 'date-fns/timeZone/Asia/Yangon/index' {
+  import {asiaYangon} from 'date-fns/timeZone'
+  export = asiaYangon
+}
+
+declare module 'date-fns/timeZone/Asia/Yekaterinburg/index' {
+  import {asiaYekaterinburg} from 'date-fns/timeZone'
+  export = asiaYekaterinburg
+}
+
+declare module 'date-fns/timeZone/Asia/Yerevan/index' {
+  import {asiaYerevan} from 'date-fns/timeZone'
+  export = asiaYerevan
+}
+
+declare module 'date-fns/timeZone/Atlantic/Azores/index' {
+  import {atlanticAzores} from 'date-fns/timeZone'
+  export = atlanticAzores
+}
+
+declare module 'date-fns/timeZone/Atlantic/Bermuda/index' {
+  import {atlanticBermuda} from 'date-fns/timeZone'
+  export = atlanticBermuda
+}
+
+declare module 'date-fns/timeZone/Atlantic/Canary/index' {
+  import {atlanticCanary} from 'date-fns/timeZone'
+  export = atlanticCanary
+}
+
+declare module 'date-fns/timeZone/Atlantic/Cape_Verde/index' {
+  import {atlanticCapeVerde} from 'date-fns/timeZone'
+  export = atlanticCapeVerde
+}
+
+declare module 'date-fns/timeZone/Atlantic/Faeroe/index' {
+  import {atlanticFaeroe} from 'date-fns/timeZone'
+  export = atlanticFaeroe
+}
+
+declare module 'date-fns/timeZone/Atlantic/Faroe/index' {
+  import {atlanticFaroe} from 'date-fns/timeZone'
+  export = atlanticFaroe
+}
+
+declare module 'date-fns/timeZone/Atlantic/Jan_Mayen/index' {
+  import {atlanticJanMayen} from 'date-fns/timeZone'
+  export = atlanticJanMayen
+}
+
+declare module 'date-fns/timeZone/Atlantic/Madeira/index' {
+  import {atlanticMadeira} from 'date-fns/timeZone'
+  export = atlanticMadeira
+}
+
+declare module 'date-fns/timeZone/Atlantic/Reykjavik/index' {
+  import {atlanticReykjavik} from 'date-fns/timeZone'
+  export = atlanticReykjavik
+}
+
+declare module 'date-fns/timeZone/Atlantic/South_Georgia/index' {
+  import {atlanticSouthGeorgia} from 'date-fns/timeZone'
+  export = atlanticSouthGeorgia
+}
+
+declare module 'date-fns/timeZone/Atlantic/St_Helena/index' {
+  import {atlanticStHelena} from 'date-fns/timeZone'
+  export = atlanticStHelena
+}
+
+declare module 'date-fns/timeZone/Atlantic/Stanley/index' {
+  import {atlanticStanley} from 'date-fns/timeZone'
+  export = atlanticStanley
+}
+
+declare module 'date-fns/timeZone/Australia/ACT/index' {
+  import {australiaACT} from 'date-fns/timeZone'
+  export = australiaACT
+}
+
+declare module 'date-fns/timeZone/Australia/Adelaide/index' {
+  import {australiaAdelaide} from 'date-fns/timeZone'
+  export = australiaAdelaide
+}
+
+declare module 'date-fns/timeZone/Australia/Brisbane/index' {
+  import {australiaBrisbane} from 'date-fns/timeZone'
+  export = australiaBrisbane
+}
+
+declare module 'date-fns/timeZone/Australia/Broken_Hill/index' {
+  import {australiaBrokenHill} from 'date-fns/timeZone'
+  export = australiaBrokenHill
+}
+
+declare module 'date-fns/timeZone/Australia/Canberra/index' {
+  import {australiaCanberra} from 'date-fns/timeZone'
+  export = australiaCanberra
+}
+
+declare module 'date-fns/timeZone/Australia/Currie/index' {
+  import {australiaCurrie} from 'date-fns/timeZone'
+  export = australiaCurrie
+}
+
+declare module 'date-fns/timeZone/Australia/Darwin/index' {
+  import {australiaDarwin} from 'date-fns/timeZone'
+  export = australiaDarwin
+}
+
+declare module 'date-fns/timeZone/Australia/Eucla/index' {
+  import {australiaEucla} from 'date-fns/timeZone'
+  export = australiaEucla
+}
+
+declare module 'date-fns/timeZone/Australia/Hobart/index' {
+  import {australiaHobart} from 'date-fns/timeZone'
+  export = australiaHobart
+}
+
+declare module 'date-fns/timeZone/Australia/LHI/index' {
+  import {australiaLHI} from 'date-fns/timeZone'
+  export = australiaLHI
+}
+
+declare module 'date-fns/timeZone/Australia/Lindeman/index' {
+  import {australiaLindeman} from 'date-fns/timeZone'
+  export = australiaLindeman
+}
+
+declare module 'date-fns/timeZone/Australia/Lord_Howe/index' {
+  import {australiaLordHowe} from 'date-fns/timeZone'
+  export = australiaLordHowe
+}
+
+declare module 'date-fns/timeZone/Australia/Melbourne/index' {
+  import {australiaMelbourne} from 'date-fns/timeZone'
+  export = australiaMelbourne
+}
+
+declare module 'date-fns/timeZone/Australia/NSW/index' {
+  import {australiaNSW} from 'date-fns/timeZone'
+  export = australiaNSW
+}
+
+declare module 'date-fns/timeZone/Australia/North/index' {
+  import {australiaNorth} from 'date-fns/timeZone'
+  export = australiaNorth
+}
+
+declare module 'date-fns/timeZone/Australia/Perth/index' {
+  import {australiaPerth} from 'date-fns/timeZone'
+  export = australiaPerth
+}
+
+declare module 'date-fns/timeZone/Australia/Queensland/index' {
+  import {australiaQueensland} from 'date-fns/timeZone'
+  export = australiaQueensland
+}
+
+declare module 'date-fns/timeZone/Australia/South/index' {
+  import {australiaSouth} from 'date-fns/timeZone'
+  export = australiaSouth
+}
+
+declare module 'date-fns/timeZone/Australia/Sydney/index' {
+  import {australiaSydney} from 'date-fns/timeZone'
+  export = australiaSydney
+}
+
+declare module 'date-fns/timeZone/Australia/Tasmania/index' {
+  import {australiaTasmania} from 'date-fns/timeZone'
+  export = australiaTasmania
+}
+
+declare module 'date-fns/timeZone/Australia/Victoria/index' {
+  import {australiaVictoria} from 'date-fns/timeZone'
+  export = australiaVictoria
+}
+
+declare module 'date-fns/timeZone/Australia/West/index' {
+  import {australiaWest} from 'date-fns/timeZone'
+  export = australiaWest
+}
+
+declare module 'date-fns/timeZone/Australia/Yancowinna/index' {
+  import {australiaYancowinna} from 'date-fns/timeZone'
+  export = australiaYancowinna
+}
+
+declare module 'date-fns/timeZone/Brazil/Acre/index' {
+  import {brazilAcre} from 'date-fns/timeZone'
+  export = brazilAcre
+}
+
+declare module 'date-fns/timeZone/Brazil/DeNoronha/index' {
+  import {brazilDeNoronha} from 'date-fns/timeZone'
+  export = brazilDeNoronha
+}
+
+declare module 'date-fns/timeZone/Brazil/East/index' {
+  import {brazilEast} from 'date-fns/timeZone'
+  export = brazilEast
+}
+
+declare module 'date-fns/timeZone/Brazil/West/index' {
+  import {brazilWest} from 'date-fns/timeZone'
+  export = brazilWest
+}
+
+declare module 'date-fns/timeZone/CET/index' {
+  import {cet} from 'date-fns/timeZone'
+  export = cet
+}
+
+declare module 'date-fns/timeZone/CST6CDT/index' {
+  import {cst6cdt} from 'date-fns/timeZone'
+  export = cst6cdt
+}
+
+declare module 'date-fns/timeZone/Canada/Atlantic/index' {
+  import {canadaAtlantic} from 'date-fns/timeZone'
+  export = canadaAtlantic
+}
+
+declare module 'date-fns/timeZone/Canada/Central/index' {
+  import {canadaCentral} from 'date-fns/timeZone'
+  export = canadaCentral
+}
+
+declare module 'date-fns/timeZone/Canada/Eastern/index' {
+  import {canadaEastern} from 'date-fns/timeZone'
+  export = canadaEastern
+}
+
+declare module 'date-fns/timeZone/Canada/Mountain/index' {
+  import {canadaMountain} from 'date-fns/timeZone'
+  export = canadaMountain
+}
+
+declare module 'date-fns/timeZone/Canada/Newfoundland/index' {
+  import {canadaNewfoundland} from 'date-fns/timeZone'
+  export = canadaNewfoundland
+}
+
+declare module 'date-fns/timeZone/Canada/Pacific/index' {
+  import {canadaPacific} from 'date-fns/timeZone'
+  export = canadaPacific
+}
+
+declare module 'date-fns/timeZone/Canada/Saskatchewan/index' {
+  import {canadaSaskatchewan} from 'date-fns/timeZone'
+  export = canadaSaskatchewan
+}
+
+declare module 'date-fns/timeZone/Canada/Yukon/index' {
+  import {canadaYukon} from 'date-fns/timeZone'
+  export = canadaYukon
+}
+
+declare module 'date-fns/timeZone/Chile/Continental/index' {
+  import {chileContinental} from 'date-fns/timeZone'
+  export = chileContinental
+}
+
+declare module 'date-fns/timeZone/Chile/EasterIsland/index' {
+  import {chileEasterIsland} from 'date-fns/timeZone'
+  export = chileEasterIsland
+}
+
+declare module 'date-fns/timeZone/Cuba/index' {
+  import {cuba} from 'date-fns/timeZone'
+  export = cuba
+}
+
+declare module 'date-fns/timeZone/EET/index' {
+  import {eet} from 'date-fns/timeZone'
+  export = eet
+}
+
+declare module 'date-fns/timeZone/EST/index' {
+  import {est} from 'date-fns/timeZone'
+  export = est
+}
+
+declare module 'date-fns/timeZone/EST5EDT/index' {
+  import {est5edt} from 'date-fns/timeZone'
+  export = est5edt
+}
+
+declare module 'date-fns/timeZone/Egypt/index' {
+  import {egypt} from 'date-fns/timeZone'
+  export = egypt
+}
+
+declare module 'date-fns/timeZone/Eire/index' {
+  import {eire} from 'date-fns/timeZone'
+  export = eire
+}
+
+declare module 'date-fns/timeZone/Etc/GMT/index' {
+  import {etcGMT} from 'date-fns/timeZone'
+  export = etcGMT
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+0/index' {
+  import {etcGMTPlus0} from 'date-fns/timeZone'
+  export = etcGMTPlus0
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+1/index' {
+  import {etcGMTPlus1} from 'date-fns/timeZone'
+  export = etcGMTPlus1
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+10/index' {
+  import {etcGMTPlus10} from 'date-fns/timeZone'
+  export = etcGMTPlus10
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+11/index' {
+  import {etcGMTPlus11} from 'date-fns/timeZone'
+  export = etcGMTPlus11
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+12/index' {
+  import {etcGMTPlus12} from 'date-fns/timeZone'
+  export = etcGMTPlus12
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+2/index' {
+  import {etcGMTPlus2} from 'date-fns/timeZone'
+  export = etcGMTPlus2
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+3/index' {
+  import {etcGMTPlus3} from 'date-fns/timeZone'
+  export = etcGMTPlus3
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+4/index' {
+  import {etcGMTPlus4} from 'date-fns/timeZone'
+  export = etcGMTPlus4
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+5/index' {
+  import {etcGMTPlus5} from 'date-fns/timeZone'
+  export = etcGMTPlus5
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+6/index' {
+  import {etcGMTPlus6} from 'date-fns/timeZone'
+  export = etcGMTPlus6
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+7/index' {
+  import {etcGMTPlus7} from 'date-fns/timeZone'
+  export = etcGMTPlus7
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+8/index' {
+  import {etcGMTPlus8} from 'date-fns/timeZone'
+  export = etcGMTPlus8
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+9/index' {
+  import {etcGMTPlus9} from 'date-fns/timeZone'
+  export = etcGMTPlus9
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-0/index' {
+  import {etcGMTMinus0} from 'date-fns/timeZone'
+  export = etcGMTMinus0
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-1/index' {
+  import {etcGMTMinus1} from 'date-fns/timeZone'
+  export = etcGMTMinus1
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-10/index' {
+  import {etcGMTMinus10} from 'date-fns/timeZone'
+  export = etcGMTMinus10
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-11/index' {
+  import {etcGMTMinus11} from 'date-fns/timeZone'
+  export = etcGMTMinus11
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-12/index' {
+  import {etcGMTMinus12} from 'date-fns/timeZone'
+  export = etcGMTMinus12
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-13/index' {
+  import {etcGMTMinus13} from 'date-fns/timeZone'
+  export = etcGMTMinus13
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-14/index' {
+  import {etcGMTMinus14} from 'date-fns/timeZone'
+  export = etcGMTMinus14
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-2/index' {
+  import {etcGMTMinus2} from 'date-fns/timeZone'
+  export = etcGMTMinus2
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-3/index' {
+  import {etcGMTMinus3} from 'date-fns/timeZone'
+  export = etcGMTMinus3
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-4/index' {
+  import {etcGMTMinus4} from 'date-fns/timeZone'
+  export = etcGMTMinus4
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-5/index' {
+  import {etcGMTMinus5} from 'date-fns/timeZone'
+  export = etcGMTMinus5
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-6/index' {
+  import {etcGMTMinus6} from 'date-fns/timeZone'
+  export = etcGMTMinus6
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-7/index' {
+  import {etcGMTMinus7} from 'date-fns/timeZone'
+  export = etcGMTMinus7
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-8/index' {
+  import {etcGMTMinus8} from 'date-fns/timeZone'
+  export = etcGMTMinus8
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-9/index' {
+  import {etcGMTMinus9} from 'date-fns/timeZone'
+  export = etcGMTMinus9
+}
+
+declare module 'date-fns/timeZone/Etc/GMT0/index' {
+  import {etcGMT0} from 'date-fns/timeZone'
+  export = etcGMT0
+}
+
+declare module 'date-fns/timeZone/Etc/Greenwich/index' {
+  import {etcGreenwich} from 'date-fns/timeZone'
+  export = etcGreenwich
+}
+
+declare module 'date-fns/timeZone/Etc/UCT/index' {
+  import {etcUCT} from 'date-fns/timeZone'
+  export = etcUCT
+}
+
+declare module 'date-fns/timeZone/Etc/UTC/index' {
+  import {etcUTC} from 'date-fns/timeZone'
+  export = etcUTC
+}
+
+declare module 'date-fns/timeZone/Etc/Universal/index' {
+  import {etcUniversal} from 'date-fns/timeZone'
+  export = etcUniversal
+}
+
+declare module 'date-fns/timeZone/Etc/Zulu/index' {
+  import {etcZulu} from 'date-fns/timeZone'
+  export = etcZulu
+}
+
+declare module 'date-fns/timeZone/Europe/Amsterdam/index' {
+  import {europeAmsterdam} from 'date-fns/timeZone'
+  export = europeAmsterdam
+}
+
+declare module 'date-fns/timeZone/Europe/Andorra/index' {
+  import {europeAndorra} from 'date-fns/timeZone'
+  export = europeAndorra
+}
+
+declare module 'date-fns/timeZone/Europe/Astrakhan/index' {
+  import {europeAstrakhan} from 'date-fns/timeZone'
+  export = europeAstrakhan
+}
+
+declare module 'date-fns/timeZone/Europe/Athens/index' {
+  import {europeAthens} from 'date-fns/timeZone'
+  export = europeAthens
+}
+
+declare module 'date-fns/timeZone/Europe/Belfast/index' {
+  import {europeBelfast} from 'date-fns/timeZone'
+  export = europeBelfast
+}
+
+declare module 'date-fns/timeZone/Europe/Belgrade/index' {
+  import {europeBelgrade} from 'date-fns/timeZone'
+  export = europeBelgrade
+}
+
+declare module 'date-fns/timeZone/Europe/Berlin/index' {
+  import {europeBerlin} from 'date-fns/timeZone'
+  export = europeBerlin
+}
+
+declare module 'date-fns/timeZone/Europe/Bratislava/index' {
+  import {europeBratislava} from 'date-fns/timeZone'
+  export = europeBratislava
+}
+
+declare module 'date-fns/timeZone/Europe/Brussels/index' {
+  import {europeBrussels} from 'date-fns/timeZone'
+  export = europeBrussels
+}
+
+declare module 'date-fns/timeZone/Europe/Bucharest/index' {
+  import {europeBucharest} from 'date-fns/timeZone'
+  export = europeBucharest
+}
+
+declare module 'date-fns/timeZone/Europe/Budapest/index' {
+  import {europeBudapest} from 'date-fns/timeZone'
+  export = europeBudapest
+}
+
+declare module 'date-fns/timeZone/Europe/Busingen/index' {
+  import {europeBusingen} from 'date-fns/timeZone'
+  export = europeBusingen
+}
+
+declare module 'date-fns/timeZone/Europe/Chisinau/index' {
+  import {europeChisinau} from 'date-fns/timeZone'
+  export = europeChisinau
+}
+
+declare module 'date-fns/timeZone/Europe/Copenhagen/index' {
+  import {europeCopenhagen} from 'date-fns/timeZone'
+  export = europeCopenhagen
+}
+
+declare module 'date-fns/timeZone/Europe/Dublin/index' {
+  import {europeDublin} from 'date-fns/timeZone'
+  export = europeDublin
+}
+
+declare module 'date-fns/timeZone/Europe/Gibraltar/index' {
+  import {europeGibraltar} from 'date-fns/timeZone'
+  export = europeGibraltar
+}
+
+declare module 'date-fns/timeZone/Europe/Guernsey/index' {
+  import {europeGuernsey} from 'date-fns/timeZone'
+  export = europeGuernsey
+}
+
+declare module 'date-fns/timeZone/Europe/Helsinki/index' {
+  import {europeHelsinki} from 'date-fns/timeZone'
+  export = europeHelsinki
+}
+
+declare module 'date-fns/timeZone/Europe/Isle_of_Man/index' {
+  import {europeIsleOfMan} from 'date-fns/timeZone'
+  export = europeIsleOfMan
+}
+
+declare module 'date-fns/timeZone/Europe/Istanbul/index' {
+  import {europeIstanbul} from 'date-fns/timeZone'
+  export = europeIstanbul
+}
+
+declare module 'date-fns/timeZone/Europe/Jersey/index' {
+  import {europeJersey} from 'date-fns/timeZone'
+  export = europeJersey
+}
+
+declare module 'date-fns/timeZone/Europe/Kaliningrad/index' {
+  import {europeKaliningrad} from 'date-fns/timeZone'
+  export = europeKaliningrad
+}
+
+declare module 'date-fns/timeZone/Europe/Kiev/index' {
+  import {europeKiev} from 'date-fns/timeZone'
+  export = europeKiev
+}
+
+declare module 'date-fns/timeZone/Europe/Kirov/index' {
+  import {europeKirov} from 'date-fns/timeZone'
+  export = europeKirov
+}
+
+declare module 'date-fns/timeZone/Europe/Kyiv/index' {
+  import {europeKyiv} from 'date-fns/timeZone'
+  export = europeKyiv
+}
+
+declare module 'date-fns/timeZone/Europe/Lisbon/index' {
+  import {europeLisbon} from 'date-fns/timeZone'
+  export = europeLisbon
+}
+
+declare module 'date-fns/timeZone/Europe/Ljubljana/index' {
+  import {europeLjubljana} from 'date-fns/timeZone'
+  export = europeLjubljana
+}
+
+declare module 'date-fns/timeZone/Europe/London/index' {
+  import {europeLondon} from 'date-fns/timeZone'
+  export = europeLondon
+}
+
+declare module 'date-fns/timeZone/Europe/Luxembourg/index' {
+  import {europeLuxembourg} from 'date-fns/timeZone'
+  export = europeLuxembourg
+}
+
+declare module 'date-fns/timeZone/Europe/Madrid/index' {
+  import {europeMadrid} from 'date-fns/timeZone'
+  export = europeMadrid
+}
+
+declare module 'date-fns/timeZone/Europe/Malta/index' {
+  import {europeMalta} from 'date-fns/timeZone'
+  export = europeMalta
+}
+
+declare module 'date-fns/timeZone/Europe/Mariehamn/index' {
+  import {europeMariehamn} from 'date-fns/timeZone'
+  export = europeMariehamn
+}
+
+declare module 'date-fns/timeZone/Europe/Minsk/index' {
+  import {europeMinsk} from 'date-fns/timeZone'
+  export = europeMinsk
+}
+
+declare module 'date-fns/timeZone/Europe/Monaco/index' {
+  import {europeMonaco} from 'date-fns/timeZone'
+  export = europeMonaco
+}
+
+declare module 'date-fns/timeZone/Europe/Moscow/index' {
+  import {europeMoscow} from 'date-fns/timeZone'
+  export = europeMoscow
+}
+
+declare module 'date-fns/timeZone/Europe/Nicosia/index' {
+  import {europeNicosia} from 'date-fns/timeZone'
+  export = europeNicosia
+}
+
+declare module 'date-fns/timeZone/Europe/Oslo/index' {
+  import {europeOslo} from 'date-fns/timeZone'
+  export = europeOslo
+}
+
+declare module 'date-fns/timeZone/Europe/Paris/index' {
+  import {europeParis} from 'date-fns/timeZone'
+  export = europeParis
+}
+
+declare module 'date-fns/timeZone/Europe/Podgorica/index' {
+  import {europePodgorica} from 'date-fns/timeZone'
+  export = europePodgorica
+}
+
+declare module 'date-fns/timeZone/Europe/Prague/index' {
+  import {europePrague} from 'date-fns/timeZone'
+  export = europePrague
+}
+
+declare module 'date-fns/timeZone/Europe/Riga/index' {
+  import {europeRiga} from 'date-fns/timeZone'
+  export = europeRiga
+}
+
+declare module 'date-fns/timeZone/Europe/Rome/index' {
+  import {europeRome} from 'date-fns/timeZone'
+  export = europeRome
+}
+
+declare module 'date-fns/timeZone/Europe/Samara/index' {
+  import {europeSamara} from 'date-fns/timeZone'
+  export = europeSamara
+}
+
+declare module 'date-fns/timeZone/Europe/San_Marino/index' {
+  import {europeSanMarino} from 'date-fns/timeZone'
+  export = europeSanMarino
+}
+
+declare module 'date-fns/timeZone/Europe/Sarajevo/index' {
+  import {europeSarajevo} from 'date-fns/timeZone'
+  export = europeSarajevo
+}
+
+declare module 'date-fns/timeZone/Europe/Saratov/index' {
+  import {europeSaratov} from 'date-fns/timeZone'
+  export = europeSaratov
+}
+
+declare module 'date-fns/timeZone/Europe/Simferopol/index' {
+  import {europeSimferopol} from 'date-fns/timeZone'
+  export = europeSimferopol
+}
+
+declare module 'date-fns/timeZone/Europe/Skopje/index' {
+  import {europeSkopje} from 'date-fns/timeZone'
+  export = europeSkopje
+}
+
+declare module 'date-fns/timeZone/Europe/Sofia/index' {
+  import {europeSofia} from 'date-fns/timeZone'
+  export = europeSofia
+}
+
+declare module 'date-fns/timeZone/Europe/Stockholm/index' {
+  import {europeStockholm} from 'date-fns/timeZone'
+  export = europeStockholm
+}
+
+declare module 'date-fns/timeZone/Europe/Tallinn/index' {
+  import {europeTallinn} from 'date-fns/timeZone'
+  export = europeTallinn
+}
+
+declare module 'date-fns/timeZone/Europe/Tirane/index' {
+  import {europeTirane} from 'date-fns/timeZone'
+  export = europeTirane
+}
+
+declare module 'date-fns/timeZone/Europe/Tiraspol/index' {
+  import {europeTiraspol} from 'date-fns/timeZone'
+  export = europeTiraspol
+}
+
+declare module 'date-fns/timeZone/Europe/Ulyanovsk/index' {
+  import {europeUlyanovsk} from 'date-fns/timeZone'
+  export = europeUlyanovsk
+}
+
+declare module 'date-fns/timeZone/Europe/Uzhgorod/index' {
+  import {europeUzhgorod} from 'date-fns/timeZone'
+  export = europeUzhgorod
+}
+
+declare module 'date-fns/timeZone/Europe/Vaduz/index' {
+  import {europeVaduz} from 'date-fns/timeZone'
+  export = europeVaduz
+}
+
+declare module 'date-fns/timeZone/Europe/Vatican/index' {
+  import {europeVatican} from 'date-fns/timeZone'
+  export = europeVatican
+}
+
+declare module 'date-fns/timeZone/Europe/Vienna/index' {
+  import {europeVienna} from 'date-fns/timeZone'
+  export = europeVienna
+}
+
+declare module 'date-fns/timeZone/Europe/Vilnius/index' {
+  import {europeVilnius} from 'date-fns/timeZone'
+  export = europeVilnius
+}
+
+declare module 'date-fns/timeZone/Europe/Volgograd/index' {
+  import {europeVolgograd} from 'date-fns/timeZone'
+  export = europeVolgograd
+}
+
+declare module 'date-fns/timeZone/Europe/Warsaw/index' {
+  import {europeWarsaw} from 'date-fns/timeZone'
+  export = europeWarsaw
+}
+
+declare module 'date-fns/timeZone/Europe/Zagreb/index' {
+  import {europeZagreb} from 'date-fns/timeZone'
+  export = europeZagreb
+}
+
+declare module 'date-fns/timeZone/Europe/Zaporozhye/index' {
+  import {europeZaporozhye} from 'date-fns/timeZone'
+  export = europeZaporozhye
+}
+
+declare module 'date-fns/timeZone/Europe/Zurich/index' {
+  import {europeZurich} from 'date-fns/timeZone'
+  export = europeZurich
+}
+
+declare module 'date-fns/timeZone/GB/index' {
+  import {gb} from 'date-fns/timeZone'
+  export = gb
+}
+
+declare module 'date-fns/timeZone/GB-Eire/index' {
+  import {gbEire} from 'date-fns/timeZone'
+  export = gbEire
+}
+
+declare module 'date-fns/timeZone/GMT/index' {
+  import {gmt} from 'date-fns/timeZone'
+  export = gmt
+}
+
+declare module 'date-fns/timeZone/GMT+0/index' {
+  import {gmtPlus0} from 'date-fns/timeZone'
+  export = gmtPlus0
+}
+
+declare module 'date-fns/timeZone/GMT-0/index' {
+  import {gmtMinus0} from 'date-fns/timeZone'
+  export = gmtMinus0
+}
+
+declare module 'date-fns/timeZone/GMT0/index' {
+  import {gmt0} from 'date-fns/timeZone'
+  export = gmt0
+}
+
+declare module 'date-fns/timeZone/Greenwich/index' {
+  import {greenwich} from 'date-fns/timeZone'
+  export = greenwich
+}
+
+declare module 'date-fns/timeZone/HST/index' {
+  import {hst} from 'date-fns/timeZone'
+  export = hst
+}
+
+declare module 'date-fns/timeZone/Hongkong/index' {
+  import {hongkong} from 'date-fns/timeZone'
+  export = hongkong
+}
+
+declare module 'date-fns/timeZone/Iceland/index' {
+  import {iceland} from 'date-fns/timeZone'
+  export = iceland
+}
+
+declare module 'date-fns/timeZone/Indian/Antananarivo/index' {
+  import {indianAntananarivo} from 'date-fns/timeZone'
+  export = indianAntananarivo
+}
+
+declare module 'date-fns/timeZone/Indian/Chagos/index' {
+  import {indianChagos} from 'date-fns/timeZone'
+  export = indianChagos
+}
+
+declare module 'date-fns/timeZone/Indian/Christmas/index' {
+  import {indianChristmas} from 'date-fns/timeZone'
+  export = indianChristmas
+}
+
+declare module 'date-fns/timeZone/Indian/Cocos/index' {
+  import {indianCocos} from 'date-fns/timeZone'
+  export = indianCocos
+}
+
+declare module 'date-fns/timeZone/Indian/Comoro/index' {
+  import {indianComoro} from 'date-fns/timeZone'
+  export = indianComoro
+}
+
+declare module 'date-fns/timeZone/Indian/Kerguelen/index' {
+  import {indianKerguelen} from 'date-fns/timeZone'
+  export = indianKerguelen
+}
+
+declare module 'date-fns/timeZone/Indian/Mahe/index' {
+  import {indianMahe} from 'date-fns/timeZone'
+  export = indianMahe
+}
+
+declare module 'date-fns/timeZone/Indian/Maldives/index' {
+  import {indianMaldives} from 'date-fns/timeZone'
+  export = indianMaldives
+}
+
+declare module 'date-fns/timeZone/Indian/Mauritius/index' {
+  import {indianMauritius} from 'date-fns/timeZone'
+  export = indianMauritius
+}
+
+declare module 'date-fns/timeZone/Indian/Mayotte/index' {
+  import {indianMayotte} from 'date-fns/timeZone'
+  export = indianMayotte
+}
+
+declare module 'date-fns/timeZone/Indian/Reunion/index' {
+  import {indianReunion} from 'date-fns/timeZone'
+  export = indianReunion
+}
+
+declare module 'date-fns/timeZone/Iran/index' {
+  import {iran} from 'date-fns/timeZone'
+  export = iran
+}
+
+declare module 'date-fns/timeZone/Israel/index' {
+  import {israel} from 'date-fns/timeZone'
+  export = israel
+}
+
+declare module 'date-fns/timeZone/Jamaica/index' {
+  import {jamaica} from 'date-fns/timeZone'
+  export = jamaica
+}
+
+declare module 'date-fns/timeZone/Japan/index' {
+  import {japan} from 'date-fns/timeZone'
+  export = japan
+}
+
+declare module 'date-fns/timeZone/Kwajalein/index' {
+  import {kwajalein} from 'date-fns/timeZone'
+  export = kwajalein
+}
+
+declare module 'date-fns/timeZone/Libya/index' {
+  import {libya} from 'date-fns/timeZone'
+  export = libya
+}
+
+declare module 'date-fns/timeZone/MET/index' {
+  import {met} from 'date-fns/timeZone'
+  export = met
+}
+
+declare module 'date-fns/timeZone/MST/index' {
+  import {mst} from 'date-fns/timeZone'
+  export = mst
+}
+
+declare module 'date-fns/timeZone/MST7MDT/index' {
+  import {mst7mdt} from 'date-fns/timeZone'
+  export = mst7mdt
+}
+
+declare module 'date-fns/timeZone/Mexico/BajaNorte/index' {
+  import {mexicoBajaNorte} from 'date-fns/timeZone'
+  export = mexicoBajaNorte
+}
+
+declare module 'date-fns/timeZone/Mexico/BajaSur/index' {
+  import {mexicoBajaSur} from 'date-fns/timeZone'
+  export = mexicoBajaSur
+}
+
+declare module 'date-fns/timeZone/Mexico/General/index' {
+  import {mexicoGeneral} from 'date-fns/timeZone'
+  export = mexicoGeneral
+}
+
+declare module 'date-fns/timeZone/NZ/index' {
+  import {nz} from 'date-fns/timeZone'
+  export = nz
+}
+
+declare module 'date-fns/timeZone/NZ-CHAT/index' {
+  import {nzCHAT} from 'date-fns/timeZone'
+  export = nzCHAT
+}
+
+declare module 'date-fns/timeZone/Navajo/index' {
+  import {navajo} from 'date-fns/timeZone'
+  export = navajo
+}
+
+declare module 'date-fns/timeZone/PRC/index' {
+  import {prc} from 'date-fns/timeZone'
+  export = prc
+}
+
+declare module 'date-fns/timeZone/PST8PDT/index' {
+  import {pst8pdt} from 'date-fns/timeZone'
+  export = pst8pdt
+}
+
+declare module 'date-fns/timeZone/Pacific/Apia/index' {
+  import {pacificApia} from 'date-fns/timeZone'
+  export = pacificApia
+}
+
+declare module 'date-fns/timeZone/Pacific/Auckland/index' {
+  import {pacificAuckland} from 'date-fns/timeZone'
+  export = pacificAuckland
+}
+
+declare module 'date-fns/timeZone/Pacific/Bougainville/index' {
+  import {pacificBougainville} from 'date-fns/timeZone'
+  export = pacificBougainville
+}
+
+declare module 'date-fns/timeZone/Pacific/Chatham/index' {
+  import {pacificChatham} from 'date-fns/timeZone'
+  export = pacificChatham
+}
+
+declare module 'date-fns/timeZone/Pacific/Chuuk/index' {
+  import {pacificChuuk} from 'date-fns/timeZone'
+  export = pacificChuuk
+}
+
+declare module 'date-fns/timeZone/Pacific/Easter/index' {
+  import {pacificEaster} from 'date-fns/timeZone'
+  export = pacificEaster
+}
+
+declare module 'date-fns/timeZone/Pacific/Efate/index' {
+  import {pacificEfate} from 'date-fns/timeZone'
+  export = pacificEfate
+}
+
+declare module 'date-fns/timeZone/Pacific/Enderbury/index' {
+  import {pacificEnderbury} from 'date-fns/timeZone'
+  export = pacificEnderbury
+}
+
+declare module 'date-fns/timeZone/Pacific/Fakaofo/index' {
+  import {pacificFakaofo} from 'date-fns/timeZone'
+  export = pacificFakaofo
+}
+
+declare module 'date-fns/timeZone/Pacific/Fiji/index' {
+  import {pacificFiji} from 'date-fns/timeZone'
+  export = pacificFiji
+}
+
+declare module 'date-fns/timeZone/Pacific/Funafuti/index' {
+  import {pacificFunafuti} from 'date-fns/timeZone'
+  export = pacificFunafuti
+}
+
+declare module 'date-fns/timeZone/Pacific/Galapagos/index' {
+  import {pacificGalapagos} from 'date-fns/timeZone'
+  export = pacificGalapagos
+}
+
+declare module 'date-fns/timeZone/Pacific/Gambier/index' {
+  import {pacificGambier} from 'date-fns/timeZone'
+  export = pacificGambier
+}
+
+declare module 'date-fns/timeZone/Pacific/Guadalcanal/index' {
+  import {pacificGuadalcanal} from 'date-fns/timeZone'
+  export = pacificGuadalcanal
+}
+
+declare module 'date-fns/timeZone/Pacific/Guam/index' {
+  import {pacificGuam} from 'date-fns/timeZone'
+  export = pacificGuam
+}
+
+declare module 'date-fns/timeZone/Pacific/Honolulu/index' {
+  import {pacificHonolulu} from 'date-fns/timeZone'
+  export = pacificHonolulu
+}
+
+declare module 'date-fns/timeZone/Pacific/Johnston/index' {
+  import {pacificJohnston} from 'date-fns/timeZone'
+  export = pacificJohnston
+}
+
+declare module 'date-fns/timeZone/Pacific/Kanton/index' {
+  import {pacificKanton} from 'date-fns/timeZone'
+  export = pacificKanton
+}
+
+declare module 'date-fns/timeZone/Pacific/Kiritimati/index' {
+  import {pacificKiritimati} from 'date-fns/timeZone'
+  export = pacificKiritimati
+}
+
+declare module 'date-fns/timeZone/Pacific/Kosrae/index' {
+  import {pacificKosrae} from 'date-fns/timeZone'
+  export = pacificKosrae
+}
+
+declare module 'date-fns/timeZone/Pacific/Kwajalein/index' {
+  import {pacificKwajalein} from 'date-fns/timeZone'
+  export = pacificKwajalein
+}
+
+declare module 'date-fns/timeZone/Pacific/Majuro/index' {
+  import {pacificMajuro} from 'date-fns/timeZone'
+  export = pacificMajuro
+}
+
+declare module 'date-fns/timeZone/Pacific/Marquesas/index' {
+  import {pacificMarquesas} from 'date-fns/timeZone'
+  export = pacificMarquesas
+}
+
+declare module 'date-fns/timeZone/Pacific/Midway/index' {
+  import {pacificMidway} from 'date-fns/timeZone'
+  export = pacificMidway
+}
+
+declare module 'date-fns/timeZone/Pacific/Nauru/index' {
+  import {pacificNauru} from 'date-fns/timeZone'
+  export = pacificNauru
+}
+
+declare module 'date-fns/timeZone/Pacific/Niue/index' {
+  import {pacificNiue} from 'date-fns/timeZone'
+  export = pacificNiue
+}
+
+declare module 'date-fns/timeZone/Pacific/Norfolk/index' {
+  import {pacificNorfolk} from 'date-fns/timeZone'
+  export = pacificNorfolk
+}
+
+declare module 'date-fns/timeZone/Pacific/Noumea/index' {
+  import {pacificNoumea} from 'date-fns/timeZone'
+  export = pacificNoumea
+}
+
+declare module 'date-fns/timeZone/Pacific/Pago_Pago/index' {
+  import {pacificPagoPago} from 'date-fns/timeZone'
+  export = pacificPagoPago
+}
+
+declare module 'date-fns/timeZone/Pacific/Palau/index' {
+  import {pacificPalau} from 'date-fns/timeZone'
+  export = pacificPalau
+}
+
+declare module 'date-fns/timeZone/Pacific/Pitcairn/index' {
+  import {pacificPitcairn} from 'date-fns/timeZone'
+  export = pacificPitcairn
+}
+
+declare module 'date-fns/timeZone/Pacific/Pohnpei/index' {
+  import {pacificPohnpei} from 'date-fns/timeZone'
+  export = pacificPohnpei
+}
+
+declare module 'date-fns/timeZone/Pacific/Ponape/index' {
+  import {pacificPonape} from 'date-fns/timeZone'
+  export = pacificPonape
+}
+
+declare module 'date-fns/timeZone/Pacific/Port_Moresby/index' {
+  import {pacificPortMoresby} from 'date-fns/timeZone'
+  export = pacificPortMoresby
+}
+
+declare module 'date-fns/timeZone/Pacific/Rarotonga/index' {
+  import {pacificRarotonga} from 'date-fns/timeZone'
+  export = pacificRarotonga
+}
+
+declare module 'date-fns/timeZone/Pacific/Saipan/index' {
+  import {pacificSaipan} from 'date-fns/timeZone'
+  export = pacificSaipan
+}
+
+declare module 'date-fns/timeZone/Pacific/Samoa/index' {
+  import {pacificSamoa} from 'date-fns/timeZone'
+  export = pacificSamoa
+}
+
+declare module 'date-fns/timeZone/Pacific/Tahiti/index' {
+  import {pacificTahiti} from 'date-fns/timeZone'
+  export = pacificTahiti
+}
+
+declare module 'date-fns/timeZone/Pacific/Tarawa/index' {
+  import {pacificTarawa} from 'date-fns/timeZone'
+  export = pacificTarawa
+}
+
+declare module 'date-fns/timeZone/Pacific/Tongatapu/index' {
+  import {pacificTongatapu} from 'date-fns/timeZone'
+  export = pacificTongatapu
+}
+
+declare module 'date-fns/timeZone/Pacific/Truk/index' {
+  import {pacificTruk} from 'date-fns/timeZone'
+  export = pacificTruk
+}
+
+declare module 'date-fns/timeZone/Pacific/Wake/index' {
+  import {pacificWake} from 'date-fns/timeZone'
+  export = pacificWake
+}
+
+declare module 'date-fns/timeZone/Pacific/Wallis/index' {
+  import {pacificWallis} from 'date-fns/timeZone'
+  export = pacificWallis
+}
+
+declare module 'date-fns/timeZone/Pacific/Yap/index' {
+  import {pacificYap} from 'date-fns/timeZone'
+  export = pacificYap
+}
+
+declare module 'date-fns/timeZone/Poland/index' {
+  import {poland} from 'date-fns/timeZone'
+  export = poland
+}
+
+declare module 'date-fns/timeZone/Portugal/index' {
+  import {portugal} from 'date-fns/timeZone'
+  export = portugal
+}
+
+declare module 'date-fns/timeZone/ROC/index' {
+  import {roc} from 'date-fns/timeZone'
+  export = roc
+}
+
+declare module 'date-fns/timeZone/ROK/index' {
+  import {rok} from 'date-fns/timeZone'
+  export = rok
+}
+
+declare module 'date-fns/timeZone/Singapore/index' {
+  import {singapore} from 'date-fns/timeZone'
+  export = singapore
+}
+
+declare module 'date-fns/timeZone/Turkey/index' {
+  import {turkey} from 'date-fns/timeZone'
+  export = turkey
+}
+
+declare module 'date-fns/timeZone/UCT/index' {
+  import {uct} from 'date-fns/timeZone'
+  export = uct
+}
+
+declare module 'date-fns/timeZone/US/Alaska/index' {
+  import {usAlaska} from 'date-fns/timeZone'
+  export = usAlaska
+}
+
+declare module 'date-fns/timeZone/US/Aleutian/index' {
+  import {usAleutian} from 'date-fns/timeZone'
+  export = usAleutian
+}
+
+declare module 'date-fns/timeZone/US/Arizona/index' {
+  import {usArizona} from 'date-fns/timeZone'
+  export = usArizona
+}
+
+declare module 'date-fns/timeZone/US/Central/index' {
+  import {usCentral} from 'date-fns/timeZone'
+  export = usCentral
+}
+
+declare module 'date-fns/timeZone/US/East-Indiana/index' {
+  import {usEastIndiana} from 'date-fns/timeZone'
+  export = usEastIndiana
+}
+
+declare module 'date-fns/timeZone/US/Eastern/index' {
+  import {usEastern} from 'date-fns/timeZone'
+  export = usEastern
+}
+
+declare module 'date-fns/timeZone/US/Hawaii/index' {
+  import {usHawaii} from 'date-fns/timeZone'
+  export = usHawaii
+}
+
+declare module 'date-fns/timeZone/US/Indiana-Starke/index' {
+  import {usIndianaStarke} from 'date-fns/timeZone'
+  export = usIndianaStarke
+}
+
+declare module 'date-fns/timeZone/US/Michigan/index' {
+  import {usMichigan} from 'date-fns/timeZone'
+  export = usMichigan
+}
+
+declare module 'date-fns/timeZone/US/Mountain/index' {
+  import {usMountain} from 'date-fns/timeZone'
+  export = usMountain
+}
+
+declare module 'date-fns/timeZone/US/Pacific/index' {
+  import {usPacific} from 'date-fns/timeZone'
+  export = usPacific
+}
+
+declare module 'date-fns/timeZone/US/Samoa/index' {
+  import {usSamoa} from 'date-fns/timeZone'
+  export = usSamoa
+}
+
+declare module 'date-fns/timeZone/UTC/index' {
+  import {utc} from 'date-fns/timeZone'
+  export = utc
+}
+
+declare module 'date-fns/timeZone/Universal/index' {
+  import {universal} from 'date-fns/timeZone'
+  export = universal
+}
+
+declare module 'date-fns/timeZone/W-SU/index' {
+  import {wSU} from 'date-fns/timeZone'
+  export = wSU
+}
+
+declare module 'date-fns/timeZone/WET/index' {
+  import {wet} from 'date-fns/timeZone'
+  export = wet
+}
+
+declare module 'date-fns/timeZone/Zulu/index' {
+  import {zulu} from 'date-fns/timeZone'
+  export = zulu
+}
+
+declare module 'date-fns/timeZone/Africa/Abidjan/index.js' {
+  import {africaAbidjan} from 'date-fns/timeZone'
+  export = africaAbidjan
+}
+
+declare module 'date-fns/timeZone/Africa/Accra/index.js' {
+  import {africaAccra} from 'date-fns/timeZone'
+  export = africaAccra
+}
+
+declare module 'date-fns/timeZone/Africa/Addis_Ababa/index.js' {
+  import {africaAddisAbaba} from 'date-fns/timeZone'
+  export = africaAddisAbaba
+}
+
+declare module 'date-fns/timeZone/Africa/Algiers/index.js' {
+  import {africaAlgiers} from 'date-fns/timeZone'
+  export = africaAlgiers
+}
+
+declare module 'date-fns/timeZone/Africa/Asmara/index.js' {
+  import {africaAsmara} from 'date-fns/timeZone'
+  export = africaAsmara
+}
+
+declare module 'date-fns/timeZone/Africa/Asmera/index.js' {
+  import {africaAsmera} from 'date-fns/timeZone'
+  export = africaAsmera
+}
+
+declare module 'date-fns/timeZone/Africa/Bamako/index.js' {
+  import {africaBamako} from 'date-fns/timeZone'
+  export = africaBamako
+}
+
+declare module 'date-fns/timeZone/Africa/Bangui/index.js' {
+  import {africaBangui} from 'date-fns/timeZone'
+  export = africaBangui
+}
+
+declare module 'date-fns/timeZone/Africa/Banjul/index.js' {
+  import {africaBanjul} from 'date-fns/timeZone'
+  export = africaBanjul
+}
+
+declare module 'date-fns/timeZone/Africa/Bissau/index.js' {
+  import {africaBissau} from 'date-fns/timeZone'
+  export = africaBissau
+}
+
+declare module 'date-fns/timeZone/Africa/Blantyre/index.js' {
+  import {africaBlantyre} from 'date-fns/timeZone'
+  export = africaBlantyre
+}
+
+declare module 'date-fns/timeZone/Africa/Brazzaville/index.js' {
+  import {africaBrazzaville} from 'date-fns/timeZone'
+  export = africaBrazzaville
+}
+
+declare module 'date-fns/timeZone/Africa/Bujumbura/index.js' {
+  import {africaBujumbura} from 'date-fns/timeZone'
+  export = africaBujumbura
+}
+
+declare module 'date-fns/timeZone/Africa/Cairo/index.js' {
+  import {africaCairo} from 'date-fns/timeZone'
+  export = africaCairo
+}
+
+declare module 'date-fns/timeZone/Africa/Casablanca/index.js' {
+  import {africaCasablanca} from 'date-fns/timeZone'
+  export = africaCasablanca
+}
+
+declare module 'date-fns/timeZone/Africa/Ceuta/index.js' {
+  import {africaCeuta} from 'date-fns/timeZone'
+  export = africaCeuta
+}
+
+declare module 'date-fns/timeZone/Africa/Conakry/index.js' {
+  import {africaConakry} from 'date-fns/timeZone'
+  export = africaConakry
+}
+
+declare module 'date-fns/timeZone/Africa/Dakar/index.js' {
+  import {africaDakar} from 'date-fns/timeZone'
+  export = africaDakar
+}
+
+declare module 'date-fns/timeZone/Africa/Dar_es_Salaam/index.js' {
+  import {africaDarEsSalaam} from 'date-fns/timeZone'
+  export = africaDarEsSalaam
+}
+
+declare module 'date-fns/timeZone/Africa/Djibouti/index.js' {
+  import {africaDjibouti} from 'date-fns/timeZone'
+  export = africaDjibouti
+}
+
+declare module 'date-fns/timeZone/Africa/Douala/index.js' {
+  import {africaDouala} from 'date-fns/timeZone'
+  export = africaDouala
+}
+
+declare module 'date-fns/timeZone/Africa/El_Aaiun/index.js' {
+  import {africaElAaiun} from 'date-fns/timeZone'
+  export = africaElAaiun
+}
+
+declare module 'date-fns/timeZone/Africa/Freetown/index.js' {
+  import {africaFreetown} from 'date-fns/timeZone'
+  export = africaFreetown
+}
+
+declare module 'date-fns/timeZone/Africa/Gaborone/index.js' {
+  import {africaGaborone} from 'date-fns/timeZone'
+  export = africaGaborone
+}
+
+declare module 'date-fns/timeZone/Africa/Harare/index.js' {
+  import {africaHarare} from 'date-fns/timeZone'
+  export = africaHarare
+}
+
+declare module 'date-fns/timeZone/Africa/Johannesburg/index.js' {
+  import {africaJohannesburg} from 'date-fns/timeZone'
+  export = africaJohannesburg
+}
+
+declare module 'date-fns/timeZone/Africa/Juba/index.js' {
+  import {africaJuba} from 'date-fns/timeZone'
+  export = africaJuba
+}
+
+declare module 'date-fns/timeZone/Africa/Kampala/index.js' {
+  import {africaKampala} from 'date-fns/timeZone'
+  export = africaKampala
+}
+
+declare module 'date-fns/timeZone/Africa/Khartoum/index.js' {
+  import {africaKhartoum} from 'date-fns/timeZone'
+  export = africaKhartoum
+}
+
+declare module 'date-fns/timeZone/Africa/Kigali/index.js' {
+  import {africaKigali} from 'date-fns/timeZone'
+  export = africaKigali
+}
+
+declare module 'date-fns/timeZone/Africa/Kinshasa/index.js' {
+  import {africaKinshasa} from 'date-fns/timeZone'
+  export = africaKinshasa
+}
+
+declare module 'date-fns/timeZone/Africa/Lagos/index.js' {
+  import {africaLagos} from 'date-fns/timeZone'
+  export = africaLagos
+}
+
+declare module 'date-fns/timeZone/Africa/Libreville/index.js' {
+  import {africaLibreville} from 'date-fns/timeZone'
+  export = africaLibreville
+}
+
+declare module 'date-fns/timeZone/Africa/Lome/index.js' {
+  import {africaLome} from 'date-fns/timeZone'
+  export = africaLome
+}
+
+declare module 'date-fns/timeZone/Africa/Luanda/index.js' {
+  import {africaLuanda} from 'date-fns/timeZone'
+  export = africaLuanda
+}
+
+declare module 'date-fns/timeZone/Africa/Lubumbashi/index.js' {
+  import {africaLubumbashi} from 'date-fns/timeZone'
+  export = africaLubumbashi
+}
+
+declare module 'date-fns/timeZone/Africa/Lusaka/index.js' {
+  import {africaLusaka} from 'date-fns/timeZone'
+  export = africaLusaka
+}
+
+declare module 'date-fns/timeZone/Africa/Malabo/index.js' {
+  import {africaMalabo} from 'date-fns/timeZone'
+  export = africaMalabo
+}
+
+declare module 'date-fns/timeZone/Africa/Maputo/index.js' {
+  import {africaMaputo} from 'date-fns/timeZone'
+  export = africaMaputo
+}
+
+declare module 'date-fns/timeZone/Africa/Maseru/index.js' {
+  import {africaMaseru} from 'date-fns/timeZone'
+  export = africaMaseru
+}
+
+declare module 'date-fns/timeZone/Africa/Mbabane/index.js' {
+  import {africaMbabane} from 'date-fns/timeZone'
+  export = africaMbabane
+}
+
+declare module 'date-fns/timeZone/Africa/Mogadishu/index.js' {
+  import {africaMogadishu} from 'date-fns/timeZone'
+  export = africaMogadishu
+}
+
+declare module 'date-fns/timeZone/Africa/Monrovia/index.js' {
+  import {africaMonrovia} from 'date-fns/timeZone'
+  export = africaMonrovia
+}
+
+declare module 'date-fns/timeZone/Africa/Nairobi/index.js' {
+  import {africaNairobi} from 'date-fns/timeZone'
+  export = africaNairobi
+}
+
+declare module 'date-fns/timeZone/Africa/Ndjamena/index.js' {
+  import {africaNdjamena} from 'date-fns/timeZone'
+  export = africaNdjamena
+}
+
+declare module 'date-fns/timeZone/Africa/Niamey/index.js' {
+  import {africaNiamey} from 'date-fns/timeZone'
+  export = africaNiamey
+}
+
+declare module 'date-fns/timeZone/Africa/Nouakchott/index.js' {
+  import {africaNouakchott} from 'date-fns/timeZone'
+  export = africaNouakchott
+}
+
+declare module 'date-fns/timeZone/Africa/Ouagadougou/index.js' {
+  import {africaOuagadougou} from 'date-fns/timeZone'
+  export = africaOuagadougou
+}
+
+declare module 'date-fns/timeZone/Africa/Porto-Novo/index.js' {
+  import {africaPortoNovo} from 'date-fns/timeZone'
+  export = africaPortoNovo
+}
+
+declare module 'date-fns/timeZone/Africa/Sao_Tome/index.js' {
+  import {africaSaoTome} from 'date-fns/timeZone'
+  export = africaSaoTome
+}
+
+declare module 'date-fns/timeZone/Africa/Timbuktu/index.js' {
+  import {africaTimbuktu} from 'date-fns/timeZone'
+  export = africaTimbuktu
+}
+
+declare module 'date-fns/timeZone/Africa/Tripoli/index.js' {
+  import {africaTripoli} from 'date-fns/timeZone'
+  export = africaTripoli
+}
+
+declare module 'date-fns/timeZone/Africa/Tunis/index.js' {
+  import {africaTunis} from 'date-fns/timeZone'
+  export = africaTunis
+}
+
+declare module 'date-fns/timeZone/Africa/Windhoek/index.js' {
+  import {africaWindhoek} from 'date-fns/timeZone'
+  export = africaWindhoek
+}
+
+declare module 'date-fns/timeZone/America/Adak/index.js' {
+  import {americaAdak} from 'date-fns/timeZone'
+  export = americaAdak
+}
+
+declare module 'date-fns/timeZone/America/Anchorage/index.js' {
+  import {americaAnchorage} from 'date-fns/timeZone'
+  export = americaAnchorage
+}
+
+declare module 'date-fns/timeZone/America/Anguilla/index.js' {
+  import {americaAnguilla} from 'date-fns/timeZone'
+  export = americaAnguilla
+}
+
+declare module 'date-fns/timeZone/America/Antigua/index.js' {
+  import {americaAntigua} from 'date-fns/timeZone'
+  export = americaAntigua
+}
+
+declare module 'date-fns/timeZone/America/Araguaina/index.js' {
+  import {americaAraguaina} from 'date-fns/timeZone'
+  export = americaAraguaina
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Buenos_Aires/index.js' {
+  import {americaArgentinaBuenosAires} from 'date-fns/timeZone'
+  export = americaArgentinaBuenosAires
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Catamarca/index.js' {
+  import {americaArgentinaCatamarca} from 'date-fns/timeZone'
+  export = americaArgentinaCatamarca
+}
+
+declare module 'date-fns/timeZone/America/Argentina/ComodRivadavia/index.js' {
+  import {americaArgentinaComodRivadavia} from 'date-fns/timeZone'
+  export = americaArgentinaComodRivadavia
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Cordoba/index.js' {
+  import {americaArgentinaCordoba} from 'date-fns/timeZone'
+  export = americaArgentinaCordoba
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Jujuy/index.js' {
+  import {americaArgentinaJujuy} from 'date-fns/timeZone'
+  export = americaArgentinaJujuy
+}
+
+declare module 'date-fns/timeZone/America/Argentina/La_Rioja/index.js' {
+  import {americaArgentinaLaRioja} from 'date-fns/timeZone'
+  export = americaArgentinaLaRioja
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Mendoza/index.js' {
+  import {americaArgentinaMendoza} from 'date-fns/timeZone'
+  export = americaArgentinaMendoza
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Rio_Gallegos/index.js' {
+  import {americaArgentinaRioGallegos} from 'date-fns/timeZone'
+  export = americaArgentinaRioGallegos
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Salta/index.js' {
+  import {americaArgentinaSalta} from 'date-fns/timeZone'
+  export = americaArgentinaSalta
+}
+
+declare module 'date-fns/timeZone/America/Argentina/San_Juan/index.js' {
+  import {americaArgentinaSanJuan} from 'date-fns/timeZone'
+  export = americaArgentinaSanJuan
+}
+
+declare module 'date-fns/timeZone/America/Argentina/San_Luis/index.js' {
+  import {americaArgentinaSanLuis} from 'date-fns/timeZone'
+  export = americaArgentinaSanLuis
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Tucuman/index.js' {
+  import {americaArgentinaTucuman} from 'date-fns/timeZone'
+  export = americaArgentinaTucuman
+}
+
+declare module 'date-fns/timeZone/America/Argentina/Ushuaia/index.js' {
+  import {americaArgentinaUshuaia} from 'date-fns/timeZone'
+  export = americaArgentinaUshuaia
+}
+
+declare module 'date-fns/timeZone/America/Aruba/index.js' {
+  import {americaAruba} from 'date-fns/timeZone'
+  export = americaAruba
+}
+
+declare module 'date-fns/timeZone/America/Asuncion/index.js' {
+  import {americaAsuncion} from 'date-fns/timeZone'
+  export = americaAsuncion
+}
+
+declare module 'date-fns/timeZone/America/Atikokan/index.js' {
+  import {americaAtikokan} from 'date-fns/timeZone'
+  export = americaAtikokan
+}
+
+declare module 'date-fns/timeZone/America/Atka/index.js' {
+  import {americaAtka} from 'date-fns/timeZone'
+  export = americaAtka
+}
+
+declare module 'date-fns/timeZone/America/Bahia/index.js' {
+  import {americaBahia} from 'date-fns/timeZone'
+  export = americaBahia
+}
+
+declare module 'date-fns/timeZone/America/Bahia_Banderas/index.js' {
+  import {americaBahiaBanderas} from 'date-fns/timeZone'
+  export = americaBahiaBanderas
+}
+
+declare module 'date-fns/timeZone/America/Barbados/index.js' {
+  import {americaBarbados} from 'date-fns/timeZone'
+  export = americaBarbados
+}
+
+declare module 'date-fns/timeZone/America/Belem/index.js' {
+  import {americaBelem} from 'date-fns/timeZone'
+  export = americaBelem
+}
+
+declare module 'date-fns/timeZone/America/Belize/index.js' {
+  import {americaBelize} from 'date-fns/timeZone'
+  export = americaBelize
+}
+
+declare module 'date-fns/timeZone/America/Blanc-Sablon/index.js' {
+  import {americaBlancSablon} from 'date-fns/timeZone'
+  export = americaBlancSablon
+}
+
+declare module 'date-fns/timeZone/America/Boa_Vista/index.js' {
+  import {americaBoaVista} from 'date-fns/timeZone'
+  export = americaBoaVista
+}
+
+declare module 'date-fns/timeZone/America/Bogota/index.js' {
+  import {americaBogota} from 'date-fns/timeZone'
+  export = americaBogota
+}
+
+declare module 'date-fns/timeZone/America/Boise/index.js' {
+  import {americaBoise} from 'date-fns/timeZone'
+  export = americaBoise
+}
+
+declare module 'date-fns/timeZone/America/Buenos_Aires/index.js' {
+  import {americaBuenosAires} from 'date-fns/timeZone'
+  export = americaBuenosAires
+}
+
+declare module 'date-fns/timeZone/America/Cambridge_Bay/index.js' {
+  import {americaCambridgeBay} from 'date-fns/timeZone'
+  export = americaCambridgeBay
+}
+
+declare module 'date-fns/timeZone/America/Campo_Grande/index.js' {
+  import {americaCampoGrande} from 'date-fns/timeZone'
+  export = americaCampoGrande
+}
+
+declare module 'date-fns/timeZone/America/Cancun/index.js' {
+  import {americaCancun} from 'date-fns/timeZone'
+  export = americaCancun
+}
+
+declare module 'date-fns/timeZone/America/Caracas/index.js' {
+  import {americaCaracas} from 'date-fns/timeZone'
+  export = americaCaracas
+}
+
+declare module 'date-fns/timeZone/America/Catamarca/index.js' {
+  import {americaCatamarca} from 'date-fns/timeZone'
+  export = americaCatamarca
+}
+
+declare module 'date-fns/timeZone/America/Cayenne/index.js' {
+  import {americaCayenne} from 'date-fns/timeZone'
+  export = americaCayenne
+}
+
+declare module 'date-fns/timeZone/America/Cayman/index.js' {
+  import {americaCayman} from 'date-fns/timeZone'
+  export = americaCayman
+}
+
+declare module 'date-fns/timeZone/America/Chicago/index.js' {
+  import {americaChicago} from 'date-fns/timeZone'
+  export = americaChicago
+}
+
+declare module 'date-fns/timeZone/America/Chihuahua/index.js' {
+  import {americaChihuahua} from 'date-fns/timeZone'
+  export = americaChihuahua
+}
+
+declare module 'date-fns/timeZone/America/Ciudad_Juarez/index.js' {
+  import {americaCiudadJuarez} from 'date-fns/timeZone'
+  export = americaCiudadJuarez
+}
+
+declare module 'date-fns/timeZone/America/Coral_Harbour/index.js' {
+  import {americaCoralHarbour} from 'date-fns/timeZone'
+  export = americaCoralHarbour
+}
+
+declare module 'date-fns/timeZone/America/Cordoba/index.js' {
+  import {americaCordoba} from 'date-fns/timeZone'
+  export = americaCordoba
+}
+
+declare module 'date-fns/timeZone/America/Costa_Rica/index.js' {
+  import {americaCostaRica} from 'date-fns/timeZone'
+  export = americaCostaRica
+}
+
+declare module 'date-fns/timeZone/America/Coyhaique/index.js' {
+  import {americaCoyhaique} from 'date-fns/timeZone'
+  export = americaCoyhaique
+}
+
+declare module 'date-fns/timeZone/America/Creston/index.js' {
+  import {americaCreston} from 'date-fns/timeZone'
+  export = americaCreston
+}
+
+declare module 'date-fns/timeZone/America/Cuiaba/index.js' {
+  import {americaCuiaba} from 'date-fns/timeZone'
+  export = americaCuiaba
+}
+
+declare module 'date-fns/timeZone/America/Curacao/index.js' {
+  import {americaCuracao} from 'date-fns/timeZone'
+  export = americaCuracao
+}
+
+declare module 'date-fns/timeZone/America/Danmarkshavn/index.js' {
+  import {americaDanmarkshavn} from 'date-fns/timeZone'
+  export = americaDanmarkshavn
+}
+
+declare module 'date-fns/timeZone/America/Dawson/index.js' {
+  import {americaDawson} from 'date-fns/timeZone'
+  export = americaDawson
+}
+
+declare module 'date-fns/timeZone/America/Dawson_Creek/index.js' {
+  import {americaDawsonCreek} from 'date-fns/timeZone'
+  export = americaDawsonCreek
+}
+
+declare module 'date-fns/timeZone/America/Denver/index.js' {
+  import {americaDenver} from 'date-fns/timeZone'
+  export = americaDenver
+}
+
+declare module 'date-fns/timeZone/America/Detroit/index.js' {
+  import {americaDetroit} from 'date-fns/timeZone'
+  export = americaDetroit
+}
+
+declare module 'date-fns/timeZone/America/Dominica/index.js' {
+  import {americaDominica} from 'date-fns/timeZone'
+  export = americaDominica
+}
+
+declare module 'date-fns/timeZone/America/Edmonton/index.js' {
+  import {americaEdmonton} from 'date-fns/timeZone'
+  export = americaEdmonton
+}
+
+declare module 'date-fns/timeZone/America/Eirunepe/index.js' {
+  import {americaEirunepe} from 'date-fns/timeZone'
+  export = americaEirunepe
+}
+
+declare module 'date-fns/timeZone/America/El_Salvador/index.js' {
+  import {americaElSalvador} from 'date-fns/timeZone'
+  export = americaElSalvador
+}
+
+declare module 'date-fns/timeZone/America/Ensenada/index.js' {
+  import {americaEnsenada} from 'date-fns/timeZone'
+  export = americaEnsenada
+}
+
+declare module 'date-fns/timeZone/America/Fort_Nelson/index.js' {
+  import {americaFortNelson} from 'date-fns/timeZone'
+  export = americaFortNelson
+}
+
+declare module 'date-fns/timeZone/America/Fort_Wayne/index.js' {
+  import {americaFortWayne} from 'date-fns/timeZone'
+  export = americaFortWayne
+}
+
+declare module 'date-fns/timeZone/America/Fortaleza/index.js' {
+  import {americaFortaleza} from 'date-fns/timeZone'
+  export = americaFortaleza
+}
+
+declare module 'date-fns/timeZone/America/Glace_Bay/index.js' {
+  import {americaGlaceBay} from 'date-fns/timeZone'
+  export = americaGlaceBay
+}
+
+declare module 'date-fns/timeZone/America/Godthab/index.js' {
+  import {americaGodthab} from 'date-fns/timeZone'
+  export = americaGodthab
+}
+
+declare module 'date-fns/timeZone/America/Goose_Bay/index.js' {
+  import {americaGooseBay} from 'date-fns/timeZone'
+  export = americaGooseBay
+}
+
+declare module 'date-fns/timeZone/America/Grand_Turk/index.js' {
+  import {americaGrandTurk} from 'date-fns/timeZone'
+  export = americaGrandTurk
+}
+
+declare module 'date-fns/timeZone/America/Grenada/index.js' {
+  import {americaGrenada} from 'date-fns/timeZone'
+  export = americaGrenada
+}
+
+declare module 'date-fns/timeZone/America/Guadeloupe/index.js' {
+  import {americaGuadeloupe} from 'date-fns/timeZone'
+  export = americaGuadeloupe
+}
+
+declare module 'date-fns/timeZone/America/Guatemala/index.js' {
+  import {americaGuatemala} from 'date-fns/timeZone'
+  export = americaGuatemala
+}
+
+declare module 'date-fns/timeZone/America/Guayaquil/index.js' {
+  import {americaGuayaquil} from 'date-fns/timeZone'
+  export = americaGuayaquil
+}
+
+declare module 'date-fns/timeZone/America/Guyana/index.js' {
+  import {americaGuyana} from 'date-fns/timeZone'
+  export = americaGuyana
+}
+
+declare module 'date-fns/timeZone/America/Halifax/index.js' {
+  import {americaHalifax} from 'date-fns/timeZone'
+  export = americaHalifax
+}
+
+declare module 'date-fns/timeZone/America/Havana/index.js' {
+  import {americaHavana} from 'date-fns/timeZone'
+  export = americaHavana
+}
+
+declare module 'date-fns/timeZone/America/Hermosillo/index.js' {
+  import {americaHermosillo} from 'date-fns/timeZone'
+  export = americaHermosillo
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Indianapolis/index.js' {
+  import {americaIndianaIndianapolis} from 'date-fns/timeZone'
+  export = americaIndianaIndianapolis
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Knox/index.js' {
+  import {americaIndianaKnox} from 'date-fns/timeZone'
+  export = americaIndianaKnox
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Marengo/index.js' {
+  import {americaIndianaMarengo} from 'date-fns/timeZone'
+  export = americaIndianaMarengo
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Petersburg/index.js' {
+  import {americaIndianaPetersburg} from 'date-fns/timeZone'
+  export = americaIndianaPetersburg
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Tell_City/index.js' {
+  import {americaIndianaTellCity} from 'date-fns/timeZone'
+  export = americaIndianaTellCity
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Vevay/index.js' {
+  import {americaIndianaVevay} from 'date-fns/timeZone'
+  export = americaIndianaVevay
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Vincennes/index.js' {
+  import {americaIndianaVincennes} from 'date-fns/timeZone'
+  export = americaIndianaVincennes
+}
+
+declare module 'date-fns/timeZone/America/Indiana/Winamac/index.js' {
+  import {americaIndianaWinamac} from 'date-fns/timeZone'
+  export = americaIndianaWinamac
+}
+
+declare module 'date-fns/timeZone/America/Indianapolis/index.js' {
+  import {americaIndianapolis} from 'date-fns/timeZone'
+  export = americaIndianapolis
+}
+
+declare module 'date-fns/timeZone/America/Inuvik/index.js' {
+  import {americaInuvik} from 'date-fns/timeZone'
+  export = americaInuvik
+}
+
+declare module 'date-fns/timeZone/America/Iqaluit/index.js' {
+  import {americaIqaluit} from 'date-fns/timeZone'
+  export = americaIqaluit
+}
+
+declare module 'date-fns/timeZone/America/Jamaica/index.js' {
+  import {americaJamaica} from 'date-fns/timeZone'
+  export = americaJamaica
+}
+
+declare module 'date-fns/timeZone/America/Jujuy/index.js' {
+  import {americaJujuy} from 'date-fns/timeZone'
+  export = americaJujuy
+}
+
+declare module 'date-fns/timeZone/America/Juneau/index.js' {
+  import {americaJuneau} from 'date-fns/timeZone'
+  export = americaJuneau
+}
+
+declare module 'date-fns/timeZone/America/Kentucky/Louisville/index.js' {
+  import {americaKentuckyLouisville} from 'date-fns/timeZone'
+  export = americaKentuckyLouisville
+}
+
+declare module 'date-fns/timeZone/America/Kentucky/Monticello/index.js' {
+  import {americaKentuckyMonticello} from 'date-fns/timeZone'
+  export = americaKentuckyMonticello
+}
+
+declare module 'date-fns/timeZone/America/Knox_IN/index.js' {
+  import {americaKnoxIN} from 'date-fns/timeZone'
+  export = americaKnoxIN
+}
+
+declare module 'date-fns/timeZone/America/Kralendijk/index.js' {
+  import {americaKralendijk} from 'date-fns/timeZone'
+  export = americaKralendijk
+}
+
+declare module 'date-fns/timeZone/America/La_Paz/index.js' {
+  import {americaLaPaz} from 'date-fns/timeZone'
+  export = americaLaPaz
+}
+
+declare module 'date-fns/timeZone/America/Lima/index.js' {
+  import {americaLima} from 'date-fns/timeZone'
+  export = americaLima
+}
+
+declare module 'date-fns/timeZone/America/Los_Angeles/index.js' {
+  import {americaLosAngeles} from 'date-fns/timeZone'
+  export = americaLosAngeles
+}
+
+declare module 'date-fns/timeZone/America/Louisville/index.js' {
+  import {americaLouisville} from 'date-fns/timeZone'
+  export = americaLouisville
+}
+
+declare module 'date-fns/timeZone/America/Lower_Princes/index.js' {
+  import {americaLowerPrinces} from 'date-fns/timeZone'
+  export = americaLowerPrinces
+}
+
+declare module 'date-fns/timeZone/America/Maceio/index.js' {
+  import {americaMaceio} from 'date-fns/timeZone'
+  export = americaMaceio
+}
+
+declare module 'date-fns/timeZone/America/Managua/index.js' {
+  import {americaManagua} from 'date-fns/timeZone'
+  export = americaManagua
+}
+
+declare module 'date-fns/timeZone/America/Manaus/index.js' {
+  import {americaManaus} from 'date-fns/timeZone'
+  export = americaManaus
+}
+
+declare module 'date-fns/timeZone/America/Marigot/index.js' {
+  import {americaMarigot} from 'date-fns/timeZone'
+  export = americaMarigot
+}
+
+declare module 'date-fns/timeZone/America/Martinique/index.js' {
+  import {americaMartinique} from 'date-fns/timeZone'
+  export = americaMartinique
+}
+
+declare module 'date-fns/timeZone/America/Matamoros/index.js' {
+  import {americaMatamoros} from 'date-fns/timeZone'
+  export = americaMatamoros
+}
+
+declare module 'date-fns/timeZone/America/Mazatlan/index.js' {
+  import {americaMazatlan} from 'date-fns/timeZone'
+  export = americaMazatlan
+}
+
+declare module 'date-fns/timeZone/America/Mendoza/index.js' {
+  import {americaMendoza} from 'date-fns/timeZone'
+  export = americaMendoza
+}
+
+declare module 'date-fns/timeZone/America/Menominee/index.js' {
+  import {americaMenominee} from 'date-fns/timeZone'
+  export = americaMenominee
+}
+
+declare module 'date-fns/timeZone/America/Merida/index.js' {
+  import {americaMerida} from 'date-fns/timeZone'
+  export = americaMerida
+}
+
+declare module 'date-fns/timeZone/America/Metlakatla/index.js' {
+  import {americaMetlakatla} from 'date-fns/timeZone'
+  export = americaMetlakatla
+}
+
+declare module 'date-fns/timeZone/America/Mexico_City/index.js' {
+  import {americaMexicoCity} from 'date-fns/timeZone'
+  export = americaMexicoCity
+}
+
+declare module 'date-fns/timeZone/America/Miquelon/index.js' {
+  import {americaMiquelon} from 'date-fns/timeZone'
+  export = americaMiquelon
+}
+
+declare module 'date-fns/timeZone/America/Moncton/index.js' {
+  import {americaMoncton} from 'date-fns/timeZone'
+  export = americaMoncton
+}
+
+declare module 'date-fns/timeZone/America/Monterrey/index.js' {
+  import {americaMonterrey} from 'date-fns/timeZone'
+  export = americaMonterrey
+}
+
+declare module 'date-fns/timeZone/America/Montevideo/index.js' {
+  import {americaMontevideo} from 'date-fns/timeZone'
+  export = americaMontevideo
+}
+
+declare module 'date-fns/timeZone/America/Montreal/index.js' {
+  import {americaMontreal} from 'date-fns/timeZone'
+  export = americaMontreal
+}
+
+declare module 'date-fns/timeZone/America/Montserrat/index.js' {
+  import {americaMontserrat} from 'date-fns/timeZone'
+  export = americaMontserrat
+}
+
+declare module 'date-fns/timeZone/America/Nassau/index.js' {
+  import {americaNassau} from 'date-fns/timeZone'
+  export = americaNassau
+}
+
+declare module 'date-fns/timeZone/America/New_York/index.js' {
+  import {americaNewYork} from 'date-fns/timeZone'
+  export = americaNewYork
+}
+
+declare module 'date-fns/timeZone/America/Nipigon/index.js' {
+  import {americaNipigon} from 'date-fns/timeZone'
+  export = americaNipigon
+}
+
+declare module 'date-fns/timeZone/America/Nome/index.js' {
+  import {americaNome} from 'date-fns/timeZone'
+  export = americaNome
+}
+
+declare module 'date-fns/timeZone/America/Noronha/index.js' {
+  import {americaNoronha} from 'date-fns/timeZone'
+  export = americaNoronha
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/Beulah/index.js' {
+  import {americaNorthDakotaBeulah} from 'date-fns/timeZone'
+  export = americaNorthDakotaBeulah
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/Center/index.js' {
+  import {americaNorthDakotaCenter} from 'date-fns/timeZone'
+  export = americaNorthDakotaCenter
+}
+
+declare module 'date-fns/timeZone/America/North_Dakota/New_Salem/index.js' {
+  import {americaNorthDakotaNewSalem} from 'date-fns/timeZone'
+  export = americaNorthDakotaNewSalem
+}
+
+declare module 'date-fns/timeZone/America/Nuuk/index.js' {
+  import {americaNuuk} from 'date-fns/timeZone'
+  export = americaNuuk
+}
+
+declare module 'date-fns/timeZone/America/Ojinaga/index.js' {
+  import {americaOjinaga} from 'date-fns/timeZone'
+  export = americaOjinaga
+}
+
+declare module 'date-fns/timeZone/America/Panama/index.js' {
+  import {americaPanama} from 'date-fns/timeZone'
+  export = americaPanama
+}
+
+declare module 'date-fns/timeZone/America/Pangnirtung/index.js' {
+  import {americaPangnirtung} from 'date-fns/timeZone'
+  export = americaPangnirtung
+}
+
+declare module 'date-fns/timeZone/America/Paramaribo/index.js' {
+  import {americaParamaribo} from 'date-fns/timeZone'
+  export = americaParamaribo
+}
+
+declare module 'date-fns/timeZone/America/Phoenix/index.js' {
+  import {americaPhoenix} from 'date-fns/timeZone'
+  export = americaPhoenix
+}
+
+declare module 'date-fns/timeZone/America/Port-au-Prince/index.js' {
+  import {americaPortAuPrince} from 'date-fns/timeZone'
+  export = americaPortAuPrince
+}
+
+declare module 'date-fns/timeZone/America/Port_of_Spain/index.js' {
+  import {americaPortOfSpain} from 'date-fns/timeZone'
+  export = americaPortOfSpain
+}
+
+declare module 'date-fns/timeZone/America/Porto_Acre/index.js' {
+  import {americaPortoAcre} from 'date-fns/timeZone'
+  export = americaPortoAcre
+}
+
+declare module 'date-fns/timeZone/America/Porto_Velho/index.js' {
+  import {americaPortoVelho} from 'date-fns/timeZone'
+  export = americaPortoVelho
+}
+
+declare module 'date-fns/timeZone/America/Puerto_Rico/index.js' {
+  import {americaPuertoRico} from 'date-fns/timeZone'
+  export = americaPuertoRico
+}
+
+declare module 'date-fns/timeZone/America/Punta_Arenas/index.js' {
+  import {americaPuntaArenas} from 'date-fns/timeZone'
+  export = americaPuntaArenas
+}
+
+declare module 'date-fns/timeZone/America/Rainy_River/index.js' {
+  import {americaRainyRiver} from 'date-fns/timeZone'
+  export = americaRainyRiver
+}
+
+declare module 'date-fns/timeZone/America/Rankin_Inlet/index.js' {
+  import {americaRankinInlet} from 'date-fns/timeZone'
+  export = americaRankinInlet
+}
+
+declare module 'date-fns/timeZone/America/Recife/index.js' {
+  import {americaRecife} from 'date-fns/timeZone'
+  export = americaRecife
+}
+
+declare module 'date-fns/timeZone/America/Regina/index.js' {
+  import {americaRegina} from 'date-fns/timeZone'
+  export = americaRegina
+}
+
+declare module 'date-fns/timeZone/America/Resolute/index.js' {
+  import {americaResolute} from 'date-fns/timeZone'
+  export = americaResolute
+}
+
+declare module 'date-fns/timeZone/America/Rio_Branco/index.js' {
+  import {americaRioBranco} from 'date-fns/timeZone'
+  export = americaRioBranco
+}
+
+declare module 'date-fns/timeZone/America/Rosario/index.js' {
+  import {americaRosario} from 'date-fns/timeZone'
+  export = americaRosario
+}
+
+declare module 'date-fns/timeZone/America/Santa_Isabel/index.js' {
+  import {americaSantaIsabel} from 'date-fns/timeZone'
+  export = americaSantaIsabel
+}
+
+declare module 'date-fns/timeZone/America/Santarem/index.js' {
+  import {americaSantarem} from 'date-fns/timeZone'
+  export = americaSantarem
+}
+
+declare module 'date-fns/timeZone/America/Santiago/index.js' {
+  import {americaSantiago} from 'date-fns/timeZone'
+  export = americaSantiago
+}
+
+declare module 'date-fns/timeZone/America/Santo_Domingo/index.js' {
+  import {americaSantoDomingo} from 'date-fns/timeZone'
+  export = americaSantoDomingo
+}
+
+declare module 'date-fns/timeZone/America/Sao_Paulo/index.js' {
+  import {americaSaoPaulo} from 'date-fns/timeZone'
+  export = americaSaoPaulo
+}
+
+declare module 'date-fns/timeZone/America/Scoresbysund/index.js' {
+  import {americaScoresbysund} from 'date-fns/timeZone'
+  export = americaScoresbysund
+}
+
+declare module 'date-fns/timeZone/America/Shiprock/index.js' {
+  import {americaShiprock} from 'date-fns/timeZone'
+  export = americaShiprock
+}
+
+declare module 'date-fns/timeZone/America/Sitka/index.js' {
+  import {americaSitka} from 'date-fns/timeZone'
+  export = americaSitka
+}
+
+declare module 'date-fns/timeZone/America/St_Barthelemy/index.js' {
+  import {americaStBarthelemy} from 'date-fns/timeZone'
+  export = americaStBarthelemy
+}
+
+declare module 'date-fns/timeZone/America/St_Johns/index.js' {
+  import {americaStJohns} from 'date-fns/timeZone'
+  export = americaStJohns
+}
+
+declare module 'date-fns/timeZone/America/St_Kitts/index.js' {
+  import {americaStKitts} from 'date-fns/timeZone'
+  export = americaStKitts
+}
+
+declare module 'date-fns/timeZone/America/St_Lucia/index.js' {
+  import {americaStLucia} from 'date-fns/timeZone'
+  export = americaStLucia
+}
+
+declare module 'date-fns/timeZone/America/St_Thomas/index.js' {
+  import {americaStThomas} from 'date-fns/timeZone'
+  export = americaStThomas
+}
+
+declare module 'date-fns/timeZone/America/St_Vincent/index.js' {
+  import {americaStVincent} from 'date-fns/timeZone'
+  export = americaStVincent
+}
+
+declare module 'date-fns/timeZone/America/Swift_Current/index.js' {
+  import {americaSwiftCurrent} from 'date-fns/timeZone'
+  export = americaSwiftCurrent
+}
+
+declare module 'date-fns/timeZone/America/Tegucigalpa/index.js' {
+  import {americaTegucigalpa} from 'date-fns/timeZone'
+  export = americaTegucigalpa
+}
+
+declare module 'date-fns/timeZone/America/Thule/index.js' {
+  import {americaThule} from 'date-fns/timeZone'
+  export = americaThule
+}
+
+declare module 'date-fns/timeZone/America/Thunder_Bay/index.js' {
+  import {americaThunderBay} from 'date-fns/timeZone'
+  export = americaThunderBay
+}
+
+declare module 'date-fns/timeZone/America/Tijuana/index.js' {
+  import {americaTijuana} from 'date-fns/timeZone'
+  export = americaTijuana
+}
+
+declare module 'date-fns/timeZone/America/Toronto/index.js' {
+  import {americaToronto} from 'date-fns/timeZone'
+  export = americaToronto
+}
+
+declare module 'date-fns/timeZone/America/Tortola/index.js' {
+  import {americaTortola} from 'date-fns/timeZone'
+  export = americaTortola
+}
+
+declare module 'date-fns/timeZone/America/Vancouver/index.js' {
+  import {americaVancouver} from 'date-fns/timeZone'
+  export = americaVancouver
+}
+
+declare module 'date-fns/timeZone/America/Virgin/index.js' {
+  import {americaVirgin} from 'date-fns/timeZone'
+  export = americaVirgin
+}
+
+declare module 'date-fns/timeZone/America/Whitehorse/index.js' {
+  import {americaWhitehorse} from 'date-fns/timeZone'
+  export = americaWhitehorse
+}
+
+declare module 'date-fns/timeZone/America/Winnipeg/index.js' {
+  import {americaWinnipeg} from 'date-fns/timeZone'
+  export = americaWinnipeg
+}
+
+declare module 'date-fns/timeZone/America/Yakutat/index.js' {
+  import {americaYakutat} from 'date-fns/timeZone'
+  export = americaYakutat
+}
+
+declare module 'date-fns/timeZone/America/Yellowknife/index.js' {
+  import {americaYellowknife} from 'date-fns/timeZone'
+  export = americaYellowknife
+}
+
+declare module 'date-fns/timeZone/Antarctica/Casey/index.js' {
+  import {antarcticaCasey} from 'date-fns/timeZone'
+  export = antarcticaCasey
+}
+
+declare module 'date-fns/timeZone/Antarctica/Davis/index.js' {
+  import {antarcticaDavis} from 'date-fns/timeZone'
+  export = antarcticaDavis
+}
+
+declare module 'date-fns/timeZone/Antarctica/DumontDUrville/index.js' {
+  import {antarcticaDumontDUrville} from 'date-fns/timeZone'
+  export = antarcticaDumontDUrville
+}
+
+declare module 'date-fns/timeZone/Antarctica/Macquarie/index.js' {
+  import {antarcticaMacquarie} from 'date-fns/timeZone'
+  export = antarcticaMacquarie
+}
+
+declare module 'date-fns/timeZone/Antarctica/Mawson/index.js' {
+  import {antarcticaMawson} from 'date-fns/timeZone'
+  export = antarcticaMawson
+}
+
+declare module 'date-fns/timeZone/Antarctica/McMurdo/index.js' {
+  import {antarcticaMcMurdo} from 'date-fns/timeZone'
+  export = antarcticaMcMurdo
+}
+
+declare module 'date-fns/timeZone/Antarctica/Palmer/index.js' {
+  import {antarcticaPalmer} from 'date-fns/timeZone'
+  export = antarcticaPalmer
+}
+
+declare module 'date-fns/timeZone/Antarctica/Rothera/index.js' {
+  import {antarcticaRothera} from 'date-fns/timeZone'
+  export = antarcticaRothera
+}
+
+declare module 'date-fns/timeZone/Antarctica/South_Pole/index.js' {
+  import {antarcticaSouthPole} from 'date-fns/timeZone'
+  export = antarcticaSouthPole
+}
+
+declare module 'date-fns/timeZone/Antarctica/Syowa/index.js' {
+  import {antarcticaSyowa} from 'date-fns/timeZone'
+  export = antarcticaSyowa
+}
+
+declare module 'date-fns/timeZone/Antarctica/Troll/index.js' {
+  import {antarcticaTroll} from 'date-fns/timeZone'
+  export = antarcticaTroll
+}
+
+declare module 'date-fns/timeZone/Antarctica/Vostok/index.js' {
+  import {antarcticaVostok} from 'date-fns/timeZone'
+  export = antarcticaVostok
+}
+
+declare module 'date-fns/timeZone/Arctic/Longyearbyen/index.js' {
+  import {arcticLongyearbyen} from 'date-fns/timeZone'
+  export = arcticLongyearbyen
+}
+
+declare module 'date-fns/timeZone/Asia/Aden/index.js' {
+  import {asiaAden} from 'date-fns/timeZone'
+  export = asiaAden
+}
+
+declare module 'date-fns/timeZone/Asia/Almaty/index.js' {
+  import {asiaAlmaty} from 'date-fns/timeZone'
+  export = asiaAlmaty
+}
+
+declare module 'date-fns/timeZone/Asia/Amman/index.js' {
+  import {asiaAmman} from 'date-fns/timeZone'
+  export = asiaAmman
+}
+
+declare module 'date-fns/timeZone/Asia/Anadyr/index.js' {
+  import {asiaAnadyr} from 'date-fns/timeZone'
+  export = asiaAnadyr
+}
+
+declare module 'date-fns/timeZone/Asia/Aqtau/index.js' {
+  import {asiaAqtau} from 'date-fns/timeZone'
+  export = asiaAqtau
+}
+
+declare module 'date-fns/timeZone/Asia/Aqtobe/index.js' {
+  import {asiaAqtobe} from 'date-fns/timeZone'
+  export = asiaAqtobe
+}
+
+declare module 'date-fns/timeZone/Asia/Ashgabat/index.js' {
+  import {asiaAshgabat} from 'date-fns/timeZone'
+  export = asiaAshgabat
+}
+
+declare module 'date-fns/timeZone/Asia/Ashkhabad/index.js' {
+  import {asiaAshkhabad} from 'date-fns/timeZone'
+  export = asiaAshkhabad
+}
+
+declare module 'date-fns/timeZone/Asia/Atyrau/index.js' {
+  import {asiaAtyrau} from 'date-fns/timeZone'
+  export = asiaAtyrau
+}
+
+declare module 'date-fns/timeZone/Asia/Baghdad/index.js' {
+  import {asiaBaghdad} from 'date-fns/timeZone'
+  export = asiaBaghdad
+}
+
+declare module 'date-fns/timeZone/Asia/Bahrain/index.js' {
+  import {asiaBahrain} from 'date-fns/timeZone'
+  export = asiaBahrain
+}
+
+declare module 'date-fns/timeZone/Asia/Baku/index.js' {
+  import {asiaBaku} from 'date-fns/timeZone'
+  export = asiaBaku
+}
+
+declare module 'date-fns/timeZone/Asia/Bangkok/index.js' {
+  import {asiaBangkok} from 'date-fns/timeZone'
+  export = asiaBangkok
+}
+
+declare module 'date-fns/timeZone/Asia/Barnaul/index.js' {
+  import {asiaBarnaul} from 'date-fns/timeZone'
+  export = asiaBarnaul
+}
+
+declare module 'date-fns/timeZone/Asia/Beirut/index.js' {
+  import {asiaBeirut} from 'date-fns/timeZone'
+  export = asiaBeirut
+}
+
+declare module 'date-fns/timeZone/Asia/Bishkek/index.js' {
+  import {asiaBishkek} from 'date-fns/timeZone'
+  export = asiaBishkek
+}
+
+declare module 'date-fns/timeZone/Asia/Brunei/index.js' {
+  import {asiaBrunei} from 'date-fns/timeZone'
+  export = asiaBrunei
+}
+
+declare module 'date-fns/timeZone/Asia/Calcutta/index.js' {
+  import {asiaCalcutta} from 'date-fns/timeZone'
+  export = asiaCalcutta
+}
+
+declare module 'date-fns/timeZone/Asia/Chita/index.js' {
+  import {asiaChita} from 'date-fns/timeZone'
+  export = asiaChita
+}
+
+declare module 'date-fns/timeZone/Asia/Choibalsan/index.js' {
+  import {asiaChoibalsan} from 'date-fns/timeZone'
+  export = asiaChoibalsan
+}
+
+declare module 'date-fns/timeZone/Asia/Chongqing/index.js' {
+  import {asiaChongqing} from 'date-fns/timeZone'
+  export = asiaChongqing
+}
+
+declare module 'date-fns/timeZone/Asia/Chungking/index.js' {
+  import {asiaChungking} from 'date-fns/timeZone'
+  export = asiaChungking
+}
+
+declare module 'date-fns/timeZone/Asia/Colombo/index.js' {
+  import {asiaColombo} from 'date-fns/timeZone'
+  export = asiaColombo
+}
+
+declare module 'date-fns/timeZone/Asia/Dacca/index.js' {
+  import {asiaDacca} from 'date-fns/timeZone'
+  export = asiaDacca
+}
+
+declare module 'date-fns/timeZone/Asia/Damascus/index.js' {
+  import {asiaDamascus} from 'date-fns/timeZone'
+  export = asiaDamascus
+}
+
+declare module 'date-fns/timeZone/Asia/Dhaka/index.js' {
+  import {asiaDhaka} from 'date-fns/timeZone'
+  export = asiaDhaka
+}
+
+declare module 'date-fns/timeZone/Asia/Dili/index.js' {
+  import {asiaDili} from 'date-fns/timeZone'
+  export = asiaDili
+}
+
+declare module 'date-fns/timeZone/Asia/Dubai/index.js' {
+  import {asiaDubai} from 'date-fns/timeZone'
+  export = asiaDubai
+}
+
+declare module 'date-fns/timeZone/Asia/Dushanbe/index.js' {
+  import {asiaDushanbe} from 'date-fns/timeZone'
+  export = asiaDushanbe
+}
+
+declare module 'date-fns/timeZone/Asia/Famagusta/index.js' {
+  import {asiaFamagusta} from 'date-fns/timeZone'
+  export = asiaFamagusta
+}
+
+declare module 'date-fns/timeZone/Asia/Gaza/index.js' {
+  import {asiaGaza} from 'date-fns/timeZone'
+  export = asiaGaza
+}
+
+declare module 'date-fns/timeZone/Asia/Harbin/index.js' {
+  import {asiaHarbin} from 'date-fns/timeZone'
+  export = asiaHarbin
+}
+
+declare module 'date-fns/timeZone/Asia/Hebron/index.js' {
+  import {asiaHebron} from 'date-fns/timeZone'
+  export = asiaHebron
+}
+
+declare module 'date-fns/timeZone/Asia/Ho_Chi_Minh/index.js' {
+  import {asiaHoChiMinh} from 'date-fns/timeZone'
+  export = asiaHoChiMinh
+}
+
+declare module 'date-fns/timeZone/Asia/Hong_Kong/index.js' {
+  import {asiaHongKong} from 'date-fns/timeZone'
+  export = asiaHongKong
+}
+
+declare module 'date-fns/timeZone/Asia/Hovd/index.js' {
+  import {asiaHovd} from 'date-fns/timeZone'
+  export = asiaHovd
+}
+
+declare module 'date-fns/timeZone/Asia/Irkutsk/index.js' {
+  import {asiaIrkutsk} from 'date-fns/timeZone'
+  export = asiaIrkutsk
+}
+
+declare module 'date-fns/timeZone/Asia/Istanbul/index.js' {
+  import {asiaIstanbul} from 'date-fns/timeZone'
+  export = asiaIstanbul
+}
+
+declare module 'date-fns/timeZone/Asia/Jakarta/index.js' {
+  import {asiaJakarta} from 'date-fns/timeZone'
+  export = asiaJakarta
+}
+
+declare module 'date-fns/timeZone/Asia/Jayapura/index.js' {
+  import {asiaJayapura} from 'date-fns/timeZone'
+  export = asiaJayapura
+}
+
+declare module 'date-fns/timeZone/Asia/Jerusalem/index.js' {
+  import {asiaJerusalem} from 'date-fns/timeZone'
+  export = asiaJerusalem
+}
+
+declare module 'date-fns/timeZone/Asia/Kabul/index.js' {
+  import {asiaKabul} from 'date-fns/timeZone'
+  export = asiaKabul
+}
+
+declare module 'date-fns/timeZone/Asia/Kamchatka/index.js' {
+  import {asiaKamchatka} from 'date-fns/timeZone'
+  export = asiaKamchatka
+}
+
+declare module 'date-fns/timeZone/Asia/Karachi/index.js' {
+  import {asiaKarachi} from 'date-fns/timeZone'
+  export = asiaKarachi
+}
+
+declare module 'date-fns/timeZone/Asia/Kashgar/index.js' {
+  import {asiaKashgar} from 'date-fns/timeZone'
+  export = asiaKashgar
+}
+
+declare module 'date-fns/timeZone/Asia/Kathmandu/index.js' {
+  import {asiaKathmandu} from 'date-fns/timeZone'
+  export = asiaKathmandu
+}
+
+declare module 'date-fns/timeZone/Asia/Katmandu/index.js' {
+  import {asiaKatmandu} from 'date-fns/timeZone'
+  export = asiaKatmandu
+}
+
+declare module 'date-fns/timeZone/Asia/Khandyga/index.js' {
+  import {asiaKhandyga} from 'date-fns/timeZone'
+  export = asiaKhandyga
+}
+
+declare module 'date-fns/timeZone/Asia/Kolkata/index.js' {
+  import {asiaKolkata} from 'date-fns/timeZone'
+  export = asiaKolkata
+}
+
+declare module 'date-fns/timeZone/Asia/Krasnoyarsk/index.js' {
+  import {asiaKrasnoyarsk} from 'date-fns/timeZone'
+  export = asiaKrasnoyarsk
+}
+
+declare module 'date-fns/timeZone/Asia/Kuala_Lumpur/index.js' {
+  import {asiaKualaLumpur} from 'date-fns/timeZone'
+  export = asiaKualaLumpur
+}
+
+declare module 'date-fns/timeZone/Asia/Kuching/index.js' {
+  import {asiaKuching} from 'date-fns/timeZone'
+  export = asiaKuching
+}
+
+declare module 'date-fns/timeZone/Asia/Kuwait/index.js' {
+  import {asiaKuwait} from 'date-fns/timeZone'
+  export = asiaKuwait
+}
+
+declare module 'date-fns/timeZone/Asia/Macao/index.js' {
+  import {asiaMacao} from 'date-fns/timeZone'
+  export = asiaMacao
+}
+
+declare module 'date-fns/timeZone/Asia/Macau/index.js' {
+  import {asiaMacau} from 'date-fns/timeZone'
+  export = asiaMacau
+}
+
+declare module 'date-fns/timeZone/Asia/Magadan/index.js' {
+  import {asiaMagadan} from 'date-fns/timeZone'
+  export = asiaMagadan
+}
+
+declare module 'date-fns/timeZone/Asia/Makassar/index.js' {
+  import {asiaMakassar} from 'date-fns/timeZone'
+  export = asiaMakassar
+}
+
+declare module 'date-fns/timeZone/Asia/Manila/index.js' {
+  import {asiaManila} from 'date-fns/timeZone'
+  export = asiaManila
+}
+
+declare module 'date-fns/timeZone/Asia/Muscat/index.js' {
+  import {asiaMuscat} from 'date-fns/timeZone'
+  export = asiaMuscat
+}
+
+declare module 'date-fns/timeZone/Asia/Nicosia/index.js' {
+  import {asiaNicosia} from 'date-fns/timeZone'
+  export = asiaNicosia
+}
+
+declare module 'date-fns/timeZone/Asia/Novokuznetsk/index.js' {
+  import {asiaNovokuznetsk} from 'date-fns/timeZone'
+  export = asiaNovokuznetsk
+}
+
+declare module 'date-fns/timeZone/Asia/Novosibirsk/index.js' {
+  import {asiaNovosibirsk} from 'date-fns/timeZone'
+  export = asiaNovosibirsk
+}
+
+declare module 'date-fns/timeZone/Asia/Omsk/index.js' {
+  import {asiaOmsk} from 'date-fns/timeZone'
+  export = asiaOmsk
+}
+
+declare module 'date-fns/timeZone/Asia/Oral/index.js' {
+  import {asiaOral} from 'date-fns/timeZone'
+  export = asiaOral
+}
+
+declare module 'date-fns/timeZone/Asia/Phnom_Penh/index.js' {
+  import {asiaPhnomPenh} from 'date-fns/timeZone'
+  export = asiaPhnomPenh
+}
+
+declare module 'date-fns/timeZone/Asia/Pontianak/index.js' {
+  import {asiaPontianak} from 'date-fns/timeZone'
+  export = asiaPontianak
+}
+
+declare module 'date-fns/timeZone/Asia/Pyongyang/index.js' {
+  import {asiaPyongyang} from 'date-fns/timeZone'
+  export = asiaPyongyang
+}
+
+declare module 'date-fns/timeZone/Asia/Qatar/index.js' {
+  import {asiaQatar} from 'date-fns/timeZone'
+  export = asiaQatar
+}
+
+declare module 'date-fns/timeZone/Asia/Qostanay/index.js' {
+  import {asiaQostanay} from 'date-fns/timeZone'
+  export = asiaQostanay
+}
+
+declare module 'date-fns/timeZone/Asia/Qyzylorda/index.js' {
+  import {asiaQyzylorda} from 'date-fns/timeZone'
+  export = asiaQyzylorda
+}
+
+declare module 'date-fns/timeZone/Asia/Rangoon/index.js' {
+  import {asiaRangoon} from 'date-fns/timeZone'
+  export = asiaRangoon
+}
+
+declare module 'date-fns/timeZone/Asia/Riyadh/index.js' {
+  import {asiaRiyadh} from 'date-fns/timeZone'
+  export = asiaRiyadh
+}
+
+declare module 'date-fns/timeZone/Asia/Saigon/index.js' {
+  import {asiaSaigon} from 'date-fns/timeZone'
+  export = asiaSaigon
+}
+
+declare module 'date-fns/timeZone/Asia/Sakhalin/index.js' {
+  import {asiaSakhalin} from 'date-fns/timeZone'
+  export = asiaSakhalin
+}
+
+declare module 'date-fns/timeZone/Asia/Samarkand/index.js' {
+  import {asiaSamarkand} from 'date-fns/timeZone'
+  export = asiaSamarkand
+}
+
+declare module 'date-fns/timeZone/Asia/Seoul/index.js' {
+  import {asiaSeoul} from 'date-fns/timeZone'
+  export = asiaSeoul
+}
+
+declare module 'date-fns/timeZone/Asia/Shanghai/index.js' {
+  import {asiaShanghai} from 'date-fns/timeZone'
+  export = asiaShanghai
+}
+
+declare module 'date-fns/timeZone/Asia/Singapore/index.js' {
+  import {asiaSingapore} from 'date-fns/timeZone'
+  export = asiaSingapore
+}
+
+declare module 'date-fns/timeZone/Asia/Srednekolymsk/index.js' {
+  import {asiaSrednekolymsk} from 'date-fns/timeZone'
+  export = asiaSrednekolymsk
+}
+
+declare module 'date-fns/timeZone/Asia/Taipei/index.js' {
+  import {asiaTaipei} from 'date-fns/timeZone'
+  export = asiaTaipei
+}
+
+declare module 'date-fns/timeZone/Asia/Tashkent/index.js' {
+  import {asiaTashkent} from 'date-fns/timeZone'
+  export = asiaTashkent
+}
+
+declare module 'date-fns/timeZone/Asia/Tbilisi/index.js' {
+  import {asiaTbilisi} from 'date-fns/timeZone'
+  export = asiaTbilisi
+}
+
+declare module 'date-fns/timeZone/Asia/Tehran/index.js' {
+  import {asiaTehran} from 'date-fns/timeZone'
+  export = asiaTehran
+}
+
+declare module 'date-fns/timeZone/Asia/Tel_Aviv/index.js' {
+  import {asiaTelAviv} from 'date-fns/timeZone'
+  export = asiaTelAviv
+}
+
+declare module 'date-fns/timeZone/Asia/Thimbu/index.js' {
+  import {asiaThimbu} from 'date-fns/timeZone'
+  export = asiaThimbu
+}
+
+declare module 'date-fns/timeZone/Asia/Thimphu/index.js' {
+  import {asiaThimphu} from 'date-fns/timeZone'
+  export = asiaThimphu
+}
+
+declare module 'date-fns/timeZone/Asia/Tokyo/index.js' {
+  import {asiaTokyo} from 'date-fns/timeZone'
+  export = asiaTokyo
+}
+
+declare module 'date-fns/timeZone/Asia/Tomsk/index.js' {
+  import {asiaTomsk} from 'date-fns/timeZone'
+  export = asiaTomsk
+}
+
+declare module 'date-fns/timeZone/Asia/Ujung_Pandang/index.js' {
+  import {asiaUjungPandang} from 'date-fns/timeZone'
+  export = asiaUjungPandang
+}
+
+declare module 'date-fns/timeZone/Asia/Ulaanbaatar/index.js' {
+  import {asiaUlaanbaatar} from 'date-fns/timeZone'
+  export = asiaUlaanbaatar
+}
+
+declare module 'date-fns/timeZone/Asia/Ulan_Bator/index.js' {
+  import {asiaUlanBator} from 'date-fns/timeZone'
+  export = asiaUlanBator
+}
+
+declare module 'date-fns/timeZone/Asia/Urumqi/index.js' {
+  import {asiaUrumqi} from 'date-fns/timeZone'
+  export = asiaUrumqi
+}
+
+declare module 'date-fns/timeZone/Asia/Ust-Nera/index.js' {
+  import {asiaUstNera} from 'date-fns/timeZone'
+  export = asiaUstNera
+}
+
+declare module 'date-fns/timeZone/Asia/Vientiane/index.js' {
+  import {asiaVientiane} from 'date-fns/timeZone'
+  export = asiaVientiane
+}
+
+declare module 'date-fns/timeZone/Asia/Vladivostok/index.js' {
+  import {asiaVladivostok} from 'date-fns/timeZone'
+  export = asiaVladivostok
+}
+
+declare module 'date-fns/timeZone/Asia/Yakutsk/index.js' {
+  import {asiaYakutsk} from 'date-fns/timeZone'
+  export = asiaYakutsk
+}
+
+declare module 'date-fns/timeZone/Asia/Yangon/index.js' {
+  import {asiaYangon} from 'date-fns/timeZone'
+  export = asiaYangon
+}
+
+declare module 'date-fns/timeZone/Asia/Yekaterinburg/index.js' {
+  import {asiaYekaterinburg} from 'date-fns/timeZone'
+  export = asiaYekaterinburg
+}
+
+declare module 'date-fns/timeZone/Asia/Yerevan/index.js' {
+  import {asiaYerevan} from 'date-fns/timeZone'
+  export = asiaYerevan
+}
+
+declare module 'date-fns/timeZone/Atlantic/Azores/index.js' {
+  import {atlanticAzores} from 'date-fns/timeZone'
+  export = atlanticAzores
+}
+
+declare module 'date-fns/timeZone/Atlantic/Bermuda/index.js' {
+  import {atlanticBermuda} from 'date-fns/timeZone'
+  export = atlanticBermuda
+}
+
+declare module 'date-fns/timeZone/Atlantic/Canary/index.js' {
+  import {atlanticCanary} from 'date-fns/timeZone'
+  export = atlanticCanary
+}
+
+declare module 'date-fns/timeZone/Atlantic/Cape_Verde/index.js' {
+  import {atlanticCapeVerde} from 'date-fns/timeZone'
+  export = atlanticCapeVerde
+}
+
+declare module 'date-fns/timeZone/Atlantic/Faeroe/index.js' {
+  import {atlanticFaeroe} from 'date-fns/timeZone'
+  export = atlanticFaeroe
+}
+
+declare module 'date-fns/timeZone/Atlantic/Faroe/index.js' {
+  import {atlanticFaroe} from 'date-fns/timeZone'
+  export = atlanticFaroe
+}
+
+declare module 'date-fns/timeZone/Atlantic/Jan_Mayen/index.js' {
+  import {atlanticJanMayen} from 'date-fns/timeZone'
+  export = atlanticJanMayen
+}
+
+declare module 'date-fns/timeZone/Atlantic/Madeira/index.js' {
+  import {atlanticMadeira} from 'date-fns/timeZone'
+  export = atlanticMadeira
+}
+
+declare module 'date-fns/timeZone/Atlantic/Reykjavik/index.js' {
+  import {atlanticReykjavik} from 'date-fns/timeZone'
+  export = atlanticReykjavik
+}
+
+declare module 'date-fns/timeZone/Atlantic/South_Georgia/index.js' {
+  import {atlanticSouthGeorgia} from 'date-fns/timeZone'
+  export = atlanticSouthGeorgia
+}
+
+declare module 'date-fns/timeZone/Atlantic/St_Helena/index.js' {
+  import {atlanticStHelena} from 'date-fns/timeZone'
+  export = atlanticStHelena
+}
+
+declare module 'date-fns/timeZone/Atlantic/Stanley/index.js' {
+  import {atlanticStanley} from 'date-fns/timeZone'
+  export = atlanticStanley
+}
+
+declare module 'date-fns/timeZone/Australia/ACT/index.js' {
+  import {australiaACT} from 'date-fns/timeZone'
+  export = australiaACT
+}
+
+declare module 'date-fns/timeZone/Australia/Adelaide/index.js' {
+  import {australiaAdelaide} from 'date-fns/timeZone'
+  export = australiaAdelaide
+}
+
+declare module 'date-fns/timeZone/Australia/Brisbane/index.js' {
+  import {australiaBrisbane} from 'date-fns/timeZone'
+  export = australiaBrisbane
+}
+
+declare module 'date-fns/timeZone/Australia/Broken_Hill/index.js' {
+  import {australiaBrokenHill} from 'date-fns/timeZone'
+  export = australiaBrokenHill
+}
+
+declare module 'date-fns/timeZone/Australia/Canberra/index.js' {
+  import {australiaCanberra} from 'date-fns/timeZone'
+  export = australiaCanberra
+}
+
+declare module 'date-fns/timeZone/Australia/Currie/index.js' {
+  import {australiaCurrie} from 'date-fns/timeZone'
+  export = australiaCurrie
+}
+
+declare module 'date-fns/timeZone/Australia/Darwin/index.js' {
+  import {australiaDarwin} from 'date-fns/timeZone'
+  export = australiaDarwin
+}
+
+declare module 'date-fns/timeZone/Australia/Eucla/index.js' {
+  import {australiaEucla} from 'date-fns/timeZone'
+  export = australiaEucla
+}
+
+declare module 'date-fns/timeZone/Australia/Hobart/index.js' {
+  import {australiaHobart} from 'date-fns/timeZone'
+  export = australiaHobart
+}
+
+declare module 'date-fns/timeZone/Australia/LHI/index.js' {
+  import {australiaLHI} from 'date-fns/timeZone'
+  export = australiaLHI
+}
+
+declare module 'date-fns/timeZone/Australia/Lindeman/index.js' {
+  import {australiaLindeman} from 'date-fns/timeZone'
+  export = australiaLindeman
+}
+
+declare module 'date-fns/timeZone/Australia/Lord_Howe/index.js' {
+  import {australiaLordHowe} from 'date-fns/timeZone'
+  export = australiaLordHowe
+}
+
+declare module 'date-fns/timeZone/Australia/Melbourne/index.js' {
+  import {australiaMelbourne} from 'date-fns/timeZone'
+  export = australiaMelbourne
+}
+
+declare module 'date-fns/timeZone/Australia/NSW/index.js' {
+  import {australiaNSW} from 'date-fns/timeZone'
+  export = australiaNSW
+}
+
+declare module 'date-fns/timeZone/Australia/North/index.js' {
+  import {australiaNorth} from 'date-fns/timeZone'
+  export = australiaNorth
+}
+
+declare module 'date-fns/timeZone/Australia/Perth/index.js' {
+  import {australiaPerth} from 'date-fns/timeZone'
+  export = australiaPerth
+}
+
+declare module 'date-fns/timeZone/Australia/Queensland/index.js' {
+  import {australiaQueensland} from 'date-fns/timeZone'
+  export = australiaQueensland
+}
+
+declare module 'date-fns/timeZone/Australia/South/index.js' {
+  import {australiaSouth} from 'date-fns/timeZone'
+  export = australiaSouth
+}
+
+declare module 'date-fns/timeZone/Australia/Sydney/index.js' {
+  import {australiaSydney} from 'date-fns/timeZone'
+  export = australiaSydney
+}
+
+declare module 'date-fns/timeZone/Australia/Tasmania/index.js' {
+  import {australiaTasmania} from 'date-fns/timeZone'
+  export = australiaTasmania
+}
+
+declare module 'date-fns/timeZone/Australia/Victoria/index.js' {
+  import {australiaVictoria} from 'date-fns/timeZone'
+  export = australiaVictoria
+}
+
+declare module 'date-fns/timeZone/Australia/West/index.js' {
+  import {australiaWest} from 'date-fns/timeZone'
+  export = australiaWest
+}
+
+declare module 'date-fns/timeZone/Australia/Yancowinna/index.js' {
+  import {australiaYancowinna} from 'date-fns/timeZone'
+  export = australiaYancowinna
+}
+
+declare module 'date-fns/timeZone/Brazil/Acre/index.js' {
+  import {brazilAcre} from 'date-fns/timeZone'
+  export = brazilAcre
+}
+
+declare module 'date-fns/timeZone/Brazil/DeNoronha/index.js' {
+  import {brazilDeNoronha} from 'date-fns/timeZone'
+  export = brazilDeNoronha
+}
+
+declare module 'date-fns/timeZone/Brazil/East/index.js' {
+  import {brazilEast} from 'date-fns/timeZone'
+  export = brazilEast
+}
+
+declare module 'date-fns/timeZone/Brazil/West/index.js' {
+  import {brazilWest} from 'date-fns/timeZone'
+  export = brazilWest
+}
+
+declare module 'date-fns/timeZone/CET/index.js' {
+  import {cet} from 'date-fns/timeZone'
+  export = cet
+}
+
+declare module 'date-fns/timeZone/CST6CDT/index.js' {
+  import {cst6cdt} from 'date-fns/timeZone'
+  export = cst6cdt
+}
+
+declare module 'date-fns/timeZone/Canada/Atlantic/index.js' {
+  import {canadaAtlantic} from 'date-fns/timeZone'
+  export = canadaAtlantic
+}
+
+declare module 'date-fns/timeZone/Canada/Central/index.js' {
+  import {canadaCentral} from 'date-fns/timeZone'
+  export = canadaCentral
+}
+
+declare module 'date-fns/timeZone/Canada/Eastern/index.js' {
+  import {canadaEastern} from 'date-fns/timeZone'
+  export = canadaEastern
+}
+
+declare module 'date-fns/timeZone/Canada/Mountain/index.js' {
+  import {canadaMountain} from 'date-fns/timeZone'
+  export = canadaMountain
+}
+
+declare module 'date-fns/timeZone/Canada/Newfoundland/index.js' {
+  import {canadaNewfoundland} from 'date-fns/timeZone'
+  export = canadaNewfoundland
+}
+
+declare module 'date-fns/timeZone/Canada/Pacific/index.js' {
+  import {canadaPacific} from 'date-fns/timeZone'
+  export = canadaPacific
+}
+
+declare module 'date-fns/timeZone/Canada/Saskatchewan/index.js' {
+  import {canadaSaskatchewan} from 'date-fns/timeZone'
+  export = canadaSaskatchewan
+}
+
+declare module 'date-fns/timeZone/Canada/Yukon/index.js' {
+  import {canadaYukon} from 'date-fns/timeZone'
+  export = canadaYukon
+}
+
+declare module 'date-fns/timeZone/Chile/Continental/index.js' {
+  import {chileContinental} from 'date-fns/timeZone'
+  export = chileContinental
+}
+
+declare module 'date-fns/timeZone/Chile/EasterIsland/index.js' {
+  import {chileEasterIsland} from 'date-fns/timeZone'
+  export = chileEasterIsland
+}
+
+declare module 'date-fns/timeZone/Cuba/index.js' {
+  import {cuba} from 'date-fns/timeZone'
+  export = cuba
+}
+
+declare module 'date-fns/timeZone/EET/index.js' {
+  import {eet} from 'date-fns/timeZone'
+  export = eet
+}
+
+declare module 'date-fns/timeZone/EST/index.js' {
+  import {est} from 'date-fns/timeZone'
+  export = est
+}
+
+declare module 'date-fns/timeZone/EST5EDT/index.js' {
+  import {est5edt} from 'date-fns/timeZone'
+  export = est5edt
+}
+
+declare module 'date-fns/timeZone/Egypt/index.js' {
+  import {egypt} from 'date-fns/timeZone'
+  export = egypt
+}
+
+declare module 'date-fns/timeZone/Eire/index.js' {
+  import {eire} from 'date-fns/timeZone'
+  export = eire
+}
+
+declare module 'date-fns/timeZone/Etc/GMT/index.js' {
+  import {etcGMT} from 'date-fns/timeZone'
+  export = etcGMT
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+0/index.js' {
+  import {etcGMTPlus0} from 'date-fns/timeZone'
+  export = etcGMTPlus0
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+1/index.js' {
+  import {etcGMTPlus1} from 'date-fns/timeZone'
+  export = etcGMTPlus1
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+10/index.js' {
+  import {etcGMTPlus10} from 'date-fns/timeZone'
+  export = etcGMTPlus10
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+11/index.js' {
+  import {etcGMTPlus11} from 'date-fns/timeZone'
+  export = etcGMTPlus11
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+12/index.js' {
+  import {etcGMTPlus12} from 'date-fns/timeZone'
+  export = etcGMTPlus12
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+2/index.js' {
+  import {etcGMTPlus2} from 'date-fns/timeZone'
+  export = etcGMTPlus2
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+3/index.js' {
+  import {etcGMTPlus3} from 'date-fns/timeZone'
+  export = etcGMTPlus3
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+4/index.js' {
+  import {etcGMTPlus4} from 'date-fns/timeZone'
+  export = etcGMTPlus4
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+5/index.js' {
+  import {etcGMTPlus5} from 'date-fns/timeZone'
+  export = etcGMTPlus5
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+6/index.js' {
+  import {etcGMTPlus6} from 'date-fns/timeZone'
+  export = etcGMTPlus6
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+7/index.js' {
+  import {etcGMTPlus7} from 'date-fns/timeZone'
+  export = etcGMTPlus7
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+8/index.js' {
+  import {etcGMTPlus8} from 'date-fns/timeZone'
+  export = etcGMTPlus8
+}
+
+declare module 'date-fns/timeZone/Etc/GMT+9/index.js' {
+  import {etcGMTPlus9} from 'date-fns/timeZone'
+  export = etcGMTPlus9
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-0/index.js' {
+  import {etcGMTMinus0} from 'date-fns/timeZone'
+  export = etcGMTMinus0
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-1/index.js' {
+  import {etcGMTMinus1} from 'date-fns/timeZone'
+  export = etcGMTMinus1
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-10/index.js' {
+  import {etcGMTMinus10} from 'date-fns/timeZone'
+  export = etcGMTMinus10
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-11/index.js' {
+  import {etcGMTMinus11} from 'date-fns/timeZone'
+  export = etcGMTMinus11
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-12/index.js' {
+  import {etcGMTMinus12} from 'date-fns/timeZone'
+  export = etcGMTMinus12
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-13/index.js' {
+  import {etcGMTMinus13} from 'date-fns/timeZone'
+  export = etcGMTMinus13
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-14/index.js' {
+  import {etcGMTMinus14} from 'date-fns/timeZone'
+  export = etcGMTMinus14
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-2/index.js' {
+  import {etcGMTMinus2} from 'date-fns/timeZone'
+  export = etcGMTMinus2
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-3/index.js' {
+  import {etcGMTMinus3} from 'date-fns/timeZone'
+  export = etcGMTMinus3
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-4/index.js' {
+  import {etcGMTMinus4} from 'date-fns/timeZone'
+  export = etcGMTMinus4
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-5/index.js' {
+  import {etcGMTMinus5} from 'date-fns/timeZone'
+  export = etcGMTMinus5
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-6/index.js' {
+  import {etcGMTMinus6} from 'date-fns/timeZone'
+  export = etcGMTMinus6
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-7/index.js' {
+  import {etcGMTMinus7} from 'date-fns/timeZone'
+  export = etcGMTMinus7
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-8/index.js' {
+  import {etcGMTMinus8} from 'date-fns/timeZone'
+  export = etcGMTMinus8
+}
+
+declare module 'date-fns/timeZone/Etc/GMT-9/index.js' {
+  import {etcGMTMinus9} from 'date-fns/timeZone'
+  export = etcGMTMinus9
+}
+
+declare module 'date-fns/timeZone/Etc/GMT0/index.js' {
+  import {etcGMT0} from 'date-fns/timeZone'
+  export = etcGMT0
+}
+
+declare module 'date-fns/timeZone/Etc/Greenwich/index.js' {
+  import {etcGreenwich} from 'date-fns/timeZone'
+  export = etcGreenwich
+}
+
+declare module 'date-fns/timeZone/Etc/UCT/index.js' {
+  import {etcUCT} from 'date-fns/timeZone'
+  export = etcUCT
+}
+
+declare module 'date-fns/timeZone/Etc/UTC/index.js' {
+  import {etcUTC} from 'date-fns/timeZone'
+  export = etcUTC
+}
+
+declare module 'date-fns/timeZone/Etc/Universal/index.js' {
+  import {etcUniversal} from 'date-fns/timeZone'
+  export = etcUniversal
+}
+
+declare module 'date-fns/timeZone/Etc/Zulu/index.js' {
+  import {etcZulu} from 'date-fns/timeZone'
+  export = etcZulu
+}
+
+declare module 'date-fns/timeZone/Europe/Amsterdam/index.js' {
+  import {europeAmsterdam} from 'date-fns/timeZone'
+  export = europeAmsterdam
+}
+
+declare module 'date-fns/timeZone/Europe/Andorra/index.js' {
+  import {europeAndorra} from 'date-fns/timeZone'
+  export = europeAndorra
+}
+
+declare module 'date-fns/timeZone/Europe/Astrakhan/index.js' {
+  import {europeAstrakhan} from 'date-fns/timeZone'
+  export = europeAstrakhan
+}
+
+declare module 'date-fns/timeZone/Europe/Athens/index.js' {
+  import {europeAthens} from 'date-fns/timeZone'
+  export = europeAthens
+}
+
+declare module 'date-fns/timeZone/Europe/Belfast/index.js' {
+  import {europeBelfast} from 'date-fns/timeZone'
+  export = europeBelfast
+}
+
+declare module 'date-fns/timeZone/Europe/Belgrade/index.js' {
+  import {europeBelgrade} from 'date-fns/timeZone'
+  export = europeBelgrade
+}
+
+declare module 'date-fns/timeZone/Europe/Berlin/index.js' {
+  import {europeBerlin} from 'date-fns/timeZone'
+  export = europeBerlin
+}
+
+declare module 'date-fns/timeZone/Europe/Bratislava/index.js' {
+  import {europeBratislava} from 'date-fns/timeZone'
+  export = europeBratislava
+}
+
+declare module 'date-fns/timeZone/Europe/Brussels/index.js' {
+  import {europeBrussels} from 'date-fns/timeZone'
+  export = europeBrussels
+}
+
+declare module 'date-fns/timeZone/Europe/Bucharest/index.js' {
+  import {europeBucharest} from 'date-fns/timeZone'
+  export = europeBucharest
+}
+
+declare module 'date-fns/timeZone/Europe/Budapest/index.js' {
+  import {europeBudapest} from 'date-fns/timeZone'
+  export = europeBudapest
+}
+
+declare module 'date-fns/timeZone/Europe/Busingen/index.js' {
+  import {europeBusingen} from 'date-fns/timeZone'
+  export = europeBusingen
+}
+
+declare module 'date-fns/timeZone/Europe/Chisinau/index.js' {
+  import {europeChisinau} from 'date-fns/timeZone'
+  export = europeChisinau
+}
+
+declare module 'date-fns/timeZone/Europe/Copenhagen/index.js' {
+  import {europeCopenhagen} from 'date-fns/timeZone'
+  export = europeCopenhagen
+}
+
+declare module 'date-fns/timeZone/Europe/Dublin/index.js' {
+  import {europeDublin} from 'date-fns/timeZone'
+  export = europeDublin
+}
+
+declare module 'date-fns/timeZone/Europe/Gibraltar/index.js' {
+  import {europeGibraltar} from 'date-fns/timeZone'
+  export = europeGibraltar
+}
+
+declare module 'date-fns/timeZone/Europe/Guernsey/index.js' {
+  import {europeGuernsey} from 'date-fns/timeZone'
+  export = europeGuernsey
+}
+
+declare module 'date-fns/timeZone/Europe/Helsinki/index.js' {
+  import {europeHelsinki} from 'date-fns/timeZone'
+  export = europeHelsinki
+}
+
+declare module 'date-fns/timeZone/Europe/Isle_of_Man/index.js' {
+  import {europeIsleOfMan} from 'date-fns/timeZone'
+  export = europeIsleOfMan
+}
+
+declare module 'date-fns/timeZone/Europe/Istanbul/index.js' {
+  import {europeIstanbul} from 'date-fns/timeZone'
+  export = europeIstanbul
+}
+
+declare module 'date-fns/timeZone/Europe/Jersey/index.js' {
+  import {europeJersey} from 'date-fns/timeZone'
+  export = europeJersey
+}
+
+declare module 'date-fns/timeZone/Europe/Kaliningrad/index.js' {
+  import {europeKaliningrad} from 'date-fns/timeZone'
+  export = europeKaliningrad
+}
+
+declare module 'date-fns/timeZone/Europe/Kiev/index.js' {
+  import {europeKiev} from 'date-fns/timeZone'
+  export = europeKiev
+}
+
+declare module 'date-fns/timeZone/Europe/Kirov/index.js' {
+  import {europeKirov} from 'date-fns/timeZone'
+  export = europeKirov
+}
+
+declare module 'date-fns/timeZone/Europe/Kyiv/index.js' {
+  import {europeKyiv} from 'date-fns/timeZone'
+  export = europeKyiv
+}
+
+declare module 'date-fns/timeZone/Europe/Lisbon/index.js' {
+  import {europeLisbon} from 'date-fns/timeZone'
+  export = europeLisbon
+}
+
+declare module 'date-fns/timeZone/Europe/Ljubljana/index.js' {
+  import {europeLjubljana} from 'date-fns/timeZone'
+  export = europeLjubljana
+}
+
+declare module 'date-fns/timeZone/Europe/London/index.js' {
+  import {europeLondon} from 'date-fns/timeZone'
+  export = europeLondon
+}
+
+declare module 'date-fns/timeZone/Europe/Luxembourg/index.js' {
+  import {europeLuxembourg} from 'date-fns/timeZone'
+  export = europeLuxembourg
+}
+
+declare module 'date-fns/timeZone/Europe/Madrid/index.js' {
+  import {europeMadrid} from 'date-fns/timeZone'
+  export = europeMadrid
+}
+
+declare module 'date-fns/timeZone/Europe/Malta/index.js' {
+  import {europeMalta} from 'date-fns/timeZone'
+  export = europeMalta
+}
+
+declare module 'date-fns/timeZone/Europe/Mariehamn/index.js' {
+  import {europeMariehamn} from 'date-fns/timeZone'
+  export = europeMariehamn
+}
+
+declare module 'date-fns/timeZone/Europe/Minsk/index.js' {
+  import {europeMinsk} from 'date-fns/timeZone'
+  export = europeMinsk
+}
+
+declare module 'date-fns/timeZone/Europe/Monaco/index.js' {
+  import {europeMonaco} from 'date-fns/timeZone'
+  export = europeMonaco
+}
+
+declare module 'date-fns/timeZone/Europe/Moscow/index.js' {
+  import {europeMoscow} from 'date-fns/timeZone'
+  export = europeMoscow
+}
+
+declare module 'date-fns/timeZone/Europe/Nicosia/index.js' {
+  import {europeNicosia} from 'date-fns/timeZone'
+  export = europeNicosia
+}
+
+declare module 'date-fns/timeZone/Europe/Oslo/index.js' {
+  import {europeOslo} from 'date-fns/timeZone'
+  export = europeOslo
+}
+
+declare module 'date-fns/timeZone/Europe/Paris/index.js' {
+  import {europeParis} from 'date-fns/timeZone'
+  export = europeParis
+}
+
+declare module 'date-fns/timeZone/Europe/Podgorica/index.js' {
+  import {europePodgorica} from 'date-fns/timeZone'
+  export = europePodgorica
+}
+
+declare module 'date-fns/timeZone/Europe/Prague/index.js' {
+  import {europePrague} from 'date-fns/timeZone'
+  export = europePrague
+}
+
+declare module 'date-fns/timeZone/Europe/Riga/index.js' {
+  import {europeRiga} from 'date-fns/timeZone'
+  export = europeRiga
+}
+
+declare module 'date-fns/timeZone/Europe/Rome/index.js' {
+  import {europeRome} from 'date-fns/timeZone'
+  export = europeRome
+}
+
+declare module 'date-fns/timeZone/Europe/Samara/index.js' {
+  import {europeSamara} from 'date-fns/timeZone'
+  export = europeSamara
+}
+
+declare module 'date-fns/timeZone/Europe/San_Marino/index.js' {
+  import {europeSanMarino} from 'date-fns/timeZone'
+  export = europeSanMarino
+}
+
+declare module 'date-fns/timeZone/Europe/Sarajevo/index.js' {
+  import {europeSarajevo} from 'date-fns/timeZone'
+  export = europeSarajevo
+}
+
+declare module 'date-fns/timeZone/Europe/Saratov/index.js' {
+  import {europeSaratov} from 'date-fns/timeZone'
+  export = europeSaratov
+}
+
+declare module 'date-fns/timeZone/Europe/Simferopol/index.js' {
+  import {europeSimferopol} from 'date-fns/timeZone'
+  export = europeSimferopol
+}
+
+declare module 'date-fns/timeZone/Europe/Skopje/index.js' {
+  import {europeSkopje} from 'date-fns/timeZone'
+  export = europeSkopje
+}
+
+declare module 'date-fns/timeZone/Europe/Sofia/index.js' {
+  import {europeSofia} from 'date-fns/timeZone'
+  export = europeSofia
+}
+
+declare module 'date-fns/timeZone/Europe/Stockholm/index.js' {
+  import {europeStockholm} from 'date-fns/timeZone'
+  export = europeStockholm
+}
+
+declare module 'date-fns/timeZone/Europe/Tallinn/index.js' {
+  import {europeTallinn} from 'date-fns/timeZone'
+  export = europeTallinn
+}
+
+declare module 'date-fns/timeZone/Europe/Tirane/index.js' {
+  import {europeTirane} from 'date-fns/timeZone'
+  export = europeTirane
+}
+
+declare module 'date-fns/timeZone/Europe/Tiraspol/index.js' {
+  import {europeTiraspol} from 'date-fns/timeZone'
+  export = europeTiraspol
+}
+
+declare module 'date-fns/timeZone/Europe/Ulyanovsk/index.js' {
+  import {europeUlyanovsk} from 'date-fns/timeZone'
+  export = europeUlyanovsk
+}
+
+declare module 'date-fns/timeZone/Europe/Uzhgorod/index.js' {
+  import {europeUzhgorod} from 'date-fns/timeZone'
+  export = europeUzhgorod
+}
+
+declare module 'date-fns/timeZone/Europe/Vaduz/index.js' {
+  import {europeVaduz} from 'date-fns/timeZone'
+  export = europeVaduz
+}
+
+declare module 'date-fns/timeZone/Europe/Vatican/index.js' {
+  import {europeVatican} from 'date-fns/timeZone'
+  export = europeVatican
+}
+
+declare module 'date-fns/timeZone/Europe/Vienna/index.js' {
+  import {europeVienna} from 'date-fns/timeZone'
+  export = europeVienna
+}
+
+declare module 'date-fns/timeZone/Europe/Vilnius/index.js' {
+  import {europeVilnius} from 'date-fns/timeZone'
+  export = europeVilnius
+}
+
+declare module 'date-fns/timeZone/Europe/Volgograd/index.js' {
+  import {europeVolgograd} from 'date-fns/timeZone'
+  export = europeVolgograd
+}
+
+declare module 'date-fns/timeZone/Europe/Warsaw/index.js' {
+  import {europeWarsaw} from 'date-fns/timeZone'
+  export = europeWarsaw
+}
+
+declare module 'date-fns/timeZone/Europe/Zagreb/index.js' {
+  import {europeZagreb} from 'date-fns/timeZone'
+  export = europeZagreb
+}
+
+declare module 'date-fns/timeZone/Europe/Zaporozhye/index.js' {
+  import {europeZaporozhye} from 'date-fns/timeZone'
+  export = europeZaporozhye
+}
+
+declare module 'date-fns/timeZone/Europe/Zurich/index.js' {
+  import {europeZurich} from 'date-fns/timeZone'
+  export = europeZurich
+}
+
+declare module 'date-fns/timeZone/GB/index.js' {
+  import {gb} from 'date-fns/timeZone'
+  export = gb
+}
+
+declare module 'date-fns/timeZone/GB-Eire/index.js' {
+  import {gbEire} from 'date-fns/timeZone'
+  export = gbEire
+}
+
+declare module 'date-fns/timeZone/GMT/index.js' {
+  import {gmt} from 'date-fns/timeZone'
+  export = gmt
+}
+
+declare module 'date-fns/timeZone/GMT+0/index.js' {
+  import {gmtPlus0} from 'date-fns/timeZone'
+  export = gmtPlus0
+}
+
+declare module 'date-fns/timeZone/GMT-0/index.js' {
+  import {gmtMinus0} from 'date-fns/timeZone'
+  export = gmtMinus0
+}
+
+declare module 'date-fns/timeZone/GMT0/index.js' {
+  import {gmt0} from 'date-fns/timeZone'
+  export = gmt0
+}
+
+declare module 'date-fns/timeZone/Greenwich/index.js' {
+  import {greenwich} from 'date-fns/timeZone'
+  export = greenwich
+}
+
+declare module 'date-fns/timeZone/HST/index.js' {
+  import {hst} from 'date-fns/timeZone'
+  export = hst
+}
+
+declare module 'date-fns/timeZone/Hongkong/index.js' {
+  import {hongkong} from 'date-fns/timeZone'
+  export = hongkong
+}
+
+declare module 'date-fns/timeZone/Iceland/index.js' {
+  import {iceland} from 'date-fns/timeZone'
+  export = iceland
+}
+
+declare module 'date-fns/timeZone/Indian/Antananarivo/index.js' {
+  import {indianAntananarivo} from 'date-fns/timeZone'
+  export = indianAntananarivo
+}
+
+declare module 'date-fns/timeZone/Indian/Chagos/index.js' {
+  import {indianChagos} from 'date-fns/timeZone'
+  export = indianChagos
+}
+
+declare module 'date-fns/timeZone/Indian/Christmas/index.js' {
+  import {indianChristmas} from 'date-fns/timeZone'
+  export = indianChristmas
+}
+
+declare module 'date-fns/timeZone/Indian/Cocos/index.js' {
+  import {indianCocos} from 'date-fns/timeZone'
+  export = indianCocos
+}
+
+declare module 'date-fns/timeZone/Indian/Comoro/index.js' {
+  import {indianComoro} from 'date-fns/timeZone'
+  export = indianComoro
+}
+
+declare module 'date-fns/timeZone/Indian/Kerguelen/index.js' {
+  import {indianKerguelen} from 'date-fns/timeZone'
+  export = indianKerguelen
+}
+
+declare module 'date-fns/timeZone/Indian/Mahe/index.js' {
+  import {indianMahe} from 'date-fns/timeZone'
+  export = indianMahe
+}
+
+declare module 'date-fns/timeZone/Indian/Maldives/index.js' {
+  import {indianMaldives} from 'date-fns/timeZone'
+  export = indianMaldives
+}
+
+declare module 'date-fns/timeZone/Indian/Mauritius/index.js' {
+  import {indianMauritius} from 'date-fns/timeZone'
+  export = indianMauritius
+}
+
+declare module 'date-fns/timeZone/Indian/Mayotte/index.js' {
+  import {indianMayotte} from 'date-fns/timeZone'
+  export = indianMayotte
+}
+
+declare module 'date-fns/timeZone/Indian/Reunion/index.js' {
+  import {indianReunion} from 'date-fns/timeZone'
+  export = indianReunion
+}
+
+declare module 'date-fns/timeZone/Iran/index.js' {
+  import {iran} from 'date-fns/timeZone'
+  export = iran
+}
+
+declare module 'date-fns/timeZone/Israel/index.js' {
+  import {israel} from 'date-fns/timeZone'
+  export = israel
+}
+
+declare module 'date-fns/timeZone/Jamaica/index.js' {
+  import {jamaica} from 'date-fns/timeZone'
+  export = jamaica
+}
+
+declare module 'date-fns/timeZone/Japan/index.js' {
+  import {japan} from 'date-fns/timeZone'
+  export = japan
+}
+
+declare module 'date-fns/timeZone/Kwajalein/index.js' {
+  import {kwajalein} from 'date-fns/timeZone'
+  export = kwajalein
+}
+
+declare module 'date-fns/timeZone/Libya/index.js' {
+  import {libya} from 'date-fns/timeZone'
+  export = libya
+}
+
+declare module 'date-fns/timeZone/MET/index.js' {
+  import {met} from 'date-fns/timeZone'
+  export = met
+}
+
+declare module 'date-fns/timeZone/MST/index.js' {
+  import {mst} from 'date-fns/timeZone'
+  export = mst
+}
+
+declare module 'date-fns/timeZone/MST7MDT/index.js' {
+  import {mst7mdt} from 'date-fns/timeZone'
+  export = mst7mdt
+}
+
+declare module 'date-fns/timeZone/Mexico/BajaNorte/index.js' {
+  import {mexicoBajaNorte} from 'date-fns/timeZone'
+  export = mexicoBajaNorte
+}
+
+declare module 'date-fns/timeZone/Mexico/BajaSur/index.js' {
+  import {mexicoBajaSur} from 'date-fns/timeZone'
+  export = mexicoBajaSur
+}
+
+declare module 'date-fns/timeZone/Mexico/General/index.js' {
+  import {mexicoGeneral} from 'date-fns/timeZone'
+  export = mexicoGeneral
+}
+
+declare module 'date-fns/timeZone/NZ/index.js' {
+  import {nz} from 'date-fns/timeZone'
+  export = nz
+}
+
+declare module 'date-fns/timeZone/NZ-CHAT/index.js' {
+  import {nzCHAT} from 'date-fns/timeZone'
+  export = nzCHAT
+}
+
+declare module 'date-fns/timeZone/Navajo/index.js' {
+  import {navajo} from 'date-fns/timeZone'
+  export = navajo
+}
+
+declare module 'date-fns/timeZone/PRC/index.js' {
+  import {prc} from 'date-fns/timeZone'
+  export = prc
+}
+
+declare module 'date-fns/timeZone/PST8PDT/index.js' {
+  import {pst8pdt} from 'date-fns/timeZone'
+  export = pst8pdt
+}
+
+declare module 'date-fns/timeZone/Pacific/Apia/index.js' {
+  import {pacificApia} from 'date-fns/timeZone'
+  export = pacificApia
+}
+
+declare module 'date-fns/timeZone/Pacific/Auckland/index.js' {
+  import {pacificAuckland} from 'date-fns/timeZone'
+  export = pacificAuckland
+}
+
+declare module 'date-fns/timeZone/Pacific/Bougainville/index.js' {
+  import {pacificBougainville} from 'date-fns/timeZone'
+  export = pacificBougainville
+}
+
+declare module 'date-fns/timeZone/Pacific/Chatham/index.js' {
+  import {pacificChatham} from 'date-fns/timeZone'
+  export = pacificChatham
+}
+
+declare module 'date-fns/timeZone/Pacific/Chuuk/index.js' {
+  import {pacificChuuk} from 'date-fns/timeZone'
+  export = pacificChuuk
+}
+
+declare module 'date-fns/timeZone/Pacific/Easter/index.js' {
+  import {pacificEaster} from 'date-fns/timeZone'
+  export = pacificEaster
+}
+
+declare module 'date-fns/timeZone/Pacific/Efate/index.js' {
+  import {pacificEfate} from 'date-fns/timeZone'
+  export = pacificEfate
+}
+
+declare module 'date-fns/timeZone/Pacific/Enderbury/index.js' {
+  import {pacificEnderbury} from 'date-fns/timeZone'
+  export = pacificEnderbury
+}
+
+declare module 'date-fns/timeZone/Pacific/Fakaofo/index.js' {
+  import {pacificFakaofo} from 'date-fns/timeZone'
+  export = pacificFakaofo
+}
+
+declare module 'date-fns/timeZone/Pacific/Fiji/index.js' {
+  import {pacificFiji} from 'date-fns/timeZone'
+  export = pacificFiji
+}
+
+declare module 'date-fns/timeZone/Pacific/Funafuti/index.js' {
+  import {pacificFunafuti} from 'date-fns/timeZone'
+  export = pacificFunafuti
+}
+
+declare module 'date-fns/timeZone/Pacific/Galapagos/index.js' {
+  import {pacificGalapagos} from 'date-fns/timeZone'
+  export = pacificGalapagos
+}
+
+declare module 'date-fns/timeZone/Pacific/Gambier/index.js' {
+  import {pacificGambier} from 'date-fns/timeZone'
+  export = pacificGambier
+}
+
+declare module 'date-fns/timeZone/Pacific/Guadalcanal/index.js' {
+  import {pacificGuadalcanal} from 'date-fns/timeZone'
+  export = pacificGuadalcanal
+}
+
+declare module 'date-fns/timeZone/Pacific/Guam/index.js' {
+  import {pacificGuam} from 'date-fns/timeZone'
+  export = pacificGuam
+}
+
+declare module 'date-fns/timeZone/Pacific/Honolulu/index.js' {
+  import {pacificHonolulu} from 'date-fns/timeZone'
+  export = pacificHonolulu
+}
+
+declare module 'date-fns/timeZone/Pacific/Johnston/index.js' {
+  import {pacificJohnston} from 'date-fns/timeZone'
+  export = pacificJohnston
+}
+
+declare module 'date-fns/timeZone/Pacific/Kanton/index.js' {
+  import {pacificKanton} from 'date-fns/timeZone'
+  export = pacificKanton
+}
+
+declare module 'date-fns/timeZone/Pacific/Kiritimati/index.js' {
+  import {pacificKiritimati} from 'date-fns/timeZone'
+  export = pacificKiritimati
+}
+
+declare module 'date-fns/timeZone/Pacific/Kosrae/index.js' {
+  import {pacificKosrae} from 'date-fns/timeZone'
+  export = pacificKosrae
+}
+
+declare module 'date-fns/timeZone/Pacific/Kwajalein/index.js' {
+  import {pacificKwajalein} from 'date-fns/timeZone'
+  export = pacificKwajalein
+}
+
+declare module 'date-fns/timeZone/Pacific/Majuro/index.js' {
+  import {pacificMajuro} from 'date-fns/timeZone'
+  export = pacificMajuro
+}
+
+declare module 'date-fns/timeZone/Pacific/Marquesas/index.js' {
+  import {pacificMarquesas} from 'date-fns/timeZone'
+  export = pacificMarquesas
+}
+
+declare module 'date-fns/timeZone/Pacific/Midway/index.js' {
+  import {pacificMidway} from 'date-fns/timeZone'
+  export = pacificMidway
+}
+
+declare module 'date-fns/timeZone/Pacific/Nauru/index.js' {
+  import {pacificNauru} from 'date-fns/timeZone'
+  export = pacificNauru
+}
+
+declare module 'date-fns/timeZone/Pacific/Niue/index.js' {
+  import {pacificNiue} from 'date-fns/timeZone'
+  export = pacificNiue
+}
+
+declare module 'date-fns/timeZone/Pacific/Norfolk/index.js' {
+  import {pacificNorfolk} from 'date-fns/timeZone'
+  export = pacificNorfolk
+}
+
+declare module 'date-fns/timeZone/Pacific/Noumea/index.js' {
+  import {pacificNoumea} from 'date-fns/timeZone'
+  export = pacificNoumea
+}
+
+declare module 'date-fns/timeZone/Pacific/Pago_Pago/index.js' {
+  import {pacificPagoPago} from 'date-fns/timeZone'
+  export = pacificPagoPago
+}
+
+declare module 'date-fns/timeZone/Pacific/Palau/index.js' {
+  import {pacificPalau} from 'date-fns/timeZone'
+  export = pacificPalau
+}
+
+declare module 'date-fns/timeZone/Pacific/Pitcairn/index.js' {
+  import {pacificPitcairn} from 'date-fns/timeZone'
+  export = pacificPitcairn
+}
+
+declare module 'date-fns/timeZone/Pacific/Pohnpei/index.js' {
+  import {pacificPohnpei} from 'date-fns/timeZone'
+  export = pacificPohnpei
+}
+
+declare module 'date-fns/timeZone/Pacific/Ponape/index.js' {
+  import {pacificPonape} from 'date-fns/timeZone'
+  export = pacificPonape
+}
+
+declare module 'date-fns/timeZone/Pacific/Port_Moresby/index.js' {
+  import {pacificPortMoresby} from 'date-fns/timeZone'
+  export = pacificPortMoresby
+}
+
+declare module 'date-fns/timeZone/Pacific/Rarotonga/index.js' {
+  import {pacificRarotonga} from 'date-fns/timeZone'
+  export = pacificRarotonga
+}
+
+declare module 'date-fns/timeZone/Pacific/Saipan/index.js' {
+  import {pacificSaipan} from 'date-fns/timeZone'
+  export = pacificSaipan
+}
+
+declare module 'date-fns/timeZone/Pacific/Samoa/index.js' {
+  import {pacificSamoa} from 'date-fns/timeZone'
+  export = pacificSamoa
+}
+
+declare module 'date-fns/timeZone/Pacific/Tahiti/index.js' {
+  import {pacificTahiti} from 'date-fns/timeZone'
+  export = pacificTahiti
+}
+
+declare module 'date-fns/timeZone/Pacific/Tarawa/index.js' {
+  import {pacificTarawa} from 'date-fns/timeZone'
+  export = pacificTarawa
+}
+
+declare module 'date-fns/timeZone/Pacific/Tongatapu/index.js' {
+  import {pacificTongatapu} from 'date-fns/timeZone'
+  export = pacificTongatapu
+}
+
+declare module 'date-fns/timeZone/Pacific/Truk/index.js' {
+  import {pacificTruk} from 'date-fns/timeZone'
+  export = pacificTruk
+}
+
+declare module 'date-fns/timeZone/Pacific/Wake/index.js' {
+  import {pacificWake} from 'date-fns/timeZone'
+  export = pacificWake
+}
+
+declare module 'date-fns/timeZone/Pacific/Wallis/index.js' {
+  import {pacificWallis} from 'date-fns/timeZone'
+  export = pacificWallis
+}
+
+declare module 'date-fns/timeZone/Pacific/Yap/index.js' {
+  import {pacificYap} from 'date-fns/timeZone'
+  export = pacificYap
+}
+
+declare module 'date-fns/timeZone/Poland/index.js' {
+  import {poland} from 'date-fns/timeZone'
+  export = poland
+}
+
+declare module 'date-fns/timeZone/Portugal/index.js' {
+  import {portugal} from 'date-fns/timeZone'
+  export = portugal
+}
+
+declare module 'date-fns/timeZone/ROC/index.js' {
+  import {roc} from 'date-fns/timeZone'
+  export = roc
+}
+
+declare module 'date-fns/timeZone/ROK/index.js' {
+  import {rok} from 'date-fns/timeZone'
+  export = rok
+}
+
+declare module 'date-fns/timeZone/Singapore/index.js' {
+  import {singapore} from 'date-fns/timeZone'
+  export = singapore
+}
+
+declare module 'date-fns/timeZone/Turkey/index.js' {
+  import {turkey} from 'date-fns/timeZone'
+  export = turkey
+}
+
+declare module 'date-fns/timeZone/UCT/index.js' {
+  import {uct} from 'date-fns/timeZone'
+  export = uct
+}
+
+declare module 'date-fns/timeZone/US/Alaska/index.js' {
+  import {usAlaska} from 'date-fns/timeZone'
+  export = usAlaska
+}
+
+declare module 'date-fns/timeZone/US/Aleutian/index.js' {
+  import {usAleutian} from 'date-fns/timeZone'
+  export = usAleutian
+}
+
+declare module 'date-fns/timeZone/US/Arizona/index.js' {
+  import {usArizona} from 'date-fns/timeZone'
+  export = usArizona
+}
+
+declare module 'date-fns/timeZone/US/Central/index.js' {
+  import {usCentral} from 'date-fns/timeZone'
+  export = usCentral
+}
+
+declare module 'date-fns/timeZone/US/East-Indiana/index.js' {
+  import {usEastIndiana} from 'date-fns/timeZone'
+  export = usEastIndiana
+}
+
+declare module 'date-fns/timeZone/US/Eastern/index.js' {
+  import {usEastern} from 'date-fns/timeZone'
+  export = usEastern
+}
+
+declare module 'date-fns/timeZone/US/Hawaii/index.js' {
+  import {usHawaii} from 'date-fns/timeZone'
+  export = usHawaii
+}
+
+declare module 'date-fns/timeZone/US/Indiana-Starke/index.js' {
+  import {usIndianaStarke} from 'date-fns/timeZone'
+  export = usIndianaStarke
+}
+
+declare module 'date-fns/timeZone/US/Michigan/index.js' {
+  import {usMichigan} from 'date-fns/timeZone'
+  export = usMichigan
+}
+
+declare module 'date-fns/timeZone/US/Mountain/index.js' {
+  import {usMountain} from 'date-fns/timeZone'
+  export = usMountain
+}
+
+declare module 'date-fns/timeZone/US/Pacific/index.js' {
+  import {usPacific} from 'date-fns/timeZone'
+  export = usPacific
+}
+
+declare module 'date-fns/timeZone/US/Samoa/index.js' {
+  import {usSamoa} from 'date-fns/timeZone'
+  export = usSamoa
+}
+
+declare module 'date-fns/timeZone/UTC/index.js' {
+  import {utc} from 'date-fns/timeZone'
+  export = utc
+}
+
+declare module 'date-fns/timeZone/Universal/index.js' {
+  import {universal} from 'date-fns/timeZone'
+  export = universal
+}
+
+declare module 'date-fns/timeZone/W-SU/index.js' {
+  import {wSU} from 'date-fns/timeZone'
+  export = wSU
+}
+
+declare module 'date-fns/timeZone/WET/index.js' {
+  import {wet} from 'date-fns/timeZone'
+  export = wet
+}
+
+declare module 'date-fns/timeZone/Zulu/index.js' {
+  import {zulu} from 'date-fns/timeZone'
+  export = zulu
+}
+
+// ECMAScript Module Time Zones
+
+declare module 'date-fns/esm/timeZone' {
+  const africaAbidjan: TimeZone
+  namespace africaAbidjan {}
+
+  const africaAccra: TimeZone
+  namespace africaAccra {}
+
+  const africaAddisAbaba: TimeZone
+  namespace africaAddisAbaba {}
+
+  const africaAlgiers: TimeZone
+  namespace africaAlgiers {}
+
+  const africaAsmara: TimeZone
+  namespace africaAsmara {}
+
+  const africaAsmera: TimeZone
+  namespace africaAsmera {}
+
+  const africaBamako: TimeZone
+  namespace africaBamako {}
+
+  const africaBangui: TimeZone
+  namespace africaBangui {}
+
+  const africaBanjul: TimeZone
+  namespace africaBanjul {}
+
+  const africaBissau: TimeZone
+  namespace africaBissau {}
+
+  const africaBlantyre: TimeZone
+  namespace africaBlantyre {}
+
+  const africaBrazzaville: TimeZone
+  namespace africaBrazzaville {}
+
+  const africaBujumbura: TimeZone
+  namespace africaBujumbura {}
+
+  const africaCairo: TimeZone
+  namespace africaCairo {}
+
+  const africaCasablanca: TimeZone
+  namespace africaCasablanca {}
+
+  const africaCeuta: TimeZone
+  namespace africaCeuta {}
+
+  const africaConakry: TimeZone
+  namespace africaConakry {}
+
+  const africaDakar: TimeZone
+  namespace africaDakar {}
+
+  const africaDarEsSalaam: TimeZone
+  namespace africaDarEsSalaam {}
+
+  const africaDjibouti: TimeZone
+  namespace africaDjibouti {}
+
+  const africaDouala: TimeZone
+  namespace africaDouala {}
+
+  const africaElAaiun: TimeZone
+  namespace africaElAaiun {}
+
+  const africaFreetown: TimeZone
+  namespace africaFreetown {}
+
+  const africaGaborone: TimeZone
+  namespace africaGaborone {}
+
+  const africaHarare: TimeZone
+  namespace africaHarare {}
+
+  const africaJohannesburg: TimeZone
+  namespace africaJohannesburg {}
+
+  const africaJuba: TimeZone
+  namespace africaJuba {}
+
+  const africaKampala: TimeZone
+  namespace africaKampala {}
+
+  const africaKhartoum: TimeZone
+  namespace africaKhartoum {}
+
+  const africaKigali: TimeZone
+  namespace africaKigali {}
+
+  const africaKinshasa: TimeZone
+  namespace africaKinshasa {}
+
+  const africaLagos: TimeZone
+  namespace africaLagos {}
+
+  const africaLibreville: TimeZone
+  namespace africaLibreville {}
+
+  const africaLome: TimeZone
+  namespace africaLome {}
+
+  const africaLuanda: TimeZone
+  namespace africaLuanda {}
+
+  const africaLubumbashi: TimeZone
+  namespace africaLubumbashi {}
+
+  const africaLusaka: TimeZone
+  namespace africaLusaka {}
+
+  const africaMalabo: TimeZone
+  namespace africaMalabo {}
+
+  const africaMaputo: TimeZone
+  namespace africaMaputo {}
+
+  const africaMaseru: TimeZone
+  namespace africaMaseru {}
+
+  const africaMbabane: TimeZone
+  namespace africaMbabane {}
+
+  const africaMogadishu: TimeZone
+  namespace africaMogadishu {}
+
+  const africaMonrovia: TimeZone
+  namespace africaMonrovia {}
+
+  const africaNairobi: TimeZone
+  namespace africaNairobi {}
+
+  const africaNdjamena: TimeZone
+  namespace africaNdjamena {}
+
+  const africaNiamey: TimeZone
+  namespace africaNiamey {}
+
+  const africaNouakchott: TimeZone
+  namespace africaNouakchott {}
+
+  const africaOuagadougou: TimeZone
+  namespace africaOuagadougou {}
+
+  const africaPortoNovo: TimeZone
+  namespace africaPortoNovo {}
+
+  const africaSaoTome: TimeZone
+  namespace africaSaoTome {}
+
+  const africaTimbuktu: TimeZone
+  namespace africaTimbuktu {}
+
+  const africaTripoli: TimeZone
+  namespace africaTripoli {}
+
+  const africaTunis: TimeZone
+  namespace africaTunis {}
+
+  const africaWindhoek: TimeZone
+  namespace africaWindhoek {}
+
+  const americaAdak: TimeZone
+  namespace americaAdak {}
+
+  const americaAnchorage: TimeZone
+  namespace americaAnchorage {}
+
+  const americaAnguilla: TimeZone
+  namespace americaAnguilla {}
+
+  const americaAntigua: TimeZone
+  namespace americaAntigua {}
+
+  const americaAraguaina: TimeZone
+  namespace americaAraguaina {}
+
+  const americaArgentinaBuenosAires: TimeZone
+  namespace americaArgentinaBuenosAires {}
+
+  const americaArgentinaCatamarca: TimeZone
+  namespace americaArgentinaCatamarca {}
+
+  const americaArgentinaComodRivadavia: TimeZone
+  namespace americaArgentinaComodRivadavia {}
+
+  const americaArgentinaCordoba: TimeZone
+  namespace americaArgentinaCordoba {}
+
+  const americaArgentinaJujuy: TimeZone
+  namespace americaArgentinaJujuy {}
+
+  const americaArgentinaLaRioja: TimeZone
+  namespace americaArgentinaLaRioja {}
+
+  const americaArgentinaMendoza: TimeZone
+  namespace americaArgentinaMendoza {}
+
+  const americaArgentinaRioGallegos: TimeZone
+  namespace americaArgentinaRioGallegos {}
+
+  const americaArgentinaSalta: TimeZone
+  namespace americaArgentinaSalta {}
+
+  const americaArgentinaSanJuan: TimeZone
+  namespace americaArgentinaSanJuan {}
+
+  const americaArgentinaSanLuis: TimeZone
+  namespace americaArgentinaSanLuis {}
+
+  const americaArgentinaTucuman: TimeZone
+  namespace americaArgentinaTucuman {}
+
+  const americaArgentinaUshuaia: TimeZone
+  namespace americaArgentinaUshuaia {}
+
+  const americaAruba: TimeZone
+  namespace americaAruba {}
+
+  const americaAsuncion: TimeZone
+  namespace americaAsuncion {}
+
+  const americaAtikokan: TimeZone
+  namespace americaAtikokan {}
+
+  const americaAtka: TimeZone
+  namespace americaAtka {}
+
+  const americaBahia: TimeZone
+  namespace americaBahia {}
+
+  const americaBahiaBanderas: TimeZone
+  namespace americaBahiaBanderas {}
+
+  const americaBarbados: TimeZone
+  namespace americaBarbados {}
+
+  const americaBelem: TimeZone
+  namespace americaBelem {}
+
+  const americaBelize: TimeZone
+  namespace americaBelize {}
+
+  const americaBlancSablon: TimeZone
+  namespace americaBlancSablon {}
+
+  const americaBoaVista: TimeZone
+  namespace americaBoaVista {}
+
+  const americaBogota: TimeZone
+  namespace americaBogota {}
+
+  const americaBoise: TimeZone
+  namespace americaBoise {}
+
+  const americaBuenosAires: TimeZone
+  namespace americaBuenosAires {}
+
+  const americaCambridgeBay: TimeZone
+  namespace americaCambridgeBay {}
+
+  const americaCampoGrande: TimeZone
+  namespace americaCampoGrande {}
+
+  const americaCancun: TimeZone
+  namespace americaCancun {}
+
+  const americaCaracas: TimeZone
+  namespace americaCaracas {}
+
+  const americaCatamarca: TimeZone
+  namespace americaCatamarca {}
+
+  const americaCayenne: TimeZone
+  namespace americaCayenne {}
+
+  const americaCayman: TimeZone
+  namespace americaCayman {}
+
+  const americaChicago: TimeZone
+  namespace americaChicago {}
+
+  const americaChihuahua: TimeZone
+  namespace americaChihuahua {}
+
+  const americaCiudadJuarez: TimeZone
+  namespace americaCiudadJuarez {}
+
+  const americaCoralHarbour: TimeZone
+  namespace americaCoralHarbour {}
+
+  const americaCordoba: TimeZone
+  namespace americaCordoba {}
+
+  const americaCostaRica: TimeZone
+  namespace americaCostaRica {}
+
+  const americaCoyhaique: TimeZone
+  namespace americaCoyhaique {}
+
+  const americaCreston: TimeZone
+  namespace americaCreston {}
+
+  const americaCuiaba: TimeZone
+  namespace americaCuiaba {}
+
+  const americaCuracao: TimeZone
+  namespace americaCuracao {}
+
+  const americaDanmarkshavn: TimeZone
+  namespace americaDanmarkshavn {}
+
+  const americaDawson: TimeZone
+  namespace americaDawson {}
+
+  const americaDawsonCreek: TimeZone
+  namespace americaDawsonCreek {}
+
+  const americaDenver: TimeZone
+  namespace americaDenver {}
+
+  const americaDetroit: TimeZone
+  namespace americaDetroit {}
+
+  const americaDominica: TimeZone
+  namespace americaDominica {}
+
+  const americaEdmonton: TimeZone
+  namespace americaEdmonton {}
+
+  const americaEirunepe: TimeZone
+  namespace americaEirunepe {}
+
+  const americaElSalvador: TimeZone
+  namespace americaElSalvador {}
+
+  const americaEnsenada: TimeZone
+  namespace americaEnsenada {}
+
+  const americaFortNelson: TimeZone
+  namespace americaFortNelson {}
+
+  const americaFortWayne: TimeZone
+  namespace americaFortWayne {}
+
+  const americaFortaleza: TimeZone
+  namespace americaFortaleza {}
+
+  const americaGlaceBay: TimeZone
+  namespace americaGlaceBay {}
+
+  const americaGodthab: TimeZone
+  namespace americaGodthab {}
+
+  const americaGooseBay: TimeZone
+  namespace americaGooseBay {}
+
+  const americaGrandTurk: TimeZone
+  namespace americaGrandTurk {}
+
+  const americaGrenada: TimeZone
+  namespace americaGrenada {}
+
+  const americaGuadeloupe: TimeZone
+  namespace americaGuadeloupe {}
+
+  const americaGuatemala: TimeZone
+  namespace americaGuatemala {}
+
+  const americaGuayaquil: TimeZone
+  namespace americaGuayaquil {}
+
+  const americaGuyana: TimeZone
+  namespace americaGuyana {}
+
+  const americaHalifax: TimeZone
+  namespace americaHalifax {}
+
+  const americaHavana: TimeZone
+  namespace americaHavana {}
+
+  const americaHermosillo: TimeZone
+  namespace americaHermosillo {}
+
+  const americaIndianaIndianapolis: TimeZone
+  namespace americaIndianaIndianapolis {}
+
+  const americaIndianaKnox: TimeZone
+  namespace americaIndianaKnox {}
+
+  const americaIndianaMarengo: TimeZone
+  namespace americaIndianaMarengo {}
+
+  const americaIndianaPetersburg: TimeZone
+  namespace americaIndianaPetersburg {}
+
+  const americaIndianaTellCity: TimeZone
+  namespace americaIndianaTellCity {}
+
+  const americaIndianaVevay: TimeZone
+  namespace americaIndianaVevay {}
+
+  const americaIndianaVincennes: TimeZone
+  namespace americaIndianaVincennes {}
+
+  const americaIndianaWinamac: TimeZone
+  namespace americaIndianaWinamac {}
+
+  const americaIndianapolis: TimeZone
+  namespace americaIndianapolis {}
+
+  const americaInuvik: TimeZone
+  namespace americaInuvik {}
+
+  const americaIqaluit: TimeZone
+  namespace americaIqaluit {}
+
+  const americaJamaica: TimeZone
+  namespace americaJamaica {}
+
+  const americaJujuy: TimeZone
+  namespace americaJujuy {}
+
+  const americaJuneau: TimeZone
+  namespace americaJuneau {}
+
+  const americaKentuckyLouisville: TimeZone
+  namespace americaKentuckyLouisville {}
+
+  const americaKentuckyMonticello: TimeZone
+  namespace americaKentuckyMonticello {}
+
+  const americaKnoxIN: TimeZone
+  namespace americaKnoxIN {}
+
+  const americaKralendijk: TimeZone
+  namespace americaKralendijk {}
+
+  const americaLaPaz: TimeZone
+  namespace americaLaPaz {}
+
+  const americaLima: TimeZone
+  namespace americaLima {}
+
+  const americaLosAngeles: TimeZone
+  namespace americaLosAngeles {}
+
+  const americaLouisville: TimeZone
+  namespace americaLouisville {}
+
+  const americaLowerPrinces: TimeZone
+  namespace americaLowerPrinces {}
+
+  const americaMaceio: TimeZone
+  namespace americaMaceio {}
+
+  const americaManagua: TimeZone
+  namespace americaManagua {}
+
+  const americaManaus: TimeZone
+  namespace americaManaus {}
+
+  const americaMarigot: TimeZone
+  namespace americaMarigot {}
+
+  const americaMartinique: TimeZone
+  namespace americaMartinique {}
+
+  const americaMatamoros: TimeZone
+  namespace americaMatamoros {}
+
+  const americaMazatlan: TimeZone
+  namespace americaMazatlan {}
+
+  const americaMendoza: TimeZone
+  namespace americaMendoza {}
+
+  const americaMenominee: TimeZone
+  namespace americaMenominee {}
+
+  const americaMerida: TimeZone
+  namespace americaMerida {}
+
+  const americaMetlakatla: TimeZone
+  namespace americaMetlakatla {}
+
+  const americaMexicoCity: TimeZone
+  namespace americaMexicoCity {}
+
+  const americaMiquelon: TimeZone
+  namespace americaMiquelon {}
+
+  const americaMoncton: TimeZone
+  namespace americaMoncton {}
+
+  const americaMonterrey: TimeZone
+  namespace americaMonterrey {}
+
+  const americaMontevideo: TimeZone
+  namespace americaMontevideo {}
+
+  const americaMontreal: TimeZone
+  namespace americaMontreal {}
+
+  const americaMontserrat: TimeZone
+  namespace americaMontserrat {}
+
+  const americaNassau: TimeZone
+  namespace americaNassau {}
+
+  const americaNewYork: TimeZone
+  namespace americaNewYork {}
+
+  const americaNipigon: TimeZone
+  namespace americaNipigon {}
+
+  const americaNome: TimeZone
+  namespace americaNome {}
+
+  const americaNoronha: TimeZone
+  namespace americaNoronha {}
+
+  const americaNorthDakotaBeulah: TimeZone
+  namespace americaNorthDakotaBeulah {}
+
+  const americaNorthDakotaCenter: TimeZone
+  namespace americaNorthDakotaCenter {}
+
+  const americaNorthDakotaNewSalem: TimeZone
+  namespace americaNorthDakotaNewSalem {}
+
+  const americaNuuk: TimeZone
+  namespace americaNuuk {}
+
+  const americaOjinaga: TimeZone
+  namespace americaOjinaga {}
+
+  const americaPanama: TimeZone
+  namespace americaPanama {}
+
+  const americaPangnirtung: TimeZone
+  namespace americaPangnirtung {}
+
+  const americaParamaribo: TimeZone
+  namespace americaParamaribo {}
+
+  const americaPhoenix: TimeZone
+  namespace americaPhoenix {}
+
+  const americaPortAuPrince: TimeZone
+  namespace americaPortAuPrince {}
+
+  const americaPortOfSpain: TimeZone
+  namespace americaPortOfSpain {}
+
+  const americaPortoAcre: TimeZone
+  namespace americaPortoAcre {}
+
+  const americaPortoVelho: TimeZone
+  namespace americaPortoVelho {}
+
+  const americaPuertoRico: TimeZone
+  namespace americaPuertoRico {}
+
+  const americaPuntaArenas: TimeZone
+  namespace americaPuntaArenas {}
+
+  const americaRainyRiver: TimeZone
+  namespace americaRainyRiver {}
+
+  const americaRankinInlet: TimeZone
+  namespace americaRankinInlet {}
+
+  const americaRecife: TimeZone
+  namespace americaRecife {}
+
+  const americaRegina: TimeZone
+  namespace americaRegina {}
+
+  const americaResolute: TimeZone
+  namespace americaResolute {}
+
+  const americaRioBranco: TimeZone
+  namespace americaRioBranco {}
+
+  const americaRosario: TimeZone
+  namespace americaRosario {}
+
+  const americaSantaIsabel: TimeZone
+  namespace americaSantaIsabel {}
+
+  const americaSantarem: TimeZone
+  namespace americaSantarem {}
+
+  const americaSantiago: TimeZone
+  namespace americaSantiago {}
+
+  const americaSantoDomingo: TimeZone
+  namespace americaSantoDomingo {}
+
+  const americaSaoPaulo: TimeZone
+  namespace americaSaoPaulo {}
+
+  const americaScoresbysund: TimeZone
+  namespace americaScoresbysund {}
+
+  const americaShiprock: TimeZone
+  namespace americaShiprock {}
+
+  const americaSitka: TimeZone
+  namespace americaSitka {}
+
+  const americaStBarthelemy: TimeZone
+  namespace americaStBarthelemy {}
+
+  const americaStJohns: TimeZone
+  namespace americaStJohns {}
+
+  const americaStKitts: TimeZone
+  namespace americaStKitts {}
+
+  const americaStLucia: TimeZone
+  namespace americaStLucia {}
+
+  const americaStThomas: TimeZone
+  namespace americaStThomas {}
+
+  const americaStVincent: TimeZone
+  namespace americaStVincent {}
+
+  const americaSwiftCurrent: TimeZone
+  namespace americaSwiftCurrent {}
+
+  const americaTegucigalpa: TimeZone
+  namespace americaTegucigalpa {}
+
+  const americaThule: TimeZone
+  namespace americaThule {}
+
+  const americaThunderBay: TimeZone
+  namespace americaThunderBay {}
+
+  const americaTijuana: TimeZone
+  namespace americaTijuana {}
+
+  const americaToronto: TimeZone
+  namespace americaToronto {}
+
+  const americaTortola: TimeZone
+  namespace americaTortola {}
+
+  const americaVancouver: TimeZone
+  namespace americaVancouver {}
+
+  const americaVirgin: TimeZone
+  namespace americaVirgin {}
+
+  const americaWhitehorse: TimeZone
+  namespace americaWhitehorse {}
+
+  const americaWinnipeg: TimeZone
+  namespace americaWinnipeg {}
+
+  const americaYakutat: TimeZone
+  namespace americaYakutat {}
+
+  const americaYellowknife: TimeZone
+  namespace americaYellowknife {}
+
+  const antarcticaCasey: TimeZone
+  namespace antarcticaCasey {}
+
+  const antarcticaDavis: TimeZone
+  namespace antarcticaDavis {}
+
+  const antarcticaDumontDUrville: TimeZone
+  namespace antarcticaDumontDUrville {}
+
+  const antarcticaMacquarie: TimeZone
+  namespace antarcticaMacquarie {}
+
+  const antarcticaMawson: TimeZone
+  namespace antarcticaMawson {}
+
+  const antarcticaMcMurdo: TimeZone
+  namespace antarcticaMcMurdo {}
+
+  const antarcticaPalmer: TimeZone
+  namespace antarcticaPalmer {}
+
+  const antarcticaRothera: TimeZone
+  namespace antarcticaRothera {}
+
+  const antarcticaSouthPole: TimeZone
+  namespace antarcticaSouthPole {}
+
+  const antarcticaSyowa: TimeZone
+  namespace antarcticaSyowa {}
+
+  const antarcticaTroll: TimeZone
+  namespace antarcticaTroll {}
+
+  const antarcticaVostok: TimeZone
+  namespace antarcticaVostok {}
+
+  const arcticLongyearbyen: TimeZone
+  namespace arcticLongyearbyen {}
+
+  const asiaAden: TimeZone
+  namespace asiaAden {}
+
+  const asiaAlmaty: TimeZone
+  namespace asiaAlmaty {}
+
+  const asiaAmman: TimeZone
+  namespace asiaAmman {}
+
+  const asiaAnadyr: TimeZone
+  namespace asiaAnadyr {}
+
+  const asiaAqtau: TimeZone
+  namespace asiaAqtau {}
+
+  const asiaAqtobe: TimeZone
+  namespace asiaAqtobe {}
+
+  const asiaAshgabat: TimeZone
+  namespace asiaAshgabat {}
+
+  const asiaAshkhabad: TimeZone
+  namespace asiaAshkhabad {}
+
+  const asiaAtyrau: TimeZone
+  namespace asiaAtyrau {}
+
+  const asiaBaghdad: TimeZone
+  namespace asiaBaghdad {}
+
+  const asiaBahrain: TimeZone
+  namespace asiaBahrain {}
+
+  const asiaBaku: TimeZone
+  namespace asiaBaku {}
+
+  const asiaBangkok: TimeZone
+  namespace asiaBangkok {}
+
+  const asiaBarnaul: TimeZone
+  namespace asiaBarnaul {}
+
+  const asiaBeirut: TimeZone
+  namespace asiaBeirut {}
+
+  const asiaBishkek: TimeZone
+  namespace asiaBishkek {}
+
+  const asiaBrunei: TimeZone
+  namespace asiaBrunei {}
+
+  const asiaCalcutta: TimeZone
+  namespace asiaCalcutta {}
+
+  const asiaChita: TimeZone
+  namespace asiaChita {}
+
+  const asiaChoibalsan: TimeZone
+  namespace asiaChoibalsan {}
+
+  const asiaChongqing: TimeZone
+  namespace asiaChongqing {}
+
+  const asiaChungking: TimeZone
+  namespace asiaChungking {}
+
+  const asiaColombo: TimeZone
+  namespace asiaColombo {}
+
+  const asiaDacca: TimeZone
+  namespace asiaDacca {}
+
+  const asiaDamascus: TimeZone
+  namespace asiaDamascus {}
+
+  const asiaDhaka: TimeZone
+  namespace asiaDhaka {}
+
+  const asiaDili: TimeZone
+  namespace asiaDili {}
+
+  const asiaDubai: TimeZone
+  namespace asiaDubai {}
+
+  const asiaDushanbe: TimeZone
+  namespace asiaDushanbe {}
+
+  const asiaFamagusta: TimeZone
+  namespace asiaFamagusta {}
+
+  const asiaGaza: TimeZone
+  namespace asiaGaza {}
+
+  const asiaHarbin: TimeZone
+  namespace asiaHarbin {}
+
+  const asiaHebron: TimeZone
+  namespace asiaHebron {}
+
+  const asiaHoChiMinh: TimeZone
+  namespace asiaHoChiMinh {}
+
+  const asiaHongKong: TimeZone
+  namespace asiaHongKong {}
+
+  const asiaHovd: TimeZone
+  namespace asiaHovd {}
+
+  const asiaIrkutsk: TimeZone
+  namespace asiaIrkutsk {}
+
+  const asiaIstanbul: TimeZone
+  namespace asiaIstanbul {}
+
+  const asiaJakarta: TimeZone
+  namespace asiaJakarta {}
+
+  const asiaJayapura: TimeZone
+  namespace asiaJayapura {}
+
+  const asiaJerusalem: TimeZone
+  namespace asiaJerusalem {}
+
+  const asiaKabul: TimeZone
+  namespace asiaKabul {}
+
+  const asiaKamchatka: TimeZone
+  namespace asiaKamchatka {}
+
+  const asiaKarachi: TimeZone
+  namespace asiaKarachi {}
+
+  const asiaKashgar: TimeZone
+  namespace asiaKashgar {}
+
+  const asiaKathmandu: TimeZone
+  namespace asiaKathmandu {}
+
+  const asiaKatmandu: TimeZone
+  namespace asiaKatmandu {}
+
+  const asiaKhandyga: TimeZone
+  namespace asiaKhandyga {}
+
+  const asiaKolkata: TimeZone
+  namespace asiaKolkata {}
+
+  const asiaKrasnoyarsk: TimeZone
+  namespace asiaKrasnoyarsk {}
+
+  const asiaKualaLumpur: TimeZone
+  namespace asiaKualaLumpur {}
+
+  const asiaKuching: TimeZone
+  namespace asiaKuching {}
+
+  const asiaKuwait: TimeZone
+  namespace asiaKuwait {}
+
+  const asiaMacao: TimeZone
+  namespace asiaMacao {}
+
+  const asiaMacau: TimeZone
+  namespace asiaMacau {}
+
+  const asiaMagadan: TimeZone
+  namespace asiaMagadan {}
+
+  const asiaMakassar: TimeZone
+  namespace asiaMakassar {}
+
+  const asiaManila: TimeZone
+  namespace asiaManila {}
+
+  const asiaMuscat: TimeZone
+  namespace asiaMuscat {}
+
+  const asiaNicosia: TimeZone
+  namespace asiaNicosia {}
+
+  const asiaNovokuznetsk: TimeZone
+  namespace asiaNovokuznetsk {}
+
+  const asiaNovosibirsk: TimeZone
+  namespace asiaNovosibirsk {}
+
+  const asiaOmsk: TimeZone
+  namespace asiaOmsk {}
+
+  const asiaOral: TimeZone
+  namespace asiaOral {}
+
+  const asiaPhnomPenh: TimeZone
+  namespace asiaPhnomPenh {}
+
+  const asiaPontianak: TimeZone
+  namespace asiaPontianak {}
+
+  const asiaPyongyang: TimeZone
+  namespace asiaPyongyang {}
+
+  const asiaQatar: TimeZone
+  namespace asiaQatar {}
+
+  const asiaQostanay: TimeZone
+  namespace asiaQostanay {}
+
+  const asiaQyzylorda: TimeZone
+  namespace asiaQyzylorda {}
+
+  const asiaRangoon: TimeZone
+  namespace asiaRangoon {}
+
+  const asiaRiyadh: TimeZone
+  namespace asiaRiyadh {}
+
+  const asiaSaigon: TimeZone
+  namespace asiaSaigon {}
+
+  const asiaSakhalin: TimeZone
+  namespace asiaSakhalin {}
+
+  const asiaSamarkand: TimeZone
+  namespace asiaSamarkand {}
+
+  const asiaSeoul: TimeZone
+  namespace asiaSeoul {}
+
+  const asiaShanghai: TimeZone
+  namespace asiaShanghai {}
+
+  const asiaSingapore: TimeZone
+  namespace asiaSingapore {}
+
+  const asiaSrednekolymsk: TimeZone
+  namespace asiaSrednekolymsk {}
+
+  const asiaTaipei: TimeZone
+  namespace asiaTaipei {}
+
+  const asiaTashkent: TimeZone
+  namespace asiaTashkent {}
+
+  const asiaTbilisi: TimeZone
+  namespace asiaTbilisi {}
+
+  const asiaTehran: TimeZone
+  namespace asiaTehran {}
+
+  const asiaTelAviv: TimeZone
+  namespace asiaTelAviv {}
+
+  const asiaThimbu: TimeZone
+  namespace asiaThimbu {}
+
+  const asiaThimphu: TimeZone
+  namespace asiaThimphu {}
+
+  const asiaTokyo: TimeZone
+  namespace asiaTokyo {}
+
+  const asiaTomsk: TimeZone
+  namespace asiaTomsk {}
+
+  const asiaUjungPandang: TimeZone
+  namespace asiaUjungPandang {}
+
+  const asiaUlaanbaatar: TimeZone
+  namespace asiaUlaanbaatar {}
+
+  const asiaUlanBator: TimeZone
+  namespace asiaUlanBator {}
+
+  const asiaUrumqi: TimeZone
+  namespace asiaUrumqi {}
+
+  const asiaUstNera: TimeZone
+  namespace asiaUstNera {}
+
+  const asiaVientiane: TimeZone
+  namespace asiaVientiane {}
+
+  const asiaVladivostok: TimeZone
+  namespace asiaVladivostok {}
+
+  const asiaYakutsk: TimeZone
+  namespace asiaYakutsk {}
+
+  const asiaYangon: TimeZone
+  namespace asiaYangon {}
+
+  const asiaYekaterinburg: TimeZone
+  namespace asiaYekaterinburg {}
+
+  const asiaYerevan: TimeZone
+  namespace asiaYerevan {}
+
+  const atlanticAzores: TimeZone
+  namespace atlanticAzores {}
+
+  const atlanticBermuda: TimeZone
+  namespace atlanticBermuda {}
+
+  const atlanticCanary: TimeZone
+  namespace atlanticCanary {}
+
+  const atlanticCapeVerde: TimeZone
+  namespace atlanticCapeVerde {}
+
+  const atlanticFaeroe: TimeZone
+  namespace atlanticFaeroe {}
+
+  const atlanticFaroe: TimeZone
+  namespace atlanticFaroe {}
+
+  const atlanticJanMayen: TimeZone
+  namespace atlanticJanMayen {}
+
+  const atlanticMadeira: TimeZone
+  namespace atlanticMadeira {}
+
+  const atlanticReykjavik: TimeZone
+  namespace atlanticReykjavik {}
+
+  const atlanticSouthGeorgia: TimeZone
+  namespace atlanticSouthGeorgia {}
+
+  const atlanticStHelena: TimeZone
+  namespace atlanticStHelena {}
+
+  const atlanticStanley: TimeZone
+  namespace atlanticStanley {}
+
+  const australiaACT: TimeZone
+  namespace australiaACT {}
+
+  const australiaAdelaide: TimeZone
+  namespace australiaAdelaide {}
+
+  const australiaBrisbane: TimeZone
+  namespace australiaBrisbane {}
+
+  const australiaBrokenHill: TimeZone
+  namespace australiaBrokenHill {}
+
+  const australiaCanberra: TimeZone
+  namespace australiaCanberra {}
+
+  const australiaCurrie: TimeZone
+  namespace australiaCurrie {}
+
+  const australiaDarwin: TimeZone
+  namespace australiaDarwin {}
+
+  const australiaEucla: TimeZone
+  namespace australiaEucla {}
+
+  const australiaHobart: TimeZone
+  namespace australiaHobart {}
+
+  const australiaLHI: TimeZone
+  namespace australiaLHI {}
+
+  const australiaLindeman: TimeZone
+  namespace australiaLindeman {}
+
+  const australiaLordHowe: TimeZone
+  namespace australiaLordHowe {}
+
+  const australiaMelbourne: TimeZone
+  namespace australiaMelbourne {}
+
+  const australiaNSW: TimeZone
+  namespace australiaNSW {}
+
+  const australiaNorth: TimeZone
+  namespace australiaNorth {}
+
+  const australiaPerth: TimeZone
+  namespace australiaPerth {}
+
+  const australiaQueensland: TimeZone
+  namespace australiaQueensland {}
+
+  const australiaSouth: TimeZone
+  namespace australiaSouth {}
+
+  const australiaSydney: TimeZone
+  namespace australiaSydney {}
+
+  const australiaTasmania: TimeZone
+  namespace australiaTasmania {}
+
+  const australiaVictoria: TimeZone
+  namespace australiaVictoria {}
+
+  const australiaWest: TimeZone
+  namespace australiaWest {}
+
+  const australiaYancowinna: TimeZone
+  namespace australiaYancowinna {}
+
+  const brazilAcre: TimeZone
+  namespace brazilAcre {}
+
+  const brazilDeNoronha: TimeZone
+  namespace brazilDeNoronha {}
+
+  const brazilEast: TimeZone
+  namespace brazilEast {}
+
+  const brazilWest: TimeZone
+  namespace brazilWest {}
+
+  const cet: TimeZone
+  namespace cet {}
+
+  const cst6cdt: TimeZone
+  namespace cst6cdt {}
+
+  const canadaAtlantic: TimeZone
+  namespace canadaAtlantic {}
+
+  const canadaCentral: TimeZone
+  namespace canadaCentral {}
+
+  const canadaEastern: TimeZone
+  namespace canadaEastern {}
+
+  const canadaMountain: TimeZone
+  namespace canadaMountain {}
+
+  const canadaNewfoundland: TimeZone
+  namespace canadaNewfoundland {}
+
+  const canadaPacific: TimeZone
+  namespace canadaPacific {}
+
+  const canadaSaskatchewan: TimeZone
+  namespace canadaSaskatchewan {}
+
+  const canadaYukon: TimeZone
+  namespace canadaYukon {}
+
+  const chileContinental: TimeZone
+  namespace chileContinental {}
+
+  const chileEasterIsland: TimeZone
+  namespace chileEasterIsland {}
+
+  const cuba: TimeZone
+  namespace cuba {}
+
+  const eet: TimeZone
+  namespace eet {}
+
+  const est: TimeZone
+  namespace est {}
+
+  const est5edt: TimeZone
+  namespace est5edt {}
+
+  const egypt: TimeZone
+  namespace egypt {}
+
+  const eire: TimeZone
+  namespace eire {}
+
+  const etcGMT: TimeZone
+  namespace etcGMT {}
+
+  const etcGMTPlus0: TimeZone
+  namespace etcGMTPlus0 {}
+
+  const etcGMTPlus1: TimeZone
+  namespace etcGMTPlus1 {}
+
+  const etcGMTPlus10: TimeZone
+  namespace etcGMTPlus10 {}
+
+  const etcGMTPlus11: TimeZone
+  namespace etcGMTPlus11 {}
+
+  const etcGMTPlus12: TimeZone
+  namespace etcGMTPlus12 {}
+
+  const etcGMTPlus2: TimeZone
+  namespace etcGMTPlus2 {}
+
+  const etcGMTPlus3: TimeZone
+  namespace etcGMTPlus3 {}
+
+  const etcGMTPlus4: TimeZone
+  namespace etcGMTPlus4 {}
+
+  const etcGMTPlus5: TimeZone
+  namespace etcGMTPlus5 {}
+
+  const etcGMTPlus6: TimeZone
+  namespace etcGMTPlus6 {}
+
+  const etcGMTPlus7: TimeZone
+  namespace etcGMTPlus7 {}
+
+  const etcGMTPlus8: TimeZone
+  namespace etcGMTPlus8 {}
+
+  const etcGMTPlus9: TimeZone
+  namespace etcGMTPlus9 {}
+
+  const etcGMTMinus0: TimeZone
+  namespace etcGMTMinus0 {}
+
+  const etcGMTMinus1: TimeZone
+  namespace etcGMTMinus1 {}
+
+  const etcGMTMinus10: TimeZone
+  namespace etcGMTMinus10 {}
+
+  const etcGMTMinus11: TimeZone
+  namespace etcGMTMinus11 {}
+
+  const etcGMTMinus12: TimeZone
+  namespace etcGMTMinus12 {}
+
+  const etcGMTMinus13: TimeZone
+  namespace etcGMTMinus13 {}
+
+  const etcGMTMinus14: TimeZone
+  namespace etcGMTMinus14 {}
+
+  const etcGMTMinus2: TimeZone
+  namespace etcGMTMinus2 {}
+
+  const etcGMTMinus3: TimeZone
+  namespace etcGMTMinus3 {}
+
+  const etcGMTMinus4: TimeZone
+  namespace etcGMTMinus4 {}
+
+  const etcGMTMinus5: TimeZone
+  namespace etcGMTMinus5 {}
+
+  const etcGMTMinus6: TimeZone
+  namespace etcGMTMinus6 {}
+
+  const etcGMTMinus7: TimeZone
+  namespace etcGMTMinus7 {}
+
+  const etcGMTMinus8: TimeZone
+  namespace etcGMTMinus8 {}
+
+  const etcGMTMinus9: TimeZone
+  namespace etcGMTMinus9 {}
+
+  const etcGMT0: TimeZone
+  namespace etcGMT0 {}
+
+  const etcGreenwich: TimeZone
+  namespace etcGreenwich {}
+
+  const etcUCT: TimeZone
+  namespace etcUCT {}
+
+  const etcUTC: TimeZone
+  namespace etcUTC {}
+
+  const etcUniversal: TimeZone
+  namespace etcUniversal {}
+
+  const etcZulu: TimeZone
+  namespace etcZulu {}
+
+  const europeAmsterdam: TimeZone
+  namespace europeAmsterdam {}
+
+  const europeAndorra: TimeZone
+  namespace europeAndorra {}
+
+  const europeAstrakhan: TimeZone
+  namespace europeAstrakhan {}
+
+  const europeAthens: TimeZone
+  namespace europeAthens {}
+
+  const europeBelfast: TimeZone
+  namespace europeBelfast {}
+
+  const europeBelgrade: TimeZone
+  namespace europeBelgrade {}
+
+  const europeBerlin: TimeZone
+  namespace europeBerlin {}
+
+  const europeBratislava: TimeZone
+  namespace europeBratislava {}
+
+  const europeBrussels: TimeZone
+  namespace europeBrussels {}
+
+  const europeBucharest: TimeZone
+  namespace europeBucharest {}
+
+  const europeBudapest: TimeZone
+  namespace europeBudapest {}
+
+  const europeBusingen: TimeZone
+  namespace europeBusingen {}
+
+  const europeChisinau: TimeZone
+  namespace europeChisinau {}
+
+  const europeCopenhagen: TimeZone
+  namespace europeCopenhagen {}
+
+  const europeDublin: TimeZone
+  namespace europeDublin {}
+
+  const europeGibraltar: TimeZone
+  namespace europeGibraltar {}
+
+  const europeGuernsey: TimeZone
+  namespace europeGuernsey {}
+
+  const europeHelsinki: TimeZone
+  namespace europeHelsinki {}
+
+  const europeIsleOfMan: TimeZone
+  namespace europeIsleOfMan {}
+
+  const europeIstanbul: TimeZone
+  namespace europeIstanbul {}
+
+  const europeJersey: TimeZone
+  namespace europeJersey {}
+
+  const europeKaliningrad: TimeZone
+  namespace europeKaliningrad {}
+
+  const europeKiev: TimeZone
+  namespace europeKiev {}
+
+  const europeKirov: TimeZone
+  namespace europeKirov {}
+
+  const europeKyiv: TimeZone
+  namespace europeKyiv {}
+
+  const europeLisbon: TimeZone
+  namespace europeLisbon {}
+
+  const europeLjubljana: TimeZone
+  namespace europeLjubljana {}
+
+  const europeLondon: TimeZone
+  namespace europeLondon {}
+
+  const europeLuxembourg: TimeZone
+  namespace europeLuxembourg {}
+
+  const europeMadrid: TimeZone
+  namespace europeMadrid {}
+
+  const europeMalta: TimeZone
+  namespace europeMalta {}
+
+  const europeMariehamn: TimeZone
+  namespace europeMariehamn {}
+
+  const europeMinsk: TimeZone
+  namespace europeMinsk {}
+
+  const europeMonaco: TimeZone
+  namespace europeMonaco {}
+
+  const europeMoscow: TimeZone
+  namespace europeMoscow {}
+
+  const europeNicosia: TimeZone
+  namespace europeNicosia {}
+
+  const europeOslo: TimeZone
+  namespace europeOslo {}
+
+  const europeParis: TimeZone
+  namespace europeParis {}
+
+  const europePodgorica: TimeZone
+  namespace europePodgorica {}
+
+  const europePrague: TimeZone
+  namespace europePrague {}
+
+  const europeRiga: TimeZone
+  namespace europeRiga {}
+
+  const europeRome: TimeZone
+  namespace europeRome {}
+
+  const europeSamara: TimeZone
+  namespace europeSamara {}
+
+  const europeSanMarino: TimeZone
+  namespace europeSanMarino {}
+
+  const europeSarajevo: TimeZone
+  namespace europeSarajevo {}
+
+  const europeSaratov: TimeZone
+  namespace europeSaratov {}
+
+  const europeSimferopol: TimeZone
+  namespace europeSimferopol {}
+
+  const europeSkopje: TimeZone
+  namespace europeSkopje {}
+
+  const europeSofia: TimeZone
+  namespace europeSofia {}
+
+  const europeStockholm: TimeZone
+  namespace europeStockholm {}
+
+  const europeTallinn: TimeZone
+  namespace europeTallinn {}
+
+  const europeTirane: TimeZone
+  namespace europeTirane {}
+
+  const europeTiraspol: TimeZone
+  namespace europeTiraspol {}
+
+  const europeUlyanovsk: TimeZone
+  namespace europeUlyanovsk {}
+
+  const europeUzhgorod: TimeZone
+  namespace europeUzhgorod {}
+
+  const europeVaduz: TimeZone
+  namespace europeVaduz {}
+
+  const europeVatican: TimeZone
+  namespace europeVatican {}
+
+  const europeVienna: TimeZone
+  namespace europeVienna {}
+
+  const europeVilnius: TimeZone
+  namespace europeVilnius {}
+
+  const europeVolgograd: TimeZone
+  namespace europeVolgograd {}
+
+  const europeWarsaw: TimeZone
+  namespace europeWarsaw {}
+
+  const europeZagreb: TimeZone
+  namespace europeZagreb {}
+
+  const europeZaporozhye: TimeZone
+  namespace europeZaporozhye {}
+
+  const europeZurich: TimeZone
+  namespace europeZurich {}
+
+  const gb: TimeZone
+  namespace gb {}
+
+  const gbEire: TimeZone
+  namespace gbEire {}
+
+  const gmt: TimeZone
+  namespace gmt {}
+
+  const gmtPlus0: TimeZone
+  namespace gmtPlus0 {}
+
+  const gmtMinus0: TimeZone
+  namespace gmtMinus0 {}
+
+  const gmt0: TimeZone
+  namespace gmt0 {}
+
+  const greenwich: TimeZone
+  namespace greenwich {}
+
+  const hst: TimeZone
+  namespace hst {}
+
+  const hongkong: TimeZone
+  namespace hongkong {}
+
+  const iceland: TimeZone
+  namespace iceland {}
+
+  const indianAntananarivo: TimeZone
+  namespace indianAntananarivo {}
+
+  const indianChagos: TimeZone
+  namespace indianChagos {}
+
+  const indianChristmas: TimeZone
+  namespace indianChristmas {}
+
+  const indianCocos: TimeZone
+  namespace indianCocos {}
+
+  const indianComoro: TimeZone
+  namespace indianComoro {}
+
+  const indianKerguelen: TimeZone
+  namespace indianKerguelen {}
+
+  const indianMahe: TimeZone
+  namespace indianMahe {}
+
+  const indianMaldives: TimeZone
+  namespace indianMaldives {}
+
+  const indianMauritius: TimeZone
+  namespace indianMauritius {}
+
+  const indianMayotte: TimeZone
+  namespace indianMayotte {}
+
+  const indianReunion: TimeZone
+  namespace indianReunion {}
+
+  const iran: TimeZone
+  namespace iran {}
+
+  const israel: TimeZone
+  namespace israel {}
+
+  const jamaica: TimeZone
+  namespace jamaica {}
+
+  const japan: TimeZone
+  namespace japan {}
+
+  const kwajalein: TimeZone
+  namespace kwajalein {}
+
+  const libya: TimeZone
+  namespace libya {}
+
+  const met: TimeZone
+  namespace met {}
+
+  const mst: TimeZone
+  namespace mst {}
+
+  const mst7mdt: TimeZone
+  namespace mst7mdt {}
+
+  const mexicoBajaNorte: TimeZone
+  namespace mexicoBajaNorte {}
+
+  const mexicoBajaSur: TimeZone
+  namespace mexicoBajaSur {}
+
+  const mexicoGeneral: TimeZone
+  namespace mexicoGeneral {}
+
+  const nz: TimeZone
+  namespace nz {}
+
+  const nzCHAT: TimeZone
+  namespace nzCHAT {}
+
+  const navajo: TimeZone
+  namespace navajo {}
+
+  const prc: TimeZone
+  namespace prc {}
+
+  const pst8pdt: TimeZone
+  namespace pst8pdt {}
+
+  const pacificApia: TimeZone
+  namespace pacificApia {}
+
+  const pacificAuckland: TimeZone
+  namespace pacificAuckland {}
+
+  const pacificBougainville: TimeZone
+  namespace pacificBougainville {}
+
+  const pacificChatham: TimeZone
+  namespace pacificChatham {}
+
+  const pacificChuuk: TimeZone
+  namespace pacificChuuk {}
+
+  const pacificEaster: TimeZone
+  namespace pacificEaster {}
+
+  const pacificEfate: TimeZone
+  namespace pacificEfate {}
+
+  const pacificEnderbury: TimeZone
+  namespace pacificEnderbury {}
+
+  const pacificFakaofo: TimeZone
+  namespace pacificFakaofo {}
+
+  const pacificFiji: TimeZone
+  namespace pacificFiji {}
+
+  const pacificFunafuti: TimeZone
+  namespace pacificFunafuti {}
+
+  const pacificGalapagos: TimeZone
+  namespace pacificGalapagos {}
+
+  const pacificGambier: TimeZone
+  namespace pacificGambier {}
+
+  const pacificGuadalcanal: TimeZone
+  namespace pacificGuadalcanal {}
+
+  const pacificGuam: TimeZone
+  namespace pacificGuam {}
+
+  const pacificHonolulu: TimeZone
+  namespace pacificHonolulu {}
+
+  const pacificJohnston: TimeZone
+  namespace pacificJohnston {}
+
+  const pacificKanton: TimeZone
+  namespace pacificKanton {}
+
+  const pacificKiritimati: TimeZone
+  namespace pacificKiritimati {}
+
+  const pacificKosrae: TimeZone
+  namespace pacificKosrae {}
+
+  const pacificKwajalein: TimeZone
+  namespace pacificKwajalein {}
+
+  const pacificMajuro: TimeZone
+  namespace pacificMajuro {}
+
+  const pacificMarquesas: TimeZone
+  namespace pacificMarquesas {}
+
+  const pacificMidway: TimeZone
+  namespace pacificMidway {}
+
+  const pacificNauru: TimeZone
+  namespace pacificNauru {}
+
+  const pacificNiue: TimeZone
+  namespace pacificNiue {}
+
+  const pacificNorfolk: TimeZone
+  namespace pacificNorfolk {}
+
+  const pacificNoumea: TimeZone
+  namespace pacificNoumea {}
+
+  const pacificPagoPago: TimeZone
+  namespace pacificPagoPago {}
+
+  const pacificPalau: TimeZone
+  namespace pacificPalau {}
+
+  const pacificPitcairn: TimeZone
+  namespace pacificPitcairn {}
+
+  const pacificPohnpei: TimeZone
+  namespace pacificPohnpei {}
+
+  const pacificPonape: TimeZone
+  namespace pacificPonape {}
+
+  const pacificPortMoresby: TimeZone
+  namespace pacificPortMoresby {}
+
+  const pacificRarotonga: TimeZone
+  namespace pacificRarotonga {}
+
+  const pacificSaipan: TimeZone
+  namespace pacificSaipan {}
+
+  const pacificSamoa: TimeZone
+  namespace pacificSamoa {}
+
+  const pacificTahiti: TimeZone
+  namespace pacificTahiti {}
+
+  const pacificTarawa: TimeZone
+  namespace pacificTarawa {}
+
+  const pacificTongatapu: TimeZone
+  namespace pacificTongatapu {}
+
+  const pacificTruk: TimeZone
+  namespace pacificTruk {}
+
+  const pacificWake: TimeZone
+  namespace pacificWake {}
+
+  const pacificWallis: TimeZone
+  namespace pacificWallis {}
+
+  const pacificYap: TimeZone
+  namespace pacificYap {}
+
+  const poland: TimeZone
+  namespace poland {}
+
+  const portugal: TimeZone
+  namespace portugal {}
+
+  const roc: TimeZone
+  namespace roc {}
+
+  const rok: TimeZone
+  namespace rok {}
+
+  const singapore: TimeZone
+  namespace singapore {}
+
+  const turkey: TimeZone
+  namespace turkey {}
+
+  const uct: TimeZone
+  namespace uct {}
+
+  const usAlaska: TimeZone
+  namespace usAlaska {}
+
+  const usAleutian: TimeZone
+  namespace usAleutian {}
+
+  const usArizona: TimeZone
+  namespace usArizona {}
+
+  const usCentral: TimeZone
+  namespace usCentral {}
+
+  const usEastIndiana: TimeZone
+  namespace usEastIndiana {}
+
+  const usEastern: TimeZone
+  namespace usEastern {}
+
+  const usHawaii: TimeZone
+  namespace usHawaii {}
+
+  const usIndianaStarke: TimeZone
+  namespace usIndianaStarke {}
+
+  const usMichigan: TimeZone
+  namespace usMichigan {}
+
+  const usMountain: TimeZone
+  namespace usMountain {}
+
+  const usPacific: TimeZone
+  namespace usPacific {}
+
+  const usSamoa: TimeZone
+  namespace usSamoa {}
+
+  const utc: TimeZone
+  namespace utc {}
+
+  const universal: TimeZone
+  namespace universal {}
+
+  const wSU: TimeZone
+  namespace wSU {}
+
+  const wet: TimeZone
+  namespace wet {}
+
+  const zulu: TimeZone
+  namespace zulu {}
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Abidjan' {
+  import {africaAbidjan} from 'date-fns/esm/timeZone'
+  export default africaAbidjan
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Accra' {
+  import {africaAccra} from 'date-fns/esm/timeZone'
+  export default africaAccra
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Addis_Ababa' {
+  import {africaAddisAbaba} from 'date-fns/esm/timeZone'
+  export default africaAddisAbaba
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Algiers' {
+  import {africaAlgiers} from 'date-fns/esm/timeZone'
+  export default africaAlgiers
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Asmara' {
+  import {africaAsmara} from 'date-fns/esm/timeZone'
+  export default africaAsmara
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Asmera' {
+  import {africaAsmera} from 'date-fns/esm/timeZone'
+  export default africaAsmera
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bamako' {
+  import {africaBamako} from 'date-fns/esm/timeZone'
+  export default africaBamako
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bangui' {
+  import {africaBangui} from 'date-fns/esm/timeZone'
+  export default africaBangui
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Banjul' {
+  import {africaBanjul} from 'date-fns/esm/timeZone'
+  export default africaBanjul
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bissau' {
+  import {africaBissau} from 'date-fns/esm/timeZone'
+  export default africaBissau
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Blantyre' {
+  import {africaBlantyre} from 'date-fns/esm/timeZone'
+  export default africaBlantyre
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Brazzaville' {
+  import {africaBrazzaville} from 'date-fns/esm/timeZone'
+  export default africaBrazzaville
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bujumbura' {
+  import {africaBujumbura} from 'date-fns/esm/timeZone'
+  export default africaBujumbura
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Cairo' {
+  import {africaCairo} from 'date-fns/esm/timeZone'
+  export default africaCairo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Casablanca' {
+  import {africaCasablanca} from 'date-fns/esm/timeZone'
+  export default africaCasablanca
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ceuta' {
+  import {africaCeuta} from 'date-fns/esm/timeZone'
+  export default africaCeuta
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Conakry' {
+  import {africaConakry} from 'date-fns/esm/timeZone'
+  export default africaConakry
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Dakar' {
+  import {africaDakar} from 'date-fns/esm/timeZone'
+  export default africaDakar
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Dar_es_Salaam' {
+  import {africaDarEsSalaam} from 'date-fns/esm/timeZone'
+  export default africaDarEsSalaam
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Djibouti' {
+  import {africaDjibouti} from 'date-fns/esm/timeZone'
+  export default africaDjibouti
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Douala' {
+  import {africaDouala} from 'date-fns/esm/timeZone'
+  export default africaDouala
+}
+
+declare module 'date-fns/esm/timeZone/Africa/El_Aaiun' {
+  import {africaElAaiun} from 'date-fns/esm/timeZone'
+  export default africaElAaiun
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Freetown' {
+  import {africaFreetown} from 'date-fns/esm/timeZone'
+  export default africaFreetown
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Gaborone' {
+  import {africaGaborone} from 'date-fns/esm/timeZone'
+  export default africaGaborone
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Harare' {
+  import {africaHarare} from 'date-fns/esm/timeZone'
+  export default africaHarare
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Johannesburg' {
+  import {africaJohannesburg} from 'date-fns/esm/timeZone'
+  export default africaJohannesburg
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Juba' {
+  import {africaJuba} from 'date-fns/esm/timeZone'
+  export default africaJuba
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kampala' {
+  import {africaKampala} from 'date-fns/esm/timeZone'
+  export default africaKampala
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Khartoum' {
+  import {africaKhartoum} from 'date-fns/esm/timeZone'
+  export default africaKhartoum
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kigali' {
+  import {africaKigali} from 'date-fns/esm/timeZone'
+  export default africaKigali
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kinshasa' {
+  import {africaKinshasa} from 'date-fns/esm/timeZone'
+  export default africaKinshasa
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lagos' {
+  import {africaLagos} from 'date-fns/esm/timeZone'
+  export default africaLagos
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Libreville' {
+  import {africaLibreville} from 'date-fns/esm/timeZone'
+  export default africaLibreville
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lome' {
+  import {africaLome} from 'date-fns/esm/timeZone'
+  export default africaLome
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Luanda' {
+  import {africaLuanda} from 'date-fns/esm/timeZone'
+  export default africaLuanda
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lubumbashi' {
+  import {africaLubumbashi} from 'date-fns/esm/timeZone'
+  export default africaLubumbashi
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lusaka' {
+  import {africaLusaka} from 'date-fns/esm/timeZone'
+  export default africaLusaka
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Malabo' {
+  import {africaMalabo} from 'date-fns/esm/timeZone'
+  export default africaMalabo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Maputo' {
+  import {africaMaputo} from 'date-fns/esm/timeZone'
+  export default africaMaputo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Maseru' {
+  import {africaMaseru} from 'date-fns/esm/timeZone'
+  export default africaMaseru
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Mbabane' {
+  import {africaMbabane} from 'date-fns/esm/timeZone'
+  export default africaMbabane
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Mogadishu' {
+  import {africaMogadishu} from 'date-fns/esm/timeZone'
+  export default africaMogadishu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Monrovia' {
+  import {africaMonrovia} from 'date-fns/esm/timeZone'
+  export default africaMonrovia
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Nairobi' {
+  import {africaNairobi} from 'date-fns/esm/timeZone'
+  export default africaNairobi
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ndjamena' {
+  import {africaNdjamena} from 'date-fns/esm/timeZone'
+  export default africaNdjamena
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Niamey' {
+  import {africaNiamey} from 'date-fns/esm/timeZone'
+  export default africaNiamey
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Nouakchott' {
+  import {africaNouakchott} from 'date-fns/esm/timeZone'
+  export default africaNouakchott
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ouagadougou' {
+  import {africaOuagadougou} from 'date-fns/esm/timeZone'
+  export default africaOuagadougou
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Porto-Novo' {
+  import {africaPortoNovo} from 'date-fns/esm/timeZone'
+  export default africaPortoNovo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Sao_Tome' {
+  import {africaSaoTome} from 'date-fns/esm/timeZone'
+  export default africaSaoTome
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Timbuktu' {
+  import {africaTimbuktu} from 'date-fns/esm/timeZone'
+  export default africaTimbuktu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Tripoli' {
+  import {africaTripoli} from 'date-fns/esm/timeZone'
+  export default africaTripoli
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Tunis' {
+  import {africaTunis} from 'date-fns/esm/timeZone'
+  export default africaTunis
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Windhoek' {
+  import {africaWindhoek} from 'date-fns/esm/timeZone'
+  export default africaWindhoek
+}
+
+declare module 'date-fns/esm/timeZone/America/Adak' {
+  import {americaAdak} from 'date-fns/esm/timeZone'
+  export default americaAdak
+}
+
+declare module 'date-fns/esm/timeZone/America/Anchorage' {
+  import {americaAnchorage} from 'date-fns/esm/timeZone'
+  export default americaAnchorage
+}
+
+declare module 'date-fns/esm/timeZone/America/Anguilla' {
+  import {americaAnguilla} from 'date-fns/esm/timeZone'
+  export default americaAnguilla
+}
+
+declare module 'date-fns/esm/timeZone/America/Antigua' {
+  import {americaAntigua} from 'date-fns/esm/timeZone'
+  export default americaAntigua
+}
+
+declare module 'date-fns/esm/timeZone/America/Araguaina' {
+  import {americaAraguaina} from 'date-fns/esm/timeZone'
+  export default americaAraguaina
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Buenos_Aires' {
+  import {americaArgentinaBuenosAires} from 'date-fns/esm/timeZone'
+  export default americaArgentinaBuenosAires
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Catamarca' {
+  import {americaArgentinaCatamarca} from 'date-fns/esm/timeZone'
+  export default americaArgentinaCatamarca
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/ComodRivadavia' {
+  import {americaArgentinaComodRivadavia} from 'date-fns/esm/timeZone'
+  export default americaArgentinaComodRivadavia
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Cordoba' {
+  import {americaArgentinaCordoba} from 'date-fns/esm/timeZone'
+  export default americaArgentinaCordoba
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Jujuy' {
+  import {americaArgentinaJujuy} from 'date-fns/esm/timeZone'
+  export default americaArgentinaJujuy
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/La_Rioja' {
+  import {americaArgentinaLaRioja} from 'date-fns/esm/timeZone'
+  export default americaArgentinaLaRioja
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Mendoza' {
+  import {americaArgentinaMendoza} from 'date-fns/esm/timeZone'
+  export default americaArgentinaMendoza
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Rio_Gallegos' {
+  import {americaArgentinaRioGallegos} from 'date-fns/esm/timeZone'
+  export default americaArgentinaRioGallegos
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Salta' {
+  import {americaArgentinaSalta} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSalta
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/San_Juan' {
+  import {americaArgentinaSanJuan} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSanJuan
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/San_Luis' {
+  import {americaArgentinaSanLuis} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSanLuis
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Tucuman' {
+  import {americaArgentinaTucuman} from 'date-fns/esm/timeZone'
+  export default americaArgentinaTucuman
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Ushuaia' {
+  import {americaArgentinaUshuaia} from 'date-fns/esm/timeZone'
+  export default americaArgentinaUshuaia
+}
+
+declare module 'date-fns/esm/timeZone/America/Aruba' {
+  import {americaAruba} from 'date-fns/esm/timeZone'
+  export default americaAruba
+}
+
+declare module 'date-fns/esm/timeZone/America/Asuncion' {
+  import {americaAsuncion} from 'date-fns/esm/timeZone'
+  export default americaAsuncion
+}
+
+declare module 'date-fns/esm/timeZone/America/Atikokan' {
+  import {americaAtikokan} from 'date-fns/esm/timeZone'
+  export default americaAtikokan
+}
+
+declare module 'date-fns/esm/timeZone/America/Atka' {
+  import {americaAtka} from 'date-fns/esm/timeZone'
+  export default americaAtka
+}
+
+declare module 'date-fns/esm/timeZone/America/Bahia' {
+  import {americaBahia} from 'date-fns/esm/timeZone'
+  export default americaBahia
+}
+
+declare module 'date-fns/esm/timeZone/America/Bahia_Banderas' {
+  import {americaBahiaBanderas} from 'date-fns/esm/timeZone'
+  export default americaBahiaBanderas
+}
+
+declare module 'date-fns/esm/timeZone/America/Barbados' {
+  import {americaBarbados} from 'date-fns/esm/timeZone'
+  export default americaBarbados
+}
+
+declare module 'date-fns/esm/timeZone/America/Belem' {
+  import {americaBelem} from 'date-fns/esm/timeZone'
+  export default americaBelem
+}
+
+declare module 'date-fns/esm/timeZone/America/Belize' {
+  import {americaBelize} from 'date-fns/esm/timeZone'
+  export default americaBelize
+}
+
+declare module 'date-fns/esm/timeZone/America/Blanc-Sablon' {
+  import {americaBlancSablon} from 'date-fns/esm/timeZone'
+  export default americaBlancSablon
+}
+
+declare module 'date-fns/esm/timeZone/America/Boa_Vista' {
+  import {americaBoaVista} from 'date-fns/esm/timeZone'
+  export default americaBoaVista
+}
+
+declare module 'date-fns/esm/timeZone/America/Bogota' {
+  import {americaBogota} from 'date-fns/esm/timeZone'
+  export default americaBogota
+}
+
+declare module 'date-fns/esm/timeZone/America/Boise' {
+  import {americaBoise} from 'date-fns/esm/timeZone'
+  export default americaBoise
+}
+
+declare module 'date-fns/esm/timeZone/America/Buenos_Aires' {
+  import {americaBuenosAires} from 'date-fns/esm/timeZone'
+  export default americaBuenosAires
+}
+
+declare module 'date-fns/esm/timeZone/America/Cambridge_Bay' {
+  import {americaCambridgeBay} from 'date-fns/esm/timeZone'
+  export default americaCambridgeBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Campo_Grande' {
+  import {americaCampoGrande} from 'date-fns/esm/timeZone'
+  export default americaCampoGrande
+}
+
+declare module 'date-fns/esm/timeZone/America/Cancun' {
+  import {americaCancun} from 'date-fns/esm/timeZone'
+  export default americaCancun
+}
+
+declare module 'date-fns/esm/timeZone/America/Caracas' {
+  import {americaCaracas} from 'date-fns/esm/timeZone'
+  export default americaCaracas
+}
+
+declare module 'date-fns/esm/timeZone/America/Catamarca' {
+  import {americaCatamarca} from 'date-fns/esm/timeZone'
+  export default americaCatamarca
+}
+
+declare module 'date-fns/esm/timeZone/America/Cayenne' {
+  import {americaCayenne} from 'date-fns/esm/timeZone'
+  export default americaCayenne
+}
+
+declare module 'date-fns/esm/timeZone/America/Cayman' {
+  import {americaCayman} from 'date-fns/esm/timeZone'
+  export default americaCayman
+}
+
+declare module 'date-fns/esm/timeZone/America/Chicago' {
+  import {americaChicago} from 'date-fns/esm/timeZone'
+  export default americaChicago
+}
+
+declare module 'date-fns/esm/timeZone/America/Chihuahua' {
+  import {americaChihuahua} from 'date-fns/esm/timeZone'
+  export default americaChihuahua
+}
+
+declare module 'date-fns/esm/timeZone/America/Ciudad_Juarez' {
+  import {americaCiudadJuarez} from 'date-fns/esm/timeZone'
+  export default americaCiudadJuarez
+}
+
+declare module 'date-fns/esm/timeZone/America/Coral_Harbour' {
+  import {americaCoralHarbour} from 'date-fns/esm/timeZone'
+  export default americaCoralHarbour
+}
+
+declare module 'date-fns/esm/timeZone/America/Cordoba' {
+  import {americaCordoba} from 'date-fns/esm/timeZone'
+  export default americaCordoba
+}
+
+declare module 'date-fns/esm/timeZone/America/Costa_Rica' {
+  import {americaCostaRica} from 'date-fns/esm/timeZone'
+  export default americaCostaRica
+}
+
+declare module 'date-fns/esm/timeZone/America/Coyhaique' {
+  import {americaCoyhaique} from 'date-fns/esm/timeZone'
+  export default americaCoyhaique
+}
+
+declare module 'date-fns/esm/timeZone/America/Creston' {
+  import {americaCreston} from 'date-fns/esm/timeZone'
+  export default americaCreston
+}
+
+declare module 'date-fns/esm/timeZone/America/Cuiaba' {
+  import {americaCuiaba} from 'date-fns/esm/timeZone'
+  export default americaCuiaba
+}
+
+declare module 'date-fns/esm/timeZone/America/Curacao' {
+  import {americaCuracao} from 'date-fns/esm/timeZone'
+  export default americaCuracao
+}
+
+declare module 'date-fns/esm/timeZone/America/Danmarkshavn' {
+  import {americaDanmarkshavn} from 'date-fns/esm/timeZone'
+  export default americaDanmarkshavn
+}
+
+declare module 'date-fns/esm/timeZone/America/Dawson' {
+  import {americaDawson} from 'date-fns/esm/timeZone'
+  export default americaDawson
+}
+
+declare module 'date-fns/esm/timeZone/America/Dawson_Creek' {
+  import {americaDawsonCreek} from 'date-fns/esm/timeZone'
+  export default americaDawsonCreek
+}
+
+declare module 'date-fns/esm/timeZone/America/Denver' {
+  import {americaDenver} from 'date-fns/esm/timeZone'
+  export default americaDenver
+}
+
+declare module 'date-fns/esm/timeZone/America/Detroit' {
+  import {americaDetroit} from 'date-fns/esm/timeZone'
+  export default americaDetroit
+}
+
+declare module 'date-fns/esm/timeZone/America/Dominica' {
+  import {americaDominica} from 'date-fns/esm/timeZone'
+  export default americaDominica
+}
+
+declare module 'date-fns/esm/timeZone/America/Edmonton' {
+  import {americaEdmonton} from 'date-fns/esm/timeZone'
+  export default americaEdmonton
+}
+
+declare module 'date-fns/esm/timeZone/America/Eirunepe' {
+  import {americaEirunepe} from 'date-fns/esm/timeZone'
+  export default americaEirunepe
+}
+
+declare module 'date-fns/esm/timeZone/America/El_Salvador' {
+  import {americaElSalvador} from 'date-fns/esm/timeZone'
+  export default americaElSalvador
+}
+
+declare module 'date-fns/esm/timeZone/America/Ensenada' {
+  import {americaEnsenada} from 'date-fns/esm/timeZone'
+  export default americaEnsenada
+}
+
+declare module 'date-fns/esm/timeZone/America/Fort_Nelson' {
+  import {americaFortNelson} from 'date-fns/esm/timeZone'
+  export default americaFortNelson
+}
+
+declare module 'date-fns/esm/timeZone/America/Fort_Wayne' {
+  import {americaFortWayne} from 'date-fns/esm/timeZone'
+  export default americaFortWayne
+}
+
+declare module 'date-fns/esm/timeZone/America/Fortaleza' {
+  import {americaFortaleza} from 'date-fns/esm/timeZone'
+  export default americaFortaleza
+}
+
+declare module 'date-fns/esm/timeZone/America/Glace_Bay' {
+  import {americaGlaceBay} from 'date-fns/esm/timeZone'
+  export default americaGlaceBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Godthab' {
+  import {americaGodthab} from 'date-fns/esm/timeZone'
+  export default americaGodthab
+}
+
+declare module 'date-fns/esm/timeZone/America/Goose_Bay' {
+  import {americaGooseBay} from 'date-fns/esm/timeZone'
+  export default americaGooseBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Grand_Turk' {
+  import {americaGrandTurk} from 'date-fns/esm/timeZone'
+  export default americaGrandTurk
+}
+
+declare module 'date-fns/esm/timeZone/America/Grenada' {
+  import {americaGrenada} from 'date-fns/esm/timeZone'
+  export default americaGrenada
+}
+
+declare module 'date-fns/esm/timeZone/America/Guadeloupe' {
+  import {americaGuadeloupe} from 'date-fns/esm/timeZone'
+  export default americaGuadeloupe
+}
+
+declare module 'date-fns/esm/timeZone/America/Guatemala' {
+  import {americaGuatemala} from 'date-fns/esm/timeZone'
+  export default americaGuatemala
+}
+
+declare module 'date-fns/esm/timeZone/America/Guayaquil' {
+  import {americaGuayaquil} from 'date-fns/esm/timeZone'
+  export default americaGuayaquil
+}
+
+declare module 'date-fns/esm/timeZone/America/Guyana' {
+  import {americaGuyana} from 'date-fns/esm/timeZone'
+  export default americaGuyana
+}
+
+declare module 'date-fns/esm/timeZone/America/Halifax' {
+  import {americaHalifax} from 'date-fns/esm/timeZone'
+  export default americaHalifax
+}
+
+declare module 'date-fns/esm/timeZone/America/Havana' {
+  import {americaHavana} from 'date-fns/esm/timeZone'
+  export default americaHavana
+}
+
+declare module 'date-fns/esm/timeZone/America/Hermosillo' {
+  import {americaHermosillo} from 'date-fns/esm/timeZone'
+  export default americaHermosillo
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Indianapolis' {
+  import {americaIndianaIndianapolis} from 'date-fns/esm/timeZone'
+  export default americaIndianaIndianapolis
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Knox' {
+  import {americaIndianaKnox} from 'date-fns/esm/timeZone'
+  export default americaIndianaKnox
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Marengo' {
+  import {americaIndianaMarengo} from 'date-fns/esm/timeZone'
+  export default americaIndianaMarengo
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Petersburg' {
+  import {americaIndianaPetersburg} from 'date-fns/esm/timeZone'
+  export default americaIndianaPetersburg
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Tell_City' {
+  import {americaIndianaTellCity} from 'date-fns/esm/timeZone'
+  export default americaIndianaTellCity
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Vevay' {
+  import {americaIndianaVevay} from 'date-fns/esm/timeZone'
+  export default americaIndianaVevay
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Vincennes' {
+  import {americaIndianaVincennes} from 'date-fns/esm/timeZone'
+  export default americaIndianaVincennes
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Winamac' {
+  import {americaIndianaWinamac} from 'date-fns/esm/timeZone'
+  export default americaIndianaWinamac
+}
+
+declare module 'date-fns/esm/timeZone/America/Indianapolis' {
+  import {americaIndianapolis} from 'date-fns/esm/timeZone'
+  export default americaIndianapolis
+}
+
+declare module 'date-fns/esm/timeZone/America/Inuvik' {
+  import {americaInuvik} from 'date-fns/esm/timeZone'
+  export default americaInuvik
+}
+
+declare module 'date-fns/esm/timeZone/America/Iqaluit' {
+  import {americaIqaluit} from 'date-fns/esm/timeZone'
+  export default americaIqaluit
+}
+
+declare module 'date-fns/esm/timeZone/America/Jamaica' {
+  import {americaJamaica} from 'date-fns/esm/timeZone'
+  export default americaJamaica
+}
+
+declare module 'date-fns/esm/timeZone/America/Jujuy' {
+  import {americaJujuy} from 'date-fns/esm/timeZone'
+  export default americaJujuy
+}
+
+declare module 'date-fns/esm/timeZone/America/Juneau' {
+  import {americaJuneau} from 'date-fns/esm/timeZone'
+  export default americaJuneau
+}
+
+declare module 'date-fns/esm/timeZone/America/Kentucky/Louisville' {
+  import {americaKentuckyLouisville} from 'date-fns/esm/timeZone'
+  export default americaKentuckyLouisville
+}
+
+declare module 'date-fns/esm/timeZone/America/Kentucky/Monticello' {
+  import {americaKentuckyMonticello} from 'date-fns/esm/timeZone'
+  export default americaKentuckyMonticello
+}
+
+declare module 'date-fns/esm/timeZone/America/Knox_IN' {
+  import {americaKnoxIN} from 'date-fns/esm/timeZone'
+  export default americaKnoxIN
+}
+
+declare module 'date-fns/esm/timeZone/America/Kralendijk' {
+  import {americaKralendijk} from 'date-fns/esm/timeZone'
+  export default americaKralendijk
+}
+
+declare module 'date-fns/esm/timeZone/America/La_Paz' {
+  import {americaLaPaz} from 'date-fns/esm/timeZone'
+  export default americaLaPaz
+}
+
+declare module 'date-fns/esm/timeZone/America/Lima' {
+  import {americaLima} from 'date-fns/esm/timeZone'
+  export default americaLima
+}
+
+declare module 'date-fns/esm/timeZone/America/Los_Angeles' {
+  import {americaLosAngeles} from 'date-fns/esm/timeZone'
+  export default americaLosAngeles
+}
+
+declare module 'date-fns/esm/timeZone/America/Louisville' {
+  import {americaLouisville} from 'date-fns/esm/timeZone'
+  export default americaLouisville
+}
+
+declare module 'date-fns/esm/timeZone/America/Lower_Princes' {
+  import {americaLowerPrinces} from 'date-fns/esm/timeZone'
+  export default americaLowerPrinces
+}
+
+declare module 'date-fns/esm/timeZone/America/Maceio' {
+  import {americaMaceio} from 'date-fns/esm/timeZone'
+  export default americaMaceio
+}
+
+declare module 'date-fns/esm/timeZone/America/Managua' {
+  import {americaManagua} from 'date-fns/esm/timeZone'
+  export default americaManagua
+}
+
+declare module 'date-fns/esm/timeZone/America/Manaus' {
+  import {americaManaus} from 'date-fns/esm/timeZone'
+  export default americaManaus
+}
+
+declare module 'date-fns/esm/timeZone/America/Marigot' {
+  import {americaMarigot} from 'date-fns/esm/timeZone'
+  export default americaMarigot
+}
+
+declare module 'date-fns/esm/timeZone/America/Martinique' {
+  import {americaMartinique} from 'date-fns/esm/timeZone'
+  export default americaMartinique
+}
+
+declare module 'date-fns/esm/timeZone/America/Matamoros' {
+  import {americaMatamoros} from 'date-fns/esm/timeZone'
+  export default americaMatamoros
+}
+
+declare module 'date-fns/esm/timeZone/America/Mazatlan' {
+  import {americaMazatlan} from 'date-fns/esm/timeZone'
+  export default americaMazatlan
+}
+
+declare module 'date-fns/esm/timeZone/America/Mendoza' {
+  import {americaMendoza} from 'date-fns/esm/timeZone'
+  export default americaMendoza
+}
+
+declare module 'date-fns/esm/timeZone/America/Menominee' {
+  import {americaMenominee} from 'date-fns/esm/timeZone'
+  export default americaMenominee
+}
+
+declare module 'date-fns/esm/timeZone/America/Merida' {
+  import {americaMerida} from 'date-fns/esm/timeZone'
+  export default americaMerida
+}
+
+declare module 'date-fns/esm/timeZone/America/Metlakatla' {
+  import {americaMetlakatla} from 'date-fns/esm/timeZone'
+  export default americaMetlakatla
+}
+
+declare module 'date-fns/esm/timeZone/America/Mexico_City' {
+  import {americaMexicoCity} from 'date-fns/esm/timeZone'
+  export default americaMexicoCity
+}
+
+declare module 'date-fns/esm/timeZone/America/Miquelon' {
+  import {americaMiquelon} from 'date-fns/esm/timeZone'
+  export default americaMiquelon
+}
+
+declare module 'date-fns/esm/timeZone/America/Moncton' {
+  import {americaMoncton} from 'date-fns/esm/timeZone'
+  export default americaMoncton
+}
+
+declare module 'date-fns/esm/timeZone/America/Monterrey' {
+  import {americaMonterrey} from 'date-fns/esm/timeZone'
+  export default americaMonterrey
+}
+
+declare module 'date-fns/esm/timeZone/America/Montevideo' {
+  import {americaMontevideo} from 'date-fns/esm/timeZone'
+  export default americaMontevideo
+}
+
+declare module 'date-fns/esm/timeZone/America/Montreal' {
+  import {americaMontreal} from 'date-fns/esm/timeZone'
+  export default americaMontreal
+}
+
+declare module 'date-fns/esm/timeZone/America/Montserrat' {
+  import {americaMontserrat} from 'date-fns/esm/timeZone'
+  export default americaMontserrat
+}
+
+declare module 'date-fns/esm/timeZone/America/Nassau' {
+  import {americaNassau} from 'date-fns/esm/timeZone'
+  export default americaNassau
+}
+
+declare module 'date-fns/esm/timeZone/America/New_York' {
+  import {americaNewYork} from 'date-fns/esm/timeZone'
+  export default americaNewYork
+}
+
+declare module 'date-fns/esm/timeZone/America/Nipigon' {
+  import {americaNipigon} from 'date-fns/esm/timeZone'
+  export default americaNipigon
+}
+
+declare module 'date-fns/esm/timeZone/America/Nome' {
+  import {americaNome} from 'date-fns/esm/timeZone'
+  export default americaNome
+}
+
+declare module 'date-fns/esm/timeZone/America/Noronha' {
+  import {americaNoronha} from 'date-fns/esm/timeZone'
+  export default americaNoronha
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/Beulah' {
+  import {americaNorthDakotaBeulah} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaBeulah
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/Center' {
+  import {americaNorthDakotaCenter} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaCenter
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/New_Salem' {
+  import {americaNorthDakotaNewSalem} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaNewSalem
+}
+
+declare module 'date-fns/esm/timeZone/America/Nuuk' {
+  import {americaNuuk} from 'date-fns/esm/timeZone'
+  export default americaNuuk
+}
+
+declare module 'date-fns/esm/timeZone/America/Ojinaga' {
+  import {americaOjinaga} from 'date-fns/esm/timeZone'
+  export default americaOjinaga
+}
+
+declare module 'date-fns/esm/timeZone/America/Panama' {
+  import {americaPanama} from 'date-fns/esm/timeZone'
+  export default americaPanama
+}
+
+declare module 'date-fns/esm/timeZone/America/Pangnirtung' {
+  import {americaPangnirtung} from 'date-fns/esm/timeZone'
+  export default americaPangnirtung
+}
+
+declare module 'date-fns/esm/timeZone/America/Paramaribo' {
+  import {americaParamaribo} from 'date-fns/esm/timeZone'
+  export default americaParamaribo
+}
+
+declare module 'date-fns/esm/timeZone/America/Phoenix' {
+  import {americaPhoenix} from 'date-fns/esm/timeZone'
+  export default americaPhoenix
+}
+
+declare module 'date-fns/esm/timeZone/America/Port-au-Prince' {
+  import {americaPortAuPrince} from 'date-fns/esm/timeZone'
+  export default americaPortAuPrince
+}
+
+declare module 'date-fns/esm/timeZone/America/Port_of_Spain' {
+  import {americaPortOfSpain} from 'date-fns/esm/timeZone'
+  export default americaPortOfSpain
+}
+
+declare module 'date-fns/esm/timeZone/America/Porto_Acre' {
+  import {americaPortoAcre} from 'date-fns/esm/timeZone'
+  export default americaPortoAcre
+}
+
+declare module 'date-fns/esm/timeZone/America/Porto_Velho' {
+  import {americaPortoVelho} from 'date-fns/esm/timeZone'
+  export default americaPortoVelho
+}
+
+declare module 'date-fns/esm/timeZone/America/Puerto_Rico' {
+  import {americaPuertoRico} from 'date-fns/esm/timeZone'
+  export default americaPuertoRico
+}
+
+declare module 'date-fns/esm/timeZone/America/Punta_Arenas' {
+  import {americaPuntaArenas} from 'date-fns/esm/timeZone'
+  export default americaPuntaArenas
+}
+
+declare module 'date-fns/esm/timeZone/America/Rainy_River' {
+  import {americaRainyRiver} from 'date-fns/esm/timeZone'
+  export default americaRainyRiver
+}
+
+declare module 'date-fns/esm/timeZone/America/Rankin_Inlet' {
+  import {americaRankinInlet} from 'date-fns/esm/timeZone'
+  export default americaRankinInlet
+}
+
+declare module 'date-fns/esm/timeZone/America/Recife' {
+  import {americaRecife} from 'date-fns/esm/timeZone'
+  export default americaRecife
+}
+
+declare module 'date-fns/esm/timeZone/America/Regina' {
+  import {americaRegina} from 'date-fns/esm/timeZone'
+  export default americaRegina
+}
+
+declare module 'date-fns/esm/timeZone/America/Resolute' {
+  import {americaResolute} from 'date-fns/esm/timeZone'
+  export default americaResolute
+}
+
+declare module 'date-fns/esm/timeZone/America/Rio_Branco' {
+  import {americaRioBranco} from 'date-fns/esm/timeZone'
+  export default americaRioBranco
+}
+
+declare module 'date-fns/esm/timeZone/America/Rosario' {
+  import {americaRosario} from 'date-fns/esm/timeZone'
+  export default americaRosario
+}
+
+declare module 'date-fns/esm/timeZone/America/Santa_Isabel' {
+  import {americaSantaIsabel} from 'date-fns/esm/timeZone'
+  export default americaSantaIsabel
+}
+
+declare module 'date-fns/esm/timeZone/America/Santarem' {
+  import {americaSantarem} from 'date-fns/esm/timeZone'
+  export default americaSantarem
+}
+
+declare module 'date-fns/esm/timeZone/America/Santiago' {
+  import {americaSantiago} from 'date-fns/esm/timeZone'
+  export default americaSantiago
+}
+
+declare module 'date-fns/esm/timeZone/America/Santo_Domingo' {
+  import {americaSantoDomingo} from 'date-fns/esm/timeZone'
+  export default americaSantoDomingo
+}
+
+declare module 'date-fns/esm/timeZone/America/Sao_Paulo' {
+  import {americaSaoPaulo} from 'date-fns/esm/timeZone'
+  export default americaSaoPaulo
+}
+
+declare module 'date-fns/esm/timeZone/America/Scoresbysund' {
+  import {americaScoresbysund} from 'date-fns/esm/timeZone'
+  export default americaScoresbysund
+}
+
+declare module 'date-fns/esm/timeZone/America/Shiprock' {
+  import {americaShiprock} from 'date-fns/esm/timeZone'
+  export default americaShiprock
+}
+
+declare module 'date-fns/esm/timeZone/America/Sitka' {
+  import {americaSitka} from 'date-fns/esm/timeZone'
+  export default americaSitka
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Barthelemy' {
+  import {americaStBarthelemy} from 'date-fns/esm/timeZone'
+  export default americaStBarthelemy
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Johns' {
+  import {americaStJohns} from 'date-fns/esm/timeZone'
+  export default americaStJohns
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Kitts' {
+  import {americaStKitts} from 'date-fns/esm/timeZone'
+  export default americaStKitts
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Lucia' {
+  import {americaStLucia} from 'date-fns/esm/timeZone'
+  export default americaStLucia
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Thomas' {
+  import {americaStThomas} from 'date-fns/esm/timeZone'
+  export default americaStThomas
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Vincent' {
+  import {americaStVincent} from 'date-fns/esm/timeZone'
+  export default americaStVincent
+}
+
+declare module 'date-fns/esm/timeZone/America/Swift_Current' {
+  import {americaSwiftCurrent} from 'date-fns/esm/timeZone'
+  export default americaSwiftCurrent
+}
+
+declare module 'date-fns/esm/timeZone/America/Tegucigalpa' {
+  import {americaTegucigalpa} from 'date-fns/esm/timeZone'
+  export default americaTegucigalpa
+}
+
+declare module 'date-fns/esm/timeZone/America/Thule' {
+  import {americaThule} from 'date-fns/esm/timeZone'
+  export default americaThule
+}
+
+declare module 'date-fns/esm/timeZone/America/Thunder_Bay' {
+  import {americaThunderBay} from 'date-fns/esm/timeZone'
+  export default americaThunderBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Tijuana' {
+  import {americaTijuana} from 'date-fns/esm/timeZone'
+  export default americaTijuana
+}
+
+declare module 'date-fns/esm/timeZone/America/Toronto' {
+  import {americaToronto} from 'date-fns/esm/timeZone'
+  export default americaToronto
+}
+
+declare module 'date-fns/esm/timeZone/America/Tortola' {
+  import {americaTortola} from 'date-fns/esm/timeZone'
+  export default americaTortola
+}
+
+declare module 'date-fns/esm/timeZone/America/Vancouver' {
+  import {americaVancouver} from 'date-fns/esm/timeZone'
+  export default americaVancouver
+}
+
+declare module 'date-fns/esm/timeZone/America/Virgin' {
+  import {americaVirgin} from 'date-fns/esm/timeZone'
+  export default americaVirgin
+}
+
+declare module 'date-fns/esm/timeZone/America/Whitehorse' {
+  import {americaWhitehorse} from 'date-fns/esm/timeZone'
+  export default americaWhitehorse
+}
+
+declare module 'date-fns/esm/timeZone/America/Winnipeg' {
+  import {americaWinnipeg} from 'date-fns/esm/timeZone'
+  export default americaWinnipeg
+}
+
+declare module 'date-fns/esm/timeZone/America/Yakutat' {
+  import {americaYakutat} from 'date-fns/esm/timeZone'
+  export default americaYakutat
+}
+
+declare module 'date-fns/esm/timeZone/America/Yellowknife' {
+  import {americaYellowknife} from 'date-fns/esm/timeZone'
+  export default americaYellowknife
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Casey' {
+  import {antarcticaCasey} from 'date-fns/esm/timeZone'
+  export default antarcticaCasey
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Davis' {
+  import {antarcticaDavis} from 'date-fns/esm/timeZone'
+  export default antarcticaDavis
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/DumontDUrville' {
+  import {antarcticaDumontDUrville} from 'date-fns/esm/timeZone'
+  export default antarcticaDumontDUrville
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Macquarie' {
+  import {antarcticaMacquarie} from 'date-fns/esm/timeZone'
+  export default antarcticaMacquarie
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Mawson' {
+  import {antarcticaMawson} from 'date-fns/esm/timeZone'
+  export default antarcticaMawson
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/McMurdo' {
+  import {antarcticaMcMurdo} from 'date-fns/esm/timeZone'
+  export default antarcticaMcMurdo
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Palmer' {
+  import {antarcticaPalmer} from 'date-fns/esm/timeZone'
+  export default antarcticaPalmer
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Rothera' {
+  import {antarcticaRothera} from 'date-fns/esm/timeZone'
+  export default antarcticaRothera
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/South_Pole' {
+  import {antarcticaSouthPole} from 'date-fns/esm/timeZone'
+  export default antarcticaSouthPole
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Syowa' {
+  import {antarcticaSyowa} from 'date-fns/esm/timeZone'
+  export default antarcticaSyowa
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Troll' {
+  import {antarcticaTroll} from 'date-fns/esm/timeZone'
+  export default antarcticaTroll
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Vostok' {
+  import {antarcticaVostok} from 'date-fns/esm/timeZone'
+  export default antarcticaVostok
+}
+
+declare module 'date-fns/esm/timeZone/Arctic/Longyearbyen' {
+  import {arcticLongyearbyen} from 'date-fns/esm/timeZone'
+  export default arcticLongyearbyen
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aden' {
+  import {asiaAden} from 'date-fns/esm/timeZone'
+  export default asiaAden
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Almaty' {
+  import {asiaAlmaty} from 'date-fns/esm/timeZone'
+  export default asiaAlmaty
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Amman' {
+  import {asiaAmman} from 'date-fns/esm/timeZone'
+  export default asiaAmman
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Anadyr' {
+  import {asiaAnadyr} from 'date-fns/esm/timeZone'
+  export default asiaAnadyr
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aqtau' {
+  import {asiaAqtau} from 'date-fns/esm/timeZone'
+  export default asiaAqtau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aqtobe' {
+  import {asiaAqtobe} from 'date-fns/esm/timeZone'
+  export default asiaAqtobe
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ashgabat' {
+  import {asiaAshgabat} from 'date-fns/esm/timeZone'
+  export default asiaAshgabat
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ashkhabad' {
+  import {asiaAshkhabad} from 'date-fns/esm/timeZone'
+  export default asiaAshkhabad
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Atyrau' {
+  import {asiaAtyrau} from 'date-fns/esm/timeZone'
+  export default asiaAtyrau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Baghdad' {
+  import {asiaBaghdad} from 'date-fns/esm/timeZone'
+  export default asiaBaghdad
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bahrain' {
+  import {asiaBahrain} from 'date-fns/esm/timeZone'
+  export default asiaBahrain
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Baku' {
+  import {asiaBaku} from 'date-fns/esm/timeZone'
+  export default asiaBaku
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bangkok' {
+  import {asiaBangkok} from 'date-fns/esm/timeZone'
+  export default asiaBangkok
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Barnaul' {
+  import {asiaBarnaul} from 'date-fns/esm/timeZone'
+  export default asiaBarnaul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Beirut' {
+  import {asiaBeirut} from 'date-fns/esm/timeZone'
+  export default asiaBeirut
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bishkek' {
+  import {asiaBishkek} from 'date-fns/esm/timeZone'
+  export default asiaBishkek
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Brunei' {
+  import {asiaBrunei} from 'date-fns/esm/timeZone'
+  export default asiaBrunei
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Calcutta' {
+  import {asiaCalcutta} from 'date-fns/esm/timeZone'
+  export default asiaCalcutta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chita' {
+  import {asiaChita} from 'date-fns/esm/timeZone'
+  export default asiaChita
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Choibalsan' {
+  import {asiaChoibalsan} from 'date-fns/esm/timeZone'
+  export default asiaChoibalsan
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chongqing' {
+  import {asiaChongqing} from 'date-fns/esm/timeZone'
+  export default asiaChongqing
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chungking' {
+  import {asiaChungking} from 'date-fns/esm/timeZone'
+  export default asiaChungking
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Colombo' {
+  import {asiaColombo} from 'date-fns/esm/timeZone'
+  export default asiaColombo
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dacca' {
+  import {asiaDacca} from 'date-fns/esm/timeZone'
+  export default asiaDacca
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Damascus' {
+  import {asiaDamascus} from 'date-fns/esm/timeZone'
+  export default asiaDamascus
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dhaka' {
+  import {asiaDhaka} from 'date-fns/esm/timeZone'
+  export default asiaDhaka
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dili' {
+  import {asiaDili} from 'date-fns/esm/timeZone'
+  export default asiaDili
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dubai' {
+  import {asiaDubai} from 'date-fns/esm/timeZone'
+  export default asiaDubai
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dushanbe' {
+  import {asiaDushanbe} from 'date-fns/esm/timeZone'
+  export default asiaDushanbe
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Famagusta' {
+  import {asiaFamagusta} from 'date-fns/esm/timeZone'
+  export default asiaFamagusta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Gaza' {
+  import {asiaGaza} from 'date-fns/esm/timeZone'
+  export default asiaGaza
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Harbin' {
+  import {asiaHarbin} from 'date-fns/esm/timeZone'
+  export default asiaHarbin
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hebron' {
+  import {asiaHebron} from 'date-fns/esm/timeZone'
+  export default asiaHebron
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ho_Chi_Minh' {
+  import {asiaHoChiMinh} from 'date-fns/esm/timeZone'
+  export default asiaHoChiMinh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hong_Kong' {
+  import {asiaHongKong} from 'date-fns/esm/timeZone'
+  export default asiaHongKong
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hovd' {
+  import {asiaHovd} from 'date-fns/esm/timeZone'
+  export default asiaHovd
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Irkutsk' {
+  import {asiaIrkutsk} from 'date-fns/esm/timeZone'
+  export default asiaIrkutsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Istanbul' {
+  import {asiaIstanbul} from 'date-fns/esm/timeZone'
+  export default asiaIstanbul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jakarta' {
+  import {asiaJakarta} from 'date-fns/esm/timeZone'
+  export default asiaJakarta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jayapura' {
+  import {asiaJayapura} from 'date-fns/esm/timeZone'
+  export default asiaJayapura
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jerusalem' {
+  import {asiaJerusalem} from 'date-fns/esm/timeZone'
+  export default asiaJerusalem
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kabul' {
+  import {asiaKabul} from 'date-fns/esm/timeZone'
+  export default asiaKabul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kamchatka' {
+  import {asiaKamchatka} from 'date-fns/esm/timeZone'
+  export default asiaKamchatka
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Karachi' {
+  import {asiaKarachi} from 'date-fns/esm/timeZone'
+  export default asiaKarachi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kashgar' {
+  import {asiaKashgar} from 'date-fns/esm/timeZone'
+  export default asiaKashgar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kathmandu' {
+  import {asiaKathmandu} from 'date-fns/esm/timeZone'
+  export default asiaKathmandu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Katmandu' {
+  import {asiaKatmandu} from 'date-fns/esm/timeZone'
+  export default asiaKatmandu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Khandyga' {
+  import {asiaKhandyga} from 'date-fns/esm/timeZone'
+  export default asiaKhandyga
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kolkata' {
+  import {asiaKolkata} from 'date-fns/esm/timeZone'
+  export default asiaKolkata
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Krasnoyarsk' {
+  import {asiaKrasnoyarsk} from 'date-fns/esm/timeZone'
+  export default asiaKrasnoyarsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuala_Lumpur' {
+  import {asiaKualaLumpur} from 'date-fns/esm/timeZone'
+  export default asiaKualaLumpur
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuching' {
+  import {asiaKuching} from 'date-fns/esm/timeZone'
+  export default asiaKuching
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuwait' {
+  import {asiaKuwait} from 'date-fns/esm/timeZone'
+  export default asiaKuwait
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Macao' {
+  import {asiaMacao} from 'date-fns/esm/timeZone'
+  export default asiaMacao
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Macau' {
+  import {asiaMacau} from 'date-fns/esm/timeZone'
+  export default asiaMacau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Magadan' {
+  import {asiaMagadan} from 'date-fns/esm/timeZone'
+  export default asiaMagadan
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Makassar' {
+  import {asiaMakassar} from 'date-fns/esm/timeZone'
+  export default asiaMakassar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Manila' {
+  import {asiaManila} from 'date-fns/esm/timeZone'
+  export default asiaManila
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Muscat' {
+  import {asiaMuscat} from 'date-fns/esm/timeZone'
+  export default asiaMuscat
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Nicosia' {
+  import {asiaNicosia} from 'date-fns/esm/timeZone'
+  export default asiaNicosia
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Novokuznetsk' {
+  import {asiaNovokuznetsk} from 'date-fns/esm/timeZone'
+  export default asiaNovokuznetsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Novosibirsk' {
+  import {asiaNovosibirsk} from 'date-fns/esm/timeZone'
+  export default asiaNovosibirsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Omsk' {
+  import {asiaOmsk} from 'date-fns/esm/timeZone'
+  export default asiaOmsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Oral' {
+  import {asiaOral} from 'date-fns/esm/timeZone'
+  export default asiaOral
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Phnom_Penh' {
+  import {asiaPhnomPenh} from 'date-fns/esm/timeZone'
+  export default asiaPhnomPenh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Pontianak' {
+  import {asiaPontianak} from 'date-fns/esm/timeZone'
+  export default asiaPontianak
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Pyongyang' {
+  import {asiaPyongyang} from 'date-fns/esm/timeZone'
+  export default asiaPyongyang
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qatar' {
+  import {asiaQatar} from 'date-fns/esm/timeZone'
+  export default asiaQatar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qostanay' {
+  import {asiaQostanay} from 'date-fns/esm/timeZone'
+  export default asiaQostanay
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qyzylorda' {
+  import {asiaQyzylorda} from 'date-fns/esm/timeZone'
+  export default asiaQyzylorda
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Rangoon' {
+  import {asiaRangoon} from 'date-fns/esm/timeZone'
+  export default asiaRangoon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Riyadh' {
+  import {asiaRiyadh} from 'date-fns/esm/timeZone'
+  export default asiaRiyadh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Saigon' {
+  import {asiaSaigon} from 'date-fns/esm/timeZone'
+  export default asiaSaigon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Sakhalin' {
+  import {asiaSakhalin} from 'date-fns/esm/timeZone'
+  export default asiaSakhalin
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Samarkand' {
+  import {asiaSamarkand} from 'date-fns/esm/timeZone'
+  export default asiaSamarkand
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Seoul' {
+  import {asiaSeoul} from 'date-fns/esm/timeZone'
+  export default asiaSeoul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Shanghai' {
+  import {asiaShanghai} from 'date-fns/esm/timeZone'
+  export default asiaShanghai
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Singapore' {
+  import {asiaSingapore} from 'date-fns/esm/timeZone'
+  export default asiaSingapore
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Srednekolymsk' {
+  import {asiaSrednekolymsk} from 'date-fns/esm/timeZone'
+  export default asiaSrednekolymsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Taipei' {
+  import {asiaTaipei} from 'date-fns/esm/timeZone'
+  export default asiaTaipei
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tashkent' {
+  import {asiaTashkent} from 'date-fns/esm/timeZone'
+  export default asiaTashkent
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tbilisi' {
+  import {asiaTbilisi} from 'date-fns/esm/timeZone'
+  export default asiaTbilisi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tehran' {
+  import {asiaTehran} from 'date-fns/esm/timeZone'
+  export default asiaTehran
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tel_Aviv' {
+  import {asiaTelAviv} from 'date-fns/esm/timeZone'
+  export default asiaTelAviv
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Thimbu' {
+  import {asiaThimbu} from 'date-fns/esm/timeZone'
+  export default asiaThimbu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Thimphu' {
+  import {asiaThimphu} from 'date-fns/esm/timeZone'
+  export default asiaThimphu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tokyo' {
+  import {asiaTokyo} from 'date-fns/esm/timeZone'
+  export default asiaTokyo
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tomsk' {
+  import {asiaTomsk} from 'date-fns/esm/timeZone'
+  export default asiaTomsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ujung_Pandang' {
+  import {asiaUjungPandang} from 'date-fns/esm/timeZone'
+  export default asiaUjungPandang
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ulaanbaatar' {
+  import {asiaUlaanbaatar} from 'date-fns/esm/timeZone'
+  export default asiaUlaanbaatar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ulan_Bator' {
+  import {asiaUlanBator} from 'date-fns/esm/timeZone'
+  export default asiaUlanBator
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Urumqi' {
+  import {asiaUrumqi} from 'date-fns/esm/timeZone'
+  export default asiaUrumqi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ust-Nera' {
+  import {asiaUstNera} from 'date-fns/esm/timeZone'
+  export default asiaUstNera
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Vientiane' {
+  import {asiaVientiane} from 'date-fns/esm/timeZone'
+  export default asiaVientiane
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Vladivostok' {
+  import {asiaVladivostok} from 'date-fns/esm/timeZone'
+  export default asiaVladivostok
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yakutsk' {
+  import {asiaYakutsk} from 'date-fns/esm/timeZone'
+  export default asiaYakutsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yangon' {
+  import {asiaYangon} from 'date-fns/esm/timeZone'
+  export default asiaYangon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yekaterinburg' {
+  import {asiaYekaterinburg} from 'date-fns/esm/timeZone'
+  export default asiaYekaterinburg
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yerevan' {
+  import {asiaYerevan} from 'date-fns/esm/timeZone'
+  export default asiaYerevan
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Azores' {
+  import {atlanticAzores} from 'date-fns/esm/timeZone'
+  export default atlanticAzores
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Bermuda' {
+  import {atlanticBermuda} from 'date-fns/esm/timeZone'
+  export default atlanticBermuda
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Canary' {
+  import {atlanticCanary} from 'date-fns/esm/timeZone'
+  export default atlanticCanary
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Cape_Verde' {
+  import {atlanticCapeVerde} from 'date-fns/esm/timeZone'
+  export default atlanticCapeVerde
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Faeroe' {
+  import {atlanticFaeroe} from 'date-fns/esm/timeZone'
+  export default atlanticFaeroe
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Faroe' {
+  import {atlanticFaroe} from 'date-fns/esm/timeZone'
+  export default atlanticFaroe
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Jan_Mayen' {
+  import {atlanticJanMayen} from 'date-fns/esm/timeZone'
+  export default atlanticJanMayen
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Madeira' {
+  import {atlanticMadeira} from 'date-fns/esm/timeZone'
+  export default atlanticMadeira
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Reykjavik' {
+  import {atlanticReykjavik} from 'date-fns/esm/timeZone'
+  export default atlanticReykjavik
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/South_Georgia' {
+  import {atlanticSouthGeorgia} from 'date-fns/esm/timeZone'
+  export default atlanticSouthGeorgia
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/St_Helena' {
+  import {atlanticStHelena} from 'date-fns/esm/timeZone'
+  export default atlanticStHelena
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Stanley' {
+  import {atlanticStanley} from 'date-fns/esm/timeZone'
+  export default atlanticStanley
+}
+
+declare module 'date-fns/esm/timeZone/Australia/ACT' {
+  import {australiaACT} from 'date-fns/esm/timeZone'
+  export default australiaACT
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Adelaide' {
+  import {australiaAdelaide} from 'date-fns/esm/timeZone'
+  export default australiaAdelaide
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Brisbane' {
+  import {australiaBrisbane} from 'date-fns/esm/timeZone'
+  export default australiaBrisbane
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Broken_Hill' {
+  import {australiaBrokenHill} from 'date-fns/esm/timeZone'
+  export default australiaBrokenHill
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Canberra' {
+  import {australiaCanberra} from 'date-fns/esm/timeZone'
+  export default australiaCanberra
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Currie' {
+  import {australiaCurrie} from 'date-fns/esm/timeZone'
+  export default australiaCurrie
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Darwin' {
+  import {australiaDarwin} from 'date-fns/esm/timeZone'
+  export default australiaDarwin
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Eucla' {
+  import {australiaEucla} from 'date-fns/esm/timeZone'
+  export default australiaEucla
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Hobart' {
+  import {australiaHobart} from 'date-fns/esm/timeZone'
+  export default australiaHobart
+}
+
+declare module 'date-fns/esm/timeZone/Australia/LHI' {
+  import {australiaLHI} from 'date-fns/esm/timeZone'
+  export default australiaLHI
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Lindeman' {
+  import {australiaLindeman} from 'date-fns/esm/timeZone'
+  export default australiaLindeman
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Lord_Howe' {
+  import {australiaLordHowe} from 'date-fns/esm/timeZone'
+  export default australiaLordHowe
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Melbourne' {
+  import {australiaMelbourne} from 'date-fns/esm/timeZone'
+  export default australiaMelbourne
+}
+
+declare module 'date-fns/esm/timeZone/Australia/NSW' {
+  import {australiaNSW} from 'date-fns/esm/timeZone'
+  export default australiaNSW
+}
+
+declare module 'date-fns/esm/timeZone/Australia/North' {
+  import {australiaNorth} from 'date-fns/esm/timeZone'
+  export default australiaNorth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Perth' {
+  import {australiaPerth} from 'date-fns/esm/timeZone'
+  export default australiaPerth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Queensland' {
+  import {australiaQueensland} from 'date-fns/esm/timeZone'
+  export default australiaQueensland
+}
+
+declare module 'date-fns/esm/timeZone/Australia/South' {
+  import {australiaSouth} from 'date-fns/esm/timeZone'
+  export default australiaSouth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Sydney' {
+  import {australiaSydney} from 'date-fns/esm/timeZone'
+  export default australiaSydney
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Tasmania' {
+  import {australiaTasmania} from 'date-fns/esm/timeZone'
+  export default australiaTasmania
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Victoria' {
+  import {australiaVictoria} from 'date-fns/esm/timeZone'
+  export default australiaVictoria
+}
+
+declare module 'date-fns/esm/timeZone/Australia/West' {
+  import {australiaWest} from 'date-fns/esm/timeZone'
+  export default australiaWest
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Yancowinna' {
+  import {australiaYancowinna} from 'date-fns/esm/timeZone'
+  export default australiaYancowinna
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/Acre' {
+  import {brazilAcre} from 'date-fns/esm/timeZone'
+  export default brazilAcre
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/DeNoronha' {
+  import {brazilDeNoronha} from 'date-fns/esm/timeZone'
+  export default brazilDeNoronha
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/East' {
+  import {brazilEast} from 'date-fns/esm/timeZone'
+  export default brazilEast
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/West' {
+  import {brazilWest} from 'date-fns/esm/timeZone'
+  export default brazilWest
+}
+
+declare module 'date-fns/esm/timeZone/CET' {
+  import {cet} from 'date-fns/esm/timeZone'
+  export default cet
+}
+
+declare module 'date-fns/esm/timeZone/CST6CDT' {
+  import {cst6cdt} from 'date-fns/esm/timeZone'
+  export default cst6cdt
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Atlantic' {
+  import {canadaAtlantic} from 'date-fns/esm/timeZone'
+  export default canadaAtlantic
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Central' {
+  import {canadaCentral} from 'date-fns/esm/timeZone'
+  export default canadaCentral
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Eastern' {
+  import {canadaEastern} from 'date-fns/esm/timeZone'
+  export default canadaEastern
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Mountain' {
+  import {canadaMountain} from 'date-fns/esm/timeZone'
+  export default canadaMountain
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Newfoundland' {
+  import {canadaNewfoundland} from 'date-fns/esm/timeZone'
+  export default canadaNewfoundland
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Pacific' {
+  import {canadaPacific} from 'date-fns/esm/timeZone'
+  export default canadaPacific
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Saskatchewan' {
+  import {canadaSaskatchewan} from 'date-fns/esm/timeZone'
+  export default canadaSaskatchewan
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Yukon' {
+  import {canadaYukon} from 'date-fns/esm/timeZone'
+  export default canadaYukon
+}
+
+declare module 'date-fns/esm/timeZone/Chile/Continental' {
+  import {chileContinental} from 'date-fns/esm/timeZone'
+  export default chileContinental
+}
+
+declare module 'date-fns/esm/timeZone/Chile/EasterIsland' {
+  import {chileEasterIsland} from 'date-fns/esm/timeZone'
+  export default chileEasterIsland
+}
+
+declare module 'date-fns/esm/timeZone/Cuba' {
+  import {cuba} from 'date-fns/esm/timeZone'
+  export default cuba
+}
+
+declare module 'date-fns/esm/timeZone/EET' {
+  import {eet} from 'date-fns/esm/timeZone'
+  export default eet
+}
+
+declare module 'date-fns/esm/timeZone/EST' {
+  import {est} from 'date-fns/esm/timeZone'
+  export default est
+}
+
+declare module 'date-fns/esm/timeZone/EST5EDT' {
+  import {est5edt} from 'date-fns/esm/timeZone'
+  export default est5edt
+}
+
+declare module 'date-fns/esm/timeZone/Egypt' {
+  import {egypt} from 'date-fns/esm/timeZone'
+  export default egypt
+}
+
+declare module 'date-fns/esm/timeZone/Eire' {
+  import {eire} from 'date-fns/esm/timeZone'
+  export default eire
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT' {
+  import {etcGMT} from 'date-fns/esm/timeZone'
+  export default etcGMT
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+0' {
+  import {etcGMTPlus0} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+1' {
+  import {etcGMTPlus1} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus1
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+10' {
+  import {etcGMTPlus10} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus10
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+11' {
+  import {etcGMTPlus11} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus11
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+12' {
+  import {etcGMTPlus12} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus12
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+2' {
+  import {etcGMTPlus2} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus2
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+3' {
+  import {etcGMTPlus3} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus3
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+4' {
+  import {etcGMTPlus4} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus4
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+5' {
+  import {etcGMTPlus5} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus5
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+6' {
+  import {etcGMTPlus6} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus6
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+7' {
+  import {etcGMTPlus7} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus7
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+8' {
+  import {etcGMTPlus8} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus8
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+9' {
+  import {etcGMTPlus9} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus9
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-0' {
+  import {etcGMTMinus0} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-1' {
+  import {etcGMTMinus1} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus1
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-10' {
+  import {etcGMTMinus10} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus10
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-11' {
+  import {etcGMTMinus11} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus11
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-12' {
+  import {etcGMTMinus12} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus12
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-13' {
+  import {etcGMTMinus13} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus13
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-14' {
+  import {etcGMTMinus14} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus14
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-2' {
+  import {etcGMTMinus2} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus2
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-3' {
+  import {etcGMTMinus3} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus3
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-4' {
+  import {etcGMTMinus4} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus4
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-5' {
+  import {etcGMTMinus5} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus5
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-6' {
+  import {etcGMTMinus6} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus6
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-7' {
+  import {etcGMTMinus7} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus7
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-8' {
+  import {etcGMTMinus8} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus8
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-9' {
+  import {etcGMTMinus9} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus9
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT0' {
+  import {etcGMT0} from 'date-fns/esm/timeZone'
+  export default etcGMT0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Greenwich' {
+  import {etcGreenwich} from 'date-fns/esm/timeZone'
+  export default etcGreenwich
+}
+
+declare module 'date-fns/esm/timeZone/Etc/UCT' {
+  import {etcUCT} from 'date-fns/esm/timeZone'
+  export default etcUCT
+}
+
+declare module 'date-fns/esm/timeZone/Etc/UTC' {
+  import {etcUTC} from 'date-fns/esm/timeZone'
+  export default etcUTC
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Universal' {
+  import {etcUniversal} from 'date-fns/esm/timeZone'
+  export default etcUniversal
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Zulu' {
+  import {etcZulu} from 'date-fns/esm/timeZone'
+  export default etcZulu
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Amsterdam' {
+  import {europeAmsterdam} from 'date-fns/esm/timeZone'
+  export default europeAmsterdam
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Andorra' {
+  import {europeAndorra} from 'date-fns/esm/timeZone'
+  export default europeAndorra
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Astrakhan' {
+  import {europeAstrakhan} from 'date-fns/esm/timeZone'
+  export default europeAstrakhan
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Athens' {
+  import {europeAthens} from 'date-fns/esm/timeZone'
+  export default europeAthens
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Belfast' {
+  import {europeBelfast} from 'date-fns/esm/timeZone'
+  export default europeBelfast
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Belgrade' {
+  import {europeBelgrade} from 'date-fns/esm/timeZone'
+  export default europeBelgrade
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Berlin' {
+  import {europeBerlin} from 'date-fns/esm/timeZone'
+  export default europeBerlin
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Bratislava' {
+  import {europeBratislava} from 'date-fns/esm/timeZone'
+  export default europeBratislava
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Brussels' {
+  import {europeBrussels} from 'date-fns/esm/timeZone'
+  export default europeBrussels
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Bucharest' {
+  import {europeBucharest} from 'date-fns/esm/timeZone'
+  export default europeBucharest
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Budapest' {
+  import {europeBudapest} from 'date-fns/esm/timeZone'
+  export default europeBudapest
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Busingen' {
+  import {europeBusingen} from 'date-fns/esm/timeZone'
+  export default europeBusingen
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Chisinau' {
+  import {europeChisinau} from 'date-fns/esm/timeZone'
+  export default europeChisinau
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Copenhagen' {
+  import {europeCopenhagen} from 'date-fns/esm/timeZone'
+  export default europeCopenhagen
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Dublin' {
+  import {europeDublin} from 'date-fns/esm/timeZone'
+  export default europeDublin
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Gibraltar' {
+  import {europeGibraltar} from 'date-fns/esm/timeZone'
+  export default europeGibraltar
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Guernsey' {
+  import {europeGuernsey} from 'date-fns/esm/timeZone'
+  export default europeGuernsey
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Helsinki' {
+  import {europeHelsinki} from 'date-fns/esm/timeZone'
+  export default europeHelsinki
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Isle_of_Man' {
+  import {europeIsleOfMan} from 'date-fns/esm/timeZone'
+  export default europeIsleOfMan
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Istanbul' {
+  import {europeIstanbul} from 'date-fns/esm/timeZone'
+  export default europeIstanbul
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Jersey' {
+  import {europeJersey} from 'date-fns/esm/timeZone'
+  export default europeJersey
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kaliningrad' {
+  import {europeKaliningrad} from 'date-fns/esm/timeZone'
+  export default europeKaliningrad
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kiev' {
+  import {europeKiev} from 'date-fns/esm/timeZone'
+  export default europeKiev
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kirov' {
+  import {europeKirov} from 'date-fns/esm/timeZone'
+  export default europeKirov
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kyiv' {
+  import {europeKyiv} from 'date-fns/esm/timeZone'
+  export default europeKyiv
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Lisbon' {
+  import {europeLisbon} from 'date-fns/esm/timeZone'
+  export default europeLisbon
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Ljubljana' {
+  import {europeLjubljana} from 'date-fns/esm/timeZone'
+  export default europeLjubljana
+}
+
+declare module 'date-fns/esm/timeZone/Europe/London' {
+  import {europeLondon} from 'date-fns/esm/timeZone'
+  export default europeLondon
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Luxembourg' {
+  import {europeLuxembourg} from 'date-fns/esm/timeZone'
+  export default europeLuxembourg
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Madrid' {
+  import {europeMadrid} from 'date-fns/esm/timeZone'
+  export default europeMadrid
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Malta' {
+  import {europeMalta} from 'date-fns/esm/timeZone'
+  export default europeMalta
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Mariehamn' {
+  import {europeMariehamn} from 'date-fns/esm/timeZone'
+  export default europeMariehamn
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Minsk' {
+  import {europeMinsk} from 'date-fns/esm/timeZone'
+  export default europeMinsk
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Monaco' {
+  import {europeMonaco} from 'date-fns/esm/timeZone'
+  export default europeMonaco
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Moscow' {
+  import {europeMoscow} from 'date-fns/esm/timeZone'
+  export default europeMoscow
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Nicosia' {
+  import {europeNicosia} from 'date-fns/esm/timeZone'
+  export default europeNicosia
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Oslo' {
+  import {europeOslo} from 'date-fns/esm/timeZone'
+  export default europeOslo
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Paris' {
+  import {europeParis} from 'date-fns/esm/timeZone'
+  export default europeParis
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Podgorica' {
+  import {europePodgorica} from 'date-fns/esm/timeZone'
+  export default europePodgorica
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Prague' {
+  import {europePrague} from 'date-fns/esm/timeZone'
+  export default europePrague
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Riga' {
+  import {europeRiga} from 'date-fns/esm/timeZone'
+  export default europeRiga
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Rome' {
+  import {europeRome} from 'date-fns/esm/timeZone'
+  export default europeRome
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Samara' {
+  import {europeSamara} from 'date-fns/esm/timeZone'
+  export default europeSamara
+}
+
+declare module 'date-fns/esm/timeZone/Europe/San_Marino' {
+  import {europeSanMarino} from 'date-fns/esm/timeZone'
+  export default europeSanMarino
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Sarajevo' {
+  import {europeSarajevo} from 'date-fns/esm/timeZone'
+  export default europeSarajevo
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Saratov' {
+  import {europeSaratov} from 'date-fns/esm/timeZone'
+  export default europeSaratov
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Simferopol' {
+  import {europeSimferopol} from 'date-fns/esm/timeZone'
+  export default europeSimferopol
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Skopje' {
+  import {europeSkopje} from 'date-fns/esm/timeZone'
+  export default europeSkopje
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Sofia' {
+  import {europeSofia} from 'date-fns/esm/timeZone'
+  export default europeSofia
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Stockholm' {
+  import {europeStockholm} from 'date-fns/esm/timeZone'
+  export default europeStockholm
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tallinn' {
+  import {europeTallinn} from 'date-fns/esm/timeZone'
+  export default europeTallinn
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tirane' {
+  import {europeTirane} from 'date-fns/esm/timeZone'
+  export default europeTirane
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tiraspol' {
+  import {europeTiraspol} from 'date-fns/esm/timeZone'
+  export default europeTiraspol
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Ulyanovsk' {
+  import {europeUlyanovsk} from 'date-fns/esm/timeZone'
+  export default europeUlyanovsk
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Uzhgorod' {
+  import {europeUzhgorod} from 'date-fns/esm/timeZone'
+  export default europeUzhgorod
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vaduz' {
+  import {europeVaduz} from 'date-fns/esm/timeZone'
+  export default europeVaduz
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vatican' {
+  import {europeVatican} from 'date-fns/esm/timeZone'
+  export default europeVatican
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vienna' {
+  import {europeVienna} from 'date-fns/esm/timeZone'
+  export default europeVienna
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vilnius' {
+  import {europeVilnius} from 'date-fns/esm/timeZone'
+  export default europeVilnius
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Volgograd' {
+  import {europeVolgograd} from 'date-fns/esm/timeZone'
+  export default europeVolgograd
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Warsaw' {
+  import {europeWarsaw} from 'date-fns/esm/timeZone'
+  export default europeWarsaw
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zagreb' {
+  import {europeZagreb} from 'date-fns/esm/timeZone'
+  export default europeZagreb
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zaporozhye' {
+  import {europeZaporozhye} from 'date-fns/esm/timeZone'
+  export default europeZaporozhye
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zurich' {
+  import {europeZurich} from 'date-fns/esm/timeZone'
+  export default europeZurich
+}
+
+declare module 'date-fns/esm/timeZone/GB' {
+  import {gb} from 'date-fns/esm/timeZone'
+  export default gb
+}
+
+declare module 'date-fns/esm/timeZone/GB-Eire' {
+  import {gbEire} from 'date-fns/esm/timeZone'
+  export default gbEire
+}
+
+declare module 'date-fns/esm/timeZone/GMT' {
+  import {gmt} from 'date-fns/esm/timeZone'
+  export default gmt
+}
+
+declare module 'date-fns/esm/timeZone/GMT+0' {
+  import {gmtPlus0} from 'date-fns/esm/timeZone'
+  export default gmtPlus0
+}
+
+declare module 'date-fns/esm/timeZone/GMT-0' {
+  import {gmtMinus0} from 'date-fns/esm/timeZone'
+  export default gmtMinus0
+}
+
+declare module 'date-fns/esm/timeZone/GMT0' {
+  import {gmt0} from 'date-fns/esm/timeZone'
+  export default gmt0
+}
+
+declare module 'date-fns/esm/timeZone/Greenwich' {
+  import {greenwich} from 'date-fns/esm/timeZone'
+  export default greenwich
+}
+
+declare module 'date-fns/esm/timeZone/HST' {
+  import {hst} from 'date-fns/esm/timeZone'
+  export default hst
+}
+
+declare module 'date-fns/esm/timeZone/Hongkong' {
+  import {hongkong} from 'date-fns/esm/timeZone'
+  export default hongkong
+}
+
+declare module 'date-fns/esm/timeZone/Iceland' {
+  import {iceland} from 'date-fns/esm/timeZone'
+  export default iceland
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Antananarivo' {
+  import {indianAntananarivo} from 'date-fns/esm/timeZone'
+  export default indianAntananarivo
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Chagos' {
+  import {indianChagos} from 'date-fns/esm/timeZone'
+  export default indianChagos
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Christmas' {
+  import {indianChristmas} from 'date-fns/esm/timeZone'
+  export default indianChristmas
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Cocos' {
+  import {indianCocos} from 'date-fns/esm/timeZone'
+  export default indianCocos
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Comoro' {
+  import {indianComoro} from 'date-fns/esm/timeZone'
+  export default indianComoro
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Kerguelen' {
+  import {indianKerguelen} from 'date-fns/esm/timeZone'
+  export default indianKerguelen
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mahe' {
+  import {indianMahe} from 'date-fns/esm/timeZone'
+  export default indianMahe
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Maldives' {
+  import {indianMaldives} from 'date-fns/esm/timeZone'
+  export default indianMaldives
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mauritius' {
+  import {indianMauritius} from 'date-fns/esm/timeZone'
+  export default indianMauritius
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mayotte' {
+  import {indianMayotte} from 'date-fns/esm/timeZone'
+  export default indianMayotte
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Reunion' {
+  import {indianReunion} from 'date-fns/esm/timeZone'
+  export default indianReunion
+}
+
+declare module 'date-fns/esm/timeZone/Iran' {
+  import {iran} from 'date-fns/esm/timeZone'
+  export default iran
+}
+
+declare module 'date-fns/esm/timeZone/Israel' {
+  import {israel} from 'date-fns/esm/timeZone'
+  export default israel
+}
+
+declare module 'date-fns/esm/timeZone/Jamaica' {
+  import {jamaica} from 'date-fns/esm/timeZone'
+  export default jamaica
+}
+
+declare module 'date-fns/esm/timeZone/Japan' {
+  import {japan} from 'date-fns/esm/timeZone'
+  export default japan
+}
+
+declare module 'date-fns/esm/timeZone/Kwajalein' {
+  import {kwajalein} from 'date-fns/esm/timeZone'
+  export default kwajalein
+}
+
+declare module 'date-fns/esm/timeZone/Libya' {
+  import {libya} from 'date-fns/esm/timeZone'
+  export default libya
+}
+
+declare module 'date-fns/esm/timeZone/MET' {
+  import {met} from 'date-fns/esm/timeZone'
+  export default met
+}
+
+declare module 'date-fns/esm/timeZone/MST' {
+  import {mst} from 'date-fns/esm/timeZone'
+  export default mst
+}
+
+declare module 'date-fns/esm/timeZone/MST7MDT' {
+  import {mst7mdt} from 'date-fns/esm/timeZone'
+  export default mst7mdt
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/BajaNorte' {
+  import {mexicoBajaNorte} from 'date-fns/esm/timeZone'
+  export default mexicoBajaNorte
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/BajaSur' {
+  import {mexicoBajaSur} from 'date-fns/esm/timeZone'
+  export default mexicoBajaSur
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/General' {
+  import {mexicoGeneral} from 'date-fns/esm/timeZone'
+  export default mexicoGeneral
+}
+
+declare module 'date-fns/esm/timeZone/NZ' {
+  import {nz} from 'date-fns/esm/timeZone'
+  export default nz
+}
+
+declare module 'date-fns/esm/timeZone/NZ-CHAT' {
+  import {nzCHAT} from 'date-fns/esm/timeZone'
+  export default nzCHAT
+}
+
+declare module 'date-fns/esm/timeZone/Navajo' {
+  import {navajo} from 'date-fns/esm/timeZone'
+  export default navajo
+}
+
+declare module 'date-fns/esm/timeZone/PRC' {
+  import {prc} from 'date-fns/esm/timeZone'
+  export default prc
+}
+
+declare module 'date-fns/esm/timeZone/PST8PDT' {
+  import {pst8pdt} from 'date-fns/esm/timeZone'
+  export default pst8pdt
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Apia' {
+  import {pacificApia} from 'date-fns/esm/timeZone'
+  export default pacificApia
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Auckland' {
+  import {pacificAuckland} from 'date-fns/esm/timeZone'
+  export default pacificAuckland
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Bougainville' {
+  import {pacificBougainville} from 'date-fns/esm/timeZone'
+  export default pacificBougainville
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Chatham' {
+  import {pacificChatham} from 'date-fns/esm/timeZone'
+  export default pacificChatham
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Chuuk' {
+  import {pacificChuuk} from 'date-fns/esm/timeZone'
+  export default pacificChuuk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Easter' {
+  import {pacificEaster} from 'date-fns/esm/timeZone'
+  export default pacificEaster
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Efate' {
+  import {pacificEfate} from 'date-fns/esm/timeZone'
+  export default pacificEfate
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Enderbury' {
+  import {pacificEnderbury} from 'date-fns/esm/timeZone'
+  export default pacificEnderbury
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Fakaofo' {
+  import {pacificFakaofo} from 'date-fns/esm/timeZone'
+  export default pacificFakaofo
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Fiji' {
+  import {pacificFiji} from 'date-fns/esm/timeZone'
+  export default pacificFiji
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Funafuti' {
+  import {pacificFunafuti} from 'date-fns/esm/timeZone'
+  export default pacificFunafuti
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Galapagos' {
+  import {pacificGalapagos} from 'date-fns/esm/timeZone'
+  export default pacificGalapagos
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Gambier' {
+  import {pacificGambier} from 'date-fns/esm/timeZone'
+  export default pacificGambier
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Guadalcanal' {
+  import {pacificGuadalcanal} from 'date-fns/esm/timeZone'
+  export default pacificGuadalcanal
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Guam' {
+  import {pacificGuam} from 'date-fns/esm/timeZone'
+  export default pacificGuam
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Honolulu' {
+  import {pacificHonolulu} from 'date-fns/esm/timeZone'
+  export default pacificHonolulu
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Johnston' {
+  import {pacificJohnston} from 'date-fns/esm/timeZone'
+  export default pacificJohnston
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kanton' {
+  import {pacificKanton} from 'date-fns/esm/timeZone'
+  export default pacificKanton
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kiritimati' {
+  import {pacificKiritimati} from 'date-fns/esm/timeZone'
+  export default pacificKiritimati
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kosrae' {
+  import {pacificKosrae} from 'date-fns/esm/timeZone'
+  export default pacificKosrae
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kwajalein' {
+  import {pacificKwajalein} from 'date-fns/esm/timeZone'
+  export default pacificKwajalein
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Majuro' {
+  import {pacificMajuro} from 'date-fns/esm/timeZone'
+  export default pacificMajuro
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Marquesas' {
+  import {pacificMarquesas} from 'date-fns/esm/timeZone'
+  export default pacificMarquesas
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Midway' {
+  import {pacificMidway} from 'date-fns/esm/timeZone'
+  export default pacificMidway
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Nauru' {
+  import {pacificNauru} from 'date-fns/esm/timeZone'
+  export default pacificNauru
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Niue' {
+  import {pacificNiue} from 'date-fns/esm/timeZone'
+  export default pacificNiue
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Norfolk' {
+  import {pacificNorfolk} from 'date-fns/esm/timeZone'
+  export default pacificNorfolk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Noumea' {
+  import {pacificNoumea} from 'date-fns/esm/timeZone'
+  export default pacificNoumea
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pago_Pago' {
+  import {pacificPagoPago} from 'date-fns/esm/timeZone'
+  export default pacificPagoPago
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Palau' {
+  import {pacificPalau} from 'date-fns/esm/timeZone'
+  export default pacificPalau
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pitcairn' {
+  import {pacificPitcairn} from 'date-fns/esm/timeZone'
+  export default pacificPitcairn
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pohnpei' {
+  import {pacificPohnpei} from 'date-fns/esm/timeZone'
+  export default pacificPohnpei
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Ponape' {
+  import {pacificPonape} from 'date-fns/esm/timeZone'
+  export default pacificPonape
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Port_Moresby' {
+  import {pacificPortMoresby} from 'date-fns/esm/timeZone'
+  export default pacificPortMoresby
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Rarotonga' {
+  import {pacificRarotonga} from 'date-fns/esm/timeZone'
+  export default pacificRarotonga
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Saipan' {
+  import {pacificSaipan} from 'date-fns/esm/timeZone'
+  export default pacificSaipan
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Samoa' {
+  import {pacificSamoa} from 'date-fns/esm/timeZone'
+  export default pacificSamoa
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tahiti' {
+  import {pacificTahiti} from 'date-fns/esm/timeZone'
+  export default pacificTahiti
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tarawa' {
+  import {pacificTarawa} from 'date-fns/esm/timeZone'
+  export default pacificTarawa
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tongatapu' {
+  import {pacificTongatapu} from 'date-fns/esm/timeZone'
+  export default pacificTongatapu
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Truk' {
+  import {pacificTruk} from 'date-fns/esm/timeZone'
+  export default pacificTruk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Wake' {
+  import {pacificWake} from 'date-fns/esm/timeZone'
+  export default pacificWake
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Wallis' {
+  import {pacificWallis} from 'date-fns/esm/timeZone'
+  export default pacificWallis
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Yap' {
+  import {pacificYap} from 'date-fns/esm/timeZone'
+  export default pacificYap
+}
+
+declare module 'date-fns/esm/timeZone/Poland' {
+  import {poland} from 'date-fns/esm/timeZone'
+  export default poland
+}
+
+declare module 'date-fns/esm/timeZone/Portugal' {
+  import {portugal} from 'date-fns/esm/timeZone'
+  export default portugal
+}
+
+declare module 'date-fns/esm/timeZone/ROC' {
+  import {roc} from 'date-fns/esm/timeZone'
+  export default roc
+}
+
+declare module 'date-fns/esm/timeZone/ROK' {
+  import {rok} from 'date-fns/esm/timeZone'
+  export default rok
+}
+
+declare module 'date-fns/esm/timeZone/Singapore' {
+  import {singapore} from 'date-fns/esm/timeZone'
+  export default singapore
+}
+
+declare module 'date-fns/esm/timeZone/Turkey' {
+  import {turkey} from 'date-fns/esm/timeZone'
+  export default turkey
+}
+
+declare module 'date-fns/esm/timeZone/UCT' {
+  import {uct} from 'date-fns/esm/timeZone'
+  export default uct
+}
+
+declare module 'date-fns/esm/timeZone/US/Alaska' {
+  import {usAlaska} from 'date-fns/esm/timeZone'
+  export default usAlaska
+}
+
+declare module 'date-fns/esm/timeZone/US/Aleutian' {
+  import {usAleutian} from 'date-fns/esm/timeZone'
+  export default usAleutian
+}
+
+declare module 'date-fns/esm/timeZone/US/Arizona' {
+  import {usArizona} from 'date-fns/esm/timeZone'
+  export default usArizona
+}
+
+declare module 'date-fns/esm/timeZone/US/Central' {
+  import {usCentral} from 'date-fns/esm/timeZone'
+  export default usCentral
+}
+
+declare module 'date-fns/esm/timeZone/US/East-Indiana' {
+  import {usEastIndiana} from 'date-fns/esm/timeZone'
+  export default usEastIndiana
+}
+
+declare module 'date-fns/esm/timeZone/US/Eastern' {
+  import {usEastern} from 'date-fns/esm/timeZone'
+  export default usEastern
+}
+
+declare module 'date-fns/esm/timeZone/US/Hawaii' {
+  import {usHawaii} from 'date-fns/esm/timeZone'
+  export default usHawaii
+}
+
+declare module 'date-fns/esm/timeZone/US/Indiana-Starke' {
+  import {usIndianaStarke} from 'date-fns/esm/timeZone'
+  export default usIndianaStarke
+}
+
+declare module 'date-fns/esm/timeZone/US/Michigan' {
+  import {usMichigan} from 'date-fns/esm/timeZone'
+  export default usMichigan
+}
+
+declare module 'date-fns/esm/timeZone/US/Mountain' {
+  import {usMountain} from 'date-fns/esm/timeZone'
+  export default usMountain
+}
+
+declare module 'date-fns/esm/timeZone/US/Pacific' {
+  import {usPacific} from 'date-fns/esm/timeZone'
+  export default usPacific
+}
+
+declare module 'date-fns/esm/timeZone/US/Samoa' {
+  import {usSamoa} from 'date-fns/esm/timeZone'
+  export default usSamoa
+}
+
+declare module 'date-fns/esm/timeZone/UTC' {
+  import {utc} from 'date-fns/esm/timeZone'
+  export default utc
+}
+
+declare module 'date-fns/esm/timeZone/Universal' {
+  import {universal} from 'date-fns/esm/timeZone'
+  export default universal
+}
+
+declare module 'date-fns/esm/timeZone/W-SU' {
+  import {wSU} from 'date-fns/esm/timeZone'
+  export default wSU
+}
+
+declare module 'date-fns/esm/timeZone/WET' {
+  import {wet} from 'date-fns/esm/timeZone'
+  export default wet
+}
+
+declare module 'date-fns/esm/timeZone/Zulu' {
+  import {zulu} from 'date-fns/esm/timeZone'
+  export default zulu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Abidjan/index' {
+  import {africaAbidjan} from 'date-fns/esm/timeZone'
+  export default africaAbidjan
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Accra/index' {
+  import {africaAccra} from 'date-fns/esm/timeZone'
+  export default africaAccra
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Addis_Ababa/index' {
+  import {africaAddisAbaba} from 'date-fns/esm/timeZone'
+  export default africaAddisAbaba
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Algiers/index' {
+  import {africaAlgiers} from 'date-fns/esm/timeZone'
+  export default africaAlgiers
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Asmara/index' {
+  import {africaAsmara} from 'date-fns/esm/timeZone'
+  export default africaAsmara
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Asmera/index' {
+  import {africaAsmera} from 'date-fns/esm/timeZone'
+  export default africaAsmera
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bamako/index' {
+  import {africaBamako} from 'date-fns/esm/timeZone'
+  export default africaBamako
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bangui/index' {
+  import {africaBangui} from 'date-fns/esm/timeZone'
+  export default africaBangui
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Banjul/index' {
+  import {africaBanjul} from 'date-fns/esm/timeZone'
+  export default africaBanjul
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bissau/index' {
+  import {africaBissau} from 'date-fns/esm/timeZone'
+  export default africaBissau
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Blantyre/index' {
+  import {africaBlantyre} from 'date-fns/esm/timeZone'
+  export default africaBlantyre
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Brazzaville/index' {
+  import {africaBrazzaville} from 'date-fns/esm/timeZone'
+  export default africaBrazzaville
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bujumbura/index' {
+  import {africaBujumbura} from 'date-fns/esm/timeZone'
+  export default africaBujumbura
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Cairo/index' {
+  import {africaCairo} from 'date-fns/esm/timeZone'
+  export default africaCairo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Casablanca/index' {
+  import {africaCasablanca} from 'date-fns/esm/timeZone'
+  export default africaCasablanca
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ceuta/index' {
+  import {africaCeuta} from 'date-fns/esm/timeZone'
+  export default africaCeuta
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Conakry/index' {
+  import {africaConakry} from 'date-fns/esm/timeZone'
+  export default africaConakry
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Dakar/index' {
+  import {africaDakar} from 'date-fns/esm/timeZone'
+  export default africaDakar
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Dar_es_Salaam/index' {
+  import {africaDarEsSalaam} from 'date-fns/esm/timeZone'
+  export default africaDarEsSalaam
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Djibouti/index' {
+  import {africaDjibouti} from 'date-fns/esm/timeZone'
+  export default africaDjibouti
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Douala/index' {
+  import {africaDouala} from 'date-fns/esm/timeZone'
+  export default africaDouala
+}
+
+declare module 'date-fns/esm/timeZone/Africa/El_Aaiun/index' {
+  import {africaElAaiun} from 'date-fns/esm/timeZone'
+  export default africaElAaiun
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Freetown/index' {
+  import {africaFreetown} from 'date-fns/esm/timeZone'
+  export default africaFreetown
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Gaborone/index' {
+  import {africaGaborone} from 'date-fns/esm/timeZone'
+  export default africaGaborone
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Harare/index' {
+  import {africaHarare} from 'date-fns/esm/timeZone'
+  export default africaHarare
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Johannesburg/index' {
+  import {africaJohannesburg} from 'date-fns/esm/timeZone'
+  export default africaJohannesburg
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Juba/index' {
+  import {africaJuba} from 'date-fns/esm/timeZone'
+  export default africaJuba
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kampala/index' {
+  import {africaKampala} from 'date-fns/esm/timeZone'
+  export default africaKampala
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Khartoum/index' {
+  import {africaKhartoum} from 'date-fns/esm/timeZone'
+  export default africaKhartoum
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kigali/index' {
+  import {africaKigali} from 'date-fns/esm/timeZone'
+  export default africaKigali
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kinshasa/index' {
+  import {africaKinshasa} from 'date-fns/esm/timeZone'
+  export default africaKinshasa
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lagos/index' {
+  import {africaLagos} from 'date-fns/esm/timeZone'
+  export default africaLagos
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Libreville/index' {
+  import {africaLibreville} from 'date-fns/esm/timeZone'
+  export default africaLibreville
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lome/index' {
+  import {africaLome} from 'date-fns/esm/timeZone'
+  export default africaLome
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Luanda/index' {
+  import {africaLuanda} from 'date-fns/esm/timeZone'
+  export default africaLuanda
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lubumbashi/index' {
+  import {africaLubumbashi} from 'date-fns/esm/timeZone'
+  export default africaLubumbashi
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lusaka/index' {
+  import {africaLusaka} from 'date-fns/esm/timeZone'
+  export default africaLusaka
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Malabo/index' {
+  import {africaMalabo} from 'date-fns/esm/timeZone'
+  export default africaMalabo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Maputo/index' {
+  import {africaMaputo} from 'date-fns/esm/timeZone'
+  export default africaMaputo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Maseru/index' {
+  import {africaMaseru} from 'date-fns/esm/timeZone'
+  export default africaMaseru
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Mbabane/index' {
+  import {africaMbabane} from 'date-fns/esm/timeZone'
+  export default africaMbabane
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Mogadishu/index' {
+  import {africaMogadishu} from 'date-fns/esm/timeZone'
+  export default africaMogadishu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Monrovia/index' {
+  import {africaMonrovia} from 'date-fns/esm/timeZone'
+  export default africaMonrovia
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Nairobi/index' {
+  import {africaNairobi} from 'date-fns/esm/timeZone'
+  export default africaNairobi
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ndjamena/index' {
+  import {africaNdjamena} from 'date-fns/esm/timeZone'
+  export default africaNdjamena
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Niamey/index' {
+  import {africaNiamey} from 'date-fns/esm/timeZone'
+  export default africaNiamey
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Nouakchott/index' {
+  import {africaNouakchott} from 'date-fns/esm/timeZone'
+  export default africaNouakchott
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ouagadougou/index' {
+  import {africaOuagadougou} from 'date-fns/esm/timeZone'
+  export default africaOuagadougou
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Porto-Novo/index' {
+  import {africaPortoNovo} from 'date-fns/esm/timeZone'
+  export default africaPortoNovo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Sao_Tome/index' {
+  import {africaSaoTome} from 'date-fns/esm/timeZone'
+  export default africaSaoTome
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Timbuktu/index' {
+  import {africaTimbuktu} from 'date-fns/esm/timeZone'
+  export default africaTimbuktu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Tripoli/index' {
+  import {africaTripoli} from 'date-fns/esm/timeZone'
+  export default africaTripoli
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Tunis/index' {
+  import {africaTunis} from 'date-fns/esm/timeZone'
+  export default africaTunis
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Windhoek/index' {
+  import {africaWindhoek} from 'date-fns/esm/timeZone'
+  export default africaWindhoek
+}
+
+declare module 'date-fns/esm/timeZone/America/Adak/index' {
+  import {americaAdak} from 'date-fns/esm/timeZone'
+  export default americaAdak
+}
+
+declare module 'date-fns/esm/timeZone/America/Anchorage/index' {
+  import {americaAnchorage} from 'date-fns/esm/timeZone'
+  export default americaAnchorage
+}
+
+declare module 'date-fns/esm/timeZone/America/Anguilla/index' {
+  import {americaAnguilla} from 'date-fns/esm/timeZone'
+  export default americaAnguilla
+}
+
+declare module 'date-fns/esm/timeZone/America/Antigua/index' {
+  import {americaAntigua} from 'date-fns/esm/timeZone'
+  export default americaAntigua
+}
+
+declare module 'date-fns/esm/timeZone/America/Araguaina/index' {
+  import {americaAraguaina} from 'date-fns/esm/timeZone'
+  export default americaAraguaina
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Buenos_Aires/index' {
+  import {americaArgentinaBuenosAires} from 'date-fns/esm/timeZone'
+  export default americaArgentinaBuenosAires
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Catamarca/index' {
+  import {americaArgentinaCatamarca} from 'date-fns/esm/timeZone'
+  export default americaArgentinaCatamarca
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/ComodRivadavia/index' {
+  import {americaArgentinaComodRivadavia} from 'date-fns/esm/timeZone'
+  export default americaArgentinaComodRivadavia
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Cordoba/index' {
+  import {americaArgentinaCordoba} from 'date-fns/esm/timeZone'
+  export default americaArgentinaCordoba
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Jujuy/index' {
+  import {americaArgentinaJujuy} from 'date-fns/esm/timeZone'
+  export default americaArgentinaJujuy
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/La_Rioja/index' {
+  import {americaArgentinaLaRioja} from 'date-fns/esm/timeZone'
+  export default americaArgentinaLaRioja
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Mendoza/index' {
+  import {americaArgentinaMendoza} from 'date-fns/esm/timeZone'
+  export default americaArgentinaMendoza
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Rio_Gallegos/index' {
+  import {americaArgentinaRioGallegos} from 'date-fns/esm/timeZone'
+  export default americaArgentinaRioGallegos
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Salta/index' {
+  import {americaArgentinaSalta} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSalta
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/San_Juan/index' {
+  import {americaArgentinaSanJuan} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSanJuan
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/San_Luis/index' {
+  import {americaArgentinaSanLuis} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSanLuis
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Tucuman/index' {
+  import {americaArgentinaTucuman} from 'date-fns/esm/timeZone'
+  export default americaArgentinaTucuman
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Ushuaia/index' {
+  import {americaArgentinaUshuaia} from 'date-fns/esm/timeZone'
+  export default americaArgentinaUshuaia
+}
+
+declare module 'date-fns/esm/timeZone/America/Aruba/index' {
+  import {americaAruba} from 'date-fns/esm/timeZone'
+  export default americaAruba
+}
+
+declare module 'date-fns/esm/timeZone/America/Asuncion/index' {
+  import {americaAsuncion} from 'date-fns/esm/timeZone'
+  export default americaAsuncion
+}
+
+declare module 'date-fns/esm/timeZone/America/Atikokan/index' {
+  import {americaAtikokan} from 'date-fns/esm/timeZone'
+  export default americaAtikokan
+}
+
+declare module 'date-fns/esm/timeZone/America/Atka/index' {
+  import {americaAtka} from 'date-fns/esm/timeZone'
+  export default americaAtka
+}
+
+declare module 'date-fns/esm/timeZone/America/Bahia/index' {
+  import {americaBahia} from 'date-fns/esm/timeZone'
+  export default americaBahia
+}
+
+declare module 'date-fns/esm/timeZone/America/Bahia_Banderas/index' {
+  import {americaBahiaBanderas} from 'date-fns/esm/timeZone'
+  export default americaBahiaBanderas
+}
+
+declare module 'date-fns/esm/timeZone/America/Barbados/index' {
+  import {americaBarbados} from 'date-fns/esm/timeZone'
+  export default americaBarbados
+}
+
+declare module 'date-fns/esm/timeZone/America/Belem/index' {
+  import {americaBelem} from 'date-fns/esm/timeZone'
+  export default americaBelem
+}
+
+declare module 'date-fns/esm/timeZone/America/Belize/index' {
+  import {americaBelize} from 'date-fns/esm/timeZone'
+  export default americaBelize
+}
+
+declare module 'date-fns/esm/timeZone/America/Blanc-Sablon/index' {
+  import {americaBlancSablon} from 'date-fns/esm/timeZone'
+  export default americaBlancSablon
+}
+
+declare module 'date-fns/esm/timeZone/America/Boa_Vista/index' {
+  import {americaBoaVista} from 'date-fns/esm/timeZone'
+  export default americaBoaVista
+}
+
+declare module 'date-fns/esm/timeZone/America/Bogota/index' {
+  import {americaBogota} from 'date-fns/esm/timeZone'
+  export default americaBogota
+}
+
+declare module 'date-fns/esm/timeZone/America/Boise/index' {
+  import {americaBoise} from 'date-fns/esm/timeZone'
+  export default americaBoise
+}
+
+declare module 'date-fns/esm/timeZone/America/Buenos_Aires/index' {
+  import {americaBuenosAires} from 'date-fns/esm/timeZone'
+  export default americaBuenosAires
+}
+
+declare module 'date-fns/esm/timeZone/America/Cambridge_Bay/index' {
+  import {americaCambridgeBay} from 'date-fns/esm/timeZone'
+  export default americaCambridgeBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Campo_Grande/index' {
+  import {americaCampoGrande} from 'date-fns/esm/timeZone'
+  export default americaCampoGrande
+}
+
+declare module 'date-fns/esm/timeZone/America/Cancun/index' {
+  import {americaCancun} from 'date-fns/esm/timeZone'
+  export default americaCancun
+}
+
+declare module 'date-fns/esm/timeZone/America/Caracas/index' {
+  import {americaCaracas} from 'date-fns/esm/timeZone'
+  export default americaCaracas
+}
+
+declare module 'date-fns/esm/timeZone/America/Catamarca/index' {
+  import {americaCatamarca} from 'date-fns/esm/timeZone'
+  export default americaCatamarca
+}
+
+declare module 'date-fns/esm/timeZone/America/Cayenne/index' {
+  import {americaCayenne} from 'date-fns/esm/timeZone'
+  export default americaCayenne
+}
+
+declare module 'date-fns/esm/timeZone/America/Cayman/index' {
+  import {americaCayman} from 'date-fns/esm/timeZone'
+  export default americaCayman
+}
+
+declare module 'date-fns/esm/timeZone/America/Chicago/index' {
+  import {americaChicago} from 'date-fns/esm/timeZone'
+  export default americaChicago
+}
+
+declare module 'date-fns/esm/timeZone/America/Chihuahua/index' {
+  import {americaChihuahua} from 'date-fns/esm/timeZone'
+  export default americaChihuahua
+}
+
+declare module 'date-fns/esm/timeZone/America/Ciudad_Juarez/index' {
+  import {americaCiudadJuarez} from 'date-fns/esm/timeZone'
+  export default americaCiudadJuarez
+}
+
+declare module 'date-fns/esm/timeZone/America/Coral_Harbour/index' {
+  import {americaCoralHarbour} from 'date-fns/esm/timeZone'
+  export default americaCoralHarbour
+}
+
+declare module 'date-fns/esm/timeZone/America/Cordoba/index' {
+  import {americaCordoba} from 'date-fns/esm/timeZone'
+  export default americaCordoba
+}
+
+declare module 'date-fns/esm/timeZone/America/Costa_Rica/index' {
+  import {americaCostaRica} from 'date-fns/esm/timeZone'
+  export default americaCostaRica
+}
+
+declare module 'date-fns/esm/timeZone/America/Coyhaique/index' {
+  import {americaCoyhaique} from 'date-fns/esm/timeZone'
+  export default americaCoyhaique
+}
+
+declare module 'date-fns/esm/timeZone/America/Creston/index' {
+  import {americaCreston} from 'date-fns/esm/timeZone'
+  export default americaCreston
+}
+
+declare module 'date-fns/esm/timeZone/America/Cuiaba/index' {
+  import {americaCuiaba} from 'date-fns/esm/timeZone'
+  export default americaCuiaba
+}
+
+declare module 'date-fns/esm/timeZone/America/Curacao/index' {
+  import {americaCuracao} from 'date-fns/esm/timeZone'
+  export default americaCuracao
+}
+
+declare module 'date-fns/esm/timeZone/America/Danmarkshavn/index' {
+  import {americaDanmarkshavn} from 'date-fns/esm/timeZone'
+  export default americaDanmarkshavn
+}
+
+declare module 'date-fns/esm/timeZone/America/Dawson/index' {
+  import {americaDawson} from 'date-fns/esm/timeZone'
+  export default americaDawson
+}
+
+declare module 'date-fns/esm/timeZone/America/Dawson_Creek/index' {
+  import {americaDawsonCreek} from 'date-fns/esm/timeZone'
+  export default americaDawsonCreek
+}
+
+declare module 'date-fns/esm/timeZone/America/Denver/index' {
+  import {americaDenver} from 'date-fns/esm/timeZone'
+  export default americaDenver
+}
+
+declare module 'date-fns/esm/timeZone/America/Detroit/index' {
+  import {americaDetroit} from 'date-fns/esm/timeZone'
+  export default americaDetroit
+}
+
+declare module 'date-fns/esm/timeZone/America/Dominica/index' {
+  import {americaDominica} from 'date-fns/esm/timeZone'
+  export default americaDominica
+}
+
+declare module 'date-fns/esm/timeZone/America/Edmonton/index' {
+  import {americaEdmonton} from 'date-fns/esm/timeZone'
+  export default americaEdmonton
+}
+
+declare module 'date-fns/esm/timeZone/America/Eirunepe/index' {
+  import {americaEirunepe} from 'date-fns/esm/timeZone'
+  export default americaEirunepe
+}
+
+declare module 'date-fns/esm/timeZone/America/El_Salvador/index' {
+  import {americaElSalvador} from 'date-fns/esm/timeZone'
+  export default americaElSalvador
+}
+
+declare module 'date-fns/esm/timeZone/America/Ensenada/index' {
+  import {americaEnsenada} from 'date-fns/esm/timeZone'
+  export default americaEnsenada
+}
+
+declare module 'date-fns/esm/timeZone/America/Fort_Nelson/index' {
+  import {americaFortNelson} from 'date-fns/esm/timeZone'
+  export default americaFortNelson
+}
+
+declare module 'date-fns/esm/timeZone/America/Fort_Wayne/index' {
+  import {americaFortWayne} from 'date-fns/esm/timeZone'
+  export default americaFortWayne
+}
+
+declare module 'date-fns/esm/timeZone/America/Fortaleza/index' {
+  import {americaFortaleza} from 'date-fns/esm/timeZone'
+  export default americaFortaleza
+}
+
+declare module 'date-fns/esm/timeZone/America/Glace_Bay/index' {
+  import {americaGlaceBay} from 'date-fns/esm/timeZone'
+  export default americaGlaceBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Godthab/index' {
+  import {americaGodthab} from 'date-fns/esm/timeZone'
+  export default americaGodthab
+}
+
+declare module 'date-fns/esm/timeZone/America/Goose_Bay/index' {
+  import {americaGooseBay} from 'date-fns/esm/timeZone'
+  export default americaGooseBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Grand_Turk/index' {
+  import {americaGrandTurk} from 'date-fns/esm/timeZone'
+  export default americaGrandTurk
+}
+
+declare module 'date-fns/esm/timeZone/America/Grenada/index' {
+  import {americaGrenada} from 'date-fns/esm/timeZone'
+  export default americaGrenada
+}
+
+declare module 'date-fns/esm/timeZone/America/Guadeloupe/index' {
+  import {americaGuadeloupe} from 'date-fns/esm/timeZone'
+  export default americaGuadeloupe
+}
+
+declare module 'date-fns/esm/timeZone/America/Guatemala/index' {
+  import {americaGuatemala} from 'date-fns/esm/timeZone'
+  export default americaGuatemala
+}
+
+declare module 'date-fns/esm/timeZone/America/Guayaquil/index' {
+  import {americaGuayaquil} from 'date-fns/esm/timeZone'
+  export default americaGuayaquil
+}
+
+declare module 'date-fns/esm/timeZone/America/Guyana/index' {
+  import {americaGuyana} from 'date-fns/esm/timeZone'
+  export default americaGuyana
+}
+
+declare module 'date-fns/esm/timeZone/America/Halifax/index' {
+  import {americaHalifax} from 'date-fns/esm/timeZone'
+  export default americaHalifax
+}
+
+declare module 'date-fns/esm/timeZone/America/Havana/index' {
+  import {americaHavana} from 'date-fns/esm/timeZone'
+  export default americaHavana
+}
+
+declare module 'date-fns/esm/timeZone/America/Hermosillo/index' {
+  import {americaHermosillo} from 'date-fns/esm/timeZone'
+  export default americaHermosillo
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Indianapolis/index' {
+  import {americaIndianaIndianapolis} from 'date-fns/esm/timeZone'
+  export default americaIndianaIndianapolis
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Knox/index' {
+  import {americaIndianaKnox} from 'date-fns/esm/timeZone'
+  export default americaIndianaKnox
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Marengo/index' {
+  import {americaIndianaMarengo} from 'date-fns/esm/timeZone'
+  export default americaIndianaMarengo
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Petersburg/index' {
+  import {americaIndianaPetersburg} from 'date-fns/esm/timeZone'
+  export default americaIndianaPetersburg
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Tell_City/index' {
+  import {americaIndianaTellCity} from 'date-fns/esm/timeZone'
+  export default americaIndianaTellCity
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Vevay/index' {
+  import {americaIndianaVevay} from 'date-fns/esm/timeZone'
+  export default americaIndianaVevay
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Vincennes/index' {
+  import {americaIndianaVincennes} from 'date-fns/esm/timeZone'
+  export default americaIndianaVincennes
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Winamac/index' {
+  import {americaIndianaWinamac} from 'date-fns/esm/timeZone'
+  export default americaIndianaWinamac
+}
+
+declare module 'date-fns/esm/timeZone/America/Indianapolis/index' {
+  import {americaIndianapolis} from 'date-fns/esm/timeZone'
+  export default americaIndianapolis
+}
+
+declare module 'date-fns/esm/timeZone/America/Inuvik/index' {
+  import {americaInuvik} from 'date-fns/esm/timeZone'
+  export default americaInuvik
+}
+
+declare module 'date-fns/esm/timeZone/America/Iqaluit/index' {
+  import {americaIqaluit} from 'date-fns/esm/timeZone'
+  export default americaIqaluit
+}
+
+declare module 'date-fns/esm/timeZone/America/Jamaica/index' {
+  import {americaJamaica} from 'date-fns/esm/timeZone'
+  export default americaJamaica
+}
+
+declare module 'date-fns/esm/timeZone/America/Jujuy/index' {
+  import {americaJujuy} from 'date-fns/esm/timeZone'
+  export default americaJujuy
+}
+
+declare module 'date-fns/esm/timeZone/America/Juneau/index' {
+  import {americaJuneau} from 'date-fns/esm/timeZone'
+  export default americaJuneau
+}
+
+declare module 'date-fns/esm/timeZone/America/Kentucky/Louisville/index' {
+  import {americaKentuckyLouisville} from 'date-fns/esm/timeZone'
+  export default americaKentuckyLouisville
+}
+
+declare module 'date-fns/esm/timeZone/America/Kentucky/Monticello/index' {
+  import {americaKentuckyMonticello} from 'date-fns/esm/timeZone'
+  export default americaKentuckyMonticello
+}
+
+declare module 'date-fns/esm/timeZone/America/Knox_IN/index' {
+  import {americaKnoxIN} from 'date-fns/esm/timeZone'
+  export default americaKnoxIN
+}
+
+declare module 'date-fns/esm/timeZone/America/Kralendijk/index' {
+  import {americaKralendijk} from 'date-fns/esm/timeZone'
+  export default americaKralendijk
+}
+
+declare module 'date-fns/esm/timeZone/America/La_Paz/index' {
+  import {americaLaPaz} from 'date-fns/esm/timeZone'
+  export default americaLaPaz
+}
+
+declare module 'date-fns/esm/timeZone/America/Lima/index' {
+  import {americaLima} from 'date-fns/esm/timeZone'
+  export default americaLima
+}
+
+declare module 'date-fns/esm/timeZone/America/Los_Angeles/index' {
+  import {americaLosAngeles} from 'date-fns/esm/timeZone'
+  export default americaLosAngeles
+}
+
+declare module 'date-fns/esm/timeZone/America/Louisville/index' {
+  import {americaLouisville} from 'date-fns/esm/timeZone'
+  export default americaLouisville
+}
+
+declare module 'date-fns/esm/timeZone/America/Lower_Princes/index' {
+  import {americaLowerPrinces} from 'date-fns/esm/timeZone'
+  export default americaLowerPrinces
+}
+
+declare module 'date-fns/esm/timeZone/America/Maceio/index' {
+  import {americaMaceio} from 'date-fns/esm/timeZone'
+  export default americaMaceio
+}
+
+declare module 'date-fns/esm/timeZone/America/Managua/index' {
+  import {americaManagua} from 'date-fns/esm/timeZone'
+  export default americaManagua
+}
+
+declare module 'date-fns/esm/timeZone/America/Manaus/index' {
+  import {americaManaus} from 'date-fns/esm/timeZone'
+  export default americaManaus
+}
+
+declare module 'date-fns/esm/timeZone/America/Marigot/index' {
+  import {americaMarigot} from 'date-fns/esm/timeZone'
+  export default americaMarigot
+}
+
+declare module 'date-fns/esm/timeZone/America/Martinique/index' {
+  import {americaMartinique} from 'date-fns/esm/timeZone'
+  export default americaMartinique
+}
+
+declare module 'date-fns/esm/timeZone/America/Matamoros/index' {
+  import {americaMatamoros} from 'date-fns/esm/timeZone'
+  export default americaMatamoros
+}
+
+declare module 'date-fns/esm/timeZone/America/Mazatlan/index' {
+  import {americaMazatlan} from 'date-fns/esm/timeZone'
+  export default americaMazatlan
+}
+
+declare module 'date-fns/esm/timeZone/America/Mendoza/index' {
+  import {americaMendoza} from 'date-fns/esm/timeZone'
+  export default americaMendoza
+}
+
+declare module 'date-fns/esm/timeZone/America/Menominee/index' {
+  import {americaMenominee} from 'date-fns/esm/timeZone'
+  export default americaMenominee
+}
+
+declare module 'date-fns/esm/timeZone/America/Merida/index' {
+  import {americaMerida} from 'date-fns/esm/timeZone'
+  export default americaMerida
+}
+
+declare module 'date-fns/esm/timeZone/America/Metlakatla/index' {
+  import {americaMetlakatla} from 'date-fns/esm/timeZone'
+  export default americaMetlakatla
+}
+
+declare module 'date-fns/esm/timeZone/America/Mexico_City/index' {
+  import {americaMexicoCity} from 'date-fns/esm/timeZone'
+  export default americaMexicoCity
+}
+
+declare module 'date-fns/esm/timeZone/America/Miquelon/index' {
+  import {americaMiquelon} from 'date-fns/esm/timeZone'
+  export default americaMiquelon
+}
+
+declare module 'date-fns/esm/timeZone/America/Moncton/index' {
+  import {americaMoncton} from 'date-fns/esm/timeZone'
+  export default americaMoncton
+}
+
+declare module 'date-fns/esm/timeZone/America/Monterrey/index' {
+  import {americaMonterrey} from 'date-fns/esm/timeZone'
+  export default americaMonterrey
+}
+
+declare module 'date-fns/esm/timeZone/America/Montevideo/index' {
+  import {americaMontevideo} from 'date-fns/esm/timeZone'
+  export default americaMontevideo
+}
+
+declare module 'date-fns/esm/timeZone/America/Montreal/index' {
+  import {americaMontreal} from 'date-fns/esm/timeZone'
+  export default americaMontreal
+}
+
+declare module 'date-fns/esm/timeZone/America/Montserrat/index' {
+  import {americaMontserrat} from 'date-fns/esm/timeZone'
+  export default americaMontserrat
+}
+
+declare module 'date-fns/esm/timeZone/America/Nassau/index' {
+  import {americaNassau} from 'date-fns/esm/timeZone'
+  export default americaNassau
+}
+
+declare module 'date-fns/esm/timeZone/America/New_York/index' {
+  import {americaNewYork} from 'date-fns/esm/timeZone'
+  export default americaNewYork
+}
+
+declare module 'date-fns/esm/timeZone/America/Nipigon/index' {
+  import {americaNipigon} from 'date-fns/esm/timeZone'
+  export default americaNipigon
+}
+
+declare module 'date-fns/esm/timeZone/America/Nome/index' {
+  import {americaNome} from 'date-fns/esm/timeZone'
+  export default americaNome
+}
+
+declare module 'date-fns/esm/timeZone/America/Noronha/index' {
+  import {americaNoronha} from 'date-fns/esm/timeZone'
+  export default americaNoronha
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/Beulah/index' {
+  import {americaNorthDakotaBeulah} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaBeulah
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/Center/index' {
+  import {americaNorthDakotaCenter} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaCenter
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/New_Salem/index' {
+  import {americaNorthDakotaNewSalem} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaNewSalem
+}
+
+declare module 'date-fns/esm/timeZone/America/Nuuk/index' {
+  import {americaNuuk} from 'date-fns/esm/timeZone'
+  export default americaNuuk
+}
+
+declare module 'date-fns/esm/timeZone/America/Ojinaga/index' {
+  import {americaOjinaga} from 'date-fns/esm/timeZone'
+  export default americaOjinaga
+}
+
+declare module 'date-fns/esm/timeZone/America/Panama/index' {
+  import {americaPanama} from 'date-fns/esm/timeZone'
+  export default americaPanama
+}
+
+declare module 'date-fns/esm/timeZone/America/Pangnirtung/index' {
+  import {americaPangnirtung} from 'date-fns/esm/timeZone'
+  export default americaPangnirtung
+}
+
+declare module 'date-fns/esm/timeZone/America/Paramaribo/index' {
+  import {americaParamaribo} from 'date-fns/esm/timeZone'
+  export default americaParamaribo
+}
+
+declare module 'date-fns/esm/timeZone/America/Phoenix/index' {
+  import {americaPhoenix} from 'date-fns/esm/timeZone'
+  export default americaPhoenix
+}
+
+declare module 'date-fns/esm/timeZone/America/Port-au-Prince/index' {
+  import {americaPortAuPrince} from 'date-fns/esm/timeZone'
+  export default americaPortAuPrince
+}
+
+declare module 'date-fns/esm/timeZone/America/Port_of_Spain/index' {
+  import {americaPortOfSpain} from 'date-fns/esm/timeZone'
+  export default americaPortOfSpain
+}
+
+declare module 'date-fns/esm/timeZone/America/Porto_Acre/index' {
+  import {americaPortoAcre} from 'date-fns/esm/timeZone'
+  export default americaPortoAcre
+}
+
+declare module 'date-fns/esm/timeZone/America/Porto_Velho/index' {
+  import {americaPortoVelho} from 'date-fns/esm/timeZone'
+  export default americaPortoVelho
+}
+
+declare module 'date-fns/esm/timeZone/America/Puerto_Rico/index' {
+  import {americaPuertoRico} from 'date-fns/esm/timeZone'
+  export default americaPuertoRico
+}
+
+declare module 'date-fns/esm/timeZone/America/Punta_Arenas/index' {
+  import {americaPuntaArenas} from 'date-fns/esm/timeZone'
+  export default americaPuntaArenas
+}
+
+declare module 'date-fns/esm/timeZone/America/Rainy_River/index' {
+  import {americaRainyRiver} from 'date-fns/esm/timeZone'
+  export default americaRainyRiver
+}
+
+declare module 'date-fns/esm/timeZone/America/Rankin_Inlet/index' {
+  import {americaRankinInlet} from 'date-fns/esm/timeZone'
+  export default americaRankinInlet
+}
+
+declare module 'date-fns/esm/timeZone/America/Recife/index' {
+  import {americaRecife} from 'date-fns/esm/timeZone'
+  export default americaRecife
+}
+
+declare module 'date-fns/esm/timeZone/America/Regina/index' {
+  import {americaRegina} from 'date-fns/esm/timeZone'
+  export default americaRegina
+}
+
+declare module 'date-fns/esm/timeZone/America/Resolute/index' {
+  import {americaResolute} from 'date-fns/esm/timeZone'
+  export default americaResolute
+}
+
+declare module 'date-fns/esm/timeZone/America/Rio_Branco/index' {
+  import {americaRioBranco} from 'date-fns/esm/timeZone'
+  export default americaRioBranco
+}
+
+declare module 'date-fns/esm/timeZone/America/Rosario/index' {
+  import {americaRosario} from 'date-fns/esm/timeZone'
+  export default americaRosario
+}
+
+declare module 'date-fns/esm/timeZone/America/Santa_Isabel/index' {
+  import {americaSantaIsabel} from 'date-fns/esm/timeZone'
+  export default americaSantaIsabel
+}
+
+declare module 'date-fns/esm/timeZone/America/Santarem/index' {
+  import {americaSantarem} from 'date-fns/esm/timeZone'
+  export default americaSantarem
+}
+
+declare module 'date-fns/esm/timeZone/America/Santiago/index' {
+  import {americaSantiago} from 'date-fns/esm/timeZone'
+  export default americaSantiago
+}
+
+declare module 'date-fns/esm/timeZone/America/Santo_Domingo/index' {
+  import {americaSantoDomingo} from 'date-fns/esm/timeZone'
+  export default americaSantoDomingo
+}
+
+declare module 'date-fns/esm/timeZone/America/Sao_Paulo/index' {
+  import {americaSaoPaulo} from 'date-fns/esm/timeZone'
+  export default americaSaoPaulo
+}
+
+declare module 'date-fns/esm/timeZone/America/Scoresbysund/index' {
+  import {americaScoresbysund} from 'date-fns/esm/timeZone'
+  export default americaScoresbysund
+}
+
+declare module 'date-fns/esm/timeZone/America/Shiprock/index' {
+  import {americaShiprock} from 'date-fns/esm/timeZone'
+  export default americaShiprock
+}
+
+declare module 'date-fns/esm/timeZone/America/Sitka/index' {
+  import {americaSitka} from 'date-fns/esm/timeZone'
+  export default americaSitka
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Barthelemy/index' {
+  import {americaStBarthelemy} from 'date-fns/esm/timeZone'
+  export default americaStBarthelemy
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Johns/index' {
+  import {americaStJohns} from 'date-fns/esm/timeZone'
+  export default americaStJohns
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Kitts/index' {
+  import {americaStKitts} from 'date-fns/esm/timeZone'
+  export default americaStKitts
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Lucia/index' {
+  import {americaStLucia} from 'date-fns/esm/timeZone'
+  export default americaStLucia
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Thomas/index' {
+  import {americaStThomas} from 'date-fns/esm/timeZone'
+  export default americaStThomas
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Vincent/index' {
+  import {americaStVincent} from 'date-fns/esm/timeZone'
+  export default americaStVincent
+}
+
+declare module 'date-fns/esm/timeZone/America/Swift_Current/index' {
+  import {americaSwiftCurrent} from 'date-fns/esm/timeZone'
+  export default americaSwiftCurrent
+}
+
+declare module 'date-fns/esm/timeZone/America/Tegucigalpa/index' {
+  import {americaTegucigalpa} from 'date-fns/esm/timeZone'
+  export default americaTegucigalpa
+}
+
+declare module 'date-fns/esm/timeZone/America/Thule/index' {
+  import {americaThule} from 'date-fns/esm/timeZone'
+  export default americaThule
+}
+
+declare module 'date-fns/esm/timeZone/America/Thunder_Bay/index' {
+  import {americaThunderBay} from 'date-fns/esm/timeZone'
+  export default americaThunderBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Tijuana/index' {
+  import {americaTijuana} from 'date-fns/esm/timeZone'
+  export default americaTijuana
+}
+
+declare module 'date-fns/esm/timeZone/America/Toronto/index' {
+  import {americaToronto} from 'date-fns/esm/timeZone'
+  export default americaToronto
+}
+
+declare module 'date-fns/esm/timeZone/America/Tortola/index' {
+  import {americaTortola} from 'date-fns/esm/timeZone'
+  export default americaTortola
+}
+
+declare module 'date-fns/esm/timeZone/America/Vancouver/index' {
+  import {americaVancouver} from 'date-fns/esm/timeZone'
+  export default americaVancouver
+}
+
+declare module 'date-fns/esm/timeZone/America/Virgin/index' {
+  import {americaVirgin} from 'date-fns/esm/timeZone'
+  export default americaVirgin
+}
+
+declare module 'date-fns/esm/timeZone/America/Whitehorse/index' {
+  import {americaWhitehorse} from 'date-fns/esm/timeZone'
+  export default americaWhitehorse
+}
+
+declare module 'date-fns/esm/timeZone/America/Winnipeg/index' {
+  import {americaWinnipeg} from 'date-fns/esm/timeZone'
+  export default americaWinnipeg
+}
+
+declare module 'date-fns/esm/timeZone/America/Yakutat/index' {
+  import {americaYakutat} from 'date-fns/esm/timeZone'
+  export default americaYakutat
+}
+
+declare module 'date-fns/esm/timeZone/America/Yellowknife/index' {
+  import {americaYellowknife} from 'date-fns/esm/timeZone'
+  export default americaYellowknife
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Casey/index' {
+  import {antarcticaCasey} from 'date-fns/esm/timeZone'
+  export default antarcticaCasey
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Davis/index' {
+  import {antarcticaDavis} from 'date-fns/esm/timeZone'
+  export default antarcticaDavis
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/DumontDUrville/index' {
+  import {antarcticaDumontDUrville} from 'date-fns/esm/timeZone'
+  export default antarcticaDumontDUrville
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Macquarie/index' {
+  import {antarcticaMacquarie} from 'date-fns/esm/timeZone'
+  export default antarcticaMacquarie
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Mawson/index' {
+  import {antarcticaMawson} from 'date-fns/esm/timeZone'
+  export default antarcticaMawson
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/McMurdo/index' {
+  import {antarcticaMcMurdo} from 'date-fns/esm/timeZone'
+  export default antarcticaMcMurdo
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Palmer/index' {
+  import {antarcticaPalmer} from 'date-fns/esm/timeZone'
+  export default antarcticaPalmer
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Rothera/index' {
+  import {antarcticaRothera} from 'date-fns/esm/timeZone'
+  export default antarcticaRothera
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/South_Pole/index' {
+  import {antarcticaSouthPole} from 'date-fns/esm/timeZone'
+  export default antarcticaSouthPole
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Syowa/index' {
+  import {antarcticaSyowa} from 'date-fns/esm/timeZone'
+  export default antarcticaSyowa
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Troll/index' {
+  import {antarcticaTroll} from 'date-fns/esm/timeZone'
+  export default antarcticaTroll
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Vostok/index' {
+  import {antarcticaVostok} from 'date-fns/esm/timeZone'
+  export default antarcticaVostok
+}
+
+declare module 'date-fns/esm/timeZone/Arctic/Longyearbyen/index' {
+  import {arcticLongyearbyen} from 'date-fns/esm/timeZone'
+  export default arcticLongyearbyen
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aden/index' {
+  import {asiaAden} from 'date-fns/esm/timeZone'
+  export default asiaAden
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Almaty/index' {
+  import {asiaAlmaty} from 'date-fns/esm/timeZone'
+  export default asiaAlmaty
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Amman/index' {
+  import {asiaAmman} from 'date-fns/esm/timeZone'
+  export default asiaAmman
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Anadyr/index' {
+  import {asiaAnadyr} from 'date-fns/esm/timeZone'
+  export default asiaAnadyr
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aqtau/index' {
+  import {asiaAqtau} from 'date-fns/esm/timeZone'
+  export default asiaAqtau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aqtobe/index' {
+  import {asiaAqtobe} from 'date-fns/esm/timeZone'
+  export default asiaAqtobe
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ashgabat/index' {
+  import {asiaAshgabat} from 'date-fns/esm/timeZone'
+  export default asiaAshgabat
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ashkhabad/index' {
+  import {asiaAshkhabad} from 'date-fns/esm/timeZone'
+  export default asiaAshkhabad
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Atyrau/index' {
+  import {asiaAtyrau} from 'date-fns/esm/timeZone'
+  export default asiaAtyrau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Baghdad/index' {
+  import {asiaBaghdad} from 'date-fns/esm/timeZone'
+  export default asiaBaghdad
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bahrain/index' {
+  import {asiaBahrain} from 'date-fns/esm/timeZone'
+  export default asiaBahrain
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Baku/index' {
+  import {asiaBaku} from 'date-fns/esm/timeZone'
+  export default asiaBaku
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bangkok/index' {
+  import {asiaBangkok} from 'date-fns/esm/timeZone'
+  export default asiaBangkok
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Barnaul/index' {
+  import {asiaBarnaul} from 'date-fns/esm/timeZone'
+  export default asiaBarnaul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Beirut/index' {
+  import {asiaBeirut} from 'date-fns/esm/timeZone'
+  export default asiaBeirut
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bishkek/index' {
+  import {asiaBishkek} from 'date-fns/esm/timeZone'
+  export default asiaBishkek
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Brunei/index' {
+  import {asiaBrunei} from 'date-fns/esm/timeZone'
+  export default asiaBrunei
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Calcutta/index' {
+  import {asiaCalcutta} from 'date-fns/esm/timeZone'
+  export default asiaCalcutta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chita/index' {
+  import {asiaChita} from 'date-fns/esm/timeZone'
+  export default asiaChita
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Choibalsan/index' {
+  import {asiaChoibalsan} from 'date-fns/esm/timeZone'
+  export default asiaChoibalsan
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chongqing/index' {
+  import {asiaChongqing} from 'date-fns/esm/timeZone'
+  export default asiaChongqing
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chungking/index' {
+  import {asiaChungking} from 'date-fns/esm/timeZone'
+  export default asiaChungking
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Colombo/index' {
+  import {asiaColombo} from 'date-fns/esm/timeZone'
+  export default asiaColombo
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dacca/index' {
+  import {asiaDacca} from 'date-fns/esm/timeZone'
+  export default asiaDacca
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Damascus/index' {
+  import {asiaDamascus} from 'date-fns/esm/timeZone'
+  export default asiaDamascus
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dhaka/index' {
+  import {asiaDhaka} from 'date-fns/esm/timeZone'
+  export default asiaDhaka
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dili/index' {
+  import {asiaDili} from 'date-fns/esm/timeZone'
+  export default asiaDili
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dubai/index' {
+  import {asiaDubai} from 'date-fns/esm/timeZone'
+  export default asiaDubai
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dushanbe/index' {
+  import {asiaDushanbe} from 'date-fns/esm/timeZone'
+  export default asiaDushanbe
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Famagusta/index' {
+  import {asiaFamagusta} from 'date-fns/esm/timeZone'
+  export default asiaFamagusta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Gaza/index' {
+  import {asiaGaza} from 'date-fns/esm/timeZone'
+  export default asiaGaza
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Harbin/index' {
+  import {asiaHarbin} from 'date-fns/esm/timeZone'
+  export default asiaHarbin
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hebron/index' {
+  import {asiaHebron} from 'date-fns/esm/timeZone'
+  export default asiaHebron
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ho_Chi_Minh/index' {
+  import {asiaHoChiMinh} from 'date-fns/esm/timeZone'
+  export default asiaHoChiMinh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hong_Kong/index' {
+  import {asiaHongKong} from 'date-fns/esm/timeZone'
+  export default asiaHongKong
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hovd/index' {
+  import {asiaHovd} from 'date-fns/esm/timeZone'
+  export default asiaHovd
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Irkutsk/index' {
+  import {asiaIrkutsk} from 'date-fns/esm/timeZone'
+  export default asiaIrkutsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Istanbul/index' {
+  import {asiaIstanbul} from 'date-fns/esm/timeZone'
+  export default asiaIstanbul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jakarta/index' {
+  import {asiaJakarta} from 'date-fns/esm/timeZone'
+  export default asiaJakarta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jayapura/index' {
+  import {asiaJayapura} from 'date-fns/esm/timeZone'
+  export default asiaJayapura
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jerusalem/index' {
+  import {asiaJerusalem} from 'date-fns/esm/timeZone'
+  export default asiaJerusalem
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kabul/index' {
+  import {asiaKabul} from 'date-fns/esm/timeZone'
+  export default asiaKabul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kamchatka/index' {
+  import {asiaKamchatka} from 'date-fns/esm/timeZone'
+  export default asiaKamchatka
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Karachi/index' {
+  import {asiaKarachi} from 'date-fns/esm/timeZone'
+  export default asiaKarachi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kashgar/index' {
+  import {asiaKashgar} from 'date-fns/esm/timeZone'
+  export default asiaKashgar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kathmandu/index' {
+  import {asiaKathmandu} from 'date-fns/esm/timeZone'
+  export default asiaKathmandu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Katmandu/index' {
+  import {asiaKatmandu} from 'date-fns/esm/timeZone'
+  export default asiaKatmandu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Khandyga/index' {
+  import {asiaKhandyga} from 'date-fns/esm/timeZone'
+  export default asiaKhandyga
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kolkata/index' {
+  import {asiaKolkata} from 'date-fns/esm/timeZone'
+  export default asiaKolkata
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Krasnoyarsk/index' {
+  import {asiaKrasnoyarsk} from 'date-fns/esm/timeZone'
+  export default asiaKrasnoyarsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuala_Lumpur/index' {
+  import {asiaKualaLumpur} from 'date-fns/esm/timeZone'
+  export default asiaKualaLumpur
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuching/index' {
+  import {asiaKuching} from 'date-fns/esm/timeZone'
+  export default asiaKuching
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuwait/index' {
+  import {asiaKuwait} from 'date-fns/esm/timeZone'
+  export default asiaKuwait
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Macao/index' {
+  import {asiaMacao} from 'date-fns/esm/timeZone'
+  export default asiaMacao
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Macau/index' {
+  import {asiaMacau} from 'date-fns/esm/timeZone'
+  export default asiaMacau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Magadan/index' {
+  import {asiaMagadan} from 'date-fns/esm/timeZone'
+  export default asiaMagadan
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Makassar/index' {
+  import {asiaMakassar} from 'date-fns/esm/timeZone'
+  export default asiaMakassar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Manila/index' {
+  import {asiaManila} from 'date-fns/esm/timeZone'
+  export default asiaManila
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Muscat/index' {
+  import {asiaMuscat} from 'date-fns/esm/timeZone'
+  export default asiaMuscat
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Nicosia/index' {
+  import {asiaNicosia} from 'date-fns/esm/timeZone'
+  export default asiaNicosia
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Novokuznetsk/index' {
+  import {asiaNovokuznetsk} from 'date-fns/esm/timeZone'
+  export default asiaNovokuznetsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Novosibirsk/index' {
+  import {asiaNovosibirsk} from 'date-fns/esm/timeZone'
+  export default asiaNovosibirsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Omsk/index' {
+  import {asiaOmsk} from 'date-fns/esm/timeZone'
+  export default asiaOmsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Oral/index' {
+  import {asiaOral} from 'date-fns/esm/timeZone'
+  export default asiaOral
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Phnom_Penh/index' {
+  import {asiaPhnomPenh} from 'date-fns/esm/timeZone'
+  export default asiaPhnomPenh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Pontianak/index' {
+  import {asiaPontianak} from 'date-fns/esm/timeZone'
+  export default asiaPontianak
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Pyongyang/index' {
+  import {asiaPyongyang} from 'date-fns/esm/timeZone'
+  export default asiaPyongyang
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qatar/index' {
+  import {asiaQatar} from 'date-fns/esm/timeZone'
+  export default asiaQatar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qostanay/index' {
+  import {asiaQostanay} from 'date-fns/esm/timeZone'
+  export default asiaQostanay
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qyzylorda/index' {
+  import {asiaQyzylorda} from 'date-fns/esm/timeZone'
+  export default asiaQyzylorda
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Rangoon/index' {
+  import {asiaRangoon} from 'date-fns/esm/timeZone'
+  export default asiaRangoon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Riyadh/index' {
+  import {asiaRiyadh} from 'date-fns/esm/timeZone'
+  export default asiaRiyadh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Saigon/index' {
+  import {asiaSaigon} from 'date-fns/esm/timeZone'
+  export default asiaSaigon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Sakhalin/index' {
+  import {asiaSakhalin} from 'date-fns/esm/timeZone'
+  export default asiaSakhalin
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Samarkand/index' {
+  import {asiaSamarkand} from 'date-fns/esm/timeZone'
+  export default asiaSamarkand
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Seoul/index' {
+  import {asiaSeoul} from 'date-fns/esm/timeZone'
+  export default asiaSeoul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Shanghai/index' {
+  import {asiaShanghai} from 'date-fns/esm/timeZone'
+  export default asiaShanghai
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Singapore/index' {
+  import {asiaSingapore} from 'date-fns/esm/timeZone'
+  export default asiaSingapore
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Srednekolymsk/index' {
+  import {asiaSrednekolymsk} from 'date-fns/esm/timeZone'
+  export default asiaSrednekolymsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Taipei/index' {
+  import {asiaTaipei} from 'date-fns/esm/timeZone'
+  export default asiaTaipei
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tashkent/index' {
+  import {asiaTashkent} from 'date-fns/esm/timeZone'
+  export default asiaTashkent
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tbilisi/index' {
+  import {asiaTbilisi} from 'date-fns/esm/timeZone'
+  export default asiaTbilisi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tehran/index' {
+  import {asiaTehran} from 'date-fns/esm/timeZone'
+  export default asiaTehran
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tel_Aviv/index' {
+  import {asiaTelAviv} from 'date-fns/esm/timeZone'
+  export default asiaTelAviv
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Thimbu/index' {
+  import {asiaThimbu} from 'date-fns/esm/timeZone'
+  export default asiaThimbu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Thimphu/index' {
+  import {asiaThimphu} from 'date-fns/esm/timeZone'
+  export default asiaThimphu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tokyo/index' {
+  import {asiaTokyo} from 'date-fns/esm/timeZone'
+  export default asiaTokyo
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tomsk/index' {
+  import {asiaTomsk} from 'date-fns/esm/timeZone'
+  export default asiaTomsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ujung_Pandang/index' {
+  import {asiaUjungPandang} from 'date-fns/esm/timeZone'
+  export default asiaUjungPandang
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ulaanbaatar/index' {
+  import {asiaUlaanbaatar} from 'date-fns/esm/timeZone'
+  export default asiaUlaanbaatar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ulan_Bator/index' {
+  import {asiaUlanBator} from 'date-fns/esm/timeZone'
+  export default asiaUlanBator
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Urumqi/index' {
+  import {asiaUrumqi} from 'date-fns/esm/timeZone'
+  export default asiaUrumqi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ust-Nera/index' {
+  import {asiaUstNera} from 'date-fns/esm/timeZone'
+  export default asiaUstNera
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Vientiane/index' {
+  import {asiaVientiane} from 'date-fns/esm/timeZone'
+  export default asiaVientiane
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Vladivostok/index' {
+  import {asiaVladivostok} from 'date-fns/esm/timeZone'
+  export default asiaVladivostok
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yakutsk/index' {
+  import {asiaYakutsk} from 'date-fns/esm/timeZone'
+  export default asiaYakutsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yangon/index' {
+  import {asiaYangon} from 'date-fns/esm/timeZone'
+  export default asiaYangon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yekaterinburg/index' {
+  import {asiaYekaterinburg} from 'date-fns/esm/timeZone'
+  export default asiaYekaterinburg
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yerevan/index' {
+  import {asiaYerevan} from 'date-fns/esm/timeZone'
+  export default asiaYerevan
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Azores/index' {
+  import {atlanticAzores} from 'date-fns/esm/timeZone'
+  export default atlanticAzores
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Bermuda/index' {
+  import {atlanticBermuda} from 'date-fns/esm/timeZone'
+  export default atlanticBermuda
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Canary/index' {
+  import {atlanticCanary} from 'date-fns/esm/timeZone'
+  export default atlanticCanary
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Cape_Verde/index' {
+  import {atlanticCapeVerde} from 'date-fns/esm/timeZone'
+  export default atlanticCapeVerde
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Faeroe/index' {
+  import {atlanticFaeroe} from 'date-fns/esm/timeZone'
+  export default atlanticFaeroe
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Faroe/index' {
+  import {atlanticFaroe} from 'date-fns/esm/timeZone'
+  export default atlanticFaroe
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Jan_Mayen/index' {
+  import {atlanticJanMayen} from 'date-fns/esm/timeZone'
+  export default atlanticJanMayen
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Madeira/index' {
+  import {atlanticMadeira} from 'date-fns/esm/timeZone'
+  export default atlanticMadeira
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Reykjavik/index' {
+  import {atlanticReykjavik} from 'date-fns/esm/timeZone'
+  export default atlanticReykjavik
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/South_Georgia/index' {
+  import {atlanticSouthGeorgia} from 'date-fns/esm/timeZone'
+  export default atlanticSouthGeorgia
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/St_Helena/index' {
+  import {atlanticStHelena} from 'date-fns/esm/timeZone'
+  export default atlanticStHelena
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Stanley/index' {
+  import {atlanticStanley} from 'date-fns/esm/timeZone'
+  export default atlanticStanley
+}
+
+declare module 'date-fns/esm/timeZone/Australia/ACT/index' {
+  import {australiaACT} from 'date-fns/esm/timeZone'
+  export default australiaACT
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Adelaide/index' {
+  import {australiaAdelaide} from 'date-fns/esm/timeZone'
+  export default australiaAdelaide
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Brisbane/index' {
+  import {australiaBrisbane} from 'date-fns/esm/timeZone'
+  export default australiaBrisbane
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Broken_Hill/index' {
+  import {australiaBrokenHill} from 'date-fns/esm/timeZone'
+  export default australiaBrokenHill
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Canberra/index' {
+  import {australiaCanberra} from 'date-fns/esm/timeZone'
+  export default australiaCanberra
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Currie/index' {
+  import {australiaCurrie} from 'date-fns/esm/timeZone'
+  export default australiaCurrie
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Darwin/index' {
+  import {australiaDarwin} from 'date-fns/esm/timeZone'
+  export default australiaDarwin
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Eucla/index' {
+  import {australiaEucla} from 'date-fns/esm/timeZone'
+  export default australiaEucla
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Hobart/index' {
+  import {australiaHobart} from 'date-fns/esm/timeZone'
+  export default australiaHobart
+}
+
+declare module 'date-fns/esm/timeZone/Australia/LHI/index' {
+  import {australiaLHI} from 'date-fns/esm/timeZone'
+  export default australiaLHI
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Lindeman/index' {
+  import {australiaLindeman} from 'date-fns/esm/timeZone'
+  export default australiaLindeman
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Lord_Howe/index' {
+  import {australiaLordHowe} from 'date-fns/esm/timeZone'
+  export default australiaLordHowe
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Melbourne/index' {
+  import {australiaMelbourne} from 'date-fns/esm/timeZone'
+  export default australiaMelbourne
+}
+
+declare module 'date-fns/esm/timeZone/Australia/NSW/index' {
+  import {australiaNSW} from 'date-fns/esm/timeZone'
+  export default australiaNSW
+}
+
+declare module 'date-fns/esm/timeZone/Australia/North/index' {
+  import {australiaNorth} from 'date-fns/esm/timeZone'
+  export default australiaNorth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Perth/index' {
+  import {australiaPerth} from 'date-fns/esm/timeZone'
+  export default australiaPerth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Queensland/index' {
+  import {australiaQueensland} from 'date-fns/esm/timeZone'
+  export default australiaQueensland
+}
+
+declare module 'date-fns/esm/timeZone/Australia/South/index' {
+  import {australiaSouth} from 'date-fns/esm/timeZone'
+  export default australiaSouth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Sydney/index' {
+  import {australiaSydney} from 'date-fns/esm/timeZone'
+  export default australiaSydney
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Tasmania/index' {
+  import {australiaTasmania} from 'date-fns/esm/timeZone'
+  export default australiaTasmania
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Victoria/index' {
+  import {australiaVictoria} from 'date-fns/esm/timeZone'
+  export default australiaVictoria
+}
+
+declare module 'date-fns/esm/timeZone/Australia/West/index' {
+  import {australiaWest} from 'date-fns/esm/timeZone'
+  export default australiaWest
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Yancowinna/index' {
+  import {australiaYancowinna} from 'date-fns/esm/timeZone'
+  export default australiaYancowinna
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/Acre/index' {
+  import {brazilAcre} from 'date-fns/esm/timeZone'
+  export default brazilAcre
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/DeNoronha/index' {
+  import {brazilDeNoronha} from 'date-fns/esm/timeZone'
+  export default brazilDeNoronha
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/East/index' {
+  import {brazilEast} from 'date-fns/esm/timeZone'
+  export default brazilEast
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/West/index' {
+  import {brazilWest} from 'date-fns/esm/timeZone'
+  export default brazilWest
+}
+
+declare module 'date-fns/esm/timeZone/CET/index' {
+  import {cet} from 'date-fns/esm/timeZone'
+  export default cet
+}
+
+declare module 'date-fns/esm/timeZone/CST6CDT/index' {
+  import {cst6cdt} from 'date-fns/esm/timeZone'
+  export default cst6cdt
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Atlantic/index' {
+  import {canadaAtlantic} from 'date-fns/esm/timeZone'
+  export default canadaAtlantic
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Central/index' {
+  import {canadaCentral} from 'date-fns/esm/timeZone'
+  export default canadaCentral
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Eastern/index' {
+  import {canadaEastern} from 'date-fns/esm/timeZone'
+  export default canadaEastern
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Mountain/index' {
+  import {canadaMountain} from 'date-fns/esm/timeZone'
+  export default canadaMountain
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Newfoundland/index' {
+  import {canadaNewfoundland} from 'date-fns/esm/timeZone'
+  export default canadaNewfoundland
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Pacific/index' {
+  import {canadaPacific} from 'date-fns/esm/timeZone'
+  export default canadaPacific
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Saskatchewan/index' {
+  import {canadaSaskatchewan} from 'date-fns/esm/timeZone'
+  export default canadaSaskatchewan
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Yukon/index' {
+  import {canadaYukon} from 'date-fns/esm/timeZone'
+  export default canadaYukon
+}
+
+declare module 'date-fns/esm/timeZone/Chile/Continental/index' {
+  import {chileContinental} from 'date-fns/esm/timeZone'
+  export default chileContinental
+}
+
+declare module 'date-fns/esm/timeZone/Chile/EasterIsland/index' {
+  import {chileEasterIsland} from 'date-fns/esm/timeZone'
+  export default chileEasterIsland
+}
+
+declare module 'date-fns/esm/timeZone/Cuba/index' {
+  import {cuba} from 'date-fns/esm/timeZone'
+  export default cuba
+}
+
+declare module 'date-fns/esm/timeZone/EET/index' {
+  import {eet} from 'date-fns/esm/timeZone'
+  export default eet
+}
+
+declare module 'date-fns/esm/timeZone/EST/index' {
+  import {est} from 'date-fns/esm/timeZone'
+  export default est
+}
+
+declare module 'date-fns/esm/timeZone/EST5EDT/index' {
+  import {est5edt} from 'date-fns/esm/timeZone'
+  export default est5edt
+}
+
+declare module 'date-fns/esm/timeZone/Egypt/index' {
+  import {egypt} from 'date-fns/esm/timeZone'
+  export default egypt
+}
+
+declare module 'date-fns/esm/timeZone/Eire/index' {
+  import {eire} from 'date-fns/esm/timeZone'
+  export default eire
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT/index' {
+  import {etcGMT} from 'date-fns/esm/timeZone'
+  export default etcGMT
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+0/index' {
+  import {etcGMTPlus0} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+1/index' {
+  import {etcGMTPlus1} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus1
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+10/index' {
+  import {etcGMTPlus10} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus10
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+11/index' {
+  import {etcGMTPlus11} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus11
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+12/index' {
+  import {etcGMTPlus12} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus12
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+2/index' {
+  import {etcGMTPlus2} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus2
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+3/index' {
+  import {etcGMTPlus3} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus3
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+4/index' {
+  import {etcGMTPlus4} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus4
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+5/index' {
+  import {etcGMTPlus5} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus5
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+6/index' {
+  import {etcGMTPlus6} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus6
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+7/index' {
+  import {etcGMTPlus7} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus7
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+8/index' {
+  import {etcGMTPlus8} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus8
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+9/index' {
+  import {etcGMTPlus9} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus9
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-0/index' {
+  import {etcGMTMinus0} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-1/index' {
+  import {etcGMTMinus1} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus1
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-10/index' {
+  import {etcGMTMinus10} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus10
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-11/index' {
+  import {etcGMTMinus11} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus11
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-12/index' {
+  import {etcGMTMinus12} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus12
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-13/index' {
+  import {etcGMTMinus13} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus13
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-14/index' {
+  import {etcGMTMinus14} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus14
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-2/index' {
+  import {etcGMTMinus2} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus2
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-3/index' {
+  import {etcGMTMinus3} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus3
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-4/index' {
+  import {etcGMTMinus4} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus4
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-5/index' {
+  import {etcGMTMinus5} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus5
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-6/index' {
+  import {etcGMTMinus6} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus6
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-7/index' {
+  import {etcGMTMinus7} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus7
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-8/index' {
+  import {etcGMTMinus8} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus8
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-9/index' {
+  import {etcGMTMinus9} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus9
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT0/index' {
+  import {etcGMT0} from 'date-fns/esm/timeZone'
+  export default etcGMT0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Greenwich/index' {
+  import {etcGreenwich} from 'date-fns/esm/timeZone'
+  export default etcGreenwich
+}
+
+declare module 'date-fns/esm/timeZone/Etc/UCT/index' {
+  import {etcUCT} from 'date-fns/esm/timeZone'
+  export default etcUCT
+}
+
+declare module 'date-fns/esm/timeZone/Etc/UTC/index' {
+  import {etcUTC} from 'date-fns/esm/timeZone'
+  export default etcUTC
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Universal/index' {
+  import {etcUniversal} from 'date-fns/esm/timeZone'
+  export default etcUniversal
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Zulu/index' {
+  import {etcZulu} from 'date-fns/esm/timeZone'
+  export default etcZulu
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Amsterdam/index' {
+  import {europeAmsterdam} from 'date-fns/esm/timeZone'
+  export default europeAmsterdam
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Andorra/index' {
+  import {europeAndorra} from 'date-fns/esm/timeZone'
+  export default europeAndorra
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Astrakhan/index' {
+  import {europeAstrakhan} from 'date-fns/esm/timeZone'
+  export default europeAstrakhan
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Athens/index' {
+  import {europeAthens} from 'date-fns/esm/timeZone'
+  export default europeAthens
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Belfast/index' {
+  import {europeBelfast} from 'date-fns/esm/timeZone'
+  export default europeBelfast
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Belgrade/index' {
+  import {europeBelgrade} from 'date-fns/esm/timeZone'
+  export default europeBelgrade
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Berlin/index' {
+  import {europeBerlin} from 'date-fns/esm/timeZone'
+  export default europeBerlin
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Bratislava/index' {
+  import {europeBratislava} from 'date-fns/esm/timeZone'
+  export default europeBratislava
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Brussels/index' {
+  import {europeBrussels} from 'date-fns/esm/timeZone'
+  export default europeBrussels
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Bucharest/index' {
+  import {europeBucharest} from 'date-fns/esm/timeZone'
+  export default europeBucharest
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Budapest/index' {
+  import {europeBudapest} from 'date-fns/esm/timeZone'
+  export default europeBudapest
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Busingen/index' {
+  import {europeBusingen} from 'date-fns/esm/timeZone'
+  export default europeBusingen
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Chisinau/index' {
+  import {europeChisinau} from 'date-fns/esm/timeZone'
+  export default europeChisinau
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Copenhagen/index' {
+  import {europeCopenhagen} from 'date-fns/esm/timeZone'
+  export default europeCopenhagen
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Dublin/index' {
+  import {europeDublin} from 'date-fns/esm/timeZone'
+  export default europeDublin
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Gibraltar/index' {
+  import {europeGibraltar} from 'date-fns/esm/timeZone'
+  export default europeGibraltar
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Guernsey/index' {
+  import {europeGuernsey} from 'date-fns/esm/timeZone'
+  export default europeGuernsey
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Helsinki/index' {
+  import {europeHelsinki} from 'date-fns/esm/timeZone'
+  export default europeHelsinki
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Isle_of_Man/index' {
+  import {europeIsleOfMan} from 'date-fns/esm/timeZone'
+  export default europeIsleOfMan
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Istanbul/index' {
+  import {europeIstanbul} from 'date-fns/esm/timeZone'
+  export default europeIstanbul
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Jersey/index' {
+  import {europeJersey} from 'date-fns/esm/timeZone'
+  export default europeJersey
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kaliningrad/index' {
+  import {europeKaliningrad} from 'date-fns/esm/timeZone'
+  export default europeKaliningrad
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kiev/index' {
+  import {europeKiev} from 'date-fns/esm/timeZone'
+  export default europeKiev
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kirov/index' {
+  import {europeKirov} from 'date-fns/esm/timeZone'
+  export default europeKirov
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kyiv/index' {
+  import {europeKyiv} from 'date-fns/esm/timeZone'
+  export default europeKyiv
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Lisbon/index' {
+  import {europeLisbon} from 'date-fns/esm/timeZone'
+  export default europeLisbon
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Ljubljana/index' {
+  import {europeLjubljana} from 'date-fns/esm/timeZone'
+  export default europeLjubljana
+}
+
+declare module 'date-fns/esm/timeZone/Europe/London/index' {
+  import {europeLondon} from 'date-fns/esm/timeZone'
+  export default europeLondon
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Luxembourg/index' {
+  import {europeLuxembourg} from 'date-fns/esm/timeZone'
+  export default europeLuxembourg
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Madrid/index' {
+  import {europeMadrid} from 'date-fns/esm/timeZone'
+  export default europeMadrid
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Malta/index' {
+  import {europeMalta} from 'date-fns/esm/timeZone'
+  export default europeMalta
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Mariehamn/index' {
+  import {europeMariehamn} from 'date-fns/esm/timeZone'
+  export default europeMariehamn
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Minsk/index' {
+  import {europeMinsk} from 'date-fns/esm/timeZone'
+  export default europeMinsk
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Monaco/index' {
+  import {europeMonaco} from 'date-fns/esm/timeZone'
+  export default europeMonaco
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Moscow/index' {
+  import {europeMoscow} from 'date-fns/esm/timeZone'
+  export default europeMoscow
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Nicosia/index' {
+  import {europeNicosia} from 'date-fns/esm/timeZone'
+  export default europeNicosia
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Oslo/index' {
+  import {europeOslo} from 'date-fns/esm/timeZone'
+  export default europeOslo
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Paris/index' {
+  import {europeParis} from 'date-fns/esm/timeZone'
+  export default europeParis
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Podgorica/index' {
+  import {europePodgorica} from 'date-fns/esm/timeZone'
+  export default europePodgorica
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Prague/index' {
+  import {europePrague} from 'date-fns/esm/timeZone'
+  export default europePrague
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Riga/index' {
+  import {europeRiga} from 'date-fns/esm/timeZone'
+  export default europeRiga
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Rome/index' {
+  import {europeRome} from 'date-fns/esm/timeZone'
+  export default europeRome
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Samara/index' {
+  import {europeSamara} from 'date-fns/esm/timeZone'
+  export default europeSamara
+}
+
+declare module 'date-fns/esm/timeZone/Europe/San_Marino/index' {
+  import {europeSanMarino} from 'date-fns/esm/timeZone'
+  export default europeSanMarino
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Sarajevo/index' {
+  import {europeSarajevo} from 'date-fns/esm/timeZone'
+  export default europeSarajevo
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Saratov/index' {
+  import {europeSaratov} from 'date-fns/esm/timeZone'
+  export default europeSaratov
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Simferopol/index' {
+  import {europeSimferopol} from 'date-fns/esm/timeZone'
+  export default europeSimferopol
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Skopje/index' {
+  import {europeSkopje} from 'date-fns/esm/timeZone'
+  export default europeSkopje
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Sofia/index' {
+  import {europeSofia} from 'date-fns/esm/timeZone'
+  export default europeSofia
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Stockholm/index' {
+  import {europeStockholm} from 'date-fns/esm/timeZone'
+  export default europeStockholm
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tallinn/index' {
+  import {europeTallinn} from 'date-fns/esm/timeZone'
+  export default europeTallinn
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tirane/index' {
+  import {europeTirane} from 'date-fns/esm/timeZone'
+  export default europeTirane
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tiraspol/index' {
+  import {europeTiraspol} from 'date-fns/esm/timeZone'
+  export default europeTiraspol
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Ulyanovsk/index' {
+  import {europeUlyanovsk} from 'date-fns/esm/timeZone'
+  export default europeUlyanovsk
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Uzhgorod/index' {
+  import {europeUzhgorod} from 'date-fns/esm/timeZone'
+  export default europeUzhgorod
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vaduz/index' {
+  import {europeVaduz} from 'date-fns/esm/timeZone'
+  export default europeVaduz
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vatican/index' {
+  import {europeVatican} from 'date-fns/esm/timeZone'
+  export default europeVatican
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vienna/index' {
+  import {europeVienna} from 'date-fns/esm/timeZone'
+  export default europeVienna
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vilnius/index' {
+  import {europeVilnius} from 'date-fns/esm/timeZone'
+  export default europeVilnius
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Volgograd/index' {
+  import {europeVolgograd} from 'date-fns/esm/timeZone'
+  export default europeVolgograd
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Warsaw/index' {
+  import {europeWarsaw} from 'date-fns/esm/timeZone'
+  export default europeWarsaw
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zagreb/index' {
+  import {europeZagreb} from 'date-fns/esm/timeZone'
+  export default europeZagreb
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zaporozhye/index' {
+  import {europeZaporozhye} from 'date-fns/esm/timeZone'
+  export default europeZaporozhye
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zurich/index' {
+  import {europeZurich} from 'date-fns/esm/timeZone'
+  export default europeZurich
+}
+
+declare module 'date-fns/esm/timeZone/GB/index' {
+  import {gb} from 'date-fns/esm/timeZone'
+  export default gb
+}
+
+declare module 'date-fns/esm/timeZone/GB-Eire/index' {
+  import {gbEire} from 'date-fns/esm/timeZone'
+  export default gbEire
+}
+
+declare module 'date-fns/esm/timeZone/GMT/index' {
+  import {gmt} from 'date-fns/esm/timeZone'
+  export default gmt
+}
+
+declare module 'date-fns/esm/timeZone/GMT+0/index' {
+  import {gmtPlus0} from 'date-fns/esm/timeZone'
+  export default gmtPlus0
+}
+
+declare module 'date-fns/esm/timeZone/GMT-0/index' {
+  import {gmtMinus0} from 'date-fns/esm/timeZone'
+  export default gmtMinus0
+}
+
+declare module 'date-fns/esm/timeZone/GMT0/index' {
+  import {gmt0} from 'date-fns/esm/timeZone'
+  export default gmt0
+}
+
+declare module 'date-fns/esm/timeZone/Greenwich/index' {
+  import {greenwich} from 'date-fns/esm/timeZone'
+  export default greenwich
+}
+
+declare module 'date-fns/esm/timeZone/HST/index' {
+  import {hst} from 'date-fns/esm/timeZone'
+  export default hst
+}
+
+declare module 'date-fns/esm/timeZone/Hongkong/index' {
+  import {hongkong} from 'date-fns/esm/timeZone'
+  export default hongkong
+}
+
+declare module 'date-fns/esm/timeZone/Iceland/index' {
+  import {iceland} from 'date-fns/esm/timeZone'
+  export default iceland
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Antananarivo/index' {
+  import {indianAntananarivo} from 'date-fns/esm/timeZone'
+  export default indianAntananarivo
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Chagos/index' {
+  import {indianChagos} from 'date-fns/esm/timeZone'
+  export default indianChagos
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Christmas/index' {
+  import {indianChristmas} from 'date-fns/esm/timeZone'
+  export default indianChristmas
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Cocos/index' {
+  import {indianCocos} from 'date-fns/esm/timeZone'
+  export default indianCocos
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Comoro/index' {
+  import {indianComoro} from 'date-fns/esm/timeZone'
+  export default indianComoro
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Kerguelen/index' {
+  import {indianKerguelen} from 'date-fns/esm/timeZone'
+  export default indianKerguelen
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mahe/index' {
+  import {indianMahe} from 'date-fns/esm/timeZone'
+  export default indianMahe
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Maldives/index' {
+  import {indianMaldives} from 'date-fns/esm/timeZone'
+  export default indianMaldives
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mauritius/index' {
+  import {indianMauritius} from 'date-fns/esm/timeZone'
+  export default indianMauritius
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mayotte/index' {
+  import {indianMayotte} from 'date-fns/esm/timeZone'
+  export default indianMayotte
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Reunion/index' {
+  import {indianReunion} from 'date-fns/esm/timeZone'
+  export default indianReunion
+}
+
+declare module 'date-fns/esm/timeZone/Iran/index' {
+  import {iran} from 'date-fns/esm/timeZone'
+  export default iran
+}
+
+declare module 'date-fns/esm/timeZone/Israel/index' {
+  import {israel} from 'date-fns/esm/timeZone'
+  export default israel
+}
+
+declare module 'date-fns/esm/timeZone/Jamaica/index' {
+  import {jamaica} from 'date-fns/esm/timeZone'
+  export default jamaica
+}
+
+declare module 'date-fns/esm/timeZone/Japan/index' {
+  import {japan} from 'date-fns/esm/timeZone'
+  export default japan
+}
+
+declare module 'date-fns/esm/timeZone/Kwajalein/index' {
+  import {kwajalein} from 'date-fns/esm/timeZone'
+  export default kwajalein
+}
+
+declare module 'date-fns/esm/timeZone/Libya/index' {
+  import {libya} from 'date-fns/esm/timeZone'
+  export default libya
+}
+
+declare module 'date-fns/esm/timeZone/MET/index' {
+  import {met} from 'date-fns/esm/timeZone'
+  export default met
+}
+
+declare module 'date-fns/esm/timeZone/MST/index' {
+  import {mst} from 'date-fns/esm/timeZone'
+  export default mst
+}
+
+declare module 'date-fns/esm/timeZone/MST7MDT/index' {
+  import {mst7mdt} from 'date-fns/esm/timeZone'
+  export default mst7mdt
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/BajaNorte/index' {
+  import {mexicoBajaNorte} from 'date-fns/esm/timeZone'
+  export default mexicoBajaNorte
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/BajaSur/index' {
+  import {mexicoBajaSur} from 'date-fns/esm/timeZone'
+  export default mexicoBajaSur
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/General/index' {
+  import {mexicoGeneral} from 'date-fns/esm/timeZone'
+  export default mexicoGeneral
+}
+
+declare module 'date-fns/esm/timeZone/NZ/index' {
+  import {nz} from 'date-fns/esm/timeZone'
+  export default nz
+}
+
+declare module 'date-fns/esm/timeZone/NZ-CHAT/index' {
+  import {nzCHAT} from 'date-fns/esm/timeZone'
+  export default nzCHAT
+}
+
+declare module 'date-fns/esm/timeZone/Navajo/index' {
+  import {navajo} from 'date-fns/esm/timeZone'
+  export default navajo
+}
+
+declare module 'date-fns/esm/timeZone/PRC/index' {
+  import {prc} from 'date-fns/esm/timeZone'
+  export default prc
+}
+
+declare module 'date-fns/esm/timeZone/PST8PDT/index' {
+  import {pst8pdt} from 'date-fns/esm/timeZone'
+  export default pst8pdt
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Apia/index' {
+  import {pacificApia} from 'date-fns/esm/timeZone'
+  export default pacificApia
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Auckland/index' {
+  import {pacificAuckland} from 'date-fns/esm/timeZone'
+  export default pacificAuckland
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Bougainville/index' {
+  import {pacificBougainville} from 'date-fns/esm/timeZone'
+  export default pacificBougainville
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Chatham/index' {
+  import {pacificChatham} from 'date-fns/esm/timeZone'
+  export default pacificChatham
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Chuuk/index' {
+  import {pacificChuuk} from 'date-fns/esm/timeZone'
+  export default pacificChuuk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Easter/index' {
+  import {pacificEaster} from 'date-fns/esm/timeZone'
+  export default pacificEaster
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Efate/index' {
+  import {pacificEfate} from 'date-fns/esm/timeZone'
+  export default pacificEfate
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Enderbury/index' {
+  import {pacificEnderbury} from 'date-fns/esm/timeZone'
+  export default pacificEnderbury
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Fakaofo/index' {
+  import {pacificFakaofo} from 'date-fns/esm/timeZone'
+  export default pacificFakaofo
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Fiji/index' {
+  import {pacificFiji} from 'date-fns/esm/timeZone'
+  export default pacificFiji
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Funafuti/index' {
+  import {pacificFunafuti} from 'date-fns/esm/timeZone'
+  export default pacificFunafuti
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Galapagos/index' {
+  import {pacificGalapagos} from 'date-fns/esm/timeZone'
+  export default pacificGalapagos
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Gambier/index' {
+  import {pacificGambier} from 'date-fns/esm/timeZone'
+  export default pacificGambier
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Guadalcanal/index' {
+  import {pacificGuadalcanal} from 'date-fns/esm/timeZone'
+  export default pacificGuadalcanal
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Guam/index' {
+  import {pacificGuam} from 'date-fns/esm/timeZone'
+  export default pacificGuam
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Honolulu/index' {
+  import {pacificHonolulu} from 'date-fns/esm/timeZone'
+  export default pacificHonolulu
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Johnston/index' {
+  import {pacificJohnston} from 'date-fns/esm/timeZone'
+  export default pacificJohnston
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kanton/index' {
+  import {pacificKanton} from 'date-fns/esm/timeZone'
+  export default pacificKanton
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kiritimati/index' {
+  import {pacificKiritimati} from 'date-fns/esm/timeZone'
+  export default pacificKiritimati
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kosrae/index' {
+  import {pacificKosrae} from 'date-fns/esm/timeZone'
+  export default pacificKosrae
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kwajalein/index' {
+  import {pacificKwajalein} from 'date-fns/esm/timeZone'
+  export default pacificKwajalein
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Majuro/index' {
+  import {pacificMajuro} from 'date-fns/esm/timeZone'
+  export default pacificMajuro
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Marquesas/index' {
+  import {pacificMarquesas} from 'date-fns/esm/timeZone'
+  export default pacificMarquesas
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Midway/index' {
+  import {pacificMidway} from 'date-fns/esm/timeZone'
+  export default pacificMidway
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Nauru/index' {
+  import {pacificNauru} from 'date-fns/esm/timeZone'
+  export default pacificNauru
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Niue/index' {
+  import {pacificNiue} from 'date-fns/esm/timeZone'
+  export default pacificNiue
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Norfolk/index' {
+  import {pacificNorfolk} from 'date-fns/esm/timeZone'
+  export default pacificNorfolk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Noumea/index' {
+  import {pacificNoumea} from 'date-fns/esm/timeZone'
+  export default pacificNoumea
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pago_Pago/index' {
+  import {pacificPagoPago} from 'date-fns/esm/timeZone'
+  export default pacificPagoPago
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Palau/index' {
+  import {pacificPalau} from 'date-fns/esm/timeZone'
+  export default pacificPalau
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pitcairn/index' {
+  import {pacificPitcairn} from 'date-fns/esm/timeZone'
+  export default pacificPitcairn
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pohnpei/index' {
+  import {pacificPohnpei} from 'date-fns/esm/timeZone'
+  export default pacificPohnpei
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Ponape/index' {
+  import {pacificPonape} from 'date-fns/esm/timeZone'
+  export default pacificPonape
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Port_Moresby/index' {
+  import {pacificPortMoresby} from 'date-fns/esm/timeZone'
+  export default pacificPortMoresby
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Rarotonga/index' {
+  import {pacificRarotonga} from 'date-fns/esm/timeZone'
+  export default pacificRarotonga
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Saipan/index' {
+  import {pacificSaipan} from 'date-fns/esm/timeZone'
+  export default pacificSaipan
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Samoa/index' {
+  import {pacificSamoa} from 'date-fns/esm/timeZone'
+  export default pacificSamoa
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tahiti/index' {
+  import {pacificTahiti} from 'date-fns/esm/timeZone'
+  export default pacificTahiti
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tarawa/index' {
+  import {pacificTarawa} from 'date-fns/esm/timeZone'
+  export default pacificTarawa
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tongatapu/index' {
+  import {pacificTongatapu} from 'date-fns/esm/timeZone'
+  export default pacificTongatapu
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Truk/index' {
+  import {pacificTruk} from 'date-fns/esm/timeZone'
+  export default pacificTruk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Wake/index' {
+  import {pacificWake} from 'date-fns/esm/timeZone'
+  export default pacificWake
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Wallis/index' {
+  import {pacificWallis} from 'date-fns/esm/timeZone'
+  export default pacificWallis
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Yap/index' {
+  import {pacificYap} from 'date-fns/esm/timeZone'
+  export default pacificYap
+}
+
+declare module 'date-fns/esm/timeZone/Poland/index' {
+  import {poland} from 'date-fns/esm/timeZone'
+  export default poland
+}
+
+declare module 'date-fns/esm/timeZone/Portugal/index' {
+  import {portugal} from 'date-fns/esm/timeZone'
+  export default portugal
+}
+
+declare module 'date-fns/esm/timeZone/ROC/index' {
+  import {roc} from 'date-fns/esm/timeZone'
+  export default roc
+}
+
+declare module 'date-fns/esm/timeZone/ROK/index' {
+  import {rok} from 'date-fns/esm/timeZone'
+  export default rok
+}
+
+declare module 'date-fns/esm/timeZone/Singapore/index' {
+  import {singapore} from 'date-fns/esm/timeZone'
+  export default singapore
+}
+
+declare module 'date-fns/esm/timeZone/Turkey/index' {
+  import {turkey} from 'date-fns/esm/timeZone'
+  export default turkey
+}
+
+declare module 'date-fns/esm/timeZone/UCT/index' {
+  import {uct} from 'date-fns/esm/timeZone'
+  export default uct
+}
+
+declare module 'date-fns/esm/timeZone/US/Alaska/index' {
+  import {usAlaska} from 'date-fns/esm/timeZone'
+  export default usAlaska
+}
+
+declare module 'date-fns/esm/timeZone/US/Aleutian/index' {
+  import {usAleutian} from 'date-fns/esm/timeZone'
+  export default usAleutian
+}
+
+declare module 'date-fns/esm/timeZone/US/Arizona/index' {
+  import {usArizona} from 'date-fns/esm/timeZone'
+  export default usArizona
+}
+
+declare module 'date-fns/esm/timeZone/US/Central/index' {
+  import {usCentral} from 'date-fns/esm/timeZone'
+  export default usCentral
+}
+
+declare module 'date-fns/esm/timeZone/US/East-Indiana/index' {
+  import {usEastIndiana} from 'date-fns/esm/timeZone'
+  export default usEastIndiana
+}
+
+declare module 'date-fns/esm/timeZone/US/Eastern/index' {
+  import {usEastern} from 'date-fns/esm/timeZone'
+  export default usEastern
+}
+
+declare module 'date-fns/esm/timeZone/US/Hawaii/index' {
+  import {usHawaii} from 'date-fns/esm/timeZone'
+  export default usHawaii
+}
+
+declare module 'date-fns/esm/timeZone/US/Indiana-Starke/index' {
+  import {usIndianaStarke} from 'date-fns/esm/timeZone'
+  export default usIndianaStarke
+}
+
+declare module 'date-fns/esm/timeZone/US/Michigan/index' {
+  import {usMichigan} from 'date-fns/esm/timeZone'
+  export default usMichigan
+}
+
+declare module 'date-fns/esm/timeZone/US/Mountain/index' {
+  import {usMountain} from 'date-fns/esm/timeZone'
+  export default usMountain
+}
+
+declare module 'date-fns/esm/timeZone/US/Pacific/index' {
+  import {usPacific} from 'date-fns/esm/timeZone'
+  export default usPacific
+}
+
+declare module 'date-fns/esm/timeZone/US/Samoa/index' {
+  import {usSamoa} from 'date-fns/esm/timeZone'
+  export default usSamoa
+}
+
+declare module 'date-fns/esm/timeZone/UTC/index' {
+  import {utc} from 'date-fns/esm/timeZone'
+  export default utc
+}
+
+declare module 'date-fns/esm/timeZone/Universal/index' {
+  import {universal} from 'date-fns/esm/timeZone'
+  export default universal
+}
+
+declare module 'date-fns/esm/timeZone/W-SU/index' {
+  import {wSU} from 'date-fns/esm/timeZone'
+  export default wSU
+}
+
+declare module 'date-fns/esm/timeZone/WET/index' {
+  import {wet} from 'date-fns/esm/timeZone'
+  export default wet
+}
+
+declare module 'date-fns/esm/timeZone/Zulu/index' {
+  import {zulu} from 'date-fns/esm/timeZone'
+  export default zulu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Abidjan/index.js' {
+  import {africaAbidjan} from 'date-fns/esm/timeZone'
+  export default africaAbidjan
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Accra/index.js' {
+  import {africaAccra} from 'date-fns/esm/timeZone'
+  export default africaAccra
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Addis_Ababa/index.js' {
+  import {africaAddisAbaba} from 'date-fns/esm/timeZone'
+  export default africaAddisAbaba
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Algiers/index.js' {
+  import {africaAlgiers} from 'date-fns/esm/timeZone'
+  export default africaAlgiers
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Asmara/index.js' {
+  import {africaAsmara} from 'date-fns/esm/timeZone'
+  export default africaAsmara
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Asmera/index.js' {
+  import {africaAsmera} from 'date-fns/esm/timeZone'
+  export default africaAsmera
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bamako/index.js' {
+  import {africaBamako} from 'date-fns/esm/timeZone'
+  export default africaBamako
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bangui/index.js' {
+  import {africaBangui} from 'date-fns/esm/timeZone'
+  export default africaBangui
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Banjul/index.js' {
+  import {africaBanjul} from 'date-fns/esm/timeZone'
+  export default africaBanjul
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bissau/index.js' {
+  import {africaBissau} from 'date-fns/esm/timeZone'
+  export default africaBissau
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Blantyre/index.js' {
+  import {africaBlantyre} from 'date-fns/esm/timeZone'
+  export default africaBlantyre
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Brazzaville/index.js' {
+  import {africaBrazzaville} from 'date-fns/esm/timeZone'
+  export default africaBrazzaville
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Bujumbura/index.js' {
+  import {africaBujumbura} from 'date-fns/esm/timeZone'
+  export default africaBujumbura
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Cairo/index.js' {
+  import {africaCairo} from 'date-fns/esm/timeZone'
+  export default africaCairo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Casablanca/index.js' {
+  import {africaCasablanca} from 'date-fns/esm/timeZone'
+  export default africaCasablanca
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ceuta/index.js' {
+  import {africaCeuta} from 'date-fns/esm/timeZone'
+  export default africaCeuta
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Conakry/index.js' {
+  import {africaConakry} from 'date-fns/esm/timeZone'
+  export default africaConakry
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Dakar/index.js' {
+  import {africaDakar} from 'date-fns/esm/timeZone'
+  export default africaDakar
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Dar_es_Salaam/index.js' {
+  import {africaDarEsSalaam} from 'date-fns/esm/timeZone'
+  export default africaDarEsSalaam
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Djibouti/index.js' {
+  import {africaDjibouti} from 'date-fns/esm/timeZone'
+  export default africaDjibouti
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Douala/index.js' {
+  import {africaDouala} from 'date-fns/esm/timeZone'
+  export default africaDouala
+}
+
+declare module 'date-fns/esm/timeZone/Africa/El_Aaiun/index.js' {
+  import {africaElAaiun} from 'date-fns/esm/timeZone'
+  export default africaElAaiun
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Freetown/index.js' {
+  import {africaFreetown} from 'date-fns/esm/timeZone'
+  export default africaFreetown
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Gaborone/index.js' {
+  import {africaGaborone} from 'date-fns/esm/timeZone'
+  export default africaGaborone
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Harare/index.js' {
+  import {africaHarare} from 'date-fns/esm/timeZone'
+  export default africaHarare
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Johannesburg/index.js' {
+  import {africaJohannesburg} from 'date-fns/esm/timeZone'
+  export default africaJohannesburg
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Juba/index.js' {
+  import {africaJuba} from 'date-fns/esm/timeZone'
+  export default africaJuba
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kampala/index.js' {
+  import {africaKampala} from 'date-fns/esm/timeZone'
+  export default africaKampala
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Khartoum/index.js' {
+  import {africaKhartoum} from 'date-fns/esm/timeZone'
+  export default africaKhartoum
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kigali/index.js' {
+  import {africaKigali} from 'date-fns/esm/timeZone'
+  export default africaKigali
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Kinshasa/index.js' {
+  import {africaKinshasa} from 'date-fns/esm/timeZone'
+  export default africaKinshasa
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lagos/index.js' {
+  import {africaLagos} from 'date-fns/esm/timeZone'
+  export default africaLagos
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Libreville/index.js' {
+  import {africaLibreville} from 'date-fns/esm/timeZone'
+  export default africaLibreville
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lome/index.js' {
+  import {africaLome} from 'date-fns/esm/timeZone'
+  export default africaLome
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Luanda/index.js' {
+  import {africaLuanda} from 'date-fns/esm/timeZone'
+  export default africaLuanda
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lubumbashi/index.js' {
+  import {africaLubumbashi} from 'date-fns/esm/timeZone'
+  export default africaLubumbashi
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Lusaka/index.js' {
+  import {africaLusaka} from 'date-fns/esm/timeZone'
+  export default africaLusaka
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Malabo/index.js' {
+  import {africaMalabo} from 'date-fns/esm/timeZone'
+  export default africaMalabo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Maputo/index.js' {
+  import {africaMaputo} from 'date-fns/esm/timeZone'
+  export default africaMaputo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Maseru/index.js' {
+  import {africaMaseru} from 'date-fns/esm/timeZone'
+  export default africaMaseru
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Mbabane/index.js' {
+  import {africaMbabane} from 'date-fns/esm/timeZone'
+  export default africaMbabane
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Mogadishu/index.js' {
+  import {africaMogadishu} from 'date-fns/esm/timeZone'
+  export default africaMogadishu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Monrovia/index.js' {
+  import {africaMonrovia} from 'date-fns/esm/timeZone'
+  export default africaMonrovia
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Nairobi/index.js' {
+  import {africaNairobi} from 'date-fns/esm/timeZone'
+  export default africaNairobi
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ndjamena/index.js' {
+  import {africaNdjamena} from 'date-fns/esm/timeZone'
+  export default africaNdjamena
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Niamey/index.js' {
+  import {africaNiamey} from 'date-fns/esm/timeZone'
+  export default africaNiamey
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Nouakchott/index.js' {
+  import {africaNouakchott} from 'date-fns/esm/timeZone'
+  export default africaNouakchott
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Ouagadougou/index.js' {
+  import {africaOuagadougou} from 'date-fns/esm/timeZone'
+  export default africaOuagadougou
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Porto-Novo/index.js' {
+  import {africaPortoNovo} from 'date-fns/esm/timeZone'
+  export default africaPortoNovo
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Sao_Tome/index.js' {
+  import {africaSaoTome} from 'date-fns/esm/timeZone'
+  export default africaSaoTome
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Timbuktu/index.js' {
+  import {africaTimbuktu} from 'date-fns/esm/timeZone'
+  export default africaTimbuktu
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Tripoli/index.js' {
+  import {africaTripoli} from 'date-fns/esm/timeZone'
+  export default africaTripoli
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Tunis/index.js' {
+  import {africaTunis} from 'date-fns/esm/timeZone'
+  export default africaTunis
+}
+
+declare module 'date-fns/esm/timeZone/Africa/Windhoek/index.js' {
+  import {africaWindhoek} from 'date-fns/esm/timeZone'
+  export default africaWindhoek
+}
+
+declare module 'date-fns/esm/timeZone/America/Adak/index.js' {
+  import {americaAdak} from 'date-fns/esm/timeZone'
+  export default americaAdak
+}
+
+declare module 'date-fns/esm/timeZone/America/Anchorage/index.js' {
+  import {americaAnchorage} from 'date-fns/esm/timeZone'
+  export default americaAnchorage
+}
+
+declare module 'date-fns/esm/timeZone/America/Anguilla/index.js' {
+  import {americaAnguilla} from 'date-fns/esm/timeZone'
+  export default americaAnguilla
+}
+
+declare module 'date-fns/esm/timeZone/America/Antigua/index.js' {
+  import {americaAntigua} from 'date-fns/esm/timeZone'
+  export default americaAntigua
+}
+
+declare module 'date-fns/esm/timeZone/America/Araguaina/index.js' {
+  import {americaAraguaina} from 'date-fns/esm/timeZone'
+  export default americaAraguaina
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Buenos_Aires/index.js' {
+  import {americaArgentinaBuenosAires} from 'date-fns/esm/timeZone'
+  export default americaArgentinaBuenosAires
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Catamarca/index.js' {
+  import {americaArgentinaCatamarca} from 'date-fns/esm/timeZone'
+  export default americaArgentinaCatamarca
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/ComodRivadavia/index.js' {
+  import {americaArgentinaComodRivadavia} from 'date-fns/esm/timeZone'
+  export default americaArgentinaComodRivadavia
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Cordoba/index.js' {
+  import {americaArgentinaCordoba} from 'date-fns/esm/timeZone'
+  export default americaArgentinaCordoba
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Jujuy/index.js' {
+  import {americaArgentinaJujuy} from 'date-fns/esm/timeZone'
+  export default americaArgentinaJujuy
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/La_Rioja/index.js' {
+  import {americaArgentinaLaRioja} from 'date-fns/esm/timeZone'
+  export default americaArgentinaLaRioja
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Mendoza/index.js' {
+  import {americaArgentinaMendoza} from 'date-fns/esm/timeZone'
+  export default americaArgentinaMendoza
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Rio_Gallegos/index.js' {
+  import {americaArgentinaRioGallegos} from 'date-fns/esm/timeZone'
+  export default americaArgentinaRioGallegos
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Salta/index.js' {
+  import {americaArgentinaSalta} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSalta
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/San_Juan/index.js' {
+  import {americaArgentinaSanJuan} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSanJuan
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/San_Luis/index.js' {
+  import {americaArgentinaSanLuis} from 'date-fns/esm/timeZone'
+  export default americaArgentinaSanLuis
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Tucuman/index.js' {
+  import {americaArgentinaTucuman} from 'date-fns/esm/timeZone'
+  export default americaArgentinaTucuman
+}
+
+declare module 'date-fns/esm/timeZone/America/Argentina/Ushuaia/index.js' {
+  import {americaArgentinaUshuaia} from 'date-fns/esm/timeZone'
+  export default americaArgentinaUshuaia
+}
+
+declare module 'date-fns/esm/timeZone/America/Aruba/index.js' {
+  import {americaAruba} from 'date-fns/esm/timeZone'
+  export default americaAruba
+}
+
+declare module 'date-fns/esm/timeZone/America/Asuncion/index.js' {
+  import {americaAsuncion} from 'date-fns/esm/timeZone'
+  export default americaAsuncion
+}
+
+declare module 'date-fns/esm/timeZone/America/Atikokan/index.js' {
+  import {americaAtikokan} from 'date-fns/esm/timeZone'
+  export default americaAtikokan
+}
+
+declare module 'date-fns/esm/timeZone/America/Atka/index.js' {
+  import {americaAtka} from 'date-fns/esm/timeZone'
+  export default americaAtka
+}
+
+declare module 'date-fns/esm/timeZone/America/Bahia/index.js' {
+  import {americaBahia} from 'date-fns/esm/timeZone'
+  export default americaBahia
+}
+
+declare module 'date-fns/esm/timeZone/America/Bahia_Banderas/index.js' {
+  import {americaBahiaBanderas} from 'date-fns/esm/timeZone'
+  export default americaBahiaBanderas
+}
+
+declare module 'date-fns/esm/timeZone/America/Barbados/index.js' {
+  import {americaBarbados} from 'date-fns/esm/timeZone'
+  export default americaBarbados
+}
+
+declare module 'date-fns/esm/timeZone/America/Belem/index.js' {
+  import {americaBelem} from 'date-fns/esm/timeZone'
+  export default americaBelem
+}
+
+declare module 'date-fns/esm/timeZone/America/Belize/index.js' {
+  import {americaBelize} from 'date-fns/esm/timeZone'
+  export default americaBelize
+}
+
+declare module 'date-fns/esm/timeZone/America/Blanc-Sablon/index.js' {
+  import {americaBlancSablon} from 'date-fns/esm/timeZone'
+  export default americaBlancSablon
+}
+
+declare module 'date-fns/esm/timeZone/America/Boa_Vista/index.js' {
+  import {americaBoaVista} from 'date-fns/esm/timeZone'
+  export default americaBoaVista
+}
+
+declare module 'date-fns/esm/timeZone/America/Bogota/index.js' {
+  import {americaBogota} from 'date-fns/esm/timeZone'
+  export default americaBogota
+}
+
+declare module 'date-fns/esm/timeZone/America/Boise/index.js' {
+  import {americaBoise} from 'date-fns/esm/timeZone'
+  export default americaBoise
+}
+
+declare module 'date-fns/esm/timeZone/America/Buenos_Aires/index.js' {
+  import {americaBuenosAires} from 'date-fns/esm/timeZone'
+  export default americaBuenosAires
+}
+
+declare module 'date-fns/esm/timeZone/America/Cambridge_Bay/index.js' {
+  import {americaCambridgeBay} from 'date-fns/esm/timeZone'
+  export default americaCambridgeBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Campo_Grande/index.js' {
+  import {americaCampoGrande} from 'date-fns/esm/timeZone'
+  export default americaCampoGrande
+}
+
+declare module 'date-fns/esm/timeZone/America/Cancun/index.js' {
+  import {americaCancun} from 'date-fns/esm/timeZone'
+  export default americaCancun
+}
+
+declare module 'date-fns/esm/timeZone/America/Caracas/index.js' {
+  import {americaCaracas} from 'date-fns/esm/timeZone'
+  export default americaCaracas
+}
+
+declare module 'date-fns/esm/timeZone/America/Catamarca/index.js' {
+  import {americaCatamarca} from 'date-fns/esm/timeZone'
+  export default americaCatamarca
+}
+
+declare module 'date-fns/esm/timeZone/America/Cayenne/index.js' {
+  import {americaCayenne} from 'date-fns/esm/timeZone'
+  export default americaCayenne
+}
+
+declare module 'date-fns/esm/timeZone/America/Cayman/index.js' {
+  import {americaCayman} from 'date-fns/esm/timeZone'
+  export default americaCayman
+}
+
+declare module 'date-fns/esm/timeZone/America/Chicago/index.js' {
+  import {americaChicago} from 'date-fns/esm/timeZone'
+  export default americaChicago
+}
+
+declare module 'date-fns/esm/timeZone/America/Chihuahua/index.js' {
+  import {americaChihuahua} from 'date-fns/esm/timeZone'
+  export default americaChihuahua
+}
+
+declare module 'date-fns/esm/timeZone/America/Ciudad_Juarez/index.js' {
+  import {americaCiudadJuarez} from 'date-fns/esm/timeZone'
+  export default americaCiudadJuarez
+}
+
+declare module 'date-fns/esm/timeZone/America/Coral_Harbour/index.js' {
+  import {americaCoralHarbour} from 'date-fns/esm/timeZone'
+  export default americaCoralHarbour
+}
+
+declare module 'date-fns/esm/timeZone/America/Cordoba/index.js' {
+  import {americaCordoba} from 'date-fns/esm/timeZone'
+  export default americaCordoba
+}
+
+declare module 'date-fns/esm/timeZone/America/Costa_Rica/index.js' {
+  import {americaCostaRica} from 'date-fns/esm/timeZone'
+  export default americaCostaRica
+}
+
+declare module 'date-fns/esm/timeZone/America/Coyhaique/index.js' {
+  import {americaCoyhaique} from 'date-fns/esm/timeZone'
+  export default americaCoyhaique
+}
+
+declare module 'date-fns/esm/timeZone/America/Creston/index.js' {
+  import {americaCreston} from 'date-fns/esm/timeZone'
+  export default americaCreston
+}
+
+declare module 'date-fns/esm/timeZone/America/Cuiaba/index.js' {
+  import {americaCuiaba} from 'date-fns/esm/timeZone'
+  export default americaCuiaba
+}
+
+declare module 'date-fns/esm/timeZone/America/Curacao/index.js' {
+  import {americaCuracao} from 'date-fns/esm/timeZone'
+  export default americaCuracao
+}
+
+declare module 'date-fns/esm/timeZone/America/Danmarkshavn/index.js' {
+  import {americaDanmarkshavn} from 'date-fns/esm/timeZone'
+  export default americaDanmarkshavn
+}
+
+declare module 'date-fns/esm/timeZone/America/Dawson/index.js' {
+  import {americaDawson} from 'date-fns/esm/timeZone'
+  export default americaDawson
+}
+
+declare module 'date-fns/esm/timeZone/America/Dawson_Creek/index.js' {
+  import {americaDawsonCreek} from 'date-fns/esm/timeZone'
+  export default americaDawsonCreek
+}
+
+declare module 'date-fns/esm/timeZone/America/Denver/index.js' {
+  import {americaDenver} from 'date-fns/esm/timeZone'
+  export default americaDenver
+}
+
+declare module 'date-fns/esm/timeZone/America/Detroit/index.js' {
+  import {americaDetroit} from 'date-fns/esm/timeZone'
+  export default americaDetroit
+}
+
+declare module 'date-fns/esm/timeZone/America/Dominica/index.js' {
+  import {americaDominica} from 'date-fns/esm/timeZone'
+  export default americaDominica
+}
+
+declare module 'date-fns/esm/timeZone/America/Edmonton/index.js' {
+  import {americaEdmonton} from 'date-fns/esm/timeZone'
+  export default americaEdmonton
+}
+
+declare module 'date-fns/esm/timeZone/America/Eirunepe/index.js' {
+  import {americaEirunepe} from 'date-fns/esm/timeZone'
+  export default americaEirunepe
+}
+
+declare module 'date-fns/esm/timeZone/America/El_Salvador/index.js' {
+  import {americaElSalvador} from 'date-fns/esm/timeZone'
+  export default americaElSalvador
+}
+
+declare module 'date-fns/esm/timeZone/America/Ensenada/index.js' {
+  import {americaEnsenada} from 'date-fns/esm/timeZone'
+  export default americaEnsenada
+}
+
+declare module 'date-fns/esm/timeZone/America/Fort_Nelson/index.js' {
+  import {americaFortNelson} from 'date-fns/esm/timeZone'
+  export default americaFortNelson
+}
+
+declare module 'date-fns/esm/timeZone/America/Fort_Wayne/index.js' {
+  import {americaFortWayne} from 'date-fns/esm/timeZone'
+  export default americaFortWayne
+}
+
+declare module 'date-fns/esm/timeZone/America/Fortaleza/index.js' {
+  import {americaFortaleza} from 'date-fns/esm/timeZone'
+  export default americaFortaleza
+}
+
+declare module 'date-fns/esm/timeZone/America/Glace_Bay/index.js' {
+  import {americaGlaceBay} from 'date-fns/esm/timeZone'
+  export default americaGlaceBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Godthab/index.js' {
+  import {americaGodthab} from 'date-fns/esm/timeZone'
+  export default americaGodthab
+}
+
+declare module 'date-fns/esm/timeZone/America/Goose_Bay/index.js' {
+  import {americaGooseBay} from 'date-fns/esm/timeZone'
+  export default americaGooseBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Grand_Turk/index.js' {
+  import {americaGrandTurk} from 'date-fns/esm/timeZone'
+  export default americaGrandTurk
+}
+
+declare module 'date-fns/esm/timeZone/America/Grenada/index.js' {
+  import {americaGrenada} from 'date-fns/esm/timeZone'
+  export default americaGrenada
+}
+
+declare module 'date-fns/esm/timeZone/America/Guadeloupe/index.js' {
+  import {americaGuadeloupe} from 'date-fns/esm/timeZone'
+  export default americaGuadeloupe
+}
+
+declare module 'date-fns/esm/timeZone/America/Guatemala/index.js' {
+  import {americaGuatemala} from 'date-fns/esm/timeZone'
+  export default americaGuatemala
+}
+
+declare module 'date-fns/esm/timeZone/America/Guayaquil/index.js' {
+  import {americaGuayaquil} from 'date-fns/esm/timeZone'
+  export default americaGuayaquil
+}
+
+declare module 'date-fns/esm/timeZone/America/Guyana/index.js' {
+  import {americaGuyana} from 'date-fns/esm/timeZone'
+  export default americaGuyana
+}
+
+declare module 'date-fns/esm/timeZone/America/Halifax/index.js' {
+  import {americaHalifax} from 'date-fns/esm/timeZone'
+  export default americaHalifax
+}
+
+declare module 'date-fns/esm/timeZone/America/Havana/index.js' {
+  import {americaHavana} from 'date-fns/esm/timeZone'
+  export default americaHavana
+}
+
+declare module 'date-fns/esm/timeZone/America/Hermosillo/index.js' {
+  import {americaHermosillo} from 'date-fns/esm/timeZone'
+  export default americaHermosillo
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Indianapolis/index.js' {
+  import {americaIndianaIndianapolis} from 'date-fns/esm/timeZone'
+  export default americaIndianaIndianapolis
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Knox/index.js' {
+  import {americaIndianaKnox} from 'date-fns/esm/timeZone'
+  export default americaIndianaKnox
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Marengo/index.js' {
+  import {americaIndianaMarengo} from 'date-fns/esm/timeZone'
+  export default americaIndianaMarengo
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Petersburg/index.js' {
+  import {americaIndianaPetersburg} from 'date-fns/esm/timeZone'
+  export default americaIndianaPetersburg
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Tell_City/index.js' {
+  import {americaIndianaTellCity} from 'date-fns/esm/timeZone'
+  export default americaIndianaTellCity
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Vevay/index.js' {
+  import {americaIndianaVevay} from 'date-fns/esm/timeZone'
+  export default americaIndianaVevay
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Vincennes/index.js' {
+  import {americaIndianaVincennes} from 'date-fns/esm/timeZone'
+  export default americaIndianaVincennes
+}
+
+declare module 'date-fns/esm/timeZone/America/Indiana/Winamac/index.js' {
+  import {americaIndianaWinamac} from 'date-fns/esm/timeZone'
+  export default americaIndianaWinamac
+}
+
+declare module 'date-fns/esm/timeZone/America/Indianapolis/index.js' {
+  import {americaIndianapolis} from 'date-fns/esm/timeZone'
+  export default americaIndianapolis
+}
+
+declare module 'date-fns/esm/timeZone/America/Inuvik/index.js' {
+  import {americaInuvik} from 'date-fns/esm/timeZone'
+  export default americaInuvik
+}
+
+declare module 'date-fns/esm/timeZone/America/Iqaluit/index.js' {
+  import {americaIqaluit} from 'date-fns/esm/timeZone'
+  export default americaIqaluit
+}
+
+declare module 'date-fns/esm/timeZone/America/Jamaica/index.js' {
+  import {americaJamaica} from 'date-fns/esm/timeZone'
+  export default americaJamaica
+}
+
+declare module 'date-fns/esm/timeZone/America/Jujuy/index.js' {
+  import {americaJujuy} from 'date-fns/esm/timeZone'
+  export default americaJujuy
+}
+
+declare module 'date-fns/esm/timeZone/America/Juneau/index.js' {
+  import {americaJuneau} from 'date-fns/esm/timeZone'
+  export default americaJuneau
+}
+
+declare module 'date-fns/esm/timeZone/America/Kentucky/Louisville/index.js' {
+  import {americaKentuckyLouisville} from 'date-fns/esm/timeZone'
+  export default americaKentuckyLouisville
+}
+
+declare module 'date-fns/esm/timeZone/America/Kentucky/Monticello/index.js' {
+  import {americaKentuckyMonticello} from 'date-fns/esm/timeZone'
+  export default americaKentuckyMonticello
+}
+
+declare module 'date-fns/esm/timeZone/America/Knox_IN/index.js' {
+  import {americaKnoxIN} from 'date-fns/esm/timeZone'
+  export default americaKnoxIN
+}
+
+declare module 'date-fns/esm/timeZone/America/Kralendijk/index.js' {
+  import {americaKralendijk} from 'date-fns/esm/timeZone'
+  export default americaKralendijk
+}
+
+declare module 'date-fns/esm/timeZone/America/La_Paz/index.js' {
+  import {americaLaPaz} from 'date-fns/esm/timeZone'
+  export default americaLaPaz
+}
+
+declare module 'date-fns/esm/timeZone/America/Lima/index.js' {
+  import {americaLima} from 'date-fns/esm/timeZone'
+  export default americaLima
+}
+
+declare module 'date-fns/esm/timeZone/America/Los_Angeles/index.js' {
+  import {americaLosAngeles} from 'date-fns/esm/timeZone'
+  export default americaLosAngeles
+}
+
+declare module 'date-fns/esm/timeZone/America/Louisville/index.js' {
+  import {americaLouisville} from 'date-fns/esm/timeZone'
+  export default americaLouisville
+}
+
+declare module 'date-fns/esm/timeZone/America/Lower_Princes/index.js' {
+  import {americaLowerPrinces} from 'date-fns/esm/timeZone'
+  export default americaLowerPrinces
+}
+
+declare module 'date-fns/esm/timeZone/America/Maceio/index.js' {
+  import {americaMaceio} from 'date-fns/esm/timeZone'
+  export default americaMaceio
+}
+
+declare module 'date-fns/esm/timeZone/America/Managua/index.js' {
+  import {americaManagua} from 'date-fns/esm/timeZone'
+  export default americaManagua
+}
+
+declare module 'date-fns/esm/timeZone/America/Manaus/index.js' {
+  import {americaManaus} from 'date-fns/esm/timeZone'
+  export default americaManaus
+}
+
+declare module 'date-fns/esm/timeZone/America/Marigot/index.js' {
+  import {americaMarigot} from 'date-fns/esm/timeZone'
+  export default americaMarigot
+}
+
+declare module 'date-fns/esm/timeZone/America/Martinique/index.js' {
+  import {americaMartinique} from 'date-fns/esm/timeZone'
+  export default americaMartinique
+}
+
+declare module 'date-fns/esm/timeZone/America/Matamoros/index.js' {
+  import {americaMatamoros} from 'date-fns/esm/timeZone'
+  export default americaMatamoros
+}
+
+declare module 'date-fns/esm/timeZone/America/Mazatlan/index.js' {
+  import {americaMazatlan} from 'date-fns/esm/timeZone'
+  export default americaMazatlan
+}
+
+declare module 'date-fns/esm/timeZone/America/Mendoza/index.js' {
+  import {americaMendoza} from 'date-fns/esm/timeZone'
+  export default americaMendoza
+}
+
+declare module 'date-fns/esm/timeZone/America/Menominee/index.js' {
+  import {americaMenominee} from 'date-fns/esm/timeZone'
+  export default americaMenominee
+}
+
+declare module 'date-fns/esm/timeZone/America/Merida/index.js' {
+  import {americaMerida} from 'date-fns/esm/timeZone'
+  export default americaMerida
+}
+
+declare module 'date-fns/esm/timeZone/America/Metlakatla/index.js' {
+  import {americaMetlakatla} from 'date-fns/esm/timeZone'
+  export default americaMetlakatla
+}
+
+declare module 'date-fns/esm/timeZone/America/Mexico_City/index.js' {
+  import {americaMexicoCity} from 'date-fns/esm/timeZone'
+  export default americaMexicoCity
+}
+
+declare module 'date-fns/esm/timeZone/America/Miquelon/index.js' {
+  import {americaMiquelon} from 'date-fns/esm/timeZone'
+  export default americaMiquelon
+}
+
+declare module 'date-fns/esm/timeZone/America/Moncton/index.js' {
+  import {americaMoncton} from 'date-fns/esm/timeZone'
+  export default americaMoncton
+}
+
+declare module 'date-fns/esm/timeZone/America/Monterrey/index.js' {
+  import {americaMonterrey} from 'date-fns/esm/timeZone'
+  export default americaMonterrey
+}
+
+declare module 'date-fns/esm/timeZone/America/Montevideo/index.js' {
+  import {americaMontevideo} from 'date-fns/esm/timeZone'
+  export default americaMontevideo
+}
+
+declare module 'date-fns/esm/timeZone/America/Montreal/index.js' {
+  import {americaMontreal} from 'date-fns/esm/timeZone'
+  export default americaMontreal
+}
+
+declare module 'date-fns/esm/timeZone/America/Montserrat/index.js' {
+  import {americaMontserrat} from 'date-fns/esm/timeZone'
+  export default americaMontserrat
+}
+
+declare module 'date-fns/esm/timeZone/America/Nassau/index.js' {
+  import {americaNassau} from 'date-fns/esm/timeZone'
+  export default americaNassau
+}
+
+declare module 'date-fns/esm/timeZone/America/New_York/index.js' {
+  import {americaNewYork} from 'date-fns/esm/timeZone'
+  export default americaNewYork
+}
+
+declare module 'date-fns/esm/timeZone/America/Nipigon/index.js' {
+  import {americaNipigon} from 'date-fns/esm/timeZone'
+  export default americaNipigon
+}
+
+declare module 'date-fns/esm/timeZone/America/Nome/index.js' {
+  import {americaNome} from 'date-fns/esm/timeZone'
+  export default americaNome
+}
+
+declare module 'date-fns/esm/timeZone/America/Noronha/index.js' {
+  import {americaNoronha} from 'date-fns/esm/timeZone'
+  export default americaNoronha
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/Beulah/index.js' {
+  import {americaNorthDakotaBeulah} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaBeulah
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/Center/index.js' {
+  import {americaNorthDakotaCenter} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaCenter
+}
+
+declare module 'date-fns/esm/timeZone/America/North_Dakota/New_Salem/index.js' {
+  import {americaNorthDakotaNewSalem} from 'date-fns/esm/timeZone'
+  export default americaNorthDakotaNewSalem
+}
+
+declare module 'date-fns/esm/timeZone/America/Nuuk/index.js' {
+  import {americaNuuk} from 'date-fns/esm/timeZone'
+  export default americaNuuk
+}
+
+declare module 'date-fns/esm/timeZone/America/Ojinaga/index.js' {
+  import {americaOjinaga} from 'date-fns/esm/timeZone'
+  export default americaOjinaga
+}
+
+declare module 'date-fns/esm/timeZone/America/Panama/index.js' {
+  import {americaPanama} from 'date-fns/esm/timeZone'
+  export default americaPanama
+}
+
+declare module 'date-fns/esm/timeZone/America/Pangnirtung/index.js' {
+  import {americaPangnirtung} from 'date-fns/esm/timeZone'
+  export default americaPangnirtung
+}
+
+declare module 'date-fns/esm/timeZone/America/Paramaribo/index.js' {
+  import {americaParamaribo} from 'date-fns/esm/timeZone'
+  export default americaParamaribo
+}
+
+declare module 'date-fns/esm/timeZone/America/Phoenix/index.js' {
+  import {americaPhoenix} from 'date-fns/esm/timeZone'
+  export default americaPhoenix
+}
+
+declare module 'date-fns/esm/timeZone/America/Port-au-Prince/index.js' {
+  import {americaPortAuPrince} from 'date-fns/esm/timeZone'
+  export default americaPortAuPrince
+}
+
+declare module 'date-fns/esm/timeZone/America/Port_of_Spain/index.js' {
+  import {americaPortOfSpain} from 'date-fns/esm/timeZone'
+  export default americaPortOfSpain
+}
+
+declare module 'date-fns/esm/timeZone/America/Porto_Acre/index.js' {
+  import {americaPortoAcre} from 'date-fns/esm/timeZone'
+  export default americaPortoAcre
+}
+
+declare module 'date-fns/esm/timeZone/America/Porto_Velho/index.js' {
+  import {americaPortoVelho} from 'date-fns/esm/timeZone'
+  export default americaPortoVelho
+}
+
+declare module 'date-fns/esm/timeZone/America/Puerto_Rico/index.js' {
+  import {americaPuertoRico} from 'date-fns/esm/timeZone'
+  export default americaPuertoRico
+}
+
+declare module 'date-fns/esm/timeZone/America/Punta_Arenas/index.js' {
+  import {americaPuntaArenas} from 'date-fns/esm/timeZone'
+  export default americaPuntaArenas
+}
+
+declare module 'date-fns/esm/timeZone/America/Rainy_River/index.js' {
+  import {americaRainyRiver} from 'date-fns/esm/timeZone'
+  export default americaRainyRiver
+}
+
+declare module 'date-fns/esm/timeZone/America/Rankin_Inlet/index.js' {
+  import {americaRankinInlet} from 'date-fns/esm/timeZone'
+  export default americaRankinInlet
+}
+
+declare module 'date-fns/esm/timeZone/America/Recife/index.js' {
+  import {americaRecife} from 'date-fns/esm/timeZone'
+  export default americaRecife
+}
+
+declare module 'date-fns/esm/timeZone/America/Regina/index.js' {
+  import {americaRegina} from 'date-fns/esm/timeZone'
+  export default americaRegina
+}
+
+declare module 'date-fns/esm/timeZone/America/Resolute/index.js' {
+  import {americaResolute} from 'date-fns/esm/timeZone'
+  export default americaResolute
+}
+
+declare module 'date-fns/esm/timeZone/America/Rio_Branco/index.js' {
+  import {americaRioBranco} from 'date-fns/esm/timeZone'
+  export default americaRioBranco
+}
+
+declare module 'date-fns/esm/timeZone/America/Rosario/index.js' {
+  import {americaRosario} from 'date-fns/esm/timeZone'
+  export default americaRosario
+}
+
+declare module 'date-fns/esm/timeZone/America/Santa_Isabel/index.js' {
+  import {americaSantaIsabel} from 'date-fns/esm/timeZone'
+  export default americaSantaIsabel
+}
+
+declare module 'date-fns/esm/timeZone/America/Santarem/index.js' {
+  import {americaSantarem} from 'date-fns/esm/timeZone'
+  export default americaSantarem
+}
+
+declare module 'date-fns/esm/timeZone/America/Santiago/index.js' {
+  import {americaSantiago} from 'date-fns/esm/timeZone'
+  export default americaSantiago
+}
+
+declare module 'date-fns/esm/timeZone/America/Santo_Domingo/index.js' {
+  import {americaSantoDomingo} from 'date-fns/esm/timeZone'
+  export default americaSantoDomingo
+}
+
+declare module 'date-fns/esm/timeZone/America/Sao_Paulo/index.js' {
+  import {americaSaoPaulo} from 'date-fns/esm/timeZone'
+  export default americaSaoPaulo
+}
+
+declare module 'date-fns/esm/timeZone/America/Scoresbysund/index.js' {
+  import {americaScoresbysund} from 'date-fns/esm/timeZone'
+  export default americaScoresbysund
+}
+
+declare module 'date-fns/esm/timeZone/America/Shiprock/index.js' {
+  import {americaShiprock} from 'date-fns/esm/timeZone'
+  export default americaShiprock
+}
+
+declare module 'date-fns/esm/timeZone/America/Sitka/index.js' {
+  import {americaSitka} from 'date-fns/esm/timeZone'
+  export default americaSitka
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Barthelemy/index.js' {
+  import {americaStBarthelemy} from 'date-fns/esm/timeZone'
+  export default americaStBarthelemy
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Johns/index.js' {
+  import {americaStJohns} from 'date-fns/esm/timeZone'
+  export default americaStJohns
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Kitts/index.js' {
+  import {americaStKitts} from 'date-fns/esm/timeZone'
+  export default americaStKitts
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Lucia/index.js' {
+  import {americaStLucia} from 'date-fns/esm/timeZone'
+  export default americaStLucia
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Thomas/index.js' {
+  import {americaStThomas} from 'date-fns/esm/timeZone'
+  export default americaStThomas
+}
+
+declare module 'date-fns/esm/timeZone/America/St_Vincent/index.js' {
+  import {americaStVincent} from 'date-fns/esm/timeZone'
+  export default americaStVincent
+}
+
+declare module 'date-fns/esm/timeZone/America/Swift_Current/index.js' {
+  import {americaSwiftCurrent} from 'date-fns/esm/timeZone'
+  export default americaSwiftCurrent
+}
+
+declare module 'date-fns/esm/timeZone/America/Tegucigalpa/index.js' {
+  import {americaTegucigalpa} from 'date-fns/esm/timeZone'
+  export default americaTegucigalpa
+}
+
+declare module 'date-fns/esm/timeZone/America/Thule/index.js' {
+  import {americaThule} from 'date-fns/esm/timeZone'
+  export default americaThule
+}
+
+declare module 'date-fns/esm/timeZone/America/Thunder_Bay/index.js' {
+  import {americaThunderBay} from 'date-fns/esm/timeZone'
+  export default americaThunderBay
+}
+
+declare module 'date-fns/esm/timeZone/America/Tijuana/index.js' {
+  import {americaTijuana} from 'date-fns/esm/timeZone'
+  export default americaTijuana
+}
+
+declare module 'date-fns/esm/timeZone/America/Toronto/index.js' {
+  import {americaToronto} from 'date-fns/esm/timeZone'
+  export default americaToronto
+}
+
+declare module 'date-fns/esm/timeZone/America/Tortola/index.js' {
+  import {americaTortola} from 'date-fns/esm/timeZone'
+  export default americaTortola
+}
+
+declare module 'date-fns/esm/timeZone/America/Vancouver/index.js' {
+  import {americaVancouver} from 'date-fns/esm/timeZone'
+  export default americaVancouver
+}
+
+declare module 'date-fns/esm/timeZone/America/Virgin/index.js' {
+  import {americaVirgin} from 'date-fns/esm/timeZone'
+  export default americaVirgin
+}
+
+declare module 'date-fns/esm/timeZone/America/Whitehorse/index.js' {
+  import {americaWhitehorse} from 'date-fns/esm/timeZone'
+  export default americaWhitehorse
+}
+
+declare module 'date-fns/esm/timeZone/America/Winnipeg/index.js' {
+  import {americaWinnipeg} from 'date-fns/esm/timeZone'
+  export default americaWinnipeg
+}
+
+declare module 'date-fns/esm/timeZone/America/Yakutat/index.js' {
+  import {americaYakutat} from 'date-fns/esm/timeZone'
+  export default americaYakutat
+}
+
+declare module 'date-fns/esm/timeZone/America/Yellowknife/index.js' {
+  import {americaYellowknife} from 'date-fns/esm/timeZone'
+  export default americaYellowknife
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Casey/index.js' {
+  import {antarcticaCasey} from 'date-fns/esm/timeZone'
+  export default antarcticaCasey
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Davis/index.js' {
+  import {antarcticaDavis} from 'date-fns/esm/timeZone'
+  export default antarcticaDavis
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/DumontDUrville/index.js' {
+  import {antarcticaDumontDUrville} from 'date-fns/esm/timeZone'
+  export default antarcticaDumontDUrville
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Macquarie/index.js' {
+  import {antarcticaMacquarie} from 'date-fns/esm/timeZone'
+  export default antarcticaMacquarie
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Mawson/index.js' {
+  import {antarcticaMawson} from 'date-fns/esm/timeZone'
+  export default antarcticaMawson
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/McMurdo/index.js' {
+  import {antarcticaMcMurdo} from 'date-fns/esm/timeZone'
+  export default antarcticaMcMurdo
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Palmer/index.js' {
+  import {antarcticaPalmer} from 'date-fns/esm/timeZone'
+  export default antarcticaPalmer
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Rothera/index.js' {
+  import {antarcticaRothera} from 'date-fns/esm/timeZone'
+  export default antarcticaRothera
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/South_Pole/index.js' {
+  import {antarcticaSouthPole} from 'date-fns/esm/timeZone'
+  export default antarcticaSouthPole
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Syowa/index.js' {
+  import {antarcticaSyowa} from 'date-fns/esm/timeZone'
+  export default antarcticaSyowa
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Troll/index.js' {
+  import {antarcticaTroll} from 'date-fns/esm/timeZone'
+  export default antarcticaTroll
+}
+
+declare module 'date-fns/esm/timeZone/Antarctica/Vostok/index.js' {
+  import {antarcticaVostok} from 'date-fns/esm/timeZone'
+  export default antarcticaVostok
+}
+
+declare module 'date-fns/esm/timeZone/Arctic/Longyearbyen/index.js' {
+  import {arcticLongyearbyen} from 'date-fns/esm/timeZone'
+  export default arcticLongyearbyen
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aden/index.js' {
+  import {asiaAden} from 'date-fns/esm/timeZone'
+  export default asiaAden
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Almaty/index.js' {
+  import {asiaAlmaty} from 'date-fns/esm/timeZone'
+  export default asiaAlmaty
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Amman/index.js' {
+  import {asiaAmman} from 'date-fns/esm/timeZone'
+  export default asiaAmman
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Anadyr/index.js' {
+  import {asiaAnadyr} from 'date-fns/esm/timeZone'
+  export default asiaAnadyr
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aqtau/index.js' {
+  import {asiaAqtau} from 'date-fns/esm/timeZone'
+  export default asiaAqtau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Aqtobe/index.js' {
+  import {asiaAqtobe} from 'date-fns/esm/timeZone'
+  export default asiaAqtobe
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ashgabat/index.js' {
+  import {asiaAshgabat} from 'date-fns/esm/timeZone'
+  export default asiaAshgabat
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ashkhabad/index.js' {
+  import {asiaAshkhabad} from 'date-fns/esm/timeZone'
+  export default asiaAshkhabad
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Atyrau/index.js' {
+  import {asiaAtyrau} from 'date-fns/esm/timeZone'
+  export default asiaAtyrau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Baghdad/index.js' {
+  import {asiaBaghdad} from 'date-fns/esm/timeZone'
+  export default asiaBaghdad
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bahrain/index.js' {
+  import {asiaBahrain} from 'date-fns/esm/timeZone'
+  export default asiaBahrain
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Baku/index.js' {
+  import {asiaBaku} from 'date-fns/esm/timeZone'
+  export default asiaBaku
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bangkok/index.js' {
+  import {asiaBangkok} from 'date-fns/esm/timeZone'
+  export default asiaBangkok
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Barnaul/index.js' {
+  import {asiaBarnaul} from 'date-fns/esm/timeZone'
+  export default asiaBarnaul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Beirut/index.js' {
+  import {asiaBeirut} from 'date-fns/esm/timeZone'
+  export default asiaBeirut
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Bishkek/index.js' {
+  import {asiaBishkek} from 'date-fns/esm/timeZone'
+  export default asiaBishkek
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Brunei/index.js' {
+  import {asiaBrunei} from 'date-fns/esm/timeZone'
+  export default asiaBrunei
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Calcutta/index.js' {
+  import {asiaCalcutta} from 'date-fns/esm/timeZone'
+  export default asiaCalcutta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chita/index.js' {
+  import {asiaChita} from 'date-fns/esm/timeZone'
+  export default asiaChita
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Choibalsan/index.js' {
+  import {asiaChoibalsan} from 'date-fns/esm/timeZone'
+  export default asiaChoibalsan
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chongqing/index.js' {
+  import {asiaChongqing} from 'date-fns/esm/timeZone'
+  export default asiaChongqing
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Chungking/index.js' {
+  import {asiaChungking} from 'date-fns/esm/timeZone'
+  export default asiaChungking
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Colombo/index.js' {
+  import {asiaColombo} from 'date-fns/esm/timeZone'
+  export default asiaColombo
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dacca/index.js' {
+  import {asiaDacca} from 'date-fns/esm/timeZone'
+  export default asiaDacca
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Damascus/index.js' {
+  import {asiaDamascus} from 'date-fns/esm/timeZone'
+  export default asiaDamascus
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dhaka/index.js' {
+  import {asiaDhaka} from 'date-fns/esm/timeZone'
+  export default asiaDhaka
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dili/index.js' {
+  import {asiaDili} from 'date-fns/esm/timeZone'
+  export default asiaDili
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dubai/index.js' {
+  import {asiaDubai} from 'date-fns/esm/timeZone'
+  export default asiaDubai
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Dushanbe/index.js' {
+  import {asiaDushanbe} from 'date-fns/esm/timeZone'
+  export default asiaDushanbe
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Famagusta/index.js' {
+  import {asiaFamagusta} from 'date-fns/esm/timeZone'
+  export default asiaFamagusta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Gaza/index.js' {
+  import {asiaGaza} from 'date-fns/esm/timeZone'
+  export default asiaGaza
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Harbin/index.js' {
+  import {asiaHarbin} from 'date-fns/esm/timeZone'
+  export default asiaHarbin
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hebron/index.js' {
+  import {asiaHebron} from 'date-fns/esm/timeZone'
+  export default asiaHebron
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ho_Chi_Minh/index.js' {
+  import {asiaHoChiMinh} from 'date-fns/esm/timeZone'
+  export default asiaHoChiMinh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hong_Kong/index.js' {
+  import {asiaHongKong} from 'date-fns/esm/timeZone'
+  export default asiaHongKong
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Hovd/index.js' {
+  import {asiaHovd} from 'date-fns/esm/timeZone'
+  export default asiaHovd
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Irkutsk/index.js' {
+  import {asiaIrkutsk} from 'date-fns/esm/timeZone'
+  export default asiaIrkutsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Istanbul/index.js' {
+  import {asiaIstanbul} from 'date-fns/esm/timeZone'
+  export default asiaIstanbul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jakarta/index.js' {
+  import {asiaJakarta} from 'date-fns/esm/timeZone'
+  export default asiaJakarta
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jayapura/index.js' {
+  import {asiaJayapura} from 'date-fns/esm/timeZone'
+  export default asiaJayapura
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Jerusalem/index.js' {
+  import {asiaJerusalem} from 'date-fns/esm/timeZone'
+  export default asiaJerusalem
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kabul/index.js' {
+  import {asiaKabul} from 'date-fns/esm/timeZone'
+  export default asiaKabul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kamchatka/index.js' {
+  import {asiaKamchatka} from 'date-fns/esm/timeZone'
+  export default asiaKamchatka
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Karachi/index.js' {
+  import {asiaKarachi} from 'date-fns/esm/timeZone'
+  export default asiaKarachi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kashgar/index.js' {
+  import {asiaKashgar} from 'date-fns/esm/timeZone'
+  export default asiaKashgar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kathmandu/index.js' {
+  import {asiaKathmandu} from 'date-fns/esm/timeZone'
+  export default asiaKathmandu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Katmandu/index.js' {
+  import {asiaKatmandu} from 'date-fns/esm/timeZone'
+  export default asiaKatmandu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Khandyga/index.js' {
+  import {asiaKhandyga} from 'date-fns/esm/timeZone'
+  export default asiaKhandyga
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kolkata/index.js' {
+  import {asiaKolkata} from 'date-fns/esm/timeZone'
+  export default asiaKolkata
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Krasnoyarsk/index.js' {
+  import {asiaKrasnoyarsk} from 'date-fns/esm/timeZone'
+  export default asiaKrasnoyarsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuala_Lumpur/index.js' {
+  import {asiaKualaLumpur} from 'date-fns/esm/timeZone'
+  export default asiaKualaLumpur
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuching/index.js' {
+  import {asiaKuching} from 'date-fns/esm/timeZone'
+  export default asiaKuching
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Kuwait/index.js' {
+  import {asiaKuwait} from 'date-fns/esm/timeZone'
+  export default asiaKuwait
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Macao/index.js' {
+  import {asiaMacao} from 'date-fns/esm/timeZone'
+  export default asiaMacao
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Macau/index.js' {
+  import {asiaMacau} from 'date-fns/esm/timeZone'
+  export default asiaMacau
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Magadan/index.js' {
+  import {asiaMagadan} from 'date-fns/esm/timeZone'
+  export default asiaMagadan
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Makassar/index.js' {
+  import {asiaMakassar} from 'date-fns/esm/timeZone'
+  export default asiaMakassar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Manila/index.js' {
+  import {asiaManila} from 'date-fns/esm/timeZone'
+  export default asiaManila
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Muscat/index.js' {
+  import {asiaMuscat} from 'date-fns/esm/timeZone'
+  export default asiaMuscat
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Nicosia/index.js' {
+  import {asiaNicosia} from 'date-fns/esm/timeZone'
+  export default asiaNicosia
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Novokuznetsk/index.js' {
+  import {asiaNovokuznetsk} from 'date-fns/esm/timeZone'
+  export default asiaNovokuznetsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Novosibirsk/index.js' {
+  import {asiaNovosibirsk} from 'date-fns/esm/timeZone'
+  export default asiaNovosibirsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Omsk/index.js' {
+  import {asiaOmsk} from 'date-fns/esm/timeZone'
+  export default asiaOmsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Oral/index.js' {
+  import {asiaOral} from 'date-fns/esm/timeZone'
+  export default asiaOral
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Phnom_Penh/index.js' {
+  import {asiaPhnomPenh} from 'date-fns/esm/timeZone'
+  export default asiaPhnomPenh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Pontianak/index.js' {
+  import {asiaPontianak} from 'date-fns/esm/timeZone'
+  export default asiaPontianak
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Pyongyang/index.js' {
+  import {asiaPyongyang} from 'date-fns/esm/timeZone'
+  export default asiaPyongyang
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qatar/index.js' {
+  import {asiaQatar} from 'date-fns/esm/timeZone'
+  export default asiaQatar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qostanay/index.js' {
+  import {asiaQostanay} from 'date-fns/esm/timeZone'
+  export default asiaQostanay
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Qyzylorda/index.js' {
+  import {asiaQyzylorda} from 'date-fns/esm/timeZone'
+  export default asiaQyzylorda
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Rangoon/index.js' {
+  import {asiaRangoon} from 'date-fns/esm/timeZone'
+  export default asiaRangoon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Riyadh/index.js' {
+  import {asiaRiyadh} from 'date-fns/esm/timeZone'
+  export default asiaRiyadh
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Saigon/index.js' {
+  import {asiaSaigon} from 'date-fns/esm/timeZone'
+  export default asiaSaigon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Sakhalin/index.js' {
+  import {asiaSakhalin} from 'date-fns/esm/timeZone'
+  export default asiaSakhalin
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Samarkand/index.js' {
+  import {asiaSamarkand} from 'date-fns/esm/timeZone'
+  export default asiaSamarkand
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Seoul/index.js' {
+  import {asiaSeoul} from 'date-fns/esm/timeZone'
+  export default asiaSeoul
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Shanghai/index.js' {
+  import {asiaShanghai} from 'date-fns/esm/timeZone'
+  export default asiaShanghai
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Singapore/index.js' {
+  import {asiaSingapore} from 'date-fns/esm/timeZone'
+  export default asiaSingapore
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Srednekolymsk/index.js' {
+  import {asiaSrednekolymsk} from 'date-fns/esm/timeZone'
+  export default asiaSrednekolymsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Taipei/index.js' {
+  import {asiaTaipei} from 'date-fns/esm/timeZone'
+  export default asiaTaipei
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tashkent/index.js' {
+  import {asiaTashkent} from 'date-fns/esm/timeZone'
+  export default asiaTashkent
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tbilisi/index.js' {
+  import {asiaTbilisi} from 'date-fns/esm/timeZone'
+  export default asiaTbilisi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tehran/index.js' {
+  import {asiaTehran} from 'date-fns/esm/timeZone'
+  export default asiaTehran
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tel_Aviv/index.js' {
+  import {asiaTelAviv} from 'date-fns/esm/timeZone'
+  export default asiaTelAviv
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Thimbu/index.js' {
+  import {asiaThimbu} from 'date-fns/esm/timeZone'
+  export default asiaThimbu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Thimphu/index.js' {
+  import {asiaThimphu} from 'date-fns/esm/timeZone'
+  export default asiaThimphu
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tokyo/index.js' {
+  import {asiaTokyo} from 'date-fns/esm/timeZone'
+  export default asiaTokyo
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Tomsk/index.js' {
+  import {asiaTomsk} from 'date-fns/esm/timeZone'
+  export default asiaTomsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ujung_Pandang/index.js' {
+  import {asiaUjungPandang} from 'date-fns/esm/timeZone'
+  export default asiaUjungPandang
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ulaanbaatar/index.js' {
+  import {asiaUlaanbaatar} from 'date-fns/esm/timeZone'
+  export default asiaUlaanbaatar
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ulan_Bator/index.js' {
+  import {asiaUlanBator} from 'date-fns/esm/timeZone'
+  export default asiaUlanBator
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Urumqi/index.js' {
+  import {asiaUrumqi} from 'date-fns/esm/timeZone'
+  export default asiaUrumqi
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Ust-Nera/index.js' {
+  import {asiaUstNera} from 'date-fns/esm/timeZone'
+  export default asiaUstNera
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Vientiane/index.js' {
+  import {asiaVientiane} from 'date-fns/esm/timeZone'
+  export default asiaVientiane
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Vladivostok/index.js' {
+  import {asiaVladivostok} from 'date-fns/esm/timeZone'
+  export default asiaVladivostok
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yakutsk/index.js' {
+  import {asiaYakutsk} from 'date-fns/esm/timeZone'
+  export default asiaYakutsk
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yangon/index.js' {
+  import {asiaYangon} from 'date-fns/esm/timeZone'
+  export default asiaYangon
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yekaterinburg/index.js' {
+  import {asiaYekaterinburg} from 'date-fns/esm/timeZone'
+  export default asiaYekaterinburg
+}
+
+declare module 'date-fns/esm/timeZone/Asia/Yerevan/index.js' {
+  import {asiaYerevan} from 'date-fns/esm/timeZone'
+  export default asiaYerevan
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Azores/index.js' {
+  import {atlanticAzores} from 'date-fns/esm/timeZone'
+  export default atlanticAzores
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Bermuda/index.js' {
+  import {atlanticBermuda} from 'date-fns/esm/timeZone'
+  export default atlanticBermuda
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Canary/index.js' {
+  import {atlanticCanary} from 'date-fns/esm/timeZone'
+  export default atlanticCanary
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Cape_Verde/index.js' {
+  import {atlanticCapeVerde} from 'date-fns/esm/timeZone'
+  export default atlanticCapeVerde
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Faeroe/index.js' {
+  import {atlanticFaeroe} from 'date-fns/esm/timeZone'
+  export default atlanticFaeroe
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Faroe/index.js' {
+  import {atlanticFaroe} from 'date-fns/esm/timeZone'
+  export default atlanticFaroe
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Jan_Mayen/index.js' {
+  import {atlanticJanMayen} from 'date-fns/esm/timeZone'
+  export default atlanticJanMayen
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Madeira/index.js' {
+  import {atlanticMadeira} from 'date-fns/esm/timeZone'
+  export default atlanticMadeira
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Reykjavik/index.js' {
+  import {atlanticReykjavik} from 'date-fns/esm/timeZone'
+  export default atlanticReykjavik
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/South_Georgia/index.js' {
+  import {atlanticSouthGeorgia} from 'date-fns/esm/timeZone'
+  export default atlanticSouthGeorgia
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/St_Helena/index.js' {
+  import {atlanticStHelena} from 'date-fns/esm/timeZone'
+  export default atlanticStHelena
+}
+
+declare module 'date-fns/esm/timeZone/Atlantic/Stanley/index.js' {
+  import {atlanticStanley} from 'date-fns/esm/timeZone'
+  export default atlanticStanley
+}
+
+declare module 'date-fns/esm/timeZone/Australia/ACT/index.js' {
+  import {australiaACT} from 'date-fns/esm/timeZone'
+  export default australiaACT
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Adelaide/index.js' {
+  import {australiaAdelaide} from 'date-fns/esm/timeZone'
+  export default australiaAdelaide
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Brisbane/index.js' {
+  import {australiaBrisbane} from 'date-fns/esm/timeZone'
+  export default australiaBrisbane
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Broken_Hill/index.js' {
+  import {australiaBrokenHill} from 'date-fns/esm/timeZone'
+  export default australiaBrokenHill
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Canberra/index.js' {
+  import {australiaCanberra} from 'date-fns/esm/timeZone'
+  export default australiaCanberra
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Currie/index.js' {
+  import {australiaCurrie} from 'date-fns/esm/timeZone'
+  export default australiaCurrie
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Darwin/index.js' {
+  import {australiaDarwin} from 'date-fns/esm/timeZone'
+  export default australiaDarwin
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Eucla/index.js' {
+  import {australiaEucla} from 'date-fns/esm/timeZone'
+  export default australiaEucla
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Hobart/index.js' {
+  import {australiaHobart} from 'date-fns/esm/timeZone'
+  export default australiaHobart
+}
+
+declare module 'date-fns/esm/timeZone/Australia/LHI/index.js' {
+  import {australiaLHI} from 'date-fns/esm/timeZone'
+  export default australiaLHI
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Lindeman/index.js' {
+  import {australiaLindeman} from 'date-fns/esm/timeZone'
+  export default australiaLindeman
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Lord_Howe/index.js' {
+  import {australiaLordHowe} from 'date-fns/esm/timeZone'
+  export default australiaLordHowe
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Melbourne/index.js' {
+  import {australiaMelbourne} from 'date-fns/esm/timeZone'
+  export default australiaMelbourne
+}
+
+declare module 'date-fns/esm/timeZone/Australia/NSW/index.js' {
+  import {australiaNSW} from 'date-fns/esm/timeZone'
+  export default australiaNSW
+}
+
+declare module 'date-fns/esm/timeZone/Australia/North/index.js' {
+  import {australiaNorth} from 'date-fns/esm/timeZone'
+  export default australiaNorth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Perth/index.js' {
+  import {australiaPerth} from 'date-fns/esm/timeZone'
+  export default australiaPerth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Queensland/index.js' {
+  import {australiaQueensland} from 'date-fns/esm/timeZone'
+  export default australiaQueensland
+}
+
+declare module 'date-fns/esm/timeZone/Australia/South/index.js' {
+  import {australiaSouth} from 'date-fns/esm/timeZone'
+  export default australiaSouth
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Sydney/index.js' {
+  import {australiaSydney} from 'date-fns/esm/timeZone'
+  export default australiaSydney
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Tasmania/index.js' {
+  import {australiaTasmania} from 'date-fns/esm/timeZone'
+  export default australiaTasmania
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Victoria/index.js' {
+  import {australiaVictoria} from 'date-fns/esm/timeZone'
+  export default australiaVictoria
+}
+
+declare module 'date-fns/esm/timeZone/Australia/West/index.js' {
+  import {australiaWest} from 'date-fns/esm/timeZone'
+  export default australiaWest
+}
+
+declare module 'date-fns/esm/timeZone/Australia/Yancowinna/index.js' {
+  import {australiaYancowinna} from 'date-fns/esm/timeZone'
+  export default australiaYancowinna
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/Acre/index.js' {
+  import {brazilAcre} from 'date-fns/esm/timeZone'
+  export default brazilAcre
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/DeNoronha/index.js' {
+  import {brazilDeNoronha} from 'date-fns/esm/timeZone'
+  export default brazilDeNoronha
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/East/index.js' {
+  import {brazilEast} from 'date-fns/esm/timeZone'
+  export default brazilEast
+}
+
+declare module 'date-fns/esm/timeZone/Brazil/West/index.js' {
+  import {brazilWest} from 'date-fns/esm/timeZone'
+  export default brazilWest
+}
+
+declare module 'date-fns/esm/timeZone/CET/index.js' {
+  import {cet} from 'date-fns/esm/timeZone'
+  export default cet
+}
+
+declare module 'date-fns/esm/timeZone/CST6CDT/index.js' {
+  import {cst6cdt} from 'date-fns/esm/timeZone'
+  export default cst6cdt
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Atlantic/index.js' {
+  import {canadaAtlantic} from 'date-fns/esm/timeZone'
+  export default canadaAtlantic
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Central/index.js' {
+  import {canadaCentral} from 'date-fns/esm/timeZone'
+  export default canadaCentral
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Eastern/index.js' {
+  import {canadaEastern} from 'date-fns/esm/timeZone'
+  export default canadaEastern
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Mountain/index.js' {
+  import {canadaMountain} from 'date-fns/esm/timeZone'
+  export default canadaMountain
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Newfoundland/index.js' {
+  import {canadaNewfoundland} from 'date-fns/esm/timeZone'
+  export default canadaNewfoundland
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Pacific/index.js' {
+  import {canadaPacific} from 'date-fns/esm/timeZone'
+  export default canadaPacific
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Saskatchewan/index.js' {
+  import {canadaSaskatchewan} from 'date-fns/esm/timeZone'
+  export default canadaSaskatchewan
+}
+
+declare module 'date-fns/esm/timeZone/Canada/Yukon/index.js' {
+  import {canadaYukon} from 'date-fns/esm/timeZone'
+  export default canadaYukon
+}
+
+declare module 'date-fns/esm/timeZone/Chile/Continental/index.js' {
+  import {chileContinental} from 'date-fns/esm/timeZone'
+  export default chileContinental
+}
+
+declare module 'date-fns/esm/timeZone/Chile/EasterIsland/index.js' {
+  import {chileEasterIsland} from 'date-fns/esm/timeZone'
+  export default chileEasterIsland
+}
+
+declare module 'date-fns/esm/timeZone/Cuba/index.js' {
+  import {cuba} from 'date-fns/esm/timeZone'
+  export default cuba
+}
+
+declare module 'date-fns/esm/timeZone/EET/index.js' {
+  import {eet} from 'date-fns/esm/timeZone'
+  export default eet
+}
+
+declare module 'date-fns/esm/timeZone/EST/index.js' {
+  import {est} from 'date-fns/esm/timeZone'
+  export default est
+}
+
+declare module 'date-fns/esm/timeZone/EST5EDT/index.js' {
+  import {est5edt} from 'date-fns/esm/timeZone'
+  export default est5edt
+}
+
+declare module 'date-fns/esm/timeZone/Egypt/index.js' {
+  import {egypt} from 'date-fns/esm/timeZone'
+  export default egypt
+}
+
+declare module 'date-fns/esm/timeZone/Eire/index.js' {
+  import {eire} from 'date-fns/esm/timeZone'
+  export default eire
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT/index.js' {
+  import {etcGMT} from 'date-fns/esm/timeZone'
+  export default etcGMT
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+0/index.js' {
+  import {etcGMTPlus0} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+1/index.js' {
+  import {etcGMTPlus1} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus1
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+10/index.js' {
+  import {etcGMTPlus10} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus10
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+11/index.js' {
+  import {etcGMTPlus11} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus11
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+12/index.js' {
+  import {etcGMTPlus12} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus12
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+2/index.js' {
+  import {etcGMTPlus2} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus2
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+3/index.js' {
+  import {etcGMTPlus3} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus3
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+4/index.js' {
+  import {etcGMTPlus4} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus4
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+5/index.js' {
+  import {etcGMTPlus5} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus5
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+6/index.js' {
+  import {etcGMTPlus6} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus6
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+7/index.js' {
+  import {etcGMTPlus7} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus7
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+8/index.js' {
+  import {etcGMTPlus8} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus8
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT+9/index.js' {
+  import {etcGMTPlus9} from 'date-fns/esm/timeZone'
+  export default etcGMTPlus9
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-0/index.js' {
+  import {etcGMTMinus0} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-1/index.js' {
+  import {etcGMTMinus1} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus1
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-10/index.js' {
+  import {etcGMTMinus10} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus10
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-11/index.js' {
+  import {etcGMTMinus11} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus11
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-12/index.js' {
+  import {etcGMTMinus12} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus12
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-13/index.js' {
+  import {etcGMTMinus13} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus13
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-14/index.js' {
+  import {etcGMTMinus14} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus14
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-2/index.js' {
+  import {etcGMTMinus2} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus2
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-3/index.js' {
+  import {etcGMTMinus3} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus3
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-4/index.js' {
+  import {etcGMTMinus4} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus4
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-5/index.js' {
+  import {etcGMTMinus5} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus5
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-6/index.js' {
+  import {etcGMTMinus6} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus6
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-7/index.js' {
+  import {etcGMTMinus7} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus7
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-8/index.js' {
+  import {etcGMTMinus8} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus8
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT-9/index.js' {
+  import {etcGMTMinus9} from 'date-fns/esm/timeZone'
+  export default etcGMTMinus9
+}
+
+declare module 'date-fns/esm/timeZone/Etc/GMT0/index.js' {
+  import {etcGMT0} from 'date-fns/esm/timeZone'
+  export default etcGMT0
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Greenwich/index.js' {
+  import {etcGreenwich} from 'date-fns/esm/timeZone'
+  export default etcGreenwich
+}
+
+declare module 'date-fns/esm/timeZone/Etc/UCT/index.js' {
+  import {etcUCT} from 'date-fns/esm/timeZone'
+  export default etcUCT
+}
+
+declare module 'date-fns/esm/timeZone/Etc/UTC/index.js' {
+  import {etcUTC} from 'date-fns/esm/timeZone'
+  export default etcUTC
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Universal/index.js' {
+  import {etcUniversal} from 'date-fns/esm/timeZone'
+  export default etcUniversal
+}
+
+declare module 'date-fns/esm/timeZone/Etc/Zulu/index.js' {
+  import {etcZulu} from 'date-fns/esm/timeZone'
+  export default etcZulu
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Amsterdam/index.js' {
+  import {europeAmsterdam} from 'date-fns/esm/timeZone'
+  export default europeAmsterdam
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Andorra/index.js' {
+  import {europeAndorra} from 'date-fns/esm/timeZone'
+  export default europeAndorra
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Astrakhan/index.js' {
+  import {europeAstrakhan} from 'date-fns/esm/timeZone'
+  export default europeAstrakhan
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Athens/index.js' {
+  import {europeAthens} from 'date-fns/esm/timeZone'
+  export default europeAthens
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Belfast/index.js' {
+  import {europeBelfast} from 'date-fns/esm/timeZone'
+  export default europeBelfast
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Belgrade/index.js' {
+  import {europeBelgrade} from 'date-fns/esm/timeZone'
+  export default europeBelgrade
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Berlin/index.js' {
+  import {europeBerlin} from 'date-fns/esm/timeZone'
+  export default europeBerlin
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Bratislava/index.js' {
+  import {europeBratislava} from 'date-fns/esm/timeZone'
+  export default europeBratislava
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Brussels/index.js' {
+  import {europeBrussels} from 'date-fns/esm/timeZone'
+  export default europeBrussels
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Bucharest/index.js' {
+  import {europeBucharest} from 'date-fns/esm/timeZone'
+  export default europeBucharest
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Budapest/index.js' {
+  import {europeBudapest} from 'date-fns/esm/timeZone'
+  export default europeBudapest
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Busingen/index.js' {
+  import {europeBusingen} from 'date-fns/esm/timeZone'
+  export default europeBusingen
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Chisinau/index.js' {
+  import {europeChisinau} from 'date-fns/esm/timeZone'
+  export default europeChisinau
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Copenhagen/index.js' {
+  import {europeCopenhagen} from 'date-fns/esm/timeZone'
+  export default europeCopenhagen
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Dublin/index.js' {
+  import {europeDublin} from 'date-fns/esm/timeZone'
+  export default europeDublin
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Gibraltar/index.js' {
+  import {europeGibraltar} from 'date-fns/esm/timeZone'
+  export default europeGibraltar
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Guernsey/index.js' {
+  import {europeGuernsey} from 'date-fns/esm/timeZone'
+  export default europeGuernsey
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Helsinki/index.js' {
+  import {europeHelsinki} from 'date-fns/esm/timeZone'
+  export default europeHelsinki
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Isle_of_Man/index.js' {
+  import {europeIsleOfMan} from 'date-fns/esm/timeZone'
+  export default europeIsleOfMan
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Istanbul/index.js' {
+  import {europeIstanbul} from 'date-fns/esm/timeZone'
+  export default europeIstanbul
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Jersey/index.js' {
+  import {europeJersey} from 'date-fns/esm/timeZone'
+  export default europeJersey
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kaliningrad/index.js' {
+  import {europeKaliningrad} from 'date-fns/esm/timeZone'
+  export default europeKaliningrad
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kiev/index.js' {
+  import {europeKiev} from 'date-fns/esm/timeZone'
+  export default europeKiev
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kirov/index.js' {
+  import {europeKirov} from 'date-fns/esm/timeZone'
+  export default europeKirov
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Kyiv/index.js' {
+  import {europeKyiv} from 'date-fns/esm/timeZone'
+  export default europeKyiv
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Lisbon/index.js' {
+  import {europeLisbon} from 'date-fns/esm/timeZone'
+  export default europeLisbon
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Ljubljana/index.js' {
+  import {europeLjubljana} from 'date-fns/esm/timeZone'
+  export default europeLjubljana
+}
+
+declare module 'date-fns/esm/timeZone/Europe/London/index.js' {
+  import {europeLondon} from 'date-fns/esm/timeZone'
+  export default europeLondon
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Luxembourg/index.js' {
+  import {europeLuxembourg} from 'date-fns/esm/timeZone'
+  export default europeLuxembourg
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Madrid/index.js' {
+  import {europeMadrid} from 'date-fns/esm/timeZone'
+  export default europeMadrid
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Malta/index.js' {
+  import {europeMalta} from 'date-fns/esm/timeZone'
+  export default europeMalta
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Mariehamn/index.js' {
+  import {europeMariehamn} from 'date-fns/esm/timeZone'
+  export default europeMariehamn
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Minsk/index.js' {
+  import {europeMinsk} from 'date-fns/esm/timeZone'
+  export default europeMinsk
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Monaco/index.js' {
+  import {europeMonaco} from 'date-fns/esm/timeZone'
+  export default europeMonaco
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Moscow/index.js' {
+  import {europeMoscow} from 'date-fns/esm/timeZone'
+  export default europeMoscow
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Nicosia/index.js' {
+  import {europeNicosia} from 'date-fns/esm/timeZone'
+  export default europeNicosia
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Oslo/index.js' {
+  import {europeOslo} from 'date-fns/esm/timeZone'
+  export default europeOslo
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Paris/index.js' {
+  import {europeParis} from 'date-fns/esm/timeZone'
+  export default europeParis
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Podgorica/index.js' {
+  import {europePodgorica} from 'date-fns/esm/timeZone'
+  export default europePodgorica
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Prague/index.js' {
+  import {europePrague} from 'date-fns/esm/timeZone'
+  export default europePrague
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Riga/index.js' {
+  import {europeRiga} from 'date-fns/esm/timeZone'
+  export default europeRiga
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Rome/index.js' {
+  import {europeRome} from 'date-fns/esm/timeZone'
+  export default europeRome
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Samara/index.js' {
+  import {europeSamara} from 'date-fns/esm/timeZone'
+  export default europeSamara
+}
+
+declare module 'date-fns/esm/timeZone/Europe/San_Marino/index.js' {
+  import {europeSanMarino} from 'date-fns/esm/timeZone'
+  export default europeSanMarino
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Sarajevo/index.js' {
+  import {europeSarajevo} from 'date-fns/esm/timeZone'
+  export default europeSarajevo
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Saratov/index.js' {
+  import {europeSaratov} from 'date-fns/esm/timeZone'
+  export default europeSaratov
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Simferopol/index.js' {
+  import {europeSimferopol} from 'date-fns/esm/timeZone'
+  export default europeSimferopol
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Skopje/index.js' {
+  import {europeSkopje} from 'date-fns/esm/timeZone'
+  export default europeSkopje
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Sofia/index.js' {
+  import {europeSofia} from 'date-fns/esm/timeZone'
+  export default europeSofia
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Stockholm/index.js' {
+  import {europeStockholm} from 'date-fns/esm/timeZone'
+  export default europeStockholm
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tallinn/index.js' {
+  import {europeTallinn} from 'date-fns/esm/timeZone'
+  export default europeTallinn
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tirane/index.js' {
+  import {europeTirane} from 'date-fns/esm/timeZone'
+  export default europeTirane
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Tiraspol/index.js' {
+  import {europeTiraspol} from 'date-fns/esm/timeZone'
+  export default europeTiraspol
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Ulyanovsk/index.js' {
+  import {europeUlyanovsk} from 'date-fns/esm/timeZone'
+  export default europeUlyanovsk
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Uzhgorod/index.js' {
+  import {europeUzhgorod} from 'date-fns/esm/timeZone'
+  export default europeUzhgorod
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vaduz/index.js' {
+  import {europeVaduz} from 'date-fns/esm/timeZone'
+  export default europeVaduz
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vatican/index.js' {
+  import {europeVatican} from 'date-fns/esm/timeZone'
+  export default europeVatican
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vienna/index.js' {
+  import {europeVienna} from 'date-fns/esm/timeZone'
+  export default europeVienna
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Vilnius/index.js' {
+  import {europeVilnius} from 'date-fns/esm/timeZone'
+  export default europeVilnius
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Volgograd/index.js' {
+  import {europeVolgograd} from 'date-fns/esm/timeZone'
+  export default europeVolgograd
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Warsaw/index.js' {
+  import {europeWarsaw} from 'date-fns/esm/timeZone'
+  export default europeWarsaw
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zagreb/index.js' {
+  import {europeZagreb} from 'date-fns/esm/timeZone'
+  export default europeZagreb
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zaporozhye/index.js' {
+  import {europeZaporozhye} from 'date-fns/esm/timeZone'
+  export default europeZaporozhye
+}
+
+declare module 'date-fns/esm/timeZone/Europe/Zurich/index.js' {
+  import {europeZurich} from 'date-fns/esm/timeZone'
+  export default europeZurich
+}
+
+declare module 'date-fns/esm/timeZone/GB/index.js' {
+  import {gb} from 'date-fns/esm/timeZone'
+  export default gb
+}
+
+declare module 'date-fns/esm/timeZone/GB-Eire/index.js' {
+  import {gbEire} from 'date-fns/esm/timeZone'
+  export default gbEire
+}
+
+declare module 'date-fns/esm/timeZone/GMT/index.js' {
+  import {gmt} from 'date-fns/esm/timeZone'
+  export default gmt
+}
+
+declare module 'date-fns/esm/timeZone/GMT+0/index.js' {
+  import {gmtPlus0} from 'date-fns/esm/timeZone'
+  export default gmtPlus0
+}
+
+declare module 'date-fns/esm/timeZone/GMT-0/index.js' {
+  import {gmtMinus0} from 'date-fns/esm/timeZone'
+  export default gmtMinus0
+}
+
+declare module 'date-fns/esm/timeZone/GMT0/index.js' {
+  import {gmt0} from 'date-fns/esm/timeZone'
+  export default gmt0
+}
+
+declare module 'date-fns/esm/timeZone/Greenwich/index.js' {
+  import {greenwich} from 'date-fns/esm/timeZone'
+  export default greenwich
+}
+
+declare module 'date-fns/esm/timeZone/HST/index.js' {
+  import {hst} from 'date-fns/esm/timeZone'
+  export default hst
+}
+
+declare module 'date-fns/esm/timeZone/Hongkong/index.js' {
+  import {hongkong} from 'date-fns/esm/timeZone'
+  export default hongkong
+}
+
+declare module 'date-fns/esm/timeZone/Iceland/index.js' {
+  import {iceland} from 'date-fns/esm/timeZone'
+  export default iceland
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Antananarivo/index.js' {
+  import {indianAntananarivo} from 'date-fns/esm/timeZone'
+  export default indianAntananarivo
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Chagos/index.js' {
+  import {indianChagos} from 'date-fns/esm/timeZone'
+  export default indianChagos
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Christmas/index.js' {
+  import {indianChristmas} from 'date-fns/esm/timeZone'
+  export default indianChristmas
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Cocos/index.js' {
+  import {indianCocos} from 'date-fns/esm/timeZone'
+  export default indianCocos
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Comoro/index.js' {
+  import {indianComoro} from 'date-fns/esm/timeZone'
+  export default indianComoro
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Kerguelen/index.js' {
+  import {indianKerguelen} from 'date-fns/esm/timeZone'
+  export default indianKerguelen
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mahe/index.js' {
+  import {indianMahe} from 'date-fns/esm/timeZone'
+  export default indianMahe
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Maldives/index.js' {
+  import {indianMaldives} from 'date-fns/esm/timeZone'
+  export default indianMaldives
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mauritius/index.js' {
+  import {indianMauritius} from 'date-fns/esm/timeZone'
+  export default indianMauritius
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Mayotte/index.js' {
+  import {indianMayotte} from 'date-fns/esm/timeZone'
+  export default indianMayotte
+}
+
+declare module 'date-fns/esm/timeZone/Indian/Reunion/index.js' {
+  import {indianReunion} from 'date-fns/esm/timeZone'
+  export default indianReunion
+}
+
+declare module 'date-fns/esm/timeZone/Iran/index.js' {
+  import {iran} from 'date-fns/esm/timeZone'
+  export default iran
+}
+
+declare module 'date-fns/esm/timeZone/Israel/index.js' {
+  import {israel} from 'date-fns/esm/timeZone'
+  export default israel
+}
+
+declare module 'date-fns/esm/timeZone/Jamaica/index.js' {
+  import {jamaica} from 'date-fns/esm/timeZone'
+  export default jamaica
+}
+
+declare module 'date-fns/esm/timeZone/Japan/index.js' {
+  import {japan} from 'date-fns/esm/timeZone'
+  export default japan
+}
+
+declare module 'date-fns/esm/timeZone/Kwajalein/index.js' {
+  import {kwajalein} from 'date-fns/esm/timeZone'
+  export default kwajalein
+}
+
+declare module 'date-fns/esm/timeZone/Libya/index.js' {
+  import {libya} from 'date-fns/esm/timeZone'
+  export default libya
+}
+
+declare module 'date-fns/esm/timeZone/MET/index.js' {
+  import {met} from 'date-fns/esm/timeZone'
+  export default met
+}
+
+declare module 'date-fns/esm/timeZone/MST/index.js' {
+  import {mst} from 'date-fns/esm/timeZone'
+  export default mst
+}
+
+declare module 'date-fns/esm/timeZone/MST7MDT/index.js' {
+  import {mst7mdt} from 'date-fns/esm/timeZone'
+  export default mst7mdt
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/BajaNorte/index.js' {
+  import {mexicoBajaNorte} from 'date-fns/esm/timeZone'
+  export default mexicoBajaNorte
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/BajaSur/index.js' {
+  import {mexicoBajaSur} from 'date-fns/esm/timeZone'
+  export default mexicoBajaSur
+}
+
+declare module 'date-fns/esm/timeZone/Mexico/General/index.js' {
+  import {mexicoGeneral} from 'date-fns/esm/timeZone'
+  export default mexicoGeneral
+}
+
+declare module 'date-fns/esm/timeZone/NZ/index.js' {
+  import {nz} from 'date-fns/esm/timeZone'
+  export default nz
+}
+
+declare module 'date-fns/esm/timeZone/NZ-CHAT/index.js' {
+  import {nzCHAT} from 'date-fns/esm/timeZone'
+  export default nzCHAT
+}
+
+declare module 'date-fns/esm/timeZone/Navajo/index.js' {
+  import {navajo} from 'date-fns/esm/timeZone'
+  export default navajo
+}
+
+declare module 'date-fns/esm/timeZone/PRC/index.js' {
+  import {prc} from 'date-fns/esm/timeZone'
+  export default prc
+}
+
+declare module 'date-fns/esm/timeZone/PST8PDT/index.js' {
+  import {pst8pdt} from 'date-fns/esm/timeZone'
+  export default pst8pdt
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Apia/index.js' {
+  import {pacificApia} from 'date-fns/esm/timeZone'
+  export default pacificApia
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Auckland/index.js' {
+  import {pacificAuckland} from 'date-fns/esm/timeZone'
+  export default pacificAuckland
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Bougainville/index.js' {
+  import {pacificBougainville} from 'date-fns/esm/timeZone'
+  export default pacificBougainville
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Chatham/index.js' {
+  import {pacificChatham} from 'date-fns/esm/timeZone'
+  export default pacificChatham
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Chuuk/index.js' {
+  import {pacificChuuk} from 'date-fns/esm/timeZone'
+  export default pacificChuuk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Easter/index.js' {
+  import {pacificEaster} from 'date-fns/esm/timeZone'
+  export default pacificEaster
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Efate/index.js' {
+  import {pacificEfate} from 'date-fns/esm/timeZone'
+  export default pacificEfate
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Enderbury/index.js' {
+  import {pacificEnderbury} from 'date-fns/esm/timeZone'
+  export default pacificEnderbury
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Fakaofo/index.js' {
+  import {pacificFakaofo} from 'date-fns/esm/timeZone'
+  export default pacificFakaofo
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Fiji/index.js' {
+  import {pacificFiji} from 'date-fns/esm/timeZone'
+  export default pacificFiji
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Funafuti/index.js' {
+  import {pacificFunafuti} from 'date-fns/esm/timeZone'
+  export default pacificFunafuti
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Galapagos/index.js' {
+  import {pacificGalapagos} from 'date-fns/esm/timeZone'
+  export default pacificGalapagos
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Gambier/index.js' {
+  import {pacificGambier} from 'date-fns/esm/timeZone'
+  export default pacificGambier
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Guadalcanal/index.js' {
+  import {pacificGuadalcanal} from 'date-fns/esm/timeZone'
+  export default pacificGuadalcanal
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Guam/index.js' {
+  import {pacificGuam} from 'date-fns/esm/timeZone'
+  export default pacificGuam
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Honolulu/index.js' {
+  import {pacificHonolulu} from 'date-fns/esm/timeZone'
+  export default pacificHonolulu
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Johnston/index.js' {
+  import {pacificJohnston} from 'date-fns/esm/timeZone'
+  export default pacificJohnston
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kanton/index.js' {
+  import {pacificKanton} from 'date-fns/esm/timeZone'
+  export default pacificKanton
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kiritimati/index.js' {
+  import {pacificKiritimati} from 'date-fns/esm/timeZone'
+  export default pacificKiritimati
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kosrae/index.js' {
+  import {pacificKosrae} from 'date-fns/esm/timeZone'
+  export default pacificKosrae
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Kwajalein/index.js' {
+  import {pacificKwajalein} from 'date-fns/esm/timeZone'
+  export default pacificKwajalein
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Majuro/index.js' {
+  import {pacificMajuro} from 'date-fns/esm/timeZone'
+  export default pacificMajuro
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Marquesas/index.js' {
+  import {pacificMarquesas} from 'date-fns/esm/timeZone'
+  export default pacificMarquesas
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Midway/index.js' {
+  import {pacificMidway} from 'date-fns/esm/timeZone'
+  export default pacificMidway
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Nauru/index.js' {
+  import {pacificNauru} from 'date-fns/esm/timeZone'
+  export default pacificNauru
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Niue/index.js' {
+  import {pacificNiue} from 'date-fns/esm/timeZone'
+  export default pacificNiue
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Norfolk/index.js' {
+  import {pacificNorfolk} from 'date-fns/esm/timeZone'
+  export default pacificNorfolk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Noumea/index.js' {
+  import {pacificNoumea} from 'date-fns/esm/timeZone'
+  export default pacificNoumea
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pago_Pago/index.js' {
+  import {pacificPagoPago} from 'date-fns/esm/timeZone'
+  export default pacificPagoPago
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Palau/index.js' {
+  import {pacificPalau} from 'date-fns/esm/timeZone'
+  export default pacificPalau
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pitcairn/index.js' {
+  import {pacificPitcairn} from 'date-fns/esm/timeZone'
+  export default pacificPitcairn
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Pohnpei/index.js' {
+  import {pacificPohnpei} from 'date-fns/esm/timeZone'
+  export default pacificPohnpei
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Ponape/index.js' {
+  import {pacificPonape} from 'date-fns/esm/timeZone'
+  export default pacificPonape
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Port_Moresby/index.js' {
+  import {pacificPortMoresby} from 'date-fns/esm/timeZone'
+  export default pacificPortMoresby
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Rarotonga/index.js' {
+  import {pacificRarotonga} from 'date-fns/esm/timeZone'
+  export default pacificRarotonga
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Saipan/index.js' {
+  import {pacificSaipan} from 'date-fns/esm/timeZone'
+  export default pacificSaipan
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Samoa/index.js' {
+  import {pacificSamoa} from 'date-fns/esm/timeZone'
+  export default pacificSamoa
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tahiti/index.js' {
+  import {pacificTahiti} from 'date-fns/esm/timeZone'
+  export default pacificTahiti
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tarawa/index.js' {
+  import {pacificTarawa} from 'date-fns/esm/timeZone'
+  export default pacificTarawa
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Tongatapu/index.js' {
+  import {pacificTongatapu} from 'date-fns/esm/timeZone'
+  export default pacificTongatapu
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Truk/index.js' {
+  import {pacificTruk} from 'date-fns/esm/timeZone'
+  export default pacificTruk
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Wake/index.js' {
+  import {pacificWake} from 'date-fns/esm/timeZone'
+  export default pacificWake
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Wallis/index.js' {
+  import {pacificWallis} from 'date-fns/esm/timeZone'
+  export default pacificWallis
+}
+
+declare module 'date-fns/esm/timeZone/Pacific/Yap/index.js' {
+  import {pacificYap} from 'date-fns/esm/timeZone'
+  export default pacificYap
+}
+
+declare module 'date-fns/esm/timeZone/Poland/index.js' {
+  import {poland} from 'date-fns/esm/timeZone'
+  export default poland
+}
+
+declare module 'date-fns/esm/timeZone/Portugal/index.js' {
+  import {portugal} from 'date-fns/esm/timeZone'
+  export default portugal
+}
+
+declare module 'date-fns/esm/timeZone/ROC/index.js' {
+  import {roc} from 'date-fns/esm/timeZone'
+  export default roc
+}
+
+declare module 'date-fns/esm/timeZone/ROK/index.js' {
+  import {rok} from 'date-fns/esm/timeZone'
+  export default rok
+}
+
+declare module 'date-fns/esm/timeZone/Singapore/index.js' {
+  import {singapore} from 'date-fns/esm/timeZone'
+  export default singapore
+}
+
+declare module 'date-fns/esm/timeZone/Turkey/index.js' {
+  import {turkey} from 'date-fns/esm/timeZone'
+  export default turkey
+}
+
+declare module 'date-fns/esm/timeZone/UCT/index.js' {
+  import {uct} from 'date-fns/esm/timeZone'
+  export default uct
+}
+
+declare module 'date-fns/esm/timeZone/US/Alaska/index.js' {
+  import {usAlaska} from 'date-fns/esm/timeZone'
+  export default usAlaska
+}
+
+declare module 'date-fns/esm/timeZone/US/Aleutian/index.js' {
+  import {usAleutian} from 'date-fns/esm/timeZone'
+  export default usAleutian
+}
+
+declare module 'date-fns/esm/timeZone/US/Arizona/index.js' {
+  import {usArizona} from 'date-fns/esm/timeZone'
+  export default usArizona
+}
+
+declare module 'date-fns/esm/timeZone/US/Central/index.js' {
+  import {usCentral} from 'date-fns/esm/timeZone'
+  export default usCentral
+}
+
+declare module 'date-fns/esm/timeZone/US/East-Indiana/index.js' {
+  import {usEastIndiana} from 'date-fns/esm/timeZone'
+  export default usEastIndiana
+}
+
+declare module 'date-fns/esm/timeZone/US/Eastern/index.js' {
+  import {usEastern} from 'date-fns/esm/timeZone'
+  export default usEastern
+}
+
+declare module 'date-fns/esm/timeZone/US/Hawaii/index.js' {
+  import {usHawaii} from 'date-fns/esm/timeZone'
+  export default usHawaii
+}
+
+declare module 'date-fns/esm/timeZone/US/Indiana-Starke/index.js' {
+  import {usIndianaStarke} from 'date-fns/esm/timeZone'
+  export default usIndianaStarke
+}
+
+declare module 'date-fns/esm/timeZone/US/Michigan/index.js' {
+  import {usMichigan} from 'date-fns/esm/timeZone'
+  export default usMichigan
+}
+
+declare module 'date-fns/esm/timeZone/US/Mountain/index.js' {
+  import {usMountain} from 'date-fns/esm/timeZone'
+  export default usMountain
+}
+
+declare module 'date-fns/esm/timeZone/US/Pacific/index.js' {
+  import {usPacific} from 'date-fns/esm/timeZone'
+  export default usPacific
+}
+
+declare module 'date-fns/esm/timeZone/US/Samoa/index.js' {
+  import {usSamoa} from 'date-fns/esm/timeZone'
+  export default usSamoa
+}
+
+declare module 'date-fns/esm/timeZone/UTC/index.js' {
+  import {utc} from 'date-fns/esm/timeZone'
+  export default utc
+}
+
+declare module 'date-fns/esm/timeZone/Universal/index.js' {
+  import {universal} from 'date-fns/esm/timeZone'
+  export default universal
+}
+
+declare module 'date-fns/esm/timeZone/W-SU/index.js' {
+  import {wSU} from 'date-fns/esm/timeZone'
+  export default wSU
+}
+
+declare module 'date-fns/esm/timeZone/WET/index.js' {
+  import {wet} from 'date-fns/esm/timeZone'
+  export default wet
+}
+
+declare module 'date-fns/esm/timeZone/Zulu/index.js' {
+  import {zulu} from 'date-fns/esm/timeZone'
+  export default zulu
+}
+
+// dateFns Global Interface
+
+interface dateFns {
+  add(
+    date: Date | string | number,
+    duration: Duration,
+    options?: Options
+  ): Date
+
+  addBusinessDays(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addDays(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addDurations(
+    durationLeft: Duration,
+    durationRight: Duration,
+    options?: Options
+  ): Duration
+
+  addHours(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addISOWeekYears(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addMilliseconds(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addMinutes(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addMonths(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addQuarters(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addSeconds(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addWeeks(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  addYears(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
+  areIntervalsOverlapping(
+    intervalLeft: Interval,
+    intervalRight: Interval,
+    options?: Options
+  ): boolean
+
+  buildHolidayCalendar(
+    rules: Object[]
+  ): HolidayCalendar
+
+  buildIntervalIndex(
+    intervals: Interval[],
+    options?: Options
+  ): IntervalIndex
+
+  closestIndexTo(
+    dateToCompare: Date | string | number,
+    datesArray: (Date | string | number)[],
+    options?: Options
+  ): number
+
+  closestTo(
+    dateToCompare: Date | string | number,
+    datesArray: (Date | string | number)[],
+    options?: Options
+  ): Date
+
+  compareAsc(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  compareDesc(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  compareDurations(
+    durationLeft: Duration,
+    durationRight: Duration,
+    options?: Options
+  ): number
+
+  compileFormat(
+    format: string,
+    options?: Options
+  ): Function
+
+  compileParse(
+    formatString: string,
+    options?: Options
+  ): Function
+
+  differenceInBusinessDays(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInCalendarDays(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInCalendarISOWeeks(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInCalendarISOWeekYears(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInCalendarMonths(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInCalendarQuarters(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInCalendarWeeks(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInCalendarYears(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInDays(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInHours(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInISOWeekYears(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInMilliseconds(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInMinutes(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInMonths(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInQuarters(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInSeconds(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInWeeks(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  differenceInYears(
+    dateLeft: Date | string | number,
+    dateRight: Date | string | number,
+    options?: Options
+  ): number
+
+  durationToMilliseconds(
+    duration: Duration,
+    options?: Options
+  ): number
+
+  eachCronOccurrenceIterator(
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): DateIterator
+
+  eachDayOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachDayOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  eachHourOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachHourOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  eachMinuteOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachMinuteOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  eachMonthOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachMonthOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  eachOccurrenceIterator(
+    rule: RecurrenceRule | string,
+    options?: Options
+  ): DateIterator
+
+  eachOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  eachQuarterOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachQuarterOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  eachWeekOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachWeekOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  eachYearOfInterval(
+    interval: Interval,
+    options?: Options
+  ): Date[]
+
+  eachYearOfIntervalIterator(
+    interval: Interval,
+    options?: Options
+  ): DateIterator
+
+  endOfDay(
+    date: Date | string | number,
+    options?: Options
+  ): Date
+
+  endOfHour(
+    date: Date | string | number,
+    options?: Options
+  ): Date
+
+  endOfISOWeek(
+    date: Date | string | number,
+    options?: Options
+  ): Date
+
+  endOfISOWeekYear(
+    date: Date | string | number,
+    options?: Options
+  ): Date
+
+  endOfMinute(
     date: Date | string | number,
     options?: Options
   ): Date
@@ -17300,6 +45635,11 @@ interface dateFns {
     options?: Options
   ): Date
 
+  findFreeSlots(
+    busy: Interval[],
+    options: Options
+  ): Interval[]
+
   format(
     date: Date | string | number,
     format: string,
@@ -17318,12 +45658,59 @@ interface dateFns {
     options?: Options
   ): string
 
+  formatDuration(
+    duration: Duration,
+    options?: Options
+  ): string
+
+  formatISO(
+    date: Date | string | number,
+    options?: Options
+  ): string
+
+  formatISODuration(
+    duration: Duration,
+    options?: Options
+  ): string
+
+  formatRecurrence(
+    rule: RecurrenceRule | string,
+    options?: Options
+  ): string
+
   formatRelative(
     date: Date | string | number,
     baseDate: Date | string | number,
     options?: Options
   ): string
 
+  formatRFC2822(
+    date: Date | string | number,
+    options?: Options
+  ): string
+
+  formatRFC3339(
+    date: Date | string | number,
+    options?: Options
+  ): string
+
+  formatRFC7231(
+    date: Date | string | number,
+    options?: Options
+  ): string
+
+  formatToParts(
+    date: Date | string | number,
+    format: string,
+    options?: Options
+  ): Object[]
+
+  fromZonedTime(
+    date: Date | string | number,
+    timeZone: TimeZone | string,
+    options?: Options
+  ): Date
+
   getDate(
     date: Date | string | number,
     options?: Options
@@ -17395,6 +45782,18 @@ interface dateFns {
     options?: Options
   ): number
 
+  getOverlappingInterval(
+    intervalLeft: Interval,
+    intervalRight: Interval,
+    options?: Options
+  ): Interval | null
+
+  getOverlappingTimeInIntervals(
+    intervalLeft: Interval,
+    intervalRight: Interval,
+    options?: Options
+  ): number
+
   getQuarter(
     date: Date | string | number,
     options?: Options
@@ -17425,6 +45824,23 @@ interface dateFns {
     options?: Options
   ): number
 
+  intersectIntervals(
+    intervalsLeft: Interval[],
+    intervalsRight: Interval[],
+    options?: Options
+  ): Interval[]
+
+  intervalToDuration(
+    interval: Interval,
+    options?: Options
+  ): Duration
+
+  invertIntervals(
+    intervals: Interval[],
+    within: Interval,
+    options?: Options
+  ): Interval[]
+
   isAfter(
     date: Date | string | number,
     dateToCompare: Date | string | number,
@@ -17437,6 +45853,11 @@ interface dateFns {
     options?: Options
   ): boolean
 
+  isBusinessDay(
+    date: Date | string | number,
+    options?: Options
+  ): boolean
+
   isEqual(
     dateLeft: Date | string | number,
     dateRight: Date | string | number,
@@ -17453,6 +45874,11 @@ interface dateFns {
     options?: Options
   ): boolean
 
+  isHoliday(
+    date: Date | string | number,
+    options?: Options
+  ): boolean
+
   isLastDayOfMonth(
     date: Date | string | number,
     options?: Options
@@ -17604,11 +46030,27 @@ interface dateFns {
     options?: Options
   ): Date
 
+  mergeIntervals(
+    intervals: Interval[],
+    options?: Options
+  ): Interval[]
+
   min(
     datesArray: (Date | string | number)[],
     options?: Options
   ): Date
 
+  nextCronOccurrence(
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): Date | null
+
+  normalizeDuration(
+    duration: Duration,
+    options?: Options
+  ): Duration
+
   parse(
     dateString: string,
     formatString: string,
@@ -17616,6 +46058,32 @@ interface dateFns {
     options?: Options
   ): Date
 
+  parseCron(
+    expression: string,
+    options?: Options
+  ): CronSchedule
+
+  parseICalDateTime(
+    value: string,
+    options?: Options
+  ): Date
+
+  parseISODuration(
+    argument: string,
+    options?: Options
+  ): Duration
+
+  parseRRule(
+    rrule: string,
+    options?: Options
+  ): RecurrenceRule
+
+  prevCronOccurrence(
+    schedule: CronSchedule | string,
+    date: Date | string | number,
+    options?: Options
+  ): Date | null
+
   setDate(
     date: Date | string | number,
     dayOfMonth: number,
@@ -17694,6 +46162,11 @@ interface dateFns {
     options?: Options
   ): Date
 
+  splitInterval(
+    interval: Interval,
+    options?: Options
+  ): Interval[]
+
   startOfDay(
     date: Date | string | number,
     options?: Options
@@ -17744,6 +46217,18 @@ interface dateFns {
     options?: Options
   ): Date
 
+  sub(
+    date: Date | string | number,
+    duration: Duration,
+    options?: Options
+  ): Date
+
+  subBusinessDays(
+    date: Date | string | number,
+    amount: number,
+    options?: Options
+  ): Date
+
   subDays(
     date: Date | string | number,
     amount: number,
@@ -17792,6 +46277,12 @@ interface dateFns {
     options?: Options
   ): Date
 
+  subtractIntervals(
+    intervalsLeft: Interval[],
+    intervalsRight: Interval[],
+    options?: Options
+  ): Interval[]
+
   subWeeks(
     date: Date | string | number,
     amount: number,
@@ -17808,4 +46299,10 @@ interface dateFns {
     argument: any,
     options?: Options
   ): Date
+
+  toZonedTime(
+    date: Date | string | number,
+    timeZone: TimeZone | string,
+    options?: Options
+  ): Date
 }